@@ -54,10 +54,51 @@ describe('GitView source scan', () => {
     expect(SRC).toContain('requestGitCommit');
   });
 
+  it('wires the merge-conflict callbacks and requests', () => {
+    expect(SRC).toContain('setGitConflictsCallback');
+    expect(SRC).toContain('setGitConflictCallback');
+    expect(SRC).toContain('requestGitConflicts');
+    expect(SRC).toContain('requestGitConflictResolve');
+    expect(SRC).toContain('requestGitConflictContinue');
+    expect(SRC).toContain('requestGitConflictAbort');
+  });
+
+  it('asks the agent with the shared conflict prompt', () => {
+    expect(SRC).toContain('composeConflictResolutionPrompt');
+    expect(SRC).toContain('sendInput(prompt)');
+  });
+
+  it('confirms before aborting the operation', () => {
+    expect(SRC).toMatch(/Alert\.alert\(`Abort the \$\{operation\}\?`/);
+  });
+
+  it('wires the branch create / switch / delete requests through one callback', () => {
+    expect(SRC).toContain('setGitBranchCallback');
+    expect(SRC).toContain('requestGitBranchCreate');
+    expect(SRC).toContain('requestGitCheckout');
+    expect(SRC).toContain('requestGitBranchDelete');
+  });
+
+  it('confirms before deleting a branch and offers a force delete for unmerged work', () => {
+    expect(SRC).toContain("'Delete branch?'");
+    expect(SRC).toContain("'Force delete branch?'");
+    expect(SRC).toContain('/not fully merged/i');
+    expect(SRC).toContain('setForceDeleteCandidate(name)');
+  });
+
+  it('surfaces a not-connected error for each branch mutation', () => {
+    expect(SRC).toContain("'Branch not created — reconnect and try again'");
+    expect(SRC).toContain("'Switch not sent — reconnect and try again'");
+    expect(SRC).toContain("'Delete not sent — reconnect and try again'");
+  });
+
   // UI structure
-  it('renders changes and branches tabs', () => {
+  it('renders changes, branches, history and conflicts tabs', () => {
     expect(SRC).toContain("'changes'");
     expect(SRC).toContain("'branches'");
+    expect(SRC).toContain("'history'");
+    expect(SRC).toContain("'conflicts'");
+    expect(SRC).toContain('<GitHistoryView />');
   });
 
   it('uses Modal for overlay presentation', () => {
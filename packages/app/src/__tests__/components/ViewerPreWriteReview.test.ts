@@ -24,7 +24,7 @@ describe('ViewerPreWriteReview — wiring (source scan)', () => {
 
   it('exports ViewerPreWriteReview and imports the correlation helpers from store-core (#6859)', () => {
     expect(source).toMatch(/export\s+function\s+ViewerPreWriteReview/);
-    expect(source).toContain("import { findPendingWriteForFile } from '@chroxy/store-core'");
+    expect(source).toContain("import { findPendingWriteForFile, scopeAllowsPromptAnswers } from '@chroxy/store-core'");
   });
 
   it('reuses the #6556 PreWriteDiffReview for the diff/hunk mechanics', () => {
@@ -51,7 +51,11 @@ describe('ViewerPreWriteReview — wiring (source scan)', () => {
 
   it('gates on features.ide (serverCapabilities.ide)', () => {
     expect(source).toContain('s.serverCapabilities?.ide');
-    expect(source).toContain('if (!ideEnabled || !pending || !requestId) return null');
+    expect(source).toContain('if (!ideEnabled || !pending || !requestId || !canAnswer) return null');
+  });
+
+  it('renders nothing for an observe device token (it cannot answer the prompt)', () => {
+    expect(source).toContain('scopeAllowsPromptAnswers(s.tokenScope)');
   });
 });
 
@@ -0,0 +1,44 @@
+/**
+ * SessionScreen fork-from-message — the chat selection bar's Fork action.
+ *
+ * With exactly one finished response or sent (not queued) prompt selected, the
+ * selection bar offers Fork; it opens ForkSessionModal, whose confirm sends
+ * fork_session for that message and clears the selection. A send that never
+ * left the device surfaces a not-connected alert instead of a silent no-op.
+ *
+ * No `@testing-library/react-native` in this repo (see SessionScreenStoppedBanner
+ * .test.ts), so this verifies the wire-up via source-text parsing; the modal
+ * itself is rendered in components/__tests__/ForkSessionModal.test.tsx and the
+ * send in __tests__/store/connection-fork-session.test.ts.
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+
+const SessionScreenSrc = fs.readFileSync(
+  path.resolve(__dirname, '../../screens/SessionScreen.tsx'),
+  'utf-8',
+);
+
+describe('SessionScreen fork-from-message', () => {
+  it('offers Fork only for a single forkable selection', () => {
+    expect(SessionScreenSrc).toContain('selectedIds.size !== 1');
+    expect(SessionScreenSrc).toContain("msg.type !== 'response' && msg.type !== 'user_input'");
+    expect(SessionScreenSrc).toContain('msg.id === streamingMessageId || queuedIds.has(msg.id)');
+    expect(SessionScreenSrc).toMatch(/\{forkCandidateId && \(/);
+  });
+
+  it('never offers Fork for a terminal-only or disconnected session', () => {
+    expect(SessionScreenSrc).toContain("isUserShell || connectionPhase !== 'connected'");
+  });
+
+  it('renders the fork modal for the picked message', () => {
+    expect(SessionScreenSrc).toContain("import { ForkSessionModal } from '../components/ForkSessionModal'");
+    expect(SessionScreenSrc).toContain('visible={forkMessageId !== null}');
+    expect(SessionScreenSrc).toContain('onConfirm={handleForkConfirm}');
+  });
+
+  it('clears the selection on a sent fork and alerts when the send fails', () => {
+    expect(SessionScreenSrc).toContain('if (forkSession(id, opts)) clearSelection();');
+    expect(SessionScreenSrc).toContain("Alert.alert('Not connected', 'Fork not sent — reconnect and try again')");
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * forkSession — the fork_session send behind the chat selection bar's Fork
+ * action. It forks the ACTIVE session, forwards only the options the user
+ * changed (the server defaults provider and name), and reports a send that
+ * never left the device.
+ */
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(() => Promise.resolve(null)),
+  setItemAsync: jest.fn(() => Promise.resolve()),
+  deleteItemAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../../utils/haptics', () => ({
+  hapticLight: jest.fn(),
+  hapticMedium: jest.fn(),
+  hapticWarning: jest.fn(),
+  hapticSuccess: jest.fn(),
+}));
+
+import { useConnectionStore } from '../../store/connection';
+
+const OPEN = 1; // WebSocket.OPEN
+
+function seed(socket: { readyState: number; send: jest.Mock } | null): void {
+  useConnectionStore.setState({
+    activeSessionId: 'sess-1',
+    sessions: [{ sessionId: 'sess-1', name: 'sess-1', provider: 'claude-sdk' }],
+    sessionStates: {},
+    socket,
+  } as never);
+}
+
+function sent(send: jest.Mock): Record<string, unknown> {
+  return JSON.parse(send.mock.calls[0][0]);
+}
+
+describe('forkSession', () => {
+  // sendIfOpen compares against WebSocket.OPEN, which jest's node env lacks.
+  const OriginalWebSocket = (global as any).WebSocket;
+  beforeAll(() => { (global as any).WebSocket = { OPEN }; });
+  afterAll(() => { (global as any).WebSocket = OriginalWebSocket; });
+
+  it('forks the active session at the message', () => {
+    const socket = { readyState: OPEN, send: jest.fn() };
+    seed(socket);
+
+    expect(useConnectionStore.getState().forkSession('msg-7')).toBe(true);
+    expect(sent(socket.send)).toEqual({ type: 'fork_session', messageId: 'msg-7', sessionId: 'sess-1' });
+  });
+
+  it('forwards a chosen provider and name', () => {
+    const socket = { readyState: OPEN, send: jest.fn() };
+    seed(socket);
+
+    useConnectionStore.getState().forkSession('msg-7', { provider: 'codex', name: 'Try codex' });
+    expect(sent(socket.send)).toEqual({
+      type: 'fork_session',
+      messageId: 'msg-7',
+      sessionId: 'sess-1',
+      provider: 'codex',
+      name: 'Try codex',
+    });
+  });
+
+  it('returns false without a send when the socket is closed', () => {
+    const socket = { readyState: 3, send: jest.fn() };
+    seed(socket);
+
+    expect(useConnectionStore.getState().forkSession('msg-7')).toBe(false);
+    expect(socket.send).not.toHaveBeenCalled();
+  });
+});
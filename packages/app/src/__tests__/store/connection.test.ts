@@ -424,6 +424,20 @@ describe('message queue', () => {
     expect(result).toBe(false);
   });
 
+  it('REFUSES prompt answers from an observe device token, even when connected', () => {
+    const send = jest.fn();
+    useConnectionStore.setState({
+      socket: { readyState: 1, send, close: () => {} } as unknown as WebSocket,
+      tokenScope: 'observe',
+    });
+    expect(useConnectionStore.getState().sendPermissionResponse('req-1', 'allow')).toBe(false);
+    expect(useConnectionStore.getState().sendUserQuestionResponse('yes')).toBe(false);
+    expect(send).not.toHaveBeenCalled();
+    // disconnect() (the suite's beforeEach) resets the scope to full.
+    useConnectionStore.getState().disconnect();
+    expect(useConnectionStore.getState().tokenScope).toBe('full');
+  });
+
   it('a refused permission/question response consumes no queue capacity (#5699)', () => {
     const store = useConnectionStore.getState();
     // Refused responses must not occupy a queue slot — fill exactly to 10 with
@@ -207,4 +207,93 @@ describe('FileOperationsStore', () => {
     expect(useFileOperationsStore.getState().requestGitCommit('msg')).toBe(false)
     expect(wsSendCalls).toHaveLength(0)
   })
+
+  // --- Merge-conflict resolution ---
+
+  it('sets the conflict callbacks', () => {
+    const list = jest.fn()
+    const action = jest.fn()
+    useFileOperationsStore.getState().setGitConflictsCallback(list)
+    useFileOperationsStore.getState().setGitConflictCallback(action)
+    expect(getCallback('gitConflicts')).toBe(list)
+    expect(getCallback('gitConflict')).toBe(action)
+  })
+
+  it('sends git_conflict_resolve per hunk with the file hash', () => {
+    const resolutions = [{ index: 0, choice: 'theirs' }]
+    useFileOperationsStore.getState().requestGitConflictResolve({ path: 'a.txt', hash: 'h', resolutions })
+    expect(wsSendCalls[0].payload).toEqual({ type: 'git_conflict_resolve', path: 'a.txt', hash: 'h', resolutions })
+  })
+
+  it('sends git_conflict_resolve for a whole side without a hash', () => {
+    useFileOperationsStore.getState().requestGitConflictResolve({ path: 'a.txt', take: 'ours' })
+    expect(wsSendCalls[0].payload).toEqual({ type: 'git_conflict_resolve', path: 'a.txt', take: 'ours' })
+  })
+
+  it('conflict requests return false (no send) when the socket is closed', () => {
+    mockSocket.readyState = 3
+    const store = useFileOperationsStore.getState()
+    expect(store.requestGitConflicts()).toBe(false)
+    expect(store.requestGitConflictContinue()).toBe(false)
+    expect(store.requestGitConflictAbort()).toBe(false)
+    expect(wsSendCalls).toHaveLength(0)
+  })
+
+  // --- History / blame / branch management ---
+
+  it('sets the history and branch callbacks', () => {
+    const log = jest.fn()
+    const show = jest.fn()
+    const blame = jest.fn()
+    const branch = jest.fn()
+    const store = useFileOperationsStore.getState()
+    store.setGitLogCallback(log)
+    store.setGitShowCallback(show)
+    store.setGitBlameCallback(blame)
+    store.setGitBranchCallback(branch)
+    expect(getCallback('gitLog')).toBe(log)
+    expect(getCallback('gitShow')).toBe(show)
+    expect(getCallback('gitBlame')).toBe(blame)
+    expect(getCallback('gitBranch')).toBe(branch)
+  })
+
+  it('stamps history reads with the requestId it returns', () => {
+    const store = useFileOperationsStore.getState()
+    const logId = store.requestGitLog({ skip: 50, limit: 50, path: 'src/a.ts' })
+    const showId = store.requestGitShow('abc123')
+    const blameId = store.requestGitBlame('src/a.ts', 'abc123')
+    expect(wsSendCalls[0].payload).toEqual({ type: 'git_log', requestId: logId, skip: 50, limit: 50, path: 'src/a.ts' })
+    expect(wsSendCalls[1].payload).toEqual({ type: 'git_show', hash: 'abc123', requestId: showId })
+    expect(wsSendCalls[2].payload).toEqual({ type: 'git_blame', path: 'src/a.ts', requestId: blameId, rev: 'abc123' })
+    expect(new Set([logId, showId, blameId]).size).toBe(3)
+  })
+
+  it('omits unset git_log paging fields', () => {
+    useFileOperationsStore.getState().requestGitLog()
+    expect(Object.keys(wsSendCalls[0].payload).sort()).toEqual(['requestId', 'type'])
+  })
+
+  it('sends the branch mutations', () => {
+    const store = useFileOperationsStore.getState()
+    expect(store.requestGitBranchCreate({ name: 'feat', checkout: true })).toBe(true)
+    expect(store.requestGitCheckout('main')).toBe(true)
+    expect(store.requestGitBranchDelete({ name: 'old', force: true })).toBe(true)
+    expect(wsSendCalls.map((c) => c.payload)).toEqual([
+      { type: 'git_branch_create', name: 'feat', checkout: true },
+      { type: 'git_checkout', branch: 'main' },
+      { type: 'git_branch_delete', name: 'old', force: true },
+    ])
+  })
+
+  it('history and branch requests report a closed socket without sending', () => {
+    mockSocket.readyState = 3
+    const store = useFileOperationsStore.getState()
+    expect(store.requestGitLog()).toBeNull()
+    expect(store.requestGitShow('abc123')).toBeNull()
+    expect(store.requestGitBlame('a.ts')).toBeNull()
+    expect(store.requestGitBranchCreate({ name: 'feat' })).toBe(false)
+    expect(store.requestGitCheckout('main')).toBe(false)
+    expect(store.requestGitBranchDelete({ name: 'old' })).toBe(false)
+    expect(wsSendCalls).toHaveLength(0)
+  })
 })
@@ -0,0 +1,134 @@
+/**
+ * Tests for the mobile git_conflicts_result / git_conflict_result feeders
+ * (GitView's Conflicts tab).
+ *
+ * Both replies are Zod-validated in the handleMessage switch and handed to the
+ * imperative callbacks GitView installs. A malformed git_conflicts_result is
+ * dropped; a malformed git_conflict_result still resolves the one-shot with an
+ * error so the tab's busy state clears. Mirrors the dashboard's
+ * "git conflict result dispatch" cases.
+ */
+import {
+  _testMessageHandler,
+  _testResetStore,
+  setStore,
+} from '../../store/message-handler';
+import { clearAllCallbacks, setCallback } from '../../store/imperative-callbacks';
+import type { ConnectionState } from '../../store/types';
+
+// Mock persistence so the handler's imports resolve without touching disk.
+jest.mock('../../store/persistence', () => ({
+  clearPersistedSession: jest.fn(() => Promise.resolve()),
+  persistSessionMessages: jest.fn(),
+  persistViewMode: jest.fn(),
+  persistActiveSession: jest.fn(),
+  persistTerminalBuffer: jest.fn(),
+  loadPersistedState: jest.fn(),
+  loadSessionMessages: jest.fn(),
+  clearPersistedState: jest.fn(),
+  _resetForTesting: jest.fn(),
+}));
+
+function createMockStore() {
+  let state = {
+    sessionStates: {},
+    sessionNotifications: [],
+    serverErrors: [],
+    activeSessionId: null,
+  } as unknown as ConnectionState;
+  return {
+    getState: () => state,
+    setState: (
+      updater: Partial<ConnectionState> | ((s: ConnectionState) => Partial<ConnectionState>),
+    ) => {
+      state = typeof updater === 'function'
+        ? { ...state, ...updater(state) }
+        : { ...state, ...updater };
+    },
+    subscribe: () => () => {},
+    destroy: () => {},
+  };
+}
+
+function createMockContext() {
+  return {
+    socket: { readyState: 1, send: jest.fn() } as any,
+    serverUrl: 'wss://test.example.com',
+    apiToken: 'test-token',
+    connectionId: 'test-conn-1',
+    reconnecting: false,
+    connectedAt: Date.now(),
+    isSessionSwitchReplay: false,
+    activeSessionIdAtConnect: null,
+    replayingSessions: new Set<string>(),
+  };
+}
+
+beforeEach(() => {
+  clearAllCallbacks();
+  setStore(createMockStore() as any);
+  _testMessageHandler.setContext(createMockContext() as any);
+});
+
+afterEach(() => {
+  clearAllCallbacks();
+  _testResetStore();
+  _testMessageHandler.setContext(null as never);
+});
+
+describe('git conflict result feeders', () => {
+  it('hands a valid git_conflicts_result to the gitConflicts callback', () => {
+    const cb = jest.fn();
+    setCallback('gitConflicts', cb);
+
+    _testMessageHandler.handle({
+      type: 'git_conflicts_result',
+      operation: 'rebase',
+      branch: 'feature',
+      files: [{ path: 'a.txt', kind: 'both_modified', hash: 'h', binary: false, tooLarge: false, hunks: [] }],
+      truncated: false,
+      error: null,
+    });
+
+    expect(cb).toHaveBeenCalledTimes(1);
+    expect(cb.mock.calls[0][0].operation).toBe('rebase');
+    expect(cb.mock.calls[0][0].files[0].path).toBe('a.txt');
+  });
+
+  it('drops a malformed git_conflicts_result', () => {
+    const cb = jest.fn();
+    setCallback('gitConflicts', cb);
+
+    _testMessageHandler.handle({ type: 'git_conflicts_result', operation: 'merge', files: 'nope' });
+
+    expect(cb).not.toHaveBeenCalled();
+  });
+
+  it('hands a valid git_conflict_result to the gitConflict callback', () => {
+    const cb = jest.fn();
+    setCallback('gitConflict', cb);
+
+    _testMessageHandler.handle({
+      type: 'git_conflict_result',
+      action: 'resolve',
+      path: 'a.txt',
+      remaining: 0,
+      staged: true,
+      operation: 'merge',
+      error: null,
+    });
+
+    expect(cb).toHaveBeenCalledWith(expect.objectContaining({ action: 'resolve', staged: true }));
+  });
+
+  it('resolves the gitConflict callback with an error on a malformed reply', () => {
+    const cb = jest.fn();
+    setCallback('gitConflict', cb);
+
+    _testMessageHandler.handle({ type: 'git_conflict_result', action: 'squash' });
+
+    expect(cb).toHaveBeenCalledTimes(1);
+    expect(cb.mock.calls[0][0].action).toBeNull();
+    expect(cb.mock.calls[0][0].error).toBeTruthy();
+  });
+});
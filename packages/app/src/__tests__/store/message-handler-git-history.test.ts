@@ -0,0 +1,183 @@
+/**
+ * Tests for the mobile git_log_result / git_show_result / git_blame_result /
+ * git_branch_result feeders (GitView's History tab and branch actions).
+ *
+ * The three history reads are Zod-validated and a malformed one is dropped; a
+ * malformed git_branch_result still resolves the one-shot with an error so a
+ * pending create / switch / delete clears. Mirrors the dashboard's cases.
+ */
+import {
+  _testMessageHandler,
+  _testResetStore,
+  setStore,
+} from '../../store/message-handler';
+import { clearAllCallbacks, setCallback } from '../../store/imperative-callbacks';
+import type { ConnectionState } from '../../store/types';
+
+// Mock persistence so the handler's imports resolve without touching disk.
+jest.mock('../../store/persistence', () => ({
+  clearPersistedSession: jest.fn(() => Promise.resolve()),
+  persistSessionMessages: jest.fn(),
+  persistViewMode: jest.fn(),
+  persistActiveSession: jest.fn(),
+  persistTerminalBuffer: jest.fn(),
+  loadPersistedState: jest.fn(),
+  loadSessionMessages: jest.fn(),
+  clearPersistedState: jest.fn(),
+  _resetForTesting: jest.fn(),
+}));
+
+function createMockStore() {
+  let state = {
+    sessionStates: {},
+    sessionNotifications: [],
+    serverErrors: [],
+    activeSessionId: null,
+  } as unknown as ConnectionState;
+  return {
+    getState: () => state,
+    setState: (
+      updater: Partial<ConnectionState> | ((s: ConnectionState) => Partial<ConnectionState>),
+    ) => {
+      state = typeof updater === 'function'
+        ? { ...state, ...updater(state) }
+        : { ...state, ...updater };
+    },
+    subscribe: () => () => {},
+    destroy: () => {},
+  };
+}
+
+function createMockContext() {
+  return {
+    socket: { readyState: 1, send: jest.fn() } as any,
+    serverUrl: 'wss://test.example.com',
+    apiToken: 'test-token',
+    connectionId: 'test-conn-1',
+    reconnecting: false,
+    connectedAt: Date.now(),
+    isSessionSwitchReplay: false,
+    activeSessionIdAtConnect: null,
+    replayingSessions: new Set<string>(),
+  };
+}
+
+beforeEach(() => {
+  clearAllCallbacks();
+  setStore(createMockStore() as any);
+  _testMessageHandler.setContext(createMockContext() as any);
+});
+
+afterEach(() => {
+  clearAllCallbacks();
+  _testResetStore();
+  _testMessageHandler.setContext(null as never);
+});
+
+describe('git history result feeders', () => {
+  it('hands a valid git_log_result to the gitLog callback with its requestId', () => {
+    const cb = jest.fn();
+    setCallback('gitLog', cb);
+
+    _testMessageHandler.handle({
+      type: 'git_log_result',
+      commits: [{
+        hash: 'a'.repeat(40),
+        shortHash: 'aaaaaaa',
+        author: 'Dev',
+        email: 'dev@example.com',
+        date: '2026-01-01T00:00:00Z',
+        parents: [],
+        subject: 'Initial commit',
+      }],
+      skip: 0,
+      hasMore: false,
+      path: null,
+      error: null,
+      requestId: 'git-log-1',
+    });
+
+    expect(cb).toHaveBeenCalledTimes(1);
+    expect(cb.mock.calls[0][0].requestId).toBe('git-log-1');
+    expect(cb.mock.calls[0][0].commits[0].subject).toBe('Initial commit');
+  });
+
+  it('drops a malformed git_log_result', () => {
+    const cb = jest.fn();
+    setCallback('gitLog', cb);
+
+    _testMessageHandler.handle({ type: 'git_log_result', commits: 'nope', skip: 0 });
+
+    expect(cb).not.toHaveBeenCalled();
+  });
+
+  it('hands a valid git_show_result to the gitShow callback', () => {
+    const cb = jest.fn();
+    setCallback('gitShow', cb);
+
+    _testMessageHandler.handle({
+      type: 'git_show_result',
+      hash: 'abc',
+      commit: null,
+      files: [],
+      truncated: false,
+      error: 'unknown revision',
+      requestId: 'git-show-1',
+    });
+
+    expect(cb).toHaveBeenCalledWith(expect.objectContaining({ hash: 'abc', error: 'unknown revision' }));
+  });
+
+  it('hands a valid git_blame_result to the gitBlame callback and drops a malformed one', () => {
+    const cb = jest.fn();
+    setCallback('gitBlame', cb);
+
+    _testMessageHandler.handle({ type: 'git_blame_result', path: 'a.txt', hunks: 'nope' });
+    expect(cb).not.toHaveBeenCalled();
+
+    _testMessageHandler.handle({
+      type: 'git_blame_result',
+      path: 'a.txt',
+      rev: null,
+      hunks: [{
+        hash: 'b'.repeat(40),
+        shortHash: 'bbbbbbb',
+        author: 'Dev',
+        date: '2026-01-01T00:00:00Z',
+        summary: 'Add a',
+        startLine: 1,
+        lines: ['one', 'two'],
+      }],
+      truncated: false,
+      error: null,
+    });
+    expect(cb).toHaveBeenCalledTimes(1);
+    expect(cb.mock.calls[0][0].hunks[0].lines).toEqual(['one', 'two']);
+  });
+
+  it('hands a valid git_branch_result to the gitBranch callback', () => {
+    const cb = jest.fn();
+    setCallback('gitBranch', cb);
+
+    _testMessageHandler.handle({
+      type: 'git_branch_result',
+      action: 'checkout',
+      branch: 'feature',
+      currentBranch: 'feature',
+      error: null,
+    });
+
+    expect(cb).toHaveBeenCalledWith(expect.objectContaining({ action: 'checkout', branch: 'feature', currentBranch: 'feature', error: null }));
+  });
+
+  it('resolves the gitBranch callback with an error on a malformed reply', () => {
+    const cb = jest.fn();
+    setCallback('gitBranch', cb);
+
+    _testMessageHandler.handle({ type: 'git_branch_result', action: 'rename' });
+
+    expect(cb).toHaveBeenCalledTimes(1);
+    expect(cb.mock.calls[0][0].action).toBeNull();
+    expect(cb.mock.calls[0][0].error).toBeTruthy();
+  });
+});
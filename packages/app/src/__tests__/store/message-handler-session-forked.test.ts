@@ -0,0 +1,104 @@
+/**
+ * Tests for the mobile session_forked feeder — the reply to the chat selection
+ * bar's Fork action. A valid reply raises one alert in the dashboard's wording
+ * (formatSessionForkedNotice); a malformed one is dropped.
+ */
+import { Alert } from 'react-native';
+import {
+  _testMessageHandler,
+  _testResetStore,
+  setStore,
+} from '../../store/message-handler';
+import type { ConnectionState } from '../../store/types';
+
+// Mock persistence so the handler's imports resolve without touching disk.
+jest.mock('../../store/persistence', () => ({
+  clearPersistedSession: jest.fn(() => Promise.resolve()),
+  persistSessionMessages: jest.fn(),
+  persistViewMode: jest.fn(),
+  persistActiveSession: jest.fn(),
+  persistTerminalBuffer: jest.fn(),
+  loadPersistedState: jest.fn(),
+  loadSessionMessages: jest.fn(),
+  clearPersistedState: jest.fn(),
+  _resetForTesting: jest.fn(),
+}));
+
+function createMockStore() {
+  let state = {
+    sessionStates: {},
+    sessionNotifications: [],
+    serverErrors: [],
+    activeSessionId: null,
+  } as unknown as ConnectionState;
+  return {
+    getState: () => state,
+    setState: (
+      updater: Partial<ConnectionState> | ((s: ConnectionState) => Partial<ConnectionState>),
+    ) => {
+      state = typeof updater === 'function'
+        ? { ...state, ...updater(state) }
+        : { ...state, ...updater };
+    },
+    subscribe: () => () => {},
+    destroy: () => {},
+  };
+}
+
+function createMockContext() {
+  return {
+    socket: { readyState: 1, send: jest.fn() } as any,
+    serverUrl: 'wss://test.example.com',
+    apiToken: 'test-token',
+    connectionId: 'test-conn-1',
+    reconnecting: false,
+    connectedAt: Date.now(),
+    isSessionSwitchReplay: false,
+    activeSessionIdAtConnect: null,
+    replayingSessions: new Set<string>(),
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  setStore(createMockStore() as any);
+  _testMessageHandler.setContext(createMockContext() as any);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  _testResetStore();
+  _testMessageHandler.setContext(null as never);
+});
+
+const forked = {
+  type: 'session_forked',
+  sourceSessionId: 'src',
+  messageId: 'msg-a-3',
+  sessionId: 'fork-1',
+  name: 'Fork: Refactor',
+  provider: 'codex',
+  carry: 'transcript',
+  worktree: true,
+  carriedMessages: 6,
+  truncated: false,
+};
+
+describe('session_forked feeder', () => {
+  it('announces what the fork carried', () => {
+    _testMessageHandler.handle(forked);
+
+    expect(Alert.alert).toHaveBeenCalledTimes(1);
+    const [title, text] = (Alert.alert as jest.Mock).mock.calls[0];
+    expect(title).toBe('Session forked');
+    expect(text).toContain('Forked into "Fork: Refactor"');
+    expect(text).toContain('sent with your first message');
+    expect(text).toContain('its own worktree');
+  });
+
+  it('drops a malformed payload', () => {
+    _testMessageHandler.handle({ ...forked, carry: 'everything' });
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+});
@@ -5415,6 +5415,35 @@ describe('auth_bootstrap (#5555)', () => {
   });
 });
 
+describe('device-token scope', () => {
+  it('takes tokenScope from auth_ok, defaulting to full when omitted', () => {
+    const store = createMockStore({ sessionStates: {} });
+    setStore(store as any);
+    _testMessageHandler.setContext(createMockContext() as any);
+
+    _testMessageHandler.handle({ type: 'auth_ok', clientId: 'client-1', connectedClients: [], tokenScope: 'observe' });
+    expect(store.getState().tokenScope).toBe('observe');
+
+    _testMessageHandler.handle({ type: 'auth_ok', clientId: 'client-1', connectedClients: [] });
+    expect(store.getState().tokenScope).toBe('full');
+  });
+
+  it('adopts the scope a TOKEN_SCOPE_FORBIDDEN refusal reports (live re-scope)', () => {
+    const store = createMockStore({ sessionStates: {}, tokenScope: 'full' });
+    setStore(store as any);
+    _testMessageHandler.setContext(createMockContext() as any);
+
+    _testMessageHandler.handle({
+      type: 'error',
+      code: 'TOKEN_SCOPE_FORBIDDEN',
+      message: "This device's 'approve' access does not allow input",
+      scope: 'approve',
+      messageType: 'input',
+    });
+    expect(store.getState().tokenScope).toBe('approve');
+  });
+});
+
 // #5555 (sub-item 7) — live tunnel-url rotation push.
 describe('tunnel_url_changed (#5555 sub-item 7)', () => {
   afterEach(() => {
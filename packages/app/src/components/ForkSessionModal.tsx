@@ -0,0 +1,247 @@
+/**
+ * ForkSessionModal — fork the active session from one message into a new
+ * session. Mobile counterpart of the dashboard's ForkSessionDialog.
+ *
+ * The fork carries the conversation up to and including the chosen message's
+ * turn, and the server copies the source's working tree into a fresh git
+ * worktree so both sessions can proceed side by side. The user picks the new
+ * session's provider (defaulting to the source's) and an optional name; an
+ * empty name lets the server use "Fork: <source name>". Terminal providers are
+ * not offered — a shell has no conversation to continue.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { USER_SHELL_PROVIDER } from '@chroxy/protocol';
+import { COLORS } from '../constants/colors';
+import { getProviderLabel } from '../constants/providers';
+import type { ProviderInfo } from '../store/types';
+
+interface ForkSessionModalProps {
+  visible: boolean;
+  /** The source session's name, for the default-name placeholder. */
+  sourceName: string;
+  /** The source session's provider — the preselected target. */
+  sourceProvider: string;
+  providers: ProviderInfo[];
+  onConfirm: (opts: { provider?: string; name?: string }) => void;
+  onCancel: () => void;
+}
+
+export function ForkSessionModal({
+  visible,
+  sourceName,
+  sourceProvider,
+  providers,
+  onConfirm,
+  onCancel,
+}: ForkSessionModalProps) {
+  const [provider, setProvider] = useState(sourceProvider);
+  const [name, setName] = useState('');
+
+  // Each opening starts from the source's provider and the default name.
+  useEffect(() => {
+    if (!visible) return;
+    setProvider(sourceProvider);
+    setName('');
+  }, [visible, sourceProvider]);
+
+  const options = providers
+    .filter((p) => p.name !== USER_SHELL_PROVIDER)
+    .map((p) => ({ name: p.name, ready: p.auth?.ready !== false }));
+  if (!options.some((p) => p.name === sourceProvider)) {
+    options.unshift({ name: sourceProvider, ready: true });
+  }
+  const crossProvider = provider !== sourceProvider;
+
+  const handleFork = () => {
+    const trimmed = name.trim();
+    onConfirm({
+      provider: crossProvider ? provider : undefined,
+      name: trimmed || undefined,
+    });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.modal} testID="fork-session-modal">
+          <Text style={styles.title}>Fork from this message</Text>
+          <Text style={styles.message}>
+            Starts a new session with the conversation up to this message and a copy
+            of the working tree in its own git worktree.
+            {crossProvider ? ' The conversation is carried over as a transcript with the first message you send.' : ''}
+          </Text>
+
+          <Text style={styles.label}>Name</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={`Fork: ${sourceName}`}
+            placeholderTextColor={COLORS.textDim}
+            value={name}
+            onChangeText={setName}
+            onSubmitEditing={handleFork}
+            maxLength={256}
+            autoCorrect={false}
+            accessibilityLabel="Fork name"
+            testID="fork-session-name"
+          />
+
+          <Text style={styles.label}>Provider</Text>
+          <View style={styles.providerRow}>
+            {options.map((p) => (
+              <TouchableOpacity
+                key={p.name}
+                style={[
+                  styles.providerChip,
+                  provider === p.name && styles.providerChipActive,
+                  !p.ready && styles.providerChipDisabled,
+                ]}
+                onPress={() => p.ready && setProvider(p.name)}
+                disabled={!p.ready}
+                accessibilityRole="button"
+                accessibilityLabel={`Provider: ${getProviderLabel(p.name)}${p.ready ? '' : ' (credentials missing)'}`}
+                accessibilityState={{ selected: provider === p.name, disabled: !p.ready }}
+                testID={`fork-session-provider-${p.name}`}
+              >
+                <Text style={[styles.providerChipText, provider === p.name && styles.providerChipTextActive]}>
+                  {getProviderLabel(p.name)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel} testID="fork-session-cancel">
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.forkButton}
+              onPress={handleFork}
+              accessibilityRole="button"
+              accessibilityLabel="Fork session"
+              testID="fork-session-confirm"
+            >
+              <Text style={styles.forkButtonText}>Fork</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  modal: {
+    width: '100%',
+    maxWidth: 360,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 16,
+    padding: 20,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  title: {
+    color: COLORS.textPrimary,
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  message: {
+    color: COLORS.textSecondary,
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  label: {
+    color: COLORS.textSecondary,
+    fontSize: 13,
+    fontWeight: '500',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: COLORS.backgroundInput,
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    color: COLORS.textPrimary,
+    fontSize: 15,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  providerRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+    flexWrap: 'wrap',
+  },
+  providerChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    backgroundColor: COLORS.backgroundInput,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  providerChipActive: {
+    backgroundColor: COLORS.accentBlue,
+    borderColor: COLORS.accentBlue,
+  },
+  providerChipDisabled: {
+    opacity: 0.5,
+  },
+  providerChipText: {
+    color: COLORS.textSecondary,
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  providerChipTextActive: {
+    color: COLORS.textPrimary,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    backgroundColor: COLORS.backgroundCard,
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    color: COLORS.textMuted,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  forkButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    backgroundColor: COLORS.accentBlue,
+    alignItems: 'center',
+  },
+  forkButtonText: {
+    color: COLORS.textPrimary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
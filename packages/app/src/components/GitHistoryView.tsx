@@ -0,0 +1,435 @@
+/**
+ * GitHistoryView — GitView's "History" tab: a paginated commit log (whole
+ * repo, or one file's history via `--follow`), a commit's diff, and file blame.
+ * The dashboard's GitPanel renders the same three views.
+ *
+ * The git_log / git_show / git_blame callbacks are durable while the tab is
+ * mounted, and every request carries a requestId the reply echoes, so a reply
+ * for a page / commit / file the user already navigated away from is dropped
+ * rather than rendered over the current view.
+ */
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  StyleSheet,
+  Platform,
+} from 'react-native';
+import { useConnectionStore } from '../store/connection';
+import type { GitLogCommit, GitLogResult, GitShowResult, GitBlameResult } from '../store/types';
+import { COLORS } from '../constants/colors';
+import { DiffHunkView } from './DiffViewer';
+
+const PAGE_SIZE = 50;
+
+type HistoryView =
+  | { kind: 'log' }
+  | { kind: 'commit'; hash: string }
+  | { kind: 'blame'; path: string; rev: string | null };
+
+function formatDate(iso: string): string {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function CommitRow({ commit, onOpen }: { commit: GitLogCommit; onOpen: (hash: string) => void }) {
+  return (
+    <TouchableOpacity
+      style={styles.logRow}
+      onPress={() => onOpen(commit.hash)}
+      accessibilityRole="button"
+      accessibilityLabel={`Commit ${commit.shortHash}: ${commit.subject}`}
+    >
+      <View style={styles.logRowTop}>
+        <Text style={styles.hash}>{commit.shortHash}</Text>
+        <Text style={styles.subject} numberOfLines={1}>{commit.subject}</Text>
+      </View>
+      <Text style={styles.meta}>{commit.author} · {formatDate(commit.date)}</Text>
+    </TouchableOpacity>
+  );
+}
+
+function LinkButton({ label, onPress, disabled, accessibilityLabel }: {
+  label: string;
+  onPress: () => void;
+  disabled?: boolean;
+  accessibilityLabel?: string;
+}) {
+  return (
+    <TouchableOpacity
+      style={[styles.linkButton, disabled && styles.disabled]}
+      onPress={onPress}
+      disabled={disabled}
+      accessibilityRole="button"
+      accessibilityLabel={accessibilityLabel ?? label}
+    >
+      <Text style={styles.linkButtonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+export function GitHistoryView() {
+  const setGitLogCallback = useConnectionStore((s) => s.setGitLogCallback);
+  const requestGitLog = useConnectionStore((s) => s.requestGitLog);
+  const setGitShowCallback = useConnectionStore((s) => s.setGitShowCallback);
+  const requestGitShow = useConnectionStore((s) => s.requestGitShow);
+  const setGitBlameCallback = useConnectionStore((s) => s.setGitBlameCallback);
+  const requestGitBlame = useConnectionStore((s) => s.requestGitBlame);
+
+  const [view, setView] = useState<HistoryView>({ kind: 'log' });
+  const [pathFilter, setPathFilter] = useState('');
+  const [appliedPath, setAppliedPath] = useState<string | null>(null);
+  const [commits, setCommits] = useState<GitLogCommit[]>([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [logLoading, setLogLoading] = useState(false);
+  const [logError, setLogError] = useState<string | null>(null);
+  const [show, setShow] = useState<GitShowResult | null>(null);
+  const [blame, setBlame] = useState<GitBlameResult | null>(null);
+  const [detailError, setDetailError] = useState<string | null>(null);
+
+  // Latest in-flight requestId per read; a reply carrying any other id was
+  // superseded and is ignored.
+  const logRequestRef = useRef<string | null>(null);
+  const showRequestRef = useRef<string | null>(null);
+  const blameRequestRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    setGitLogCallback((result: GitLogResult) => {
+      if (result.requestId !== logRequestRef.current) return;
+      logRequestRef.current = null;
+      setLogLoading(false);
+      setLogError(result.error);
+      if (result.error) return;
+      // skip === 0 is a fresh listing (filter change / refresh); anything else
+      // is a "Load more" page appended to what is already shown.
+      setCommits((prev) => (result.skip === 0 ? result.commits : [...prev, ...result.commits]));
+      setHasMore(result.hasMore);
+    });
+    setGitShowCallback((result: GitShowResult) => {
+      if (result.requestId !== showRequestRef.current) return;
+      showRequestRef.current = null;
+      setDetailError(result.error);
+      setShow(result.error ? null : result);
+    });
+    setGitBlameCallback((result: GitBlameResult) => {
+      if (result.requestId !== blameRequestRef.current) return;
+      blameRequestRef.current = null;
+      setDetailError(result.error);
+      setBlame(result.error ? null : result);
+    });
+    return () => {
+      setGitLogCallback(null);
+      setGitShowCallback(null);
+      setGitBlameCallback(null);
+    };
+  }, [setGitLogCallback, setGitShowCallback, setGitBlameCallback]);
+
+  const loadLog = useCallback((skip: number, path: string | null) => {
+    setLogLoading(true);
+    setLogError(null);
+    const requestId = requestGitLog({ skip, limit: PAGE_SIZE, ...(path ? { path } : {}) });
+    logRequestRef.current = requestId;
+    if (!requestId) {
+      setLogLoading(false);
+      setLogError('History not requested — reconnect and try again');
+    }
+  }, [requestGitLog]);
+
+  useEffect(() => {
+    loadLog(0, appliedPath);
+  }, [loadLog, appliedPath]);
+
+  const openCommit = useCallback((hash: string) => {
+    setShow(null);
+    setDetailError(null);
+    setView({ kind: 'commit', hash });
+    const requestId = requestGitShow(hash);
+    showRequestRef.current = requestId;
+    if (!requestId) setDetailError('Commit not requested — reconnect and try again');
+  }, [requestGitShow]);
+
+  const openBlame = useCallback((path: string, rev: string | null) => {
+    setBlame(null);
+    setDetailError(null);
+    setView({ kind: 'blame', path, rev });
+    const requestId = requestGitBlame(path, rev ?? undefined);
+    blameRequestRef.current = requestId;
+    if (!requestId) setDetailError('Blame not requested — reconnect and try again');
+  }, [requestGitBlame]);
+
+  const showFileHistory = useCallback((path: string) => {
+    setPathFilter(path);
+    setAppliedPath(path);
+    setView({ kind: 'log' });
+  }, []);
+
+  const backToLog = useCallback(() => {
+    showRequestRef.current = null;
+    blameRequestRef.current = null;
+    setDetailError(null);
+    setView({ kind: 'log' });
+  }, []);
+
+  const applyFilter = useCallback(() => {
+    const next = pathFilter.trim() || null;
+    if (next === appliedPath) loadLog(0, next);
+    else setAppliedPath(next);
+  }, [pathFilter, appliedPath, loadLog]);
+
+  const backLink = <LinkButton label="‹ History" onPress={backToLog} accessibilityLabel="Back to history" />;
+
+  if (view.kind === 'commit') {
+    return (
+      <View>
+        <View style={styles.nav}>
+          {backLink}
+          <Text style={styles.hash}>{view.hash.slice(0, 12)}</Text>
+        </View>
+        {detailError && <Text style={styles.errorText}>{detailError}</Text>}
+        {!detailError && !show && <ActivityIndicator size="small" color={COLORS.accentBlue} />}
+        {show?.commit && (
+          <>
+            <Text style={styles.commitSubject}>{show.commit.subject}</Text>
+            {show.commit.body ? <Text style={styles.commitBody}>{show.commit.body}</Text> : null}
+            <Text style={styles.meta}>
+              {show.commit.author} &lt;{show.commit.email}&gt; · {formatDate(show.commit.date)}
+            </Text>
+            {show.truncated && (
+              <Text style={styles.errorText}>
+                This commit's diff is too large to show in full — only the first files are listed.
+              </Text>
+            )}
+            {show.files.length === 0 && <Text style={styles.emptyText}>No file changes</Text>}
+            {show.files.map((file) => (
+              <View key={file.path} style={styles.commitFile}>
+                <Text style={styles.filePath}>
+                  {file.path}  <Text style={styles.additions}>+{file.additions}</Text>{' '}
+                  <Text style={styles.deletions}>-{file.deletions}</Text>
+                </Text>
+                <View style={styles.linkRow}>
+                  <LinkButton
+                    label="Blame at this commit"
+                    onPress={() => openBlame(file.path, show.commit!.hash)}
+                    accessibilityLabel={`Blame ${file.path} at this commit`}
+                  />
+                  <LinkButton
+                    label="File history"
+                    onPress={() => showFileHistory(file.path)}
+                    accessibilityLabel={`History of ${file.path}`}
+                  />
+                </View>
+                <ScrollView horizontal showsHorizontalScrollIndicator>
+                  <View>
+                    {file.hunks.map((hunk, i) => <DiffHunkView key={i} hunk={hunk} />)}
+                  </View>
+                </ScrollView>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  }
+
+  if (view.kind === 'blame') {
+    return (
+      <View>
+        <View style={styles.nav}>
+          {backLink}
+          <Text style={styles.filePath} numberOfLines={1}>{view.path}</Text>
+          {view.rev && <Text style={styles.hash}>@ {view.rev.slice(0, 7)}</Text>}
+        </View>
+        {detailError && <Text style={styles.errorText}>{detailError}</Text>}
+        {!detailError && !blame && <ActivityIndicator size="small" color={COLORS.accentBlue} />}
+        {blame && blame.hunks.length === 0 && <Text style={styles.emptyText}>Empty file</Text>}
+        {blame && blame.hunks.map((hunk) => (
+          <View key={`${hunk.startLine}-${hunk.hash}`} style={styles.blameHunk}>
+            <TouchableOpacity
+              onPress={() => openCommit(hunk.hash)}
+              disabled={/^0+$/.test(hunk.hash)}
+              accessibilityRole="button"
+              accessibilityLabel={`Open commit ${hunk.shortHash}: ${hunk.summary}`}
+            >
+              <Text style={styles.meta}>
+                <Text style={styles.hash}>{hunk.shortHash}</Text> {hunk.author} · {formatDate(hunk.date)}
+              </Text>
+            </TouchableOpacity>
+            <ScrollView horizontal showsHorizontalScrollIndicator>
+              <Text style={styles.blameLines}>
+                {hunk.lines.map((line, i) => `${String(hunk.startLine + i).padStart(5)}  ${line}`).join('\n')}
+              </Text>
+            </ScrollView>
+          </View>
+        ))}
+        {blame?.truncated && (
+          <Text style={styles.emptyText}>Blame stops here — the file is longer than the blame limit.</Text>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <TextInput
+        style={styles.filterInput}
+        placeholder="Filter by file path (optional)"
+        placeholderTextColor={COLORS.textDim}
+        value={pathFilter}
+        onChangeText={setPathFilter}
+        onSubmitEditing={applyFilter}
+        autoCapitalize="none"
+        autoCorrect={false}
+        maxLength={4096}
+        accessibilityLabel="Filter history by file path"
+      />
+      <View style={styles.linkRow}>
+        <LinkButton label="Show history" onPress={applyFilter} />
+        <LinkButton
+          label="Blame"
+          onPress={() => openBlame(pathFilter.trim(), null)}
+          disabled={!pathFilter.trim()}
+          accessibilityLabel="Blame this file"
+        />
+        {appliedPath && (
+          <LinkButton
+            label="Clear"
+            onPress={() => { setPathFilter(''); setAppliedPath(null); }}
+            accessibilityLabel="Clear the path filter"
+          />
+        )}
+      </View>
+      {logError && <Text style={styles.errorText}>{logError}</Text>}
+      {commits.map((c) => <CommitRow key={c.hash} commit={c} onOpen={openCommit} />)}
+      {!logLoading && !logError && commits.length === 0 && <Text style={styles.emptyText}>No commits yet</Text>}
+      {logLoading && <ActivityIndicator size="small" color={COLORS.accentBlue} />}
+      {hasMore && !logLoading && (
+        <LinkButton label="Load more" onPress={() => loadLog(commits.length, appliedPath)} accessibilityLabel="Load more commits" />
+      )}
+    </View>
+  );
+}
+
+const MONOSPACE = Platform.OS === 'ios' ? 'Menlo' : 'monospace';
+
+const styles = StyleSheet.create({
+  nav: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  linkRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginVertical: 6,
+  },
+  linkButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    minHeight: 36,
+    justifyContent: 'center',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  linkButtonText: {
+    color: COLORS.accentBlue,
+    fontSize: 13,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  filterInput: {
+    backgroundColor: COLORS.backgroundCard,
+    color: COLORS.textPrimary,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  logRow: {
+    paddingVertical: 8,
+    paddingHorizontal: 4,
+    minHeight: 44,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.borderPrimary,
+  },
+  logRowTop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  hash: {
+    color: COLORS.accentBlue,
+    fontSize: 12,
+    fontFamily: MONOSPACE,
+  },
+  subject: {
+    flex: 1,
+    color: COLORS.textPrimary,
+    fontSize: 14,
+  },
+  meta: {
+    color: COLORS.textDim,
+    fontSize: 12,
+    marginTop: 2,
+  },
+  commitSubject: {
+    color: COLORS.textPrimary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  commitBody: {
+    color: COLORS.textSecondary,
+    fontSize: 13,
+    marginTop: 4,
+  },
+  commitFile: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.borderPrimary,
+  },
+  filePath: {
+    flexShrink: 1,
+    color: COLORS.textPrimary,
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  additions: {
+    color: COLORS.accentGreen,
+  },
+  deletions: {
+    color: COLORS.accentRed,
+  },
+  blameHunk: {
+    marginBottom: 8,
+  },
+  blameLines: {
+    color: COLORS.textPrimary,
+    fontSize: 12,
+    fontFamily: MONOSPACE,
+    backgroundColor: COLORS.backgroundSecondary,
+    padding: 6,
+    borderRadius: 4,
+  },
+  errorText: {
+    color: COLORS.accentRed,
+    fontSize: 13,
+    marginVertical: 6,
+  },
+  emptyText: {
+    color: COLORS.textSecondary,
+    fontSize: 14,
+    textAlign: 'center',
+    paddingVertical: 16,
+  },
+});
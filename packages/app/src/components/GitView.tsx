@@ -9,7 +9,13 @@ import {
   Modal,
   Alert,
   ActivityIndicator,
+  Platform,
 } from 'react-native';
+import {
+  composeConflictResolutionPrompt,
+  conflictKindLabel,
+  conflictSideDescriptions,
+} from '@chroxy/store-core';
 import { useConnectionStore } from '../store/connection';
 import type {
   GitFileStatus,
@@ -17,16 +23,26 @@ import type {
   GitBranchesResult,
   GitStageResult,
   GitCommitResult,
+  GitConflictChoice,
+  GitConflictFile,
+  GitConflictsResult,
+  GitConflictResult,
+  GitBranchResult,
 } from '../store/types';
 import { COLORS } from '../constants/colors';
 import { Icon } from './Icon';
+import { GitHistoryView } from './GitHistoryView';
 
 interface GitViewProps {
   visible: boolean;
   onClose: () => void;
 }
 
-type TabId = 'changes' | 'branches';
+type TabId = 'changes' | 'branches' | 'history' | 'conflicts';
+
+// Per-hunk choices held until "Apply"; keyed by file path, then hunk index.
+type HunkChoice = Exclude<GitConflictChoice, 'custom'>;
+type ConflictChoices = Record<string, Record<number, HunkChoice>>;
 
 const STATUS_COLORS: Record<string, string> = {
   modified: COLORS.accentOrange,
@@ -110,6 +126,87 @@ function UntrackedItem({ path, selected, onToggle }: { path: string; selected: b
   );
 }
 
+function ConflictFileCard({
+  file,
+  choices,
+  sides,
+  busy,
+  onChoose,
+  onApply,
+  onTake,
+  onAskAgent,
+}: {
+  file: GitConflictFile;
+  choices: Record<number, HunkChoice>;
+  sides: { ours: string; theirs: string };
+  busy: boolean;
+  onChoose: (index: number, choice: HunkChoice) => void;
+  onApply: () => void;
+  onTake: (take: 'ours' | 'theirs') => void;
+  onAskAgent: () => void;
+}) {
+  const pickedCount = Object.keys(choices).length;
+  const perHunk = file.hash !== null && !file.binary && !file.tooLarge;
+  return (
+    <View style={styles.conflictFile}>
+      <Text style={styles.fileName}>{file.path}</Text>
+      <Text style={styles.fileDirPath}>{conflictKindLabel(file.kind)}</Text>
+      {file.binary && <Text style={styles.conflictNote}>Binary file — take one side.</Text>}
+      {file.tooLarge && <Text style={styles.conflictNote}>Too large to resolve hunk by hunk — take one side.</Text>}
+      {file.hunks.map((hunk) => {
+        const options: HunkChoice[] = hunk.base ? ['ours', 'theirs', 'both', 'base'] : ['ours', 'theirs', 'both'];
+        return (
+          <View key={hunk.index} style={styles.conflictHunk}>
+            <Text style={styles.conflictSideLabel}>Line {hunk.startLine}</Text>
+            <Text style={styles.conflictSideLabel}>Ours · {hunk.oursLabel || 'HEAD'} ({sides.ours})</Text>
+            <Text style={styles.conflictLines}>{hunk.ours.join('\n') || '(empty)'}</Text>
+            {hunk.base && (
+              <>
+                <Text style={styles.conflictSideLabel}>Base · {hunk.baseLabel || 'common ancestor'}</Text>
+                <Text style={styles.conflictLines}>{hunk.base.join('\n') || '(empty)'}</Text>
+              </>
+            )}
+            <Text style={styles.conflictSideLabel}>Theirs · {hunk.theirsLabel || 'incoming'} ({sides.theirs})</Text>
+            <Text style={styles.conflictLines}>{hunk.theirs.join('\n') || '(empty)'}</Text>
+            <View style={styles.conflictChoices}>
+              {options.map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.conflictChoice, choices[hunk.index] === option && styles.conflictChoiceSelected]}
+                  onPress={() => onChoose(hunk.index, option)}
+                  disabled={busy}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: choices[hunk.index] === option }}
+                  accessibilityLabel={`Use ${option} for hunk ${hunk.index + 1} of ${file.path}`}
+                >
+                  <Text style={styles.conflictChoiceText}>{option[0]!.toUpperCase() + option.slice(1)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        );
+      })}
+      <View style={styles.actionBar}>
+        {perHunk && (
+          <TouchableOpacity style={styles.actionButton} onPress={onApply} disabled={busy} accessibilityRole="button" accessibilityLabel={`Apply choices to ${file.path}`}>
+            <Text style={styles.actionButtonText}>{pickedCount === 0 ? 'Mark resolved' : `Apply ${pickedCount}`}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.actionButton} onPress={() => onTake('ours')} disabled={busy} accessibilityRole="button" accessibilityLabel={`Take ours for ${file.path}`}>
+          <Text style={styles.actionButtonText}>Ours</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => onTake('theirs')} disabled={busy} accessibilityRole="button" accessibilityLabel={`Take theirs for ${file.path}`}>
+          <Text style={styles.actionButtonText}>Theirs</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={onAskAgent} accessibilityRole="button" accessibilityLabel={`Ask the agent to resolve ${file.path}`}>
+          <Icon name="chatbubble" size={14} color={COLORS.accentGreen} />
+          <Text style={styles.actionButtonText}>Ask agent</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
 export function GitView({ visible, onClose }: GitViewProps) {
   const [activeTab, setActiveTab] = useState<TabId>('changes');
   const [loading, setLoading] = useState(false);
@@ -137,6 +234,33 @@ export function GitView({ visible, onClose }: GitViewProps) {
   const stageCallbackRef = useRef<((result: GitStageResult) => void) | null>(null);
   const commitCallbackRef = useRef<((result: GitCommitResult) => void) | null>(null);
 
+  // Conflicts tab
+  const [conflicts, setConflicts] = useState<GitConflictsResult | null>(null);
+  const [conflictChoices, setConflictChoices] = useState<ConflictChoices>({});
+  const [conflictBusy, setConflictBusy] = useState(false);
+  const [conflictError, setConflictError] = useState<string | null>(null);
+  const [conflictNotice, setConflictNotice] = useState<string | null>(null);
+  const setGitConflictsCallback = useConnectionStore((s) => s.setGitConflictsCallback);
+  const setGitConflictCallback = useConnectionStore((s) => s.setGitConflictCallback);
+  const requestGitConflicts = useConnectionStore((s) => s.requestGitConflicts);
+  const requestGitConflictResolve = useConnectionStore((s) => s.requestGitConflictResolve);
+  const requestGitConflictContinue = useConnectionStore((s) => s.requestGitConflictContinue);
+  const requestGitConflictAbort = useConnectionStore((s) => s.requestGitConflictAbort);
+  const sendInput = useConnectionStore((s) => s.sendInput);
+
+  // Branch create / switch / delete. One action in flight at a time (they
+  // share the git_branch_result one-shot). `forceDeleteCandidate` is set when
+  // a plain delete was refused for unmerged work, offering `-D` explicitly.
+  const [newBranchName, setNewBranchName] = useState('');
+  const [newBranchCheckout, setNewBranchCheckout] = useState(true);
+  const [branchBusy, setBranchBusy] = useState(false);
+  const [branchError, setBranchError] = useState<string | null>(null);
+  const [forceDeleteCandidate, setForceDeleteCandidate] = useState<string | null>(null);
+  const setGitBranchCallback = useConnectionStore((s) => s.setGitBranchCallback);
+  const requestGitBranchCreate = useConnectionStore((s) => s.requestGitBranchCreate);
+  const requestGitCheckout = useConnectionStore((s) => s.requestGitCheckout);
+  const requestGitBranchDelete = useConnectionStore((s) => s.requestGitBranchDelete);
+
   // Fetch data when modal opens
   useEffect(() => {
     if (!visible) return;
@@ -178,8 +302,182 @@ export function GitView({ visible, onClose }: GitViewProps) {
     return () => {
       if (stageCallbackRef.current) setGitStageCallback(null);
       if (commitCallbackRef.current) setGitCommitCallback(null);
+      setGitBranchCallback(null);
     };
-  }, [setGitStageCallback, setGitCommitCallback]);
+  }, [setGitStageCallback, setGitCommitCallback, setGitBranchCallback]);
+
+  // Shared runner for the three branch mutations: arms the git_branch_result
+  // one-shot, sends, and on success re-reads both the branch list and status
+  // (a switch changes the working tree, so the Changes tab must not go stale).
+  const runBranchAction = useCallback((send: () => boolean, notConnectedMessage: string, onResult?: (result: GitBranchResult) => void) => {
+    setBranchError(null);
+    setForceDeleteCandidate(null);
+    setBranchBusy(true);
+    setGitBranchCallback((result: GitBranchResult) => {
+      setGitBranchCallback(null);
+      setBranchBusy(false);
+      onResult?.(result);
+      if (result.error) {
+        setBranchError(result.error);
+        return;
+      }
+      requestGitBranches();
+      setGitStatusCallback((r: GitStatusResult) => {
+        if (!r.error) {
+          setBranch(r.branch);
+          setStaged(r.staged);
+          setUnstaged(r.unstaged);
+          setUntracked(r.untracked);
+        }
+        setGitStatusCallback(null);
+      });
+      requestGitStatus();
+    });
+    if (!send()) {
+      setGitBranchCallback(null);
+      setBranchBusy(false);
+      setBranchError(notConnectedMessage);
+    }
+  }, [setGitBranchCallback, requestGitBranches, setGitStatusCallback, requestGitStatus]);
+
+  const handleCreateBranch = useCallback(() => {
+    const name = newBranchName.trim();
+    if (!name || branchBusy) return;
+    runBranchAction(
+      () => requestGitBranchCreate({ name, checkout: newBranchCheckout }),
+      'Branch not created — reconnect and try again',
+      (result) => { if (!result.error) setNewBranchName(''); },
+    );
+  }, [newBranchName, newBranchCheckout, branchBusy, runBranchAction, requestGitBranchCreate]);
+
+  const handleCheckout = useCallback((name: string) => {
+    if (branchBusy) return;
+    runBranchAction(() => requestGitCheckout(name), 'Switch not sent — reconnect and try again');
+  }, [branchBusy, runBranchAction, requestGitCheckout]);
+
+  const handleDeleteBranch = useCallback((name: string, force: boolean) => {
+    if (branchBusy) return;
+    const title = force ? 'Force delete branch?' : 'Delete branch?';
+    const message = force
+      ? `Delete ${name} even though it has commits not merged anywhere else? Those commits will only be reachable from the reflog.`
+      : `Delete the local branch ${name}?`;
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => runBranchAction(
+          () => requestGitBranchDelete({ name, force }),
+          'Delete not sent — reconnect and try again',
+          (result) => {
+            if (!force && result.error && /not fully merged/i.test(result.error)) {
+              setForceDeleteCandidate(name);
+            }
+          },
+        ),
+      },
+    ]);
+  }, [branchBusy, runBranchAction, requestGitBranchDelete]);
+
+  const loadConflicts = useCallback(() => {
+    if (!requestGitConflicts()) setConflictError('Conflicts not requested — reconnect and try again');
+  }, [requestGitConflicts]);
+
+  // The conflicts read is durable while the Conflicts tab is open; choices for
+  // files that are no longer conflicted are dropped on every reply.
+  useEffect(() => {
+    if (!visible || activeTab !== 'conflicts') return;
+    setGitConflictsCallback((result: GitConflictsResult) => {
+      setConflictError(result.error);
+      setConflicts(result.error ? null : result);
+      if (result.error) return;
+      setConflictChoices((prev) => {
+        const next: ConflictChoices = {};
+        for (const file of result.files) if (prev[file.path]) next[file.path] = prev[file.path]!;
+        return next;
+      });
+    });
+    loadConflicts();
+    return () => {
+      setGitConflictsCallback(null);
+      setGitConflictCallback(null);
+    };
+  }, [visible, activeTab, setGitConflictsCallback, setGitConflictCallback, loadConflicts]);
+
+  // Shared runner for resolve / continue / abort (one git_conflict_result
+  // one-shot). A refusal — e.g. a turn is running on the working tree — is
+  // shown inline and changes nothing; success re-reads the conflicts.
+  const runConflictAction = useCallback((send: () => boolean, onDone?: (result: GitConflictResult) => void) => {
+    setConflictBusy(true);
+    setConflictError(null);
+    setConflictNotice(null);
+    setGitConflictCallback((result: GitConflictResult) => {
+      setGitConflictCallback(null);
+      setConflictBusy(false);
+      if (result.error) {
+        setConflictError(result.error);
+        return;
+      }
+      onDone?.(result);
+      loadConflicts();
+    });
+    if (!send()) {
+      setGitConflictCallback(null);
+      setConflictBusy(false);
+      setConflictError('Not connected — reconnect and try again');
+    }
+  }, [setGitConflictCallback, loadConflicts]);
+
+  const handleApplyConflictChoices = useCallback((file: GitConflictFile) => {
+    const picked = conflictChoices[file.path] ?? {};
+    const resolutions = Object.entries(picked).map(([index, choice]) => ({ index: Number(index), choice }));
+    runConflictAction(
+      () => requestGitConflictResolve({ path: file.path, hash: file.hash, resolutions }),
+      (result) => {
+        setConflictChoices((prev) => {
+          const next = { ...prev };
+          delete next[file.path];
+          return next;
+        });
+        setConflictNotice(result.staged
+          ? `${file.path} resolved and staged`
+          : `${result.remaining} conflict${result.remaining === 1 ? '' : 's'} left in ${file.path}`);
+      },
+    );
+  }, [conflictChoices, runConflictAction, requestGitConflictResolve]);
+
+  const handleTakeConflictSide = useCallback((file: GitConflictFile, take: 'ours' | 'theirs') => {
+    runConflictAction(
+      () => requestGitConflictResolve({ path: file.path, take }),
+      () => setConflictNotice(`${file.path} resolved with ${take}`),
+    );
+  }, [runConflictAction, requestGitConflictResolve]);
+
+  const handleAskAgentToResolve = useCallback((file: GitConflictFile) => {
+    const prompt = composeConflictResolutionPrompt(file, conflicts?.operation ?? null);
+    if (sendInput(prompt)) setConflictNotice(`Asked the agent to resolve ${file.path}`);
+    else setConflictError('Not connected — reconnect and try again');
+  }, [conflicts, sendInput]);
+
+  const handleContinueOperation = useCallback(() => {
+    runConflictAction(requestGitConflictContinue, (result) => {
+      setConflictNotice(result.operation
+        ? `Stopped on the next conflict — ${result.remaining} file${result.remaining === 1 ? '' : 's'} to resolve`
+        : `The ${conflicts?.operation ?? 'operation'} is complete`);
+    });
+  }, [runConflictAction, requestGitConflictContinue, conflicts]);
+
+  const handleAbortOperation = useCallback(() => {
+    const operation = conflicts?.operation ?? 'operation';
+    Alert.alert(`Abort the ${operation}?`, 'The working tree is restored to how it was before it started. Resolutions made so far are discarded.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Abort',
+        style: 'destructive',
+        onPress: () => runConflictAction(requestGitConflictAbort, () => setConflictNotice(`The ${operation} was aborted`)),
+      },
+    ]);
+  }, [conflicts, runConflictAction, requestGitConflictAbort]);
 
   const toggleSelection = useCallback((path: string) => {
     setSelectedPaths((prev) => {
@@ -444,15 +742,89 @@ export function GitView({ visible, onClose }: GitViewProps) {
 
     return (
       <View style={styles.tabContent}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>New branch</Text>
+          <TextInput
+            style={styles.branchInput}
+            placeholder="Branch name"
+            placeholderTextColor={COLORS.textDim}
+            value={newBranchName}
+            onChangeText={setNewBranchName}
+            onSubmitEditing={handleCreateBranch}
+            autoCapitalize="none"
+            autoCorrect={false}
+            maxLength={255}
+            editable={!branchBusy}
+            accessibilityLabel="New branch name"
+          />
+          <View style={styles.branchCreateRow}>
+            <TouchableOpacity
+              style={styles.branchCheckoutToggle}
+              onPress={() => setNewBranchCheckout((v) => !v)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: newBranchCheckout }}
+              accessibilityLabel="Switch to the new branch"
+            >
+              <View style={[styles.checkbox, newBranchCheckout && styles.checkboxSelected]}>
+                {newBranchCheckout && <Icon name="check" size={12} color={COLORS.textPrimary} />}
+              </View>
+              <Text style={styles.branchName}>Switch to it</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, (!newBranchName.trim() || branchBusy) && styles.commitButtonDisabled]}
+              onPress={handleCreateBranch}
+              disabled={!newBranchName.trim() || branchBusy}
+              accessibilityRole="button"
+              accessibilityLabel="Create branch"
+            >
+              {branchBusy ? <ActivityIndicator size="small" color={COLORS.accentGreen} /> : <Icon name="plus" size={14} color={COLORS.accentGreen} />}
+              <Text style={styles.actionButtonText}>Create</Text>
+            </TouchableOpacity>
+          </View>
+          {branchError && <Text style={styles.branchError}>{branchError}</Text>}
+          {forceDeleteCandidate && (
+            <TouchableOpacity
+              style={[styles.actionButton, { borderColor: COLORS.accentRed, alignSelf: 'flex-start' }]}
+              onPress={() => handleDeleteBranch(forceDeleteCandidate, true)}
+              disabled={branchBusy}
+              accessibilityRole="button"
+              accessibilityLabel={`Force delete ${forceDeleteCandidate}`}
+            >
+              <Text style={[styles.actionButtonText, { color: COLORS.accentRed }]}>Force delete {forceDeleteCandidate}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
         {local.length > 0 && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Local ({local.length})</Text>
             {local.map((b) => (
               <View key={b.name} style={styles.branchItem}>
                 {b.isCurrent && <Icon name="check" size={14} color={COLORS.accentGreen} />}
-                <Text style={[styles.branchName, b.isCurrent && styles.branchNameCurrent]}>
+                <Text style={[styles.branchName, b.isCurrent && styles.branchNameCurrent, styles.branchNameFlex]}>
                   {b.name}
                 </Text>
+                {!b.isCurrent && (
+                  <>
+                    <TouchableOpacity
+                      style={styles.branchAction}
+                      onPress={() => handleCheckout(b.name)}
+                      disabled={branchBusy}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Switch to ${b.name}`}
+                    >
+                      <Text style={styles.branchActionText}>Switch</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.branchAction}
+                      onPress={() => handleDeleteBranch(b.name, false)}
+                      disabled={branchBusy}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Delete ${b.name}`}
+                    >
+                      <Text style={[styles.branchActionText, { color: COLORS.accentRed }]}>Delete</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
               </View>
             ))}
           </View>
@@ -462,7 +834,16 @@ export function GitView({ visible, onClose }: GitViewProps) {
             <Text style={styles.sectionTitle}>Remote ({remote.length})</Text>
             {remote.map((b) => (
               <View key={b.name} style={styles.branchItem}>
-                <Text style={styles.branchNameRemote}>{b.name}</Text>
+                <Text style={[styles.branchNameRemote, styles.branchNameFlex]}>{b.name}</Text>
+                <TouchableOpacity
+                  style={styles.branchAction}
+                  onPress={() => handleCheckout(b.name)}
+                  disabled={branchBusy}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Check out ${b.name}`}
+                >
+                  <Text style={styles.branchActionText}>Check out</Text>
+                </TouchableOpacity>
               </View>
             ))}
           </View>
@@ -476,6 +857,72 @@ export function GitView({ visible, onClose }: GitViewProps) {
     );
   };
 
+  const renderConflictsTab = () => {
+    const operation = conflicts?.operation ?? null;
+    const files = conflicts?.files ?? [];
+    const sides = conflictSideDescriptions(operation);
+    return (
+      <View style={styles.tabContent}>
+        <Text style={styles.sectionTitle}>
+          {operation
+            ? `${operation} in progress${conflicts?.branch ? ` on ${conflicts.branch}` : ''}`
+            : 'No merge, rebase, cherry-pick or revert in progress'}
+        </Text>
+        {conflictError && <Text style={styles.errorText}>{conflictError}</Text>}
+        {conflictNotice && !conflictError && <Text style={styles.conflictNotice}>{conflictNotice}</Text>}
+        {conflicts && files.length === 0 && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>No conflicted files</Text>
+          </View>
+        )}
+        {files.map((file) => (
+          <ConflictFileCard
+            key={file.path}
+            file={file}
+            choices={conflictChoices[file.path] ?? {}}
+            sides={sides}
+            busy={conflictBusy}
+            onChoose={(index, choice) =>
+              setConflictChoices((prev) => ({ ...prev, [file.path]: { ...prev[file.path], [index]: choice } }))}
+            onApply={() => handleApplyConflictChoices(file)}
+            onTake={(take) => handleTakeConflictSide(file, take)}
+            onAskAgent={() => handleAskAgentToResolve(file)}
+          />
+        ))}
+        {operation && (
+          <View style={styles.actionBar}>
+            <TouchableOpacity
+              style={[styles.actionButton, files.length > 0 && styles.commitButtonDisabled]}
+              onPress={handleContinueOperation}
+              disabled={conflictBusy || files.length > 0}
+              accessibilityRole="button"
+              accessibilityLabel={`Continue the ${operation}`}
+            >
+              {conflictBusy ? <ActivityIndicator size="small" color={COLORS.accentGreen} /> : null}
+              <Text style={styles.actionButtonText}>Continue {operation}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, { borderColor: COLORS.accentRed }]}
+              onPress={handleAbortOperation}
+              disabled={conflictBusy}
+              accessibilityRole="button"
+              accessibilityLabel={`Abort the ${operation}`}
+            >
+              <Text style={[styles.actionButtonText, { color: COLORS.accentRed }]}>Abort</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderActiveTab = () => {
+    if (activeTab === 'changes') return renderChangesTab();
+    if (activeTab === 'branches') return renderBranchesTab();
+    if (activeTab === 'history') return <View style={styles.tabContent}><GitHistoryView /></View>;
+    return renderConflictsTab();
+  };
+
   return (
     <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
       <View style={styles.overlay}>
@@ -514,6 +961,22 @@ export function GitView({ visible, onClose }: GitViewProps) {
             >
               <Text style={[styles.tabText, activeTab === 'branches' && styles.tabTextActive]}>Branches</Text>
             </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.tab, activeTab === 'history' && styles.tabActive]}
+              onPress={() => setActiveTab('history')}
+              accessibilityRole="tab"
+              accessibilityState={{ selected: activeTab === 'history' }}
+            >
+              <Text style={[styles.tabText, activeTab === 'history' && styles.tabTextActive]}>History</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.tab, activeTab === 'conflicts' && styles.tabActive]}
+              onPress={() => setActiveTab('conflicts')}
+              accessibilityRole="tab"
+              accessibilityState={{ selected: activeTab === 'conflicts' }}
+            >
+              <Text style={[styles.tabText, activeTab === 'conflicts' && styles.tabTextActive]}>Conflicts</Text>
+            </TouchableOpacity>
           </View>
 
           {/* Content */}
@@ -533,7 +996,7 @@ export function GitView({ visible, onClose }: GitViewProps) {
           {!loading && !error && (
             <FlatList
               data={[null]}
-              renderItem={() => activeTab === 'changes' ? renderChangesTab() : renderBranchesTab()}
+              renderItem={renderActiveTab}
               keyExtractor={() => activeTab}
               showsVerticalScrollIndicator={false}
               contentContainerStyle={styles.scrollContent}
@@ -765,6 +1228,49 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: COLORS.textDim,
   },
+  branchNameFlex: {
+    flex: 1,
+  },
+  branchAction: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    minHeight: 36,
+    justifyContent: 'center',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  branchActionText: {
+    fontSize: 13,
+    color: COLORS.accentBlue,
+  },
+  branchInput: {
+    backgroundColor: COLORS.backgroundCard,
+    color: COLORS.textPrimary,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  branchCreateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  branchCheckoutToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    minHeight: 44,
+  },
+  branchError: {
+    color: COLORS.accentRed,
+    fontSize: 13,
+    marginTop: 8,
+  },
   loadingState: {
     flex: 1,
     alignItems: 'center',
@@ -795,4 +1301,58 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: '500',
   },
+  conflictFile: {
+    marginBottom: 16,
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.borderPrimary,
+  },
+  conflictHunk: {
+    marginTop: 8,
+  },
+  conflictSideLabel: {
+    color: COLORS.textDim,
+    fontSize: 12,
+    marginTop: 4,
+  },
+  conflictLines: {
+    color: COLORS.textPrimary,
+    fontSize: 12,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    backgroundColor: COLORS.backgroundSecondary,
+    padding: 6,
+    borderRadius: 4,
+  },
+  conflictChoices: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 6,
+  },
+  conflictChoice: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    minHeight: 36,
+    justifyContent: 'center',
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: COLORS.borderPrimary,
+  },
+  conflictChoiceSelected: {
+    borderColor: COLORS.accentBlue,
+    backgroundColor: COLORS.accentBlue + '22',
+  },
+  conflictChoiceText: {
+    color: COLORS.textPrimary,
+    fontSize: 13,
+  },
+  conflictNote: {
+    color: COLORS.textSecondary,
+    fontSize: 13,
+    marginTop: 4,
+  },
+  conflictNotice: {
+    color: COLORS.accentGreen,
+    fontSize: 13,
+    marginBottom: 8,
+  },
 });
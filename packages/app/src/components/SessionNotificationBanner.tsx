@@ -6,6 +6,7 @@ import {
   StyleSheet,
   Platform,
 } from 'react-native';
+import { scopeAllowsInput, scopeAllowsPromptAnswers } from '@chroxy/store-core';
 import { useConnectionStore } from '../store/connection';
 import { useConnectionLifecycleStore } from '../store/connection-lifecycle';
 import type { SessionNotification } from '../store/connection';
@@ -31,14 +32,19 @@ function NotificationRow({ notification }: { notification: SessionNotification }
   // connection, like the in-bubble buttons. The server expires the pending
   // request on disconnect, so answering from a cached banner can't land.
   const connected = useConnectionLifecycleStore((s) => s.connectionPhase === 'connected');
+  // A scoped device token would be refused these answers (TOKEN_SCOPE_FORBIDDEN),
+  // so its rows fall back to a plain Dismiss: permissions need `approve`, a
+  // plan response is input and needs `full`.
+  const tokenScope = useConnectionStore((s) => s.tokenScope);
 
   const dotColor =
     notification.eventType === 'error' ? COLORS.accentRed :
     notification.eventType === 'completed' ? COLORS.accentGreen :
     COLORS.accentOrange;
 
-  const isPermission = notification.eventType === 'permission' && !!notification.requestId;
-  const isPlan = notification.eventType === 'plan';
+  const isPermission =
+    notification.eventType === 'permission' && !!notification.requestId && scopeAllowsPromptAnswers(tokenScope);
+  const isPlan = notification.eventType === 'plan' && scopeAllowsInput(tokenScope);
 
   const handleApprove = () => {
     // #6078 — only dismiss the banner row when the answer actually went over
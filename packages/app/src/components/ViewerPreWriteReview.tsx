@@ -24,7 +24,7 @@
  */
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
-import { findPendingWriteForFile } from '@chroxy/store-core';
+import { findPendingWriteForFile, scopeAllowsPromptAnswers } from '@chroxy/store-core';
 import type { ChatMessage } from '@chroxy/store-core';
 import { useConnectionStore } from '../store/connection';
 import { PreWriteDiffReview, isReviewableTool } from './PreWriteDiffReview';
@@ -58,6 +58,8 @@ export function ViewerPreWriteReview({ filePath }: ViewerPreWriteReviewProps) {
   const pulledInput = useConnectionStore((s) => (requestId ? s.permissionInputs?.[requestId] : undefined));
   const requestPermissionInput = useConnectionStore((s) => s.requestPermissionInput);
   const sendPermissionResponse = useConnectionStore((s) => s.sendPermissionResponse);
+  // The review exists to answer the prompt — an observe device token can't.
+  const canAnswer = useConnectionStore((s) => scopeAllowsPromptAnswers(s.tokenScope));
 
   const [editedInput, setEditedInput] = useState<Record<string, string> | null>(null);
   // Double-submit guard: flips synchronously on the first press, before the
@@ -81,7 +83,7 @@ export function ViewerPreWriteReview({ filePath }: ViewerPreWriteReviewProps) {
     }
   }, [ideEnabled, requestId, pulledInput, requestPermissionInput]);
 
-  if (!ideEnabled || !pending || !requestId) return null;
+  if (!ideEnabled || !pending || !requestId || !canAnswer) return null;
 
   // Narrow the discriminated `permission_input` union: only found:true carries
   // `input` (found:false is a security message with no tool input).
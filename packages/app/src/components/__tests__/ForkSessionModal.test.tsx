@@ -0,0 +1,75 @@
+import React from 'react';
+import renderer, { act, ReactTestInstance } from 'react-test-renderer';
+import { Text } from 'react-native';
+import { ForkSessionModal } from '../ForkSessionModal';
+import type { ProviderInfo } from '../../store/types';
+
+const providers = [
+  { name: 'claude-sdk', capabilities: {} },
+  { name: 'codex', capabilities: {} },
+  { name: 'user-shell', capabilities: {} },
+] as unknown as ProviderInfo[];
+
+function render(onConfirm = jest.fn(), onCancel = jest.fn()) {
+  let tree!: renderer.ReactTestRenderer;
+  act(() => {
+    tree = renderer.create(
+      <ForkSessionModal
+        visible
+        sourceName="Refactor"
+        sourceProvider="claude-sdk"
+        providers={providers}
+        onConfirm={onConfirm}
+        onCancel={onCancel}
+      />,
+    );
+  });
+  return { root: tree.root, onConfirm, onCancel };
+}
+
+function byTestId(root: ReactTestInstance, id: string): ReactTestInstance {
+  return root.find((n) => n.props.testID === id && typeof n.type !== 'string');
+}
+
+function hasTestId(root: ReactTestInstance, id: string): boolean {
+  return root.findAll((n) => n.props.testID === id).length > 0;
+}
+
+function allText(root: ReactTestInstance): string {
+  return root.findAllByType(Text).map((t) => {
+    const c = t.props.children;
+    return Array.isArray(c) ? c.join('') : String(c);
+  }).join(' ');
+}
+
+describe('ForkSessionModal', () => {
+  it('hides terminal providers and defaults the name placeholder', () => {
+    const { root } = render();
+    expect(hasTestId(root, 'fork-session-provider-claude-sdk')).toBe(true);
+    expect(hasTestId(root, 'fork-session-provider-codex')).toBe(true);
+    expect(hasTestId(root, 'fork-session-provider-user-shell')).toBe(false);
+    expect(byTestId(root, 'fork-session-name').props.placeholder).toBe('Fork: Refactor');
+  });
+
+  it('leaves the same provider and an empty name to the server defaults', () => {
+    const { root, onConfirm } = render();
+    act(() => { byTestId(root, 'fork-session-confirm').props.onPress(); });
+    expect(onConfirm).toHaveBeenCalledWith({ provider: undefined, name: undefined });
+  });
+
+  it('sends a changed provider and a trimmed name', () => {
+    const { root, onConfirm } = render();
+    act(() => { byTestId(root, 'fork-session-provider-codex').props.onPress(); });
+    expect(allText(root)).toContain('carried over as a transcript');
+    act(() => { byTestId(root, 'fork-session-name').props.onChangeText('  Try codex  '); });
+    act(() => { byTestId(root, 'fork-session-confirm').props.onPress(); });
+    expect(onConfirm).toHaveBeenCalledWith({ provider: 'codex', name: 'Try codex' });
+  });
+
+  it('cancels without confirming', () => {
+    const { root, onConfirm, onCancel } = render();
+    act(() => { byTestId(root, 'fork-session-cancel').props.onPress(); });
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(onConfirm).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+import React from 'react';
+import renderer, { act, ReactTestInstance } from 'react-test-renderer';
+import { Text, TouchableOpacity } from 'react-native';
+import { GitHistoryView } from '../GitHistoryView';
+import { useConnectionStore } from '../../store/connection';
+
+jest.mock('../../store/connection', () => ({
+  useConnectionStore: jest.fn(),
+}));
+
+const mockUseConnectionStore = useConnectionStore as unknown as jest.Mock;
+
+const callbacks: Record<string, ((result: any) => void) | null> = {};
+const mockRequestGitLog = jest.fn();
+const mockRequestGitShow = jest.fn();
+const mockRequestGitBlame = jest.fn();
+
+function setupStore() {
+  mockUseConnectionStore.mockImplementation((selector: any) => selector({
+    setGitLogCallback: (cb: any) => { callbacks.log = cb; },
+    setGitShowCallback: (cb: any) => { callbacks.show = cb; },
+    setGitBlameCallback: (cb: any) => { callbacks.blame = cb; },
+    requestGitLog: mockRequestGitLog,
+    requestGitShow: mockRequestGitShow,
+    requestGitBlame: mockRequestGitBlame,
+  }));
+}
+
+function commit(n: number) {
+  return {
+    hash: String(n).repeat(40).slice(0, 40),
+    shortHash: String(n).repeat(7).slice(0, 7),
+    author: 'Dev',
+    email: 'dev@example.com',
+    date: '2026-01-01T00:00:00Z',
+    parents: [],
+    subject: `Commit ${n}`,
+  };
+}
+
+function texts(root: ReactTestInstance): string[] {
+  return root.findAllByType(Text).map((t) => {
+    const c = t.props.children;
+    return Array.isArray(c) ? c.join('') : String(c);
+  });
+}
+
+function pressByLabel(root: ReactTestInstance, label: string) {
+  const button = root.findAll((n) => n.type === TouchableOpacity && n.props.accessibilityLabel === label)[0];
+  if (!button) throw new Error(`No button labelled ${label}`);
+  act(() => { button.props.onPress(); });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of Object.keys(callbacks)) delete callbacks[key];
+  setupStore();
+  mockRequestGitLog.mockReturnValue('git-log-1');
+  mockRequestGitShow.mockReturnValue('git-show-1');
+  mockRequestGitBlame.mockReturnValue('git-blame-1');
+});
+
+describe('GitHistoryView', () => {
+  it('requests the first page on mount and renders the reply', () => {
+    let tree!: renderer.ReactTestRenderer;
+    act(() => { tree = renderer.create(<GitHistoryView />); });
+    expect(mockRequestGitLog).toHaveBeenCalledWith({ skip: 0, limit: 50 });
+
+    act(() => {
+      callbacks.log!({ commits: [commit(1)], skip: 0, hasMore: false, path: null, error: null, requestId: 'git-log-1' });
+    });
+    expect(texts(tree.root)).toContain('Commit 1');
+  });
+
+  it('drops a reply for a superseded request', () => {
+    let tree!: renderer.ReactTestRenderer;
+    act(() => { tree = renderer.create(<GitHistoryView />); });
+
+    act(() => {
+      callbacks.log!({ commits: [commit(2)], skip: 0, hasMore: false, path: null, error: null, requestId: 'git-log-stale' });
+    });
+    expect(texts(tree.root)).not.toContain('Commit 2');
+  });
+
+  it('appends a "Load more" page after the commits already shown', () => {
+    let tree!: renderer.ReactTestRenderer;
+    act(() => { tree = renderer.create(<GitHistoryView />); });
+    act(() => {
+      callbacks.log!({ commits: [commit(1)], skip: 0, hasMore: true, path: null, error: null, requestId: 'git-log-1' });
+    });
+
+    mockRequestGitLog.mockReturnValue('git-log-2');
+    pressByLabel(tree.root, 'Load more commits');
+    expect(mockRequestGitLog).toHaveBeenLastCalledWith({ skip: 1, limit: 50 });
+
+    act(() => {
+      callbacks.log!({ commits: [commit(2)], skip: 1, hasMore: false, path: null, error: null, requestId: 'git-log-2' });
+    });
+    const shown = texts(tree.root);
+    expect(shown).toContain('Commit 1');
+    expect(shown).toContain('Commit 2');
+  });
+
+  it('opens a commit when its row is tapped', () => {
+    let tree!: renderer.ReactTestRenderer;
+    act(() => { tree = renderer.create(<GitHistoryView />); });
+    act(() => {
+      callbacks.log!({ commits: [commit(1)], skip: 0, hasMore: false, path: null, error: null, requestId: 'git-log-1' });
+    });
+
+    pressByLabel(tree.root, 'Commit 1111111: Commit 1');
+    expect(mockRequestGitShow).toHaveBeenCalledWith(commit(1).hash);
+
+    act(() => {
+      callbacks.show!({
+        hash: commit(1).hash,
+        commit: { ...commit(1), body: 'Longer explanation' },
+        files: [],
+        truncated: false,
+        error: null,
+        requestId: 'git-show-1',
+      });
+    });
+    const shown = texts(tree.root);
+    expect(shown).toContain('Longer explanation');
+    expect(shown).toContain('No file changes');
+  });
+
+  it('shows a not-connected error when the log cannot be requested', () => {
+    mockRequestGitLog.mockReturnValue(null);
+    let tree!: renderer.ReactTestRenderer;
+    act(() => { tree = renderer.create(<GitHistoryView />); });
+    expect(texts(tree.root)).toContain('History not requested — reconnect and try again');
+  });
+
+  it('clears its callbacks on unmount', () => {
+    let tree!: renderer.ReactTestRenderer;
+    act(() => { tree = renderer.create(<GitHistoryView />); });
+    act(() => { tree.unmount(); });
+    expect(callbacks.log).toBeNull();
+    expect(callbacks.show).toBeNull();
+    expect(callbacks.blame).toBeNull();
+  });
+});
@@ -22,6 +22,7 @@ import { OTHER_OPTION_VALUE } from '@chroxy/store-core';
 import { MessageBubble } from '../chat/MessageBubble';
 import type { ChatMessage } from '../../store/types';
 import { useConnectionLifecycleStore } from '../../store/connection-lifecycle';
+import { useConnectionStore } from '../../store/connection';
 
 // #5699 — answer controls now gate on a live connection. These tests exercise
 // the normal (connected) behaviour, so establish that precondition; the
@@ -144,4 +145,28 @@ describe('MessageBubble accessibility (#5634)', () => {
     // the disabled control means the handler isn't invoked.
     expect(onSelectOption).not.toHaveBeenCalled();
   });
+
+  it('disables answer buttons with a watch-only hint for an observe device token', () => {
+    useConnectionStore.setState({ tokenScope: 'observe' });
+    try {
+      const tree = render(makePrompt());
+      const approve = tree.root.findByProps({ testID: 'approval-button-approve' });
+      expect(approve.props.disabled).toBe(true);
+      expect(tree.root.findAllByProps({ testID: 'prompt-scope-hint' }).length).toBeGreaterThanOrEqual(1);
+      expect(tree.root.findAllByProps({ testID: 'prompt-disconnected-hint' })).toHaveLength(0);
+    } finally {
+      useConnectionStore.setState({ tokenScope: 'full' });
+    }
+  });
+
+  it('keeps answer buttons live for an approve device token', () => {
+    useConnectionStore.setState({ tokenScope: 'approve' });
+    try {
+      const tree = render(makePrompt());
+      expect(tree.root.findByProps({ testID: 'approval-button-approve' }).props.disabled).toBe(false);
+      expect(tree.root.findAllByProps({ testID: 'prompt-scope-hint' })).toHaveLength(0);
+    } finally {
+      useConnectionStore.setState({ tokenScope: 'full' });
+    }
+  });
 });
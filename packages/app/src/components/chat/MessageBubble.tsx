@@ -8,7 +8,7 @@ import {
   Image,
   LayoutAnimation,
 } from 'react-native';
-import { OTHER_OPTION_VALUE, bumpRenderCount, formatThinkingFooter, getErrorPresentation, isRetryableAskUserQuestionError, isSingleMultiSelectForm } from '@chroxy/store-core';
+import { OTHER_OPTION_VALUE, bumpRenderCount, formatThinkingFooter, getErrorPresentation, isRetryableAskUserQuestionError, isSingleMultiSelectForm, scopeAllowsPromptAnswers } from '@chroxy/store-core';
 // #4875: `OtherFreeformAnswer` moved to @chroxy/store-core/freeform-answer
 // so the mobile store, the mobile screen, and (eventually) the dashboard
 // can converge on a single declaration paired with the shared
@@ -246,6 +246,11 @@ function MessageBubbleImpl({ message, queued, onCancelQueued, onEditQueued, onSe
   // the buttons here so the user sees a disabled, explained control instead of
   // tapping into a silent no-op. Global selector (not session-keyed) — safe.
   const connected = useConnectionLifecycleStore((s) => s.connectionPhase === 'connected');
+  // An `observe` device token can watch prompts but not answer them (the
+  // server refuses with TOKEN_SCOPE_FORBIDDEN), so its controls stay disabled
+  // the same way, with their own hint.
+  const scopeCanAnswer = useConnectionStore((s) => scopeAllowsPromptAnswers(s.tokenScope));
+  const canAnswer = connected && scopeCanAnswer;
   const isSystem = message.type === 'system';
 
   // #5674 — resolve the owning-session label for permission prompts so a user
@@ -365,6 +370,9 @@ function MessageBubbleImpl({ message, queued, onCancelQueued, onEditQueued, onSe
   const showDisconnectedAnswerHint =
     isPrompt && !connected && message.answered == null && !isExpired &&
     (hasOptions || useMultiForm || otherActive);
+  const showScopeAnswerHint =
+    isPrompt && connected && !scopeCanAnswer && message.answered == null && !isExpired &&
+    (hasOptions || useMultiForm || otherActive);
 
   // Answered permission prompts (with requestId) collapse to a compact pill.
   // user_question prompts (no requestId) are NOT collapsed.
@@ -608,10 +616,15 @@ function MessageBubbleImpl({ message, queued, onCancelQueued, onEditQueued, onSe
           Disconnected — reconnect to respond
         </Text>
       )}
+      {showScopeAnswerHint && (
+        <Text testID="prompt-scope-hint" style={styles.promptDisconnectedHint}>
+          This device can watch but not answer prompts
+        </Text>
+      )}
       {showMultiQuestionForm && (
         <MultiQuestionForm
           questions={message.questions!}
-          disabled={!connected}
+          disabled={!canAnswer}
           onSubmit={(answersMap) => {
             if (submittedRef.current) return;
             submittedRef.current = true;
@@ -666,7 +679,7 @@ function MessageBubbleImpl({ message, queued, onCancelQueued, onEditQueued, onSe
             // #5699 — also disable while disconnected: the answer can't reach
             // the (now-expired) pending request, so the control must not look
             // tappable.
-            const isDisabled = isAnswered || isExpired || !connected;
+            const isDisabled = isAnswered || isExpired || !canAnswer;
             const isChosen = message.answered === opt.value;
             return (
               <TouchableOpacity
@@ -750,7 +763,7 @@ function MessageBubbleImpl({ message, queued, onCancelQueued, onEditQueued, onSe
               // setting the one-shot guard here would block the legitimate retry
               // after reconnect (the guard only resets when message.answered
               // changes, which never happens for a refused answer).
-              if (!trimmed || !connected || submittedRef.current) return;
+              if (!trimmed || !canAnswer || submittedRef.current) return;
               submittedRef.current = true;
               // #4755 — when the user reached this input by clicking the
               // synthesized "Other" option (otherActive true), emit the
@@ -768,13 +781,13 @@ function MessageBubbleImpl({ message, queued, onCancelQueued, onEditQueued, onSe
             returnKeyType="send"
           />
           <TouchableOpacity
-            style={[styles.promptFreetextSend, (!otherText.trim() || !connected) && styles.promptOptionDisabled]}
+            style={[styles.promptFreetextSend, (!otherText.trim() || !canAnswer) && styles.promptOptionDisabled]}
             // #5699 — also block the freeform Send while disconnected.
-            disabled={!otherText.trim() || !connected}
+            disabled={!otherText.trim() || !canAnswer}
             accessibilityRole="button"
             // #5634 — name the freeform response in the tool context.
             accessibilityLabel={message.tool ? `Send response, ${message.tool}` : 'Send response'}
-            accessibilityState={{ disabled: !otherText.trim() || !connected }}
+            accessibilityState={{ disabled: !otherText.trim() || !canAnswer }}
             // #4755 — see input testID comment above.
             testID="approval-freetext-send"
             onPress={() => {
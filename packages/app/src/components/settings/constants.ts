@@ -30,6 +30,8 @@ export const NOTIFICATION_CATEGORY_LABELS: Record<string, { label: string; hint?
   session_activity: { label: 'External session activity', hint: 'Subagent and tool activity from external sessions.' },
   // Mailbox live-interrupt: "new mail" pings fed by POST /api/mailbox.
   mailbox: { label: 'Mailbox', hint: 'New agent-to-agent mailbox messages waiting for a session.' },
+  // Scheduled-task run outcomes, sent per each task's notify policy.
+  scheduled_run: { label: 'Scheduled runs', hint: 'Outcomes of scheduled tasks whose notify policy asks for them.' },
 };
 
 /** Render order for known categories. Unknown keys append in snapshot order. */
@@ -47,6 +49,7 @@ export const NOTIFICATION_CATEGORY_ORDER = [
   'session_offline',
   'session_activity',
   'mailbox',
+  'scheduled_run',
   'live_activity',
 ];
 
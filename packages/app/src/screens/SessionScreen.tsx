@@ -30,11 +30,12 @@ import type { SessionIntervention } from '@chroxy/store-core';
 // of truth for which message types compact mode hides. Converging mobile onto
 // it (instead of a hand-maintained duplicate of the same tool_use/thinking
 // check) keeps dashboard and mobile from silently drifting.
-import { isFreeformAnswer, providerSupportsMultiQuestion, providerSupportsSingleMultiSelect, approvePlanWithAcceptEdits, isHiddenInCompactMode } from '@chroxy/store-core';
-import { USER_SHELL_PROVIDER } from '@chroxy/protocol';
+import { isFreeformAnswer, providerSupportsMultiQuestion, providerSupportsSingleMultiSelect, approvePlanWithAcceptEdits, isHiddenInCompactMode, scopeAllowsInput } from '@chroxy/store-core';
+import { DEFAULT_PROVIDER, USER_SHELL_PROVIDER } from '@chroxy/protocol';
 import { useConnectionLifecycleStore } from '../store/connection-lifecycle';
 import { SessionPicker } from '../components/SessionPicker';
 import { CreateSessionModal } from '../components/CreateSessionModal';
+import { ForkSessionModal } from '../components/ForkSessionModal';
 import { ChatView } from '../components/ChatView';
 import type { SelectOptionValue } from '../components/chat/MessageBubble';
 import { TerminalView, TerminalHandle } from '../components/TerminalView';
@@ -314,6 +315,9 @@ export function SessionScreen() {
     return providerSupportsSingleMultiSelect(activeSessionProvider, caps);
   }, [activeSessionProvider, availableProviders]);
   const viewingCachedSession = useConnectionStore((s) => s.viewingCachedSession);
+  // An `observe` or `approve` device token is refused input (TOKEN_SCOPE_FORBIDDEN),
+  // so the composer and plan approval are disabled rather than offered.
+  const canSendInput = useConnectionStore((s) => scopeAllowsInput(s.tokenScope));
   const exitCachedSession = useConnectionStore((s) => s.exitCachedSession);
   const savedConnection = useConnectionLifecycleStore((s) => s.savedConnection);
   const isIdle = useConnectionStore(selectIsIdle);
@@ -763,6 +767,29 @@ export function SessionScreen() {
     }
   }, [messages, selectedIds, clearSelection]);
 
+  // Fork-from-message: offered in the selection bar when exactly one finished
+  // response or sent (not queued) prompt is selected — the rows whose ids the
+  // server's history knows. The modal confirms provider / name; the
+  // session_switched that follows the fork re-homes the screen.
+  const forkSession = useConnectionStore((s) => s.forkSession);
+  const [forkMessageId, setForkMessageId] = useState<string | null>(null);
+  const forkCandidateId = useMemo(() => {
+    if (selectedIds.size !== 1 || isUserShell || connectionPhase !== 'connected' || !activeSessionId) return null;
+    const [id] = selectedIds;
+    const msg = messages.find((m) => m.id === id);
+    if (!msg || (msg.type !== 'response' && msg.type !== 'user_input')) return null;
+    if (msg.id === streamingMessageId || queuedIds.has(msg.id)) return null;
+    return msg.id;
+  }, [selectedIds, isUserShell, connectionPhase, activeSessionId, messages, streamingMessageId, queuedIds]);
+
+  const handleForkConfirm = useCallback((opts: { provider?: string; name?: string }) => {
+    const id = forkMessageId;
+    setForkMessageId(null);
+    if (!id) return;
+    if (forkSession(id, opts)) clearSelection();
+    else Alert.alert('Not connected', 'Fork not sent — reconnect and try again');
+  }, [forkMessageId, forkSession, clearSelection]);
+
   const handleExport = useCallback(async () => {
     const selected = messages.filter((m) => selectedIds.has(m.id));
     const text = formatTranscript(selected);
@@ -1202,6 +1229,16 @@ export function SessionScreen() {
             <TouchableOpacity style={styles.selectionButton} onPress={handleExport}>
               <Text style={styles.selectionButtonText}>Share</Text>
             </TouchableOpacity>
+            {forkCandidateId && (
+              <TouchableOpacity
+                style={styles.selectionButton}
+                onPress={() => setForkMessageId(forkCandidateId)}
+                accessibilityRole="button"
+                accessibilityLabel="Fork from this message"
+              >
+                <Text style={styles.selectionButtonText}>Fork</Text>
+              </TouchableOpacity>
+            )}
             <TouchableOpacity style={styles.selectionCancelButton} onPress={clearSelection} accessibilityRole="button" accessibilityLabel="Cancel selection">
               <Icon name="close" size={16} color={COLORS.accentRed} />
             </TouchableOpacity>
@@ -1697,7 +1734,7 @@ export function SessionScreen() {
                   queuedIds={queuedIds}
                   onCancelQueued={handleCancelQueued}
                   onEditQueued={handleEditQueued}
-                  isPlanPending={isPlanPending}
+                  isPlanPending={isPlanPending && canSendInput}
                   planAllowedPrompts={planAllowedPrompts}
                   onApprovePlan={handleApprovePlan}
                   onApprovePlanAcceptEdits={handleApprovePlanAcceptEdits}
@@ -1736,7 +1773,7 @@ export function SessionScreen() {
               queuedIds={queuedIds}
               onCancelQueued={handleCancelQueued}
               onEditQueued={handleEditQueued}
-              isPlanPending={isPlanPending}
+              isPlanPending={isPlanPending && canSendInput}
               planAllowedPrompts={planAllowedPrompts}
               onApprovePlan={handleApprovePlan}
               onApprovePlanAcceptEdits={handleApprovePlanAcceptEdits}
@@ -1811,8 +1848,8 @@ export function SessionScreen() {
         viewMode={viewMode}
         hasTerminal={hasTerminal}
         bottomPadding={bottomPadding}
-        disabled={connectionPhase !== 'connected'}
-        disabledPlaceholder={viewingCachedSession ? 'Offline — viewing cached history' : connectionPhase === 'server_restarting' ? 'Server restarting...' : 'Reconnecting...'}
+        disabled={connectionPhase !== 'connected' || !canSendInput}
+        disabledPlaceholder={viewingCachedSession ? 'Offline — viewing cached history' : connectionPhase === 'server_restarting' ? 'Server restarting...' : connectionPhase !== 'connected' ? 'Reconnecting...' : 'This device has view-only access'}
         slashCommands={slashCommands}
         activityState={activityState}
         queuedCount={queuedIds.size}
@@ -1843,6 +1880,16 @@ export function SessionScreen() {
         onClose={() => setShowCreateModal(false)}
       />
 
+      {/* Fork the active session from the selected message */}
+      <ForkSessionModal
+        visible={forkMessageId !== null}
+        sourceName={sessions.find((s) => s.sessionId === activeSessionId)?.name ?? ''}
+        sourceProvider={activeSessionProvider ?? DEFAULT_PROVIDER}
+        providers={availableProviders}
+        onConfirm={handleForkConfirm}
+        onCancel={() => setForkMessageId(null)}
+      />
+
       {/* Secondary modal panels (#5654): diff viewer, checkpoints, git view */}
       <SessionPanels
         showDiffViewer={showDiffViewer}
@@ -183,6 +183,7 @@ import {
   // immediately without waiting on the round-trip.
   enqueueOptimisticQueuedMessage,
   removeQueuedMessage,
+  scopeAllowsPromptAnswers,
   type ProbeResult,
   type ConnectEndpoint,
 } from '@chroxy/store-core';
@@ -526,6 +527,8 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   permissionInputs: {},
   // #6543 (feature B): server capability map from auth_ok; gates the pre-write diff.
   serverCapabilities: {},
+  // Set from auth_ok; `full` until then, like a server that predates scopes.
+  tokenScope: 'full',
   activity: createEmptyActivityState(),
   availableModels: [],
   defaultModelId: null,
@@ -1570,6 +1573,7 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
       // per-connection; a resolved prompt already self-prunes, this clears the
       // tail if we disconnect mid-prompt).
       permissionInputs: {},
+      tokenScope: 'full',
       timeoutWarning: null,
       // #4542: clear the cached prefs snapshot on disconnect so the next
       // connect refetches from the actual server (snapshots are host-specific).
@@ -1927,6 +1931,9 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     // clear "not connected" feedback; the answer buttons also gate on
     // connectionPhase in MessageBubble. Mirrors the dashboard #5699 fix.
     if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+    // An observe device would be refused (TOKEN_SCOPE_FORBIDDEN) — don't mark
+    // the prompt answered on its behalf.
+    if (!scopeAllowsPromptAnswers(get().tokenScope)) return false;
     // allowSession: send immediate 'allow' unblock + register a session rule for auto-approval
     const wireDecision = decision === 'allowSession' ? 'allow' : decision;
     // #6543 (feature B): the operator's per-hunk edits ride on an approve only,
@@ -2047,6 +2054,8 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     // stays actionable and the caller gives clear feedback (the form also gates
     // on connectionPhase in the UI).
     if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+    // Same scope gate as sendPermissionResponse.
+    if (!scopeAllowsPromptAnswers(get().tokenScope)) return false;
     // #6308: the answer is tied to a live pending AskUserQuestion the server expires
     // on disconnect; like sendPermissionResponse, report failure (not 'sent') when
     // wsSend throws on a closing socket so the caller leaves the form actionable
@@ -2375,6 +2384,12 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   setGitBranchesCallback: (cb) => { setImperativeCallback('gitBranches', cb); },
   setGitStageCallback: (cb) => { setImperativeCallback('gitStage', cb); },
   setGitCommitCallback: (cb) => { setImperativeCallback('gitCommit', cb); },
+  setGitConflictsCallback: (cb) => { setImperativeCallback('gitConflicts', cb); },
+  setGitConflictCallback: (cb) => { setImperativeCallback('gitConflict', cb); },
+  setGitLogCallback: (cb) => { setImperativeCallback('gitLog', cb); },
+  setGitShowCallback: (cb) => { setImperativeCallback('gitShow', cb); },
+  setGitBlameCallback: (cb) => { setImperativeCallback('gitBlame', cb); },
+  setGitBranchCallback: (cb) => { setImperativeCallback('gitBranch', cb); },
 
   requestGitStatus: () => {
     sendIfOpen({ type: 'git_status' });
@@ -2396,6 +2411,67 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     return sendIfOpen({ type: 'git_commit', message });
   },
 
+  requestGitConflicts: () => {
+    return sendIfOpen({ type: 'git_conflicts' });
+  },
+
+  requestGitConflictResolve: (params) => {
+    const msg: Record<string, unknown> = { type: 'git_conflict_resolve', path: params.path };
+    if (params.take) {
+      msg.take = params.take;
+    } else {
+      msg.hash = params.hash;
+      msg.resolutions = params.resolutions ?? [];
+    }
+    return sendIfOpen(msg);
+  },
+
+  requestGitConflictContinue: () => {
+    return sendIfOpen({ type: 'git_conflict_continue' });
+  },
+
+  requestGitConflictAbort: () => {
+    return sendIfOpen({ type: 'git_conflict_abort' });
+  },
+
+  requestGitLog: (params) => {
+    const requestId = nextMessageId('git-log');
+    const msg: Record<string, unknown> = { type: 'git_log', requestId };
+    if (params?.skip) msg.skip = params.skip;
+    if (params?.limit) msg.limit = params.limit;
+    if (params?.path) msg.path = params.path;
+    return sendIfOpen(msg) ? requestId : null;
+  },
+
+  requestGitShow: (hash: string) => {
+    const requestId = nextMessageId('git-show');
+    return sendIfOpen({ type: 'git_show', hash, requestId }) ? requestId : null;
+  },
+
+  requestGitBlame: (path: string, rev?: string) => {
+    const requestId = nextMessageId('git-blame');
+    const msg: Record<string, unknown> = { type: 'git_blame', path, requestId };
+    if (rev) msg.rev = rev;
+    return sendIfOpen(msg) ? requestId : null;
+  },
+
+  requestGitBranchCreate: (params) => {
+    const msg: Record<string, unknown> = { type: 'git_branch_create', name: params.name };
+    if (params.startPoint) msg.startPoint = params.startPoint;
+    if (params.checkout) msg.checkout = true;
+    return sendIfOpen(msg);
+  },
+
+  requestGitCheckout: (branch: string) => {
+    return sendIfOpen({ type: 'git_checkout', branch });
+  },
+
+  requestGitBranchDelete: (params) => {
+    const msg: Record<string, unknown> = { type: 'git_branch_delete', name: params.name };
+    if (params.force) msg.force = true;
+    return sendIfOpen(msg);
+  },
+
   fetchProviders: () => {
     sendIfOpen({ type: 'list_providers' });
   },
@@ -2473,6 +2549,18 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     sendIfOpen({ type: 'rename_session', sessionId, name });
   },
 
+  forkSession: (messageId: string, opts = {}) => {
+    const { activeSessionId } = get();
+    return sendIfOpen({
+      type: 'fork_session',
+      messageId,
+      ...(activeSessionId ? { sessionId: activeSessionId } : {}),
+      ...(opts.provider ? { provider: opts.provider } : {}),
+      ...(opts.model ? { model: opts.model } : {}),
+      ...(opts.name ? { name: opts.name } : {}),
+    });
+  },
+
   fetchConversationHistory: () => {
     const { socket } = get();
     if (socket && socket.readyState === WebSocket.OPEN) {
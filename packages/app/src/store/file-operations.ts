@@ -10,6 +10,7 @@
 import { create } from 'zustand';
 import { setCallback } from './imperative-callbacks';
 import { sendIfOpen } from './message-handler';
+import { nextMessageId } from './utils';
 import type {
   DirectoryListing,
   FileListing,
@@ -20,6 +21,13 @@ import type {
   GitBranchesResult,
   GitStageResult,
   GitCommitResult,
+  GitConflictsResult,
+  GitConflictResult,
+  GitConflictResolution,
+  GitLogResult,
+  GitShowResult,
+  GitBlameResult,
+  GitBranchResult,
 } from './types';
 
 interface FileOperationsActions {
@@ -33,6 +41,12 @@ interface FileOperationsActions {
   setGitBranchesCallback: (cb: ((result: GitBranchesResult) => void) | null) => void;
   setGitStageCallback: (cb: ((result: GitStageResult) => void) | null) => void;
   setGitCommitCallback: (cb: ((result: GitCommitResult) => void) | null) => void;
+  setGitConflictsCallback: (cb: ((result: GitConflictsResult) => void) | null) => void;
+  setGitConflictCallback: (cb: ((result: GitConflictResult) => void) | null) => void;
+  setGitLogCallback: (cb: ((result: GitLogResult) => void) | null) => void;
+  setGitShowCallback: (cb: ((result: GitShowResult) => void) | null) => void;
+  setGitBlameCallback: (cb: ((result: GitBlameResult) => void) | null) => void;
+  setGitBranchCallback: (cb: ((result: GitBranchResult) => void) | null) => void;
 
   // Request methods
   requestDirectoryListing: (path?: string) => void;
@@ -51,6 +65,23 @@ interface FileOperationsActions {
   requestGitStage: (paths: string[]) => boolean;
   requestGitUnstage: (paths: string[]) => boolean;
   requestGitCommit: (message: string) => boolean;
+  requestGitConflicts: () => boolean;
+  requestGitConflictResolve: (params: {
+    path: string;
+    hash?: string | null;
+    resolutions?: GitConflictResolution[];
+    take?: 'ours' | 'theirs';
+  }) => boolean;
+  requestGitConflictContinue: () => boolean;
+  requestGitConflictAbort: () => boolean;
+  // History reads return the requestId they stamped (null when the socket is
+  // closed); branch mutations return false when the socket is closed.
+  requestGitLog: (params?: { skip?: number; limit?: number; path?: string }) => string | null;
+  requestGitShow: (hash: string) => string | null;
+  requestGitBlame: (path: string, rev?: string) => string | null;
+  requestGitBranchCreate: (params: { name: string; startPoint?: string; checkout?: boolean }) => boolean;
+  requestGitCheckout: (branch: string) => boolean;
+  requestGitBranchDelete: (params: { name: string; force?: boolean }) => boolean;
 }
 
 export const useFileOperationsStore = create<FileOperationsActions>(() => ({
@@ -64,6 +95,12 @@ export const useFileOperationsStore = create<FileOperationsActions>(() => ({
   setGitBranchesCallback: (cb) => setCallback('gitBranches', cb),
   setGitStageCallback: (cb) => setCallback('gitStage', cb),
   setGitCommitCallback: (cb) => setCallback('gitCommit', cb),
+  setGitConflictsCallback: (cb) => setCallback('gitConflicts', cb),
+  setGitConflictCallback: (cb) => setCallback('gitConflict', cb),
+  setGitLogCallback: (cb) => setCallback('gitLog', cb),
+  setGitShowCallback: (cb) => setCallback('gitShow', cb),
+  setGitBlameCallback: (cb) => setCallback('gitBlame', cb),
+  setGitBranchCallback: (cb) => setCallback('gitBranch', cb),
 
   // Request methods — send WS messages via the connection store's socket
   requestDirectoryListing: (path?: string) => {
@@ -111,4 +148,65 @@ export const useFileOperationsStore = create<FileOperationsActions>(() => ({
   requestGitCommit: (message: string) => {
     return sendIfOpen({ type: 'git_commit', message });
   },
+
+  requestGitConflicts: () => {
+    return sendIfOpen({ type: 'git_conflicts' });
+  },
+
+  requestGitConflictResolve: (params) => {
+    const msg: Record<string, unknown> = { type: 'git_conflict_resolve', path: params.path };
+    if (params.take) {
+      msg.take = params.take;
+    } else {
+      msg.hash = params.hash;
+      msg.resolutions = params.resolutions ?? [];
+    }
+    return sendIfOpen(msg);
+  },
+
+  requestGitConflictContinue: () => {
+    return sendIfOpen({ type: 'git_conflict_continue' });
+  },
+
+  requestGitConflictAbort: () => {
+    return sendIfOpen({ type: 'git_conflict_abort' });
+  },
+
+  requestGitLog: (params) => {
+    const requestId = nextMessageId('git-log');
+    const msg: Record<string, unknown> = { type: 'git_log', requestId };
+    if (params?.skip) msg.skip = params.skip;
+    if (params?.limit) msg.limit = params.limit;
+    if (params?.path) msg.path = params.path;
+    return sendIfOpen(msg) ? requestId : null;
+  },
+
+  requestGitShow: (hash: string) => {
+    const requestId = nextMessageId('git-show');
+    return sendIfOpen({ type: 'git_show', hash, requestId }) ? requestId : null;
+  },
+
+  requestGitBlame: (path: string, rev?: string) => {
+    const requestId = nextMessageId('git-blame');
+    const msg: Record<string, unknown> = { type: 'git_blame', path, requestId };
+    if (rev) msg.rev = rev;
+    return sendIfOpen(msg) ? requestId : null;
+  },
+
+  requestGitBranchCreate: (params) => {
+    const msg: Record<string, unknown> = { type: 'git_branch_create', name: params.name };
+    if (params.startPoint) msg.startPoint = params.startPoint;
+    if (params.checkout) msg.checkout = true;
+    return sendIfOpen(msg);
+  },
+
+  requestGitCheckout: (branch: string) => {
+    return sendIfOpen({ type: 'git_checkout', branch });
+  },
+
+  requestGitBranchDelete: (params) => {
+    const msg: Record<string, unknown> = { type: 'git_branch_delete', name: params.name };
+    if (params.force) msg.force = true;
+    return sendIfOpen(msg);
+  },
 }));
@@ -19,6 +19,12 @@ import type {
   GitBranchesResult,
   GitStageResult,
   GitCommitResult,
+  GitConflictsResult,
+  GitConflictResult,
+  GitLogResult,
+  GitShowResult,
+  GitBlameResult,
+  GitBranchResult,
 } from './types';
 
 const CALLBACK_NAMES = [
@@ -32,6 +38,12 @@ const CALLBACK_NAMES = [
   'gitBranches',
   'gitStage',
   'gitCommit',
+  'gitConflicts',
+  'gitConflict',
+  'gitLog',
+  'gitShow',
+  'gitBlame',
+  'gitBranch',
 ] as const;
 
 export type CallbackName = (typeof CALLBACK_NAMES)[number];
@@ -47,6 +59,12 @@ export interface CallbackSignatures {
   gitBranches: (result: GitBranchesResult) => void;
   gitStage: (result: GitStageResult) => void;
   gitCommit: (result: GitCommitResult) => void;
+  gitConflicts: (result: GitConflictsResult) => void;
+  gitConflict: (result: GitConflictResult) => void;
+  gitLog: (result: GitLogResult) => void;
+  gitShow: (result: GitShowResult) => void;
+  gitBlame: (result: GitBlameResult) => void;
+  gitBranch: (result: GitBranchResult) => void;
 }
 
 type CallbackStore = { [K in CallbackName]: CallbackSignatures[K] | null };
@@ -62,6 +80,12 @@ const callbacks: CallbackStore = {
   gitBranches: null,
   gitStage: null,
   gitCommit: null,
+  gitConflicts: null,
+  gitConflict: null,
+  gitLog: null,
+  gitShow: null,
+  gitBlame: null,
+  gitBranch: null,
 };
 
 export function getCallback<K extends CallbackName>(name: K): CallbackSignatures[K] | null {
@@ -140,6 +140,8 @@ import {
   // (byte-identical wording with the dashboard).
   handleAppendMemoryResult as sharedAppendMemoryResult,
   formatMemoryAppendNotice,
+  formatSessionForkedNotice,
+  tokenScopeFromError,
 } from '@chroxy/store-core';
 import type {
   DeltaFlusher,
@@ -153,7 +155,7 @@ import { PROTOCOL_VERSION } from '@chroxy/protocol';
 // store-core reducer so a malformed payload is dropped, not crashed on (same
 // pattern the dashboard feeder uses). Resolved via the jest moduleNameMapper
 // `^@chroxy/protocol/schemas$` and the protocol package's `./schemas` export.
-import { ServerActivitySnapshotSchema, ServerActivityDeltaSchema, ServerPermissionInputSchema } from '@chroxy/protocol/schemas';
+import { ServerActivitySnapshotSchema, ServerActivityDeltaSchema, ServerPermissionInputSchema, ServerGitConflictsResultSchema, ServerGitConflictResultSchema, ServerGitLogResultSchema, ServerGitShowResultSchema, ServerGitBlameResultSchema, ServerGitBranchResultSchema, ServerSessionForkedSchema } from '@chroxy/protocol/schemas';
 import { hapticSuccess } from '../utils/haptics';
 import type {
   ChatMessage,
@@ -1883,6 +1885,8 @@ export function handleMessage(raw: unknown, ctxOverride?: ConnectionContext): vo
         // parsed from `msg.capabilities` by the shared handleAuthOk. Gates the
         // mobile pre-write-diff review, mirroring the dashboard's serverCapabilities.
         serverCapabilities: auth.serverCapabilities,
+        // Device-token scope; gates the input bar and prompt answers.
+        tokenScope: auth.tokenScope,
       };
       if (ctx.isReconnect) {
         set(connectedState);
@@ -3346,6 +3350,87 @@ export function handleMessage(raw: unknown, ctxOverride?: ConnectionContext): vo
     // shared*(msg) → cb(payload)` wrapper; the table now parses and invokes the
     // imperative callback via `_dispatchAdapter.getCallback`.
 
+    // Merge-conflict results for GitView's Conflicts tab. Validated here against
+    // the protocol schemas (the dashboard does the same) rather than through
+    // the shared table. A malformed git_conflict_result still resolves the
+    // one-shot so the tab's busy state clears.
+    case 'git_conflicts_result': {
+      const cb = getCallback('gitConflicts');
+      if (!cb) return;
+      const parsed = ServerGitConflictsResultSchema.safeParse(msg);
+      if (!parsed.success) return;
+      cb(parsed.data);
+      return;
+    }
+
+    case 'git_conflict_result': {
+      const cb = getCallback('gitConflict');
+      if (!cb) return;
+      const parsed = ServerGitConflictResultSchema.safeParse(msg);
+      cb(parsed.success ? parsed.data : {
+        action: null,
+        path: null,
+        remaining: 0,
+        staged: false,
+        operation: null,
+        error: 'Received a malformed conflict response from the server',
+      });
+      return;
+    }
+
+    // Commit history / blame / branch results for GitView's History tab and
+    // branch actions, validated the same way. A malformed git_branch_result
+    // resolves the one-shot so the pending create / switch / delete clears.
+    case 'git_log_result': {
+      const cb = getCallback('gitLog');
+      if (!cb) return;
+      const parsed = ServerGitLogResultSchema.safeParse(msg);
+      if (!parsed.success) return;
+      cb(parsed.data);
+      return;
+    }
+
+    case 'git_show_result': {
+      const cb = getCallback('gitShow');
+      if (!cb) return;
+      const parsed = ServerGitShowResultSchema.safeParse(msg);
+      if (!parsed.success) return;
+      cb(parsed.data);
+      return;
+    }
+
+    case 'git_blame_result': {
+      const cb = getCallback('gitBlame');
+      if (!cb) return;
+      const parsed = ServerGitBlameResultSchema.safeParse(msg);
+      if (!parsed.success) return;
+      cb(parsed.data);
+      return;
+    }
+
+    case 'git_branch_result': {
+      const cb = getCallback('gitBranch');
+      if (!cb) return;
+      const parsed = ServerGitBranchResultSchema.safeParse(msg);
+      cb(parsed.success ? parsed.data : {
+        action: null,
+        branch: null,
+        currentBranch: null,
+        error: 'Received a malformed branch response from the server',
+      });
+      return;
+    }
+
+    // Reply to a fork_session from the chat's selection bar. The
+    // session_switched right behind it re-homes the app; this only says what
+    // the fork carried, in the dashboard's wording.
+    case 'session_forked': {
+      const parsed = ServerSessionForkedSchema.safeParse(msg);
+      if (!parsed.success) return;
+      Alert.alert('Session forked', formatSessionForkedNotice(parsed.data));
+      return;
+    }
+
     // slash_commands / agent_list / provider_list — migrated to the shared
     // dispatch table (#5618 Batch 2; handled by runDispatch before this switch).
     // The app's secondary-conversation-store mirror (slash/agents) and
@@ -3621,6 +3706,12 @@ export function handleMessage(raw: unknown, ctxOverride?: ConnectionContext): vo
       const alertBody = partialCostLine ? `${errMsg}\n\n${partialCostLine}` : errMsg;
       console.error(`[ws] Server handler error [${errCode}]: ${errMsg}`);
 
+      // A scope changed from Paired Devices re-scopes this connection without
+      // a new auth_ok; the refusal carries the scope now in force, so adopt it
+      // and let the input bar / prompt answers hide themselves.
+      const refusedScope = tokenScopeFromError(msg);
+      if (refusedScope) set({ tokenScope: refusedScope });
+
       // Match against an in-flight set_permission_mode request — if the
       // requestId lines up, revert the optimistic UI state and show a
       // targeted message instead of the generic "Server Error" alert.
@@ -55,6 +55,23 @@ export type {
   DiffFile,
   DiffHunk,
   DiffHunkLine,
+  // Merge-conflict resolution — shared with the dashboard's GitPanel.
+  GitConflictOperation,
+  GitConflictKind,
+  GitConflictHunk,
+  GitConflictFile,
+  GitConflictsResult,
+  GitConflictChoice,
+  GitConflictResolution,
+  GitConflictResult,
+  // Commit history / blame / branch management — shared with the dashboard's GitPanel.
+  GitLogCommit,
+  GitLogResult,
+  GitShowResult,
+  GitBlameHunk,
+  GitBlameResult,
+  GitBranchAction,
+  GitBranchResult,
 } from '@chroxy/store-core';
 
 // Import for local use in SessionState/ConnectionState definitions below
@@ -73,7 +90,14 @@ import type {
   DevPreview,
   DiffFile,
   GitBranch,
+  GitBlameResult,
+  GitBranchResult,
+  GitConflictResolution,
+  GitConflictResult,
+  GitConflictsResult,
   GitFileStatus,
+  GitLogResult,
+  GitShowResult,
   InputSettings,
   McpServer,
   MessageAttachment,
@@ -91,6 +115,7 @@ import type {
   SlashCommand,
   WebFeatureStatus,
   WebTask,
+  TokenScope,
 } from '@chroxy/store-core';
 
 export interface DirectoryEntry {
@@ -325,6 +350,11 @@ export interface ModelsAndPermissionsData {
   // `features.ide` on, mirroring the dashboard's `serverCapabilities?.ide` gate.
   // Absent/non-object capabilities parse to `{}` (no advertised capabilities).
   serverCapabilities: Record<string, boolean>;
+  // This device token's scope from `auth_ok` (`full` when omitted). `observe`
+  // hides the input bar and prompt answers, `approve` only the input bar. A
+  // scope changed from Paired Devices while connected arrives as the `scope` on
+  // a TOKEN_SCOPE_FORBIDDEN refusal. Reset to `full` on disconnect.
+  tokenScope: TokenScope;
 }
 
 /**
@@ -508,6 +538,12 @@ export interface MultiClientSessionActions {
   createSession: (opts: CreateSessionOptions) => void;
   destroySession: (sessionId: string) => void;
   renameSession: (sessionId: string, name: string) => void;
+  /**
+   * Fork the active session at `messageId` into a new session (and git
+   * worktree). Omitted provider / name fall back to the source's provider and
+   * "Fork: <source name>" on the server. Returns false when the socket is closed.
+   */
+  forkSession: (messageId: string, opts?: { provider?: string; model?: string; name?: string }) => boolean;
   forgetSession: () => void;
   setFollowMode: (enabled: boolean) => void;
   getActiveSessionState: () => SessionState;
@@ -667,6 +703,34 @@ export interface FileGitDiffActions {
   requestGitStage: (paths: string[]) => boolean;
   requestGitUnstage: (paths: string[]) => boolean;
   requestGitCommit: (message: string) => boolean;
+  // Merge-conflict resolution. Each returns false when the socket is closed. A
+  // resolve sends either `take` (a whole side) or `hash` + `resolutions`.
+  setGitConflictsCallback: (cb: ((result: GitConflictsResult) => void) | null) => void;
+  setGitConflictCallback: (cb: ((result: GitConflictResult) => void) | null) => void;
+  requestGitConflicts: () => boolean;
+  requestGitConflictResolve: (params: {
+    path: string;
+    hash?: string | null;
+    resolutions?: GitConflictResolution[];
+    take?: 'ours' | 'theirs';
+  }) => boolean;
+  requestGitConflictContinue: () => boolean;
+  requestGitConflictAbort: () => boolean;
+  // Commit history reads. Each returns the requestId it stamped (null when the
+  // socket is closed); the reply echoes it, so GitView can drop a reply that a
+  // later page / commit / file request superseded.
+  setGitLogCallback: (cb: ((result: GitLogResult) => void) | null) => void;
+  setGitShowCallback: (cb: ((result: GitShowResult) => void) | null) => void;
+  setGitBlameCallback: (cb: ((result: GitBlameResult) => void) | null) => void;
+  requestGitLog: (params?: { skip?: number; limit?: number; path?: string }) => string | null;
+  requestGitShow: (hash: string) => string | null;
+  requestGitBlame: (path: string, rev?: string) => string | null;
+  // Branch create / checkout / delete share one git_branch_result one-shot.
+  // Each returns false when the socket is closed.
+  setGitBranchCallback: (cb: ((result: GitBranchResult) => void) | null) => void;
+  requestGitBranchCreate: (params: { name: string; startPoint?: string; checkout?: boolean }) => boolean;
+  requestGitCheckout: (branch: string) => boolean;
+  requestGitBranchDelete: (params: { name: string; force?: boolean }) => boolean;
   // Diff viewer
   setDiffCallback: (cb: ((result: DiffResult) => void) | null) => void;
   requestDiff: (base?: string) => void;
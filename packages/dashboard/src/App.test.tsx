@@ -170,6 +170,8 @@ vi.mock('./store/connection', () => {
     terminalRawBuffer: '',
     // #5206 — mirror the real default (session-close confirmation on).
     confirmSessionClose: true,
+    // Mirror the real default (a full-scope device token).
+    tokenScope: 'full',
     getActiveSessionState: () => ({
       messages: [],
       streamingMessageId: null,
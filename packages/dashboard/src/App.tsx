@@ -20,6 +20,8 @@ import {
   getToolPresentation,
   deriveChatActivity,
   approvePlanWithAcceptEdits,
+  scopeAllowsInput,
+  scopeAllowsPromptAnswers,
   type SessionInfo,
 } from '@chroxy/store-core'
 import { useConnectionStore } from './store/connection'
@@ -75,6 +77,7 @@ import { isTauri } from './utils/tauri'
 import { startServer, revealInFinder } from './hooks/useTauriIPC'
 import { usePermissionNotification, type PermissionPromptInfo } from './hooks/usePermissionNotification'
 import { useInterventionPing } from './hooks/useInterventionPing'
+import { useSessionDeepLink } from './hooks/useSessionDeepLink'
 import { useShortcutDispatch } from './hooks/useShortcutDispatch'
 import { FileOpenPalette } from './components/FileOpenPalette'
 import { SymbolSearchPalette } from './components/SymbolSearchPalette'
@@ -88,7 +91,7 @@ import { useControlRoomState } from './hooks/useControlRoomState'
 import { useMessageRenderer } from './hooks/useMessageRenderer'
 import { SplitPane } from './components/SplitPane'
 import { ViewSwitcher } from './components/ViewSwitcher'
-import { DEFAULT_PROVIDER, USER_SHELL_PROVIDER } from '@chroxy/protocol'
+import { DEFAULT_PROVIDER, USER_SHELL_PROVIDER, type EgressSpec } from '@chroxy/protocol'
 import { persistSidebarWidth, loadPersistedSidebarWidth, persistSplitMode, persistShowConsoleTab, loadPersistedShowConsoleTab, persistInterventionPing, loadPersistedInterventionPing, persistCompactChatFilter, loadPersistedCompactChatFilter, loadPersistedSidebarPanelHeight, loadPersistedSidebarPanelView, loadPersistedSidebarPanelCollapsed } from './store/persistence'
 import { applyOrderById } from './utils/reorderById'
 import { DiffViewerPanel } from './components/DiffViewerPanel'
@@ -154,6 +157,10 @@ export function App() {
   const shortcutRegistry = useShortcutRegistry()
   // Store selectors — subscribe to specific slices to avoid re-renders
   const connectionPhase = useConnectionStore(s => s.connectionPhase)
+  // An observe / approve device's token cannot type into a session (and an
+  // observe one cannot answer prompts) — hide what the server would refuse.
+  const tokenScope = useConnectionStore(s => s.tokenScope)
+  const canSendInput = scopeAllowsInput(tokenScope)
   const serverVersion = useConnectionStore(s => s.serverVersion)
   const sessionCwd = useConnectionStore(s => s.sessionCwd)
   // #4029: FooterBar cwd was static — set once at auth_ok and never updated
@@ -714,6 +721,10 @@ export function App() {
   // #5206 — the session id awaiting close-confirmation, or null when no
   // confirm is pending. Drives the ConfirmDialog rendered near the modals.
   const [closeConfirmSessionId, setCloseConfirmSessionId] = useState<string | null>(null)
+  // The chat message id picked to fork the active session from, or null when
+  // the fork dialog is closed.
+  const [forkMessageId, setForkMessageId] = useState<string | null>(null)
+  const [switchProviderSessionId, setSwitchProviderSessionId] = useState<string | null>(null)
   // #5202 — when an Investigate verdict launches a session, the reason note is
   // stashed here at click time and seeded into the new session's composer once
   // the server confirms the session (the create-confirm effect). A ref (not
@@ -859,6 +870,10 @@ export function App() {
     switchSession(sessionId)
   }, [switchSession, activeSessionId])
 
+  // `?session=<id>` deep links (e.g. a Slack notification's "Open in dashboard"
+  // button) land on that session once the server has listed it.
+  useSessionDeepLink(sessions, handleSwitchSession)
+
   // The actual session teardown, shared by the confirm path and the
   // no-confirm path (#5206).
   const performCloseSession = useCallback((sessionId: string, force?: boolean) => {
@@ -1001,6 +1016,7 @@ export function App() {
       },
       copySessionTranscript: handleCopySessionTranscript,
       summarizeAndCreateSession: handleSummarizeAndCreateSession,
+      switchSessionProvider: setSwitchProviderSessionId,
       confirmCloseSession: handleCloseSession,
     })
   }, [
@@ -1818,14 +1834,14 @@ export function App() {
   // `handleShowQr`, which depends on `fetchQrInto`, which is declared
   // further down. The hook is a no-op outside Tauri (web dashboard).
 
-  const handleCreateSession = useCallback((data: { name: string; cwd: string; provider?: string; permissionMode?: string; model?: string; worktree?: boolean; skipPermissions?: boolean }) => {
+  const handleCreateSession = useCallback((data: { name: string; cwd: string; provider?: string; permissionMode?: string; model?: string; worktree?: boolean; skipPermissions?: boolean; egress?: EgressSpec }) => {
     setSessionCreateError(null)
     // #6285 — only latch the "Creating…" spinner when the request actually went
     // on the wire. createSession is a silent no-op when the socket is closed; if
     // we latched unconditionally the spinner would wedge forever (no
     // session_created / session_error reply ever arrives to clear it). On a
     // closed socket, surface a retryable error instead.
-    const sent = createSession({ name: data.name, cwd: data.cwd || undefined, provider: data.provider, model: data.model, permissionMode: data.permissionMode, worktree: data.worktree, skipPermissions: data.skipPermissions })
+    const sent = createSession({ name: data.name, cwd: data.cwd || undefined, provider: data.provider, model: data.model, permissionMode: data.permissionMode, worktree: data.worktree, skipPermissions: data.skipPermissions, egress: data.egress })
     if (sent) {
       setIsCreatingSession(true)
     } else {
@@ -2010,6 +2026,7 @@ export function App() {
     stalledPromptIds,
     hasPendingAskUserQuestionPermission,
     sessions,
+    canAnswerPrompts: scopeAllowsPromptAnswers(tokenScope),
   })
 
   // #4412: registry-driven cheat sheet. Recomputed on every render —
@@ -2081,6 +2098,29 @@ export function App() {
   // — no state update, no re-render.
   showQrRef.current = isConnected ? handleShowQr : null
   const isReconnecting = connectionPhase === 'reconnecting' || connectionPhase === 'server_restarting'
+  // Fork-from-message: only a connected, conversational session can fork. The
+  // dialog confirms with the chosen provider/name; session_switched re-homes.
+  const onForkFromMessage = useMemo(
+    () => (isConnected && activeSessionId && !isUserShell ? setForkMessageId : undefined),
+    [isConnected, activeSessionId, isUserShell],
+  )
+  const handleForkConfirm = useCallback(
+    (opts: { provider?: string; name?: string }) => {
+      if (forkMessageId) useConnectionStore.getState().forkSession(forkMessageId, opts)
+      setForkMessageId(null)
+    },
+    [forkMessageId],
+  )
+  const handleSwitchProviderConfirm = useCallback(
+    (provider: string) => {
+      if (switchProviderSessionId) useConnectionStore.getState().switchProvider(switchProviderSessionId, provider)
+      setSwitchProviderSessionId(null)
+    },
+    [switchProviderSessionId],
+  )
+  const switchProviderSource = switchProviderSessionId
+    ? sessions.find(s => s.sessionId === switchProviderSessionId)
+    : undefined
   // #5698 — the reconnect ladder gave up; terminal state, manual reconnect only.
   const isServerDown = connectionPhase === 'server_down'
   const isStartupError = connectionPhase === 'disconnected' && !!connectionError && sessions.length === 0
@@ -2427,6 +2467,7 @@ export function App() {
             onDeny={handleBannerDeny}
             onDismiss={dismissSessionNotification}
             onSwitchSession={handleSwitchSession}
+            canAnswerPrompts={scopeAllowsPromptAnswers(tokenScope)}
           />
         )}
 
@@ -2485,6 +2526,7 @@ export function App() {
                         queuedIds={queuedIds}
                         onCancelQueued={onCancelQueued}
                         onEditQueued={onEditQueued}
+                        onForkFromMessage={onForkFromMessage}
                         workingLabel={workingLabel}
                         inFlightToolColor={inFlightToolColor}
                         openSearchSignal={openSearchSignal}
@@ -2535,6 +2577,7 @@ export function App() {
                         queuedIds={queuedIds}
                         onCancelQueued={onCancelQueued}
                         onEditQueued={onEditQueued}
+                        onForkFromMessage={onForkFromMessage}
                         workingLabel={workingLabel}
                         inFlightToolColor={inFlightToolColor}
                         openSearchSignal={openSearchSignal}
@@ -2625,7 +2668,7 @@ export function App() {
             {activeAgents.length > 0 && <AgentMonitorPanel />}
 
             {/* Plan approval */}
-            {isPlanPending && (
+            {isPlanPending && canSendInput && (
               <PlanApproval
                 planHtml={planHtml}
                 onApprove={handlePlanApprove}
@@ -2668,12 +2711,12 @@ export function App() {
             <InputBar
               onSend={handleSend}
               onInterrupt={handleInterrupt}
-              disabled={!isConnected}
+              disabled={!isConnected || !canSendInput}
               isBusy={!isIdle}
               isStreaming={streamingMessageId !== null}
               chatActivityState={chatActivity.state}
               queuedCount={queuedIds.size}
-              placeholder={isConnected ? `Type a message... (${inputSettings.chatEnterToSend ? 'Enter' : formatShortcutKeys('Cmd+Enter')} to send)` : 'Connecting...'}
+              placeholder={!canSendInput ? 'This device has view-only access and cannot send messages' : isConnected ? `Type a message... (${inputSettings.chatEnterToSend ? 'Enter' : formatShortcutKeys('Cmd+Enter')} to send)` : 'Connecting...'}
               controlledValue={inputDraftValue}
               onValueChange={handleDraftChange}
               filePickerFiles={filePickerFiles}
@@ -2690,7 +2733,7 @@ export function App() {
               onFileAttach={handleFileSelect}
               sendOnEnter={inputSettings.chatEnterToSend}
               voiceInput={voiceInput.isAvailable ? voiceInput : undefined}
-              onEvaluate={isConnected ? evaluateDraft : undefined}
+              onEvaluate={isConnected && canSendInput ? evaluateDraft : undefined}
               onLargePaste={handleLargePaste}
               pastedTextBlocks={pastedTextBlocks}
               onInspectPastedText={handleInspectPastedText}
@@ -2813,6 +2856,17 @@ export function App() {
           setCloseConfirmSessionId(null)
         }}
         onCloseConfirmCancel={() => setCloseConfirmSessionId(null)}
+        forkDialogOpen={forkMessageId !== null}
+        forkSourceName={sessions.find(s => s.sessionId === activeSessionId)?.name ?? ''}
+        forkSourceProvider={activeSessionProvider ?? DEFAULT_PROVIDER}
+        forkProviders={availableProviders}
+        onForkConfirm={handleForkConfirm}
+        onForkCancel={() => setForkMessageId(null)}
+        switchProviderOpen={switchProviderSource !== undefined}
+        switchProviderSourceName={switchProviderSource?.name ?? ''}
+        switchProviderSourceProvider={switchProviderSource?.provider ?? DEFAULT_PROVIDER}
+        onSwitchProviderConfirm={handleSwitchProviderConfirm}
+        onSwitchProviderCancel={() => setSwitchProviderSessionId(null)}
         toastItems={toastItems}
         onToastDismiss={(id) => {
           // #4075: cost-threshold toast IDs are routed via the per-session
@@ -10,6 +10,8 @@ import { SessionContextMenu } from './SessionContextMenu'
 import { CreateSessionModal } from './CreateSessionModal'
 import { RepoPresetDrawer } from './RepoPresetDrawer'
 import { ConfirmDialog } from './ConfirmDialog'
+import { ForkSessionDialog } from './ForkSessionDialog'
+import { SwitchProviderDialog } from './SwitchProviderDialog'
 import { Toast } from './Toast'
 import { CommandPalette } from './CommandPalette'
 
@@ -92,6 +94,19 @@ export interface AppModalsProps {
   closeConfirmMessage: string
   onCloseConfirm: () => void
   onCloseConfirmCancel: () => void
+  // Fork-from-message dialog — open while a message is picked to fork from
+  forkDialogOpen: boolean
+  forkSourceName: string
+  forkSourceProvider: string
+  forkProviders: ComponentProps<typeof ForkSessionDialog>['providers']
+  onForkConfirm: ComponentProps<typeof ForkSessionDialog>['onConfirm']
+  onForkCancel: () => void
+  // Switch-provider dialog — open while a session is picked to move
+  switchProviderOpen: boolean
+  switchProviderSourceName: string
+  switchProviderSourceProvider: string
+  onSwitchProviderConfirm: (provider: string) => void
+  onSwitchProviderCancel: () => void
   // Toasts
   toastItems: ComponentProps<typeof Toast>['items']
   onToastDismiss: (id: string) => void
@@ -236,6 +251,28 @@ export function AppModals(props: AppModalsProps) {
         onCancel={props.onCloseConfirmCancel}
       />
 
+      {/* Fork the active session from a chat message into a new session +
+          worktree. Cancel/Escape/backdrop drop the picked message. */}
+      <ForkSessionDialog
+        open={props.forkDialogOpen}
+        sourceName={props.forkSourceName}
+        sourceProvider={props.forkSourceProvider}
+        providers={props.forkProviders}
+        onConfirm={props.onForkConfirm}
+        onCancel={props.onForkCancel}
+      />
+
+      {/* Continue a session's conversation on another provider (sidebar
+          "Switch provider…"). */}
+      <SwitchProviderDialog
+        open={props.switchProviderOpen}
+        sourceName={props.switchProviderSourceName}
+        sourceProvider={props.switchProviderSourceProvider}
+        providers={props.forkProviders}
+        onConfirm={props.onSwitchProviderConfirm}
+        onCancel={props.onSwitchProviderCancel}
+      />
+
       {/* Toasts */}
       <Toast items={props.toastItems} onDismiss={props.onToastDismiss} />
 
@@ -52,6 +52,29 @@ describe('ChatView', () => {
     expect(screen.queryAllByTestId('msg-copy-button')).toHaveLength(1)
   })
 
+  it('offers fork only on finished responses and sent prompts, and reports the row id', () => {
+    const onForkFromMessage = vi.fn()
+    const messages: ChatViewMessage[] = [
+      { id: 'usr', type: 'user_input', content: 'my question', timestamp: 1 },
+      { id: 'r-done', type: 'response', content: 'finished answer', timestamp: 2 },
+      { id: 'tool', type: 'tool_use', content: 'tool text', timestamp: 3 },
+      { id: 'r-stream', type: 'response', content: 'partial…', timestamp: 4, isStreaming: true },
+      { id: 'queued', type: 'user_input', content: 'follow-up', timestamp: 5 },
+    ]
+    render(<ChatView messages={messages} isStreaming queuedIds={new Set(['queued'])} onForkFromMessage={onForkFromMessage} />)
+    expect(screen.getByTestId('msg-fork-usr')).toBeInTheDocument()
+    expect(screen.queryByTestId('msg-fork-tool')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('msg-fork-r-stream')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('msg-fork-queued')).not.toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('msg-fork-r-done'))
+    expect(onForkFromMessage).toHaveBeenCalledWith('r-done')
+  })
+
+  it('renders no fork control without onForkFromMessage', () => {
+    render(<ChatView messages={makeMessages(2)} isStreaming={false} />)
+    expect(screen.queryByTestId('msg-fork-msg-0')).not.toBeInTheDocument()
+  })
+
   describe('per-code-block copy button (#6793)', () => {
     it('renders one copy button per fenced code block, independent of the whole-message copy control', () => {
       const messages: ChatViewMessage[] = [
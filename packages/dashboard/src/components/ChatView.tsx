@@ -209,6 +209,12 @@ export interface ChatViewProps {
    * and the current text so the composer can be pre-filled.
    */
   onEditQueued?: (id: string, text: string) => void
+  /**
+   * Fork the session from this message: the parent opens the fork dialog for
+   * the row's id. Offered on finished responses and sent (not queued) prompts —
+   * the rows whose ids the server's history knows. Undefined → no control.
+   */
+  onForkFromMessage?: (id: string) => void
   /**
    * #5953 (epic #5951): label for the in-chat "Claude is working" indicator
    * shown at the streaming tail. The parent derives it from the active session's
@@ -384,6 +390,7 @@ const DefaultMessageRow = memo(function DefaultMessageRow({
   queued,
   onCancelQueued,
   onEditQueued,
+  onForkFromMessage,
   queuePosition,
 }: {
   id: string
@@ -412,6 +419,8 @@ const DefaultMessageRow = memo(function DefaultMessageRow({
   /** #6628: edit this queued follow-up — reopen its text in the composer and
    *  cancel the queued entry (stable callback from ChatView). */
   onEditQueued?: (id: string, text: string) => void
+  /** Fork the session from this row (stable callback from ChatView). */
+  onForkFromMessage?: (id: string) => void
   /** #6392: 1-based send position among queued follow-ups, shown only when more
    *  than one is queued (so a lone queued message stays a plain "Queued"). */
   queuePosition?: number
@@ -449,6 +458,21 @@ const DefaultMessageRow = memo(function DefaultMessageRow({
             streaming — copy the finished text). Room for future per-response
             actions alongside it. */}
         {type === 'response' && !isStreaming && content.trim() !== '' && <CopyButton content={content} />}
+        {onForkFromMessage && !isStreaming && !queued && (type === 'response' || type === 'user_input') && (
+          <button
+            type="button"
+            className="msg-fork-btn"
+            aria-label="Fork from this message"
+            title="Fork from this message"
+            data-testid={`msg-fork-${id}`}
+            onClick={(e) => {
+              e.stopPropagation()
+              onForkFromMessage(id)
+            }}
+          >
+            ⑂
+          </button>
+        )}
         {body}
         {/* #6632: preview what the user attached — image thumbnails (only for a
             renderable, safe image URI), otherwise a filename chip. A resumed
@@ -515,7 +539,7 @@ const DefaultMessageRow = memo(function DefaultMessageRow({
   )
 })
 
-function ChatViewImpl({ messages, isStreaming, isBusy, chatActivityState, inFlightToolColor, renderMessage, scrollToBottomSignal, queuedIds, onCancelQueued, onEditQueued, workingLabel, openSearchSignal, getSearchText }: ChatViewProps) {
+function ChatViewImpl({ messages, isStreaming, isBusy, chatActivityState, inFlightToolColor, renderMessage, scrollToBottomSignal, queuedIds, onCancelQueued, onEditQueued, onForkFromMessage, workingLabel, openSearchSignal, getSearchText }: ChatViewProps) {
   const containerRef = useRef<HTMLDivElement>(null)
 
   // #6392 — 1-based send position for each queued follow-up, derived from the
@@ -1062,6 +1086,7 @@ function ChatViewImpl({ messages, isStreaming, isBusy, chatActivityState, inFlig
                   queuePosition={queuePositions?.get(msg.id)}
                   onCancelQueued={onCancelQueued}
                   onEditQueued={onEditQueued}
+                  onForkFromMessage={onForkFromMessage}
                 />
               </MessageRowShell>
             )
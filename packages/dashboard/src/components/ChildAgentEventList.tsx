@@ -68,7 +68,7 @@
 
 import { useMemo, useState } from 'react'
 import type { ChildAgentEvent } from '@chroxy/store-core'
-import { formatToolName, getInputSummary, getPartialSummary } from '@chroxy/store-core'
+import { formatToolName, getInputSummary, getPartialSummary, scopeAllowsPromptAnswers } from '@chroxy/store-core'
 import { useConnectionStore } from '../store/connection'
 
 interface ChildAgentEventListProps {
@@ -294,6 +294,8 @@ export function ChildAgentEventList({ events, parentToolUseId }: ChildAgentEvent
   // prompt — the server's #5056 routing table forwards it to the child.
   const resolvedPermissions = useConnectionStore((s) => s.resolvedPermissions)
   const sendPermissionResponse = useConnectionStore((s) => s.sendPermissionResponse)
+  // An observe device token sees nested prompts but cannot answer them.
+  const canAnswer = useConnectionStore((s) => scopeAllowsPromptAnswers(s.tokenScope))
 
   if (
     reduced.tools.length === 0
@@ -396,6 +398,10 @@ export function ChildAgentEventList({ events, parentToolUseId }: ChildAgentEvent
               >
                 {answerLabel}
               </div>
+            ) : !canAnswer ? (
+              <div className="scope-readonly-hint" data-testid={`child-agent-permission-scope-hint-${perm.requestId}`}>
+                This device can watch but not answer prompts.
+              </div>
             ) : (
               <div className="child-agent-permission-buttons">
                 <button
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { render, screen, fireEvent, act, cleanup } from '@testing-library/react'
-import { ConversationSearch } from './ConversationSearch'
+import { ConversationSearch, buildSearchFilters } from './ConversationSearch'
 import type { SearchResult } from '../store/types'
 
 describe('ConversationSearch (#1077)', () => {
@@ -253,4 +253,59 @@ describe('ConversationSearch (#1077)', () => {
 
     expect(screen.getByText('No results found')).toBeInTheDocument()
   })
+
+  describe('index filters', () => {
+    function renderSearch(results: SearchResult[] = []) {
+      return render(
+        <ConversationSearch
+          searchResults={results}
+          searchLoading={false}
+          searchQuery={results.length ? 'auth' : ''}
+          searchConversations={mockSearchConversations}
+          clearSearchResults={mockClearSearchResults}
+          onResumeSession={mockOnResumeSession}
+          onViewConversation={mockOnViewConversation}
+        />,
+      )
+    }
+
+    it('buildSearchFilters omits unset fields and returns undefined when empty', () => {
+      expect(buildSearchFilters({ repo: ' ', provider: '', role: '', since: '', until: '' })).toBeUndefined()
+      const filters = buildSearchFilters({ repo: '/w/app', provider: 'codex', role: 'tool', since: '2026-03-01', until: '2026-03-01' })!
+      expect(filters.repo).toBe('/w/app')
+      expect(filters.provider).toBe('codex')
+      expect(filters.role).toBe('tool')
+      expect(filters.until! - filters.since!).toBe(24 * 60 * 60 * 1000 - 1)
+    })
+
+    it('re-runs the current query with filters when one changes', () => {
+      vi.useFakeTimers()
+      renderSearch()
+      fireEvent.change(screen.getByPlaceholderText('Search conversations...'), { target: { value: 'deploy' } })
+      act(() => { vi.advanceTimersByTime(350) })
+      expect(mockSearchConversations).toHaveBeenLastCalledWith('deploy')
+
+      fireEvent.click(screen.getByTestId('conversation-search-filters-toggle'))
+      fireEvent.change(screen.getByTestId('conversation-search-filter-role'), { target: { value: 'assistant' } })
+      expect(mockSearchConversations).toHaveBeenLastCalledWith('deploy', { role: 'assistant' })
+
+      fireEvent.change(screen.getByTestId('conversation-search-filter-provider'), { target: { value: 'gemini' } })
+      expect(mockSearchConversations).toHaveBeenLastCalledWith('deploy', { role: 'assistant', provider: 'gemini' })
+      expect(screen.getByTestId('conversation-search-filters-toggle').textContent).toBe('Filters (2)')
+    })
+
+    it('does not search when a filter changes with no query typed', () => {
+      renderSearch()
+      fireEvent.click(screen.getByTestId('conversation-search-filters-toggle'))
+      fireEvent.change(screen.getByTestId('conversation-search-filter-repo'), { target: { value: '/w/app' } })
+      expect(mockSearchConversations).not.toHaveBeenCalled()
+    })
+
+    it('shows provider and matched role in the result meta', () => {
+      renderSearch([{ ...sampleResults[0]!, provider: 'codex', role: 'tool', score: 2.1 }])
+      const meta = document.querySelector('.conversation-search-result-meta')!
+      expect(meta.textContent).toContain('codex')
+      expect(meta.textContent).toContain('tool')
+    })
+  })
 })
@@ -1,11 +1,11 @@
-import { useState, useCallback, useRef, useEffect, useId } from 'react'
-import type { SearchResult } from '../store/types'
+import { useState, useCallback, useRef, useEffect, useId, useMemo } from 'react'
+import type { SearchResult, ConversationSearchFilters, ConversationSearchRole } from '../store/types'
 
 export interface ConversationSearchProps {
   searchResults: SearchResult[]
   searchLoading: boolean
   searchQuery: string
-  searchConversations: (query: string) => void
+  searchConversations: (query: string, filters?: ConversationSearchFilters) => void
   clearSearchResults: () => void
   onResumeSession: (conversationId: string, cwd: string) => void
   /**
@@ -20,6 +20,39 @@ export interface ConversationSearchProps {
 
 const DEBOUNCE_MS = 300
 
+/** Provider families the daemon's search index attributes transcripts to. */
+const PROVIDER_OPTIONS = ['claude', 'codex', 'gemini'] as const
+const ROLE_OPTIONS: ConversationSearchRole[] = ['user', 'assistant', 'tool']
+
+interface FilterDraft {
+  repo: string
+  provider: string
+  role: '' | ConversationSearchRole
+  since: string
+  until: string
+}
+
+const EMPTY_FILTERS: FilterDraft = { repo: '', provider: '', role: '', since: '', until: '' }
+
+/**
+ * Turn the filter controls into the wire shape, or undefined when nothing is
+ * set (so an unfiltered search sends exactly what it always did). Date inputs
+ * are local calendar days: `since` is that day's first millisecond, `until`
+ * its last, so a one-day range covers the whole day.
+ */
+export function buildSearchFilters(draft: FilterDraft): ConversationSearchFilters | undefined {
+  const filters: ConversationSearchFilters = {}
+  const repo = draft.repo.trim()
+  if (repo) filters.repo = repo
+  if (draft.provider) filters.provider = draft.provider
+  if (draft.role) filters.role = draft.role
+  const since = draft.since ? new Date(`${draft.since}T00:00:00`).getTime() : NaN
+  if (Number.isFinite(since)) filters.since = since
+  const until = draft.until ? new Date(`${draft.until}T23:59:59.999`).getTime() : NaN
+  if (Number.isFinite(until)) filters.until = until
+  return Object.keys(filters).length > 0 ? filters : undefined
+}
+
 export function ConversationSearch({
   searchResults,
   searchLoading,
@@ -30,26 +63,42 @@ export function ConversationSearch({
   onViewConversation,
 }: ConversationSearchProps) {
   const [inputValue, setInputValue] = useState('')
+  const [filtersOpen, setFiltersOpen] = useState(false)
+  const [draft, setDraft] = useState<FilterDraft>(EMPTY_FILTERS)
+  const filters = useMemo(() => buildSearchFilters(draft), [draft])
   const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
   const inputRef = useRef<HTMLInputElement>(null)
   const listRef = useRef<HTMLUListElement>(null)
   const listboxId = useId()
 
+  const runSearch = useCallback((value: string, active: ConversationSearchFilters | undefined) => {
+    const trimmed = value.trim()
+    if (!trimmed) {
+      clearSearchResults()
+    } else if (active) {
+      searchConversations(trimmed, active)
+    } else {
+      searchConversations(trimmed)
+    }
+  }, [searchConversations, clearSearchResults])
+
   const handleChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
     const value = e.target.value
     setInputValue(value)
 
     if (timerRef.current) clearTimeout(timerRef.current)
 
-    timerRef.current = setTimeout(() => {
-      const trimmed = value.trim()
-      if (trimmed) {
-        searchConversations(trimmed)
-      } else {
-        clearSearchResults()
-      }
-    }, DEBOUNCE_MS)
-  }, [searchConversations, clearSearchResults])
+    timerRef.current = setTimeout(() => runSearch(value, filters), DEBOUNCE_MS)
+  }, [runSearch, filters])
+
+  // A filter change re-runs the current query straight away — the user has
+  // finished typing it already, so there is nothing to debounce.
+  const updateFilter = useCallback(<K extends keyof FilterDraft>(key: K, value: FilterDraft[K]) => {
+    const next = { ...draft, [key]: value }
+    setDraft(next)
+    if (timerRef.current) clearTimeout(timerRef.current)
+    if (inputValue.trim()) runSearch(inputValue, buildSearchFilters(next))
+  }, [draft, inputValue, runSearch])
 
   useEffect(() => {
     return () => {
@@ -122,6 +171,68 @@ export function ConversationSearch({
         aria-autocomplete="list"
       />
 
+      <button
+        type="button"
+        className="conversation-search-filters-toggle"
+        data-testid="conversation-search-filters-toggle"
+        aria-expanded={filtersOpen}
+        onClick={() => setFiltersOpen(open => !open)}
+      >
+        Filters{filters ? ` (${Object.keys(filters).length})` : ''}
+      </button>
+
+      {filtersOpen && (
+        <div className="conversation-search-filters" data-testid="conversation-search-filters">
+          <input
+            type="text"
+            className="conversation-search-filter"
+            placeholder="Repo path"
+            aria-label="Repo path"
+            data-testid="conversation-search-filter-repo"
+            value={draft.repo}
+            onChange={e => updateFilter('repo', e.target.value)}
+          />
+          <select
+            className="conversation-search-filter"
+            aria-label="Provider"
+            data-testid="conversation-search-filter-provider"
+            value={draft.provider}
+            onChange={e => updateFilter('provider', e.target.value)}
+          >
+            <option value="">Any provider</option>
+            {PROVIDER_OPTIONS.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <select
+            className="conversation-search-filter"
+            aria-label="Message role"
+            data-testid="conversation-search-filter-role"
+            value={draft.role}
+            onChange={e => updateFilter('role', e.target.value as FilterDraft['role'])}
+          >
+            <option value="">Any role</option>
+            {ROLE_OPTIONS.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <label className="conversation-search-filter-date">
+            From
+            <input
+              type="date"
+              data-testid="conversation-search-filter-since"
+              value={draft.since}
+              onChange={e => updateFilter('since', e.target.value)}
+            />
+          </label>
+          <label className="conversation-search-filter-date">
+            To
+            <input
+              type="date"
+              data-testid="conversation-search-filter-until"
+              value={draft.until}
+              onChange={e => updateFilter('until', e.target.value)}
+            />
+          </label>
+        </div>
+      )}
+
       {searchLoading && (
         <div className="conversation-search-status">Searching...</div>
       )}
@@ -150,6 +261,9 @@ export function ConversationSearch({
               </div>
               <div className="conversation-search-result-meta">
                 {result.projectName} &middot; {result.matchCount} match{result.matchCount !== 1 ? 'es' : ''}
+                {result.provider && <> &middot; {result.provider}</>}
+                {result.role && <> &middot; {result.role}</>}
+                {typeof result.matchAt === 'number' && <> &middot; {new Date(result.matchAt).toLocaleDateString()}</>}
               </div>
               {/* #6863 — View / Resume actions, additive alongside the row's
                   existing click/Enter → Resume behavior above. stopPropagation
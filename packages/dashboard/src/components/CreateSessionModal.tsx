@@ -14,7 +14,10 @@ import { buildProviderLimitationNote } from '@chroxy/store-core'
 import {
   CODEX_PROVIDER,
   CODEX_SANDBOX_MODE_META,
+  EGRESS_POLICY_META,
   type CodexSandboxMode,
+  type EgressPolicy,
+  type EgressSpec,
 } from '@chroxy/protocol'
 import type { DirectoryListing, DirectoryEntry, ModelInfo } from '../store/types'
 import { PROVIDER_LABELS } from '../lib/provider-labels'
@@ -33,6 +36,11 @@ export interface CreateSessionData {
   // `codex`; undefined for all other providers (the server ignores it anyway).
   // Narrowed to the wire enum so an invalid value can't compile (Copilot #6900).
   codexSandbox?: CodexSandboxMode
+  // Network egress policy for a containerized provider. `undefined` means "use
+  // the server's default" (devcontainer.json or the `egress` config key). Never
+  // set for host providers or environment sessions (an environment carries its
+  // own policy).
+  egress?: EgressSpec
   // #4208: spawn the claude TUI with --dangerously-skip-permissions and
   // elide chroxy's permission hook entirely. Only the `claude-tui`
   // provider honours this — the checkbox is hidden for other providers
@@ -217,6 +225,12 @@ export function CreateSessionModal({ open, onClose, onCreate, initialCwd, knownC
   // workspace-write) is honored, matching the mobile app's Default-provider omit
   // path. Only surfaced/forwarded for the `codex` provider.
   const [codexSandbox, setCodexSandbox] = useState<'' | CodexSandboxMode>('')
+  // Network egress policy for containerized providers. '' is "Server default";
+  // domains are free text (one per line or comma-separated), only used by the
+  // registries and allowlist policies.
+  const [egressPolicy, setEgressPolicy] = useState<'' | EgressPolicy>('')
+  const [egressDomains, setEgressDomains] = useState('')
+  const [egressError, setEgressError] = useState('')
   // #4208/#4244: TUI-only opt-in to spawn claude with
   // --dangerously-skip-permissions. Tri-state (#4244) so the modal can
   // submit an explicit `false` and override a server-wide
@@ -311,6 +325,9 @@ export function CreateSessionModal({ open, onClose, onCreate, initialCwd, knownC
     setPermissionMode('')
     setWorktree(false)
     setCodexSandbox('')
+    setEgressPolicy('')
+    setEgressDomains('')
+    setEgressError('')
     setSkipPermissions('inherit')
     setShowSuggestions(false)
     setSelectedSuggestion(-1)
@@ -351,6 +368,10 @@ export function CreateSessionModal({ open, onClose, onCreate, initialCwd, knownC
     // a stale (e.g. danger-full-access) selection can't survive a provider
     // round-trip and silently apply to a fresh codex session.
     setCodexSandbox('')
+    // Same for the egress policy: it only applies to containerized providers.
+    setEgressPolicy('')
+    setEgressDomains('')
+    setEgressError('')
   }, [provider])
 
   // #4340: gate the Create button on the selected provider being ready.
@@ -361,6 +382,7 @@ export function CreateSessionModal({ open, onClose, onCreate, initialCwd, knownC
   // submit gate + button disabled state.
   const selectedProviderInfo = availableProviders.find(p => p.name === provider)
   const selectedProviderUnready = selectedProviderInfo?.auth?.ready === false
+  const selectedProviderContainerized = selectedProviderInfo?.capabilities?.containerized === true
 
   const submit = useCallback(() => {
     const trimmed = nameValRef.current.trim()
@@ -392,8 +414,22 @@ export function CreateSessionModal({ open, onClose, onCreate, initialCwd, knownC
     // instead of being silently overridden. Other providers never forward it.
     const codexSandboxOut: CodexSandboxMode | undefined =
       provider === CODEX_PROVIDER && codexSandbox ? codexSandbox : undefined
-    onCreate({ name: trimmed, cwd: cwdValRef.current.trim(), provider, permissionMode: permissionMode || undefined, model, worktree: worktree || undefined, environmentId: environmentId || undefined, skipPermissions: skipPermissionsOut, codexSandbox: codexSandboxOut })
-  }, [onCreate, provider, permissionMode, defaultModel, availableModels, availableModelsProvider, worktree, environmentId, skipPermissions, codexSandbox, selectedProviderUnready])
+    // Egress: only for a containerized provider outside an environment, and
+    // only when the user picked a policy. The server validates each domain;
+    // the one rule checked here is the one the form can explain inline.
+    let egressOut: EgressSpec | undefined
+    if (egressPolicy && selectedProviderContainerized && !environmentId) {
+      const domains = egressPolicy === 'registries' || egressPolicy === 'allowlist'
+        ? egressDomains.split(/[\s,]+/).filter(Boolean)
+        : []
+      if (egressPolicy === 'allowlist' && domains.length === 0) {
+        flushSync(() => setEgressError('List at least one domain for a custom allowlist'))
+        return
+      }
+      egressOut = domains.length > 0 ? { policy: egressPolicy, domains } : { policy: egressPolicy }
+    }
+    onCreate({ name: trimmed, cwd: cwdValRef.current.trim(), provider, permissionMode: permissionMode || undefined, model, worktree: worktree || undefined, environmentId: environmentId || undefined, skipPermissions: skipPermissionsOut, codexSandbox: codexSandboxOut, egress: egressOut })
+  }, [onCreate, provider, permissionMode, defaultModel, availableModels, availableModelsProvider, worktree, environmentId, skipPermissions, codexSandbox, egressPolicy, egressDomains, selectedProviderContainerized, selectedProviderUnready])
 
   const selectSuggestion = useCallback((path: string) => {
     setCwd(path)
@@ -948,6 +984,51 @@ export function CreateSessionModal({ open, onClose, onCreate, initialCwd, knownC
               </span>
             </div>
           )}
+          {/* Network egress policy. Only containerized providers can enforce
+              one, and an environment session runs under its environment's
+              policy, so the field is hidden otherwise. Options + descriptions
+              are single-sourced from EGRESS_POLICY_META. */}
+          {selectedProviderContainerized && !environmentId && (
+            <div className="form-field" data-testid="egress-field">
+              <label htmlFor="egress-policy-select">Network egress</label>
+              <select
+                id="egress-policy-select"
+                data-testid="egress-policy-select"
+                value={egressPolicy}
+                onChange={e => { setEgressPolicy(e.target.value as '' | EgressPolicy); setEgressError('') }}
+                aria-label="Network egress policy"
+                aria-describedby="egress-policy-hint"
+              >
+                <option value="">Server default</option>
+                {EGRESS_POLICY_META.map((m) => (
+                  <option key={m.id} value={m.id}>{m.label}</option>
+                ))}
+              </select>
+              <span id="egress-policy-hint" className="form-hint">
+                {egressPolicy === ''
+                  ? "Use the repo's devcontainer.json or the server's egress default (open unless configured)."
+                  : EGRESS_POLICY_META.find((m) => m.id === egressPolicy)?.description}
+              </span>
+              {(egressPolicy === 'registries' || egressPolicy === 'allowlist') && (
+                <>
+                  <textarea
+                    id="egress-domains-input"
+                    data-testid="egress-domains-input"
+                    value={egressDomains}
+                    onChange={e => { setEgressDomains(e.target.value); setEgressError('') }}
+                    placeholder={'github.com\n*.example.com'}
+                    rows={3}
+                    aria-label={egressPolicy === 'allowlist' ? 'Allowed domains' : 'Extra allowed domains'}
+                    aria-invalid={egressError ? true : undefined}
+                    aria-describedby={egressError ? 'egress-domains-error' : undefined}
+                  />
+                  {egressError && (
+                    <span id="egress-domains-error" className="form-error" role="alert">{egressError}</span>
+                  )}
+                </>
+              )}
+            </div>
+          )}
           <div className="form-field form-field--checkbox">
             <label className="checkbox-label">
               <input
@@ -0,0 +1,132 @@
+/**
+ * Tests for the network egress selector on the Create Session modal.
+ *
+ * The control MUST:
+ *   - render only when the active provider is containerized
+ *   - default to "Server default" (empty value), which forwards NO `egress`
+ *     so devcontainer.json / the config default still apply
+ *   - forward the chosen policy, plus any listed domains, as `egress`
+ *   - refuse to submit a custom allowlist with no domains
+ *
+ * The options + labels are single-sourced from `@chroxy/protocol`'s
+ * `EGRESS_POLICY_META`.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, cleanup, fireEvent } from '@testing-library/react'
+
+vi.mock('../hooks/usePathAutocomplete', () => ({
+  usePathAutocomplete: () => ({ suggestions: [] }),
+}))
+
+const DOCKER_PROVIDER = {
+  name: 'docker-sdk',
+  capabilities: { containerized: true },
+  auth: { ready: true, source: 'static', detail: '' },
+}
+const SDK_PROVIDER = {
+  name: 'claude-sdk',
+  capabilities: {},
+  auth: { ready: true, source: 'static', detail: '' },
+}
+
+function mockStore(defaultProvider: string) {
+  vi.doMock('../store/connection', () => ({
+    useConnectionStore: (selector: (s: Record<string, unknown>) => unknown) =>
+      selector({
+        defaultProvider,
+        defaultModel: null,
+        availableModels: [],
+        availableModelsProvider: null,
+        availableProviders: [DOCKER_PROVIDER, SDK_PROVIDER],
+        availablePermissionModes: [],
+        environments: [],
+        requestDirectoryListing: () => {},
+        setDirectoryListingCallback: () => {},
+        defaultCwd: null,
+      }),
+  }))
+}
+
+afterEach(() => {
+  cleanup()
+  vi.resetModules()
+  vi.doUnmock('../store/connection')
+})
+
+const baseProps = {
+  open: true,
+  onClose: vi.fn(),
+  initialCwd: '/Users/me/projects',
+  knownCwds: [] as string[],
+  existingNames: [] as string[],
+}
+
+async function loadModal() {
+  const mod = await import('./CreateSessionModal')
+  return mod.CreateSessionModal
+}
+
+function openAdvanced() {
+  fireEvent.click(screen.getByRole('button', { name: /advanced/i }))
+}
+
+function submit() {
+  fireEvent.click(screen.getByRole('button', { name: /^create$/i }))
+}
+
+describe('CreateSessionModal network egress selector', () => {
+  it('renders for a containerized provider with "Server default" selected', async () => {
+    mockStore('docker-sdk')
+    const CreateSessionModal = await loadModal()
+    render(<CreateSessionModal {...baseProps} onCreate={vi.fn()} />)
+    openAdvanced()
+    const select = screen.getByTestId('egress-policy-select') as HTMLSelectElement
+    expect(select.value).toBe('')
+    expect(Array.from(select.options).map((o) => o.value)).toEqual(['', 'open', 'registries', 'allowlist', 'none'])
+  })
+
+  it('does NOT render for a host provider', async () => {
+    mockStore('claude-sdk')
+    const CreateSessionModal = await loadModal()
+    render(<CreateSessionModal {...baseProps} onCreate={vi.fn()} />)
+    openAdvanced()
+    expect(screen.queryByTestId('egress-field')).not.toBeInTheDocument()
+  })
+
+  it('omits egress by default', async () => {
+    mockStore('docker-sdk')
+    const CreateSessionModal = await loadModal()
+    const onCreate = vi.fn()
+    render(<CreateSessionModal {...baseProps} onCreate={onCreate} />)
+    submit()
+    expect(onCreate).toHaveBeenCalledTimes(1)
+    expect(onCreate.mock.calls[0]![0].egress).toBeUndefined()
+  })
+
+  it('forwards an allowlist with its domains', async () => {
+    mockStore('docker-sdk')
+    const CreateSessionModal = await loadModal()
+    const onCreate = vi.fn()
+    render(<CreateSessionModal {...baseProps} onCreate={onCreate} />)
+    openAdvanced()
+    fireEvent.change(screen.getByTestId('egress-policy-select'), { target: { value: 'allowlist' } })
+    fireEvent.change(screen.getByTestId('egress-domains-input'), { target: { value: 'github.com, *.npmjs.org\ngit.corp.example:22' } })
+    submit()
+    expect(onCreate.mock.calls[0]![0].egress).toEqual({
+      policy: 'allowlist',
+      domains: ['github.com', '*.npmjs.org', 'git.corp.example:22'],
+    })
+  })
+
+  it('refuses an allowlist with no domains', async () => {
+    mockStore('docker-sdk')
+    const CreateSessionModal = await loadModal()
+    const onCreate = vi.fn()
+    render(<CreateSessionModal {...baseProps} onCreate={onCreate} />)
+    openAdvanced()
+    fireEvent.change(screen.getByTestId('egress-policy-select'), { target: { value: 'allowlist' } })
+    submit()
+    expect(onCreate).not.toHaveBeenCalled()
+    expect(screen.getByRole('alert')).toBeInTheDocument()
+  })
+})
@@ -586,7 +586,7 @@ export function HunkView({
   )
 }
 
-function FileView({
+export function FileView({
   file,
   viewMode,
   commentApi,
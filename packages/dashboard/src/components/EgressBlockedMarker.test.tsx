@@ -0,0 +1,26 @@
+/**
+ * EgressBlockedMarker component tests.
+ *
+ * Covers the marker rendered for a parsed egress_blocked system event — the
+ * blocked destination, the policy's label, and the folded repeat count.
+ */
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, cleanup } from '@testing-library/react'
+import { EgressBlockedMarker } from './EgressBlockedMarker'
+
+afterEach(cleanup)
+
+describe('EgressBlockedMarker', () => {
+  it('names the blocked destination and the policy', () => {
+    render(<EgressBlockedMarker meta={{ host: 'evil.example', port: 443, policy: 'registries', count: 1 }} />)
+    const marker = screen.getByTestId('egress-blocked-marker')
+    expect(screen.getByTestId('egress-blocked-marker-host')).toHaveTextContent('evil.example:443')
+    expect(marker).toHaveTextContent('not allowed by the Package registries policy')
+    expect(marker).not.toHaveTextContent('attempts')
+  })
+
+  it('shows the repeat count when attempts were folded', () => {
+    render(<EgressBlockedMarker meta={{ host: 'pypi.example', port: 80, policy: 'none', count: 5 }} />)
+    expect(screen.getByTestId('egress-blocked-marker')).toHaveTextContent('5 attempts')
+  })
+})
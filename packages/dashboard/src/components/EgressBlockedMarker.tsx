@@ -0,0 +1,36 @@
+/**
+ * EgressBlockedMarker
+ *
+ * Marker for an `egress_blocked` system event: a process in a Docker-isolated
+ * session tried to reach a host its network egress policy doesn't allow, and
+ * the egress proxy refused it (see store-core `ChatMessage.egressBlocked`).
+ * Rendered by `useMessageRenderer` for `type: 'system'` messages carrying
+ * `egressBlocked` — same wiring as `CompactionMarker`, so it surfaces on the
+ * System tab.
+ *
+ * Non-interactive: the fix is a wider policy on the next session, not an
+ * action on this one. Repeated attempts arrive already folded into `count`.
+ */
+import { EGRESS_POLICY_META } from '@chroxy/protocol'
+import type { EgressBlockedMeta } from '../store/types'
+
+export interface EgressBlockedMarkerProps {
+  meta: EgressBlockedMeta
+}
+
+export function EgressBlockedMarker({ meta }: EgressBlockedMarkerProps) {
+  const policyLabel = EGRESS_POLICY_META.find((p) => p.id === meta.policy)?.label ?? meta.policy
+  return (
+    <div className="egress-blocked-marker" data-testid="egress-blocked-marker">
+      <span className="egress-blocked-marker-icon" aria-hidden="true">⊘</span>
+      <span className="egress-blocked-marker-text">
+        Network egress blocked:{' '}
+        <code className="egress-blocked-marker-host" data-testid="egress-blocked-marker-host">
+          {meta.host}:{meta.port}
+        </code>
+        {' '}· not allowed by the {policyLabel} policy
+        {meta.count > 1 && ` · ${meta.count} attempts`}
+      </span>
+    </div>
+  )
+}
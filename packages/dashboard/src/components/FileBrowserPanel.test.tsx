@@ -3,7 +3,7 @@
  */
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, fireEvent, waitFor, act, cleanup } from '@testing-library/react'
-import { FileBrowserPanel, contentReplyMatchesSelection } from './FileBrowserPanel'
+import { FileBrowserPanel, contentReplyMatchesSelection, tokenPosition } from './FileBrowserPanel'
 
 // Mock the connection store
 const mockRequestFileListing = vi.fn()
@@ -15,6 +15,10 @@ const mockRequestResolveSymbol = vi.fn()
 const mockRequestFindReferences = vi.fn()
 const mockOpenFileInBrowser = vi.fn()
 let mockSymbolLocation: any = null
+// #6479 language-server hover
+const mockRequestHoverSymbol = vi.fn()
+const mockDismissSymbolHover = vi.fn()
+let mockSymbolHover: any = null
 let fileBrowserCallback: ((listing: any) => void) | null = null
 let fileContentCallback: ((content: any) => void) | null = null
 let gitStatusCallback: ((result: any) => void) | null = null
@@ -48,6 +52,9 @@ vi.mock('../store/connection', () => {
     requestFindReferences: mockRequestFindReferences,
     openFileInBrowser: mockOpenFileInBrowser,
     symbolLocation: mockSymbolLocation,
+    requestHoverSymbol: mockRequestHoverSymbol,
+    dismissSymbolHover: mockDismissSymbolHover,
+    symbolHover: mockSymbolHover,
     lastFileContentRequestId: mockLastFileContentRequestId,
   })
 
@@ -87,6 +94,7 @@ beforeEach(() => {
   mockIdeCapability = false
   mockFileBrowserPendingOpen = null
   mockSymbolLocation = null
+  mockSymbolHover = null
   mockLastFileContentRequestId = null
 })
 
@@ -577,7 +585,7 @@ describe('FileBrowserPanel — go-to-definition (#6475)', () => {
   it('cmd/ctrl+click on a token resolves the symbol, passing the open file as a hint', async () => {
     await openIdentifierFile(true)
     fireEvent.click(screen.getByText('widget'), { metaKey: true })
-    expect(mockRequestResolveSymbol).toHaveBeenCalledWith('widget', 'foo.ts')
+    expect(mockRequestResolveSymbol).toHaveBeenCalledWith('widget', 'foo.ts', { line: 1, column: 1 })
   })
 
   it('a plain click (no modifier) does NOT resolve', async () => {
@@ -590,14 +598,14 @@ describe('FileBrowserPanel — go-to-definition (#6475)', () => {
   it('alt/option+click on a token finds references (#6477), passing the open file', async () => {
     await openIdentifierFile(true)
     fireEvent.click(screen.getByText('widget'), { altKey: true })
-    expect(mockRequestFindReferences).toHaveBeenCalledWith('widget', 'foo.ts')
+    expect(mockRequestFindReferences).toHaveBeenCalledWith('widget', 'foo.ts', { line: 1, column: 1 })
     expect(mockRequestResolveSymbol).not.toHaveBeenCalled()
   })
 
   it('cmd wins over alt when both are held (definition is primary)', async () => {
     await openIdentifierFile(true)
     fireEvent.click(screen.getByText('widget'), { metaKey: true, altKey: true })
-    expect(mockRequestResolveSymbol).toHaveBeenCalledWith('widget', 'foo.ts')
+    expect(mockRequestResolveSymbol).toHaveBeenCalledWith('widget', 'foo.ts', { line: 1, column: 1 })
     expect(mockRequestFindReferences).not.toHaveBeenCalled()
   })
 
@@ -633,6 +641,49 @@ describe('FileBrowserPanel — go-to-definition (#6475)', () => {
     expect(pill.textContent).toContain('ghost')
     expect(mockOpenFileInBrowser).not.toHaveBeenCalled()
   })
+
+  it('shift+click asks the language server for hover info at the token (#6479)', async () => {
+    await openIdentifierFile(true)
+    fireEvent.click(screen.getByText('widget'), { shiftKey: true })
+    expect(mockRequestHoverSymbol).toHaveBeenCalledWith('foo.ts', 1, 1)
+    expect(mockRequestResolveSymbol).not.toHaveBeenCalled()
+  })
+
+  it('renders the hover card with the diagnostics on the hovered line (#6479)', async () => {
+    mockSymbolHover = {
+      type: 'symbol_hover', file: 'foo.ts', line: 1, column: 1,
+      contents: 'const widget: number', error: null,
+      diagnostics: [
+        { line: 1, column: 1, endLine: 1, endColumn: 7, severity: 'error', message: 'Cannot find name', source: 'ts', code: '2304' },
+        { line: 9, column: 1, endLine: 9, endColumn: 2, severity: 'warning', message: 'Unused', source: null, code: null },
+      ],
+    }
+    await openIdentifierFile(true)
+    const card = screen.getByTestId('symbol-hover')
+    expect(card.textContent).toContain('const widget: number')
+    expect(card.textContent).toContain('Cannot find name')
+    expect(card.textContent).toContain('(ts 2304)')
+    expect(card.textContent).not.toContain('Unused')
+    expect(card.textContent).toContain('1 more diagnostic in this file')
+    fireEvent.click(screen.getByLabelText('Close symbol info'))
+    expect(mockDismissSymbolHover).toHaveBeenCalled()
+  })
+})
+
+describe('tokenPosition (#6479)', () => {
+  it('counts the tokens before the clicked one, skipping the gutter number', () => {
+    const row = document.createElement('span')
+    row.dataset.line = '7'
+    row.innerHTML = '<span class="file-viewer-line-num">7</span><span>const</span><span> widget</span><span> = 1</span>'
+    const token = row.children[2] as HTMLElement
+    expect(tokenPosition(token)).toEqual({ line: 7, column: 7 })
+  })
+
+  it('returns null outside a line row', () => {
+    const loose = document.createElement('span')
+    document.createElement('div').appendChild(loose)
+    expect(tokenPosition(loose)).toBeNull()
+  })
 })
 
 describe('contentReplyMatchesSelection (#6497)', () => {
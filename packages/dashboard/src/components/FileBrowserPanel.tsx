@@ -104,6 +104,27 @@ function buildGitStatusMap(
 }
 
 /** Get relative path from root for git status matching */
+/**
+ * #6479 — the 1-indexed line/column of a clicked token span, for the language
+ * server. The line comes from the row's `data-line`; the column sums the text
+ * of the tokens before it (the gutter number is not part of the source) plus
+ * any leading whitespace inside the token itself. Null for anything that isn't
+ * a direct token child of a line row.
+ */
+export function tokenPosition(target: HTMLElement): { line: number; column: number } | null {
+  const lineEl = target.parentElement
+  const line = Number(lineEl?.dataset.line)
+  if (!lineEl || !Number.isInteger(line) || line < 1) return null
+  let offset = 0
+  for (const sibling of Array.from(lineEl.children)) {
+    if (sibling === target) break
+    if (sibling.classList.contains('file-viewer-line-num')) continue
+    offset += sibling.textContent?.length ?? 0
+  }
+  const raw = target.textContent || ''
+  return { line, column: offset + (raw.length - raw.trimStart().length) + 1 }
+}
+
 function relativePath(fullPath: string, rootPath: string): string {
   if (fullPath.startsWith(rootPath + '/')) {
     return fullPath.slice(rootPath.length + 1)
@@ -169,6 +190,7 @@ function FileTreeRow({ item, rootPath, gitStatusMap, selected, onToggle, onFileC
 const SYMBOL_KIND_ICON: Record<string, string> = {
   function: 'ƒ', method: 'ƒ', class: 'C', interface: 'I',
   type: 'T', enum: 'E', const: 'k', variable: 'v',
+  field: 'F', struct: 'S', trait: 'I', module: 'M',
 }
 
 interface SymbolsListProps {
@@ -204,7 +226,7 @@ function SymbolsList({ groups, loading, onPick }: SymbolsListProps) {
                   className="symbol-item"
                   data-testid={`symbol-item-${s.name}`}
                   onClick={() => onPick(s.line)}
-                  title={`${s.kind} · line ${s.line}`}
+                  title={`${s.kind}${s.container ? ` in ${s.container}` : ''} · line ${s.line}`}
                 >
                   <span className="symbol-item-icon" aria-hidden="true">{SYMBOL_KIND_ICON[s.kind] ?? '•'}</span>
                   <span className="symbol-item-name">{s.name}</span>
@@ -238,6 +260,10 @@ export function FileBrowserPanel() {
   // #6477 — find-all-references: alt/option+click a token → references palette.
   const requestFindReferences = useConnectionStore(s => s.requestFindReferences)
   const symbolLocation = useConnectionStore(s => s.symbolLocation)
+  // #6479 — language-server hover: shift+click a token → hover card.
+  const requestHoverSymbol = useConnectionStore(s => s.requestHoverSymbol)
+  const dismissSymbolHover = useConnectionStore(s => s.dismissSymbolHover)
+  const symbolHover = useConnectionStore(s => s.symbolHover)
   const openFileInBrowser = useConnectionStore(s => s.openFileInBrowser)
   // #6470 — VSCode-style collapsible tree state: children cached per directory
   // (the root + each expanded subdir), the set of expanded dirs, and dirs with an
@@ -450,14 +476,18 @@ export function FileBrowserPanel() {
   }, [requestFileContent])
 
   // #6475 / #6477 — modifier+click a token in the viewer: cmd/ctrl+click jumps to
-  // its definition (go-to-definition); alt/option+click finds all references.
+  // its definition (go-to-definition); alt/option+click finds all references;
+  // shift+click shows the language server's hover card (#6479).
   // Event-delegated on the <pre>: read the clicked token's text; only act on an
   // identifier-ish token (not a keyword/string/comment/punctuation). Opt-in.
+  // The token's position rides along so a configured language server can
+  // answer precisely; the server falls back to the name-based regex index.
   const handleCodeClick = useCallback((e: React.MouseEvent<HTMLElement>) => {
     if (!ideEnabled) return
     const goToDef = e.metaKey || e.ctrlKey
     const findRefs = e.altKey
-    if (!goToDef && !findRefs) return
+    const hover = e.shiftKey
+    if (!goToDef && !findRefs && !hover) return
     const target = e.target as HTMLElement
     const cls = typeof target.className === 'string' ? target.className : ''
     const m = cls.match(/(?:^|\s)syn-(\w+)/)
@@ -468,10 +498,23 @@ export function FileBrowserPanel() {
     const fromFile = selectedFile && rootPath
       ? relativePath(selectedFile, rootPath)
       : undefined
+    const position = tokenPosition(target) ?? undefined
     // cmd/ctrl wins if both modifiers are held (definition is the primary gesture).
-    if (goToDef) requestResolveSymbol(text, fromFile)
-    else requestFindReferences(text, fromFile)
-  }, [ideEnabled, selectedFile, rootPath, requestResolveSymbol, requestFindReferences])
+    if (goToDef) requestResolveSymbol(text, fromFile, position)
+    else if (findRefs) requestFindReferences(text, fromFile, position)
+    else if (fromFile && position) requestHoverSymbol(fromFile, position.line, position.column)
+  }, [ideEnabled, selectedFile, rootPath, requestResolveSymbol, requestFindReferences, requestHoverSymbol])
+
+  // #6479 — a hover card belongs to the file it was asked about; drop it when
+  // the viewer moves to another file.
+  useEffect(() => {
+    dismissSymbolHover()
+  }, [selectedFile, dismissSymbolHover])
+  const hoverFile = selectedFile && rootPath ? relativePath(selectedFile, rootPath) : null
+  const visibleHover = symbolHover && symbolHover.file === hoverFile ? symbolHover : null
+  const hoverLineDiagnostics = visibleHover
+    ? visibleHover.diagnostics.filter(d => d.line <= visibleHover.line && d.endLine >= visibleHover.line)
+    : []
 
   // #6473 — open a file requested externally (Cmd+P quick-open); reuse the click
   // path so it persists the selection, loads content, and triggers the symbols
@@ -671,6 +714,40 @@ export function FileBrowserPanel() {
                 Definition not found for <code>{defNotFound}</code>
               </div>
             )}
+            {/* #6479 — language-server hover card (shift+click). */}
+            {visibleHover && (
+              <div className="file-viewer-hover" data-testid="symbol-hover" role="dialog" aria-label="Symbol info">
+                <button
+                  type="button"
+                  className="file-viewer-hover-close"
+                  onClick={dismissSymbolHover}
+                  aria-label="Close symbol info"
+                >
+                  &times;
+                </button>
+                {visibleHover.error
+                  ? <div className="file-viewer-hover-empty">{visibleHover.error}</div>
+                  : visibleHover.contents
+                    ? <pre className="file-viewer-hover-contents">{visibleHover.contents}</pre>
+                    : <div className="file-viewer-hover-empty">No information for this symbol</div>}
+                {hoverLineDiagnostics.length > 0 && (
+                  <ul className="file-viewer-hover-diagnostics">
+                    {hoverLineDiagnostics.map((d, i) => (
+                      <li key={i} className={`file-viewer-hover-diagnostic file-viewer-hover-diagnostic--${d.severity}`}>
+                        <span className="file-viewer-hover-severity">{d.severity}</span> {d.message}
+                        {d.source && <span className="file-viewer-hover-source"> ({d.source}{d.code ? ` ${d.code}` : ''})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {visibleHover.diagnostics.length > hoverLineDiagnostics.length && (
+                  <div className="file-viewer-hover-more">
+                    {visibleHover.diagnostics.length - hoverLineDiagnostics.length} more diagnostic
+                    {visibleHover.diagnostics.length - hoverLineDiagnostics.length === 1 ? '' : 's'} in this file
+                  </div>
+                )}
+              </div>
+            )}
             {fileLoading && <div className="file-viewer-loading">Loading file...</div>}
             {!fileLoading && fileError && <div className="file-viewer-error">{fileError}</div>}
             {!fileLoading && !fileError && fileContent !== null && fileLanguage === 'image' && (
@@ -686,7 +763,7 @@ export function FileBrowserPanel() {
               <pre
                 className={ideEnabled ? 'file-viewer-code file-viewer-code--ide' : 'file-viewer-code'}
                 onClick={handleCodeClick}
-                title={ideEnabled ? 'Cmd/Ctrl+click a symbol to jump to its definition' : undefined}
+                title={ideEnabled ? 'Cmd/Ctrl+click a symbol to jump to its definition, Alt+click for references, Shift+click for info' : undefined}
               >
                 <code>
                   {highlightedLines
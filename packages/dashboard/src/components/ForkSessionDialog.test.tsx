@@ -0,0 +1,65 @@
+/**
+ * ForkSessionDialog tests — fork-from-message provider/name picker.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import { ForkSessionDialog } from './ForkSessionDialog'
+import type { ProviderInfo } from '../store/types'
+
+afterEach(cleanup)
+
+const providers = [
+  { name: 'claude-sdk', capabilities: {} },
+  { name: 'codex', capabilities: {} },
+  { name: 'user-shell', capabilities: {} },
+] as unknown as ProviderInfo[]
+
+function renderDialog(onConfirm = vi.fn(), onCancel = vi.fn()) {
+  render(
+    <ForkSessionDialog
+      open
+      sourceName="Refactor"
+      sourceProvider="claude-sdk"
+      providers={providers}
+      onConfirm={onConfirm}
+      onCancel={onCancel}
+    />,
+  )
+  return { onConfirm, onCancel }
+}
+
+describe('ForkSessionDialog', () => {
+  it('renders nothing when closed', () => {
+    render(
+      <ForkSessionDialog open={false} sourceName="x" sourceProvider="claude-sdk" providers={providers} onConfirm={vi.fn()} onCancel={vi.fn()} />,
+    )
+    expect(screen.queryByTestId('fork-session-dialog')).toBeNull()
+  })
+
+  it('preselects the source provider, hides terminal providers and defaults the name', () => {
+    const { onConfirm } = renderDialog()
+    const select = screen.getByTestId('fork-session-provider') as HTMLSelectElement
+    expect(select.value).toBe('claude-sdk')
+    expect([...select.options].map(o => o.value)).toEqual(['claude-sdk', 'codex'])
+    expect(screen.getByTestId('fork-session-name')).toHaveAttribute('placeholder', 'Fork: Refactor')
+    fireEvent.click(screen.getByTestId('fork-session-confirm'))
+    // Same provider + empty name → both left to the server's defaults.
+    expect(onConfirm).toHaveBeenCalledWith({ provider: undefined, name: undefined })
+  })
+
+  it('sends a changed provider and a trimmed name', () => {
+    const { onConfirm } = renderDialog()
+    fireEvent.change(screen.getByTestId('fork-session-provider'), { target: { value: 'codex' } })
+    expect(screen.getByTestId('fork-session-dialog')).toHaveTextContent('carried over as a transcript')
+    fireEvent.change(screen.getByTestId('fork-session-name'), { target: { value: '  Try codex  ' } })
+    fireEvent.click(screen.getByTestId('fork-session-confirm'))
+    expect(onConfirm).toHaveBeenCalledWith({ provider: 'codex', name: 'Try codex' })
+  })
+
+  it('cancels without confirming', () => {
+    const { onConfirm, onCancel } = renderDialog()
+    fireEvent.click(screen.getByTestId('fork-session-cancel'))
+    expect(onCancel).toHaveBeenCalledTimes(1)
+    expect(onConfirm).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * ForkSessionDialog — fork the active session from one message into a new
+ * session, built on `Modal`.
+ *
+ * The fork carries the conversation up to and including the chosen message's
+ * turn, and the server copies the source's working tree into a fresh git
+ * worktree so both sessions can proceed side by side. The user picks the new
+ * session's provider (defaulting to the source's) and an optional name; an
+ * empty name lets the server use "Fork: <source name>". Terminal providers are
+ * not offered — a shell has no conversation to continue.
+ */
+import { useEffect, useState } from 'react'
+import { USER_SHELL_PROVIDER } from '@chroxy/protocol'
+import { Modal } from './Modal'
+import { PROVIDER_LABELS } from '../lib/provider-labels'
+import type { ProviderInfo } from '../store/types'
+
+export interface ForkSessionDialogProps {
+  open: boolean
+  /** The source session's name, for the default-name placeholder. */
+  sourceName: string
+  /** The source session's provider — the preselected target. */
+  sourceProvider: string
+  providers: ProviderInfo[]
+  onConfirm: (opts: { provider?: string; name?: string }) => void
+  onCancel: () => void
+}
+
+export function ForkSessionDialog({
+  open,
+  sourceName,
+  sourceProvider,
+  providers,
+  onConfirm,
+  onCancel,
+}: ForkSessionDialogProps) {
+  const [provider, setProvider] = useState(sourceProvider)
+  const [name, setName] = useState('')
+
+  // Each opening starts from the source's provider and the default name.
+  useEffect(() => {
+    if (!open) return
+    setProvider(sourceProvider)
+    setName('')
+  }, [open, sourceProvider])
+
+  const options = providers
+    .filter(p => p.name !== USER_SHELL_PROVIDER)
+    .map(p => ({ name: p.name, unavailable: p.auth?.ready === false }))
+  if (!options.some(p => p.name === sourceProvider)) {
+    options.unshift({ name: sourceProvider, unavailable: false })
+  }
+  const crossProvider = provider !== sourceProvider
+
+  const submit = () => {
+    const trimmed = name.trim()
+    onConfirm({
+      provider: crossProvider ? provider : undefined,
+      name: trimmed || undefined,
+    })
+  }
+
+  return (
+    <Modal open={open} onClose={onCancel} title="Fork from this message" maxWidth="440px">
+      <div className="fork-session-dialog" data-testid="fork-session-dialog">
+        <div className="confirm-dialog-message">
+          Starts a new session with the conversation up to this message and a copy
+          of the working tree in its own git worktree.
+          {crossProvider && ' The conversation is carried over as a transcript with the first message you send.'}
+        </div>
+        <input
+          type="text"
+          placeholder={`Fork: ${sourceName}`}
+          aria-label="Fork name"
+          value={name}
+          maxLength={256}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') submit() }}
+          data-testid="fork-session-name"
+        />
+        <div className="provider-section">
+          <div className="provider-select">
+            <label htmlFor="fork-provider-select">Provider</label>
+            <select
+              id="fork-provider-select"
+              value={provider}
+              onChange={e => setProvider(e.target.value)}
+              aria-label="Fork provider"
+              data-testid="fork-session-provider"
+            >
+              {options.map(p => {
+                const label = PROVIDER_LABELS[p.name] || p.name
+                return (
+                  <option key={p.name} value={p.name}>
+                    {p.unavailable ? `${label} (unavailable)` : label}
+                  </option>
+                )
+              })}
+            </select>
+          </div>
+        </div>
+        <div className="modal-buttons">
+          <button
+            type="button"
+            className="btn-modal-cancel"
+            data-testid="fork-session-cancel"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn-modal-create"
+            data-testid="fork-session-confirm"
+            onClick={submit}
+          >
+            Fork
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
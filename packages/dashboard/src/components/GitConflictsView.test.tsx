@@ -0,0 +1,153 @@
+/**
+ * GitConflictsView — tests for the GitPanel Conflicts tab.
+ *
+ * Same mocking idiom as GitHistoryView.test.tsx: the store is mocked entirely
+ * and the callbacks passed to setGitConflicts*Callback are captured so tests
+ * can land a *_result reply.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup, act } from '@testing-library/react'
+import { GitConflictsView } from './GitConflictsView'
+
+let seq = 0
+const mockRequestGitConflicts = vi.fn((): string | null => `git-conflicts-${++seq}`)
+const mockRequestGitConflictResolve = vi.fn((_params: unknown) => true)
+const mockRequestGitConflictContinue = vi.fn(() => true)
+const mockRequestGitConflictAbort = vi.fn(() => true)
+const mockSendInput = vi.fn((_input: string): 'sent' | 'queued' | false => 'sent')
+
+let capturedConflictsCallback: ((result: any) => void) | null = null
+let capturedConflictCallback: ((result: any) => void) | null = null
+
+// Stable setter identities, as the real store's are — the view's cleanup
+// effect keys on them.
+const setConflictsCallback = (cb: any) => { capturedConflictsCallback = cb }
+const setConflictCallback = (cb: any) => { capturedConflictCallback = cb }
+
+vi.mock('../store/connection', () => ({
+  useConnectionStore: (selector: any) => {
+    const store = {
+      setGitConflictsCallback: setConflictsCallback,
+      requestGitConflicts: mockRequestGitConflicts,
+      setGitConflictCallback: setConflictCallback,
+      requestGitConflictResolve: mockRequestGitConflictResolve,
+      requestGitConflictContinue: mockRequestGitConflictContinue,
+      requestGitConflictAbort: mockRequestGitConflictAbort,
+      sendInput: mockSendInput,
+      connectionPhase: 'connected',
+    }
+    return selector(store)
+  },
+}))
+
+afterEach(() => cleanup())
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  capturedConflictsCallback = null
+  capturedConflictCallback = null
+})
+
+const HUNK = {
+  index: 0,
+  startLine: 2,
+  oursLabel: 'HEAD',
+  theirsLabel: 'feature',
+  baseLabel: null,
+  ours: ['const a = 1'],
+  base: null,
+  theirs: ['const a = 2'],
+  before: ['// top'],
+  after: [],
+}
+
+const FILE = { path: 'src/a.ts', kind: 'both_modified', hash: 'h1', binary: false, tooLarge: false, hunks: [HUNK] }
+
+function landConflicts(fields: Record<string, unknown>) {
+  const { results } = mockRequestGitConflicts.mock
+  act(() => capturedConflictsCallback!({
+    operation: 'merge', branch: 'main', files: [], truncated: false, error: null,
+    requestId: results[results.length - 1]!.value,
+    ...fields,
+  }))
+}
+
+function landConflictResult(fields: Record<string, unknown>) {
+  act(() => capturedConflictCallback!({
+    action: 'resolve', path: null, remaining: 0, staged: false, operation: 'merge', error: null,
+    ...fields,
+  }))
+}
+
+describe('GitConflictsView', () => {
+  it('lists the operation and its conflicted hunks', () => {
+    render(<GitConflictsView />)
+    expect(mockRequestGitConflicts).toHaveBeenCalledTimes(1)
+    landConflicts({ files: [FILE] })
+    expect(screen.getByTestId('git-conflicts-operation')).toHaveTextContent('Merge in progress on main')
+    const hunk = screen.getByTestId('git-conflict-hunk-src/a.ts-0')
+    expect(hunk.textContent).toContain('const a = 1')
+    expect(hunk.textContent).toContain('const a = 2')
+    // No diff3 base → no Base choice.
+    expect(screen.queryByTestId('git-conflict-choose-base-src/a.ts-0')).not.toBeInTheDocument()
+    // Continue is refused while files remain.
+    expect(screen.getByTestId('git-conflicts-continue-btn')).toBeDisabled()
+  })
+
+  it('applies the chosen hunks with the file hash and re-reads', () => {
+    render(<GitConflictsView />)
+    landConflicts({ files: [FILE] })
+    fireEvent.click(screen.getByTestId('git-conflict-choose-theirs-src/a.ts-0'))
+    fireEvent.click(screen.getByTestId('git-conflict-apply-src/a.ts'))
+    expect(mockRequestGitConflictResolve).toHaveBeenCalledWith({
+      path: 'src/a.ts',
+      hash: 'h1',
+      resolutions: [{ index: 0, choice: 'theirs' }],
+    })
+    landConflictResult({ path: 'src/a.ts', staged: true })
+    expect(screen.getByTestId('git-conflicts-notice')).toHaveTextContent('src/a.ts resolved and staged')
+    expect(mockRequestGitConflicts).toHaveBeenCalledTimes(2)
+  })
+
+  it('shows a server refusal inline', () => {
+    render(<GitConflictsView />)
+    landConflicts({ files: [FILE] })
+    fireEvent.click(screen.getByText('Take ours'))
+    expect(mockRequestGitConflictResolve).toHaveBeenCalledWith({ path: 'src/a.ts', take: 'ours' })
+    landConflictResult({ error: 'Cannot change the merge while this session is busy. Wait for it to finish or interrupt it first.' })
+    expect(screen.getByTestId('git-conflicts-error')).toHaveTextContent('this session is busy')
+  })
+
+  it('asks the agent with the composed prompt', () => {
+    render(<GitConflictsView />)
+    landConflicts({ files: [FILE] })
+    fireEvent.click(screen.getByTestId('git-conflict-ask-agent-src/a.ts'))
+    expect(mockSendInput).toHaveBeenCalledTimes(1)
+    expect(mockSendInput.mock.calls[0]![0]).toContain('Please resolve the merge conflict in src/a.ts during a merge')
+  })
+
+  it('continues once every file is resolved', () => {
+    render(<GitConflictsView />)
+    landConflicts({ files: [] })
+    fireEvent.click(screen.getByTestId('git-conflicts-continue-btn'))
+    expect(mockRequestGitConflictContinue).toHaveBeenCalledTimes(1)
+    landConflictResult({ action: 'continue', operation: null })
+    expect(screen.getByTestId('git-conflicts-notice')).toHaveTextContent('The merge is complete')
+  })
+
+  it('confirms before aborting', () => {
+    render(<GitConflictsView />)
+    landConflicts({ files: [FILE] })
+    fireEvent.click(screen.getByTestId('git-conflicts-abort-btn'))
+    expect(mockRequestGitConflictAbort).not.toHaveBeenCalled()
+    fireEvent.click(screen.getByTestId('confirm-dialog-confirm'))
+    expect(mockRequestGitConflictAbort).toHaveBeenCalledTimes(1)
+  })
+
+  it('reports no operation in progress', () => {
+    render(<GitConflictsView />)
+    landConflicts({ operation: null })
+    expect(screen.getByTestId('git-conflicts-operation')).toHaveTextContent('No merge, rebase')
+    expect(screen.queryByTestId('git-conflicts-continue-btn')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,342 @@
+/**
+ * GitConflictsView — the GitPanel "Conflicts" tab: the in-progress merge /
+ * rebase / cherry-pick / revert, its conflicted files, and per-hunk
+ * resolution.
+ *
+ * Backed by git_conflicts (a durable, requestId-stamped read like the History
+ * tab's) and git_conflict_resolve / _continue / _abort, which share one
+ * git_conflict_result one-shot (packages/server/src/ws-file-ops/git.js). Each
+ * hunk's choice (ours / theirs / both / base) is held locally until "Apply",
+ * which sends them with the file hash the read reported — the server refuses
+ * the write if the file changed since, and stages the file once no markers
+ * remain. After every successful mutation the list is re-read.
+ *
+ * "Ask agent" composes a resolution prompt for one file
+ * (composeConflictResolutionPrompt, shared with the app) and sends it as a
+ * normal user turn. The server refuses mutations for session-bound tokens and
+ * while a turn is running on the working tree; that refusal is shown inline.
+ */
+import { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  composeConflictResolutionPrompt,
+  conflictKindLabel,
+  conflictSideDescriptions,
+} from '@chroxy/store-core'
+import { useConnectionStore } from '../store/connection'
+import { ConfirmDialog } from './ConfirmDialog'
+import type {
+  GitConflictChoice,
+  GitConflictFile,
+  GitConflictHunk,
+  GitConflictsResult,
+  GitConflictResult,
+} from '../store/types'
+
+type HunkChoice = Exclude<GitConflictChoice, 'custom'>
+type Choices = Record<string, Record<number, HunkChoice>>
+
+function SideBlock({ label, title, lines }: { label: string; title: string; lines: string[] }) {
+  return (
+    <div className="git-conflict-side">
+      <div className="git-conflict-side-label" title={title}>{label}</div>
+      <pre className="git-conflict-lines">{lines.length > 0 ? lines.join('\n') : '(empty)'}</pre>
+    </div>
+  )
+}
+
+function HunkView({
+  path,
+  hunk,
+  choice,
+  sides,
+  disabled,
+  onChoose,
+}: {
+  path: string
+  hunk: GitConflictHunk
+  choice: HunkChoice | undefined
+  sides: { ours: string; theirs: string }
+  disabled: boolean
+  onChoose: (choice: HunkChoice) => void
+}) {
+  const options: HunkChoice[] = hunk.base ? ['ours', 'theirs', 'both', 'base'] : ['ours', 'theirs', 'both']
+  return (
+    <div className="git-conflict-hunk" data-testid={`git-conflict-hunk-${path}-${hunk.index}`}>
+      <div className="git-conflict-hunk-header">
+        <span className="git-log-meta">Line {hunk.startLine}</span>
+        <div className="git-conflict-choices">
+          {options.map(option => (
+            <button
+              key={option}
+              type="button"
+              className={`git-section-action${choice === option ? ' active' : ''}`}
+              onClick={() => onChoose(option)}
+              disabled={disabled}
+              aria-pressed={choice === option}
+              data-testid={`git-conflict-choose-${option}-${path}-${hunk.index}`}
+            >
+              {option === 'both' ? 'Both' : option[0]!.toUpperCase() + option.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+      {hunk.before.length > 0 && <pre className="git-conflict-context">{hunk.before.join('\n')}</pre>}
+      <SideBlock label={`Ours · ${hunk.oursLabel || 'HEAD'}`} title={sides.ours} lines={hunk.ours} />
+      {hunk.base && <SideBlock label={`Base · ${hunk.baseLabel || 'common ancestor'}`} title="common ancestor" lines={hunk.base} />}
+      <SideBlock label={`Theirs · ${hunk.theirsLabel || 'incoming'}`} title={sides.theirs} lines={hunk.theirs} />
+      {hunk.after.length > 0 && <pre className="git-conflict-context">{hunk.after.join('\n')}</pre>}
+    </div>
+  )
+}
+
+export function GitConflictsView() {
+  const setGitConflictsCallback = useConnectionStore(s => s.setGitConflictsCallback)
+  const requestGitConflicts = useConnectionStore(s => s.requestGitConflicts)
+  const setGitConflictCallback = useConnectionStore(s => s.setGitConflictCallback)
+  const requestGitConflictResolve = useConnectionStore(s => s.requestGitConflictResolve)
+  const requestGitConflictContinue = useConnectionStore(s => s.requestGitConflictContinue)
+  const requestGitConflictAbort = useConnectionStore(s => s.requestGitConflictAbort)
+  const sendInput = useConnectionStore(s => s.sendInput)
+  const connectionPhase = useConnectionStore(s => s.connectionPhase)
+
+  const [result, setResult] = useState<GitConflictsResult | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [choices, setChoices] = useState<Choices>({})
+  const [busy, setBusy] = useState(false)
+  const [notice, setNotice] = useState<string | null>(null)
+  const [abortConfirmOpen, setAbortConfirmOpen] = useState(false)
+  const requestRef = useRef<string | null>(null)
+
+  useEffect(() => {
+    setGitConflictsCallback((reply: GitConflictsResult) => {
+      if (reply.requestId !== requestRef.current) return
+      requestRef.current = null
+      setLoading(false)
+      setError(reply.error)
+      setResult(reply.error ? null : reply)
+      if (reply.error) return
+      // Drop choices for files that are no longer conflicted.
+      setChoices(prev => {
+        const next: Choices = {}
+        for (const file of reply.files) if (prev[file.path]) next[file.path] = prev[file.path]!
+        return next
+      })
+    })
+    return () => {
+      setGitConflictsCallback(null)
+      setGitConflictCallback(null)
+    }
+  }, [setGitConflictsCallback, setGitConflictCallback])
+
+  const load = useCallback(() => {
+    setLoading(true)
+    setError(null)
+    const requestId = requestGitConflicts()
+    requestRef.current = requestId
+    if (!requestId) {
+      setLoading(false)
+      setError('Conflicts not requested — reconnect and try again')
+    }
+  }, [requestGitConflicts])
+
+  useEffect(() => {
+    if (connectionPhase !== 'connected') return
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [connectionPhase])
+
+  // Shared runner for resolve / continue / abort: arms the git_conflict_result
+  // one-shot, sends, and re-reads the conflicts once a successful reply lands.
+  // A refusal changed nothing, so it is left on screen rather than cleared by
+  // a re-read.
+  const runAction = useCallback((send: () => boolean, onDone?: (reply: GitConflictResult) => void) => {
+    setBusy(true)
+    setError(null)
+    setNotice(null)
+    setGitConflictCallback((reply: GitConflictResult) => {
+      setGitConflictCallback(null)
+      setBusy(false)
+      if (reply.error) {
+        setError(reply.error)
+        return
+      }
+      onDone?.(reply)
+      load()
+    })
+    if (!send()) {
+      setGitConflictCallback(null)
+      setBusy(false)
+      setError('Not connected — reconnect and try again')
+    }
+  }, [setGitConflictCallback, load])
+
+  const choose = useCallback((path: string, index: number, choice: HunkChoice) => {
+    setChoices(prev => ({ ...prev, [path]: { ...prev[path], [index]: choice } }))
+  }, [])
+
+  const applyChoices = useCallback((file: GitConflictFile) => {
+    const picked = choices[file.path] ?? {}
+    const resolutions = Object.entries(picked).map(([index, choice]) => ({ index: Number(index), choice }))
+    runAction(
+      () => requestGitConflictResolve({ path: file.path, hash: file.hash, resolutions }),
+      reply => {
+        setChoices(prev => {
+          const next = { ...prev }
+          delete next[file.path]
+          return next
+        })
+        setNotice(reply.staged
+          ? `${file.path} resolved and staged`
+          : `${reply.remaining} conflict${reply.remaining === 1 ? '' : 's'} left in ${file.path}`)
+      },
+    )
+  }, [choices, runAction, requestGitConflictResolve])
+
+  const takeSide = useCallback((file: GitConflictFile, take: 'ours' | 'theirs') => {
+    runAction(
+      () => requestGitConflictResolve({ path: file.path, take }),
+      () => setNotice(`${file.path} resolved with ${take}`),
+    )
+  }, [runAction, requestGitConflictResolve])
+
+  const askAgent = useCallback((file: GitConflictFile) => {
+    const prompt = composeConflictResolutionPrompt(file, result?.operation ?? null)
+    if (sendInput(prompt)) setNotice(`Asked the agent to resolve ${file.path}`)
+    else setError('Not connected — reconnect and try again')
+  }, [result, sendInput])
+
+  const continueOperation = useCallback(() => {
+    runAction(requestGitConflictContinue, reply => {
+      setNotice(reply.operation
+        ? `Stopped on the next conflict — ${reply.remaining} file${reply.remaining === 1 ? '' : 's'} to resolve`
+        : `The ${result?.operation ?? 'operation'} is complete`)
+    })
+  }, [runAction, requestGitConflictContinue, result])
+
+  const abortConfirmed = useCallback(() => {
+    setAbortConfirmOpen(false)
+    runAction(requestGitConflictAbort, () => setNotice(`The ${result?.operation ?? 'operation'} was aborted`))
+  }, [runAction, requestGitConflictAbort, result])
+
+  const operation = result?.operation ?? null
+  const files = result?.files ?? []
+  const sides = conflictSideDescriptions(operation)
+
+  return (
+    <div className="git-conflicts" data-testid="git-conflicts">
+      <div className="git-conflicts-header">
+        <span data-testid="git-conflicts-operation">
+          {operation
+            ? <>{operation[0]!.toUpperCase() + operation.slice(1)} in progress{result?.branch ? <> on <b>{result.branch}</b></> : null}</>
+            : 'No merge, rebase, cherry-pick or revert in progress'}
+        </span>
+        <div className="git-conflicts-actions">
+          <button type="button" className="git-section-action" onClick={load} disabled={loading || busy}>
+            Refresh
+          </button>
+          {operation && (
+            <>
+              <button
+                type="button"
+                className="git-section-action"
+                onClick={continueOperation}
+                disabled={busy || files.length > 0}
+                title={files.length > 0 ? 'Resolve every file first' : `git ${operation} --continue`}
+                data-testid="git-conflicts-continue-btn"
+              >
+                Continue {operation}
+              </button>
+              <button
+                type="button"
+                className="git-section-action git-danger"
+                onClick={() => setAbortConfirmOpen(true)}
+                disabled={busy}
+                data-testid="git-conflicts-abort-btn"
+              >
+                Abort
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="git-action-error" data-testid="git-conflicts-error">{error}</div>}
+      {notice && !error && <div className="git-conflicts-notice" data-testid="git-conflicts-notice">{notice}</div>}
+      {loading && !result && <div className="git-loading">Loading conflicts…</div>}
+      {result && files.length === 0 && <div className="git-empty">No conflicted files</div>}
+      {result?.truncated && <div className="git-empty">Only the first conflicted files are listed.</div>}
+
+      {files.map(file => {
+        const picked = choices[file.path] ?? {}
+        const pickedCount = Object.keys(picked).length
+        return (
+          <div key={file.path} className="git-conflict-file" data-testid={`git-conflict-file-${file.path}`}>
+            <div className="git-conflict-file-header">
+              <span className="git-file-path">{file.path}</span>
+              <span className="git-log-meta">{conflictKindLabel(file.kind)}</span>
+              <div className="git-conflict-file-actions">
+                <button type="button" className="git-section-action" onClick={() => takeSide(file, 'ours')} disabled={busy} title={sides.ours}>
+                  Take ours
+                </button>
+                <button type="button" className="git-section-action" onClick={() => takeSide(file, 'theirs')} disabled={busy} title={sides.theirs}>
+                  Take theirs
+                </button>
+                <button
+                  type="button"
+                  className="git-section-action"
+                  onClick={() => askAgent(file)}
+                  data-testid={`git-conflict-ask-agent-${file.path}`}
+                >
+                  Ask agent
+                </button>
+              </div>
+            </div>
+            {file.binary && <div className="git-empty">Binary file — take one side.</div>}
+            {file.tooLarge && <div className="git-empty">Too large to resolve hunk by hunk — take one side or edit it directly.</div>}
+            {!file.binary && !file.tooLarge && file.hunks.length === 0 && file.hash === null && (
+              <div className="git-empty">One side {file.kind.startsWith('deleted') ? 'deleted' : 'added'} this file — take a side.</div>
+            )}
+            {file.hunks.map(hunk => (
+              <HunkView
+                key={hunk.index}
+                path={file.path}
+                hunk={hunk}
+                choice={picked[hunk.index]}
+                sides={sides}
+                disabled={busy}
+                onChoose={choice => choose(file.path, hunk.index, choice)}
+              />
+            ))}
+            {file.hash !== null && !file.binary && !file.tooLarge && (
+              <div className="git-conflict-apply">
+                <button
+                  type="button"
+                  className="git-section-action"
+                  onClick={() => applyChoices(file)}
+                  disabled={busy}
+                  title={pickedCount === 0 ? 'Stage the file as edited — only when no conflict markers remain' : undefined}
+                  data-testid={`git-conflict-apply-${file.path}`}
+                >
+                  {pickedCount === 0
+                    ? 'Mark resolved'
+                    : `Apply ${pickedCount} of ${file.hunks.length} choice${file.hunks.length === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      <ConfirmDialog
+        open={abortConfirmOpen}
+        title={`Abort the ${operation ?? 'operation'}?`}
+        confirmLabel="Abort"
+        danger
+        message={<>Abort the {operation} and restore the working tree to how it was before it started? Resolutions made so far are discarded.</>}
+        onConfirm={abortConfirmed}
+        onCancel={() => setAbortConfirmOpen(false)}
+      />
+    </div>
+  )
+}
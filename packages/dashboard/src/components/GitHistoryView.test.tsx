@@ -0,0 +1,164 @@
+/**
+ * GitHistoryView — tests for the GitPanel History tab (log / commit / blame).
+ *
+ * Same mocking idiom as GitPanel.test.tsx: the store is mocked entirely and the
+ * callbacks passed to setGit*Callback are captured so tests can land a
+ * *_result reply. Every request mock returns a fresh requestId so the view's
+ * stale-reply guard can be exercised.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup, act } from '@testing-library/react'
+import { GitHistoryView } from './GitHistoryView'
+
+let seq = 0
+const nextId = (prefix: string) => `${prefix}-${++seq}`
+const mockRequestGitLog = vi.fn((_params?: unknown): string | null => nextId('git-log'))
+const mockRequestGitShow = vi.fn((_hash: string): string | null => nextId('git-show'))
+const mockRequestGitBlame = vi.fn((_path: string, _rev?: string): string | null => nextId('git-blame'))
+
+let capturedLogCallback: ((result: any) => void) | null = null
+let capturedShowCallback: ((result: any) => void) | null = null
+let capturedBlameCallback: ((result: any) => void) | null = null
+
+vi.mock('../store/connection', () => ({
+  useConnectionStore: (selector: any) => {
+    const store = {
+      setGitLogCallback: (cb: any) => { capturedLogCallback = cb },
+      requestGitLog: mockRequestGitLog,
+      setGitShowCallback: (cb: any) => { capturedShowCallback = cb },
+      requestGitShow: mockRequestGitShow,
+      setGitBlameCallback: (cb: any) => { capturedBlameCallback = cb },
+      requestGitBlame: mockRequestGitBlame,
+      connectionPhase: 'connected',
+    }
+    return selector(store)
+  },
+}))
+
+afterEach(() => cleanup())
+
+beforeEach(() => {
+  vi.clearAllMocks()
+  capturedLogCallback = null
+  capturedShowCallback = null
+  capturedBlameCallback = null
+})
+
+function commit(n: number) {
+  const hash = String(n).padStart(40, 'a')
+  return {
+    hash,
+    shortHash: hash.slice(0, 7),
+    author: 'Test',
+    email: 'test@test.com',
+    date: '2026-01-01T00:00:00Z',
+    subject: `commit ${n}`,
+    parents: [],
+  }
+}
+
+/** The requestId returned by the latest call to a request mock. */
+function idOf(mock: { mock: { results: Array<{ value: unknown }> } }) {
+  const { results } = mock.mock
+  return results[results.length - 1]!.value as string
+}
+
+function landLog(fields: Record<string, unknown>) {
+  act(() => capturedLogCallback!({
+    commits: [], skip: 0, hasMore: false, path: null, error: null,
+    requestId: idOf(mockRequestGitLog),
+    ...fields,
+  }))
+}
+
+describe('GitHistoryView', () => {
+  it('requests the first page of the log on mount and lists it', () => {
+    render(<GitHistoryView />)
+    expect(mockRequestGitLog).toHaveBeenCalledWith({ skip: 0, limit: 50 })
+    landLog({ commits: [commit(1), commit(2)] })
+    expect(screen.getByTestId('git-history-log').textContent).toContain('commit 1')
+    expect(screen.getByTestId('git-history-log').textContent).toContain('commit 2')
+  })
+
+  it('appends the next page on "Load more"', () => {
+    render(<GitHistoryView />)
+    landLog({ commits: [commit(1)], hasMore: true })
+    fireEvent.click(screen.getByTestId('git-history-more-btn'))
+    expect(mockRequestGitLog).toHaveBeenLastCalledWith({ skip: 1, limit: 50 })
+    landLog({ commits: [commit(2)], skip: 1 })
+    const log = screen.getByTestId('git-history-log').textContent
+    expect(log).toContain('commit 1')
+    expect(log).toContain('commit 2')
+    expect(screen.queryByTestId('git-history-more-btn')).not.toBeInTheDocument()
+  })
+
+  it('drops a reply for a superseded request', () => {
+    render(<GitHistoryView />)
+    const stale = idOf(mockRequestGitLog)
+    fireEvent.change(screen.getByTestId('git-history-path-input'), { target: { value: 'src/a.ts' } })
+    fireEvent.click(screen.getByTestId('git-history-filter-btn'))
+    expect(mockRequestGitLog).toHaveBeenLastCalledWith({ skip: 0, limit: 50, path: 'src/a.ts' })
+
+    act(() => capturedLogCallback!({ commits: [commit(9)], skip: 0, hasMore: false, path: null, error: null, requestId: stale }))
+    expect(screen.getByTestId('git-history-log').textContent).not.toContain('commit 9')
+
+    landLog({ commits: [commit(3)], path: 'src/a.ts' })
+    expect(screen.getByTestId('git-history-log').textContent).toContain('commit 3')
+  })
+
+  it('surfaces a log error', () => {
+    render(<GitHistoryView />)
+    landLog({ error: 'Not a git repository' })
+    expect(screen.getByTestId('git-history-error')).toHaveTextContent('Not a git repository')
+  })
+
+  it('opens a commit and renders its header and files', () => {
+    render(<GitHistoryView />)
+    const c = commit(1)
+    landLog({ commits: [c] })
+    fireEvent.click(screen.getByTestId(`git-log-row-${c.shortHash}`))
+    expect(mockRequestGitShow).toHaveBeenCalledWith(c.hash)
+
+    act(() => capturedShowCallback!({
+      hash: c.hash,
+      commit: { ...c, body: 'the body' },
+      files: [{ path: 'src/a.ts', status: 'modified', additions: 1, deletions: 0, hunks: [] }],
+      truncated: false,
+      error: null,
+      requestId: idOf(mockRequestGitShow),
+    }))
+    const view = screen.getByTestId('git-history-commit')
+    expect(view.textContent).toContain('commit 1')
+    expect(view.textContent).toContain('the body')
+    expect(view.textContent).toContain('src/a.ts')
+  })
+
+  it('blames a file from the filter box and jumps to a hunk\'s commit', () => {
+    render(<GitHistoryView />)
+    landLog({ commits: [] })
+    fireEvent.change(screen.getByTestId('git-history-path-input'), { target: { value: 'src/a.ts' } })
+    fireEvent.click(screen.getByTestId('git-history-blame-btn'))
+    expect(mockRequestGitBlame).toHaveBeenCalledWith('src/a.ts', undefined)
+
+    const c = commit(4)
+    act(() => capturedBlameCallback!({
+      path: 'src/a.ts',
+      rev: null,
+      hunks: [{ hash: c.hash, shortHash: c.shortHash, author: 'Test', date: c.date, summary: c.subject, startLine: 1, lines: ['const a = 1'] }],
+      truncated: false,
+      error: null,
+      requestId: idOf(mockRequestGitBlame),
+    }))
+    expect(screen.getByTestId('git-blame').textContent).toContain('const a = 1')
+
+    fireEvent.click(screen.getByTitle(c.subject))
+    expect(mockRequestGitShow).toHaveBeenCalledWith(c.hash)
+    expect(screen.getByTestId('git-history-commit')).toBeInTheDocument()
+  })
+
+  it('reports a request that could not be sent', () => {
+    mockRequestGitLog.mockReturnValueOnce(null)
+    render(<GitHistoryView />)
+    expect(screen.getByTestId('git-history-error')).toHaveTextContent('reconnect')
+  })
+})
@@ -0,0 +1,306 @@
+/**
+ * GitHistoryView — the GitPanel "History" tab: a paginated commit log (whole
+ * repo, or one file's history via `--follow`), a commit's diff, and file blame.
+ *
+ * Three read-only wire messages back it (git_log / git_show / git_blame,
+ * packages/server/src/ws-file-ops/git.js). Their callbacks are durable — this
+ * view installs them on mount and clears them on unmount — and every request
+ * carries a requestId the reply echoes, so a reply for a page / commit / file
+ * the user has already navigated away from is dropped rather than rendered
+ * over the current view.
+ *
+ * The commit diff reuses DiffViewerPanel's read-only FileView (no comment
+ * wiring), so it renders exactly like the working-tree diff.
+ */
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useConnectionStore } from '../store/connection'
+import { FileView } from './DiffViewerPanel'
+import type {
+  GitLogCommit,
+  GitLogResult,
+  GitShowResult,
+  GitBlameResult,
+} from '../store/types'
+
+const PAGE_SIZE = 50
+
+type View =
+  | { kind: 'log' }
+  | { kind: 'commit'; hash: string }
+  | { kind: 'blame'; path: string; rev: string | null }
+
+function formatDate(iso: string): string {
+  const d = new Date(iso)
+  if (Number.isNaN(d.getTime())) return iso
+  return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+}
+
+function CommitRow({ commit, onOpen }: { commit: GitLogCommit; onOpen: (hash: string) => void }) {
+  return (
+    <button
+      type="button"
+      className="git-log-row"
+      onClick={() => onOpen(commit.hash)}
+      title={commit.hash}
+      data-testid={`git-log-row-${commit.shortHash}`}
+    >
+      <span className="git-log-hash">{commit.shortHash}</span>
+      <span className="git-log-subject">{commit.subject}</span>
+      <span className="git-log-meta">{commit.author} · {formatDate(commit.date)}</span>
+    </button>
+  )
+}
+
+export function GitHistoryView() {
+  const setGitLogCallback = useConnectionStore(s => s.setGitLogCallback)
+  const requestGitLog = useConnectionStore(s => s.requestGitLog)
+  const setGitShowCallback = useConnectionStore(s => s.setGitShowCallback)
+  const requestGitShow = useConnectionStore(s => s.requestGitShow)
+  const setGitBlameCallback = useConnectionStore(s => s.setGitBlameCallback)
+  const requestGitBlame = useConnectionStore(s => s.requestGitBlame)
+  const connectionPhase = useConnectionStore(s => s.connectionPhase)
+
+  const [view, setView] = useState<View>({ kind: 'log' })
+  const [pathFilter, setPathFilter] = useState('')
+  const [appliedPath, setAppliedPath] = useState<string | null>(null)
+  const [commits, setCommits] = useState<GitLogCommit[]>([])
+  const [hasMore, setHasMore] = useState(false)
+  const [logLoading, setLogLoading] = useState(false)
+  const [logError, setLogError] = useState<string | null>(null)
+  const [show, setShow] = useState<GitShowResult | null>(null)
+  const [blame, setBlame] = useState<GitBlameResult | null>(null)
+  const [detailError, setDetailError] = useState<string | null>(null)
+
+  // Latest in-flight requestId per read; a reply carrying any other id was
+  // superseded and is ignored.
+  const logRequestRef = useRef<string | null>(null)
+  const showRequestRef = useRef<string | null>(null)
+  const blameRequestRef = useRef<string | null>(null)
+
+  useEffect(() => {
+    setGitLogCallback((result: GitLogResult) => {
+      if (result.requestId !== logRequestRef.current) return
+      logRequestRef.current = null
+      setLogLoading(false)
+      setLogError(result.error)
+      if (result.error) return
+      // skip === 0 is a fresh listing (filter change / refresh); anything else
+      // is a "Load more" page appended to what is already shown.
+      setCommits(prev => (result.skip === 0 ? result.commits : [...prev, ...result.commits]))
+      setHasMore(result.hasMore)
+    })
+    setGitShowCallback((result: GitShowResult) => {
+      if (result.requestId !== showRequestRef.current) return
+      showRequestRef.current = null
+      setDetailError(result.error)
+      setShow(result.error ? null : result)
+    })
+    setGitBlameCallback((result: GitBlameResult) => {
+      if (result.requestId !== blameRequestRef.current) return
+      blameRequestRef.current = null
+      setDetailError(result.error)
+      setBlame(result.error ? null : result)
+    })
+    return () => {
+      setGitLogCallback(null)
+      setGitShowCallback(null)
+      setGitBlameCallback(null)
+    }
+  }, [setGitLogCallback, setGitShowCallback, setGitBlameCallback])
+
+  const loadLog = useCallback((skip: number, path: string | null) => {
+    setLogLoading(true)
+    setLogError(null)
+    const requestId = requestGitLog({ skip, limit: PAGE_SIZE, ...(path ? { path } : {}) })
+    logRequestRef.current = requestId
+    if (!requestId) {
+      setLogLoading(false)
+      setLogError('History not requested — reconnect and try again')
+    }
+  }, [requestGitLog])
+
+  useEffect(() => {
+    if (connectionPhase !== 'connected') return
+    loadLog(0, appliedPath)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [connectionPhase, appliedPath])
+
+  const openCommit = useCallback((hash: string) => {
+    setShow(null)
+    setDetailError(null)
+    setView({ kind: 'commit', hash })
+    const requestId = requestGitShow(hash)
+    showRequestRef.current = requestId
+    if (!requestId) setDetailError('Commit not requested — reconnect and try again')
+  }, [requestGitShow])
+
+  const openBlame = useCallback((path: string, rev: string | null) => {
+    setBlame(null)
+    setDetailError(null)
+    setView({ kind: 'blame', path, rev })
+    const requestId = requestGitBlame(path, rev ?? undefined)
+    blameRequestRef.current = requestId
+    if (!requestId) setDetailError('Blame not requested — reconnect and try again')
+  }, [requestGitBlame])
+
+  const showFileHistory = useCallback((path: string) => {
+    setPathFilter(path)
+    setAppliedPath(path)
+    setView({ kind: 'log' })
+  }, [])
+
+  const backToLog = useCallback(() => {
+    showRequestRef.current = null
+    blameRequestRef.current = null
+    setDetailError(null)
+    setView({ kind: 'log' })
+  }, [])
+
+  const applyFilter = useCallback(() => {
+    const next = pathFilter.trim() || null
+    if (next === appliedPath) loadLog(0, next)
+    else setAppliedPath(next)
+  }, [pathFilter, appliedPath, loadLog])
+
+  if (view.kind === 'commit') {
+    return (
+      <div className="git-history" data-testid="git-history-commit">
+        <div className="git-history-nav">
+          <button type="button" className="git-section-action" onClick={backToLog} data-testid="git-history-back">
+            ← History
+          </button>
+          <span className="git-log-hash">{view.hash.slice(0, 12)}</span>
+        </div>
+        {detailError && <div className="git-action-error" data-testid="git-history-error">{detailError}</div>}
+        {!detailError && !show && <div className="git-loading">Loading commit…</div>}
+        {show?.commit && (
+          <>
+            <div className="git-commit-header">
+              <div className="git-commit-subject">{show.commit.subject}</div>
+              {show.commit.body && <pre className="git-commit-body">{show.commit.body}</pre>}
+              <div className="git-log-meta">
+                {show.commit.author} &lt;{show.commit.email}&gt; · {formatDate(show.commit.date)}
+              </div>
+            </div>
+            {show.truncated && (
+              <div className="git-action-error" data-testid="git-show-truncated">
+                This commit's diff is too large to show in full — only the first files are listed.
+              </div>
+            )}
+            {show.files.length === 0 && <div className="git-empty">No file changes</div>}
+            {show.files.map(file => (
+              <div key={file.path} className="git-commit-file">
+                <div className="git-commit-file-actions">
+                  <button type="button" className="git-section-action" onClick={() => openBlame(file.path, show.commit!.hash)}>
+                    Blame at this commit
+                  </button>
+                  <button type="button" className="git-section-action" onClick={() => showFileHistory(file.path)}>
+                    File history
+                  </button>
+                </div>
+                <FileView file={file} viewMode="unified" />
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    )
+  }
+
+  if (view.kind === 'blame') {
+    return (
+      <div className="git-history" data-testid="git-history-blame">
+        <div className="git-history-nav">
+          <button type="button" className="git-section-action" onClick={backToLog} data-testid="git-history-back">
+            ← History
+          </button>
+          <span className="git-file-path">{view.path}</span>
+          {view.rev && <span className="git-log-hash">@ {view.rev.slice(0, 7)}</span>}
+        </div>
+        {detailError && <div className="git-action-error" data-testid="git-history-error">{detailError}</div>}
+        {!detailError && !blame && <div className="git-loading">Loading blame…</div>}
+        {blame && blame.hunks.length === 0 && <div className="git-empty">Empty file</div>}
+        {blame && blame.hunks.length > 0 && (
+          <div className="git-blame" data-testid="git-blame">
+            {blame.hunks.map(hunk => (
+              <div key={`${hunk.startLine}-${hunk.hash}`} className="git-blame-hunk">
+                <button
+                  type="button"
+                  className="git-blame-gutter"
+                  onClick={() => openCommit(hunk.hash)}
+                  disabled={/^0+$/.test(hunk.hash)}
+                  title={hunk.summary}
+                >
+                  <span className="git-log-hash">{hunk.shortHash}</span>
+                  <span className="git-log-meta">{hunk.author} · {formatDate(hunk.date)}</span>
+                </button>
+                <pre className="git-blame-lines">
+                  {hunk.lines.map((line, i) => (
+                    <div key={i} className="git-blame-line">
+                      <span className="git-blame-lineno">{hunk.startLine + i}</span>
+                      <span>{line}</span>
+                    </div>
+                  ))}
+                </pre>
+              </div>
+            ))}
+            {blame.truncated && <div className="git-empty">Blame stops here — the file is longer than the blame limit.</div>}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="git-history" data-testid="git-history-log">
+      <div className="git-history-filter">
+        <input
+          type="text"
+          className="git-pr-input"
+          placeholder="Filter by file path (optional)"
+          value={pathFilter}
+          onChange={e => setPathFilter(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') applyFilter() }}
+          maxLength={4096}
+          data-testid="git-history-path-input"
+        />
+        <button type="button" className="git-section-action" onClick={applyFilter} data-testid="git-history-filter-btn">
+          Show history
+        </button>
+        <button
+          type="button"
+          className="git-section-action"
+          onClick={() => openBlame(pathFilter.trim(), null)}
+          disabled={!pathFilter.trim()}
+          data-testid="git-history-blame-btn"
+        >
+          Blame
+        </button>
+        {appliedPath && (
+          <button
+            type="button"
+            className="git-section-action"
+            onClick={() => { setPathFilter(''); setAppliedPath(null) }}
+            data-testid="git-history-clear-btn"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      {logError && <div className="git-action-error" data-testid="git-history-error">{logError}</div>}
+      {commits.map(c => <CommitRow key={c.hash} commit={c} onOpen={openCommit} />)}
+      {!logLoading && !logError && commits.length === 0 && <div className="git-empty">No commits yet</div>}
+      {logLoading && <div className="git-loading">Loading history…</div>}
+      {hasMore && !logLoading && (
+        <button
+          type="button"
+          className="git-section-action git-log-more"
+          onClick={() => loadLog(commits.length, appliedPath)}
+          data-testid="git-history-more-btn"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  )
+}
@@ -15,6 +15,9 @@ const mockRequestGitStage = vi.fn(() => true)
 const mockRequestGitUnstage = vi.fn(() => true)
 const mockRequestGitCommit = vi.fn(() => true)
 const mockRequestGitCreatePr = vi.fn(() => true)
+const mockRequestGitBranchCreate = vi.fn(() => true)
+const mockRequestGitCheckout = vi.fn(() => true)
+const mockRequestGitBranchDelete = vi.fn(() => true)
 
 let storeState: Record<string, unknown> = {}
 let capturedStatusCallback: ((result: any) => void) | null = null
@@ -22,6 +25,7 @@ let capturedBranchesCallback: ((result: any) => void) | null = null
 let capturedStageCallback: ((result: any) => void) | null = null
 let capturedCommitCallback: ((result: any) => void) | null = null
 let capturedCreatePrCallback: ((result: any) => void) | null = null
+let capturedBranchCallback: ((result: any) => void) | null = null
 
 vi.mock('../store/connection', () => ({
   useConnectionStore: (selector: any) => {
@@ -37,6 +41,10 @@ vi.mock('../store/connection', () => ({
       requestGitCommit: mockRequestGitCommit,
       setGitCreatePrCallback: (cb: any) => { capturedCreatePrCallback = cb },
       requestGitCreatePr: mockRequestGitCreatePr,
+      setGitBranchCallback: (cb: any) => { capturedBranchCallback = cb },
+      requestGitBranchCreate: mockRequestGitBranchCreate,
+      requestGitCheckout: mockRequestGitCheckout,
+      requestGitBranchDelete: mockRequestGitBranchDelete,
       connectionPhase: storeState.connectionPhase ?? 'connected',
     }
     return selector(store)
@@ -51,12 +59,16 @@ beforeEach(() => {
   mockRequestGitUnstage.mockReturnValue(true)
   mockRequestGitCommit.mockReturnValue(true)
   mockRequestGitCreatePr.mockReturnValue(true)
+  mockRequestGitBranchCreate.mockReturnValue(true)
+  mockRequestGitCheckout.mockReturnValue(true)
+  mockRequestGitBranchDelete.mockReturnValue(true)
   storeState = { connectionPhase: 'connected' }
   capturedStatusCallback = null
   capturedBranchesCallback = null
   capturedStageCallback = null
   capturedCommitCallback = null
   capturedCreatePrCallback = null
+  capturedBranchCallback = null
 })
 
 const GIT_STATUS_WITH_CHANGES = {
@@ -460,4 +472,76 @@ describe('GitPanel', () => {
       expect(screen.queryByTestId('git-pr-form')).not.toBeInTheDocument()
     })
   })
+
+  describe('Branch management', () => {
+    const openBranches = () => {
+      render(<GitPanel />)
+      act(() => capturedStatusCallback!(GIT_STATUS_WITH_CHANGES))
+      act(() => capturedBranchesCallback!(GIT_BRANCHES))
+      fireEvent.click(screen.getByRole('button', { name: 'Branches' }))
+    }
+
+    it('creates a branch and switches to it by default, then refreshes branches + status', () => {
+      openBranches()
+      fireEvent.change(screen.getByTestId('git-branch-name-input'), { target: { value: ' feat/new ' } })
+      fireEvent.click(screen.getByTestId('git-branch-create-btn'))
+      expect(mockRequestGitBranchCreate).toHaveBeenCalledWith({ name: 'feat/new', checkout: true })
+
+      mockRequestGitBranches.mockClear()
+      mockRequestGitStatus.mockClear()
+      act(() => capturedBranchCallback!({ action: 'create', branch: 'feat/new', currentBranch: 'feat/new', error: null }))
+      expect(mockRequestGitBranches).toHaveBeenCalledOnce()
+      expect(mockRequestGitStatus).toHaveBeenCalledOnce()
+      expect(screen.getByTestId('git-branch-name-input')).toHaveValue('')
+    })
+
+    it('creates without switching when "Switch to it" is unchecked', () => {
+      openBranches()
+      fireEvent.change(screen.getByTestId('git-branch-name-input'), { target: { value: 'feat/new' } })
+      fireEvent.click(screen.getByTestId('git-branch-checkout-checkbox'))
+      fireEvent.click(screen.getByTestId('git-branch-create-btn'))
+      expect(mockRequestGitBranchCreate).toHaveBeenCalledWith({ name: 'feat/new', checkout: false })
+    })
+
+    it('switches to a local branch and surfaces a refused switch', () => {
+      openBranches()
+      fireEvent.click(screen.getByTestId('git-branch-switch-main'))
+      expect(mockRequestGitCheckout).toHaveBeenCalledWith('main')
+
+      act(() => capturedBranchCallback!({
+        action: 'checkout', branch: 'main', currentBranch: 'feat/git-panel',
+        error: 'Your local changes to the following files would be overwritten by checkout',
+      }))
+      expect(screen.getByTestId('git-branch-error')).toHaveTextContent('would be overwritten')
+    })
+
+    it('offers no switch/delete for the current branch', () => {
+      openBranches()
+      expect(screen.queryByTestId('git-branch-switch-feat/git-panel')).not.toBeInTheDocument()
+      expect(screen.queryByTestId('git-branch-delete-feat/git-panel')).not.toBeInTheDocument()
+    })
+
+    it('is confirmation-gated and offers a force delete when the branch is not fully merged', () => {
+      openBranches()
+      fireEvent.click(screen.getByTestId('git-branch-delete-main'))
+      expect(mockRequestGitBranchDelete).not.toHaveBeenCalled()
+      fireEvent.click(screen.getByTestId('confirm-dialog-confirm'))
+      expect(mockRequestGitBranchDelete).toHaveBeenCalledWith({ name: 'main', force: false })
+
+      act(() => capturedBranchCallback!({
+        action: 'delete', branch: 'main', currentBranch: 'feat/git-panel',
+        error: "The branch 'main' is not fully merged.",
+      }))
+      fireEvent.click(screen.getByTestId('git-branch-force-delete-btn'))
+      fireEvent.click(screen.getByTestId('confirm-dialog-confirm'))
+      expect(mockRequestGitBranchDelete).toHaveBeenLastCalledWith({ name: 'main', force: true })
+    })
+
+    it('surfaces a "not connected" error when the request is not sent', () => {
+      mockRequestGitCheckout.mockReturnValue(false)
+      openBranches()
+      fireEvent.click(screen.getByTestId('git-branch-switch-main'))
+      expect(screen.getByTestId('git-branch-error')).toHaveTextContent('reconnect')
+    })
+  })
 })
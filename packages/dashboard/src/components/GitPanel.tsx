@@ -16,12 +16,25 @@
  * action opens a title/body/base form, confirmation-gates it, and fires the
  * git_create_pr wire message — the server pushes the current branch and shells
  * out to `gh pr create`, returning the PR URL (or a clear error) via
- * git_create_pr_result. Branch SWITCHING (checkout) is still follow-up work (no
- * wire message exists for it, and the mobile app's Branches tab is read-only).
+ * git_create_pr_result.
+ *
+ * The Branches tab also creates, switches and deletes branches
+ * (git_branch_create / git_checkout / git_branch_delete, one shared
+ * git_branch_result reply). The server refuses all three for session-bound
+ * tokens and while a turn is in flight on the working tree; that refusal comes
+ * back as the result's `error` and is shown inline. A "History" tab
+ * (GitHistoryView) adds the commit log, commit diffs and blame. The mobile
+ * app's GitView carries the same History tab and branch actions.
+ *
+ * A "Conflicts" tab (GitConflictsView) resolves an in-progress merge / rebase /
+ * cherry-pick / revert hunk by hunk and continues or aborts it; the app's
+ * GitView has the same tab.
  */
 import { useState, useEffect, useCallback, useMemo } from 'react'
 import { useConnectionStore } from '../store/connection'
 import { ConfirmDialog } from './ConfirmDialog'
+import { GitHistoryView } from './GitHistoryView'
+import { GitConflictsView } from './GitConflictsView'
 import type {
   GitFileStatus,
   GitStatusResult,
@@ -29,9 +42,10 @@ import type {
   GitStageResult,
   GitCommitResult,
   GitCreatePrResult,
+  GitBranchResult,
 } from '../store/types'
 
-type TabId = 'changes' | 'branches'
+type TabId = 'changes' | 'branches' | 'history' | 'conflicts'
 
 function statusLabel(status: GitFileStatus['status']): string {
   switch (status) {
@@ -97,6 +111,10 @@ export function GitPanel() {
   const requestGitCommit = useConnectionStore(s => s.requestGitCommit)
   const setGitCreatePrCallback = useConnectionStore(s => s.setGitCreatePrCallback)
   const requestGitCreatePr = useConnectionStore(s => s.requestGitCreatePr)
+  const setGitBranchCallback = useConnectionStore(s => s.setGitBranchCallback)
+  const requestGitBranchCreate = useConnectionStore(s => s.requestGitBranchCreate)
+  const requestGitCheckout = useConnectionStore(s => s.requestGitCheckout)
+  const requestGitBranchDelete = useConnectionStore(s => s.requestGitBranchDelete)
   const connectionPhase = useConnectionStore(s => s.connectionPhase)
 
   const [activeTab, setActiveTab] = useState<TabId>('changes')
@@ -130,6 +148,15 @@ export function GitPanel() {
   // Rendered as a clickable link instead of buried inside `prError` text.
   const [prExistingUrl, setPrExistingUrl] = useState<string | null>(null)
   const [prConfirmOpen, setPrConfirmOpen] = useState(false)
+  // Branch create / switch / delete. One action in flight at a time (they
+  // share the git_branch_result one-shot). `forceDeleteCandidate` is set when
+  // a plain delete was refused for unmerged work, offering `-D` explicitly.
+  const [newBranchName, setNewBranchName] = useState('')
+  const [newBranchCheckout, setNewBranchCheckout] = useState(true)
+  const [branchBusy, setBranchBusy] = useState(false)
+  const [branchError, setBranchError] = useState<string | null>(null)
+  const [deleteTarget, setDeleteTarget] = useState<{ name: string; force: boolean } | null>(null)
+  const [forceDeleteCandidate, setForceDeleteCandidate] = useState<string | null>(null)
 
   // The single, DURABLE git_status_result handler. Stable identity (empty deps)
   // so the mount effect installs it exactly once, and — critically — so the
@@ -358,6 +385,63 @@ export function GitPanel() {
     }
   }, [prTitle, prBody, prBase, prDraft, setGitCreatePrCallback, requestGitCreatePr, requestGitBranches])
 
+  // Shared runner for the three branch mutations: arms the git_branch_result
+  // one-shot, sends, and on success refreshes both the branch list and status
+  // (a switch changes the working tree, so the Changes tab must not go stale).
+  const runBranchAction = useCallback((send: () => boolean, notConnectedMessage: string, onResult?: (result: GitBranchResult) => void) => {
+    setBranchError(null)
+    setForceDeleteCandidate(null)
+    setBranchBusy(true)
+    setGitBranchCallback((result: GitBranchResult) => {
+      setGitBranchCallback(null)
+      setBranchBusy(false)
+      onResult?.(result)
+      if (result.error) {
+        setBranchError(result.error)
+        return
+      }
+      requestGitBranches()
+      // Consumed by the durable status handler; no loading flip, so the
+      // Branches tab stays on screen while the refresh lands.
+      requestGitStatus()
+    })
+    if (!send()) {
+      setGitBranchCallback(null)
+      setBranchBusy(false)
+      setBranchError(notConnectedMessage)
+    }
+  }, [setGitBranchCallback, requestGitBranches, requestGitStatus])
+
+  const handleCreateBranch = useCallback(() => {
+    const name = newBranchName.trim()
+    if (!name || branchBusy) return
+    runBranchAction(
+      () => requestGitBranchCreate({ name, checkout: newBranchCheckout }),
+      'Branch not created — reconnect and try again',
+      (result) => { if (!result.error) setNewBranchName('') },
+    )
+  }, [newBranchName, newBranchCheckout, branchBusy, runBranchAction, requestGitBranchCreate])
+
+  const handleCheckout = useCallback((name: string) => {
+    if (branchBusy) return
+    runBranchAction(() => requestGitCheckout(name), 'Switch not sent — reconnect and try again')
+  }, [branchBusy, runBranchAction, requestGitCheckout])
+
+  const handleDeleteConfirmed = useCallback(() => {
+    const target = deleteTarget
+    setDeleteTarget(null)
+    if (!target) return
+    runBranchAction(
+      () => requestGitBranchDelete(target),
+      'Delete not sent — reconnect and try again',
+      (result) => {
+        if (!target.force && result.error && /not fully merged/i.test(result.error)) {
+          setForceDeleteCandidate(target.name)
+        }
+      },
+    )
+  }, [deleteTarget, runBranchAction, requestGitBranchDelete])
+
   const hasChanges = staged.length > 0 || unstaged.length > 0 || untracked.length > 0
   const localBranches = useMemo(() => branches.filter(b => !b.isRemote), [branches])
   const remoteBranches = useMemo(() => branches.filter(b => b.isRemote), [branches])
@@ -380,6 +464,22 @@ export function GitPanel() {
           >
             Branches
           </button>
+          <button
+            type="button"
+            className={`git-tab${activeTab === 'history' ? ' active' : ''}`}
+            onClick={() => setActiveTab('history')}
+            data-testid="git-history-tab-btn"
+          >
+            History
+          </button>
+          <button
+            type="button"
+            className={`git-tab${activeTab === 'conflicts' ? ' active' : ''}`}
+            onClick={() => setActiveTab('conflicts')}
+            data-testid="git-conflicts-tab-btn"
+          >
+            Conflicts
+          </button>
         </div>
         <div className="git-toolbar-right">
           {branch && (
@@ -621,13 +721,81 @@ export function GitPanel() {
 
       {!loading && !error && activeTab === 'branches' && (
         <div className="git-branches" data-testid="git-branches-tab">
+          {branchError && <div className="git-action-error" data-testid="git-branch-error">{branchError}</div>}
+          {forceDeleteCandidate && (
+            <div className="git-branch-force" data-testid="git-branch-force">
+              <button
+                type="button"
+                className="git-section-action"
+                onClick={() => setDeleteTarget({ name: forceDeleteCandidate, force: true })}
+                disabled={branchBusy}
+                data-testid="git-branch-force-delete-btn"
+              >
+                Force delete {forceDeleteCandidate}
+              </button>
+            </div>
+          )}
+          <div className="git-branch-create" data-testid="git-branch-create">
+            <input
+              type="text"
+              className="git-pr-input"
+              placeholder="New branch name"
+              value={newBranchName}
+              onChange={e => setNewBranchName(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter') handleCreateBranch() }}
+              maxLength={255}
+              disabled={branchBusy}
+              data-testid="git-branch-name-input"
+            />
+            <label className="git-pr-draft">
+              <input
+                type="checkbox"
+                checked={newBranchCheckout}
+                onChange={e => setNewBranchCheckout(e.target.checked)}
+                disabled={branchBusy}
+                data-testid="git-branch-checkout-checkbox"
+              />
+              Switch to it
+            </label>
+            <button
+              type="button"
+              className="git-section-action"
+              onClick={handleCreateBranch}
+              disabled={!newBranchName.trim() || branchBusy}
+              data-testid="git-branch-create-btn"
+            >
+              Create branch
+            </button>
+          </div>
           {localBranches.length > 0 && (
             <div className="git-section">
               <span className="git-section-title">Local ({localBranches.length})</span>
               {localBranches.map(b => (
-                <div key={b.name} className={`git-branch-row${b.isCurrent ? ' is-current' : ''}`}>
+                <div key={b.name} className={`git-branch-row${b.isCurrent ? ' is-current' : ''}`} data-testid={`git-branch-row-${b.name}`}>
                   {b.isCurrent && <span className="git-branch-current-mark">✓</span>}
                   <span className="git-branch-name">{b.name}</span>
+                  {!b.isCurrent && (
+                    <span className="git-branch-actions">
+                      <button
+                        type="button"
+                        className="git-section-action"
+                        onClick={() => handleCheckout(b.name)}
+                        disabled={branchBusy}
+                        data-testid={`git-branch-switch-${b.name}`}
+                      >
+                        Switch
+                      </button>
+                      <button
+                        type="button"
+                        className="git-section-action"
+                        onClick={() => setDeleteTarget({ name: b.name, force: false })}
+                        disabled={branchBusy}
+                        data-testid={`git-branch-delete-${b.name}`}
+                      >
+                        Delete
+                      </button>
+                    </span>
+                  )}
                 </div>
               ))}
             </div>
@@ -638,6 +806,18 @@ export function GitPanel() {
               {remoteBranches.map(b => (
                 <div key={b.name} className="git-branch-row git-branch-row--remote">
                   <span className="git-branch-name">{b.name}</span>
+                  <span className="git-branch-actions">
+                    <button
+                      type="button"
+                      className="git-section-action"
+                      onClick={() => handleCheckout(b.name)}
+                      disabled={branchBusy}
+                      title="Check out as a local branch tracking this remote branch"
+                      data-testid={`git-branch-switch-${b.name}`}
+                    >
+                      Check out
+                    </button>
+                  </span>
                 </div>
               ))}
             </div>
@@ -646,6 +826,11 @@ export function GitPanel() {
         </div>
       )}
 
+      {/* History is independent of the status fetch — it has its own loading
+          and error states, so it renders even when git status failed. */}
+      {activeTab === 'history' && <GitHistoryView />}
+      {activeTab === 'conflicts' && <GitConflictsView />}
+
       {/* #6875 review — commit confirmation (parity with the mobile app's
           "Commit N staged file(s)?" gate). Reuses the dashboard's shared
           ConfirmDialog, the same primitive other destructive actions use. */}
@@ -678,6 +863,20 @@ export function GitPanel() {
         onConfirm={handleCreatePrConfirmed}
         onCancel={() => setPrConfirmOpen(false)}
       />
+
+      <ConfirmDialog
+        open={deleteTarget !== null}
+        title={deleteTarget?.force ? 'Force delete branch?' : 'Delete branch?'}
+        confirmLabel="Delete"
+        danger
+        message={
+          deleteTarget?.force
+            ? <>Delete <b>{deleteTarget.name}</b> even though it has commits not merged anywhere else? Those commits will only be reachable from the reflog.</>
+            : <>Delete the local branch <b>{deleteTarget?.name}</b>?</>
+        }
+        onConfirm={handleDeleteConfirmed}
+        onCancel={() => setDeleteTarget(null)}
+      />
     </div>
   )
 }
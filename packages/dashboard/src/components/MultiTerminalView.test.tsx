@@ -68,6 +68,7 @@ vi.mock('../store/connection', () => ({
         sendTerminalInput: mockSendTerminalInput,
         sessionStates: mockStoreState.sessionStates ?? {},
         terminalRawBuffer: mockStoreState.terminalRawBuffer ?? '',
+        tokenScope: mockStoreState.tokenScope ?? 'full',
       }
       return selector(state)
     },
@@ -328,6 +329,17 @@ describe('MultiTerminalView', () => {
       expect(terminals[1]!.dataset.interactive).toBe('0') // observer → read-only
     })
 
+    it('keeps every pane read-only for a device token that cannot send input', () => {
+      mockStoreState = {
+        sessionStates: { s1: { terminalRawBuffer: 'd', sessionRole: 'primary' } },
+        terminalRawBuffer: 'd',
+        tokenScope: 'approve',
+      }
+      mockGetState.mockReturnValue({ activeSessionId: 's1', sessionStates: mockStoreState.sessionStates })
+      renderMultiTerminal({ sessions: makeSessions(1) })
+      expect(screen.getAllByTestId('mock-terminal')[0]!.dataset.interactive).toBe('0')
+    })
+
     it('treats an unclaimed (null role) session as interactive', () => {
       mockStoreState = { sessionStates: { s1: { terminalRawBuffer: 'd' } }, terminalRawBuffer: 'd' }
       mockGetState.mockReturnValue({ activeSessionId: 's1', sessionStates: mockStoreState.sessionStates })
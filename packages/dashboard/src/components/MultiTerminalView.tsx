@@ -9,6 +9,7 @@
  */
 import { useEffect, useRef, useCallback } from 'react'
 import { CLAUDE_TUI_PTY_SIZE } from '@chroxy/protocol'
+import { scopeAllowsInput } from '@chroxy/store-core'
 import { TerminalView, type TerminalHandle } from './TerminalView'
 import { useConnectionStore } from '../store/connection'
 
@@ -39,6 +40,8 @@ export function MultiTerminalView({ sessions, activeSessionId, className }: Mult
   // stateless mirror can't otherwise recover).
   const requestTerminalResync = useConnectionStore(s => s.requestTerminalResync)
   const sendTerminalInput = useConnectionStore(s => s.sendTerminalInput)
+  // Keystrokes are input — an observe / approve device token can't send them.
+  const canSendInput = useConnectionStore(s => scopeAllowsInput(s.tokenScope))
   // #5835 Phase 2: per-session authoritative sizes (server terminal_size). Reads
   // the whole map so a size change re-renders and the new fixedSize flows to the
   // affected TerminalView (which resizes its xterm in place).
@@ -151,7 +154,7 @@ export function MultiTerminalView({ sessions, activeSessionId, className }: Mult
             // an OBSERVER of the session — another device holds primary. The
             // server is the final authority; this keeps an observer's keys from
             // spamming input_conflict and reflects read-only in the cursor/focus.
-            interactive={sessionStates[session.sessionId]?.sessionRole !== 'observer'}
+            interactive={canSendInput && sessionStates[session.sessionId]?.sessionRole !== 'observer'}
             onInput={(data) => handleInput(session.sessionId, data)}
           />
         </div>
@@ -31,6 +31,11 @@ export interface NotificationBannersProps {
   onDeny: (requestId: string, notificationId: string) => void
   onDismiss: (notificationId: string) => void
   onSwitchSession: (sessionId: string) => void
+  /**
+   * False for an `observe` device token: permission banners then offer only
+   * Dismiss, since the server would refuse the answer. Defaults to true.
+   */
+  canAnswerPrompts?: boolean
 }
 
 export function NotificationBanners({
@@ -39,6 +44,7 @@ export function NotificationBanners({
   onDeny,
   onDismiss,
   onSwitchSession,
+  canAnswerPrompts = true,
 }: NotificationBannersProps) {
   // #4890 — render unread only; read history lives in the widget.
   const unread = notifications.filter((n) => n.readAt === undefined)
@@ -68,7 +74,7 @@ export function NotificationBanners({
             <span className="notification-banner-message">{n.message}</span>
           </div>
           <div className="notification-banner-actions">
-            {n.eventType === 'permission' && n.requestId ? (
+            {n.eventType === 'permission' && n.requestId && canAnswerPrompts ? (
               <>
                 <button
                   type="button"
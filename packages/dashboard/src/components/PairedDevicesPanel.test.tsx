@@ -188,6 +188,66 @@ describe('PairedDevicesPanel', () => {
     expect(screen.getByTestId('paired-device-card-dev-fail')).toBeTruthy()
   })
 
+  it('shows the scope (full when the daemon omits it) and changes it via PATCH', async () => {
+    const fetchImpl = vi.fn(async (input: RequestInfo | URL, init?: RequestInit) => {
+      const url = typeof input === 'string' ? input : input.toString()
+      if (init?.method === 'PATCH') {
+        return new Response(JSON.stringify({ ok: true, scope: 'approve' }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' },
+        })
+      }
+      expect(url).toBe('/api/paired-devices')
+      return new Response(
+        JSON.stringify({ devices: [makeDevice({ id: 'dev-legacy' }), makeDevice({ id: 'dev-watch', scope: 'observe' })] }),
+        { status: 200, headers: { 'Content-Type': 'application/json' } },
+      )
+    })
+    render(<PairedDevicesPanel fetchImpl={fetchImpl as unknown as typeof fetch} getToken={() => 'tok'} />)
+    await waitFor(() => {
+      expect(screen.getByTestId('paired-device-card-dev-watch')).toBeTruthy()
+    })
+    expect((screen.getByTestId('paired-device-scope-dev-legacy') as HTMLSelectElement).value).toBe('full')
+    const select = screen.getByTestId('paired-device-scope-dev-watch') as HTMLSelectElement
+    expect(select.value).toBe('observe')
+
+    fireEvent.change(select, { target: { value: 'approve' } })
+    await waitFor(() => {
+      expect((screen.getByTestId('paired-device-scope-dev-watch') as HTMLSelectElement).value).toBe('approve')
+    })
+    const patch = fetchImpl.mock.calls.find(([, init]) => (init as RequestInit | undefined)?.method === 'PATCH')
+    expect(patch?.[0]).toBe('/api/paired-devices/dev-watch')
+    expect(JSON.parse(String((patch?.[1] as RequestInit).body))).toEqual({ scope: 'approve' })
+    expect((patch?.[1] as RequestInit).headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer tok',
+    })
+  })
+
+  it('keeps the old scope and surfaces the error when the change fails', async () => {
+    const fetchImpl = vi.fn(async (_input: RequestInfo | URL, init?: RequestInit) => {
+      if (init?.method === 'PATCH') {
+        return new Response(JSON.stringify({ error: 'scope change not persisted' }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' },
+        })
+      }
+      return new Response(JSON.stringify({ devices: [makeDevice({ id: 'dev-1', scope: 'full' })] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    })
+    render(<PairedDevicesPanel fetchImpl={fetchImpl as unknown as typeof fetch} getToken={() => 'tok'} />)
+    await waitFor(() => {
+      expect(screen.getByTestId('paired-device-card-dev-1')).toBeTruthy()
+    })
+    fireEvent.change(screen.getByTestId('paired-device-scope-dev-1'), { target: { value: 'observe' } })
+    await waitFor(() => {
+      expect(screen.getByTestId('paired-devices-error').textContent).toBe('scope change not persisted')
+    })
+    expect((screen.getByTestId('paired-device-scope-dev-1') as HTMLSelectElement).value).toBe('full')
+  })
+
   it('revoke-all panic button: confirm → DELETE /api/paired-devices → all rows cleared', async () => {
     const seen: Array<{ url: string; method: string }> = []
     let listCalled = 0
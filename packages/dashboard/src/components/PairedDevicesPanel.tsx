@@ -14,11 +14,17 @@
  * must not enumerate or revoke its siblings), so the panel just forwards the
  * dashboard's auth token like SnapshotsPanel does.
  *
+ * Each card also shows the device's token scope — observe (watch only), approve
+ * (+ answer permission/question prompts) or full — and changes it live via
+ * PATCH /api/paired-devices/:id; the daemon re-scopes the device's open
+ * connections immediately.
+ *
  * Device labels (deviceName) are not captured yet — the wire carries a
  * `deviceName` field for the follow-up, and until then a device is identified by
  * its session binding + age.
  */
 import { useCallback, useEffect, useState } from 'react'
+import type { TokenScope } from '@chroxy/protocol'
 import { getAuthToken } from '../utils/auth'
 
 export interface PairedDevice {
@@ -32,6 +38,20 @@ export interface PairedDevice {
   ageMs: number | null
   /** Optional device label — not captured yet (deviceName follow-up). */
   deviceName: string | null
+  /** What the device may do. Absent from older daemons — treated as full. */
+  scope?: TokenScope
+}
+
+const SCOPE_LABELS: Record<TokenScope, string> = {
+  observe: 'Observe only',
+  approve: 'Approve prompts',
+  full: 'Full control',
+}
+
+const SCOPE_HINTS: Record<TokenScope, string> = {
+  observe: 'Can watch sessions but not type, answer prompts or change anything',
+  approve: 'Can watch sessions and answer permission/question prompts, but not type',
+  full: 'Can do everything a paired device can',
 }
 
 interface PairedDevicesPanelProps {
@@ -62,12 +82,17 @@ function DeviceCard({
   device,
   onRevoke,
   isRevoking,
+  onScopeChange,
+  isUpdatingScope,
 }: {
   device: PairedDevice
   onRevoke: (id: string) => void
   isRevoking: boolean
+  onScopeChange: (id: string, scope: TokenScope) => void
+  isUpdatingScope: boolean
 }) {
   const [confirming, setConfirming] = useState(false)
+  const scope: TokenScope = device.scope ?? 'full'
   const age = formatAge(device.ageMs)
   const title = device.deviceName || (device.sessionId ? 'Paired device' : 'Paired device (full access)')
 
@@ -95,6 +120,23 @@ function DeviceCard({
             {device.sessionId ? 'Single session' : 'Full access (unbound)'}
           </span>
         </div>
+        <div className="env-card-row">
+          <span className="env-card-label">Scope</span>
+          <select
+            className="env-card-value"
+            data-testid={`paired-device-scope-${device.id}`}
+            value={scope}
+            disabled={isUpdatingScope || isRevoking}
+            title={SCOPE_HINTS[scope]}
+            onChange={(e) => onScopeChange(device.id, e.target.value as TokenScope)}
+          >
+            {(Object.keys(SCOPE_LABELS) as TokenScope[]).map((s) => (
+              <option key={s} value={s}>
+                {SCOPE_LABELS[s]}
+              </option>
+            ))}
+          </select>
+        </div>
         {device.sessionId && (
           <div className="env-card-row">
             <span className="env-card-label">Session</span>
@@ -150,6 +192,7 @@ export function PairedDevicesPanel({ fetchImpl, getToken }: PairedDevicesPanelPr
   const [loading, setLoading] = useState<boolean>(true)
   const [error, setError] = useState<string | null>(null)
   const [revokingId, setRevokingId] = useState<string | null>(null)
+  const [scopingId, setScopingId] = useState<string | null>(null)
   const [revokingAll, setRevokingAll] = useState<boolean>(false)
   const [confirmingAll, setConfirmingAll] = useState<boolean>(false)
 
@@ -204,6 +247,34 @@ export function PairedDevicesPanel({ fetchImpl, getToken }: PairedDevicesPanelPr
     [refresh, resolvedFetch, resolvedGetToken],
   )
 
+  const handleScopeChange = useCallback(
+    async (id: string, scope: TokenScope) => {
+      setScopingId(id)
+      setError(null)
+      const token = resolvedGetToken()
+      try {
+        const res = await resolvedFetch(`/api/paired-devices/${encodeURIComponent(id)}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          body: JSON.stringify({ scope }),
+        })
+        if (!res.ok) {
+          const body = await res.json().catch(() => ({ error: `HTTP ${res.status}` }))
+          throw new Error((body as { error?: string }).error || `HTTP ${res.status}`)
+        }
+        setDevices((prev) => prev.map((d) => (d.id === id ? { ...d, scope } : d)))
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to change device scope')
+      } finally {
+        setScopingId(null)
+      }
+    },
+    [resolvedFetch, resolvedGetToken],
+  )
+
   const handleRevokeAll = useCallback(async () => {
     setRevokingAll(true)
     setError(null)
@@ -316,6 +387,8 @@ export function PairedDevicesPanel({ fetchImpl, getToken }: PairedDevicesPanelPr
             device={device}
             onRevoke={handleRevoke}
             isRevoking={revokingId === device.id}
+            onScopeChange={handleScopeChange}
+            isUpdatingScope={scopingId === device.id}
           />
         ))}
       </div>
@@ -21,6 +21,7 @@ type MockStore = {
   sessions: { sessionId: string; provider?: string }[]
   availableProviders: { name: string; capabilities?: { sessionRules?: boolean; denyReason?: boolean } }[]
   connectionPhase: string
+  tokenScope?: 'observe' | 'approve' | 'full'
   // #6773 — the command-edit + write-review affordances read these; default
   // undefined (ide off) so existing tests render neither and stay unchanged.
   serverCapabilities?: { ide?: boolean }
@@ -436,6 +437,37 @@ describe('PermissionPrompt', () => {
     expect(onRespond).not.toHaveBeenCalled()
   })
 
+  it('shows an observe device the prompt without answer controls', () => {
+    mockStoreState.tokenScope = 'observe'
+    render(
+      <PermissionPrompt
+        requestId="req-observe"
+        tool="Write"
+        description="test"
+        remainingMs={60000}
+        onRespond={vi.fn()}
+      />
+    )
+    expect(screen.queryByText('Allow')).not.toBeInTheDocument()
+    expect(screen.queryByText('Deny')).not.toBeInTheDocument()
+    expect(screen.getByTestId('perm-scope-hint')).toHaveTextContent('can watch but not answer')
+  })
+
+  it('keeps the answer controls for an approve device', () => {
+    mockStoreState.tokenScope = 'approve'
+    render(
+      <PermissionPrompt
+        requestId="req-approve"
+        tool="Write"
+        description="test"
+        remainingMs={60000}
+        onRespond={vi.fn()}
+      />
+    )
+    expect(screen.getByText('Allow')).toBeInTheDocument()
+    expect(screen.queryByTestId('perm-scope-hint')).not.toBeInTheDocument()
+  })
+
   // #5699 (review): the keyboard shortcuts must ALSO be gated. A disconnected
   // keypress that reached respond() would latch `submitting` and wedge the prompt
 })
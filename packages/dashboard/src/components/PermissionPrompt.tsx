@@ -17,8 +17,12 @@
  * #2852: guards Allow / Deny / Allow for Session and the keyboard shortcuts
  * behind a local `submitting` flag so double-click and key-repeat cannot
  * fire onRespond twice before the store's answered state catches up.
+ *
+ * An `observe` device (auth_ok.tokenScope) sees the prompt but no answer
+ * controls — the server would refuse its permission_response.
  */
 import { useState, useEffect, useRef, useCallback } from 'react'
+import { scopeAllowsPromptAnswers } from '@chroxy/store-core'
 import { useConnectionStore, isRuleEligibleTool, isRuleEligibleProvider, isDenyReasonHonoredProvider, DENY_REASON_MAX_LENGTH } from '../store/connection'
 import type { PermissionDecision } from '../store/types'
 import { isMacPlatform } from '../utils/platform'
@@ -86,6 +90,7 @@ export function PermissionPrompt({ requestId, tool, description, remainingMs, on
   // request on disconnect and a queued answer is silently lost. Disable the
   // buttons so the operator gets visible feedback instead of a dead click.
   const connected = useConnectionStore((s) => s.connectionPhase === 'connected')
+  const canAnswer = useConnectionStore((s) => scopeAllowsPromptAnswers(s.tokenScope))
 
   // #3072: gate the "Allow for Session" affordance on whether the active
   // session's provider supports session-scoped permission rules. Without
@@ -166,7 +171,7 @@ export function PermissionPrompt({ requestId, tool, description, remainingMs, on
     // if we latched `submitting` here the prompt would wedge permanently
     // (`submitting` only resets when `answered` flips, which never happens). Bail
     // before the latch so the prompt stays actionable once reconnected.
-    if (submittingRef.current || answered || remaining <= 0 || !connected) return
+    if (submittingRef.current || answered || remaining <= 0 || !connected || !canAnswer) return
     submittingRef.current = true
     setSubmitting(true)
     // 'allowSession' / 'allowAlways' (#6771) are only meaningful when both the
@@ -189,7 +194,7 @@ export function PermissionPrompt({ requestId, tool, description, remainingMs, on
     } else {
       onRespond(requestId, effective, isDeny ? null : editedInput)
     }
-  }, [requestId, onRespond, answered, remaining, tool, providerSupportsRules, connected, editedInput, denyReason])
+  }, [requestId, onRespond, answered, remaining, tool, providerSupportsRules, connected, canAnswer, editedInput, denyReason])
 
   // #6287 — the Cmd/Ctrl+Y, Cmd/Ctrl+Shift+Y and Escape keyboard shortcuts moved
   // to a SINGLE document-level listener (useChatKeyboard, wired in App.tsx) that
@@ -201,7 +206,7 @@ export function PermissionPrompt({ requestId, tool, description, remainingMs, on
 
   const isExpired = remaining <= 0
   const isUrgent = remaining > 0 && remaining <= 30000
-  const showButtons = !answered && !isExpired
+  const showButtons = !answered && !isExpired && canAnswer
   const showAllowSession = showButtons && isRuleEligibleTool(tool) && providerSupportsRules
   // #6771 — "Always allow (this project)" shares the same eligibility gate as
   // "Allow for Session" (rule-eligible tool + provider that supports rules).
@@ -371,6 +376,12 @@ export function PermissionPrompt({ requestId, tool, description, remainingMs, on
         </>
       )}
 
+      {!answered && !isExpired && !canAnswer && (
+        <div className="scope-readonly-hint" data-testid="perm-scope-hint" role="status">
+          This device can watch but not answer prompts.
+        </div>
+      )}
+
       {isExpired && !answered && (
         <div className="perm-expired-info" data-testid="perm-expired-info">
           <span className="perm-expired-msg">Permission expired — Claude will continue without this tool</span>
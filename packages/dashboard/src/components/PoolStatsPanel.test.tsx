@@ -112,6 +112,49 @@ describe('PoolStatsPanel', () => {
     expect(screen.getByTestId('pool-eviction-reason-over_cap')).toBeTruthy()
   })
 
+  it('renders prewarm outcomes, reserved resources and the demand forecast', async () => {
+    const stats: PoolStats = {
+      ...ENABLED_STATS,
+      buckets: [{ key: 'node:22|/repo|512m|1|root', size: 2, oldestIdleMs: 1000, prewarmed: 1 }],
+      prewarms: 4,
+      prewarmHits: 3,
+      prewarmWaste: 1,
+      prewarmFailures: 0,
+      prewarmWasteRate: 0.25,
+      resources: { memoryBytes: 1024 ** 3, cpus: 2, maxMemoryBytes: 8 * 1024 ** 3, maxCpus: null },
+      forecast: [
+        { key: 'node:22|/repo|512m|1|root', image: 'node:22', hour: 9, expected: 1.6, parked: 2, prewarmable: true },
+        { key: 'node:22|/app|512m|1|root|abc', image: 'node:22', hour: 9, expected: 0.7, parked: 0, prewarmable: false },
+      ],
+    }
+    const fetchImpl = makeFetch(() => jsonResponse(stats))
+    render(
+      <PoolStatsPanel fetchImpl={fetchImpl as unknown as typeof fetch} getToken={() => 'tok'} pollMs={0} />,
+    )
+    await waitFor(() => {
+      expect(screen.getByTestId('pool-stats-prewarm')).toBeTruthy()
+    })
+    expect(screen.getByTestId('pool-stats-prewarms').textContent).toBe('4')
+    expect(screen.getByTestId('pool-stats-prewarm-outcomes').textContent).toBe('3 / 1')
+    expect(screen.getByTestId('pool-stats-prewarm-waste').textContent).toBe('25.0%')
+    expect(screen.getByTestId('pool-stats-reserved').textContent).toBe('1.00 GiB / 8.00 GiB · 2 / ∞ CPUs')
+    expect(screen.getByText('Expected demand (09:00)')).toBeTruthy()
+    expect(screen.getByTestId('pool-forecast-node:22|/repo|512m|1|root').textContent).toContain('1.6 expected · 2 parked')
+    expect(screen.getByTestId('pool-forecast-node:22|/app|512m|1|root|abc').textContent).toContain('(recycle only)')
+  })
+
+  it('hides the prewarm card and forecast until there is something to show', async () => {
+    const fetchImpl = makeFetch(() => jsonResponse({ ...ENABLED_STATS, prewarms: 0, forecast: [] }))
+    render(
+      <PoolStatsPanel fetchImpl={fetchImpl as unknown as typeof fetch} getToken={() => 'tok'} pollMs={0} />,
+    )
+    await waitFor(() => {
+      expect(screen.getByTestId('pool-stats-body')).toBeTruthy()
+    })
+    expect(screen.queryByTestId('pool-stats-prewarm')).toBeNull()
+    expect(screen.queryByTestId('pool-stats-forecast')).toBeNull()
+  })
+
   it('renders the recent evictions tail newest-first', async () => {
     const fetchImpl = makeFetch(() => jsonResponse(ENABLED_STATS))
     render(
@@ -10,7 +10,11 @@
  *   - Hit rate: hits / (hits + misses) over the aggregator's lifetime.
  *   - Recent evictions: the tail of the last N evictions, newest-first,
  *     plus an eviction-by-reason summary (idle / over_cap / shutdown /
- *     over_age / soiled / …).
+ *     over_age / soiled / pressure / over_ceiling / …).
+ *   - Prewarm: containers the autoscaler started from the learned demand,
+ *     how many a session then used and how many were evicted unused
+ *     (waste), plus the memory/CPU parked containers hold against the
+ *     pool's ceiling and the demand it expects in the coming hour.
  *
  * The pool is default-OFF (CHROXY_DOCKER_BYOK_POOL=1). The endpoint returns
  * `{ enabled: false }` when the pool is disabled; this panel renders a short
@@ -24,6 +28,27 @@ export interface PoolBucket {
   key: string
   size: number
   oldestIdleMs: number
+  /** Parked containers the autoscaler started that no session has used yet. */
+  prewarmed?: number
+}
+
+export interface PoolResources {
+  memoryBytes: number
+  cpus: number
+  /** null when unbounded. */
+  maxMemoryBytes: number | null
+  maxCpus: number | null
+}
+
+export interface PoolForecastEntry {
+  key: string
+  image: string
+  hour: number
+  /** Expected sessions in `hour`, learned from session-creation history. */
+  expected: number
+  parked: number
+  /** False for shapes the pool can only warm by recycling (devcontainer keys). */
+  prewarmable: boolean
 }
 
 export interface PoolEviction {
@@ -44,6 +69,13 @@ export interface PoolStats {
   buckets?: PoolBucket[]
   evictionsByReason?: Record<string, number>
   recentEvictions?: PoolEviction[]
+  prewarms?: number
+  prewarmHits?: number
+  prewarmWaste?: number
+  prewarmFailures?: number
+  prewarmWasteRate?: number
+  resources?: PoolResources | null
+  forecast?: PoolForecastEntry[]
 }
 
 interface PoolStatsPanelProps {
@@ -82,6 +114,31 @@ function formatIdle(ms: number): string {
   return `${h}h ${m % 60}m`
 }
 
+/** Compact bytes ("512 MiB", "2.00 GiB", or "—"). */
+function formatBytes(bytes: number | null | undefined): string {
+  if (typeof bytes !== 'number' || !Number.isFinite(bytes) || bytes < 0) return '—'
+  if (bytes < 1024) return `${bytes} B`
+  const units = ['KiB', 'MiB', 'GiB', 'TiB']
+  let v = bytes / 1024
+  let i = 0
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024
+    i++
+  }
+  return `${v.toFixed(v < 10 ? 2 : 1)} ${units[i]}`
+}
+
+/** "1.5 GiB / 8.00 GiB · 2 / 8 CPUs" — the ceiling side reads "∞" when unbounded. */
+function formatReserved(r: PoolResources): string {
+  const maxMem = r.maxMemoryBytes === null ? '∞' : formatBytes(r.maxMemoryBytes)
+  const maxCpus = r.maxCpus === null ? '∞' : String(r.maxCpus)
+  return `${formatBytes(r.memoryBytes)} / ${maxMem} · ${r.cpus} / ${maxCpus} CPUs`
+}
+
+function formatHour(hour: number): string {
+  return `${String(hour).padStart(2, '0')}:00`
+}
+
 function formatTimestamp(ms: number): string {
   if (!Number.isFinite(ms)) return ''
   const d = new Date(ms)
@@ -138,6 +195,9 @@ export function PoolStatsPanel({ fetchImpl, getToken, pollMs }: PoolStatsPanelPr
   const recent = stats?.recentEvictions ?? []
   const byReason = stats?.evictionsByReason ?? {}
   const reasonEntries = Object.entries(byReason).sort((a, b) => b[1] - a[1])
+  const forecast = stats?.forecast ?? []
+  const forecastHour = forecast[0]?.hour ?? 0
+  const prewarms = stats?.prewarms ?? 0
 
   return (
     <div className="environment-panel" data-testid="pool-stats-panel">
@@ -169,7 +229,8 @@ export function PoolStatsPanel({ fetchImpl, getToken, pollMs }: PoolStatsPanelPr
           <p style={{ color: 'var(--text-secondary)', fontSize: '0.9em' }}>
             Set <code>CHROXY_DOCKER_BYOK_POOL=1</code> on the server to enable
             cross-session container reuse, then this panel will show pool size,
-            hit rate, and recent evictions.
+            hit rate, and recent evictions. Add <code>CHROXY_DOCKER_BYOK_POOL_PREWARM=1</code>{' '}
+            to prewarm containers ahead of the demand the pool learns.
           </p>
         </div>
       )}
@@ -197,6 +258,14 @@ export function PoolStatsPanel({ fetchImpl, getToken, pollMs }: PoolStatsPanelPr
                   {stats.totalSize ?? 0}
                 </span>
               </div>
+              {stats.resources && (
+                <div className="env-card-row">
+                  <span className="env-card-label">Reserved / ceiling</span>
+                  <span className="env-card-value" data-testid="pool-stats-reserved">
+                    {formatReserved(stats.resources)}
+                  </span>
+                </div>
+              )}
               {typeof stats.shutdowns === 'number' && stats.shutdowns > 0 && (
                 <div className="env-card-row">
                   <span className="env-card-label">Shutdowns</span>
@@ -206,6 +275,66 @@ export function PoolStatsPanel({ fetchImpl, getToken, pollMs }: PoolStatsPanelPr
             </div>
           </div>
 
+          {/* Prewarm outcomes — only once the autoscaler has started something */}
+          {(prewarms > 0 || (stats.prewarmFailures ?? 0) > 0) && (
+            <div className="env-card" data-testid="pool-stats-prewarm" style={{ marginTop: '1rem' }}>
+              <div className="env-card-details">
+                <div className="env-card-row">
+                  <span className="env-card-label">Prewarmed</span>
+                  <span className="env-card-value" data-testid="pool-stats-prewarms">{prewarms}</span>
+                </div>
+                <div className="env-card-row">
+                  <span className="env-card-label">Used / Wasted</span>
+                  <span className="env-card-value" data-testid="pool-stats-prewarm-outcomes">
+                    {stats.prewarmHits ?? 0} / {stats.prewarmWaste ?? 0}
+                  </span>
+                </div>
+                <div className="env-card-row">
+                  <span className="env-card-label">Waste rate</span>
+                  <span className="env-card-value" data-testid="pool-stats-prewarm-waste">
+                    {formatHitRate(stats.prewarmWasteRate)}
+                  </span>
+                </div>
+                {(stats.prewarmFailures ?? 0) > 0 && (
+                  <div className="env-card-row">
+                    <span className="env-card-label">Failed launches</span>
+                    <span className="env-card-value">{stats.prewarmFailures}</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Learned demand for the hour the autoscaler is preparing for */}
+          {forecast.length > 0 && (
+            <>
+              <h3 style={{ marginTop: '1rem' }}>Expected demand ({formatHour(forecastHour)})</h3>
+              <div className="env-card" data-testid="pool-stats-forecast">
+                <div className="env-card-details">
+                  {forecast.map((f) => (
+                    <div className="env-card-row" key={f.key} data-testid={`pool-forecast-${f.key}`}>
+                      <span
+                        className="env-card-label"
+                        title={f.key}
+                        style={{ fontFamily: 'var(--font-mono, monospace)', fontSize: '0.8em' }}
+                      >
+                        {f.image}
+                      </span>
+                      <span className="env-card-value">
+                        {f.expected.toFixed(1)} expected · {f.parked} parked
+                        {!f.prewarmable && (
+                          <span style={{ color: 'var(--text-secondary)', marginLeft: '0.5rem' }}>
+                            (recycle only)
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+
           {/* Per-key parked buckets */}
           <h3 style={{ marginTop: '1rem' }}>Parked by key</h3>
           {buckets.length === 0 ? (
@@ -241,6 +370,12 @@ export function PoolStatsPanel({ fetchImpl, getToken, pollMs }: PoolStatsPanelPr
                       <span className="env-card-label">Oldest idle</span>
                       <span className="env-card-value">{formatIdle(b.oldestIdleMs)}</span>
                     </div>
+                    {(b.prewarmed ?? 0) > 0 && (
+                      <div className="env-card-row">
+                        <span className="env-card-label">Prewarmed</span>
+                        <span className="env-card-value">{b.prewarmed}</span>
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
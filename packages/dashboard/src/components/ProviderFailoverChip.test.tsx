@@ -0,0 +1,64 @@
+/**
+ * ProviderFailoverChip tests — the chip that replaces a failed turn's error
+ * bubble once the server's provider failover has retried it, moved it to the
+ * next provider, or run out of providers.
+ */
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, cleanup } from '@testing-library/react'
+import { ProviderFailoverChip } from './ProviderFailoverChip'
+
+afterEach(cleanup)
+
+describe('ProviderFailoverChip', () => {
+  it('announces a retry with its backoff and attempt', () => {
+    render(
+      <ProviderFailoverChip
+        errorText="429 Too Many Requests"
+        meta={{ action: 'retry', category: 'rate_limit', provider: 'claude-byok', model: null, attempt: 2, delayMs: 4000 }}
+      />,
+    )
+    const chip = screen.getByTestId('provider-failover-chip')
+    expect(chip).toHaveTextContent('Rate limited on')
+    expect(chip).toHaveTextContent('retrying in 4s (attempt 2)')
+    expect(chip).toHaveAttribute('role', 'status')
+    expect(chip).toHaveAttribute('title', '429 Too Many Requests')
+    expect(screen.queryByTestId('provider-failover-chip-detail')).toBeNull()
+  })
+
+  it('names the new provider, its billing class and how the conversation moved on a hop', () => {
+    render(
+      <ProviderFailoverChip
+        errorText="credit balance is too low"
+        meta={{
+          action: 'hop',
+          category: 'credit_cap',
+          provider: 'claude-byok',
+          model: null,
+          to: { provider: 'openrouter', model: 'deepseek/deepseek-chat' },
+          billingClass: 'api-key',
+          carry: 'conversation',
+        }}
+      />,
+    )
+    const chip = screen.getByTestId('provider-failover-chip')
+    expect(chip).toHaveAttribute('data-variant', 'hop')
+    expect(chip).toHaveTextContent('Credit cap reached on')
+    expect(chip).toHaveTextContent('moved to')
+    expect(chip).toHaveTextContent('(deepseek/deepseek-chat)')
+    expect(screen.getByTestId('provider-failover-chip-detail')).toHaveTextContent(
+      'billed to your API key · conversation carried over',
+    )
+  })
+
+  it('raises an alert when the chain is exhausted', () => {
+    render(
+      <ProviderFailoverChip
+        errorText="Overloaded"
+        meta={{ action: 'exhausted', category: 'overloaded', provider: 'claude-sdk', model: 'opus' }}
+      />,
+    )
+    const chip = screen.getByTestId('provider-failover-chip')
+    expect(chip).toHaveAttribute('role', 'alert')
+    expect(chip).toHaveTextContent('(opus) — no provider left in the failover chain')
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * ProviderFailoverChip — replaces the red error bubble of a turn the server's
+ * provider failover acted on (see store-core `ChatMessage.failover`).
+ *
+ *   - `retry`     — the same provider is retried after a backoff.
+ *   - `hop`       — the session moved to the next provider in its chain, with
+ *                   the conversation carried over and the prompt re-sent; the
+ *                   chip names the new provider and what it bills as.
+ *   - `exhausted` — no provider left in the chain; the error stands, so the
+ *                   chip is an assertive alert rather than a polite status.
+ *
+ * Built on `ChatErrorFrame`, so it shares the amber stall-chip palette; the
+ * raw error text stays in the tooltip.
+ */
+import { getProviderLabel, formatDurationTerse } from '@chroxy/store-core'
+import type { ProviderFailoverMeta } from '../store/types'
+import { ChatErrorFrame } from './ChatErrorFrame'
+
+export interface ProviderFailoverChipProps {
+  /** The raw error text from the server, kept in the title attribute. */
+  errorText: string
+  meta: ProviderFailoverMeta
+}
+
+const CATEGORY_LABELS: Record<ProviderFailoverMeta['category'], string> = {
+  rate_limit: 'Rate limited',
+  overloaded: 'Overloaded',
+  credit_cap: 'Credit cap reached',
+}
+
+const BILLING_CLASS_LABELS: Record<string, string> = {
+  'api-key': 'billed to your API key',
+  'programmatic-credit': 'billed as credit spend',
+  subscription: 'included in your subscription',
+}
+
+const CARRY_LABELS: Record<NonNullable<ProviderFailoverMeta['carry']>, string> = {
+  conversation: 'conversation carried over',
+  transcript: 'earlier conversation sent with the prompt',
+  none: 'no earlier conversation to carry',
+}
+
+function target(provider: string, model: string | null): string {
+  const label = getProviderLabel(provider)
+  return model ? `${label} (${model})` : label
+}
+
+export function ProviderFailoverChip({ errorText, meta }: ProviderFailoverChipProps) {
+  const source = `${CATEGORY_LABELS[meta.category]} on ${target(meta.provider, meta.model)}`
+  let headline: string
+  const details: string[] = []
+  if (meta.action === 'retry') {
+    const wait = meta.delayMs != null ? ` in ${formatDurationTerse(meta.delayMs)}` : ''
+    headline = `${source} — retrying${wait}${meta.attempt ? ` (attempt ${meta.attempt})` : ''}`
+  } else if (meta.action === 'hop' && meta.to) {
+    headline = `${source} — moved to ${target(meta.to.provider, meta.to.model)}`
+    if (meta.billingClass) details.push(BILLING_CLASS_LABELS[meta.billingClass] ?? meta.billingClass)
+    if (meta.carry) details.push(CARRY_LABELS[meta.carry])
+  } else {
+    headline = `${source} — no provider left in the failover chain`
+  }
+
+  return (
+    <ChatErrorFrame
+      testId="provider-failover-chip"
+      variant={meta.action}
+      role={meta.action === 'exhausted' ? 'alert' : 'status'}
+      title={errorText}
+      headline={headline}
+      subtext={
+        details.length > 0 && (
+          <span className="provider-failover-chip-detail" data-testid="provider-failover-chip-detail">
+            {details.join(' · ')}
+          </span>
+        )
+      }
+    />
+  )
+}
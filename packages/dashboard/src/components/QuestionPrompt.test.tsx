@@ -953,6 +953,42 @@ describe('QuestionPrompt', () => {
       expect(screen.queryByText(/LEAK_ME/)).not.toBeInTheDocument()
     })
   })
+
+  describe('readOnly (observe device token)', () => {
+    it('shows the question without any controls', () => {
+      render(
+        <QuestionPrompt
+          question="Pick one"
+          options={[{ label: 'Option A', value: 'a' }]}
+          readOnly
+          onSelect={vi.fn()}
+        />
+      )
+      expect(screen.getByTestId('question-prompt-readonly')).toHaveTextContent('Pick one')
+      expect(screen.getByText(/can watch but not answer/)).toBeInTheDocument()
+      expect(screen.queryAllByRole('button')).toHaveLength(0)
+      expect(screen.queryAllByRole('textbox')).toHaveLength(0)
+    })
+
+    it('lists every question of a multi-question form', () => {
+      render(
+        <QuestionPrompt
+          question="Q1?"
+          options={[{ label: 'a', value: 'a' }]}
+          questions={[
+            { question: 'Q1?', options: [{ label: 'a', value: 'a' }] },
+            { question: 'Q2?', options: [{ label: 'b', value: 'b' }] },
+          ]}
+          allowMultiQuestion
+          readOnly
+          onSelect={vi.fn()}
+        />
+      )
+      expect(screen.getByText('Q1?')).toBeInTheDocument()
+      expect(screen.getByText('Q2?')).toBeInTheDocument()
+      expect(screen.queryByTestId('question-prompt-multi')).not.toBeInTheDocument()
+    })
+  })
 })
 
 // #5776 — a SINGLE-question multiSelect must render as a checkbox form so the
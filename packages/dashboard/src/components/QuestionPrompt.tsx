@@ -95,6 +95,12 @@ export interface QuestionPromptProps {
    * pre-#4685 behaviour unless they explicitly opt in.
    */
   pendingPermission?: boolean
+  /**
+   * True when this device's token scope cannot answer prompts (`observe`).
+   * An unanswered prompt then shows its question(s) without any controls —
+   * the server would refuse the user_question_response.
+   */
+  readOnly?: boolean
   /**
    * #4604 Chunk B — full per-question payload for multi-question forms.
    * Always populated by store-core handleUserQuestion (questions[0]
@@ -141,7 +147,7 @@ export interface QuestionPromptProps {
   onSelect: (answer: string | MultiQuestionAnswersMap | OtherFreeformAnswer) => void
 }
 
-export function QuestionPrompt({ question, options, answered, questions, allowMultiQuestion, allowSingleMultiSelect, pendingPermission, onSelect }: QuestionPromptProps) {
+export function QuestionPrompt({ question, options, answered, questions, allowMultiQuestion, allowSingleMultiSelect, pendingPermission, readOnly, onSelect }: QuestionPromptProps) {
   // #4685 — gate ALL question content (text, options, multi-question
   // form, deferred notice, free-text input) behind the
   // `pendingPermission` flag. Render only a neutral placeholder until
@@ -164,6 +170,16 @@ export function QuestionPrompt({ question, options, answered, questions, allowMu
 
   const isMultiQuestion = Array.isArray(questions) && questions.length > 1
 
+  if (readOnly && answered == null) {
+    const texts = isMultiQuestion ? questions.map((q) => q.question) : [question]
+    return (
+      <div className="question-prompt question-prompt--readonly" data-testid="question-prompt-readonly" role="status">
+        {texts.map((text, i) => <div key={i} className="question-text">{text}</div>)}
+        <div className="scope-readonly-hint">This device can watch but not answer questions.</div>
+      </div>
+    )
+  }
+
   // #4666 / #4735 / #4731 — TUI / CLI sessions: permission-hook denies any
   // AskUserQuestion with `questions[]` length > 1 because the TUI keystroke
   // driver can't reliably answer combined forms. The dashboard still
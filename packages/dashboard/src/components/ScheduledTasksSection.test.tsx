@@ -395,6 +395,18 @@ describe('ScheduledTasksSection — engine refusals are surfaced', () => {
     expect(cell.textContent).toMatch(/clamped down from "auto"/)
   })
 
+  it('shows the workflow a workflow task runs in place of its empty prompt', () => {
+    resetStore({
+      selectedScheduledTaskId: 'task-1',
+      scheduledTasks: mkSnapshot({
+        tasks: [mkTask({ prompt: '', target: { cwd: '/repo' }, workflow: { name: 'ship', inputs: { feature: 'dark mode' } } })],
+      }),
+    })
+    render(<ScheduledTasksSection now={() => 1900000000000} />)
+    expect(screen.getByTestId('sched-detail-workflow').textContent).toBe('ship\n  feature: dark mode')
+    expect(screen.queryByTestId('sched-detail-prompt')).toBeNull()
+  })
+
   it('does not claim a clamp when the mode was honoured', () => {
     resetStore({ selectedScheduledTaskId: 'task-1', scheduledTasks: mkSnapshot() })
     render(<ScheduledTasksSection now={() => 1900000000000} />)
@@ -402,8 +414,8 @@ describe('ScheduledTasksSection — engine refusals are surfaced', () => {
   })
 
   it('warns at CREATE time when the blank provider resolves to a refused default', () => {
-    const refusal = "provider 'claude-tui' routes permission prompts through the permission hook. It is also the daemon DEFAULT…"
-    resetStore({ scheduledTasks: mkSnapshot({ defaultProvider: 'claude-tui', defaultProviderRefusal: refusal }) })
+    const refusal = "provider 'gemini' raises no permission prompt the scheduler can answer. It is also the daemon DEFAULT…"
+    resetStore({ scheduledTasks: mkSnapshot({ defaultProvider: 'gemini', defaultProviderRefusal: refusal }) })
     render(<ScheduledTasksSection now={() => 1900000000000} />)
     fireEvent.click(screen.getByTestId('sched-new'))
     // No provider typed → the daemon default applies → the server's reason shows.
@@ -452,6 +464,57 @@ describe('ScheduledTasksSection — CRUD reachability', () => {
     })
   })
 
+  it('a cron time zone is sent with the cadence, and a blank one is omitted', () => {
+    resetStore({ scheduledTasks: mkSnapshot() })
+    render(<ScheduledTasksSection now={() => 1900000000000} />)
+    fireEvent.click(screen.getByTestId('sched-new'))
+    fireEvent.change(screen.getByTestId('sched-form-prompt'), { target: { value: 'p' } })
+    fireEvent.change(screen.getByTestId('sched-form-timezone'), { target: { value: ' Europe/Berlin ' } })
+    fireEvent.click(screen.getByTestId('sched-form-submit'))
+    expect(sendActionMock).toHaveBeenCalledWith('create', {
+      task: expect.objectContaining({ cadence: { kind: 'cron', expression: '0 9 * * *', timezone: 'Europe/Berlin' } }),
+    })
+  })
+
+  it('editing only the time zone sends a cadence patch', () => {
+    resetStore({ selectedScheduledTaskId: 'task-1', scheduledTasks: mkSnapshot() })
+    render(<ScheduledTasksSection now={() => 1900000000000} />)
+    fireEvent.click(screen.getByTestId('sched-edit'))
+    expect((screen.getByTestId('sched-form-timezone') as HTMLInputElement).value).toBe('')
+    fireEvent.change(screen.getByTestId('sched-form-timezone'), { target: { value: 'UTC' } })
+    fireEvent.click(screen.getByTestId('sched-form-submit'))
+    expect(sendActionMock).toHaveBeenCalledWith('update', {
+      taskId: 'task-1',
+      task: { cadence: { kind: 'cron', expression: '0 9 * * *', timezone: 'UTC' } },
+    })
+  })
+
+  it('an event cadence sends only the filters its event type can carry', () => {
+    resetStore({ scheduledTasks: mkSnapshot() })
+    render(<ScheduledTasksSection now={() => 1900000000000} />)
+    fireEvent.click(screen.getByTestId('sched-new'))
+    fireEvent.change(screen.getByTestId('sched-form-prompt'), { target: { value: 'review {{event.url}}' } })
+    fireEvent.change(screen.getByTestId('sched-form-cadence-kind'), { target: { value: 'event' } })
+    fireEvent.change(screen.getByTestId('sched-form-event-repo'), { target: { value: 'octo/repo' } })
+    fireEvent.change(screen.getByTestId('sched-form-event-action'), { target: { value: 'opened' } })
+    fireEvent.click(screen.getByTestId('sched-form-submit'))
+    expect(sendActionMock).toHaveBeenCalledWith('create', {
+      task: expect.objectContaining({
+        cadence: { kind: 'event', event: 'pull_request', repo: 'octo/repo', action: 'opened' },
+      }),
+    })
+  })
+
+  it('renders an event cadence in the list', () => {
+    resetStore({
+      scheduledTasks: mkSnapshot({
+        tasks: [mkTask({ cadence: { kind: 'event', event: 'push', branch: 'main' }, nextRun: null })],
+      }),
+    })
+    render(<ScheduledTasksSection now={() => 1900000000000} />)
+    expect(screen.getAllByText(/on GitHub push \(main\)/).length).toBeGreaterThan(0)
+  })
+
   it('an interval cadence is converted to everyMs', () => {
     resetStore({ scheduledTasks: mkSnapshot() })
     render(<ScheduledTasksSection now={() => 1900000000000} />)
@@ -30,8 +30,8 @@
  *    also surfaces `restartRequired` (the persisted gate and the live engine can
  *    disagree, because the engine is built once at daemon boot).
  * 3. REFUSALS ARE SURFACED AT CREATE TIME. The engine refuses to fire a task
- *    whose provider routes permission prompts through the permission hook — which
- *    INCLUDES the daemon default. The create form warns before saving, using the
+ *    whose provider raises no permission prompt it can answer — and the daemon
+ *    default can be such a provider. The create form warns before saving, using the
  *    server-computed `schedulableProviders` / `defaultProviderRefusal` from the
  *    snapshot; the server's verbatim `providerRefusal` is shown per task
  *    afterwards. Nothing about a refusal is re-derived client-side.
@@ -68,10 +68,16 @@ import { Modal } from './Modal'
  * (The bounded request timeout in the store is the backstop for the rejection
  * frames that carry no requestId for other reasons.)
  */
+type CadenceKind = 'once' | 'interval' | 'cron' | 'event'
+
 const WIRE_MAX = {
   name: 256,
   prompt: 32768,
   cron: 256,
+  timezone: 64,
+  eventRepo: 256,
+  eventAction: 64,
+  eventBranch: 256,
   provider: 128,
   model: 256,
   cwd: 4096,
@@ -136,7 +142,11 @@ function describeCadence(cadence: ScheduledTaskCadence | null | undefined): stri
       return `every ${mins >= 1 ? `${Number.isInteger(mins) ? mins : mins.toFixed(1)}m` : `${cadence.everyMs}ms`}`
     }
     case 'cron':
-      return `cron ${cadence.expression}`
+      return `cron ${cadence.expression} (${cadence.timezone || 'daemon local time'})`
+    case 'event': {
+      const filters = [cadence.repo, cadence.action, cadence.branch].filter(Boolean)
+      return `on GitHub ${cadence.event}${filters.length ? ` (${filters.join(', ')})` : ''}`
+    }
     default:
       return 'unknown cadence'
   }
@@ -517,10 +527,19 @@ function TaskDetail({ task, gate }: { task: ScheduledTask; gate: SchedulerGateSt
         )}
       </dl>
 
-      <div className="cr-sched-prompt">
-        <div className="cr-eyebrow">Prompt</div>
-        <pre data-testid="sched-detail-prompt">{task.prompt}</pre>
-      </div>
+      {task.workflow ? (
+        <div className="cr-sched-prompt">
+          <div className="cr-eyebrow">Workflow</div>
+          <pre data-testid="sched-detail-workflow">
+            {[task.workflow.name, ...Object.entries(task.workflow.inputs).map(([k, v]) => `  ${k}: ${v}`)].join('\n')}
+          </pre>
+        </div>
+      ) : (
+        <div className="cr-sched-prompt">
+          <div className="cr-eyebrow">Prompt</div>
+          <pre data-testid="sched-detail-prompt">{task.prompt}</pre>
+        </div>
+      )}
 
       {result && !result.ok && (
         <p className="cr-error" data-testid="sched-detail-action-error">{result.error}</p>
@@ -649,8 +668,13 @@ function TaskFormModal({ task, onClose }: { task?: ScheduledTask; onClose: () =>
   const [seed] = useState(() => ({
     name: task?.name ?? '',
     prompt: task?.prompt ?? '',
-    cadenceKind: (task?.cadence?.kind ?? 'cron') as 'once' | 'interval' | 'cron',
+    cadenceKind: (task?.cadence?.kind ?? 'cron') as CadenceKind,
     cron: task?.cadence?.kind === 'cron' ? task.cadence.expression : '0 9 * * *',
+    timezone: task?.cadence?.kind === 'cron' ? (task.cadence.timezone ?? '') : '',
+    eventType: task?.cadence?.kind === 'event' ? task.cadence.event : 'pull_request',
+    eventRepo: task?.cadence?.kind === 'event' ? (task.cadence.repo ?? '') : '',
+    eventAction: task?.cadence?.kind === 'event' ? (task.cadence.action ?? '') : '',
+    eventBranch: task?.cadence?.kind === 'event' ? (task.cadence.branch ?? '') : '',
     everyMinutes: task?.cadence?.kind === 'interval' ? String(Math.round(task.cadence.everyMs / 60000)) : '60',
     onceAt: toDatetimeLocalValue(storedOnceAt),
     provider: task?.target?.provider ?? '',
@@ -659,8 +683,13 @@ function TaskFormModal({ task, onClose }: { task?: ScheduledTask; onClose: () =>
   }))
   const [name, setName] = useState(seed.name)
   const [prompt, setPrompt] = useState(seed.prompt)
-  const [cadenceKind, setCadenceKind] = useState<'once' | 'interval' | 'cron'>(seed.cadenceKind)
+  const [cadenceKind, setCadenceKind] = useState<CadenceKind>(seed.cadenceKind)
   const [cron, setCron] = useState(seed.cron)
+  const [timezone, setTimezone] = useState(seed.timezone)
+  const [eventType, setEventType] = useState(seed.eventType)
+  const [eventRepo, setEventRepo] = useState(seed.eventRepo)
+  const [eventAction, setEventAction] = useState(seed.eventAction)
+  const [eventBranch, setEventBranch] = useState(seed.eventBranch)
   const [everyMinutes, setEveryMinutes] = useState(seed.everyMinutes)
   const [onceAt, setOnceAt] = useState(seed.onceAt)
   // The stored instant exists but cannot be represented — show the operator that
@@ -691,7 +720,23 @@ function TaskFormModal({ task, onClose }: { task?: ScheduledTask; onClose: () =>
 
   const buildCadence = (): ScheduledTaskCadence | null => {
     if (cadenceKind === 'cron') {
-      return cron.trim() ? { kind: 'cron', expression: cron.trim() } : null
+      if (!cron.trim()) return null
+      // A blank zone means the daemon's local time — omit the key rather than
+      // sending '' so a zone-less task round-trips byte-identical.
+      return timezone.trim()
+        ? { kind: 'cron', expression: cron.trim(), timezone: timezone.trim() }
+        : { kind: 'cron', expression: cron.trim() }
+    }
+    if (cadenceKind === 'event') {
+      // Only the filters the event type can carry are sent; the store rejects
+      // a `branch` on a PR or an `action` on a push as a filter that never matches.
+      return {
+        kind: 'event',
+        event: eventType,
+        ...(eventRepo.trim() ? { repo: eventRepo.trim() } : {}),
+        ...(eventType !== 'push' && eventAction.trim() ? { action: eventAction.trim() } : {}),
+        ...(eventType === 'push' && eventBranch.trim() ? { branch: eventBranch.trim() } : {}),
+      }
     }
     if (cadenceKind === 'interval') {
       const mins = Number(everyMinutes)
@@ -764,9 +809,15 @@ function TaskFormModal({ task, onClose }: { task?: ScheduledTask; onClose: () =>
     if (prompt !== seed.prompt) patch.prompt = nextPrompt
     if (
       cadenceKind !== seed.cadenceKind
-      || (cadenceKind === 'cron' && cron !== seed.cron)
+      || (cadenceKind === 'cron' && (cron !== seed.cron || timezone !== seed.timezone))
       || (cadenceKind === 'interval' && everyMinutes !== seed.everyMinutes)
       || (cadenceKind === 'once' && onceAt !== seed.onceAt)
+      || (cadenceKind === 'event' && (
+        eventType !== seed.eventType
+        || eventRepo !== seed.eventRepo
+        || eventAction !== seed.eventAction
+        || eventBranch !== seed.eventBranch
+      ))
     ) patch.cadence = cadence
     if (provider !== seed.provider || model !== seed.model || cwd !== seed.cwd) {
       patch.target = nextTarget
@@ -802,12 +853,13 @@ function TaskFormModal({ task, onClose }: { task?: ScheduledTask; onClose: () =>
           <select
             data-testid="sched-form-cadence-kind"
             value={cadenceKind}
-            onChange={(e) => setCadenceKind(e.target.value as 'once' | 'interval' | 'cron')}
+            onChange={(e) => setCadenceKind(e.target.value as CadenceKind)}
             disabled={inFlight}
           >
             <option value="cron">cron</option>
             <option value="interval">every N minutes</option>
             <option value="once">once</option>
+            <option value="event">on GitHub event</option>
           </select>
         </label>
         {cadenceKind === 'cron' && (
@@ -816,6 +868,44 @@ function TaskFormModal({ task, onClose }: { task?: ScheduledTask; onClose: () =>
             <input data-testid="sched-form-cron" value={cron} onChange={(e) => setCron(e.target.value)} placeholder="0 9 * * *" maxLength={WIRE_MAX.cron} disabled={inFlight} />
           </label>
         )}
+        {cadenceKind === 'cron' && (
+          <label className="cr-sched-field">
+            <span>Time zone (blank = daemon local time)</span>
+            <input data-testid="sched-form-timezone" value={timezone} onChange={(e) => setTimezone(e.target.value)} placeholder="Europe/Berlin" maxLength={WIRE_MAX.timezone} disabled={inFlight} />
+          </label>
+        )}
+        {cadenceKind === 'event' && (
+          <>
+            <label className="cr-sched-field">
+              <span>GitHub event</span>
+              <select data-testid="sched-form-event" value={eventType} onChange={(e) => setEventType(e.target.value)} disabled={inFlight}>
+                <option value="pull_request">pull_request</option>
+                <option value="issues">issues</option>
+                <option value="push">push</option>
+              </select>
+            </label>
+            <label className="cr-sched-field">
+              <span>Repository (optional, owner/name)</span>
+              <input data-testid="sched-form-event-repo" value={eventRepo} onChange={(e) => setEventRepo(e.target.value)} placeholder="octo/repo" maxLength={WIRE_MAX.eventRepo} disabled={inFlight} />
+            </label>
+            {eventType === 'push' ? (
+              <label className="cr-sched-field">
+                <span>Branch (optional)</span>
+                <input data-testid="sched-form-event-branch" value={eventBranch} onChange={(e) => setEventBranch(e.target.value)} placeholder="main" maxLength={WIRE_MAX.eventBranch} disabled={inFlight} />
+              </label>
+            ) : (
+              <label className="cr-sched-field">
+                <span>Action (optional)</span>
+                <input data-testid="sched-form-event-action" value={eventAction} onChange={(e) => setEventAction(e.target.value)} placeholder="opened" maxLength={WIRE_MAX.eventAction} disabled={inFlight} />
+              </label>
+            )}
+            <p className="cr-dim" data-testid="sched-form-event-hint">
+              Fires when the GitHub webhook delivers a matching event. The prompt may use
+              {' '}<code>{'{{event.title}}'}</code>, <code>{'{{event.repo}}'}</code>, <code>{'{{event.url}}'}</code> and
+              similar — treat them as untrusted text from whoever opened the PR or issue.
+            </p>
+          </>
+        )}
         {cadenceKind === 'interval' && (
           <label className="cr-sched-field">
             <span>Every (minutes)</span>
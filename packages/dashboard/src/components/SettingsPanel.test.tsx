@@ -96,6 +96,13 @@ function setMockState(extra: Record<string, unknown> = {}): void {
     setCredential: vi.fn().mockReturnValue(true),
     deleteCredential: vi.fn().mockReturnValue(true),
     testCredential: vi.fn().mockReturnValue(true),
+    // The Slack notification pane is rendered inside the Notifications area,
+    // so its store selectors must resolve in this mock too.
+    slackNotificationsConfig: null,
+    slackNotificationsConfigLoading: false,
+    requestSlackNotificationsConfig: vi.fn().mockReturnValue(true),
+    setSlackNotificationsCredentials: vi.fn().mockReturnValue(true),
+    clearSlackNotificationsCredentials: vi.fn().mockReturnValue(true),
     // #4542: per-category notification toggles. `notificationPrefs` mirrors
     // the latest snapshot received over the WS connection (null until the
     // first `notification_prefs` arrives).
@@ -2898,6 +2905,15 @@ describe('SettingsPanel — permission rules + audit history (#6772/#6829)', ()
     expect(describePermissionAuditEntry({ type: 'rule_expired', timestamp: 0 })).toBe('Permission event')
   })
 
+  it('describePermissionAuditEntry names the acting device and labels user-shell events', () => {
+    expect(
+      describePermissionAuditEntry({ type: 'decision', decision: 'allow', reason: 'user', tool: 'Bash', device: "Ana's iPhone", tokenClass: 'pairing', timestamp: 0 }),
+    ).toBe("Allowed Bash · Ana's iPhone")
+    expect(describePermissionAuditEntry({ type: 'shell_create', device: 'laptop', timestamp: 0 })).toBe('Terminal opened · laptop')
+    expect(describePermissionAuditEntry({ type: 'shell_destroy', reason: 'destroyed', timestamp: 0 })).toBe('Terminal closed')
+    expect(describePermissionAuditEntry({ type: 'shell_destroy', reason: 'orphan_reaper', timestamp: 0 })).toBe('Terminal closed (orphan_reaper)')
+  })
+
   // #6830 — the allowAlways audit entry now carries tool + a durable-rule
   // marker, and a persisted-rule auto-approve (no prompt ever shown) gets its
   // own distinct label. Pre-#6830 entries (no tool/persist fields at all)
@@ -9,6 +9,7 @@ import { useConnectionStore, isRuleEligibleProvider } from '../store/connection'
 import type { PermissionRule, PermissionAuditEntry } from '../store/types'
 import { ShortcutsSection } from '../shortcuts/ShortcutsSection'
 import { ProviderCredentialsPane } from './ProviderCredentialsPane'
+import { SlackNotificationsConfig } from './SlackNotificationsConfig'
 import { getAvailableThemes, applyTheme } from '../theme/theme-engine'
 import { getThemeById } from '../theme/themes'
 import type { ThemeDefinition } from '../theme/themes'
@@ -77,8 +78,17 @@ const EMPTY_PERMISSION_RULES: PermissionRule[] = []
  *     _auditPersistedRuleAutoApprove) — rendered distinctly ("Auto-allowed")
  *     rather than folded into the generic allow/deny verb. These entries are
  *     coalesced server-side (PR #6842 review): `count` > 1 renders as "×N".
+ *
+ * Entries served from the server's durable audit journal also name the acting
+ * device (`device`), appended as "· <device>", and the per-session view can
+ * include the session's user-shell `shell_create` / `shell_destroy` events.
  */
 export function describePermissionAuditEntry(entry: PermissionAuditEntry): string {
+  const label = describeAuditKind(entry)
+  return entry.device ? `${label} · ${entry.device}` : label
+}
+
+function describeAuditKind(entry: PermissionAuditEntry): string {
   switch (entry.type) {
     case 'mode_change':
       return `Permission mode: ${entry.previousMode ?? '?'} → ${entry.newMode ?? '?'}`
@@ -103,6 +113,10 @@ export function describePermissionAuditEntry(entry: PermissionAuditEntry): strin
       const reason = entry.reason && entry.reason !== 'user' ? ` (${entry.reason})` : ''
       return `${verb}${toolPart}${reason}${persistPart}`
     }
+    case 'shell_create':
+      return 'Terminal opened'
+    case 'shell_destroy':
+      return entry.reason && entry.reason !== 'destroyed' ? `Terminal closed (${entry.reason})` : 'Terminal closed'
     default:
       return 'Permission event'
   }
@@ -179,6 +193,11 @@ const NOTIFICATION_CATEGORY_LABELS: Record<string, { label: string; hint?: strin
     label: 'Mailbox',
     hint: 'New agent-to-agent mailbox messages waiting for a session.',
   },
+  // Scheduled-task run outcomes, sent per each task's notify policy.
+  scheduled_run: {
+    label: 'Scheduled runs',
+    hint: 'Outcomes of scheduled tasks whose notify policy asks for them.',
+  },
 }
 
 /** Render order for known categories. Unknown keys append at the end in snapshot order. */
@@ -196,6 +215,7 @@ const NOTIFICATION_CATEGORY_ORDER = [
   'session_offline',
   'session_activity',
   'mailbox',
+  'scheduled_run',
   'live_activity',
 ]
 
@@ -2042,6 +2062,8 @@ export function SettingsContent({ active, showConsoleTab, onToggleConsoleTab, in
             )}
           </section>
 
+          <SlackNotificationsConfig isOpen={isOpen} />
+
           {(onToggleConsoleTab || onToggleInterventionPing) && (
             <section className="settings-section" data-testid="dashboard-section">
               <h3>Dashboard</h3>
@@ -5,7 +5,7 @@
  * Collapsible with Cmd+B toggle.
  */
 import { useState, useCallback, useRef, useMemo } from 'react'
-import type { CumulativeUsage, McpServer, SessionInfo, SessionVisualStatus, SessionRole, ChatActivityState } from '@chroxy/store-core'
+import type { CumulativeUsage, McpServer, SessionInfo, SessionVisualStatus, SessionRole, ChatActivityState, ConversationSearchFilters } from '@chroxy/store-core'
 import { formatCostBadge, formatCostBreakdown } from '@chroxy/store-core'
 import { DEFAULT_PROVIDER } from '@chroxy/protocol'
 import { useConnectionStore } from '../store/connection'
@@ -102,7 +102,7 @@ export interface SidebarProps {
   searchResults?: SearchResult[]
   searchLoading?: boolean
   searchQuery?: string
-  searchConversations?: (query: string) => void
+  searchConversations?: (query: string, filters?: ConversationSearchFilters) => void
   clearSearchResults?: () => void
   onWidthChange?: (width: number) => void
   // #4303 — full sessions list (used by the bottom slot's token view).
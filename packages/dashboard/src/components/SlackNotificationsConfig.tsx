@@ -0,0 +1,264 @@
+/**
+ * SlackNotificationsConfig — Settings section for the server's Slack
+ * notification sink.
+ *
+ * Lets an operator connect Slack without exporting env vars:
+ *
+ *   - a bot token (`xoxb-…`) + channel → live mode: one status message per
+ *     project, updated in place, re-posted to ping on approval / question /
+ *     ready;
+ *   - or an incoming-webhook URL → webhook mode: a new message per ping (Slack
+ *     webhooks cannot edit or delete).
+ *
+ * The token and webhook URL are write-only fields: they live in this
+ * component's local state until Save sends them, and the server only ever
+ * replies with whether each is set and where it came from. Values supplied via
+ * CHROXY_SLACK_* env vars win and are shown read-only. Writes are
+ * host-authority gated server-side (a pairing-bound token is rejected).
+ */
+import { useEffect, useState } from 'react'
+import { useConnectionStore } from '../store/connection'
+import type { ServerSlackNotificationsConfigMessage } from '@chroxy/protocol'
+
+const WS_CLOSED_MESSAGE =
+  'Not connected to the server — your change was not saved. Reconnect and try again.'
+
+type SlackField = 'webhookUrl' | 'botToken' | 'channel'
+type SlackSource = 'env' | 'store' | 'none'
+
+const MODE_LABELS: Record<ServerSlackNotificationsConfigMessage['mode'], string> = {
+  live: 'Live status messages (bot token)',
+  webhook: 'New message per alert (incoming webhook)',
+  none: 'Not configured',
+}
+
+function sourceSuffix(source: SlackSource): string {
+  if (source === 'env') return ' (environment)'
+  if (source === 'store') return ' (stored, encrypted)'
+  return ''
+}
+
+function fieldSources(config: ServerSlackNotificationsConfigMessage): Record<SlackField, SlackSource> {
+  return {
+    webhookUrl: config.webhookUrl.source,
+    botToken: config.botToken.source,
+    channel: config.channel.source,
+  }
+}
+
+export interface SlackNotificationsConfigProps {
+  /** Whether the settings panel is open — the config refreshes on open. */
+  isOpen: boolean
+  /** Latest config, or null before the first reply. Defaults to the store. */
+  config?: ServerSlackNotificationsConfigMessage | null
+  /** True while a config request/write is in flight. Defaults to the store flag. */
+  loading?: boolean
+  /** Refresh action. Defaults to the store's requestSlackNotificationsConfig. */
+  onRefresh?: () => boolean | void
+  /** Save action. Defaults to the store's setSlackNotificationsCredentials. */
+  onSave?: (creds: { webhookUrl?: string; botToken?: string; channel?: string }) => boolean
+  /** Clear action. Defaults to the store's clearSlackNotificationsCredentials. */
+  onClear?: (fields?: SlackField[]) => boolean
+}
+
+export function SlackNotificationsConfig({
+  isOpen,
+  config: configProp,
+  loading: loadingProp,
+  onRefresh,
+  onSave,
+  onClear,
+}: SlackNotificationsConfigProps) {
+  const storeConfig = useConnectionStore((s) => s.slackNotificationsConfig)
+  const storeLoading = useConnectionStore((s) => s.slackNotificationsConfigLoading)
+  const requestConfig = useConnectionStore((s) => s.requestSlackNotificationsConfig)
+  const saveAction = useConnectionStore((s) => s.setSlackNotificationsCredentials)
+  const clearAction = useConnectionStore((s) => s.clearSlackNotificationsCredentials)
+
+  const config = configProp !== undefined ? configProp : storeConfig
+  const loading = loadingProp !== undefined ? loadingProp : storeLoading
+  const refresh = onRefresh ?? requestConfig
+  const save = onSave ?? saveAction
+  const clear = onClear ?? clearAction
+
+  const [botToken, setBotToken] = useState('')
+  const [channel, setChannel] = useState('')
+  const [webhookUrl, setWebhookUrl] = useState('')
+  const [wsClosed, setWsClosed] = useState<string | null>(null)
+
+  // Refresh whenever the panel opens so the status reflects out-of-band changes
+  // (another dashboard, an env var). A closed socket on open is the common case.
+  useEffect(() => {
+    if (isOpen) refresh()
+  }, [isOpen, refresh])
+
+  const sources = config ? fieldSources(config) : null
+  const envLocked = (field: SlackField) => sources?.[field] === 'env'
+  const storedFields = sources
+    ? (Object.keys(sources) as SlackField[]).filter((field) => sources[field] === 'store')
+    : []
+
+  const pending: { webhookUrl?: string; botToken?: string; channel?: string } = {}
+  if (botToken.trim() && !envLocked('botToken')) pending.botToken = botToken.trim()
+  if (channel.trim() && !envLocked('channel')) pending.channel = channel.trim()
+  if (webhookUrl.trim() && !envLocked('webhookUrl')) pending.webhookUrl = webhookUrl.trim()
+  const hasPending = Object.keys(pending).length > 0
+
+  const handleSave = () => {
+    if (!hasPending) return
+    const sent = save(pending)
+    if (sent) {
+      setWsClosed(null)
+      setBotToken('')
+      setChannel('')
+      setWebhookUrl('')
+    } else {
+      setWsClosed(WS_CLOSED_MESSAGE)
+    }
+  }
+
+  // Only stored values can be removed; env-provided ones stay in force.
+  const handleClear = () => {
+    const sent = clear(storedFields)
+    setWsClosed(sent ? null : WS_CLOSED_MESSAGE)
+  }
+
+  return (
+    <section className="settings-section" data-testid="slack-notifications-section">
+      <h3>Slack</h3>
+      <p className="settings-hint">
+        Post approvals, questions, ready-for-input and billing alerts to a Slack channel, each
+        with a link back to the session. A bot token (scope <code>chat:write</code>) plus a
+        channel keeps one updating status message per project; an incoming-webhook URL alone
+        posts a new message per alert. Both are stored encrypted on the server and never shown
+        again.
+      </p>
+
+      {config == null ? (
+        <p className="settings-hint" data-testid="slack-notifications-loading">
+          Loading Slack settings&hellip;
+        </p>
+      ) : (
+        <>
+          <div className="settings-field" data-testid="slack-notifications-mode">
+            Delivery: <strong>{MODE_LABELS[config.mode]}</strong>
+          </div>
+          {config.error && (
+            <p
+              className="settings-hint"
+              data-testid="slack-notifications-file-error"
+              style={{ color: 'var(--warning-fg, #fbbf24)' }}
+            >
+              {config.error}
+            </p>
+          )}
+          <ul className="settings-hint" data-testid="slack-notifications-status">
+            <li data-testid="slack-notifications-status-botToken">
+              Bot token: {config.botToken.configured ? `Set${sourceSuffix(config.botToken.source)}` : 'Not set'}
+            </li>
+            <li data-testid="slack-notifications-status-channel">
+              Channel: {config.channel.value ? `${config.channel.value}${sourceSuffix(config.channel.source)}` : 'Not set'}
+            </li>
+            <li data-testid="slack-notifications-status-webhookUrl">
+              Webhook URL:{' '}
+              {config.webhookUrl.configured
+                ? `${config.webhookUrl.masked ?? 'Set'}${sourceSuffix(config.webhookUrl.source)}`
+                : 'Not set'}
+            </li>
+          </ul>
+          <p className="settings-hint" data-testid="slack-notifications-dashboard-url">
+            {config.dashboardUrl
+              ? <>Session links open <code>{config.dashboardUrl}</code>.</>
+              : <>No reachable dashboard URL — messages are sent without session links. Start a tunnel or set <code>notifications.slack.dashboardUrl</code>.</>}
+          </p>
+
+          {(envLocked('botToken') || envLocked('channel') || envLocked('webhookUrl')) && (
+            <p className="settings-hint" data-testid="slack-notifications-env-hint">
+              Values from <code>CHROXY_SLACK_*</code> environment variables take precedence and
+              can&apos;t be changed here — unset them and reconnect to manage Slack from the
+              dashboard.
+            </p>
+          )}
+
+          {!envLocked('botToken') && (
+            <div className="settings-field">
+              <label htmlFor="slack-bot-token-input">Bot token</label>
+              <input
+                id="slack-bot-token-input"
+                type="password"
+                autoComplete="off"
+                spellCheck={false}
+                placeholder="xoxb-…"
+                value={botToken}
+                onChange={(e) => setBotToken(e.target.value)}
+                data-testid="slack-bot-token-input"
+              />
+            </div>
+          )}
+          {!envLocked('channel') && (
+            <div className="settings-field">
+              <label htmlFor="slack-channel-input">Channel</label>
+              <input
+                id="slack-channel-input"
+                type="text"
+                autoComplete="off"
+                spellCheck={false}
+                placeholder="#builds or C0123ABCD"
+                value={channel}
+                onChange={(e) => setChannel(e.target.value)}
+                data-testid="slack-channel-input"
+              />
+            </div>
+          )}
+          {!envLocked('webhookUrl') && (
+            <div className="settings-field">
+              <label htmlFor="slack-webhook-url-input">Incoming-webhook URL</label>
+              <input
+                id="slack-webhook-url-input"
+                type="password"
+                autoComplete="off"
+                spellCheck={false}
+                placeholder="https://hooks.slack.com/services/…"
+                value={webhookUrl}
+                onChange={(e) => setWebhookUrl(e.target.value)}
+                data-testid="slack-webhook-url-input"
+              />
+            </div>
+          )}
+
+          <div className="settings-field">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!hasPending || loading}
+              data-testid="slack-notifications-save"
+            >
+              Save
+            </button>
+            {storedFields.length > 0 && (
+              <button
+                type="button"
+                onClick={handleClear}
+                disabled={loading}
+                data-testid="slack-notifications-clear"
+              >
+                Remove stored
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {wsClosed && (
+        <p
+          className="settings-hint"
+          role="alert"
+          data-testid="slack-notifications-ws-closed"
+          style={{ color: 'var(--error, #f00)' }}
+        >
+          {wsClosed}
+        </p>
+      )}
+    </section>
+  )
+}
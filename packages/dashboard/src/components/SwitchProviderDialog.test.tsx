@@ -0,0 +1,62 @@
+/**
+ * SwitchProviderDialog tests — the provider picker for continuing a session's
+ * conversation elsewhere.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import { SwitchProviderDialog } from './SwitchProviderDialog'
+import type { ProviderInfo } from '../store/types'
+
+afterEach(cleanup)
+
+const providers = [
+  { name: 'claude-sdk', capabilities: {} },
+  { name: 'codex', capabilities: {}, auth: { ready: false } },
+  { name: 'deepseek', capabilities: {}, auth: { ready: true } },
+  { name: 'user-shell', capabilities: {} },
+] as unknown as ProviderInfo[]
+
+function renderDialog(list = providers) {
+  const onConfirm = vi.fn()
+  const onCancel = vi.fn()
+  render(
+    <SwitchProviderDialog
+      open
+      sourceName="Refactor"
+      sourceProvider="claude-sdk"
+      providers={list}
+      onConfirm={onConfirm}
+      onCancel={onCancel}
+    />,
+  )
+  return { onConfirm, onCancel }
+}
+
+describe('SwitchProviderDialog', () => {
+  it('renders nothing when closed', () => {
+    render(
+      <SwitchProviderDialog open={false} sourceName="x" sourceProvider="claude-sdk" providers={providers} onConfirm={vi.fn()} onCancel={vi.fn()} />,
+    )
+    expect(screen.queryByTestId('switch-provider-dialog')).toBeNull()
+  })
+
+  it('offers the other conversational providers and preselects an available one', () => {
+    const { onConfirm } = renderDialog()
+    const select = screen.getByTestId('switch-provider-select') as HTMLSelectElement
+    expect([...select.options].map(o => o.value)).toEqual(['codex', 'deepseek'])
+    expect(select.options[0]!.textContent).toContain('(unavailable)')
+    expect(select.value).toBe('deepseek')
+    expect(screen.getByTestId('switch-provider-dialog')).toHaveTextContent('Refactor')
+    fireEvent.click(screen.getByTestId('switch-provider-confirm'))
+    expect(onConfirm).toHaveBeenCalledWith('deepseek')
+  })
+
+  it('cannot confirm when there is no other provider', () => {
+    const { onConfirm, onCancel } = renderDialog(providers.slice(0, 1))
+    expect(screen.getByTestId('switch-provider-none')).toBeInTheDocument()
+    expect(screen.getByTestId('switch-provider-confirm')).toBeDisabled()
+    fireEvent.click(screen.getByTestId('switch-provider-cancel'))
+    expect(onCancel).toHaveBeenCalledTimes(1)
+    expect(onConfirm).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,104 @@
+/**
+ * SwitchProviderDialog — continue a session's conversation on another
+ * provider, built on `Modal`.
+ *
+ * The recovery when a provider is capped or down mid-task: the server starts a
+ * new session on the chosen provider in the same working directory, rebuilds
+ * the conversation (tool calls and the todo list included where the provider
+ * allows it) and reports what it couldn't carry. The source's own provider and
+ * terminal providers are not offered; unavailable providers are listed but
+ * marked, and the first available one is preselected.
+ */
+import { useEffect, useState } from 'react'
+import { USER_SHELL_PROVIDER } from '@chroxy/protocol'
+import { Modal } from './Modal'
+import { PROVIDER_LABELS } from '../lib/provider-labels'
+import type { ProviderInfo } from '../store/types'
+
+export interface SwitchProviderDialogProps {
+  open: boolean
+  sourceName: string
+  /** The source session's provider — excluded from the choices. */
+  sourceProvider: string
+  providers: ProviderInfo[]
+  onConfirm: (provider: string) => void
+  onCancel: () => void
+}
+
+export function SwitchProviderDialog({
+  open,
+  sourceName,
+  sourceProvider,
+  providers,
+  onConfirm,
+  onCancel,
+}: SwitchProviderDialogProps) {
+  const options = providers
+    .filter(p => p.name !== USER_SHELL_PROVIDER && p.name !== sourceProvider)
+    .map(p => ({ name: p.name, unavailable: p.auth?.ready === false }))
+  const preferred = (options.find(p => !p.unavailable) ?? options[0])?.name ?? ''
+  const [provider, setProvider] = useState(preferred)
+
+  // Each opening starts from the first available provider.
+  useEffect(() => {
+    if (open) setProvider(preferred)
+  }, [open, preferred])
+
+  return (
+    <Modal open={open} onClose={onCancel} title="Switch provider" maxWidth="440px">
+      <div className="switch-provider-dialog" data-testid="switch-provider-dialog">
+        <div className="confirm-dialog-message">
+          Continues &ldquo;{sourceName}&rdquo; on another provider in a new session in the
+          same working directory. Tool history and the todo list come along where the
+          provider supports it; anything that can&rsquo;t be carried over is listed afterwards.
+        </div>
+        {options.length === 0 ? (
+          <div className="confirm-dialog-message" data-testid="switch-provider-none">
+            No other provider is configured.
+          </div>
+        ) : (
+          <div className="provider-section">
+            <div className="provider-select">
+              <label htmlFor="switch-provider-select">Provider</label>
+              <select
+                id="switch-provider-select"
+                value={provider}
+                onChange={e => setProvider(e.target.value)}
+                aria-label="New provider"
+                data-testid="switch-provider-select"
+              >
+                {options.map(p => {
+                  const label = PROVIDER_LABELS[p.name] || p.name
+                  return (
+                    <option key={p.name} value={p.name}>
+                      {p.unavailable ? `${label} (unavailable)` : label}
+                    </option>
+                  )
+                })}
+              </select>
+            </div>
+          </div>
+        )}
+        <div className="modal-buttons">
+          <button
+            type="button"
+            className="btn-modal-cancel"
+            data-testid="switch-provider-cancel"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn-modal-create"
+            data-testid="switch-provider-confirm"
+            disabled={!provider}
+            onClick={() => onConfirm(provider)}
+          >
+            Switch
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
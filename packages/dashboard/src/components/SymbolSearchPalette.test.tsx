@@ -95,4 +95,52 @@ describe('SymbolSearchPalette (#6476)', () => {
     expect(onClose).toHaveBeenCalled()
     expect(mockOpenFileInBrowser).not.toHaveBeenCalled()
   })
+
+  describe('container grouping', () => {
+    beforeEach(() => {
+      mockWorkspaceSymbols = {
+        path: null, truncated: false, error: null,
+        symbols: [
+          { name: 'Widget', kind: 'class', file: 'src/ui/Widget.tsx', line: 10, exported: true },
+          { name: 'render', kind: 'method', file: 'src/ui/Widget.tsx', line: 12, exported: false, container: 'Widget' },
+          { name: 'count', kind: 'field', file: 'src/ui/Widget.tsx', line: 11, exported: false, container: 'Widget' },
+          { name: 'Panel', kind: 'class', file: 'src/ui/Panel.tsx', line: 3, exported: true },
+          { name: 'render', kind: 'method', file: 'src/ui/Panel.tsx', line: 5, exported: false, container: 'Panel' },
+        ],
+      }
+    })
+
+    it('lists top-level symbols first, then each container with its members under a header', async () => {
+      render(<SymbolSearchPalette isOpen={true} onClose={() => {}} />)
+      await screen.findByTestId('symbol-search-group-Widget')
+      const list = screen.getByRole('listbox')
+      const rows = [...list.children].map(el =>
+        el.getAttribute('data-testid')?.replace('symbol-search-', '') ?? '')
+      expect(rows).toEqual([
+        'item-Widget', 'item-Panel',
+        'group-Widget', 'item-render', 'item-count',
+        'group-Panel', 'item-render',
+      ])
+    })
+
+    it('keeps keyboard order in step with the grouped display', async () => {
+      render(<SymbolSearchPalette isOpen={true} onClose={() => {}} />)
+      const input = await screen.findByTestId('symbol-search-input')
+      fireEvent.keyDown(input, { key: 'ArrowDown' })
+      fireEvent.keyDown(input, { key: 'ArrowDown' })
+      fireEvent.keyDown(input, { key: 'Enter' })
+      // Third row (after Widget, Panel) is Widget's `render`, not the raw-order `render`.
+      expect(mockOpenFileInBrowser).toHaveBeenCalledWith('src/ui/Widget.tsx', 12)
+    })
+
+    it('matches the qualified Container.name', async () => {
+      render(<SymbolSearchPalette isOpen={true} onClose={() => {}} />)
+      const input = await screen.findByTestId('symbol-search-input')
+      fireEvent.change(input, { target: { value: 'panel.ren' } })
+      await waitFor(() => {
+        expect(screen.getByTestId('symbol-search-group-Panel')).toBeTruthy()
+        expect(screen.queryByTestId('symbol-search-group-Widget')).toBeNull()
+      })
+    })
+  })
 })
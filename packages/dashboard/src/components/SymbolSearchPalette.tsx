@@ -6,10 +6,16 @@
  * Enter jumps to the symbol's file:line — `openFileInBrowser(file, line)` opens the
  * file in the viewer and scrolls to the line.
  *
+ * Results are grouped by `container`: top-level declarations first, then one
+ * section per enclosing type (`Widget` in `src/ui/Widget.tsx`) listing its methods
+ * and fields, so a common member name like `render` reads as which class's it is.
+ * A query matches the qualified `Container.name` too, so typing a class name
+ * surfaces its members alongside it.
+ *
  * Gated by the caller on the opt-in `ide` capability. Reuses the file-open-palette
  * chrome (CSS) + the symbol-item glyph/line styles.
  */
-import { useState, useEffect, useMemo, useRef, useCallback, type KeyboardEvent } from 'react'
+import { Fragment, useState, useEffect, useMemo, useRef, useCallback, type KeyboardEvent } from 'react'
 import { useConnectionStore } from '../store/connection'
 import type { SymbolEntry } from '@chroxy/protocol'
 
@@ -23,6 +29,12 @@ const DISPLAY_CAP = 200
 const SYMBOL_KIND_ICON: Record<string, string> = {
   function: 'ƒ', method: 'ƒ', class: 'C', interface: 'I',
   type: 'T', enum: 'E', const: 'k', variable: 'v',
+  field: 'F', struct: 'S', trait: 'I', module: 'M',
+}
+
+/** Group key: members share one per (file, container); top-level symbols share ''. */
+function groupKey(s: SymbolEntry): string {
+  return s.container ? `${s.file}\0${s.container}` : ''
 }
 
 export function SymbolSearchPalette({ isOpen, onClose }: SymbolSearchPaletteProps) {
@@ -48,9 +60,20 @@ export function SymbolSearchPalette({ isOpen, onClose }: SymbolSearchPaletteProp
 
   const filtered = useMemo<SymbolEntry[]>(() => {
     if (!symbols) return []
-    if (!query) return symbols
     const lower = query.toLowerCase()
-    return symbols.filter(s => s.name.toLowerCase().includes(lower))
+    const matches = query
+      ? symbols.filter(s => (s.container ? `${s.container}.${s.name}` : s.name).toLowerCase().includes(lower))
+      : symbols
+    // Stable regroup: top-level symbols first, then each container's members
+    // together, in order of first appearance. Navigation indexes this order.
+    const groups = new Map<string, SymbolEntry[]>([['', []]])
+    for (const s of matches) {
+      const key = groupKey(s)
+      const arr = groups.get(key)
+      if (arr) arr.push(s)
+      else groups.set(key, [s])
+    }
+    return [...groups.values()].flat()
   }, [symbols, query])
 
   useEffect(() => {
@@ -112,19 +135,30 @@ export function SymbolSearchPalette({ isOpen, onClose }: SymbolSearchPaletteProp
             <div className="file-open-palette-status" data-testid="symbol-search-empty">No symbols</div>
           )}
           {display.map((s, i) => (
-            <div
-              key={`${s.file}:${s.line}:${s.name}:${i}`}
-              role="option"
-              aria-selected={i === selectedIndex}
-              className={`file-open-palette-item${i === selectedIndex ? ' selected' : ''}`}
-              data-testid={`symbol-search-item-${s.name}`}
-              onMouseEnter={() => setSelectedIndex(i)}
-              onMouseDown={(e) => { e.preventDefault(); openAt(i) }}
-            >
-              <span className="symbol-item-icon" aria-hidden="true">{SYMBOL_KIND_ICON[s.kind] ?? '•'}</span>
-              <span className="file-open-palette-path">{s.name}</span>
-              <span className="symbol-item-line">{s.file.split('/').pop()}:{s.line}</span>
-            </div>
+            <Fragment key={`${s.file}:${s.line}:${s.name}:${i}`}>
+              {s.container && (i === 0 || groupKey(display[i - 1]!) !== groupKey(s)) && (
+                <div
+                  className="symbol-search-group"
+                  role="presentation"
+                  data-testid={`symbol-search-group-${s.container}`}
+                >
+                  <span className="file-open-palette-path">{s.container}</span>
+                  <span className="symbol-item-line">{s.file.split('/').pop()}</span>
+                </div>
+              )}
+              <div
+                role="option"
+                aria-selected={i === selectedIndex}
+                className={`file-open-palette-item${s.container ? ' symbol-search-member' : ''}${i === selectedIndex ? ' selected' : ''}`}
+                data-testid={`symbol-search-item-${s.name}`}
+                onMouseEnter={() => setSelectedIndex(i)}
+                onMouseDown={(e) => { e.preventDefault(); openAt(i) }}
+              >
+                <span className="symbol-item-icon" aria-hidden="true">{SYMBOL_KIND_ICON[s.kind] ?? '•'}</span>
+                <span className="file-open-palette-path">{s.name}</span>
+                <span className="symbol-item-line">{s.file.split('/').pop()}:{s.line}</span>
+              </div>
+            </Fragment>
           ))}
           {overflow > 0 && <div className="file-open-palette-status">{overflow} more…</div>}
         </div>
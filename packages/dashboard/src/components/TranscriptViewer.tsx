@@ -38,6 +38,7 @@ import { ToolBubble } from './ToolBubble'
 import { CompactionMarker } from './CompactionMarker'
 import { EvaluatorRewriteBanner } from './EvaluatorPrompts'
 import { McpPromptExpansionMarker } from './McpPromptExpansionMarker'
+import { EgressBlockedMarker } from './EgressBlockedMarker'
 import { useChatMessages } from '../hooks/useChatMessages'
 import type { TranscriptViewerState } from '../store/types'
 import './TranscriptViewer.css'
@@ -95,6 +96,9 @@ export function transcriptRenderMessage(
   if (storeMsg.type === 'system' && storeMsg.mcpPromptExpansion) {
     return <McpPromptExpansionMarker meta={storeMsg.mcpPromptExpansion} />
   }
+  if (storeMsg.type === 'system' && storeMsg.egressBlocked) {
+    return <EgressBlockedMarker meta={storeMsg.egressBlocked} />
+  }
   // Permission prompts, question prompts, error chips, etc. all fall through
   // to ChatView's plain default row — content is still visible (the prompt's
   // text, the resolved answer summary if one was recorded), just without any
@@ -25,7 +25,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import { useConnectionStore } from '../store/connection'
 import type { ChatMessage, PermissionDecision } from '../store/types'
-import { findPendingWriteForFile } from '@chroxy/store-core'
+import { findPendingWriteForFile, scopeAllowsPromptAnswers } from '@chroxy/store-core'
 import { PreWriteDiffReview, isReviewableTool } from './PreWriteDiffReview'
 
 // Stable empty array so the messages selector never returns a fresh reference
@@ -65,6 +65,8 @@ export function ViewerPreWriteReview({ filePath }: ViewerPreWriteReviewProps) {
   // #5699 — answering is refused while disconnected (the server expires the
   // request on drop); disable the buttons so a tap isn't a silent no-op.
   const connected = useConnectionStore((s) => s.connectionPhase === 'connected')
+  // The review exists to answer the prompt — an observe device token can't.
+  const canAnswer = useConnectionStore((s) => scopeAllowsPromptAnswers(s.tokenScope))
 
   const [editedInput, setEditedInput] = useState<Record<string, string> | null>(null)
   // #2852-style double-submit guard: the ref flips synchronously on the first
@@ -106,7 +108,7 @@ export function ViewerPreWriteReview({ filePath }: ViewerPreWriteReviewProps) {
     }
   }
 
-  if (!ideEnabled || !pending || !requestId || answered) return null
+  if (!ideEnabled || !pending || !requestId || answered || !canAnswer) return null
 
   // Narrow the discriminated `permission_input` union: only the found:true
   // variant carries `input` (the found:false variant is a security message).
@@ -88,6 +88,7 @@ function makeArgs(overrides: Partial<UseMessageRendererArgs>): UseMessageRendere
     stalledPromptIds: new Set<string>(),
     hasPendingAskUserQuestionPermission: false,
     sessions: [],
+    canAnswerPrompts: true,
     ...overrides,
   } as UseMessageRendererArgs
 }
@@ -12,9 +12,11 @@ import { QuestionPrompt } from '../components/QuestionPrompt'
 import { EvaluatorRewriteBanner } from '../components/EvaluatorPrompts'
 import { CompactionMarker } from '../components/CompactionMarker'
 import { McpPromptExpansionMarker } from '../components/McpPromptExpansionMarker'
+import { EgressBlockedMarker } from '../components/EgressBlockedMarker'
 import { StreamStallChip } from '../components/StreamStallChip'
 import { AskUserQuestionStallChip } from '../components/AskUserQuestionStallChip'
 import { ResumeUnknownChip } from '../components/ResumeUnknownChip'
+import { ProviderFailoverChip } from '../components/ProviderFailoverChip'
 import { formatQuestionAnswerSummary } from '../utils/questionAnswerSummary'
 
 export interface UseMessageRendererArgs {
@@ -41,6 +43,11 @@ export interface UseMessageRendererArgs {
    * when more than one session exists.
    */
   sessions: SessionInfo[]
+  /**
+   * False for an `observe` device token — question prompts render read-only
+   * (PermissionPrompt reads the scope from the store itself).
+   */
+  canAnswerPrompts: boolean
 }
 
 /**
@@ -106,6 +113,7 @@ export function useMessageRenderer(args: UseMessageRendererArgs): (msg: ChatView
     stalledPromptIds,
     hasPendingAskUserQuestionPermission,
     sessions,
+    canAnswerPrompts,
   } = args
 
   return useCallback((msg: ChatViewMessage) => {
@@ -197,6 +205,7 @@ export function useMessageRenderer(args: UseMessageRendererArgs): (msg: ChatView
           // client and across clients. Already-answered prompts skip the
           // gate so post-answer chat history renders normally.
           pendingPermission={!storeMsg.answered && hasPendingAskUserQuestionPermission}
+          readOnly={!canAnswerPrompts}
           onSelect={(answer) => {
             // #4604 Chunk B / #4735 — answer is `string` for
             // single-question / free-text paths and
@@ -266,6 +275,19 @@ export function useMessageRenderer(args: UseMessageRendererArgs): (msg: ChatView
       return <McpPromptExpansionMarker meta={storeMsg.mcpPromptExpansion} />
     }
 
+    // A request the session's network egress policy blocked (egress proxy on
+    // the server), shown as the host:port and policy instead of a plain line.
+    if (storeMsg.type === 'system' && storeMsg.egressBlocked) {
+      return <EgressBlockedMarker meta={storeMsg.egressBlocked} />
+    }
+
+    // Provider failover note (provider-failover.js on the server): the turn's
+    // error bubble becomes a chip saying whether it is being retried, moved to
+    // another provider, or stuck with no provider left.
+    if (storeMsg.type === 'error' && storeMsg.failover) {
+      return <ProviderFailoverChip errorText={storeMsg.content} meta={storeMsg.failover} />
+    }
+
     // #4476: distinct chip for stream-stall errors (server PR #4475 emits
     // `error{code: 'stream_stall'}` after the configured inactivity window).
     // Generic red bubble reads as "broken"; this affordance signals
@@ -352,5 +374,5 @@ export function useMessageRenderer(args: UseMessageRendererArgs): (msg: ChatView
 
     // Default rendering
     return null
-  }, [storeMsgMap, chatToolGroupPayloads, chatTailMessageId, sendPermissionResponse, sendUserQuestionResponse, markPromptAnswered, storeMessages, sendInput, streamStallTimeoutMs, allowMultiQuestionForm, activeSessionProvider, activeSessionCaps, setViewMode, stalledPromptIds, hasPendingAskUserQuestionPermission, sessions])
+  }, [storeMsgMap, chatToolGroupPayloads, chatTailMessageId, sendPermissionResponse, sendUserQuestionResponse, markPromptAnswered, storeMessages, sendInput, streamStallTimeoutMs, allowMultiQuestionForm, activeSessionProvider, activeSessionCaps, setViewMode, stalledPromptIds, hasPendingAskUserQuestionPermission, sessions, canAnswerPrompts])
 }
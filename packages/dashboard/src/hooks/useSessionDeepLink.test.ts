@@ -0,0 +1,52 @@
+/**
+ * useSessionDeepLink tests — the `?session=<id>` link notification sinks
+ * (Slack's "Open in dashboard" button) point at.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { renderHook } from '@testing-library/react'
+import { useSessionDeepLink } from './useSessionDeepLink'
+
+function setUrl(path: string) {
+  window.history.replaceState(null, '', path)
+}
+
+describe('useSessionDeepLink', () => {
+  beforeEach(() => setUrl('/dashboard'))
+  afterEach(() => setUrl('/'))
+
+  it('switches to the linked session once it is listed', () => {
+    setUrl('/dashboard?session=s-2')
+    const onOpen = vi.fn()
+    const { rerender } = renderHook(({ sessions }) => useSessionDeepLink(sessions, onOpen), {
+      initialProps: { sessions: [] as Array<{ sessionId: string }> },
+    })
+    expect(onOpen).not.toHaveBeenCalled()
+    rerender({ sessions: [{ sessionId: 's-1' }, { sessionId: 's-2' }] })
+    expect(onOpen).toHaveBeenCalledWith('s-2')
+  })
+
+  it('fires at most once', () => {
+    setUrl('/dashboard?session=s-1')
+    const onOpen = vi.fn()
+    const { rerender } = renderHook(({ sessions }) => useSessionDeepLink(sessions, onOpen), {
+      initialProps: { sessions: [{ sessionId: 's-1' }] },
+    })
+    rerender({ sessions: [{ sessionId: 's-1' }, { sessionId: 's-3' }] })
+    expect(onOpen).toHaveBeenCalledTimes(1)
+  })
+
+  it('strips the parameter and keeps the rest of the URL', () => {
+    setUrl('/dashboard?session=s-1&view=chat#bottom')
+    renderHook(() => useSessionDeepLink([], vi.fn()))
+    expect(window.location.search).toBe('?view=chat')
+    expect(window.location.hash).toBe('#bottom')
+  })
+
+  it('does nothing without a link or for an unknown session', () => {
+    const onOpen = vi.fn()
+    renderHook(() => useSessionDeepLink([{ sessionId: 's-1' }], onOpen))
+    setUrl('/dashboard?session=gone')
+    renderHook(() => useSessionDeepLink([{ sessionId: 's-1' }], onOpen))
+    expect(onOpen).not.toHaveBeenCalled()
+  })
+})
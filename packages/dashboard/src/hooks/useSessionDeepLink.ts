@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react'
+
+/** Query parameter notification deep links carry (`/dashboard?session=<id>`). */
+export const SESSION_DEEP_LINK_PARAM = 'session'
+
+/**
+ * Read a `?session=<id>` deep link (the Slack sink's "Open in dashboard"
+ * button) and switch to that session once it shows up in the session list.
+ *
+ * The parameter is consumed on mount and stripped from the address bar with
+ * `history.replaceState`, so a reload or a bookmark of the current page does
+ * not yank the user back to the linked session later. The switch itself waits
+ * for the session to be listed — deep links are usually opened before the
+ * WebSocket has authenticated — and fires at most once; a link to a session
+ * that no longer exists is a no-op.
+ */
+export function useSessionDeepLink(
+  sessions: ReadonlyArray<{ sessionId: string }>,
+  onOpenSession: (sessionId: string) => void,
+): void {
+  const pendingRef = useRef<string | null | undefined>(undefined)
+  if (pendingRef.current === undefined) {
+    pendingRef.current = readDeepLink()
+  }
+
+  useEffect(() => {
+    if (pendingRef.current) stripDeepLink()
+  }, [])
+
+  useEffect(() => {
+    const target = pendingRef.current
+    if (!target) return
+    if (!sessions.some((s) => s.sessionId === target)) return
+    pendingRef.current = null
+    onOpenSession(target)
+  }, [sessions, onOpenSession])
+}
+
+function readDeepLink(): string | null {
+  if (typeof window === 'undefined') return null
+  try {
+    const value = new URLSearchParams(window.location.search).get(SESSION_DEEP_LINK_PARAM)
+    return value && value.length > 0 ? value : null
+  } catch {
+    return null
+  }
+}
+
+function stripDeepLink(): void {
+  try {
+    const url = new URL(window.location.href)
+    url.searchParams.delete(SESSION_DEEP_LINK_PARAM)
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`)
+  } catch {
+    // Best effort — a stale param only means a reload re-applies the link.
+  }
+}
@@ -69,6 +69,7 @@ function makeArgs(
     openCreateSessionAt: vi.fn(),
     copySessionTranscript: vi.fn(),
     summarizeAndCreateSession: vi.fn(),
+    switchSessionProvider: vi.fn(),
     confirmCloseSession: vi.fn(),
     ...overrides,
   }
@@ -352,6 +353,29 @@ describe('buildSidebarContextMenuItems', () => {
       summarize?.onClick?.()
       expect(summarizeAndCreateSession).toHaveBeenCalledWith('s42')
     })
+
+    it('Switch provider opens the picker for the session, but not for a terminal', () => {
+      const switchSessionProvider = vi.fn()
+      const items = buildSidebarContextMenuItems(
+        makeArgs({
+          target: { type: 'session', sessionId: 's42' },
+          sessions: [makeSession({ sessionId: 's42' })],
+          switchSessionProvider,
+        }),
+      )
+      const item = items.find(i => i.id === 'switch-provider')
+      expect(item?.label).toBe('Switch provider…')
+      item?.onClick?.()
+      expect(switchSessionProvider).toHaveBeenCalledWith('s42')
+
+      const shellItems = buildSidebarContextMenuItems(
+        makeArgs({
+          target: { type: 'session', sessionId: 's43' },
+          sessions: [makeSession({ sessionId: 's43', provider: 'user-shell' })],
+        }),
+      )
+      expect(shellItems.find(i => i.id === 'switch-provider')?.onClick).toBeUndefined()
+    })
   })
 
   describe('repo branch (#4045 contract)', () => {
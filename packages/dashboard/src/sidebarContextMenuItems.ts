@@ -7,7 +7,8 @@
  *
  * Per-branch items:
  *   - `session` — Duplicate Session, Copy transcript (#5547), Summarize & start
- *     new session (#5547), Open in Finder (Tauri+cwd), Close Session
+ *     new session (#5547), Switch provider (conversational sessions), Open in
+ *     Finder (Tauri+cwd), Close Session
  *   - `repo`    — New Session Here, Summarize & start new session targeting the
  *     group's most-recent session (or one item per live session when several,
  *     #5547), Open in Finder (Tauri)
@@ -20,6 +21,7 @@
  * Capability-gated items use a falsy `onClick` so `SessionContextMenu`
  * filters them at render time (no caller-side filtering needed).
  */
+import { USER_SHELL_PROVIDER } from '@chroxy/protocol'
 import type { SessionInfo, ConversationSummary } from '@chroxy/store-core'
 import type { ContextMenuItem } from './components/SessionContextMenu'
 import type { ContextMenuTarget } from './components/Sidebar'
@@ -75,6 +77,11 @@ export interface BuildSidebarContextMenuItemsArgs {
    * errors. Never auto-sends.
    */
   summarizeAndCreateSession: (sessionId: string) => void
+  /**
+   * Open the provider picker that continues a session's conversation on
+   * another provider (tool history + todos carried where possible).
+   */
+  switchSessionProvider: (sessionId: string) => void
   /**
    * Wrapper around the store's `destroySession` that prompts the user first
    * (the session-row Close action must not destroy without confirmation).
@@ -99,6 +106,7 @@ export function buildSidebarContextMenuItems(
     openCreateSessionAt,
     copySessionTranscript,
     summarizeAndCreateSession,
+    switchSessionProvider,
     confirmCloseSession,
   } = args
 
@@ -145,6 +153,15 @@ export function buildSidebarContextMenuItems(
         label: 'Summarize & start new session',
         onClick: () => summarizeAndCreateSession(session.sessionId),
       },
+      {
+        // Continue the conversation on another provider — the recovery when
+        // the current one is capped or down. A terminal has no conversation.
+        id: 'switch-provider',
+        label: 'Switch provider…',
+        onClick: session.provider !== USER_SHELL_PROVIDER
+          ? () => switchSessionProvider(session.sessionId)
+          : undefined,
+      },
       {
         id: 'reveal',
         label: 'Open in Finder',
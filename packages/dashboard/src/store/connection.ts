@@ -63,6 +63,7 @@ import type {
   ChatMessage,
   ConnectionContext,
   ConnectionState,
+  ConversationSearchFilters,
   InputSettings,
   RestoreCheckpointMode,
   PermissionDecision,
@@ -185,6 +186,7 @@ import {
   // send-while-busy path + per-item cancel.
   enqueueOptimisticQueuedMessage,
   removeQueuedMessage,
+  scopeAllowsPromptAnswers,
 } from '@chroxy/store-core';
 import { decrypt, DIRECTION_SERVER, type EncryptedEnvelope } from './crypto';
 // #5184: header cost-badge mode union, default, and runtime guard. Lives in
@@ -534,7 +536,12 @@ export const GIT_ONESHOT_CALLBACK_TIMEOUT_MS = 30_000;
 // whether because the deadline elapsed or the socket dropped out from under it.
 export const GIT_ONESHOT_TIMEOUT_ERROR = 'No response from the daemon — reconnect and try again';
 
-type GitOneshotCallbackKey = '_gitStageCallback' | '_gitCommitCallback' | '_gitCreatePrCallback';
+type GitOneshotCallbackKey =
+  | '_gitStageCallback'
+  | '_gitCommitCallback'
+  | '_gitCreatePrCallback'
+  | '_gitBranchCallback'
+  | '_gitConflictCallback';
 
 // The result type a given git one-shot callback key expects, derived directly
 // from ConnectionState's field type (GitStageResult / GitCommitResult /
@@ -553,6 +560,8 @@ const gitOneshotTimers: Record<GitOneshotCallbackKey, ReturnType<typeof setTimeo
   _gitStageCallback: undefined,
   _gitCommitCallback: undefined,
   _gitCreatePrCallback: undefined,
+  _gitBranchCallback: undefined,
+  _gitConflictCallback: undefined,
 };
 
 // Clear `key`'s pending timer (if any) and, if a callback is still armed,
@@ -639,6 +648,17 @@ function releaseScheduledTaskRequest(
   });
 }
 
+// The git_conflict_result a still-armed resolve / continue / abort callback
+// receives when the daemon never replies.
+const GIT_CONFLICT_TIMEOUT_RESULT = {
+  action: null,
+  path: null,
+  remaining: 0,
+  staged: false,
+  operation: null,
+  error: GIT_ONESHOT_TIMEOUT_ERROR,
+} as const;
+
 // #6954 — fast-reject every still-armed git one-shot callback (stage/unstage,
 // commit, create-PR) on socket disconnect/close/error, mirroring the sibling
 // rejectAllEvaluatorRequests / clearPendingTrustGrants / clearPendingModelReverts
@@ -666,8 +686,16 @@ function clearGitOneshotCallbacks(
     base: null,
     error: GIT_ONESHOT_TIMEOUT_ERROR,
   });
+  disarmGitOneshotCallback(set, get, '_gitBranchCallback', {
+    action: null,
+    branch: null,
+    currentBranch: null,
+    error: GIT_ONESHOT_TIMEOUT_ERROR,
+  });
+  disarmGitOneshotCallback(set, get, '_gitConflictCallback', GIT_CONFLICT_TIMEOUT_RESULT);
 }
 
+
 // #6863 — a dropped socket is the other terminal condition for an armed
 // transcript fetch: the frames still owed to it (including its
 // `history_replay_end`) can never arrive on this socket, so its interception
@@ -758,6 +786,10 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   // the github_webhook_config handler. Null until the first config reply lands.
   githubWebhookConfig: null,
   githubWebhookConfigLoading: false,
+  // Slack notification credential config, fed by the
+  // slack_notifications_config handler. Null until the first reply lands.
+  slackNotificationsConfig: null,
+  slackNotificationsConfigLoading: false,
   // #6691 (S-3): orchestration Runs tab state (dashboard-only v1).
   orchestrationRuns: null,
   orchestrationRunsLoading: false,
@@ -944,6 +976,8 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   referencesSymbol: '',
   referencesOpen: false,
   referencesLoading: false,
+  symbolHover: null,
+  symbolHoverRequest: null,
   permissionAudit: null,
   permissionAuditLoading: false,
   permissionAuditError: false,
@@ -958,6 +992,12 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   _gitStageCallback: null,
   _gitCommitCallback: null,
   _gitCreatePrCallback: null,
+  _gitLogCallback: null,
+  _gitShowCallback: null,
+  _gitBlameCallback: null,
+  _gitBranchCallback: null,
+  _gitConflictsCallback: null,
+  _gitConflictCallback: null,
   _diffCallback: null,
   conversationHistory: [],
   conversationHistoryLoading: false,
@@ -1100,6 +1140,9 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   // before an actual rejection (see the field's doc comment in types.ts).
   mcpConfigForbiddenNonPrimary: false,
 
+  // Set from auth_ok; `full` until then, like a server that predates scopes.
+  tokenScope: 'full',
+
   launchWebTask: (prompt: string, cwd?: string) => {
     const { socket } = get();
     if (socket && socket.readyState === WebSocket.OPEN) {
@@ -1345,6 +1388,43 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     return false;
   },
 
+  // Request the value-free Slack notification config (which credentials are set
+  // + where from, delivery mode, deep-link base) for the Settings pane.
+  // Wire-or-nothing, like requestGithubWebhookConfig.
+  requestSlackNotificationsConfig: (): boolean => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      set({ slackNotificationsConfigLoading: true });
+      wsSend(socket, { type: 'slack_notifications_config_request' });
+      return true;
+    }
+    return false;
+  },
+
+  // Set any subset of the Slack credentials. The raw values are sent once and
+  // NEVER kept in the store; the reply is a value-free
+  // `slack_notifications_config`. Host-authority gated server-side.
+  setSlackNotificationsCredentials: (creds: { webhookUrl?: string; botToken?: string; channel?: string }): boolean => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      set({ slackNotificationsConfigLoading: true });
+      wsSend(socket, { type: 'slack_notifications_set_credentials', ...creds });
+      return true;
+    }
+    return false;
+  },
+
+  // Clear stored Slack credentials (all, or only `fields`). Host-authority gated.
+  clearSlackNotificationsCredentials: (fields?: Array<'webhookUrl' | 'botToken' | 'channel'>): boolean => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      set({ slackNotificationsConfigLoading: true });
+      wsSend(socket, fields ? { type: 'slack_notifications_clear_credentials', fields } : { type: 'slack_notifications_clear_credentials' });
+      return true;
+    }
+    return false;
+  },
+
   // #6691 (S-3): request the orchestration runs-list snapshot for the Runs tab.
   // Mirrors requestRepoEvents — wire-or-nothing (loading flips only when the
   // socket is OPEN).
@@ -2836,6 +2916,7 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
         'simulatorStatusLoading', 'emulatorStatusLoading', 'wslStatusLoading', 'integrationStatusLoading',
         'skillsInventoryLoading', 'mailboxStatusLoading', 'externalSessionsLoading',
         'repoEventsLoading', 'githubWebhookConfigLoading', 'orchestrationRunsLoading',
+        'slackNotificationsConfigLoading',
       ] as const;
       const loadingReset: Partial<Record<(typeof surveyLoadingKeys)[number], boolean>> = {};
       for (const key of surveyLoadingKeys) {
@@ -3104,6 +3185,8 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   referencesSymbol: '',
   referencesOpen: false,
   referencesLoading: false,
+  symbolHover: null,
+  symbolHoverRequest: null,
   permissionAudit: null,
   permissionAuditLoading: false,
   permissionAuditError: false,
@@ -3137,6 +3220,7 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
       // (possibly primary) token, so don't carry a stale "forbidden"
       // verdict past a user-initiated disconnect.
       mcpConfigForbiddenNonPrimary: false,
+      tokenScope: 'full',
       savedConnection: null,
       userDisconnected: true,
       viewingCachedSession: false,
@@ -3660,6 +3744,11 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     if (!socket || socket.readyState !== WebSocket.OPEN) {
       return false;
     }
+    // An observe device would be refused (TOKEN_SCOPE_FORBIDDEN) — don't mark
+    // the prompt answered on its behalf.
+    if (!scopeAllowsPromptAnswers(get().tokenScope)) {
+      return false;
+    }
     // allowSession: wire decision is still 'allow' — session-scoped behaviour
     // is implemented client-side via a follow-up set_permission_rules message.
     // #6771 allowAlways: sent VERBATIM — the server persists a durable
@@ -3893,6 +3982,9 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     toolUseId?: string,
   ) => {
     const { socket, activeSessionId, sessionStates } = get();
+    // Same scope gate as sendPermissionResponse: an observe device's answer
+    // would be refused, so it is never sent (or queued).
+    if (!scopeAllowsPromptAnswers(get().tokenScope)) return false;
     // #4604 Chunk B / #4621 / #4651 / #4735 — split the wire payload by call shape:
     // - string `answer`: legacy single-question / free-text path. Wire
     //   shape stays `{ type, answer, toolUseId? }` so older servers
@@ -4473,13 +4565,15 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   // #6475 — go-to-definition: resolve a clicked symbol name to its declaration.
   // The reply (`symbol_location`) lands in `symbolLocation`; FileBrowserPanel
   // reacts to jump there or surface a transient 'not found'.
-  requestResolveSymbol: (symbol: string, file?: string) => {
+  requestResolveSymbol: (symbol: string, file?: string, position?: { line: number; column: number }) => {
     const trimmed = typeof symbol === 'string' ? symbol.trim() : '';
     if (!trimmed) return;
     const { socket, activeSessionId } = get();
     if (socket && socket.readyState === WebSocket.OPEN) {
       const msg: Record<string, unknown> = { type: 'resolve_symbol', symbol: trimmed };
       if (file) msg.file = file;
+      // #6479 — the clicked position, only meaningful alongside its file.
+      if (file && position) { msg.line = position.line; msg.column = position.column; }
       if (activeSessionId) msg.sessionId = activeSessionId;
       wsSend(socket, msg);
     }
@@ -4502,7 +4596,7 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   // #6477 — find-all-references for a clicked symbol. Opens the references palette
   // and clears any stale result; the reply (`references_result`) lands in
   // `referencesResult`.
-  requestFindReferences: (symbol: string, file?: string) => {
+  requestFindReferences: (symbol: string, file?: string, position?: { line: number; column: number }) => {
     const trimmed = typeof symbol === 'string' ? symbol.trim() : '';
     if (!trimmed) return;
     const { socket, activeSessionId } = get();
@@ -4510,11 +4604,28 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
       set({ referencesSymbol: trimmed, referencesOpen: true, referencesLoading: true, referencesResult: null });
       const msg: Record<string, unknown> = { type: 'find_references', symbol: trimmed };
       if (file) msg.file = file;
+      if (file && position) { msg.line = position.line; msg.column = position.column; }
+      if (activeSessionId) msg.sessionId = activeSessionId;
+      wsSend(socket, msg);
+    }
+  },
+
+  // #6479 — language-server hover + diagnostics for a shift+clicked token. The
+  // previous card is cleared straight away so a slow server never leaves the
+  // old one showing against the new position.
+  requestHoverSymbol: (file: string, line: number, column: number) => {
+    if (!file || line < 1 || column < 1) return;
+    const { socket, activeSessionId } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      set({ symbolHover: null, symbolHoverRequest: { file, line, column } });
+      const msg: Record<string, unknown> = { type: 'hover_symbol', file, line, column };
       if (activeSessionId) msg.sessionId = activeSessionId;
       wsSend(socket, msg);
     }
   },
 
+  dismissSymbolHover: () => set({ symbolHover: null, symbolHoverRequest: null }),
+
   // #6867 (epic #6760): request the effective merged CLAUDE.md memory stack
   // for the dashboard memory panel. Mirrors requestHostStatus — sends
   // `memory_read`, flips memoryStackLoading, returns false (without setting
@@ -4648,6 +4759,148 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     return false;
   },
 
+  // Git history reads. Durable callbacks (GitHistoryView installs them on
+  // mount); each request is stamped with a fresh requestId that the reply
+  // echoes, and the id is handed back so the view can ignore a reply that a
+  // later page/commit/file request superseded (read_file's #6502 pattern).
+  setGitLogCallback: (cb) => {
+    set({ _gitLogCallback: cb });
+  },
+
+  requestGitLog: (params) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const requestId = `git-log-${nextMessageId()}`;
+      const msg: Record<string, unknown> = { type: 'git_log', requestId };
+      if (params?.skip) msg.skip = params.skip;
+      if (params?.limit) msg.limit = params.limit;
+      if (params?.path) msg.path = params.path;
+      return wsSend(socket, msg) ? requestId : null;
+    }
+    return null;
+  },
+
+  setGitShowCallback: (cb) => {
+    set({ _gitShowCallback: cb });
+  },
+
+  requestGitShow: (hash) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const requestId = `git-show-${nextMessageId()}`;
+      return wsSend(socket, { type: 'git_show', hash, requestId }) ? requestId : null;
+    }
+    return null;
+  },
+
+  setGitBlameCallback: (cb) => {
+    set({ _gitBlameCallback: cb });
+  },
+
+  requestGitBlame: (path, rev) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const requestId = `git-blame-${nextMessageId()}`;
+      const msg: Record<string, unknown> = { type: 'git_blame', path, requestId };
+      if (rev) msg.rev = rev;
+      return wsSend(socket, msg) ? requestId : null;
+    }
+    return null;
+  },
+
+  // Branch create / checkout / delete. One shared git_branch_result one-shot,
+  // armed with the same timeout + disconnect fast-reject as stage/commit
+  // (#6939/#6954) so a lost reply can't strand the Branches tab's busy flag.
+  setGitBranchCallback: (cb) => {
+    armGitOneshotCallback(set, get, '_gitBranchCallback', cb, {
+      action: null,
+      branch: null,
+      currentBranch: null,
+      error: GIT_ONESHOT_TIMEOUT_ERROR,
+    });
+  },
+
+  requestGitBranchCreate: (params) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const msg: Record<string, unknown> = { type: 'git_branch_create', name: params.name };
+      if (params.startPoint) msg.startPoint = params.startPoint;
+      if (params.checkout) msg.checkout = true;
+      return wsSend(socket, msg);
+    }
+    return false;
+  },
+
+  requestGitCheckout: (branch) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      return wsSend(socket, { type: 'git_checkout', branch });
+    }
+    return false;
+  },
+
+  requestGitBranchDelete: (params) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const msg: Record<string, unknown> = { type: 'git_branch_delete', name: params.name };
+      if (params.force) msg.force = true;
+      return wsSend(socket, msg);
+    }
+    return false;
+  },
+
+  // Merge-conflict resolution. The git_conflicts_result read is durable +
+  // requestId-stamped like the history reads; resolve / continue / abort share
+  // one git_conflict_result one-shot with the branch ops' timeout + disconnect
+  // fast-reject.
+  setGitConflictsCallback: (cb) => {
+    set({ _gitConflictsCallback: cb });
+  },
+
+  requestGitConflicts: () => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const requestId = `git-conflicts-${nextMessageId()}`;
+      return wsSend(socket, { type: 'git_conflicts', requestId }) ? requestId : null;
+    }
+    return null;
+  },
+
+  setGitConflictCallback: (cb) => {
+    armGitOneshotCallback(set, get, '_gitConflictCallback', cb, GIT_CONFLICT_TIMEOUT_RESULT);
+  },
+
+  requestGitConflictResolve: (params) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      const msg: Record<string, unknown> = { type: 'git_conflict_resolve', path: params.path };
+      if (params.take) {
+        msg.take = params.take;
+      } else {
+        msg.hash = params.hash;
+        msg.resolutions = params.resolutions ?? [];
+      }
+      return wsSend(socket, msg);
+    }
+    return false;
+  },
+
+  requestGitConflictContinue: () => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      return wsSend(socket, { type: 'git_conflict_continue' });
+    }
+    return false;
+  },
+
+  requestGitConflictAbort: () => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      return wsSend(socket, { type: 'git_conflict_abort' });
+    }
+    return false;
+  },
+
   // Diff viewer
 
   setDiffCallback: (cb) => {
@@ -4822,7 +5075,7 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
   // the socket is closed the create is a silent no-op, so the caller must NOT
   // latch its "Creating…" spinner (it would wedge forever — nothing arrives to
   // clear it). Mirrors revokeToken's not-open guard: false = nothing sent.
-  createSession: ({ name, cwd, provider, model, permissionMode, worktree, environmentId, skipPermissions, codexSandbox }): boolean => {
+  createSession: ({ name, cwd, provider, model, permissionMode, worktree, environmentId, skipPermissions, codexSandbox, egress }): boolean => {
     const { socket } = get();
     if (socket && socket.readyState === WebSocket.OPEN) {
       const msg: Record<string, unknown> = { type: 'create_session' };
@@ -4838,6 +5091,9 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
       // providers omit it and the server ignores it if present. The wire schema
       // rejects any value outside CODEX_SANDBOX_MODES.
       if (codexSandbox) msg.codexSandbox = codexSandbox;
+      // Network egress policy for a containerized provider; omitted means the
+      // server's default (devcontainer.json or the `egress` config key).
+      if (egress) msg.egress = egress;
       // #4208: TUI-only opt-in to claude --dangerously-skip-permissions.
       // Forward whenever the caller passes a strict boolean so an explicit
       // `false` can override a server-wide `defaultSkipPermissions: true`
@@ -5013,12 +5269,12 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     set({ transcriptViewer: EMPTY_TRANSCRIPT_VIEWER });
   },
 
-  searchConversations: (query: string) => {
+  searchConversations: (query: string, filters?: ConversationSearchFilters) => {
     const { socket } = get();
     if (socket && socket.readyState === WebSocket.OPEN) {
       const nonce = ++searchNonce;
       set({ searchLoading: true, searchResults: [], searchQuery: query });
-      wsSend(socket, { type: 'search_conversations', query });
+      wsSend(socket, { type: 'search_conversations', query, ...filters });
       // Timeout to clear loading if no response in 15s
       clearTimeout(searchTimeoutId);
       searchTimeoutId = setTimeout(() => {
@@ -5077,6 +5333,33 @@ export const useConnectionStore = create<ConnectionState>((set, get) => ({
     }
   },
 
+  forkSession: (messageId: string, opts: { provider?: string; model?: string; name?: string } = {}) => {
+    const { socket, activeSessionId } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      wsSend(socket, {
+        type: 'fork_session',
+        messageId,
+        ...(activeSessionId ? { sessionId: activeSessionId } : {}),
+        ...(opts.provider ? { provider: opts.provider } : {}),
+        ...(opts.model ? { model: opts.model } : {}),
+        ...(opts.name ? { name: opts.name } : {}),
+      });
+    }
+  },
+
+  switchProvider: (sessionId: string, provider: string, opts: { model?: string; name?: string } = {}) => {
+    const { socket } = get();
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      wsSend(socket, {
+        type: 'switch_provider',
+        sessionId,
+        provider,
+        ...(opts.model ? { model: opts.model } : {}),
+        ...(opts.name ? { name: opts.name } : {}),
+      });
+    }
+  },
+
   clearPlanState: () => {
     updateActiveSession(() => ({
       isPlanPending: false,
@@ -0,0 +1,133 @@
+/**
+ * Tests for the `provider_failover` note: it annotates the failed turn's
+ * error bubble (rendered as the failover chip), gets a row of its own when
+ * that bubble is gone, and is dropped when malformed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('./crypto', () => ({
+  createKeyPair: vi.fn(() => ({ publicKey: 'mock-pub', secretKey: 'mock-sec' })),
+  deriveSharedKey: vi.fn(),
+  encrypt: vi.fn(),
+  decrypt: vi.fn(),
+  generateConnectionSalt: vi.fn(() => 'mock-salt'),
+  deriveConnectionKey: vi.fn(() => new Uint8Array(32)),
+  DIRECTION_CLIENT: 0,
+  DIRECTION_SERVER: 1,
+}))
+
+vi.mock('./persistence', () => ({
+  clearPersistedSession: vi.fn(),
+}))
+
+import {
+  handleMessage,
+  setStore,
+  clearDeltaBuffers,
+  clearPermissionSplits,
+  stopHeartbeat,
+  resetReplayFlags,
+} from './message-handler'
+import type { ConnectionState, ChatMessage } from './types'
+import { createEmptySessionState } from './utils'
+
+function createMockStore(initial: Partial<ConnectionState>) {
+  let state = initial as ConnectionState
+  return {
+    getState: () => state,
+    setState: (s: Partial<ConnectionState> | ((prev: ConnectionState) => Partial<ConnectionState>)) => {
+      const patch = typeof s === 'function' ? s(state) : s
+      state = { ...state, ...patch }
+    },
+  }
+}
+
+const failedTurn: ChatMessage[] = [
+  { id: 'u1', type: 'user_input', content: 'fix it', timestamp: 1 },
+  { id: 'e1', type: 'error', content: '429 Too Many Requests', code: 'HTTP_429', timestamp: 2 },
+]
+
+function sessionMessages(store: ReturnType<typeof createMockStore>): ChatMessage[] {
+  return store.getState().sessionStates['s1']!.messages
+}
+
+describe('provider_failover dispatch', () => {
+  let store: ReturnType<typeof createMockStore>
+
+  const ctx = () => ({
+    url: 'wss://t',
+    token: 'tok',
+    socket: { send: vi.fn(), readyState: WebSocket.OPEN } as unknown as WebSocket,
+    isReconnect: false,
+    silent: false,
+  })
+
+  function seed(messages: ChatMessage[]) {
+    store = createMockStore({
+      connectionPhase: 'connected',
+      socket: null,
+      sessions: [],
+      activeSessionId: 's1',
+      sessionStates: { s1: { ...createEmptySessionState(), messages } },
+      messages,
+    } as unknown as Partial<ConnectionState>)
+    setStore(store)
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+  })
+
+  afterEach(() => {
+    stopHeartbeat()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    resetReplayFlags()
+  })
+
+  it('attaches the note to the turn\'s error bubble', () => {
+    seed(failedTurn)
+    handleMessage({
+      type: 'provider_failover',
+      sessionId: 's1',
+      action: 'hop',
+      category: 'rate_limit',
+      provider: 'claude-sdk',
+      model: null,
+      to: { provider: 'claude-byok', model: null },
+      billingClass: 'api-key',
+      carry: 'conversation',
+      flags: [],
+    }, ctx() as never)
+    const messages = sessionMessages(store)
+    expect(messages).toHaveLength(2)
+    expect(messages[1]!.failover).toEqual({
+      action: 'hop',
+      category: 'rate_limit',
+      provider: 'claude-sdk',
+      model: null,
+      to: { provider: 'claude-byok', model: null },
+      billingClass: 'api-key',
+      carry: 'conversation',
+    })
+    expect(store.getState().messages).toBe(messages)
+  })
+
+  it('gives the note its own row when the turn has no unannotated error', () => {
+    seed([failedTurn[0]!, { ...failedTurn[1]!, failover: { action: 'retry', category: 'rate_limit', provider: 'claude-sdk', model: null } }])
+    handleMessage({ type: 'provider_failover', sessionId: 's1', action: 'exhausted', category: 'rate_limit', provider: 'claude-sdk' }, ctx() as never)
+    const messages = sessionMessages(store)
+    expect(messages).toHaveLength(3)
+    expect(messages[2]!.type).toBe('error')
+    expect(messages[2]!.failover).toEqual({ action: 'exhausted', category: 'rate_limit', provider: 'claude-sdk', model: null })
+  })
+
+  it('drops a malformed payload', () => {
+    seed(failedTurn)
+    handleMessage({ type: 'provider_failover', sessionId: 's1', action: 'teleport', category: 'rate_limit', provider: 'claude-sdk' }, ctx() as never)
+    expect(sessionMessages(store)[1]!.failover).toBeUndefined()
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * Tests for the `provider_switched` reply to a switch_provider: a clean carry
+ * is one info notice; anything the new provider won't see turns it into a
+ * warning toast that lists it. Malformed payloads are dropped.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('./crypto', () => ({
+  createKeyPair: vi.fn(() => ({ publicKey: 'mock-pub', secretKey: 'mock-sec' })),
+  deriveSharedKey: vi.fn(),
+  encrypt: vi.fn(),
+  decrypt: vi.fn(),
+  generateConnectionSalt: vi.fn(() => 'mock-salt'),
+  deriveConnectionKey: vi.fn(() => new Uint8Array(32)),
+  DIRECTION_CLIENT: 0,
+  DIRECTION_SERVER: 1,
+}))
+
+vi.mock('./persistence', () => ({
+  clearPersistedSession: vi.fn(),
+}))
+
+import {
+  handleMessage,
+  setStore,
+  clearDeltaBuffers,
+  clearPermissionSplits,
+  stopHeartbeat,
+  resetReplayFlags,
+} from './message-handler'
+import type { ConnectionState } from './types'
+
+function createMockStore(initial: Partial<ConnectionState>) {
+  let state = initial as ConnectionState
+  return {
+    getState: () => state,
+    setState: (s: Partial<ConnectionState> | ((prev: ConnectionState) => Partial<ConnectionState>)) => {
+      const patch = typeof s === 'function' ? s(state) : s
+      state = { ...state, ...patch }
+    },
+  }
+}
+
+const switched = {
+  type: 'provider_switched',
+  sourceSessionId: 'src',
+  sessionId: 'next-1',
+  name: 'Refactor',
+  provider: 'deepseek',
+  carry: 'conversation',
+  carriedTurns: 8,
+  todos: 2,
+  worktree: false,
+  flags: [],
+  truncated: false,
+}
+
+describe('provider_switched dispatch', () => {
+  let addInfoNotification: ReturnType<typeof vi.fn>
+  let addServerError: ReturnType<typeof vi.fn>
+
+  const ctx = () => ({
+    url: 'wss://t',
+    token: 'tok',
+    socket: { send: vi.fn(), readyState: WebSocket.OPEN } as unknown as WebSocket,
+    isReconnect: false,
+    silent: false,
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    addInfoNotification = vi.fn()
+    addServerError = vi.fn()
+    setStore(createMockStore({
+      connectionPhase: 'connected',
+      socket: null,
+      sessions: [],
+      activeSessionId: 'src',
+      sessionStates: {},
+      messages: [],
+      addInfoNotification,
+      addServerError,
+    } as unknown as Partial<ConnectionState>))
+  })
+
+  afterEach(() => {
+    stopHeartbeat()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    resetReplayFlags()
+  })
+
+  it('announces a clean native carry with restored todos', () => {
+    handleMessage(switched, ctx() as never)
+    expect(addServerError).not.toHaveBeenCalled()
+    const text = addInfoNotification.mock.calls[0]![0] as string
+    expect(text).toContain('Continued "Refactor" on deepseek')
+    expect(text).toContain('conversation rebuilt, 2 todos restored')
+  })
+
+  it('flags what was not carried as a warning', () => {
+    handleMessage({
+      ...switched,
+      carry: 'transcript',
+      worktree: true,
+      flags: [
+        { kind: 'unanswered_prompt', count: 1 },
+        { kind: 'tool_as_text', count: 2, detail: 'mcp__jira__comment, Task' },
+      ],
+    }, ctx() as never)
+    expect(addInfoNotification).not.toHaveBeenCalled()
+    const [text, , severity] = addServerError.mock.calls[0]!
+    expect(severity).toBe('warning')
+    expect(text).toContain('sent with your first message; the worktree moved with it.')
+    expect(text).toContain('Not carried over: your last message, which got no reply — send it again')
+    expect(text).toContain('2 calls to tools this provider lacks (mcp__jira__comment, Task), carried as text')
+  })
+
+  it('drops a malformed payload', () => {
+    handleMessage({ ...switched, flags: 'none' }, ctx() as never)
+    expect(addInfoNotification).not.toHaveBeenCalled()
+    expect(addServerError).not.toHaveBeenCalled()
+  })
+})
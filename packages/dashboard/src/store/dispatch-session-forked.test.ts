@@ -0,0 +1,112 @@
+/**
+ * Tests for the `session_forked` reply to a fork_session: the handler turns
+ * the fork result into one info notice (what was carried, whether the fork got
+ * its own worktree) and drops malformed payloads.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('./crypto', () => ({
+  createKeyPair: vi.fn(() => ({ publicKey: 'mock-pub', secretKey: 'mock-sec' })),
+  deriveSharedKey: vi.fn(),
+  encrypt: vi.fn(),
+  decrypt: vi.fn(),
+  generateConnectionSalt: vi.fn(() => 'mock-salt'),
+  deriveConnectionKey: vi.fn(() => new Uint8Array(32)),
+  DIRECTION_CLIENT: 0,
+  DIRECTION_SERVER: 1,
+}))
+
+vi.mock('./persistence', () => ({
+  clearPersistedSession: vi.fn(),
+}))
+
+import {
+  handleMessage,
+  setStore,
+  clearDeltaBuffers,
+  clearPermissionSplits,
+  stopHeartbeat,
+  resetReplayFlags,
+} from './message-handler'
+import type { ConnectionState } from './types'
+
+function createMockStore(initial: Partial<ConnectionState>) {
+  let state = initial as ConnectionState
+  return {
+    getState: () => state,
+    setState: (s: Partial<ConnectionState> | ((prev: ConnectionState) => Partial<ConnectionState>)) => {
+      const patch = typeof s === 'function' ? s(state) : s
+      state = { ...state, ...patch }
+    },
+  }
+}
+
+const forked = {
+  type: 'session_forked',
+  sourceSessionId: 'src',
+  messageId: 'msg-a-3',
+  sessionId: 'fork-1',
+  name: 'Fork: Refactor',
+  provider: 'codex',
+  carry: 'transcript',
+  worktree: true,
+  carriedMessages: 6,
+  truncated: false,
+}
+
+describe('session_forked dispatch', () => {
+  let addInfoNotification: ReturnType<typeof vi.fn>
+
+  const ctx = () => ({
+    url: 'wss://t',
+    token: 'tok',
+    socket: { send: vi.fn(), readyState: WebSocket.OPEN } as unknown as WebSocket,
+    isReconnect: false,
+    silent: false,
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    addInfoNotification = vi.fn()
+    setStore(createMockStore({
+      connectionPhase: 'connected',
+      socket: null,
+      sessions: [],
+      activeSessionId: 'src',
+      sessionStates: {},
+      messages: [],
+      addInfoNotification,
+    } as unknown as Partial<ConnectionState>))
+  })
+
+  afterEach(() => {
+    stopHeartbeat()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    resetReplayFlags()
+  })
+
+  it('announces a transcript carry into a worktree', () => {
+    handleMessage(forked, ctx() as never)
+    expect(addInfoNotification).toHaveBeenCalledTimes(1)
+    const text = addInfoNotification.mock.calls[0]![0] as string
+    expect(text).toContain('Forked into "Fork: Refactor"')
+    expect(text).toContain('sent with your first message')
+    expect(text).toContain('its own worktree')
+  })
+
+  it('announces a conversation carry into a shared directory', () => {
+    handleMessage({ ...forked, carry: 'conversation', worktree: false }, ctx() as never)
+    const text = addInfoNotification.mock.calls[0]![0] as string
+    expect(text).toContain('conversation carried over')
+    expect(text).toContain('sharing the working directory')
+  })
+
+  it('drops a malformed payload', () => {
+    handleMessage({ ...forked, carry: 'everything' }, ctx() as never)
+    expect(addInfoNotification).not.toHaveBeenCalled()
+  })
+})
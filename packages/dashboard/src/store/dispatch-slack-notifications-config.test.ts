@@ -0,0 +1,74 @@
+/**
+ * Integration test for the Slack notification config wiring. Guards: a
+ * `slack_notifications_config` REPLACES slackNotificationsConfig + clears
+ * loading; a malformed payload is dropped WITHOUT clearing loading. Mirrors
+ * dispatch-github-webhook-config.test.ts.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('./crypto', () => ({
+  createKeyPair: vi.fn(() => ({ publicKey: 'mock-pub', secretKey: 'mock-sec' })),
+  deriveSharedKey: vi.fn(), encrypt: vi.fn(), decrypt: vi.fn(),
+  generateConnectionSalt: vi.fn(() => 'mock-salt'),
+  deriveConnectionKey: vi.fn(() => new Uint8Array(32)),
+  DIRECTION_CLIENT: 0, DIRECTION_SERVER: 1,
+}))
+vi.mock('./persistence', () => ({ clearPersistedSession: vi.fn() }))
+
+import { handleMessage, setStore, clearDeltaBuffers, clearPermissionSplits, stopHeartbeat, resetReplayFlags } from './message-handler'
+import type { ConnectionState } from './types'
+import type { ServerSlackNotificationsConfigMessage } from '@chroxy/protocol'
+
+function createMockStore(initial: Partial<ConnectionState>) {
+  let state = initial as ConnectionState
+  return {
+    getState: () => state,
+    setState: (s: Partial<ConnectionState> | ((prev: ConnectionState) => Partial<ConnectionState>)) => {
+      state = { ...state, ...(typeof s === 'function' ? s(state) : s) }
+    },
+  }
+}
+
+function baseState(): Partial<ConnectionState> {
+  return { connectionPhase: 'connected', socket: null, slackNotificationsConfig: null, slackNotificationsConfigLoading: true, messages: [] }
+}
+
+function config(over: Partial<ServerSlackNotificationsConfigMessage> = {}): ServerSlackNotificationsConfigMessage {
+  return {
+    type: 'slack_notifications_config',
+    generatedAt: '2026-10-19T12:00:00.000Z',
+    mode: 'live',
+    webhookUrl: { configured: false, source: 'none', masked: null },
+    botToken: { configured: true, source: 'store' },
+    channel: { value: '#builds', source: 'store' },
+    dashboardUrl: 'https://abc.trycloudflare.com/dashboard',
+    error: null,
+    ...over,
+  }
+}
+
+describe('dispatch: slack_notifications_config', () => {
+  let store: ReturnType<typeof createMockStore>
+  beforeEach(() => {
+    store = createMockStore(baseState())
+    setStore(store as never)
+  })
+  afterEach(() => {
+    clearDeltaBuffers(); clearPermissionSplits(); stopHeartbeat(); resetReplayFlags()
+  })
+
+  it('applies a slack_notifications_config and clears loading', () => {
+    handleMessage(config() as never, {} as never)
+    const s = store.getState()
+    expect(s.slackNotificationsConfig!.mode).toBe('live')
+    expect(s.slackNotificationsConfig!.channel.value).toBe('#builds')
+    expect(s.slackNotificationsConfigLoading).toBe(false)
+  })
+
+  it('drops a malformed payload WITHOUT clearing loading', () => {
+    handleMessage({ type: 'slack_notifications_config', mode: 'bogus' } as never, {} as never)
+    const s = store.getState()
+    expect(s.slackNotificationsConfig).toBeNull()
+    expect(s.slackNotificationsConfigLoading).toBe(true)
+  })
+})
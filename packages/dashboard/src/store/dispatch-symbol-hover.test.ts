@@ -0,0 +1,135 @@
+/**
+ * Dispatch test for the language-server hover card (#6479, epic #6469).
+ *
+ * Guards the wire path between the dashboard message handler and the store for
+ * `symbol_hover`:
+ *   - a reply for the position still in flight lands in `symbolHover` and
+ *     clears `symbolHoverRequest`.
+ *   - a reply for any other position (a slow answer to an earlier shift+click,
+ *     or one arriving after the card was dismissed) is dropped.
+ *   - a malformed payload is dropped (Zod safeParse) without mutating state.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+vi.mock('./crypto', () => ({
+  createKeyPair: vi.fn(() => ({ publicKey: 'mock-pub', secretKey: 'mock-sec' })),
+  deriveSharedKey: vi.fn(),
+  encrypt: vi.fn(),
+  decrypt: vi.fn(),
+  generateConnectionSalt: vi.fn(() => 'mock-salt'),
+  deriveConnectionKey: vi.fn(() => new Uint8Array(32)),
+  DIRECTION_CLIENT: 0,
+  DIRECTION_SERVER: 1,
+}))
+
+vi.mock('./persistence', () => ({
+  clearPersistedSession: vi.fn(),
+}))
+
+import {
+  handleMessage,
+  setStore,
+  clearDeltaBuffers,
+  clearPermissionSplits,
+  stopHeartbeat,
+  resetReplayFlags,
+} from './message-handler'
+import type { ConnectionState } from './types'
+import type { ServerSymbolHoverMessage } from '@chroxy/protocol'
+
+function createMockStore(initial: Partial<ConnectionState>) {
+  let state = initial as ConnectionState
+  return {
+    getState: () => state,
+    setState: (s: Partial<ConnectionState> | ((prev: ConnectionState) => Partial<ConnectionState>)) => {
+      const patch = typeof s === 'function' ? s(state) : s
+      state = { ...state, ...patch }
+    },
+  }
+}
+
+function createMockSocket(): WebSocket {
+  return {
+    send: vi.fn(),
+    close: vi.fn(),
+    readyState: WebSocket.OPEN,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  } as unknown as WebSocket
+}
+
+function hover(over: Partial<ServerSymbolHoverMessage> = {}): ServerSymbolHoverMessage {
+  return {
+    type: 'symbol_hover',
+    file: 'src/foo.ts',
+    line: 3,
+    column: 9,
+    contents: 'function doThing(): void',
+    diagnostics: [],
+    error: null,
+    ...over,
+  }
+}
+
+describe('symbol_hover dispatch (#6479)', () => {
+  let store: ReturnType<typeof createMockStore>
+  let mockSocket: WebSocket
+
+  const ctx = () => ({
+    url: 'wss://t',
+    token: 'tok',
+    socket: mockSocket,
+    isReconnect: false,
+    silent: false,
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    mockSocket = createMockSocket()
+    store = createMockStore({
+      connectionPhase: 'connected',
+      socket: null,
+      sessions: [],
+      activeSessionId: null,
+      sessionStates: {},
+      symbolHover: null,
+      symbolHoverRequest: { file: 'src/foo.ts', line: 3, column: 9 },
+      messages: [],
+    })
+    setStore(store)
+  })
+
+  afterEach(() => {
+    stopHeartbeat()
+    clearDeltaBuffers()
+    clearPermissionSplits()
+    resetReplayFlags()
+  })
+
+  it('stores the reply for the pending position', () => {
+    handleMessage(hover(), ctx() as never)
+    expect(store.getState().symbolHover?.contents).toBe('function doThing(): void')
+    expect(store.getState().symbolHoverRequest).toBeNull()
+  })
+
+  it('drops a reply for a different position', () => {
+    handleMessage(hover({ column: 2 }), ctx() as never)
+    expect(store.getState().symbolHover).toBeNull()
+    expect(store.getState().symbolHoverRequest).not.toBeNull()
+  })
+
+  it('drops a reply once nothing is pending (card dismissed)', () => {
+    store.setState({ symbolHoverRequest: null })
+    handleMessage(hover(), ctx() as never)
+    expect(store.getState().symbolHover).toBeNull()
+  })
+
+  it('drops a malformed payload without mutating state', () => {
+    handleMessage({ type: 'symbol_hover', file: 'src/foo.ts', line: 3, column: 9, diagnostics: 'nope' } as never, ctx() as never)
+    expect(store.getState().symbolHover).toBeNull()
+  })
+})
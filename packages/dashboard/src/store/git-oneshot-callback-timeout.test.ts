@@ -29,8 +29,8 @@ import {
   GIT_ONESHOT_TIMEOUT_ERROR,
 } from './connection';
 
-// All three one-shot git flows share the arm-with-timeout mechanism (DRY), so
-// the scenarios are parametrized over the stage + commit + create-PR
+// All four one-shot git flows share the arm-with-timeout mechanism (DRY), so
+// the scenarios are parametrized over the stage + commit + create-PR + branch
 // setters/fields.
 const FLOWS = [
   {
@@ -73,6 +73,31 @@ const FLOWS = [
       error: GIT_ONESHOT_TIMEOUT_ERROR,
     },
   },
+  {
+    label: 'git_branch',
+    setCb: (cb: unknown) =>
+      useConnectionStore.getState().setGitBranchCallback(cb as never),
+    getArmed: () => useConnectionStore.getState()._gitBranchCallback,
+    successReply: { action: 'checkout', branch: 'main', currentBranch: 'main', error: null },
+    // Shape a still-armed git_branch callback receives on timeout (GitBranchResult).
+    timeoutShape: { action: null, branch: null, currentBranch: null, error: GIT_ONESHOT_TIMEOUT_ERROR },
+  },
+  {
+    label: 'git_conflict',
+    setCb: (cb: unknown) =>
+      useConnectionStore.getState().setGitConflictCallback(cb as never),
+    getArmed: () => useConnectionStore.getState()._gitConflictCallback,
+    successReply: { action: 'resolve', path: 'a.txt', remaining: 0, staged: true, operation: 'merge', error: null },
+    // Shape a still-armed git_conflict callback receives on timeout (GitConflictResult).
+    timeoutShape: {
+      action: null,
+      path: null,
+      remaining: 0,
+      staged: false,
+      operation: null,
+      error: GIT_ONESHOT_TIMEOUT_ERROR,
+    },
+  },
 ] as const;
 
 type Flow = (typeof FLOWS)[number];
@@ -1085,6 +1085,27 @@ describe('dashboard message-handler dispatch', () => {
     })
   })
 
+  describe('device-token scope', () => {
+    const authOk = { type: 'auth_ok', serverMode: 'cli', cwd: '/tmp', serverVersion: '0.6.0', protocolVersion: 3, clientId: 'c1' }
+
+    it('takes the scope from auth_ok, and full when the server omits it', () => {
+      handleMessage({ ...authOk, tokenScope: 'observe' }, ctx() as any)
+      expect((store.getState() as any).tokenScope).toBe('observe')
+      handleMessage(authOk, ctx() as any)
+      expect((store.getState() as any).tokenScope).toBe('full')
+    })
+
+    it('adopts the scope a TOKEN_SCOPE_FORBIDDEN refusal reports (a live re-scope)', () => {
+      store = createMockStore(baseState({ tokenScope: 'full' } as any))
+      setStore(store)
+      handleMessage(
+        { type: 'error', requestId: null, code: 'TOKEN_SCOPE_FORBIDDEN', message: "This device's 'observe' access does not allow input", scope: 'observe', messageType: 'input' },
+        ctx() as any,
+      )
+      expect((store.getState() as any).tokenScope).toBe('observe')
+    })
+  })
+
   describe('add_mcp_server / remove_mcp_server op tracking (#6999)', () => {
     afterEach(() => {
       vi.useRealTimers()
@@ -4769,6 +4790,100 @@ describe('dashboard message-handler dispatch', () => {
     })
   })
 
+  describe('git history + branch result dispatch', () => {
+    it('forwards a valid git_log_result to the durable log callback', () => {
+      const calls: Array<any> = []
+      store = createMockStore(baseState({
+        _gitLogCallback: (r: any) => calls.push(r),
+      } as any))
+      setStore(store)
+
+      const commit = {
+        hash: 'a'.repeat(40), shortHash: 'aaaaaaa', author: 'A', email: 'a@x',
+        date: '2026-01-01T00:00:00Z', subject: 'first', parents: [],
+      }
+      handleMessage(
+        { type: 'git_log_result', commits: [commit], skip: 0, hasMore: false, path: null, error: null, requestId: 'git-log-1' } as any,
+        ctx() as any,
+      )
+
+      expect(calls).toHaveLength(1)
+      expect(calls[0].commits[0].subject).toBe('first')
+      expect(calls[0].requestId).toBe('git-log-1')
+    })
+
+    it('drops a schema-invalid git_blame_result instead of rendering it', () => {
+      const calls: Array<any> = []
+      store = createMockStore(baseState({
+        _gitBlameCallback: (r: any) => calls.push(r),
+      } as any))
+      setStore(store)
+
+      handleMessage(
+        { type: 'git_blame_result', path: 'a.txt', rev: null, hunks: 'nope', truncated: false, error: null } as any,
+        ctx() as any,
+      )
+
+      expect(calls).toHaveLength(0)
+    })
+
+    it('resolves the branch callback with an error on an INVALID git_branch_result', () => {
+      // GitPanel clears its pending branch action only from the callback, so a
+      // malformed reply must still resolve it.
+      const calls: Array<any> = []
+      store = createMockStore(baseState({
+        _gitBranchCallback: (r: any) => calls.push(r),
+      } as any))
+      setStore(store)
+
+      handleMessage(
+        { type: 'git_branch_result', action: 'rename', branch: 'x', currentBranch: 'main', error: null } as any,
+        ctx() as any,
+      )
+
+      expect(calls).toHaveLength(1)
+      expect(calls[0].action).toBeNull()
+      expect(calls[0].error).toBeTruthy()
+    })
+  })
+
+  describe('git conflict result dispatch', () => {
+    it('forwards a valid git_conflicts_result to the durable conflicts callback', () => {
+      const calls: Array<any> = []
+      store = createMockStore(baseState({
+        _gitConflictsCallback: (r: any) => calls.push(r),
+      } as any))
+      setStore(store)
+
+      const file = { path: 'a.txt', kind: 'deleted_by_them', hash: null, binary: false, tooLarge: false, hunks: [] }
+      handleMessage(
+        { type: 'git_conflicts_result', operation: 'merge', branch: 'main', files: [file], truncated: false, error: null, requestId: 'git-conflicts-1' } as any,
+        ctx() as any,
+      )
+
+      expect(calls).toHaveLength(1)
+      expect(calls[0].files[0].kind).toBe('deleted_by_them')
+      expect(calls[0].requestId).toBe('git-conflicts-1')
+    })
+
+    it('resolves the conflict callback with an error on an INVALID git_conflict_result', () => {
+      const calls: Array<any> = []
+      store = createMockStore(baseState({
+        _gitConflictCallback: (r: any) => calls.push(r),
+      } as any))
+      setStore(store)
+
+      handleMessage(
+        { type: 'git_conflict_result', action: 'squash', path: null, remaining: 0, staged: false, operation: null, error: null } as any,
+        ctx() as any,
+      )
+
+      expect(calls).toHaveLength(1)
+      expect(calls[0].action).toBeNull()
+      expect(calls[0].error).toBeTruthy()
+    })
+  })
+
   describe('result — cost calculation for Codex/Gemini (cost: null from server)', () => {
     // #4206: the client-side cost fallback is now gated on the session's
     // provider matching CLIENT_ESTIMATED_COST_PROVIDERS. Tests must
@@ -147,9 +147,11 @@ import {
   // (byte-identical wording with the mobile app).
   handleAppendMemoryResult as sharedAppendMemoryResult,
   formatMemoryAppendNotice,
+  formatSessionForkedNotice,
+  tokenScopeFromError,
 } from '@chroxy/store-core'
 import { PROTOCOL_VERSION } from '@chroxy/protocol'
-import { ServerByokCredentialsStatusSchema, ServerCredentialsStatusSchema, ServerCredentialTestResultSchema, ServerActivitySnapshotSchema, ServerActivityDeltaSchema, ServerCancelActivityAckSchema, ServerHostStatusSnapshotSchema, ServerRunnerStatusSnapshotSchema, ServerContainersStatusSnapshotSchema, ServerContainersActionAckSchema, ServerRepoRuntimeConfigSnapshotSchema, ServerByokPoolStatusSnapshotSchema, ServerByokPoolActionAckSchema, ServerHostPruneStatusSnapshotSchema, ServerHostPruneActionAckSchema, ServerSimulatorStatusSnapshotSchema, ServerSimulatorActionAckSchema, ServerEmulatorStatusSnapshotSchema, ServerEmulatorActionAckSchema, ServerWslStatusSnapshotSchema, ServerWslActionAckSchema, ServerIntegrationStatusSnapshotSchema, ServerSkillsInventorySnapshotSchema, ServerMailboxStatusSnapshotSchema, ServerExternalSessionsSnapshotSchema, ServerRepoEventsSnapshotSchema, ServerRepoEventsDeltaSchema, ServerGithubWebhookConfigSchema, ServerPermissionInputSchema, ServerPermissionAuditResultSchema, ServerIntegrationActionAckSchema, ServerSummarizeSessionResultSchema, ServerSessionPresetSnapshotSchema, ServerPairPendingSchema, ServerPairResolvedSchema, ServerBillingCanarySchema, BillingCanarySnapshotSchema, ServerSymbolsSnapshotSchema, ServerSymbolLocationSchema, ServerSearchResultsSchema, ServerReferencesResultSchema, ServerOrchestrationRunsSnapshotSchema, ServerOrchestrationRunSnapshotSchema, ServerOrchestrationRunDeltaSchema, ServerOrchestrationActionAckSchema, ServerGitCreatePrResultSchema, ServerMemoryStackResultSchema, ServerScheduledTasksSchema } from '@chroxy/protocol/schemas'
+import { ServerByokCredentialsStatusSchema, ServerCredentialsStatusSchema, ServerCredentialTestResultSchema, ServerActivitySnapshotSchema, ServerActivityDeltaSchema, ServerCancelActivityAckSchema, ServerHostStatusSnapshotSchema, ServerRunnerStatusSnapshotSchema, ServerContainersStatusSnapshotSchema, ServerContainersActionAckSchema, ServerRepoRuntimeConfigSnapshotSchema, ServerByokPoolStatusSnapshotSchema, ServerByokPoolActionAckSchema, ServerHostPruneStatusSnapshotSchema, ServerHostPruneActionAckSchema, ServerSimulatorStatusSnapshotSchema, ServerSimulatorActionAckSchema, ServerEmulatorStatusSnapshotSchema, ServerEmulatorActionAckSchema, ServerWslStatusSnapshotSchema, ServerWslActionAckSchema, ServerIntegrationStatusSnapshotSchema, ServerSkillsInventorySnapshotSchema, ServerMailboxStatusSnapshotSchema, ServerExternalSessionsSnapshotSchema, ServerRepoEventsSnapshotSchema, ServerRepoEventsDeltaSchema, ServerGithubWebhookConfigSchema, ServerSlackNotificationsConfigSchema, ServerPermissionInputSchema, ServerPermissionAuditResultSchema, ServerIntegrationActionAckSchema, ServerSummarizeSessionResultSchema, ServerSessionForkedSchema, ServerProviderSwitchedSchema, ServerProviderFailoverSchema, ServerSessionPresetSnapshotSchema, ServerPairPendingSchema, ServerPairResolvedSchema, ServerBillingCanarySchema, BillingCanarySnapshotSchema, ServerSymbolsSnapshotSchema, ServerSymbolLocationSchema, ServerSearchResultsSchema, ServerReferencesResultSchema, ServerSymbolHoverSchema, ServerOrchestrationRunsSnapshotSchema, ServerOrchestrationRunSnapshotSchema, ServerOrchestrationRunDeltaSchema, ServerOrchestrationActionAckSchema, ServerGitCreatePrResultSchema, ServerGitLogResultSchema, ServerGitShowResultSchema, ServerGitBlameResultSchema, ServerGitBranchResultSchema, ServerGitConflictsResultSchema, ServerGitConflictResultSchema, ServerMemoryStackResultSchema, ServerScheduledTasksSchema } from '@chroxy/protocol/schemas'
 import { resolveSummarizeRequest, rejectSummarizeRequest } from './summarizeRequests'
 import { settleSchedulerRequest } from './scheduledTaskRequests'
 import {
@@ -177,6 +179,7 @@ import type {
   PendingCommunitySkill,
   PendingEvaluatorClarify,
   PermissionAuditEntry,
+  ProviderFailoverMeta,
   QueuedMessage,
   SessionInfo,
   SessionNotification,
@@ -3144,6 +3147,22 @@ function handleReferencesResult(msg: Record<string, unknown>, _get: MsgGet, set:
   set({ referencesResult: parsed.data, referencesLoading: false });
 }
 
+/**
+ * Language-server hover (#6479, epic #6469) — `symbol_hover`: store the reply
+ * only when it answers the position still in flight (file/line/column echo), so
+ * a slow reply to an earlier shift+click — or one landing after the card was
+ * dismissed — never pops up. Zod-validated; a malformed payload is dropped.
+ * Dashboard-only for v1.
+ */
+function handleSymbolHover(msg: Record<string, unknown>, get: MsgGet, set: MsgSet, _ctx: ConnectionContext): void {
+  const parsed = ServerSymbolHoverSchema.safeParse(msg);
+  if (!parsed.success) return;
+  const pending = get().symbolHoverRequest;
+  const { file, line, column } = parsed.data;
+  if (!pending || pending.file !== file || pending.line !== line || pending.column !== column) return;
+  set({ symbolHover: parsed.data, symbolHoverRequest: null });
+}
+
 /**
  * #6772 — reply to a `query_permission_audit` pull: REPLACE the stored audit
  * history with the returned entries and clear the loading flag. Zod-validated —
@@ -3242,6 +3261,18 @@ function handleGithubWebhookConfig(msg: Record<string, unknown>, _get: MsgGet, s
   set({ githubWebhookConfig: parsed.data, githubWebhookConfigLoading: false });
 }
 
+/**
+ * Slack notification credential config `slack_notifications_config`: REPLACE
+ * the stored config (credential status + sources, delivery mode, deep-link base
+ * — never a secret) and clear the loading flag. Zod-validate-or-drop, like
+ * handleGithubWebhookConfig.
+ */
+function handleSlackNotificationsConfig(msg: Record<string, unknown>, _get: MsgGet, set: MsgSet, _ctx: ConnectionContext): void {
+  const parsed = ServerSlackNotificationsConfigSchema.safeParse(msg);
+  if (!parsed.success) return;
+  set({ slackNotificationsConfig: parsed.data, slackNotificationsConfigLoading: false });
+}
+
 /**
  * #6691 (S-3) — `orchestration_runs_snapshot`: the Runs-tab list survey.
  * REPLACES the held snapshot wholesale (survey posture; delta.run upserts rows
@@ -3962,6 +3993,100 @@ function handleSummarizeSessionResult(msg: Record<string, unknown>): void {
   });
 }
 
+/**
+ * `session_forked` — the reply to a fork_session. The `session_switched` right
+ * behind it re-homes the client; this only tells the user what the fork carried
+ * (the provider's own conversation vs a transcript sent with the first message)
+ * and whether it got its own worktree.
+ */
+function handleSessionForked(msg: Record<string, unknown>, get: MsgGet): void {
+  const parsed = ServerSessionForkedSchema.safeParse(msg);
+  if (!parsed.success) return;
+  get().addInfoNotification(formatSessionForkedNotice(parsed.data));
+}
+
+// What each provider_switched flag means for the user, keyed by flag kind.
+const PROVIDER_SWITCH_FLAG_LABELS: Record<string, (count: number, detail?: string) => string> = {
+  history_truncated: () => 'the oldest turns (no longer in the server history)',
+  unanswered_prompt: () => 'your last message, which got no reply — send it again',
+  tool_as_text: (n, tools) => `${n} call${n === 1 ? '' : 's'} to tools this provider lacks${tools ? ` (${tools})` : ''}, carried as text`,
+  tool_without_result: (n) => `${n} tool call${n === 1 ? '' : 's'} without a recorded result`,
+  tool_result_truncated: (n) => `${n} shortened tool result${n === 1 ? '' : 's'}`,
+  question: (n) => `the answer${n === 1 ? '' : 's'} to ${n} question${n === 1 ? '' : 's'} you were asked`,
+  turns_trimmed: () => 'older turns beyond this provider\'s history limit',
+};
+
+/**
+ * `provider_switched` — the reply to a switch_provider. The `session_switched`
+ * right behind it re-homes the client; this tells the user how the
+ * conversation reached the new provider and flags what didn't make it, as a
+ * warning toast so it isn't missed.
+ */
+function handleProviderSwitched(msg: Record<string, unknown>, get: MsgGet): void {
+  const parsed = ServerProviderSwitchedSchema.safeParse(msg);
+  if (!parsed.success) return;
+  const { name, provider, carry, todos, worktree, flags, truncated } = parsed.data;
+  const carried =
+    carry === 'conversation' ? `conversation rebuilt${todos ? `, ${todos} todo${todos === 1 ? '' : 's'} restored` : ''}`
+      : carry === 'transcript' ? `earlier conversation${truncated ? ' (shortened)' : ''} will be sent with your first message`
+        : 'no earlier conversation to carry';
+  const summary = `Continued "${name}" on ${provider} — ${carried}${worktree ? '; the worktree moved with it' : ''}.`;
+  const missing = flags.map(f => PROVIDER_SWITCH_FLAG_LABELS[f.kind]?.(f.count, f.detail) ?? `${f.count} × ${f.kind}`);
+  if (missing.length === 0) {
+    get().addInfoNotification(summary);
+    return;
+  }
+  get().addServerError(`${summary} Not carried over: ${missing.join('; ')}.`, undefined, 'warning');
+}
+
+/**
+ * `provider_failover` — the server retried a turn that failed with a rate
+ * limit, an overload or a credit cap, moved it to the next provider in the
+ * session's chain, or ran out of providers. The note is attached to the
+ * turn's error bubble (the newest one not yet annotated), which then renders
+ * as a failover chip; if that bubble is gone the note gets a row of its own.
+ * A hop's new provider reaches the session list through the session_list that
+ * follows it.
+ */
+function handleProviderFailover(msg: Record<string, unknown>, get: MsgGet): void {
+  const parsed = ServerProviderFailoverSchema.safeParse(msg);
+  if (!parsed.success) return;
+  const targetId = resolveSessionId(msg, get().activeSessionId);
+  if (!targetId || !get().sessionStates[targetId]) return;
+  const { action, category, provider, model, attempt, delayMs, to, billingClass, carry } = parsed.data;
+  const failover: ProviderFailoverMeta = { action, category, provider, model: model ?? null };
+  if (attempt !== undefined) failover.attempt = attempt;
+  if (delayMs !== undefined) failover.delayMs = delayMs;
+  if (to) failover.to = to;
+  if (billingClass) failover.billingClass = billingClass;
+  if (carry) failover.carry = carry;
+
+  updateSession(targetId, (state) => {
+    let index = -1;
+    for (let i = state.messages.length - 1; i >= 0; i--) {
+      const m = state.messages[i]!;
+      if (m.type === 'user_input') break;
+      if (m.type === 'error' && !m.failover) {
+        index = i;
+        break;
+      }
+    }
+    if (index >= 0) {
+      const messages = state.messages.slice();
+      messages[index] = { ...messages[index]!, failover };
+      return { messages };
+    }
+    const row: ChatMessage = {
+      id: nextMessageId('failover'),
+      type: 'error',
+      content: `The turn failed on ${provider}.`,
+      timestamp: Date.now(),
+      failover,
+    };
+    return { messages: [...state.messages, row] };
+  });
+}
+
 /**
  * #5821 — `billing_canary` broadcast. Validated via the shared schema (drop on
  * mismatch). Stores the snapshot; resets the per-connection dismissal ONLY when
@@ -4073,6 +4198,7 @@ const HANDLERS: Record<string, Handler> = {
   code_search_results: handleSearchResults,
   // #6477 (epic #6469): opt-in IDE find-all-references result.
   references_result: handleReferencesResult,
+  symbol_hover: handleSymbolHover,
   // #5175 (epic #5170): Host/Repo Status Control Room survey snapshot.
   host_status_snapshot: handleHostStatusSnapshot,
   // Mailbox (#5914 follow-up): Control Room "Mailbox" tab survey snapshot.
@@ -4082,6 +4208,7 @@ const HANDLERS: Record<string, Handler> = {
   // #5966 (epic #5422 phase 5): Control Room repo-events survey snapshot.
   repo_events_snapshot: handleRepoEventsSnapshot,
   github_webhook_config: handleGithubWebhookConfig,
+  slack_notifications_config: handleSlackNotificationsConfig,
   // #6536 (PR-2 of #5966): live repo-events delta appended to the pane.
   repo_events_delta: handleRepoEventsDelta,
   // #6691 (S-3): orchestration Runs tab (dashboard-only v1) — list survey,
@@ -4138,6 +4265,11 @@ const HANDLERS: Record<string, Handler> = {
   // #5547: one-shot session-summary result; resolves the pending summarize
   // promise so the create-session flow can open with the brief seeded.
   summarize_session_result: handleSummarizeSessionResult,
+  // fork_session reply — an info notice; session_switched does the re-home.
+  session_forked: handleSessionForked,
+  // switch_provider reply — info / warning toast; session_switched does the re-home.
+  provider_switched: handleProviderSwitched,
+  provider_failover: handleProviderFailover,
 };
 
 // ---------------------------------------------------------------------------
@@ -4335,6 +4467,7 @@ export function handleMessage(raw: unknown, ctxOverride?: ConnectionContext): vo
         // #6999: a fresh auth may present a different (possibly primary)
         // token — don't carry a stale "forbidden" verdict across reconnects.
         mcpConfigForbiddenNonPrimary: false,
+        tokenScope: auth.tokenScope,
       };
       if (ctx.isReconnect) {
         set(connectedState);
@@ -5766,6 +5899,111 @@ export function handleMessage(raw: unknown, ctxOverride?: ConnectionContext): vo
       break;
     }
 
+    // Git history reads + branch mutations. Not in the store-core shared
+    // dispatch (the app validates them in its own switch the same way), so
+    // each payload is schema-validated like
+    // git_create_pr_result above. The read callbacks are durable (installed by
+    // GitHistoryView), so a malformed read reply is dropped with a warning;
+    // the branch one-shot still resolves with an error so the Branches tab's
+    // busy flag clears.
+    case 'git_log_result': {
+      const gitLogCb = get()._gitLogCallback;
+      if (gitLogCb) {
+        const parsed = ServerGitLogResultSchema.safeParse(msg);
+        if (!parsed.success) {
+          // eslint-disable-next-line no-console
+          console.warn('git_log_result: invalid payload from server', parsed.error.issues);
+          break;
+        }
+        gitLogCb(parsed.data);
+      }
+      break;
+    }
+
+    case 'git_show_result': {
+      const gitShowCb = get()._gitShowCallback;
+      if (gitShowCb) {
+        const parsed = ServerGitShowResultSchema.safeParse(msg);
+        if (!parsed.success) {
+          // eslint-disable-next-line no-console
+          console.warn('git_show_result: invalid payload from server', parsed.error.issues);
+          break;
+        }
+        gitShowCb(parsed.data);
+      }
+      break;
+    }
+
+    case 'git_blame_result': {
+      const gitBlameCb = get()._gitBlameCallback;
+      if (gitBlameCb) {
+        const parsed = ServerGitBlameResultSchema.safeParse(msg);
+        if (!parsed.success) {
+          // eslint-disable-next-line no-console
+          console.warn('git_blame_result: invalid payload from server', parsed.error.issues);
+          break;
+        }
+        gitBlameCb(parsed.data);
+      }
+      break;
+    }
+
+    case 'git_branch_result': {
+      const gitBranchCb = get()._gitBranchCallback;
+      if (gitBranchCb) {
+        const parsed = ServerGitBranchResultSchema.safeParse(msg);
+        if (!parsed.success) {
+          // eslint-disable-next-line no-console
+          console.warn('git_branch_result: invalid payload from server', parsed.error.issues);
+          gitBranchCb({
+            action: null,
+            branch: null,
+            currentBranch: null,
+            error: 'Received a malformed branch response from the server',
+          });
+          break;
+        }
+        gitBranchCb(parsed.data);
+      }
+      break;
+    }
+
+    case 'git_conflicts_result': {
+      const gitConflictsCb = get()._gitConflictsCallback;
+      if (gitConflictsCb) {
+        const parsed = ServerGitConflictsResultSchema.safeParse(msg);
+        if (!parsed.success) {
+          // eslint-disable-next-line no-console
+          console.warn('git_conflicts_result: invalid payload from server', parsed.error.issues);
+          break;
+        }
+        gitConflictsCb(parsed.data);
+      }
+      break;
+    }
+
+    case 'git_conflict_result': {
+      const gitConflictCb = get()._gitConflictCallback;
+      if (gitConflictCb) {
+        const parsed = ServerGitConflictResultSchema.safeParse(msg);
+        if (!parsed.success) {
+          // eslint-disable-next-line no-console
+          console.warn('git_conflict_result: invalid payload from server', parsed.error.issues);
+          gitConflictCb({
+            action: null,
+            path: null,
+            remaining: 0,
+            staged: false,
+            operation: null,
+            error: 'Received a malformed conflict response from the server',
+          });
+          break;
+        }
+        gitConflictCb(parsed.data);
+      }
+      break;
+    }
+
     // slash_commands / agent_list / provider_list — migrated to the shared
     // dispatch table (#5618 Batch 2; handled by runDispatch before this switch).
     // The dashboard has no secondary conversation store and trusts the server
@@ -6099,6 +6337,12 @@ export function handleMessage(raw: unknown, ctxOverride?: ConnectionContext): vo
       if (errCode === 'MCP_CONFIG_FORBIDDEN_NON_PRIMARY_CLIENT') {
         set({ mcpConfigForbiddenNonPrimary: true });
       }
+      // A refusal names the connection's current scope — the only signal of a
+      // live re-scope from the Paired Devices panel (there is no new auth_ok).
+      const refusedScope = tokenScopeFromError(msg);
+      if (refusedScope) {
+        set({ tokenScope: refusedScope });
+      }
       // #6871 review round 2 (BLOCKING 2): there is deliberately NO scheduler
       // handling of INVALID_MESSAGE here.
       //
@@ -1857,6 +1857,52 @@ describe('sendPermissionResponse clears pending-permission count (#6222)', () =>
 // ---------------------------------------------------------------------------
 // Resolved-permission persistence + Allow for Session (#2833, #2834)
 // ---------------------------------------------------------------------------
+describe('prompt answers under a device-token scope', () => {
+  afterEach(async () => {
+    const { useConnectionStore } = await import('./connection');
+    useConnectionStore.setState({ sessions: [], activeSessionId: null, sessionStates: {}, socket: null, tokenScope: 'full' });
+  });
+
+  it('an observe device sends nothing and leaves the prompt unanswered', async () => {
+    const { useConnectionStore } = await import('./connection');
+    const send = vi.fn();
+    useConnectionStore.setState({
+      activeSessionId: 's1',
+      sessionStates: {
+        s1: {
+          ...createEmptySessionState(),
+          messages: [{ id: 'm1', type: 'prompt', content: 'Allow?', timestamp: 1, requestId: 'req-a' }],
+        },
+      },
+      socket: { readyState: 1, send } as unknown as WebSocket,
+      tokenScope: 'observe',
+    });
+
+    expect(useConnectionStore.getState().sendPermissionResponse('req-a', 'allow')).toBe(false);
+    expect(useConnectionStore.getState().sendUserQuestionResponse('yes')).toBe(false);
+    expect(send).not.toHaveBeenCalled();
+    expect(useConnectionStore.getState().sessionStates.s1!.messages[0]!.answered).toBeUndefined();
+  });
+
+  it('an approve device can still answer', async () => {
+    const { useConnectionStore } = await import('./connection');
+    useConnectionStore.setState({
+      activeSessionId: 's1',
+      sessionStates: {
+        s1: {
+          ...createEmptySessionState(),
+          messages: [{ id: 'm1', type: 'prompt', content: 'Allow?', timestamp: 1, requestId: 'req-a' }],
+        },
+      },
+      socket: { readyState: 1, send: () => {} } as unknown as WebSocket,
+      tokenScope: 'approve',
+    });
+
+    expect(useConnectionStore.getState().sendPermissionResponse('req-a', 'allow')).toBe('sent');
+    expect(useConnectionStore.getState().sessionStates.s1!.messages[0]!.answered).toBe('allow');
+  });
+});
+
 describe('resolvedPermissions + Allow for Session (#2833, #2834)', () => {
   beforeEach(async () => {
     const { useConnectionStore } = await import('./connection');
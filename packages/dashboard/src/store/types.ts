@@ -16,8 +16,9 @@ import type { PermissionMode } from '@chroxy/store-core'
 // #5175: Host/Repo Status Control Room snapshot type (epic #5170). The store
 // holds the latest `host_status_snapshot` so the Control Room section can render
 // the fleet table; the type is the protocol contract pinned in @chroxy/protocol.
-import type { ServerHostStatusSnapshotMessage, ServerRunnerStatusSnapshotMessage, ServerContainersStatusSnapshotMessage, ServerRepoRuntimeConfigSnapshotMessage, ServerByokPoolStatusSnapshotMessage, ServerHostPruneStatusSnapshotMessage, ServerSimulatorStatusSnapshotMessage, ServerEmulatorStatusSnapshotMessage, ServerWslStatusSnapshotMessage, ServerIntegrationStatusSnapshotMessage, ServerSkillsInventorySnapshotMessage, ServerMailboxStatusSnapshotMessage, ServerExternalSessionsSnapshotMessage, ServerRepoEventsSnapshotMessage, ServerGithubWebhookConfigMessage, ServerPermissionInputMessage, ServerSymbolsSnapshotMessage, ServerSearchResultsMessage, ServerReferencesResultMessage, IntegrationActionCounts, ServerPairPendingMessage, ServerSessionPresetFull, Attachment, ServerOrchestrationRunsSnapshot, ServerScheduledTasksMessage, ScheduledTaskInput, CodexSandboxMode } from '@chroxy/protocol'
+import type { ServerHostStatusSnapshotMessage, ServerRunnerStatusSnapshotMessage, ServerContainersStatusSnapshotMessage, ServerRepoRuntimeConfigSnapshotMessage, ServerByokPoolStatusSnapshotMessage, ServerHostPruneStatusSnapshotMessage, ServerSimulatorStatusSnapshotMessage, ServerEmulatorStatusSnapshotMessage, ServerWslStatusSnapshotMessage, ServerIntegrationStatusSnapshotMessage, ServerSkillsInventorySnapshotMessage, ServerMailboxStatusSnapshotMessage, ServerExternalSessionsSnapshotMessage, ServerRepoEventsSnapshotMessage, ServerGithubWebhookConfigMessage, ServerSlackNotificationsConfigMessage, ServerPermissionInputMessage, ServerSymbolsSnapshotMessage, ServerSearchResultsMessage, ServerReferencesResultMessage, ServerSymbolHoverMessage, IntegrationActionCounts, ServerPairPendingMessage, ServerSessionPresetFull, Attachment, ServerOrchestrationRunsSnapshot, ServerScheduledTasksMessage, ScheduledTaskInput, CodexSandboxMode, EgressSpec } from '@chroxy/protocol'
 import type { HeldRunDetail } from '@chroxy/store-core'
+import type { TokenScope } from '@chroxy/store-core'
 // #5184: header cost-badge display mode. Defined in a plain lib module
 // (which owns the union + runtime guard) — the store only needs the type
 // for its state slot, and avoids importing a `.tsx` component here.
@@ -38,6 +39,11 @@ export type {
   // #6845: re-export the MCP-prompt expansion marker metadata so the
   // McpPromptExpansionMarker component can type-check its props the same way.
   McpPromptExpansionMeta,
+  // Re-export the egress block marker metadata for EgressBlockedMarker.
+  EgressBlockedMeta,
+  // Re-export the provider failover note so ProviderFailoverChip can
+  // type-check its props the same way.
+  ProviderFailoverMeta,
   SavedConnection,
   ContextUsage,
   // #6769: occupancy snapshot type (the context meter's only honest input).
@@ -59,6 +65,8 @@ export type {
   WebFeatureStatus,
   ConversationSummary,
   SearchResult,
+  ConversationSearchFilters,
+  ConversationSearchRole,
   SlashCommand,
   CustomAgent,
   ConnectionPhase,
@@ -87,6 +95,23 @@ export type {
   // #6780 — re-export GitBranch from store-core for the dashboard git panel's
   // branch listing (mirrors the app's GitBranchesResult.branches shape).
   GitBranch,
+  // Merge-conflict resolution — shared with the app's GitView Conflicts tab.
+  GitConflictOperation,
+  GitConflictKind,
+  GitConflictHunk,
+  GitConflictFile,
+  GitConflictsResult,
+  GitConflictChoice,
+  GitConflictResolution,
+  GitConflictResult,
+  // Commit history / blame / branch management — shared with the app's GitView.
+  GitLogCommit,
+  GitLogResult,
+  GitShowResult,
+  GitBlameHunk,
+  GitBlameResult,
+  GitBranchAction,
+  GitBranchResult,
   // #5163 (epic #5159): Control Room activity state. The reducer + selector
   // live in store-core (#5162); the dashboard holds one `ActivityState` on
   // the connection store and the Control Room panel renders it via
@@ -115,9 +140,17 @@ import type {
   ModelInfo,
   GitFileStatus,
   GitBranch,
+  GitConflictsResult,
+  GitConflictResolution,
+  GitConflictResult,
+  GitLogResult,
+  GitShowResult,
+  GitBlameResult,
+  GitBranchResult,
   PendingPermissionConfirm,
   SavedConnection,
   SearchResult,
+  ConversationSearchFilters,
   ServerError,
   ServerErrorAction,
   SessionInfo,
@@ -176,6 +209,9 @@ export interface ProviderCapabilities {
   // this with a visual badge + container settings knobs (image / memory /
   // cpu / containerUser) in the New Session modal's advanced section.
   containerized?: boolean;
+  // True when the provider spawns a local CLI that `sandbox: 'bwrap'` can
+  // confine under bubblewrap (claude-cli, claude-tui, codex, gemini; Linux hosts).
+  bwrapSandbox?: boolean;
   // #5791 — claude-tui only: true when the daemon will reinject a single
   // multi-select AskUserQuestion answer (CHROXY_TUI_MULTISELECT_REINJECT).
   // Gates the multi-select checkbox affordance so the client doesn't offer a
@@ -452,6 +488,13 @@ export interface PermissionAuditEntry {
   projectKey?: string | null;
   count?: number;
   firstAt?: number;
+  // Journaled entries: the actor's token class and device name, and the
+  // hash-chain position (absent when served from the in-memory ring).
+  tokenClass?: string | null;
+  device?: string | null;
+  seq?: number;
+  prev?: string;
+  hash?: string;
 }
 
 /**
@@ -1318,6 +1361,14 @@ export interface ConnectionState {
   githubWebhookConfig: ServerGithubWebhookConfigMessage | null;
   /** #6540 — true between dispatching a webhook-config request/write and its reply. */
   githubWebhookConfigLoading: boolean;
+  /**
+   * Slack notification credential config: the latest `slack_notifications_config`
+   * (which credentials are set + source, delivery mode, deep-link base — never a
+   * token or webhook URL), or null before the first one lands.
+   */
+  slackNotificationsConfig: ServerSlackNotificationsConfigMessage | null;
+  /** True between dispatching a Slack config request/write and its reply. */
+  slackNotificationsConfigLoading: boolean;
   /**
    * #6691 (S-3) — the orchestration runs-list snapshot (wire shape, replaced
    * wholesale per survey; delta.run upserts rows between surveys), or null
@@ -1501,6 +1552,13 @@ export interface ConnectionState {
   // first refusal rather than re-attempting a write that will keep failing.
   mcpConfigForbiddenNonPrimary: boolean;
 
+  // This connection's device-token scope (auth_ok.tokenScope; absent = full).
+  // An `observe` device gets no composer, an `approve` one answers prompts but
+  // cannot type — the server would refuse both with TOKEN_SCOPE_FORBIDDEN. A
+  // live re-scope from the Paired Devices panel sends no new auth_ok, so the
+  // scope on a refusal replaces this one. Reset to `full` on disconnect.
+  tokenScope: TokenScope;
+
   // Server startup phase (from server_status events)
   // #2836: 'tunnel_warming' is the current name for the DNS-propagation
   // window; 'tunnel_verifying' is retained as a legacy alias that
@@ -1582,6 +1640,11 @@ export interface ConnectionState {
   referencesSymbol: string;
   referencesOpen: boolean;
   referencesLoading: boolean;
+  // #6479 — language-server hover (shift+click a token). `symbolHoverRequest` is
+  // the position in flight (null when none); a reply for any other position is
+  // stale and dropped. `symbolHover` is the latest matching `symbol_hover` reply.
+  symbolHover: ServerSymbolHoverMessage | null;
+  symbolHoverRequest: { file: string; line: number; column: number } | null;
   // #6772 — permission audit history (query_permission_audit reply). `permissionAudit`
   // holds the entries from the latest pull (null until the first query this session);
   // `permissionAuditLoading` is true between dispatching the query and its reply.
@@ -1638,6 +1701,16 @@ export interface ConnectionState {
   _gitCommitCallback: ((result: GitCommitResult) => void) | null;
   // #6876 — in-app PR creation callback (git_create_pr_result). Dashboard-only.
   _gitCreatePrCallback: ((result: GitCreatePrResult) => void) | null;
+  // Git history / blame reads (durable, installed by GitHistoryView) and the
+  // branch create/checkout/delete one-shot.
+  _gitLogCallback: ((result: GitLogResult) => void) | null;
+  _gitShowCallback: ((result: GitShowResult) => void) | null;
+  _gitBlameCallback: ((result: GitBlameResult) => void) | null;
+  _gitBranchCallback: ((result: GitBranchResult) => void) | null;
+  // Merge-conflict read (durable, installed by GitConflictsView) and the
+  // resolve / continue / abort one-shot.
+  _gitConflictsCallback: ((result: GitConflictsResult) => void) | null;
+  _gitConflictCallback: ((result: GitConflictResult) => void) | null;
 
   // Diff viewer callback
   _diffCallback: ((result: DiffResult) => void) | null;
@@ -1899,13 +1972,20 @@ export interface ConnectionState {
   // #6475 — resolve a clicked symbol NAME to its definition (go-to-definition).
   // `file` is the originating file (a ranking tie-break hint). The reply lands in
   // `symbolLocation`; FileBrowserPanel reacts to jump there or show 'not found'.
-  requestResolveSymbol: (symbol: string, file?: string) => void;
+  // #6479 — `position` (1-indexed, the clicked token in `file`) lets a configured
+  // language server answer precisely.
+  requestResolveSymbol: (symbol: string, file?: string, position?: { line: number; column: number }) => void;
   // #6474 — find-in-project: grep the workspace for `query` (2+ chars). Sets
   // codeSearchLoading; the reply lands in `codeSearchResults` (Cmd+Shift+F palette).
   requestSearchContent: (query: string) => void;
   // #6477 — find-all-references for a clicked symbol. Opens the references palette
   // (referencesOpen) + sets referencesLoading; the reply lands in referencesResult.
-  requestFindReferences: (symbol: string, file?: string) => void;
+  // `position` as for requestResolveSymbol (#6479).
+  requestFindReferences: (symbol: string, file?: string, position?: { line: number; column: number }) => void;
+  // #6479 — language-server hover + diagnostics at a position in `file`. The reply
+  // lands in `symbolHover`; dismissSymbolHover clears it (and any request in flight).
+  requestHoverSymbol: (file: string, line: number, column: number) => void;
+  dismissSymbolHover: () => void;
 
   // #6867 (epic #6760) — request the effective merged CLAUDE.md memory stack
   // for the dashboard memory panel. Sets memoryStackLoading; the reply lands
@@ -1937,6 +2017,37 @@ export interface ConnectionState {
   // socket is closed (same not-connected guard as stage/commit/unstage).
   setGitCreatePrCallback: (cb: ((result: GitCreatePrResult) => void) | null) => void;
   requestGitCreatePr: (params: { title: string; body?: string; base?: string; draft?: boolean }) => boolean;
+  // Git history reads. Each request returns the requestId it stamped (null when
+  // the socket is closed) so the view can drop a reply a later request
+  // superseded — the echoed nonce is the correlation, not the path/hash.
+  setGitLogCallback: (cb: ((result: GitLogResult) => void) | null) => void;
+  requestGitLog: (params?: { skip?: number; limit?: number; path?: string }) => string | null;
+  setGitShowCallback: (cb: ((result: GitShowResult) => void) | null) => void;
+  requestGitShow: (hash: string) => string | null;
+  setGitBlameCallback: (cb: ((result: GitBlameResult) => void) | null) => void;
+  requestGitBlame: (path: string, rev?: string) => string | null;
+  // Branch mutations share one git_branch_result one-shot (same timeout +
+  // disconnect fast-reject as stage/commit). Each returns false when the
+  // socket is closed.
+  setGitBranchCallback: (cb: ((result: GitBranchResult) => void) | null) => void;
+  requestGitBranchCreate: (params: { name: string; startPoint?: string; checkout?: boolean }) => boolean;
+  requestGitCheckout: (branch: string) => boolean;
+  requestGitBranchDelete: (params: { name: string; force?: boolean }) => boolean;
+  // Merge-conflict resolution. The read returns its requestId (null when the
+  // socket is closed); the mutations share one git_conflict_result one-shot and
+  // return false when the socket is closed. A resolve sends either `take` (a
+  // whole side) or `hash` + `resolutions` (per hunk).
+  setGitConflictsCallback: (cb: ((result: GitConflictsResult) => void) | null) => void;
+  requestGitConflicts: () => string | null;
+  setGitConflictCallback: (cb: ((result: GitConflictResult) => void) | null) => void;
+  requestGitConflictResolve: (params: {
+    path: string;
+    hash?: string | null;
+    resolutions?: GitConflictResolution[];
+    take?: 'ours' | 'theirs';
+  }) => boolean;
+  requestGitConflictContinue: () => boolean;
+  requestGitConflictAbort: () => boolean;
 
   // Diff viewer
   setDiffCallback: (cb: ((result: DiffResult) => void) | null) => void;
@@ -1955,7 +2066,7 @@ export interface ConnectionState {
    * `false` means the socket was closed and nothing was sent, so the caller
    * must skip latching its "Creating…" spinner (no reply will arrive to clear it).
    */
-  createSession: (opts: { name: string; cwd?: string; provider?: string; model?: string; permissionMode?: string; worktree?: boolean; environmentId?: string; skipPermissions?: boolean; codexSandbox?: CodexSandboxMode }) => boolean;
+  createSession: (opts: { name: string; cwd?: string; provider?: string; model?: string; permissionMode?: string; worktree?: boolean; environmentId?: string; skipPermissions?: boolean; codexSandbox?: CodexSandboxMode; egress?: EgressSpec }) => boolean;
   destroySession: (sessionId: string, force?: boolean) => void;
   /** #6006 — operator panic button: request an immediate token revoke (primary-token only). */
   revokeToken: () => void;
@@ -1988,7 +2099,9 @@ export interface ConnectionState {
   closeTranscriptViewer: () => void;
 
   // Cross-session search
-  searchConversations: (query: string) => void;
+  // `filters` narrows the indexed search (repo / provider / role / date
+  // range); omitted when the user has none set.
+  searchConversations: (query: string, filters?: ConversationSearchFilters) => void;
   clearSearchResults: () => void;
 
   // Full history sync (session portability)
@@ -2003,6 +2116,14 @@ export interface ConnectionState {
   restoreCheckpoint: (checkpointId: string, mode?: RestoreCheckpointMode) => void;
   deleteCheckpoint: (checkpointId: string) => void;
 
+  // Fork the active session from a message into a new session + worktree.
+  // The server replies session_forked, then session_switched re-homes us.
+  forkSession: (messageId: string, opts?: { provider?: string; model?: string; name?: string }) => void;
+
+  // Continue a session's conversation on another provider in a new session.
+  // The server replies provider_switched, then session_switched re-homes us.
+  switchProvider: (sessionId: string, provider: string, opts?: { model?: string; name?: string }) => void;
+
   // Plan mode actions
   clearPlanState: () => void;
 
@@ -2157,6 +2278,19 @@ export interface ConnectionState {
   setGithubWebhookSecret: (secret: string) => boolean;
   /** #6540 — clear the stored GitHub webhook secret. Host-authority gated. */
   clearGithubWebhookSecret: () => boolean;
+  /**
+   * Request the Slack notification config. Sets `slackNotificationsConfigLoading`;
+   * the reply lands in `slackNotificationsConfig`. Returns false (without setting
+   * loading) when the socket is closed.
+   */
+  requestSlackNotificationsConfig: () => boolean;
+  /**
+   * Set any subset of the Slack credentials (webhook URL, bot token, channel).
+   * Host-authority gated server-side; values are never stored in the dashboard.
+   */
+  setSlackNotificationsCredentials: (creds: { webhookUrl?: string; botToken?: string; channel?: string }) => boolean;
+  /** Clear stored Slack credentials — all, or only `fields`. Host-authority gated. */
+  clearSlackNotificationsCredentials: (fields?: Array<'webhookUrl' | 'botToken' | 'channel'>) => boolean;
   /** #6691 (S-3) — request the orchestration runs-list snapshot for the Runs tab. */
   requestOrchestrationRuns: () => boolean;
   /** #6691 — request one run's full detail snapshot (also the seq-gap resync path). */
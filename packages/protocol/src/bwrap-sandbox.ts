@@ -0,0 +1,24 @@
+/**
+ * @chroxy/protocol/bwrap-sandbox — shared bubblewrap sandbox constants.
+ *
+ * Single source of truth for the `home` modes of the `sandbox: 'bwrap'`
+ * session option, so the wire contract (`create_session.sandbox`, see
+ * `./schemas/client.ts`) and the server (`packages/server/src/bwrap-sandbox.js`
+ * re-exports these) agree on one list — the same pattern as `./egress.ts`.
+ *
+ * Zod-free (plain consts) so the client schema can `z.enum(BWRAP_HOME_MODES)`
+ * without a circular import.
+ */
+
+/**
+ * What a bwrap-sandboxed session sees of `$HOME` outside the project dir and
+ * the provider's own state dir.
+ *
+ *   - `read-only` — the real home, read-only (the default).
+ *   - `hidden`    — an empty tmpfs.
+ *
+ * Credential stores (`~/.ssh`, `~/.aws`, …) are masked in both modes.
+ */
+export const BWRAP_HOME_MODES = ['read-only', 'hidden'] as const
+
+export type BwrapHomeMode = (typeof BWRAP_HOME_MODES)[number]
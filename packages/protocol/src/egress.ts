@@ -0,0 +1,72 @@
+/**
+ * @chroxy/protocol/egress — shared network egress policy constants.
+ *
+ * Single source of truth for the outbound-network policies a Docker-isolated
+ * session or environment can run under, so the wire contract (`create_session`
+ * and `create_environment`'s `egress`, see `./schemas/client.ts`), the server
+ * (`packages/server/src/egress/egress-policy.js` re-exports these) and the
+ * dashboard's selectors agree on exactly one list — the same single-source
+ * pattern as `./codex.ts`.
+ *
+ * Zod-free (plain consts) so the client schema can `z.enum(EGRESS_POLICIES)`
+ * without a circular import.
+ */
+
+/**
+ * The egress policies, from most to least permissive.
+ *
+ *   - `open`       — no filtering; the container reaches anything the host can
+ *                    (the behaviour before egress policies existed, and the
+ *                    default).
+ *   - `registries` — package registries only (npm, PyPI, crates.io, the Go
+ *                    module proxy, RubyGems, Maven Central and the Debian,
+ *                    Ubuntu and Alpine mirrors), plus any extra `domains`.
+ *   - `allowlist`  — only the listed `domains`.
+ *   - `none`       — nothing beyond what the provider itself needs to work.
+ */
+export const EGRESS_POLICIES = [
+  'open',
+  'registries',
+  'allowlist',
+  'none',
+] as const
+
+export type EgressPolicy = (typeof EGRESS_POLICIES)[number]
+
+/** Policy applied when neither the request, devcontainer.json nor config sets one. */
+export const EGRESS_DEFAULT_POLICY: EgressPolicy = 'open'
+
+/** Cap on the custom domain list, so a policy stays reviewable. */
+export const EGRESS_MAX_DOMAINS = 100
+
+/**
+ * UI-facing metadata for the egress selector: a short label and a one-line
+ * description per policy. Kept next to the canonical list so a new policy
+ * can't be added without a label.
+ */
+export const EGRESS_POLICY_META: ReadonlyArray<{
+  readonly id: EgressPolicy
+  readonly label: string
+  readonly description: string
+}> = [
+  {
+    id: 'open',
+    label: 'Open',
+    description: 'No filtering. The container can reach any host.',
+  },
+  {
+    id: 'registries',
+    label: 'Package registries',
+    description: 'npm, PyPI, crates.io, Go, RubyGems, Maven and OS package mirrors, plus any domains you list.',
+  },
+  {
+    id: 'allowlist',
+    label: 'Custom allowlist',
+    description: 'Only the domains you list. Use *.example.com for subdomains and host:port for a non-web port.',
+  },
+  {
+    id: 'none',
+    label: 'No network',
+    description: 'Blocks everything except what the provider itself needs (the Anthropic API for docker-cli and docker-sdk).',
+  },
+] as const
@@ -7,7 +7,10 @@
  *
  * The server also classifies errors elsewhere; this module is the
  * authoritative *client-side* taxonomy used to decide whether to surface a
- * usage-limit alert (`Alert.alert('Usage Limit', ...)`).
+ * usage-limit alert (`Alert.alert('Usage Limit', ...)`). The server's
+ * automatic provider failover classifies turn errors with
+ * {@link classifyProviderError} below, so both sides agree on what counts as
+ * a rate limit.
  */
 
 /**
@@ -41,3 +44,49 @@ export function isRateLimitMessage(content: unknown): boolean {
   }
   return false
 }
+
+/**
+ * Why a provider turn failed, for the server's automatic failover
+ * (provider-failover.js): `rate_limit` (429 / too many requests) and
+ * `overloaded` (529 / 503) are transient and worth retrying on the same
+ * provider; `credit_cap` (out of credit, usage or quota cap) won't lift by
+ * waiting, so the turn moves straight to the next provider.
+ */
+export type ProviderErrorCategory = 'rate_limit' | 'overloaded' | 'credit_cap'
+
+// A per-window quota ("requests per minute") refills by itself — a rate limit,
+// not a cap, even though providers word it as a quota.
+const WINDOWED_QUOTA_PATTERN = /per (second|minute|hour)\b/
+const CREDIT_CAP_PATTERN = /credit balance|insufficient (credit|funds|balance|quota)|usage limit|spend(ing)? limit|quota|payment required/
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|\b429\b/
+const OVERLOADED_PATTERN = /overloaded|\b529\b|\b503\b|service unavailable|temporarily unavailable/
+
+/**
+ * Classify a provider error as one of the {@link ProviderErrorCategory}
+ * kinds, or null for anything else (including user aborts). Accepts the
+ * error text or an error-event payload; an HTTP status (`status`, or a BYOK
+ * `code` like `HTTP_429`) decides when the text doesn't.
+ */
+export function classifyProviderError(error: unknown): ProviderErrorCategory | null {
+  if (typeof error === 'string') return classifyErrorText(error)
+  if (!error || typeof error !== 'object') return null
+  const { message, code, status } = error as { message?: unknown; code?: unknown; status?: unknown }
+  const fromText = typeof message === 'string' ? classifyErrorText(message) : null
+  if (fromText) return fromText
+  const httpStatus = typeof status === 'number'
+    ? status
+    : typeof code === 'string' && /^HTTP_\d{3}$/.test(code) ? Number(code.slice(5)) : null
+  if (httpStatus === 429) return 'rate_limit'
+  if (httpStatus === 529 || httpStatus === 503) return 'overloaded'
+  if (httpStatus === 402) return 'credit_cap'
+  return null
+}
+
+function classifyErrorText(text: string): ProviderErrorCategory | null {
+  const lower = text.toLowerCase()
+  if (WINDOWED_QUOTA_PATTERN.test(lower)) return 'rate_limit'
+  if (CREDIT_CAP_PATTERN.test(lower)) return 'credit_cap'
+  if (RATE_LIMIT_PATTERN.test(lower)) return 'rate_limit'
+  if (OVERLOADED_PATTERN.test(lower)) return 'overloaded'
+  return null
+}
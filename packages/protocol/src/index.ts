@@ -77,6 +77,23 @@ export const CLAUDE_TUI_PTY_SIZE = Object.freeze({ cols: 120, rows: 30 })
 // `z.enum(CODEX_SANDBOX_MODES)` without a circular import through this entry.
 export * from './codex.ts'
 
+// Network egress policies for Docker-isolated sessions and environments (open /
+// registries / allowlist / none) — shared by the `create_session` and
+// `create_environment` schemas, the server and the dashboard's selectors.
+export * from './egress.ts'
+
+// The `home` modes of the bubblewrap session sandbox (`sandbox: 'bwrap'`) —
+// shared by the `create_session` schema and the server.
+export * from './bwrap-sandbox.ts'
+
+// Device-token scopes (observe / approve / full) — single-sourced for the wire
+// schemas (`auth_ok.tokenScope`, `pair_approve.scope`), the server and clients.
+export * from './token-scopes.ts'
+
+// Session transcript export formats (markdown / html / jsonl) — shared by the
+// `export_session` schema, the server renderers and the CLI.
+export * from './session-export.ts'
+
 // Re-export schemas for convenience (also available via '@chroxy/protocol/schemas')
 export * from './schemas/index.ts'
 
@@ -15,6 +15,10 @@
  */
 import { z } from 'zod'
 import { CODEX_SANDBOX_MODES } from '../codex.ts'
+import { EGRESS_POLICIES, EGRESS_MAX_DOMAINS } from '../egress.ts'
+import { BWRAP_HOME_MODES } from '../bwrap-sandbox.ts'
+import { TOKEN_SCOPES } from '../token-scopes.ts'
+import { SESSION_EXPORT_FORMATS } from '../session-export.ts'
 
 // -- Attachment schema (reusable) --
 const BinaryAttachmentSchema = z.object({
@@ -131,6 +135,8 @@ export const PairRequestSchema = z.object({
 export const PairApproveSchema = z.object({
   type: z.literal('pair_approve'),
   requestId: z.string().min(1).max(128),
+  // Scope of the token minted for the new device. Omitted → `full`.
+  scope: z.enum(TOKEN_SCOPES).optional(),
 }).passthrough()
 
 export const PairDenySchema = z.object({
@@ -456,7 +462,22 @@ export const ScheduledTaskInputSchema = z.object({
         everyMs: z.number().finite().positive(),
         anchor: z.number().finite().optional(),
       }),
-      z.object({ kind: z.literal('cron'), expression: z.string().min(1).max(256) }),
+      z.object({
+        kind: z.literal('cron'),
+        expression: z.string().min(1).max(256),
+        // IANA zone (e.g. 'Europe/Berlin'); absent = the daemon's local time.
+        // Validity is the store's call — Intl on the daemon is the authority.
+        timezone: z.string().max(64).optional(),
+      }),
+      // Fires on a matching GitHub webhook delivery; the prompt may reference
+      // `{{event.title}}` etc. Which kinds / filters are legal is the store's call.
+      z.object({
+        kind: z.literal('event'),
+        event: z.string().min(1).max(64),
+        repo: z.string().max(256).optional(),
+        action: z.string().max(64).optional(),
+        branch: z.string().max(256).optional(),
+      }),
     ])
     .optional(),
   target: z
@@ -467,6 +488,21 @@ export const ScheduledTaskInputSchema = z.object({
       permissionMode: z.string().max(64).optional(),
     })
     .optional(),
+  catchUp: z
+    .object({
+      policy: z.enum(['skip', 'once', 'all']),
+      maxRuns: z.number().int().positive().max(50).optional(),
+    })
+    .optional(),
+  notify: z.enum(['never', 'on-failure', 'on-change', 'always']).optional(),
+  // Run a `.chroxy/workflows/<name>` pipeline instead of a prompt (null clears).
+  workflow: z
+    .object({
+      name: z.string().min(1).max(64),
+      inputs: z.record(z.string().max(64), z.string().max(8192)).optional(),
+    })
+    .nullable()
+    .optional(),
 })
 
 // Mutate the registry. ONE message for all five verbs so the authority gate has
@@ -630,11 +666,27 @@ export const GetPermissionInputSchema = z.object({
   requestId: z.string().min(1).max(256),
 })
 
+// `auditType` covers every kind the server's audit journal records — permission
+// events plus the control events (token issue / revoke / re-scope, user-shell
+// create / destroy, credential changes, retention prunes). `device` filters on
+// the acting device's name.
 export const QueryPermissionAuditSchema = z.object({
   type: z.literal('query_permission_audit'),
   sessionId: z.string().max(256).optional(),
-  auditType: z.enum(['mode_change', 'decision']).optional(),
+  auditType: z.enum([
+    'mode_change',
+    'whitelist_change',
+    'decision',
+    'token_issue',
+    'token_revoke',
+    'token_scope_change',
+    'shell_create',
+    'shell_destroy',
+    'credential_change',
+    'retention_prune',
+  ]).optional(),
   since: z.number().optional(),
+  device: z.string().max(256).optional(),
   limit: z.number().int().min(1).max(10_000).optional(),
 })
 
@@ -664,6 +716,26 @@ export const SandboxSchema = z.object({
   autoAllowBashIfSandboxed: z.boolean().optional(),
 }).passthrough()
 
+// -- Bubblewrap sandbox (server-side, local CLI providers on Linux) --
+// `sandbox: 'bwrap'` is shorthand for `{ mode: 'bwrap' }`. Strict: an unknown
+// option would confine the session less than was asked for.
+export const BwrapSandboxSchema = z.object({
+  mode: z.literal('bwrap'),
+  // false unshares the network namespace (--unshare-net).
+  network: z.boolean().optional(),
+  // What the sandbox shows of $HOME outside the project and provider state.
+  home: z.enum(BWRAP_HOME_MODES).optional(),
+}).strict()
+
+// -- Network egress policy (Docker-isolated sessions and environments) --
+// `domains` entries are `host`, `*.host` or `host:port`; the server validates
+// the shape and refuses a policy it can't enforce as written.
+export const EgressSchema = z.object({
+  policy: z.enum(EGRESS_POLICIES),
+  domains: z.array(z.string().min(1).max(260)).max(EGRESS_MAX_DOMAINS).optional(),
+})
+export type EgressSpec = z.infer<typeof EgressSchema>
+
 export const CreateSessionSchema = z.object({
   type: z.literal('create_session'),
   name: z.string().max(200).optional(),
@@ -672,7 +744,7 @@ export const CreateSessionSchema = z.object({
   model: z.string().max(256).optional(),
   permissionMode: z.enum(['approve', 'acceptEdits', 'auto', 'plan']).optional(),
   worktree: z.boolean().optional(),
-  sandbox: SandboxSchema.optional(),
+  sandbox: z.union([z.literal('bwrap'), BwrapSandboxSchema, SandboxSchema]).optional(),
   // #6638: per-session Codex sandbox mode (codex provider only; ignored by
   // others). Overrides the server-wide CHROXY_CODEX_SANDBOX / the default.
   // #6689: single-sourced from CODEX_SANDBOX_MODES so the wire enum, the server,
@@ -693,6 +765,20 @@ export const CreateSessionSchema = z.object({
   // sessions that don't participate in the mailbox. Same 200-char bound as the
   // route's field sanitiser; control chars are rejected server-side.
   agentCommId: z.string().max(200).optional(),
+  // Per-session failover chain for rate-limit / overload / credit-cap errors
+  // (server provider-failover.js), overriding the config-level
+  // `failover.chain`: providers to move the failed turn to, in order — a
+  // provider id, or `{ provider, model }` to pin a model. An empty array
+  // turns failover off for this session.
+  failoverChain: z.array(z.union([
+    z.string().min(1).max(256),
+    z.object({ provider: z.string().min(1).max(256), model: z.string().max(256).optional() }),
+  ])).max(8).optional(),
+  // Outbound network policy for a containerized provider (docker-cli,
+  // docker-sdk, docker-byok), enforced by a filtering proxy on an internal
+  // Docker network. Ignored by host providers; refused together with
+  // `environmentId` (an environment carries its own policy).
+  egress: EgressSchema.optional(),
 })
 
 export const DestroySessionSchema = z.object({
@@ -965,12 +1051,16 @@ export const ListSymbolsSchema = z.object({
 // #6475 (epic #6469): resolve a clicked symbol NAME to its declaration for
 // go-to-definition (server → `symbol_location`). `file` is the file the click
 // came from — used only to break ranking ties, so a local helper resolves in
-// place while an imported symbol jumps to its exported definition. Gated behind
-// the opt-in `features.ide` flag — handled only when enabled.
+// place while an imported symbol jumps to its exported definition. #6479: with
+// `line`/`column` (1-indexed, the clicked token in `file`) a configured language
+// server answers precisely instead of the regex index. Gated behind the opt-in
+// `features.ide` flag — handled only when enabled.
 export const ResolveSymbolSchema = z.object({
   type: z.literal('resolve_symbol'),
   symbol: z.string().min(1).max(256),
   file: z.string().max(4096).optional(),
+  line: z.number().int().min(1).optional(),
+  column: z.number().int().min(1).optional(),
   sessionId: z.string().max(256).optional(),
 }).passthrough()
 
@@ -987,11 +1077,25 @@ export const SearchContentSchema = z.object({
 // #6477 (epic #6469): find-all-references (server → `references_result`). Whole-
 // word, case-sensitive grep for a symbol name (alt/option+click a token in the
 // file viewer; cmd/ctrl+click is go-to-definition). `file` is the originating file
-// (accepted for symmetry). Gated behind the opt-in `features.ide` flag.
+// (its references rank first). #6479: `line`/`column` as for resolve_symbol route
+// to a configured language server. Gated behind the opt-in `features.ide` flag.
 export const FindReferencesSchema = z.object({
   type: z.literal('find_references'),
   symbol: z.string().min(1).max(256),
   file: z.string().max(4096).optional(),
+  line: z.number().int().min(1).optional(),
+  column: z.number().int().min(1).optional(),
+  sessionId: z.string().max(256).optional(),
+}).passthrough()
+
+// #6479 (epic #6469): hover text + the file's diagnostics at a position, from
+// the file's configured language server (server → `symbol_hover`). `line` and
+// `column` are 1-indexed. Gated behind the opt-in `features.ide` flag.
+export const HoverSymbolSchema = z.object({
+  type: z.literal('hover_symbol'),
+  file: z.string().min(1).max(4096),
+  line: z.number().int().min(1),
+  column: z.number().int().min(1),
   sessionId: z.string().max(256).optional(),
 }).passthrough()
 
@@ -1070,6 +1174,99 @@ export const GitCreatePrSchema = z.object({
   draft: z.boolean().optional(),
 }).passthrough()
 
+// Git history + blame + branch management. The three reads (`git_log`,
+// `git_show`, `git_blame`) reply with their own `*_result`; the three branch
+// mutations share one `git_branch_result` reply discriminated by `action`.
+// Paths go through the same cwd confinement + literal-pathspec handling as
+// git_stage; the branch mutations are additionally refused for session-bound
+// clients and while a turn is in flight on the working tree. `requestId` is an
+// opaque nonce echoed on the reply so a paging/switching panel can drop a
+// superseded response (read_file's #6502 pattern).
+const GIT_REV_HASH = /^[0-9a-fA-F]{4,64}$/
+
+export const GitLogSchema = z.object({
+  type: z.literal('git_log'),
+  // Per-file history (`git log --follow`) when set; whole-repo log otherwise.
+  path: z.string().min(1).max(4096).optional(),
+  skip: z.number().int().min(0).max(1_000_000).optional(),
+  limit: z.number().int().min(1).max(200).optional(),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
+export const GitShowSchema = z.object({
+  type: z.literal('git_show'),
+  hash: z.string().regex(GIT_REV_HASH),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
+export const GitBlameSchema = z.object({
+  type: z.literal('git_blame'),
+  path: z.string().min(1).max(4096),
+  // Blame as of a commit (a log entry's hash); the working tree when absent.
+  rev: z.string().regex(GIT_REV_HASH).optional(),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
+export const GitBranchCreateSchema = z.object({
+  type: z.literal('git_branch_create'),
+  name: z.string().min(1).max(255),
+  startPoint: z.string().min(1).max(255).optional(),
+  checkout: z.boolean().optional(),
+}).passthrough()
+
+export const GitCheckoutSchema = z.object({
+  type: z.literal('git_checkout'),
+  branch: z.string().min(1).max(255),
+}).passthrough()
+
+export const GitBranchDeleteSchema = z.object({
+  type: z.literal('git_branch_delete'),
+  name: z.string().min(1).max(255),
+  // `git branch -D` — delete even when the branch is not fully merged.
+  force: z.boolean().optional(),
+}).passthrough()
+
+// Merge-conflict workflow. `git_conflicts` is a read: the in-progress merge /
+// rebase / cherry-pick / revert and every conflicted file's ours / base /
+// theirs hunks. The three mutations share one `git_conflict_result` reply
+// discriminated by `action`, and are gated like the branch mutations (bound
+// clients refused; refused while a turn is in flight on the working tree).
+export const GitConflictsSchema = z.object({
+  type: z.literal('git_conflicts'),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
+export const GitConflictResolutionSchema = z.object({
+  // `index` from the file's `git_conflicts_result` hunks.
+  index: z.number().int().min(0).max(100_000),
+  // `both` = ours then theirs; `base` only for diff3-style markers; `custom`
+  // replaces the hunk with `lines`.
+  choice: z.enum(['ours', 'theirs', 'both', 'base', 'custom']),
+  lines: z.array(z.string().max(100_000)).max(100_000).optional(),
+}).passthrough()
+
+export const GitConflictResolveSchema = z.object({
+  type: z.literal('git_conflict_resolve'),
+  path: z.string().min(1).max(4096),
+  // Per-hunk: the `hash` git_conflicts reported for the file, so a file that
+  // changed since is not overwritten. An empty list stages a hand-fixed file.
+  hash: z.string().max(128).optional(),
+  resolutions: z.array(GitConflictResolutionSchema).max(10_000).optional(),
+  // Whole-file: check out one side (or stage its deletion).
+  take: z.enum(['ours', 'theirs']).optional(),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
+export const GitConflictContinueSchema = z.object({
+  type: z.literal('git_conflict_continue'),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
+export const GitConflictAbortSchema = z.object({
+  type: z.literal('git_conflict_abort'),
+  requestId: z.string().max(200).optional(),
+}).passthrough()
+
 export const ResumeBudgetSchema = z.object({
   type: z.literal('resume_budget'),
   sessionId: z.string().max(256).optional(),
@@ -1096,6 +1293,39 @@ export const RestoreCheckpointSchema = z.object({
   mode: z.enum(['files', 'conversation', 'both']).optional(),
 })
 
+// Fork a session from any message still in its history into a new session.
+// `messageId` is the id the client rendered (a response, prompt or tool use);
+// the fork carries every turn up to and including that message's turn.
+// `sessionId` defaults to the client's active session; `provider` to the
+// source's provider (any other non-terminal provider is allowed — the
+// conversation is then carried as a transcript); `model` to the source's
+// model when the provider is unchanged. The source's working tree is copied
+// into a fresh git worktree. Replies `session_forked`, then re-homes the
+// client with `session_switched`; failures surface as a session_error.
+export const ForkSessionSchema = z.object({
+  type: z.literal('fork_session'),
+  messageId: z.string().min(1).max(256),
+  sessionId: z.string().max(256).optional(),
+  provider: z.string().max(256).optional(),
+  model: z.string().max(256).optional(),
+  name: z.string().max(256).optional(),
+})
+
+// Continue a session's conversation on another provider in a new session that
+// takes over the source's working directory (and worktree). The history is
+// rebuilt natively where the provider allows it — tool calls, results and the
+// todo list included — else carried as a transcript with the first message.
+// `sessionId` defaults to the client's active session; `provider` must differ
+// from the source's. Replies `provider_switched`, then re-homes the client
+// with `session_switched`; failures surface as a session_error.
+export const SwitchProviderSchema = z.object({
+  type: z.literal('switch_provider'),
+  provider: z.string().min(1).max(256),
+  sessionId: z.string().max(256).optional(),
+  model: z.string().max(256).optional(),
+  name: z.string().max(256).optional(),
+})
+
 export const CreateCheckpointSchema = z.object({
   type: z.literal('create_checkpoint'),
   name: z.string().max(256).optional(),
@@ -1143,10 +1373,22 @@ export const ResumeConversationSchema = z.object({
   name: z.string().max(200).optional(),
 })
 
+/** Message roles the conversation-search `role` filter accepts. */
+export const CONVERSATION_SEARCH_ROLE_VALUES = ['user', 'assistant', 'tool'] as const
+
 export const SearchConversationsSchema = z.object({
   type: z.literal('search_conversations'),
   query: z.string().trim().min(1).max(500),
   maxResults: z.number().int().min(1).max(100).optional(),
+  // Optional filters, all ANDed. `repo` matches the conversation's cwd or any
+  // path beneath it; `provider` is a provider family (`claude`, `codex`,
+  // `gemini`, …); `since`/`until` are inclusive epoch-ms bounds on the matched
+  // message; `role` restricts matching to user, assistant or tool messages.
+  repo: z.string().min(1).max(4096).optional(),
+  provider: z.string().min(1).max(64).optional(),
+  role: z.enum(CONVERSATION_SEARCH_ROLE_VALUES).optional(),
+  since: z.number().int().nonnegative().optional(),
+  until: z.number().int().nonnegative().optional(),
 })
 
 // conversationId shape — MUST stay byte-for-byte in sync with the server's
@@ -1387,6 +1629,8 @@ export const CreateEnvironmentSchema = z.object({
   image: z.string().max(256).optional(),
   memoryLimit: z.string().max(64).optional(),
   cpuLimit: z.string().max(64).optional(),
+  // Outbound network policy for every session attached to the environment.
+  egress: EgressSchema.optional(),
 })
 
 export const ListEnvironmentsSchema = z.object({
@@ -1497,6 +1741,35 @@ export const GithubWebhookClearSecretSchema = z.object({
   requestId: z.string().max(128).optional(),
 })
 
+// Slack notification credentials (SlackWebhookSink). Read the value-free config
+// — which fields are set and from where, the resulting delivery mode, the
+// dashboard URL deep links use. The reply is a `slack_notifications_config`.
+// Open to any authenticated client, like `github_webhook_config_request`.
+export const SlackNotificationsConfigRequestSchema = z.object({
+  type: z.literal('slack_notifications_config_request'),
+  requestId: z.string().max(128).optional(),
+})
+
+// Set any subset of the Slack credentials (at least one). Host-authority gated
+// like `github_webhook_set_secret`; stored encrypted at rest in the credentials
+// store and never echoed. The server validates each shape (incoming-webhook
+// URL, `xoxb-` bot token, channel id/name) before writing any of them.
+export const SlackNotificationsSetCredentialsSchema = z.object({
+  type: z.literal('slack_notifications_set_credentials'),
+  requestId: z.string().max(128).optional(),
+  webhookUrl: z.string().min(1).max(512).optional(),
+  botToken: z.string().min(1).max(512).optional(),
+  channel: z.string().min(1).max(128).optional(),
+})
+
+// Clear stored Slack credentials — all of them, or only the listed `fields`.
+// Host-authority gated. Env-provided values are unaffected (the reply shows them).
+export const SlackNotificationsClearCredentialsSchema = z.object({
+  type: z.literal('slack_notifications_clear_credentials'),
+  requestId: z.string().max(128).optional(),
+  fields: z.array(z.enum(['webhookUrl', 'botToken', 'channel'])).min(1).max(3).optional(),
+})
+
 // #5253: Control Room — request a self-hosted runner status survey. The server
 // scans the runner-install root, probes each runner's service, optionally
 // enriches via `gh`, and replies with a single `runner_status_snapshot` (see
@@ -1762,6 +2035,26 @@ export const SummarizeSessionSchema = z.object({
   requestId: z.string().max(128).optional(),
 })
 
+// Export a session's history as a clean artifact: Markdown, a self-contained
+// HTML page, or normalized JSONL. Every string is passed through the server's
+// secret redaction before rendering. `publish: true` (html only) stores the
+// page as a Chroxy Page and replies with its share link instead of the body.
+// The reply is a single `export_session_result`; failures surface as an
+// `EXPORT_FAILED` session_error.
+//
+// Authority (server-enforced): the same readers as `summarize_session` — a
+// host-level client or a client bound to THIS session. Publishing writes to
+// the host and mints a public URL, so it additionally requires the PRIMARY
+// token, matching POST /api/pages.
+export const ExportSessionSchema = z.object({
+  type: z.literal('export_session'),
+  sessionId: z.string().min(1).max(256),
+  format: z.enum(SESSION_EXPORT_FORMATS),
+  publish: z.boolean().optional(),
+  title: z.string().max(256).optional(),
+  requestId: z.string().max(128).optional(),
+})
+
 // -- Orchestration / delegation harness ("committee", epic #6691, S-1) --
 // v1 is dashboard-only + host-authority (unbound clients); run_start and
 // spend-unblocking gate approvals additionally require the PRIMARY token
@@ -1824,6 +2117,47 @@ export const OrchestrationRunAnnotateSchema = z.object({
   message: 'baselineSessionId or verdictQuality required',
 })
 
+// -- Declarative workflows (`.chroxy/workflows/*.yml`) --
+// Host-authority (unbound clients); run_start and an approve additionally
+// require the PRIMARY token (enforced server-side in the handler). Every cwd is
+// validated server-side against the cwd allowlist before anything is read.
+
+export const WorkflowsRequestSchema = z.object({
+  type: z.literal('workflows_request'),
+  cwd: z.string().min(1).max(1024).optional(), // omit to list runs only
+  requestId: z.string().max(128).optional(),
+})
+
+export const WorkflowRunRequestSchema = z.object({
+  type: z.literal('workflow_run_request'),
+  runId: z.string().min(1).max(128),
+  requestId: z.string().max(128).optional(),
+})
+
+export const WorkflowRunStartSchema = z.object({
+  type: z.literal('workflow_run_start'),
+  cwd: z.string().min(1).max(1024),
+  name: z.string().min(1).max(64),
+  inputs: z.record(z.string().max(64), z.string().max(20_000)).optional(),
+  budgetUsd: z.number().positive().finite().optional(),
+  requestId: z.string().max(128).optional(),
+})
+
+export const WorkflowApprovalResponseSchema = z.object({
+  type: z.literal('workflow_approval_response'),
+  runId: z.string().min(1).max(128),
+  decision: z.enum(['approve', 'reject']),
+  note: z.string().max(2000).optional(),
+  budgetUsd: z.number().positive().finite().optional(), // approve-with-raise at a budget gate
+  requestId: z.string().max(128).optional(),
+})
+
+export const WorkflowRunCancelSchema = z.object({
+  type: z.literal('workflow_run_cancel'),
+  runId: z.string().min(1).max(128),
+  requestId: z.string().max(128).optional(),
+})
+
 // -- Encrypted envelope --
 
 export const EncryptedEnvelopeSchema = z.object({
@@ -1881,6 +2215,7 @@ export const ClientMessageSchema = z.discriminatedUnion('type', [
   ResolveSymbolSchema,
   SearchContentSchema,
   FindReferencesSchema,
+  HoverSymbolSchema,
   ListSlashCommandsSchema,
   ListAgentsSchema,
   RequestFullHistorySchema,
@@ -1892,9 +2227,21 @@ export const ClientMessageSchema = z.discriminatedUnion('type', [
   GitUnstageSchema,
   GitCommitSchema,
   GitCreatePrSchema,
+  GitLogSchema,
+  GitShowSchema,
+  GitBlameSchema,
+  GitBranchCreateSchema,
+  GitCheckoutSchema,
+  GitBranchDeleteSchema,
+  GitConflictsSchema,
+  GitConflictResolveSchema,
+  GitConflictContinueSchema,
+  GitConflictAbortSchema,
   ResumeBudgetSchema,
   ListCheckpointsSchema,
   RestoreCheckpointSchema,
+  ForkSessionSchema,
+  SwitchProviderSchema,
   CreateCheckpointSchema,
   DeleteCheckpointSchema,
   CloseDevPreviewSchema,
@@ -1956,6 +2303,9 @@ export const ClientMessageSchema = z.discriminatedUnion('type', [
   GithubWebhookConfigRequestSchema,
   GithubWebhookSetSecretSchema,
   GithubWebhookClearSecretSchema,
+  SlackNotificationsConfigRequestSchema,
+  SlackNotificationsSetCredentialsSchema,
+  SlackNotificationsClearCredentialsSchema,
   IntegrationActionSchema,
   ContainersActionSchema,
   ByokPoolActionSchema,
@@ -1964,12 +2314,18 @@ export const ClientMessageSchema = z.discriminatedUnion('type', [
   EmulatorActionSchema,
   WslActionSchema,
   SummarizeSessionSchema,
+  ExportSessionSchema,
   OrchestrationRunsRequestSchema,
   OrchestrationRunDetailRequestSchema,
   OrchestrationRunStartSchema,
   OrchestrationGateResponseSchema,
   OrchestrationRunActionSchema,
   OrchestrationRunAnnotateSchema,
+  WorkflowsRequestSchema,
+  WorkflowRunRequestSchema,
+  WorkflowRunStartSchema,
+  WorkflowApprovalResponseSchema,
+  WorkflowRunCancelSchema,
   PairApproveSchema,
   PairDenySchema,
 ])
@@ -2018,6 +2374,9 @@ export type RepoEventsRequestMessage = z.infer<typeof RepoEventsRequestSchema>
 export type GithubWebhookConfigRequestMessage = z.infer<typeof GithubWebhookConfigRequestSchema>
 export type GithubWebhookSetSecretMessage = z.infer<typeof GithubWebhookSetSecretSchema>
 export type GithubWebhookClearSecretMessage = z.infer<typeof GithubWebhookClearSecretSchema>
+export type SlackNotificationsConfigRequestMessage = z.infer<typeof SlackNotificationsConfigRequestSchema>
+export type SlackNotificationsSetCredentialsMessage = z.infer<typeof SlackNotificationsSetCredentialsSchema>
+export type SlackNotificationsClearCredentialsMessage = z.infer<typeof SlackNotificationsClearCredentialsSchema>
 export type IntegrationActionMessage = z.infer<typeof IntegrationActionSchema>
 export type ContainersActionMessage = z.infer<typeof ContainersActionSchema>
 export type ByokPoolActionMessage = z.infer<typeof ByokPoolActionSchema>
@@ -2026,12 +2385,20 @@ export type SimulatorActionMessage = z.infer<typeof SimulatorActionSchema>
 export type EmulatorActionMessage = z.infer<typeof EmulatorActionSchema>
 export type WslActionMessage = z.infer<typeof WslActionSchema>
 export type SummarizeSessionMessage = z.infer<typeof SummarizeSessionSchema>
+export type ExportSessionMessage = z.infer<typeof ExportSessionSchema>
+export type ForkSessionMessage = z.infer<typeof ForkSessionSchema>
+export type SwitchProviderMessage = z.infer<typeof SwitchProviderSchema>
 export type OrchestrationRunsRequestMessage = z.infer<typeof OrchestrationRunsRequestSchema>
 export type OrchestrationRunDetailRequestMessage = z.infer<typeof OrchestrationRunDetailRequestSchema>
 export type OrchestrationRunStartMessage = z.infer<typeof OrchestrationRunStartSchema>
 export type OrchestrationGateResponseMessage = z.infer<typeof OrchestrationGateResponseSchema>
 export type OrchestrationRunActionMessage = z.infer<typeof OrchestrationRunActionSchema>
 export type OrchestrationRunAnnotateMessage = z.infer<typeof OrchestrationRunAnnotateSchema>
+export type WorkflowsRequestMessage = z.infer<typeof WorkflowsRequestSchema>
+export type WorkflowRunRequestMessage = z.infer<typeof WorkflowRunRequestSchema>
+export type WorkflowRunStartMessage = z.infer<typeof WorkflowRunStartSchema>
+export type WorkflowApprovalResponseMessage = z.infer<typeof WorkflowApprovalResponseSchema>
+export type WorkflowRunCancelMessage = z.infer<typeof WorkflowRunCancelSchema>
 export type SessionPresetGetMessage = z.infer<typeof SessionPresetGetSchema>
 export type SessionPresetSetMessage = z.infer<typeof SessionPresetSetSchema>
 export type SessionPresetApproveMessage = z.infer<typeof SessionPresetApproveSchema>
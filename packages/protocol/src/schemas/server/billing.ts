@@ -177,6 +177,44 @@ export const ServerNotificationPrefsSchema = z.object({
   }).passthrough(),
 }).passthrough()
 
+// Slack notification credential config. Reply to
+// `slack_notifications_config_request` and to every
+// `slack_notifications_set_credentials` / `slack_notifications_clear_credentials`
+// write. Value-free: the webhook URL and bot token are secrets, so only whether
+// each is set and its `source` travel — plus the webhook URL masked down to its
+// workspace/app ids. The channel is not secret and is echoed as-is.
+//
+//   - `mode` — which delivery the resolved credentials allow: 'live' (bot token
+//     + channel, one updating message per project), 'webhook' (incoming webhook,
+//     a new message per ping) or 'none'.
+//   - `dashboardUrl` — the base the "Open in dashboard" deep links use (null
+//     when the server cannot derive a reachable one).
+//   - `error` — value-free reason when the credentials store exists but could
+//     not be read; env-sourced fields still resolve.
+const SlackCredentialSourceSchema = z.enum(['env', 'store', 'none'])
+
+export const ServerSlackNotificationsConfigSchema = z.object({
+  type: z.literal('slack_notifications_config'),
+  requestId: z.string().nullable().optional(),
+  generatedAt: z.string().datetime(),
+  mode: z.enum(['live', 'webhook', 'none']),
+  webhookUrl: z.object({
+    configured: z.boolean(),
+    source: SlackCredentialSourceSchema,
+    masked: z.string().nullable(),
+  }),
+  botToken: z.object({
+    configured: z.boolean(),
+    source: SlackCredentialSourceSchema,
+  }),
+  channel: z.object({
+    value: z.string().nullable(),
+    source: SlackCredentialSourceSchema,
+  }),
+  dashboardUrl: z.string().nullable(),
+  error: z.string().nullable().optional(),
+})
+
 export const ServerShutdownSchema = z.object({
   type: z.literal('server_shutdown'),
   // 'crash' is emitted from uncaughtException/unhandledRejection handlers in
@@ -6,6 +6,7 @@
  */
 
 import { z } from 'zod'
+import { TOKEN_SCOPES } from '../../token-scopes.ts'
 
 /**
  * Sanity ceiling for any ms-typed numeric field (#3768).
@@ -179,6 +180,10 @@ export const ServerAuthOkSchema = z.object({
     label: z.string(),
     description: z.string().optional(),
   })).optional(),
+  // Device-token scope of THIS connection (observe / approve / full), so a
+  // client can hide controls its token may not use. Omitted by older servers
+  // and for `full` connections — absent means full.
+  tokenScope: z.enum(TOKEN_SCOPES).optional(),
 }).passthrough()
 
 export const ServerAuthFailSchema = z.object({
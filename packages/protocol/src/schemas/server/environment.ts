@@ -11,6 +11,7 @@
  * All five types are dashboard-only today (the app has no environment surface).
  */
 import { z } from 'zod'
+import { EGRESS_POLICIES } from '../../egress.ts'
 
 const EnvironmentStatusSchema = z.enum(['running', 'stopped', 'error'])
 
@@ -46,6 +47,12 @@ const EnvironmentDescriptorSchema = z.object({
     image: z.string(),
     createdAt: z.string(),
   })).optional(),
+  // The environment's outbound network policy; absent on environments created
+  // before egress policies existed (they run open).
+  egress: z.object({
+    policy: z.enum(EGRESS_POLICIES),
+    domains: z.array(z.string()),
+  }).optional(),
 })
 
 export const ServerEnvironmentCreatedSchema = z.object({
@@ -46,21 +46,23 @@ export const ServerGitBranchesResultSchema = z.object({
 // `get_diff` response — 3-level nesting (files → hunks → lines). The DiffFile
 // status enum carries `untracked` (and no `copied`/`unknown`), distinct from the
 // git_status entry enum. line.type is exactly context/addition/deletion.
-export const ServerDiffResultSchema = z.object({
-  type: z.literal('diff_result'),
-  files: z.array(z.object({
-    path: z.string(),
-    status: z.enum(['modified', 'added', 'deleted', 'renamed', 'untracked']),
-    additions: z.number(),
-    deletions: z.number(),
-    hunks: z.array(z.object({
-      header: z.string(),
-      lines: z.array(z.object({
-        type: z.enum(['context', 'addition', 'deletion']),
-        content: z.string(),
-      })),
+const DiffFileSchema = z.object({
+  path: z.string(),
+  status: z.enum(['modified', 'added', 'deleted', 'renamed', 'untracked']),
+  additions: z.number(),
+  deletions: z.number(),
+  hunks: z.array(z.object({
+    header: z.string(),
+    lines: z.array(z.object({
+      type: z.enum(['context', 'addition', 'deletion']),
+      content: z.string(),
     })),
   })),
+})
+
+export const ServerDiffResultSchema = z.object({
+  type: z.literal('diff_result'),
+  files: z.array(DiffFileSchema),
   error: z.string().nullable(),
 })
 
@@ -157,6 +159,148 @@ export const ServerGitUnstageResultSchema = z.object({
   error: z.string().nullable(),
 })
 
+// Git history + blame + branch management replies. Like the other git results,
+// every data field is present on both branches (empty / null on error) and
+// `error` discriminates the outcome. `requestId` echoes the request nonce when
+// one was supplied. Handled by the dashboard only for v1 (GitPanel History /
+// Blame / branch views); mobile parity is a tracked follow-up.
+//
+// One commit row. `date` is the author date in strict ISO 8601 (`%aI`);
+// `parents` is empty for a root commit and has two+ entries for a merge.
+const GitLogCommitSchema = z.object({
+  hash: z.string(),
+  shortHash: z.string(),
+  author: z.string(),
+  email: z.string(),
+  date: z.string(),
+  parents: z.array(z.string()),
+  subject: z.string(),
+})
+
+// `git_log` response. `hasMore` is computed by over-fetching one row, so the
+// client can page with `skip: skip + commits.length` without a count query.
+// `path` echoes the per-file filter (null for the whole-repo log).
+export const ServerGitLogResultSchema = z.object({
+  type: z.literal('git_log_result'),
+  commits: z.array(GitLogCommitSchema),
+  skip: z.number(),
+  hasMore: z.boolean(),
+  path: z.string().nullable(),
+  error: z.string().nullable(),
+  requestId: z.string().max(200).optional(),
+})
+
+// `git_show` response — the commit header plus its patch against the first
+// parent, in the same DiffFile shape as `diff_result`. `truncated` is set when
+// the patch exceeded the server's output cap and `files` holds only a prefix.
+export const ServerGitShowResultSchema = z.object({
+  type: z.literal('git_show_result'),
+  hash: z.string(),
+  commit: GitLogCommitSchema.extend({ body: z.string() }).nullable(),
+  files: z.array(DiffFileSchema),
+  truncated: z.boolean(),
+  error: z.string().nullable(),
+  requestId: z.string().max(200).optional(),
+})
+
+// `git_blame` response. Consecutive lines attributed to the same commit are
+// folded into one hunk; `startLine` is 1-based. A hunk whose `hash` is all
+// zeros is uncommitted work in the working tree.
+export const ServerGitBlameResultSchema = z.object({
+  type: z.literal('git_blame_result'),
+  path: z.string().nullable(),
+  rev: z.string().nullable(),
+  hunks: z.array(z.object({
+    hash: z.string(),
+    shortHash: z.string(),
+    author: z.string(),
+    date: z.string(),
+    summary: z.string(),
+    startLine: z.number(),
+    lines: z.array(z.string()),
+  })),
+  truncated: z.boolean(),
+  error: z.string().nullable(),
+  requestId: z.string().max(200).optional(),
+})
+
+// Shared reply for `git_branch_create` / `git_checkout` / `git_branch_delete`.
+// `branch` echoes the target name; `currentBranch` is re-read after the
+// operation (null in detached HEAD) so the panel can update without a second
+// `git_branches` round trip.
+export const ServerGitBranchResultSchema = z.object({
+  type: z.literal('git_branch_result'),
+  action: z.enum(['create', 'checkout', 'delete']),
+  branch: z.string().nullable(),
+  currentBranch: z.string().nullable(),
+  error: z.string().nullable(),
+})
+
+// `git_conflicts` reply. `operation` is null when nothing is in progress —
+// conflicted files can still exist then (e.g. after `git stash pop`), and can
+// be resolved, but there is nothing to continue or abort. Files of a
+// non-marker kind (delete/modify, symlink, binary, over the size cap) carry no
+// hunks and are resolved whole-file. During a rebase "ours" is the branch being
+// rebased onto and "theirs" the commit being replayed.
+export const GitConflictHunkSchema = z.object({
+  index: z.number(),
+  startLine: z.number(),
+  oursLabel: z.string(),
+  theirsLabel: z.string(),
+  baseLabel: z.string().nullable(),
+  ours: z.array(z.string()),
+  base: z.array(z.string()).nullable(),
+  theirs: z.array(z.string()),
+  before: z.array(z.string()),
+  after: z.array(z.string()),
+})
+
+export const GitConflictFileSchema = z.object({
+  path: z.string(),
+  kind: z.enum([
+    'both_modified',
+    'both_added',
+    'deleted_by_us',
+    'deleted_by_them',
+    'added_by_us',
+    'added_by_them',
+    'both_deleted',
+  ]),
+  hash: z.string().nullable(),
+  binary: z.boolean(),
+  tooLarge: z.boolean(),
+  hunks: z.array(GitConflictHunkSchema),
+})
+
+const GitConflictOperationSchema = z.enum(['merge', 'rebase', 'cherry-pick', 'revert']).nullable()
+
+export const ServerGitConflictsResultSchema = z.object({
+  type: z.literal('git_conflicts_result'),
+  operation: GitConflictOperationSchema,
+  branch: z.string().nullable(),
+  files: z.array(GitConflictFileSchema),
+  truncated: z.boolean(),
+  error: z.string().nullable(),
+  requestId: z.string().max(200).optional(),
+})
+
+// Shared reply for `git_conflict_resolve` / `git_conflict_continue` /
+// `git_conflict_abort`. `operation` and `remaining` are re-read after the
+// action: a rebase that stops on the next commit's conflicts replies with no
+// error, the operation still set and `remaining` > 0. For `resolve`,
+// `remaining` counts the hunks left in `path` and `staged` says it was marked
+// resolved.
+export const ServerGitConflictResultSchema = z.object({
+  type: z.literal('git_conflict_result'),
+  action: z.enum(['resolve', 'continue', 'abort']),
+  path: z.string().nullable(),
+  remaining: z.number(),
+  staged: z.boolean(),
+  operation: GitConflictOperationSchema,
+  error: z.string().nullable(),
+  requestId: z.string().max(200).optional(),
+})
+
 // `write_file` response — the wire type is `write_file_result` (NOT
 // file_write_result). Only path + error beyond type. App-only today (the
 // dashboard has no write_file handling).
@@ -12,16 +12,24 @@
  */
 import { z } from 'zod'
 
+// #6479: which engine produced an IDE answer — a configured language server
+// (`lsp`, scope-aware) or the built-in regex index (`regex`, ~80% accurate).
+// Optional so replies from an older daemon still parse.
+export const IdeAnswerSourceSchema = z.enum(['lsp', 'regex'])
+
 // One parsed declaration. `kind` is an open string (function/class/const/
-// variable/interface/type/enum/method) rather than a closed enum so the
-// regex parser can grow new kinds without a schema bump; `line` is 1-indexed;
-// `file` is the workspace-relative POSIX path; `exported` is the visibility flag.
+// variable/interface/type/enum/method/field/struct/trait/module) rather than a
+// closed enum so the regex parser can grow new kinds without a schema bump;
+// `line` is 1-indexed; `file` is the workspace-relative POSIX path; `exported`
+// is the visibility flag. `container` names the enclosing type of a member
+// (dotted for nested types) and is absent on top-level declarations.
 export const SymbolEntrySchema = z.object({
   name: z.string(),
   kind: z.string(),
   file: z.string(),
   line: z.number(),
   exported: z.boolean(),
+  container: z.string().optional(),
 })
 
 // `list_symbols` response (#6471). `path` echoes the requested scope (null for a
@@ -33,6 +41,7 @@ export const ServerSymbolsSnapshotSchema = z.object({
   symbols: z.array(SymbolEntrySchema),
   truncated: z.boolean(),
   error: z.string().nullable(),
+  source: IdeAnswerSourceSchema.optional(),
 })
 
 export type SymbolEntry = z.infer<typeof SymbolEntrySchema>
@@ -48,6 +57,7 @@ export const ServerSymbolLocationSchema = z.object({
   file: z.string().nullable(),
   line: z.number().nullable(),
   error: z.string().nullable(),
+  source: IdeAnswerSourceSchema.optional(),
 })
 
 export type ServerSymbolLocationMessage = z.infer<typeof ServerSymbolLocationSchema>
@@ -87,6 +97,39 @@ export const ServerReferencesResultSchema = z.object({
   results: z.array(SearchResultEntrySchema),
   truncated: z.boolean(),
   error: z.string().nullable(),
+  source: IdeAnswerSourceSchema.optional(),
 })
 
 export type ServerReferencesResultMessage = z.infer<typeof ServerReferencesResultSchema>
+
+// One language-server diagnostic (#6479). Positions are 1-indexed; `severity`
+// is LSP's four levels by name; `source` (e.g. 'ts', 'Pyright') and `code` are
+// null when the server doesn't send them.
+export const DiagnosticEntrySchema = z.object({
+  line: z.number(),
+  column: z.number(),
+  endLine: z.number(),
+  endColumn: z.number(),
+  severity: z.enum(['error', 'warning', 'information', 'hint']),
+  message: z.string(),
+  source: z.string().nullable(),
+  code: z.string().nullable(),
+})
+
+// `hover_symbol` response (#6479). `file`/`line`/`column` echo the request
+// (correlation). `contents` is the hover text (markdown or plain, null when the
+// server has none); `diagnostics` covers the whole file, not just the line.
+// `error` is non-null when no language server could answer — there is no regex
+// fallback for hover.
+export const ServerSymbolHoverSchema = z.object({
+  type: z.literal('symbol_hover'),
+  file: z.string(),
+  line: z.number(),
+  column: z.number(),
+  contents: z.string().nullable(),
+  diagnostics: z.array(DiagnosticEntrySchema),
+  error: z.string().nullable(),
+})
+
+export type DiagnosticEntry = z.infer<typeof DiagnosticEntrySchema>
+export type ServerSymbolHoverMessage = z.infer<typeof ServerSymbolHoverSchema>
@@ -11,8 +11,8 @@ import { BillingCanarySnapshotSchema, BillingCanaryWarningSchema, ServerAuthOkSc
 import { ServerPermissionRequestSchema, ServerPermissionInputSchema, ServerPermissionExpiredSchema, ServerPermissionResolvedSchema, ServerStreamDeltaSchema, ServerShellPendingApprovalSchema } from './stream.ts'
 import { ActivityEntrySchema, ActivityKindSchema, ActivityOutputRefSchema, ActivityStatusSchema, ServerActivityDeltaSchema, ServerActivitySnapshotSchema, ServerCancelActivityAckSchema, ServerMessageDequeuedSchema, ServerMessageQueuedSchema } from './activity.ts'
 import { ExternalSessionEntrySchema, HostStatusSummarySchema, IntegrationActionCountsSchema, IntegrationCliStatusSchema, IntegrationRepoSchema, IntegrationStatusSummarySchema, MailboxDeliveryEventSchema, MailboxRegistrationSchema, RepoEventSchema, ServerRepoEventsDeltaSchema, RepoWebhookDeliveriesSchema, ServerGithubWebhookConfigSchema, RepoMemoryCacheSchema, RepoMemoryReportSchema, RepoMemoryStatusSchema, RepoRelayRunSchema, RepoRelayStatusSchema, RepoRelayVerdictSchema, RepoRunnersSchema, RepoRuntimeConfigEntrySchema, RepoStatusSchema, RepoTreeSchema, RepoVerdictSchema, RunnerInfoSchema, RunnerServiceStateSchema, RunnerStatusSummarySchema, RunnerVerdictSchema, ServerByokPoolActionAckSchema, ServerByokPoolStatusSnapshotSchema, ServerContainersActionAckSchema, ServerContainersStatusSnapshotSchema, ServerEmulatorActionAckSchema, ServerEmulatorStatusSnapshotSchema, ServerExternalSessionsSnapshotSchema, ServerHostPruneActionAckSchema, ServerHostPruneStatusSnapshotSchema, ServerHostStatusSnapshotSchema, ServerIntegrationActionAckSchema, ServerIntegrationStatusSnapshotSchema, ServerMailboxStatusSnapshotSchema, ServerRepoEventsSnapshotSchema, ServerRepoRuntimeConfigSnapshotSchema, ServerRunnerStatusSnapshotSchema, ServerSessionPresetDisclosureSchema, ServerSessionPresetFullSchema, ServerSessionPresetSnapshotSchema, ServerSimulatorActionAckSchema, ServerSimulatorStatusSnapshotSchema, ServerSkillsInventorySnapshotSchema, ServerSummarizeSessionResultSchema, ServerWslActionAckSchema, ServerWslStatusSnapshotSchema, SkillInventoryEntrySchema, SkillInventoryRepoSchema } from './control-room.ts'
-import { CumulativeUsageSchema, ServerAuthBootstrapSchema, ServerConversationIdSchema, ServerSessionStoppedSchema, ServerSkillTrustGrantInvalidAuthorSchema, ServerSkillTrustGrantOkSchema, ServerSkillsListSchema, ServerStatuslineOutputSchema, ServerTunnelUrlChangedSchema } from './session.ts'
-import { ServerBillingCanarySchema, ServerBudgetResumeAckSchema, ServerByokCredentialsStatusSchema, ServerCostUpdateSchema, ServerCredentialTestResultSchema, ServerCredentialsStatusSchema, ServerErrorEnvelopeSchema, ServerErrorSchema, ServerEvaluateDraftResultSchema, ServerEvaluatorClarifySchema, ServerEvaluatorRewriteSchema, ServerExtensionMessageSchema, ServerMonthlyBudgetSchema, ServerSessionCostThresholdCrossedSchema, ServerSessionUsageSchema } from './billing.ts'
+import { CumulativeUsageSchema, ServerAuthBootstrapSchema, ServerConversationIdSchema, ServerExportSessionResultSchema, ServerProviderFailoverSchema, ServerProviderSwitchedSchema, ServerSessionForkedSchema, ServerSessionStoppedSchema, ServerSkillTrustGrantInvalidAuthorSchema, ServerSkillTrustGrantOkSchema, ServerSkillsListSchema, ServerStatuslineOutputSchema, ServerTunnelUrlChangedSchema } from './session.ts'
+import { ServerBillingCanarySchema, ServerSlackNotificationsConfigSchema, ServerBudgetResumeAckSchema, ServerByokCredentialsStatusSchema, ServerCostUpdateSchema, ServerCredentialTestResultSchema, ServerCredentialsStatusSchema, ServerErrorEnvelopeSchema, ServerErrorSchema, ServerEvaluateDraftResultSchema, ServerEvaluatorClarifySchema, ServerEvaluatorRewriteSchema, ServerExtensionMessageSchema, ServerMonthlyBudgetSchema, ServerSessionCostThresholdCrossedSchema, ServerSessionUsageSchema } from './billing.ts'
 
 // -- Inferred TypeScript types --
 
@@ -54,6 +54,10 @@ export type ServerSessionCostThresholdCrossedMessage = z.infer<typeof ServerSess
 export type ServerMonthlyBudgetMessage = z.infer<typeof ServerMonthlyBudgetSchema>
 export type ServerExtensionMessage = z.infer<typeof ServerExtensionMessageSchema>
 export type ServerSkillsListMessage = z.infer<typeof ServerSkillsListSchema>
+export type ServerExportSessionResultMessage = z.infer<typeof ServerExportSessionResultSchema>
+export type ServerSessionForkedMessage = z.infer<typeof ServerSessionForkedSchema>
+export type ServerProviderSwitchedMessage = z.infer<typeof ServerProviderSwitchedSchema>
+export type ServerProviderFailoverMessage = z.infer<typeof ServerProviderFailoverSchema>
 export type ServerAuthBootstrapMessage = z.infer<typeof ServerAuthBootstrapSchema>
 // #5555 (sub-item 7) — quick-tunnel URL rotation push.
 export type ServerTunnelUrlChangedMessage = z.infer<typeof ServerTunnelUrlChangedSchema>
@@ -105,6 +109,9 @@ export type ServerRepoEventsDeltaMessage = z.infer<typeof ServerRepoEventsDeltaS
 // and the GithubWebhookConfig pane inside RepoEventsSection.
 export type RepoWebhookDeliveries = z.infer<typeof RepoWebhookDeliveriesSchema>
 export type ServerGithubWebhookConfigMessage = z.infer<typeof ServerGithubWebhookConfigSchema>
+// Slack notification credential config (slack-notifications-handlers.js →
+// dashboard SlackNotificationsConfig pane).
+export type ServerSlackNotificationsConfigMessage = z.infer<typeof ServerSlackNotificationsConfigSchema>
 export type MailboxRegistration = z.infer<typeof MailboxRegistrationSchema>
 export type MailboxDeliveryEvent = z.infer<typeof MailboxDeliveryEventSchema>
 
@@ -55,7 +55,7 @@ export const SCHEDULED_TASK_LAST_RUN_STATUS_VALUES = [
 ] as const
 
 /** Cadence kinds the registry accepts (scheduled-task-store.js's `CADENCE_KINDS`). */
-export const SCHEDULED_TASK_CADENCE_KIND_VALUES = ['once', 'interval', 'cron'] as const
+export const SCHEDULED_TASK_CADENCE_KIND_VALUES = ['once', 'interval', 'cron', 'event'] as const
 
 /** Mutations the panel can request. `pause`/`resume` are `enabled` flips. */
 export const SCHEDULED_TASK_ACTION_VALUES = [
@@ -83,22 +83,45 @@ export const ScheduledTaskCadenceIntervalSchema = z.object({
   anchor: z.number().finite().optional(),
 })
 
-/** Five-field cron expression (parsed server-side by schedule-parser.js). */
+/**
+ * Five-field cron expression (parsed server-side by schedule-parser.js).
+ * `timezone` is the IANA zone the expression is evaluated in; absent means the
+ * daemon's local time, which is what every task created before the field
+ * existed carries.
+ */
 export const ScheduledTaskCadenceCronSchema = z.object({
   kind: z.literal('cron'),
   expression: z.string().min(1).max(256),
+  timezone: z.string().min(1).max(64).optional(),
+})
+
+/**
+ * Fires when a matching GitHub webhook delivery arrives rather than at a time
+ * (scheduled-event-cadence.js), so such a task's `nextRun` is always null.
+ * `event` is the normalized repo-event kind (`push` / `pull_request` /
+ * `issues`); the optional filters narrow it. `event` is a bounded string, not
+ * an enum, for the same forward-compat reason as `lastRun.status` — the store
+ * is the authority on which kinds exist.
+ */
+export const ScheduledTaskCadenceEventSchema = z.object({
+  kind: z.literal('event'),
+  event: z.string().min(1).max(64),
+  repo: z.string().min(1).max(256).optional(),
+  action: z.string().min(1).max(64).optional(),
+  branch: z.string().min(1).max(256).optional(),
 })
 
 export const ScheduledTaskCadenceSchema = z.discriminatedUnion('kind', [
   ScheduledTaskCadenceOnceSchema,
   ScheduledTaskCadenceIntervalSchema,
   ScheduledTaskCadenceCronSchema,
+  ScheduledTaskCadenceEventSchema,
 ])
 
 /**
  * The session config a run is created with. Every field optional — an absent
- * `provider` means the run lands on the daemon DEFAULT, which is itself usually
- * a provider the engine refuses, hence `defaultProviderRefusal` on the snapshot.
+ * `provider` means the run lands on the daemon DEFAULT, which the engine may
+ * refuse, hence `defaultProviderRefusal` on the snapshot.
  */
 export const ScheduledTaskTargetSchema = z.object({
   provider: z.string().max(128).optional(),
@@ -122,6 +145,17 @@ export const ScheduledTaskLastRunSchema = z.object({
   error: z.string().max(2048).optional(),
 })
 
+/**
+ * What the engine does with slots that passed while nothing could fire them:
+ * `skip` them, fire `once` in their place, or replay `all` of them (the newest
+ * `maxRuns`). `policy` is a bounded string for the same forward-compat reason as
+ * `lastRun.status`.
+ */
+export const ScheduledTaskCatchUpSchema = z.object({
+  policy: z.string().max(32),
+  maxRuns: z.number().int().positive().optional(),
+})
+
 /**
  * One task as the panel sees it: the persisted record plus the server-computed
  * safety verdicts described in the file header.
@@ -144,9 +178,20 @@ export const ScheduledTaskSchema = z.object({
   enabled: z.boolean(),
   prompt: z.string(),
   target: ScheduledTaskTargetSchema,
+  // Set when the task runs a `.chroxy/workflows/<name>` pipeline under
+  // `target.cwd` instead of its (then empty) prompt. Optional: a server that
+  // predates workflows sends none.
+  workflow: z.object({
+    name: z.string().max(64),
+    inputs: z.record(z.string(), z.string()),
+  }).nullable().optional(),
   cadence: ScheduledTaskCadenceSchema,
   nextRun: z.number().finite().nullable(),
   lastRun: ScheduledTaskLastRunSchema.nullable(),
+  // Optional: a server that predates run policies sends neither.
+  catchUp: ScheduledTaskCatchUpSchema.optional(),
+  // `never` | `on-failure` | `on-change` | `always` — when a run is pushed.
+  notify: z.string().max(32).optional(),
   createdAt: z.number().finite(),
   updatedAt: z.number().finite(),
   providerRefusal: z.string().max(2048).nullable(),
@@ -209,6 +254,7 @@ export type ScheduledTask = z.infer<typeof ScheduledTaskSchema>
 export type ScheduledTaskCadence = z.infer<typeof ScheduledTaskCadenceSchema>
 export type ScheduledTaskTarget = z.infer<typeof ScheduledTaskTargetSchema>
 export type ScheduledTaskLastRun = z.infer<typeof ScheduledTaskLastRunSchema>
+export type ScheduledTaskCatchUp = z.infer<typeof ScheduledTaskCatchUpSchema>
 export type SchedulerGateState = z.infer<typeof SchedulerGateStateSchema>
 export type ServerScheduledTasksMessage = z.infer<typeof ServerScheduledTasksSchema>
 export type ScheduledTaskAction = (typeof SCHEDULED_TASK_ACTION_VALUES)[number]
@@ -13,6 +13,7 @@ import { ServerPendingBackgroundShellSchema } from './stream.ts'
 // stays in lockstep with the create-time `create_session` control (client.ts)
 // and the server's `resolveCodexSandbox` — same list, one place.
 import { CODEX_SANDBOX_MODES } from '../../codex.ts'
+import { SESSION_EXPORT_FORMATS } from '../../session-export.ts'
 
 export const ServerClientFocusChangedSchema = z.object({
   type: z.literal('client_focus_changed'),
@@ -689,3 +690,105 @@ export const ServerStatuslineOutputSchema = z.object({
   active: z.boolean().optional(),
   truncated: z.boolean().optional(),
 })
+
+// Reply to an `export_session`: either the rendered transcript (`content`, with
+// a suggested `fileName` and `mimeType` for a download) or, when the request
+// asked to publish, the Chroxy Page it was stored as (`page`; `url` is null
+// when no public origin is known, leaving only the rooted `path`). Sent only to
+// the requesting client. Failures surface as an `EXPORT_FAILED` session_error
+// echoing `sessionId` / `requestId`.
+export const ServerExportSessionResultSchema = z.object({
+  type: z.literal('export_session_result'),
+  sessionId: z.string(),
+  format: z.enum(SESSION_EXPORT_FORMATS),
+  fileName: z.string(),
+  mimeType: z.string(),
+  content: z.string().optional(),
+  page: z.object({
+    slug: z.string(),
+    path: z.string(),
+    url: z.string().nullable(),
+    title: z.string(),
+  }).optional(),
+  entryCount: z.number().int().nonnegative(),
+  requestId: z.string().max(128).nullable().optional(),
+})
+
+// Reply to a `fork_session`, sent only to the requesting client just before
+// the `session_switched` that re-homes it to the new session. `carry` says how
+// the conversation reached the fork: 'conversation' — the provider's own
+// transcript was branched and resumed; 'transcript' — the carried turns are
+// prepended to the fork's first message (another provider, or a turn the
+// provider can't branch at); 'none' — nothing in the carried range had text.
+// `worktree` is false when the source is not in a git repository and the fork
+// shares its directory. `truncated` is true when a long transcript carry was
+// windowed.
+export const ServerSessionForkedSchema = z.object({
+  type: z.literal('session_forked'),
+  sourceSessionId: z.string(),
+  messageId: z.string(),
+  sessionId: z.string(),
+  name: z.string(),
+  provider: z.string(),
+  carry: z.enum(['conversation', 'transcript', 'none']),
+  worktree: z.boolean(),
+  carriedMessages: z.number().int().nonnegative(),
+  truncated: z.boolean(),
+})
+
+// One thing a conversation carried to another provider couldn't bring along
+// (see provider_switched below for the kinds).
+const CarryFlagSchema = z.object({
+  kind: z.string(),
+  count: z.number().int().nonnegative(),
+  detail: z.string().optional(),
+})
+
+// Reply to a `switch_provider`, sent only to the requesting client just before
+// the `session_switched` that re-homes it to the new session. `carry`:
+// 'conversation' — the history was rebuilt natively for the new provider;
+// 'transcript' — it is prepended to the first message; 'none' — nothing to
+// carry. `flags` lists what the new provider will NOT see as it happened, one
+// entry per kind with a count (`detail` names the tools involved):
+// history_truncated (older turns aged out of the server history),
+// unanswered_prompt (a last prompt without reply — re-send it),
+// tool_as_text (calls to tools the new provider lacks, carried as text),
+// tool_without_result, tool_result_truncated, question (AskUserQuestion
+// answers aren't recorded), turns_trimmed (over the provider's history cap).
+export const ServerProviderSwitchedSchema = z.object({
+  type: z.literal('provider_switched'),
+  sourceSessionId: z.string(),
+  sessionId: z.string(),
+  name: z.string(),
+  provider: z.string(),
+  carry: z.enum(['conversation', 'transcript', 'none']),
+  carriedTurns: z.number().int().nonnegative(),
+  todos: z.number().int().nonnegative(),
+  worktree: z.boolean(),
+  flags: z.array(CarryFlagSchema),
+  truncated: z.boolean(),
+})
+
+// Automatic provider failover (server provider-failover.js) for a turn that
+// failed with a rate limit, an overload or a credit cap. Broadcast to the
+// session's subscribers; clients show each one as a chip in the chat.
+// `action`: 'retry' — the same provider is retried after `delayMs` (attempt
+// `attempt` of the configured retries); 'hop' — the session moved in place to
+// `to` with the conversation carried over (`carry` / `flags` as in
+// provider_switched) and the failed prompt re-sent, and `billingClass` is what
+// the session bills as from now on; 'exhausted' — no provider left in the
+// chain, the error stands.
+export const ServerProviderFailoverSchema = z.object({
+  type: z.literal('provider_failover'),
+  sessionId: z.string().optional(),
+  action: z.enum(['retry', 'hop', 'exhausted']),
+  category: z.enum(['rate_limit', 'overloaded', 'credit_cap']),
+  provider: z.string(),
+  model: z.string().nullable().optional(),
+  attempt: z.number().int().positive().optional(),
+  delayMs: z.number().int().nonnegative().optional(),
+  to: z.object({ provider: z.string(), model: z.string().nullable() }).optional(),
+  billingClass: z.string().optional(),
+  carry: z.enum(['conversation', 'transcript', 'none']).optional(),
+  flags: z.array(CarryFlagSchema).optional(),
+})
@@ -8,6 +8,7 @@
 import { z } from 'zod'
 
 import { MAX_SANE_DURATION_MS } from './connection.ts'
+import { EGRESS_POLICIES } from '../../egress.ts'
 import type { ServerPermissionRequestMessage } from './messages.ts'
 
 // #5515 (epic #5514): optional, additive wall-clock (ms epoch) timestamp
@@ -135,6 +136,22 @@ export const ServerMcpPromptExpansionSchema = z.object({
   truncated: z.boolean(),
 })
 
+/**
+ * Structured payload for an `egress_blocked` system event: the filtering proxy
+ * in front of a Docker-isolated session refused an outbound connection. Carried
+ * on `ServerMessageSchema.egressBlocked` alongside `messageType === 'system'`
+ * and `subtype === 'egress_blocked'` — the same optional-field convention as
+ * `compactMetadata`. `count` is how many attempts on the same host:port the
+ * server folded into this one marker (repeats are coalesced so a retry loop
+ * can't flood the chat).
+ */
+export const ServerEgressBlockedSchema = z.object({
+  host: z.string().max(260),
+  port: z.number().int().min(0).max(65535),
+  policy: z.enum(EGRESS_POLICIES),
+  count: z.number().int().min(1),
+})
+
 export const ServerMessageSchema = z.object({
   type: z.literal('message'),
   messageType: z.string(),
@@ -162,6 +179,9 @@ export const ServerMessageSchema = z.object({
   // `/mcp__server__prompt` expansion injected as the user turn (see
   // ServerMcpPromptExpansionSchema).
   mcpPromptExpansion: ServerMcpPromptExpansionSchema.optional(),
+  // Same producer convention: only on `messageType: 'system'` envelopes whose
+  // `subtype` is `'egress_blocked'` (see ServerEgressBlockedSchema).
+  egressBlocked: ServerEgressBlockedSchema.optional(),
   // #4947 / #5006: only set on `messageType: 'error'` envelopes whose
   // `code` is one of the two resume-failure codes emitted by CliSession's
   // `_handleChildClose` resume-failure path:
@@ -517,8 +537,9 @@ export const ServerPermissionInputSchema = z.discriminatedUnion('found', [
 
 /**
  * #6772 — one entry in the server's permission audit trail (permission-audit.js
- * ring buffer). Heterogeneous shapes share a `type` discriminator; the per-type
- * fields are all optional so a single object covers every kind. Known kinds:
+ * ring buffer, or the durable audit-journal.js when the daemon runs one).
+ * Heterogeneous shapes share a `type` discriminator; the per-type fields are all
+ * optional so a single object covers every kind. Known kinds:
  *   - `mode_change`      — previousMode / newMode
  *   - `whitelist_change` — rules (the new session-rule set)
  *   - `decision`         — requestId / decision (allow|deny|allowAlways) / reason
@@ -529,6 +550,10 @@ export const ServerPermissionInputSchema = z.discriminatedUnion('found', [
  *     the number of coalesced approvals, `firstAt` the first one's time,
  *     `timestamp` the latest — so a rule matching at machine speed can never
  *     flood the audit ring; see permission-audit.js logPersistedRuleApproval)
+ *   - journaled control events — `token_issue` / `token_revoke` /
+ *     `token_scope_change` (pairedDeviceId, scope, via / target),
+ *     `shell_create` / `shell_destroy` (cwd, shell / exitCode, reason),
+ *     `credential_change` (key, action — never a value) and `retention_prune`
  * The entry `type` is a PLAIN `z.string()` (PR #6836 review), for two reasons:
  *   1. Forward compatibility — a closed enum would fail the WHOLE payload parse
  *      the moment the server adds a new audit kind; clients render unknown kinds
@@ -568,6 +593,17 @@ export const ServerPermissionAuditEntrySchema = z
     // folded into this entry, and the first approval's timestamp.
     count: z.number().optional(),
     firstAt: z.number().optional(),
+    // Actor of a journaled entry: the token class that authorized it
+    // ('primary' | 'pairing' | 'local' for the host CLI; null with no human
+    // responder) and the acting device's self-reported name.
+    tokenClass: z.string().nullable().optional(),
+    device: z.string().nullable().optional(),
+    // Journal chain position: `seq` numbers entries, `hash` is the sha256 of
+    // the entry and `prev` the previous entry's hash. Absent on entries served
+    // from the in-memory ring (no journal registered).
+    seq: z.number().optional(),
+    prev: z.string().optional(),
+    hash: z.string().optional(),
   })
   .passthrough()
 
@@ -0,0 +1,140 @@
+import { z } from 'zod'
+import { RUN_STATUS_VALUES, RUN_NODE_STATUS_VALUES } from './orchestration.ts'
+
+/**
+ * Server -> client schemas for declarative workflows (`.chroxy/workflows/*.yml`,
+ * run by the server's workflows/workflow-runner.js).
+ *
+ * A workflow run is a RunLedger record like an orchestration run, so it shares
+ * that harness's run and step status vocabularies: `paused` = held at a step's
+ * approval gate, `budget_paused` = held at the budget cap. Step ids are authored
+ * in the workflow file; each VISIT of a step is one entry in `steps`
+ * (`subtaskId` = `<stepId>.<visit>`).
+ *
+ * Programmatic surface for now: the CLI (`chroxy workflow`) drives runs over the
+ * daemon's HTTP API, and neither client renders these messages yet.
+ */
+
+export const WORKFLOW_STEP_OUTCOME_VALUES = ['succeeded', 'failed', 'rejected'] as const
+
+export const WorkflowInputSpecSchema = z.object({
+  required: z.boolean(),
+  default: z.string().nullable(),
+})
+
+// A definition as a client needs it to offer a run — no prompt bodies.
+export const WorkflowSummarySchema = z.object({
+  name: z.string(),
+  title: z.string(),
+  description: z.string().nullable(),
+  inputs: z.record(z.string(), WorkflowInputSpecSchema),
+  budgetUsd: z.number().positive().finite().nullable(),
+  steps: z.array(z.object({
+    id: z.string(),
+    title: z.string().nullable(),
+    provider: z.string().nullable(),
+    model: z.string().nullable(),
+    approval: z.boolean(),
+  }).passthrough()),
+}).passthrough()
+
+export const WorkflowApprovalSchema = z.object({
+  stepId: z.string().nullable(),
+  kind: z.enum(['step', 'budget']),
+  message: z.string().nullable(),
+  openedAt: z.number().nullable(),
+})
+
+export const WorkflowRunStepSchema = z.object({
+  subtaskId: z.string(),
+  stepId: z.string(),
+  title: z.string(),
+  status: z.enum(RUN_NODE_STATUS_VALUES),
+  sessionId: z.string().nullable(),
+  provider: z.string().nullable(),
+  model: z.string().nullable(),
+  startedAt: z.number().nullable(),
+  endedAt: z.number().nullable(),
+  costUsd: z.number().finite(),
+}).passthrough()
+
+export const WorkflowStepResultSchema = z.object({
+  status: z.enum(WORKFLOW_STEP_OUTCOME_VALUES).nullable(),
+  output: z.string(),
+  error: z.string().nullable(),
+  visits: z.number().int().nonnegative(),
+})
+
+export const WorkflowRunSummarySchema = z.object({
+  runId: z.string(),
+  workflow: z.string().nullable(),
+  title: z.string(),
+  status: z.enum(RUN_STATUS_VALUES),
+  statusReason: z.string().nullable(),
+  trigger: z.string(),
+  unattended: z.boolean(),
+  root: z.string().nullable(),
+  inputs: z.record(z.string(), z.string().nullable()),
+  createdAt: z.number().nullable(),
+  startedAt: z.number().nullable(),
+  endedAt: z.number().nullable(),
+  terminal: z.boolean(),
+  currentStep: z.string().nullable(),
+  pendingApproval: WorkflowApprovalSchema.nullable(),
+  costUsd: z.number().finite(),
+  budgetUsd: z.number().positive().finite().nullable(),
+  steps: z.array(WorkflowRunStepSchema).optional(), // absent on list rows
+}).passthrough()
+
+export const WorkflowRunSchema = WorkflowRunSummarySchema.extend({
+  steps: z.array(WorkflowRunStepSchema),
+  // Keyed by step id: the latest visit's outcome and final text (capped at 32KB).
+  outputs: z.record(z.string(), WorkflowStepResultSchema),
+}).passthrough()
+
+const ErrorSchema = z.object({ code: z.string(), message: z.string() })
+
+// Reply to workflows_request: the definitions found from `cwd` plus every run.
+// Degraded posture: empty lists + error.
+export const ServerWorkflowsSnapshotSchema = z.object({
+  type: z.literal('workflows_snapshot'),
+  requestId: z.string().max(128).nullable().optional(),
+  generatedAt: z.string().datetime(),
+  root: z.string().nullable(),
+  workflows: z.array(WorkflowSummarySchema),
+  errors: z.array(z.object({ name: z.string(), error: z.string() })), // files that failed to load
+  runs: z.array(WorkflowRunSummarySchema),
+  error: ErrorSchema.optional(),
+}).passthrough()
+
+// Reply to workflow_run_request (run: null = degraded reply).
+export const ServerWorkflowRunSnapshotSchema = z.object({
+  type: z.literal('workflow_run_snapshot'),
+  requestId: z.string().max(128).nullable().optional(),
+  generatedAt: z.string().datetime(),
+  run: WorkflowRunSchema.nullable(),
+  error: ErrorSchema.optional(),
+}).passthrough()
+
+// Server-initiated push to host-level clients on every run transition. Carries
+// the run without step outputs — request the run for those.
+export const ServerWorkflowRunUpdateSchema = z.object({
+  type: z.literal('workflow_run_update'),
+  run: WorkflowRunSummarySchema,
+}).passthrough()
+
+// Positive ack for start / approval_response / cancel.
+export const ServerWorkflowActionAckSchema = z.object({
+  type: z.literal('workflow_action_ack'),
+  requestId: z.string().max(128).nullable().optional(),
+  action: z.enum(['start', 'approval_response', 'cancel']),
+  runId: z.string(),
+}).passthrough()
+
+export type WorkflowSummary = z.infer<typeof WorkflowSummarySchema>
+export type WorkflowRunSummary = z.infer<typeof WorkflowRunSummarySchema>
+export type WorkflowRun = z.infer<typeof WorkflowRunSchema>
+export type ServerWorkflowsSnapshot = z.infer<typeof ServerWorkflowsSnapshotSchema>
+export type ServerWorkflowRunSnapshot = z.infer<typeof ServerWorkflowRunSnapshotSchema>
+export type ServerWorkflowRunUpdate = z.infer<typeof ServerWorkflowRunUpdateSchema>
+export type ServerWorkflowActionAck = z.infer<typeof ServerWorkflowActionAckSchema>
@@ -0,0 +1,20 @@
+/**
+ * @chroxy/protocol — session transcript export formats, shared constants.
+ *
+ * `export_session` (and `chroxy sessions export`) render a session's message
+ * history into one of these (`packages/server/src/session-export.js` owns the
+ * renderers):
+ *
+ *   - `markdown` — a readable transcript; tool calls in collapsible blocks.
+ *   - `html`     — a self-contained page (inline CSS, no scripts), publishable
+ *                  as a Chroxy Page.
+ *   - `jsonl`    — one normalized record per line, for tooling.
+ *
+ * Zod-free plain consts, like `./token-scopes.ts`, so `./schemas/*` can
+ * `z.enum(SESSION_EXPORT_FORMATS)` without a circular import.
+ */
+
+/** Transcript export formats. */
+export const SESSION_EXPORT_FORMATS = ['markdown', 'html', 'jsonl'] as const
+
+export type SessionExportFormat = (typeof SESSION_EXPORT_FORMATS)[number]
@@ -0,0 +1,19 @@
+/**
+ * @chroxy/protocol — device-token scopes, shared constants.
+ *
+ * A paired device's token carries one of these scopes, narrowing what the
+ * connection may send (`packages/server/src/token-scopes.js` owns the per-
+ * message-type allowlists and the enforcement):
+ *
+ *   - `observe` — watch sessions only.
+ *   - `approve` — observe + answer permission and question prompts.
+ *   - `full`    — everything (the primary token, and the default for pairing).
+ *
+ * Zod-free plain consts, like `./codex.ts`, so `./schemas/*` can
+ * `z.enum(TOKEN_SCOPES)` without a circular import through the entry point.
+ */
+
+/** Device-token scopes, in ascending order of authority. */
+export const TOKEN_SCOPES = ['observe', 'approve', 'full'] as const
+
+export type TokenScope = (typeof TOKEN_SCOPES)[number]
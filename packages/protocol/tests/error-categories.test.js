@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { isRateLimitMessage, RATE_LIMIT_KEYWORDS } from '../src/error-categories.ts'
+import { classifyProviderError, isRateLimitMessage, RATE_LIMIT_KEYWORDS } from '../src/error-categories.ts'
 
 /**
  * #3183: `isRateLimitMessage` lowercases internally so callers can pass the
@@ -96,3 +96,34 @@ describe('isRateLimitMessage', () => {
     })
   })
 })
+
+describe('classifyProviderError', () => {
+  it('classifies by message text', () => {
+    assert.equal(classifyProviderError('429 {"type":"rate_limit_error"}'), 'rate_limit')
+    assert.equal(classifyProviderError('Too Many Requests'), 'rate_limit')
+    assert.equal(classifyProviderError('Overloaded'), 'overloaded')
+    assert.equal(classifyProviderError('503 Service Unavailable'), 'overloaded')
+    assert.equal(classifyProviderError('Your credit balance is too low to access the Anthropic API.'), 'credit_cap')
+    assert.equal(classifyProviderError('Claude AI usage limit reached|1760000000'), 'credit_cap')
+    assert.equal(classifyProviderError('You exceeded your current quota, please check your plan'), 'credit_cap')
+  })
+
+  it('treats a per-window quota as a rate limit', () => {
+    assert.equal(classifyProviderError('Quota exceeded for metric: generate requests per minute'), 'rate_limit')
+  })
+
+  it('falls back to the HTTP status of an error payload', () => {
+    assert.equal(classifyProviderError({ message: 'upstream said no', code: 'HTTP_429' }), 'rate_limit')
+    assert.equal(classifyProviderError({ message: 'bad gateway', code: 'HTTP_529' }), 'overloaded')
+    assert.equal(classifyProviderError({ message: 'nope', status: 402 }), 'credit_cap')
+    assert.equal(classifyProviderError({ message: 'credit balance is too low', code: 'HTTP_400' }), 'credit_cap')
+  })
+
+  it('returns null for other errors and non-error input', () => {
+    assert.equal(classifyProviderError({ message: 'Interrupted by user', code: 'ABORT' }), null)
+    assert.equal(classifyProviderError({ message: 'Bad request', code: 'HTTP_400' }), null)
+    assert.equal(classifyProviderError('ENOENT: no such file'), null)
+    assert.equal(classifyProviderError(null), null)
+    assert.equal(classifyProviderError(42), null)
+  })
+})
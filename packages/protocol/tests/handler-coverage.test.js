@@ -82,6 +82,11 @@ const INTENTIONALLY_UNHANDLED = new Set([
   // Room Host/Repo Status section #5175); it moved to PLATFORM_SPECIFIC as
   // 'dashboard'. Mobile parity is a Phase-2 fast-follow per epic #5170.
   // 'session_stopped' removed — both handlers now implement case 'session_stopped': (dashboard #4878, mobile #4879)
+  'export_session_result', // reply to export_session — a programmatic WS surface; `chroxy sessions export` uses the daemon's HTTP export route, and neither UI has an export control yet
+  'workflows_snapshot', // workflows WS surface — programmatic for now; `chroxy workflow` drives runs over the daemon's HTTP routes, and neither UI has a workflows panel yet
+  'workflow_run_snapshot', // same workflows surface as workflows_snapshot
+  'workflow_run_update', // same workflows surface as workflows_snapshot
+  'workflow_action_ack', // same workflows surface as workflows_snapshot
   'prompt_evaluator_skip_pattern_changed', // #3639 server emits the broadcast; dashboard exposure (toggle UI + receipt handler) is a deferred follow-up — until then the surface is the per-session promptEvaluatorSkipPattern field on session_list. Pairs with the parent epic #3068.
   // 'memory_stack_result' removed — the dashboard now handles it (#6867, the
   // merged-CLAUDE.md-stack memory panel); it moved to PLATFORM_SPECIFIC as
@@ -114,6 +119,9 @@ const PLATFORM_SPECIFIC = {
   // Coverage passes because each handler covers them (the app via the shared
   // store-core dispatch-table git callbacks, the dashboard via its new
   // `case 'git_*_result':` clauses).
+  // git_log_result / git_show_result / git_blame_result / git_branch_result
+  // likewise removed — the app's GitView has the History tab and branch
+  // actions too, so both handlers cover them.
 
   // Dashboard only
   'git_create_pr_result': 'dashboard', // #6876 in-app PR creation reply — GitPanel "Create PR" flow is dashboard-only for v1 (the mobile app's git surface has no PR-creation UI yet); mobile parity is a tracked follow-up
@@ -128,6 +136,7 @@ const PLATFORM_SPECIFIC = {
   'symbol_location': 'dashboard',    // #6475 (epic #6469) opt-in IDE go-to-definition result — dashboard file viewer cmd/ctrl+click jump; dashboard-only for v1, mobile parity deferred
   'code_search_results': 'dashboard', // #6474 (epic #6469) opt-in IDE find-in-project results — dashboard Cmd+Shift+F palette; distinct from cross-session `search_results`; dashboard-only for v1
   'references_result': 'dashboard',   // #6477 (epic #6469) opt-in IDE find-all-references — dashboard references palette (alt+click); dashboard-only for v1
+  'symbol_hover': 'dashboard',        // #6479 (epic #6469) opt-in IDE language-server hover + diagnostics — dashboard file viewer (shift+click); dashboard-only for v1
   'environment_created': 'dashboard', // environment panel is dashboard-only
   'environment_list': 'dashboard',    // environment panel is dashboard-only
   'environment_destroyed': 'dashboard', // environment panel is dashboard-only
@@ -166,6 +175,10 @@ const PLATFORM_SPECIFIC = {
   // passes because each handler has a `case 'activity_snapshot'/'activity_delta':`.
   'host_status_snapshot': 'dashboard', // Control Room Host/Repo Status survey reply (#5171 schema / #5174 server emitter / #5175 dashboard section) — dashboard-only for v1; mobile parity is a Phase-2 fast-follow per epic #5170
   'permission_audit_result': 'dashboard', // #6772 reply to query_permission_audit — the dashboard SettingsPanel "Permission history" view is the first (and only, for v1) client caller; the mobile PermissionHistory screen derives its summary from the live chat transcript, not this wire query, so mobile parity is a fast-follow
+  // session_forked removed — the app forks from the chat selection bar too, so
+  // both handlers cover the reply.
+  'provider_switched': 'dashboard', // reply to switch_provider — the Switch provider action (sidebar menu + provider dialog) is dashboard-only for v1; the mobile app can adopt the client-agnostic endpoint later
+  'provider_failover': 'dashboard', // automatic failover retry / hop / exhausted chip in the chat — dashboard-only for v1; the mobile app keeps showing the plain error
   'memory_stack_result': 'dashboard', // #6867 (epic #6760) reply to memory_read — the dashboard memory panel (merged CLAUDE.md hierarchy + provenance) is the first client surface; mobile parity is the sibling slice #6870
   // 'permission_input' removed from PLATFORM_SPECIFIC — the mobile app now
   // handles it too (#6543 PR-4, the pre-write-diff mobile parity fast-follow),
@@ -176,6 +189,7 @@ const PLATFORM_SPECIFIC = {
   'repo_events_snapshot': 'dashboard', // Control Room repo-events survey reply (#5966, epic #5422 phase 5) — GitHub-webhook activity buffered by the daemon (#6468); host-level surface, dashboard-only (the mobile app has no Control Room); mobile parity would be a fast-follow
   'repo_events_delta': 'dashboard', // Control Room repo-events LIVE delta (#6536, PR-2 of #5966) — host-broadcast of a new webhook event so the pane updates without a Refresh; host-level surface, dashboard-only (the mobile app has no Control Room); mobile parity would be a fast-follow
   'github_webhook_config': 'dashboard', // Control Room repo-events webhook-secret config reply (#6540, item 3 of #6536) — set/rotate the HMAC secret + payload URL + delivery status; host-level surface, dashboard-only (the mobile app has no Control Room); mobile parity would be a fast-follow
+  'slack_notifications_config': 'dashboard', // Slack notification credential config reply — bot token / channel / incoming-webhook URL (value-free) + delivery mode; set from the dashboard's Settings → Notifications pane, dashboard-only (mobile configures push, not channel sinks)
   'runner_status_snapshot': 'dashboard', // Control Room self-hosted runner survey reply (#5253) — host-level surface, dashboard-only (the mobile app has no Control Room); mobile parity would be a fast-follow
   'containers_status_snapshot': 'dashboard', // Control Room containers & environments survey reply (#6133, epic #5530) — host-level surface, dashboard-only (the mobile app has no Control Room); mobile parity would be a fast-follow
   'repo_runtime_config_snapshot': 'dashboard', // Control Room per-repo runtime config survey reply (#6139, epic #5530) — host-level surface, dashboard-only (the mobile app has no Control Room); mobile parity would be a fast-follow
@@ -76,6 +76,8 @@ const REQUIRES_FACTORY_IMPORT = new Set([
   'handlers/feature-handlers.js',
   'handlers/session-handlers.js',
   'handlers/settings-handlers.js',
+  // The claude-channel bridge binds `this._log` in start(), like the TUI.
+  'claude-channel-session.js',
 ])
 
 /**
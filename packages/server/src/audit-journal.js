@@ -0,0 +1,420 @@
+/**
+ * Durable, hash-chained audit journal for permission and control events.
+ *
+ * permission-audit.js keeps a bounded in-memory ring (lost on restart) and
+ * shell-audit.js writes `[AUDIT]` log lines (greppable, but unstructured and
+ * freely editable), so after a restart neither can answer "who approved that
+ * `rm -rf`, from which device?". The journal is the durable record behind both:
+ * every permission decision, mode change, rule edit, token issue / revoke /
+ * re-scope, user-shell create / destroy and credential change is appended as one
+ * JSON line under `<configDir>/audit/`, one segment file per UTC day
+ * (`audit-YYYY-MM-DD.jsonl`, mode 0600).
+ *
+ * Entry shape — flat, like the ring's entries, so the same consumers read both:
+ *
+ *   { seq, timestamp, type, clientId, tokenClass, device, sessionId,
+ *     ...details, prev, hash }
+ *
+ * `tokenClass` ('primary' | 'pairing' | 'local' for the CLI, null when no human
+ * acted) and `device` (the paired device's name, when it sent one) identify the
+ * actor. `hash` is the sha256 of the entry serialized WITHOUT `hash`, and `prev`
+ * is the previous entry's `hash` (64 zeros for the first entry ever written), so
+ * editing, deleting or reordering any entry breaks the chain at that point and
+ * `chroxy audit verify` reports it. The chain is tamper-EVIDENT, not
+ * tamper-proof: someone with write access who rewrites every entry from the edit
+ * onward produces a valid chain — `verify` prints the head hash so an operator
+ * can record it somewhere the host can't reach.
+ *
+ * Two processes append: the daemon and the `chroxy` CLI (a `tokens revoke` or
+ * `credentials rekey` on the host). The chain head is therefore re-read from
+ * disk whenever the newest segment's size differs from what this process last
+ * wrote, rather than trusted from memory.
+ *
+ * Retention (`audit.retentionDays`, default 90) deletes whole segments older
+ * than the window. Each prune appends a `retention_prune` entry recording the
+ * hash the first kept entry chains from (`anchor`), so `verify` can tell an
+ * honest prune from a deleted segment.
+ *
+ * The journal never breaks the operation it records: a failed append is logged
+ * and swallowed (see {@link recordAuditEvent}).
+ */
+import { createHash } from 'node:crypto'
+import {
+  appendFileSync, closeSync, existsSync, fstatSync, mkdirSync, openSync,
+  readFileSync, readSync, readdirSync, statSync, unlinkSync,
+} from 'node:fs'
+import { join } from 'node:path'
+import { configDir } from './config-dir.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('audit-journal')
+
+/** `prev` of the first entry ever written. */
+export const GENESIS_HASH = '0'.repeat(64)
+
+export const DEFAULT_AUDIT_RETENTION_DAYS = 90
+
+/**
+ * Every entry `type` the daemon and CLI write. The wire `auditType` filter
+ * (QueryPermissionAuditSchema) accepts exactly these.
+ */
+export const AUDIT_EVENT_TYPES = Object.freeze([
+  'mode_change',
+  'whitelist_change',
+  'decision',
+  'token_issue',
+  'token_revoke',
+  'token_scope_change',
+  'shell_create',
+  'shell_destroy',
+  'credential_change',
+  'retention_prune',
+])
+
+const SEGMENT_RE = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/
+const DAY_MS = 24 * 60 * 60 * 1000
+// Enough to hold the last entry of a segment (a whitelist_change with a long
+// rule list is the largest); the tail read widens to the whole file if not.
+const TAIL_READ_BYTES = 64 * 1024
+
+/** The journal directory the daemon and CLI share. */
+export function auditJournalDir() {
+  return join(configDir(), 'audit')
+}
+
+/**
+ * `audit.retentionDays` from config: a positive integer, `0` to keep segments
+ * forever, or the default when unset/invalid (validateConfig warns about the
+ * invalid case).
+ */
+export function resolveAuditRetentionDays(config) {
+  const v = config?.audit?.retentionDays
+  if (Number.isInteger(v) && v >= 0) return v
+  return DEFAULT_AUDIT_RETENTION_DAYS
+}
+
+/**
+ * The actor fields of an entry, from a WS client record. The token class
+ * mirrors the user-shell gate (#5985): the primary API token, or anything a
+ * pairing issued.
+ *
+ * @param {object|null|undefined} client
+ * @returns {{ clientId: string|null, tokenClass: string|null, device: string|null }}
+ */
+export function describeActor(client) {
+  if (!client) return { clientId: null, tokenClass: null, device: null }
+  return {
+    clientId: client.id ?? null,
+    tokenClass: client.isPrimaryToken === true ? 'primary' : 'pairing',
+    device: typeof client.deviceInfo?.deviceName === 'string' && client.deviceInfo.deviceName
+      ? client.deviceInfo.deviceName
+      : null,
+  }
+}
+
+function dayOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10)
+}
+
+function hashOf(record) {
+  return createHash('sha256').update(JSON.stringify(record)).digest('hex')
+}
+
+/** Split an entry into the record that was hashed and its stored hash. */
+function unhash(entry) {
+  const { hash, ...record } = entry
+  return { record, hash }
+}
+
+export class AuditJournal {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.dir] - Segment directory (default {@link auditJournalDir}).
+   * @param {number|null} [opts.retentionDays] - Days of segments to keep; `0`
+   *   or null never prunes. The daemon passes the configured value; the CLI
+   *   passes nothing, so a host command never prunes on the daemon's behalf.
+   * @param {() => number} [opts.now] - Clock (tests).
+   */
+  constructor({ dir = auditJournalDir(), retentionDays = null, now = Date.now } = {}) {
+    this._dir = dir
+    this._retentionDays = Number.isInteger(retentionDays) && retentionDays > 0 ? retentionDays : null
+    this._now = now
+    // Chain head as of this process's last read/write; `size` is the newest
+    // segment's size at that moment, so a foreign append is noticed.
+    this._head = null // { seq, hash, segment, size }
+    this._lastDay = null
+  }
+
+  get dir() {
+    return this._dir
+  }
+
+  /**
+   * Append one entry and return it as stored (with seq/prev/hash).
+   * Throws on an I/O failure — callers that must not fail use
+   * {@link recordAuditEvent}.
+   *
+   * @param {{ type: string, timestamp?: number, clientId?: string|null, tokenClass?: string|null,
+   *   device?: string|null, sessionId?: string|null, [k: string]: unknown }} event
+   */
+  append(event) {
+    const timestamp = typeof event.timestamp === 'number' ? event.timestamp : this._now()
+    const day = dayOf(timestamp)
+    if (this._lastDay !== day) {
+      this._lastDay = day
+      // Day rollover (or first append): the natural moment to prune.
+      this.prune()
+    }
+    mkdirSync(this._dir, { recursive: true, mode: 0o700 })
+    const head = this._readHead()
+    const { type, clientId = null, tokenClass = null, device = null, sessionId = null, ...details } = event
+    // Chain fields are the journal's to assign, never the caller's.
+    delete details.timestamp
+    delete details.seq
+    delete details.prev
+    delete details.hash
+    const record = {
+      seq: head ? head.seq + 1 : 1,
+      timestamp,
+      type,
+      clientId,
+      tokenClass,
+      device,
+      sessionId,
+      ...details,
+      prev: head ? head.hash : GENESIS_HASH,
+    }
+    const entry = { ...record, hash: hashOf(record) }
+    const segment = join(this._dir, `audit-${day}.jsonl`)
+    appendFileSync(segment, JSON.stringify(entry) + '\n', { mode: 0o600 })
+    this._head = { seq: entry.seq, hash: entry.hash, segment, size: statSync(segment).size }
+    return entry
+  }
+
+  /**
+   * Delete whole segments older than the retention window, recording the
+   * prune (and the hash the first kept entry chains from) as an entry.
+   *
+   * @returns {{ removed: string[] }}
+   */
+  prune() {
+    if (!this._retentionDays) return { removed: [] }
+    const cutoff = dayOf(this._now() - this._retentionDays * DAY_MS)
+    const segments = this._segments()
+    const doomed = segments.filter((s) => s.day < cutoff)
+    if (doomed.length === 0) return { removed: [] }
+    // Never delete the chain head's segment: the next append chains from it.
+    if (doomed.length === segments.length) doomed.pop()
+    if (doomed.length === 0) return { removed: [] }
+    const anchor = this._lastEntryOf(doomed[doomed.length - 1].path)?.hash ?? null
+    for (const s of doomed) unlinkSync(s.path)
+    const removed = doomed.map((s) => s.name)
+    log.info(`Pruned ${removed.length} audit segment(s) older than ${this._retentionDays} days`)
+    this.append({ type: 'retention_prune', timestamp: this._now(), removedSegments: removed, anchor, retentionDays: this._retentionDays })
+    return { removed }
+  }
+
+  /**
+   * Entries matching the filters, oldest first, keeping the most recent
+   * `limit` — the same contract as PermissionAuditLog.query.
+   *
+   * @param {{ sessionId?: string, type?: string, since?: number, device?: string, limit?: number }} [filters]
+   * @returns {object[]}
+   */
+  query({ sessionId, type, since, device, limit = 100 } = {}) {
+    const sinceDay = typeof since === 'number' ? dayOf(since) : null
+    const out = []
+    // Newest segment first so a small limit stops reading early.
+    for (const s of this._segments().reverse()) {
+      if (sinceDay && s.day < sinceDay) break
+      const matches = this._readSegment(s.path).filter((e) =>
+        (!sessionId || e.sessionId === sessionId)
+        && (!type || e.type === type)
+        && (!since || e.timestamp >= since)
+        && (!device || e.device === device),
+      )
+      out.unshift(...matches)
+      if (out.length >= limit) break
+    }
+    return out.slice(-limit)
+  }
+
+  /**
+   * Walk every segment in order and check the chain.
+   *
+   * @returns {{ ok: boolean, entries: number, segments: number, head: string|null,
+   *   error?: string, segment?: string, line?: number, seq?: number }}
+   */
+  verify() {
+    const segments = this._segments()
+    const anchors = new Set([GENESIS_HASH])
+    // Prune entries live AFTER the segments they removed, so collect anchors
+    // up front.
+    const parsed = []
+    for (const s of segments) {
+      const lines = this._readLines(s.path)
+      const entries = []
+      for (let i = 0; i < lines.length; i++) {
+        let entry
+        try {
+          entry = JSON.parse(lines[i])
+        } catch {
+          return { ok: false, entries: 0, segments: segments.length, head: null, error: 'unparseable line', segment: s.name, line: i + 1 }
+        }
+        if (entry.type === 'retention_prune' && typeof entry.anchor === 'string') anchors.add(entry.anchor)
+        entries.push({ entry, line: i + 1 })
+      }
+      parsed.push({ segment: s.name, entries })
+    }
+    let prev = null
+    let count = 0
+    for (const { segment, entries } of parsed) {
+      for (const { entry, line } of entries) {
+        const fail = (error) => ({ ok: false, entries: count, segments: segments.length, head: prev?.hash ?? null, error, segment, line, seq: entry.seq })
+        const { record, hash } = unhash(entry)
+        if (hashOf(record) !== hash) return fail('entry hash mismatch (entry was modified)')
+        if (prev === null) {
+          if (!anchors.has(entry.prev)) return fail('first entry does not chain from genesis or a recorded retention prune (entries before it were removed)')
+        } else {
+          if (entry.prev !== prev.hash) return fail('chain broken (an entry before this one was removed or reordered)')
+          if (entry.seq !== prev.seq + 1) return fail(`sequence gap (expected ${prev.seq + 1})`)
+        }
+        prev = entry
+        count++
+      }
+    }
+    return { ok: true, entries: count, segments: segments.length, head: prev?.hash ?? null }
+  }
+
+  /** Segment files, oldest first. */
+  _segments() {
+    let names
+    try {
+      names = readdirSync(this._dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    return names
+      .map((name) => ({ name, m: SEGMENT_RE.exec(name) }))
+      .filter(({ m }) => m)
+      .map(({ name, m }) => ({ name, day: m[1], path: join(this._dir, name) }))
+      .sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0))
+  }
+
+  _readLines(path) {
+    return readFileSync(path, 'utf8').split('\n').filter((l) => l.trim())
+  }
+
+  _readSegment(path) {
+    const out = []
+    for (const line of this._readLines(path)) {
+      try {
+        out.push(JSON.parse(line))
+      } catch {
+        // A torn or corrupt line is verify's business; a query skips it.
+      }
+    }
+    return out
+  }
+
+  /** The last parseable entry of a segment, reading only its tail. */
+  _lastEntryOf(path) {
+    let fd
+    try {
+      fd = openSync(path, 'r')
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+    try {
+      const { size } = fstatSync(fd)
+      let readBytes = Math.min(size, TAIL_READ_BYTES)
+      for (;;) {
+        const buf = Buffer.alloc(readBytes)
+        readSync(fd, buf, 0, readBytes, size - readBytes)
+        const lines = buf.toString('utf8').split('\n').filter((l) => l.trim())
+        // The first line of a partial read may be cut mid-entry; only trust
+        // it when the read started at the beginning of the file.
+        const complete = readBytes === size ? lines : lines.slice(1)
+        for (let i = complete.length - 1; i >= 0; i--) {
+          try {
+            return JSON.parse(complete[i])
+          } catch { /* torn tail line — try the one before */ }
+        }
+        if (readBytes === size) return null
+        readBytes = size
+      }
+    } finally {
+      closeSync(fd)
+    }
+  }
+
+  /** The current chain head, re-read from disk if another process appended. */
+  _readHead() {
+    if (this._head && existsSync(this._head.segment)) {
+      const newest = this._segments().pop()
+      if (newest?.path === this._head.segment && statSync(newest.path).size === this._head.size) return this._head
+    }
+    const segments = this._segments()
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const last = this._lastEntryOf(segments[i].path)
+      if (last && typeof last.hash === 'string' && Number.isInteger(last.seq)) {
+        this._head = { seq: last.seq, hash: last.hash, segment: segments[i].path, size: statSync(segments[i].path).size }
+        return this._head
+      }
+    }
+    this._head = null
+    return null
+  }
+}
+
+// -- Process-wide journal ---------------------------------------------------
+//
+// Audit events originate in modules that have no WsServer handle (shell-audit,
+// the credential handlers, ws-auth), so like the logger's audit-file sink the
+// journal is registered once at boot and reached through these functions. Unset
+// (tests, or a host tool that doesn't journal) makes recording a no-op.
+
+let _journal = null
+let _failing = false
+
+/** Register (or with null, clear) the process-wide journal. */
+export function setAuditJournal(journal) {
+  _journal = journal || null
+  _failing = false
+}
+
+/** The registered journal, or null. */
+export function getAuditJournal() {
+  return _journal
+}
+
+/**
+ * Actor fields for an event recorded by a `chroxy` host command: whoever runs
+ * the CLI already has the machine, so the class is `local`.
+ */
+export const CLI_ACTOR = Object.freeze({ clientId: 'cli', tokenClass: 'local', device: null })
+
+/**
+ * Append an event to the registered journal (or an explicit one — the CLI
+ * opens its own). Never throws: an audit write failure is logged (once per
+ * failure streak) and must not fail the operation being audited.
+ *
+ * @param {string} type - One of {@link AUDIT_EVENT_TYPES}
+ * @param {object} [fields] - Actor fields ({@link describeActor}) + details
+ * @param {AuditJournal|null} [journal] - Defaults to the registered journal
+ * @returns {object|null} The stored entry, or null when not journaled
+ */
+export function recordAuditEvent(type, fields = {}, journal = _journal) {
+  if (!journal) return null
+  try {
+    const entry = journal.append({ ...fields, type })
+    _failing = false
+    return entry
+  } catch (err) {
+    if (!_failing) log.warn(`Audit journal append failed (${type}): ${err.message}`)
+    _failing = true
+    return null
+  }
+}
@@ -19,6 +19,7 @@ import { isOperatorTimeoutInRange } from './duration.js'
 import { createLogger } from './logger.js'
 import { ActivityRegistry } from './activity-registry.js'
 import { ALLOWED_PERMISSION_MODE_IDS } from './handler-utils.js'
+import { resolveBwrapBinary, wrapSpawnSpec } from './bwrap-sandbox.js'
 
 const log = createLogger('base-session')
 
@@ -135,6 +136,7 @@ export const BASE_SESSION_OPT_KEYS = [
   'streamStallTimeoutMs',
   'backgroundShellHardQuiesceMs',
   'permissionRuleStore',
+  'bwrapSandbox',
 ]
 
 // #5367: pick the BaseSession opts out of a subclass's full opts bag and merge
@@ -351,6 +353,11 @@ export class BaseSession extends EventEmitter {
     // hand it to their PermissionManager so an `allowAlways` decision persists a
     // project-scoped rule and new sessions in the same cwd seed from it.
     permissionRuleStore,
+    // Bubblewrap sandbox spec (`{ mode: 'bwrap', network, home }`, from
+    // normalizeBwrapSandbox) for providers that spawn a local CLI. Kept apart
+    // from the SDK's own `sandbox` settings; SessionManager only forwards it to
+    // a provider whose capabilities include `bwrapSandbox`.
+    bwrapSandbox,
   } = {}) {
     super()
     this.cwd = cwd || process.cwd()
@@ -358,6 +365,8 @@ export class BaseSession extends EventEmitter {
     // Read by the in-process permission providers when they build their
     // PermissionManager; null on providers/tests that don't wire it.
     this._permissionRuleStore = permissionRuleStore || null
+    // Bubblewrap sandbox spec (see the opt doc above); null runs the CLI unconfined.
+    this._bwrapSandbox = bwrapSandbox || null
     this.model = model || null
     // Actual model the underlying CLI/SDK reports at init time. May differ
     // from `this.model` (the user's requested override) when no override
@@ -1336,6 +1345,27 @@ export class BaseSession extends EventEmitter {
     }
   }
 
+  /**
+   * Wrap a `prepareSpawn` result so the CLI runs under the session's bubblewrap
+   * sandbox, or return it unchanged when there is none. The provider's state
+   * dir (static `bwrapStatePaths`, relative to `$HOME`) stays writable so the
+   * CLI can still authenticate and record its transcripts.
+   *
+   * @param {{ command: string, args: string[], options?: object }} spawnSpec
+   * @param {{ tty?: boolean, writablePaths?: string[] }} [opts]
+   * @returns {{ command: string, args: string[], options?: object }}
+   */
+  _bwrapSpawnSpec(spawnSpec, { tty = false, writablePaths = [] } = {}) {
+    if (!this._bwrapSandbox) return spawnSpec
+    return wrapSpawnSpec(spawnSpec, this._bwrapSandbox, {
+      cwd: this.cwd,
+      statePaths: this.constructor.bwrapStatePaths || [],
+      writablePaths,
+      tty,
+      bwrapBinary: resolveBwrapBinary(),
+    })
+  }
+
   /**
    * Shared skills system MVP (#2957).
    *
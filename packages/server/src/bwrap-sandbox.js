@@ -0,0 +1,259 @@
+/**
+ * Bubblewrap session sandbox — filesystem confinement for a host CLI provider
+ * without the weight of a container.
+ *
+ * `sandbox: 'bwrap'` on `create_session` runs the provider CLI (claude-cli,
+ * claude-tui, codex, gemini) under `bwrap` on Linux:
+ *
+ *   - the host root is bound read-only, with a fresh /dev, /proc and a
+ *     private /tmp;
+ *   - the project dir is the only general-purpose writable path, plus the
+ *     provider's own state dir (`~/.claude`, `~/.codex`, …) so it can still
+ *     authenticate and write its transcripts;
+ *   - the rest of `$HOME` stays read-only (`home: 'read-only'`, the default)
+ *     or is replaced by an empty tmpfs (`home: 'hidden'`);
+ *   - the credential stores in HOME_CREDENTIAL_PATHS (permission-floor.js)
+ *     are masked at the mount layer whatever `home` is, so Bash can't read
+ *     what the path floor can only prompt for;
+ *   - so is chroxy's own config dir (`configDir()`, wherever
+ *     CHROXY_CONFIG_DIR puts it): it holds provider API keys and the
+ *     paired-device tokens, and with the network on a stolen token would
+ *     let the agent drive the daemon from outside the sandbox;
+ *   - `network: false` adds `--unshare-net`. That cuts the CLI off from its
+ *     own API and from chroxy's permission hook too, so it only suits a
+ *     provider that works offline.
+ *
+ * The mount plan is built here; each provider wraps its spawn spec through
+ * BaseSession#_bwrapSpawnSpec, and SessionManager refuses the mode for a
+ * provider that doesn't spawn a local CLI or on a non-Linux host.
+ */
+
+import { existsSync, realpathSync, statSync } from 'fs'
+import { homedir } from 'os'
+import { dirname, isAbsolute, join, relative, resolve } from 'path'
+import { fileURLToPath } from 'url'
+import { BWRAP_HOME_MODES } from '@chroxy/protocol'
+import { HOME_CREDENTIAL_PATHS } from './permission-floor.js'
+import { configDir } from './config-dir.js'
+import { resolveBinary } from './utils/resolve-binary.js'
+
+export { BWRAP_HOME_MODES }
+
+const SANDBOX_KEYS = new Set(['mode', 'network', 'home'])
+
+// Where distro packages install bwrap, for a daemon started with a minimal PATH.
+const BWRAP_CANDIDATES = ['/usr/bin/bwrap', '/usr/local/bin/bwrap']
+
+// The chroxy server package root — the permission hook script lives under it,
+// so `home: 'hidden'` must keep it visible when chroxy is installed in $HOME.
+const SERVER_PKG_DIR = dirname(dirname(fileURLToPath(import.meta.url)))
+
+/**
+ * Thrown when a bwrap sandbox request can't be honoured as written. The
+ * message leads with the field it came from, like EgressPolicyError.
+ */
+export class BwrapSandboxError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'BwrapSandboxError'
+  }
+}
+
+/**
+ * Whether `raw` asks for the bwrap sandbox: the string `'bwrap'` or an object
+ * with `mode: 'bwrap'`. Any other object is SDK sandbox settings.
+ *
+ * @param {*} raw
+ * @returns {boolean}
+ */
+export function isBwrapSandbox(raw) {
+  if (raw === 'bwrap') return true
+  return Boolean(raw) && typeof raw === 'object' && !Array.isArray(raw) && raw.mode === 'bwrap'
+}
+
+/**
+ * Normalize a bwrap sandbox request to `{ mode: 'bwrap', network, home }`,
+ * or null when `raw` isn't one (absent, or SDK sandbox settings). Refuses an
+ * unknown key or value rather than dropping it: a silently ignored option
+ * would confine the session less than was asked for.
+ *
+ * @param {*} raw
+ * @param {string} [field='sandbox'] - Where the value came from, for the error message.
+ * @returns {{ mode: 'bwrap', network: boolean, home: 'read-only'|'hidden' } | null}
+ */
+export function normalizeBwrapSandbox(raw, field = 'sandbox') {
+  if (!isBwrapSandbox(raw)) return null
+  if (raw === 'bwrap') return { mode: 'bwrap', network: true, home: 'read-only' }
+  for (const key of Object.keys(raw)) {
+    if (!SANDBOX_KEYS.has(key)) throw new BwrapSandboxError(`${field}: unknown bwrap option "${key}"`)
+  }
+  if (raw.network !== undefined && typeof raw.network !== 'boolean') {
+    throw new BwrapSandboxError(`${field}.network must be a boolean`)
+  }
+  if (raw.home !== undefined && !BWRAP_HOME_MODES.includes(raw.home)) {
+    throw new BwrapSandboxError(`${field}.home must be one of ${BWRAP_HOME_MODES.join(', ')}`)
+  }
+  return { mode: 'bwrap', network: raw.network !== false, home: raw.home || 'read-only' }
+}
+
+/**
+ * Absolute path to `bwrap`, or the bare name when it isn't installed (the
+ * spawn then fails with a plain ENOENT).
+ *
+ * @returns {string}
+ */
+export function resolveBwrapBinary() {
+  return resolveBinary('bwrap', BWRAP_CANDIDATES)
+}
+
+/**
+ * Why a session can't run under the bwrap sandbox, or null when it can.
+ * SessionManager throws the reason on create and on a provider swap.
+ *
+ * @param {Function|undefined} ProviderClass - Resolved provider class
+ * @param {string} providerType - Registry id, for the message
+ * @param {string} [platform=process.platform]
+ * @returns {string|null}
+ */
+export function bwrapUnsupportedReason(ProviderClass, providerType, platform = process.platform) {
+  if (platform !== 'linux') return `sandbox "bwrap" needs a Linux host (this one is ${platform})`
+  if (!ProviderClass?.capabilities?.bwrapSandbox) {
+    return `sandbox "bwrap" needs a provider that spawns a local CLI; "${providerType}" doesn't`
+  }
+  return null
+}
+
+function isInside(child, parent) {
+  const rel = relative(parent, child)
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel))
+}
+
+function realOrSelf(path, realpath) {
+  try {
+    return realpath(path)
+  } catch {
+    return path
+  }
+}
+
+/**
+ * The `bwrap` argv (up to and including `--`) for one spawn. Mounts are
+ * emitted in overlay order — later mounts shadow earlier ones — so the
+ * credential and config-dir masks come last and win over every bind.
+ *
+ * @param {{ network: boolean, home: string }} spec - From normalizeBwrapSandbox
+ * @param {object} ctx
+ * @param {string} ctx.cwd - Project dir, bound read-write
+ * @param {string[]} [ctx.statePaths] - Home-relative provider state paths, bound read-write when present
+ * @param {string[]} [ctx.writablePaths] - Absolute extra read-write paths (e.g. a session's hook sink dir)
+ * @param {string[]} [ctx.exposePaths] - Absolute paths kept readable under `home: 'hidden'`
+ * @param {boolean} [ctx.tty] - The child drives a terminal, so no `--new-session`
+ * @param {string} [ctx.home]
+ * @param {string} [ctx.chroxyDir] - chroxy's config dir, masked (default `configDir()`)
+ * @param {Function} [ctx.exists]
+ * @param {Function} [ctx.isDirectory]
+ * @param {Function} [ctx.realpath]
+ * @returns {string[]}
+ */
+export function buildBwrapArgs(spec, {
+  cwd,
+  statePaths = [],
+  writablePaths = [],
+  exposePaths = [],
+  tty = false,
+  home = homedir(),
+  chroxyDir = configDir(),
+  exists = existsSync,
+  isDirectory = (p) => statSync(p).isDirectory(),
+  realpath = realpathSync,
+} = {}) {
+  const project = realOrSelf(resolve(cwd), realpath)
+  const args = [
+    '--die-with-parent',
+    '--unshare-user', '--unshare-pid', '--unshare-ipc', '--unshare-uts', '--unshare-cgroup-try',
+  ]
+  if (!spec.network) args.push('--unshare-net')
+  // --new-session detaches the controlling terminal (the TIOCSTI escape), which
+  // a PTY-driven TUI needs to keep.
+  if (!tty) args.push('--new-session')
+
+  args.push(
+    '--ro-bind', '/', '/',
+    '--dev', '/dev',
+    '--proc', '/proc',
+    '--tmpfs', '/tmp',
+  )
+
+  if (spec.home === 'hidden') {
+    args.push('--tmpfs', home)
+    for (const path of exposePaths) {
+      if (isInside(path, home) && !isInside(home, path) && exists(path)) args.push('--ro-bind', path, path)
+    }
+  }
+
+  const binds = []
+  for (const rel of statePaths) {
+    const path = join(home, rel)
+    if (exists(path)) binds.push(path)
+  }
+  for (const path of writablePaths) {
+    if (exists(path)) binds.push(path)
+  }
+  binds.push(project)
+  for (const path of binds) args.push('--bind', path, path)
+
+  for (const rel of HOME_CREDENTIAL_PATHS) {
+    const path = join(home, rel)
+    if (!exists(path)) continue
+    let dir = false
+    try { dir = isDirectory(path) } catch { /* vanished — mask as a file */ }
+    if (dir) args.push('--tmpfs', path)
+    else args.push('--ro-bind', '/dev/null', path)
+  }
+
+  // A bind inside the config dir (a session worktree under `worktrees/`) is
+  // put back on top of the mask; the dir itself never is.
+  const chroxy = realOrSelf(resolve(chroxyDir), realpath)
+  if (exists(chroxy)) {
+    args.push('--tmpfs', chroxy)
+    for (const path of binds) {
+      if (path !== chroxy && isInside(path, chroxy)) args.push('--bind', path, path)
+    }
+  }
+
+  args.push('--setenv', 'TMPDIR', '/tmp', '--chdir', project, '--')
+  return args
+}
+
+/**
+ * Wrap a `prepareSpawn`-shaped `{ command, args, options }` so it runs under
+ * bwrap. Under `home: 'hidden'` the command is spawned by its real path, and
+ * its install dir, the node prefix and the chroxy package stay readable when
+ * they live in `$HOME` (a symlink in a hidden `~/.local/bin` would otherwise
+ * resolve to nothing).
+ *
+ * @param {{ command: string, args: string[], options?: object }} spawnSpec
+ * @param {{ network: boolean, home: string }} spec - From normalizeBwrapSandbox
+ * @param {object} ctx - See buildBwrapArgs, plus `bwrapBinary` (default `'bwrap'` on PATH)
+ * @returns {{ command: string, args: string[], options: object }}
+ */
+export function wrapSpawnSpec(spawnSpec, spec, ctx = {}) {
+  const realpath = ctx.realpath || realpathSync
+  let command = spawnSpec.command
+  const exposePaths = [...(ctx.exposePaths || [])]
+  if (spec.home === 'hidden') {
+    command = realOrSelf(command, realpath)
+    exposePaths.push(dirname(command), dirname(dirname(process.execPath)), SERVER_PKG_DIR)
+  }
+  const args = buildBwrapArgs(spec, { ...ctx, exposePaths })
+  return {
+    command: ctx.bwrapBinary || 'bwrap',
+    args: [...args, command, ...spawnSpec.args],
+    options: spawnSpec.options || {},
+  }
+}
+
+/** The sandbox as one line for logs: `bwrap (home read-only, network on)`. */
+export function describeBwrapSandbox(spec) {
+  return `bwrap (home ${spec.home}, network ${spec.network ? 'on' : 'off'})`
+}
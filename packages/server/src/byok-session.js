@@ -52,6 +52,7 @@ import {
 } from './byok-mcp-trust.js'
 import { getSubagentProfile, SUBAGENT_PROFILE_NAMES } from './byok-subagent-profiles.js'
 import { configPath } from './config-dir.js'
+import { createFlagSet, toAnthropicMessages, trimAnthropicMessages } from './conversation-carry.js'
 
 const log = createLogger('byok-session')
 
@@ -929,6 +930,31 @@ export class ClaudeByokSession extends BaseSession {
     return [...this._disabledMcpServers].sort()
   }
 
+  /**
+   * Seed a conversation carried over from another provider (provider-switch.js)
+   * before the first turn: the rebuilt Anthropic history plus the todo list.
+   * Tool calls keep their native tool_use / tool_result shape only for tools
+   * this session can call right now; the rest ride as text (see
+   * conversation-carry.js). Optional method — the switch feature-detects it.
+   *
+   * @param {{ turns: Array<object>, todos?: Array<object> }} carry - from
+   *   normalizeConversation()
+   * @returns {{ messages: number, flags: Array<object> }}
+   */
+  seedConversation({ turns, todos = [] }) {
+    const rendered = toAnthropicMessages(turns, { toolNames: this._buildTools().map((t) => t.name) })
+    // Leave room for the next prompt under the MAX_HISTORY_TURNS trim in
+    // sendMessage, which drops head pairs without regard to tool rounds.
+    const { messages, dropped } = trimAnthropicMessages(rendered.messages, MAX_HISTORY_TURNS * 2 - 1)
+    const flags = createFlagSet()
+    flags.merge(rendered.flags)
+    if (dropped > 0) flags.add('turns_trimmed')
+    this._history = messages
+    this._todos.clear()
+    for (const todo of todos) this._todos.set(todo.id, { ...todo })
+    return { messages: messages.length, flags: flags.list() }
+  }
+
   async sendMessage(prompt, attachments, _options = {}) {
     if (this._isBusy) {
       this.emit('error', { message: 'Already processing a message' })
@@ -1,36 +1,43 @@
 #!/usr/bin/env node
 /**
- * chroxy-channel — standalone `claude --channels` MCP server prototype (#3952).
+ * chroxy-channel — the `claude --channels` MCP server behind the
+ * `claude-channel` provider (started as the #3952 prototype).
  *
- * This is a STANDALONE prototype, intentionally NOT wired into chroxy's provider
- * registry, ws-server, or any session class. Its only job is to prove the live
- * `claude --channels` round-trip end-to-end before the provider scaffold (#3953)
- * and bridge (#3954) are built on top of it. See:
- *   - docs/architecture/claude-channels-provider-spike.md  (the #3951 spike)
- *   - packages/server/src/channels/README.md               (how to run it)
+ * `claude` spawns this file as a stdio MCP subprocess. It runs in one of two
+ * modes, picked from the environment it is spawned with:
+ *   - BRIDGE mode (`CHROXY_CHANNEL_SOCKET` set) — `ClaudeChannelSession` wrote
+ *     an MCP config pointing here and is listening on that Unix socket. This
+ *     server connects back, authenticates with `CHROXY_CHANNEL_TOKEN`, and
+ *     relays JSON lines both ways: chroxy input → channel notifications,
+ *     `reply` tool calls and permission requests → the session. See
+ *     connectBridgeSocket() for the line protocol.
+ *   - PROTOTYPE mode (no socket) — the original standalone debug surface: a
+ *     localhost HTTP listener whose POST bodies become channel notifications.
+ *     See packages/server/src/channels/README.md. Bridge mode keeps it off
+ *     unless `CHROXY_CHANNEL_HTTP=1` (spike R8).
  *
  * Protocol contract (verified against the published Channels reference and the
- * installed CLI v2.1.163 in the spike):
+ * installed CLI v2.1.163 in the spike, docs/architecture/claude-channels-provider-spike.md):
  *   - Declares the `experimental: { 'claude/channel': {} }` capability — the
  *     presence of this key is what registers the channel notification listener.
  *   - Declares `tools: {}` and registers a two-way `reply(chat_id, text)` tool.
- *     For this prototype the handler just logs the reply to stderr.
  *   - Pushes inbound events with `mcp.notification({ method:
  *     'notifications/claude/channel', params: { content, meta } })`. Each `meta`
  *     key becomes an attribute on the `<channel source="…">` envelope.
- *   - Connects over `StdioServerTransport` — `claude` spawns this file as a
- *     subprocess and talks stdio, so running it directly exits immediately (it
- *     has no stdio peer). That is expected; spawn it via `claude --channels`.
+ *   - Connects over `StdioServerTransport` — running this file directly exits
+ *     immediately (it has no stdio peer). That is expected.
  *
- * Permission relay (`claude/channel/permission`) is deliberately OUT OF SCOPE
- * here — that is sub 4 (#3955), where it can be gated behind a trusted sender.
+ * Permission relay (`claude/channel/permission`, CLI ≥ 2.1.81) is declared only
+ * in bridge mode: anyone who can send a verdict can approve tool use, so it is
+ * gated on the single trusted writer — the session holding the socket token.
  *
- * Security: the HTTP control surface binds to 127.0.0.1 only. It is a debug /
- * prototype affordance — anything that can POST to it injects text into the
- * live Claude session (a prompt-injection surface, see spike R8). The real
- * bridge (#3954) replaces this with a Unix socket driven solely by the session.
+ * Security: the HTTP control surface binds to 127.0.0.1 only. It is a debug
+ * affordance — anything that can POST to it injects text into the live Claude
+ * session (a prompt-injection surface, see spike R8).
  */
 import { createServer } from 'http'
+import { createConnection } from 'net'
+import { z } from 'zod'
 import { isEntryPoint } from '../utils/is-entry-point.js'
 import { Server } from '@modelcontextprotocol/sdk/server/index.js'
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
@@ -45,17 +52,36 @@ export const DEFAULT_PORT = 8788
 // `meta` key becomes an attribute on the <channel source="…"> envelope.
 export const CHANNEL_NOTIFICATION_METHOD = 'notifications/claude/channel'
 
+// Permission relay methods (CLI ≥ 2.1.81). Claude sends the request when a tool
+// needs approval; the verdict goes back carrying the same request_id.
+export const PERMISSION_REQUEST_METHOD = 'notifications/claude/channel/permission_request'
+export const PERMISSION_VERDICT_METHOD = 'notifications/claude/channel/permission'
+
 // Injected into Claude's system prompt. Tells Claude the envelope shape and how
 // to reply. `source` is filled in automatically from SERVER_NAME by the CLI.
+// The one-reply-per-message rule matters in bridge mode: the session ends the
+// user's turn on the reply, so a progress note sent early would cut it short.
 export const INSTRUCTIONS = [
   `Events from the ${SERVER_NAME} channel arrive as`,
-  `<channel source="${SERVER_NAME}" chat_id="…" path="…" method="…">…</channel>.`,
-  'They carry text a remote user sent over the chroxy-channel prototype.',
+  `<channel source="${SERVER_NAME}" chat_id="…">…</channel>.`,
+  'They carry text a remote user sent through chroxy.',
   'To send a message back to that user, call the `reply` tool, passing the',
   '`chat_id` from the inbound tag and your `text`. Anything you want the sender',
-  'to see must go through the `reply` tool — the channel is otherwise one-way.'
+  'to see must go through the `reply` tool — the channel is otherwise one-way.',
+  'Reply exactly once per inbound message, after you have finished working on it,',
+  'with your complete answer.'
 ].join(' ')
 
+const PermissionRequestNotificationSchema = z.object({
+  method: z.literal(PERMISSION_REQUEST_METHOD),
+  params: z.object({
+    request_id: z.string(),
+    tool_name: z.string(),
+    description: z.string().optional(),
+    input_preview: z.string().optional()
+  }).passthrough()
+})
+
 // The reply tool definition, shaped exactly as the protocol reference shows.
 export const REPLY_TOOL = {
   name: 'reply',
@@ -120,6 +146,10 @@ export function buildChannelNotification({ content, chatId, path = '/', method =
  * @param {object} [opts]
  * @param {(args: { chat_id: string, text: string }) => void} [opts.onReply]
  *   invoked when Claude calls the `reply` tool. Defaults to logging to stderr.
+ * @param {(req: { request_id: string, tool_name: string, description: string, input_preview: string }) => void} [opts.onPermissionRequest]
+ *   when given, the server declares the `claude/channel/permission` relay and
+ *   hands each inbound request to this callback. Omit it (prototype mode) and
+ *   Claude keeps permission prompts in its own terminal.
  * @param {(...args: unknown[]) => void} [opts.log] stderr logger seam (tests).
  * @returns {{ mcp: import('@modelcontextprotocol/sdk/server/index.js').Server }}
  */
@@ -129,19 +159,33 @@ export function createChannelServer(opts = {}) {
     log(`reply chat_id=${chat_id}: ${text}`)
   })
 
+  const onPermissionRequest = opts.onPermissionRequest || null
+
+  // Presence of `claude/channel` registers the channel notification listener;
+  // `claude/channel/permission` opts into the relay.
+  const experimental = { 'claude/channel': {} }
+  if (onPermissionRequest) experimental['claude/channel/permission'] = {}
+
   const mcp = new Server(
     { name: SERVER_NAME, version: SERVER_VERSION },
     {
-      // Presence of `claude/channel` registers the channel notification
-      // listener; `tools` lets Claude discover the `reply` tool.
-      capabilities: {
-        experimental: { 'claude/channel': {} },
-        tools: {}
-      },
+      // `tools` lets Claude discover the `reply` tool.
+      capabilities: { experimental, tools: {} },
       instructions: INSTRUCTIONS
     }
   )
 
+  if (onPermissionRequest) {
+    mcp.setNotificationHandler(PermissionRequestNotificationSchema, ({ params }) => {
+      onPermissionRequest({
+        request_id: params.request_id,
+        tool_name: params.tool_name,
+        description: params.description ?? '',
+        input_preview: params.input_preview ?? ''
+      })
+    })
+  }
+
   mcp.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: [REPLY_TOOL] }))
 
   mcp.setRequestHandler(CallToolRequestSchema, async req => {
@@ -222,16 +266,132 @@ export function startHttpControlSurface({ mcp, port = DEFAULT_PORT, log = (...a)
 }
 
 /**
- * CLI entrypoint: build the server, connect stdio, and start the HTTP surface.
- * Exported so it can be invoked in tests with injected seams if ever needed,
- * but it is normally run by `claude` spawning this file over stdio.
+ * Connect to the owning `ClaudeChannelSession` over its Unix socket and relay
+ * newline-delimited JSON both ways. The first line authenticates; after that:
+ *
+ *   server → session  { type: 'hello', token }            (first line)
+ *                     { type: 'ready' }                   once Claude has initialized MCP
+ *                     { type: 'reply', chatId, text }     Claude called the reply tool
+ *                     { type: 'permission_request', requestId, toolName, description, inputPreview }
+ *   session → server  { type: 'message', chatId, content }  → channel notification
+ *                     { type: 'verdict', requestId, behavior } → permission verdict
+ *
+ * The MCP server must be created with onReply/onPermissionRequest routed to the
+ * returned `send`; main() does that wiring.
+ *
+ * @param {object} args
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} args.mcp
+ * @param {string} args.socketPath
+ * @param {string} args.token
+ * @param {() => void} [args.onClose] invoked once the session side goes away.
+ * @param {(...args: unknown[]) => void} [args.log]
+ * @returns {{ socket: import('net').Socket, send: (msg: object) => void, markReady: () => void }}
+ */
+export function connectBridgeSocket({ mcp, socketPath, token, onClose, log = (...a) => console.error('[chroxy-channel]', ...a) }) {
+  const socket = createConnection(socketPath)
+  const send = (msg) => {
+    if (!socket.destroyed) socket.write(JSON.stringify(msg) + '\n')
+  }
+  let connected = false
+  let initialized = false
+  let readySent = false
+  const maybeReady = () => {
+    if (connected && initialized && !readySent) {
+      readySent = true
+      send({ type: 'ready' })
+    }
+  }
+
+  socket.setEncoding('utf8')
+  socket.on('connect', () => {
+    connected = true
+    send({ type: 'hello', token })
+    maybeReady()
+  })
+
+  let buffer = ''
+  socket.on('data', (chunk) => {
+    buffer += chunk
+    let nl
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, nl)
+      buffer = buffer.slice(nl + 1)
+      if (!line.trim()) continue
+      let msg
+      try {
+        msg = JSON.parse(line)
+      } catch {
+        log('dropped malformed bridge line')
+        continue
+      }
+      if (msg.type === 'message') {
+        mcp.notification({
+          method: CHANNEL_NOTIFICATION_METHOD,
+          params: { content: String(msg.content ?? ''), meta: sanitizeMeta({ chat_id: msg.chatId }) }
+        }).catch(err => log('notification failed:', getErrorMessage(err, err)))
+      } else if (msg.type === 'verdict') {
+        mcp.notification({
+          method: PERMISSION_VERDICT_METHOD,
+          params: { request_id: String(msg.requestId ?? ''), behavior: msg.behavior === 'allow' ? 'allow' : 'deny' }
+        }).catch(err => log('verdict failed:', getErrorMessage(err, err)))
+      }
+    }
+  })
+
+  socket.on('error', (err) => log('bridge socket error:', getErrorMessage(err, err)))
+  socket.on('close', () => { if (onClose) onClose() })
+
+  return {
+    socket,
+    send,
+    markReady: () => {
+      initialized = true
+      maybeReady()
+    }
+  }
+}
+
+/**
+ * CLI entrypoint: build the server, connect stdio, then either bridge to the
+ * owning session (CHROXY_CHANNEL_SOCKET) or start the HTTP prototype surface.
+ * It is normally run by `claude` spawning this file over stdio.
  */
 export async function main() {
   const port = Number(process.env.CHROXY_CHANNEL_PORT) || DEFAULT_PORT
-  const { mcp } = createChannelServer()
-  // Connect stdio FIRST so notifications have a transport to write to.
+  const socketPath = process.env.CHROXY_CHANNEL_SOCKET
+
+  if (!socketPath) {
+    const { mcp } = createChannelServer()
+    // Connect stdio FIRST so notifications have a transport to write to.
+    await mcp.connect(new StdioServerTransport())
+    startHttpControlSurface({ mcp, port })
+    return
+  }
+
+  // Bridge mode. `bridge` is assigned before stdio connects, so no reply or
+  // permission request can reach these callbacks without it.
+  let bridge = null
+  const { mcp } = createChannelServer({
+    onReply: ({ chat_id, text }) => bridge.send({ type: 'reply', chatId: chat_id, text }),
+    onPermissionRequest: (req) => bridge.send({
+      type: 'permission_request',
+      requestId: req.request_id,
+      toolName: req.tool_name,
+      description: req.description,
+      inputPreview: req.input_preview
+    })
+  })
+  bridge = connectBridgeSocket({
+    mcp,
+    socketPath,
+    token: process.env.CHROXY_CHANNEL_TOKEN || '',
+    // The session is gone (destroyed, or chroxy exited): nothing can reach
+    // Claude through this channel any more, so stop rather than idle.
+    onClose: () => process.exit(0)
+  })
+  mcp.oninitialized = () => bridge.markReady()
   await mcp.connect(new StdioServerTransport())
-  startHttpControlSurface({ mcp, port })
+  if (process.env.CHROXY_CHANNEL_HTTP === '1') startHttpControlSurface({ mcp, port })
 }
 
 // Only auto-run when executed directly (not when imported by tests). Compare
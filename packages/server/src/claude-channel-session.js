@@ -1,50 +1,79 @@
-import { homedir } from 'os'
+import { randomBytes, randomUUID } from 'crypto'
+import { mkdtempSync, realpathSync, rmSync, writeFileSync } from 'fs'
+import { createServer } from 'net'
+import { homedir, tmpdir } from 'os'
 import { join } from 'path'
+import { fileURLToPath } from 'url'
 import { BaseSession, buildBaseSessionOpts } from './base-session.js'
 import { ALLOWED_MODEL_IDS } from './models.js'
 import { CLAUDE_FALLBACK_MODELS, claudeModelMetadata } from './claude-model-catalog.js'
 import { BILLING_CLASSES } from './billing-class.js'
+import { ensureCwdTrusted } from './claude-tui-session.js'
+import { SERVER_NAME as CHANNEL_SERVER_NAME } from './channels/chroxy-channel-server.js'
+import { PermissionManager, wirePermissionManager } from './permission-manager.js'
+import { createLogger, loggerForSession } from './logger.js'
+import { safeTokenCompare } from './token-compare.js'
+import { CHROXY_SECRET_DENYLIST } from './utils/spawn-env.js'
+import { labelBinarySpawnFailure } from './utils/verify-binary.js'
+import { resolveBinary } from './utils/resolve-binary.js'
+
+const log = createLogger('claude-channel-session')
 
 // Minimum `claude` CLI version that ships the `--channels` MCP transport.
 // Verified present in v2.1.163 (the locally-installed CLI) and documented
-// from v2.1.80+; permission relay needs ≥ v2.1.81 but that surface lands
-// with sub 4 (#3955), so the scaffold gates on the channel-transport floor
-// only. See docs/architecture/claude-channels-provider-spike.md.
+// from v2.1.80+. The permission relay needs ≥ v2.1.81; on 2.1.80 Claude simply
+// never sends a relayed request, so the floor stays on the channel transport.
+// See docs/architecture/claude-channels-provider-spike.md.
 export const CLAUDE_CHANNEL_MIN_VERSION = '2.1.80'
 
+// The channel MCP server `claude` spawns for this session (bridge mode).
+const CHANNEL_SERVER_PATH = fileURLToPath(new URL('./channels/chroxy-channel-server.js', import.meta.url))
+
+// How long start() waits for claude to boot and its channel server to dial
+// back. Covers a cold CLI start plus the MCP handshake.
+const DEFAULT_READY_TIMEOUT_MS = 60_000
+
+// The dev-channels flag makes claude ask for confirmation before it loads the
+// channel; its first (default) option continues, so one Enter accepts it.
+const DEV_CHANNELS_PROMPT = /local channel development/i
+
+// Tail of PTY output kept for start/exit diagnostics.
+const OUTPUT_TAIL_CHARS = 2000
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07]*(?:\x07|\x1b\\)|\x1b[@-_]/g
+
 /**
- * ClaudeChannelSession — provider scaffold for the `claude --channels` MCP
- * transport (#3953, parent #3951). Research preview.
+ * ClaudeChannelSession — the `claude --channels` provider (parent #3951).
+ * Research preview.
+ *
+ * Spawns an interactive `claude` under node-pty with
+ * `--dangerously-load-development-channels server:chroxy-channel`, pointing
+ * `--mcp-config` at a per-session config that launches
+ * channels/chroxy-channel-server.js in bridge mode. That MCP child dials back
+ * over a per-session Unix socket (0700 dir, token-authenticated), and every
+ * chroxy interaction rides the documented channel contract instead of the
+ * terminal screen:
+ *
+ *   sendMessage(text)      → `notifications/claude/channel` (chat_id per turn)
+ *   Claude's `reply` tool  → stream_start/stream_delta/stream_end + result
+ *   permission_request     → PermissionManager prompt → relayed verdict
  *
- * This is intentionally a NO-OP session: `start()` throws "not yet
- * implemented" so the bridge wiring (spawn + IPC round-trip) can land in
- * isolation as sub 3 (#3954). Everything the dashboard and `chroxy doctor`
- * need to LIST and reason about the provider — capabilities, displayLabel,
- * dataDir, preflight (binary + minVersion + credentials), model metadata,
- * and auth/billing detail — is fully wired here so the registry surface can
- * be reviewed without any PTY spawning or MCP child process.
+ * Replies are delivered whole (the reply tool carries the complete answer), so
+ * `streaming` is false; Claude's tool calls never cross the channel, so
+ * `tools` is false too. A reply that arrives outside its turn (spike R7:
+ * channel events batch while Claude is busy) is surfaced as a standalone
+ * response message rather than dropped.
  *
  * Auth/billing mirrors `claude-tui`: a subscription/console-authenticated
  * interactive `claude` session. The channel path bypasses programmatic
  * credit metering for the same reason the TUI path does — the events arrive
  * in a real interactive session, not a `claude -p` subprocess. It does NOT
  * accept ANTHROPIC_API_KEY.
- *
- * Capability honesty (see the spike's matrix): channels win on `streaming`
- * and a documented permission contract, but do NOT solve model switch or
- * permission-mode switch — those stay `false`, same gap `claude-tui` has.
  */
 export class ClaudeChannelSession extends BaseSession {
   // #5858: Claude-family flag — single source of truth for isClaudeProvider().
   static claudeFamily = true
 
-  // Single source of truth for the scaffold's "not yet implemented" error
-  // so start()/sendMessage()/interrupt() stay in lockstep and tests can
-  // assert on the same string.
-  static get NOT_IMPLEMENTED_MESSAGE() {
-    return 'claude-channel provider not yet implemented (bridge wiring lands in #3954, see #3951)'
-  }
-
   static get displayLabel() {
     return 'Claude Code (Channel · subscription · research preview)'
   }
@@ -55,25 +84,25 @@ export class ClaudeChannelSession extends BaseSession {
 
   static get capabilities() {
     return {
-      // Permissions land in sub 4 (#3955) via the first-party
-      // `claude/channel/permission` relay — declared true here so the
-      // capability matrix matches the spike + #3953, but the actual
-      // round-trip is not wired until the bridge exists.
+      // Tool approvals arrive over the `claude/channel/permission` relay and
+      // are decided by this session's PermissionManager, so the verdict is
+      // produced in-process (respondToPermission/respondToQuestion below) —
+      // which is also what lets the scheduler fire unattended runs here.
       permissions: true,
-      // Verdicts round-trip over IPC, not in-process — same as claude-tui.
-      inProcessPermissions: false,
+      inProcessPermissions: true,
       // Channel surface does not expose model switching (spike R5).
       modelSwitch: false,
-      // No documented channel mechanism for permission-mode switch (initially).
-      permissionModeSwitch: false,
+      // The mode is applied by the PermissionManager when a relayed request
+      // arrives, so it takes effect on the next approval without a respawn.
+      permissionModeSwitch: true,
       planMode: false,
       resume: false,
       terminal: false,
       thinkingLevel: false,
-      // Channel notifications stream as they arrive — the headline win
-      // over claude-tui's deliver-on-complete model.
-      streaming: true,
-      tools: true,
+      // The reply tool carries Claude's complete answer in one call.
+      streaming: false,
+      // Tool calls happen inside claude and are never sent over the channel.
+      tools: false,
     }
   }
 
@@ -141,45 +170,388 @@ export class ClaudeChannelSession extends BaseSession {
     return claudeModelMetadata(modelId)
   }
 
+  /**
+   * @param {object} [opts] — every BaseSession opt, plus:
+   * @param {number} [opts.readyTimeoutMs] — how long start() waits for the
+   *   channel to come up (default 60s).
+   */
   constructor(opts = {}) {
     super(buildBaseSessionOpts(opts, { provider: opts.provider || 'claude-channel' }))
+    this._readyTimeoutMs = opts.readyTimeoutMs || DEFAULT_READY_TIMEOUT_MS
+    this._log = null
+    this._sessionId = null
+    this._bridgeDir = null
+    this._bridgeServer = null
+    this._bridgeSocket = null
+    this._bridgeToken = null
+    this._term = null
+    this._outputTail = ''
+    this._devPromptAnswered = false
+    this._chatSeq = 0
+    this._activeTurn = null
+    this._turnAbort = null
+    this._onBridgeReady = null
+    this._onStartFailure = null
+
+    this._permissions = new PermissionManager({ log, cwd: this.cwd, ruleStore: this._permissionRuleStore })
+    wirePermissionManager(this, this._permissions)
   }
 
   /**
-   * Scaffold no-op. The live bridge — spawn `claude --channels`, wire the
-   * stdio MCP child + IPC socket, normalize outbound events — is sub 3
-   * (#3954). Throwing here (rather than spawning anything) is the whole
-   * point of #3953: `chroxy --provider claude-channel` fails fast with a
-   * clear message, no PTY, no MCP child.
+   * Spawn claude with the channel loaded and resolve once the channel server
+   * has dialed back and Claude has initialized it. Rejects (after tearing the
+   * spawn down) if claude exits first or the channel never connects.
    */
   async start() {
-    throw new Error(ClaudeChannelSession.NOT_IMPLEMENTED_MESSAGE)
+    try {
+      ensureCwdTrusted(this.cwd)
+    } catch (err) {
+      log.warn(`trust pre-write failed (continuing): ${err.message}`)
+    }
+
+    this._sessionId = randomUUID()
+    this._log = loggerForSession('claude-channel-session', this._sessionId)
+
+    // Kept short: a Unix socket path must fit in ~104 bytes, and macOS tmpdirs
+    // are already long. mkdtemp creates the directory 0700.
+    this._bridgeDir = mkdtempSync(join(tmpdir(), 'chroxy-ch-'))
+    this._bridgeToken = randomBytes(24).toString('hex')
+    const socketPath = join(this._bridgeDir, 'bridge.sock')
+    const mcpConfigPath = join(this._bridgeDir, 'mcp.json')
+
+    const ready = new Promise((resolve, reject) => {
+      this._onBridgeReady = resolve
+      this._onStartFailure = reject
+    })
+    // A failure can land while an earlier step is still awaited; it is
+    // re-thrown by the `await ready` below, so don't let it surface unhandled.
+    ready.catch(() => {})
+    const timer = setTimeout(() => {
+      this._onStartFailure?.(new Error(`claude-channel did not connect within ${Math.round(this._readyTimeoutMs / 1000)}s`))
+    }, this._readyTimeoutMs)
+
+    try {
+      await this._listenBridge(socketPath)
+      writeFileSync(mcpConfigPath, JSON.stringify({
+        mcpServers: {
+          [CHANNEL_SERVER_NAME]: {
+            command: process.execPath,
+            args: [CHANNEL_SERVER_PATH],
+            env: { CHROXY_CHANNEL_SOCKET: socketPath, CHROXY_CHANNEL_TOKEN: this._bridgeToken },
+          },
+        },
+      }), { mode: 0o600 })
+      await this._spawnClaude(mcpConfigPath)
+      await ready
+    } catch (err) {
+      const tail = this._outputTailDiagnostic()
+      this._teardown()
+      throw new Error(tail ? `${err.message}\nclaude output tail:\n${tail}` : err.message)
+    } finally {
+      clearTimeout(timer)
+      this._onBridgeReady = null
+      this._onStartFailure = null
+    }
+
+    this._processReady = true
+    this._log.info(`claude-channel ready (model=${this.model || 'default'})`)
+    this.emit('ready', { sessionId: this._sessionId, model: this.model, tools: [] })
+  }
+
+  /**
+   * Build the PTY env: OAuth-only (no ANTHROPIC_API_KEY) and without chroxy's
+   * own secrets, same as claude-tui. The bridge token reaches the channel
+   * server through the MCP config, not this env.
+   * @returns {Record<string, string>}
+   */
+  _buildPtyEnv() {
+    const env = { ...process.env }
+    delete env.ANTHROPIC_API_KEY
+    for (const key of CHROXY_SECRET_DENYLIST) {
+      delete env[key]
+    }
+    env.TERM = 'xterm-256color'
+    return env
+  }
+
+  async _spawnClaude(mcpConfigPath) {
+    // Test seam: a node-pty stand-in (same as ClaudeTuiSession._ptyModOverride).
+    const ptyMod = this._ptyModOverride || await import('node-pty').catch((err) => {
+      throw new Error(`node-pty unavailable: ${err.message}`)
+    })
+
+    const args = [
+      '--session-id', this._sessionId,
+      '--mcp-config', mcpConfigPath,
+      '--dangerously-load-development-channels', `server:${CHANNEL_SERVER_NAME}`,
+      // See ClaudeTuiSession._spawnPty: the Chrome-extension first-run prompt
+      // would block a headless PTY.
+      '--no-chrome',
+    ]
+    if (this.model) args.push('--model', this.model)
+    const skillsPrefix = this._buildCombinedSkillsPrefix()
+    if (skillsPrefix) args.push('--append-system-prompt', skillsPrefix)
+
+    const attemptedBinary = resolveBinary('claude', ClaudeChannelSession.preflight.binary.candidates)
+    this._log.info(`spawn claude channel (uuid=${this._sessionId.slice(0, 8)} model=${this.model || 'default'})`)
+    try {
+      this._term = ptyMod.spawn(attemptedBinary, args, {
+        name: 'xterm-256color',
+        cols: 120,
+        rows: 40,
+        cwd: realpathSync(this.cwd),
+        env: this._buildPtyEnv(),
+      })
+    } catch (err) {
+      const labeled = labelBinarySpawnFailure({
+        attemptedPath: err?.path || attemptedBinary,
+        binary: 'claude',
+        prefix: 'Failed to spawn claude under PTY',
+      })
+      throw new Error(labeled || `Failed to spawn claude under PTY: ${err.message}`)
+    }
+
+    const term = this._term
+    term.onData((data) => {
+      this._outputTail = (this._outputTail + String(data).replace(ANSI_PATTERN, '')).slice(-OUTPUT_TAIL_CHARS)
+      if (!this._devPromptAnswered && !this._processReady && DEV_CHANNELS_PROMPT.test(this._outputTail)) {
+        this._devPromptAnswered = true
+        term.write('\r')
+      }
+    })
+    term.onExit(({ exitCode, signal }) => {
+      if (this._term !== term) return
+      this._term = null
+      this._onChannelLost(`claude exited (code=${exitCode}${signal ? ` signal=${signal}` : ''})`)
+    })
   }
 
   /**
-   * Required by the ProviderSession interface (validateProviderClass).
-   * Unlike start/destroy/setModel/setPermissionMode, BaseSession does not
-   * provide sendMessage/interrupt — each provider owns them — so the
-   * scaffold must define them or the registry validator rejects the class.
-   * Both throw the same not-implemented error until the bridge (#3954)
-   * gives them something to do. They should never be reached anyway: start()
-   * throws first, so no session ever becomes ready enough to message.
+   * Listen on the per-session socket. Only a peer whose first line carries the
+   * session token is accepted, and only one: the bridge is a single trusted
+   * writer, which is what makes declaring the permission relay safe (spike R8).
    */
-  async sendMessage() {
-    throw new Error(ClaudeChannelSession.NOT_IMPLEMENTED_MESSAGE)
+  _listenBridge(socketPath) {
+    this._bridgeServer = createServer((socket) => {
+      socket.setEncoding('utf8')
+      let authed = false
+      let buffer = ''
+      socket.on('data', (chunk) => {
+        buffer += chunk
+        let nl
+        while ((nl = buffer.indexOf('\n')) !== -1) {
+          const msg = this._parseJsonLine(buffer.slice(0, nl))
+          buffer = buffer.slice(nl + 1)
+          if (!msg) continue
+          if (!authed) {
+            if (msg.type !== 'hello' || this._bridgeSocket || !safeTokenCompare(String(msg.token ?? ''), this._bridgeToken)) {
+              socket.destroy()
+              return
+            }
+            authed = true
+            this._bridgeSocket = socket
+            continue
+          }
+          this._onBridgeMessage(msg)
+        }
+      })
+      socket.on('error', (err) => (this._log || log).debug(`bridge socket error: ${err.message}`))
+      socket.on('close', () => {
+        if (this._bridgeSocket !== socket) return
+        this._bridgeSocket = null
+        this._onChannelLost('chroxy-channel disconnected')
+      })
+    })
+    return new Promise((resolve, reject) => {
+      this._bridgeServer.once('error', reject)
+      this._bridgeServer.listen(socketPath, () => resolve())
+    })
+  }
+
+  _sendBridge(msg) {
+    if (!this._bridgeSocket || this._bridgeSocket.destroyed) return false
+    this._bridgeSocket.write(JSON.stringify(msg) + '\n')
+    return true
+  }
+
+  _onBridgeMessage(msg) {
+    switch (msg.type) {
+      case 'ready':
+        this._onBridgeReady?.()
+        break
+      case 'reply':
+        this._onReply(String(msg.chatId ?? ''), String(msg.text ?? ''))
+        break
+      case 'permission_request':
+        this._onPermissionRequest(msg)
+        break
+    }
+  }
+
+  _onReply(chatId, text) {
+    const turn = this._activeTurn
+    if (!turn || turn.chatId !== chatId) {
+      // R7: a late or extra reply (its turn already ended, or Claude answered
+      // a batched message twice). Keep it visible instead of dropping it.
+      this.emit('message', { type: 'response', content: text, timestamp: Date.now() })
+      return
+    }
+    if (text) this.emit('stream_delta', { messageId: turn.messageId, delta: text })
+    this._finishTurn()
   }
 
+  /**
+   * A relayed tool approval. `input_preview` is the tool input as JSON, cut to
+   * ~200 chars by claude, so it may not parse; the prompt then shows the raw
+   * preview. The verdict is relayed whatever decided it — the user, a rule,
+   * the permission mode, or the abort when the turn is interrupted.
+   */
+  async _onPermissionRequest({ requestId, toolName, description, inputPreview }) {
+    let input
+    try {
+      input = JSON.parse(inputPreview)
+      if (!input || typeof input !== 'object') throw new Error('not an object')
+    } catch {
+      input = { preview: String(inputPreview ?? '') }
+    }
+    if (description && input.description === undefined) input.description = String(description)
+    let behavior = 'deny'
+    try {
+      const result = await this._permissions.handlePermission(String(toolName ?? ''), input, this._turnAbort?.signal, this.permissionMode)
+      behavior = result?.behavior === 'allow' ? 'allow' : 'deny'
+    } catch (err) {
+      (this._log || log).warn(`permission relay failed (denying): ${err.message}`)
+    }
+    this._sendBridge({ type: 'verdict', requestId, behavior })
+  }
+
+  /**
+   * claude or its channel went away. There is no respawn: end the turn in
+   * flight with the error, or surface it on its own when idle.
+   */
+  _onChannelLost(reason) {
+    if (this._destroying) return
+    const tail = this._outputTailDiagnostic()
+    const message = tail ? `${reason}\nclaude output tail:\n${tail}` : reason
+    if (this._onStartFailure) {
+      this._onStartFailure(new Error(reason))
+      return
+    }
+    if (!this._processReady) return
+    this._processReady = false
+    ;(this._log || log).warn(`claude-channel lost: ${reason}`)
+    if (this._activeTurn) {
+      this.emit('stream_end', { messageId: this._activeTurn.messageId })
+      this.emit('error', { message })
+      this._finishTurn({ streamEnded: true })
+    } else {
+      this.emit('error', { message })
+    }
+  }
+
+  _outputTailDiagnostic() {
+    return this._outputTail.split('\n').map((l) => l.trimEnd()).filter(Boolean).slice(-15).join('\n')
+  }
+
+  async sendMessage(prompt, attachments) {
+    if (this._isBusy) {
+      this.emit('error', { message: 'Already processing a message' })
+      return
+    }
+    if (!this._processReady || !this._bridgeSocket) {
+      this.emit('error', { message: 'Session not started or claude is no longer running' })
+      return
+    }
+    if (attachments?.length) {
+      // The channel carries text only.
+      this._log.warn(`claude-channel dropped ${attachments.length} attachment(s): the channel is text-only`)
+    }
+
+    this._isBusy = true
+    this._messageCounter += 1
+    const messageId = `${this._messageIdPrefix}-${this._messageCounter}`
+    const chatId = String(++this._chatSeq)
+    this._activeTurn = { messageId, chatId, startedAt: Date.now() }
+    this._turnAbort = new AbortController()
+    this.emit('stream_start', { messageId })
+    this._sendBridge({ type: 'message', chatId, content: prompt || '' })
+  }
+
+  _finishTurn({ streamEnded = false } = {}) {
+    const turn = this._activeTurn
+    if (!turn) return
+    if (!streamEnded) this.emit('stream_end', { messageId: turn.messageId })
+    this._activeTurn = null
+    this._endTurnAbort()
+    this._isBusy = false
+    // Subscription-billed: cost null, as in claude-tui (#4072).
+    this._emitResult({ cost: null, duration: Date.now() - turn.startedAt, usage: null, sessionId: this._sessionId })
+  }
+
+  _endTurnAbort() {
+    if (this._turnAbort) {
+      this._turnAbort.abort()
+      this._turnAbort = null
+    }
+  }
+
+  /**
+   * Stop the current turn: Escape interrupts claude's own turn, the abort
+   * denies any relayed approval still waiting on the user, and the turn ends
+   * here rather than waiting for a reply that may never come.
+   */
   interrupt() {
-    throw new Error(ClaudeChannelSession.NOT_IMPLEMENTED_MESSAGE)
+    this.clearOutgoingQueue()
+    if (!this._activeTurn) return
+    this.markIntentionalStop()
+    try { this._term?.write('\x1b') } catch { /* PTY already gone */ }
+    this._finishTurn()
+  }
+
+  // In-process permission responses (capabilities.inProcessPermissions) — thin
+  // delegators to the PermissionManager, mirroring SdkSession.
+  respondToPermission(requestId, decision, editedInput, reason) {
+    return this._permissions.respondToPermission(requestId, decision, editedInput, reason)
+  }
+
+  respondToQuestion(text, answers) {
+    return this._permissions.respondToQuestion(text, answers)
+  }
+
+  // Panic-button parity with SdkSession (#3729): switching TO auto drains the
+  // approvals already waiting, so their verdicts go back to claude as allow.
+  _onPermissionModeChanged(mode) {
+    if (mode === 'auto') this._permissions.autoAllowPending()
+  }
+
+  _teardown() {
+    this._endTurnAbort()
+    try { this._bridgeSocket?.destroy() } catch { /* already closed */ }
+    this._bridgeSocket = null
+    try { this._bridgeServer?.close() } catch { /* never listened */ }
+    this._bridgeServer = null
+    const term = this._term
+    this._term = null
+    try { term?.kill('SIGTERM') } catch { /* already exited */ }
+    if (this._bridgeDir) {
+      try { rmSync(this._bridgeDir, { recursive: true, force: true }) } catch { /* best effort */ }
+      this._bridgeDir = null
+    }
+    this._processReady = false
   }
 
   /**
-   * Safe no-op teardown. There is nothing to tear down (start() never
-   * spawns anything), and destroy() must not throw — SessionManager calls
-   * it on cleanup paths where a throw would mask the original error.
+   * Safe to call at any point, including before start(); it must not throw —
+   * SessionManager calls it on cleanup paths where a throw would mask the
+   * original error.
    */
   destroy() {
     this._destroying = true
-    this._processReady = false
+    this.clearOutgoingQueue({ emit: false })
+    this._clearIntentionalStop()
+    this._teardown()
+    try { this._permissions.destroy() } catch { /* noop */ }
+    this._activeTurn = null
+    this._isBusy = false
   }
 }
@@ -9,6 +9,7 @@ import { performance } from 'node:perf_hooks'
 import { dirname, join } from 'path'
 import { fileURLToPath } from 'url'
 import { BaseSession, buildBaseSessionOpts } from './base-session.js'
+import { HookPermissionRelay } from './hook-permission-relay.js'
 import { CLAUDE_TUI_PTY_SIZE } from '@chroxy/protocol'
 // #5417 — the TUI shares CliSession's pinned "unknown resume id" patterns
 // (RESUME_UNKNOWN_STDERR_PATTERNS, #4929/#4950) via this matcher: the PTY
@@ -61,7 +62,10 @@ import {
 // Re-export the public writeHookSettings helper so existing
 // `import { writeHookSettings } from './claude-tui-session.js'` callers (and the
 // permission-hook test) keep working unchanged after the #5559 split.
-export { writeHookSettings }
+// ensureCwdTrusted is re-exported for claude-channel-session.js: pty-driver.js
+// imports this module, so entering the pair through pty-driver first would hit
+// the PtyDriverMixin binding before it is initialized.
+export { writeHookSettings, ensureCwdTrusted }
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -139,6 +143,14 @@ export class ClaudeTuiSession extends BaseSession {
     return join(homedir(), '.claude')
   }
 
+  /**
+   * `$HOME`-relative paths the CLI writes to, kept writable under a bwrap
+   * sandbox (BaseSession#_bwrapSpawnSpec).
+   */
+  static get bwrapStatePaths() {
+    return ['.claude', '.claude.json']
+  }
+
   static get capabilities() {
     return {
       // Permissions are gated via the chroxy permission-hook.sh script that
@@ -146,7 +158,9 @@ export class ClaudeTuiSession extends BaseSession {
       // CliSession. Requires a `port` arg at construction so the
       // PreToolUse hook can phone home.
       permissions: true,
-      inProcessPermissions: false,
+      // Still hook-routed: hookPermissions mirrors each held prompt as
+      // session events with respondToPermission (hook-permission-relay.js).
+      inProcessPermissions: true,
       modelSwitch: false,
       // #4013: TUI supports mid-session permission switch via a sidecar
       // file the hook script re-reads on every tool call. No PTY restart
@@ -175,6 +189,8 @@ export class ClaudeTuiSession extends BaseSession {
       // server is wired to refuse. Read at access time (listProviders is
       // called per connection), so it reflects the daemon's env.
       multiSelectReinject: multiSelectReinjectEnabled(),
+      // Spawns a local CLI, so `sandbox: 'bwrap'` can confine it (bwrap-sandbox.js).
+      bwrapSandbox: true,
     }
   }
 
@@ -347,6 +363,9 @@ export class ClaudeTuiSession extends BaseSession {
     // `entry.session._hookSecret` duck-typed). Mirrors the same name CliSession
     // uses so the existing permission HTTP route routes us with no changes.
     this._hookSecret = this._port ? randomBytes(32).toString('hex') : null
+    // In-process mirror of this session's held hook prompts — ws-permissions.js
+    // feeds it; the scheduler / orchestration gate answer through it.
+    this.hookPermissions = new HookPermissionRelay(this)
     // #5307 (WP-0.1) — seed the upstream conversation uuid from the persisted
     // resume id (SessionManager.restoreState passes it through from the saved
     // sdkSessionId). When present, start() reuses it and spawns claude with
@@ -678,6 +697,15 @@ export class ClaudeTuiSession extends BaseSession {
     return this._formDriver.respondToQuestion(text, answersMap, toolUseId, opts)
   }
 
+  /**
+   * Answer a permission prompt the hook is holding for this session, without
+   * a client (scheduler, orchestration gate). Mirrors CliSession.
+   * @returns {boolean} false when the request is unknown or already settled
+   */
+  respondToPermission(requestId, decision) {
+    return this.hookPermissions.respond(requestId, decision)
+  }
+
   /**
    * #5319 (WP-3.2): arm (or re-arm) the per-toolUseId AskUserQuestion stall
    * watchdog. Each toolUseId gets its own timer so a parallel sibling's arm
@@ -1945,7 +1973,13 @@ export class ClaudeTuiSession extends BaseSession {
       // through conpty/cmd.exe internally and runs a `.cmd` fine (verified),
       // unlike child_process.spawn which throws EINVAL on a `.cmd` (Node 24) and
       // needs the utils/win-spawn.js escaping the cli-session path uses.
-      this._term = ptyMod.spawn(attemptedBinary, args, {
+      // Under `sandbox: 'bwrap'` the PTY runs bwrap instead, keeping the
+      // controlling terminal (tty) and the hook sink dir writable.
+      const spawnSpec = this._bwrapSpawnSpec({ command: attemptedBinary, args }, {
+        tty: true,
+        writablePaths: this._sinkDir ? [this._sinkDir] : [],
+      })
+      this._term = ptyMod.spawn(spawnSpec.command, spawnSpec.args, {
         name: 'xterm-256color',
         // #5839: single-sourced default so the dashboard mirror renders at the
         // same grid. #5835 Phase 2: a prior resize is preserved across respawns
@@ -5,6 +5,7 @@ import { normalizeSdkModelUsage } from './usage-normalize.js'
 import { homedir } from 'os'
 import { join } from 'path'
 import { createPermissionHookManager } from './permission-hook.js'
+import { HookPermissionRelay } from './hook-permission-relay.js'
 import { guardChildStreams } from './child-stream-guard.js'
 import { BaseSession, buildBaseSessionOpts } from './base-session.js'
 import { buildContentBlocks } from './content-blocks.js'
@@ -241,10 +242,20 @@ export class CliSession extends BaseSession {
     return join(homedir(), '.claude')
   }
 
+  /**
+   * `$HOME`-relative paths the CLI writes to, kept writable under a bwrap
+   * sandbox (BaseSession#_bwrapSpawnSpec).
+   */
+  static get bwrapStatePaths() {
+    return ['.claude', '.claude.json']
+  }
+
   static get capabilities() {
     return {
       permissions: true,
-      inProcessPermissions: false,
+      // Prompts still ride the permission hook; hookPermissions mirrors them
+      // as session events with respondToPermission (hook-permission-relay.js).
+      inProcessPermissions: true,
       modelSwitch: true,
       permissionModeSwitch: true,
       // #5609: switching to 'auto' mid-turn is the #3729 panic-button —
@@ -265,6 +276,8 @@ export class CliSession extends BaseSession {
       // #3932: declared explicitly so the capability matrix matches across
       // providers — claude-tui is the only one that sets this to false.
       streaming: true,
+      // Spawns a local CLI, so `sandbox: 'bwrap'` can confine it (bwrap-sandbox.js).
+      bwrapSandbox: true,
     }
   }
 
@@ -432,6 +445,9 @@ export class CliSession extends BaseSession {
 
     // Hook manager (shared module)
     this._hookManager = (this._port) ? createPermissionHookManager(this, { settingsPath }) : null
+    // In-process mirror of this session's held hook prompts — the surface
+    // `capabilities.inProcessPermissions` promises (ws-permissions.js feeds it).
+    this.hookPermissions = new HookPermissionRelay(this)
 
     // Pending-permission bookkeeping for the inactivity timer (#2831).
     // WsServer calls notifyPermissionPending/Resolved when a hook
@@ -538,7 +554,9 @@ export class CliSession extends BaseSession {
     // Captured so the spawn-time backstop (#6708) verifies the EXACT binary this
     // attempt used, not a fresh re-resolve that could land on a different path.
     const attemptedBinary = resolveClaudeBinary()
-    const spawnSpec = prepareSpawn(attemptedBinary, args)
+    // Under `sandbox: 'bwrap'` the prepared spec is re-rooted under bwrap;
+    // unchanged otherwise.
+    const spawnSpec = this._bwrapSpawnSpec(prepareSpawn(attemptedBinary, args))
     const child = spawn(spawnSpec.command, spawnSpec.args, {
       cwd: this.cwd,
       stdio: ['pipe', 'pipe', 'pipe'],
@@ -1578,6 +1596,16 @@ export class CliSession extends BaseSession {
     this._killAndRespawn()
   }
 
+  /**
+   * Answer a permission prompt the hook is holding for this session, without
+   * a client — the scheduler and orchestration gate call this. Client answers
+   * keep going through POST /permission-response / permission_response.
+   * @returns {boolean} false when the request is unknown or already settled
+   */
+  respondToPermission(requestId, decision) {
+    return this.hookPermissions.respond(requestId, decision)
+  }
+
   /**
    * Send a response to an AskUserQuestion prompt.
    * Claude is waiting for user input on stdin mid-turn, so we bypass
@@ -30,6 +30,8 @@ import { registerShellApprovalCommand } from './cli/shell-cmd.js'
 import { registerIdentityCommand } from './cli/identity-cmd.js'
 import { registerTokensCommand } from './cli/tokens-cmd.js'
 import { registerScheduleCommands } from './cli/schedule-cmd.js'
+import { registerAuditCommand } from './cli/audit-cmd.js'
+import { registerWorkflowCommands } from './cli/workflow-cmd.js'
 
 const require = createRequire(import.meta.url)
 const { version } = require('../package.json')
@@ -62,5 +64,7 @@ registerShellApprovalCommand(program)
 registerIdentityCommand(program)
 registerTokensCommand(program)
 registerScheduleCommands(program)
+registerAuditCommand(program)
+registerWorkflowCommands(program)
 
 program.parse()
@@ -0,0 +1,149 @@
+// `chroxy audit` — inspect the durable audit journal (audit-journal.js):
+// permission decisions, mode and rule changes, token issue / revoke, user-shell
+// create / destroy and credential changes, each with the actor's token class and
+// device.
+//
+// Reads the journal files directly, so it works with the daemon stopped — which
+// is when a post-incident "who approved that, from which device?" usually gets
+// asked. `verify` walks the hash chain and exits non-zero when it is broken;
+// `tail` prints the most recent entries, optionally filtered.
+
+import { AuditJournal, AUDIT_EVENT_TYPES } from '../audit-journal.js'
+import { parseDuration } from '../duration.js'
+
+/**
+ * `--since` accepts a look-back duration (`24h`, `7d`, `90m`) or anything
+ * `Date.parse` understands (`2026-10-01`, an ISO timestamp).
+ *
+ * @returns {number|null} epoch ms, or null if unparseable
+ */
+export function parseSince(value, now = Date.now()) {
+  if (typeof value !== 'string' || !value.trim()) return null
+  const ago = parseDuration(value)
+  if (ago) return now - ago
+  const at = Date.parse(value)
+  return Number.isNaN(at) ? null : at
+}
+
+/** One human-readable line per entry. */
+export function formatAuditEntry(entry) {
+  const when = new Date(entry.timestamp).toISOString()
+  const actor = entry.clientId
+    ? `${entry.clientId}${entry.tokenClass ? `/${entry.tokenClass}` : ''}${entry.device ? ` (${JSON.stringify(entry.device)})` : ''}`
+    : 'system'
+  const skip = new Set(['seq', 'timestamp', 'type', 'clientId', 'tokenClass', 'device', 'sessionId', 'prev', 'hash'])
+  const details = Object.entries(entry)
+    .filter(([k, v]) => !skip.has(k) && v !== null && v !== undefined)
+    .map(([k, v]) => `${k}=${JSON.stringify(v)}`)
+  const session = entry.sessionId ? ` session=${entry.sessionId}` : ''
+  return `#${entry.seq} ${when} ${entry.type} by ${actor}${session}${details.length ? ' ' + details.join(' ') : ''}`
+}
+
+/**
+ * `chroxy audit verify` — check the whole chain.
+ *
+ * @param {{ json?: boolean }} [options]
+ * @param {object} [deps] - { journal, write }
+ * @returns {ReturnType<AuditJournal['verify']>}
+ */
+export function runAuditVerify(options = {}, deps = {}) {
+  const out = deps.write || console.log
+  const journal = deps.journal || new AuditJournal()
+  const result = journal.verify()
+  if (options.json) {
+    out(JSON.stringify(result, null, 2))
+    return result
+  }
+  if (result.ok) {
+    if (result.entries === 0) {
+      out(`No audit entries yet (${journal.dir}).`)
+    } else {
+      out(`✓ Audit journal intact: ${result.entries} entries across ${result.segments} segment(s).`)
+      out(`  Head hash: ${result.head}`)
+      out('  Record the head hash somewhere off this machine to detect a wholesale rewrite later.')
+    }
+  } else {
+    out(`✗ Audit journal verification FAILED in ${result.segment} line ${result.line}${result.seq != null ? ` (seq ${result.seq})` : ''}: ${result.error}`)
+    out(`  ${result.entries} entries verified before the break.`)
+  }
+  return result
+}
+
+/**
+ * `chroxy audit tail` — the most recent entries, oldest first.
+ *
+ * @param {{ session?: string, type?: string, since?: string, device?: string, limit?: string|number, json?: boolean }} [options]
+ * @param {object} [deps] - { journal, write, now }
+ * @returns {{ entries: object[], error?: string }}
+ */
+export function runAuditTail(options = {}, deps = {}) {
+  const out = deps.write || console.log
+  const journal = deps.journal || new AuditJournal()
+
+  if (options.type && !AUDIT_EVENT_TYPES.includes(options.type)) {
+    out(`Unknown audit type "${options.type}". One of: ${AUDIT_EVENT_TYPES.join(', ')}`)
+    return { entries: [], error: 'bad-type' }
+  }
+  let since
+  if (options.since !== undefined) {
+    since = parseSince(options.since, deps.now ?? Date.now())
+    if (since === null) {
+      out(`Could not parse --since "${options.since}" — use a duration like 24h / 7d or a date like 2026-10-01.`)
+      return { entries: [], error: 'bad-since' }
+    }
+  }
+  const limit = options.limit === undefined ? 20 : Number(options.limit)
+  if (!Number.isInteger(limit) || limit < 1) {
+    out(`--limit must be a positive integer, got "${options.limit}".`)
+    return { entries: [], error: 'bad-limit' }
+  }
+
+  const entries = journal.query({ sessionId: options.session, type: options.type, since, device: options.device, limit })
+  if (options.json) {
+    out(JSON.stringify(entries, null, 2))
+  } else if (entries.length === 0) {
+    out('No matching audit entries.')
+  } else {
+    for (const entry of entries) out(formatAuditEntry(entry))
+  }
+  return { entries }
+}
+
+export function registerAuditCommand(program) {
+  const audit = program
+    .command('audit')
+    .description('Inspect the durable permission and control audit journal')
+
+  audit
+    .command('verify')
+    .description('Check the journal hash chain; exits non-zero if an entry was modified, removed or reordered')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+      try {
+        const res = runAuditVerify(options)
+        if (!res.ok) process.exitCode = 1
+      } catch (err) {
+        console.error(`audit verify failed: ${err.message}`)
+        process.exitCode = 1
+      }
+    })
+
+  audit
+    .command('tail')
+    .description('Show the most recent audit entries')
+    .option('--session <id>', 'Only entries for this session')
+    .option('--type <type>', `Only this entry type (${AUDIT_EVENT_TYPES.join(', ')})`)
+    .option('--since <when>', 'Only entries since a duration ago (24h, 7d) or a date')
+    .option('--device <name>', 'Only entries whose actor is this paired device')
+    .option('--limit <n>', 'How many entries to show (default 20)')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => {
+      try {
+        const res = runAuditTail(options)
+        if (res.error) process.exitCode = 1
+      } catch (err) {
+        console.error(`audit tail failed: ${err.message}`)
+        process.exitCode = 1
+      }
+    })
+}
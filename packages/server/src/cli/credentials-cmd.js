@@ -9,6 +9,7 @@
  */
 import { rekeyCredentialStore } from '../credential-store.js'
 import { createLogger } from '../logger.js'
+import { AuditJournal, CLI_ACTOR, recordAuditEvent } from '../audit-journal.js'
 
 const REKEY_MESSAGES = {
   rekeyed: 'Rotated the credential data key and re-encrypted credentials.json.',
@@ -21,13 +22,19 @@ const REKEY_MESSAGES = {
 
 /**
  * Run `chroxy credentials rekey`. Returns the {@link rekeyCredentialStore}
- * result. `deps` is a test seam (`write`, `log`, `rekey`).
+ * result. `deps` is a test seam (`write`, `log`, `rekey`, `journal`). A
+ * completed rotation is recorded in the audit journal as a
+ * `credential_change`.
  */
 export async function runCredentialsRekey(options = {}, deps = {}) {
   const out = deps.write || console.log
   const log = deps.log || createLogger('credentials')
   const rekey = deps.rekey || rekeyCredentialStore
   const result = rekey({ log })
+  if (result.rekeyed) {
+    const journal = deps.journal !== undefined ? deps.journal : new AuditJournal()
+    recordAuditEvent('credential_change', { ...CLI_ACTOR, key: null, action: 'rekey' }, journal)
+  }
 
   if (options.json) {
     out(JSON.stringify(result, null, 2))
@@ -25,7 +25,12 @@ function trimSlash(s) {
   return typeof s === 'string' ? s.replace(/\/+$/, '') : s
 }
 
-async function daemonRequest(method, path, deps, { body } = {}) {
+/**
+ * One authenticated loopback request to the local daemon. Shared with
+ * `chroxy sessions export` (session-cmd.js), which publishes through the same
+ * daemon-owned pages manifest.
+ */
+export async function daemonRequest(method, path, deps, { body } = {}) {
   const readConnectionInfo =
     deps.readConnectionInfo || (await import('../connection-info.js')).readConnectionInfo
   const fetchFn = deps.fetchFn || globalThis.fetch
@@ -61,7 +66,7 @@ async function daemonRequest(method, path, deps, { body } = {}) {
   }
 }
 
-function reportFailure(result, writeErr) {
+export function reportFailure(result, writeErr) {
   if (result.reason === 'not_running') {
     writeErr('Chroxy server is not running. Start it with `chroxy start`.')
   } else if (result.reason === 'no_token') {
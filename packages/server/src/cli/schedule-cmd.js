@@ -15,8 +15,8 @@
  * its judgment about whether a task can actually fire:
  *   - `scheduledProviderRefusalReason` — the exact "will this provider be
  *     refused?" check `scheduler.js` runs before every fire. A task whose
- *     target provider has no in-process permission answering (including the
- *     daemon DEFAULT `claude-tui`) gets a clear warning at create/edit time
+ *     target provider has no in-process permission answering (e.g. `gemini`,
+ *     possibly as the configured daemon default) gets a clear warning at create/edit time
  *     instead of silently sitting dead until an operator notices `refused`
  *     outcomes days later.
  *   - `resolveScheduledPermissionMode` — the exact clamp the engine applies
@@ -29,6 +29,11 @@
  *     legitimate standing definition even before the operator opts in), but
  *     say plainly that nothing will fire yet.
  *
+ * `runs` and `run` read the run history the engine records next to the
+ * registry (`scheduled-run-history.js`): every fire attempt with its exit
+ * class, cost, files changed and final message, and with `run --transcript`
+ * the whole turn. Deleting a task removes its history too.
+ *
  * `list` and `last-run` render a task's `lastRun` status verbatim (never
  * papered over): `refused` and a best-effort-persisted quarantine message
  * both show up as an unhealthy `[REFUSED]`/`[ERROR]` tag, a deliberately
@@ -38,14 +43,15 @@
  * isn't, and nothing is allowed to look BROKEN when it merely stopped.
  */
 import { existsSync, readFileSync } from 'fs'
-import { join } from 'path'
+import { join, resolve } from 'path'
 import { configDir, configFile } from './shared.js'
 import {
   ScheduledTaskStore,
   ScheduledTaskValidationError,
   defaultScheduledTasksPath,
 } from '../scheduled-task-store.js'
-import { isSchedulerEnabled } from '../config.js'
+import { ScheduledRunHistory, defaultScheduledRunsDir } from '../scheduled-run-history.js'
+import { isSchedulerEnabled, isWorkflowsEnabled } from '../config.js'
 import { scheduledProviderRefusalReason, resolveScheduledPermissionMode } from '../scheduler.js'
 import { DEFAULT_PROVIDER } from '../providers.js'
 
@@ -109,6 +115,11 @@ function getDefaultStore() {
   return store
 }
 
+/** The run history the daemon records into — resolved the same way as the registry. */
+function getDefaultHistory() {
+  return new ScheduledRunHistory({ dir: defaultScheduledRunsDir(join(configDir(), 'session-state.json')) })
+}
+
 /**
  * Build the dependency bag every exported command function runs against.
  * Every dependency is overridable so tests never touch the real
@@ -119,6 +130,7 @@ function buildDeps(overrides = {}) {
   const config = readConfigSoft(configFile())
   return {
     store: overrides.store || getDefaultStore(),
+    history: overrides.history || getDefaultHistory(),
     write: overrides.write || console.log,
     // The provider a task would ACTUALLY run against when none is set
     // explicitly — mirrors the daemon's own resolution, `config.provider ||
@@ -132,6 +144,7 @@ function buildDeps(overrides = {}) {
     checkProviderRefusal: overrides.checkProviderRefusal || ((name) => scheduledProviderRefusalReason(name)),
     resolvePermissionMode: overrides.resolvePermissionMode || resolveScheduledPermissionMode,
     checkSchedulerEnabled: overrides.checkSchedulerEnabled || (() => isSchedulerEnabled(config)),
+    checkWorkflowsEnabled: overrides.checkWorkflowsEnabled || (() => isWorkflowsEnabled(config)),
   }
 }
 
@@ -162,7 +175,17 @@ function describeCadence(cadence) {
     case 'interval':
       return `every ${formatDurationMs(cadence.everyMs)}`
     case 'cron':
-      return `cron "${cadence.expression}"`
+      // Always name the zone: an expression with no zone silently follows the
+      // HOST, which is exactly the ambiguity an operator reading this needs to see.
+      return `cron "${cadence.expression}" (${cadence.timezone || 'daemon local time'})`
+    case 'event': {
+      const filters = [
+        cadence.repo && `repo ${cadence.repo}`,
+        cadence.action && `action ${cadence.action}`,
+        cadence.branch && `branch ${cadence.branch}`,
+      ].filter(Boolean)
+      return `on GitHub ${cadence.event} event${filters.length ? ` (${filters.join(', ')})` : ''}`
+    }
     default:
       return `(unknown cadence: ${cadence.kind})`
   }
@@ -200,6 +223,22 @@ function healthTag(task) {
   }
 }
 
+/**
+ * The task's missed-run and notification policies, or null when both are the
+ * defaults (skip missed slots, never notify) — nothing worth a line.
+ */
+function describeRunPolicies(task) {
+  const catchUp = task.catchUp ?? { policy: 'skip' }
+  const notify = task.notify ?? 'never'
+  if (catchUp.policy === 'skip' && notify === 'never') return null
+  const missed = {
+    skip: 'skip missed runs',
+    once: 'catch up once after missed runs',
+    all: `catch up every missed run (newest ${catchUp.maxRuns})`,
+  }[catchUp.policy] ?? `catch-up ${catchUp.policy}`
+  return `${missed}; notify ${notify}`
+}
+
 function describeLastRun(lastRun) {
   if (!lastRun) return 'never run'
   let line = `${lastRun.status} @ ${formatEpoch(lastRun.at)}`
@@ -244,34 +283,105 @@ function parseAtValue(raw) {
   return { at: parsed }
 }
 
-/** Build a brand-new cadence for `create` — exactly one of --at/--cron is required. */
+/** The `--event-*` filter flags, which only mean something alongside --event. */
+const EVENT_FILTER_OPTIONS = [['eventRepo', 'repo', '--event-repo'], ['eventAction', 'action', '--event-action'], ['eventBranch', 'branch', '--event-branch']]
+
+/**
+ * Build a brand-new cadence for `create` — exactly one of --at/--cron/--event is
+ * required. Event types and filter legality are the store's call, so this only
+ * assembles the shape.
+ */
 function buildCadenceForCreate(options) {
   const hasAt = options.at !== undefined
   const hasCron = options.cron !== undefined
-  if (hasAt && hasCron) return { error: '--at and --cron are mutually exclusive — pick one cadence' }
-  if (!hasAt && !hasCron) {
-    return { error: 'specify a cadence: --at <when> for a one-time run, or --cron <expr> for a recurring one' }
+  const hasEvent = options.event !== undefined
+  if ([hasAt, hasCron, hasEvent].filter(Boolean).length > 1) {
+    return { error: '--at, --cron and --event are mutually exclusive — pick one cadence' }
+  }
+  if (!hasAt && !hasCron && !hasEvent) {
+    return { error: 'specify a cadence: --at <when> for a one-time run, --cron <expr> for a recurring one, or --event <type> to run on a GitHub webhook delivery' }
+  }
+  const strayFilter = EVENT_FILTER_OPTIONS.find(([key]) => options[key] !== undefined)
+  if (!hasEvent && strayFilter) return { error: `${strayFilter[2]} only applies to an --event cadence` }
+  if (hasEvent) {
+    if (options.timezone !== undefined) return { error: '--timezone only applies to a --cron cadence' }
+    const cadence = { kind: 'event', event: options.event }
+    for (const [key, field] of EVENT_FILTER_OPTIONS) {
+      if (options[key] !== undefined) cadence[field] = options[key]
+    }
+    return { cadence }
   }
   if (hasCron) {
     if (typeof options.cron !== 'string' || options.cron.trim().length === 0) {
       return { error: '--cron requires a 5-field crontab expression' }
     }
-    return { cadence: { kind: 'cron', expression: options.cron } }
+    const cadence = { kind: 'cron', expression: options.cron }
+    // Zone validity is the store's call (it asks Intl); an empty string
+    // means "daemon local time", same as omitting the flag.
+    if (options.timezone !== undefined) cadence.timezone = options.timezone
+    return { cadence }
+  }
+  if (options.timezone !== undefined) {
+    return { error: '--timezone only applies to a --cron cadence (an --at instant is already absolute — give it a Z or ±hh:mm offset)' }
   }
   const parsed = parseAtValue(options.at)
   if (parsed.error) return { error: parsed.error }
   return { cadence: { kind: 'once', at: parsed.at } }
 }
 
-/** Build a cadence PATCH for `edit` — absent when neither flag is given (no change). */
-function buildCadencePatch(options) {
+/**
+ * Build a cadence PATCH for `edit` — absent when no cadence flag is given (no
+ * change). `--timezone` on its own re-zones the EXISTING cron expression, so an
+ * operator can fix a task's zone without retyping its schedule.
+ */
+function buildCadencePatch(options, existing) {
   const hasAt = options.at !== undefined
   const hasCron = options.cron !== undefined
+  if (options.event !== undefined || EVENT_FILTER_OPTIONS.some(([key]) => options[key] !== undefined)) {
+    // An event cadence is replaced whole (like --cron): filters alone would have
+    // to guess which of the existing ones to keep.
+    if (options.event === undefined) return { error: '--event-repo/--event-action/--event-branch replace the whole event cadence — pass --event as well' }
+    return buildCadenceForCreate(options)
+  }
+  if (!hasAt && !hasCron && options.timezone !== undefined) {
+    if (existing?.cadence?.kind !== 'cron') {
+      return { error: '--timezone only applies to a cron cadence — this task is not cron; pass --cron as well' }
+    }
+    return { cadence: { kind: 'cron', expression: existing.cadence.expression, timezone: options.timezone } }
+  }
   if (!hasAt && !hasCron) return {}
-  if (hasAt && hasCron) return { error: '--at and --cron are mutually exclusive — pick one cadence' }
+  if (hasAt && hasCron) return { error: '--at, --cron and --event are mutually exclusive — pick one cadence' }
+  // A new expression keeps the task's zone unless --timezone says otherwise —
+  // retyping the schedule must not silently move it back to daemon local time.
+  if (hasCron && options.timezone === undefined && existing?.cadence?.kind === 'cron' && existing.cadence.timezone) {
+    return buildCadenceForCreate({ ...options, timezone: existing.cadence.timezone })
+  }
   return buildCadenceForCreate(options)
 }
 
+/**
+ * Build the `catchUp` value from --catch-up / --catch-up-max — absent when
+ * neither is given. On `edit`, --catch-up-max alone re-caps an existing `all`
+ * policy. Range and policy/cadence legality are the store's call.
+ */
+function buildCatchUp(options, existing) {
+  const hasPolicy = options.catchUp !== undefined
+  const hasMax = options.catchUpMax !== undefined
+  if (!hasPolicy && !hasMax) return {}
+  let maxRuns
+  if (hasMax) {
+    if (!/^\d+$/.test(String(options.catchUpMax).trim())) {
+      return { error: `--catch-up-max '${options.catchUpMax}' must be a whole number of runs` }
+    }
+    maxRuns = Number(String(options.catchUpMax).trim())
+  }
+  const policy = hasPolicy ? options.catchUp : existing?.catchUp?.policy
+  if (hasMax && policy !== 'all') {
+    return { error: '--catch-up-max only applies to --catch-up all' }
+  }
+  return { catchUp: maxRuns === undefined ? { policy } : { policy, maxRuns } }
+}
+
 /** Collect only the target fields the caller actually passed. */
 function buildTargetFields(options) {
   const target = {}
@@ -313,6 +423,29 @@ function resolveTaskId(store, idOrPrefix) {
  */
 function computeWarnings(task, deps) {
   const warnings = []
+  if (task.workflow) {
+    // The workflow file names each step's provider and mode; the runner checks
+    // them when the task fires, and records a refusal the same way.
+    if (!deps.checkWorkflowsEnabled()) {
+      warnings.push(
+        'workflows are currently DISABLED on this daemon — this task will be REFUSED when due '
+          + '(set features.workflows: true in config.json or CHROXY_ENABLE_WORKFLOWS=1, then restart the daemon)',
+      )
+    }
+  } else {
+    pushTargetWarnings(task, deps, warnings)
+  }
+  if (!deps.checkSchedulerEnabled()) {
+    warnings.push(
+      'scheduled execution is currently DISABLED on this daemon — this task is saved but will NOT fire '
+        + 'until enabled (set features.scheduler: true in config.json or CHROXY_ENABLE_SCHEDULER=1, then restart the daemon)',
+    )
+  }
+  return warnings
+}
+
+/** The provider and permission-mode warnings for a prompt task. */
+function pushTargetWarnings(task, deps, warnings) {
   const providerName = task.target?.provider || deps.defaultProviderName
   const refusal = deps.checkProviderRefusal(providerName)
   if (refusal) {
@@ -328,13 +461,17 @@ function computeWarnings(task, deps) {
       )
     }
   }
-  if (!deps.checkSchedulerEnabled()) {
-    warnings.push(
-      'scheduled execution is currently DISABLED on this daemon — this task is saved but will NOT fire '
-        + 'until enabled (set features.scheduler: true in config.json or CHROXY_ENABLE_SCHEDULER=1, then restart the daemon)',
-    )
+}
+
+/** `--input a=1 --input b=2` → `{ a: '1', b: '2' }`, or `{ error }`. */
+function buildWorkflowInputs(pairs = []) {
+  const inputs = {}
+  for (const pair of pairs) {
+    const eq = pair.indexOf('=')
+    if (eq <= 0) return { error: `--input takes key=value, got "${pair}"` }
+    inputs[pair.slice(0, eq)] = pair.slice(eq + 1)
   }
-  return warnings
+  return { inputs }
 }
 
 // -- command implementations (pure aside from injected deps) ---------------
@@ -349,10 +486,32 @@ export function runScheduleCreate(options = {}, depsOverride = {}) {
   const deps = buildDeps(depsOverride)
   const out = deps.write
 
-  if (typeof options.prompt !== 'string' || options.prompt.trim().length === 0) {
-    out('A --prompt is required (the instructions the scheduled run executes).')
+  const workflowName = typeof options.workflow === 'string' && options.workflow.trim().length > 0
+    ? options.workflow.trim()
+    : null
+  if (!workflowName && (typeof options.prompt !== 'string' || options.prompt.trim().length === 0)) {
+    out('A --prompt is required (the instructions the scheduled run executes), or --workflow to run a workflow.')
     return { created: false, error: 'missing-prompt' }
   }
+  let workflow = null
+  if (workflowName) {
+    // The workflow file names every step's provider, model and mode.
+    const conflicting = ['prompt', 'provider', 'model', 'permissionMode'].filter((k) => options[k] !== undefined)
+    if (conflicting.length > 0) {
+      const flags = conflicting.map((k) => `--${k.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`).join(', ')
+      out(`--workflow cannot be combined with ${flags} — the workflow file sets those per step.`)
+      return { created: false, error: 'invalid-workflow' }
+    }
+    const inputsResult = buildWorkflowInputs(options.input)
+    if (inputsResult.error) {
+      out(inputsResult.error)
+      return { created: false, error: 'invalid-workflow', message: inputsResult.error }
+    }
+    workflow = { name: workflowName, inputs: inputsResult.inputs }
+  } else if (options.input?.length) {
+    out('--input only applies with --workflow.')
+    return { created: false, error: 'invalid-workflow' }
+  }
 
   const cadenceResult = buildCadenceForCreate(options)
   if (cadenceResult.error) {
@@ -361,6 +520,15 @@ export function runScheduleCreate(options = {}, depsOverride = {}) {
   }
 
   const target = buildTargetFields(options)
+  // A workflow is looked up from its repo, so the task must pin one.
+  if (workflow && target.cwd === undefined) target.cwd = resolve(process.cwd())
+  else if (workflow) target.cwd = resolve(target.cwd)
+
+  const catchUpResult = buildCatchUp(options, null)
+  if (catchUpResult.error) {
+    out(catchUpResult.error)
+    return { created: false, error: 'invalid-catch-up', message: catchUpResult.error }
+  }
 
   let task
   try {
@@ -369,7 +537,10 @@ export function runScheduleCreate(options = {}, depsOverride = {}) {
       prompt: options.prompt,
       cadence: cadenceResult.cadence,
       target,
+      workflow,
       enabled: !options.paused,
+      catchUp: catchUpResult.catchUp,
+      notify: options.notify,
     })
   } catch (err) {
     if (err instanceof ScheduledTaskValidationError) {
@@ -386,8 +557,11 @@ export function runScheduleCreate(options = {}, depsOverride = {}) {
     out(JSON.stringify({ task, warnings }, null, 2))
   } else {
     out(`Created scheduled task ${task.id}${task.name ? ` (${task.name})` : ''}`)
+    if (task.workflow) out(`  workflow: ${task.workflow.name} in ${task.target.cwd}`)
     out(`  cadence:  ${describeCadence(task.cadence)}`)
     out(`  next run: ${task.enabled ? formatEpoch(task.nextRun) : `— (paused; resume with: chroxy schedule resume ${task.id})`}`)
+    const policies = describeRunPolicies(task)
+    if (policies) out(`  runs:     ${policies}`)
     for (const w of warnings) out(`  WARNING: ${w}`)
   }
   return { created: true, task, warnings }
@@ -406,7 +580,9 @@ export function runScheduleList(options = {}, depsOverride = {}) {
 
   const rows = tasks.map((task) => {
     const providerName = task.target?.provider || deps.defaultProviderName
-    return { task, health: healthTag(task), providerRefusal: deps.checkProviderRefusal(providerName) }
+    // A workflow task's providers are the workflow's, checked when it fires.
+    const providerRefusal = task.workflow ? null : deps.checkProviderRefusal(providerName)
+    return { task, health: healthTag(task), providerRefusal }
   })
 
   if (options.json) {
@@ -442,9 +618,12 @@ export function runScheduleList(options = {}, depsOverride = {}) {
 
     const label = task.name || '(unnamed)'
     out(`[${health}] ${label}  (${task.id})`)
+    if (task.workflow) out(`  workflow: ${task.workflow.name} in ${task.target.cwd}`)
     out(`  cadence:  ${describeCadence(task.cadence)}`)
     out(`  next run: ${task.enabled ? formatEpoch(task.nextRun) : '— (paused)'}`)
     out(`  last run: ${describeLastRun(task.lastRun)}`)
+    const policies = describeRunPolicies(task)
+    if (policies) out(`  runs:     ${policies}`)
     if (providerRefusal) {
       const providerName = task.target?.provider || deps.defaultProviderName
       out(`  provider check: '${providerName}' will be REFUSED when due — ${providerRefusal}`)
@@ -480,20 +659,28 @@ export function runScheduleEdit(idOrPrefix, options = {}, depsOverride = {}) {
   if (options.prompt !== undefined) patch.prompt = options.prompt
   if (options.name !== undefined) patch.name = options.name
 
-  const cadenceResult = buildCadencePatch(options)
+  const cadenceResult = buildCadencePatch(options, existing)
   if (cadenceResult.error) {
     out(cadenceResult.error)
     return { updated: false, error: 'invalid-cadence', message: cadenceResult.error }
   }
   if (cadenceResult.cadence) patch.cadence = cadenceResult.cadence
 
+  const catchUpResult = buildCatchUp(options, existing)
+  if (catchUpResult.error) {
+    out(catchUpResult.error)
+    return { updated: false, error: 'invalid-catch-up', message: catchUpResult.error }
+  }
+  if (catchUpResult.catchUp) patch.catchUp = catchUpResult.catchUp
+  if (options.notify !== undefined) patch.notify = options.notify
+
   const targetFields = buildTargetFields(options)
   if (Object.keys(targetFields).length > 0) {
     patch.target = { ...existing.target, ...targetFields }
   }
 
   if (Object.keys(patch).length === 0) {
-    out('Nothing to edit — pass at least one of --prompt, --name, --at/--cron, --provider, --model, --cwd, --permission-mode.')
+    out('Nothing to edit — pass at least one of --prompt, --name, --at/--cron/--event, --timezone, --provider, --model, --cwd, --permission-mode, --catch-up, --catch-up-max, --notify.')
     return { updated: false, error: 'no-changes' }
   }
 
@@ -520,6 +707,8 @@ export function runScheduleEdit(idOrPrefix, options = {}, depsOverride = {}) {
     out(`Updated scheduled task ${task.id}${task.name ? ` (${task.name})` : ''}`)
     out(`  cadence:  ${describeCadence(task.cadence)}`)
     out(`  next run: ${task.enabled ? formatEpoch(task.nextRun) : '— (paused)'}`)
+    const policies = describeRunPolicies(task)
+    if (policies) out(`  runs:     ${policies}`)
     for (const w of warnings) out(`  WARNING: ${w}`)
   }
   return { updated: true, task, warnings }
@@ -613,8 +802,16 @@ export function runScheduleDelete(idOrPrefix, options = {}, depsOverride = {}) {
     out(`No scheduled task with id ${task.id} (it may have already been deleted).`)
     return { deleted: false, error: 'not-found' }
   }
-  out(`Deleted scheduled task ${task.id}${task.name ? ` (${task.name})` : ''}.`)
-  return { deleted: true, confirmed: true, task }
+  // The definition is gone either way; a history that cannot be cleared is
+  // reported, not a reason to call the delete failed.
+  let runsRemoved = 0
+  try {
+    runsRemoved = deps.history.removeTask(task.id)
+  } catch (err) {
+    out(`  WARNING: could not remove the task's run history: ${err?.message || err}`)
+  }
+  out(`Deleted scheduled task ${task.id}${task.name ? ` (${task.name})` : ''}${runsRemoved > 0 ? ` and ${runsRemoved} recorded run(s)` : ''}.`)
+  return { deleted: true, confirmed: true, task, runsRemoved }
 }
 
 /**
@@ -644,6 +841,8 @@ export function runScheduleLastRun(idOrPrefix, options = {}, depsOverride = {})
   out(`  cadence:  ${describeCadence(task.cadence)}`)
   out(`  next run: ${task.enabled ? formatEpoch(task.nextRun) : '— (paused)'}`)
   out(`  last run: [${health}] ${describeLastRun(task.lastRun)}`)
+  const policies = describeRunPolicies(task)
+  if (policies) out(`  runs:     ${policies}`)
   if (!task.lastRun) {
     out(`  This task has never fired.${task.enabled ? '' : ' It is also currently paused.'}`)
   }
@@ -653,24 +852,155 @@ export function runScheduleLastRun(idOrPrefix, options = {}, depsOverride = {})
   return { found: true, task, health }
 }
 
+/** Default number of runs `runs` shows. */
+const DEFAULT_RUNS_LIMIT = 20
+
+/** One history summary as a single line: when, how it ended, and why it ran. */
+function describeRunLine(run) {
+  const bits = [`${formatEpoch(run.startedAt)}  [${run.exit}]  ${run.trigger}`]
+  if (Number.isFinite(run.cost)) bits.push(`$${run.cost.toFixed(4)}`)
+  if (run.filesChanged?.length) bits.push(`${run.filesChanged.length} file(s) changed`)
+  if (Number.isInteger(run.missedSlots)) bits.push(`${run.missedSlots} missed slot(s)`)
+  return bits.join('  ')
+}
+
+/** A transcript entry as one readable line — the shapes session-message-history.js records. */
+function describeTranscriptEntry(entry) {
+  const clip = (text) => {
+    const flat = String(text).replace(/\s+/g, ' ').trim()
+    return flat.length > 200 ? `${flat.slice(0, 200)}…` : flat
+  }
+  switch (entry.type) {
+    case 'message':
+      return `${entry.messageType || 'message'}: ${clip(entry.content ?? '')}`
+    case 'tool_start': {
+      const target = entry.input?.file_path ?? entry.input?.notebook_path ?? entry.input?.command
+      return `tool ${entry.tool}${typeof target === 'string' ? ` ${clip(target)}` : ''}`
+    }
+    case 'tool_result':
+      return `  → ${clip(typeof entry.result === 'string' ? entry.result : JSON.stringify(entry.result ?? ''))}`
+    case 'result':
+      return `turn complete${Number.isFinite(entry.cost) ? ` ($${entry.cost.toFixed(4)})` : ''}`
+    default:
+      return entry.type
+  }
+}
+
+/**
+ * `chroxy schedule runs <id>` — a task's recorded runs, newest first.
+ * @returns {{found:boolean, task?:object, runs?:object[], error?:string, message?:string}}
+ */
+export function runScheduleRuns(idOrPrefix, options = {}, depsOverride = {}) {
+  const deps = buildDeps(depsOverride)
+  const out = deps.write
+  const resolved = resolveTaskId(deps.store, idOrPrefix)
+  if (resolved.error) {
+    out(resolved.error)
+    return { found: false, error: resolved.errorCode || 'not-found', message: resolved.error }
+  }
+  const task = resolved.task
+  let limit = DEFAULT_RUNS_LIMIT
+  if (options.limit !== undefined) {
+    limit = Number(options.limit)
+    if (!Number.isInteger(limit) || limit < 1) {
+      out(`--limit '${options.limit}' must be a positive whole number`)
+      return { found: false, error: 'invalid-limit' }
+    }
+  }
+  const runs = deps.history.list(task.id, { limit })
+
+  if (options.json) {
+    out(JSON.stringify({ taskId: task.id, runs }, null, 2))
+    return { found: true, task, runs }
+  }
+
+  out(`${task.name ? `${task.name} ` : ''}(${task.id})`)
+  if (runs.length === 0) {
+    out('  No recorded runs.')
+    return { found: true, task, runs }
+  }
+  for (const run of runs) {
+    out(`  ${describeRunLine(run)}`)
+    out(`    run ${run.id}${run.sessionId ? `  session ${run.sessionId}` : ''}`)
+    if (run.error) out(`    ${run.error}`)
+    else if (run.finalMessagePreview) out(`    ${run.finalMessagePreview.replace(/\s+/g, ' ').slice(0, 160)}`)
+  }
+  out('')
+  out('Show one run in full: chroxy schedule run <run-id> [--transcript]')
+  return { found: true, task, runs }
+}
+
+/**
+ * `chroxy schedule run <runId>` — one recorded run: outcome, cost, files
+ * changed and the final message, plus the whole transcript with --transcript.
+ * @returns {{found:boolean, run?:object, error?:string}}
+ */
+export function runScheduleRun(runId, options = {}, depsOverride = {}) {
+  const deps = buildDeps(depsOverride)
+  const out = deps.write
+  const run = deps.history.get(typeof runId === 'string' ? runId.trim() : runId)
+  if (!run) {
+    out(`No recorded run with id "${runId}". List a task's runs: chroxy schedule runs <task-id>`)
+    return { found: false, error: 'not-found' }
+  }
+
+  if (options.json) {
+    out(JSON.stringify(options.transcript ? run : { ...run, transcript: undefined }, null, 2))
+    return { found: true, run }
+  }
+
+  out(`Run ${run.id} of ${run.taskName ? `${run.taskName} ` : ''}(${run.taskId})`)
+  out(`  exit:      [${run.exit}] ${run.status}${run.error ? ` — ${run.error}` : ''}`)
+  out(`  trigger:   ${run.trigger}${Number.isFinite(run.scheduledFor) ? ` (slot ${formatEpoch(run.scheduledFor)})` : ''}${Number.isInteger(run.missedSlots) ? `, ${run.missedSlots} missed slot(s)` : ''}`)
+  out(`  ran:       ${formatEpoch(run.startedAt)} → ${formatEpoch(run.finishedAt)}`)
+  if (run.sessionId) out(`  session:   ${run.sessionId}`)
+  out(`  cost:      ${Number.isFinite(run.cost) ? `$${run.cost.toFixed(4)}` : 'unknown'}`)
+  out(`  files:     ${run.filesChanged.length || 'none'}`)
+  for (const file of run.filesChanged) out(`    ${file}`)
+  if (run.finalMessage) {
+    out('')
+    out('Final message:')
+    out(run.finalMessage)
+  }
+  if (options.transcript) {
+    out('')
+    out(`Transcript (${run.transcript.length} entries${run.transcriptTruncated ? ', oldest dropped' : ''}):`)
+    for (const entry of run.transcript) out(`  ${describeTranscriptEntry(entry)}`)
+  } else if (run.hasTranscript) {
+    out('')
+    out(`Full transcript: chroxy schedule run ${run.id} --transcript`)
+  }
+  return { found: true, run }
+}
+
 // -- commander wiring --------------------------------------------------------
 
 export function registerScheduleCommands(program) {
   const schedule = program
     .command('schedule')
-    .description('Manage scheduled tasks (create/list/edit/pause/resume/delete/last-run) — #6868')
+    .description('Manage scheduled tasks (create/list/edit/pause/resume/delete/last-run/runs/run) — #6868')
 
   schedule
     .command('create')
     .description('Create a scheduled task')
-    .requiredOption('-p, --prompt <text>', 'Instructions the scheduled run executes')
+    .option('-p, --prompt <text>', 'Instructions the scheduled run executes (required unless --workflow)')
+    .option('--workflow <name>', 'Run the .chroxy/workflows/<name> workflow of --cwd (default: the current directory) instead of a prompt')
+    .option('-i, --input <key=value>', 'A workflow input (repeatable; with --workflow)', (value, previous) => [...previous, value], [])
     .option('-n, --name <name>', 'Optional human-readable label')
     .option('--at <when>', 'One-time cadence: ISO-8601 timestamp (e.g. 2026-08-01T09:00:00Z — no timezone means LOCAL time; times are displayed in UTC) or epoch-ms (mutually exclusive with --cron)')
     .option('--cron <expression>', '5-field crontab expression, e.g. "0 9 * * *" (mutually exclusive with --at)')
+    .option('--timezone <zone>', 'IANA time zone the --cron expression is evaluated in, e.g. Europe/Berlin (default: the daemon\'s local time)')
+    .option('--event <type>', 'Run on a GitHub webhook delivery instead of a time: push, pull_request or issues. The prompt may use {{event.title}}, {{event.repo}}, {{event.url}}, ...')
+    .option('--event-repo <owner/name>', 'Only fire for this repository')
+    .option('--event-action <action>', 'Only fire for this pull_request/issues action, e.g. opened')
+    .option('--event-branch <branch>', 'Only fire for a push to this branch')
     .option('--provider <name>', 'Target provider (default: the daemon default provider)')
     .option('--model <name>', 'Target model')
     .option('--cwd <path>', 'Target working directory')
     .option('--permission-mode <mode>', 'Target permission mode: approve, acceptEdits, auto, plan (unattended runs are always clamped to approve/plan)')
+    .option('--catch-up <policy>', 'Missed runs (daemon down, host asleep): skip (default), once, or all')
+    .option('--catch-up-max <n>', 'With --catch-up all: replay at most the newest n missed runs (default 5, max 50)')
+    .option('--notify <policy>', 'Push a notification: never (default), on-failure, on-change, or always')
     .option('--paused', 'Create the task paused (enabled: false) — will not fire until resumed')
     .option('--json', 'Output machine-readable JSON')
     .action((options) => {
@@ -703,10 +1033,18 @@ export function registerScheduleCommands(program) {
     .option('-n, --name <name>', 'Replace the label')
     .option('--at <when>', 'Replace the cadence with a one-time run: ISO-8601 timestamp (add a trailing Z for UTC — no timezone means LOCAL time) or epoch-ms (mutually exclusive with --cron)')
     .option('--cron <expression>', 'Replace the cadence with a recurring cron expression (mutually exclusive with --at)')
+    .option('--timezone <zone>', 'IANA time zone for the cron cadence (alone: re-zone the existing expression; empty string: daemon local time)')
+    .option('--event <type>', 'Replace the cadence with a GitHub webhook trigger: push, pull_request or issues')
+    .option('--event-repo <owner/name>', 'Repository filter for --event')
+    .option('--event-action <action>', 'pull_request/issues action filter for --event')
+    .option('--event-branch <branch>', 'push branch filter for --event')
     .option('--provider <name>', 'Replace the target provider')
     .option('--model <name>', 'Replace the target model')
     .option('--cwd <path>', 'Replace the target working directory')
     .option('--permission-mode <mode>', 'Replace the target permission mode')
+    .option('--catch-up <policy>', 'Replace the missed-run policy: skip, once, or all')
+    .option('--catch-up-max <n>', 'Cap for --catch-up all (alone: re-cap an existing all policy)')
+    .option('--notify <policy>', 'Replace the notification policy: never, on-failure, on-change, or always')
     .option('--json', 'Output machine-readable JSON')
     .action((id, options) => {
       try {
@@ -773,4 +1111,34 @@ export function registerScheduleCommands(program) {
         process.exitCode = 1
       }
     })
+
+  schedule
+    .command('runs <id>')
+    .description('List a scheduled task\'s recorded runs, newest first — exit class, cost, files changed')
+    .option('--limit <n>', `Show at most n runs (default ${DEFAULT_RUNS_LIMIT})`)
+    .option('--json', 'Output machine-readable JSON')
+    .action((id, options) => {
+      try {
+        const res = runScheduleRuns(id, options)
+        if (!res.found) process.exitCode = 1
+      } catch (err) {
+        console.error(`schedule runs failed: ${err.message}`)
+        process.exitCode = 1
+      }
+    })
+
+  schedule
+    .command('run <runId>')
+    .description('Show one recorded run: outcome, cost, files changed and final message')
+    .option('--transcript', 'Also print the run\'s full transcript')
+    .option('--json', 'Output machine-readable JSON')
+    .action((runId, options) => {
+      try {
+        const res = runScheduleRun(runId, options)
+        if (!res.found) process.exitCode = 1
+      } catch (err) {
+        console.error(`schedule run failed: ${err.message}`)
+        process.exitCode = 1
+      }
+    })
 }
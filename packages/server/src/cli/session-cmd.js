@@ -1,12 +1,72 @@
 /**
  * chroxy sessions / chroxy resume — Session management commands
+ *
+ *   chroxy sessions                         → list saved sessions
+ *   chroxy sessions export <id> [--format]  → transcript as markdown/html/jsonl
+ *   chroxy resume [session]                 → resume in the terminal
+ *
+ * `sessions export` asks the RUNNING daemon to render the transcript (the
+ * message history lives in its memory; see session-export.js) over loopback
+ * with the primary token, the same path `chroxy publish` uses.
  */
 import { existsSync, readFileSync } from 'fs'
 import { join } from 'path'
 import { configDir } from './shared.js'
+import { daemonRequest, reportFailure } from './pages-cmd.js'
+
+/** `md` is accepted as shorthand for `markdown`. */
+const FORMAT_ALIASES = { md: 'markdown' }
+
+export async function runSessionExportCmd(sessionId, options = {}, deps = {}) {
+  const write = deps.write || ((text) => process.stdout.write(text))
+  const writeErr = deps.writeErr || console.error
+  const writeFileFn = deps.writeFile || (await import('fs')).writeFileSync
+  const publish = options.publish === true
+  const requested = options.format ? String(options.format).toLowerCase() : (publish ? 'html' : 'markdown')
+  const format = FORMAT_ALIASES[requested] || requested
+
+  if (publish && format !== 'html') {
+    writeErr('--publish only works with --format html')
+    return { ok: false, reason: 'invalid_format' }
+  }
+
+  const body = { format }
+  if (publish) body.publish = true
+  if (options.title) body.title = options.title
+  const result = await daemonRequest('POST', `/api/sessions/${encodeURIComponent(sessionId)}/export`, deps, { body })
+  if (!result.ok) {
+    if (options.json) write(JSON.stringify(result, null, 2) + '\n')
+    else reportFailure(result, writeErr)
+    return result
+  }
+
+  if (publish) {
+    const page = result.json.page
+    const url = result.publicBase ? `${result.publicBase}${page.path}` : page.path
+    const out = { ok: true, slug: page.slug, url, title: page.title }
+    if (options.json) write(JSON.stringify(out, null, 2) + '\n')
+    else write(`Published "${out.title}" → ${url}\n`)
+    return out
+  }
+
+  const { content, fileName, entryCount } = result.json
+  if (options.output) {
+    try {
+      writeFileFn(options.output, content, 'utf8')
+    } catch (err) {
+      writeErr(`Cannot write ${options.output}: ${err?.message || err}`)
+      return { ok: false, reason: 'write_failed' }
+    }
+    if (options.json) write(JSON.stringify({ ok: true, format, path: options.output, entryCount }, null, 2) + '\n')
+    else writeErr(`Wrote ${entryCount} entries to ${options.output}`)
+    return { ok: true, format, path: options.output, entryCount }
+  }
+  write(content)
+  return { ok: true, format, fileName, entryCount }
+}
 
 export function registerSessionCommands(program) {
-  program
+  const sessions = program
     .command('sessions')
     .description('List saved sessions with conversation IDs for terminal handoff')
     .action(() => {
@@ -52,6 +112,19 @@ export function registerSessionCommands(program) {
       }
     })
 
+  sessions
+    .command('export <id>')
+    .description('Export a session transcript from the running daemon (secrets redacted)')
+    .option('--format <format>', 'markdown (md), html or jsonl')
+    .option('-o, --output <file>', 'Write to a file instead of stdout')
+    .option('--publish', 'Publish the html export as a Chroxy Page and print its share URL')
+    .option('--title <title>', 'Page title when publishing')
+    .option('--json', 'Output machine-readable JSON (publish / --output only)')
+    .action(async (id, options) => {
+      const result = await runSessionExportCmd(id, options)
+      if (!result.ok) process.exitCode = 1
+    })
+
   program
     .command('resume')
     .description('Resume a Chroxy session in your terminal')
@@ -62,7 +62,7 @@ export function addServerOptions(cmd) {
     .option('--dangerously-skip-permissions', 'TUI provider only: spawn claude with --dangerously-skip-permissions and disable chroxy permission gating (mirrors `chroxy resume` flag)')
     .option('-v, --verbose', 'Show detailed config sources and validation info')
     .option('--environments', 'Enable environment isolation providers (e.g. docker)')
-    .option('--environment-backend <backend>', 'Environment backend: docker (default), k8s, or rancher')
+    .option('--environment-backend <backend>', 'Environment backend: docker (default), k8s, rancher, or podman')
 }
 
 /**
@@ -13,6 +13,8 @@
 
 import { createSessionTokenStore } from '../session-token-store.js'
 import { configDir } from '../config-dir.js'
+import { normalizeTokenScope } from '../token-scopes.js'
+import { AuditJournal, CLI_ACTOR, recordAuditEvent } from '../audit-journal.js'
 
 /** Resolve the chroxy config dir the same way server-cli does (#7052: one resolver). */
 function resolveChroxyDir() {
@@ -56,7 +58,7 @@ function metaOf(entry) {
  * so a test drives it with an in-memory store.
  *
  * @param {object} [deps] - { store, write, now }
- * @returns {{ count: number, tokens: Array<{ handle: string, sessionId: string, ageMs: number|null }> }}
+ * @returns {{ count: number, tokens: Array<{ handle: string, sessionId: string, scope: string, ageMs: number|null }> }}
  */
 export function runTokensList(deps = {}) {
   const out = deps.write || console.log
@@ -79,13 +81,14 @@ export function runTokensList(deps = {}) {
     return {
       handle: token ? token.slice(0, 12) : '(malformed)',
       sessionId: (typeof meta.sessionId === 'string' && meta.sessionId) || '(none)',
+      scope: normalizeTokenScope(meta.scope),
       ageMs: typeof meta.createdAt === 'number' ? now - meta.createdAt : null,
     }
   })
 
   out(`${rows.length} paired session token(s):`)
   for (const r of rows) {
-    out(`  ${r.handle}…  session=${r.sessionId}  age=${formatAge(r.ageMs)}`)
+    out(`  ${r.handle}…  session=${r.sessionId}  scope=${r.scope}  age=${formatAge(r.ageMs)}`)
   }
   out('')
   out('Revoke one:  chroxy tokens revoke <handle-prefix>')
@@ -98,12 +101,16 @@ export function runTokensList(deps = {}) {
  *
  * @param {string|undefined} target - handle prefix (ignored when `options.all`)
  * @param {{ all?: boolean, yes?: boolean }} [options]
- * @param {object} [deps] - { store, write }
+ * A successful revoke is recorded in the audit journal (`token_revoke`, actor
+ * `cli`), like a revoke from the dashboard.
+ *
+ * @param {object} [deps] - { store, write, journal } (`journal: null` skips the audit record)
  * @returns {{ revoked: number, mode: 'all'|'one', confirmed?: boolean, error?: string, matches?: number }}
  */
 export function runTokensRevoke(target, options = {}, deps = {}) {
   const out = deps.write || console.log
   const store = deps.store || createSessionTokenStore({ dir: resolveChroxyDir() })
+  const journal = deps.journal !== undefined ? deps.journal : new AuditJournal()
 
   // #6599 — never operate on a store we couldn't read: an 'unreadable' result
   // (present file, bad perms / no keychain key / corrupt) must NOT be mistaken for
@@ -140,6 +147,7 @@ export function runTokensRevoke(target, options = {}, deps = {}) {
       out(`Failed to write the session-token store — nothing revoked. ${UNREADABLE_NOTE}`)
       return { revoked: 0, mode: 'all', error: 'persist-failed' }
     }
+    recordAuditEvent('token_revoke', { ...CLI_ACTOR, target: 'all_paired', revoked: list.length }, journal)
     out(`Revoked all ${list.length} session token(s). ${ENFORCE_NOTE}`)
     return { revoked: list.length, mode: 'all', confirmed: true }
   }
@@ -170,6 +178,7 @@ export function runTokensRevoke(target, options = {}, deps = {}) {
     out(`Failed to write the session-token store — nothing revoked. ${UNREADABLE_NOTE}`)
     return { revoked: 0, mode: 'one', error: 'persist-failed' }
   }
+  recordAuditEvent('token_revoke', { ...CLI_ACTOR, target: 'paired', handle: tokenOf(matches[0]).slice(0, 12) }, journal)
   out(`Revoked 1 session token (${target}…). ${ENFORCE_NOTE}`)
   return { revoked: 1, mode: 'one', confirmed: true }
 }
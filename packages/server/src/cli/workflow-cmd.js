@@ -0,0 +1,296 @@
+/**
+ * `chroxy workflow` — declarative multi-step workflows (`.chroxy/workflows/*.yml`,
+ * see workflows/workflow-definition.js).
+ *
+ *   chroxy workflow list                         → the workflows this repo defines
+ *   chroxy workflow show <name>                  → one workflow's steps and routing
+ *   chroxy workflow run <name> [--input k=v ...] → start a run on the daemon
+ *   chroxy workflow runs                         → recent runs
+ *   chroxy workflow status <runId>               → one run, with step outputs
+ *   chroxy workflow approve <runId> [--reject]   → answer a run's approval gate
+ *   chroxy workflow cancel <runId>               → cancel a run
+ *
+ * `list` and `show` only read the files, from the current directory up to the
+ * repo root, so they work with the daemon stopped and are how an author checks
+ * a definition validates. Everything else goes to the RUNNING daemon over
+ * loopback with the primary token (`daemonRequest`, as `chroxy publish` does):
+ * the runner lives there, and the daemon checks the cwd against its allowlist.
+ */
+import { resolve } from 'path'
+import { daemonRequest, reportFailure } from './pages-cmd.js'
+import {
+  WORKFLOWS_DIR,
+  findWorkflowRoot,
+  loadWorkflows,
+} from '../workflows/workflow-definition.js'
+
+function outputs(deps) {
+  return {
+    write: deps.write || console.log,
+    writeErr: deps.writeErr || console.error,
+  }
+}
+
+function formatTime(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString().replace('.000Z', 'Z') : '-'
+}
+
+function formatUsd(n) {
+  return `$${(Number.isFinite(n) ? n : 0).toFixed(2)}`
+}
+
+/** `--input a=1 --input b=2` → `{ a: '1', b: '2' }`; null names the bad pair. */
+export function parseInputPairs(pairs = []) {
+  const inputs = {}
+  for (const pair of pairs) {
+    const eq = pair.indexOf('=')
+    if (eq <= 0) return { inputs: null, bad: pair }
+    inputs[pair.slice(0, eq)] = pair.slice(eq + 1)
+  }
+  return { inputs, bad: null }
+}
+
+function collect(value, previous) {
+  return [...previous, value]
+}
+
+// -- local: list / show -------------------------------------------------------
+
+function findLocal(options, deps) {
+  const cwd = resolve(options.cwd || deps.cwd || process.cwd())
+  const root = findWorkflowRoot(cwd)
+  return { cwd, root }
+}
+
+export function runWorkflowList(options = {}, deps = {}) {
+  const { write, writeErr } = outputs(deps)
+  const { cwd, root } = findLocal(options, deps)
+  if (!root) {
+    if (options.json) write(JSON.stringify({ ok: true, root: null, workflows: [], errors: [] }, null, 2))
+    else writeErr(`No ${WORKFLOWS_DIR} directory at or above ${cwd}.`)
+    return { ok: true, root: null, workflows: [], errors: [] }
+  }
+  const { workflows, errors } = loadWorkflows(root)
+  if (options.json) {
+    write(JSON.stringify({ ok: true, root, workflows, errors }, null, 2))
+  } else {
+    if (workflows.length === 0 && errors.length === 0) write(`No workflows in ${resolve(root, WORKFLOWS_DIR)}.`)
+    for (const wf of workflows) {
+      write(`${wf.name}  ${wf.title}  (${wf.steps.length} step${wf.steps.length === 1 ? '' : 's'})`)
+      if (wf.description) write(`  ${wf.description}`)
+    }
+    for (const e of errors) write(`${e.name}  [INVALID] ${e.error}`)
+  }
+  // An invalid file is a failure to report, not a crash: exit 1 so CI notices.
+  return { ok: errors.length === 0, root, workflows, errors }
+}
+
+function describeTarget(target) {
+  if (target === 'end') return 'end'
+  if (target === 'fail') return 'fail the run'
+  return target
+}
+
+export function runWorkflowShow(name, options = {}, deps = {}) {
+  const { write, writeErr } = outputs(deps)
+  const { cwd, root } = findLocal(options, deps)
+  if (!root) {
+    writeErr(`No ${WORKFLOWS_DIR} directory at or above ${cwd}.`)
+    return { ok: false, reason: 'not_found' }
+  }
+  const { workflows, errors } = loadWorkflows(root)
+  const invalid = errors.find((e) => e.name === name)
+  if (invalid) {
+    writeErr(`${invalid.file}: ${invalid.error}`)
+    return { ok: false, reason: 'invalid', error: invalid.error }
+  }
+  const wf = workflows.find((w) => w.name === name)
+  if (!wf) {
+    writeErr(`No workflow named "${name}" in ${resolve(root, WORKFLOWS_DIR)}.`)
+    return { ok: false, reason: 'not_found' }
+  }
+  if (options.json) {
+    write(JSON.stringify({ ok: true, workflow: wf }, null, 2))
+    return { ok: true, workflow: wf }
+  }
+  write(`${wf.title}  (${wf.file})`)
+  if (wf.description) write(wf.description)
+  const inputs = Object.entries(wf.inputs)
+  if (inputs.length > 0) {
+    write('Inputs:')
+    for (const [key, spec] of inputs) write(`  ${key}${spec.required ? '  (required)' : `  = ${spec.default}`}`)
+  }
+  if (wf.budget.maxUsd != null) write(`Budget: ${formatUsd(wf.budget.maxUsd)}`)
+  write('Steps:')
+  wf.steps.forEach((step, i) => {
+    const where = [step.provider || 'default provider', step.model].filter(Boolean).join(' / ')
+    write(`  ${i + 1}. ${step.id}${step.title ? ` — ${step.title}` : ''}  [${step.session ? `session of ${step.session}` : where}]`)
+    if (step.approval) write(`     approval: ${step.approval.message || 'required'}`)
+    write(`     success → ${describeTarget(step.onSuccess)}; failure → ${describeTarget(step.onFailure)}` +
+      (step.onReject ? `; rejected → ${describeTarget(step.onReject)}` : ''))
+  })
+  return { ok: true, workflow: wf }
+}
+
+// -- daemon: run / runs / status / approve / cancel ---------------------------
+
+function describeRunLine(run) {
+  const where = run.currentStep ? ` @ ${run.currentStep}` : ''
+  return `${run.runId}  ${run.workflow}  [${run.status.toUpperCase()}${where}]  ${formatUsd(run.costUsd)}  ${formatTime(run.createdAt)}  (${run.trigger})`
+}
+
+function describeRun(run, write) {
+  write(describeRunLine(run))
+  if (run.statusReason) write(`  ${run.statusReason}`)
+  if (run.pendingApproval) {
+    const a = run.pendingApproval
+    write(`  Waiting for approval (${a.kind}${a.stepId ? `, step ${a.stepId}` : ''}): ${a.message || ''}`)
+    write(`  Answer with: chroxy workflow approve ${run.runId}${a.kind === 'budget' ? ' --budget <usd>' : ''} [--reject]`)
+  }
+  for (const step of run.steps || []) {
+    write(`  ${step.subtaskId}  [${step.status}]  ${formatUsd(step.costUsd)}`)
+  }
+  for (const [stepId, result] of Object.entries(run.outputs || {})) {
+    write(`\n--- ${stepId} (${result.status}) ---`)
+    if (result.error) write(`error: ${result.error}`)
+    if (result.output) write(result.output)
+  }
+}
+
+async function request(method, path, options, deps, body) {
+  const { write, writeErr } = outputs(deps)
+  const result = await daemonRequest(method, path, deps, body !== undefined ? { body } : {})
+  if (!result.ok) {
+    if (options.json) write(JSON.stringify(result, null, 2))
+    else if (result.status === 503) writeErr('Workflows are not enabled on the running daemon. Set features.workflows: true (or CHROXY_ENABLE_WORKFLOWS=1) and restart it.')
+    else reportFailure(result, writeErr)
+  }
+  return result
+}
+
+export async function runWorkflowRun(name, options = {}, deps = {}) {
+  const { write, writeErr } = outputs(deps)
+  const { inputs, bad } = parseInputPairs(options.input)
+  if (!inputs) {
+    writeErr(`--input takes key=value, got "${bad}"`)
+    return { ok: false, reason: 'invalid_input' }
+  }
+  const body = { cwd: resolve(options.cwd || deps.cwd || process.cwd()), name, inputs }
+  if (options.budget !== undefined) {
+    const budgetUsd = Number(options.budget)
+    if (!Number.isFinite(budgetUsd) || budgetUsd <= 0) {
+      writeErr('--budget must be a positive number of USD')
+      return { ok: false, reason: 'invalid_budget' }
+    }
+    body.budgetUsd = budgetUsd
+  }
+  const result = await request('POST', '/api/workflows/runs', options, deps, body)
+  if (!result.ok) return result
+  const run = result.json.run
+  if (options.json) write(JSON.stringify({ ok: true, run }, null, 2))
+  else write(`Started ${run.workflow} as run ${run.runId}. Follow it with: chroxy workflow status ${run.runId}`)
+  return { ok: true, run }
+}
+
+export async function runWorkflowRuns(options = {}, deps = {}) {
+  const { write } = outputs(deps)
+  const result = await request('GET', '/api/workflows/runs', options, deps)
+  if (!result.ok) return result
+  const runs = result.json.runs || []
+  if (options.json) write(JSON.stringify({ ok: true, runs }, null, 2))
+  else if (runs.length === 0) write('No workflow runs.')
+  else for (const run of runs) write(describeRunLine(run))
+  return { ok: true, runs }
+}
+
+export async function runWorkflowStatus(runId, options = {}, deps = {}) {
+  const { write } = outputs(deps)
+  const result = await request('GET', `/api/workflows/runs/${encodeURIComponent(runId)}`, options, deps)
+  if (!result.ok) return result
+  const run = result.json.run
+  if (options.json) write(JSON.stringify({ ok: true, run }, null, 2))
+  else describeRun(run, write)
+  return { ok: true, run }
+}
+
+export async function runWorkflowApprove(runId, options = {}, deps = {}) {
+  const { write, writeErr } = outputs(deps)
+  const body = { decision: options.reject ? 'reject' : 'approve' }
+  if (options.note) body.note = options.note
+  if (options.budget !== undefined) {
+    const budgetUsd = Number(options.budget)
+    if (!Number.isFinite(budgetUsd) || budgetUsd <= 0) {
+      writeErr('--budget must be a positive number of USD')
+      return { ok: false, reason: 'invalid_budget' }
+    }
+    body.budgetUsd = budgetUsd
+  }
+  const result = await request('POST', `/api/workflows/runs/${encodeURIComponent(runId)}/approval`, options, deps, body)
+  if (!result.ok) return result
+  const run = result.json.run
+  if (options.json) write(JSON.stringify({ ok: true, run }, null, 2))
+  else write(`${body.decision === 'approve' ? 'Approved' : 'Rejected'} — run ${run.runId} is ${run.status}.`)
+  return { ok: true, run }
+}
+
+export async function runWorkflowCancel(runId, options = {}, deps = {}) {
+  const { write } = outputs(deps)
+  const result = await request('POST', `/api/workflows/runs/${encodeURIComponent(runId)}/cancel`, options, deps, {})
+  if (!result.ok) return result
+  const run = result.json.run
+  if (options.json) write(JSON.stringify({ ok: true, run }, null, 2))
+  else write(`Cancelling run ${run.runId}.`)
+  return { ok: true, run }
+}
+
+export function registerWorkflowCommands(program) {
+  const workflow = program
+    .command('workflow')
+    .description(`Declarative multi-step workflows (${WORKFLOWS_DIR}/*.yml)`)
+
+  const exitOn = (result) => { if (!result.ok) process.exitCode = 1 }
+
+  workflow
+    .command('list')
+    .description('List the workflows defined at or above the current directory (validates every file)')
+    .option('--cwd <path>', 'Look from this directory instead')
+    .option('--json', 'Output machine-readable JSON')
+    .action((options) => exitOn(runWorkflowList(options)))
+  workflow
+    .command('show <name>')
+    .description('Show one workflow\'s inputs, steps and routing')
+    .option('--cwd <path>', 'Look from this directory instead')
+    .option('--json', 'Output machine-readable JSON')
+    .action((name, options) => exitOn(runWorkflowShow(name, options)))
+  workflow
+    .command('run <name>')
+    .description('Start a run of a workflow on the running daemon')
+    .option('-i, --input <key=value>', 'A workflow input (repeatable)', collect, [])
+    .option('--budget <usd>', 'Cap the run\'s spend (overrides the workflow\'s budget)')
+    .option('--cwd <path>', 'Repo directory to run in (default: the current directory)')
+    .option('--json', 'Output machine-readable JSON')
+    .action(async (name, options) => exitOn(await runWorkflowRun(name, options)))
+  workflow
+    .command('runs')
+    .description('List recent workflow runs')
+    .option('--json', 'Output machine-readable JSON')
+    .action(async (options) => exitOn(await runWorkflowRuns(options)))
+  workflow
+    .command('status <runId>')
+    .description('Show a run\'s steps and their outputs')
+    .option('--json', 'Output machine-readable JSON')
+    .action(async (runId, options) => exitOn(await runWorkflowStatus(runId, options)))
+  workflow
+    .command('approve <runId>')
+    .description('Answer a run\'s open approval gate (approve by default)')
+    .option('--reject', 'Reject instead of approving')
+    .option('--note <text>', 'A note recorded with the decision')
+    .option('--budget <usd>', 'Raise the run\'s budget (required to approve a budget gate)')
+    .option('--json', 'Output machine-readable JSON')
+    .action(async (runId, options) => exitOn(await runWorkflowApprove(runId, options)))
+  workflow
+    .command('cancel <runId>')
+    .description('Cancel a workflow run')
+    .option('--json', 'Output machine-readable JSON')
+    .action(async (runId, options) => exitOn(await runWorkflowCancel(runId, options)))
+}
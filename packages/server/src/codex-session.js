@@ -371,6 +371,14 @@ export class CodexSession extends JsonlSubprocessSession {
     return join(homedir(), '.codex')
   }
 
+  /**
+   * `$HOME`-relative paths the CLI writes to, kept writable under a bwrap
+   * sandbox (BaseSession#_bwrapSpawnSpec).
+   */
+  static get bwrapStatePaths() {
+    return ['.codex']
+  }
+
   static get messageIdPrefix() {
     return 'codex'
   }
@@ -388,6 +396,8 @@ export class CodexSession extends JsonlSubprocessSession {
       // #3932: declared explicitly so the capability matrix matches across
       // providers — claude-tui is the only one that sets this to false.
       streaming: true,
+      // Spawns a local CLI, so `sandbox: 'bwrap'` can confine it (bwrap-sandbox.js).
+      bwrapSandbox: true,
     }
   }
 
@@ -23,6 +23,8 @@ import { validateProvidersConfigBlock } from './anthropic-compatible-config.js'
 // lightweight.
 import { DEFAULT_SEMANTIC_TITLE_MODEL, DEFAULT_SEMANTIC_TITLE_TIMEOUT_MS } from './session-title.js'
 import { configPath } from './config-dir.js'
+import { normalizeEgressPolicy, EgressPolicyError } from './egress/egress-policy.js'
+import { DEFAULT_LANGUAGE_EXTENSIONS } from './ide/language-servers.js'
 
 const log = createLogger('config')
 
@@ -115,6 +117,10 @@ const CONFIG_SCHEMA = {
   // CHROXY_ENABLE_IDE=1 env override) reveals the IDE navigation/editing features;
   // off by default so it never risks the core offering. See isIdeFeatureEnabled().
   features: 'object',
+  // #6479: per-language LSP servers backing the IDE surface — `{ <language>:
+  // { command, args?, extensions?, initializationOptions? } }`. Unset ⇒ the
+  // regex symbol index only. See ide/language-servers.js.
+  languageServers: 'object',
   // #6691 (E-4): the orchestration engine's config block ({ roles, bash, diff,
   // maxParallelWorkers, ... } — consumed by OrchestrationManager via
   // buildOrchestrationManager). Declared here so a configured block doesn't
@@ -169,6 +175,16 @@ const CONFIG_SCHEMA = {
   // CHROXY_DISCORD_WEBHOOK_URL or ~/.chroxy/credentials.json (0600); see
   // discord-credentials.js. Documented in CONFIG.md +
   // docs/guides/discord-notifications.md.
+  // `notifications.slack` carries the Slack sink's knobs: `botName`,
+  // `billingAlerts`, `dashboardUrl` (deep-link base override),
+  // `updateThrottleMs`, `pruneAfterMs`, `statePath`. Its webhook URL / bot
+  // token are secrets (CHROXY_SLACK_* or the credentials store, set from the
+  // dashboard); see slack-credentials.js + docs/guides/slack-notifications.md.
+  // `notifications.ntfy` (`url`, `topic`, `priorities`, `tags`, `actions`,
+  // `actionUrl`) and `notifications.gotify` (`url`, `priorities`) configure the
+  // self-hosted push sinks; their tokens are secrets (CHROXY_NTFY_TOKEN /
+  // CHROXY_GOTIFY_TOKEN or credentials.json); see
+  // docs/guides/self-hosted-push.md.
   notifications: 'object',
   // #5158: worktree garbage-collection. `{ autoReap: boolean }` — when true,
   // the server reclaims orphaned, dead-pid-locked agent worktrees on startup
@@ -176,6 +192,12 @@ const CONFIG_SCHEMA = {
   // gc` CLI is always available for manual/dry-run use.
   worktreeGc: 'object',
   sandbox: 'object',
+  // Default network egress policy for Docker-isolated sessions and
+  // environments: `{ policy, domains?, proxyImage? }` (see
+  // egress/egress-policy.js). Unset means `open`. A per-session / per-environment
+  // choice overrides it; devcontainer.json may restrict an open default but
+  // never replace a restricted one.
+  egress: 'object',
   // Optional allowlist of absolute directory paths that sessions may use
   // as their working directory. When set (non-empty array), session
   // cwds MUST be within one of these realpath-resolved roots;
@@ -203,6 +225,14 @@ const CONFIG_SCHEMA = {
   // SessionManager.createSession so it covers every spawn path (WS create,
   // restore, internal callers) — see the swarm-audit C3 finding.
   userShell: 'object',
+  // Durable audit journal (audit-journal.js) — `{ retentionDays }`: whole-day
+  // segments older than this many days are pruned (default 90, 0 = keep
+  // forever). The journal itself is always on.
+  audit: 'object',
+  // Automatic provider failover (provider-failover.js) for turns that fail on
+  // a rate limit, an overload or a credit cap — `{ chain, maxRetries?,
+  // backoffMs? }`. Off until `chain` names at least one provider.
+  failover: 'object',
   // Allowlist of Docker image patterns that create_environment may use.
   // Each entry is either an exact image name or a prefix pattern like
   // `mcr.microsoft.com/devcontainers/*`. When set, client-supplied
@@ -451,7 +481,10 @@ const SENSITIVE_KEYS = ['apiToken']
  * #5144: recognised values for `environments.backend`. 'docker' is the default
  * when the key is absent so existing single-node setups are unchanged.
  */
-const ENVIRONMENT_BACKENDS = new Set(['docker', 'k8s', 'rancher'])
+const ENVIRONMENT_BACKENDS = new Set(['docker', 'k8s', 'rancher', 'podman'])
+
+/** Valid `environments.podman.userns` modes (mirrors PODMAN_USERNS_MODES in podman.js). */
+const VALID_PODMAN_USERNS_MODES = new Set(['keep-id', 'auto', 'host'])
 
 /** #5144: valid Kubernetes imagePullPolicy values (mirrors k8s.js). */
 const VALID_K8S_PULL_POLICIES = new Set(['Always', 'IfNotPresent', 'Never'])
@@ -519,6 +552,7 @@ const WORKTREE_GC_SUPPORTED_KEYS = new Set([
 const RANCHER_SUPPORTED_KEYS = new Set([
   'rancherUrl', 'clusterId', 'token', 'tokenEnv', 'tokenFile', 'caData', 'skipTLSVerify', 'defaultProjectId',
 ])
+const PODMAN_SUPPORTED_KEYS = new Set(['userns'])
 
 /**
  * #5144: validate the `environments.k8s` connection sub-block at config-load
@@ -567,6 +601,34 @@ function validateK8sBlock(k8s, warnings) {
   warnUnknownKeys(k8s, K8S_SUPPORTED_KEYS, 'environments.k8s', warnings)
 }
 
+/**
+ * Validate the `environments.podman` block. Mirrors the PodmanBackend
+ * constructor check on `userns` so a bad mode shows up at load time rather
+ * than as a fatal error when the backend is built.
+ *
+ * Pushes human-readable warnings onto `warnings`; never throws.
+ *
+ * @param {*} podman - The `environments.podman` value (any type)
+ * @param {string[]} warnings - Accumulator the caller logs/returns
+ */
+function validatePodmanBlock(podman, warnings) {
+  if (typeof podman !== 'object' || podman === null || Array.isArray(podman)) {
+    warnings.push(
+      `Invalid type for 'environments.podman': expected object, got ${Array.isArray(podman) ? 'array' : typeof podman}`,
+    )
+    return
+  }
+  warnUnknownKeys(podman, PODMAN_SUPPORTED_KEYS, 'environments.podman', warnings)
+  if (Object.prototype.hasOwnProperty.call(podman, 'userns')) {
+    const v = podman.userns
+    if (typeof v !== 'string' || !VALID_PODMAN_USERNS_MODES.has(v)) {
+      warnings.push(
+        `Invalid value for 'environments.podman.userns': '${v}' (must be one of: ${[...VALID_PODMAN_USERNS_MODES].join(', ')})`,
+      )
+    }
+  }
+}
+
 /**
  * #5144: validate the `environments.rancher` connection block at config-load
  * time. Mirrors `validateRancherOptions` in rancher.js (URL shape, cluster-ID
@@ -699,6 +761,30 @@ const DISCORD_SUPPORTED_KEYS = new Set([
 ])
 const DISCORD_SECRET_KEYS = ['webhookUrl', 'webhook', 'url']
 
+// The recognised `notifications.slack` knobs (SlackWebhookSink). Same rules as
+// the Discord set: function seams (resolveCredentials / resolveDashboardUrl /
+// sleepImpl / now) are not knobs, and the secrets get their own warning.
+const SLACK_SUPPORTED_KEYS = new Set([
+  'botName', 'billingAlerts', 'dashboardUrl', 'updateThrottleMs', 'pruneAfterMs', 'statePath',
+])
+const SLACK_SECRET_KEYS = ['webhookUrl', 'webhook', 'url', 'botToken', 'token']
+
+// The recognised `notifications.ntfy` / `notifications.gotify` knobs (NtfySink /
+// GotifySink). Unlike Discord and Slack the server URL is NOT a secret here —
+// it is the operator's own ntfy / Gotify host — but the access tokens are.
+const NTFY_SUPPORTED_KEYS = new Set(['url', 'topic', 'priorities', 'tags', 'actions', 'actionUrl'])
+const NTFY_SECRET_KEYS = ['token', 'accessToken', 'password']
+const GOTIFY_SUPPORTED_KEYS = new Set(['url', 'priorities'])
+const GOTIFY_SECRET_KEYS = ['token', 'appToken']
+// Categories the self-hosted sinks deliver — mirrors CATEGORY_STYLES in
+// notifications/ntfy-sink.js (kept literal so config.js stays free of the
+// notification stack; a test pins the two together).
+export const SELF_HOSTED_PUSH_CATEGORIES = Object.freeze([
+  'permission', 'activity_waiting', 'activity_error', 'activity_update', 'result',
+  'inactivity_warning', 'billing_warning', 'mailbox', 'session_online',
+  'session_offline', 'session_activity', 'scheduled_run',
+])
+
 /**
  * #5413: validate the `notifications.discord` block (the Discord
  * status-embed sink's non-secret knobs). Every field is optional; only
@@ -800,6 +886,72 @@ function validateUserShellBlock(userShell, warnings) {
   warnUnknownKeys(userShell, USER_SHELL_SUPPORTED_KEYS, 'userShell', warnings)
 }
 
+const AUDIT_SUPPORTED_KEYS = new Set(['retentionDays'])
+
+// Warn-only: an invalid retentionDays falls back to the 90-day default
+// (resolveAuditRetentionDays) rather than stopping boot.
+function validateAuditBlock(block, warnings) {
+  if (typeof block !== 'object' || block === null || Array.isArray(block)) return
+  if (block.retentionDays !== undefined && !(Number.isInteger(block.retentionDays) && block.retentionDays >= 0)) {
+    warnings.push(`Invalid value for 'audit.retentionDays': expected a non-negative integer (days; 0 keeps the journal forever), got ${JSON.stringify(block.retentionDays)} — using the default of 90`)
+  }
+  warnUnknownKeys(block, AUDIT_SUPPORTED_KEYS, 'audit', warnings)
+}
+
+const FAILOVER_SUPPORTED_KEYS = new Set(['chain', 'maxRetries', 'backoffMs'])
+
+// Warn-only: a bad chain entry is skipped and bad numbers fall back to the
+// defaults (resolveFailoverConfig), so failover never stops boot.
+function validateFailoverBlock(block, warnings) {
+  if (typeof block !== 'object' || block === null || Array.isArray(block)) return
+  if (block.chain !== undefined) {
+    const validEntry = (e) => (typeof e === 'string' && e.length > 0) ||
+      (e && typeof e === 'object' && !Array.isArray(e) && typeof e.provider === 'string' && e.provider.length > 0 &&
+        (e.model === undefined || typeof e.model === 'string'))
+    if (!Array.isArray(block.chain) || !block.chain.every(validEntry)) {
+      warnings.push(`Invalid value for 'failover.chain': expected an array of provider ids or { provider, model? } objects, got ${JSON.stringify(block.chain)}`)
+    }
+  }
+  if (block.maxRetries !== undefined && !(Number.isInteger(block.maxRetries) && block.maxRetries >= 0 && block.maxRetries <= 5)) {
+    warnings.push(`Invalid value for 'failover.maxRetries': expected an integer 0-5, got ${JSON.stringify(block.maxRetries)} — using the default of 2`)
+  }
+  if (block.backoffMs !== undefined && !(Number.isInteger(block.backoffMs) && block.backoffMs >= 0 && block.backoffMs <= 60000)) {
+    warnings.push(`Invalid value for 'failover.backoffMs': expected an integer 0-60000, got ${JSON.stringify(block.backoffMs)} — using the default of 2000`)
+  }
+  warnUnknownKeys(block, FAILOVER_SUPPORTED_KEYS, 'failover', warnings)
+}
+
+const LANGUAGE_SERVER_SUPPORTED_KEYS = new Set(['command', 'args', 'extensions', 'initializationOptions'])
+
+// #6479: validate the `languageServers` block. Every problem is a warn-only
+// "Invalid value": a bad entry is skipped by resolveLanguageServers and that
+// language falls back to the regex index, which is never worth failing boot
+// over. The top-level object shape is enforced by the shared schema type-gate.
+function validateLanguageServersBlock(block, warnings) {
+  if (typeof block !== 'object' || block === null || Array.isArray(block)) return
+  for (const [language, entry] of Object.entries(block)) {
+    const at = `languageServers.${language}`
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      warnings.push(`Invalid value for '${at}': expected an object with a 'command', got ${JSON.stringify(entry)}`)
+      continue
+    }
+    if (typeof entry.command !== 'string' || !entry.command) {
+      warnings.push(`Invalid value for '${at}.command': expected a non-empty string, got ${JSON.stringify(entry.command)}`)
+    }
+    if (entry.args !== undefined && (!Array.isArray(entry.args) || !entry.args.every((a) => typeof a === 'string'))) {
+      warnings.push(`Invalid value for '${at}.args': expected an array of strings, got ${JSON.stringify(entry.args)}`)
+    }
+    if (entry.extensions !== undefined) {
+      if (!Array.isArray(entry.extensions) || !entry.extensions.every((e) => typeof e === 'string' && e.startsWith('.'))) {
+        warnings.push(`Invalid value for '${at}.extensions': expected an array of extensions like ".ts", got ${JSON.stringify(entry.extensions)}`)
+      }
+    } else if (!DEFAULT_LANGUAGE_EXTENSIONS[language]) {
+      warnings.push(`Invalid value for '${at}': '${language}' has no default extensions — add an 'extensions' list (built-in: ${Object.keys(DEFAULT_LANGUAGE_EXTENSIONS).join(', ')})`)
+    }
+    warnUnknownKeys(entry, LANGUAGE_SERVER_SUPPORTED_KEYS, at, warnings)
+  }
+}
+
 // #5985: single source of truth for "may a user-shell session be created?".
 // Fail-closed — anything other than an explicit `userShell.enabled === true` is
 // disabled. Used by SessionManager.createSession (the authoritative gate).
@@ -846,6 +998,16 @@ export function isSchedulerEnabled(config) {
   return config?.features?.scheduler === true
 }
 
+// Declarative workflows (`.chroxy/workflows/*.yml`): multi-step pipelines that
+// spawn and chain agent sessions. Off unless explicitly enabled, fail-closed like
+// isOrchestrationEnabled — only an explicit env=1 or `features.workflows === true`
+// builds the runner; anything else leaves no runner, no routes answering and no
+// sessions spawned. Exported standalone so the CLI can report the gate state.
+export function isWorkflowsEnabled(config) {
+  if (process.env.CHROXY_ENABLE_WORKFLOWS === '1') return true
+  return config?.features?.workflows === true
+}
+
 // #6858 — resolve the opt-in provider-binary provenance PIN-LEDGER mode. One of
 // 'off' | 'warn' | 'block'. Fail-closed to 'off' (behaviour identical to the
 // pre-#6858 spawn path) for anything but an explicit 'warn' / 'block'. Precedence:
@@ -930,6 +1092,25 @@ export function resolveSemanticTitleTimeoutMs(config) {
   return DEFAULT_SEMANTIC_TITLE_TIMEOUT_MS
 }
 
+// The `egress` config block split into the default policy (normalized, or null
+// when unset) and the proxy image override. Throws EgressPolicyError on a
+// malformed block; validateConfig reports that as fatal at startup.
+export function resolveEgressConfig(config) {
+  const raw = config?.egress
+  if (raw === undefined || raw === null) return { defaultEgress: null, proxyImage: null }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new EgressPolicyError(`egress: expected object, got ${Array.isArray(raw) ? 'array' : typeof raw}`)
+  }
+  const { proxyImage, ...policy } = raw
+  if (proxyImage !== undefined && (typeof proxyImage !== 'string' || !proxyImage.trim())) {
+    throw new EgressPolicyError('egress.proxyImage: must be a non-empty string')
+  }
+  return {
+    defaultEgress: normalizeEgressPolicy(policy),
+    proxyImage: proxyImage ? proxyImage.trim() : null,
+  }
+}
+
 // #6277: single source of truth for "does a user-shell spawn need host-local
 // approval first?". Fail-closed — only an explicit `userShell.requireApproval
 // === true` enables the gate. Independent of `enabled`: the gate only bites when
@@ -1067,6 +1248,187 @@ function validateDiscordNotificationsBlock(discord, warnings) {
   )
 }
 
+/**
+ * Validate the `notifications.slack` block (SlackWebhookSink's non-secret
+ * knobs). Warn-only, like the Discord block: the webhook URL and bot token are
+ * secrets and belong in CHROXY_SLACK_* or the credentials store (the dashboard
+ * writes them there).
+ */
+function validateSlackNotificationsBlock(slack, warnings) {
+  if (typeof slack !== 'object' || slack === null || Array.isArray(slack)) {
+    warnings.push(`Invalid value for 'notifications.slack': expected object, got ${Array.isArray(slack) ? 'array' : typeof slack}`)
+    return
+  }
+
+  for (const key of SLACK_SECRET_KEYS) {
+    if (Object.prototype.hasOwnProperty.call(slack, key)) {
+      warnings.push(
+        `'notifications.slack.${key}' is not supported: Slack credentials are secrets — set them from the dashboard (Settings → Notifications) or via CHROXY_SLACK_WEBHOOK_URL / CHROXY_SLACK_BOT_TOKEN instead`,
+      )
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(slack, 'botName') && (typeof slack.botName !== 'string' || slack.botName.length === 0)) {
+    warnings.push(`Invalid value for 'notifications.slack.botName': expected a non-empty string`)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(slack, 'billingAlerts') && typeof slack.billingAlerts !== 'boolean') {
+    warnings.push(`Invalid value for 'notifications.slack.billingAlerts': expected a boolean, got ${JSON.stringify(slack.billingAlerts)}`)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(slack, 'dashboardUrl')) {
+    const v = slack.dashboardUrl
+    if (typeof v !== 'string' || !/^https?:\/\/[^\s]+$/i.test(v)) {
+      warnings.push(`Invalid value for 'notifications.slack.dashboardUrl': expected an http(s) URL, got ${JSON.stringify(v)}`)
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(slack, 'statePath') && (typeof slack.statePath !== 'string' || slack.statePath.length === 0)) {
+    warnings.push(`Invalid value for 'notifications.slack.statePath': expected a non-empty string`)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(slack, 'updateThrottleMs')) {
+    const v = slack.updateThrottleMs
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) {
+      warnings.push(`Invalid value for 'notifications.slack.updateThrottleMs': expected a number >= 0, got ${JSON.stringify(v)}`)
+    }
+  }
+
+  // Same 60s retention floor as the Discord status store (#5457).
+  if (Object.prototype.hasOwnProperty.call(slack, 'pruneAfterMs')) {
+    const v = slack.pruneAfterMs
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) {
+      warnings.push(`Invalid value for 'notifications.slack.pruneAfterMs': expected a number >= 0 (0 disables pruning), got ${JSON.stringify(v)}`)
+    } else if (v !== 0 && v < 60_000) {
+      warnings.push(`Invalid value for 'notifications.slack.pruneAfterMs': ${v} (minimum 60000 / 60s; set 0 to disable pruning — the sink falls back to its default)`)
+    }
+  }
+
+  warnUnknownKeys(
+    slack,
+    new Set([...SLACK_SUPPORTED_KEYS, ...SLACK_SECRET_KEYS]),
+    'notifications.slack',
+    warnings,
+    SLACK_SUPPORTED_KEYS,
+  )
+}
+
+/**
+ * Shared checks for the self-hosted push blocks: an http(s) `url` and a
+ * `priorities` map of known category → integer in [min, max].
+ */
+function validateSelfHostedPushCommon(block, prefix, { min, max }, warnings) {
+  if (Object.prototype.hasOwnProperty.call(block, 'url')) {
+    const v = block.url
+    if (typeof v !== 'string' || !/^https?:\/\/[^\s]+$/i.test(v)) {
+      warnings.push(`Invalid value for '${prefix}.url': expected an http(s) URL, got ${JSON.stringify(v)}`)
+    }
+  }
+  if (Object.prototype.hasOwnProperty.call(block, 'priorities')) {
+    const p = block.priorities
+    if (typeof p !== 'object' || p === null || Array.isArray(p)) {
+      warnings.push(`Invalid value for '${prefix}.priorities': expected an object mapping category → priority`)
+    } else {
+      for (const [category, value] of Object.entries(p)) {
+        if (!SELF_HOSTED_PUSH_CATEGORIES.includes(category)) {
+          warnings.push(`Invalid value for '${prefix}.priorities.${category}': unknown category (supported: ${SELF_HOSTED_PUSH_CATEGORIES.join(', ')})`)
+        } else if (!Number.isInteger(value) || value < min || value > max) {
+          warnings.push(`Invalid value for '${prefix}.priorities.${category}': expected an integer ${min}-${max}, got ${JSON.stringify(value)}`)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate the `notifications.ntfy` block (NtfySink). Warn-only, like the
+ * other notification blocks; the optional access token is a secret and belongs
+ * in CHROXY_NTFY_TOKEN or credentials.json.
+ */
+function validateNtfyNotificationsBlock(ntfy, warnings) {
+  if (typeof ntfy !== 'object' || ntfy === null || Array.isArray(ntfy)) {
+    warnings.push(`Invalid value for 'notifications.ntfy': expected object, got ${Array.isArray(ntfy) ? 'array' : typeof ntfy}`)
+    return
+  }
+
+  for (const key of NTFY_SECRET_KEYS) {
+    if (Object.prototype.hasOwnProperty.call(ntfy, key)) {
+      warnings.push(
+        `'notifications.ntfy.${key}' is not supported: the ntfy access token is a secret — set CHROXY_NTFY_TOKEN or add "ntfyToken" to ~/.chroxy/credentials.json (mode 0600) instead`,
+      )
+    }
+  }
+
+  validateSelfHostedPushCommon(ntfy, 'notifications.ntfy', { min: 1, max: 5 }, warnings)
+
+  if (Object.prototype.hasOwnProperty.call(ntfy, 'topic') && (typeof ntfy.topic !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(ntfy.topic))) {
+    warnings.push(`Invalid value for 'notifications.ntfy.topic': expected 1-64 letters, digits, '_' or '-', got ${JSON.stringify(ntfy.topic)}`)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(ntfy, 'tags')) {
+    const t = ntfy.tags
+    if (typeof t !== 'object' || t === null || Array.isArray(t)) {
+      warnings.push(`Invalid value for 'notifications.ntfy.tags': expected an object mapping category → array of tags`)
+    } else {
+      for (const [category, value] of Object.entries(t)) {
+        if (!SELF_HOSTED_PUSH_CATEGORIES.includes(category)) {
+          warnings.push(`Invalid value for 'notifications.ntfy.tags.${category}': unknown category (supported: ${SELF_HOSTED_PUSH_CATEGORIES.join(', ')})`)
+        } else if (!Array.isArray(value) || !value.every((tag) => typeof tag === 'string' && tag.length > 0)) {
+          warnings.push(`Invalid value for 'notifications.ntfy.tags.${category}': expected an array of non-empty strings`)
+        }
+      }
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(ntfy, 'actions') && typeof ntfy.actions !== 'boolean') {
+    warnings.push(`Invalid value for 'notifications.ntfy.actions': expected a boolean, got ${JSON.stringify(ntfy.actions)}`)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(ntfy, 'actionUrl')) {
+    const v = ntfy.actionUrl
+    if (typeof v !== 'string' || !/^https?:\/\/[^\s]+$/i.test(v)) {
+      warnings.push(`Invalid value for 'notifications.ntfy.actionUrl': expected an http(s) URL, got ${JSON.stringify(v)}`)
+    }
+  }
+
+  warnUnknownKeys(
+    ntfy,
+    new Set([...NTFY_SUPPORTED_KEYS, ...NTFY_SECRET_KEYS]),
+    'notifications.ntfy',
+    warnings,
+    NTFY_SUPPORTED_KEYS,
+  )
+}
+
+/**
+ * Validate the `notifications.gotify` block (GotifySink). The application token
+ * is a secret and belongs in CHROXY_GOTIFY_TOKEN or credentials.json.
+ */
+function validateGotifyNotificationsBlock(gotify, warnings) {
+  if (typeof gotify !== 'object' || gotify === null || Array.isArray(gotify)) {
+    warnings.push(`Invalid value for 'notifications.gotify': expected object, got ${Array.isArray(gotify) ? 'array' : typeof gotify}`)
+    return
+  }
+
+  for (const key of GOTIFY_SECRET_KEYS) {
+    if (Object.prototype.hasOwnProperty.call(gotify, key)) {
+      warnings.push(
+        `'notifications.gotify.${key}' is not supported: the Gotify application token is a secret — set CHROXY_GOTIFY_TOKEN or add "gotifyToken" to ~/.chroxy/credentials.json (mode 0600) instead`,
+      )
+    }
+  }
+
+  validateSelfHostedPushCommon(gotify, 'notifications.gotify', { min: 0, max: 10 }, warnings)
+
+  warnUnknownKeys(
+    gotify,
+    new Set([...GOTIFY_SUPPORTED_KEYS, ...GOTIFY_SECRET_KEYS]),
+    'notifications.gotify',
+    warnings,
+    GOTIFY_SUPPORTED_KEYS,
+  )
+}
+
 /**
  * Return a copy of config with sensitive fields replaced by '***'.
  * Use this whenever the config object is serialized to logs or debug output.
@@ -1315,7 +1677,7 @@ export function validateConfig(config, verbose = false) {
   // operators without any k8s key, or with other k8s settings but no
   // workspace block) passes through untouched.
   if (config.environments && typeof config.environments === 'object' && !Array.isArray(config.environments)) {
-    // #5144: backend selector. One of 'docker' (default) | 'k8s' | 'rancher'.
+    // #5144: backend selector. One of 'docker' (default) | 'k8s' | 'rancher' | 'podman'.
     // When absent the wiring layer falls back to Docker, so the common
     // single-node setup is unchanged. A bad value is warn-only (not fatal):
     // the wiring layer treats an unrecognised selector as Docker, mirroring
@@ -1391,6 +1753,10 @@ export function validateConfig(config, verbose = false) {
     if (rancherBlock !== undefined) {
       validateRancherBlock(rancherBlock, warnings)
     }
+
+    if (config.environments.podman !== undefined) {
+      validatePodmanBlock(config.environments.podman, warnings)
+    }
   }
 
   // #5158: worktree GC block. Only the shape (object, not array), the
@@ -1446,6 +1812,31 @@ export function validateConfig(config, verbose = false) {
     validateUserShellBlock(config.userShell, warnings)
   }
 
+  // #6479: per-language LSP server entries (warn-only).
+  if (config.languageServers !== undefined) {
+    validateLanguageServersBlock(config.languageServers, warnings)
+  }
+
+  if (config.audit !== undefined) {
+    validateAuditBlock(config.audit, warnings)
+  }
+
+  // A malformed egress default is fatal ("Invalid type"): starting anyway
+  // would run every Docker session with open network access the operator
+  // meant to restrict. The object-shape check is the schema loop's.
+  if (config.egress && typeof config.egress === 'object' && !Array.isArray(config.egress)) {
+    try {
+      resolveEgressConfig(config)
+    } catch (err) {
+      if (!(err instanceof EgressPolicyError)) throw err
+      warnings.push(`Invalid type for 'egress': ${err.message}`)
+    }
+  }
+
+  if (config.failover !== undefined) {
+    validateFailoverBlock(config.failover, warnings)
+  }
+
   if (config.notifications !== undefined) {
     if (typeof config.notifications !== 'object' || config.notifications === null || Array.isArray(config.notifications)) {
       // "Invalid value", NOT "Invalid type" — loadAndMergeConfig escalates
@@ -1453,8 +1844,19 @@ export function validateConfig(config, verbose = false) {
       // is deliberately warn-only (a cosmetic-notifications typo must never
       // stop the daemon from booting).
       warnings.push(`Invalid value for 'notifications': expected an object, got ${Array.isArray(config.notifications) ? 'array' : typeof config.notifications}`)
-    } else if (config.notifications.discord !== undefined) {
-      validateDiscordNotificationsBlock(config.notifications.discord, warnings)
+    } else {
+      if (config.notifications.discord !== undefined) {
+        validateDiscordNotificationsBlock(config.notifications.discord, warnings)
+      }
+      if (config.notifications.slack !== undefined) {
+        validateSlackNotificationsBlock(config.notifications.slack, warnings)
+      }
+      if (config.notifications.ntfy !== undefined) {
+        validateNtfyNotificationsBlock(config.notifications.ntfy, warnings)
+      }
+      if (config.notifications.gotify !== undefined) {
+        validateGotifyNotificationsBlock(config.notifications.gotify, warnings)
+      }
     }
   }
 
@@ -1786,7 +2188,7 @@ export function resolveSkipPermissions(config) {
  * preserved. Pure — no side effects, no logging.
  *
  * @param {object|null|undefined} config - Merged config
- * @returns {'docker'|'k8s'|'rancher'}
+ * @returns {'docker'|'k8s'|'rancher'|'podman'}
  */
 export function resolveEnvironmentBackend(config) {
   const selected = config?.environments?.backend
@@ -1839,6 +2241,8 @@ export function resolveRancherToken(rancher = {}) {
  * - 'k8s'             : `new K8sBackend({ ...environments.k8s })`.
  * - 'rancher'         : `new RancherBackend({ ...environments.k8s, ...rancher })`
  *                       with the token resolved from a secret-friendly source.
+ * - 'podman'          : `new PodmanBackend({ _execFile, userns })` from
+ *                       `environments.podman`.
  *
  * Backend modules are imported lazily so loading config never eagerly pulls in
  * `@kubernetes/client-node` (only the K8s/Rancher paths need it). The selected
@@ -1847,12 +2251,12 @@ export function resolveRancherToken(rancher = {}) {
  *
  * @param {object} config - Merged config
  * @param {object} [deps] - Injection seam for testing
- * @param {Function} [deps._execFile] - Forwarded to DockerBackend
+ * @param {Function} [deps._execFile] - Forwarded to DockerBackend / PodmanBackend
  * @param {Function} [deps._loadBackends] - Override the lazy module loader
- *   (returns `{ DockerBackend, K8sBackend, RancherBackend }`). Lets unit tests
+ *   (returns `{ DockerBackend, K8sBackend, RancherBackend, PodmanBackend }`). Lets unit tests
  *   assert which class is instantiated with which options without importing the
  *   kube SDK.
- * @returns {Promise<{ backend: object, type: 'docker'|'k8s'|'rancher' }>}
+ * @returns {Promise<{ backend: object, type: 'docker'|'k8s'|'rancher'|'podman' }>}
  */
 export async function buildEnvironmentBackend(config, { _execFile, _loadBackends } = {}) {
   const type = resolveEnvironmentBackend(config)
@@ -1867,6 +2271,10 @@ export async function buildEnvironmentBackend(config, { _execFile, _loadBackends
       const { K8sBackend } = await import('./environments/backends/k8s.js')
       return { K8sBackend }
     }
+    if (type === 'podman') {
+      const { PodmanBackend } = await import('./environments/backends/podman.js')
+      return { PodmanBackend }
+    }
     const { RancherBackend } = await import('./environments/backends/rancher.js')
     return { RancherBackend }
   })
@@ -1917,6 +2325,12 @@ export async function buildEnvironmentBackend(config, { _execFile, _loadBackends
     return { backend, type }
   }
 
+  if (type === 'podman') {
+    const podman = (envs.podman && typeof envs.podman === 'object' && !Array.isArray(envs.podman)) ? envs.podman : {}
+    const backend = new mods.PodmanBackend({ _execFile, userns: podman.userns })
+    return { backend, type }
+  }
+
   const backend = new mods.DockerBackend({ _execFile })
   return { backend, type }
 }
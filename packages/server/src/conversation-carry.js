@@ -0,0 +1,372 @@
+/**
+ * Provider-neutral conversation carry (switching a session's provider).
+ *
+ * chroxy's session history (`SessionMessageHistory`) is the one record of a
+ * conversation every provider shares. This module folds it into
+ * provider-neutral turns — user text, and assistant turns made of text and
+ * tool calls paired with their results — plus the session's latest todo list,
+ * then renders those turns for the provider that continues the conversation:
+ *
+ *   - `toAnthropicMessages` rebuilds an Anthropic Messages conversation with
+ *     real `tool_use` / `tool_result` pairs. The BYOK family (claude-byok,
+ *     deepseek, ollama, anthropic- and OpenAI-compatible endpoints) seeds its
+ *     history with it; an OpenAI-compatible endpoint gets the same messages
+ *     translated per request by anthropic-openai-translate.js.
+ *   - `buildSwitchTranscript` flattens the turns, tool calls and todos into a
+ *     text transcript for providers whose conversation can't be seeded
+ *     (claude-sdk, codex, gemini, ...).
+ *
+ * Anything that doesn't survive the trip is reported as a flag, so the client
+ * can tell the user what the new provider will not see. Pure: no session or
+ * filesystem access.
+ */
+import { flattenHistory, windowTranscript } from './summarize-session.js'
+
+/** Flag kinds, in the order clients list them. */
+export const CARRY_FLAG_KINDS = [
+  'history_truncated',
+  'unanswered_prompt',
+  'tool_as_text',
+  'tool_without_result',
+  'tool_result_truncated',
+  'question',
+  'turns_trimmed',
+]
+
+// A tool result longer than this is cut when re-sent to the new provider; a
+// single huge Read or Bash output shouldn't eat the new model's context.
+export const MAX_CARRIED_RESULT_CHARS = 16_000
+
+// Tool input / result previews in the text transcript.
+const TRANSCRIPT_INPUT_CHARS = 500
+const TRANSCRIPT_RESULT_CHARS = 1_000
+
+const TODO_STATUSES = new Set(['pending', 'in_progress', 'completed'])
+
+const MISSING_RESULT_TEXT = 'No result was recorded for this tool call.'
+const CUT_OFF_TEXT = '[The turn was cut off here when the conversation moved to this provider.]'
+const HEAD_OMITTED_TEXT = '[Conversation carried over from another provider; its earlier turns are not available.]'
+
+/**
+ * Accumulates flags as `{ kind, count, detail? }`, one per kind; `detail`
+ * collects distinct names (tool names for `tool_as_text`).
+ */
+export function createFlagSet() {
+  const flags = new Map()
+  return {
+    add(kind, detail) {
+      const flag = flags.get(kind) || { kind, count: 0, details: new Set() }
+      flag.count++
+      if (detail) flag.details.add(detail)
+      flags.set(kind, flag)
+    },
+    merge(list) {
+      for (const { kind, count, detail } of list || []) {
+        const flag = flags.get(kind) || { kind, count: 0, details: new Set() }
+        flag.count += count
+        if (detail) for (const d of detail.split(', ')) flag.details.add(d)
+        flags.set(kind, flag)
+      }
+    },
+    list() {
+      return CARRY_FLAG_KINDS.filter((kind) => flags.has(kind)).map((kind) => {
+        const { count, details } = flags.get(kind)
+        return details.size ? { kind, count, detail: [...details].join(', ') } : { kind, count }
+      })
+    },
+  }
+}
+
+function resultText(result) {
+  if (typeof result === 'string') return result
+  if (result == null) return ''
+  try {
+    return JSON.stringify(result)
+  } catch {
+    return String(result)
+  }
+}
+
+/**
+ * Fold a TodoWrite call into the running list. Items carrying ids are merged
+ * by id (BYOK's TodoWrite); a list without ids replaces the whole list (the
+ * Claude Code TodoWrite re-sends every item on each call).
+ */
+function applyTodoWrite(todos, input) {
+  const items = Array.isArray(input?.todos)
+    ? input.todos.filter((t) => t && typeof t.content === 'string' && t.content && TODO_STATUSES.has(t.status))
+    : null
+  if (!items) return todos
+  const byId = items.length > 0 && items.every((t) => typeof t.id === 'string' && t.id)
+  const next = byId ? new Map(todos) : new Map()
+  items.forEach((t, i) => {
+    const id = byId ? t.id : `todo-${i + 1}`
+    const item = { id, content: t.content, status: t.status }
+    if (typeof t.activeForm === 'string' && t.activeForm) item.activeForm = t.activeForm
+    next.set(id, item)
+  })
+  return next
+}
+
+/**
+ * Normalize session history into provider-neutral turns.
+ *
+ * Turns alternate loosely: `{ role: 'user', text }` and
+ * `{ role: 'assistant', parts }`, where a part is `{ type: 'text', text }` or
+ * `{ type: 'tool', id, name, input, result, isError, truncated }` (`result` is
+ * null when no result was recorded). Thinking, system notices, errors and
+ * turn results are session chrome, not conversation, and are dropped silently;
+ * answered AskUserQuestion prompts are flagged (`question`) because their
+ * answers aren't in the history.
+ *
+ * @param {Array<object>} history - SessionMessageHistory entries, oldest first
+ * @returns {{ turns: Array<object>, todos: Array<object>, flags: Array<object> }}
+ */
+export function normalizeConversation(history) {
+  const flags = createFlagSet()
+  const turns = []
+  const tools = new Map()
+  let todos = new Map()
+  let assistant = null
+
+  const currentAssistant = () => {
+    if (!assistant) {
+      assistant = { role: 'assistant', parts: [] }
+      turns.push(assistant)
+    }
+    return assistant
+  }
+
+  for (const entry of Array.isArray(history) ? history : []) {
+    if (!entry || typeof entry !== 'object') continue
+    if (entry.type === 'message' && entry.messageType === 'user_input') {
+      if (typeof entry.content !== 'string' || !entry.content.trim()) continue
+      assistant = null
+      turns.push({ role: 'user', text: entry.content })
+    } else if (entry.type === 'message' && entry.messageType === 'response') {
+      if (typeof entry.content !== 'string' || !entry.content.trim()) continue
+      currentAssistant().parts.push({ type: 'text', text: entry.content })
+    } else if (entry.type === 'tool_start' && typeof entry.tool === 'string' && entry.tool) {
+      const part = {
+        type: 'tool',
+        id: typeof entry.toolUseId === 'string' ? entry.toolUseId : null,
+        name: entry.tool,
+        input: entry.input && typeof entry.input === 'object' ? entry.input : {},
+        result: null,
+        isError: false,
+        truncated: false,
+      }
+      currentAssistant().parts.push(part)
+      if (part.id) tools.set(part.id, part)
+      if (entry.tool === 'TodoWrite') todos = applyTodoWrite(todos, entry.input)
+    } else if (entry.type === 'tool_result') {
+      const part = tools.get(entry.toolUseId)
+      if (!part) continue
+      part.result = resultText(entry.result)
+      part.isError = entry.isError === true
+      part.truncated = entry.truncated === true
+    } else if (entry.type === 'user_question') {
+      flags.add('question')
+    }
+  }
+
+  return { turns, todos: [...todos.values()], flags: flags.list() }
+}
+
+function toolUseId(id, used) {
+  let safe = typeof id === 'string' ? id.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) : ''
+  if (!safe || used.has(safe)) safe = `carried_${used.size + 1}`
+  used.add(safe)
+  return safe
+}
+
+function capResult(part, flags) {
+  if (part.result == null) {
+    flags.add('tool_without_result', part.name)
+    return MISSING_RESULT_TEXT
+  }
+  if (part.truncated || part.result.length > MAX_CARRIED_RESULT_CHARS) {
+    flags.add('tool_result_truncated', part.name)
+  }
+  return part.result.length > MAX_CARRIED_RESULT_CHARS
+    ? `${part.result.slice(0, MAX_CARRIED_RESULT_CHARS)}\n[... result truncated]`
+    : part.result
+}
+
+function toolAsText(part, result) {
+  return [
+    `[Earlier ${part.name} tool call — that tool isn't available here]`,
+    `Input: ${resultText(part.input)}`,
+    `Result: ${result}`,
+  ].join('\n')
+}
+
+/**
+ * Render normalized turns as an Anthropic Messages conversation.
+ *
+ * The output alternates user / assistant, starts with a user message and ends
+ * with an assistant one, so the next prompt can be appended as-is. Tool calls
+ * to tools in `toolNames` become `tool_use` blocks answered by `tool_result`
+ * blocks in the following user message; calls to any other tool (MCP servers
+ * that aren't configured, subagents, provider-specific tools) are folded into
+ * the assistant's text and flagged `tool_as_text`. A trailing prompt that
+ * never got a reply is dropped and flagged `unanswered_prompt` — the user
+ * re-sends it to the new provider.
+ *
+ * @param {Array<object>} turns - from {@link normalizeConversation}
+ * @param {{ toolNames?: Iterable<string> }} [opts]
+ * @returns {{ messages: Array<{ role: 'user'|'assistant', content: string|Array<object> }>, flags: Array<object> }}
+ */
+export function toAnthropicMessages(turns, { toolNames = [] } = {}) {
+  const flags = createFlagSet()
+  const available = new Set(toolNames)
+  const used = new Set()
+  const messages = []
+
+  const push = (role, blocks) => {
+    if (blocks.length === 0) return
+    const last = messages[messages.length - 1]
+    if (last?.role === role) {
+      last.content.push(...blocks)
+    } else {
+      messages.push({ role, content: blocks })
+    }
+  }
+
+  let trailingPrompt = false
+  for (const turn of turns) {
+    if (turn.role === 'user') {
+      push('user', [{ type: 'text', text: turn.text }])
+      trailingPrompt = true
+      continue
+    }
+    let blocks = []
+    let results = []
+    const flush = () => {
+      push('assistant', blocks)
+      push('user', results)
+      blocks = []
+      results = []
+    }
+    for (const part of turn.parts) {
+      if (part.type === 'text') {
+        if (results.length) flush()
+        blocks.push({ type: 'text', text: part.text })
+        continue
+      }
+      const result = capResult(part, flags)
+      if (!available.has(part.name)) {
+        if (results.length) flush()
+        flags.add('tool_as_text', part.name)
+        blocks.push({ type: 'text', text: toolAsText(part, result) })
+        continue
+      }
+      const id = toolUseId(part.id, used)
+      blocks.push({ type: 'tool_use', id, name: part.name, input: part.input })
+      const block = { type: 'tool_result', tool_use_id: id, content: result }
+      if (part.isError || part.result == null) block.is_error = true
+      results.push(block)
+    }
+    if (blocks.length || results.length) trailingPrompt = false
+    flush()
+  }
+
+  if (trailingPrompt) {
+    // Drop the unanswered prompt(s): everything after the last assistant turn.
+    while (messages.length && messages[messages.length - 1].role === 'user' &&
+      messages[messages.length - 1].content.every((b) => b.type === 'text')) {
+      messages.pop()
+      flags.add('unanswered_prompt')
+    }
+    // A prompt that followed a cut-off tool round shares its user message.
+    const last = messages[messages.length - 1]
+    if (last?.role === 'user') {
+      const kept = last.content.filter((b) => b.type === 'tool_result')
+      if (kept.length < last.content.length) flags.add('unanswered_prompt')
+      last.content = kept
+    }
+  }
+  if (messages.length && messages[0].role !== 'user') {
+    messages.unshift({ role: 'user', content: [{ type: 'text', text: HEAD_OMITTED_TEXT }] })
+  }
+  if (messages.length && messages[messages.length - 1].role === 'user') {
+    messages.push({ role: 'assistant', content: [{ type: 'text', text: CUT_OFF_TEXT }] })
+  }
+  return { messages, flags: flags.list() }
+}
+
+/**
+ * Drop messages from the head of an Anthropic conversation until it fits in
+ * `limit` messages. The cut lands on a user message that isn't a tool-result
+ * carrier, so no `tool_result` outlives its `tool_use`.
+ *
+ * @param {Array<object>} messages
+ * @param {number} limit
+ * @returns {{ messages: Array<object>, dropped: number }}
+ */
+export function trimAnthropicMessages(messages, limit) {
+  if (messages.length <= limit) return { messages, dropped: 0 }
+  let start = messages.length - limit
+  while (start < messages.length && !(messages[start].role === 'user' &&
+    messages[start].content.every((b) => b.type !== 'tool_result'))) {
+    start++
+  }
+  return { messages: messages.slice(start), dropped: start }
+}
+
+function preview(text, max) {
+  const flat = text.replace(/\s+/g, ' ').trim()
+  return flat.length > max ? `${flat.slice(0, max)}…` : flat
+}
+
+/** Render the todo list as lines for a transcript. */
+function todoLines(todos) {
+  return todos.map((t) => `- [${t.status}] ${t.content}`)
+}
+
+/**
+ * The text a transcript carry prepends to the new provider's first message:
+ * the conversation with tool calls previewed inline, then the open todo list.
+ * Windowed like the summarizer's transcript (#5547), so a very long session
+ * keeps its opening and most-recent turns.
+ *
+ * @param {Array<object>} turns - from {@link normalizeConversation}
+ * @param {Array<object>} todos
+ * @param {{ sourceName?: string, sourceProvider?: string }} [opts]
+ * @returns {{ text: string, truncated: boolean } | null} null when there is
+ *   nothing to carry
+ */
+export function buildSwitchTranscript(turns, todos, { sourceName, sourceProvider } = {}) {
+  const entries = []
+  for (const turn of turns) {
+    if (turn.role === 'user') {
+      entries.push({ type: 'user_input', content: turn.text })
+      continue
+    }
+    for (const part of turn.parts) {
+      if (part.type === 'text') {
+        entries.push({ type: 'response', content: part.text })
+      } else {
+        const outcome = part.result == null
+          ? '(no result recorded)'
+          : `${part.isError ? 'error: ' : ''}${preview(part.result, TRANSCRIPT_RESULT_CHARS)}`
+        entries.push({
+          type: 'tool_use',
+          tool: part.name,
+          content: `${preview(resultText(part.input), TRANSCRIPT_INPUT_CHARS)} → ${outcome}`,
+        })
+      }
+    }
+  }
+  const transcript = flattenHistory(entries)
+  if (!transcript && todos.length === 0) return null
+  const { text, truncated } = transcript ? windowTranscript(transcript) : { text: '', truncated: false }
+  const from = [sourceName ? `"${sourceName}"` : null, sourceProvider ? `(${sourceProvider})` : null].filter(Boolean).join(' ')
+  const sections = [
+    `[Earlier conversation, carried over from session ${from || 'on another provider'}. Tool calls were made by the previous provider; their results are shown inline. It is context only — continue from it. The user's new message follows the marker below.]`,
+  ]
+  if (text) sections.push(text)
+  if (todos.length) sections.push(['Open todo list:', ...todoLines(todos)].join('\n'))
+  sections.push('[End of carried conversation]')
+  return { text: sections.join('\n\n'), truncated }
+}
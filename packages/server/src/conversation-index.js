@@ -0,0 +1,646 @@
+/**
+ * Persistent inverted index over the conversation transcripts (JSONL).
+ *
+ * conversation-search.js used to substring-scan every transcript on every
+ * query, which got slow across hundreds of files and returned hits in file
+ * order. This module keeps a term → postings index instead, on disk and
+ * maintained incrementally: `refresh()` stats every transcript the scanner
+ * enumerates and re-reads only the files whose size or mtime changed (and drops
+ * the ones that vanished), so a warm query costs one stat per file plus the
+ * lookup. conversation-scanner.js kicks a refresh after each fresh scan so the
+ * index follows transcripts as they grow; searchConversations() refreshes
+ * before answering so a result is never staler than the last write.
+ *
+ * Documents are conversations. Each is split into SEGMENTS — one per message
+ * block — tagged with a role (`user`, `assistant`, or `tool` for tool_use input
+ * and tool_result output) and the entry's timestamp, so the role and date-range
+ * filters apply per message rather than per conversation. Postings record
+ * (segment, token position) pairs; phrase queries check adjacency against them.
+ *
+ * Query syntax: whitespace-separated terms are ANDed, `"double quoted"` runs are
+ * phrases, and a trailing `*` makes a term a prefix match. A bare word the
+ * tokenizer splits (`login.ts`, `foo-bar`) is treated as a phrase, so it still
+ * means what a substring search meant. Ranking is BM25 over each conversation's
+ * qualifying segments, ties broken by recency.
+ *
+ * Provider attribution comes from the projects dir a transcript lives under
+ * (`~/.claude/projects` → `claude`, `~/.gemini/projects` → `gemini`, …) — the
+ * JSONL lines carry no provider field of their own.
+ *
+ * The persisted file is a cache, never a source of truth: a missing, corrupt or
+ * version-mismatched file is discarded and rebuilt from the transcripts. It
+ * holds the postings (whose term dictionary is the transcripts' vocabulary) and
+ * per-conversation metadata: the cwd / project, and a `preview` of the first
+ * user message — redacted, capped at PREVIEW_CHARS (200) — so a result row
+ * renders without opening its transcript. Full message text is not stored;
+ * snippets are cut at query time by re-reading just the transcripts that made
+ * the result page. Since the vocabulary and previews still reveal what was
+ * said, writes go to an owner-only temp file renamed over the old one — off the
+ * refresh path, coalesced to one in flight.
+ */
+import { readFile, stat, open, mkdir, writeFile, chmod, rename, unlink } from 'fs/promises'
+import { basename, dirname, sep } from 'path'
+import { listConversationFiles } from './conversation-scanner.js'
+import { isWindows } from './platform.js'
+import { runWithConcurrency } from './utils/concurrency.js'
+import { createLogger } from './logger.js'
+import { redactValue } from './redaction.js'
+
+const log = createLogger('conversation-index')
+
+/** Bump when the persisted shape changes; an older file is rebuilt, not migrated. */
+export const INDEX_VERSION = 3
+
+/** Roles a segment can carry, and the values the `role` filter accepts. */
+export const SEARCH_ROLES = Object.freeze(['user', 'assistant', 'tool'])
+
+const MIN_FILE_SIZE = 100
+const CONCURRENCY = 10
+// Same per-file read cap the substring scanner used: a multi-megabyte
+// transcript is indexed on its first 512KB rather than read whole.
+const MAX_FILE_READ = 512 * 1024
+// Per-segment text cap. A tool_result can be an entire file dump; indexing the
+// head keeps the postings from ballooning on one noisy segment.
+const MAX_SEGMENT_CHARS = 4000
+// Tokens longer than this (base64 blobs, minified lines) are skipped, but still
+// advance the position counter so phrase adjacency stays honest.
+const MAX_TOKEN_LENGTH = 64
+const PREVIEW_CHARS = 200
+const DEFAULT_MAX_RESULTS = 50
+
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+const TOKEN_RE = /[\p{L}\p{N}_]+/gu
+
+/**
+ * Split text into lowercased tokens with their source offsets.
+ *
+ * @param {string} text
+ * @returns {Array<{ token: string, start: number, end: number }>}
+ */
+export function tokenize(text) {
+  if (typeof text !== 'string' || text.length === 0) return []
+  const out = []
+  for (const m of text.matchAll(TOKEN_RE)) {
+    out.push({ token: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length })
+  }
+  return out
+}
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content
+  if (!Array.isArray(content)) return ''
+  return content
+    .filter((b) => b && b.type === 'text' && typeof b.text === 'string')
+    .map((b) => b.text)
+    .join('\n')
+}
+
+/**
+ * Split one JSONL entry into role-tagged text segments. Unlike
+ * `extractSearchableText` (conversation-search.js), tool traffic is kept — as
+ * role `tool` — so the role filter can ask for it or exclude it. Tool input and
+ * output are where file dumps and env listings land, so every segment goes
+ * through `redactValue` before it's tokenized or shown as a snippet: a secret
+ * is neither searchable nor echoed back.
+ *
+ * @param {object} entry
+ * @returns {Array<{ role: 'user'|'assistant'|'tool', text: string }>}
+ */
+export function extractSegments(entry) {
+  if (!entry || (entry.type !== 'user' && entry.type !== 'assistant')) return []
+  const content = entry.message?.content
+  if (typeof content === 'string') return content ? [{ role: entry.type, text: redactValue(content) }] : []
+  if (!Array.isArray(content)) return []
+  const out = []
+  for (const block of content) {
+    if (!block || typeof block !== 'object') continue
+    if (block.type === 'text' && typeof block.text === 'string' && block.text) {
+      out.push({ role: entry.type, text: block.text })
+    } else if (block.type === 'tool_use') {
+      const input = block.input === undefined ? '' : JSON.stringify(block.input)
+      const text = [block.name, input].filter(Boolean).join(' ')
+      if (text) out.push({ role: 'tool', text })
+    } else if (block.type === 'tool_result') {
+      const text = toolResultText(block.content)
+      if (text) out.push({ role: 'tool', text })
+    }
+  }
+  for (const segment of out) segment.text = redactValue(segment.text)
+  return out
+}
+
+/**
+ * Provider family for a `<dataDir>/projects` directory: the data dir's name
+ * without its leading dot (`~/.codex/projects` → `codex`).
+ *
+ * @param {string} projectsDir
+ * @returns {string}
+ */
+export function providerForProjectsDir(projectsDir) {
+  const name = basename(dirname(projectsDir)).replace(/^\./, '')
+  return name || 'claude'
+}
+
+/**
+ * Parse a query into match units. Quoted runs are phrases; bare words are
+ * terms, prefixes (`auth*`) or — when the tokenizer splits them — phrases.
+ *
+ * @param {string} query
+ * @returns {Array<{ kind: 'term', term: string } | { kind: 'prefix', prefix: string } | { kind: 'phrase', terms: string[] }>}
+ */
+export function parseSearchQuery(query) {
+  if (typeof query !== 'string') return []
+  const units = []
+  for (const m of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+    if (m[1] !== undefined) {
+      const terms = tokenize(m[1]).map((t) => t.token)
+      if (terms.length === 1) units.push({ kind: 'term', term: terms[0] })
+      else if (terms.length > 1) units.push({ kind: 'phrase', terms })
+      continue
+    }
+    const word = m[2]
+    const terms = tokenize(word).map((t) => t.token)
+    if (terms.length === 0) continue
+    if (terms.length === 1) {
+      units.push(word.endsWith('*') ? { kind: 'prefix', prefix: terms[0] } : { kind: 'term', term: terms[0] })
+    } else {
+      units.push({ kind: 'phrase', terms })
+    }
+  }
+  return units
+}
+
+function previewFromEntry(entry) {
+  if (entry.type !== 'user') return null
+  const content = entry.message?.content
+  if (typeof content === 'string') return redactValue(content).slice(0, PREVIEW_CHARS)
+  if (!Array.isArray(content) || content.some((b) => b?.type === 'tool_result')) return null
+  const text = content.filter((b) => b?.type === 'text').map((b) => b.text).join('\n')
+  return text ? redactValue(text).slice(0, PREVIEW_CHARS) : null
+}
+
+async function readTranscript(filePath, size) {
+  if (size <= MAX_FILE_READ) return readFile(filePath, 'utf-8')
+  const buf = Buffer.alloc(MAX_FILE_READ)
+  const handle = await open(filePath, 'r')
+  try {
+    const { bytesRead } = await handle.read(buf, 0, MAX_FILE_READ, 0)
+    return new TextDecoder('utf-8', { fatal: false }).decode(buf.subarray(0, bytesRead))
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * Walk a transcript's entries with the segments the index keeps from each —
+ * capped at MAX_SEGMENT_CHARS, token-less ones dropped. Indexing and snippet
+ * lookup both number segments through here, so a posting's segment number
+ * finds the same text again at query time.
+ *
+ * @param {string} text - Raw JSONL
+ * @returns {Generator<{ entry: object, at: number|null, segments: Array<{ role: string, text: string, tokens: Array<{ token: string, start: number, end: number }> }> }>}
+ */
+function* transcriptEntries(text) {
+  for (const line of text.split('\n')) {
+    if (!line) continue
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch {
+      continue
+    }
+    const parsedAt = typeof entry.timestamp === 'string' ? Date.parse(entry.timestamp) : NaN
+    const segments = []
+    for (const { role, text: raw } of extractSegments(entry)) {
+      const segText = raw.length > MAX_SEGMENT_CHARS ? raw.slice(0, MAX_SEGMENT_CHARS) : raw
+      const tokens = tokenize(segText)
+      if (tokens.length > 0) segments.push({ role, text: segText, tokens })
+    }
+    yield { entry, at: Number.isFinite(parsedAt) ? parsedAt : null, segments }
+  }
+}
+
+/** Text of segment `index` in a transcript, or null when it no longer has one. */
+function segmentText(text, index) {
+  let seg = 0
+  for (const { segments } of transcriptEntries(text)) {
+    if (index < seg + segments.length) return segments[index - seg].text
+    seg += segments.length
+  }
+  return null
+}
+
+/**
+ * Build the index document for one transcript.
+ *
+ * Segments keep only their role and timestamp — the text stays in the
+ * transcript. Postings are stored flattened — `{ term: [seg, pos, seg, pos, …] }`
+ * — which is what persists; the global term → documents map is derived on load.
+ */
+function buildDocument(candidate, fileStat, text) {
+  const segments = []
+  const postings = Object.create(null)
+  let cwd = null
+  let preview = null
+  let length = 0
+
+  for (const { entry, at, segments: kept } of transcriptEntries(text)) {
+    if (!cwd && typeof entry.cwd === 'string') cwd = entry.cwd
+    if (!preview) preview = previewFromEntry(entry)
+    for (const { role, tokens } of kept) {
+      const seg = segments.length
+      segments.push({ role, at })
+      tokens.forEach(({ token }, pos) => {
+        if (token.length > MAX_TOKEN_LENGTH) return
+        const list = postings[token] || (postings[token] = [])
+        list.push(seg, pos)
+      })
+      length += tokens.length
+    }
+  }
+
+  return {
+    filePath: candidate.filePath,
+    projectsDir: candidate.projectsDir,
+    provider: providerForProjectsDir(candidate.projectsDir),
+    conversationId: candidate.conversationId,
+    project: cwd || candidate.decodedPath,
+    projectName: cwd ? basename(cwd) : candidate.projectName,
+    cwd,
+    preview,
+    mtimeMs: fileStat.mtimeMs,
+    size: fileStat.size,
+    length,
+    segments,
+    postings,
+  }
+}
+
+/** Whether `project` is `repo` or sits beneath it. */
+function withinRepo(project, repo) {
+  if (typeof project !== 'string') return false
+  const root = repo.length > 1 && repo.endsWith(sep) ? repo.slice(0, -1) : repo
+  return project === root || project.startsWith(root + sep)
+}
+
+/** Char window around a matched token run, in the old substring-search shape. */
+function buildSnippet(text, pos, span) {
+  const tokens = tokenize(text)
+  const first = tokens[pos]
+  const last = tokens[Math.min(pos + span - 1, tokens.length - 1)]
+  if (!first || !last) return text.slice(0, 100)
+  const start = Math.max(0, first.start - 40)
+  const end = Math.min(text.length, last.end + 60)
+  return (start > 0 ? '...' : '') + text.slice(start, end).trim() + (end < text.length ? '...' : '')
+}
+
+export class ConversationIndex {
+  /**
+   * @param {object} [opts]
+   * @param {string|null} [opts.indexPath] - Where to persist. Null keeps the
+   *   index in memory only (tests, one-shot callers).
+   */
+  constructor({ indexPath = null } = {}) {
+    this._indexPath = indexPath
+    /** @type {Map<string, object>} filePath → document */
+    this._docs = new Map()
+    /** @type {Map<string, Set<string>>} term → filePaths */
+    this._terms = new Map()
+    this._loaded = false
+    // Refreshes are serialized: two overlapping ones would both re-index the
+    // same changed file and race each other's removals.
+    this._queue = Promise.resolve()
+    /** @type {Promise<void>|null} the background write, while one runs */
+    this._writing = null
+    this._dirty = false
+  }
+
+  /** Number of indexed conversations. */
+  get size() {
+    return this._docs.size
+  }
+
+  _addDoc(doc) {
+    this._removeDoc(doc.filePath)
+    this._docs.set(doc.filePath, doc)
+    for (const term of Object.keys(doc.postings)) {
+      let set = this._terms.get(term)
+      if (!set) {
+        set = new Set()
+        this._terms.set(term, set)
+      }
+      set.add(doc.filePath)
+    }
+  }
+
+  _removeDoc(filePath) {
+    const doc = this._docs.get(filePath)
+    if (!doc) return false
+    for (const term of Object.keys(doc.postings)) {
+      const set = this._terms.get(term)
+      if (!set) continue
+      set.delete(filePath)
+      if (set.size === 0) this._terms.delete(term)
+    }
+    this._docs.delete(filePath)
+    return true
+  }
+
+  async _load() {
+    if (this._loaded) return
+    this._loaded = true
+    if (!this._indexPath) return
+    let data
+    try {
+      data = JSON.parse(await readFile(this._indexPath, 'utf-8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`Discarding unreadable conversation index: ${err.message}`)
+      return
+    }
+    if (!data || data.version !== INDEX_VERSION || !Array.isArray(data.docs)) {
+      log.info('Conversation index format changed — rebuilding')
+      return
+    }
+    for (const doc of data.docs) {
+      if (doc && typeof doc.filePath === 'string' && doc.postings && Array.isArray(doc.segments)) {
+        this._addDoc({ ...doc, postings: Object.assign(Object.create(null), doc.postings) })
+      }
+    }
+  }
+
+  /**
+   * Write the index in the background. Coalesced: while a write is in flight a
+   * further call only marks the index dirty, and the writer goes round once
+   * more when it finishes. Best-effort — the in-memory index still answers if a
+   * write fails, and the next refresh that changes something retries it.
+   *
+   * @returns {Promise<void>} Settles once the file on disk is current
+   */
+  _persist() {
+    if (!this._indexPath) return Promise.resolve()
+    this._dirty = true
+    if (!this._writing) {
+      this._writing = (async () => {
+        while (this._dirty) {
+          this._dirty = false
+          try {
+            await this._writeIndex()
+          } catch (err) {
+            log.warn(`Failed to persist conversation index: ${err.message}`)
+          }
+        }
+        this._writing = null
+      })()
+    }
+    return this._writing
+  }
+
+  async _writeIndex() {
+    const data = JSON.stringify({ version: INDEX_VERSION, docs: [...this._docs.values()] })
+    // Same temp + rename shape as writeFileRestricted, on the async fs API. The
+    // terms are still the conversations' vocabulary, so the file is owner-only:
+    // 0600 on POSIX, the config dir's inherited owner-only ACL on Windows.
+    const tmpPath = `${this._indexPath}.tmp-${process.pid}`
+    await mkdir(dirname(this._indexPath), { recursive: true })
+    try {
+      await writeFile(tmpPath, data, isWindows ? undefined : { mode: 0o600 })
+      if (!isWindows) await chmod(tmpPath, 0o600)
+      await rename(tmpPath, this._indexPath)
+    } catch (err) {
+      await unlink(tmpPath).catch(() => {})
+      throw err
+    }
+  }
+
+  /** Settles once any scheduled write of the index has landed. */
+  flush() {
+    return this._writing || Promise.resolve()
+  }
+
+  /**
+   * Bring the index up to date with the transcripts under `projectsDirs`.
+   * Only new or changed files (size or mtime differs) are re-read; files that
+   * disappeared from a refreshed dir are dropped. When anything changed a write
+   * is scheduled; the refresh doesn't wait for it (see `flush()`).
+   *
+   * @param {string[]} projectsDirs
+   * @returns {Promise<{ indexed: number, removed: number, total: number }>}
+   */
+  refresh(projectsDirs) {
+    const run = this._queue.then(() => this._refreshNow(projectsDirs))
+    this._queue = run.catch(() => {})
+    return run
+  }
+
+  async _refreshNow(projectsDirs) {
+    await this._load()
+    const dirs = [...new Set(projectsDirs || [])]
+    const seen = new Set()
+    let indexed = 0
+    let removed = 0
+
+    const candidates = (await Promise.all(dirs.map((d) => listConversationFiles(d)))).flat()
+    const tasks = candidates.map((c) => async () => {
+      let fileStat
+      try {
+        fileStat = await stat(c.filePath)
+      } catch {
+        return
+      }
+      if (fileStat.size < MIN_FILE_SIZE) return
+      seen.add(c.filePath)
+      const existing = this._docs.get(c.filePath)
+      if (existing && existing.mtimeMs === fileStat.mtimeMs && existing.size === fileStat.size) return
+      let text
+      try {
+        text = await readTranscript(c.filePath, fileStat.size)
+      } catch {
+        return
+      }
+      this._addDoc(buildDocument(c, fileStat, text))
+      indexed++
+    })
+    await runWithConcurrency(tasks, CONCURRENCY)
+
+    const refreshed = new Set(dirs)
+    for (const [filePath, doc] of [...this._docs]) {
+      if (refreshed.has(doc.projectsDir) && !seen.has(filePath)) {
+        this._removeDoc(filePath)
+        removed++
+      }
+    }
+
+    if (indexed > 0 || removed > 0) void this._persist()
+    return { indexed, removed, total: this._docs.size }
+  }
+
+  _termPositions(doc, term, qualifies) {
+    const flat = doc.postings[term]
+    const out = []
+    if (!flat) return out
+    for (let i = 0; i < flat.length; i += 2) {
+      if (qualifies[flat[i]]) out.push([flat[i], flat[i + 1]])
+    }
+    return out
+  }
+
+  /**
+   * Occurrences of one query unit in a document's qualifying segments, as
+   * `[segment, position, span]` triples in index order.
+   */
+  _unitMatches(doc, unit, qualifies) {
+    if (unit.kind === 'term') {
+      return this._termPositions(doc, unit.term, qualifies).map(([s, p]) => [s, p, 1])
+    }
+    if (unit.kind === 'prefix') {
+      const out = []
+      for (const term of Object.keys(doc.postings)) {
+        if (term.startsWith(unit.prefix)) {
+          for (const [s, p] of this._termPositions(doc, term, qualifies)) out.push([s, p, 1])
+        }
+      }
+      return out.sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    }
+    const [head, ...rest] = unit.terms
+    const followers = rest.map((term) => new Set(this._termPositions(doc, term, qualifies).map(([s, p]) => `${s}:${p}`)))
+    return this._termPositions(doc, head, qualifies)
+      .filter(([s, p]) => followers.every((set, i) => set.has(`${s}:${p + i + 1}`)))
+      .map(([s, p]) => [s, p, unit.terms.length])
+  }
+
+  /** Documents that can possibly contain the unit, and its document frequency. */
+  _unitCandidates(unit) {
+    if (unit.kind === 'term') return this._terms.get(unit.term) || new Set()
+    if (unit.kind === 'prefix') {
+      const out = new Set()
+      for (const [term, set] of this._terms) {
+        if (term.startsWith(unit.prefix)) for (const f of set) out.add(f)
+      }
+      return out
+    }
+    // A phrase can only occur where its rarest term does.
+    let best = null
+    for (const term of unit.terms) {
+      const set = this._terms.get(term) || new Set()
+      if (!best || set.size < best.size) best = set
+    }
+    return best || new Set()
+  }
+
+  /**
+   * Ranked search. Ranking runs on the in-memory postings; only the
+   * transcripts on the returned page are re-read, to cut their snippets.
+   *
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {string[]} [opts.projectsDirs] - Restrict to transcripts under these dirs
+   * @param {string} [opts.repo] - Conversation cwd is this path or beneath it
+   * @param {string} [opts.provider] - Provider family (`claude`, `codex`, `gemini`, …)
+   * @param {'user'|'assistant'|'tool'} [opts.role] - Only match within this role's segments
+   * @param {number} [opts.since] - Epoch ms, inclusive lower bound on the matched message
+   * @param {number} [opts.until] - Epoch ms, inclusive upper bound on the matched message
+   * @param {number} [opts.maxResults]
+   * @returns {Promise<Array<object>>}
+   */
+  async search(query, opts = {}) {
+    const units = parseSearchQuery(query)
+    if (units.length === 0) return []
+    const maxResults = opts.maxResults || DEFAULT_MAX_RESULTS
+    const dirs = Array.isArray(opts.projectsDirs) && opts.projectsDirs.length > 0 ? new Set(opts.projectsDirs) : null
+    const since = Number.isFinite(opts.since) ? opts.since : -Infinity
+    const until = Number.isFinite(opts.until) ? opts.until : Infinity
+
+    // Candidate set: intersect the units' posting sets, smallest first.
+    const unitSets = units.map((u) => this._unitCandidates(u))
+    const ordered = [...unitSets].sort((a, b) => a.size - b.size)
+    let candidates = [...ordered[0]]
+    for (const set of ordered.slice(1)) candidates = candidates.filter((f) => set.has(f))
+
+    const totalDocs = this._docs.size
+    let totalLength = 0
+    for (const doc of this._docs.values()) totalLength += doc.length
+    const avgLength = totalDocs > 0 ? totalLength / totalDocs : 1
+    const idf = unitSets.map((set) => Math.log(1 + (totalDocs - set.size + 0.5) / (set.size + 0.5)))
+
+    const ranked = []
+    for (const filePath of candidates) {
+      const doc = this._docs.get(filePath)
+      if (dirs && !dirs.has(doc.projectsDir)) continue
+      if (opts.repo && !withinRepo(doc.project, opts.repo)) continue
+      if (opts.provider && doc.provider !== opts.provider) continue
+
+      const qualifies = doc.segments.map((s) => {
+        if (opts.role && s.role !== opts.role) return false
+        const at = s.at ?? doc.mtimeMs
+        return at >= since && at <= until
+      })
+
+      let score = 0
+      let matchCount = 0
+      let first = null
+      const dl = doc.length || 1
+      for (let i = 0; i < units.length; i++) {
+        const matches = this._unitMatches(doc, units[i], qualifies)
+        if (matches.length === 0) {
+          score = -1
+          break
+        }
+        const tf = matches.length
+        matchCount += tf
+        score += idf[i] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * dl / avgLength))
+        if (!first || matches[0][0] < first[0] || (matches[0][0] === first[0] && matches[0][1] < first[1])) {
+          first = matches[0]
+        }
+      }
+      if (score < 0) continue
+
+      const segment = doc.segments[first[0]]
+      ranked.push({
+        doc,
+        first,
+        result: {
+          conversationId: doc.conversationId,
+          projectName: doc.projectName,
+          project: doc.project,
+          cwd: doc.cwd,
+          preview: doc.preview,
+          snippet: '',
+          matchCount,
+          score: Math.round(score * 1000) / 1000,
+          provider: doc.provider,
+          role: segment.role,
+          matchAt: segment.at,
+          modifiedAtMs: doc.mtimeMs,
+        },
+      })
+    }
+
+    ranked.sort(({ result: a }, { result: b }) => {
+      if (b.score !== a.score) return b.score - a.score
+      if (b.modifiedAtMs !== a.modifiedAtMs) return b.modifiedAtMs - a.modifiedAtMs
+      return a.conversationId.localeCompare(b.conversationId)
+    })
+    const page = ranked.slice(0, maxResults)
+    await runWithConcurrency(page.map((hit) => async () => {
+      hit.result.snippet = await this._snippet(hit.doc, hit.first)
+    }), CONCURRENCY)
+    return page.map((hit) => hit.result)
+  }
+
+  /**
+   * Snippet for a match, cut from the transcript as it is now. A transcript
+   * that vanished or was rewritten since the last refresh falls back to the
+   * conversation preview rather than failing the search.
+   */
+  async _snippet(doc, [seg, pos, span]) {
+    let text = null
+    try {
+      text = segmentText(await readTranscript(doc.filePath, doc.size), seg)
+    } catch {
+      // Unreadable now — use the preview.
+    }
+    return text === null ? (doc.preview || '') : buildSnippet(text, pos, span)
+  }
+}
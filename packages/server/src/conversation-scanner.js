@@ -3,6 +3,9 @@ import { join, basename } from 'path'
 import { homedir } from 'os'
 import { decodeProjectPath } from './jsonl-reader.js'
 import { runWithConcurrency } from './utils/concurrency.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('conversation-scanner')
 
 const PROJECTS_DIR = join(homedir(), '.claude', 'projects')
 const PREVIEW_BYTES = 32 * 1024 // read first 32KB for preview extraction
@@ -97,7 +100,16 @@ async function extractMetadata(filePath) {
   }
 }
 
-async function performScan(projectsDir) {
+/**
+ * Enumerate the JSONL transcripts under one provider projects directory
+ * (`<projectsDir>/<encoded-project>/<conversationId>.jsonl`). No stat, no read —
+ * shared by the metadata scan below and by conversation-index.js, so both walk
+ * exactly the same set of files.
+ *
+ * @param {string} projectsDir
+ * @returns {Promise<Array<{ filePath: string, conversationId: string, decodedPath: string|null, projectName: string, projectsDir: string }>>}
+ */
+export async function listConversationFiles(projectsDir) {
   let projectDirs
   try {
     projectDirs = await readdir(projectsDir, { withFileTypes: true })
@@ -105,7 +117,6 @@ async function performScan(projectsDir) {
     return []
   }
 
-  // Collect all file candidates across projects
   const candidates = []
 
   for (const dir of projectDirs) {
@@ -131,10 +142,17 @@ async function performScan(projectsDir) {
         conversationId: file.replace('.jsonl', ''),
         decodedPath,
         projectName,
+        projectsDir,
       })
     }
   }
 
+  return candidates
+}
+
+async function performScan(projectsDir) {
+  const candidates = await listConversationFiles(projectsDir)
+
   // Process files in parallel with concurrency limit
   const tasks = candidates.map((c) => async () => {
     let fileStat
@@ -178,6 +196,10 @@ async function performScan(projectsDir) {
  *   When both opts.projectsDir and opts.projectsDirs are provided, projectsDirs takes precedence.
  *   Defaults to [PROJECTS_DIR] (~/.claude/projects) when neither is supplied.
  * @param {number} [opts.maxResults] - Maximum number of conversations to return. If 0 or omitted, returns all.
+ * @param {{ refresh: (dirs: string[]) => Promise<unknown> }} [opts.index] - A ConversationIndex
+ *   (conversation-index.js) to bring up to date after each fresh scan. The refresh
+ *   runs in the background — the listing never waits on indexing — and only
+ *   re-reads transcripts that changed since it last looked. Cache hits skip it.
  * @returns {Promise<Array<{
  *   conversationId: string,
  *   project: string|null,
@@ -240,6 +262,12 @@ export async function scanConversations(opts = {}) {
   _cacheKey = cacheKey
   _cacheTime = Date.now()
 
+  if (opts.index) {
+    opts.index.refresh(dirs).catch((err) => {
+      log.warn(`Conversation index refresh failed: ${err.message}`)
+    })
+  }
+
   return maxResults > 0 ? conversations.slice(0, maxResults) : [...conversations]
 }
 
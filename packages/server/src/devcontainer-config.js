@@ -18,6 +18,21 @@
  *     by a hard-coded denylist of paths.
  *   - `sanitizeContainerEnv(containerEnv, { logger })` — drop keys
  *     that don't match POSIX env-var name rules.
+ *   - `parseDevContainer` also reads the chroxy-specific
+ *     `customizations.chroxy.egress` network policy (see
+ *     `egress/egress-policy.js`) into `config.egress`.
+ *   - `substituteVariables(value, vars)` — expand `${localEnv:VAR}`,
+ *     `${localWorkspaceFolder}` and friends in every string of the
+ *     parsed file, the way the devcontainer CLI does before reading it.
+ *   - `parseLifecycleCommand(value, field, { logger })` — normalise an
+ *     `initializeCommand` / `onCreateCommand` / `postCreateCommand` /
+ *     `postStartCommand` / `postAttachCommand` value to one shell string.
+ *   - `validateRunArgs(runArgs, { logger })` / `validateCapAdd(capAdd,
+ *     { logger })` — keep only the `docker run` flags and capabilities
+ *     that can't widen the sandbox (no `--privileged`, `--network`,
+ *     extra volumes, or capabilities beyond Docker's default set).
+ *   - `features` is normalised to `{ [ref]: options }`; resolving and
+ *     installing them lives in `devcontainer-features.js`.
  *   - `extractMountSource(mount)` — pull the source path out of a
  *     short-form (`source:target`) or long-form
  *     (`source=...,target=...`) mount string. Handles Windows
@@ -29,18 +44,42 @@
  */
 
 import { existsSync, readFileSync } from 'fs'
-import { dirname, join, resolve, sep } from 'path'
+import { basename, dirname, join, resolve, sep } from 'path'
 import { homedir } from 'os'
+import { normalizeEgressPolicy } from './egress/egress-policy.js'
+import { CHROXY_SECRET_DENYLIST } from './utils/spawn-env.js'
 
 const VALID_ENV_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]*$/
 
 const NOOP_LOG = { info: () => {}, warn: () => {}, error: () => {} }
 
+/**
+ * The lifecycle hooks chroxy runs, in the order the devcontainer spec runs
+ * them: `initializeCommand` on the host before the container exists,
+ * `onCreateCommand` / `postCreateCommand` once per new container,
+ * `postStartCommand` each time it starts and `postAttachCommand` each time
+ * a session attaches.
+ */
+export const LIFECYCLE_COMMANDS = Object.freeze([
+  'initializeCommand',
+  'onCreateCommand',
+  'postCreateCommand',
+  'postStartCommand',
+  'postAttachCommand',
+])
+
+/** Where both consumers mount the project inside the container. */
+const CONTAINER_WORKSPACE_FOLDER = '/workspace'
+
 /**
  * Parse a `.devcontainer/devcontainer.json` (or `.devcontainer.json`
- * sidecar) from the given cwd.
+ * sidecar) from the given cwd. `env` is the host environment that
+ * `${localEnv:VAR}` references resolve against, minus the daemon's own
+ * secrets (CHROXY_SECRET_DENYLIST) — the file comes from the repo, and
+ * `containerEnv: { X: "${localEnv:API_TOKEN}" }` would otherwise copy the
+ * primary token into the container.
  */
-export function parseDevContainer(cwd, { logger = NOOP_LOG } = {}) {
+export function parseDevContainer(cwd, { logger = NOOP_LOG, env = process.env } = {}) {
   const candidates = [
     join(cwd, '.devcontainer', 'devcontainer.json'),
     join(cwd, '.devcontainer.json'),
@@ -58,12 +97,22 @@ export function parseDevContainer(cwd, { logger = NOOP_LOG } = {}) {
   catch (err) { logger.warn(`Failed to parse ${filePath}: ${err.message}`); return {} }
 
   logger.info(`Parsed devcontainer.json from ${filePath}`)
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    logger.warn(`${filePath} is not a JSON object (ignored)`)
+    return {}
+  }
+  const localEnv = { ...env }
+  for (const key of CHROXY_SECRET_DENYLIST) delete localEnv[key]
+  raw = substituteVariables(raw, { localEnv, localWorkspaceFolder: resolve(cwd) })
 
   const SUPPORTED_FIELDS = new Set([
     'image', 'forwardPorts', 'containerEnv', 'mounts',
-    'remoteUser', 'postCreateCommand',
+    'remoteUser', ...LIFECYCLE_COMMANDS,
+    'runArgs', 'capAdd', 'features',
     // #5078 — build-from-Dockerfile and compose-from-devcontainer.
     'build', 'dockerFile', 'dockerComposeFile', 'service',
+    // Tool-specific settings; chroxy reads `customizations.chroxy.egress`.
+    'customizations',
   ])
   for (const key of Object.keys(raw)) {
     if (!SUPPORTED_FIELDS.has(key)) {
@@ -80,10 +129,20 @@ export function parseDevContainer(cwd, { logger = NOOP_LOG } = {}) {
   config.dir = dirname(filePath)
   if (typeof raw.image === 'string' && raw.image.trim()) config.image = raw.image.trim()
   if (typeof raw.remoteUser === 'string' && raw.remoteUser.trim()) config.remoteUser = raw.remoteUser.trim()
-  if (typeof raw.postCreateCommand === 'string' && raw.postCreateCommand.trim()) config.postCreateCommand = raw.postCreateCommand.trim()
+  for (const field of LIFECYCLE_COMMANDS) {
+    const command = parseLifecycleCommand(raw[field], field, { logger })
+    if (command) config[field] = command
+  }
   if (raw.containerEnv && typeof raw.containerEnv === 'object' && !Array.isArray(raw.containerEnv)) config.containerEnv = raw.containerEnv
   if (Array.isArray(raw.forwardPorts)) config.forwardPorts = raw.forwardPorts.filter(p => typeof p === 'number' || typeof p === 'string')
   if (Array.isArray(raw.mounts)) config.mounts = raw.mounts.filter(m => typeof m === 'string')
+  // `runArgs` / `capAdd` are kept as string arrays here and filtered by
+  // the consuming session with `validateRunArgs` / `validateCapAdd`, the
+  // same split `mounts` / `containerEnv` use.
+  if (Array.isArray(raw.runArgs)) config.runArgs = raw.runArgs.filter(a => typeof a === 'string')
+  if (Array.isArray(raw.capAdd)) config.capAdd = raw.capAdd.filter(c => typeof c === 'string')
+  const features = parseFeatures(raw.features, { logger })
+  if (features) config.features = features
   // #5078 — `service` is the official devcontainer spec name for the
   // primary compose service (used with `dockerComposeFile`). Kept as a
   // trimmed string so the session can pick the right service container.
@@ -100,9 +159,215 @@ export function parseDevContainer(cwd, { logger = NOOP_LOG } = {}) {
   // `build` object wins when both are present.
   const build = parseBuild(raw.build, raw.dockerFile, { logger })
   if (build) config.build = build
+  const egress = parseEgress(raw.customizations?.chroxy?.egress, { logger })
+  if (egress) config.egress = egress
   return config
 }
 
+/**
+ * Normalise `customizations.chroxy.egress`. The file asked for a restricted
+ * network, so a policy that doesn't validate fails closed to `none` rather
+ * than being dropped (which would leave the session open).
+ */
+function parseEgress(value, { logger = NOOP_LOG } = {}) {
+  try {
+    return normalizeEgressPolicy(value, 'devcontainer.json customizations.chroxy.egress')
+  } catch (err) {
+    logger.warn(`${err.message} — applying the "none" policy`)
+    return { policy: 'none', domains: [] }
+  }
+}
+
+/**
+ * Expand devcontainer variables in every string inside `value` (object
+ * keys are left alone). Supported, as in the devcontainer CLI:
+ *   - `${localEnv:VAR}` / `${localEnv:VAR:default}` (and the `${env:VAR}`
+ *     alias) — the host environment; unset with no default expands to ''.
+ *   - `${localWorkspaceFolder}` / `${localWorkspaceFolderBasename}`
+ *   - `${containerWorkspaceFolder}` / `${containerWorkspaceFolderBasename}`
+ * Anything else (e.g. `${containerEnv:PATH}`, which only the container can
+ * answer) is left as written.
+ *
+ * @param {*} value
+ * @param {{ localEnv?: object, localWorkspaceFolder: string }} vars
+ * @returns {*}
+ */
+export function substituteVariables(value, { localEnv = process.env, localWorkspaceFolder }) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([^}]+)\}/g, (match, body) => {
+      switch (body) {
+        case 'localWorkspaceFolder': return localWorkspaceFolder
+        case 'localWorkspaceFolderBasename': return basename(localWorkspaceFolder)
+        case 'containerWorkspaceFolder': return CONTAINER_WORKSPACE_FOLDER
+        case 'containerWorkspaceFolderBasename': return basename(CONTAINER_WORKSPACE_FOLDER)
+      }
+      const env = body.match(/^(?:localEnv|env):([^:]+)(?::(.*))?$/)
+      if (!env) return match
+      return localEnv[env[1]] ?? env[2] ?? ''
+    })
+  }
+  if (Array.isArray(value)) return value.map(v => substituteVariables(v, { localEnv, localWorkspaceFolder }))
+  if (value && typeof value === 'object') {
+    const out = {}
+    for (const [key, v] of Object.entries(value)) out[key] = substituteVariables(v, { localEnv, localWorkspaceFolder })
+    return out
+  }
+  return value
+}
+
+/**
+ * Normalise a lifecycle command to one shell string, or undefined when
+ * the field is absent or unusable. The spec allows three shapes:
+ *   - a string, run by a shell;
+ *   - an array, ONE command in exec form (`["npm", "ci"]`), so each
+ *     element is quoted as a single argument — unlike the constructor's
+ *     own `postCreateCommand` opt, which treats an array as steps;
+ *   - an object of named commands. The spec runs these in parallel; they
+ *     run here in declared order, joined with `&&`, so a failure names
+ *     the step that broke and the output stays readable.
+ */
+export function parseLifecycleCommand(value, field, { logger = NOOP_LOG } = {}) {
+  if (value == null) return undefined
+  if (typeof value === 'string') return value.trim() || undefined
+  if (Array.isArray(value)) {
+    if (value.length === 0 || !value.every(a => typeof a === 'string')) {
+      logger.warn(`devcontainer.json: ${field} array must hold only strings (ignored)`)
+      return undefined
+    }
+    return value.map(shellQuote).join(' ')
+  }
+  if (typeof value === 'object') {
+    const steps = []
+    for (const [name, step] of Object.entries(value)) {
+      const command = parseLifecycleCommand(step, `${field}.${name}`, { logger })
+      if (command) steps.push(command)
+    }
+    return steps.length > 0 ? steps.join(' && ') : undefined
+  }
+  logger.warn(`devcontainer.json: ${field} must be a string, array or object (ignored)`)
+  return undefined
+}
+
+function shellQuote(s) {
+  return `'${s.replace(/'/g, `'\\''`)}'`
+}
+
+/**
+ * Normalise `features` to `{ [ref]: options }`. A string value is the
+ * spec's shorthand for `{ version: value }` and `true` means "defaults";
+ * anything else that isn't an options object is dropped with a warning.
+ */
+function parseFeatures(value, { logger = NOOP_LOG } = {}) {
+  if (value == null) return undefined
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    logger.warn('devcontainer.json: features must be an object (ignored)')
+    return undefined
+  }
+  const features = {}
+  for (const [ref, options] of Object.entries(value)) {
+    if (options === true) features[ref] = {}
+    else if (typeof options === 'string') features[ref] = { version: options }
+    else if (options && typeof options === 'object' && !Array.isArray(options)) features[ref] = options
+    else logger.warn(`devcontainer.json: features["${ref}"] options rejected (must be an object, string or true)`)
+  }
+  return Object.keys(features).length > 0 ? features : undefined
+}
+
+/**
+ * `docker run` flags a devcontainer.json `runArgs` entry may use, mapped
+ * to whether the flag takes a value. Anything that could widen the
+ * sandbox — `--privileged`, `--network`, `--pid`, extra volumes, device
+ * access, a different user, seccomp/AppArmor overrides, or raised memory
+ * and CPU limits — is left out on purpose.
+ */
+const RUN_ARG_FLAGS = new Map([
+  ['--add-host', true],
+  ['--cap-add', true],
+  ['--env', true], ['-e', true],
+  ['--hostname', true], ['-h', true],
+  ['--init', false],
+  ['--label', true], ['-l', true],
+  ['--shm-size', true],
+  ['--stop-signal', true],
+  ['--stop-timeout', true],
+  ['--tmpfs', true],
+  ['--ulimit', true],
+])
+
+/**
+ * Filter devcontainer.json `runArgs` down to {@link RUN_ARG_FLAGS}.
+ * Returns a flat argv (`['--shm-size', '1g', ...]`) or undefined when
+ * nothing survives. `--cap-add` values go through {@link validateCapAdd};
+ * `--env` must be `KEY=VALUE` — the bare `KEY` form would copy the host's
+ * value into the container.
+ */
+export function validateRunArgs(runArgs, { logger = NOOP_LOG } = {}) {
+  if (!Array.isArray(runArgs) || runArgs.length === 0) return undefined
+  const out = []
+  for (let i = 0; i < runArgs.length; i++) {
+    const token = runArgs[i]
+    const eq = token.startsWith('--') ? token.indexOf('=') : -1
+    const flag = eq === -1 ? token : token.slice(0, eq)
+    const takesValue = RUN_ARG_FLAGS.get(flag)
+    if (takesValue === undefined) {
+      logger.warn(`devcontainer.json runArgs "${flag}" rejected (not an allowed docker run flag)`)
+      // Skip the rejected flag's separate value too, so it isn't read as a flag.
+      if (eq === -1 && typeof runArgs[i + 1] === 'string' && !runArgs[i + 1].startsWith('-')) i++
+      continue
+    }
+    if (!takesValue) {
+      out.push(flag)
+      continue
+    }
+    let value
+    if (eq !== -1) value = token.slice(eq + 1)
+    else value = runArgs[++i]
+    if (typeof value !== 'string' || value === '') {
+      logger.warn(`devcontainer.json runArgs "${flag}" rejected (missing value)`)
+      continue
+    }
+    if (flag === '--cap-add') {
+      const caps = validateCapAdd([value], { logger })
+      if (caps) out.push(flag, caps[0])
+      continue
+    }
+    if ((flag === '--env' || flag === '-e') && !/^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) {
+      logger.warn(`devcontainer.json runArgs "${flag} ${value}" rejected (must be KEY=VALUE)`)
+      continue
+    }
+    out.push(flag, value)
+  }
+  return out.length > 0 ? out : undefined
+}
+
+/**
+ * Capabilities `capAdd` may restore: Docker's default set plus SYS_PTRACE
+ * (debuggers). Containers start from `--cap-drop ALL`, so this can give
+ * back what a stock `docker run` has but never more — no SYS_ADMIN,
+ * NET_ADMIN and the like.
+ */
+const ALLOWED_CAPABILITIES = new Set([
+  'AUDIT_WRITE', 'CHOWN', 'DAC_OVERRIDE', 'FOWNER', 'FSETID', 'KILL',
+  'MKNOD', 'NET_BIND_SERVICE', 'NET_RAW', 'SETFCAP', 'SETGID', 'SETPCAP',
+  'SETUID', 'SYS_CHROOT', 'SYS_PTRACE',
+])
+
+/**
+ * Normalise devcontainer.json `capAdd` (`SYS_PTRACE` / `CAP_SYS_PTRACE`,
+ * any case) and keep only {@link ALLOWED_CAPABILITIES}. Returns a
+ * de-duplicated list or undefined when nothing survives.
+ */
+export function validateCapAdd(capAdd, { logger = NOOP_LOG } = {}) {
+  if (!Array.isArray(capAdd) || capAdd.length === 0) return undefined
+  const out = new Set()
+  for (const raw of capAdd) {
+    const cap = String(raw).trim().toUpperCase().replace(/^CAP_/, '')
+    if (ALLOWED_CAPABILITIES.has(cap)) out.add(cap)
+    else logger.warn(`devcontainer.json capAdd "${raw}" rejected (outside Docker's default capability set)`)
+  }
+  return out.size > 0 ? [...out] : undefined
+}
+
 /**
  * #5078 — Normalise `dockerComposeFile` (string | array) into an array of
  * non-empty path strings. Returns undefined when nothing usable remains so
@@ -0,0 +1,384 @@
+/**
+ * DevContainer Features for the docker-byok session and EnvironmentManager
+ * paths (see `devcontainer-config.js` for the rest of devcontainer.json).
+ *
+ * A feature (https://containers.dev/implementors/features/) is an
+ * `install.sh` plus a `devcontainer-feature.json` that layers a tool into
+ * the image. Chroxy never pulls them from a registry:
+ *   - OCI features (`ghcr.io/devcontainers/features/node:1`) resolve from a
+ *     local OCI-layout cache, one layout per repository, filled ahead of
+ *     time with e.g.
+ *
+ *       oras copy ghcr.io/devcontainers/features/node:1 \
+ *         --to-oci-layout ~/.chroxy/devcontainer-features/ghcr.io/devcontainers/features/node:1
+ *
+ *     so a session builds offline. Blobs are checked against their digest.
+ *   - Local features (`./my-feature`, relative to the devcontainer.json
+ *     directory and contained to the project) are read from disk.
+ *
+ * All of a config's features install into ONE derived image on top of the
+ * base image, tagged `chroxy-features:<hash>` where the hash covers the base
+ * image name and each feature's content digest, options and install order.
+ * A tag that already exists locally is reused without building.
+ *
+ * Exports:
+ *   - `resolveFeatures(features, { cacheDir, devcontainerDir, cwd, logger })`
+ *   - `featureImageTag(baseImage, resolved)`
+ *   - `buildFeatureImage({ baseImage, features, execFile, logger })`
+ *   - `defaultFeatureCacheDir()` / `DevcontainerFeatureError`
+ */
+
+import { copyFileSync, cpSync, existsSync, lstatSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs'
+import { join, resolve, sep } from 'path'
+import { tmpdir } from 'os'
+import { createHash } from 'crypto'
+import { configPath } from './config-dir.js'
+
+const NOOP_LOG = { info: () => {}, warn: () => {}, error: () => {} }
+
+const VALID_ENV_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/** Media type of the tarball layer in a published feature. */
+const FEATURE_LAYER_MEDIA_TYPE = 'application/vnd.devcontainers.layer.v1+tar'
+
+/** Annotation an OCI layout's index uses to name a manifest by tag. */
+const REF_NAME_ANNOTATION = 'org.opencontainers.image.ref.name'
+
+// registry[:port]/path/segments, then an optional :tag and/or @sha256:digest.
+const FEATURE_REF_RE = /^([a-z0-9-]+(?:\.[a-z0-9-]+)*(?::\d+)?(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)+)(?::([\w][\w.-]{0,127}))?(?:@(sha256:[a-f0-9]{64}))?$/
+
+/** Thrown when a feature can't be resolved or built as declared. */
+export class DevcontainerFeatureError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'DevcontainerFeatureError'
+    this.code = 'devcontainer_feature_failed'
+  }
+}
+
+/** Default OCI-layout cache root: `<config dir>/devcontainer-features`. */
+export function defaultFeatureCacheDir() {
+  return configPath('devcontainer-features')
+}
+
+/**
+ * Resolve devcontainer.json `features` (already normalised to
+ * `{ [ref]: options }` by `parseDevContainer`) into install order.
+ *
+ * Order follows the declaration, moved only as far as each feature's
+ * `installsAfter` / `dependsOn` requires. A `dependsOn` feature must itself
+ * be declared — nothing is fetched implicitly.
+ *
+ * @param {Object<string, object>} features
+ * @param {{ cacheDir?: string, devcontainerDir: string, cwd: string, logger?: object }} opts
+ * @returns {Array<{ ref: string, id: string, digest: string, source: { kind: 'oci', blob: string } | { kind: 'local', dir: string }, metadata: object, env: Object<string, string> }>}
+ */
+export function resolveFeatures(features, { cacheDir = defaultFeatureCacheDir(), devcontainerDir, cwd, logger = NOOP_LOG }) {
+  const resolved = Object.entries(features || {}).map(([ref, options]) => {
+    const feature = isLocalRef(ref)
+      ? resolveLocalFeature(ref, { devcontainerDir, cwd })
+      : resolveOciFeature(ref, { cacheDir })
+    for (const field of ['privileged', 'securityOpt', 'mounts', 'entrypoint']) {
+      if (feature.metadata[field] !== undefined) {
+        logger.warn(`devcontainer feature "${ref}": "${field}" is not supported (ignored)`)
+      }
+    }
+    return { ...feature, env: featureEnv(feature.metadata, options) }
+  })
+  return installOrder(resolved)
+}
+
+/**
+ * The derived image tag for `baseImage` plus `resolved` features. Same
+ * inputs, same tag — so an unchanged config reuses the image it built last
+ * time.
+ */
+export function featureImageTag(baseImage, resolved) {
+  const hash = createHash('sha256')
+  hash.update(`${baseImage}\n`)
+  for (const feature of resolved) {
+    hash.update(`${feature.digest}\n`)
+    for (const [key, value] of Object.entries(feature.env).sort(([a], [b]) => a.localeCompare(b))) {
+      hash.update(`${key}=${JSON.stringify(value)}\n`)
+    }
+  }
+  return `chroxy-features:${hash.digest('hex').slice(0, 16)}`
+}
+
+/**
+ * Build (or reuse) the derived image for `features` on `baseImage` and
+ * resolve with its tag. `execFile` is the caller's shellout seam and `cli`
+ * the container CLI it runs (`docker`, or `podman` for PodmanBackend).
+ *
+ * @param {{ baseImage: string, features: Array, execFile: Function, cli?: string, logger?: object, timeout?: number }} opts
+ * @returns {Promise<string>}
+ */
+export async function buildFeatureImage({ baseImage, features, execFile, cli = 'docker', logger = NOOP_LOG, timeout = 900_000 }) {
+  if (!baseImage || /\s/.test(baseImage)) {
+    throw new DevcontainerFeatureError(`Invalid base image for devcontainer features: "${baseImage}"`)
+  }
+  const tag = featureImageTag(baseImage, features)
+  if (await imageExists(tag, execFile, cli)) {
+    logger.info(`reusing devcontainer feature image ${tag}`)
+    return tag
+  }
+  const dir = mkdtempSync(join(tmpdir(), 'chroxy-features-'))
+  try {
+    writeBuildContext(dir, baseImage, features, { logger })
+    logger.info(`building devcontainer feature image ${tag} (${features.map(f => f.ref).join(', ')})`)
+    await new Promise((resolvePromise, reject) => {
+      execFile(cli, ['build', '-t', tag, dir], { encoding: 'utf-8', timeout, maxBuffer: 16 * 1024 * 1024 }, (err, _stdout, stderr) => {
+        if (err) {
+          const detail = (stderr || '').trim().slice(-2000) || err.message
+          reject(new DevcontainerFeatureError(`devcontainer feature image build failed: ${detail}`))
+          return
+        }
+        resolvePromise()
+      })
+    })
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+  return tag
+}
+
+function imageExists(tag, execFile, cli) {
+  return new Promise((resolvePromise) => {
+    execFile(cli, ['image', 'inspect', '--format', '{{.Id}}', tag], { encoding: 'utf-8', timeout: 30_000 }, (err) => {
+      resolvePromise(!err)
+    })
+  })
+}
+
+/**
+ * Lay out the build context: one Dockerfile that unpacks each feature,
+ * sources its options and runs `install.sh` as root, then applies the
+ * feature's `containerEnv`. The session's non-root user is created when
+ * the container starts — after this image is built — so features see
+ * root as both `_REMOTE_USER` and `_CONTAINER_USER` and install
+ * system-wide; a feature creating that user itself would collide with
+ * the session's `useradd`.
+ */
+function writeBuildContext(dir, baseImage, features, { logger }) {
+  const lines = [`FROM ${baseImage}`, 'USER root']
+  features.forEach((feature, i) => {
+    const target = `/tmp/chroxy-features/${i}`
+    if (feature.source.kind === 'oci') {
+      copyFileSync(feature.source.blob, join(dir, `feature-${i}.tar`))
+      // ADD unpacks a local tar archive into the target directory.
+      lines.push(`ADD feature-${i}.tar ${target}/`)
+    } else {
+      cpSync(feature.source.dir, join(dir, `feature-${i}`), { recursive: true })
+      lines.push(`COPY feature-${i}/ ${target}/`)
+    }
+    const env = { ...feature.env, _REMOTE_USER: 'root', _REMOTE_USER_HOME: '/root', _CONTAINER_USER: 'root', _CONTAINER_USER_HOME: '/root' }
+    writeFileSync(
+      join(dir, `feature-${i}.env`),
+      Object.entries(env).map(([key, value]) => `${key}=${shellQuote(value)}\n`).join(''),
+    )
+    lines.push(`COPY feature-${i}.env ${target}/devcontainer-features.env`)
+    lines.push(`RUN cd ${target} && chmod +x install.sh && set -a && . ./devcontainer-features.env && set +a && ./install.sh`)
+    for (const [key, value] of Object.entries(feature.metadata.containerEnv || {})) {
+      if (!VALID_ENV_KEY_RE.test(key) || typeof value !== 'string' || /[\r\n]/.test(value)) {
+        logger.warn(`devcontainer feature "${feature.ref}": containerEnv "${key}" rejected`)
+        continue
+      }
+      // Double-quoted so Docker still expands `${PATH}`-style references.
+      lines.push(`ENV ${key}=${JSON.stringify(value)}`)
+    }
+  })
+  lines.push('RUN rm -rf /tmp/chroxy-features')
+  writeFileSync(join(dir, 'Dockerfile'), lines.join('\n') + '\n')
+}
+
+function shellQuote(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`
+}
+
+function isLocalRef(ref) {
+  return ref.startsWith('./') || ref.startsWith('../')
+}
+
+/** The id `installsAfter` / `dependsOn` name a feature by: its ref minus tag and digest. */
+function featureId(ref) {
+  if (isLocalRef(ref)) return ref
+  return ref.replace(/@sha256:[a-f0-9]+$/, '').replace(/:[\w][\w.-]*$/, '')
+}
+
+function resolveLocalFeature(ref, { devcontainerDir, cwd }) {
+  const absCwd = resolve(cwd)
+  const dir = resolve(devcontainerDir, ref)
+  if (dir !== absCwd && !dir.startsWith(absCwd.endsWith(sep) ? absCwd : absCwd + sep)) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" resolves outside the project dir`)
+  }
+  const metadataPath = join(dir, 'devcontainer-feature.json')
+  if (!existsSync(metadataPath) || !existsSync(join(dir, 'install.sh'))) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" needs devcontainer-feature.json and install.sh (looked in ${dir})`)
+  }
+  // Digest the whole directory so an edit to any file rebuilds the image.
+  const hash = createHash('sha256')
+  const files = readdirSync(dir, { recursive: true })
+    .map(String)
+    .filter(f => lstatSync(join(dir, f)).isFile())
+    .sort()
+  for (const file of files) {
+    hash.update(`${file.split(sep).join('/')}\n`)
+    hash.update(readFileSync(join(dir, file)))
+  }
+  return {
+    ref,
+    id: featureId(ref),
+    digest: `sha256:${hash.digest('hex')}`,
+    source: { kind: 'local', dir },
+    metadata: parseMetadata(readFileSync(metadataPath), ref),
+  }
+}
+
+function resolveOciFeature(ref, { cacheDir }) {
+  const match = ref.match(FEATURE_REF_RE)
+  if (!match) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" is not a supported reference (use registry/path:tag or a ./local path)`)
+  }
+  const [, repository, tag = 'latest', digest] = match
+  const root = resolve(cacheDir)
+  const layout = resolve(root, ...repository.split('/'))
+  if (!layout.startsWith(root + sep)) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" is not a supported reference`)
+  }
+  let index
+  try {
+    index = JSON.parse(readFileSync(join(layout, 'index.json'), 'utf-8'))
+  } catch {
+    index = null
+  }
+  const descriptor = index?.manifests?.find(m => digest
+    ? m.digest === digest
+    : m.annotations?.[REF_NAME_ANNOTATION] === tag)
+  if (!descriptor) {
+    throw new DevcontainerFeatureError(
+      `devcontainer feature "${ref}" is not in the feature cache — add it with \`oras copy ${ref} --to-oci-layout ${layout}:${tag}\``,
+    )
+  }
+  const manifest = JSON.parse(readBlob(layout, descriptor.digest, ref).toString('utf-8'))
+  const layer = manifest.layers?.find(l => l.mediaType === FEATURE_LAYER_MEDIA_TYPE) || manifest.layers?.[0]
+  if (!layer) throw new DevcontainerFeatureError(`devcontainer feature "${ref}" has no layer in its manifest`)
+  const tarball = readBlob(layout, layer.digest, ref)
+  const metadata = readTarEntry(tarball, 'devcontainer-feature.json')
+  if (!metadata) throw new DevcontainerFeatureError(`devcontainer feature "${ref}" has no devcontainer-feature.json`)
+  return {
+    ref,
+    id: featureId(ref),
+    digest: layer.digest,
+    source: { kind: 'oci', blob: blobPath(layout, layer.digest, ref) },
+    metadata: parseMetadata(metadata, ref),
+  }
+}
+
+function blobPath(layout, digest, ref) {
+  const m = typeof digest === 'string' && digest.match(/^sha256:([a-f0-9]{64})$/)
+  if (!m) throw new DevcontainerFeatureError(`devcontainer feature "${ref}" has an unsupported digest "${digest}"`)
+  return join(layout, 'blobs', 'sha256', m[1])
+}
+
+/** Read a blob and check it against its digest — the cache is just files on disk. */
+function readBlob(layout, digest, ref) {
+  const path = blobPath(layout, digest, ref)
+  let data
+  try {
+    data = readFileSync(path)
+  } catch {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" is missing blob ${digest} in the feature cache`)
+  }
+  if (`sha256:${createHash('sha256').update(data).digest('hex')}` !== digest) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" blob ${digest} does not match its digest`)
+  }
+  return data
+}
+
+/**
+ * Pull one regular file out of an uncompressed tar (the feature layer
+ * format). Handles ustar's name prefix and a leading `./`; returns null
+ * when the entry isn't there.
+ */
+function readTarEntry(tarball, wanted) {
+  let offset = 0
+  while (offset + 512 <= tarball.length) {
+    const header = tarball.subarray(offset, offset + 512)
+    if (header.every(b => b === 0)) break
+    const field = (start, length) => header.subarray(start, start + length).toString('utf-8').replace(/\0[\s\S]*$/, '')
+    const ustar = header.subarray(257, 263).toString('latin1') === 'ustar\0'
+    const prefix = ustar ? field(345, 155) : ''
+    const name = (prefix ? `${prefix}/` : '') + field(0, 100)
+    const size = parseInt(field(124, 12).trim() || '0', 8)
+    const type = field(156, 1)
+    const body = offset + 512
+    if ((type === '0' || type === '') && name.replace(/^\.\//, '') === wanted) {
+      return tarball.subarray(body, body + size)
+    }
+    offset = body + Math.ceil(size / 512) * 512
+  }
+  return null
+}
+
+function parseMetadata(raw, ref) {
+  let metadata
+  try {
+    metadata = JSON.parse(raw.toString('utf-8'))
+  } catch (err) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" has an unreadable devcontainer-feature.json: ${err.message}`)
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new DevcontainerFeatureError(`devcontainer feature "${ref}" devcontainer-feature.json is not an object`)
+  }
+  return metadata
+}
+
+/**
+ * The option env vars `install.sh` reads: each option's default, then the
+ * user's value. Names follow the spec: non-word characters become `_`,
+ * leading digits/underscores collapse to one `_`, then upper-case.
+ */
+function featureEnv(metadata, options) {
+  const env = {}
+  const set = (id, value) => {
+    if (value == null || typeof value === 'object') return
+    env[id.replace(/[^\w]/g, '_').replace(/^[\d_]+/, '_').toUpperCase()] = String(value)
+  }
+  for (const [id, spec] of Object.entries(metadata.options || {})) set(id, spec?.default)
+  for (const [id, value] of Object.entries(options || {})) set(id, value)
+  return env
+}
+
+/** Stable topological sort on `installsAfter` (soft) and `dependsOn` (hard). */
+function installOrder(features) {
+  const byId = new Map(features.map(f => [f.id, f]))
+  const after = new Map()
+  for (const feature of features) {
+    const deps = new Set()
+    for (const dep of Object.keys(feature.metadata.dependsOn || {})) {
+      const id = featureId(dep)
+      if (!byId.has(id)) {
+        throw new DevcontainerFeatureError(`devcontainer feature "${feature.ref}" depends on "${dep}" — add it to features`)
+      }
+      deps.add(id)
+    }
+    for (const dep of Array.isArray(feature.metadata.installsAfter) ? feature.metadata.installsAfter : []) {
+      const id = featureId(String(dep))
+      if (byId.has(id)) deps.add(id)
+    }
+    deps.delete(feature.id)
+    after.set(feature.id, deps)
+  }
+  const ordered = []
+  const placed = new Set()
+  while (ordered.length < features.length) {
+    const next = features.find(f => !placed.has(f.id) && [...after.get(f.id)].every(id => placed.has(id)))
+    if (!next) {
+      const stuck = features.filter(f => !placed.has(f.id)).map(f => f.ref)
+      throw new DevcontainerFeatureError(`devcontainer features have a dependency cycle: ${stuck.join(', ')}`)
+    }
+    ordered.push(next)
+    placed.add(next.id)
+  }
+  return ordered
+}
@@ -0,0 +1,51 @@
+/**
+ * Host-side half of the devcontainer lifecycle hooks.
+ *
+ * `initializeCommand` is the one hook the devcontainer spec runs on the
+ * HOST, from the project folder, before the container (or its image) is
+ * created — typically to generate a `.env` or fetch credentials the build
+ * needs. Both devcontainer consumers (DockerByokSession and
+ * EnvironmentManager.create()) run it through here. Opting a session or
+ * environment into devcontainer.json is what authorises this: the command
+ * comes from the repository and runs with the daemon's privileges.
+ *
+ * The in-container hooks (`onCreateCommand` … `postAttachCommand`) run
+ * through each consumer's own `docker exec` path.
+ */
+
+import { execFile as realExecFile } from 'child_process'
+
+const NOOP_LOG = { info: () => {}, warn: () => {}, error: () => {} }
+
+/** Same ceiling the in-container hooks use. */
+const INITIALIZE_COMMAND_TIMEOUT_MS = 300_000
+
+/**
+ * Run `command` (a shell string from `parseLifecycleCommand`) on the host
+ * in `cwd`. Rejects with an Error carrying `code: 'initialize_command_failed'`
+ * and the stderr tail — a failed `initializeCommand` aborts the start, as
+ * it does in the devcontainer CLI.
+ *
+ * @param {string} command
+ * @param {{ cwd: string, execFile?: Function, logger?: object, timeout?: number }} opts
+ * @returns {Promise<void>}
+ */
+export function runInitializeCommand(command, { cwd, execFile = realExecFile, logger = NOOP_LOG, timeout = INITIALIZE_COMMAND_TIMEOUT_MS }) {
+  const [shell, args] = process.platform === 'win32'
+    ? [process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', command]]
+    : ['/bin/sh', ['-c', command]]
+  logger.info(`running initializeCommand on the host (cwd=${cwd})`)
+  return new Promise((resolve, reject) => {
+    execFile(shell, args, { cwd, encoding: 'utf-8', timeout, maxBuffer: 4 * 1024 * 1024 }, (err, _stdout, stderr) => {
+      if (err) {
+        const detail = (stderr || '').trim().slice(-2000) || err.message
+        const error = new Error(`initializeCommand failed: ${detail}`)
+        error.code = 'initialize_command_failed'
+        reject(error)
+        return
+      }
+      logger.info('initializeCommand completed')
+      resolve()
+    })
+  })
+}
@@ -104,6 +104,8 @@ function collectRateLimiters(server) {
     // #7004 — the /permission-floor probe's own (much larger) limiter, same
     // closure-re-export pattern.
     server?._permissions?._httpFloorLimiter,
+    // The unauthenticated /permission-action (notification buttons) limiter.
+    server?._permissions?._httpActionLimiter,
   ]
   for (const limiter of candidates) {
     if (limiter && typeof limiter.getEvictionStats === 'function') {
@@ -8,6 +8,11 @@
  * - New files (status: 'added'), deleted files (status: 'deleted')
  * - Renamed files (status: 'renamed')
  * - Binary files (skipped with note)
+ *
+ * Also parses the conflict markers a failed merge / rebase leaves in a working
+ * tree file (`<<<<<<<` / `|||||||` / `=======` / `>>>>>>>`) into ours / base /
+ * theirs regions, and writes per-hunk resolutions back (parseConflictMarkers,
+ * applyConflictResolutions).
  */
 
 /**
@@ -155,3 +160,177 @@ export function parseDiff(diffOutput) {
 
   return files
 }
+
+/**
+ * @typedef {Object} ConflictRegion
+ * @property {'conflict'} type
+ * @property {number} index - 0-based position among the file's conflicts
+ * @property {number} startLine - 1-based line of the `<<<<<<<` marker
+ * @property {string} oursLabel
+ * @property {string[]} ours
+ * @property {string|null} baseLabel - null unless the file was written with diff3 / zdiff3 markers
+ * @property {string[]|null} base
+ * @property {string} theirsLabel
+ * @property {string[]} theirs
+ * @property {string[]} raw - the region verbatim, markers included, for writing it back unresolved
+ */
+
+/**
+ * @typedef {Object} ParsedConflicts
+ * @property {string} eol - '\r\n' when the file uses CRLF, else '\n'
+ * @property {boolean} finalNewline
+ * @property {Array<{ type: 'text', lines: string[] } | ConflictRegion>} segments
+ * @property {number} conflictCount
+ */
+
+// git writes markers of exactly seven characters (the default
+// conflict-marker-size), followed by a space and a label, or by nothing.
+function markerLabel(line, char) {
+  const marker = char.repeat(7)
+  if (line === marker) return ''
+  if (line.startsWith(`${marker} `)) return line.slice(8)
+  return null
+}
+
+/**
+ * Split a working-tree file into plain text and conflict regions.
+ *
+ * A region that never closes, or that is interrupted by another `<<<<<<<`, is
+ * not a conflict git wrote — it stays plain text, and parsing resumes at the
+ * interrupting marker.
+ *
+ * @param {string} text
+ * @returns {ParsedConflicts}
+ */
+export function parseConflictMarkers(text) {
+  const source = typeof text === 'string' ? text : ''
+  const eol = source.includes('\r\n') ? '\r\n' : '\n'
+  const finalNewline = source.endsWith(eol)
+  const lines = source.split(eol)
+  if (finalNewline || source === '') lines.pop()
+
+  const segments = []
+  let textRun = []
+  let region = null
+  let conflictCount = 0
+
+  const flushText = () => {
+    if (textRun.length > 0) segments.push({ type: 'text', lines: textRun })
+    textRun = []
+  }
+  const abandonRegion = () => {
+    textRun.push(...region.raw)
+    region = null
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    const open = markerLabel(line, '<')
+    if (open !== null) {
+      if (region) abandonRegion()
+      region = {
+        section: 'ours',
+        startLine: i + 1,
+        oursLabel: open,
+        ours: [],
+        baseLabel: null,
+        base: null,
+        theirsLabel: '',
+        theirs: [],
+        raw: [line],
+      }
+      continue
+    }
+    if (!region) {
+      textRun.push(line)
+      continue
+    }
+    region.raw.push(line)
+    const baseLabel = region.section === 'ours' ? markerLabel(line, '|') : null
+    if (baseLabel !== null) {
+      region.section = 'base'
+      region.baseLabel = baseLabel
+      region.base = []
+      continue
+    }
+    if (region.section !== 'theirs' && line === '=======') {
+      region.section = 'theirs'
+      continue
+    }
+    const close = region.section === 'theirs' ? markerLabel(line, '>') : null
+    if (close !== null) {
+      flushText()
+      const { section: _section, ...rest } = region
+      segments.push({ type: 'conflict', index: conflictCount++, ...rest, theirsLabel: close })
+      region = null
+      continue
+    }
+    region[region.section].push(line)
+  }
+  if (region) abandonRegion()
+  flushText()
+
+  return { eol, finalNewline, segments, conflictCount }
+}
+
+const CONFLICT_CHOICES = new Set(['ours', 'theirs', 'both', 'base', 'custom'])
+
+/**
+ * Replace the chosen conflict regions with their resolution and render the
+ * file back to text. Regions without a resolution are written back verbatim,
+ * markers included, so a partial resolution never loses the other side.
+ *
+ * Throws on an unknown index or choice, a `base` choice for a region written
+ * without a base section, or a `custom` line carrying a line break.
+ *
+ * @param {ParsedConflicts} parsed
+ * @param {Array<{ index: number, choice: 'ours'|'theirs'|'both'|'base'|'custom', lines?: string[] }>} resolutions
+ * @returns {{ text: string, remaining: number }} remaining - conflict regions left in `text`
+ */
+export function applyConflictResolutions(parsed, resolutions) {
+  const byIndex = new Map()
+  for (const r of resolutions || []) {
+    if (!Number.isInteger(r?.index) || r.index < 0 || r.index >= parsed.conflictCount) {
+      throw new Error(`Unknown conflict hunk: ${r?.index}`)
+    }
+    if (!CONFLICT_CHOICES.has(r.choice)) throw new Error(`Unknown resolution: ${r.choice}`)
+    if (byIndex.has(r.index)) throw new Error(`Conflict hunk ${r.index} resolved twice`)
+    byIndex.set(r.index, r)
+  }
+
+  const out = []
+  for (const segment of parsed.segments) {
+    if (segment.type === 'text') {
+      out.push(...segment.lines)
+      continue
+    }
+    const resolution = byIndex.get(segment.index)
+    if (!resolution) {
+      out.push(...segment.raw)
+      continue
+    }
+    switch (resolution.choice) {
+      case 'ours': out.push(...segment.ours); break
+      case 'theirs': out.push(...segment.theirs); break
+      case 'both': out.push(...segment.ours, ...segment.theirs); break
+      case 'base':
+        if (!segment.base) throw new Error(`Conflict hunk ${segment.index} has no base version`)
+        out.push(...segment.base)
+        break
+      case 'custom': {
+        const lines = resolution.lines
+        if (!Array.isArray(lines) || lines.some(l => typeof l !== 'string' || /[\r\n]/.test(l))) {
+          throw new Error(`Custom resolution for hunk ${segment.index} must be a list of single lines`)
+        }
+        out.push(...lines)
+        break
+      }
+    }
+  }
+
+  let text = out.join(parsed.eol)
+  if (out.length > 0 && parsed.finalNewline) text += parsed.eol
+  // Counted on the output, not inferred: a custom resolution can carry
+  // markers of its own.
+  return { text, remaining: parseConflictMarkers(text).conflictCount }
+}
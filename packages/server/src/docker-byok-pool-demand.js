@@ -0,0 +1,196 @@
+/**
+ * Demand model for the docker-byok container pool's predictive prewarm.
+ *
+ * The pool records every `acquire()` — one per docker-byok session start,
+ * hit or miss — here, bucketed by pool key and local hour of day. Each key
+ * keeps 24 counters that decay with a half-life (default 3 days), so
+ * yesterday's 9am sessions weigh more than last week's and a project that
+ * went quiet fades out instead of being prewarmed forever.
+ *
+ * `expected(key, hour)` turns a counter into "sessions per day in that
+ * hour": a steady daily rate `r` settles at `r / (1 - 0.5^(1/halfLife))`, so
+ * multiplying back by that factor gives the rate. A habit that's `n` days old
+ * reads as `1 - 0.5^(n/halfLife)` of its true rate, less a day's decay by the
+ * next morning, so with the default half-life a shape used at 9am every day
+ * is first prewarmed (threshold 0.5) ahead of its sixth morning.
+ *
+ * The image is the first segment of the pool key, so per-key demand is
+ * per-image demand narrowed to one project and resource shape — the
+ * granularity a prewarmed container has to match anyway.
+ *
+ * State-file shape (`~/.chroxy/docker-byok-pool-demand.json`):
+ *   {
+ *     "version": 1,
+ *     "keys": [
+ *       { "key": "node:22|/work/app|2g|2|node", "hours": [0, …, 3.2, …], "updatedAt": 1760000000000 }
+ *     ]
+ *   }
+ *
+ * Only pool keys and counters are stored — nothing a container was started
+ * with (env, mounts) leaves memory.
+ */
+
+import { existsSync, mkdirSync, readFileSync } from 'node:fs'
+import { dirname } from 'node:path'
+import { configPath } from './config-dir.js'
+import { writeFileRestricted } from './platform.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('docker-byok-pool-demand')
+
+const STATE_VERSION = 1
+const HOURS_PER_DAY = 24
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** Default half-life of a recorded session, in days. */
+export const DEFAULT_DEMAND_HALF_LIFE_DAYS = 3
+
+/** Default cap on tracked keys; the least recently used key is dropped past it. */
+export const DEFAULT_DEMAND_MAX_KEYS = 64
+
+// A key whose counters have all decayed below this is dropped on the next write.
+const MIN_WEIGHT = 0.01
+
+/**
+ * Default on-disk location. Honors CHROXY_CONFIG_DIR like the rest of the
+ * docker-byok stack.
+ */
+export function defaultPoolDemandPath() {
+  return configPath('docker-byok-pool-demand.json')
+}
+
+export class PoolDemandModel {
+  /**
+   * @param {object} [opts]
+   * @param {string|null} [opts.statePath] - On-disk path; `null` keeps the model in memory only.
+   * @param {number} [opts.halfLifeDays=3]
+   * @param {number} [opts.maxKeys=64]
+   * @param {Function} [opts._now] - test seam (Date.now)
+   */
+  constructor({ statePath, halfLifeDays, maxKeys, _now } = {}) {
+    this._statePath = statePath === null ? null : (statePath || defaultPoolDemandPath())
+    this._halfLifeDays = Number.isFinite(halfLifeDays) && halfLifeDays > 0
+      ? halfLifeDays
+      : DEFAULT_DEMAND_HALF_LIFE_DAYS
+    this._maxKeys = Number.isInteger(maxKeys) && maxKeys > 0 ? maxKeys : DEFAULT_DEMAND_MAX_KEYS
+    this._now = typeof _now === 'function' ? _now : Date.now
+    /** @type {Map<string, { hours: number[], updatedAt: number }>} */
+    this._keys = new Map()
+    this._load()
+  }
+
+  /**
+   * Record one session start for `key` at `at` and persist.
+   *
+   * @param {string} key
+   * @param {number} [at] - epoch ms, defaults to now
+   */
+  record(key, at = this._now()) {
+    if (typeof key !== 'string' || key.length === 0) return
+    const slot = this._keys.get(key)
+    const hours = slot ? this._decayed(slot, at) : new Array(HOURS_PER_DAY).fill(0)
+    hours[new Date(at).getHours()] += 1
+    // Delete + set moves the key to the end, so Map order is least recently used first.
+    this._keys.delete(key)
+    this._keys.set(key, { hours, updatedAt: at })
+    this._prune(at)
+    this._persist()
+  }
+
+  /**
+   * Expected sessions per day for `key` in local hour `hour`, as of `at`.
+   *
+   * @param {string} key
+   * @param {number} hour - 0..23
+   * @param {number} [at]
+   * @returns {number}
+   */
+  expected(key, hour, at = this._now()) {
+    const slot = this._keys.get(key)
+    if (!slot) return 0
+    const weight = slot.hours[hour] * this._decayFactor(at - slot.updatedAt)
+    return weight * (1 - Math.pow(0.5, 1 / this._halfLifeDays))
+  }
+
+  /**
+   * Expected sessions for every known key in the local hour containing `at`,
+   * highest first. Keys expecting nothing are left out.
+   *
+   * @param {number} [at]
+   * @returns {Array<{ key: string, hour: number, expected: number }>}
+   */
+  forecast(at = this._now()) {
+    const hour = new Date(at).getHours()
+    const out = []
+    for (const key of this._keys.keys()) {
+      const expected = this.expected(key, hour, at)
+      if (expected > 0) out.push({ key, hour, expected })
+    }
+    out.sort((a, b) => b.expected - a.expected || (a.key < b.key ? -1 : 1))
+    return out
+  }
+
+  /** Number of keys with recorded demand. */
+  size() {
+    return this._keys.size
+  }
+
+  _decayFactor(elapsedMs) {
+    if (!(elapsedMs > 0)) return 1
+    return Math.pow(0.5, elapsedMs / DAY_MS / this._halfLifeDays)
+  }
+
+  _decayed(slot, at) {
+    const factor = this._decayFactor(at - slot.updatedAt)
+    return slot.hours.map((w) => w * factor)
+  }
+
+  _prune(at) {
+    for (const [key, slot] of this._keys) {
+      const factor = this._decayFactor(at - slot.updatedAt)
+      if (slot.hours.every((w) => w * factor < MIN_WEIGHT)) this._keys.delete(key)
+    }
+    while (this._keys.size > this._maxKeys) {
+      this._keys.delete(this._keys.keys().next().value)
+    }
+  }
+
+  _persist() {
+    if (!this._statePath) return
+    try {
+      const dir = dirname(this._statePath)
+      if (!existsSync(dir)) mkdirSync(dir, { recursive: true })
+      const data = {
+        version: STATE_VERSION,
+        keys: [...this._keys].map(([key, slot]) => ({ key, hours: slot.hours, updatedAt: slot.updatedAt })),
+      }
+      writeFileRestricted(this._statePath, JSON.stringify(data))
+    } catch (err) {
+      // Best-effort: losing history only delays prewarming, so a write
+      // failure must not fail the session start that recorded it.
+      log.warn(`failed to persist pool demand: ${err.message}`)
+    }
+  }
+
+  _load() {
+    if (!this._statePath || !existsSync(this._statePath)) return
+    try {
+      const data = JSON.parse(readFileSync(this._statePath, 'utf-8'))
+      if (!data || data.version !== STATE_VERSION || !Array.isArray(data.keys)) return
+      for (const entry of data.keys) {
+        if (
+          !entry
+          || typeof entry.key !== 'string' || !entry.key
+          || !Array.isArray(entry.hours) || entry.hours.length !== HOURS_PER_DAY
+          || !entry.hours.every((w) => Number.isFinite(w) && w >= 0)
+          || !Number.isFinite(entry.updatedAt)
+        ) {
+          continue
+        }
+        this._keys.set(entry.key, { hours: [...entry.hours], updatedAt: entry.updatedAt })
+      }
+    } catch {
+      // Corrupt / non-JSON state file — start with no history rather than crash.
+    }
+  }
+}
@@ -15,10 +15,15 @@
  *   - `recentEvictions`        — ring buffer of the last N evictions
  *                                ({ key, containerId, reason, timestamp }).
  *   - `shutdowns`              — count of `pool:shutdown` events.
+ *   - `prewarms` / `prewarmHits` / `prewarmWaste` / `prewarmFailures`
+ *                              — containers the autoscaler started, how
+ *                                many a session then acquired, how many
+ *                                were evicted unused, and failed launches.
  *
  * The per-key parked-bucket view (size / oldestIdleMs) is NOT tracked here —
  * it's read live from `pool.inspect()` (#5052) at snapshot time so it always
- * reflects the current parked set rather than a replayed event history.
+ * reflects the current parked set rather than a replayed event history. The
+ * reserved memory/CPU and the demand forecast are read live the same way.
  *
  * Memory is bounded by construction: counters are scalars, the eviction
  * history is a fixed-capacity ring buffer (default 50). Listener exceptions
@@ -49,6 +54,10 @@ export class PoolStatsAggregator {
     this._misses = 0
     this._releases = 0
     this._shutdowns = 0
+    this._prewarms = 0
+    this._prewarmHits = 0
+    this._prewarmWaste = 0
+    this._prewarmFailures = 0
     /** @type {Record<string, number>} */
     this._evictionsByReason = Object.create(null)
     /** @type {Array<{ key: string, containerId: string|null, reason: string, timestamp: number }>} */
@@ -74,17 +83,16 @@ export class PoolStatsAggregator {
     // Already wired (to this or any pool) — don't double-subscribe.
     if (this._handlers) return this
 
-    const onHit = () => { this._hits += 1 }
+    const onHit = (payload) => {
+      this._hits += 1
+      if (payload && payload.prewarmed === true) this._prewarmHits += 1
+    }
     const onMiss = () => { this._misses += 1 }
     const onReleased = () => { this._releases += 1 }
     const onEvicted = (payload) => this._recordEviction(payload)
     const onShutdown = () => { this._shutdowns += 1 }
-
-    pool.on(POOL_EVENTS.HIT, onHit)
-    pool.on(POOL_EVENTS.MISS, onMiss)
-    pool.on(POOL_EVENTS.RELEASED, onReleased)
-    pool.on(POOL_EVENTS.EVICTED, onEvicted)
-    pool.on(POOL_EVENTS.SHUTDOWN, onShutdown)
+    const onPrewarmed = () => { this._prewarms += 1 }
+    const onPrewarmFailed = () => { this._prewarmFailures += 1 }
 
     this._pool = pool
     this._handlers = {
@@ -93,6 +101,11 @@ export class PoolStatsAggregator {
       [POOL_EVENTS.RELEASED]: onReleased,
       [POOL_EVENTS.EVICTED]: onEvicted,
       [POOL_EVENTS.SHUTDOWN]: onShutdown,
+      [POOL_EVENTS.PREWARMED]: onPrewarmed,
+      [POOL_EVENTS.PREWARM_FAILED]: onPrewarmFailed,
+    }
+    for (const [event, handler] of Object.entries(this._handlers)) {
+      pool.on(event, handler)
     }
     return this
   }
@@ -123,6 +136,7 @@ export class PoolStatsAggregator {
       ? payload.reason
       : 'unknown'
     this._evictionsByReason[reason] = (this._evictionsByReason[reason] || 0) + 1
+    if (payload.prewarmed === true) this._prewarmWaste += 1
 
     this._recentEvictions.push({
       key: typeof payload.key === 'string' ? payload.key : '',
@@ -148,6 +162,19 @@ export class PoolStatsAggregator {
     return this._hits / total
   }
 
+  /**
+   * Share of settled prewarms that were evicted unused:
+   * waste / (prewarm hits + waste). Prewarmed containers still parked
+   * haven't settled yet and don't count either way. 0 before any settle.
+   *
+   * @returns {number} a value in [0, 1].
+   */
+  prewarmWasteRate() {
+    const settled = this._prewarmHits + this._prewarmWaste
+    if (settled === 0) return 0
+    return this._prewarmWaste / settled
+  }
+
   /**
    * Build a JSON-serialisable snapshot. The per-key parked view is read
    * live from the attached pool's `inspect()` so it reflects the CURRENT
@@ -163,9 +190,16 @@ export class PoolStatsAggregator {
    *   shutdowns: number,
    *   hitRate: number,
    *   totalSize: number,
-   *   buckets: Array<{ key: string, size: number, oldestIdleMs: number }>,
+   *   buckets: Array<{ key: string, size: number, oldestIdleMs: number, prewarmed?: number }>,
    *   evictionsByReason: Record<string, number>,
    *   recentEvictions: Array<{ key: string, containerId: string|null, reason: string, timestamp: number }>,
+   *   prewarms: number,
+   *   prewarmHits: number,
+   *   prewarmWaste: number,
+   *   prewarmFailures: number,
+   *   prewarmWasteRate: number,
+   *   resources: { memoryBytes: number, cpus: number, maxMemoryBytes: number|null, maxCpus: number|null }|null,
+   *   forecast: Array<{ key: string, image: string, hour: number, expected: number, parked: number, prewarmable: boolean }>,
    * }}
    */
   snapshot() {
@@ -181,6 +215,13 @@ export class PoolStatsAggregator {
       hitRate: this.hitRate(),
       totalSize,
       buckets,
+      prewarms: this._prewarms,
+      prewarmHits: this._prewarmHits,
+      prewarmWaste: this._prewarmWaste,
+      prewarmFailures: this._prewarmFailures,
+      prewarmWasteRate: this.prewarmWasteRate(),
+      resources: this._pool && typeof this._pool.resources === 'function' ? this._pool.resources() : null,
+      forecast: this._pool && typeof this._pool.forecast === 'function' ? this._pool.forecast() : [],
       // Shallow copy of the by-reason map so callers can't mutate internals.
       evictionsByReason: { ...this._evictionsByReason },
       // Defensive copy (new array, fresh objects) — bounded by `_cap`.
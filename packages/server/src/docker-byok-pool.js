@@ -54,6 +54,34 @@
  *     of the container id, not the session, so it survives across the
  *     release call and is cleared once the container is evicted.
  *
+ * Predictive prewarm and host pressure
+ * ------------------------------------
+ * Recycling alone still leaves the first session of the day paying the
+ * full cold start. When the pool is given a `PoolDemandModel`
+ * (docker-byok-pool-demand.js), every `acquire()` is recorded per key and
+ * hour of day, and `startAutoscaler()` runs a periodic `autoscale()` tick:
+ *
+ *   - Host pressure first: free memory under `minFreeMemoryRatio` or the
+ *     1-minute load per CPU over `maxLoadPerCpu` evicts every parked
+ *     container (reason 'pressure') and skips prewarming. Parked
+ *     containers are pure cache, so they're the first thing to give back.
+ *   - Otherwise, for each key expected at least `prewarmThreshold` times in
+ *     the hour `prewarmLeadMs` from now, top the bucket up to that many
+ *     (within `maxPerKey`) through the launcher passed to
+ *     `startAutoscaler({ launch })`. Unused prewarmed containers still in
+ *     demand get their idle timer re-armed; the rest idle out like any
+ *     other entry and count as prewarm waste.
+ *
+ * Only keys that describe the whole `docker run` are prewarmed — the
+ * five-segment shape. A devcontainer key's fingerprint stands for mounts,
+ * env and hooks the pool can't reproduce, so those shapes still warm up
+ * only by recycling.
+ *
+ * Every parked container — recycled or prewarmed — counts against the
+ * `maxMemoryBytes` / `maxCpus` ceiling, summed from the `--memory` /
+ * `--cpus` segments of its key. A release or prewarm that would cross it
+ * is evicted ('over_ceiling') instead of parked.
+ *
  * Why a separate module
  * ---------------------
  * Keeps the pool side-effect free from the session's start/destroy path:
@@ -64,7 +92,9 @@
 
 import { execFile as defaultExecFile } from 'child_process'
 import { EventEmitter } from 'events'
+import { cpus, freemem, loadavg, totalmem } from 'os'
 import { createLogger } from './logger.js'
+import { PoolDemandModel } from './docker-byok-pool-demand.js'
 
 const log = createLogger('docker-byok-pool')
 
@@ -76,16 +106,24 @@ const log = createLogger('docker-byok-pool')
  * (dashboard, metrics exporter, debug tooling) subscribe via the
  * standard `EventEmitter` API:
  *
- *   pool.on(POOL_EVENTS.HIT,      ({ key, containerId, timestamp }) => ...)
+ *   pool.on(POOL_EVENTS.HIT,      ({ key, containerId, prewarmed, timestamp }) => ...)
  *   pool.on(POOL_EVENTS.MISS,     ({ key, timestamp }) => ...)
  *   pool.on(POOL_EVENTS.RELEASED, ({ key, containerId, timestamp }) => ...)
- *   pool.on(POOL_EVENTS.EVICTED,  ({ key, containerId, reason, timestamp }) => ...)
+ *   pool.on(POOL_EVENTS.EVICTED,  ({ key, containerId, reason, prewarmed?, timestamp }) => ...)
  *   pool.on(POOL_EVENTS.SHUTDOWN, ({ drained, timestamp }) => ...)
+ *   pool.on(POOL_EVENTS.PREWARMED,      ({ key, containerId, timestamp }) => ...)
+ *   pool.on(POOL_EVENTS.PREWARM_FAILED, ({ key, error, timestamp }) => ...)
+ *
+ * `prewarmed: true` on a hit means the session got a container the
+ * autoscaler started for it; on an eviction it means a prewarmed container
+ * went without ever being acquired (prewarm waste).
  *
  * Eviction reasons:
- *   - 'idle'     — the per-entry idle timer fired
- *   - 'over_cap' — release exceeded per-key or total cap
- *   - 'shutdown' — pool was drained via `shutdown()` (or release after)
+ *   - 'idle'         — the per-entry idle timer fired
+ *   - 'over_cap'     — release exceeded per-key or total cap
+ *   - 'over_ceiling' — parking it would cross the memory/CPU ceiling
+ *   - 'pressure'     — the host ran short of memory or CPU
+ *   - 'shutdown'     — pool was drained via `shutdown()` (or release after)
  *
  * (Hook for #5043: a future 'soiled' reason will be added when the
  * snapshot/restore work lands. Treat the reason set as open.)
@@ -96,6 +134,8 @@ export const POOL_EVENTS = Object.freeze({
   RELEASED: 'pool:released',
   EVICTED: 'pool:evicted',
   SHUTDOWN: 'pool:shutdown',
+  PREWARMED: 'pool:prewarmed',
+  PREWARM_FAILED: 'pool:prewarm_failed',
 })
 
 /** Default idle TTL before an entry is evicted (`docker rm -f`'d). */
@@ -114,6 +154,23 @@ export const DEFAULT_MAX_TOTAL = 8
  */
 export const DEFAULT_MAX_AGE_MS = 30 * 60 * 1000
 
+/** Default period of the autoscaler tick (pressure check + prewarm). */
+export const DEFAULT_AUTOSCALE_INTERVAL_MS = 60 * 1000
+
+/** Default look-ahead: prewarm for the hour this far in the future. */
+export const DEFAULT_PREWARM_LEAD_MS = 15 * 60 * 1000
+
+/** Default expected sessions-per-day in an hour before a key is prewarmed. */
+export const DEFAULT_PREWARM_THRESHOLD = 0.5
+
+/**
+ * Shared-pool defaults for host pressure and the resource ceiling. A pool
+ * constructed directly has neither unless asked for.
+ */
+export const DEFAULT_MIN_FREE_MEMORY_RATIO = 0.1
+export const DEFAULT_MAX_LOAD_PER_CPU = 1.5
+export const DEFAULT_MEMORY_CEILING_RATIO = 0.5
+
 /**
  * Build the canonical cache key for a session's resource shape. Same
  * shape used by `DockerContainerPool#acquire` / `#release` so the
@@ -165,6 +222,84 @@ export function buildPoolKey(spec) {
   return base
 }
 
+/**
+ * Inverse of `buildPoolKey`. Returns null for anything that doesn't split
+ * back into five or six segments — including a cwd that itself contains
+ * `|`, which can't be told apart from the separators.
+ *
+ * @param {string} key
+ * @returns {{ image: string, cwd: string, memoryLimit: string, cpuLimit: string, containerUser: string, devcontainerFingerprint: string|null }|null}
+ */
+export function parsePoolKey(key) {
+  if (typeof key !== 'string') return null
+  const parts = key.split('|')
+  if (parts.length !== 5 && parts.length !== 6) return null
+  if (parts.some((p) => p.length === 0)) return null
+  const [image, cwd, memoryLimit, cpuLimit, containerUser, devcontainerFingerprint = null] = parts
+  return { image, cwd, memoryLimit, cpuLimit, containerUser, devcontainerFingerprint }
+}
+
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }
+
+/**
+ * Bytes for a `docker run --memory` value (`512m`, `2g`, a bare byte
+ * count), or null when it isn't one.
+ *
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+export function parseMemoryLimit(value) {
+  if (typeof value !== 'string') return null
+  const match = /^(\d+(?:\.\d+)?)([bkmg])?$/i.exec(value.trim())
+  if (!match) return null
+  const bytes = Math.floor(Number(match[1]) * MEMORY_UNITS[(match[2] || 'b').toLowerCase()])
+  return bytes > 0 ? bytes : null
+}
+
+/**
+ * CPUs for a `docker run --cpus` value, or null when it isn't one.
+ *
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+export function parseCpuLimit(value) {
+  if (typeof value !== 'string' || !/^\d+(?:\.\d+)?$/.test(value.trim())) return null
+  const n = Number(value)
+  return n > 0 ? n : null
+}
+
+/** Memory/CPU one container of `key` reserves; 0 for a key that doesn't parse. */
+function keyResources(key) {
+  const spec = parsePoolKey(key)
+  return {
+    memoryBytes: (spec && parseMemoryLimit(spec.memoryLimit)) || 0,
+    cpus: (spec && parseCpuLimit(spec.cpuLimit)) || 0,
+  }
+}
+
+/** Whether the autoscaler can start a container for `key` on its own. */
+function isPrewarmableKey(key) {
+  const spec = parsePoolKey(key)
+  return Boolean(spec) && spec.devcontainerFingerprint === null
+}
+
+/**
+ * EVICTED payload for a parked entry. A prewarmed entry is only ever parked
+ * until its first acquire, so the flag here always means "never used".
+ */
+function evictionPayload(key, entry, reason) {
+  const payload = { key, containerId: entry.containerId, reason }
+  if (entry.prewarmed) payload.prewarmed = true
+  return payload
+}
+
+/** Same truthy spellings as `CHROXY_DOCKER_BYOK_POOL`. */
+function isTruthyFlag(raw) {
+  if (typeof raw !== 'string') return false
+  const norm = raw.trim().toLowerCase()
+  return norm === '1' || norm === 'true' || norm === 'yes' || norm === 'on'
+}
+
 /**
  * In-memory idle pool of docker-byok containers, keyed by resource shape.
  *
@@ -180,10 +315,22 @@ export class DockerContainerPool extends EventEmitter {
    * @param {number} [opts.idleTimeoutMs=300000] — TTL per idle entry
    * @param {number} [opts.maxPerKey=2]          — cap per resource shape
    * @param {number} [opts.maxTotal=8]           — cap across all shapes
+   * @param {import('./docker-byok-pool-demand.js').PoolDemandModel|null} [opts.demand]
+   *                                             — session-start history; none → no prewarm
+   * @param {number} [opts.maxMemoryBytes=Infinity] — memory ceiling across parked containers
+   * @param {number} [opts.maxCpus=Infinity]     — CPU ceiling across parked containers
+   * @param {number} [opts.minFreeMemoryRatio=0] — host pressure below this free/total memory
+   * @param {number} [opts.maxLoadPerCpu=Infinity] — host pressure above this 1-min load per CPU
+   * @param {number} [opts.prewarmThreshold=0.5] — expected sessions before a key is prewarmed
+   * @param {number} [opts.prewarmLeadMs=900000] — how far ahead the forecast looks
+   * @param {number} [opts.autoscaleIntervalMs=60000] — autoscaler tick period
    * @param {Function} [opts._execFile]          — test seam (execFile)
    * @param {Function} [opts._setTimeout]        — test seam (setTimeout)
    * @param {Function} [opts._clearTimeout]      — test seam (clearTimeout)
+   * @param {Function} [opts._setInterval]       — test seam (setInterval)
+   * @param {Function} [opts._clearInterval]     — test seam (clearInterval)
    * @param {Function} [opts._now]               — test seam (Date.now)
+   * @param {object} [opts._host]                — test seam ({ freemem, totalmem, loadavg, cpuCount })
    */
   constructor(opts = {}) {
     super()
@@ -230,6 +377,36 @@ export class DockerContainerPool extends EventEmitter {
      */
     this._createdAt = new Map()
     this._shuttingDown = false
+
+    this._demand = opts.demand || null
+    this._maxMemoryBytes = opts.maxMemoryBytes > 0 ? opts.maxMemoryBytes : Infinity
+    this._maxCpus = opts.maxCpus > 0 ? opts.maxCpus : Infinity
+    this._minFreeMemoryRatio = opts.minFreeMemoryRatio > 0 ? opts.minFreeMemoryRatio : 0
+    this._maxLoadPerCpu = opts.maxLoadPerCpu > 0 ? opts.maxLoadPerCpu : Infinity
+    this._prewarmThreshold = opts.prewarmThreshold > 0 ? opts.prewarmThreshold : DEFAULT_PREWARM_THRESHOLD
+    this._prewarmLeadMs = Number.isFinite(opts.prewarmLeadMs) && opts.prewarmLeadMs >= 0
+      ? opts.prewarmLeadMs
+      : DEFAULT_PREWARM_LEAD_MS
+    this._autoscaleIntervalMs = opts.autoscaleIntervalMs > 0 ? opts.autoscaleIntervalMs : DEFAULT_AUTOSCALE_INTERVAL_MS
+    this._setInterval = opts._setInterval || setInterval
+    this._clearInterval = opts._clearInterval || clearInterval
+    this._host = {
+      freemem,
+      totalmem,
+      loadavg,
+      cpuCount: () => cpus().length,
+      ...opts._host,
+    }
+    /** @type {((spec: object) => Promise<string>)|null} set by startAutoscaler() */
+    this._launch = null
+    this._autoscaleTimer = null
+    this._autoscaling = false
+    /**
+     * Prewarm launches in flight, by key. They count against the caps and
+     * the ceiling so a release landing mid-launch can't overshoot either.
+     * @type {Map<string, number>}
+     */
+    this._launching = new Map()
   }
 
   /**
@@ -274,6 +451,9 @@ export class DockerContainerPool extends EventEmitter {
       log.debug(`pool miss (shutting down) for ${key}`)
       return null
     }
+    // Every acquire is a session starting with this shape, hit or miss —
+    // exactly the history the prewarm forecast learns from.
+    if (this._demand) this._demand.record(key, this._now())
     const bucket = this._entries.get(key)
     if (!bucket || bucket.length === 0) {
       this._emitPoolEvent(POOL_EVENTS.MISS, { key, containerId: null, reason: 'empty' })
@@ -302,10 +482,10 @@ export class DockerContainerPool extends EventEmitter {
       this._createdAt.delete(head.containerId)
       if (soiled) {
         this._soiledIds.delete(head.containerId)
-        this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId: head.containerId, reason: 'soiled' })
+        this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, head, 'soiled'))
         log.info(`pool soiled on acquire: evicting ${head.containerId.slice(0, 12)}`)
       } else {
-        this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId: head.containerId, reason: 'over_age' })
+        this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, head, 'over_age'))
         log.info(`pool over-age on acquire (${age}ms > ${this._maxAgeMs}ms): evicting ${head.containerId.slice(0, 12)}`)
       }
       this._evict(head.containerId).catch((err) => {
@@ -320,8 +500,9 @@ export class DockerContainerPool extends EventEmitter {
     const entry = bucket.shift()
     if (bucket.length === 0) this._entries.delete(key)
     this._clearTimeout(entry.timer)
-    this._emitPoolEvent(POOL_EVENTS.HIT, { key, containerId: entry.containerId })
-    log.info(`pool hit: ${entry.containerId.slice(0, 12)} for ${key}`)
+    const prewarmed = entry.prewarmed === true
+    this._emitPoolEvent(POOL_EVENTS.HIT, { key, containerId: entry.containerId, prewarmed })
+    log.info(`pool hit${prewarmed ? ' (prewarmed)' : ''}: ${entry.containerId.slice(0, 12)} for ${key}`)
     return entry.containerId
   }
 
@@ -376,38 +557,81 @@ export class DockerContainerPool extends EventEmitter {
       await this._evict(containerId)
       return false
     }
-    const total = this._totalSize()
-    const bucket = this._entries.get(key) || []
-    if (bucket.length >= this._maxPerKey || total >= this._maxTotal) {
-      this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId, reason: 'over_cap' })
-      log.info(`pool over cap (key=${bucket.length}/${this._maxPerKey} total=${total}/${this._maxTotal}); evicting ${containerId.slice(0, 12)}`)
+    const refusal = this._parkRefusal(key)
+    if (refusal) {
+      this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId, reason: refusal.reason })
+      log.info(`pool ${refusal.detail}; evicting ${containerId.slice(0, 12)}`)
       this._createdAt.delete(containerId)
       await this._evict(containerId)
       return false
     }
-    const timer = this._setTimeout(() => {
-      this._removeEntry(key, containerId, /*alreadyTimedOut*/ true)
-      this._createdAt.delete(containerId)
-      this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId, reason: 'idle' })
-      this._evict(containerId).catch((err) => {
-        log.warn(`idle eviction of ${containerId.slice(0, 12)} failed: ${err.message}`)
-      })
-    }, this._idleTimeoutMs)
-    // setTimeout returns a Timer object on Node; unref so a pooled
-    // container doesn't keep the event loop alive on shutdown.
-    if (timer && typeof timer.unref === 'function') timer.unref()
     this._createdAt.set(containerId, createdAt)
     // Stamp releasedAt on every pooled entry so `inspect()` (#5052) can
     // report `oldestIdleMs` without iterating timers. We already have
     // `now` from the over-age check above; reuse it so the stamp matches
     // the bookkeeping time exactly.
-    bucket.push({ containerId, timer, createdAt, releasedAt: now })
-    this._entries.set(key, bucket)
+    this._park(key, { containerId, timer: null, createdAt, releasedAt: now })
     this._emitPoolEvent(POOL_EVENTS.RELEASED, { key, containerId })
     log.info(`pool release: ${containerId.slice(0, 12)} → ${key} (idle ${this._idleTimeoutMs}ms, age ${age}ms/${this._maxAgeMs}ms)`)
     return true
   }
 
+  /**
+   * Why one more container can't be parked under `key` right now, or null
+   * when it can: the per-key / total caps (prewarm launches in flight
+   * included), the memory/CPU ceiling, then host pressure.
+   *
+   * @param {string} key
+   * @returns {{ reason: string, detail: string }|null}
+   */
+  _parkRefusal(key) {
+    const inFlight = this._launchingTotal()
+    const total = this._totalSize() + inFlight
+    const perKey = this.sizeOf(key) + (this._launching.get(key) || 0)
+    if (perKey >= this._maxPerKey || total >= this._maxTotal) {
+      return { reason: 'over_cap', detail: `over cap (key=${perKey}/${this._maxPerKey} total=${total}/${this._maxTotal})` }
+    }
+    const need = keyResources(key)
+    const reserved = this.resources()
+    if (reserved.memoryBytes + need.memoryBytes > this._maxMemoryBytes || reserved.cpus + need.cpus > this._maxCpus) {
+      return {
+        reason: 'over_ceiling',
+        detail: `over ceiling (memory=${reserved.memoryBytes + need.memoryBytes}/${this._maxMemoryBytes} cpus=${reserved.cpus + need.cpus}/${this._maxCpus})`,
+      }
+    }
+    const pressure = this.hostPressure()
+    if (pressure) return { reason: 'pressure', detail: `under host pressure (${pressure.detail})` }
+    return null
+  }
+
+  /**
+   * Add an entry to its bucket and arm its idle timer. Callers have already
+   * checked `_parkRefusal()`.
+   */
+  _park(key, entry) {
+    const bucket = this._entries.get(key) || []
+    bucket.push(entry)
+    this._entries.set(key, bucket)
+    this._armIdleTimer(key, entry)
+  }
+
+  /** (Re-)arm an entry's idle timer; on expiry it's evicted with reason 'idle'. */
+  _armIdleTimer(key, entry) {
+    if (entry.timer) this._clearTimeout(entry.timer)
+    const timer = this._setTimeout(() => {
+      this._removeEntry(key, entry.containerId, /*alreadyTimedOut*/ true)
+      this._createdAt.delete(entry.containerId)
+      this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, entry, 'idle'))
+      this._evict(entry.containerId).catch((err) => {
+        log.warn(`idle eviction of ${entry.containerId.slice(0, 12)} failed: ${err.message}`)
+      })
+    }, this._idleTimeoutMs)
+    // setTimeout returns a Timer object on Node; unref so a pooled
+    // container doesn't keep the event loop alive on shutdown.
+    if (timer && typeof timer.unref === 'function') timer.unref()
+    entry.timer = timer
+  }
+
   /**
    * Snapshot the current entry count. Useful for tests / dashboards.
    * @returns {number}
@@ -438,6 +662,8 @@ export class DockerContainerPool extends EventEmitter {
    *                       age of the OLDEST parked container (the one
    *                       released longest ago). Useful for leak
    *                       detection and idle-lifetime distribution.
+   *   - `prewarmed`     — how many of them the autoscaler started and no
+   *                       session has used yet.
    *
    * Companion to the structured event stream (#5044):
    *   - Events answer "what did the pool DO recently?"
@@ -447,7 +673,7 @@ export class DockerContainerPool extends EventEmitter {
    * entry objects) MUST NOT affect pool state. We build fresh plain
    * objects and never expose the internal `_entries` Map.
    *
-   * @returns {Array<{ key: string, size: number, oldestIdleMs: number }>}
+   * @returns {Array<{ key: string, size: number, oldestIdleMs: number, prewarmed: number }>}
    */
   inspect() {
     const now = this._now()
@@ -459,14 +685,17 @@ export class DockerContainerPool extends EventEmitter {
       // back to `now` (idle 0) if an entry somehow lacks the stamp so
       // the snapshot stays well-formed in pathological cases.
       let oldestReleasedAt = now
+      let prewarmed = 0
       for (const entry of bucket) {
         const ra = typeof entry.releasedAt === 'number' ? entry.releasedAt : now
         if (ra < oldestReleasedAt) oldestReleasedAt = ra
+        if (entry.prewarmed) prewarmed += 1
       }
       snapshot.push({
         key,
         size: bucket.length,
         oldestIdleMs: now - oldestReleasedAt,
+        prewarmed,
       })
     }
     snapshot.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
@@ -504,6 +733,182 @@ export class DockerContainerPool extends EventEmitter {
     }
   }
 
+  /**
+   * Memory and CPUs reserved by parked containers and prewarm launches in
+   * flight, against the configured ceiling (`null` when unbounded).
+   *
+   * @returns {{ memoryBytes: number, cpus: number, maxMemoryBytes: number|null, maxCpus: number|null }}
+   */
+  resources() {
+    let memoryBytes = 0
+    let cpuTotal = 0
+    const add = (key, count) => {
+      const r = keyResources(key)
+      memoryBytes += r.memoryBytes * count
+      cpuTotal += r.cpus * count
+    }
+    for (const [key, bucket] of this._entries) add(key, bucket.length)
+    for (const [key, count] of this._launching) add(key, count)
+    return {
+      memoryBytes,
+      cpus: cpuTotal,
+      maxMemoryBytes: Number.isFinite(this._maxMemoryBytes) ? this._maxMemoryBytes : null,
+      maxCpus: Number.isFinite(this._maxCpus) ? this._maxCpus : null,
+    }
+  }
+
+  /**
+   * Whether the host is short of memory or CPU by the configured
+   * thresholds, or null when it isn't (or no threshold is set).
+   *
+   * @returns {{ reason: 'memory'|'load', detail: string }|null}
+   */
+  hostPressure() {
+    if (this._minFreeMemoryRatio > 0) {
+      const total = this._host.totalmem()
+      const ratio = total > 0 ? this._host.freemem() / total : 1
+      if (ratio < this._minFreeMemoryRatio) {
+        return { reason: 'memory', detail: `free memory ${(ratio * 100).toFixed(1)}% < ${(this._minFreeMemoryRatio * 100).toFixed(1)}%` }
+      }
+    }
+    if (Number.isFinite(this._maxLoadPerCpu)) {
+      const perCpu = this._host.loadavg()[0] / Math.max(1, this._host.cpuCount())
+      if (perCpu > this._maxLoadPerCpu) {
+        return { reason: 'load', detail: `load ${perCpu.toFixed(2)}/cpu > ${this._maxLoadPerCpu}` }
+      }
+    }
+    return null
+  }
+
+  /**
+   * The demand forecast the next autoscale tick acts on: expected sessions
+   * per key in the hour `prewarmLeadMs` from now, highest first, next to
+   * what's parked. Empty without a demand model.
+   *
+   * @returns {Array<{ key: string, image: string, hour: number, expected: number, parked: number, prewarmable: boolean }>}
+   */
+  forecast() {
+    if (!this._demand) return []
+    return this._demand.forecast(this._now() + this._prewarmLeadMs).map(({ key, hour, expected }) => ({
+      key,
+      image: key.split('|')[0],
+      hour,
+      expected,
+      parked: this.sizeOf(key),
+      prewarmable: isPrewarmableKey(key),
+    }))
+  }
+
+  /**
+   * Start the periodic `autoscale()` tick. `launch(spec)` starts a ready
+   * container for a parsed pool key and resolves its id; without one the
+   * tick only watches host pressure. Idempotent; a no-op after shutdown.
+   *
+   * @param {{ launch?: (spec: object) => Promise<string> }} [opts]
+   */
+  startAutoscaler({ launch } = {}) {
+    if (this._shuttingDown || this._autoscaleTimer) return
+    this._launch = typeof launch === 'function' ? launch : null
+    this._autoscaleTimer = this._setInterval(() => {
+      this.autoscale().catch((err) => log.warn(`autoscale tick failed: ${err.message}`))
+    }, this._autoscaleIntervalMs)
+    if (this._autoscaleTimer && typeof this._autoscaleTimer.unref === 'function') this._autoscaleTimer.unref()
+    log.info(`autoscaler started (every ${this._autoscaleIntervalMs}ms, prewarm ${this._launch && this._demand ? 'on' : 'off'})`)
+  }
+
+  /** Stop the autoscaler tick. Safe to call when it isn't running. */
+  stopAutoscaler() {
+    if (this._autoscaleTimer) this._clearInterval(this._autoscaleTimer)
+    this._autoscaleTimer = null
+  }
+
+  /**
+   * One autoscaler pass: under host pressure evict every parked container
+   * and stop; otherwise prewarm toward the forecast. Overlapping calls
+   * (a slow `docker run` outlasting the interval) are skipped.
+   *
+   * @returns {Promise<{ pressure: string|null, evicted: number, prewarmed: number }>}
+   */
+  async autoscale() {
+    if (this._shuttingDown || this._autoscaling) return { pressure: null, evicted: 0, prewarmed: 0 }
+    this._autoscaling = true
+    try {
+      const pressure = this.hostPressure()
+      if (pressure) {
+        let evicted = 0
+        for (const key of [...this._entries.keys()]) {
+          evicted += await this._drainBucket(key, 'pressure')
+        }
+        if (evicted > 0) log.info(`host pressure (${pressure.detail}): evicted ${evicted} parked container(s)`)
+        return { pressure: pressure.reason, evicted, prewarmed: 0 }
+      }
+      return { pressure: null, evicted: 0, prewarmed: await this._prewarm() }
+    } finally {
+      this._autoscaling = false
+    }
+  }
+
+  /**
+   * Top each forecast key up to its expected demand, one launch at a time.
+   * Returns the number of containers parked.
+   */
+  async _prewarm() {
+    if (!this._launch || !this._demand) return 0
+    let prewarmed = 0
+    for (const { key, expected } of this._demand.forecast(this._now() + this._prewarmLeadMs)) {
+      if (expected < this._prewarmThreshold) break
+      if (!isPrewarmableKey(key)) continue
+      // Still wanted: keep the unused prewarmed containers from idling out.
+      for (const entry of this._entries.get(key) || []) {
+        if (entry.prewarmed) this._armIdleTimer(key, entry)
+      }
+      const want = Math.min(Math.ceil(expected), this._maxPerKey)
+      while (this.sizeOf(key) + (this._launching.get(key) || 0) < want) {
+        if (this._shuttingDown || this._parkRefusal(key)) return prewarmed
+        if (!(await this._prewarmOne(key))) break
+        prewarmed += 1
+      }
+    }
+    return prewarmed
+  }
+
+  /**
+   * Launch and park one prewarmed container for `key`. Resolves false when
+   * the launch failed or the pool could no longer take it.
+   */
+  async _prewarmOne(key) {
+    const spec = parsePoolKey(key)
+    this._launching.set(key, (this._launching.get(key) || 0) + 1)
+    let containerId
+    try {
+      containerId = await this._launch(spec)
+    } catch (err) {
+      this._emitPoolEvent(POOL_EVENTS.PREWARM_FAILED, { key, error: err.message })
+      log.warn(`prewarm for ${key} failed: ${err.message}`)
+      return false
+    } finally {
+      const left = (this._launching.get(key) || 1) - 1
+      if (left > 0) this._launching.set(key, left)
+      else this._launching.delete(key)
+    }
+    const now = this._now()
+    const entry = { containerId, timer: null, createdAt: now, releasedAt: now, prewarmed: true }
+    this._emitPoolEvent(POOL_EVENTS.PREWARMED, { key, containerId })
+    // The pool may have filled up, crossed the ceiling or shut down while
+    // the container was starting.
+    const refusal = this._shuttingDown ? { reason: 'shutdown', detail: 'shut down' } : this._parkRefusal(key)
+    if (refusal) {
+      this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, entry, refusal.reason))
+      log.info(`prewarmed ${containerId.slice(0, 12)} not parked: ${refusal.detail}`)
+      await this._evict(containerId)
+      return false
+    }
+    this._createdAt.set(containerId, now)
+    this._park(key, entry)
+    log.info(`prewarmed ${containerId.slice(0, 12)} → ${key}`)
+    return true
+  }
+
   /**
    * #6135 slice 2 — drain mutating action. Evict EVERY idle pooled container
    * across all keys WITHOUT terminating the pool (unlike `shutdown()`, the
@@ -576,10 +981,10 @@ export class DockerContainerPool extends EventEmitter {
     const ids = bucket.map((e) => e.containerId)
     for (const entry of bucket) this._clearTimeout(entry.timer)
     this._entries.delete(key)
-    for (const containerId of ids) {
-      this._createdAt.delete(containerId)
-      this._soiledIds.delete(containerId)
-      this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId, reason })
+    for (const entry of bucket) {
+      this._createdAt.delete(entry.containerId)
+      this._soiledIds.delete(entry.containerId)
+      this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, entry, reason))
     }
     await Promise.all(ids.map((containerId) => this._evict(containerId).catch((err) => {
       log.warn(`${reason} eviction of ${containerId.slice(0, 12)} failed: ${err.message}`)
@@ -603,7 +1008,7 @@ export class DockerContainerPool extends EventEmitter {
         this._clearTimeout(entry.timer)
         this._createdAt.delete(entry.containerId)
         this._soiledIds.delete(entry.containerId)
-        this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId: entry.containerId, reason })
+        this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, entry, reason))
         evictedIds.push(entry.containerId)
       }
       if (bucket.length === 0) this._entries.delete(key)
@@ -625,7 +1030,7 @@ export class DockerContainerPool extends EventEmitter {
         this._removeEntry(key, entry.containerId)
         this._createdAt.delete(entry.containerId)
         this._soiledIds.delete(entry.containerId)
-        this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId: entry.containerId, reason })
+        this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, entry, reason))
         evictedIds.push(entry.containerId)
       }
     }
@@ -690,18 +1095,20 @@ export class DockerContainerPool extends EventEmitter {
   }
 
   /**
-   * Cancel all idle timers and `docker rm -f` every entry. After
-   * shutdown, `acquire()` always returns null and `release()` evicts
-   * inline. Idempotent.
+   * Stop the autoscaler, cancel all idle timers and `docker rm -f` every
+   * entry. After shutdown, `acquire()` always returns null and `release()`
+   * evicts inline; a prewarm launch still in flight is evicted when it
+   * lands. Idempotent.
    */
   async shutdown() {
     this._shuttingDown = true
-    /** @type {Array<{ key: string, containerId: string }>} */
+    this.stopAutoscaler()
+    /** @type {Array<{ key: string, entry: object }>} */
     const toRemove = []
     for (const [key, bucket] of this._entries.entries()) {
       for (const entry of bucket) {
         this._clearTimeout(entry.timer)
-        toRemove.push({ key, containerId: entry.containerId })
+        toRemove.push({ key, entry })
       }
     }
     this._entries.clear()
@@ -713,11 +1120,11 @@ export class DockerContainerPool extends EventEmitter {
     // Emit per-container eviction BEFORE the final pool:shutdown so a
     // listener that drains counters into a snapshot has all of them
     // accounted for when the "done" event arrives.
-    for (const { key, containerId } of toRemove) {
-      this._emitPoolEvent(POOL_EVENTS.EVICTED, { key, containerId, reason: 'shutdown' })
+    for (const { key, entry } of toRemove) {
+      this._emitPoolEvent(POOL_EVENTS.EVICTED, evictionPayload(key, entry, 'shutdown'))
     }
-    await Promise.all(toRemove.map(({ containerId }) => this._evict(containerId).catch((err) => {
-      log.warn(`shutdown eviction of ${containerId.slice(0, 12)} failed: ${err.message}`)
+    await Promise.all(toRemove.map(({ entry }) => this._evict(entry.containerId).catch((err) => {
+      log.warn(`shutdown eviction of ${entry.containerId.slice(0, 12)} failed: ${err.message}`)
     })))
     this._emitPoolEvent(POOL_EVENTS.SHUTDOWN, { drained: toRemove.length })
   }
@@ -732,6 +1139,12 @@ export class DockerContainerPool extends EventEmitter {
     return n
   }
 
+  _launchingTotal() {
+    let n = 0
+    for (const count of this._launching.values()) n += count
+    return n
+  }
+
   /**
    * Remove an entry from the bucket without evicting. Used by the idle
    * timer callback (which then evicts separately) so the pool's view of
@@ -784,6 +1197,15 @@ let _sharedPool = null
  *   - CHROXY_DOCKER_BYOK_POOL_IDLE_MS — override idle TTL (ms)
  *   - CHROXY_DOCKER_BYOK_POOL_MAX_PER_KEY — override per-key cap
  *   - CHROXY_DOCKER_BYOK_POOL_MAX_TOTAL — override total cap
+ *   - CHROXY_DOCKER_BYOK_POOL_MAX_MEMORY — memory ceiling across parked
+ *     containers, in `--memory` syntax (default half the host's memory)
+ *   - CHROXY_DOCKER_BYOK_POOL_MAX_CPUS — CPU ceiling (default the host's
+ *     CPU count)
+ *
+ * The shared pool always learns demand (persisted to
+ * `docker-byok-pool-demand.json` in the config dir) and evicts under host
+ * pressure once its autoscaler is started; prewarming additionally needs
+ * `CHROXY_DOCKER_BYOK_POOL_PREWARM` (see `isPrewarmEnabled`).
  *
  * @param {Record<string,string|undefined>} [env=process.env]
  * @returns {DockerContainerPool|null}
@@ -813,6 +1235,12 @@ export function getSharedPool(env = process.env) {
     maxPerKey: Number.isFinite(maxPerKey) && maxPerKey > 0 ? maxPerKey : undefined,
     maxTotal: Number.isFinite(maxTotal) && maxTotal > 0 ? maxTotal : undefined,
     maxAgeMs,
+    demand: new PoolDemandModel(),
+    maxMemoryBytes: parseMemoryLimit(env.CHROXY_DOCKER_BYOK_POOL_MAX_MEMORY)
+      ?? Math.floor(totalmem() * DEFAULT_MEMORY_CEILING_RATIO),
+    maxCpus: parseCpuLimit(env.CHROXY_DOCKER_BYOK_POOL_MAX_CPUS) ?? cpus().length,
+    minFreeMemoryRatio: DEFAULT_MIN_FREE_MEMORY_RATIO,
+    maxLoadPerCpu: DEFAULT_MAX_LOAD_PER_CPU,
   })
   return _sharedPool
 }
@@ -826,10 +1254,20 @@ export function getSharedPool(env = process.env) {
  * @returns {boolean}
  */
 export function isPoolEnabled(env = process.env) {
-  const raw = env.CHROXY_DOCKER_BYOK_POOL
-  if (typeof raw !== 'string') return false
-  const norm = raw.trim().toLowerCase()
-  return norm === '1' || norm === 'true' || norm === 'yes' || norm === 'on'
+  return isTruthyFlag(env.CHROXY_DOCKER_BYOK_POOL)
+}
+
+/**
+ * Whether the shared pool should prewarm containers from its demand
+ * forecast (`CHROXY_DOCKER_BYOK_POOL_PREWARM`). Separate from
+ * `isPoolEnabled` because prewarming starts containers no session has asked
+ * for yet; it only matters when the pool itself is on.
+ *
+ * @param {Record<string,string|undefined>} [env=process.env]
+ * @returns {boolean}
+ */
+export function isPrewarmEnabled(env = process.env) {
+  return isPoolEnabled(env) && isTruthyFlag(env.CHROXY_DOCKER_BYOK_POOL_PREWARM)
 }
 
 /**
@@ -837,5 +1275,6 @@ export function isPoolEnabled(env = process.env) {
  * across cases. Production code never calls this.
  */
 export function _resetSharedPool() {
+  if (_sharedPool) _sharedPool.stopAutoscaler()
   _sharedPool = null
 }
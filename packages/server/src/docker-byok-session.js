@@ -113,6 +113,16 @@
  *     and evicts inline instead of pooling. UI / multi-snapshot listing
  *     is deferred to a follow-up.
  *
+ * Network egress
+ * --------------
+ *   - A restricted `egress` policy (opt, devcontainer.json
+ *     `customizations.chroxy.egress`, or the config default) starts an
+ *     EgressGateway (egress/egress-gateway.js) and launches the container
+ *     on its internal network. The agent loop itself stays on the host,
+ *     so no hosts are essential — the policy covers tool traffic only.
+ *   - Pooling is disabled under a restricted policy; compose mode refuses
+ *     one outright.
+ *
  * Per `project_worktree_before_docker.md` in project memory: worktree
  * isolation happens BEFORE Docker. This class does not own worktree
  * setup — the SessionManager / environment-manager already worktree the
@@ -143,11 +153,17 @@ import {
   parseDevContainer,
   validateMounts,
   sanitizeContainerEnv,
+  validateRunArgs,
+  validateCapAdd,
 } from './devcontainer-config.js'
+import { resolveFeatures, buildFeatureImage } from './devcontainer-features.js'
+import { runInitializeCommand } from './devcontainer-lifecycle.js'
 import { isOperatorTimeoutInRange } from './duration.js'
 import { getErrorMessage } from './utils/error-message.js'
 import { VALID_USERNAME_RE } from './utils/validation-patterns.js'
 import { configPath } from './config-dir.js'
+import { resolveEgressPolicy, isRestrictedEgress } from './egress/egress-policy.js'
+import { startSessionEgressGateway } from './egress/egress-gateway.js'
 
 const log = createLogger('docker-byok')
 
@@ -337,6 +353,87 @@ export function normalizePostCreateCommand(value) {
   throw new Error('postCreateCommand must be a string or an array of strings')
 }
 
+/**
+ * The `docker run` flags every docker-byok container starts with: resource
+ * limits, hardening, and the project bind mount. Shared by
+ * `_startContainer()` and `launchPrewarmContainer()` so a prewarmed
+ * container matches one a session would have started itself.
+ */
+function baseRunArgs({ cwd, memoryLimit, cpuLimit }) {
+  return [
+    'run', '-d', '--init', '--rm',
+    '--memory', memoryLimit,
+    '--cpus', cpuLimit,
+    '--pids-limit', '512',
+    '--cap-drop', 'ALL',
+    '--security-opt', 'no-new-privileges',
+    '-v', `${cwd}:${CONTAINER_WORKSPACE}`,
+    '-w', CONTAINER_WORKSPACE,
+  ]
+}
+
+/** Create the non-root user and hand it /workspace — run as root once per container. */
+function userSetupCommand(user) {
+  return [
+    `useradd -m -s /bin/bash ${user}`,
+    `chown ${user}:${user} ${CONTAINER_WORKSPACE}`,
+  ].join(' && ')
+}
+
+/**
+ * Start a ready-to-acquire container for a pool key — the docker-byok
+ * pool's prewarm launcher (`pool.startAutoscaler({ launch })`). Runs the
+ * same `docker run` + user setup a plain session would (no devcontainer
+ * overlay, no egress gateway, which the pool never prewarms) and resolves
+ * the container id. The key comes back off disk from the demand history,
+ * so its fields are re-checked before they reach docker.
+ *
+ * @param {{ image: string, cwd: string, memoryLimit: string, cpuLimit: string, containerUser: string }} spec
+ *   From `parsePoolKey()`
+ * @param {object} [opts]
+ * @param {Function} [opts.execFile] - test seam (child_process.execFile)
+ * @param {Record<string,string|undefined>} [opts.env=process.env]
+ * @param {string} [opts.platform=process.platform]
+ * @returns {Promise<string>}
+ */
+export function launchPrewarmContainer(spec, { execFile: exec = execFile, env = process.env, platform = process.platform } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!spec || typeof spec.image !== 'string' || spec.image.startsWith('-') || !isAbsolute(spec.cwd || '')) {
+      reject(new Error('invalid prewarm spec'))
+      return
+    }
+    if (!VALID_USERNAME_RE.test(spec.containerUser)) {
+      reject(new Error(`invalid container user "${spec.containerUser}"`))
+      return
+    }
+    const runArgs = baseRunArgs(spec)
+    if (env.ANTHROPIC_API_KEY) runArgs.push('--env', `ANTHROPIC_API_KEY=${env.ANTHROPIC_API_KEY}`)
+    if (platform === 'linux') runArgs.push('--add-host', 'host.docker.internal:host-gateway')
+    runArgs.push(spec.image, 'sleep', 'infinity')
+
+    exec('docker', runArgs, { encoding: 'utf-8', timeout: 120_000 }, (err, stdout, stderr) => {
+      if (err) {
+        const classified = classifyDockerError(err, stderr)
+        const error = new Error(classified.message)
+        error.code = classified.code
+        reject(error)
+        return
+      }
+      const containerId = stdout.trim()
+      exec('docker', ['exec', containerId, 'bash', '-c', userSetupCommand(spec.containerUser)], { encoding: 'utf-8', timeout: 30_000 }, (setupErr) => {
+        if (!setupErr) {
+          resolve(containerId)
+          return
+        }
+        // Half-set-up containers never reach the pool.
+        exec('docker', ['rm', '-f', containerId], { maxBuffer: 64 * 1024 }, () => {
+          reject(new Error(`Failed to create container user: ${setupErr.message}`))
+        })
+      })
+    })
+  })
+}
+
 export class DockerByokSession extends ClaudeByokSession {
   // #5891: declare Claude-family membership explicitly rather than inheriting it
   // from ClaudeByokSession. Docker-BYOK runs Claude/Anthropic-key models in a
@@ -409,9 +506,12 @@ export class DockerByokSession extends ClaudeByokSession {
    *   — when true, parse `.devcontainer/devcontainer.json` (or the
    *   `.devcontainer.json` sidecar) from cwd and overlay its
    *   `image` / `remoteUser` / `containerEnv` / `mounts` /
-   *   `forwardPorts` / `postCreateCommand` onto the launch. Explicit
-   *   constructor opts always win; devcontainer.json is the fallback
-   *   default. No-op when the file is absent or malformed.
+   *   `forwardPorts` / `runArgs` / `capAdd` / `features` and the
+   *   lifecycle hooks onto the launch. Explicit constructor opts always
+   *   win; devcontainer.json is the fallback default. No-op when the
+   *   file is absent or malformed. Opting in trusts the repo: its
+   *   `initializeCommand` runs on the host and `${localEnv:VAR}` reads
+   *   the host environment.
    *
    *   This is opt-in (not auto-discovery from cwd) so existing
    *   sessions whose cwd happens to contain a devcontainer.json don't
@@ -444,6 +544,9 @@ export class DockerByokSession extends ClaudeByokSession {
    * @param {number} [opts.postCreateTimeoutMs=300_000]
    *   #5025: Cap on how long postCreateCommand can run before it's
    *   treated as a hang (default 5 minutes).
+   * @param {string} [opts.featureCacheDir]          OCI-layout cache the
+   *   devcontainer.json `features` resolve from (devcontainer-features.js).
+   *   Defaults to `<config dir>/devcontainer-features`.
    * @param {string} [opts.snapshotImage]            Restore from a snapshot tag
    *   produced by a previous `snapshot()` call (#5023). When set, the
    *   container is launched from this image instead of `opts.image`, the
@@ -457,6 +560,15 @@ export class DockerByokSession extends ClaudeByokSession {
    * @param {string} [opts.sourceSessionId]          Optional session id to
    *   embed in snapshot metadata. The session itself has no sessionId
    *   field; the SessionManager owns the id and can pass it through.
+   * @param {{policy: string, domains: string[]}} [opts.egress] Per-session
+   *   network egress policy (egress/egress-policy.js). Wins over a
+   *   devcontainer.json `customizations.chroxy.egress`, which wins over
+   *   `opts.defaultEgress` (the config default) unless that is itself
+   *   restricted. A restricted policy starts an EgressGateway before the
+   *   container, disables pooling, and is refused in compose mode.
+   * @param {{policy: string, domains: string[]}} [opts.defaultEgress] The
+   *   config-level egress policy.
+   * @param {string} [opts.egressProxyImage]         Image for the egress proxy.
    * @param {object} [opts._dockerBackend]           Test seam — pre-built backend
    * @param {Function} [opts._execFile]              Test seam — used by preflight
    *   (defaults to child_process.execFile)
@@ -499,6 +611,11 @@ export class DockerByokSession extends ClaudeByokSession {
     // false), which keeps the pool key shape backward-compatible for
     // non-devcontainer sessions.
     this._devcontainerFingerprint = null
+    // devcontainer.json `features`, resolved into install order by
+    // `_resolveDevContainer()` and built into a derived image before the
+    // pool lookup. null when none are declared (or an explicit image wins).
+    this._dcFeatures = null
+    this._featureCacheDir = opts.featureCacheDir || undefined
 
     // #5024: Docker Compose support. When `composeFile` is set, start()
     // shells out `docker compose up -d` against that file and attaches
@@ -593,6 +710,14 @@ export class DockerByokSession extends ClaudeByokSession {
     // release and inline `docker rm -f`.
     this._acquiredFromPool = false
 
+    // Network egress. Provisional until start(): devcontainer.json can still
+    // slot in between the explicit policy and the config default.
+    this._explicitEgress = opts.egress || null
+    this._defaultEgress = opts.defaultEgress || null
+    this._egressPolicy = resolveEgressPolicy({ explicit: this._explicitEgress, configDefault: this._defaultEgress })
+    this._egressProxyImage = opts.egressProxyImage || null
+    this._egressGateway = null
+
     // #5025 — DevContainer-style postCreateCommand hook. Normalised to
     // a single string (arrays joined with ` && `) and SHA-256-hashed so
     // a marker file on /tmp lets a reused pool container skip the run
@@ -617,6 +742,11 @@ export class DockerByokSession extends ClaudeByokSession {
       : null
   }
 
+  /** The network egress policy this session's container runs under. */
+  get egressPolicy() {
+    return this._egressPolicy
+  }
+
   /**
    * Preflight check: confirm the local Docker daemon is reachable
    * before any state mutation. Resolves true on success, rejects with
@@ -735,6 +865,11 @@ export class DockerByokSession extends ClaudeByokSession {
           }
         }
       }
+      // postAttachCommand runs for every session that attaches —
+      // fresh container or pool hit alike.
+      if (this._dcConfig?.postAttachCommand) {
+        await this._runDevcontainerHooks(['postAttachCommand'])
+      }
     } else {
       // External container — verify it's reachable before we lie to
       // the model about being ready.
@@ -1062,6 +1197,41 @@ export class DockerByokSession extends ClaudeByokSession {
     // provisioned against the old config.
     if (this._useDevcontainer) {
       this._resolveDevContainer()
+      // The spec runs `initializeCommand` on the host before anything
+      // else — including on a pool hit, like every `devcontainer up`.
+      if (this._dcConfig?.initializeCommand) {
+        await runInitializeCommand(this._dcConfig.initializeCommand, {
+          cwd: this.cwd || process.cwd(),
+          execFile: this._execFile,
+          logger: log,
+        })
+      }
+    }
+    this._egressPolicy = resolveEgressPolicy({
+      explicit: this._explicitEgress,
+      devcontainer: this._dcConfig?.egress || null,
+      configDefault: this._defaultEgress,
+    })
+    if (isRestrictedEgress(this._egressPolicy)) {
+      // A compose stack brings its own networks, which the gateway can't
+      // fence in, so refuse rather than run it unfiltered.
+      if (this._composeFile) {
+        const error = new Error(`the "${this._egressPolicy.policy}" egress policy is not supported for compose stacks`)
+        error.code = 'egress_unsupported'
+        throw error
+      }
+      // Pooled containers sit on the default network and go back to the
+      // pool for any session; neither fits a fenced-in container.
+      this._pool = null
+      const gateway = await startSessionEgressGateway(this, {
+        policy: this._egressPolicy,
+        image: this._egressProxyImage,
+      })
+      if (this._destroying) {
+        await gateway.stop()
+        return
+      }
+      this._egressGateway = gateway
     }
     // #5024 / #5078: compose mode short-circuits the entire pool +
     // bare-image path. The compose stack owns its own container;
@@ -1081,6 +1251,17 @@ export class DockerByokSession extends ClaudeByokSession {
     if (this._dcBuild && !this._explicitImage) {
       await this._buildDevcontainerImage()
     }
+    // Features layer onto whichever image was just resolved (pulled or
+    // built). Also before the pool lookup: the derived tag is the image
+    // segment of the key, so a changed feature set misses the pool.
+    if (this._dcFeatures && !this._snapshotImage) {
+      this._image = await buildFeatureImage({
+        baseImage: this._image,
+        features: this._dcFeatures,
+        execFile: this._execFile,
+        logger: log,
+      })
+    }
     if (this._pool && !this._snapshotImage) {
       const key = this._poolKey()
       const reused = this._pool.acquire(key)
@@ -1151,6 +1332,7 @@ export class DockerByokSession extends ClaudeByokSession {
       ...config,
       mounts: validateMounts(config.mounts, cwd, { logger: log }),
       containerEnv: sanitizeContainerEnv(config.containerEnv, { logger: log }),
+      runArgs: validateRunArgs(config.runArgs, { logger: log }),
     }
     // #5078 — devcontainer.json may declare a build (Dockerfile) or a
     // compose stack. Resolve those onto session state here so
@@ -1159,14 +1341,22 @@ export class DockerByokSession extends ClaudeByokSession {
     // fallback, mirroring the image/remoteUser precedence above.
     this._resolveDevContainerBuild(config, cwd)
     this._resolveDevContainerCompose(config, cwd)
+    this._resolveDevContainerFeatures(config, cwd)
+    // Features may ask for capabilities too; both lists go through the
+    // same allowlist.
+    this._dcConfig.capAdd = validateCapAdd([
+      ...(config.capAdd || []),
+      ...(this._dcFeatures || []).flatMap(f => Array.isArray(f.metadata.capAdd) ? f.metadata.capAdd : []),
+    ], { logger: log })
     // #5080: Compute the pool-key fingerprint from the FULLY-RESOLVED
     // overlay (after mount validation + env sanitisation), not the raw
     // parsed file. That way two devcontainer.json files that differ
     // only in rejected fields produce the same fingerprint (and reuse a
     // container) while any genuine config change cache-busts the key.
     // The fingerprint covers ONLY non-key overlay fields (mounts,
-    // containerEnv, forwardPorts, postCreateCommand) — image and
-    // remoteUser are already first-class segments of the pool key, so
+    // containerEnv, forwardPorts, runArgs, capAdd and the per-container
+    // hooks) — image and remoteUser (and the feature-derived image tag)
+    // are already first-class segments of the pool key, so
     // including them in the fingerprint would cause spurious cache
     // misses when an explicit constructor opt has overridden them but
     // the devcontainer.json file value changed.
@@ -1281,6 +1471,33 @@ export class DockerByokSession extends ClaudeByokSession {
     this._pool = null
   }
 
+  /**
+   * Resolve devcontainer.json `features` from the local feature cache
+   * (devcontainer-features.js) into `this._dcFeatures`. Same precedence as
+   * `build`: an explicit constructor `image` wins and the features are
+   * skipped. A compose stack builds its own images, so features are
+   * ignored there too. Resolution errors (a feature missing from the
+   * cache, a dependency cycle) throw and fail the start.
+   */
+  _resolveDevContainerFeatures(config, cwd) {
+    this._dcFeatures = null
+    if (!config || !config.features) return
+    if (this._explicitImage) {
+      log.info('devcontainer.json features ignored — explicit image opt wins')
+      return
+    }
+    if (this._composeFile) {
+      log.warn('devcontainer.json features are not supported for compose stacks (ignored)')
+      return
+    }
+    this._dcFeatures = resolveFeatures(config.features, {
+      cacheDir: this._featureCacheDir,
+      devcontainerDir: config.dir || cwd,
+      cwd,
+      logger: log,
+    })
+  }
+
   /**
    * #5078 — Build a Docker image from a devcontainer.json `build` /
    * `dockerFile` declaration via `docker build`, then use the resulting
@@ -1352,7 +1569,9 @@ export class DockerByokSession extends ClaudeByokSession {
    * impossible within a single host's pool.
    *
    * Fingerprinted fields are **only** the non-key overlay state —
-   * `mounts`, `containerEnv`, `forwardPorts`, `postCreateCommand`. The
+   * `mounts`, `containerEnv`, `forwardPorts`, `runArgs`, `capAdd` and the
+   * hooks that run once per container (`onCreateCommand`,
+   * `postCreateCommand`, `postStartCommand`). The
    * resolved `image` and `remoteUser` are NOT fingerprinted because
    * they're already first-class segments of the pool key (and because
    * an explicit constructor opt may have overridden the devcontainer.json
@@ -1379,7 +1598,11 @@ export class DockerByokSession extends ClaudeByokSession {
       mounts: resolved.mounts,
       containerEnv: resolved.containerEnv,
       forwardPorts: resolved.forwardPorts,
+      runArgs: resolved.runArgs,
+      capAdd: resolved.capAdd,
+      onCreateCommand: resolved.onCreateCommand,
       postCreateCommand: resolved.postCreateCommand,
+      postStartCommand: resolved.postStartCommand,
     }
     return createHash('sha1').update(this._canonicalStringify(fingerprintInput)).digest('hex').slice(0, 16)
   }
@@ -1549,16 +1772,11 @@ export class DockerByokSession extends ClaudeByokSession {
    */
   _startContainer() {
     return new Promise((resolve, reject) => {
-      const runArgs = [
-        'run', '-d', '--init', '--rm',
-        '--memory', this._memoryLimit,
-        '--cpus', this._cpuLimit,
-        '--pids-limit', '512',
-        '--cap-drop', 'ALL',
-        '--security-opt', 'no-new-privileges',
-        '-v', `${this.cwd || process.cwd()}:${CONTAINER_WORKSPACE}`,
-        '-w', CONTAINER_WORKSPACE,
-      ]
+      const runArgs = baseRunArgs({
+        cwd: this.cwd || process.cwd(),
+        memoryLimit: this._memoryLimit,
+        cpuLimit: this._cpuLimit,
+      })
 
       // Issue AC: forward ANTHROPIC_API_KEY at `docker run` time. The
       // agent loop on the host is what actually authenticates to the
@@ -1605,9 +1823,25 @@ export class DockerByokSession extends ClaudeByokSession {
             }
           }
         }
+        // `capAdd` / `runArgs` were filtered to a sandbox-safe set by
+        // `_resolveDevContainer()`. `--cap-add` after `--cap-drop ALL`
+        // gives back just the named capabilities.
+        if (Array.isArray(dc.capAdd)) {
+          for (const cap of dc.capAdd) {
+            runArgs.push('--cap-add', cap)
+          }
+        }
+        if (Array.isArray(dc.runArgs)) {
+          runArgs.push(...dc.runArgs)
+        }
       }
 
-      if (process.platform === 'linux') {
+      if (this._egressGateway) {
+        runArgs.push(...this._egressGateway.workloadRunArgs())
+        if (dc && Array.isArray(dc.forwardPorts) && dc.forwardPorts.length > 0) {
+          log.warn('devcontainer.json forwardPorts are unreachable from the host behind an egress gateway')
+        }
+      } else if (process.platform === 'linux') {
         runArgs.push('--add-host', 'host.docker.internal:host-gateway')
       }
 
@@ -1642,10 +1876,7 @@ export class DockerByokSession extends ClaudeByokSession {
         // Set up non-root user + chown workspace so the model isn't
         // running as root inside the container. Same script
         // docker-sdk-session uses — keep the two in lockstep.
-        const setupCmd = [
-          `useradd -m -s /bin/bash ${this._containerUser}`,
-          `chown ${this._containerUser}:${this._containerUser} ${CONTAINER_WORKSPACE}`,
-        ].join(' && ')
+        const setupCmd = userSetupCommand(this._containerUser)
 
         this._execFile('docker', [
           'exec', this._containerId, 'bash', '-c', setupCmd,
@@ -1656,32 +1887,46 @@ export class DockerByokSession extends ClaudeByokSession {
           }
           log.info(`created non-root user "${this._containerUser}" in container`)
 
-          // #5024: devcontainer.json postCreateCommand. Runs once,
-          // after useradd, as the non-root user. Failures are
-          // non-fatal — log a warning so the session can still start.
-          // postCreateCommand in devcontainer.json is primarily for
-          // installing language toolchains; bound at 5 minutes here,
-          // same ceiling DockerBackend._runPostCreateCommand uses.
-          const dcLocal = this._dcConfig
-          if (dcLocal && typeof dcLocal.postCreateCommand === 'string' && dcLocal.postCreateCommand.length > 0) {
-            this._execFile('docker', [
-              'exec', '-u', this._containerUser, this._containerId, 'bash', '-c', dcLocal.postCreateCommand,
-            ], { encoding: 'utf-8', timeout: 300_000 }, (postErr) => {
-              if (postErr) {
-                log.warn(`postCreateCommand failed (non-fatal): ${postErr.message}`)
-              } else {
-                log.info('postCreateCommand completed')
-              }
-              resolve()
-            })
-            return
-          }
-          resolve()
+          // #5024: devcontainer.json lifecycle hooks for a new
+          // container — onCreateCommand, postCreateCommand, then
+          // postStartCommand — after useradd, as the non-root user.
+          // Failures are non-fatal so the session can still start.
+          this._runDevcontainerHooks(['onCreateCommand', 'postCreateCommand', 'postStartCommand']).then(resolve)
         })
       })
     })
   }
 
+  /**
+   * Run devcontainer.json lifecycle hooks inside the container, in order,
+   * as the non-root user. A failure is logged, not thrown — the
+   * devcontainer.json hooks are primarily toolchain installs and the
+   * session is still usable without them — but it stops the remaining
+   * hooks, as in the devcontainer CLI. Bound at 5 minutes each.
+   *
+   * @param {string[]} fields - Hook names from `LIFECYCLE_COMMANDS`.
+   * @returns {Promise<void>}
+   */
+  async _runDevcontainerHooks(fields) {
+    for (const field of fields) {
+      const command = this._dcConfig?.[field]
+      if (typeof command !== 'string' || command.length === 0) continue
+      const ok = await new Promise((resolve) => {
+        this._execFile('docker', [
+          'exec', '-u', this._containerUser, this._containerId, 'bash', '-c', command,
+        ], { encoding: 'utf-8', timeout: 300_000 }, (err) => {
+          if (err) {
+            log.warn(`${field} failed (non-fatal): ${err.message}`)
+          } else {
+            log.info(`${field} completed`)
+          }
+          resolve(!err)
+        })
+      })
+      if (!ok) return
+    }
+  }
+
   /**
    * #5025 — DevContainer-style postCreateCommand hook.
    *
@@ -2089,7 +2334,9 @@ export class DockerByokSession extends ClaudeByokSession {
     // by the down call indirectly via the project metadata, and we want
     // a clean teardown order — compose first, then secret material).
     const composeEnvFile = this._composeEnvFile
+    const gateway = this._egressGateway
     const cwd = this.cwd || process.cwd()
+    this._egressGateway = null
     this._containerId = null
     this._containerReady = false
     this._acquiredFromPool = false
@@ -2139,6 +2386,8 @@ export class DockerByokSession extends ClaudeByokSession {
         log.info(`removing container ${containerId.slice(0, 12)}${acquiredFromPool ? ' (was pooled)' : ''}`)
         await this._rmContainer(containerId)
       }
+      // Last: the network can only go once the container has left it.
+      if (gateway) await gateway.stop()
     }
   }
 
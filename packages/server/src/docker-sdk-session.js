@@ -5,6 +5,8 @@ import { classifyDockerError } from './docker-session.js'
 import { DockerBackend, FORWARDED_ENV_KEYS, DEFAULT_CONTAINER_CLI_PATH } from './environments/backends/docker.js'
 import { BILLING_CLASSES } from './billing-class.js'
 import { VALID_USERNAME_RE } from './utils/validation-patterns.js'
+import { resolveEgressPolicy, isRestrictedEgress, essentialEgressHosts } from './egress/egress-policy.js'
+import { startSessionEgressGateway } from './egress/egress-gateway.js'
 
 const log = createLogger('docker-sdk')
 
@@ -25,6 +27,10 @@ const log = createLogger('docker-sdk')
  *   query()   -> spawnClaudeCodeProcess -> `docker exec -i <id> node <cli.js> ...`
  *   destroy() -> `docker rm -f <id>`
  *
+ * A restricted egress policy puts an owned container behind an EgressGateway
+ * (egress/egress-gateway.js) started just before it. An external container
+ * belongs to an environment, whose own gateway already enforces its policy.
+ *
  * Key findings from spike (#2472):
  *   1. The SDK passes host's absolute path to cli.js as args[0] -- must remap
  *   2. Claude Code refuses --dangerously-skip-permissions as root -- need non-root user
@@ -129,6 +135,11 @@ export class DockerSdkSession extends SdkSession {
     }
     this._containerUser = user
     this._containerCliPath = containerCliPath
+    // Per-session policy first, then the config default. For an external
+    // container this only records the environment's policy (see class doc).
+    this._egressPolicy = resolveEgressPolicy({ explicit: opts.egress || null, configDefault: opts.defaultEgress || null })
+    this._egressProxyImage = opts.egressProxyImage || null
+    this._egressGateway = null
     // #3468 + #3501: `_stdinForwardingDisabled` is initialised by the
     // SdkSession parent constructor from the `stdinForwardingDisabled` opt
     // (see #3540 + #3576 — restored sessions hydrate the latched flag via
@@ -138,6 +149,11 @@ export class DockerSdkSession extends SdkSession {
     // off, defeating the persistence introduced in PR #3564.
   }
 
+  /** The network egress policy this session's container runs under. */
+  get egressPolicy() {
+    return this._egressPolicy
+  }
+
   /**
    * Start the session: launch the container, set up the non-root user,
    * install Claude Code, then call super.start() to mark ready.
@@ -223,6 +239,28 @@ export class DockerSdkSession extends SdkSession {
    * Uses async execFile to avoid blocking the event loop during image pull.
    */
   _startContainer(callback) {
+    // A restricted policy needs its gateway up first: the container joins the
+    // gateway's network at `docker run` time. The CLI install below goes
+    // through the proxy too, hence the npm registry in the essential hosts.
+    if (isRestrictedEgress(this._egressPolicy) && !this._egressGateway) {
+      startSessionEgressGateway(this, {
+        policy: this._egressPolicy,
+        essential: essentialEgressHosts({ installsCli: true }),
+        image: this._egressProxyImage,
+      }).then((gateway) => {
+        if (this._destroying) {
+          gateway.stop()
+          return
+        }
+        this._egressGateway = gateway
+        this._startContainer(callback)
+      }, (err) => {
+        err.code = 'egress_error'
+        callback(err)
+      })
+      return
+    }
+
     const runArgs = [
       'run', '-d', '--init', '--rm',
       '--memory', this._memoryLimit,
@@ -240,8 +278,10 @@ export class DockerSdkSession extends SdkSession {
       runArgs.push('--env', `ANTHROPIC_API_KEY=${apiKey}`)
     }
 
-    // On Linux, host.docker.internal is not available by default
-    if (process.platform === 'linux') {
+    if (this._egressGateway) {
+      runArgs.push(...this._egressGateway.workloadRunArgs())
+    } else if (process.platform === 'linux') {
+      // On Linux, host.docker.internal is not available by default
       runArgs.push('--add-host', 'host.docker.internal:host-gateway')
     }
 
@@ -391,6 +431,8 @@ export class DockerSdkSession extends SdkSession {
   destroy() {
     const containerId = this._containerId
     this._containerId = null
+    const gateway = this._egressGateway
+    this._egressGateway = null
 
     super.destroy()
 
@@ -398,9 +440,12 @@ export class DockerSdkSession extends SdkSession {
       log.info(`Removing container ${containerId.slice(0, 12)}`)
       execFile('docker', ['rm', '-f', containerId], { stdio: 'ignore' }, (err) => {
         if (err) log.warn(`Failed to remove container ${containerId.slice(0, 12)}: ${err.message}`)
+        // The network can only go once the container has left it.
+        gateway?.stop()
       })
-    } else if (containerId) {
-      log.info(`Disconnecting from external container ${containerId.slice(0, 12)} (not removing)`)
+    } else {
+      if (containerId) log.info(`Disconnecting from external container ${containerId.slice(0, 12)} (not removing)`)
+      gateway?.stop()
     }
   }
 }
@@ -4,6 +4,8 @@ import { CliSession } from './cli-session.js'
 import { createLogger } from './logger.js'
 import { BILLING_CLASSES } from './billing-class.js'
 import { getChroxyHostEnv } from './chroxy-host-metadata.js'
+import { resolveEgressPolicy, isRestrictedEgress, essentialEgressHosts } from './egress/egress-policy.js'
+import { startSessionEgressGateway } from './egress/egress-gateway.js'
 
 const log = createLogger('docker-session')
 
@@ -93,10 +95,16 @@ const FORWARDED_ENV_KEYS = [
  *   The container process must reach the host's HTTP server.  On macOS/Windows
  *   `host.docker.internal` resolves automatically; on Linux we add
  *   `--add-host host.docker.internal:host-gateway` to the run args.
+ *
+ * Network egress:
+ *   A restricted policy (egress/egress-policy.js) starts an EgressGateway
+ *   before the container and puts the container on its internal network;
+ *   the hook port is then one of the proxy's essential hosts.
  */
 export class DockerSession extends CliSession {
   static get capabilities() {
-    return { ...CliSession.capabilities, containerized: true }
+    // The container is the sandbox; bwrap doesn't nest inside it.
+    return { ...CliSession.capabilities, containerized: true, bwrapSandbox: false }
   }
 
   /**
@@ -174,6 +182,15 @@ export class DockerSession extends CliSession {
     this._image = opts.image || 'node:22-slim'
     this._memoryLimit = opts.memoryLimit || '2g'
     this._cpuLimit = opts.cpuLimit || '2'
+    // Per-session policy first, then the config default (no devcontainer here).
+    this._egressPolicy = resolveEgressPolicy({ explicit: opts.egress || null, configDefault: opts.defaultEgress || null })
+    this._egressProxyImage = opts.egressProxyImage || null
+    this._egressGateway = null
+  }
+
+  /** The network egress policy this session's container runs under. */
+  get egressPolicy() {
+    return this._egressPolicy
   }
 
   /**
@@ -206,6 +223,27 @@ export class DockerSession extends CliSession {
    * Uses async execFile to avoid blocking the event loop during image pull.
    */
   _startContainer(callback) {
+    // A restricted policy needs its gateway up first: the container joins the
+    // gateway's network at `docker run` time.
+    if (isRestrictedEgress(this._egressPolicy) && !this._egressGateway) {
+      startSessionEgressGateway(this, {
+        policy: this._egressPolicy,
+        essential: essentialEgressHosts({ hookPort: this._port }),
+        image: this._egressProxyImage,
+      }).then((gateway) => {
+        if (this._destroying) {
+          gateway.stop()
+          return
+        }
+        this._egressGateway = gateway
+        this._startContainer(callback)
+      }, (err) => {
+        err.code = 'egress_error'
+        callback(err)
+      })
+      return
+    }
+
     const args = [
       'run', '-d', '--init', '--rm',
       '--memory', this._memoryLimit,
@@ -223,8 +261,12 @@ export class DockerSession extends CliSession {
       args.push('--env', `ANTHROPIC_API_KEY=${apiKey}`)
     }
 
-    // On Linux, host.docker.internal is not available by default
-    if (process.platform === 'linux') {
+    if (this._egressGateway) {
+      // Behind the gateway the container has no route to the host; the proxy
+      // reaches host.docker.internal on its behalf.
+      args.push(...this._egressGateway.workloadRunArgs())
+    } else if (process.platform === 'linux') {
+      // On Linux, host.docker.internal is not available by default
       args.push('--add-host', 'host.docker.internal:host-gateway')
     }
 
@@ -372,12 +414,15 @@ export class DockerSession extends CliSession {
   }
 
   /**
-   * Destroy the session: stop the exec process, remove the container,
-   * then call super.destroy() to clean up CliSession state.
+   * Destroy the session: stop the exec process, remove the container (and
+   * its egress gateway, if any), then call super.destroy() to clean up
+   * CliSession state.
    */
   destroy() {
     const containerId = this._containerId
     this._containerId = null
+    const gateway = this._egressGateway
+    this._egressGateway = null
 
     super.destroy()
 
@@ -385,7 +430,11 @@ export class DockerSession extends CliSession {
       log.info(`Removing container ${containerId.slice(0, 12)}`)
       execFile('docker', ['rm', '-f', containerId], { stdio: 'ignore' }, (err) => {
         if (err) log.warn(`Failed to remove container ${containerId.slice(0, 12)}: ${err.message}`)
+        // The network can only go once the container has left it.
+        gateway?.stop()
       })
+    } else {
+      gateway?.stop()
     }
   }
 }
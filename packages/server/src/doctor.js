@@ -278,6 +278,116 @@ export async function checkTunnelRoutability(deps = {}) {
   }
 }
 
+/**
+ * Podman environment backend preflight. Only run when `environments.backend`
+ * is 'podman' — a Docker install never needs podman on PATH.
+ *
+ * - `podman info` failing is a `fail`: every environment would fail to start.
+ * - Rootless Podman without subordinate uid ranges (/etc/subuid) is a `warn`:
+ *   containers start, but images that ship files owned by a non-root uid
+ *   can't be unpacked and `--userns=keep-id` has nothing to map around.
+ * - A missing `podman-compose` is a `warn`: only compose-style environments
+ *   need it.
+ *
+ * @param {object} [deps]
+ * @param {(bin: string, args: string[]) => string} [deps.exec]
+ * @returns {Array<{ name: string, status: 'pass'|'warn'|'fail', message: string }>}
+ */
+export function checkPodmanBackend(deps = {}) {
+  const {
+    exec = (bin, args) => execFileSync(bin, args, { encoding: 'utf-8', timeout: 10_000, stdio: ['ignore', 'pipe', 'pipe'] }),
+  } = deps
+  const checks = []
+  let info
+  try {
+    info = JSON.parse(exec('podman', ['info', '--format', 'json']))
+  } catch (err) {
+    const detail = String(err?.stderr || err?.message || err).trim().split('\n')[0]
+    return [{
+      name: 'Podman',
+      status: 'fail',
+      message: `'podman info' failed (${detail}) — environments.backend is 'podman'; install Podman (on macOS, start it with 'podman machine start')`,
+    }]
+  }
+  const version = info?.version?.Version || 'unknown version'
+  const rootless = info?.host?.security?.rootless === true
+  const uidmap = info?.host?.idMappings?.uidmap
+  if (rootless && Array.isArray(uidmap) && uidmap.length < 2) {
+    checks.push({
+      name: 'Podman',
+      status: 'warn',
+      message: `podman ${version}, rootless, but no subordinate uid range is mapped — add one to /etc/subuid and /etc/subgid, then run 'podman system migrate'`,
+    })
+  } else {
+    checks.push({ name: 'Podman', status: 'pass', message: `podman ${version}${rootless ? ', rootless' : ''}` })
+  }
+  try {
+    const out = exec('podman-compose', ['--version'])
+    // `podman-compose version 1.0.6` (also prints the podman version after it)
+    const found = String(out).match(/podman-compose version (\S+)/i)
+    checks.push({
+      name: 'podman-compose',
+      status: 'pass',
+      message: found ? `podman-compose ${found[1]}` : 'installed',
+    })
+  } catch {
+    checks.push({
+      name: 'podman-compose',
+      status: 'warn',
+      message: "Not found — only needed for compose-style environments; install with 'pip install podman-compose'",
+    })
+  }
+  return checks
+}
+
+/**
+ * Bubblewrap preflight for the `sandbox: 'bwrap'` session option. Linux only
+ * (returns null elsewhere); both problems are a `warn`, since only sandboxed
+ * sessions need bwrap.
+ *
+ * - `bwrap --version` failing means bubblewrap isn't installed.
+ * - A smoke run (`bwrap … --unshare-user … true`) failing usually means the
+ *   kernel or an AppArmor profile blocks unprivileged user namespaces.
+ *
+ * @param {object} [deps]
+ * @param {(bin: string, args: string[]) => string} [deps.exec]
+ * @param {string} [deps.platform]
+ * @returns {{ name: string, status: 'pass'|'warn', message: string } | null}
+ */
+export function checkBwrapSandbox(deps = {}) {
+  const {
+    exec = (bin, args) => execFileSync(bin, args, { encoding: 'utf-8', timeout: 10_000, stdio: ['ignore', 'pipe', 'pipe'] }),
+    platform = process.platform,
+  } = deps
+  if (platform !== 'linux') return null
+  let version
+  try {
+    // `bubblewrap 0.9.0`
+    const found = String(exec('bwrap', ['--version'])).match(/bubblewrap (\S+)/i)
+    version = found ? `bwrap ${found[1]}` : 'bwrap'
+  } catch {
+    return {
+      name: 'bwrap sandbox',
+      status: 'warn',
+      message: "Not found — only needed for sandbox 'bwrap' sessions; install the bubblewrap package",
+    }
+  }
+  try {
+    exec('bwrap', [
+      '--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc',
+      '--unshare-user', '--unshare-pid', '--die-with-parent', '--', 'true',
+    ])
+  } catch (err) {
+    const detail = String(err?.stderr || err?.message || err).trim().split('\n')[0]
+    return {
+      name: 'bwrap sandbox',
+      status: 'warn',
+      message: `${version} can't create a sandbox (${detail}) — unprivileged user namespaces are likely disabled (kernel.unprivileged_userns_clone, or AppArmor's userns restriction)`,
+    }
+  }
+  return { name: 'bwrap sandbox', status: 'pass', message: version }
+}
+
 /**
  * Run all preflight dependency checks and return results.
  *
@@ -328,6 +438,7 @@ export async function runDoctorChecks({ port, providers, verbose: _verbose, pkgD
   // #5328 (WP-5.6): named-tunnel coordinates for the routability probe (step 5.6).
   let tunnelMode = null
   let tunnelHostname = null
+  let environmentBackend = null
   if (existsSync(configFile())) {
     try {
       const config = JSON.parse(readFileSync(configFile(), 'utf-8'))
@@ -345,6 +456,7 @@ export async function runDoctorChecks({ port, providers, verbose: _verbose, pkgD
         }
       }
       if (typeof config.tunnelHostname === 'string') tunnelHostname = config.tunnelHostname
+      if (typeof config.environments?.backend === 'string') environmentBackend = config.environments.backend
       // #5419: register config-driven Anthropic-compatible endpoints before
       // provider resolution so a config.provider pointing at one preflights
       // its credential spec instead of failing as "Unknown provider".
@@ -525,6 +637,16 @@ export async function runDoctorChecks({ port, providers, verbose: _verbose, pkgD
     if (tuiCheck) checks.push(tuiCheck)
   }
 
+  // 5.7 Podman environment backend — only when selected, like the provider
+  // checks above.
+  if (environmentBackend === 'podman') {
+    for (const c of checkPodmanBackend()) checks.push(c)
+  }
+
+  // 5.8 Bubblewrap, for `sandbox: 'bwrap'` sessions (Linux only).
+  const bwrapCheck = checkBwrapSandbox()
+  if (bwrapCheck) checks.push(bwrapCheck)
+
   // 6. Dependencies
   // Resolve deps relative to the server package, not process.cwd() — Tauri
   // launches the server with cwd='/' under launchd, which would always
@@ -0,0 +1,255 @@
+/**
+ * EgressGateway — enforces a restricted egress policy for one container.
+ *
+ * Docker has no per-container outbound firewall we can drive without root on
+ * the host, so enforcement is topological instead:
+ *
+ *   - the workload joins a per-gateway `--internal` network, which has no
+ *     route out of the host at all;
+ *   - a small proxy container (`filter-proxy.js` on `node:22-slim`) sits on
+ *     both that network and the default bridge, reachable from the workload
+ *     as `egress-proxy:3128`;
+ *   - the workload gets `HTTP_PROXY` / `HTTPS_PROXY` pointing at it, so
+ *     well-behaved clients (npm, pip, curl, git, the Claude CLI) route through
+ *     the allowlist, and anything that ignores the proxy simply has no route.
+ *
+ * Blocked attempts are read back from the proxy's log and emitted as
+ * `'blocked'` events, coalesced per host:port so a client retrying in a loop
+ * surfaces as one event with a count rather than a flood.
+ *
+ * Lifecycle: `start()` before the workload's `docker run` (so its
+ * {@link EgressGateway#workloadRunArgs} can reference the network), `stop()`
+ * after the workload is removed, `resume()` after a server restart for a
+ * workload that outlived it.
+ */
+
+import { EventEmitter } from 'events'
+import { execFile, spawn } from 'child_process'
+import { readFileSync } from 'fs'
+import { randomBytes } from 'crypto'
+import { createInterface } from 'readline'
+import { createLogger } from '../logger.js'
+import { CHROXY_MANAGED_LABEL, CHROXY_LABEL_KIND } from '../environments/backends/docker.js'
+import { egressAllowRules, egressBlockedMessage, isRestrictedEgress } from './egress-policy.js'
+
+const log = createLogger('egress-gateway')
+
+/** Image the proxy runs on. Any image with Node 18+ works; override via `egress.proxyImage`. */
+export const DEFAULT_EGRESS_PROXY_IMAGE = 'node:22-slim'
+
+/** Network alias and port the workload's proxy variables point at. */
+export const EGRESS_PROXY_ALIAS = 'egress-proxy'
+export const EGRESS_PROXY_PORT = 3128
+
+/** Window over which repeated blocks of the same host:port fold into one event. */
+const BLOCKED_COALESCE_MS = 2_000
+
+// Read once: the proxy source is handed to `node -e` inside the container, so
+// the gateway never depends on a bind mount of the server's install path.
+let proxySource = null
+function filterProxySource() {
+  if (proxySource === null) {
+    proxySource = readFileSync(new URL('./filter-proxy.js', import.meta.url), 'utf-8')
+  }
+  return proxySource
+}
+
+export class EgressGateway extends EventEmitter {
+  /**
+   * @param {Object} opts
+   * @param {{ policy: string, domains: string[] }} opts.policy - A normalized, restricted policy.
+   * @param {string[]} [opts.essential] - Hosts the workload needs regardless of policy.
+   * @param {string} [opts.id] - Suffix for the network and proxy names (random by default).
+   * @param {string} [opts.image] - Proxy image (default {@link DEFAULT_EGRESS_PROXY_IMAGE}).
+   * @param {string} [opts.cli] - Container CLI to run (default `docker`; `podman` works too).
+   * @param {string[]} [opts.hostRouteArgs] - `run` args that map `host.docker.internal`
+   *   for the proxy (default: the host-gateway mapping on Linux).
+   * @param {Function} [opts._execFile] - Injected execFile (testing seam).
+   * @param {Function} [opts._spawn] - Injected spawn (testing seam).
+   */
+  constructor({ policy, essential = [], id, image, cli = 'docker', hostRouteArgs, _execFile, _spawn } = {}) {
+    super()
+    this.policy = policy
+    this.id = id || randomBytes(6).toString('hex')
+    this.networkName = `chroxy-egress-${this.id}`
+    this.proxyName = `chroxy-egress-proxy-${this.id}`
+    this._rules = egressAllowRules(policy, essential)
+    this._image = image || DEFAULT_EGRESS_PROXY_IMAGE
+    this._cli = cli
+    this._hostRouteArgs = hostRouteArgs
+      || (process.platform === 'linux' ? ['--add-host', 'host.docker.internal:host-gateway'] : [])
+    this._execFile = _execFile || execFile
+    this._spawn = _spawn || spawn
+    this._follower = null
+    this._pending = new Map()
+    this._stopped = false
+  }
+
+  /**
+   * Create the internal network and the proxy container, then start following
+   * the proxy's log. On failure anything already created is removed again.
+   */
+  async start() {
+    this._stopped = false
+    log.info(`Starting egress gateway ${this.id} (policy: ${this.policy.policy}, ${this._rules.length} allowed host(s))`)
+    try {
+      await this._docker(['network', 'create', '--internal',
+        '--label', `${CHROXY_MANAGED_LABEL}=true`,
+        '--label', `${CHROXY_LABEL_KIND}=egress`,
+        this.networkName,
+      ], 30_000)
+      await this._startProxy()
+      await this._docker(['network', 'connect', '--alias', EGRESS_PROXY_ALIAS, this.networkName, this.proxyName], 30_000)
+    } catch (err) {
+      await this.stop()
+      throw new Error(`Failed to start egress gateway: ${err.message}`)
+    }
+    this._follow()
+  }
+
+  /**
+   * Re-attach to a gateway whose workload survived a server restart. A proxy
+   * that is still running is only re-followed; a missing one is recreated on
+   * the existing network.
+   */
+  async resume() {
+    this._stopped = false
+    let running = false
+    try {
+      running = (await this._docker(['inspect', '-f', '{{.State.Running}}', this.proxyName], 10_000)).trim() === 'true'
+    } catch {
+      running = false
+    }
+    if (!running) {
+      await this._docker(['rm', '-f', this.proxyName], 10_000).catch(() => {})
+      await this._startProxy()
+      await this._docker(['network', 'connect', '--alias', EGRESS_PROXY_ALIAS, this.networkName, this.proxyName], 30_000)
+    }
+    this._follow()
+  }
+
+  /** Remove the proxy and the network. Best-effort: never throws. */
+  async stop() {
+    this._stopped = true
+    if (this._follower) {
+      this._follower.kill()
+      this._follower = null
+    }
+    for (const entry of this._pending.values()) clearTimeout(entry.timer)
+    this._pending.clear()
+    await this._docker(['rm', '-f', this.proxyName], 30_000).catch((err) => {
+      log.warn(`Failed to remove egress proxy ${this.proxyName}: ${err.message}`)
+    })
+    await this._docker(['network', 'rm', this.networkName], 30_000).catch((err) => {
+      if (!/not found|no such network/i.test(err.message)) {
+        log.warn(`Failed to remove egress network ${this.networkName}: ${err.message}`)
+      }
+    })
+  }
+
+  /**
+   * `docker run` arguments that put a workload behind this gateway: the
+   * internal network plus the proxy variables in both spellings, since tools
+   * disagree on which one they read.
+   *
+   * @returns {string[]}
+   */
+  workloadRunArgs() {
+    const proxyUrl = `http://${EGRESS_PROXY_ALIAS}:${EGRESS_PROXY_PORT}`
+    const noProxy = 'localhost,127.0.0.1'
+    return [
+      '--network', this.networkName,
+      '--env', `HTTP_PROXY=${proxyUrl}`,
+      '--env', `HTTPS_PROXY=${proxyUrl}`,
+      '--env', `NO_PROXY=${noProxy}`,
+      '--env', `http_proxy=${proxyUrl}`,
+      '--env', `https_proxy=${proxyUrl}`,
+      '--env', `no_proxy=${noProxy}`,
+    ]
+  }
+
+  _startProxy() {
+    const args = [
+      'run', '-d', '--init', '--rm',
+      '--name', this.proxyName,
+      '--label', `${CHROXY_MANAGED_LABEL}=true`,
+      '--label', `${CHROXY_LABEL_KIND}=egress`,
+      '--memory', '128m',
+      '--cpus', '0.5',
+      '--pids-limit', '64',
+      '--cap-drop', 'ALL',
+      '--security-opt', 'no-new-privileges',
+      '--env', 'CHROXY_EGRESS_PROXY_MAIN=1',
+      '--env', `CHROXY_EGRESS_PROXY_PORT=${EGRESS_PROXY_PORT}`,
+      '--env', `CHROXY_EGRESS_RULES=${JSON.stringify(this._rules)}`,
+    ]
+    // The permission hook lives on the host; the proxy forwards to it.
+    args.push(...this._hostRouteArgs)
+    args.push(this._image, 'node', '--input-type=module', '-e', filterProxySource())
+    return this._docker(args, 120_000)
+  }
+
+  _follow() {
+    if (this._follower) return
+    const child = this._spawn(this._cli, ['logs', '-f', '--tail', '0', this.proxyName], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })
+    this._follower = child
+    createInterface({ input: child.stdout }).on('line', (line) => this._onProxyLine(line))
+    child.on('error', (err) => log.warn(`Egress proxy log follower failed: ${err.message}`))
+    child.on('exit', () => {
+      if (this._follower === child) this._follower = null
+    })
+  }
+
+  _onProxyLine(line) {
+    let event
+    try {
+      event = JSON.parse(line)
+    } catch {
+      return
+    }
+    if (event?.event !== 'blocked' || typeof event.host !== 'string' || !Number.isInteger(event.port)) return
+    const key = `${event.host}:${event.port}`
+    const pending = this._pending.get(key)
+    if (pending) {
+      pending.count++
+      return
+    }
+    const entry = { host: event.host, port: event.port, count: 1 }
+    entry.timer = setTimeout(() => {
+      this._pending.delete(key)
+      if (this._stopped) return
+      this.emit('blocked', { host: entry.host, port: entry.port, policy: this.policy.policy, count: entry.count })
+    }, BLOCKED_COALESCE_MS)
+    entry.timer.unref?.()
+    this._pending.set(key, entry)
+  }
+
+  _docker(args, timeout) {
+    return new Promise((resolve, reject) => {
+      this._execFile(this._cli, args, { encoding: 'utf-8', timeout }, (err, stdout, stderr) => {
+        if (err) reject(new Error(stderr ? String(stderr).trim() : err.message))
+        else resolve(stdout || '')
+      })
+    })
+  }
+}
+
+/**
+ * Start a gateway for a session-owned container and relay its blocked
+ * attempts into the session's chat as `egress_blocked` system messages.
+ * Resolves null for an unrestricted policy so callers can use it
+ * unconditionally.
+ *
+ * @param {import('events').EventEmitter} session - Receives the `message` events.
+ * @param {{ policy: object, essential?: string[], image?: string|null }} opts
+ * @returns {Promise<EgressGateway|null>}
+ */
+export async function startSessionEgressGateway(session, { policy, essential = [], image = null }) {
+  if (!isRestrictedEgress(policy)) return null
+  const gateway = new EgressGateway({ policy, essential, image })
+  gateway.on('blocked', (blocked) => session.emit('message', egressBlockedMessage(blocked)))
+  await gateway.start()
+  return gateway
+}
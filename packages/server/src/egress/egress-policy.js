@@ -0,0 +1,235 @@
+/**
+ * Network egress policies for Docker-isolated sessions and environments.
+ *
+ * A policy is `{ policy, domains }`: one of the shared EGRESS_POLICIES plus an
+ * optional list of extra destinations. Everything that reads a policy from the
+ * outside world — the `create_session` / `create_environment` messages,
+ * devcontainer.json `customizations.chroxy.egress` and the `egress` config key
+ * — runs it through {@link normalizeEgressPolicy}, which refuses anything it
+ * can't enforce as written rather than quietly widening it.
+ *
+ * Enforcement lives in `egress-gateway.js` (the internal network + filtering
+ * proxy container) and `filter-proxy.js` (the proxy itself); this module only
+ * decides what a policy allows.
+ */
+
+import {
+  EGRESS_POLICIES,
+  EGRESS_DEFAULT_POLICY,
+  EGRESS_MAX_DOMAINS,
+} from '@chroxy/protocol'
+
+export { EGRESS_POLICIES, EGRESS_DEFAULT_POLICY, EGRESS_MAX_DOMAINS }
+
+/**
+ * Hosts the `registries` policy allows: the public package registries and OS
+ * package mirrors a dependency install reaches, including the CDN hosts they
+ * redirect downloads to.
+ */
+export const PACKAGE_REGISTRY_DOMAINS = Object.freeze([
+  // npm / yarn
+  'registry.npmjs.org',
+  'registry.yarnpkg.com',
+  'repo.yarnpkg.com',
+  // Python
+  'pypi.org',
+  'files.pythonhosted.org',
+  // Rust
+  'crates.io',
+  'index.crates.io',
+  'static.crates.io',
+  // Go
+  'proxy.golang.org',
+  'sum.golang.org',
+  // Ruby
+  'rubygems.org',
+  'index.rubygems.org',
+  // Java
+  'repo.maven.apache.org',
+  'repo1.maven.org',
+  // OS packages
+  'deb.debian.org',
+  'security.debian.org',
+  'archive.ubuntu.com',
+  'security.ubuntu.com',
+  'ports.ubuntu.com',
+  'dl-cdn.alpinelinux.org',
+])
+
+/**
+ * Thrown when a policy can't be enforced as written. The message leads with
+ * the field the policy came from so it points at the right input.
+ */
+export class EgressPolicyError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'EgressPolicyError'
+  }
+}
+
+// A DNS label: letters, digits and inner hyphens, up to 63 characters.
+const LABEL_RE = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/
+
+/**
+ * Normalize one allowlist entry to `host`, `*.host` or `host:port`, lower-cased.
+ * IP literals are refused: a policy names destinations by host so it stays
+ * readable, and the proxy matches on the name the client asked for.
+ *
+ * @param {*} raw
+ * @param {string} field - Where the entry came from, for the error message.
+ * @returns {string}
+ */
+export function normalizeEgressDomain(raw, field) {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    throw new EgressPolicyError(`${field}: must be a non-empty string`)
+  }
+  const entry = raw.trim().toLowerCase()
+  let host = entry
+  let port = null
+  const colon = entry.lastIndexOf(':')
+  if (colon !== -1) {
+    host = entry.slice(0, colon)
+    const portText = entry.slice(colon + 1)
+    port = /^\d{1,5}$/.test(portText) ? Number(portText) : NaN
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new EgressPolicyError(`${field}: "${raw}" has an invalid port`)
+    }
+  }
+  const wildcard = host.startsWith('*.')
+  const bare = wildcard ? host.slice(2) : host
+  const labels = bare.split('.')
+  if (bare.length > 253 || labels.length < 2 || !labels.every((l) => LABEL_RE.test(l))) {
+    throw new EgressPolicyError(`${field}: "${raw}" is not a host name (use host, *.host or host:port)`)
+  }
+  if (labels.every((l) => /^\d+$/.test(l))) {
+    throw new EgressPolicyError(`${field}: "${raw}" is an IP address; list host names instead`)
+  }
+  return port === null ? host : `${host}:${port}`
+}
+
+/**
+ * Normalize a policy from any source. Accepts the object form
+ * `{ policy, domains? }` or a bare policy name. Returns null when nothing was
+ * set, so the caller can fall through to the next source.
+ *
+ * `domains` extends `registries`, is required for `allowlist`, and is refused
+ * for `open` (meaningless) and `none` (contradictory).
+ *
+ * @param {*} raw
+ * @param {string} [field='egress'] - Where the policy came from, for errors.
+ * @returns {{ policy: string, domains: string[] } | null}
+ * @throws {EgressPolicyError}
+ */
+export function normalizeEgressPolicy(raw, field = 'egress') {
+  if (raw === undefined || raw === null) return null
+  const obj = typeof raw === 'string' ? { policy: raw } : raw
+  if (typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new EgressPolicyError(`${field}: must be a policy name or { policy, domains }`)
+  }
+  for (const key of Object.keys(obj)) {
+    if (key !== 'policy' && key !== 'domains') {
+      throw new EgressPolicyError(`${field}: unknown key "${key}"`)
+    }
+  }
+  const policy = typeof obj.policy === 'string' ? obj.policy.trim() : obj.policy
+  if (!EGRESS_POLICIES.includes(policy)) {
+    throw new EgressPolicyError(`${field}.policy: must be one of ${EGRESS_POLICIES.join(', ')}`)
+  }
+  if (obj.domains !== undefined && !Array.isArray(obj.domains)) {
+    throw new EgressPolicyError(`${field}.domains: must be a list`)
+  }
+  const rawDomains = obj.domains || []
+  if (rawDomains.length > EGRESS_MAX_DOMAINS) {
+    throw new EgressPolicyError(`${field}.domains: at most ${EGRESS_MAX_DOMAINS} entries`)
+  }
+  const domains = [...new Set(rawDomains.map((d, i) => normalizeEgressDomain(d, `${field}.domains[${i}]`)))].sort()
+  if ((policy === 'open' || policy === 'none') && domains.length > 0) {
+    throw new EgressPolicyError(`${field}.domains: not allowed with the "${policy}" policy`)
+  }
+  if (policy === 'allowlist' && domains.length === 0) {
+    throw new EgressPolicyError(`${field}.domains: the allowlist policy needs at least one domain`)
+  }
+  return { policy, domains }
+}
+
+/**
+ * Pick the policy that applies: an explicit per-session or per-environment
+ * setting, then devcontainer.json, then the `egress` config default, then
+ * `open`. Each argument is an already-normalized policy or null.
+ *
+ * devcontainer.json is repository content, so it may restrict an open
+ * default but never replace a restricted one the operator configured — a
+ * cloned repo can't widen its own sandbox. Only an explicit choice can.
+ *
+ * @returns {{ policy: string, domains: string[] }}
+ */
+export function resolveEgressPolicy({ explicit = null, devcontainer = null, configDefault = null } = {}) {
+  if (explicit) return explicit
+  if (devcontainer && !isRestrictedEgress(configDefault)) return devcontainer
+  return configDefault || { policy: EGRESS_DEFAULT_POLICY, domains: [] }
+}
+
+/** True when the policy needs the filtering proxy (anything but `open`). */
+export function isRestrictedEgress(policy) {
+  return !!policy && policy.policy !== 'open'
+}
+
+/**
+ * Hosts a Claude workload needs whatever the policy: the Anthropic API (or the
+ * `ANTHROPIC_BASE_URL` override), the npm registry when the CLI is installed
+ * inside the container at start, and the host's permission hook when the
+ * provider routes permissions over HTTP.
+ *
+ * @param {{ installsCli?: boolean, hookPort?: number|null, env?: object }} [opts]
+ * @returns {string[]}
+ */
+export function essentialEgressHosts({ installsCli = false, hookPort = null, env = process.env } = {}) {
+  const hosts = []
+  let api = 'api.anthropic.com'
+  if (env.ANTHROPIC_BASE_URL) {
+    try {
+      const url = new URL(env.ANTHROPIC_BASE_URL)
+      api = url.port ? `${url.hostname}:${url.port}` : url.hostname
+    } catch {
+      // An unparseable override fails the CLI anyway; keep the default host.
+    }
+  }
+  hosts.push(api)
+  if (installsCli) hosts.push('registry.npmjs.org')
+  if (hookPort) hosts.push(`host.docker.internal:${hookPort}`)
+  return hosts
+}
+
+/**
+ * The full list of destinations the proxy lets through for a policy: the
+ * policy's own hosts plus `essential`, the hosts the provider needs to work at
+ * all (e.g. the Anthropic API for a CLI running inside the container).
+ *
+ * @param {{ policy: string, domains: string[] }} policy
+ * @param {string[]} [essential=[]]
+ * @returns {string[]}
+ */
+export function egressAllowRules(policy, essential = []) {
+  const rules = [...essential]
+  if (policy.policy === 'registries') rules.push(...PACKAGE_REGISTRY_DOMAINS)
+  rules.push(...policy.domains)
+  return [...new Set(rules)]
+}
+
+/**
+ * The system chat message a blocked attempt becomes. Shared by the providers
+ * (which own a session's proxy) and the environment wiring (which owns an
+ * environment's proxy) so both surface the same marker.
+ *
+ * @param {{ host: string, port: number, policy: string, count?: number }} blocked
+ */
+export function egressBlockedMessage({ host, port, policy, count = 1 }) {
+  const repeats = count > 1 ? ` (${count} attempts)` : ''
+  return {
+    type: 'system',
+    subtype: 'egress_blocked',
+    content: `Network egress blocked: ${host}:${port} is not allowed by the "${policy}" policy${repeats}`,
+    egressBlocked: { host, port, policy, count },
+    timestamp: Date.now(),
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * The filtering forward proxy behind restricted egress policies.
+ *
+ * Runs inside the egress gateway container (see `egress-gateway.js`), which
+ * reads this file and hands it to `node --input-type=module -e`, so it must
+ * stay dependency-free: node built-ins only, no relative imports. The
+ * workload container sits on an internal Docker network whose only way out is
+ * this proxy; `HTTP_PROXY` / `HTTPS_PROXY` point there.
+ *
+ * Plain HTTP requests are forwarded when their host is allowed; HTTPS goes
+ * through `CONNECT` and is tunnelled without being decrypted, so matching is
+ * on the host name the client asked for. Anything else gets a 403 and one
+ * JSON line on stdout — `{"event":"blocked","host":…,"port":…}` — which the
+ * gateway follows to surface the attempt in the session.
+ */
+
+import http from 'node:http'
+import net from 'node:net'
+
+/**
+ * Parse allow rules (`host`, `*.host`, `host:port`) into matchers. A rule
+ * without a port allows the web ports, 80 and 443.
+ *
+ * @param {string[]} rules
+ * @returns {Array<{ host: string, wildcard: boolean, ports: number[] }>}
+ */
+export function parseRules(rules) {
+  return rules.map((rule) => {
+    const colon = rule.lastIndexOf(':')
+    const host = colon === -1 ? rule : rule.slice(0, colon)
+    const ports = colon === -1 ? [80, 443] : [Number(rule.slice(colon + 1))]
+    const wildcard = host.startsWith('*.')
+    return { host: wildcard ? host.slice(1) : host, wildcard, ports }
+  })
+}
+
+/**
+ * Whether `host:port` is allowed by the parsed rules. `*.example.com` matches
+ * any subdomain of example.com but not example.com itself.
+ *
+ * @param {ReturnType<typeof parseRules>} matchers
+ * @param {string} host
+ * @param {number} port
+ */
+export function hostAllowed(matchers, host, port) {
+  const name = String(host).toLowerCase().replace(/\.$/, '')
+  return matchers.some((m) => m.ports.includes(port) && (m.wildcard ? name.endsWith(m.host) : name === m.host))
+}
+
+function splitHostPort(authority, defaultPort) {
+  const match = /^\[?([^\]]+?)\]?(?::(\d+))?$/.exec(authority || '')
+  if (!match) return null
+  return { host: match[1], port: match[2] ? Number(match[2]) : defaultPort }
+}
+
+/**
+ * Create the proxy server. `onBlocked({ host, port })` fires for every refused
+ * request; the caller decides how to report it.
+ *
+ * @param {{ rules: string[], onBlocked?: (blocked: { host: string, port: number }) => void }} opts
+ * @returns {http.Server}
+ */
+export function createFilterProxy({ rules, onBlocked = () => {} }) {
+  const matchers = parseRules(rules)
+
+  const server = http.createServer((req, res) => {
+    let target
+    try {
+      target = new URL(req.url)
+    } catch {
+      res.writeHead(400).end('Proxy requests must use an absolute URL\n')
+      return
+    }
+    const port = target.port ? Number(target.port) : 80
+    if (target.protocol !== 'http:' || !hostAllowed(matchers, target.hostname, port)) {
+      onBlocked({ host: target.hostname, port })
+      res.writeHead(403, { 'content-type': 'text/plain' }).end(`Blocked by the egress policy: ${target.hostname}:${port}\n`)
+      return
+    }
+    const upstream = http.request({
+      host: target.hostname,
+      port,
+      method: req.method,
+      path: target.pathname + target.search,
+      headers: { ...req.headers, host: target.host },
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers)
+      upstreamRes.pipe(res)
+    })
+    upstream.on('error', () => {
+      if (!res.headersSent) res.writeHead(502)
+      res.end()
+    })
+    req.pipe(upstream)
+  })
+
+  server.on('connect', (req, clientSocket, head) => {
+    const target = splitHostPort(req.url, 443)
+    if (!target || !hostAllowed(matchers, target.host, target.port)) {
+      if (target) onBlocked(target)
+      clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n')
+      return
+    }
+    const upstream = net.connect(target.port, target.host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+      if (head.length) upstream.write(head)
+      upstream.pipe(clientSocket)
+      clientSocket.pipe(upstream)
+    })
+    upstream.on('error', () => clientSocket.destroy())
+    clientSocket.on('error', () => upstream.destroy())
+  })
+
+  return server
+}
+
+// Entry point inside the gateway container. The rules arrive as a JSON array
+// in CHROXY_EGRESS_RULES.
+if (process.env.CHROXY_EGRESS_PROXY_MAIN === '1') {
+  const rules = JSON.parse(process.env.CHROXY_EGRESS_RULES || '[]')
+  const port = Number(process.env.CHROXY_EGRESS_PROXY_PORT || 3128)
+  createFilterProxy({
+    rules,
+    onBlocked: ({ host, port }) => {
+      process.stdout.write(JSON.stringify({ event: 'blocked', host, port }) + '\n')
+    },
+  }).listen(port, '0.0.0.0', () => {
+    process.stdout.write(JSON.stringify({ event: 'listening', port }) + '\n')
+  })
+}
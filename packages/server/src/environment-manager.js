@@ -12,7 +12,12 @@ import {
   parseDevContainer,
   validateMounts,
   sanitizeContainerEnv,
+  validateRunArgs,
+  validateCapAdd,
 } from './devcontainer-config.js'
+import { resolveFeatures } from './devcontainer-features.js'
+import { runInitializeCommand } from './devcontainer-lifecycle.js'
+import { resolveEgressPolicy, isRestrictedEgress, essentialEgressHosts } from './egress/egress-policy.js'
 
 const log = createLogger('environment-manager')
 
@@ -40,6 +45,11 @@ export { UNREACHABLE_STATUSES } from './environment-statuses.js'
  *
  * SessionManager uses EnvironmentManager to look up container details when
  * creating sessions with an environmentId.
+ *
+ * An environment under a restricted network egress policy owns an
+ * EgressGateway (egress/egress-gateway.js) for its whole life; blocked
+ * attempts are re-emitted as `egress_blocked` events carrying the `envId`,
+ * for the server to relay to the environment's sessions.
  */
 export class EnvironmentManager extends EventEmitter {
   /**
@@ -56,8 +66,13 @@ export class EnvironmentManager extends EventEmitter {
    *   validation lives in `validateConfig()` at load-time and (defensively
    *   again) in `K8sBackend.validateWorkspacePVC()` at create-time — the
    *   manager performs no validation of its own.
+   * @param {Object}  [opts.egressDefault] - Normalized `egress` config policy
+   *   applied when neither `create()` nor devcontainer.json sets one.
+   * @param {string}  [opts.egressProxyImage] - Image for the egress proxy.
+   * @param {string}  [opts.featureCacheDir] - OCI-layout cache devcontainer
+   *   `features` resolve from (default `<config dir>/devcontainer-features`).
    */
-  constructor({ statePath, _execFile, backend, workspacePVCDefault } = {}) {
+  constructor({ statePath, _execFile, backend, workspacePVCDefault, egressDefault, egressProxyImage, featureCacheDir } = {}) {
     super()
     this._statePath = statePath || defaultStatePath()
     this._environments = new Map()
@@ -74,6 +89,11 @@ export class EnvironmentManager extends EventEmitter {
     // every create() that doesn't pass workspacePVC falls back to this value.
     // null when no `environments.k8s.workspace` block is configured.
     this._workspacePVCDefault = workspacePVCDefault ?? null
+    this._egressDefault = egressDefault ?? null
+    this._egressProxyImage = egressProxyImage ?? null
+    this._featureCacheDir = featureCacheDir || undefined
+    // envId → running EgressGateway, for environments under a restricted policy.
+    this._egressGateways = new Map()
   }
 
   /**
@@ -127,6 +147,12 @@ export class EnvironmentManager extends EventEmitter {
    *   take precedence over the flat `memoryLimit`/`cpuLimit` above; unset fields fall back to
    *   the backend's configured defaults.
    * @param {string} [opts.containerUser] - Non-root user (default: chroxy)
+   * @param {boolean} [opts.devcontainer] - Overlay the project's devcontainer.json
+   *   (explicit opts win). Its `initializeCommand` runs on the host first;
+   *   `features` build into a derived image (backend `buildFeatureImage`);
+   *   `runArgs` / `capAdd` are filtered to a sandbox-safe set; the in-container
+   *   lifecycle hooks run at create, `postStartCommand` again on restart and
+   *   `postAttachCommand` whenever a session attaches.
    * @param {Object} [opts.workspacePVC] - K8s-only: mount a pre-provisioned
    *   PersistentVolumeClaim as the workspace instead of the host `cwd` directory.
    *   See `K8sBackend.createEnvironment` (#3385) for the full shape and semantics
@@ -139,9 +165,12 @@ export class EnvironmentManager extends EventEmitter {
    *   a `create()` call that omits this field falls back to the configured
    *   default. An explicit value here always wins (per-call override surface
    *   for any future dashboard/CLI input).
+   * @param {Object} [opts.egress] - Normalized network egress policy. Falls back
+   *   to devcontainer.json, then the configured default. A restricted policy
+   *   needs a backend with `createEgressGateway` and a non-compose environment.
    * @returns {Promise<Object>} The created environment object
    */
-  async create({ name, cwd, image, memoryLimit, cpuLimit, resources, containerUser, compose, primaryService, devcontainer, workspacePVC } = {}) {
+  async create({ name, cwd, image, memoryLimit, cpuLimit, resources, containerUser, compose, primaryService, devcontainer, workspacePVC, egress } = {}) {
     if (!name?.trim()) throw new Error('Environment name is required')
     if (!cwd?.trim()) throw new Error('Environment cwd is required')
 
@@ -159,14 +188,48 @@ export class EnvironmentManager extends EventEmitter {
       throw new Error(`Invalid containerUser "${user}" — must match POSIX username rules`)
     }
 
+    if (dcConfig.initializeCommand) {
+      await runInitializeCommand(dcConfig.initializeCommand, { cwd, execFile: this._execFile, logger: log })
+    }
+
     const id = 'env-' + randomBytes(8).toString('hex')
     const composeProject = compose ? `chroxy-${id}` : null
 
+    const egressPolicy = resolveEgressPolicy({
+      explicit: egress || null,
+      devcontainer: dcConfig.egress || null,
+      configDefault: this._egressDefault,
+    })
+    if (isRestrictedEgress(egressPolicy)) {
+      if (compose) throw new Error(`The "${egressPolicy.policy}" egress policy is not supported for compose environments`)
+      if (typeof this._backend.createEgressGateway !== 'function') {
+        throw new Error(`The "${egressPolicy.policy}" egress policy is not supported on this environment backend`)
+      }
+    }
+
     if (compose) {
       return this._createComposeEnvironment({ id, name, cwd, user, compose, primaryService, composeProject })
     }
 
-    const resolvedImage = image || dcConfig.image || DEFAULT_IMAGE
+    // Features install onto the devcontainer / default image; an explicit
+    // `image` wins and skips them, the same precedence docker-byok uses.
+    let features = null
+    if (dcConfig.features && !image) {
+      if (typeof this._backend.buildFeatureImage !== 'function') {
+        throw new Error('Devcontainer features are not supported on this environment backend')
+      }
+      features = resolveFeatures(dcConfig.features, {
+        cacheDir: this._featureCacheDir,
+        devcontainerDir: dcConfig.dir || cwd,
+        cwd,
+        logger: log,
+      })
+    }
+
+    let resolvedImage = image || dcConfig.image || DEFAULT_IMAGE
+    if (features) {
+      resolvedImage = await this._backend.buildFeatureImage({ baseImage: resolvedImage, features })
+    }
     const resolvedMemory = memoryLimit || DEFAULT_MEMORY_LIMIT
     const resolvedCpu = cpuLimit || DEFAULT_CPU_LIMIT
 
@@ -176,6 +239,11 @@ export class EnvironmentManager extends EventEmitter {
     // Shared helpers from `devcontainer-config.js` (#5077).
     const validatedMounts = validateMounts(dcConfig.mounts, cwd, { logger: log })
     const validatedEnv = sanitizeContainerEnv(dcConfig.containerEnv, { logger: log })
+    const validatedRunArgs = validateRunArgs(dcConfig.runArgs, { logger: log })
+    const validatedCapAdd = validateCapAdd([
+      ...(dcConfig.capAdd || []),
+      ...(features || []).flatMap(f => Array.isArray(f.metadata.capAdd) ? f.metadata.capAdd : []),
+    ], { logger: log })
 
     // #4556: caller-supplied workspacePVC wins; otherwise fall back to the
     // configured default (when the operator has set `environments.k8s.workspace`
@@ -183,27 +251,46 @@ export class EnvironmentManager extends EventEmitter {
     // effective value and the manager remains the single wiring point.
     const effectiveWorkspacePVC = workspacePVC !== undefined ? workspacePVC : (this._workspacePVCDefault ?? undefined)
 
-    const { containerId, containerCliPath } = await this._backend.createEnvironment({
-      envId: id,
-      cwd,
-      image: resolvedImage,
-      memoryLimit: resolvedMemory,
-      cpuLimit: resolvedCpu,
-      // #3195: structured K8s resource requests/limits, forwarded verbatim.
-      // Only K8sBackend acts on it; the manager does no shape validation
-      // (that lives in K8sBackend.buildResourceBlock). undefined → backend defaults.
-      resources,
-      containerUser: user,
-      containerEnv: validatedEnv,
-      forwardPorts: dcConfig.forwardPorts,
-      mounts: validatedMounts,
-      postCreateCommand: dcConfig.postCreateCommand,
-      // #4548: forward verbatim — only K8sBackend acts on this. Manager does no
-      // shape validation; that lives in K8sBackend.validateWorkspacePVC().
-      // #4556: `effectiveWorkspacePVC` resolves the caller-vs-config-default
-      // precedence so the backend sees a single value.
-      workspacePVC: effectiveWorkspacePVC,
-    })
+    // The gateway comes up first so the container can join its network; the
+    // CLI install during setup already runs under the policy.
+    let gateway = null
+    if (isRestrictedEgress(egressPolicy)) {
+      gateway = await this._startEgressGateway(id, egressPolicy)
+    }
+
+    let created
+    try {
+      created = await this._backend.createEnvironment({
+        envId: id,
+        cwd,
+        image: resolvedImage,
+        memoryLimit: resolvedMemory,
+        cpuLimit: resolvedCpu,
+        // #3195: structured K8s resource requests/limits, forwarded verbatim.
+        // Only K8sBackend acts on it; the manager does no shape validation
+        // (that lives in K8sBackend.buildResourceBlock). undefined → backend defaults.
+        resources,
+        containerUser: user,
+        containerEnv: validatedEnv,
+        forwardPorts: dcConfig.forwardPorts,
+        mounts: validatedMounts,
+        capAdd: validatedCapAdd,
+        runArgs: validatedRunArgs,
+        onCreateCommand: dcConfig.onCreateCommand,
+        postCreateCommand: dcConfig.postCreateCommand,
+        postStartCommand: dcConfig.postStartCommand,
+        // #4548: forward verbatim — only K8sBackend acts on this. Manager does no
+        // shape validation; that lives in K8sBackend.validateWorkspacePVC().
+        // #4556: `effectiveWorkspacePVC` resolves the caller-vs-config-default
+        // precedence so the backend sees a single value.
+        workspacePVC: effectiveWorkspacePVC,
+        egressRunArgs: gateway?.workloadRunArgs(),
+      })
+    } catch (err) {
+      if (gateway) await this._stopEgressGateway(id)
+      throw err
+    }
+    const { containerId, containerCliPath } = created
 
     const env = {
       id,
@@ -220,6 +307,11 @@ export class EnvironmentManager extends EventEmitter {
       cpuLimit: resolvedCpu,
       compose: null,
       composeProject: null,
+      egress: egressPolicy,
+      // Hooks that run again after create: on restart / on session attach.
+      lifecycle: dcConfig.postStartCommand || dcConfig.postAttachCommand
+        ? { postStartCommand: dcConfig.postStartCommand || null, postAttachCommand: dcConfig.postAttachCommand || null }
+        : null,
     }
 
     this._environments.set(id, env)
@@ -349,6 +441,8 @@ export class EnvironmentManager extends EventEmitter {
         image: snap.image,
         memoryLimit: env.memoryLimit || DEFAULT_MEMORY_LIMIT,
         cpuLimit: env.cpuLimit || DEFAULT_CPU_LIMIT,
+        // The replacement joins the same gateway network as the original.
+        egressRunArgs: this._egressGateways.get(envId)?.workloadRunArgs(),
       })
 
       // Health check: verify the new container is running
@@ -406,6 +500,7 @@ export class EnvironmentManager extends EventEmitter {
         // "no such container" for one that never started.
         await this._backend.destroyEnvironment(env.containerId)
       }
+      await this._stopEgressGateway(envId)
 
       // Clean up snapshot images
       if (Array.isArray(env.snapshots)) {
@@ -471,6 +566,7 @@ export class EnvironmentManager extends EventEmitter {
       log.info(`Restarting environment "${env.name}" (${envId})`)
       await this._backend.restartEnvironment(env.containerId)
       env.status = 'running'
+      await this._runLifecycleHook(env, 'postStartCommand')
       this._persist()
       this.emit('environment_restarted', { id: envId, name: env.name })
       return env.status
@@ -522,6 +618,29 @@ export class EnvironmentManager extends EventEmitter {
     if (!env.sessions.includes(sessionId)) {
       env.sessions.push(sessionId)
       this._persist()
+      // In the background, like the devcontainer CLI: the session doesn't
+      // wait on its attach hook.
+      this._runLifecycleHook(env, 'postAttachCommand')
+    }
+  }
+
+  /**
+   * Run a devcontainer.json hook recorded on the environment (`lifecycle`)
+   * inside its container. Failures are logged, not thrown — the container
+   * is already up and usable without the hook.
+   *
+   * @param {Object} env
+   * @param {'postStartCommand'|'postAttachCommand'} field
+   * @returns {Promise<void>}
+   */
+  async _runLifecycleHook(env, field) {
+    const command = env.lifecycle?.[field]
+    if (!command || !env.containerId || typeof this._backend.execInEnvironment !== 'function') return
+    try {
+      await this._backend.execInEnvironment(env.containerId, { cmd: command, timeout: 300_000 })
+      log.info(`Environment "${env.name}" ${field} completed`)
+    } catch (err) {
+      log.warn(`Environment "${env.name}" ${field} failed: ${err.message}`)
     }
   }
 
@@ -644,6 +763,17 @@ export class EnvironmentManager extends EventEmitter {
           log.warn(`Environment "${env.name}" (id: ${env.id}) token refresh failed: ${err.message}`)
         }
       }
+      // Re-attach the egress gateway so blocked attempts surface again (and a
+      // proxy lost with the host's Docker restart comes back). A failure fails
+      // closed — the container's network is internal either way — so it is
+      // only logged and doesn't mark the environment unreachable.
+      if (isRestrictedEgress(env.egress) && env.containerId && typeof this._backend.createEgressGateway === 'function') {
+        try {
+          await this._resumeEgressGateway(env.id, env.egress)
+        } catch (err) {
+          log.warn(`Environment "${env.name}" (id: ${env.id}) egress gateway resume failed: ${err.message}`)
+        }
+      }
     }
 
     this._persist()
@@ -681,6 +811,47 @@ export class EnvironmentManager extends EventEmitter {
     }
   }
 
+  // ──────────────────────────────────────────────────────────────────────────
+  // Network egress
+  // ──────────────────────────────────────────────────────────────────────────
+
+  _createEgressGateway(envId, policy) {
+    const gateway = this._backend.createEgressGateway({
+      id: envId,
+      policy,
+      // Sessions run the CLI over the Agent SDK (no HTTP permission hook), and
+      // setup installs it from npm.
+      essential: essentialEgressHosts({ installsCli: true }),
+      image: this._egressProxyImage,
+    })
+    gateway.on('blocked', (blocked) => this.emit('egress_blocked', { envId, ...blocked }))
+    this._egressGateways.set(envId, gateway)
+    return gateway
+  }
+
+  async _startEgressGateway(envId, policy) {
+    const gateway = this._createEgressGateway(envId, policy)
+    try {
+      await gateway.start()
+    } catch (err) {
+      this._egressGateways.delete(envId)
+      throw err
+    }
+    return gateway
+  }
+
+  async _resumeEgressGateway(envId, policy) {
+    const gateway = this._createEgressGateway(envId, policy)
+    await gateway.resume()
+  }
+
+  async _stopEgressGateway(envId) {
+    const gateway = this._egressGateways.get(envId)
+    if (!gateway) return
+    this._egressGateways.delete(envId)
+    await gateway.stop()
+  }
+
   // ──────────────────────────────────────────────────────────────────────────
   // Backward-compat delegation shim
   //
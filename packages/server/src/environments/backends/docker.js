@@ -2,6 +2,8 @@ import { execFile, spawn } from 'child_process'
 import { createLogger } from '../../logger.js'
 import { VALID_USERNAME_RE } from '../../utils/validation-patterns.js'
 import { getChroxyHostEnv } from '../../chroxy-host-metadata.js'
+import { EgressGateway } from '../../egress/egress-gateway.js'
+import { buildFeatureImage } from '../../devcontainer-features.js'
 
 const log = createLogger('docker-backend')
 
@@ -88,6 +90,9 @@ export class DockerBackend {
   constructor({ _execFile: injectedExecFile, _spawn: injectedSpawn } = {}) {
     this._execFile = injectedExecFile || execFile
     this._spawn = injectedSpawn || spawn
+    // The container CLI every shellout runs. PodmanBackend swaps in `podman`,
+    // whose CLI accepts the same arguments.
+    this._cli = 'docker'
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -100,18 +105,20 @@ export class DockerBackend {
    */
   async createEnvironment(opts) {
     const { envId, cwd, image, memoryLimit, cpuLimit, containerUser,
-      containerEnv, forwardPorts, mounts, postCreateCommand } = opts
+      containerEnv, forwardPorts, mounts, capAdd, runArgs, egressRunArgs } = opts
 
     const containerId = await this._startContainer({
-      envId, cwd, image, memoryLimit, cpuLimit, containerEnv, forwardPorts, mounts,
+      envId, cwd, image, memoryLimit, cpuLimit, containerEnv, forwardPorts, mounts, capAdd, runArgs, egressRunArgs,
     })
 
     let containerCliPath
     try {
-      await this._setupContainer(containerId, containerUser)
+      await this._setupContainer(containerId, containerUser, await this._containerUid())
       containerCliPath = await this._discoverCliPath(containerId)
-      if (postCreateCommand) {
-        await this._runPostCreateCommand(containerId, postCreateCommand)
+      for (const field of ['onCreateCommand', 'postCreateCommand', 'postStartCommand']) {
+        if (opts[field]) {
+          await this._runLifecycleCommand(containerId, opts[field], field)
+        }
       }
     } catch (err) {
       log.warn(`Environment setup failed, removing container ${containerId.slice(0, 12)}: ${err.message}`)
@@ -203,10 +210,10 @@ export class DockerBackend {
 
   _dockerLifecycle(verb, containerId) {
     return new Promise((resolve, reject) => {
-      this._execFile('docker', [verb, containerId], { stdio: 'ignore' }, (err) => {
+      this._execFile(this._cli, [verb, containerId], { stdio: 'ignore' }, (err) => {
         if (err) {
-          log.warn(`docker ${verb} ${containerId.slice(0, 12)} failed: ${err.message}`)
-          reject(new Error(`docker ${verb} failed: ${err.message}`))
+          log.warn(`${this._cli} ${verb} ${containerId.slice(0, 12)} failed: ${err.message}`)
+          reject(new Error(`${this._cli} ${verb} failed: ${err.message}`))
           return
         }
         resolve()
@@ -320,7 +327,7 @@ export class DockerBackend {
       // the buffered path. When `onData` is absent we keep the original
       // `execFile` call untouched for every existing caller.
       if (typeof onData === 'function') {
-        const child = this._spawn('docker', execArgs, { stdio: ['ignore', 'pipe', 'pipe'] })
+        const child = this._spawn(this._cli, execArgs, { stdio: ['ignore', 'pipe', 'pipe'] })
 
         let stdout = ''
         let stderr = ''
@@ -423,7 +430,7 @@ export class DockerBackend {
         return
       }
 
-      this._execFile('docker', execArgs, { encoding: 'utf-8', timeout }, (err, stdout, stderr) => {
+      this._execFile(this._cli, execArgs, { encoding: 'utf-8', timeout }, (err, stdout, stderr) => {
         if (err) {
           // #5067 — Preserve both captured streams on failure. The error
           // message stays stderr-first (existing callers rely on that
@@ -541,7 +548,7 @@ export class DockerBackend {
 
     log.info(`docker exec stream: ${containerId.slice(0, 12)} ${cmd} ${containerArgs.slice(0, 2).join(' ')}`)
 
-    const child = (this._spawn || spawn)('docker', dockerArgs, {
+    const child = (this._spawn || spawn)(this._cli, dockerArgs, {
       stdio: ['pipe', 'pipe', 'pipe'],
     })
 
@@ -614,11 +621,45 @@ export class DockerBackend {
     return this._startContainer(opts)
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // createEgressGateway — the network fence for a restricted egress policy
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Build (but don't start) the EgressGateway for an environment. Its
+   * `workloadRunArgs()` go to createEnvironment / restoreEnvironment as
+   * `egressRunArgs`. Backends without this method can't enforce a policy.
+   *
+   * @param {{ id: string, policy: object, essential?: string[], image?: string }} opts
+   * @returns {EgressGateway}
+   */
+  createEgressGateway({ id, policy, essential, image }) {
+    return new EgressGateway({
+      id, policy, essential, image,
+      cli: this._cli,
+      hostRouteArgs: this._hostRouteArgs(),
+      _execFile: this._execFile,
+      _spawn: this._spawn,
+    })
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // buildFeatureImage — devcontainer features layered onto the base image
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {{ baseImage: string, features: Array }} opts - See Backend interface in types.js
+   * @returns {Promise<string>} The derived image tag
+   */
+  buildFeatureImage({ baseImage, features }) {
+    return buildFeatureImage({ baseImage, features, execFile: this._execFile, cli: this._cli, logger: log })
+  }
+
   // ──────────────────────────────────────────────────────────────────────────
   // Private Docker shellout helpers
   // ──────────────────────────────────────────────────────────────────────────
 
-  _startContainer({ envId, cwd, image, memoryLimit, cpuLimit, containerEnv, forwardPorts, mounts }) {
+  _startContainer({ envId, cwd, image, memoryLimit, cpuLimit, containerEnv, forwardPorts, mounts, capAdd, runArgs: extraRunArgs, egressRunArgs }) {
     return new Promise((resolve, reject) => {
       const runArgs = [
         'run', '-d', '--init',
@@ -661,13 +702,28 @@ export class DockerBackend {
         }
       }
 
-      if (process.platform === 'linux') {
-        runArgs.push('--add-host', 'host.docker.internal:host-gateway')
+      // DevContainer: capabilities given back after --cap-drop ALL, then
+      // the extra run args (both filtered to a sandbox-safe set upstream)
+      if (capAdd) {
+        for (const cap of capAdd) {
+          runArgs.push('--cap-add', cap)
+        }
+      }
+      if (extraRunArgs) {
+        runArgs.push(...extraRunArgs)
+      }
+
+      if (egressRunArgs?.length) {
+        // Behind an egress gateway: its internal network and proxy env
+        // replace the host route.
+        runArgs.push(...egressRunArgs)
+      } else {
+        runArgs.push(...this._hostRouteArgs())
       }
 
       runArgs.push(image, 'sleep', 'infinity')
 
-      this._execFile('docker', runArgs, { encoding: 'utf-8', timeout: 120_000 }, (err, stdout, stderr) => {
+      this._execFile(this._cli, runArgs, { encoding: 'utf-8', timeout: 120_000 }, (err, stdout, stderr) => {
         if (err) {
           reject(new Error(stderr ? stderr.trim() : err.message))
           return
@@ -677,14 +733,36 @@ export class DockerBackend {
     })
   }
 
-  _setupContainer(containerId, user) {
-    return new Promise((resolve, reject) => {
-      const setupCmd = [
-        `useradd -m -s /bin/bash ${user}`,
-        `chown ${user}:${user} /workspace`,
-      ].join(' && ')
+  /**
+   * `docker run` args that let the container reach the host (the permission
+   * hook) as `host.docker.internal`. Docker Desktop provides the name itself;
+   * Linux needs the explicit host-gateway mapping.
+   */
+  _hostRouteArgs() {
+    return process.platform === 'linux' ? ['--add-host', 'host.docker.internal:host-gateway'] : []
+  }
+
+  /**
+   * The uid the non-root user gets in a standalone container, or null to let
+   * `useradd` pick one. Docker has no mapping to match, so always null;
+   * PodmanBackend returns the host uid under `--userns=keep-id`.
+   *
+   * @returns {Promise<number|null>}
+   */
+  async _containerUid() {
+    return null
+  }
 
-      this._execFile('docker', [
+  _setupContainer(containerId, user, uid = null) {
+    return new Promise((resolve, reject) => {
+      // With a uid, /workspace is already owned by that uid through the
+      // user-namespace mapping, so there is nothing to chown — and a chown
+      // would re-own the host project dir to a subordinate id.
+      const setupCmd = uid == null
+        ? [`useradd -m -s /bin/bash ${user}`, `chown ${user}:${user} /workspace`].join(' && ')
+        : `useradd -m -o -u ${uid} -s /bin/bash ${user}`
+
+      this._execFile(this._cli, [
         'exec', containerId, 'bash', '-c', setupCmd,
       ], { encoding: 'utf-8', timeout: 10_000 }, (err) => {
         if (err) reject(new Error(`Failed to create container user: ${err.message}`))
@@ -695,7 +773,7 @@ export class DockerBackend {
 
   _installClaudeCode(containerId) {
     return new Promise((resolve, reject) => {
-      this._execFile('docker', [
+      this._execFile(this._cli, [
         'exec', containerId, 'npm', 'install', '-g', '@anthropic-ai/claude-code',
       ], { encoding: 'utf-8', timeout: 120_000 }, (err) => {
         if (err) reject(new Error(`Failed to install Claude Code: ${err.message}`))
@@ -708,7 +786,7 @@ export class DockerBackend {
     await this._installClaudeCode(containerId)
 
     return new Promise((resolve) => {
-      this._execFile('docker', [
+      this._execFile(this._cli, [
         'exec', containerId, 'npm', 'prefix', '-g',
       ], { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
         if (!err && stdout?.trim()) {
@@ -732,7 +810,7 @@ export class DockerBackend {
         '--change', `LABEL ${CHROXY_LABEL_KIND}=snapshot`,
         containerId, imageTag,
       ]
-      this._execFile('docker', commitArgs, { encoding: 'utf-8', timeout: 120_000 }, (err, stdout, stderr) => {
+      this._execFile(this._cli, commitArgs, { encoding: 'utf-8', timeout: 120_000 }, (err, stdout, stderr) => {
         if (err) {
           reject(new Error(stderr ? stderr.trim() : err.message))
           return
@@ -744,7 +822,7 @@ export class DockerBackend {
 
   _renameContainer(containerId, newName) {
     return new Promise((resolve) => {
-      this._execFile('docker', ['rename', containerId, newName], { encoding: 'utf-8', timeout: 10_000 }, (err) => {
+      this._execFile(this._cli, ['rename', containerId, newName], { encoding: 'utf-8', timeout: 10_000 }, (err) => {
         if (err) log.warn(`Failed to rename container ${containerId.slice(0, 12)}: ${err.message}`)
         resolve()
       })
@@ -753,7 +831,7 @@ export class DockerBackend {
 
   _removeContainer(containerId) {
     return new Promise((resolve) => {
-      this._execFile('docker', ['rm', '-f', containerId], { stdio: 'ignore' }, (err) => {
+      this._execFile(this._cli, ['rm', '-f', containerId], { stdio: 'ignore' }, (err) => {
         if (err) log.warn(`Failed to remove container ${containerId.slice(0, 12)}: ${err.message}`)
         resolve()
       })
@@ -762,7 +840,7 @@ export class DockerBackend {
 
   _removeImage(imageTag) {
     return new Promise((resolve) => {
-      this._execFile('docker', ['rmi', imageTag], { stdio: 'ignore' }, (err) => {
+      this._execFile(this._cli, ['rmi', imageTag], { stdio: 'ignore' }, (err) => {
         if (err) log.warn(`Failed to remove image ${imageTag}: ${err.message}`)
         resolve()
       })
@@ -771,7 +849,7 @@ export class DockerBackend {
 
   _inspectContainer(containerId) {
     return new Promise((resolve, reject) => {
-      this._execFile('docker', [
+      this._execFile(this._cli, [
         'inspect', '--format', '{{.State.Running}}', containerId,
       ], { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
         if (err) {
@@ -789,7 +867,7 @@ export class DockerBackend {
       // truncated IDs that never match the full 64-char IDs persisted by
       // createEnvironment, causing reconcile() to destroy every known
       // container as an "orphan" (#3314).
-      this._execFile('docker', [
+      this._execFile(this._cli, [
         'ps', '-q', '--no-trunc', '--filter', 'name=chroxy-env',
       ], { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
         if (err) {
@@ -802,13 +880,13 @@ export class DockerBackend {
     })
   }
 
-  _runPostCreateCommand(containerId, command) {
+  _runLifecycleCommand(containerId, command, field = 'postCreateCommand') {
     return new Promise((resolve, reject) => {
-      log.info(`Running postCreateCommand: ${command}`)
-      this._execFile('docker', [
+      log.info(`Running ${field}: ${command}`)
+      this._execFile(this._cli, [
         'exec', containerId, 'bash', '-c', command,
       ], { encoding: 'utf-8', timeout: 120_000 }, (err) => {
-        if (err) reject(new Error(`postCreateCommand failed: ${err.message}`))
+        if (err) reject(new Error(`${field} failed: ${err.message}`))
         else resolve()
       })
     })
@@ -853,7 +931,7 @@ export class DockerBackend {
         args.push('-f', file)
       }
       args.push('-p', project, 'up', '-d')
-      this._execFile('docker', args, { encoding: 'utf-8', timeout: 120_000, cwd }, (err, _stdout, stderr) => {
+      this._execFile(this._cli, args, { encoding: 'utf-8', timeout: 120_000, cwd }, (err, _stdout, stderr) => {
         if (err) {
           reject(new Error(stderr ? stderr.trim() : err.message))
           return
@@ -872,7 +950,7 @@ export class DockerBackend {
         args.push('-f', file)
       }
       args.push('-p', project, 'down', '--remove-orphans')
-      this._execFile('docker', args, { encoding: 'utf-8', timeout: 30_000, cwd }, (err) => {
+      this._execFile(this._cli, args, { encoding: 'utf-8', timeout: 30_000, cwd }, (err) => {
         if (err) log.warn(`docker compose down failed: ${err.message}`)
         resolve()
       })
@@ -884,7 +962,7 @@ export class DockerBackend {
       const args = ['compose', '-p', project, 'ps', '--format', 'json']
       if (primaryService) args.push(primaryService)
 
-      this._execFile('docker', args, { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
+      this._execFile(this._cli, args, { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
         if (err) {
           reject(new Error(`Failed to list compose containers: ${err.message}`))
           return
@@ -907,7 +985,7 @@ export class DockerBackend {
 
   _composeServices(project) {
     return new Promise((resolve) => {
-      this._execFile('docker', [
+      this._execFile(this._cli, [
         'compose', '-p', project, 'ps', '--format', 'json',
       ], { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
         if (err) {
@@ -0,0 +1,218 @@
+import { DockerBackend } from './docker.js'
+import { createLogger } from '../../logger.js'
+
+const log = createLogger('podman-backend')
+
+/** `--userns` modes PodmanBackend accepts for standalone environments. */
+export const PODMAN_USERNS_MODES = Object.freeze(['keep-id', 'auto', 'host'])
+
+/**
+ * Labels the compose provider stamps on every container it starts.
+ * podman-compose writes the docker-compose names alongside its own, so
+ * these find a project's containers whichever provider started it.
+ */
+const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project'
+const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service'
+
+/**
+ * PodmanBackend — optional adapter that runs persistent environments on
+ * Podman, for Linux hosts without a Docker socket (rootless Podman in
+ * particular).
+ *
+ * The podman CLI takes the same arguments as docker for everything
+ * DockerBackend shells out to (run/exec/commit/rm/inspect/ps/rename, labels,
+ * snapshots, egress networks, feature builds), so this subclass only swaps
+ * the binary and overrides the three places the runtimes genuinely differ:
+ *
+ *   - **User namespaces.** Rootless Podman maps container root to the host
+ *     user and every other container uid to a subordinate id, so the
+ *     session user DockerBackend creates would write `/workspace` files the
+ *     host user doesn't own. Under rootless Podman on Linux standalone
+ *     environments therefore run with `--userns=keep-id` (host uid maps to
+ *     itself) and the session user is created with the host uid. `userns`
+ *     overrides the mode; rootful Podman passes no flag unless asked.
+ *   - **Host route.** Podman adds `host.containers.internal` and
+ *     `host.docker.internal` to `/etc/hosts` itself, and older releases
+ *     reject Docker's `host-gateway` alias, so no `--add-host` is passed.
+ *   - **Compose.** Compose-style environments run through `podman-compose`
+ *     with `--in-pod 1`, so each stack shares one pod (one network
+ *     namespace, torn down as a unit). Containers are then found with
+ *     `podman ps` by compose label rather than `compose ps`, whose output
+ *     differs between providers.
+ *
+ * Like every backend it holds no environment state. The one cached value is
+ * host-level: whether Podman runs rootless, probed once with `podman info`.
+ */
+export class PodmanBackend extends DockerBackend {
+  /**
+   * @param {Object} [opts]
+   * @param {'keep-id'|'auto'|'host'} [opts.userns] - `--userns` mode for standalone
+   *   environments. Defaults to `keep-id` under rootless Podman on Linux and to
+   *   no flag otherwise.
+   * @param {Function} [opts._execFile] - Injected execFile (testing seam, as DockerBackend)
+   * @param {Function} [opts._spawn] - Injected spawn (testing seam, as DockerBackend)
+   * @param {number|null} [opts._hostUid] - Injected host uid (default `process.getuid()`)
+   * @param {string} [opts._platform] - Injected platform (default `process.platform`)
+   */
+  constructor({ userns, _execFile, _spawn, _hostUid, _platform } = {}) {
+    super({ _execFile, _spawn })
+    if (userns != null && !PODMAN_USERNS_MODES.includes(userns)) {
+      throw new Error(`PodmanBackend: userns must be one of ${PODMAN_USERNS_MODES.join(', ')}, got "${userns}"`)
+    }
+    this._cli = 'podman'
+    this._userns = userns ?? null
+    this._hostUid = _hostUid !== undefined
+      ? _hostUid
+      : (typeof process.getuid === 'function' ? process.getuid() : null)
+    this._platform = _platform || process.platform
+    this._rootlessProbe = null
+  }
+
+  /**
+   * Whether Podman runs rootless on this host. Probed once; a failed probe
+   * isn't cached, so a later call can still succeed once podman is reachable.
+   *
+   * @returns {Promise<boolean>}
+   */
+  isRootless() {
+    if (!this._rootlessProbe) {
+      this._rootlessProbe = new Promise((resolve, reject) => {
+        this._execFile(this._cli, [
+          'info', '--format', '{{.Host.Security.Rootless}}',
+        ], { encoding: 'utf-8', timeout: 10_000 }, (err, stdout, stderr) => {
+          if (err) {
+            reject(new Error(`podman info failed: ${stderr ? String(stderr).trim() : err.message}`))
+            return
+          }
+          resolve(String(stdout).trim() === 'true')
+        })
+      }).catch((err) => {
+        this._rootlessProbe = null
+        throw err
+      })
+    }
+    return this._rootlessProbe
+  }
+
+  /**
+   * The `--userns` mode for standalone environments, or null for none.
+   *
+   * @returns {Promise<string|null>}
+   */
+  async _usernsMode() {
+    if (this._userns) return this._userns
+    if (this._platform !== 'linux' || this._hostUid == null) return null
+    return (await this.isRootless()) ? 'keep-id' : null
+  }
+
+  async _startContainer(opts) {
+    const mode = await this._usernsMode()
+    const usernsArgs = []
+    if (mode) {
+      usernsArgs.push(`--userns=${mode}`)
+      // keep-id also makes the host uid the container's default user. Setup
+      // (useradd, the CLI install) runs as root like under Docker; the
+      // session user it creates is what the agent runs as.
+      if (mode === 'keep-id') usernsArgs.push('--user', 'root')
+    }
+    return super._startContainer({ ...opts, runArgs: [...usernsArgs, ...(opts.runArgs || [])] })
+  }
+
+  _hostRouteArgs() {
+    return []
+  }
+
+  async _containerUid() {
+    return (await this._usernsMode()) === 'keep-id' ? this._hostUid : null
+  }
+
+  // ──────────────────────────────────────────────────────────────────────────
+  // Compose — podman-compose, one pod per stack
+  // ──────────────────────────────────────────────────────────────────────────
+
+  _composeUp(composeFile, project, cwd, envFile) {
+    return new Promise((resolve, reject) => {
+      const files = this._composeFileList(composeFile)
+      if (files.length === 0) {
+        reject(new Error('podman-compose up requires at least one compose file'))
+        return
+      }
+      const args = ['--in-pod', '1']
+      if (envFile) args.push('--env-file', envFile)
+      for (const file of files) {
+        args.push('-f', file)
+      }
+      args.push('-p', project, 'up', '-d')
+      this._execFile('podman-compose', args, { encoding: 'utf-8', timeout: 120_000, cwd }, (err, _stdout, stderr) => {
+        if (err) {
+          reject(new Error(stderr ? stderr.trim() : err.message))
+          return
+        }
+        resolve()
+      })
+    })
+  }
+
+  _composeDown(composeFile, project, cwd) {
+    return new Promise((resolve) => {
+      const args = []
+      for (const file of this._composeFileList(composeFile)) {
+        args.push('-f', file)
+      }
+      // `down` also removes the stack's pod.
+      args.push('-p', project, 'down')
+      this._execFile('podman-compose', args, { encoding: 'utf-8', timeout: 30_000, cwd }, (err) => {
+        if (err) log.warn(`podman-compose down failed: ${err.message}`)
+        resolve()
+      })
+    })
+  }
+
+  /** `podman ps --format json` for a compose project: one JSON array. */
+  _composeContainers(project, service) {
+    return new Promise((resolve, reject) => {
+      const args = ['ps', '--filter', `label=${COMPOSE_PROJECT_LABEL}=${project}`]
+      if (service) args.push('--filter', `label=${COMPOSE_SERVICE_LABEL}=${service}`)
+      args.push('--format', 'json')
+      this._execFile(this._cli, args, { encoding: 'utf-8', timeout: 10_000 }, (err, stdout) => {
+        if (err) {
+          reject(new Error(err.message))
+          return
+        }
+        try {
+          const containers = JSON.parse(stdout.trim() || '[]')
+          resolve(Array.isArray(containers) ? containers : [])
+        } catch {
+          reject(new Error('Failed to parse podman ps output'))
+        }
+      })
+    })
+  }
+
+  async _composePrimaryContainerId(project, primaryService) {
+    let containers
+    try {
+      containers = await this._composeContainers(project, primaryService)
+    } catch (err) {
+      throw new Error(`Failed to list compose containers: ${err.message}`)
+    }
+    if (containers.length === 0) {
+      throw new Error('No running containers found in compose project')
+    }
+    return containers[0].Id
+  }
+
+  async _composeServices(project) {
+    try {
+      const containers = await this._composeContainers(project)
+      return containers.map(c => ({
+        name: c.Labels?.[COMPOSE_SERVICE_LABEL] || c.Names?.[0],
+        status: c.State || 'unknown',
+        primary: false,
+      }))
+    } catch (err) {
+      log.warn(`Failed to list compose services for project "${project}": ${err.message}`)
+      return []
+    }
+  }
+}
@@ -13,7 +13,8 @@
  * stays with EnvironmentManager.
  *
  * "Handle" is an opaque identifier that maps to the underlying resource.  For
- * DockerBackend it is the container ID string returned by `docker run`.  For
+ * DockerBackend it is the container ID string returned by `docker run` (and
+ * for PodmanBackend, which drives the same CLI surface, by `podman run`).  For
  * compose environments it is the compose project name.  The manager stores the
  * handle inside the environment record and passes it back on every subsequent
  * call.
@@ -37,7 +38,8 @@
  *   - Create the non-root user inside the container
  *   - Install Claude Code CLI globally
  *   - Determine the installed CLI path
- *   - Run postCreateCommand if provided
+ *   - Run onCreateCommand, postCreateCommand and postStartCommand (in that
+ *     order) if provided
  *   - On any failure after the container starts, stop and remove the container
  *     before re-throwing so the manager never sees a partially-initialised handle
  *
@@ -58,7 +60,15 @@
  * @param {Object.<string,string>} [opts.containerEnv]  - Extra environment variables to inject (already sanitized)
  * @param {number[]|string[]} [opts.forwardPorts] - Ports to expose from the container
  * @param {string[]} [opts.mounts]        - Additional volume mounts (already validated)
+ * @param {string[]} [opts.capAdd]        - Capabilities to restore after `--cap-drop ALL`
+ *   (already filtered by `validateCapAdd`)
+ * @param {string[]} [opts.runArgs]       - Extra `docker run` args (already filtered by `validateRunArgs`)
+ * @param {string}   [opts.onCreateCommand]   - Shell command to run first after setup completes
  * @param {string}   [opts.postCreateCommand] - Shell command to run after setup completes
+ * @param {string}   [opts.postStartCommand]  - Shell command to run last, once the container is up
+ * @param {string[]} [opts.egressRunArgs] - `docker run` args from an EgressGateway's
+ *   `workloadRunArgs()`, replacing the default host route. Only passed to backends
+ *   that implement `createEgressGateway`.
  * @param {'Always'|'IfNotPresent'|'Never'} [opts.imagePullPolicy] - Container image pull policy.
  *   Honoured only by K8sBackend — Docker and other backends silently ignore this field.
  *   When absent, K8sBackend omits the field from the Pod spec and the K8s cluster default applies
@@ -264,10 +274,41 @@
  * @param {string} opts.image        - Snapshot image tag to run
  * @param {string} opts.memoryLimit  - Docker memory limit string (e.g. "2g")
  * @param {string} opts.cpuLimit     - Docker CPU limit string (e.g. "2")
+ * @param {string[]} [opts.egressRunArgs] - As for createEnvironment.
  * @returns {Promise<string>} The full container ID of the newly-started container
  * @throws {Error} If the container fails to start
  */
 
+/**
+ * Build the EgressGateway that fences an environment in under a restricted
+ * network egress policy (egress/egress-gateway.js).  This method is OPTIONAL —
+ * EnvironmentManager checks for it via duck-typing and refuses a restricted
+ * policy on backends that lack it, since nothing would enforce it.
+ *
+ * @function createEgressGateway
+ * @memberof Backend
+ * @param {Object} opts
+ * @param {string}   opts.id          - Gateway id (the environment ID)
+ * @param {Object}   opts.policy      - Normalized `{ policy, domains }`
+ * @param {string[]} [opts.essential] - Hosts the environment needs regardless of policy
+ * @param {string}   [opts.image]     - Proxy image override
+ * @returns {object} An unstarted EgressGateway
+ */
+
+/**
+ * Build (or reuse) an image with devcontainer features layered onto a base
+ * image (devcontainer-features.js).  This method is OPTIONAL —
+ * EnvironmentManager checks for it via duck-typing and refuses a
+ * devcontainer.json that declares features on backends that lack it.
+ *
+ * @function buildFeatureImage
+ * @memberof Backend
+ * @param {Object} opts
+ * @param {string} opts.baseImage - Image the features install onto
+ * @param {Array}  opts.features  - Resolved features from `resolveFeatures()`
+ * @returns {Promise<string>} The derived image tag
+ */
+
 /**
  * Re-populate the backend's in-memory credential cache for a single environment
  * after a server restart.  This method is OPTIONAL — the Backend interface does
@@ -1,7 +1,7 @@
 import { performance } from 'node:perf_hooks'
 import { toShortModelId } from './models.js'
 import { createLogger } from './logger.js'
-import { buildPermissionRequestMessage, MAX_SANE_DURATION_MS } from '@chroxy/protocol'
+import { buildPermissionRequestMessage, MAX_SANE_DURATION_MS, EGRESS_POLICIES } from '@chroxy/protocol'
 
 const log = createLogger('event-normalizer')
 
@@ -147,6 +147,28 @@ function boundedMcpPromptExpansion(meta) {
   }
 }
 
+/**
+ * Bound the `egressBlocked` marker fields before forwarding onto the wire.
+ * The host is what a process inside the container asked the proxy for, so it
+ * is untrusted text: capped at 260 characters (the longest allowlist entry).
+ * Returns `null` unless host, port and policy are all usable, so the caller
+ * forwards a plain system message instead of a half-populated marker.
+ *
+ * @param {{host?: *, port?: *, policy?: *, count?: *}} meta
+ * @returns {{host: string, port: number, policy: string, count: number} | null}
+ */
+function boundedEgressBlocked(meta) {
+  if (typeof meta?.host !== 'string' || !meta.host) return null
+  if (!Number.isInteger(meta.port) || meta.port < 1 || meta.port > 65535) return null
+  if (!EGRESS_POLICIES.includes(meta.policy)) return null
+  return {
+    host: meta.host.slice(0, 260),
+    port: meta.port,
+    policy: meta.policy,
+    count: Number.isInteger(meta.count) && meta.count > 1 ? meta.count : 1,
+  }
+}
+
 /**
  * Declarative event-to-WS-message mapping.
  *
@@ -384,6 +406,15 @@ Object.assign(EVENT_MAP, {
         msg.mcpPromptExpansion = bounded
       }
     }
+    // A request the egress proxy refused (see egress/egress-gateway.js). Same
+    // gating and null-fallback as mcp_prompt_expansion.
+    if (data.type === 'system' && data.subtype === 'egress_blocked' && data.egressBlocked) {
+      const bounded = boundedEgressBlocked(data.egressBlocked)
+      if (bounded) {
+        msg.subtype = data.subtype
+        msg.egressBlocked = bounded
+      }
+    }
     return { messages: [{ msg }] }
   },
 
@@ -732,6 +763,25 @@ Object.assign(EVENT_MAP, {
     messages: [{ msg: { type: 'session_cost_threshold_crossed', costUsd: data.costUsd, thresholdUsd: data.thresholdUsd } }],
   }),
 
+  // Automatic provider failover (provider-failover.js): a retry, a hop to the
+  // next provider in the chain, or the chain running out. A hop changes the
+  // session's provider and billing class, so the session list is refreshed.
+  provider_failover: (data) => ({
+    messages: [{
+      msg: {
+        type: 'provider_failover',
+        action: data.action,
+        category: data.category,
+        provider: data.provider,
+        model: data.model ?? null,
+        ...(data.attempt !== undefined ? { attempt: data.attempt, delayMs: data.delayMs } : {}),
+        ...(data.to ? { to: data.to, billingClass: data.billingClass } : {}),
+        ...(data.carry ? { carry: data.carry, flags: data.flags } : {}),
+      },
+    }],
+    sideEffects: data.action === 'hop' ? [{ type: 'session_list' }] : [],
+  }),
+
   budget_warning: (data) => ({
     messages: [{ msg: { type: 'budget_warning', sessionCost: data.sessionCost, budget: data.budget, percent: data.percent, message: data.message } }],
   }),
@@ -170,12 +170,23 @@ export class GeminiSession extends JsonlSubprocessSession {
     return join(homedir(), '.gemini')
   }
 
+  /**
+   * `$HOME`-relative paths the CLI writes to, kept writable under a bwrap
+   * sandbox (BaseSession#_bwrapSpawnSpec).
+   */
+  static get bwrapStatePaths() {
+    return ['.gemini']
+  }
+
   static get messageIdPrefix() {
     return 'gemini'
   }
 
   static get capabilities() {
     return {
+      // Runs headless with `-y` and has no permission hook, so there is no
+      // prompt to relay in-process (hook-permission-relay.js) — the scheduler
+      // keeps refusing it until gemini grows an approval channel.
       permissions: false,
       inProcessPermissions: false,
       modelSwitch: true,
@@ -187,6 +198,8 @@ export class GeminiSession extends JsonlSubprocessSession {
       // #3932: declared explicitly so the capability matrix matches across
       // providers — claude-tui is the only one that sets this to false.
       streaming: true,
+      // Spawns a local CLI, so `sandbox: 'bwrap'` can confine it (bwrap-sandbox.js).
+      bwrapSandbox: true,
     }
   }
 
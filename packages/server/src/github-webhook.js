@@ -218,6 +218,9 @@ export function recordWebhookDelivery(server, entry) {
   server._repoWebhookDeliveries.record(entry)
 }
 
+/** Stand-in host when no LAN address is detectable; the operator substitutes it. */
+export const LAN_IP_PLACEHOLDER = 'YOUR_LAN_IP'
+
 /**
  * #6540 — derive the public `…/api/github/webhook` payload URL an operator pastes
  * into GitHub, from the server's live origin. Pure + inputs-only so it is unit
@@ -227,12 +230,15 @@ export function recordWebhookDelivery(server, entry) {
  *   3. LAN / loopback fallback → `http://<lanIp-or-host>:<port>/api/github/webhook`,
  *      flagged `lanOnly` with a note (GitHub.com cannot reach it — e.g. `--tunnel none`)
  *
- * @param {{ tunnelUrl?: string|null, externalUrl?: string|null, boundHost?: string, port?: number, lanIp?: string|null, isLoopbackHost?: (h: string) => boolean }} inputs
+ * `path` swaps the route for other origin-derived links (the Slack sink's
+ * `/dashboard` deep links reuse the same precedence).
+ *
+ * @param {{ tunnelUrl?: string|null, externalUrl?: string|null, boundHost?: string, port?: number, lanIp?: string|null, isLoopbackHost?: (h: string) => boolean, path?: string }} inputs
  * @returns {{ url: string|null, lanOnly: boolean, note: string|null }}
  */
 export function deriveWebhookPayloadUrl(inputs = {}) {
   const { tunnelUrl, externalUrl, boundHost, port, lanIp, isLoopbackHost } = inputs
-  const PATH = '/api/github/webhook'
+  const PATH = typeof inputs.path === 'string' && inputs.path.startsWith('/') ? inputs.path : '/api/github/webhook'
 
   const fromEndpoint = (endpoint) => {
     try {
@@ -268,7 +274,7 @@ export function deriveWebhookPayloadUrl(inputs = {}) {
       note: 'Loopback bind — GitHub cannot reach this address. Start a tunnel (chroxy tunnel) or bind to your LAN to receive public webhook deliveries.',
     }
   }
-  const host = typeof lanIp === 'string' && lanIp.length > 0 ? lanIp : 'YOUR_LAN_IP'
+  const host = typeof lanIp === 'string' && lanIp.length > 0 ? lanIp : LAN_IP_PLACEHOLDER
   return {
     url: p ? `http://${host}:${p}${PATH}` : null,
     lanOnly: true,
@@ -336,7 +342,8 @@ export function resolveWebhookSecret(server, { readField = readStoredField } = {
  *   3. read RAW body (capped; 413)
  *   4. HMAC-verify the X-Hub-Signature-256 over the raw body (401, constant-time)
  *   5. parse JSON (400) + normalize the X-GitHub-Event (202 accept-and-skip if unsurfaced)
- *   6. push onto the bounded RepoEventStore (lazily created on the server) → 202
+ *   6. push onto the bounded RepoEventStore (lazily created on the server), then
+ *      hand it to the scheduler's event-cadence tasks (when armed) → 202
  */
 export function handleGithubWebhook(server, req, res) {
   if (!server._githubWebhookRateLimiter) {
@@ -427,6 +434,17 @@ export function handleGithubWebhook(server, req, res) {
       // panes so the repo-events feed updates live (no Refresh). Guarded — a
       // bare/stubbed server (tests) may not wire the WS broadcast.
       if (typeof server._broadcastRepoEvent === 'function') server._broadcastRepoEvent(event)
+      // Event-cadence scheduled tasks. `_schedulerEngine` is null whenever the
+      // scheduler gate is closed, so a delivery fires nothing unless the operator
+      // opted into unattended runs. Isolated: the event is already stored, so a
+      // scheduler fault must not turn an accepted delivery into a 500.
+      if (typeof server._schedulerEngine?.handleRepoEvent === 'function') {
+        try {
+          server._schedulerEngine.handleRepoEvent(event)
+        } catch (err) {
+          log.warn(`Scheduler repo-event dispatch failed: ${err?.message || err}`)
+        }
+      }
       sendJson(res, 202, { accepted: true, surfaced: true, kind: event.kind })
     } catch (err) {
       log.error(`github webhook handler error: ${err?.stack || err}`)
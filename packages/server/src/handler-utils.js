@@ -533,6 +533,26 @@ export function autoSubscribeOtherClients(sessionId, excludeWs, ctx) {
   }
 }
 
+/**
+ * Normalize a cwd for collision comparison so two sessions on the SAME physical
+ * directory reached via different strings (trailing slash, symlink, an explicit
+ * path vs the equivalent default) still compare equal. realpathSync resolves
+ * symlinks and drops trailing slashes; if the path doesn't exist (or perms),
+ * fall back to a trailing-slash-stripped form so '/repo' and '/repo/' still
+ * match. Without this the #5731 T8 shared-cwd guard would miss a real collision.
+ * Shared by the checkpoint-restore guard and the git branch-mutation guard.
+ * @param {*} p
+ * @returns {*}
+ */
+export function normalizeCwd(p) {
+  if (typeof p !== 'string' || !p) return p
+  try {
+    return realpathSync(p)
+  } catch {
+    return p.replace(/\/+$/, '') || p
+  }
+}
+
 /**
  * Resolve a session from a message and client context.
  * Prefers msg.sessionId, falls back to client.activeSessionId.
@@ -3,31 +3,11 @@
  *
  * Handles: create_checkpoint, list_checkpoints, restore_checkpoint, delete_checkpoint
  */
-import { realpathSync } from 'fs'
-import { sendSessionError, broadcastFocusChanged } from '../handler-utils.js'
+import { sendSessionError, broadcastFocusChanged, normalizeCwd } from '../handler-utils.js'
 import { createLogger } from '../logger.js'
 
 const log = createLogger('ws')
 
-/**
- * Normalize a cwd for collision comparison so two sessions on the SAME physical
- * directory reached via different strings (trailing slash, symlink, an explicit
- * path vs the equivalent default) still compare equal. realpathSync resolves
- * symlinks and drops trailing slashes; if the path doesn't exist (or perms),
- * fall back to a trailing-slash-stripped form so '/repo' and '/repo/' still
- * match. Without this the #5731 T8 shared-cwd guard would miss a real collision.
- * @param {*} p
- * @returns {*}
- */
-function normalizeCwd(p) {
-  if (typeof p !== 'string' || !p) return p
-  try {
-    return realpathSync(p)
-  } catch {
-    return p.replace(/\/+$/, '') || p
-  }
-}
-
 async function handleCreateCheckpoint(ws, client, msg, ctx) {
   const sid = client.activeSessionId
   if (!sid || !ctx.sessions.sessionManager) {
@@ -27,6 +27,8 @@ async function handleListConversations(ws, client, msg, ctx) {
     // Pass provider-driven projectsDirs when available (#2965); falls back to
     // the scanner's default (~/.claude/projects) when not set.
     const scanOpts = ctx.runtime.projectsDirs ? { projectsDirs: ctx.runtime.projectsDirs } : {}
+    // A fresh scan also nudges the search index to pick up changed transcripts.
+    if (ctx.services.conversationIndex) scanOpts.index = ctx.services.conversationIndex
     const all = await scan(scanOpts)
     // Adversary A8: scope results so a bound pairing-issued client
     // cannot enumerate conversations outside its session cwd.
@@ -39,10 +41,16 @@ async function handleListConversations(ws, client, msg, ctx) {
 }
 
 async function handleSearchConversations(ws, client, msg, ctx) {
-  const { query, maxResults } = msg
+  const { query, maxResults, repo, provider, role, since, until } = msg
   const search = ctx.searchConversations || defaultSearchConversations
   try {
-    const all = await search(query, { maxResults })
+    // Search every provider's transcripts (not just ~/.claude) so the
+    // provider filter has something to filter; the daemon's persistent index
+    // keeps repeat queries from re-reading unchanged files.
+    const opts = { maxResults, repo, provider, role, since, until }
+    if (ctx.runtime.projectsDirs) opts.projectsDirs = ctx.runtime.projectsDirs
+    if (ctx.services.conversationIndex) opts.index = ctx.services.conversationIndex
+    const all = await search(query, opts)
     // Adversary A8: scope the search result set to the bound session's
     // cwd. Without this, a mobile client could substring-grep every
     // JSONL on disk for secrets-in-transcripts.
@@ -19,6 +19,7 @@ import {
   hasCodexOAuthCreds,
 } from '../auth-probes.js'
 import { createLogger, loggerForSession } from '../logger.js'
+import { describeActor, recordAuditEvent } from '../audit-journal.js'
 
 const log = createLogger('ws')
 
@@ -52,6 +53,14 @@ function rejectCredentialWriteIfBound(ws, client, msg, ctx) {
     'Pairing-issued session tokens cannot modify provider credentials. Use the primary API token from a device with physical access to this machine.', undefined, ctx)
   return true
 }
+/**
+ * Journal a credential write (set / delete) with the acting connection. Only
+ * the key NAME is recorded — never a value, masked or otherwise.
+ */
+function auditCredentialChange(client, key, action) {
+  recordAuditEvent('credential_change', { ...describeActor(client), key, action })
+}
+
 /**
  * BYOK credentials handlers (#4052).
  *
@@ -103,6 +112,7 @@ function handleByokSetCredentials(ws, client, msg, ctx) {
     sendError(ws, msg?.requestId, 'CREDENTIALS_WRITE_FAILED', err?.message || 'write failed', undefined, ctx)
     return
   }
+  auditCredentialChange(client, 'ANTHROPIC_API_KEY', 'set')
   const status = getAnthropicApiKeyStatus()
   // Reply to the originating client with the requestId for await-resolution.
   ctx.transport.send(ws, { type: 'byok_credentials_status', requestId: msg?.requestId, ...status })
@@ -129,6 +139,7 @@ function handleByokClearCredentials(ws, client, msg, ctx) {
     sendError(ws, msg?.requestId, 'CREDENTIALS_CLEAR_FAILED', err?.message || 'clear failed', undefined, ctx)
     return
   }
+  auditCredentialChange(client, 'ANTHROPIC_API_KEY', 'delete')
   // The reply is the success status: the key IS cleared. Reporting a failure for
   // a clear that landed would send the operator to re-clear an already-cleared key.
   const status = getAnthropicApiKeyStatus()
@@ -214,6 +225,7 @@ function handleSetCredential(ws, client, msg, ctx) {
     sendError(ws, msg?.requestId, 'CREDENTIAL_WRITE_FAILED', err?.message || 'write failed', undefined, ctx)
     return
   }
+  auditCredentialChange(client, key, 'set')
   _sendCredentialsStatus(ctx, ws, msg?.requestId)
 }
 
@@ -234,6 +246,7 @@ function handleDeleteCredential(ws, client, msg, ctx) {
     sendError(ws, msg?.requestId, 'CREDENTIAL_CLEAR_FAILED', err?.message || 'clear failed', undefined, ctx)
     return
   }
+  auditCredentialChange(client, key, 'delete')
   // The reply is the success status: the key IS deleted.
   _sendCredentialsStatus(ctx, ws, msg?.requestId)
   if (outcome?.durabilityUnconfirmed) {
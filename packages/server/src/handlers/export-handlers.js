@@ -0,0 +1,150 @@
+/**
+ * `export_session` WS handler — render a session's persisted history as
+ * Markdown, self-contained HTML or normalized JSONL (session-export.js), and
+ * optionally publish the HTML as a Chroxy Page. Replies with a single
+ * `export_session_result`; failures surface as exactly one `EXPORT_FAILED`
+ * session_error.
+ *
+ * Authority mirrors `summarize_session` (summarize-handlers.js): the transcript
+ * exposes a session's conversation, so only a HOST-level (unbound) client or a
+ * client bound to THIS session may export it. `publish: true` additionally
+ * requires the PRIMARY token — it writes to the host disk and mints a public
+ * capability URL, the same tier as POST /api/pages
+ * (docs/security/bearer-token-authority.md).
+ *
+ * Rendering is synchronous and bounded by the history ring buffer, so there is
+ * no in-flight guard: a repeated click just renders again.
+ */
+import { createLogger } from '../logger.js'
+import {
+  exportMetaForSession,
+  isSessionExportFormat,
+  publishSessionExport,
+  renderSessionExport,
+  SESSION_EXPORT_FORMATS,
+} from '../session-export.js'
+import { getErrorMessage } from '../utils/error-message.js'
+
+const log = createLogger('ws')
+
+/**
+ * Single EXPORT_FAILED reply builder — same envelope as SUMMARIZE_FAILED: a
+ * stable `code`, a `reason` discriminator, and the correlation fields echoed.
+ */
+function exportError(ws, ctx, sessionId, requestId, reason, message) {
+  ctx.transport.send(ws, {
+    type: 'session_error',
+    code: 'EXPORT_FAILED',
+    message,
+    reason,
+    sessionId: typeof sessionId === 'string' ? sessionId : null,
+    requestId: typeof requestId === 'string' ? requestId : null,
+  })
+}
+
+function handleExportSession(ws, client, msg, ctx) {
+  const sessionId = typeof msg?.sessionId === 'string' ? msg.sessionId : ''
+  const requestId = typeof msg?.requestId === 'string' ? msg.requestId : null
+  const format = msg?.format
+  const publish = msg?.publish === true
+
+  if (!sessionId) {
+    exportError(ws, ctx, null, requestId, 'invalid-session-id',
+      'export_session requires a non-empty sessionId')
+    return
+  }
+  if (!isSessionExportFormat(format)) {
+    exportError(ws, ctx, sessionId, requestId, 'invalid-format',
+      `Unknown export format (expected one of ${SESSION_EXPORT_FORMATS.join(', ')})`)
+    return
+  }
+  if (publish && format !== 'html') {
+    exportError(ws, ctx, sessionId, requestId, 'invalid-format',
+      'Only the html export can be published as a page')
+    return
+  }
+
+  if (client?.boundSessionId && client.boundSessionId !== sessionId) {
+    exportError(ws, ctx, sessionId, requestId, 'forbidden',
+      'Not authorized: client is bound to a different session')
+    return
+  }
+  if (publish && client?.isPrimaryToken !== true) {
+    exportError(ws, ctx, sessionId, requestId, 'forbidden',
+      'Publishing a page requires the primary token')
+    return
+  }
+
+  const sessionManager = ctx.sessions.sessionManager
+  const entry = sessionManager?.getSession?.(sessionId)
+  if (!entry) {
+    exportError(ws, ctx, sessionId, requestId, 'unknown-session',
+      `Session not found: ${sessionId}`)
+    return
+  }
+
+  let history
+  try {
+    history = sessionManager.getHistory(sessionId)
+  } catch (err) {
+    log.warn(`export_session history read failed for ${sessionId}: ${getErrorMessage(err, 'unknown error')}`)
+    exportError(ws, ctx, sessionId, requestId, 'history-failed',
+      'Could not read this session\'s history')
+    return
+  }
+  const meta = exportMetaForSession(sessionId, entry, sessionManager)
+
+  if (publish) {
+    const pagesStore = ctx.services.pagesStore
+    if (!pagesStore) {
+      exportError(ws, ctx, sessionId, requestId, 'pages-unavailable',
+        'Chroxy Pages is not available on this server')
+      return
+    }
+    let page
+    try {
+      page = publishSessionExport(pagesStore, { history, meta, title: msg.title })
+    } catch (err) {
+      // PagesStore throws plain Errors for cap violations (safe, actionable)
+      // and errno-coded ones for I/O faults (fs detail stays server-side).
+      const ioFault = err && typeof err.code === 'string'
+      log.warn(`export_session publish failed for ${sessionId}: ${getErrorMessage(err, 'unknown error')}`)
+      exportError(ws, ctx, sessionId, requestId, 'publish-failed',
+        ioFault ? 'Could not publish the page' : getErrorMessage(err, 'Could not publish the page'))
+      return
+    }
+    log.info(`export_session published ${sessionId} as page ${page.slug} (client=${client?.id})`)
+    ctx.transport.send(ws, {
+      type: 'export_session_result',
+      sessionId,
+      format,
+      fileName: 'index.html',
+      mimeType: 'text/html; charset=utf-8',
+      page: {
+        slug: page.slug,
+        path: page.path,
+        url: ctx.services.publicUrlFor?.(page.path) ?? null,
+        title: page.title,
+      },
+      entryCount: page.entryCount,
+      requestId,
+    })
+    return
+  }
+
+  const rendered = renderSessionExport({ history, format, meta })
+  ctx.transport.send(ws, {
+    type: 'export_session_result',
+    sessionId,
+    format,
+    fileName: rendered.fileName,
+    mimeType: rendered.mimeType,
+    content: rendered.content,
+    entryCount: rendered.entryCount,
+    requestId,
+  })
+}
+
+export const exportHandlers = {
+  export_session: handleExportSession,
+}
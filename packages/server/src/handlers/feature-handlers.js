@@ -13,6 +13,7 @@ import { createLogger, loggerForSession } from '../logger.js'
 import { validateCwdAllowed, buildSessionTokenMismatchPayload, sendSessionError } from '../handler-utils.js'
 import { validateDockerImage } from '../docker-image-allowlist.js'
 import { WebTaskUnavailableError } from '../web-task-manager.js'
+import { normalizeEgressPolicy, EgressPolicyError } from '../egress/egress-policy.js'
 
 const log = createLogger('ws')
 
@@ -237,7 +238,16 @@ function handleCreateEnvironment(ws, _client, msg, ctx) {
     return
   }
 
-  ctx.services.environmentManager.create({ name, cwd, image, memoryLimit, cpuLimit })
+  let egress
+  try {
+    egress = normalizeEgressPolicy(msg.egress) || undefined
+  } catch (err) {
+    if (!(err instanceof EgressPolicyError)) throw err
+    ctx.transport.send(ws, { type: 'environment_error', error: err.message })
+    return
+  }
+
+  ctx.services.environmentManager.create({ name, cwd, image, memoryLimit, cpuLimit, egress })
     .then((env) => {
       ctx.transport.send(ws, {
         type: 'environment_created',
@@ -3,10 +3,15 @@
  *
  * Handles: list_directory, browse_files, list_files, read_file, write_file,
  *          get_diff, git_status, git_branches, git_stage, git_unstage,
- *          git_commit, git_create_pr, list_slash_commands, list_agents
+ *          git_commit, git_create_pr, git_log, git_show, git_blame,
+ *          git_branch_create, git_checkout, git_branch_delete,
+ *          git_conflicts, git_conflict_resolve, git_conflict_continue,
+ *          git_conflict_abort, list_slash_commands, list_agents
  */
-import { resolveSession, sendError } from '../handler-utils.js'
-import { loggerForSession } from '../logger.js'
+import { normalizeCwd, resolveSession, sendError } from '../handler-utils.js'
+import { createLogger, loggerForSession } from '../logger.js'
+
+const log = createLogger('ws')
 
 /**
  * #6541 — file/git MUTATION gate: reject pairing-bound (share-a-session) tokens.
@@ -46,6 +51,70 @@ function rejectMutationIfBound(ws, client, msg, ctx, op) {
   return false
 }
 
+/**
+ * Working-tree busy gate for the branch and conflict mutations: refuse while a
+ * turn is in flight on the same working tree — the resolved session's own, or
+ * ANOTHER session sharing its cwd (the #5731 T8 shared-cwd rule checkpoint
+ * restore applies). Switching branches, or continuing / aborting a merge,
+ * under a running agent swaps the files it is editing; the remaining
+ * mutations of each family are gated too so they read as one operation class
+ * in the panel. `buildRefusal(reason)` returns the family's own `*_result`
+ * carrying the refusal, so the panel surfaces it inline.
+ *
+ * The shared-cwd scan fails OPEN on an accessor error, like the checkpoint
+ * guard — it is defense-in-depth, and the session's own `isRunning` check
+ * still applies.
+ *
+ * @returns {boolean} true if the caller was rejected (handler must return).
+ */
+function rejectWorkingTreeMutationIfBusy(ws, client, msg, ctx, entry, buildRefusal) {
+  const refuse = (reason) => {
+    ctx.transport.send(ws, buildRefusal(reason))
+    return true
+  }
+  if (entry?.session?.isRunning) return refuse('this session is busy')
+  const cwd = entry?.cwd
+  if (!cwd) return false
+  try {
+    const sessionMgr = ctx.sessions.sessionManager
+    if (typeof sessionMgr?.listSessions !== 'function') return false
+    const liveSessions = sessionMgr.listSessions()
+    if (!Array.isArray(liveSessions)) return false
+    const sid = msg.sessionId || client?.activeSessionId
+    const targetCwd = normalizeCwd(cwd)
+    const busyShare = liveSessions.find(
+      (s) => s && s.sessionId !== sid && s.isBusy && normalizeCwd(s.cwd) === targetCwd,
+    )
+    if (busyShare) return refuse(`another session ("${busyShare.name}") is busy in the same working directory`)
+  } catch (err) {
+    log.warn(`Shared-cwd working-tree guard skipped (accessor error, failing open): ${err?.message || err}`)
+  }
+  return false
+}
+
+function rejectBranchMutationIfBusy(ws, client, msg, ctx, entry, action) {
+  return rejectWorkingTreeMutationIfBusy(ws, client, msg, ctx, entry, (reason) => ({
+    type: 'git_branch_result',
+    action,
+    branch: null,
+    currentBranch: null,
+    error: `Cannot change branches while ${reason}. Wait for it to finish or interrupt it first.`,
+  }))
+}
+
+function rejectConflictMutationIfBusy(ws, client, msg, ctx, entry, action) {
+  return rejectWorkingTreeMutationIfBusy(ws, client, msg, ctx, entry, (reason) => ({
+    type: 'git_conflict_result',
+    action,
+    path: typeof msg.path === 'string' ? msg.path : null,
+    remaining: 0,
+    staged: false,
+    operation: null,
+    error: `Cannot change the merge while ${reason}. Wait for it to finish or interrupt it first.`,
+    ...(typeof msg.requestId === 'string' ? { requestId: msg.requestId } : {}),
+  }))
+}
+
 function handleListDirectory(ws, client, msg, ctx) {
   ctx.services.fileOps.listDirectory(ws, msg.path)
 }
@@ -142,6 +211,80 @@ function handleGitCreatePr(ws, client, msg, ctx) {
   )
 }
 
+function handleGitLog(ws, client, msg, ctx) {
+  const entry = resolveSession(ctx, msg, client)
+  ctx.services.fileOps.gitLog(
+    ws,
+    { skip: msg.skip, limit: msg.limit, path: msg.path, requestId: msg.requestId },
+    entry?.cwd || null,
+  )
+}
+
+function handleGitShow(ws, client, msg, ctx) {
+  const entry = resolveSession(ctx, msg, client)
+  ctx.services.fileOps.gitShow(ws, msg.hash, entry?.cwd || null, msg.requestId)
+}
+
+function handleGitBlame(ws, client, msg, ctx) {
+  const entry = resolveSession(ctx, msg, client)
+  ctx.services.fileOps.gitBlame(ws, { path: msg.path, rev: msg.rev, requestId: msg.requestId }, entry?.cwd || null)
+}
+
+function handleGitBranchCreate(ws, client, msg, ctx) {
+  if (rejectMutationIfBound(ws, client, msg, ctx, 'git_branch_create')) return
+  const entry = resolveSession(ctx, msg, client)
+  if (rejectBranchMutationIfBusy(ws, client, msg, ctx, entry, 'create')) return
+  ctx.services.fileOps.gitBranchCreate(
+    ws,
+    { name: msg.name, startPoint: msg.startPoint, checkout: msg.checkout },
+    entry?.cwd || null,
+  )
+}
+
+function handleGitCheckout(ws, client, msg, ctx) {
+  if (rejectMutationIfBound(ws, client, msg, ctx, 'git_checkout')) return
+  const entry = resolveSession(ctx, msg, client)
+  if (rejectBranchMutationIfBusy(ws, client, msg, ctx, entry, 'checkout')) return
+  ctx.services.fileOps.gitCheckout(ws, msg.branch, entry?.cwd || null)
+}
+
+function handleGitBranchDelete(ws, client, msg, ctx) {
+  if (rejectMutationIfBound(ws, client, msg, ctx, 'git_branch_delete')) return
+  const entry = resolveSession(ctx, msg, client)
+  if (rejectBranchMutationIfBusy(ws, client, msg, ctx, entry, 'delete')) return
+  ctx.services.fileOps.gitBranchDelete(ws, { name: msg.name, force: msg.force }, entry?.cwd || null)
+}
+
+function handleGitConflicts(ws, client, msg, ctx) {
+  const entry = resolveSession(ctx, msg, client)
+  ctx.services.fileOps.gitConflicts(ws, { requestId: msg.requestId }, entry?.cwd || null)
+}
+
+function handleGitConflictResolve(ws, client, msg, ctx) {
+  if (rejectMutationIfBound(ws, client, msg, ctx, 'git_conflict_resolve')) return
+  const entry = resolveSession(ctx, msg, client)
+  if (rejectConflictMutationIfBusy(ws, client, msg, ctx, entry, 'resolve')) return
+  ctx.services.fileOps.gitConflictResolve(
+    ws,
+    { path: msg.path, hash: msg.hash, resolutions: msg.resolutions, take: msg.take, requestId: msg.requestId },
+    entry?.cwd || null,
+  )
+}
+
+function handleGitConflictContinue(ws, client, msg, ctx) {
+  if (rejectMutationIfBound(ws, client, msg, ctx, 'git_conflict_continue')) return
+  const entry = resolveSession(ctx, msg, client)
+  if (rejectConflictMutationIfBusy(ws, client, msg, ctx, entry, 'continue')) return
+  ctx.services.fileOps.gitConflictContinue(ws, { requestId: msg.requestId }, entry?.cwd || null)
+}
+
+function handleGitConflictAbort(ws, client, msg, ctx) {
+  if (rejectMutationIfBound(ws, client, msg, ctx, 'git_conflict_abort')) return
+  const entry = resolveSession(ctx, msg, client)
+  if (rejectConflictMutationIfBusy(ws, client, msg, ctx, entry, 'abort')) return
+  ctx.services.fileOps.gitConflictAbort(ws, { requestId: msg.requestId }, entry?.cwd || null)
+}
+
 function handleListSlashCommands(ws, client, msg, ctx) {
   const sid = msg.sessionId || client.activeSessionId
   const entry = resolveSession(ctx, msg, client)
@@ -181,6 +324,16 @@ export const fileHandlers = {
   git_unstage: handleGitUnstage,
   git_commit: handleGitCommit,
   git_create_pr: handleGitCreatePr,
+  git_log: handleGitLog,
+  git_show: handleGitShow,
+  git_blame: handleGitBlame,
+  git_branch_create: handleGitBranchCreate,
+  git_checkout: handleGitCheckout,
+  git_branch_delete: handleGitBranchDelete,
+  git_conflicts: handleGitConflicts,
+  git_conflict_resolve: handleGitConflictResolve,
+  git_conflict_continue: handleGitConflictContinue,
+  git_conflict_abort: handleGitConflictAbort,
   list_slash_commands: handleListSlashCommands,
   list_agents: handleListAgents,
 }
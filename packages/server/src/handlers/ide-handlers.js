@@ -8,7 +8,15 @@
  * additionally returns early as defence-in-depth. Off ⇒ zero IDE behaviour.
  *
  * Handles: list_symbols (#6471), resolve_symbol (#6475), search_content (#6474),
- * find_references (#6477).
+ * find_references (#6477), hover_symbol (#6479).
+ *
+ * Language servers (#6479): when `languageServers` configures one for the
+ * file's language, resolve_symbol / find_references at a clicked position, a
+ * file-scoped list_symbols, and hover_symbol are answered by it (via the
+ * LanguageServerPool on ctx.services). Everything else — no server configured,
+ * no position sent, a whole-workspace listing, or a server that failed — falls
+ * back to the regex index. Replies carry `source: 'lsp' | 'regex'` so the
+ * client can tell precise answers from approximate ones.
  */
 import { resolveSession } from '../handler-utils.js'
 import { isIdeFeatureEnabled } from '../config.js'
@@ -18,6 +26,34 @@ import { createLogger } from '../logger.js'
 
 const log = createLogger('ide')
 
+/**
+ * The clicked position a language server needs: the originating file plus a
+ * 1-indexed line/column. Null when the client sent only a symbol name (older
+ * clients, or a click without position), which routes to the regex index.
+ */
+function clickPosition(msg, fromFile) {
+  if (!fromFile) return null
+  const { line, column } = msg
+  if (!Number.isInteger(line) || line < 1 || !Number.isInteger(column) || column < 1) return null
+  return { file: fromFile, line, column }
+}
+
+/**
+ * Run one language-server operation, treating a failure like "no server":
+ * logged at debug and reported as null so the caller falls back to the regex
+ * index instead of surfacing a server crash as a navigation error.
+ */
+async function tryLanguageServer(ctx, label, op) {
+  const pool = ctx.services?.languageServers
+  if (!pool) return null
+  try {
+    return await op(pool)
+  } catch (err) {
+    log.debug(`${label}: language server failed, using the regex index: ${err?.message}`)
+    return null
+  }
+}
+
 /**
  * `list_symbols` → `symbols_snapshot`. Parses the session workspace (or an
  * optional sub-path) with the self-contained regex symbol parser and returns
@@ -42,13 +78,24 @@ async function handleListSymbols(ws, client, msg, ctx) {
     return
   }
 
+  // #6479: a single-file scope goes to the file's language server when one is
+  // configured. LSP has no bounded "every symbol in the workspace" request, so
+  // directory and whole-workspace scans stay on the regex index.
+  const viaLsp = path
+    ? await tryLanguageServer(ctx, 'list_symbols', (pool) => pool.documentSymbols(cwd, path))
+    : null
+  if (viaLsp) {
+    ctx.transport.send(ws, { type: 'symbols_snapshot', path, symbols: viaLsp.symbols, truncated: viaLsp.truncated, error: null, source: 'lsp' })
+    return
+  }
+
   try {
     // Whole-workspace list_symbols (no path) shares the TTL symbol-index cache
     // (#6499) with resolve_symbol; a scoped path re-scans that sub-tree fresh.
     const { symbols, truncated } = path
       ? await collectWorkspaceSymbols(cwd, { path })
       : await getWorkspaceSymbolIndex(cwd)
-    ctx.transport.send(ws, { type: 'symbols_snapshot', path, symbols, truncated, error: null })
+    ctx.transport.send(ws, { type: 'symbols_snapshot', path, symbols, truncated, error: null, source: 'regex' })
   } catch (err) {
     log.debug(`list_symbols failed: ${err?.message}`)
     ctx.transport.send(ws, {
@@ -65,6 +112,8 @@ async function handleListSymbols(ws, client, msg, ctx) {
  * `resolve_symbol` → `symbol_location`. Go-to-definition (#6475): resolves a
  * clicked symbol NAME to a single declaration over the same regex index
  * list_symbols uses. `file` (the originating file) only breaks ranking ties.
+ * With `line`/`column` and a language server for the file (#6479), the server
+ * answers instead and its miss is final — it knows the symbol is external.
  * A hit sends `{ file, line, error: null }`; a miss sends `{ file: null,
  * line: null, error }` so the client can show a graceful 'definition not found'.
  * Dashboard-only consumer for v1.
@@ -100,11 +149,22 @@ async function handleResolveSymbol(ws, client, msg, ctx) {
     return
   }
 
+  const position = clickPosition(msg, fromFile)
+  const viaLsp = position
+    ? await tryLanguageServer(ctx, 'resolve_symbol', (pool) => pool.definition(cwd, position))
+    : null
+  if (viaLsp) {
+    ctx.transport.send(ws, viaLsp.file
+      ? { type: 'symbol_location', symbol, file: viaLsp.file, line: viaLsp.line, error: null, source: 'lsp' }
+      : { type: 'symbol_location', symbol, file: null, line: null, error: 'Definition not found', source: 'lsp' })
+    return
+  }
+
   try {
     const loc = await resolveSymbol(cwd, symbol, { fromFile })
     ctx.transport.send(ws, loc
-      ? { type: 'symbol_location', symbol, file: loc.file, line: loc.line, error: null }
-      : { type: 'symbol_location', symbol, file: null, line: null, error: 'Definition not found' })
+      ? { type: 'symbol_location', symbol, file: loc.file, line: loc.line, error: null, source: 'regex' }
+      : { type: 'symbol_location', symbol, file: null, line: null, error: 'Definition not found', source: 'regex' })
   } catch (err) {
     log.debug(`resolve_symbol failed: ${err?.message}`)
     ctx.transport.send(ws, {
@@ -182,8 +242,9 @@ async function handleSearchContent(ws, client, msg, ctx) {
  * word-boundary, case-sensitive grep for a symbol NAME over the same confined
  * walk search_content uses, returning every referencing site. `file` (the
  * originating file) ranks that file's references first (#6516), mirroring how
- * resolveSymbol uses it as a tie-break. Dashboard-only consumer for v1 (the
- * references palette).
+ * resolveSymbol uses it as a tie-break. With `line`/`column` and a language
+ * server for the file (#6479), the server's scope-aware references replace the
+ * grep. Dashboard-only consumer for v1 (the references palette).
  */
 async function handleFindReferences(ws, client, msg, ctx) {
   // #6481 (epic #6469): fail closed when the IDE surface is not opted in.
@@ -215,9 +276,18 @@ async function handleFindReferences(ws, client, msg, ctx) {
     return
   }
 
+  const position = clickPosition(msg, fromFile)
+  const viaLsp = position
+    ? await tryLanguageServer(ctx, 'find_references', (pool) => pool.references(cwd, position))
+    : null
+  if (viaLsp) {
+    ctx.transport.send(ws, { type: 'references_result', symbol, results: viaLsp.results, truncated: viaLsp.truncated, error: null, source: 'lsp' })
+    return
+  }
+
   try {
     const { results, truncated } = await findReferences(cwd, symbol, { fromFile })
-    ctx.transport.send(ws, { type: 'references_result', symbol, results, truncated, error: null })
+    ctx.transport.send(ws, { type: 'references_result', symbol, results, truncated, error: null, source: 'regex' })
   } catch (err) {
     log.debug(`find_references failed: ${err?.message}`)
     ctx.transport.send(ws, {
@@ -230,9 +300,49 @@ async function handleFindReferences(ws, client, msg, ctx) {
   }
 }
 
+/**
+ * `hover_symbol` → `symbol_hover` (#6479). Hover text at a clicked position
+ * plus the file's current diagnostics, straight from the file's language
+ * server. There is no regex equivalent, so with no server configured (or one
+ * that failed) the reply carries an error and the client shows nothing extra.
+ */
+async function handleHoverSymbol(ws, client, msg, ctx) {
+  // #6481 (epic #6469): fail closed when the IDE surface is not opted in.
+  if (!isIdeFeatureEnabled(ctx.services?.config)) return
+
+  const file = typeof msg.file === 'string' && msg.file.trim()
+    ? msg.file.trim().replace(/\\/g, '/')
+    : ''
+  const line = Number.isInteger(msg.line) ? msg.line : 0
+  const column = Number.isInteger(msg.column) ? msg.column : 0
+  const reply = (fields) => ctx.transport.send(ws, {
+    type: 'symbol_hover', file, line, column, contents: null, diagnostics: [], error: null, ...fields,
+  })
+
+  const position = clickPosition(msg, file || null)
+  if (!position) {
+    reply({ error: 'No position to hover' })
+    return
+  }
+  const entry = resolveSession(ctx, msg, client)
+  const cwd = entry?.cwd || null
+  if (!cwd) {
+    reply({ error: 'No workspace directory for this session' })
+    return
+  }
+
+  const hover = await tryLanguageServer(ctx, 'hover_symbol', (pool) => pool.hover(cwd, position))
+  if (!hover) {
+    reply({ error: 'No language server is available for this file' })
+    return
+  }
+  reply({ contents: hover.contents, diagnostics: hover.diagnostics })
+}
+
 export const ideHandlers = {
   list_symbols: handleListSymbols,
   resolve_symbol: handleResolveSymbol,
   search_content: handleSearchContent,
   find_references: handleFindReferences,
+  hover_symbol: handleHoverSymbol,
 }
@@ -503,6 +503,13 @@ async function handleInput(ws, client, msg, ctx) {
   // cap-bypass).
   recordHistoryEntry(textToSend)
 
+  // A fork that couldn't branch the provider's transcript parked the carried
+  // conversation on the new session (session-fork.js); it rides in front of the
+  // first message only. History keeps just what the user typed — the carried
+  // turns are already seeded there.
+  const carried = ctx.sessions.sessionManager.takePendingCarry?.(targetSessionId)
+  if (carried) textToSend = `${carried}\n\n${textToSend}`
+
   // #5313 (WP-1.3): sendMessage is fire-and-forget. If a provider's
   // sendMessage returns a rejecting promise, an unhandled rejection escapes
   // to process-level unhandledRejection → process.exit(1), crashing EVERY
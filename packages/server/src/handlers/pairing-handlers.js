@@ -19,6 +19,9 @@
  * `pair_pending` banner. By construction the requester cannot influence that
  * code (it only ever travels server→surfaces).
  *
+ * The approver may narrow the new device with `scope` (observe / approve /
+ * full, token-scopes.js) — e.g. approve a teammate's phone as approve-only.
+ *
  * The issued token is delivered EXACTLY once, over the requester's still-open
  * connection, via `pair_result { ok: true, token }`. The PairingManager marks
  * the request resolved before minting, so a double-approve is a no-op error.
@@ -26,6 +29,7 @@
  */
 import { createLogger } from '../logger.js'
 import { sendError } from '../handler-utils.js'
+import { describeActor, recordAuditEvent } from '../audit-journal.js'
 
 const log = createLogger('ws')
 
@@ -49,7 +53,9 @@ async function handlePairApprove(ws, client, msg, ctx) {
     return
   }
 
-  const result = pairingManager.approvePendingRequest(requestId)
+  // Optional scope for the new device's token (token-scopes.js); the schema
+  // already restricted it to a known value, omitted means `full`.
+  const result = pairingManager.approvePendingRequest(requestId, { scope: msg.scope })
   if (!result.ok) {
     // not_found / expired / already_resolved — surface to the approver so the
     // dashboard can drop its banner. Never logs a token.
@@ -68,6 +74,15 @@ async function handlePairApprove(ws, client, msg, ctx) {
   // requestId originated pre-auth (attacker-controlled); JSON.stringify keeps
   // the log a single well-formed record (no newline/control-char injection).
   log.info(`pair_request ${JSON.stringify(requestId)} approved by client ${client.id}`)
+  // The approver is the actor; the new device is recorded by its wire id and
+  // self-reported name (the same id the Paired Devices panel revokes by).
+  recordAuditEvent('token_issue', {
+    ...describeActor(client),
+    via: 'approval',
+    pairedDeviceId: pairingManager.getDeviceIdForToken?.(result.token) ?? null,
+    pairedDeviceName: result.deviceName || null,
+    scope: result.scope,
+  })
 }
 
 async function handlePairDeny(ws, client, msg, ctx) {
@@ -248,12 +248,16 @@ function projectTask(task, ctx, quarantinedIds) {
     enabled: task.enabled === true,
     prompt: typeof task.prompt === 'string' ? task.prompt : '',
     target: projectTarget(task.target),
+    workflow: task.workflow ?? null,
     cadence: task.cadence,
     nextRun: Number.isFinite(task.nextRun) ? task.nextRun : null,
     lastRun: projectLastRun(task.lastRun),
+    catchUp: task.catchUp ?? { policy: 'skip' },
+    notify: task.notify ?? 'never',
     createdAt: Number.isFinite(task.createdAt) ? task.createdAt : 0,
     updatedAt: Number.isFinite(task.updatedAt) ? task.updatedAt : 0,
-    providerRefusal: clampWire(scheduledProviderRefusalReason(provider), 2048),
+    // A workflow task is judged per step by the runner when it fires, not here.
+    providerRefusal: task.workflow ? null : clampWire(scheduledProviderRefusalReason(provider), 2048),
     effectiveProvider: clampWire(provider, 128),
     effectivePermissionMode: clampWire(effectiveMode, 64),
     // True only when the task ASKED for something and got clamped — an absent
@@ -417,6 +421,13 @@ function handleScheduledTaskAction(ws, client, msg, ctx) {
           fail(`No scheduled task with id ${taskId}`, 'SCHEDULED_TASK_NOT_FOUND')
           return
         }
+        // The task's run records go with it; a history fault must not fail
+        // a delete that already happened.
+        try {
+          ctx?.sessions?.sessionManager?.scheduledRunHistory?.removeTask(taskId)
+        } catch (err) {
+          log.warn(`Could not remove run history of scheduled task ${taskId}: ${err?.message || err}`)
+        }
         log.info(`Scheduled task deleted: ${taskId}`)
         break
       }
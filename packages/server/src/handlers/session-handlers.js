@@ -1,15 +1,20 @@
 /**
  * Session lifecycle message handlers.
  *
- * Handles: list_sessions, switch_session, create_session, destroy_session,
- *          rename_session, subscribe_sessions, unsubscribe_sessions
+ * Handles: list_sessions, switch_session, create_session, fork_session,
+ *          switch_provider, destroy_session, rename_session, subscribe_sessions,
+ *          unsubscribe_sessions
  */
 import { USER_SHELL_PROVIDER } from '@chroxy/protocol'
 import { auditShellCreate } from '../shell-audit.js'
+import { forkSession } from '../session-fork.js'
+import { switchSessionProvider } from '../provider-switch.js'
 import { validateCwdAllowed, broadcastFocusChanged, autoSubscribeOtherClients, buildSessionTokenMismatchPayload, sendSessionError, isSessionViewer, isUserShellSession, ALLOWED_PERMISSION_MODE_IDS, getPermissionModes } from '../handler-utils.js'
 import { getRegistryForProvider } from '../models.js'
 import { CODEX_SANDBOX_MODES } from '../codex-session.js'
 import { isUserShellEnabled, isUserShellApprovalRequired } from '../config.js'
+import { normalizeEgressPolicy, EgressPolicyError } from '../egress/egress-policy.js'
+import { normalizeBwrapSandbox, BwrapSandboxError } from '../bwrap-sandbox.js'
 import { createLogger, loggerForSession } from '../logger.js'
 
 const log = createLogger('ws')
@@ -115,7 +120,11 @@ function handleCreateSession(ws, client, msg, ctx) {
   const rawPermMode = (typeof msg.permissionMode === 'string' && msg.permissionMode.trim()) ? msg.permissionMode.trim() : undefined
   const permissionMode = rawPermMode && ALLOWED_PERMISSION_MODE_IDS.has(rawPermMode) ? rawPermMode : undefined
   const worktree = msg.worktree === true ? true : undefined
-  const sandbox = (msg.sandbox && typeof msg.sandbox === 'object' && !Array.isArray(msg.sandbox)) ? msg.sandbox : undefined
+  // `'bwrap'` selects the bubblewrap sandbox; an object is SDK sandbox
+  // settings unless it carries `mode: 'bwrap'` (validated below).
+  const sandbox = msg.sandbox === 'bwrap' || (msg.sandbox && typeof msg.sandbox === 'object' && !Array.isArray(msg.sandbox))
+    ? msg.sandbox
+    : undefined
   // #6638: per-session codex sandbox mode. Schema-gated to the valid enum; the
   // guard keeps an unexpected value from reaching the session (→ env/default).
   const rawCodexSandbox = (typeof msg.codexSandbox === 'string' && msg.codexSandbox.trim()) ? msg.codexSandbox.trim() : undefined
@@ -135,9 +144,38 @@ function handleCreateSession(ws, client, msg, ctx) {
   // control-char / over-200-char id, so a bad value silently skips registration
   // rather than failing the create.
   const agentCommId = (typeof msg.agentCommId === 'string' && msg.agentCommId.trim()) ? msg.agentCommId.trim() : undefined
+  // Per-session failover chain (shape checked by CreateSessionSchema); the
+  // failover layer skips entries it can't resolve when it needs them.
+  const failoverChain = Array.isArray(msg.failoverChain) ? msg.failoverChain : undefined
   // Note: isolation is accepted in the schema but always derived server-side
   // from the actual session state (provider capabilities, worktree, sandbox).
 
+  // Network egress policy. Refused outright when malformed rather than dropped:
+  // silently falling back to the default would hand the session more network
+  // than was asked for.
+  let egress
+  try {
+    egress = normalizeEgressPolicy(msg.egress) || undefined
+  } catch (err) {
+    if (!(err instanceof EgressPolicyError)) throw err
+    sendSessionError(ws, ctx, err.message)
+    return
+  }
+  // Same for a bwrap sandbox: an unknown option would confine the session
+  // less than was asked for. Provider/platform support is checked by
+  // SessionManager.createSession.
+  try {
+    normalizeBwrapSandbox(sandbox)
+  } catch (err) {
+    if (!(err instanceof BwrapSandboxError)) throw err
+    sendSessionError(ws, ctx, err.message)
+    return
+  }
+  if (egress && environmentId) {
+    sendSessionError(ws, ctx, 'An environment session uses its environment\'s egress policy; set egress on the environment instead')
+    return
+  }
+
   if (worktree && !cwd) {
     sendSessionError(ws, ctx, 'Worktree requires an explicit CWD')
     return
@@ -205,6 +243,9 @@ function handleCreateSession(ws, client, msg, ctx) {
         containerId: info.containerId,
         containerUser: info.containerUser,
         containerCliPath: info.containerCliPath,
+        // Recorded on the session so failover can't move it onto a host
+        // provider; the environment's own gateway does the enforcing.
+        egress: ctx.services.environmentManager.get(environmentId)?.egress || undefined,
       }
     } catch (err) {
       sendSessionError(ws, ctx, err.message)
@@ -214,7 +255,7 @@ function handleCreateSession(ws, client, msg, ctx) {
 
   // #6277 — build the create options + audit identity ONCE; both the synchronous
   // path and the host-approval deferred path replay the identical create.
-  const createOptions = { name, cwd, provider, model, permissionMode, worktree, sandbox, codexSandbox, skipPermissions, agentCommId, ...envOpts }
+  const createOptions = { name, cwd, provider, model, permissionMode, worktree, sandbox, codexSandbox, skipPermissions, agentCommId, failoverChain, egress, ...envOpts }
   const isUserShell = provider === USER_SHELL_PROVIDER
   // Capture the audit identity at REQUEST time: the deferred (approved) path may
   // run after the requesting socket is gone, so it can't read a live `client`.
@@ -257,7 +298,10 @@ function handleCreateSession(ws, client, msg, ctx) {
   }
 
   try {
-    finalizeShellCreate(ws, client, createOptions, ctx, audit)
+    const sessionId = finalizeShellCreate(ws, client, createOptions, ctx, audit)
+    // Track the session on its environment so environment-level events (egress
+    // blocks) reach its chat.
+    if (environmentId) ctx.services.environmentManager.addSession(environmentId, sessionId)
   } catch (err) {
     // Surface error code (e.g. PROVIDER_BINARY_NOT_FOUND,
     // PROVIDER_CREDENTIAL_MISSING) so the client can render an actionable
@@ -328,6 +372,137 @@ export function finalizeShellCreate(ws, client, createOptions, ctx, audit) {
   return sessionId
 }
 
+/**
+ * Fork a session from one of its messages into a new session (session-fork.js)
+ * and move the requester onto it. Bound clients are refused, as for
+ * create_session: a fork is a new session.
+ */
+async function handleForkSession(ws, client, msg, ctx) {
+  if (client.boundSessionId) {
+    ctx.transport.send(ws, {
+      type: 'session_error',
+      ...buildSessionTokenMismatchPayload({
+        sessionManager: ctx.sessions.sessionManager,
+        boundSessionId: client.boundSessionId,
+        message: 'Not authorized: client is bound to a specific session',
+      }),
+    })
+    return
+  }
+  const sourceSessionId = (typeof msg.sessionId === 'string' && msg.sessionId) || client.activeSessionId
+  if (!sourceSessionId || typeof msg.messageId !== 'string' || !msg.messageId) {
+    sendSessionError(ws, ctx, 'fork_session requires a session and a messageId')
+    return
+  }
+  const provider = (typeof msg.provider === 'string' && msg.provider.trim()) ? msg.provider.trim() : undefined
+  const model = (typeof msg.model === 'string' && msg.model.trim()) ? msg.model.trim() : undefined
+  const name = (typeof msg.name === 'string' && msg.name.trim()) ? msg.name.trim() : undefined
+
+  let result
+  try {
+    result = await forkSession({
+      sessionManager: ctx.sessions.sessionManager,
+      sourceSessionId,
+      messageId: msg.messageId,
+      provider,
+      model,
+      name,
+    })
+  } catch (err) {
+    const payload = { type: 'session_error', message: `Failed to fork session: ${err.message}` }
+    if (err.code) payload.code = err.code
+    ctx.transport.send(ws, payload)
+    return
+  }
+
+  const { sessionId } = result
+  const entry = ctx.sessions.sessionManager.getSession(sessionId)
+  ctx.transport.setActiveSession(client, sessionId)
+  ctx.transport.subscribeClient(client, sessionId)
+  ctx.transport.send(ws, {
+    type: 'session_forked',
+    sourceSessionId,
+    messageId: msg.messageId,
+    sessionId,
+    name: entry.name,
+    provider: entry.provider,
+    carry: result.carry,
+    worktree: result.worktree,
+    carriedMessages: result.carriedMessages,
+    truncated: result.truncated,
+  })
+  ctx.transport.send(ws, { type: 'session_switched', sessionId, name: entry.name, cwd: entry.cwd, conversationId: entry.session.resumeSessionId || null })
+  ctx.transport.sendSessionInfo(ws, sessionId)
+  // The new session's history was seeded with the carried turns.
+  ctx.transport.replayHistory(ws, sessionId, { forceFull: true })
+  ctx.transport.broadcastSessionList()
+  autoSubscribeOtherClients(sessionId, ws, ctx)
+  broadcastFocusChanged(client, sessionId, ctx)
+}
+
+async function handleSwitchProvider(ws, client, msg, ctx) {
+  if (client.boundSessionId) {
+    ctx.transport.send(ws, {
+      type: 'session_error',
+      ...buildSessionTokenMismatchPayload({
+        sessionManager: ctx.sessions.sessionManager,
+        boundSessionId: client.boundSessionId,
+        message: 'Not authorized: client is bound to a specific session',
+      }),
+    })
+    return
+  }
+  const sourceSessionId = (typeof msg.sessionId === 'string' && msg.sessionId) || client.activeSessionId
+  const provider = typeof msg.provider === 'string' ? msg.provider.trim() : ''
+  if (!sourceSessionId || !provider) {
+    sendSessionError(ws, ctx, 'switch_provider requires a session and a provider')
+    return
+  }
+  const model = (typeof msg.model === 'string' && msg.model.trim()) ? msg.model.trim() : undefined
+  const name = (typeof msg.name === 'string' && msg.name.trim()) ? msg.name.trim() : undefined
+
+  let result
+  try {
+    result = switchSessionProvider({
+      sessionManager: ctx.sessions.sessionManager,
+      sourceSessionId,
+      provider,
+      model,
+      name,
+    })
+  } catch (err) {
+    const payload = { type: 'session_error', message: `Failed to switch provider: ${err.message}` }
+    if (err.code) payload.code = err.code
+    ctx.transport.send(ws, payload)
+    return
+  }
+
+  const { sessionId } = result
+  const entry = ctx.sessions.sessionManager.getSession(sessionId)
+  ctx.transport.setActiveSession(client, sessionId)
+  ctx.transport.subscribeClient(client, sessionId)
+  ctx.transport.send(ws, {
+    type: 'provider_switched',
+    sourceSessionId,
+    sessionId,
+    name: entry.name,
+    provider: entry.provider,
+    carry: result.carry,
+    carriedTurns: result.carriedTurns,
+    todos: result.todos,
+    worktree: result.worktree,
+    flags: result.flags,
+    truncated: result.truncated,
+  })
+  ctx.transport.send(ws, { type: 'session_switched', sessionId, name: entry.name, cwd: entry.cwd, conversationId: entry.session.resumeSessionId || null })
+  ctx.transport.sendSessionInfo(ws, sessionId)
+  // The new session's history was seeded with the source's.
+  ctx.transport.replayHistory(ws, sessionId, { forceFull: true })
+  ctx.transport.broadcastSessionList()
+  autoSubscribeOtherClients(sessionId, ws, ctx)
+  broadcastFocusChanged(client, sessionId, ctx)
+}
+
 async function handleDestroySession(ws, client, msg, ctx) {
   const targetId = msg.sessionId
 
@@ -655,6 +830,8 @@ export const sessionHandlers = {
   list_sessions: handleListSessions,
   switch_session: handleSwitchSession,
   create_session: handleCreateSession,
+  fork_session: handleForkSession,
+  switch_provider: handleSwitchProvider,
   destroy_session: handleDestroySession,
   rename_session: handleRenameSession,
   subscribe_sessions: handleSubscribeSessions,
@@ -587,6 +587,7 @@ function handleQueryPermissionAudit(ws, client, msg, ctx) {
       sessionId: msg.sessionId,
       type: msg.auditType,
       since: msg.since,
+      device: msg.device,
       limit: msg.limit,
     })
     ctx.transport.send(ws, { type: 'permission_audit_result', entries })
@@ -0,0 +1,168 @@
+/**
+ * Slack notification credential handlers.
+ *
+ * SlackWebhookSink (notifications/slack-webhook-sink.js) is inert until it has
+ * either a bot token + channel (live mode) or an incoming-webhook URL (webhook
+ * mode). These handlers let the dashboard configure them instead of env vars:
+ *
+ *   - slack_notifications_config_request — read the value-free config (which
+ *     fields are set and from where, the resulting delivery mode, the dashboard
+ *     URL deep links will use). Open to any authenticated client, like
+ *     github_webhook_config_request.
+ *   - slack_notifications_set_credentials — set any subset of webhookUrl /
+ *     botToken / channel (host-authority gated).
+ *   - slack_notifications_clear_credentials — clear some or all of them
+ *     (host-authority gated).
+ *
+ * SECURITY: the webhook URL and bot token are secrets. They are stored through
+ * the encrypted-at-rest credentials store (never config.json) and NEVER echoed:
+ * the reply carries only `configured` + `source`, plus the webhook URL masked to
+ * its workspace/app ids. The channel is not secret and is echoed so the operator
+ * can see where messages go. Writes are gated like the GitHub webhook secret
+ * (`rejectWebhookSecretWriteIfBound`): a pairing-bound token must not be able to
+ * redirect the host's notifications to a workspace it controls.
+ */
+import { sendError } from '../handler-utils.js'
+import { setStoredField, deleteStoredField } from '../credential-store.js'
+import {
+  SLACK_CREDENTIAL_FIELDS,
+  isValidSlackWebhookUrl,
+  isValidSlackBotToken,
+  isValidSlackChannel,
+  maskSlackWebhookUrl,
+  resolveSlackCredentials,
+  resetSlackCredentialsCache,
+  slackDeliveryMode,
+} from '../slack-credentials.js'
+import { loggerForSession } from '../logger.js'
+
+const FIELD_VALIDATORS = {
+  webhookUrl: {
+    test: isValidSlackWebhookUrl,
+    hint: 'webhookUrl must be a Slack incoming-webhook URL (https://hooks.slack.com/services/T…/B…/…)',
+  },
+  botToken: {
+    test: isValidSlackBotToken,
+    hint: 'botToken must be a Slack bot token (xoxb-…)',
+  },
+  channel: {
+    test: isValidSlackChannel,
+    hint: 'channel must be a channel id (C0123ABCD) or name (#builds)',
+  },
+}
+
+const FIELD_KEYS = Object.keys(SLACK_CREDENTIAL_FIELDS)
+
+/**
+ * Gate Slack credential WRITES behind host-level authority (see the module
+ * header). Returns true and sends the rejection if the client is bound.
+ */
+function rejectSlackCredentialWriteIfBound(ws, client, msg, ctx) {
+  if (!client?.boundSessionId) return false
+  loggerForSession('ws', client.boundSessionId).warn(
+    `Client ${client.id} (bound to ${client.boundSessionId}) attempted to modify the Slack notification credentials — rejected`,
+  )
+  sendError(ws, msg?.requestId, 'SLACK_CREDENTIALS_WRITE_FORBIDDEN_BOUND_CLIENT',
+    'Pairing-issued session tokens cannot modify the Slack notification credentials. Use the primary API token from a device with physical access to this machine.', undefined, ctx)
+  return true
+}
+
+/** Build the value-free `slack_notifications_config` reply. */
+function buildSlackConfig(ctx, requestId) {
+  const creds = resolveSlackCredentials()
+  const { webhookUrl, botToken, channel } = creds
+  const dashboardUrl = ctx?.services?.dashboardUrl
+  return {
+    type: 'slack_notifications_config',
+    requestId: requestId ?? null,
+    generatedAt: new Date().toISOString(),
+    mode: slackDeliveryMode(creds),
+    webhookUrl: {
+      configured: webhookUrl.source !== 'none',
+      source: webhookUrl.source,
+      masked: webhookUrl.value ? maskSlackWebhookUrl(webhookUrl.value) : null,
+    },
+    botToken: {
+      configured: botToken.source !== 'none',
+      source: botToken.source,
+    },
+    channel: {
+      value: channel.value,
+      source: channel.source,
+    },
+    dashboardUrl: typeof dashboardUrl === 'string' ? dashboardUrl : null,
+    error: creds.error ?? null,
+  }
+}
+
+function sendSlackConfig(ws, ctx, requestId) {
+  ctx.transport.send(ws, buildSlackConfig(ctx, requestId))
+}
+
+function handleSlackNotificationsConfigRequest(ws, client, msg, ctx) {
+  sendSlackConfig(ws, ctx, msg?.requestId)
+}
+
+function handleSlackNotificationsSetCredentials(ws, client, msg, ctx) {
+  if (rejectSlackCredentialWriteIfBound(ws, client, msg, ctx)) return
+  const updates = []
+  for (const key of FIELD_KEYS) {
+    if (msg?.[key] === undefined) continue
+    const value = typeof msg[key] === 'string' ? msg[key].trim() : ''
+    if (!FIELD_VALIDATORS[key].test(value)) {
+      // The hint names the expected shape only — the rejected value is never echoed.
+      sendError(ws, msg?.requestId, 'INVALID_REQUEST', FIELD_VALIDATORS[key].hint, undefined, ctx)
+      return
+    }
+    updates.push([key, value])
+  }
+  if (updates.length === 0) {
+    sendError(ws, msg?.requestId, 'INVALID_REQUEST', 'at least one of webhookUrl, botToken or channel is required', undefined, ctx)
+    return
+  }
+  // Everything is validated before the first write, so a typo in one field
+  // never leaves the other half of a token/channel pair applied.
+  for (const [key, value] of updates) {
+    try {
+      setStoredField(SLACK_CREDENTIAL_FIELDS[key], value)
+    } catch (err) {
+      // err.message is validation / file-mode text, never the value. Earlier
+      // fields in this request may have landed — the cache reset lets the next
+      // config request show exactly what did.
+      resetSlackCredentialsCache()
+      sendError(ws, msg?.requestId, 'SLACK_CREDENTIALS_WRITE_FAILED', err?.message || 'write failed', undefined, ctx)
+      return
+    }
+  }
+  resetSlackCredentialsCache()
+  sendSlackConfig(ws, ctx, msg?.requestId)
+}
+
+function handleSlackNotificationsClearCredentials(ws, client, msg, ctx) {
+  if (rejectSlackCredentialWriteIfBound(ws, client, msg, ctx)) return
+  let keys = FIELD_KEYS
+  if (msg?.fields !== undefined) {
+    if (!Array.isArray(msg.fields) || msg.fields.length === 0 || !msg.fields.every((f) => FIELD_KEYS.includes(f))) {
+      sendError(ws, msg?.requestId, 'INVALID_REQUEST', `fields must be a non-empty subset of ${FIELD_KEYS.join(', ')}`, undefined, ctx)
+      return
+    }
+    keys = [...new Set(msg.fields)]
+  }
+  for (const key of keys) {
+    try {
+      deleteStoredField(SLACK_CREDENTIAL_FIELDS[key])
+    } catch (err) {
+      resetSlackCredentialsCache()
+      sendError(ws, msg?.requestId, 'SLACK_CREDENTIALS_CLEAR_FAILED', err?.message || 'clear failed', undefined, ctx)
+      return
+    }
+  }
+  resetSlackCredentialsCache()
+  sendSlackConfig(ws, ctx, msg?.requestId)
+}
+
+export const slackNotificationsHandlers = {
+  slack_notifications_config_request: handleSlackNotificationsConfigRequest,
+  slack_notifications_set_credentials: handleSlackNotificationsSetCredentials,
+  slack_notifications_clear_credentials: handleSlackNotificationsClearCredentials,
+}
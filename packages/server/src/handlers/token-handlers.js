@@ -17,6 +17,7 @@
  */
 
 import { createLogger } from '../logger.js'
+import { describeActor, recordAuditEvent } from '../audit-journal.js'
 
 const log = createLogger('token-handlers')
 
@@ -58,6 +59,7 @@ function handleRevokeToken(ws, client, msg, ctx) {
     return
   }
   log.warn(`Token revoke requested by client ${client.id} (primary)`)
+  recordAuditEvent('token_revoke', { ...describeActor(client), target: 'primary' })
   tokenManager.revoke()
 }
 
@@ -0,0 +1,220 @@
+/**
+ * WS handlers for declarative workflows (`.chroxy/workflows/*.yml`, run by
+ * workflows/workflow-runner.js via `ctx.services.workflowRunner`).
+ *
+ * Auth posture mirrors orchestration-handlers.js:
+ *  - FLAG-gated: a silent no-op when `features.workflows` is off.
+ *  - Host authority: runs are host-wide, so a session-bound token is rejected.
+ *  - Strict-primary for `workflow_run_start` and for an approval that lets a run
+ *    go on (approve): both spawn sessions and unblock spend. Reject and cancel
+ *    only stop work, so any host-level client may send them.
+ *  - Every cwd is validated against the allowlist by the runner itself
+ *    (listWorkflows / startRun), before any file under it is read.
+ */
+
+import { createLogger } from '../logger.js'
+import { isWorkflowsEnabled } from '../config.js'
+import { makeSurveyHandler, makeActionError } from '../control-room/handler-factory.js'
+import { getErrorMessage } from '../utils/error-message.js'
+
+const log = createLogger('ws')
+
+const listInFlight = new WeakSet()
+const runInFlight = new WeakSet()
+
+const workflowActionError = makeActionError('WORKFLOW_ACTION_FAILED', (msg) => ({
+  runId: msg.runId ?? null,
+  action: msg.decision ?? null,
+}))
+
+const nowIso = () => new Date().toISOString()
+const enabled = (ctx) => isWorkflowsEnabled(ctx?.services?.config)
+const runner = (ctx) => ctx?.services?.workflowRunner || null
+
+// WorkflowRunError codes → the `reason` a client can branch on.
+const REASON_FOR_CODE = { NOT_FOUND: 'not_found', INVALID: 'invalid', BUSY: 'busy', CONFLICT: 'conflict' }
+const reasonOf = (err, fallback) => REASON_FOR_CODE[err?.code] || fallback
+
+// The definition as a client needs it to offer a run: no prompt bodies.
+function summarizeWorkflow(wf) {
+  return {
+    name: wf.name,
+    title: wf.title,
+    description: wf.description,
+    inputs: wf.inputs,
+    budgetUsd: wf.budget.maxUsd,
+    steps: wf.steps.map((s) => ({
+      id: s.id,
+      title: s.title,
+      provider: s.provider,
+      model: s.model,
+      approval: Boolean(s.approval),
+    })),
+  }
+}
+
+// -- surveys ----------------------------------------------------------------
+
+const listSurvey = makeSurveyHandler({
+  inFlight: listInFlight,
+  logName: 'workflows_request',
+  forbidden: ({ requestId }) => ({
+    type: 'workflows_snapshot', generatedAt: nowIso(), root: null, workflows: [], errors: [], runs: [],
+    error: { code: 'host_authority_required', message: 'workflows are host-level; a session-bound token cannot list them' },
+    requestId,
+  }),
+  inProgress: ({ requestId }) => ({
+    type: 'workflows_snapshot', generatedAt: nowIso(), root: null, workflows: [], errors: [], runs: [],
+    error: { code: 'in_progress', message: 'a workflows request is already in flight' }, requestId,
+  }),
+  failed: ({ requestId, err }) => ({
+    type: 'workflows_snapshot', generatedAt: nowIso(), root: null, workflows: [], errors: [], runs: [],
+    error: { code: reasonOf(err, 'survey_failed'), message: getErrorMessage(err, 'unknown error') }, requestId,
+  }),
+  run: async ({ ctx, msg, requestId }) => {
+    const r = runner(ctx)
+    if (!r) {
+      return {
+        type: 'workflows_snapshot', generatedAt: nowIso(), root: null, workflows: [], errors: [], runs: [],
+        error: { code: 'unavailable', message: 'the workflow runner is not running on this server' }, requestId,
+      }
+    }
+    // Without a cwd there is no repo to read definitions from — runs only.
+    const found = typeof msg.cwd === 'string' && msg.cwd.length > 0
+      ? r.listWorkflows(msg.cwd)
+      : { root: null, workflows: [], errors: [] }
+    return {
+      type: 'workflows_snapshot',
+      generatedAt: nowIso(),
+      root: found.root,
+      workflows: found.workflows.map(summarizeWorkflow),
+      errors: found.errors.map(({ name, error }) => ({ name, error })),
+      runs: r.listRuns(),
+      requestId,
+    }
+  },
+})
+
+const runSurvey = makeSurveyHandler({
+  inFlight: runInFlight,
+  logName: 'workflow_run_request',
+  forbidden: ({ requestId }) => ({
+    type: 'workflow_run_snapshot', generatedAt: nowIso(), run: null,
+    error: { code: 'host_authority_required', message: 'workflows are host-level; a session-bound token cannot read a run' },
+    requestId,
+  }),
+  inProgress: ({ requestId }) => ({
+    type: 'workflow_run_snapshot', generatedAt: nowIso(), run: null,
+    error: { code: 'in_progress', message: 'a workflow run request is already in flight' }, requestId,
+  }),
+  failed: ({ requestId, err }) => ({
+    type: 'workflow_run_snapshot', generatedAt: nowIso(), run: null,
+    error: { code: 'survey_failed', message: getErrorMessage(err, 'unknown error') }, requestId,
+  }),
+  run: async ({ ctx, msg, requestId }) => {
+    const run = runner(ctx)?.getRun(msg.runId) ?? null
+    if (!run) {
+      return {
+        type: 'workflow_run_snapshot', generatedAt: nowIso(), run: null,
+        error: { code: 'not_found', message: `workflow run ${msg.runId} not found` }, requestId,
+      }
+    }
+    return { type: 'workflow_run_snapshot', generatedAt: nowIso(), run, requestId }
+  },
+})
+
+function workflows_request(ws, client, msg, ctx) {
+  if (!enabled(ctx)) return // silent no-op when the feature is off
+  return listSurvey(ws, client, msg, ctx)
+}
+
+function workflow_run_request(ws, client, msg, ctx) {
+  if (!enabled(ctx)) return
+  return runSurvey(ws, client, msg, ctx)
+}
+
+// -- actions ----------------------------------------------------------------
+
+// Host-authority + optional strict-primary gate. Returns true if the request
+// may proceed; otherwise sends a session_error and returns false.
+function guardAction(ws, client, msg, ctx, { requirePrimary = false } = {}) {
+  if (client?.boundSessionId) {
+    workflowActionError(ws, ctx, msg, 'forbidden', 'workflows are host-level; a session-bound token cannot drive runs')
+    return false
+  }
+  if (requirePrimary && client?.isPrimaryToken !== true) {
+    workflowActionError(ws, ctx, msg, 'primary_token_required', 'this action requires the primary token (it spawns agent sessions and spends budget)')
+    return false
+  }
+  if (!runner(ctx)) {
+    workflowActionError(ws, ctx, msg, 'unavailable', 'the workflow runner is not running on this server')
+    return false
+  }
+  return true
+}
+
+function sendAck(ws, ctx, msg, action, runId) {
+  ctx.transport.send(ws, {
+    type: 'workflow_action_ack',
+    action,
+    runId,
+    requestId: typeof msg?.requestId === 'string' ? msg.requestId : null,
+  })
+}
+
+function workflow_run_start(ws, client, msg, ctx) {
+  if (!enabled(ctx)) return
+  if (!guardAction(ws, client, msg, ctx, { requirePrimary: true })) return
+  let run
+  try {
+    run = runner(ctx).startRun({
+      cwd: msg.cwd,
+      name: msg.name,
+      inputs: msg.inputs ?? {},
+      budgetUsd: msg.budgetUsd ?? null,
+      trigger: 'dashboard',
+    })
+  } catch (err) {
+    log.warn(`workflow_run_start failed: ${getErrorMessage(err, 'unknown')}`)
+    workflowActionError(ws, ctx, msg, reasonOf(err, 'start-failed'), getErrorMessage(err, 'failed to start workflow run'))
+    return
+  }
+  sendAck(ws, ctx, msg, 'start', run.runId)
+}
+
+function workflow_approval_response(ws, client, msg, ctx) {
+  if (!enabled(ctx)) return
+  if (!guardAction(ws, client, msg, ctx, { requirePrimary: msg?.decision === 'approve' })) return
+  try {
+    runner(ctx).resolveApproval(msg.runId, {
+      decision: msg.decision,
+      note: msg.note ?? null,
+      // A raise only rides an approve — the primary-token check gates it.
+      budgetUsd: msg.decision === 'approve' ? (msg.budgetUsd ?? null) : null,
+    })
+  } catch (err) {
+    workflowActionError(ws, ctx, msg, reasonOf(err, 'approval-failed'), getErrorMessage(err, 'failed to resolve the approval'))
+    return
+  }
+  sendAck(ws, ctx, msg, 'approval_response', msg.runId)
+}
+
+function workflow_run_cancel(ws, client, msg, ctx) {
+  if (!enabled(ctx)) return
+  if (!guardAction(ws, client, msg, ctx)) return
+  try {
+    runner(ctx).cancelRun(msg.runId)
+  } catch (err) {
+    workflowActionError(ws, ctx, msg, reasonOf(err, 'cancel-failed'), getErrorMessage(err, 'failed to cancel the run'))
+    return
+  }
+  sendAck(ws, ctx, msg, 'cancel', msg.runId)
+}
+
+export const workflowHandlers = {
+  workflows_request,
+  workflow_run_request,
+  workflow_run_start,
+  workflow_approval_response,
+  workflow_run_cancel,
+}
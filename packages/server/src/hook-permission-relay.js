@@ -0,0 +1,67 @@
+/**
+ * In-process surface for HOOK-routed permission prompts (claude-tui, claude-cli).
+ *
+ * Those providers ask for tool approval from hooks/permission-hook.sh, which
+ * POSTs to /permission and holds the request open until ws-permissions.js
+ * answers it. ws-permissions keeps owning that prompt's wire side — the client
+ * broadcast, the push, the 300s auto-deny. This relay adds what the
+ * `inProcessPermissions` contract promises an in-process observer (the
+ * scheduler, the orchestration permission gate): a `permission_request` /
+ * `permission_resolved` pair emitted on the owning session, and a synchronous
+ * `respondToPermission(requestId, decision)` that answers the held request.
+ *
+ * Both events carry `via: 'hook'`. ws-permissions already broadcast, pushed
+ * and timed the prompt, so ws-forwarding.js, the push handler and the latency
+ * recorder all skip them — otherwise every client would be prompted twice.
+ */
+export class HookPermissionRelay {
+  /**
+   * @param {import('node:events').EventEmitter} session  the session to emit on
+   */
+  constructor(session) {
+    this._session = session
+    /** @type {Map<string, (decision: string) => boolean>} requestId → answer */
+    this._answers = new Map()
+  }
+
+  /**
+   * ws-permissions is holding a hook prompt that belongs to this session.
+   *
+   * @param {{ requestId: string, tool: string, description: string, input: object, remainingMs: number, createdAt: number }} data
+   * @param {(decision: string) => boolean} answer  resolves the held HTTP request; false when it already settled
+   */
+  open(data, answer) {
+    const requestId = data?.requestId
+    if (!requestId || this._answers.has(requestId)) return
+    this._answers.set(requestId, answer)
+    this._session.emit('permission_request', { ...data, via: 'hook' })
+  }
+
+  /**
+   * The held prompt settled — answered (from a client or in-process), timed
+   * out, dropped by the hook, or drained on session/server teardown. `reason`
+   * uses PermissionManager's vocabulary, so the ws-server audit listener records
+   * the non-user outcomes exactly as it does for the in-process providers.
+   *
+   * @param {string} requestId
+   * @param {{ decision?: string, reason?: 'user'|'timeout'|'aborted'|'cleared' }} [outcome]
+   */
+  close(requestId, { decision = 'deny', reason = 'user' } = {}) {
+    if (!this._answers.delete(requestId)) return
+    this._session.emit('permission_resolved', { requestId, decision, reason, via: 'hook' })
+  }
+
+  /**
+   * Answer a held prompt in-process.
+   *
+   * @param {string} requestId
+   * @param {string} decision  'allow' | 'deny' | 'allowAlways' — the hook has no
+   *   durable rule store, so allowAlways behaves as a one-shot allow
+   * @returns {boolean} false when the prompt is unknown or already settled
+   */
+  respond(requestId, decision) {
+    const answer = this._answers.get(requestId)
+    if (!answer) return false
+    return answer(decision) !== false
+  }
+}
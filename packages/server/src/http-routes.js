@@ -4,7 +4,8 @@ import { fileURLToPath } from 'url'
 import QRCode from 'qrcode'
 import { readConnectionInfo } from './connection-info.js'
 import { createLogger } from './logger.js'
-import { metrics } from './metrics.js'
+import { metrics, COUNTER_HELP, HISTOGRAM_DEFINITIONS } from './metrics.js'
+import { negotiateMetricsFormat, renderMetricsText, OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE } from './metrics-exposition.js'
 import { buildDiagnosticsSnapshot } from './diagnostics.js'
 import { getRateLimitKey } from './rate-limiter.js'
 import { listSnapshots, deleteSnapshot } from './snapshots-store.js'
@@ -16,6 +17,9 @@ import { getSharedPoolStats } from './docker-byok-pool-stats.js'
 import { isValidSlug, mimeForPath } from './pages-store.js'
 import { sendOversizeResponse } from './http-oversize.js'
 import { resolveOAuthCallback, MCP_OAUTH_CALLBACK_PATH } from './byok-mcp-oauth.js'
+import { TOKEN_SCOPES, isTokenScope } from './token-scopes.js'
+import { recordAuditEvent } from './audit-journal.js'
+import { SESSION_EXPORT_FORMATS, exportMetaForSession, isSessionExportFormat, publishSessionExport, renderSessionExport } from './session-export.js'
 
 /**
  * #5683 — read + JSON-parse a request body with a byte cap. Resolves to the
@@ -97,6 +101,10 @@ const PAGE_SECURITY_HEADERS = {
 
 const log = createLogger('ws')
 
+// Audit-journal actor for the primary-bearer HTTP control routes: there is no
+// WS client record, and the routes' gate already established the token class.
+const HTTP_PRIMARY_ACTOR = Object.freeze({ clientId: 'http', tokenClass: 'primary', device: null })
+
 /** Minimal HTML-escape for interpolating an untrusted value into a page body. */
 function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, (c) => (
@@ -248,6 +256,93 @@ function matchAllowedOrigin(origin) {
   return null
 }
 
+// WorkflowRunError codes (workflows/workflow-runner.js) → HTTP status.
+const WORKFLOW_ERROR_STATUS = { NOT_FOUND: 404, INVALID: 400, BUSY: 429, CONFLICT: 409 }
+
+/**
+ * The /api/workflows/runs routes:
+ *   POST /api/workflows/runs                { cwd, name, inputs?, budgetUsd? } → { run }
+ *   GET  /api/workflows/runs                                                    → { runs }
+ *   GET  /api/workflows/runs/:id                                                → { run }
+ *   POST /api/workflows/runs/:id/approval   { decision, note?, budgetUsd? }     → { run }
+ *   POST /api/workflows/runs/:id/cancel     { reason? }                         → { run }
+ */
+async function handleWorkflowRoute(server, req, res, path) {
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+  if (!server._validatePrimaryBearerAuth(req, res)) return
+  const runner = server._workflowRunner
+  if (!runner) {
+    send(503, { error: 'workflows are not enabled on this server (features.workflows)' })
+    return
+  }
+  const [rawId, action, ...rest] = path.slice('/api/workflows/runs'.length).split('/').filter(Boolean)
+  let runId = null
+  if (rawId !== undefined) {
+    try {
+      runId = decodeURIComponent(rawId)
+    } catch {
+      send(400, { error: 'invalid run id encoding' })
+      return
+    }
+  }
+  const route = `${req.method} ${runId === null ? '' : ':id'}${action ? `/${action}` : ''}`
+  if (rest.length > 0 || !['GET ', 'POST ', 'GET :id', 'POST :id/approval', 'POST :id/cancel'].includes(route)) {
+    send(404, { error: 'not found' })
+    return
+  }
+  let body = {}
+  if (req.method === 'POST') {
+    body = await readJsonBodyCapped(req, res, 64 * 1024)
+    if (body === null) return // 413/400 already sent
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      send(400, { error: 'body must be a JSON object' })
+      return
+    }
+  }
+  try {
+    if (route === 'GET ') {
+      send(200, { runs: runner.listRuns() })
+    } else if (route === 'POST ') {
+      if (typeof body.cwd !== 'string' || typeof body.name !== 'string') {
+        send(400, { error: 'cwd and name are required' })
+        return
+      }
+      const inputs = body.inputs ?? {}
+      if (typeof inputs !== 'object' || Array.isArray(inputs) || Object.values(inputs).some((v) => typeof v !== 'string')) {
+        send(400, { error: 'inputs must be an object of strings' })
+        return
+      }
+      const run = runner.startRun({ cwd: body.cwd, name: body.name, inputs, budgetUsd: body.budgetUsd ?? null, trigger: 'cli' })
+      send(201, { run })
+    } else if (route === 'GET :id') {
+      const run = runner.getRun(runId)
+      if (run) send(200, { run })
+      else send(404, { error: `workflow run ${runId} not found` })
+    } else if (route === 'POST :id/approval') {
+      if (body.decision !== 'approve' && body.decision !== 'reject') {
+        send(400, { error: 'decision must be approve or reject' })
+        return
+      }
+      const run = runner.resolveApproval(runId, {
+        decision: body.decision,
+        note: typeof body.note === 'string' ? body.note : null,
+        budgetUsd: body.budgetUsd ?? null,
+      })
+      send(200, { run })
+    } else {
+      const run = runner.cancelRun(runId, { reason: typeof body.reason === 'string' ? body.reason : undefined })
+      send(200, { run })
+    }
+  } catch (err) {
+    const status = WORKFLOW_ERROR_STATUS[err?.code]
+    if (!status) log.warn(`${req.method} ${path} failed: ${err?.message || err}`)
+    send(status || 500, { error: status ? err.message : 'workflow request failed' })
+  }
+}
+
 /**
  * Create an HTTP request handler for the WsServer.
  * Handles health, version, permission, connect, QR, assets, and dashboard routes.
@@ -470,10 +565,43 @@ export function createHttpHandler(server) {
     }
 
     // Metrics endpoint — operational counters for monitoring
-    if (req.method === 'GET' && req.url === '/metrics') {
+    // Content-negotiated (see metrics-exposition.js): a Prometheus /
+    // OpenMetrics scraper's Accept header (or an explicit ?format=) gets the
+    // text exposition; every other caller keeps the original JSON payload.
+    if (req.method === 'GET' && (req.url ?? '').split('?')[0] === '/metrics') {
       if (!server._validateBearerAuth(req, res)) return
       const mem = process.memoryUsage()
       const sessions = server.sessionManager?.listSessions() || []
+      const formatParam = new URL(req.url, 'http://localhost').searchParams.get('format')
+      const format = negotiateMetricsFormat(req.headers['accept'], formatParam)
+      if (format !== 'json') {
+        const byProvider = new Map()
+        for (const s of sessions) {
+          const provider = s.provider || 'unknown'
+          byProvider.set(provider, (byProvider.get(provider) || 0) + 1)
+        }
+        const gauges = [
+          { name: 'uptime_seconds', help: 'Seconds since the daemon started.', series: [{ value: Math.round((Date.now() - server._startedAt) / 1000) }] },
+          { name: 'sessions_active', help: 'Live sessions by provider.', series: [...byProvider].map(([provider, value]) => ({ labels: { provider }, value })) },
+          { name: 'clients_connected', help: 'Open WebSocket connections.', series: [{ value: server._clientManager?.clients?.size || 0 }] },
+          { name: 'clients_authenticated', help: 'Authenticated WebSocket connections.', series: [{ value: server._clientManager?.authenticatedCount || 0 }] },
+          { name: 'process_memory_bytes', help: 'Daemon memory usage by kind.', series: [
+            { labels: { kind: 'rss' }, value: mem.rss },
+            { labels: { kind: 'heap_used' }, value: mem.heapUsed },
+            { labels: { kind: 'heap_total' }, value: mem.heapTotal },
+          ] },
+          { name: 'process_info', help: 'Daemon process identity.', series: [{ labels: { node_version: process.version }, value: 1 }] },
+        ]
+        const body = renderMetricsText(metrics, {
+          format,
+          gauges,
+          counterHelp: COUNTER_HELP,
+          histogramDefinitions: HISTOGRAM_DEFINITIONS,
+        })
+        res.writeHead(200, { 'Content-Type': format === 'openmetrics' ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE })
+        res.end(body)
+        return
+      }
       const payload = {
         uptime: Math.round((Date.now() - server._startedAt) / 1000),
         sessions: {
@@ -493,6 +621,7 @@ export function createHttpHandler(server) {
           nodeVersion: process.version,
         },
         counters: metrics.snapshot(),
+        histograms: metrics.histogramSnapshot(),
       }
       res.writeHead(200, { 'Content-Type': 'application/json' })
       res.end(JSON.stringify(payload))
@@ -631,6 +760,7 @@ export function createHttpHandler(server) {
         res.end(JSON.stringify({ error: 'revoke not persisted', revoked: 0 }))
         return
       }
+      if (result.revoked > 0) recordAuditEvent('token_revoke', { ...HTTP_PRIMARY_ACTOR, target: 'all_paired', revoked: result.revoked })
       res.writeHead(200, { 'Content-Type': 'application/json' })
       res.end(JSON.stringify({ ok: true, revoked: result.revoked }))
       return
@@ -665,11 +795,138 @@ export function createHttpHandler(server) {
         res.end(JSON.stringify({ error: 'no such paired device', revoked: 0 }))
         return
       }
+      recordAuditEvent('token_revoke', { ...HTTP_PRIMARY_ACTOR, target: 'paired', pairedDeviceId: id })
       res.writeHead(200, { 'Content-Type': 'application/json' })
       res.end(JSON.stringify({ ok: true, revoked: result.revoked }))
       return
     }
 
+    // Change ONE paired device's scope (token-scopes.js) — observe / approve /
+    // full. Same PRIMARY-token gate as the roster: re-scoping a sibling is a
+    // host-level mutation. Takes effect on the device's open connections at
+    // once (WsServer listens for session_token_scope_changed).
+    if (req.method === 'PATCH' && snapPath.startsWith('/api/paired-devices/')) {
+      if (!server._validatePrimaryBearerAuth(req, res)) return
+      let id
+      try {
+        id = decodeURIComponent(snapPath.slice('/api/paired-devices/'.length))
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'invalid id encoding' }))
+        return
+      }
+      const parsed = await readJsonBodyCapped(req, res, 1024)
+      if (parsed === null) return // 413/400 already sent
+      if (!isTokenScope(parsed?.scope)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: `scope must be one of: ${TOKEN_SCOPES.join(', ')}` }))
+        return
+      }
+      const pm = server._pairingManager
+      const result = pm && typeof pm.setSessionTokenScopeById === 'function'
+        ? pm.setSessionTokenScopeById(id, parsed.scope)
+        : { updated: 0 }
+      // #6902 contract, as for revoke: the device keeps its OLD scope on disk
+      // and in memory when the durable write fails — say so, don't claim success.
+      if (result.persistFailed) {
+        res.writeHead(500, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'scope change not persisted', updated: 0 }))
+        return
+      }
+      if (result.updated === 0) {
+        res.writeHead(404, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'no such paired device', updated: 0 }))
+        return
+      }
+      recordAuditEvent('token_scope_change', { ...HTTP_PRIMARY_ACTOR, pairedDeviceId: id, scope: result.scope })
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ ok: true, id, scope: result.scope }))
+      return
+    }
+
+    // Session transcript export — the `chroxy sessions export` backend (the
+    // dashboard uses the `export_session` WS op). PRIMARY-token only: the CLI
+    // is a host tool, and `publish` writes a page + mints a public URL (the
+    // POST /api/pages tier). Body `{ format, publish?, title? }`; replies with
+    // the rendered `content`, or with `page` when published.
+    const exportMatch = req.method === 'POST' ? snapPath.match(/^\/api\/sessions\/([^/]+)\/export$/) : null
+    if (exportMatch) {
+      if (!server._validatePrimaryBearerAuth(req, res)) return
+      let sessionId
+      try {
+        sessionId = decodeURIComponent(exportMatch[1])
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'invalid session id encoding' }))
+        return
+      }
+      const parsed = await readJsonBodyCapped(req, res, 4096)
+      if (parsed === null) return // 413/400 already sent
+      const format = parsed?.format
+      const publish = parsed?.publish === true
+      if (!isSessionExportFormat(format)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: `format must be one of: ${SESSION_EXPORT_FORMATS.join(', ')}` }))
+        return
+      }
+      if (publish && format !== 'html') {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'only the html export can be published' }))
+        return
+      }
+      const sessionManager = server.sessionManager
+      const entry = sessionManager?.getSession?.(sessionId)
+      if (!entry) {
+        res.writeHead(404, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'no such session' }))
+        return
+      }
+      const history = sessionManager.getHistory(sessionId)
+      const meta = exportMetaForSession(sessionId, entry, sessionManager)
+      if (publish) {
+        if (!server.pagesStore) {
+          res.writeHead(503, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: 'Chroxy Pages is not available' }))
+          return
+        }
+        let page
+        try {
+          page = publishSessionExport(server.pagesStore, { history, meta, title: parsed.title })
+        } catch (err) {
+          // Same split as POST /api/pages: errno-coded I/O faults are ours (500,
+          // no fs detail); plain Errors are cap violations the caller can act on.
+          const ioFault = err && typeof err.code === 'string'
+          log.warn(`POST /api/sessions/:id/export publish failed: ${err?.message || err}`)
+          res.writeHead(ioFault ? 500 : 400, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: ioFault ? 'publish failed' : (err?.message || 'publish failed') }))
+          return
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ format, entryCount: page.entryCount, page: { slug: page.slug, path: page.path, title: page.title } }))
+        return
+      }
+      const rendered = renderSessionExport({ history, format, meta })
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({
+        format,
+        fileName: rendered.fileName,
+        mimeType: rendered.mimeType,
+        entryCount: rendered.entryCount,
+        content: rendered.content,
+      }))
+      return
+    }
+
+    // Declarative workflows — the `chroxy workflow` backend (workflows/
+    // workflow-runner.js; the dashboard uses the workflow_* WS ops). PRIMARY-token
+    // only on every route: starting or approving a run spawns agent sessions and
+    // spends budget, and the run list is host-wide. 503 while features.workflows
+    // is off (no runner was built).
+    if (snapPath === '/api/workflows/runs' || snapPath.startsWith('/api/workflows/runs/')) {
+      await handleWorkflowRoute(server, req, res, snapPath)
+      return
+    }
+
     // docker-byok pool stats endpoint (#5053). Returns a rolling
     // observability snapshot — hit/miss counters, hit rate,
     // eviction-by-reason, the recent-evictions tail, and the live per-key
@@ -877,6 +1134,14 @@ export function createHttpHandler(server) {
       return
     }
 
+    // Approve/Deny buttons on ntfy notifications. No bearer auth: the body's
+    // single-use capability token (minted per request by the ntfy sink) is the
+    // whole authority, and answers only the request it was minted for.
+    if (req.method === 'POST' && req.url === '/permission-action') {
+      server._permissions.handlePermissionActionHttp(req, res)
+      return
+    }
+
     // Connection info endpoint.
     //
     // Gated on the PRIMARY token class (#5533 sibling audit): when auth is
@@ -1064,9 +1329,16 @@ export function createHttpHandler(server) {
         writeShareErr(503, { error: 'Pairing not available' })
         return
       }
+      // Optional `?scope=observe|approve|full` (token-scopes.js) — e.g. an
+      // approve-only QR for a teammate. Omitted keeps the prior `full` token.
+      const shareScope = new URL(req.url, 'http://localhost').searchParams.get('scope')
+      if (shareScope !== null && !isTokenScope(shareScope)) {
+        writeShareErr(400, { error: `scope must be one of: ${TOKEN_SCOPES.join(', ')}` })
+        return
+      }
       let bound
       try {
-        bound = server._pairingManager.generateBoundPairing(sessionId)
+        bound = server._pairingManager.generateBoundPairing(sessionId, { scope: shareScope })
       } catch (err) {
         writeShareErr(500, { error: err?.message || 'Failed to generate share pairing' })
         return
@@ -0,0 +1,440 @@
+/**
+ * Language-server pool for the IDE surface (#6479, epic #6469).
+ *
+ * The regex index in symbols.js / search.js is ~80% accurate and JS/TS/Python
+ * only. When the operator configures a language server for a language
+ * (`languageServers` in config.json), go-to-definition, find-all-references,
+ * per-file symbol listing and hover/diagnostics are answered by that server
+ * instead. When none is configured — or the configured one cannot be started —
+ * every operation here returns `null` and the handler falls back to the regex
+ * index, so an unconfigured daemon behaves exactly as before.
+ *
+ *   "languageServers": {
+ *     "typescript": { "command": "typescript-language-server", "args": ["--stdio"] },
+ *     "python":     { "command": "pyright-langserver", "args": ["--stdio"] },
+ *     "go":         { "command": "gopls" },
+ *     "rust":       { "command": "rust-analyzer" }
+ *   }
+ *
+ * The four well-known keys carry default file extensions; any other key needs
+ * an explicit `extensions` list. One server process runs per (workspace root,
+ * language), spawned lazily on first use with the workspace as its cwd, stopped
+ * after `IDLE_SHUTDOWN_MS` without a request, and all stopped on daemon close.
+ * A server that fails to start is not retried for `START_RETRY_BACKOFF_MS`, so
+ * a missing binary costs one failed spawn per minute rather than one per click.
+ *
+ * Every path that crosses this module is confined like the regex walk: the
+ * requested file must realpath inside the workspace, and locations the server
+ * returns outside it (a stdlib `lib.d.ts`, a Go module cache) are dropped.
+ * Results use the same shapes as the regex index — workspace-relative POSIX
+ * paths, 1-indexed lines and columns — so the wire messages don't change.
+ */
+import { readFile, realpath, stat } from 'node:fs/promises'
+import { extname, relative, resolve, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { isPathWithin } from '../utils/path-containment.js'
+import { createLogger } from '../logger.js'
+import { LspClient, LSP_STATES } from './lsp-client.js'
+
+const log = createLogger('lsp')
+
+export const IDLE_SHUTDOWN_MS = 10 * 60_000
+export const START_RETRY_BACKOFF_MS = 60_000
+const MAX_SERVERS = 8
+const MAX_RESULTS = 500
+const MAX_LINE_LENGTH = 1000
+const MAX_HOVER_LENGTH = 8000
+const MAX_DIAGNOSTICS = 200
+// How long hover waits for the first diagnostics batch after opening a file.
+const DIAGNOSTICS_WAIT_MS = 1500
+
+/** Default extensions for the well-known `languageServers` keys. */
+export const DEFAULT_LANGUAGE_EXTENSIONS = Object.freeze({
+  typescript: ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'],
+  python: ['.py', '.pyi'],
+  go: ['.go'],
+  rust: ['.rs'],
+})
+
+// LSP `languageId` per extension for didOpen. Unlisted extensions (a custom
+// language) use the config key as the id.
+const EXT_LANGUAGE_ID = {
+  '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'typescriptreact',
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascriptreact',
+  '.py': 'python', '.pyi': 'python', '.go': 'go', '.rs': 'rust',
+}
+
+// LSP SymbolKind (1-based enum) → the open `kind` strings the regex parser emits.
+const SYMBOL_KINDS = {
+  2: 'module', 3: 'module', 5: 'class', 6: 'method', 7: 'field', 8: 'field', 9: 'method',
+  10: 'enum', 11: 'interface', 12: 'function', 13: 'variable', 14: 'const', 22: 'field',
+  23: 'struct', 26: 'type',
+}
+
+const SEVERITIES = { 1: 'error', 2: 'warning', 3: 'information', 4: 'hint' }
+
+/**
+ * Normalize the `languageServers` config block into a list of usable entries.
+ * Malformed entries are skipped here (config.js warns about them at load).
+ *
+ * @param {object|null} config  The daemon config.
+ * @returns {Array<{language: string, command: string, args: string[], extensions: string[], initializationOptions: object|undefined}>}
+ */
+export function resolveLanguageServers(config) {
+  const block = config?.languageServers
+  if (!block || typeof block !== 'object' || Array.isArray(block)) return []
+  const out = []
+  for (const [language, entry] of Object.entries(block)) {
+    if (!entry || typeof entry !== 'object' || typeof entry.command !== 'string' || !entry.command) continue
+    const args = Array.isArray(entry.args) ? entry.args.filter((a) => typeof a === 'string') : []
+    const extensions = Array.isArray(entry.extensions)
+      ? entry.extensions.filter((e) => typeof e === 'string' && e.startsWith('.')).map((e) => e.toLowerCase())
+      : DEFAULT_LANGUAGE_EXTENSIONS[language] || []
+    if (extensions.length === 0) continue
+    const initializationOptions = entry.initializationOptions && typeof entry.initializationOptions === 'object'
+      ? entry.initializationOptions
+      : undefined
+    out.push({ language, command: entry.command, args, extensions, initializationOptions })
+  }
+  return out
+}
+
+/**
+ * Pool of running language servers plus the IDE operations built on them.
+ * Every operation resolves to `null` when no server applies (fall back to the
+ * regex index) and throws only when a configured server failed mid-request.
+ */
+export class LanguageServerPool {
+  /**
+   * @param {object} opts
+   * @param {() => object|null} opts.getConfig  Live config accessor (late-bound, like ctx.services.config).
+   * @param {number} [opts.idleMs]
+   * @param {number} [opts.retryBackoffMs]
+   * @param {(spec: object) => LspClient} [opts.createClient]  Injectable for tests.
+   */
+  constructor({ getConfig, idleMs = IDLE_SHUTDOWN_MS, retryBackoffMs = START_RETRY_BACKOFF_MS, createClient } = {}) {
+    this._getConfig = getConfig || (() => null)
+    this._idleMs = idleMs
+    this._retryBackoffMs = retryBackoffMs
+    this._createClient = createClient || ((spec) => new LspClient(spec))
+    // `${root}\0${language}` → { client, idleTimer }
+    this._servers = new Map()
+    // `${root}\0${language}` → epoch ms before which a failed start isn't retried
+    this._failedUntil = new Map()
+    this._closed = false
+  }
+
+  /** Number of live server processes — for tests and diagnostics. */
+  get size() { return this._servers.size }
+
+  /**
+   * Go-to-definition at a position. `position` is `{ file, line, column }`
+   * (workspace-relative, 1-indexed). Resolves to the first in-workspace
+   * location, `{ file: null, line: null }` when the server has no answer, or
+   * `null` when no server applies.
+   */
+  async definition(rootDir, position) {
+    const session = await this._open(rootDir, position?.file)
+    if (!session) return null
+    const result = await session.client.request('textDocument/definition', {
+      textDocument: { uri: session.uri },
+      position: toLspPosition(position),
+    })
+    for (const loc of asLocations(result)) {
+      const rel = await this._toWorkspacePath(session.root, loc.uri)
+      if (rel) return { file: rel, line: loc.range.start.line + 1 }
+    }
+    return { file: null, line: null }
+  }
+
+  /**
+   * Find-all-references at a position, declaration included. Same confinement
+   * and row shape as search.js findReferences (`{ file, line, column, text }`).
+   */
+  async references(rootDir, position) {
+    const session = await this._open(rootDir, position?.file)
+    if (!session) return null
+    const result = await session.client.request('textDocument/references', {
+      textDocument: { uri: session.uri },
+      position: toLspPosition(position),
+      context: { includeDeclaration: true },
+    })
+    const locations = asLocations(result)
+    const lineCache = new Map()
+    const results = []
+    let truncated = false
+    for (const loc of locations) {
+      if (results.length >= MAX_RESULTS) { truncated = true; break }
+      const rel = await this._toWorkspacePath(session.root, loc.uri)
+      if (!rel) continue
+      const lines = await readLines(session.root, rel, lineCache)
+      const text = lines?.[loc.range.start.line] ?? ''
+      results.push({
+        file: rel,
+        line: loc.range.start.line + 1,
+        column: loc.range.start.character + 1,
+        text: text.length > MAX_LINE_LENGTH ? text.slice(0, MAX_LINE_LENGTH) : text,
+      })
+    }
+    // Origin-file rows first (#6516), stable within each group.
+    results.sort((a, b) => (b.file === session.file ? 1 : 0) - (a.file === session.file ? 1 : 0))
+    return { results, truncated }
+  }
+
+  /**
+   * Symbols declared in one file (`textDocument/documentSymbol`), flattened to
+   * the regex parser's SymbolEntry shape. Nested symbols (members, inner
+   * functions) are included and carry their parent chain as `container`, as
+   * the regex parser's members do. `exported` is a per-language heuristic on
+   * the declaration line, since LSP has no notion of visibility.
+   */
+  async documentSymbols(rootDir, file) {
+    const session = await this._open(rootDir, file)
+    if (!session) return null
+    const result = await session.client.request('textDocument/documentSymbol', {
+      textDocument: { uri: session.uri },
+    })
+    const lines = (await readLines(session.root, session.file, new Map())) || []
+    const symbols = []
+    const visit = (entries, depth, container) => {
+      for (const s of entries) {
+        if (symbols.length >= MAX_RESULTS) return
+        if (!s || typeof s.name !== 'string') continue
+        // DocumentSymbol has selectionRange; the flat SymbolInformation form has location.
+        const range = s.selectionRange || s.location?.range
+        if (!range) continue
+        if (s.location?.uri && s.location.uri !== session.uri) continue
+        const line = range.start.line
+        const entry = {
+          name: s.name,
+          kind: SYMBOL_KINDS[s.kind] || 'variable',
+          file: session.file,
+          line: line + 1,
+          exported: isExported(session.language, s.name, lines[line] || '', depth),
+        }
+        // The flat SymbolInformation form names its parent directly.
+        const parent = container || s.containerName || null
+        if (parent) entry.container = parent
+        symbols.push(entry)
+        if (Array.isArray(s.children)) visit(s.children, depth + 1, parent ? `${parent}.${s.name}` : s.name)
+      }
+    }
+    visit(Array.isArray(result) ? result : [], 0, null)
+    symbols.sort((a, b) => a.line - b.line)
+    return { symbols, truncated: symbols.length >= MAX_RESULTS }
+  }
+
+  /**
+   * Hover text at a position plus the file's current diagnostics.
+   * `contents` is markdown/plain text (null when the server has nothing);
+   * diagnostics are 1-indexed and capped.
+   */
+  async hover(rootDir, position) {
+    const session = await this._open(rootDir, position?.file)
+    if (!session) return null
+    const result = await session.client.request('textDocument/hover', {
+      textDocument: { uri: session.uri },
+      position: toLspPosition(position),
+    })
+    let contents = hoverText(result?.contents)
+    if (contents && contents.length > MAX_HOVER_LENGTH) contents = contents.slice(0, MAX_HOVER_LENGTH)
+    const raw = await session.client.diagnosticsFor(session.uri, { waitMs: DIAGNOSTICS_WAIT_MS })
+    const diagnostics = raw.slice(0, MAX_DIAGNOSTICS).map((d) => ({
+      line: (d.range?.start?.line ?? 0) + 1,
+      column: (d.range?.start?.character ?? 0) + 1,
+      endLine: (d.range?.end?.line ?? 0) + 1,
+      endColumn: (d.range?.end?.character ?? 0) + 1,
+      severity: SEVERITIES[d.severity] || 'error',
+      message: String(d.message ?? ''),
+      source: typeof d.source === 'string' ? d.source : null,
+      code: d.code == null ? null : String(d.code),
+    }))
+    return { contents: contents || null, diagnostics }
+  }
+
+  /** Stop every server. Called from WsServer.close(); the pool is unusable after. */
+  async closeAll() {
+    this._closed = true
+    const entries = [...this._servers.values()]
+    this._servers.clear()
+    await Promise.all(entries.map((e) => {
+      clearTimeout(e.idleTimer)
+      return e.client.stop()
+    }))
+  }
+
+  /**
+   * Confine `file` to the workspace, find (or start) the server configured for
+   * its extension, and sync the document. Returns null when no server is
+   * configured, the file escapes the workspace, or the server is in its
+   * start-failure backoff. Throws when a start attempt fails right now, so the
+   * handler logs it once before falling back.
+   */
+  async _open(rootDir, file) {
+    if (this._closed || typeof file !== 'string' || !file) return null
+    const spec = this._specFor(file)
+    if (!spec) return null
+    let root
+    let abs
+    try {
+      root = await realpath(resolve(rootDir))
+      abs = await realpath(resolve(root, file))
+    } catch {
+      return null
+    }
+    if (!isPathWithin(abs, root)) return null
+    // A scoped list_symbols may name a directory that happens to have an extension.
+    if (!(await stat(abs)).isFile()) return null
+    const rel = relative(root, abs).split(sep).join('/')
+    const client = await this._clientFor(root, spec)
+    if (!client) return null
+    const ext = extname(abs).toLowerCase()
+    const uri = await client.syncDocument(abs, EXT_LANGUAGE_ID[ext] || spec.language)
+    return { client, root, uri, file: rel, language: spec.language }
+  }
+
+  _specFor(file) {
+    const ext = extname(file).toLowerCase()
+    if (!ext) return null
+    return resolveLanguageServers(this._getConfig()).find((s) => s.extensions.includes(ext)) || null
+  }
+
+  async _clientFor(root, spec) {
+    const key = `${root}\0${spec.language}`
+    const existing = this._servers.get(key)
+    if (existing && existing.client.state !== LSP_STATES.DEAD) {
+      this._touch(key, existing)
+      await existing.client.start()
+      return existing.client
+    }
+    if (existing) this._drop(key)
+    if ((this._failedUntil.get(key) || 0) > Date.now()) return null
+
+    if (this._servers.size >= MAX_SERVERS) {
+      // Evict the least recently inserted server — the daemon normally has a
+      // handful of workspaces, this only bounds a pathological burst.
+      const oldest = this._servers.keys().next().value
+      this._servers.get(oldest)?.client.stop()
+      this._drop(oldest)
+    }
+    const client = this._createClient({
+      language: spec.language,
+      command: spec.command,
+      args: spec.args,
+      rootDir: root,
+      initializationOptions: spec.initializationOptions,
+    })
+    const entry = { client, idleTimer: null }
+    this._servers.set(key, entry)
+    client.once('dead', () => {
+      if (this._servers.get(key) === entry) this._drop(key)
+    })
+    try {
+      await client.start()
+    } catch (err) {
+      this._failedUntil.set(key, Date.now() + this._retryBackoffMs)
+      this._drop(key)
+      throw err
+    }
+    this._failedUntil.delete(key)
+    this._touch(key, entry)
+    log.info(`Started ${spec.language} language server (${spec.command}) for ${root}`)
+    return client
+  }
+
+  _touch(key, entry) {
+    clearTimeout(entry.idleTimer)
+    entry.idleTimer = setTimeout(() => {
+      if (this._servers.get(key) !== entry) return
+      this._drop(key)
+      log.info(`Stopping idle ${entry.client.language} language server for ${entry.client.rootDir}`)
+      entry.client.stop()
+    }, this._idleMs)
+    entry.idleTimer.unref?.()
+  }
+
+  _drop(key) {
+    const entry = this._servers.get(key)
+    if (!entry) return
+    clearTimeout(entry.idleTimer)
+    this._servers.delete(key)
+  }
+
+  /** `file://` URI → workspace-relative POSIX path, or null when outside. */
+  async _toWorkspacePath(root, uri) {
+    if (typeof uri !== 'string' || !uri.startsWith('file:')) return null
+    let real
+    try {
+      real = await realpath(fileURLToPath(uri))
+    } catch {
+      return null
+    }
+    if (!isPathWithin(real, root)) return null
+    return relative(root, real).split(sep).join('/')
+  }
+}
+
+/** chroxy's 1-indexed `{ line, column }` → LSP's 0-based Position. */
+function toLspPosition({ line, column }) {
+  return { line: Math.max(0, line - 1), character: Math.max(0, column - 1) }
+}
+
+/** Normalize Location | Location[] | LocationLink[] | null to `{ uri, range }[]`. */
+function asLocations(result) {
+  const list = Array.isArray(result) ? result : result ? [result] : []
+  const out = []
+  for (const item of list) {
+    if (!item || typeof item !== 'object') continue
+    if (typeof item.targetUri === 'string') {
+      const range = item.targetSelectionRange || item.targetRange
+      if (range?.start) out.push({ uri: item.targetUri, range })
+    } else if (typeof item.uri === 'string' && item.range?.start) {
+      out.push({ uri: item.uri, range: item.range })
+    }
+  }
+  return out
+}
+
+/** Flatten Hover.contents (MarkupContent | MarkedString | MarkedString[]) to text. */
+function hoverText(contents) {
+  if (!contents) return null
+  if (typeof contents === 'string') return contents.trim()
+  if (Array.isArray(contents)) {
+    return contents.map(hoverText).filter(Boolean).join('\n\n') || null
+  }
+  if (typeof contents.value === 'string') {
+    // A MarkedString with a language is a code block.
+    return contents.language
+      ? `\`\`\`${contents.language}\n${contents.value.trim()}\n\`\`\``
+      : contents.value.trim()
+  }
+  return null
+}
+
+/**
+ * LSP carries no visibility, so `exported` is inferred from the declaration:
+ * only top-level symbols qualify, then the language's own rule applies.
+ */
+function isExported(language, name, lineText, depth) {
+  if (depth > 0) return false
+  switch (language) {
+    case 'typescript': return /^\s*export\b/.test(lineText)
+    case 'python': return !name.startsWith('_')
+    case 'go': return /^[A-Z]/.test(name)
+    case 'rust': return /^\s*pub\b/.test(lineText)
+    default: return true
+  }
+}
+
+/** Read a workspace file's lines once per request (cached by path). */
+async function readLines(root, rel, cache) {
+  if (cache.has(rel)) return cache.get(rel)
+  let lines = null
+  try {
+    lines = (await readFile(resolve(root, rel), 'utf-8')).split('\n').map((l) => l.replace(/\r$/, ''))
+  } catch {
+    // Deleted since the server indexed it — the row keeps an empty preview.
+  }
+  cache.set(rel, lines)
+  return lines
+}
@@ -0,0 +1,375 @@
+/**
+ * Minimal Language Server Protocol client (#6479, epic #6469).
+ *
+ * Owns ONE language-server child process (typescript-language-server, pyright,
+ * gopls, rust-analyzer, …) for one workspace root and speaks JSON-RPC over its
+ * stdio with LSP's `Content-Length` framing — unlike the MCP stdio transport in
+ * byok-mcp-client.js, which is newline-delimited. Only what the IDE handlers
+ * need is implemented: the initialize handshake, request/notify, full-text
+ * document sync, and the `textDocument/publishDiagnostics` feed. Server →
+ * client requests (`workspace/configuration`, `client/registerCapability`,
+ * `window/workDoneProgress/create`, …) are answered with empty results so a
+ * server that blocks on them never wedges.
+ *
+ * Lifecycle is deliberately simpler than MCPClient's: no restart loop. A server
+ * that dies or fails its handshake is reported DEAD and the pool
+ * (language-servers.js) decides whether to spawn a fresh one later; callers fall
+ * back to the regex index in the meantime.
+ *
+ * Positions on the wire are LSP's: 0-based line, 0-based UTF-16 character. The
+ * conversion from chroxy's 1-indexed line/column happens in the pool, not here.
+ */
+import { spawn } from 'node:child_process'
+import { EventEmitter } from 'node:events'
+import { readFile } from 'node:fs/promises'
+import { pathToFileURL } from 'node:url'
+import { basename } from 'node:path'
+import { createLogger } from '../logger.js'
+import { CHROXY_SECRET_DENYLIST } from '../utils/spawn-env.js'
+import { prepareSpawn } from '../utils/win-spawn.js'
+
+// A cold TypeScript or rust-analyzer project load can take a while before the
+// initialize reply; ordinary requests should be quick once it is up.
+export const DEFAULT_START_TIMEOUT_MS = 30_000
+export const DEFAULT_REQUEST_TIMEOUT_MS = 10_000
+const SHUTDOWN_TIMEOUT_MS = 2000
+const KILL_GRACE_MS = 1000
+// A server that floods stdout with one enormous message (or never sends the
+// header terminator) must not grow the buffer without bound.
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024
+
+export const LSP_STATES = Object.freeze({
+  IDLE: 'idle',
+  STARTING: 'starting',
+  READY: 'ready',
+  DEAD: 'dead',
+})
+
+export class LspClient extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.language              Config key, used in logs.
+   * @param {string} opts.command               Executable to spawn.
+   * @param {string[]} [opts.args]
+   * @param {string} opts.rootDir               Absolute, realpath-resolved workspace root (also the child's cwd).
+   * @param {object} [opts.initializationOptions]
+   * @param {number} [opts.startTimeoutMs]
+   * @param {number} [opts.requestTimeoutMs]
+   * @param {object} [opts.log]
+   */
+  constructor({ language, command, args = [], rootDir, initializationOptions, startTimeoutMs, requestTimeoutMs, log } = {}) {
+    super()
+    this.language = language
+    this.rootDir = rootDir
+    this._command = command
+    this._args = args
+    this._initializationOptions = initializationOptions
+    this._startTimeoutMs = startTimeoutMs || DEFAULT_START_TIMEOUT_MS
+    this._requestTimeoutMs = requestTimeoutMs || DEFAULT_REQUEST_TIMEOUT_MS
+    this._log = log || createLogger('lsp')
+    this._state = LSP_STATES.IDLE
+    this._child = null
+    this._buf = Buffer.alloc(0)
+    this._nextId = 1
+    this._pending = new Map()
+    this._starting = null
+    // uri → { version, text } for every document we have opened.
+    this._documents = new Map()
+    // uri → latest published diagnostics (raw LSP Diagnostic[]).
+    this._diagnostics = new Map()
+    this.serverCapabilities = null
+  }
+
+  get state() { return this._state }
+
+  /**
+   * Spawn the server and complete the initialize handshake. Idempotent — a
+   * second call while starting shares the same promise. Rejects (and leaves
+   * the client DEAD) on spawn failure, early exit, or handshake timeout.
+   */
+  start() {
+    if (this._state === LSP_STATES.READY) return Promise.resolve()
+    if (this._state === LSP_STATES.DEAD) return Promise.reject(new Error(`${this.language} language server is not running`))
+    if (!this._starting) this._starting = this._spawnAndInitialize()
+    return this._starting
+  }
+
+  async _spawnAndInitialize() {
+    this._state = LSP_STATES.STARTING
+    const env = { ...process.env }
+    for (const key of CHROXY_SECRET_DENYLIST) delete env[key]
+    const spawnSpec = prepareSpawn(this._command, this._args)
+    let child
+    try {
+      child = spawn(spawnSpec.command, spawnSpec.args, {
+        cwd: this.rootDir,
+        env,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        ...spawnSpec.options,
+      })
+    } catch (err) {
+      this._markDead()
+      throw new Error(`Failed to start ${this.language} language server: ${err?.message || err}`)
+    }
+    this._child = child
+    // `error` fires for ENOENT (command not installed) before any exit event.
+    // Kept as a persistent listener: a later `error` (a failed kill) with none
+    // attached would be an uncaught exception, which ends the daemon.
+    const spawnFailed = new Promise((_, reject) => {
+      child.on('error', (err) => {
+        this._log.warn(`${this.language} language server error: ${err?.message || err}`)
+        reject(new Error(`Failed to start ${this.language} language server: ${err?.message || err}`))
+        this._onExit()
+      })
+    })
+    spawnFailed.catch(() => {})
+    // A server exiting between `_write`'s `writable` check and the write
+    // surfaces as EPIPE on stdin; the exit handler settles what's pending.
+    child.stdin.on('error', (err) => {
+      this._log.warn(`${this.language} language server stdin error (ignored): ${err?.message || err}`)
+    })
+    child.stderr.on('data', (chunk) => {
+      this._log.debug(`${this.language} language server stderr: ${chunk.toString().trimEnd()}`)
+    })
+    child.stdout.on('data', (chunk) => this._onData(chunk))
+    child.on('exit', () => this._onExit())
+
+    const rootUri = pathToFileURL(this.rootDir).href
+    try {
+      const init = await Promise.race([
+        this._request('initialize', {
+          processId: process.pid,
+          clientInfo: { name: 'chroxy' },
+          rootUri,
+          rootPath: this.rootDir,
+          workspaceFolders: [{ uri: rootUri, name: basename(this.rootDir) }],
+          initializationOptions: this._initializationOptions,
+          capabilities: {
+            general: { positionEncodings: ['utf-16'] },
+            textDocument: {
+              synchronization: { didSave: false, willSave: false },
+              definition: { linkSupport: true },
+              references: {},
+              hover: { contentFormat: ['markdown', 'plaintext'] },
+              documentSymbol: { hierarchicalDocumentSymbolSupport: true },
+              publishDiagnostics: { relatedInformation: false },
+            },
+            workspace: { symbol: {}, workspaceFolders: true, configuration: true },
+            window: { workDoneProgress: false },
+          },
+        }, this._startTimeoutMs),
+        spawnFailed,
+      ])
+      this.serverCapabilities = init?.capabilities && typeof init.capabilities === 'object' ? init.capabilities : {}
+      this._notify('initialized', {})
+      this._state = LSP_STATES.READY
+    } catch (err) {
+      this._killChild()
+      this._markDead()
+      throw err
+    }
+  }
+
+  /**
+   * Send a request and resolve with its result. Rejects on a JSON-RPC error, a
+   * timeout, or the child exiting first.
+   */
+  request(method, params, timeoutMs = this._requestTimeoutMs) {
+    if (this._state !== LSP_STATES.READY) {
+      return Promise.reject(new Error(`${this.language} language server not ready (state=${this._state})`))
+    }
+    return this._request(method, params, timeoutMs)
+  }
+
+  /**
+   * Make the server's view of `absPath` match the file on disk: `didOpen` the
+   * first time, a full-text `didChange` when the content moved since. Returns
+   * the document URI. Full sync keeps this independent of each server's
+   * incremental-sync quirks; the viewer only ever asks about saved files.
+   */
+  async syncDocument(absPath, languageId) {
+    const uri = pathToFileURL(absPath).href
+    const text = await readFile(absPath, 'utf-8')
+    const open = this._documents.get(uri)
+    if (!open) {
+      this._documents.set(uri, { version: 1, text })
+      this._notify('textDocument/didOpen', { textDocument: { uri, languageId, version: 1, text } })
+    } else if (open.text !== text) {
+      open.version++
+      open.text = text
+      this._notify('textDocument/didChange', {
+        textDocument: { uri, version: open.version },
+        contentChanges: [{ text }],
+      })
+    }
+    return uri
+  }
+
+  /**
+   * The latest diagnostics published for `uri`. Servers publish asynchronously
+   * after didOpen/didChange, so when none have arrived yet this waits up to
+   * `waitMs` for the first batch rather than reporting a misleading "clean".
+   */
+  async diagnosticsFor(uri, { waitMs = 0 } = {}) {
+    if (this._diagnostics.has(uri) || waitMs <= 0) return this._diagnostics.get(uri) || []
+    return new Promise((resolve) => {
+      const onDiagnostics = (published) => {
+        if (published !== uri) return
+        clearTimeout(timer)
+        this.off('diagnostics', onDiagnostics)
+        resolve(this._diagnostics.get(uri) || [])
+      }
+      const timer = setTimeout(() => {
+        this.off('diagnostics', onDiagnostics)
+        resolve(this._diagnostics.get(uri) || [])
+      }, waitMs)
+      this.on('diagnostics', onDiagnostics)
+    })
+  }
+
+  /**
+   * Polite shutdown: `shutdown` request, `exit` notification, then SIGTERM if
+   * the process is still around after a short grace. Never throws.
+   */
+  async stop() {
+    const child = this._child
+    if (!child) { this._markDead(); return }
+    if (this._state === LSP_STATES.READY) {
+      try {
+        await this._request('shutdown', null, SHUTDOWN_TIMEOUT_MS)
+        this._notify('exit')
+      } catch {
+        // Unresponsive server — fall through to the kill.
+      }
+    }
+    this._markDead()
+    await new Promise((resolve) => {
+      if (child.exitCode !== null || child.signalCode !== null) { resolve(); return }
+      const timer = setTimeout(() => {
+        try { child.kill('SIGTERM') } catch { /* already gone */ }
+        resolve()
+      }, KILL_GRACE_MS)
+      child.once('exit', () => { clearTimeout(timer); resolve() })
+    })
+  }
+
+  _request(method, params, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++
+      let timer = null
+      const settle = (err, val) => {
+        if (timer) clearTimeout(timer)
+        this._pending.delete(id)
+        if (err) reject(err); else resolve(val)
+      }
+      this._pending.set(id, settle)
+      timer = setTimeout(() => settle(new Error(`LSP ${method} timeout`)), timeoutMs)
+      if (!this._write({ jsonrpc: '2.0', id, method, params })) {
+        settle(new Error(`${this.language} language server stdin not writable`))
+      }
+    })
+  }
+
+  _notify(method, params) {
+    this._write(params === undefined ? { jsonrpc: '2.0', method } : { jsonrpc: '2.0', method, params })
+  }
+
+  _write(message) {
+    if (!this._child?.stdin?.writable) return false
+    const body = Buffer.from(JSON.stringify(message), 'utf8')
+    this._child.stdin.write(`Content-Length: ${body.length}\r\n\r\n`)
+    this._child.stdin.write(body)
+    return true
+  }
+
+  _onData(chunk) {
+    this._buf = Buffer.concat([this._buf, chunk])
+    for (;;) {
+      const headerEnd = this._buf.indexOf('\r\n\r\n')
+      if (headerEnd === -1) {
+        if (this._buf.length > MAX_MESSAGE_BYTES) this._protocolError('header too large')
+        return
+      }
+      const header = this._buf.subarray(0, headerEnd).toString('ascii')
+      const m = header.match(/content-length:\s*(\d+)/i)
+      if (!m) { this._protocolError('missing Content-Length'); return }
+      const length = Number(m[1])
+      if (length > MAX_MESSAGE_BYTES) { this._protocolError('message too large'); return }
+      const start = headerEnd + 4
+      if (this._buf.length < start + length) return
+      const body = this._buf.subarray(start, start + length).toString('utf8')
+      this._buf = this._buf.subarray(start + length)
+      let msg
+      try {
+        msg = JSON.parse(body)
+      } catch {
+        this._log.warn(`${this.language} language server sent non-JSON body: ${body.slice(0, 80)}`)
+        continue
+      }
+      this._dispatch(msg)
+    }
+  }
+
+  _dispatch(msg) {
+    if (msg.method && msg.id != null) {
+      this._answerServerRequest(msg)
+      return
+    }
+    if (msg.method) {
+      if (msg.method === 'textDocument/publishDiagnostics' && typeof msg.params?.uri === 'string') {
+        this._diagnostics.set(msg.params.uri, Array.isArray(msg.params.diagnostics) ? msg.params.diagnostics : [])
+        this.emit('diagnostics', msg.params.uri)
+      }
+      // Every other notification (progress, logMessage, telemetry) is noise here.
+      return
+    }
+    const settle = this._pending.get(msg.id)
+    if (!settle) {
+      this._log.debug(`${this.language} language server: orphan response id=${msg.id}`)
+      return
+    }
+    if (msg.error) settle(new Error(msg.error.message || 'LSP RPC error'))
+    else settle(null, msg.result ?? null)
+  }
+
+  /**
+   * Answer a server → client request with the most neutral result. Servers
+   * such as pyright and gopls block on `workspace/configuration` until it is
+   * answered; one null per requested item means "use your defaults".
+   */
+  _answerServerRequest(msg) {
+    let result = null
+    if (msg.method === 'workspace/configuration') {
+      const items = Array.isArray(msg.params?.items) ? msg.params.items : []
+      result = items.map(() => null)
+    } else if (msg.method === 'workspace/workspaceFolders') {
+      const uri = pathToFileURL(this.rootDir).href
+      result = [{ uri, name: basename(this.rootDir) }]
+    }
+    this._write({ jsonrpc: '2.0', id: msg.id, result })
+  }
+
+  _protocolError(reason) {
+    this._log.warn(`${this.language} language server: protocol error (${reason}) — stopping it`)
+    this._buf = Buffer.alloc(0)
+    this._killChild()
+  }
+
+  _onExit() {
+    for (const settle of this._pending.values()) settle(new Error(`${this.language} language server exited`))
+    this._pending.clear()
+    this._child = null
+    this._markDead()
+  }
+
+  _markDead() {
+    if (this._state === LSP_STATES.DEAD) return
+    this._state = LSP_STATES.DEAD
+    this._documents.clear()
+    this.emit('dead')
+  }
+
+  _killChild() {
+    try { this._child?.kill('SIGTERM') } catch { /* already gone */ }
+  }
+}
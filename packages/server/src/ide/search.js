@@ -26,12 +26,12 @@ const IGNORED_DIRS = new Set([
 ])
 
 // Text file extensions we grep. Broader than symbols' EXT_LANG (which only
-// parses js/py) — a codebase search should cover configs, docs, and other
-// source languages — but still an allowlist so binaries/assets are skipped
+// parses the languages it has rule tables for) — a codebase search should cover
+// configs, docs, and other source languages — but still an allowlist so binaries/assets are skipped
 // without a read.
 const TEXT_EXT = new Set([
   '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts',
-  '.py', '.pyi', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.h',
+  '.py', '.pyi', '.rb', '.go', '.rs', '.java', '.kt', '.kts', '.swift', '.c', '.h',
   '.cc', '.cpp', '.hpp', '.cs', '.php', '.lua', '.sh', '.bash', '.zsh',
   '.json', '.jsonc', '.yml', '.yaml', '.toml', '.ini', '.env', '.xml',
   '.html', '.htm', '.css', '.scss', '.less', '.svg', '.vue', '.svelte',
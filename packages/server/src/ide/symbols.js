@@ -1,9 +1,11 @@
 /**
  * IDE symbol parser (#6471, epic #6469).
  *
- * A self-contained, dependency-free regex parser that extracts top-level symbol
- * declarations from workspace source files. The backbone for the symbol panel
- * (#6472), go-to-definition (#6475), and symbol search (#6476).
+ * A self-contained, dependency-free regex parser that extracts symbol
+ * declarations from workspace source files — top-level declarations plus the
+ * methods and fields nested under a class-like container (by indentation) —
+ * for JS/TS, Python, Go, Rust, Java, Kotlin, Ruby and Swift. The backbone for
+ * the symbol panel (#6472), go-to-definition (#6475), and symbol search (#6476).
  *
  * WHY REGEX, NOT REPO-MEMORY / TREE-SITTER / LSP
  * ----------------------------------------------
@@ -13,8 +15,10 @@
  * So the daemon parses for itself: line-anchored regexes for the common
  * `export` / `function` / `class` / `const` / `interface` / `type` / `enum`
  * declaration forms. Deliberately ~80%-accurate and language-agnostic (a
- * data-driven rule table, easy to extend) — tree-sitter / LSP is the Phase-4
- * upgrade (#6479). No new binaries, no per-language servers, fully unit-testable.
+ * data-driven rule table, easy to extend). A configured language server
+ * (ide/language-servers.js, #6479) answers ahead of it where it can; this index
+ * is what every other request and every unconfigured language gets. No new
+ * binaries, no per-language servers, fully unit-testable.
  *
  * This module is PURE and side-effect-free except for reading files off disk in
  * `collectWorkspaceSymbols`. The opt-in `features.ide` gate lives at the handler
@@ -22,10 +26,14 @@
  *
  * @typedef {Object} SymbolEntry
  * @property {string} name      Declared identifier.
- * @property {string} kind      One of: function, class, const, variable, interface, type, enum, method.
+ * @property {string} kind      One of: function, class, const, variable, interface, type, enum,
+ *                              method, field, struct, trait, module.
  * @property {string} file      Workspace-relative POSIX path of the declaring file.
  * @property {number} line      1-indexed line of the declaration.
  * @property {boolean} exported Whether the declaration is exported / public.
+ * @property {string} [container] Enclosing type of a member (`Widget` for a method of
+ *                              `class Widget`), dotted for nested types; absent
+ *                              for a top-level declaration.
  */
 import { readdir, readFile, stat, realpath, lstat } from 'fs/promises'
 import { join, resolve, relative, extname, sep } from 'path'
@@ -45,117 +53,359 @@ const EXT_LANG = {
   '.js': 'js', '.jsx': 'js', '.mjs': 'js', '.cjs': 'js',
   '.ts': 'js', '.tsx': 'js', '.mts': 'js', '.cts': 'js',
   '.py': 'py', '.pyi': 'py',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java',
+  '.kt': 'kotlin', '.kts': 'kotlin',
+  '.rb': 'ruby',
+  '.swift': 'swift',
 }
 
-// Per-language ordered rule tables. Each rule is applied in order to a line and
-// the FIRST match wins (so `const enum X` resolves to `enum`, not `const`). The
-// `name` group index is the capture holding the identifier; `exported` derives
-// the visibility flag from the raw line + captured name.
+// Kinds whose declaration opens a CONTAINER scope: the lines indented one level
+// inside it are matched against the language's `members` rules and tagged with
+// the container's name. A rule can also open a scope without being a symbol
+// itself (`symbol: false`) — a Rust `impl Foo` or a Swift `extension Foo` groups
+// its methods under `Foo` without declaring anything new.
+const CONTAINER_KINDS = new Set(['class', 'interface', 'enum', 'struct', 'trait', 'module'])
+
+/** Does a `=` right-hand side start an arrow / function expression? */
+function isFunctionRhs(rhs) {
+  return /^(?:async\s+)?(?:function\b|(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>)/.test(rhs.trim())
+}
+
+// Per-language rule tables. `rules` apply to lines outside any container,
+// `members` to lines at a container's member indent. Each rule is applied in
+// order to a line and the FIRST match wins (so `const enum X` resolves to
+// `enum`, not `const`). A rule carries:
+//   kind       default kind; `refine(m, parent)` may override it per match.
+//   re/name    the regex and the capture index holding the identifier.
+//   in         member rules only: container kinds the rule applies inside.
+//   opens      force (or, with `false`, suppress) opening a container scope;
+//              defaults to CONTAINER_KINDS.has(kind).
+//   symbol     `false` for a scope-only rule (see CONTAINER_KINDS).
+//   container  capture index naming the container of a top-level declaration
+//              (Go methods, whose receiver names the type).
+// `exported(line, name, m)` is the module-level visibility flag for
+// declarations outside a container; members report `exported: false`.
 //
 // JS/TS notes: `const` whose right-hand side is an arrow or `function`
 // expression is reported as a `function` (it is one, for navigation purposes);
-// other `const`s are `const`, and `let`/`var` are `variable`. Only top-level-ish
-// declarations are captured — the regexes are anchored at start-of-line allowing
-// leading `export`/`default`/`async`/`abstract`, so indented class members are
-// intentionally NOT matched (that is the ~80% line; #6479 raises it).
+// other `const`s are `const`, and `let`/`var` are `variable`. Outside a class
+// the regexes are anchored at start-of-line allowing leading whitespace, so a
+// nested helper inside a function body is still captured (the ~80% line).
 const JS_EXPORT = /^\s*export\b/
-const RULES = {
-  js: [
-    {
-      kind: 'function',
-      re: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/,
-      name: 1,
-    },
-    {
-      kind: 'class',
-      re: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/,
-      name: 1,
-    },
-    {
-      kind: 'interface',
-      re: /^\s*(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/,
-      name: 1,
-    },
-    {
-      kind: 'type',
-      re: /^\s*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*[=<]/,
-      name: 1,
-    },
-    {
-      kind: 'enum',
-      re: /^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/,
-      name: 1,
+// Comment-only line prefixes (// # /* * leading forms), overridable per language.
+const LINE_COMMENT = /^(?:\/\/|\*|#)/
+const JS_MEMBER_KEYWORDS = '(?!(?:if|for|while|switch|catch|return|function|new|await|typeof|throw|else|do|super|this|yield|import|export)\\b)'
+const JS_DECLARATIONS = [
+  {
+    kind: 'function',
+    re: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/,
+    name: 1,
+  },
+  {
+    kind: 'class',
+    re: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/,
+    name: 1,
+  },
+  {
+    kind: 'interface',
+    re: /^\s*(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/,
+    name: 1,
+  },
+  {
+    kind: 'type',
+    re: /^\s*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*[=<]/,
+    name: 1,
+  },
+  {
+    kind: 'enum',
+    re: /^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/,
+    name: 1,
+  },
+  {
+    kind: 'module',
+    re: /^\s*(?:export\s+)?(?:declare\s+)?(?:namespace|module)\s+([A-Za-z_$][\w$.]*)\s*\{/,
+    name: 1,
+  },
+  {
+    // const/let/var. Kind is refined below from the right-hand side.
+    kind: 'const',
+    re: /^\s*(?:export\s+)?(const|let|var)\s+([A-Za-z_$][\w$]*)\s*=([^=].*)?$/,
+    name: 2,
+    refine: (m) => {
+      // Arrow function or function-expression RHS ⇒ it's a function.
+      if (isFunctionRhs(m[3] || '')) return 'function'
+      return m[1] === 'const' ? 'const' : 'variable'
     },
-    {
-      // const/let/var. Kind is refined below from the right-hand side.
-      kind: 'const',
-      re: /^\s*(?:export\s+)?(const|let|var)\s+([A-Za-z_$][\w$]*)\s*=([^=].*)?$/,
-      name: 2,
-      refine: (m) => {
-        const decl = m[1]
-        const rhs = (m[3] || '').trim()
-        // Arrow function or function-expression RHS ⇒ it's a function.
-        if (/^(?:async\s+)?(?:function\b|(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>)/.test(rhs)) {
-          return 'function'
-        }
-        return decl === 'const' ? 'const' : 'variable'
+  },
+]
+
+// Python: a top-level `def` is a function; an indented one outside any class (a
+// nested helper) keeps the historical `method` kind.
+const PY_CLASS = { kind: 'class', re: /^(\s*)class\s+([A-Za-z_]\w*)/, name: 2 }
+
+// Modifier / annotation prefixes for the JVM and Swift tables.
+const JAVA_PREFIX = String.raw`^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|static|final|abstract|sealed|non-sealed|strictfp|synchronized|native|default|transient|volatile)\s+)*`
+const JAVA_TYPE = {
+  kind: 'class',
+  re: new RegExp(JAVA_PREFIX + String.raw`(class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)`),
+  name: 2,
+  refine: (m) => ({ interface: 'interface', '@interface': 'interface', enum: 'enum' })[m[1]] || 'class',
+}
+const KOTLIN_PREFIX = String.raw`^\s*(?:@[\w:]+(?:\([^)]*\))?\s+)*(?:(?:public|private|protected|internal|open|abstract|sealed|data|inline|value|enum|annotation|inner|override|suspend|operator|infix|tailrec|external|const|lateinit|final|expect|actual|fun)\s+)*`
+const KOTLIN_RECEIVER = String.raw`(?:<[^>]*>\s+)?(?:[\w.]+(?:<[^>]*>)?\??\.)?`
+const KOTLIN_TYPE = {
+  kind: 'class',
+  re: new RegExp(KOTLIN_PREFIX + String.raw`(class|interface|object)\s+([A-Za-z_]\w*)`),
+  name: 2,
+  refine: (m) => (m[1] === 'interface' ? 'interface' : /\benum\s+class\b/.test(m[0]) ? 'enum' : 'class'),
+}
+const SWIFT_PREFIX = String.raw`^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|fileprivate|internal|open|final|static|class|override|mutating|nonmutating|convenience|required|lazy|weak|unowned|dynamic|indirect|nonisolated)(?:\([^)]*\))?\s+)*`
+const SWIFT_TYPE = {
+  kind: 'class',
+  re: new RegExp(SWIFT_PREFIX + String.raw`(class|struct|enum|protocol|actor)\s+(?!(?:func|var|let|init|subscript)\b)([A-Za-z_]\w*)`),
+  name: 2,
+  refine: (m) => ({ struct: 'struct', enum: 'enum', protocol: 'interface' })[m[1]] || 'class',
+}
+const RUST_VIS = String.raw`^\s*(?:pub(?:\([^)]*\))?\s+)?`
+const RUST_ITEMS = [
+  {
+    kind: 'function',
+    re: new RegExp(RUST_VIS + String.raw`(?:default\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+(?:"[^"]*"\s+)?)?fn\s+([A-Za-z_]\w*)`),
+    name: 1,
+    // Inside an impl/trait a fn is a method; inside an inline `mod` it is not.
+    refine: (m, parent) => (parent && parent.kind !== 'module' ? 'method' : 'function'),
+  },
+  { kind: 'struct', re: new RegExp(RUST_VIS + String.raw`(?:struct|union)\s+([A-Za-z_]\w*)`), name: 1 },
+  { kind: 'enum', re: new RegExp(RUST_VIS + String.raw`enum\s+([A-Za-z_]\w*)`), name: 1 },
+  { kind: 'trait', re: new RegExp(RUST_VIS + String.raw`(?:unsafe\s+)?(?:auto\s+)?trait\s+([A-Za-z_]\w*)`), name: 1 },
+  { kind: 'type', re: new RegExp(RUST_VIS + String.raw`type\s+([A-Za-z_]\w*)`), name: 1 },
+  { kind: 'const', re: new RegExp(RUST_VIS + String.raw`(?:const|static)\s+(?:mut\s+)?([A-Za-z_]\w*)`), name: 1 },
+  { kind: 'module', re: new RegExp(RUST_VIS + String.raw`mod\s+([A-Za-z_]\w*)`), name: 1 },
+  {
+    // `impl Foo`, `impl<T> Trait for Foo<T>` — groups the methods under `Foo`.
+    kind: 'impl',
+    re: /^\s*(?:unsafe\s+)?impl\b(?:\s*<[^>]*>)?\s+(?:[\w:]+(?:<[^>]*>)?\s+for\s+)?(?:\w+::)*([A-Za-z_]\w*)/,
+    name: 1,
+    opens: true,
+    symbol: false,
+  },
+]
+
+const LANGUAGES = {
+  js: {
+    rules: JS_DECLARATIONS,
+    members: [
+      ...JS_DECLARATIONS,
+      {
+        kind: 'method',
+        re: new RegExp(String.raw`^\s*(?:(?:public|private|protected|static|readonly|override|abstract|async|declare|get|set|accessor)\s+)*\*?\s*` + JS_MEMBER_KEYWORDS + String.raw`(#?[A-Za-z_$][\w$]*)\s*\??\s*(?:<[^>]*>)?\s*\(`),
+        name: 1,
       },
-    },
-  ],
-  py: [
-    {
-      kind: 'class',
-      re: /^(\s*)class\s+([A-Za-z_]\w*)/,
-      name: 2,
-      indent: 1,
-    },
-    {
-      // Top-level `def` ⇒ function; indented `def` ⇒ method.
-      kind: 'function',
-      re: /^(\s*)(?:async\s+)?def\s+([A-Za-z_]\w*)/,
-      name: 2,
-      indent: 1,
-      refine: (m) => (m[1].length > 0 ? 'method' : 'function'),
-    },
-  ],
+      {
+        // Class fields and interface properties; an arrow-valued field is a method.
+        kind: 'field',
+        re: new RegExp(String.raw`^\s*(?:(?:public|private|protected|static|readonly|override|abstract|declare|accessor)\s+)*` + JS_MEMBER_KEYWORDS + String.raw`(#?[A-Za-z_$][\w$]*)\s*[?!]?\s*(:|=(?![=>])|;)(.*)$`),
+        name: 1,
+        refine: (m) => {
+          const rhs = m[2] === '=' ? m[3] : (m[3].match(/=(?![=>])(.*)$/) || [])[1]
+          return rhs && isFunctionRhs(rhs) ? 'method' : 'field'
+        },
+      },
+    ],
+    exported: (line) => JS_EXPORT.test(line),
+    // `#` starts a private class member here, not a comment.
+    comment: /^(?:\/\/|\*)/,
+  },
+  py: {
+    rules: [
+      PY_CLASS,
+      {
+        kind: 'function',
+        re: /^(\s*)(?:async\s+)?def\s+([A-Za-z_]\w*)/,
+        name: 2,
+        refine: (m) => (m[1].length > 0 ? 'method' : 'function'),
+      },
+    ],
+    members: [
+      PY_CLASS,
+      { kind: 'method', re: /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/, name: 1 },
+      // `name = …` or an annotated `name: T [= …]` class attribute.
+      { kind: 'field', re: /^\s*([A-Za-z_]\w*)\s*(?::\s*[^=]+?\s*(?:=(?!=).*)?|=(?!=).*)$/, name: 1 },
+    ],
+    // Top-level and not underscore-prefixed ⇒ public.
+    exported: (line, name) => !/^\s/.test(line) && !name.startsWith('_'),
+  },
+  go: {
+    rules: [
+      {
+        kind: 'method',
+        re: /^func\s*\(\s*(?:[A-Za-z_]\w*\s+)?\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*([A-Za-z_]\w*)/,
+        name: 2,
+        container: 1,
+      },
+      { kind: 'function', re: /^func\s+([A-Za-z_]\w*)/, name: 1 },
+      { kind: 'struct', re: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+struct\b/, name: 1 },
+      { kind: 'interface', re: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+interface\b/, name: 1 },
+      { kind: 'type', re: /^type\s+([A-Za-z_]\w*)/, name: 1 },
+      { kind: 'const', re: /^(const|var)\s+([A-Za-z_]\w*)/, name: 2, refine: (m) => (m[1] === 'const' ? 'const' : 'variable') },
+    ],
+    members: [
+      { kind: 'method', re: /^\s*([A-Za-z_]\w*)\s*\(/, name: 1, in: ['interface'] },
+      {
+        kind: 'field',
+        re: /^\s*([A-Za-z_]\w*)(?:\s*,\s*[A-Za-z_]\w*)*\s+(?:[*[]|map\b|chan\b|func\b|struct\b|interface\b|[A-Za-z_])/,
+        name: 1,
+        in: ['struct'],
+      },
+    ],
+    // Go's rule: a capitalized identifier is exported from its package.
+    exported: (line, name) => /^[A-Z]/.test(name),
+  },
+  rust: {
+    rules: RUST_ITEMS,
+    members: [
+      ...RUST_ITEMS,
+      { kind: 'field', re: new RegExp(RUST_VIS + String.raw`([a-z_][A-Za-z0-9_]*)\s*:(?!:)`), name: 1, in: ['struct'] },
+    ],
+    exported: (line) => /^\s*pub\s/.test(line),
+  },
+  java: {
+    rules: [JAVA_TYPE],
+    members: [
+      JAVA_TYPE,
+      { kind: 'field', re: /^\s*([A-Z][A-Z0-9_]*)\s*(?:\(|,|;|\{|$)/, name: 1, in: ['enum'] },
+      {
+        // Return type is optional so constructors match too.
+        kind: 'method',
+        re: new RegExp(JAVA_PREFIX + String.raw`(?:<[^>]*>\s+)?(?:[\w$.]+(?:<[^()]*?>)?(?:\[\])*\s+)?(?!(?:if|for|while|switch|catch|return|new|throw|else)\b)([A-Za-z_$][\w$]*)\s*\(`),
+        name: 1,
+      },
+      {
+        kind: 'field',
+        re: new RegExp(JAVA_PREFIX + String.raw`[\w$.]+(?:<[^()]*?>)?(?:\[\])*\s+(?!(?:return|throw|new)\b)([A-Za-z_$][\w$]*)\s*(?:=(?!=)|;|,)`),
+        name: 1,
+      },
+    ],
+    exported: (line, name, m) => /\bpublic\s/.test(m[0]),
+  },
+  kotlin: {
+    rules: [
+      KOTLIN_TYPE,
+      { kind: 'function', re: new RegExp(KOTLIN_PREFIX + 'fun\\s+' + KOTLIN_RECEIVER + String.raw`([A-Za-z_]\w*)`), name: 1 },
+      {
+        kind: 'const',
+        re: new RegExp(KOTLIN_PREFIX + '(val|var)\\s+' + KOTLIN_RECEIVER + String.raw`([A-Za-z_]\w*)`),
+        name: 2,
+        refine: (m) => (m[1] === 'val' ? 'const' : 'variable'),
+      },
+      { kind: 'type', re: new RegExp(KOTLIN_PREFIX + String.raw`typealias\s+([A-Za-z_]\w*)`), name: 1 },
+    ],
+    members: [
+      KOTLIN_TYPE,
+      { kind: 'method', re: new RegExp(KOTLIN_PREFIX + 'fun\\s+' + KOTLIN_RECEIVER + String.raw`([A-Za-z_]\w*)`), name: 1 },
+      { kind: 'field', re: new RegExp(KOTLIN_PREFIX + '(?:val|var)\\s+' + KOTLIN_RECEIVER + String.raw`([A-Za-z_]\w*)`), name: 1 },
+    ],
+    // Kotlin declarations are public unless marked otherwise.
+    exported: (line, name, m) => !/\b(?:private|internal)\s/.test(m[0]),
+  },
+  ruby: {
+    rules: [
+      { kind: 'class', re: /^\s*class\s+(?:[A-Z]\w*::)*([A-Z]\w*)/, name: 1 },
+      { kind: 'module', re: /^\s*module\s+(?:[A-Z]\w*::)*([A-Z]\w*)/, name: 1 },
+      { kind: 'function', re: /^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!=]?)/, name: 1 },
+      { kind: 'const', re: /^\s*([A-Z][A-Za-z0-9_]*)\s*=(?![=~])/, name: 1 },
+    ],
+    members: [
+      { kind: 'class', re: /^\s*class\s+(?:[A-Z]\w*::)*([A-Z]\w*)/, name: 1 },
+      { kind: 'module', re: /^\s*module\s+(?:[A-Z]\w*::)*([A-Z]\w*)/, name: 1 },
+      { kind: 'method', re: /^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!=]?)/, name: 1 },
+      { kind: 'const', re: /^\s*([A-Z][A-Za-z0-9_]*)\s*=(?![=~])/, name: 1 },
+      { kind: 'field', re: /^\s*attr_(?:reader|writer|accessor)\s+:([A-Za-z_]\w*)/, name: 1 },
+    ],
+    // Ruby has no module-level export; everything declared is reachable.
+    exported: () => true,
+  },
+  swift: {
+    rules: [
+      SWIFT_TYPE,
+      { kind: 'extension', re: new RegExp(SWIFT_PREFIX + String.raw`extension\s+([A-Za-z_][\w.]*)`), name: 1, opens: true, symbol: false },
+      { kind: 'function', re: new RegExp(SWIFT_PREFIX + String.raw`func\s+([A-Za-z_]\w*)`), name: 1 },
+      {
+        kind: 'const',
+        re: new RegExp(SWIFT_PREFIX + String.raw`(let|var)\s+([A-Za-z_]\w*)`),
+        name: 2,
+        refine: (m) => (m[1] === 'let' ? 'const' : 'variable'),
+      },
+      { kind: 'type', re: new RegExp(SWIFT_PREFIX + String.raw`typealias\s+([A-Za-z_]\w*)`), name: 1 },
+    ],
+    members: [
+      SWIFT_TYPE,
+      { kind: 'method', re: new RegExp(SWIFT_PREFIX + String.raw`(?:func\s+([A-Za-z_]\w*)|(init)\s*[?!]?\s*[(<])`), name: 1, altName: 2 },
+      { kind: 'field', re: new RegExp(SWIFT_PREFIX + String.raw`(?:let|var)\s+([A-Za-z_]\w*)`), name: 1 },
+      { kind: 'type', re: new RegExp(SWIFT_PREFIX + String.raw`typealias\s+([A-Za-z_]\w*)`), name: 1 },
+    ],
+    exported: (line, name, m) => /\b(?:public|open)\s/.test(m[0]),
+  },
 }
 
 /**
  * Parse a single source string into symbol entries. Pure — no I/O.
  *
+ * Members are found by indentation rather than by brace or `end` matching, which
+ * works the same for every table above: a container's scope is every following
+ * line indented deeper than its declaration, its MEMBER indent is the shallowest
+ * such line, and only lines at exactly that indent are declaration sites —
+ * deeper lines are method bodies and are skipped. A lone `{` (Allman style)
+ * is ignored so it doesn't close the declaration above it.
+ *
  * @param {string} content  File contents.
  * @param {string} file     Workspace-relative POSIX path recorded on each entry.
  * @returns {SymbolEntry[]}
  */
 export function parseSymbols(content, file) {
   if (typeof content !== 'string' || !content) return []
-  const lang = EXT_LANG[extname(file).toLowerCase()]
-  const rules = RULES[lang]
-  if (!rules) return []
+  const lang = LANGUAGES[EXT_LANG[extname(file).toLowerCase()]]
+  if (!lang) return []
 
   const out = []
   const lines = content.split('\n')
+  // Open container scopes, innermost last: { kind, path, indent, memberIndent }.
+  const scopes = []
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i]
-    // Cheap skip for blank / comment-only lines (covers // # /* * leading forms).
+    // Cheap skip for blank / comment-only lines (and Rust `#[attr]` lines).
     const trimmed = line.trimStart()
-    if (!trimmed || trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('#')) {
-      continue
+    if (!trimmed || trimmed === '{' || (lang.comment || LINE_COMMENT).test(trimmed)) continue
+    const indent = line.length - trimmed.length
+    while (scopes.length && indent <= scopes[scopes.length - 1].indent) scopes.pop()
+    const parent = scopes[scopes.length - 1] || null
+    if (parent) {
+      // The shallowest line seen inside sets the member indent — shallowest, not
+      // first, so a wrapped declaration (`class A\n      extends B {`) doesn't
+      // pin it too deep.
+      if (parent.memberIndent === null || indent < parent.memberIndent) parent.memberIndent = indent
+      if (indent !== parent.memberIndent) continue
     }
-    for (const rule of rules) {
+
+    for (const rule of parent ? lang.members : lang.rules) {
+      if (rule.in && !rule.in.includes(parent.kind)) continue
       const m = line.match(rule.re)
       if (!m) continue
-      const name = m[rule.name]
+      const name = m[rule.name] || (rule.altName && m[rule.altName])
       if (!name) break
-      const kind = rule.refine ? rule.refine(m) : rule.kind
-      let exported
-      if (lang === 'py') {
-        // Top-level (indent 0) and not underscore-prefixed ⇒ public.
-        exported = (rule.indent ? m[rule.indent].length === 0 : true) && !name.startsWith('_')
-      } else {
-        exported = JS_EXPORT.test(line)
+      const kind = rule.refine ? rule.refine(m, parent) : rule.kind
+      const path = parent ? `${parent.path}.${name}` : name
+      if (rule.symbol !== false) {
+        const entry = { name, kind, file, line: i + 1, exported: parent ? false : lang.exported(line, name, m) }
+        const container = parent ? parent.path : (rule.container && m[rule.container]) || null
+        if (container) entry.container = container
+        out.push(entry)
+      }
+      if (rule.opens ?? CONTAINER_KINDS.has(kind)) {
+        scopes.push({ kind, path, indent, memberIndent: null })
       }
-      out.push({ name, kind, file, line: i + 1, exported })
       break // first matching rule wins for a line
     }
   }
@@ -313,7 +313,7 @@ export class JsonlSubprocessSession extends BaseSession {
       // binary for the #6708 spawn-time backstop (err.path is preferred at the
       // catch sites, this is only the fallback).
       attemptedBinary = Klass.resolvedBinary
-      const spawnSpec = prepareSpawn(Klass.resolvedBinary, args)
+      const spawnSpec = this._bwrapSpawnSpec(prepareSpawn(Klass.resolvedBinary, args))
       proc = spawn(spawnSpec.command, spawnSpec.args, {
         cwd: this.cwd,
         // We pass the prompt as argv, not stdin. Some CLIs, notably
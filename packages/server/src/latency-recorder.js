@@ -0,0 +1,131 @@
+/**
+ * Per-session latency tracking → /metrics histograms.
+ *
+ * SessionManager feeds this what it already sees for every provider: the
+ * user input it records (`recordUserInput`) and the session events it
+ * proxies. From those it derives, all labeled by provider:
+ *
+ *   - turn.ttft_seconds       — input → first `stream_delta` of the turn
+ *   - turn.latency_seconds    — input → turn-terminal `result` / `error`
+ *   - permission.wait_seconds — `permission_request` → `permission_resolved`
+ *                               (plus a `decision` label)
+ *
+ * Inputs are queued FIFO per session, because a provider with an outgoing-
+ * message queue accepts a second prompt while the first turn is still
+ * running; each terminal event closes the OLDEST open turn, so the second
+ * prompt's clock is not reset by the first turn ending (and vice versa). The
+ * queues are bounded so a provider that never emits a terminal event can't
+ * grow them without limit.
+ *
+ * Turns with no recorded input (a provider's own auto-continue, a scheduler
+ * prompt that bypasses the WS input path) are simply not measured — there is
+ * no honest start time to measure from.
+ *
+ * Hook-routed permissions (POST /permission, ws-permissions.js) never pass
+ * through a session's event stream, so that module observes the same
+ * histogram itself with `path: 'hook'`.
+ */
+
+import { metrics as defaultMetrics } from './metrics.js'
+
+/** Max open (input-recorded, not yet terminal) turns tracked per session. */
+export const MAX_OPEN_TURNS = 16
+
+/** Max pending permission prompts tracked per session. */
+export const MAX_OPEN_PERMISSIONS = 64
+
+export class SessionLatencyRecorder {
+  /**
+   * @param {object} [opts]
+   * @param {() => number} [opts.now] - Clock in ms (injectable for tests)
+   * @param {{ observe: Function }} [opts.metrics] - Metrics sink
+   */
+  constructor({ now = Date.now, metrics = defaultMetrics } = {}) {
+    this._now = now
+    this._metrics = metrics
+    /** @type {Map<string, Array<{ startedAt: number, firstTokenAt: number|null }>>} */
+    this._turns = new Map()
+    /** @type {Map<string, Map<string, number>>} sessionId -> requestId -> requestedAt */
+    this._permissions = new Map()
+  }
+
+  /** A user prompt was submitted to `sessionId`. */
+  markInput(sessionId) {
+    let queue = this._turns.get(sessionId)
+    if (!queue) {
+      queue = []
+      this._turns.set(sessionId, queue)
+    }
+    if (queue.length >= MAX_OPEN_TURNS) queue.shift()
+    queue.push({ startedAt: this._now(), firstTokenAt: null })
+  }
+
+  /**
+   * Fold one session event in. Unrelated event types are ignored, so the
+   * caller can feed every proxied and transient event through here.
+   *
+   * @param {string} sessionId
+   * @param {string} event
+   * @param {string|null|undefined} provider - Label value for the histograms
+   * @param {object} [data] - The event payload (permission events only)
+   */
+  onEvent(sessionId, event, provider, data) {
+    const labels = { provider: provider || 'unknown' }
+    if (event === 'permission_request' || event === 'permission_resolved') {
+      this._onPermissionEvent(sessionId, event, labels, data)
+      return
+    }
+    const queue = this._turns.get(sessionId)
+    if (!queue || queue.length === 0) return
+    const turn = queue[0]
+    if (event === 'stream_delta' && turn.firstTokenAt === null) {
+      turn.firstTokenAt = this._now()
+      this._metrics.observe('turn.ttft_seconds', (turn.firstTokenAt - turn.startedAt) / 1000, labels)
+      return
+    }
+    if (event === 'result' || event === 'error') {
+      queue.shift()
+      this._metrics.observe('turn.latency_seconds', (this._now() - turn.startedAt) / 1000, labels)
+      if (queue.length === 0) this._turns.delete(sessionId)
+    }
+  }
+
+  _onPermissionEvent(sessionId, event, labels, data) {
+    // A hook-routed prompt's in-process mirror (hook-permission-relay.js):
+    // ws-permissions.js already observes its wait under path="hook".
+    if (data?.via === 'hook') return
+    const requestId = data?.requestId
+    if (typeof requestId !== 'string' || requestId.length === 0) return
+    if (event === 'permission_request') {
+      let pending = this._permissions.get(sessionId)
+      if (!pending) {
+        pending = new Map()
+        this._permissions.set(sessionId, pending)
+      }
+      if (pending.size >= MAX_OPEN_PERMISSIONS) pending.delete(pending.keys().next().value)
+      pending.set(requestId, this._now())
+      return
+    }
+    const pending = this._permissions.get(sessionId)
+    const requestedAt = pending?.get(requestId)
+    if (requestedAt === undefined) return
+    pending.delete(requestId)
+    if (pending.size === 0) this._permissions.delete(sessionId)
+    this._metrics.observe('permission.wait_seconds', (this._now() - requestedAt) / 1000, {
+      ...labels,
+      path: 'in_process',
+      decision: typeof data.decision === 'string' ? data.decision : 'unknown',
+    })
+  }
+
+  /** Drop any open turns and pending permissions for a destroyed session. */
+  forget(sessionId) {
+    this._turns.delete(sessionId)
+    this._permissions.delete(sessionId)
+  }
+
+  /** Open turns for a session (tests + observability). */
+  openTurns(sessionId) {
+    return this._turns.get(sessionId)?.length || 0
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Text exposition for GET /metrics: Prometheus 0.0.4 and OpenMetrics 1.0.0.
+ *
+ * The endpoint historically returned only a JSON blob, which a Prometheus /
+ * Grafana Agent scrape cannot ingest. http-routes.js now content-negotiates:
+ * a scraper's `Accept: application/openmetrics-text` (or `text/plain`) gets
+ * the text format rendered here, everything else keeps the JSON payload so
+ * existing consumers (dashboard diagnostics, curl scripts) are untouched.
+ *
+ * Naming: internal dotted names map to `chroxy_<name with [^a-zA-Z0-9_] → _>`.
+ * Counters get the `_total` suffix on their samples (both formats); the
+ * OpenMetrics family name omits it, the Prometheus 0.0.4 TYPE line carries
+ * it, per each format's spec. Histograms emit cumulative `_bucket{le=...}`
+ * samples plus `_sum` / `_count` and a terminal `le="+Inf"` bucket.
+ *
+ * Pure functions: the store and the gauge values are passed in, so tests
+ * render against a throwaway store with no server.
+ */
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+/** The formats GET /metrics can answer with. */
+export const METRICS_FORMATS = Object.freeze(['json', 'prometheus', 'openmetrics'])
+
+const METRIC_PREFIX = 'chroxy_'
+
+/**
+ * Map an internal metric name to a legal exposition name.
+ * @param {string} name
+ */
+export function exposedName(name) {
+  const body = String(name).replace(/[^a-zA-Z0-9_]/g, '_')
+  return METRIC_PREFIX + body
+}
+
+function labelName(name) {
+  const cleaned = String(name).replace(/[^a-zA-Z0-9_]/g, '_')
+  return /^[0-9]/.test(cleaned) ? `_${cleaned}` : cleaned
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+function renderLabels(labels, extra) {
+  const pairs = Object.entries(labels || {}).map(([k, v]) => `${labelName(k)}="${escapeLabelValue(v)}"`)
+  if (extra) pairs.push(extra)
+  return pairs.length === 0 ? '' : `{${pairs.join(',')}}`
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  if (Number.isNaN(value)) return 'NaN'
+  return String(value)
+}
+
+/**
+ * Pick the response format for a /metrics request.
+ *
+ * An explicit `?format=` query wins. Otherwise the Accept header is parsed
+ * with q-values and the highest-weighted supported type is chosen; ties go
+ * to the more specific text format, and a bare `*` / missing header keeps
+ * the historical JSON answer.
+ *
+ * @param {string|undefined} acceptHeader
+ * @param {string|null|undefined} formatParam
+ * @returns {'json'|'prometheus'|'openmetrics'}
+ */
+export function negotiateMetricsFormat(acceptHeader, formatParam) {
+  if (typeof formatParam === 'string' && METRICS_FORMATS.includes(formatParam)) return formatParam
+  if (typeof acceptHeader !== 'string' || acceptHeader.trim() === '') return 'json'
+  const ranked = { openmetrics: -1, prometheus: -1, json: -1 }
+  for (const part of acceptHeader.split(',')) {
+    const [rawType, ...params] = part.trim().split(';')
+    const type = rawType.trim().toLowerCase()
+    let q = 1
+    for (const param of params) {
+      const [k, v] = param.trim().split('=')
+      if (k === 'q') {
+        const parsed = Number(v)
+        if (Number.isFinite(parsed)) q = parsed
+      }
+    }
+    if (q <= 0) continue
+    const format = type === 'application/openmetrics-text' ? 'openmetrics'
+      : type === 'text/plain' ? 'prometheus'
+        : type === 'application/json' ? 'json'
+          : null
+    if (format && q > ranked[format]) ranked[format] = q
+  }
+  const best = Math.max(ranked.openmetrics, ranked.prometheus, ranked.json)
+  if (best < 0) return 'json'
+  if (ranked.openmetrics === best) return 'openmetrics'
+  if (ranked.prometheus === best) return 'prometheus'
+  return 'json'
+}
+
+/**
+ * Render the store plus point-in-time gauges as exposition text.
+ *
+ * @param {{ families: () => object }} store - A MetricsStore
+ * @param {object} opts
+ * @param {'prometheus'|'openmetrics'} opts.format
+ * @param {Array<{ name: string, help?: string, series: Array<{ labels?: Record<string,string>, value: number }> }>} [opts.gauges]
+ * @param {Record<string,string>} [opts.counterHelp]
+ * @param {Record<string,{ help?: string }>} [opts.histogramDefinitions]
+ * @returns {string}
+ */
+export function renderMetricsText(store, { format, gauges = [], counterHelp = {}, histogramDefinitions = {} }) {
+  const openMetrics = format === 'openmetrics'
+  const lines = []
+  const { counters, histograms } = store.families()
+
+  for (const gauge of gauges) {
+    const name = exposedName(gauge.name)
+    lines.push(`# TYPE ${name} gauge`)
+    if (gauge.help) lines.push(`# HELP ${name} ${escapeHelp(gauge.help)}`)
+    for (const s of gauge.series) {
+      lines.push(`${name}${renderLabels(s.labels)} ${formatNumber(s.value)}`)
+    }
+  }
+
+  for (const family of counters) {
+    const base = exposedName(family.name).replace(/_total$/, '')
+    const typeName = openMetrics ? base : `${base}_total`
+    lines.push(`# TYPE ${typeName} counter`)
+    const help = counterHelp[family.name]
+    if (help) lines.push(`# HELP ${typeName} ${escapeHelp(help)}`)
+    for (const s of family.series) {
+      lines.push(`${base}_total${renderLabels(s.labels)} ${formatNumber(s.value)}`)
+    }
+  }
+
+  for (const family of histograms) {
+    const name = exposedName(family.name)
+    lines.push(`# TYPE ${name} histogram`)
+    const help = histogramDefinitions[family.name]?.help
+    if (help) lines.push(`# HELP ${name} ${escapeHelp(help)}`)
+    for (const s of family.series) {
+      s.buckets.forEach((le, i) => {
+        lines.push(`${name}_bucket${renderLabels(s.labels, `le="${formatNumber(le)}"`)} ${s.counts[i]}`)
+      })
+      lines.push(`${name}_bucket${renderLabels(s.labels, 'le="+Inf"')} ${s.count}`)
+      lines.push(`${name}_count${renderLabels(s.labels)} ${s.count}`)
+      lines.push(`${name}_sum${renderLabels(s.labels)} ${formatNumber(s.sum)}`)
+    }
+  }
+
+  if (openMetrics) lines.push('# EOF')
+  return lines.join('\n') + '\n'
+}
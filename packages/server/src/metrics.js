@@ -1,5 +1,5 @@
 /**
- * Lightweight in-process event counter store.
+ * Lightweight in-process metrics store: counters and histograms.
  *
  * Added in the 2026-04-11 production readiness audit (Phase 2 —
  * observability). The existing /metrics endpoint only exposes
@@ -11,51 +11,257 @@
  *   import { metrics } from './metrics.js'
  *   metrics.inc('push.failures')
  *   metrics.inc('ws.messages.received', 5)
+ *   metrics.inc('sessions.created', 1, { provider: 'claude-sdk' })
+ *   metrics.observe('turn.latency_seconds', 12.4, { provider: 'claude-sdk' })
  *   const snapshot = metrics.snapshot()
  *
+ * Labels: every counter and histogram is a family of SERIES keyed by an
+ * optional flat `{ name: value }` label object. Unlabeled calls address the
+ * empty label set, so the original `inc(name)` / `get(name)` call sites keep
+ * working unchanged. Label values are coerced to strings; the number of
+ * distinct series per metric is capped (MAX_SERIES_PER_METRIC) because some
+ * label values (provider ids, handler types) arrive off the wire, and an
+ * unbounded label space would turn the registry into a memory leak. A series
+ * past the cap is dropped and counted under `metrics.series_dropped`.
+ *
+ * Histograms use fixed, cumulative upper-bound buckets (Prometheus `le`
+ * semantics). The well-known latency histograms are pre-declared in
+ * HISTOGRAM_DEFINITIONS with buckets sized for what they measure; an
+ * `observe()` on an undeclared name falls back to DEFAULT_BUCKETS.
+ *
+ * Rendering to the Prometheus / OpenMetrics text formats lives in
+ * metrics-exposition.js — this module only stores.
+ *
  * Counters reset to zero on process restart — they measure the
  * current server lifetime, not cumulative history.
  */
 
+/** Upper bound on distinct label sets per metric name. */
+export const MAX_SERIES_PER_METRIC = 200
+
+/** Fallback bucket layout (seconds) for a histogram with no declaration. */
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])
+
+/**
+ * Pre-declared histograms. Bucket bounds are in seconds and sized to the
+ * distribution each one actually has: a turn is seconds-to-minutes, a WS
+ * frame handoff is sub-millisecond, a permission prompt waits on a human
+ * (up to the 300s auto-deny).
+ */
+export const HISTOGRAM_DEFINITIONS = Object.freeze({
+  'turn.latency_seconds': {
+    help: 'Time from user input to the turn-terminal result/error event.',
+    buckets: [1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1200, 1800],
+  },
+  'turn.ttft_seconds': {
+    help: 'Time from user input to the first streamed assistant token.',
+    buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60],
+  },
+  'permission.wait_seconds': {
+    help: 'Time a permission prompt stayed pending before it was resolved.',
+    buckets: [1, 5, 10, 30, 60, 120, 180, 300],
+  },
+  'ws.send.latency_seconds': {
+    help: 'Time spent serializing, encrypting and handing one frame to the socket.',
+    buckets: [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1],
+  },
+})
+
+/** Human-readable HELP text for the known counters (exposition only). */
+export const COUNTER_HELP = Object.freeze({
+  'sessions.created': 'Sessions created.',
+  'sessions.destroyed': 'Sessions destroyed.',
+  'push.sent': 'Push notifications delivered to the Expo push service.',
+  'push.failures': 'Push notifications that failed to deliver.',
+  'auth.failures': 'Failed WebSocket authentication attempts.',
+  'tunnel.flaps': 'Tunnel reconnect cycles.',
+  'backpressure.drops': 'Broadcast frames dropped for a slow client.',
+  'backpressure.disconnects': 'Clients evicted for exceeding the backpressure ceiling.',
+  'ws.messages.handled': 'Inbound WebSocket messages dispatched to a registered handler.',
+  'metrics.series_dropped': 'Label sets rejected because a metric hit its series cap.',
+})
+
+/**
+ * Canonical key for a label set: keys sorted, so `{ a, b }` and `{ b, a }`
+ * address the same series. The empty set keys as ''.
+ *
+ * @param {Record<string, unknown>|null|undefined} labels
+ * @returns {{ key: string, labels: Record<string, string> }}
+ */
+function normalizeLabels(labels) {
+  if (!labels || typeof labels !== 'object') return { key: '', labels: {} }
+  const out = {}
+  for (const name of Object.keys(labels).sort()) {
+    const value = labels[name]
+    if (value === undefined || value === null) continue
+    out[name] = String(value)
+  }
+  return { key: Object.keys(out).length === 0 ? '' : JSON.stringify(out), labels: out }
+}
+
 class MetricsStore {
   constructor() {
+    /** @type {Map<string, Map<string, { labels: Record<string,string>, value: number }>>} */
     this._counters = new Map()
+    /** @type {Map<string, Map<string, { labels: Record<string,string>, buckets: number[], counts: number[], sum: number, count: number }>>} */
+    this._histograms = new Map()
     this._startedAt = Date.now()
   }
 
   /**
-   * Increment a named counter by `n` (default 1).
-   * Counter is auto-created on first use.
+   * Find or create the series for (family, labels). Returns null when the
+   * family is at its series cap and the label set is new.
+   */
+  _series(families, name, labels, create) {
+    let family = families.get(name)
+    if (!family) {
+      family = new Map()
+      families.set(name, family)
+    }
+    const { key, labels: normalized } = normalizeLabels(labels)
+    let series = family.get(key)
+    if (!series) {
+      if (family.size >= MAX_SERIES_PER_METRIC) {
+        if (name !== 'metrics.series_dropped') this.inc('metrics.series_dropped', 1, { metric: name })
+        return null
+      }
+      series = create(normalized)
+      family.set(key, series)
+    }
+    return series
+  }
+
+  /**
+   * Increment a named counter by `n` (default 1), optionally scoped to a
+   * label set. Counter is auto-created on first use.
+   *
+   * @param {string} name
+   * @param {number} [n=1]
+   * @param {Record<string, unknown>} [labels]
    */
-  inc(name, n = 1) {
-    this._counters.set(name, (this._counters.get(name) || 0) + n)
+  inc(name, n = 1, labels) {
+    const series = this._series(this._counters, name, labels, (l) => ({ labels: l, value: 0 }))
+    if (series) series.value += n
   }
 
   /**
    * Read the current value of a counter (0 if never incremented).
+   * With `labels`, reads exactly that series; without, sums every series
+   * of the counter, so an unlabeled read of a labeled counter still answers
+   * "how many in total".
+   *
+   * @param {string} name
+   * @param {Record<string, unknown>} [labels]
    */
-  get(name) {
-    return this._counters.get(name) || 0
+  get(name, labels) {
+    const family = this._counters.get(name)
+    if (!family) return 0
+    if (labels === undefined) {
+      let total = 0
+      for (const series of family.values()) total += series.value
+      return total
+    }
+    return family.get(normalizeLabels(labels).key)?.value || 0
+  }
+
+  /**
+   * Record one observation into a histogram. Non-finite and negative values
+   * are ignored (a backwards clock step must not land in the lowest bucket).
+   *
+   * @param {string} name
+   * @param {number} value - In the histogram's unit (seconds for the latency set)
+   * @param {Record<string, unknown>} [labels]
+   */
+  observe(name, value, labels) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) return
+    const bounds = HISTOGRAM_DEFINITIONS[name]?.buckets || DEFAULT_BUCKETS
+    const series = this._series(this._histograms, name, labels, (l) => ({
+      labels: l,
+      buckets: bounds,
+      counts: new Array(bounds.length).fill(0),
+      sum: 0,
+      count: 0,
+    }))
+    if (!series) return
+    for (let i = 0; i < series.buckets.length; i++) {
+      if (value <= series.buckets[i]) series.counts[i]++
+    }
+    series.sum += value
+    series.count++
   }
 
   /**
    * Return a plain object snapshot of all counters, suitable for
-   * JSON serialization. Includes a `_uptimeSeconds` meta-field.
+   * JSON serialization. Each counter is keyed by its bare name with the total
+   * across its label sets, so the JSON shape predates labels and existing
+   * readers keep working; the per-label series are exposition-only (see
+   * `families()`). Includes a `_uptimeSeconds` meta-field.
    */
   snapshot() {
     const obj = {}
-    for (const [k, v] of this._counters) {
-      obj[k] = v
+    for (const name of this._counters.keys()) {
+      obj[name] = this.get(name)
     }
     obj._uptimeSeconds = Math.round((Date.now() - this._startedAt) / 1000)
     return obj
   }
 
   /**
-   * Reset all counters to zero. Primarily for testing.
+   * Return a JSON-friendly view of every histogram, its label sets merged:
+   * `{ [name]: { count, sum, buckets: [{ le, count }] } }` with cumulative
+   * bucket counts in ascending `le` order. Every series of a name shares its
+   * bucket bounds, so the merge is a plain sum.
+   */
+  histogramSnapshot() {
+    const obj = {}
+    for (const [name, family] of this._histograms) {
+      let merged = null
+      for (const series of family.values()) {
+        if (!merged) {
+          merged = { count: 0, sum: 0, buckets: series.buckets.map((le) => ({ le, count: 0 })) }
+        }
+        merged.count += series.count
+        merged.sum += series.sum
+        series.counts.forEach((n, i) => { merged.buckets[i].count += n })
+      }
+      if (merged) obj[name] = merged
+    }
+    return obj
+  }
+
+  /**
+   * Structured iteration for the exposition renderer. Each family carries
+   * its series with the (sorted) label objects intact.
+   *
+   * @returns {{ counters: Array<{ name: string, series: Array<{ labels: Record<string,string>, value: number }> }>,
+   *             histograms: Array<{ name: string, series: Array<{ labels: Record<string,string>, buckets: number[], counts: number[], sum: number, count: number }> }> }}
+   */
+  families() {
+    const counters = []
+    for (const [name, family] of this._counters) {
+      counters.push({ name, series: [...family.values()].map((s) => ({ ...s, labels: { ...s.labels } })) })
+    }
+    const histograms = []
+    for (const [name, family] of this._histograms) {
+      histograms.push({
+        name,
+        series: [...family.values()].map((s) => ({ ...s, labels: { ...s.labels }, counts: [...s.counts] })),
+      })
+    }
+    return { counters, histograms }
+  }
+
+  /** Seconds since the store was created (or last reset). */
+  uptimeSeconds() {
+    return Math.round((Date.now() - this._startedAt) / 1000)
+  }
+
+  /**
+   * Reset all counters and histograms to zero. Primarily for testing.
    */
   reset() {
     this._counters.clear()
+    this._histograms.clear()
     this._startedAt = Date.now()
   }
 }
@@ -92,6 +92,9 @@ export const ALL_CATEGORIES = Object.freeze([
   // (mailbox-route.js). Listed so the category is mutable in prefs and visible
   // in snapshots (sanitizeCategoryMap strips unknown keys otherwise).
   'mailbox',
+  // Scheduled-task run outcomes (scheduler.js, per-task `notify` policy).
+  // Listed so the category is mutable in prefs and visible in snapshots.
+  'scheduled_run',
 ])
 
 /**
@@ -0,0 +1,74 @@
+/**
+ * Shared HTTP delivery for the webhook-style notification sinks (Slack, ntfy,
+ * Gotify): one request with a timeout, retried a bounded number of times.
+ *
+ * A 429 honours Retry-After (seconds, capped so one slow service cannot hold
+ * the fan-out hostage); 5xx and network errors back off exponentially; any
+ * other status returns at once for the sink to interpret. The Discord client
+ * keeps its own variant because Discord also reports `retry_after` in the body.
+ */
+
+import { sleep, backoffDelay } from '../utils/sleep.js'
+
+export const FETCH_TIMEOUT_MS = 10_000
+export const MAX_RETRIES = 3
+export const BACKOFF_BASE_MS = 1_000
+// Tier-limited endpoints normally ask for a second or two; anything past this
+// means we should give up and let the next event retry.
+export const MAX_RETRY_AFTER_MS = 30_000
+
+/** Retry-After (seconds) → ms; 1s when absent or unparsable, clamped. */
+export function retryAfterMs(res) {
+  let seconds = NaN
+  try {
+    const header = res.headers?.get?.('retry-after')
+    if (header != null) seconds = Number.parseFloat(header)
+  } catch { /* fall through to default */ }
+  if (!Number.isFinite(seconds) || seconds < 0) seconds = 1
+  return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS)
+}
+
+/**
+ * Fetch with timeout + bounded retry. Throws only when the LAST attempt threw
+ * (the sinks map that to `false`).
+ *
+ * @param {string} url
+ * @param {object} options - fetch options; `signal` is supplied per attempt.
+ * @param {object} [opts]
+ * @param {number} [opts.retries] - Total attempts (default MAX_RETRIES).
+ * @param {Function} [opts.sleepImpl] - Injection seam for tests.
+ * @param {Function} [opts.fetchImpl] - Injection seam for tests.
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, options, { retries = MAX_RETRIES, sleepImpl = sleep, fetchImpl = fetch } = {}) {
+  let res
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+    try {
+      res = await fetchImpl(url, { ...options, signal: controller.signal })
+    } catch (err) {
+      clearTimeout(timer)
+      if (attempt < retries) {
+        await sleepImpl(backoffDelay(attempt, BACKOFF_BASE_MS))
+        continue
+      }
+      throw err
+    }
+    clearTimeout(timer)
+    if (res.status === 429) {
+      if (attempt < retries) {
+        await sleepImpl(retryAfterMs(res))
+        continue
+      }
+      return res
+    }
+    if (res.status < 500) return res
+    if (attempt < retries) {
+      await sleepImpl(backoffDelay(attempt, BACKOFF_BASE_MS))
+      continue
+    }
+    return res
+  }
+  return res
+}
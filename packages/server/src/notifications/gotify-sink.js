@@ -0,0 +1,127 @@
+/**
+ * GotifySink — delivery to a self-hosted Gotify server, the ntfy sink's
+ * sibling for operators already running Gotify.
+ *
+ * Shares NtfySink's category table (CATEGORY_STYLES) and rescales it onto
+ * Gotify's 0-10 priority range: the Gotify Android app treats 8+ as
+ * high-importance (sound + heads-up), 4-7 as default and 1-3 as low, so a
+ * permission prompt still interrupts while session heartbeats stay silent.
+ * Per-category overrides use Gotify's native scale.
+ *
+ * Gotify has no HTTP action buttons — its Android extras can only open a URL
+ * or fire an Android intent — so prompts are NOT actionable here. Each message
+ * instead carries a `client::notification` click URL that deep-links to the
+ * session in the dashboard (`?session=<id>`), where the prompt can be answered.
+ *
+ * The server URL is config (`notifications.gotify.url`); the application token
+ * is a secret (self-hosted-push-credentials.js) and is required — Gotify
+ * rejects unauthenticated messages, so the sink stays unconfigured without it.
+ */
+
+import { createLogger } from '../logger.js'
+import { sleep } from '../utils/sleep.js'
+import { NotificationSink } from './sink.js'
+import { cachedResolveSelfHostedPushToken } from '../self-hosted-push-credentials.js'
+import { truncate } from './discord-webhook-client.js'
+import { fetchWithRetry } from './fetch-with-retry.js'
+import { isHttpUrl, sessionDeepLink, styleFor } from './ntfy-sink.js'
+
+const log = createLogger('gotify')
+
+const MAX_TITLE_CHARS = 250
+const MAX_MESSAGE_CHARS = 4000
+
+// ntfy 1-5 → Gotify 0-10 (see the module header for the Android thresholds).
+const GOTIFY_PRIORITY = Object.freeze({ 1: 1, 2: 3, 3: 5, 4: 7, 5: 10 })
+
+/** Map an ntfy-scale priority (1-5) onto Gotify's 0-10 range. */
+export function toGotifyPriority(ntfyPriority) {
+  return GOTIFY_PRIORITY[ntfyPriority] ?? 5
+}
+
+export class GotifySink extends NotificationSink {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.url] - Gotify server base URL (config `notifications.gotify.url`)
+   * @param {Record<string, number>} [opts.priorities] - Per-category priority overrides (0-10)
+   * @param {() => string|null} [opts.resolveDashboardUrl] - Dashboard URL for the click link
+   * @param {Function} [opts.resolveToken] - Injection seam for tests; defaults to the cached env > credentials-store resolver
+   * @param {Function} [opts.fetchImpl] - Injection seam for tests
+   * @param {Function} [opts.sleepImpl] - Injection seam for tests (429/backoff waits)
+   */
+  constructor({
+    url = null,
+    priorities = {},
+    resolveDashboardUrl = null,
+    resolveToken = () => cachedResolveSelfHostedPushToken('gotify'),
+    fetchImpl = (...args) => fetch(...args),
+    sleepImpl = sleep,
+  } = {}) {
+    super({ name: 'gotify' })
+    this._url = isHttpUrl(url) ? url.replace(/\/+$/, '') : null
+    this._priorities = priorities && typeof priorities === 'object' ? priorities : {}
+    this._resolveDashboardUrl = typeof resolveDashboardUrl === 'function' ? resolveDashboardUrl : null
+    this._resolveToken = resolveToken
+    this._fetch = fetchImpl
+    this._sleep = sleepImpl
+  }
+
+  _appToken() {
+    try {
+      return this._resolveToken()?.value ?? null
+    } catch {
+      return null
+    }
+  }
+
+  /** Sink contract: configured iff a server URL and an application token resolve. */
+  isConfigured() {
+    return this._url !== null && this._appToken() !== null
+  }
+
+  _dashboardUrl() {
+    try {
+      return this._resolveDashboardUrl?.() ?? null
+    } catch {
+      return null
+    }
+  }
+
+  /** Build the Gotify message body, or null when the category isn't delivered. */
+  buildMessage(notification) {
+    const style = styleFor(notification)
+    if (!style) return null
+    const override = this._priorities[notification.category]
+    const message = {
+      title: truncate(String(notification.title || 'Chroxy'), MAX_TITLE_CHARS),
+      message: truncate(String(notification.body || notification.title || ''), MAX_MESSAGE_CHARS),
+      priority: Number.isInteger(override) && override >= 0 && override <= 10 ? override : toGotifyPriority(style.priority),
+      extras: { 'client::display': { contentType: 'text/plain' } },
+    }
+    const click = sessionDeepLink(this._dashboardUrl(), notification.data?.sessionId)
+    if (click) message.extras['client::notification'] = { click: { url: click } }
+    return message
+  }
+
+  async send(notification) {
+    const token = this._appToken()
+    if (this._url === null || token === null) return true
+    const message = this.buildMessage(notification)
+    if (!message) return true
+    try {
+      const res = await fetchWithRetry(`${this._url}/message`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': token },
+        body: JSON.stringify(message),
+      }, { fetchImpl: this._fetch, sleepImpl: this._sleep })
+      if (!res.ok) {
+        log.warn(`Gotify publish failed: HTTP ${res.status}`)
+        return false
+      }
+      return true
+    } catch (err) {
+      log.warn(`Gotify publish failed: ${err?.message || err}`)
+      return false
+    }
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * NtfySink — delivery to a self-hosted ntfy server (https://ntfy.sh), for
+ * operators who keep notifications on their own network instead of relaying
+ * through Expo's hosted push service.
+ *
+ * Same sink contract (sink.js) and upstream gating (PushManager prefs / quiet
+ * hours / rate limits) as every other sink. Each pipeline category maps to an
+ * ntfy priority (1 min … 5 urgent) and emoji tags (CATEGORY_STYLES below), both
+ * overridable per category from `notifications.ntfy`.
+ *
+ * Actionable permission prompts. A `permission` notification, or an
+ * `activity_waiting` one that carries a requestId, gets two ntfy `http` action
+ * buttons — Approve and Deny. The ntfy app executes them itself: it POSTs
+ * `{ token, decision }` straight to the daemon's POST /permission-action,
+ * where `token` is a single-use capability minted for that one request
+ * (permission-action-tokens.js). No bearer token leaves the daemon and no
+ * third-party relay is involved. Buttons are attached only when BOTH the token
+ * store is wired and a callback URL resolves (config `actionUrl`, else the
+ * daemon's tunnel / external / LAN origin); otherwise the prompt is delivered
+ * as a plain notification that opens the dashboard.
+ *
+ * The server URL and topic are config; the optional access token is a secret
+ * (self-hosted-push-credentials.js). Anyone subscribed to the topic can press
+ * the buttons, so on a shared or public ntfy server use a protected topic.
+ */
+
+import { createLogger } from '../logger.js'
+import { sleep } from '../utils/sleep.js'
+import { NotificationSink } from './sink.js'
+import { cachedResolveSelfHostedPushToken } from '../self-hosted-push-credentials.js'
+import { truncate } from './discord-webhook-client.js'
+import { fetchWithRetry } from './fetch-with-retry.js'
+
+const log = createLogger('ntfy')
+
+// ntfy topic names: letters, digits, `_` and `-`, at most 64 characters.
+const TOPIC_RE = /^[A-Za-z0-9_-]{1,64}$/
+
+const MAX_TITLE_CHARS = 250
+const MAX_MESSAGE_CHARS = 4000
+
+/**
+ * Per-category presentation, on ntfy's 1-5 priority scale. Categories absent
+ * here (today only `live_activity`, an iOS Lock Screen surface) are not
+ * delivered by the self-hosted sinks.
+ */
+export const CATEGORY_STYLES = Object.freeze({
+  permission: { priority: 5, tags: ['lock'] },
+  activity_waiting: { priority: 4, tags: ['hourglass_flowing_sand'] },
+  activity_error: { priority: 4, tags: ['warning'] },
+  activity_update: { priority: 3, tags: ['white_check_mark'] },
+  result: { priority: 3, tags: ['white_check_mark'] },
+  inactivity_warning: { priority: 3, tags: ['zzz'] },
+  billing_warning: { priority: 4, tags: ['moneybag'] },
+  mailbox: { priority: 3, tags: ['incoming_envelope'] },
+  session_online: { priority: 2, tags: ['green_circle'] },
+  session_offline: { priority: 3, tags: ['red_circle'] },
+  session_activity: { priority: 1, tags: ['gear'] },
+  scheduled_run: { priority: 3, tags: ['alarm_clock'] },
+})
+
+/** Whether a value is an absolute http(s) URL. */
+export function isHttpUrl(value) {
+  if (typeof value !== 'string' || value.length === 0) return false
+  try {
+    const u = new URL(value)
+    return u.protocol === 'http:' || u.protocol === 'https:'
+  } catch {
+    return false
+  }
+}
+
+/** Whether a string is a valid ntfy topic name. */
+export function isValidNtfyTopic(topic) {
+  return typeof topic === 'string' && TOPIC_RE.test(topic)
+}
+
+/**
+ * Resolve priority + tags for a notification, applying config overrides. A
+ * resolved billing alert drops to low priority; an `activity_waiting` without
+ * a tool is a question, not an approval.
+ *
+ * @returns {{ priority: number, tags: string[] }|null} null when the category
+ *   is not delivered by self-hosted sinks
+ */
+export function styleFor(notification, { priorities = {}, tags = {} } = {}) {
+  const category = notification?.category
+  const base = CATEGORY_STYLES[category]
+  if (!base) return null
+  const data = notification.data || {}
+  let style = { priority: base.priority, tags: base.tags }
+  if (category === 'billing_warning' && data.resolved === true) {
+    style = { priority: 2, tags: ['white_check_mark'] }
+  } else if (category === 'activity_waiting' && typeof data.tool !== 'string' && typeof data.detail !== 'string') {
+    style = { priority: base.priority, tags: ['question'] }
+  }
+  const priority = priorities[category]
+  const tagOverride = tags[category]
+  return {
+    priority: Number.isInteger(priority) && priority >= 1 && priority <= 5 ? priority : style.priority,
+    tags: Array.isArray(tagOverride) ? tagOverride.filter((t) => typeof t === 'string' && t.length > 0) : style.tags,
+  }
+}
+
+/** The permission requestId an actionable notification answers, or null. */
+export function actionableRequestId(notification) {
+  const category = notification?.category
+  if (category !== 'permission' && category !== 'activity_waiting') return null
+  const requestId = notification.data?.requestId
+  return typeof requestId === 'string' && requestId.length > 0 ? requestId : null
+}
+
+/** `<dashboard>?session=<id>` deep link, or null. */
+export function sessionDeepLink(dashboardUrl, sessionId) {
+  if (!isHttpUrl(dashboardUrl)) return null
+  if (typeof sessionId !== 'string' || sessionId.length === 0) return dashboardUrl
+  const u = new URL(dashboardUrl)
+  u.searchParams.set('session', sessionId)
+  return u.toString()
+}
+
+export class NtfySink extends NotificationSink {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.url] - ntfy server base URL (config `notifications.ntfy.url`)
+   * @param {string} [opts.topic] - Topic to publish to
+   * @param {Record<string, number>} [opts.priorities] - Per-category priority overrides (1-5)
+   * @param {Record<string, string[]>} [opts.tags] - Per-category tag overrides
+   * @param {boolean} [opts.actions] - Attach Approve/Deny buttons to permission prompts (default on)
+   * @param {string} [opts.actionUrl] - Fixed POST /permission-action URL; wins over `resolveActionUrl`
+   * @param {() => string|null} [opts.resolveActionUrl] - Live callback URL derived by the server
+   * @param {() => string|null} [opts.resolveDashboardUrl] - Dashboard URL for the tap-to-open link
+   * @param {import('./permission-action-tokens.js').PermissionActionTokens} [opts.actionTokens] - Capability store
+   * @param {Function} [opts.resolveToken] - Injection seam for tests; defaults to the cached env > credentials-store resolver
+   * @param {Function} [opts.fetchImpl] - Injection seam for tests
+   * @param {Function} [opts.sleepImpl] - Injection seam for tests (429/backoff waits)
+   */
+  constructor({
+    url = null,
+    topic = null,
+    priorities = {},
+    tags = {},
+    actions = true,
+    actionUrl = null,
+    resolveActionUrl = null,
+    resolveDashboardUrl = null,
+    actionTokens = null,
+    resolveToken = () => cachedResolveSelfHostedPushToken('ntfy'),
+    fetchImpl = (...args) => fetch(...args),
+    sleepImpl = sleep,
+  } = {}) {
+    super({ name: 'ntfy' })
+    this._url = isHttpUrl(url) ? url.replace(/\/+$/, '') : null
+    this._topic = isValidNtfyTopic(topic) ? topic : null
+    this._priorities = priorities && typeof priorities === 'object' ? priorities : {}
+    this._tags = tags && typeof tags === 'object' ? tags : {}
+    this._actions = actions !== false
+    this._actionUrl = isHttpUrl(actionUrl) ? actionUrl : null
+    this._resolveActionUrl = typeof resolveActionUrl === 'function' ? resolveActionUrl : null
+    this._resolveDashboardUrl = typeof resolveDashboardUrl === 'function' ? resolveDashboardUrl : null
+    this._actionTokens = actionTokens
+    this._resolveToken = resolveToken
+    this._fetch = fetchImpl
+    this._sleep = sleepImpl
+  }
+
+  /** Sink contract: configured iff a server URL and a valid topic are set. */
+  isConfigured() {
+    return this._url !== null && this._topic !== null
+  }
+
+  _accessToken() {
+    try {
+      return this._resolveToken()?.value ?? null
+    } catch {
+      return null
+    }
+  }
+
+  _callbackUrl() {
+    if (this._actionUrl) return this._actionUrl
+    try {
+      const url = this._resolveActionUrl?.()
+      return isHttpUrl(url) ? url : null
+    } catch {
+      return null
+    }
+  }
+
+  _dashboardUrl() {
+    try {
+      return this._resolveDashboardUrl?.() ?? null
+    } catch {
+      return null
+    }
+  }
+
+  /** Approve/Deny `http` actions for a permission prompt, or [] when not actionable. */
+  _buildActions(notification) {
+    if (!this._actions || !this._actionTokens) return []
+    const requestId = actionableRequestId(notification)
+    if (!requestId) return []
+    const callbackUrl = this._callbackUrl()
+    if (!callbackUrl) return []
+    const token = this._actionTokens.mint(requestId, { sessionId: notification.data?.sessionId })
+    const action = (label, decision) => ({
+      action: 'http',
+      label,
+      url: callbackUrl,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, decision }),
+      clear: true,
+    })
+    return [action('Approve', 'allow'), action('Deny', 'deny')]
+  }
+
+  /** Build the ntfy JSON publish body, or null when the category isn't delivered. */
+  buildMessage(notification) {
+    const style = styleFor(notification, { priorities: this._priorities, tags: this._tags })
+    if (!style) return null
+    const message = {
+      topic: this._topic,
+      title: truncate(String(notification.title || 'Chroxy'), MAX_TITLE_CHARS),
+      message: truncate(String(notification.body || notification.title || ''), MAX_MESSAGE_CHARS),
+      priority: style.priority,
+    }
+    if (style.tags.length > 0) message.tags = style.tags
+    const click = sessionDeepLink(this._dashboardUrl(), notification.data?.sessionId)
+    if (click) message.click = click
+    const actions = this._buildActions(notification)
+    if (actions.length > 0) message.actions = actions
+    return message
+  }
+
+  async send(notification) {
+    if (!this.isConfigured()) return true
+    const message = this.buildMessage(notification)
+    if (!message) return true
+    const headers = { 'Content-Type': 'application/json' }
+    const token = this._accessToken()
+    if (token) headers.Authorization = `Bearer ${token}`
+    try {
+      const res = await fetchWithRetry(this._url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(message),
+      }, { fetchImpl: this._fetch, sleepImpl: this._sleep })
+      if (!res.ok) {
+        // An unusable capability must not outlive the failed publish.
+        const requestId = actionableRequestId(notification)
+        if (requestId && message.actions) this._actionTokens.revoke(requestId)
+        log.warn(`ntfy publish failed: HTTP ${res.status}`)
+        return false
+      }
+      return true
+    } catch (err) {
+      const requestId = actionableRequestId(notification)
+      if (requestId && message.actions) this._actionTokens.revoke(requestId)
+      log.warn(`ntfy publish failed: ${err?.message || err}`)
+      return false
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * PermissionActionTokens — single-use capability tokens behind the approve /
+ * deny buttons of self-hosted push notifications (ntfy-sink.js).
+ *
+ * An ntfy `http` action is executed by the ntfy app on the phone: it POSTs
+ * straight to the daemon with whatever headers and body the notification
+ * carried. Putting the primary API token in that body would hand it to the
+ * ntfy server (and every subscriber of the topic) in plaintext, so each
+ * actionable notification instead carries a capability minted for exactly ONE
+ * permission request:
+ *
+ *   - it answers only the requestId it was minted for (and, when the request
+ *     was mapped to a chroxy session, only while that mapping still holds —
+ *     POST /permission-action passes the session as the binding, so the
+ *     resolver's invariant A applies);
+ *   - it is consumed on first use, whichever button was pressed — a replayed
+ *     action, or the second button after the first, is rejected;
+ *   - it expires with the prompt (default 10 min, above the 5-min permission
+ *     timeout) and the store is size-capped, so an unanswered backlog can't
+ *     grow without bound.
+ *
+ * Only a SHA-256 digest of each token is held, so the lookup never compares
+ * attacker-supplied bytes against a live secret and a heap dump leaks nothing
+ * redeemable. Tokens live in memory only: a daemon restart drops every pending
+ * permission anyway, so there is nothing left for an old token to answer.
+ */
+
+import { createHash, randomBytes } from 'node:crypto'
+
+export const DEFAULT_TOKEN_TTL_MS = 10 * 60_000
+export const DEFAULT_MAX_TOKENS = 256
+
+function digest(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+export class PermissionActionTokens {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.ttlMs] - Lifetime of a minted token
+   * @param {number} [opts.maxTokens] - Oldest tokens are evicted past this count
+   * @param {() => number} [opts.now] - Injectable clock (epoch ms)
+   */
+  constructor({ ttlMs = DEFAULT_TOKEN_TTL_MS, maxTokens = DEFAULT_MAX_TOKENS, now = Date.now } = {}) {
+    this._ttlMs = ttlMs
+    this._maxTokens = maxTokens
+    this._now = now
+    // digest -> { requestId, sessionId, expiresAt }. Map iteration order is
+    // insertion order, which makes the oldest entry the first one.
+    this._entries = new Map()
+  }
+
+  /** Number of live (unexpired, unconsumed) tokens. */
+  get size() {
+    this._sweep()
+    return this._entries.size
+  }
+
+  /**
+   * Mint a token for one permission request. Re-minting for the same request
+   * (a second sink, a retried send) revokes the earlier token, so at most one
+   * capability per request is ever live.
+   *
+   * @param {string} requestId
+   * @param {{ sessionId?: string|null }} [opts]
+   * @returns {string} base64url token
+   */
+  mint(requestId, { sessionId = null } = {}) {
+    if (typeof requestId !== 'string' || requestId.length === 0) {
+      throw new TypeError('PermissionActionTokens.mint: requestId must be a non-empty string')
+    }
+    this._sweep()
+    this.revoke(requestId)
+    while (this._entries.size >= this._maxTokens) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+    const token = randomBytes(32).toString('base64url')
+    this._entries.set(digest(token), {
+      requestId,
+      sessionId: typeof sessionId === 'string' && sessionId.length > 0 ? sessionId : null,
+      expiresAt: this._now() + this._ttlMs,
+    })
+    return token
+  }
+
+  /**
+   * Redeem a token. Returns the request it was minted for and removes it, or
+   * null when the token is unknown, already used, or expired.
+   *
+   * @param {string} token
+   * @returns {{ requestId: string, sessionId: string|null }|null}
+   */
+  consume(token) {
+    if (typeof token !== 'string' || token.length === 0 || token.length > 128) return null
+    const key = digest(token)
+    const entry = this._entries.get(key)
+    if (!entry) return null
+    this._entries.delete(key)
+    if (entry.expiresAt <= this._now()) return null
+    return { requestId: entry.requestId, sessionId: entry.sessionId }
+  }
+
+  /** Drop any live token for `requestId`. Returns true if one was removed. */
+  revoke(requestId) {
+    let removed = false
+    for (const [key, entry] of this._entries) {
+      if (entry.requestId === requestId) {
+        this._entries.delete(key)
+        removed = true
+      }
+    }
+    return removed
+  }
+
+  _sweep() {
+    const now = this._now()
+    for (const [key, entry] of this._entries) {
+      if (entry.expiresAt <= now) this._entries.delete(key)
+    }
+  }
+}
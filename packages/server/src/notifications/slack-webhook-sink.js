@@ -0,0 +1,643 @@
+/**
+ * SlackWebhookSink — Slack delivery for the notification pipeline.
+ *
+ * Renders the categories an operator actually waits on — a permission prompt,
+ * a question, a session that is ready for input, a billing alert — as Block Kit
+ * messages, each carrying an "Open in dashboard" button that deep-links to the
+ * session (`/dashboard?session=<id>`). Same sink contract (sink.js), same
+ * upstream gating (PushManager prefs / quiet hours / rate limits) as the Expo
+ * and Discord sinks.
+ *
+ * Two delivery modes, picked from whichever credentials resolve
+ * (slack-credentials.js `slackDeliveryMode`):
+ *
+ *   live    — a bot token (`xoxb-…`, scope chat:write) plus a channel. Mirrors
+ *             DiscordWebhookSink's per-project status message through the Web
+ *             API: routine updates chat.update the message in place (no
+ *             ping), ping-worthy states (ready / needs approval / question)
+ *             chat.delete + chat.postMessage so Slack re-notifies and the
+ *             message moves to the bottom of the channel, and a message that
+ *             was deleted externally self-heals by posting fresh.
+ *   webhook — only an incoming-webhook URL. Slack's incoming webhooks are
+ *             post-only (no edit, no delete), so a live status message is
+ *             impossible: each ping-worthy state and each error is posted as
+ *             a NEW message, and routine lifecycle updates (online / activity /
+ *             stale / offline) are skipped rather than spamming the channel.
+ *
+ * Unlike the Discord embed there is no heartbeat: the "since" / "updated"
+ * times render through Slack's `<!date^…>` token, which every client formats
+ * in the reader's own time zone, so the message never goes stale between
+ * events and needs no periodic edit.
+ *
+ * Billing alerts are daemon-global (no project), so they keep their own slot
+ * in the state file with the Discord billing sink's semantics: a new or
+ * changed warning set re-pings, a repeat is a no-op, and the all-clear repaints
+ * the alert green in place (live) or posts a short "cleared" note (webhook).
+ *
+ * State (message ts + channel per project, the billing slot) lives in ONE JSON
+ * file under ~/.chroxy/, read fresh per send so the supervisor's short-lived
+ * PushManager and the long-lived server converge on the same messages.
+ * Credentials are SECRETS, resolved from the env or the encrypted credentials
+ * store and never logged.
+ */
+
+import { readFileSync, mkdirSync } from 'node:fs'
+import { dirname } from 'node:path'
+import { writeFileRestricted } from '../platform.js'
+import { createLogger } from '../logger.js'
+import { sleep } from '../utils/sleep.js'
+import { NotificationSink } from './sink.js'
+import { fetchWithRetry } from './fetch-with-retry.js'
+import { configPath } from '../config-dir.js'
+import { cachedResolveSlackCredentials, slackDeliveryMode } from '../slack-credentials.js'
+import { truncate } from './discord-webhook-client.js'
+
+const log = createLogger('slack')
+
+export const SLACK_API_BASE = 'https://slack.com/api'
+
+// Block Kit hard limits — past these Slack rejects the whole message.
+// https://api.slack.com/reference/block-kit/blocks
+export const MAX_HEADER_CHARS = 150
+export const MAX_SECTION_CHARS = 3000
+const MAX_FIELD_CHARS = 2000
+
+// Same retention floor/default as the Discord status store (#5429/#5434/#5457).
+const DEFAULT_PRUNE_AFTER_MS = 86_400_000 // 24h
+const MIN_PRUNE_AFTER_MS = 60_000
+
+const BILLING_CATEGORY = 'billing_warning'
+
+// Pipeline category → message state. `activity_waiting` is split below: with a
+// tool it is an approval prompt, without one it is a question.
+const STATE_FOR_CATEGORY = {
+  activity_update: 'ready',
+  result: 'ready',
+  permission: 'permission',
+  activity_waiting: 'permission',
+  activity_error: 'error',
+  inactivity_warning: 'stale',
+  session_online: 'online',
+  session_activity: 'online',
+  session_offline: 'offline',
+}
+
+// States that re-ping in live mode: delete the old message + post a new one.
+const PING_STATES = new Set(['ready', 'permission', 'question'])
+
+// States worth a brand-new message in webhook mode, where nothing can be edited.
+const WEBHOOK_STATES = new Set(['ready', 'permission', 'question', 'error'])
+
+const STATE_TITLES = {
+  ready: (project) => `\u{1F980} ${project} — Ready for input`,
+  permission: (project) => `\u{1F510} ${project} — Needs approval`,
+  question: (project) => `\u{2753} ${project} — Has a question`,
+  error: (project) => `\u{2757} ${project} — Session error`,
+  stale: (project) => `\u{23F3} ${project} — Quiet for a while`,
+  online: (project) => `\u{1F7E2} ${project} — Session online`,
+  offline: (project) => `\u{1F534} ${project} — Session offline`,
+}
+
+// chat.update errors meaning "the message (or its channel) is gone" — the
+// Slack equivalent of the Discord PATCH 404 that triggers a self-heal.
+const MESSAGE_GONE_ERRORS = new Set(['message_not_found', 'channel_not_found', 'cant_update_message'])
+
+/**
+ * Escape the three characters Slack's mrkdwn treats as control sequences
+ * (`&`, `<`, `>`), so free text (a tool name, a billing message, a session
+ * name) cannot forge a link, a mention or a `<!channel>` ping. Slack has no
+ * escape for `*`/`_`/`~`, so emphasis characters in free text may still style.
+ */
+export function escapeMrkdwn(text) {
+  if (typeof text !== 'string') return ''
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/** Truncate, then escape, then clamp — the escaped form is what goes on the wire. */
+function mrkdwn(text, max) {
+  const escaped = escapeMrkdwn(truncate(text, max))
+  if (escaped.length <= max) return escaped
+  // Never cut an entity in half (`&am…` would render literally).
+  return escaped.slice(0, max).replace(/&[a-z]*$/, '')
+}
+
+/** `<!date^…>` token: rendered in the reader's time zone, `fallback` elsewhere. */
+function slackDate(ms, format) {
+  const seconds = Math.floor(ms / 1000)
+  return `<!date^${seconds}^${format}|${new Date(ms).toISOString()}>`
+}
+
+export class SlackWebhookSink extends NotificationSink {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.statePath] - Message state file. Defaults to
+   *   ~/.chroxy/slack-notifications-state.json (resolved lazily so the test
+   *   sandbox guard behaves). Tests MUST inject a temp path.
+   * @param {string} [opts.botName] - Label in each message's context line.
+   * @param {string} [opts.dashboardUrl] - Fixed dashboard URL for deep links
+   *   (config `notifications.slack.dashboardUrl`), e.g. a stable domain fronting
+   *   the daemon. Wins over `resolveDashboardUrl`.
+   * @param {() => string|null} [opts.resolveDashboardUrl] - Live dashboard URL
+   *   (the server derives it from the tunnel / LAN origin). Buttons are omitted
+   *   when neither source yields an http(s) URL.
+   * @param {boolean} [opts.billingAlerts] - Kill-switch for billing alerts
+   *   (default on).
+   * @param {number} [opts.updateThrottleMs] - Minimum interval between
+   *   same-state routine updates per project (live mode).
+   * @param {number} [opts.pruneAfterMs] - Retention for per-project state
+   *   entries; 0 disables, values under 60s fall back to the 24h default.
+   * @param {Function} [opts.resolveCredentials] - Injection seam for tests;
+   *   defaults to the cached env > credentials-store resolver.
+   * @param {Function} [opts.sleepImpl] - Injection seam for tests (429/backoff waits).
+   * @param {Function} [opts.now] - Clock seam for tests; defaults to Date.now.
+   */
+  constructor({
+    statePath = null,
+    botName = 'Chroxy',
+    dashboardUrl = null,
+    resolveDashboardUrl = null,
+    billingAlerts = true,
+    updateThrottleMs = 15_000,
+    pruneAfterMs = DEFAULT_PRUNE_AFTER_MS,
+    resolveCredentials = cachedResolveSlackCredentials,
+    sleepImpl = sleep,
+    now = Date.now,
+  } = {}) {
+    super({ name: 'slack-webhook' })
+    this._statePath = statePath || null
+    this._botName = typeof botName === 'string' && botName.length > 0 ? botName.slice(0, 80) : 'Chroxy'
+    this._dashboardUrl = typeof dashboardUrl === 'string' && dashboardUrl.length > 0 ? dashboardUrl : null
+    this._resolveDashboardUrl = typeof resolveDashboardUrl === 'function' ? resolveDashboardUrl : null
+    this._billingAlerts = billingAlerts !== false
+    this._updateThrottleMs = Number.isFinite(updateThrottleMs) && updateThrottleMs >= 0 ? updateThrottleMs : 15_000
+    if (!Number.isFinite(pruneAfterMs) || pruneAfterMs < 0) pruneAfterMs = DEFAULT_PRUNE_AFTER_MS
+    if (pruneAfterMs > 0 && pruneAfterMs < MIN_PRUNE_AFTER_MS) pruneAfterMs = DEFAULT_PRUNE_AFTER_MS
+    this._pruneAfterMs = pruneAfterMs
+    this._resolveCredentials = resolveCredentials
+    this._sleep = sleepImpl
+    this._now = now
+  }
+
+  /** Sink contract: configured iff a live (token + channel) or webhook credential resolves. */
+  isConfigured() {
+    return this._credentials() != null
+  }
+
+  /**
+   * Point deep links at the live dashboard origin. The server wires this once
+   * the WebSocket server exists (it is created after the PushManager).
+   */
+  setDashboardUrlResolver(fn) {
+    this._resolveDashboardUrl = typeof fn === 'function' ? fn : null
+  }
+
+  /** Resolve credentials + delivery mode, or null. Never throws, never logs a value. */
+  _credentials() {
+    let resolved
+    try {
+      resolved = this._resolveCredentials()
+    } catch {
+      return null
+    }
+    const mode = slackDeliveryMode(resolved)
+    if (mode === 'none') return null
+    return {
+      mode,
+      webhookUrl: resolved.webhookUrl?.value ?? null,
+      botToken: resolved.botToken?.value ?? null,
+      channel: resolved.channel?.value ?? null,
+    }
+  }
+
+  // -- State persistence ----------------------------------------------------
+
+  _resolvedStatePath() {
+    return this._statePath || configPath('slack-notifications-state.json')
+  }
+
+  /** Load the store fresh from disk (read-per-send), pruning stale projects. */
+  _loadState() {
+    let store = { version: 1, projects: {}, billing: null }
+    try {
+      const data = JSON.parse(readFileSync(this._resolvedStatePath(), 'utf-8'))
+      if (data && typeof data === 'object' && data.projects && typeof data.projects === 'object' && !Array.isArray(data.projects)) {
+        const billing = data.billing && typeof data.billing === 'object' && !Array.isArray(data.billing) ? data.billing : null
+        store = { version: 1, projects: data.projects, billing }
+      }
+    } catch {
+      // Missing or corrupt — start fresh; the next successful send rewrites it.
+    }
+    if (this._pruneStale(store)) this._persistState(store)
+    return store
+  }
+
+  _pruneStale(store) {
+    if (this._pruneAfterMs === 0) return false
+    const now = this._now()
+    let pruned = false
+    for (const [project, entry] of Object.entries(store.projects)) {
+      const last = entry?.lastUpdateTs
+      if (!Number.isFinite(last) || now - last > this._pruneAfterMs) {
+        delete store.projects[project]
+        pruned = true
+      }
+    }
+    return pruned
+  }
+
+  _persistState(store) {
+    try {
+      const path = this._resolvedStatePath()
+      mkdirSync(dirname(path), { recursive: true })
+      writeFileRestricted(path, JSON.stringify(store))
+    } catch (err) {
+      // State-file failure must not fail delivery — worst case the next event
+      // posts a fresh message instead of updating the tracked one.
+      log.error(`Failed to persist Slack notification state: ${err.message}`)
+    }
+  }
+
+  // -- Keying / classification ----------------------------------------------
+
+  /** One status message per project — the same key the Discord sink derives. */
+  _projectKey(notification) {
+    const data = notification?.data || {}
+    const raw = data.project || data.sessionName || data.sessionId || 'chroxy'
+    const sanitized = String(raw).replace(/[^A-Za-z0-9._-]/g, '')
+    return sanitized.length > 0 ? sanitized : 'unknown'
+  }
+
+  _stateFor(notification) {
+    const state = STATE_FOR_CATEGORY[notification?.category]
+    if (notification?.category !== 'activity_waiting') return state
+    const data = notification.data || {}
+    return typeof data.tool === 'string' || typeof data.detail === 'string' ? 'permission' : 'question'
+  }
+
+  // -- Sink contract --------------------------------------------------------
+
+  /**
+   * Deliver one approved notification. Resolves `false` ONLY on a hard channel
+   * failure (non-2xx / `ok: false` after retries, network throw). The context
+   * evaluators are per-device hooks; a channel has no device identity, so they
+   * are evaluated with `deviceId = null` (the global setting), as the Discord
+   * sinks do.
+   */
+  async send(notification, context = {}) {
+    const creds = this._credentials()
+    if (!creds) return true // unconfigured — registry normally skips us anyway
+
+    if (notification?.category === BILLING_CATEGORY) return await this._sendBilling(creds, notification, context)
+
+    const state = this._stateFor(notification)
+    if (!state) return true
+
+    const now0 = context.now ?? this._now()
+    const isCategoryEnabled = context.isCategoryEnabled ?? (() => true)
+    const isInQuietHours = context.isInQuietHours ?? (() => false)
+    const shouldBypassQuietHours = context.shouldBypassQuietHours ?? (() => false)
+    if (!isCategoryEnabled(notification.category, null)) return true
+    if (isInQuietHours(now0, null) && !shouldBypassQuietHours(notification.category, null)) return true
+
+    const project = this._projectKey(notification)
+    const now = this._now()
+
+    try {
+      if (creds.mode === 'webhook') {
+        if (!WEBHOOK_STATES.has(state)) return true
+        const entry = this._entryFor(notification, state, null, now)
+        return await this._postWebhook(creds.webhookUrl, this._buildMessage(project, entry), project)
+      }
+
+      const store = this._loadState()
+      const prev = store.projects[project]
+      const entry = this._entryFor(notification, state, prev, now)
+
+      if (notification.category === 'session_online') {
+        // Clean slate, like the Discord sink: drop whatever lingers (usually the
+        // previous session's offline message) and post fresh.
+        entry.firstSeenTs = now
+        entry.lastStateChangeTs = now
+        return await this._repost(creds, project, entry, store, prev)
+      }
+      if (state === 'offline') {
+        // Only mark something offline that is tracked and not already offline;
+        // a message deleted externally is not re-created just to say so.
+        if (!prev?.ts || prev.state === 'offline') return true
+        return await this._updateOrPost(creds, project, entry, store, { postIfGone: false })
+      }
+      if (PING_STATES.has(state)) {
+        // Re-pinging "still ready" is noise; every approval / question is not.
+        if (state === 'ready' && prev?.state === 'ready' && prev?.ts) return true
+        return await this._repost(creds, project, entry, store, prev)
+      }
+      if (
+        prev?.state === state &&
+        Number.isFinite(prev?.lastUpdateTs) &&
+        now - prev.lastUpdateTs < this._updateThrottleMs
+      ) {
+        return true
+      }
+      return await this._updateOrPost(creds, project, entry, store)
+    } catch (err) {
+      log.error(`Slack status update failed for ${project}: ${err?.message || err}`)
+      return false
+    }
+  }
+
+  _entryFor(notification, state, prev, now) {
+    const data = notification.data || {}
+    return {
+      channel: prev?.channel ?? null,
+      ts: prev?.ts ?? null,
+      state,
+      body: typeof notification.body === 'string' ? notification.body : '',
+      detail: typeof data.detail === 'string' ? data.detail : (typeof data.tool === 'string' ? data.tool : null),
+      sessionId: typeof data.sessionId === 'string' ? data.sessionId : (prev?.sessionId ?? null),
+      sessionName: typeof data.sessionName === 'string' ? data.sessionName : (prev?.sessionName ?? null),
+      firstSeenTs: prev?.firstSeenTs ?? now,
+      lastUpdateTs: now,
+      lastStateChangeTs: prev?.state === state ? (prev?.lastStateChangeTs ?? now) : now,
+    }
+  }
+
+  // -- Billing --------------------------------------------------------------
+
+  /** Stable signature of a warning set (codes + body), as the Discord billing sink keys it. */
+  _billingSignature(codes, body) {
+    const codePart = Array.isArray(codes)
+      ? codes.filter((c) => typeof c === 'string').slice().sort().join(',')
+      : ''
+    return `${codePart}|${typeof body === 'string' ? body : ''}`
+  }
+
+  async _sendBilling(creds, notification, context) {
+    if (!this._billingAlerts) return true
+    const data = notification.data || {}
+    const resolved = data.resolved === true
+    const now0 = context.now ?? this._now()
+    const isCategoryEnabled = context.isCategoryEnabled ?? (() => true)
+    const isInQuietHours = context.isInQuietHours ?? (() => false)
+    const shouldBypassQuietHours = context.shouldBypassQuietHours ?? (() => false)
+    if (!isCategoryEnabled(BILLING_CATEGORY, null)) return true
+    // The all-clear is state reconciliation, not a ping — never gated by quiet
+    // hours (the monitor fires it exactly once; see DiscordBillingSink #5833).
+    if (!resolved && isInQuietHours(now0, null) && !shouldBypassQuietHours(BILLING_CATEGORY, null)) return true
+
+    const store = this._loadState()
+    const slot = store.billing
+    const message = this._buildBillingMessage(notification, { resolved })
+    try {
+      if (resolved) {
+        // Nothing showing, or the all-clear already went out — nothing to clear.
+        if (!slot?.signature) return true
+        if (creds.mode === 'live' && slot.ts) {
+          const res = await this._api(creds.botToken, 'chat.update', { channel: slot.channel, ts: slot.ts, ...message })
+          if (!res.ok && !MESSAGE_GONE_ERRORS.has(res.error)) {
+            log.error(`Slack billing update failed (${res.error})`)
+            return false
+          }
+          store.billing = res.ok ? { channel: slot.channel, ts: slot.ts, signature: null } : null
+        } else {
+          if (!await this._postWebhookOrApi(creds, message, 'billing')) return false
+          store.billing = null
+        }
+        this._persistState(store)
+        return true
+      }
+
+      const signature = this._billingSignature(data.codes, notification.body)
+      if (slot?.signature === signature) return true // same alert already showing
+      if (creds.mode === 'live') {
+        // Replace a live alert; an earlier all-clear stays in the channel as history.
+        if (slot?.ts && slot.signature) await this._deleteQuietly(creds.botToken, slot.channel, slot.ts)
+        const res = await this._api(creds.botToken, 'chat.postMessage', { channel: creds.channel, ...message })
+        if (!res.ok) {
+          log.error(`Slack billing post failed (${res.error})`)
+          return false
+        }
+        store.billing = { channel: res.channel ?? creds.channel, ts: res.ts ?? null, signature }
+      } else {
+        if (!await this._postWebhook(creds.webhookUrl, message, 'billing')) return false
+        store.billing = { signature }
+      }
+      this._persistState(store)
+      return true
+    } catch (err) {
+      log.error(`Slack billing alert failed: ${err?.message || err}`)
+      return false
+    }
+  }
+
+  // -- Slack operations -----------------------------------------------------
+
+  /** Call a Web API method. Resolves the parsed `{ ok, error?, ts?, channel? }`. */
+  async _api(token, method, payload) {
+    const res = await fetchWithRetry(`${SLACK_API_BASE}/${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(payload),
+    }, { sleepImpl: this._sleep })
+    if (!res.ok) return { ok: false, error: `http_${res.status}` }
+    try {
+      const body = await res.json()
+      return body && typeof body === 'object' ? body : { ok: false, error: 'invalid_response' }
+    } catch {
+      return { ok: false, error: 'invalid_response' }
+    }
+  }
+
+  async _deleteQuietly(token, channel, ts) {
+    try {
+      // Best effort, single attempt: worst case the old message lingers and
+      // the new post still pings.
+      await fetchWithRetry(`${SLACK_API_BASE}/chat.delete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ channel, ts }),
+      }, { sleepImpl: this._sleep, retries: 1 })
+    } catch {
+      // best-effort
+    }
+  }
+
+  /** POST one message to the incoming webhook (Slack answers a bare `ok`). */
+  async _postWebhook(webhookUrl, message, label) {
+    const res = await fetchWithRetry(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    }, { sleepImpl: this._sleep })
+    if (!res.ok) {
+      log.error(`Slack webhook POST failed for ${label} (HTTP ${res.status})`)
+      return false
+    }
+    return true
+  }
+
+  async _postWebhookOrApi(creds, message, label) {
+    if (creds.mode === 'webhook') return await this._postWebhook(creds.webhookUrl, message, label)
+    const res = await this._api(creds.botToken, 'chat.postMessage', { channel: creds.channel, ...message })
+    if (!res.ok) log.error(`Slack post failed for ${label} (${res.error})`)
+    return res.ok === true
+  }
+
+  /** Delete the tracked message (best effort) + post a fresh one → re-ping. */
+  async _repost(creds, project, entry, store, prev) {
+    if (prev?.ts) {
+      await this._deleteQuietly(creds.botToken, prev.channel, prev.ts)
+      // Drop the ts before the re-post (the Discord #5427 S2 lesson): a failed
+      // post must not leave a deleted message's ts satisfying the ready→ready
+      // suppression.
+      store.projects[project] = { ...prev, ts: null }
+      this._persistState(store)
+    }
+    entry.ts = null
+    return await this._post(creds, project, entry, store)
+  }
+
+  async _post(creds, project, entry, store) {
+    const res = await this._api(creds.botToken, 'chat.postMessage', {
+      channel: creds.channel,
+      ...this._buildMessage(project, entry),
+    })
+    if (!res.ok) {
+      log.error(`Slack post failed for ${project} (${res.error})`)
+      return false
+    }
+    // chat.update needs the channel ID, which postMessage returns even when the
+    // configured channel is a #name.
+    entry.channel = typeof res.channel === 'string' ? res.channel : creds.channel
+    entry.ts = typeof res.ts === 'string' ? res.ts : null
+    store.projects[project] = entry
+    this._persistState(store)
+    return true
+  }
+
+  /** chat.update the tracked message; self-heal by posting when it is gone. */
+  async _updateOrPost(creds, project, entry, store, { postIfGone = true } = {}) {
+    if (!entry.ts) {
+      if (!postIfGone) return true
+      return await this._post(creds, project, entry, store)
+    }
+    const res = await this._api(creds.botToken, 'chat.update', {
+      channel: entry.channel,
+      ts: entry.ts,
+      ...this._buildMessage(project, entry),
+    })
+    if (!res.ok && MESSAGE_GONE_ERRORS.has(res.error)) {
+      entry.ts = null
+      if (!postIfGone) {
+        store.projects[project] = entry
+        this._persistState(store)
+        return true
+      }
+      return await this._post(creds, project, entry, store)
+    }
+    if (!res.ok) {
+      log.error(`Slack update failed for ${project} (${res.error})`)
+      return false
+    }
+    store.projects[project] = entry
+    this._persistState(store)
+    return true
+  }
+
+  // -- Block Kit --------------------------------------------------------------
+
+  /** The dashboard deep link for a session (or the dashboard itself), or null. */
+  _dashboardLink(sessionId) {
+    let base = this._dashboardUrl
+    if (!base && this._resolveDashboardUrl) {
+      try {
+        base = this._resolveDashboardUrl()
+      } catch {
+        base = null
+      }
+    }
+    if (typeof base !== 'string' || !/^https?:\/\//i.test(base)) return null
+    try {
+      const url = new URL(base)
+      if (sessionId) url.searchParams.set('session', sessionId)
+      return url.href
+    } catch {
+      return null
+    }
+  }
+
+  _linkButton(url, primary) {
+    return {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        action_id: 'chroxy_open_dashboard',
+        text: { type: 'plain_text', text: 'Open in dashboard', emoji: true },
+        url,
+        ...(primary && { style: 'primary' }),
+      }],
+    }
+  }
+
+  /**
+   * Build `{ text, blocks }` for a project status message. `text` is the
+   * notification / screen-reader fallback Slack requires alongside blocks.
+   */
+  _buildMessage(project, entry) {
+    const titleFor = STATE_TITLES[entry.state] || STATE_TITLES.ready
+    const projectBudget = MAX_HEADER_CHARS - titleFor('').length
+    const title = truncate(titleFor(truncate(project, projectBudget)), MAX_HEADER_CHARS)
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: title, emoji: true } }]
+    if (entry.body) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: mrkdwn(entry.body, MAX_SECTION_CHARS) } })
+    }
+    const fields = []
+    if (entry.detail) {
+      const label = entry.state === 'permission' ? 'Tool' : 'Detail'
+      fields.push({ type: 'mrkdwn', text: `*${label}*\n${mrkdwn(entry.detail, MAX_FIELD_CHARS - 16)}` })
+    }
+    if (entry.sessionName) {
+      fields.push({ type: 'mrkdwn', text: `*Session*\n${mrkdwn(entry.sessionName, 100)}` })
+    }
+    if (fields.length > 0) blocks.push({ type: 'section', fields })
+    const now = this._now()
+    const since = Number.isFinite(entry.firstSeenTs) ? entry.firstSeenTs : now
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `${mrkdwn(this._botName, 80)} · since ${slackDate(since, '{date_short_pretty} {time}')} · updated ${slackDate(now, '{time}')}`,
+      }],
+    })
+    const link = this._dashboardLink(entry.sessionId)
+    if (link) blocks.push(this._linkButton(link, entry.state === 'permission' || entry.state === 'question'))
+    const fallback = entry.body ? `${title}: ${entry.body}` : title
+    return { text: mrkdwn(fallback, MAX_SECTION_CHARS), blocks }
+  }
+
+  _buildBillingMessage(notification, { resolved }) {
+    const body = typeof notification.body === 'string' ? notification.body : ''
+    const codes = Array.isArray(notification?.data?.codes)
+      ? notification.data.codes.filter((c) => typeof c === 'string')
+      : []
+    const title = resolved
+      ? `\u{2705} ${this._botName} — Billing alerts cleared`
+      : codes.length > 1
+        ? `\u{26A0}\u{FE0F} ${this._botName} — Billing alert (${codes.length})`
+        : `\u{26A0}\u{FE0F} ${this._botName} — Billing alert`
+    const header = truncate(title, MAX_HEADER_CHARS)
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: header, emoji: true } }]
+    if (body) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: mrkdwn(body, MAX_SECTION_CHARS) } })
+    if (!resolved && codes.length > 0) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Codes: ${mrkdwn(codes.join(', '), 200)}` }] })
+    }
+    const link = this._dashboardLink(null)
+    if (link && !resolved) blocks.push(this._linkButton(link, false))
+    return { text: mrkdwn(body ? `${header}: ${body}` : header, MAX_SECTION_CHARS), blocks }
+  }
+}
@@ -52,6 +52,12 @@ const DEFAULTS = {
 
 // Providers whose sessions can be metered AND permission-gated read-only (S-2
 // design matrix). audit workers must be one of these.
+//
+// The hook-routed claude-tui / claude-cli now answer prompts in-process
+// (hook-permission-relay.js), but that alone doesn't qualify them: the
+// read-only rules _applyReadOnlyRules sets don't reach the permission hook, so
+// an audit worker there would have every Read denied by the gate, and claude-tui
+// reports no usage to meter. They stay out of all three sets.
 const AUDIT_ELIGIBLE_PROVIDERS = new Set(['claude-sdk', 'claude-byok', 'codex'])
 
 // #7036: providers vetted for the ARCHITECT role. The members coincide with
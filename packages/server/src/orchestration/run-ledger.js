@@ -36,6 +36,7 @@ export const DEFAULT_SAVE_DEBOUNCE_MS = 2000
 export const DEFAULT_MAX_RUNS = 200
 export const DEFAULT_MAX_JOURNAL_MB = 50
 const COMMITTEE_BODY_MAX = 32 * 1024 // per-line committee_review body cap
+const WORKFLOW_OUTPUT_MAX = 32 * 1024 // per-line workflow_step_finished output cap
 const INDEX_VERSION = 1
 
 export class RunLedger extends EventEmitter {
@@ -344,14 +345,7 @@ export class RunLedger extends EventEmitter {
       truncated = true
       this._emitEvent(runId, { type: 'events_dropped', count: 1, reason: 'journal_cap' }, { lifecycle: false })
     } else if (Buffer.byteLength(body, 'utf8') > COMMITTEE_BODY_MAX) {
-      // Cap by BYTES (the constant is a byte budget), not UTF-16 code units — a
-      // multibyte body could otherwise be ~3-4x over. TextDecoder with
-      // stream:true decodes only the COMPLETE codepoints within the budget and
-      // holds back a trailing partial sequence (rather than emitting a 3-byte
-      // U+FFFD that could push the re-encoded result back over budget), so the
-      // result is guaranteed <= COMMITTEE_BODY_MAX bytes and valid JSON.
-      const buf = Buffer.from(body, 'utf8').subarray(0, COMMITTEE_BODY_MAX)
-      body = new TextDecoder('utf8').decode(buf, { stream: true })
+      body = capUtf8Bytes(body, COMMITTEE_BODY_MAX)
       truncated = true
     }
     this._emitEvent(runId, {
@@ -359,6 +353,45 @@ export class RunLedger extends EventEmitter {
     }, { lifecycle: true })
   }
 
+  // -- declarative workflow runs (workflows/workflow-runner.js) --------------
+
+  /** Stamp a run as a workflow run: its definition's identity and inputs. */
+  startWorkflow(runId, { name, file = null, root = null, inputs = {}, trigger = 'manual', unattended = false }) {
+    this._emitEvent(runId, {
+      type: 'workflow_started', workflow: { name, file, root, inputs, trigger, unattended },
+    }, { lifecycle: true })
+  }
+
+  /**
+   * One workflow step finished. `output` is the step's final text — later steps
+   * template it into their prompts, so it is journaled (capped like a committee
+   * body, and shed once the journal is over its size cap).
+   */
+  recordStepFinished(runId, { subtaskId, stepId, outcome, output = '', error = null, next = null }) {
+    const overCap = (this._journalBytes.get(runId) || 0) > this._maxJournalBytes
+    let body = typeof output === 'string' ? output : ''
+    let truncated = false
+    if (overCap) {
+      body = ''
+      truncated = true
+      this._emitEvent(runId, { type: 'events_dropped', count: 1, reason: 'journal_cap' }, { lifecycle: false })
+    } else if (Buffer.byteLength(body, 'utf8') > WORKFLOW_OUTPUT_MAX) {
+      body = capUtf8Bytes(body, WORKFLOW_OUTPUT_MAX)
+      truncated = true
+    }
+    this._emitEvent(runId, {
+      type: 'workflow_step_finished', subtaskId, stepId, outcome, output: body, truncated, error, next,
+    }, { lifecycle: true })
+  }
+
+  openApproval(runId, { stepId, kind = 'step', message = null }) {
+    this._emitEvent(runId, { type: 'workflow_approval_opened', stepId, kind, message }, { lifecycle: true })
+  }
+
+  resolveApproval(runId, { stepId, kind = 'step', decision, note = null }) {
+    this._emitEvent(runId, { type: 'workflow_approval_resolved', stepId, kind, decision, note }, { lifecycle: true })
+  }
+
   note(runId, patch) {
     this._emitEvent(runId, { type: 'run_note', patch }, { lifecycle: true })
   }
@@ -474,6 +507,16 @@ export class RunLedger extends EventEmitter {
   }
 }
 
+// Cap by BYTES (the caps are byte budgets), not UTF-16 code units — a multibyte
+// body could otherwise be ~3-4x over. TextDecoder with stream:true decodes only
+// the COMPLETE codepoints within the budget and holds back a trailing partial
+// sequence (rather than emitting a 3-byte U+FFFD that could push the re-encoded
+// result back over budget), so the result is guaranteed <= maxBytes and valid JSON.
+function capUtf8Bytes(text, maxBytes) {
+  const buf = Buffer.from(text, 'utf8').subarray(0, maxBytes)
+  return new TextDecoder('utf8').decode(buf, { stream: true })
+}
+
 // Default pricing is a no-op (returns null → the turn counts as unknown-cost).
 // The engine injects a real `priceTurn` at construction — a thin wrapper over
 // models.js `computePromptCostUsd(usage, getModelPricing(resolveModelId(model)))`
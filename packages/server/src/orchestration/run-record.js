@@ -126,6 +126,7 @@ export function makeRunRecord({ runId }) {
     title: '',
     preset: null,
     status: 'created',
+    statusReason: null,
     createdAt: null,
     startedAt: null,
     endedAt: null,
@@ -142,10 +143,20 @@ export function makeRunRecord({ runId }) {
     meteringGaps: [],
     notes: { verdictQuality: null },
     baseline: null,
+    // Declarative workflow runs (workflows/workflow-runner.js) carry their
+    // definition's identity, per-step outcomes and the open approval gate here.
+    workflow: null,
     droppedEvents: 0,
   }
 }
 
+function ensureWorkflowStep(record, stepId) {
+  if (!record.workflow.steps[stepId]) {
+    record.workflow.steps[stepId] = { status: null, output: '', error: null, visits: 0 }
+  }
+  return record.workflow.steps[stepId]
+}
+
 function findSubtask(record, subtaskId) {
   return record.subtasks.find((s) => s.subtaskId === subtaskId) || null
 }
@@ -168,6 +179,7 @@ export function applyEvent(record, event) {
 
     case 'run_status_changed':
       record.status = event.status
+      record.statusReason = typeof event.reason === 'string' ? event.reason : null
       if (event.status === 'executing' && record.startedAt == null) {
         record.startedAt = finiteOr(event.ts, null)
       }
@@ -324,6 +336,63 @@ export function applyEvent(record, event) {
       // No state change beyond the journal line.
       break
 
+    case 'workflow_started':
+      if (event.workflow && typeof event.workflow === 'object') {
+        record.workflow = {
+          name: event.workflow.name ?? null,
+          file: event.workflow.file ?? null,
+          root: event.workflow.root ?? null,
+          inputs: event.workflow.inputs ?? {},
+          trigger: event.workflow.trigger ?? 'manual',
+          unattended: event.workflow.unattended === true,
+          steps: {},
+          history: [],
+          pendingApproval: null,
+        }
+      }
+      break
+
+    case 'workflow_step_finished':
+      if (record.workflow && typeof event.stepId === 'string') {
+        const step = ensureWorkflowStep(record, event.stepId)
+        step.status = event.outcome ?? null
+        step.output = typeof event.output === 'string' ? event.output : ''
+        step.error = event.error ?? null
+        step.visits += 1
+        record.workflow.history.push({
+          stepId: event.stepId,
+          subtaskId: event.subtaskId ?? null,
+          outcome: event.outcome ?? null,
+          next: event.next ?? null,
+          ts: finiteOr(event.ts, null),
+        })
+      }
+      break
+
+    case 'workflow_approval_opened':
+      if (record.workflow) {
+        record.workflow.pendingApproval = {
+          stepId: event.stepId ?? null,
+          kind: event.kind === 'budget' ? 'budget' : 'step',
+          message: event.message ?? null,
+          openedAt: finiteOr(event.ts, null),
+        }
+      }
+      break
+
+    case 'workflow_approval_resolved':
+      if (record.workflow) {
+        record.workflow.pendingApproval = null
+        record.workflow.history.push({
+          stepId: event.stepId ?? null,
+          approval: event.kind === 'budget' ? 'budget' : 'step',
+          decision: event.decision ?? null,
+          note: event.note ?? null,
+          ts: finiteOr(event.ts, null),
+        })
+      }
+      break
+
     case 'events_dropped':
       record.droppedEvents += nonNegInt(event.count)
       break
@@ -52,11 +52,12 @@
  *   `stopped` lands on the NEXT queued turn and kills it.
  *
  *   The QUEUED-TURN KILL is now closed by construction: only claude-cli emits
- *   `result` then `stopped` for one interrupt, and claude-cli cannot enter
- *   TurnDriver by ANY route — the scheduler requires
- *   capabilities.inProcessPermissions (cli-session sets it false), the
- *   orchestration WORKER roles are gated on AUDIT/IMPLEMENT_ELIGIBLE_PROVIDERS,
- *   and the ARCHITECT role is now gated on ARCHITECT_ELIGIBLE_PROVIDERS.
+ *   `result` then `stopped` for one interrupt, and claude-cli never has a
+ *   second turn queued behind the interrupted one — the orchestration WORKER
+ *   roles are gated on AUDIT/IMPLEMENT_ELIGIBLE_PROVIDERS, the ARCHITECT role on
+ *   ARCHITECT_ELIGIBLE_PROVIDERS, and the scheduler (which does accept
+ *   claude-cli, now that its hook prompts are answerable in-process) drives one
+ *   turn per run and never overlaps two runs of a task.
  *
  *   The FALSE SUCCESS is NOT closed, and eligibility does not imply immunity:
  *   claude-byok can fall through to a normal `result` when an interrupt lands in
@@ -10,6 +10,7 @@
 import { EventEmitter } from 'events'
 import { randomBytes, timingSafeEqual, createHash } from 'crypto'
 import { createLogger } from './logger.js'
+import { DEFAULT_TOKEN_SCOPE, isTokenScope, normalizeTokenScope } from './token-scopes.js'
 
 const log = createLogger('pairing')
 
@@ -109,6 +110,19 @@ function appendIdentityKey(url, identityPublicKey) {
   return `${url}${sep}idk=${encodeURIComponent(identityPublicKey)}`
 }
 
+/**
+ * Resolve the scope a minting caller asked for (token-scopes.js). Omitted means
+ * the default (`full`, the pre-scope behaviour); anything else must be a known
+ * scope — a typo throws rather than silently minting a wider or narrower device.
+ * @param {string|null|undefined} scope
+ * @returns {'observe'|'approve'|'full'}
+ */
+function resolveMintScope(scope) {
+  if (scope === undefined || scope === null) return DEFAULT_TOKEN_SCOPE
+  if (!isTokenScope(scope)) throw new Error(`Unknown token scope: ${String(scope)}`)
+  return scope
+}
+
 export class PairingManager extends EventEmitter {
   constructor({ wsUrl = null, ttlMs = DEFAULT_TTL_MS, sessionTokenTtlMs = DEFAULT_SESSION_TOKEN_TTL_MS, autoRefresh = false, pendingTtlMs = DEFAULT_PENDING_TTL_MS, identityPublicKey = null, sessionTokenStore = null } = {}) {
     super()
@@ -121,7 +135,7 @@ export class PairingManager extends EventEmitter {
     this._autoRefresh = autoRefresh
     this._current = null
     this._activePairings = new Map() // id → { expiresAt, used }
-    this._sessionTokens = new Map() // sessionToken → { createdAt, sessionId }
+    this._sessionTokens = new Map() // sessionToken → { createdAt, sessionId, scope }
     this._refreshTimer = null
     // #5555: background TTL sweep for _sessionTokens (started lazily on first
     // token issuance, cleared on destroy — no leaked timer).
@@ -144,7 +158,10 @@ export class PairingManager extends EventEmitter {
             // Coerce sessionId to string|null — a hand-edited / corrupt store must
             // not inject a non-string binding that downstream handlers assume.
             const sessionId = typeof meta.sessionId === 'string' ? meta.sessionId : null
-            this._sessionTokens.set(token, { createdAt: meta.createdAt, sessionId })
+            // A token persisted before scopes existed restores as `full` (its
+            // prior authority); an unrecognised scope fails closed to `observe`.
+            const scope = normalizeTokenScope(meta.scope)
+            this._sessionTokens.set(token, { createdAt: meta.createdAt, sessionId, scope })
           }
         }
         // Arm the background TTL sweep so restored-but-expired tokens are reaped
@@ -217,14 +234,20 @@ export class PairingManager extends EventEmitter {
    * the paired client can chat into that session but cannot list/switch/
    * destroy others.
    *
+   * `scope` (token-scopes.js) narrows what the scanner may send on top of the
+   * binding — e.g. an `approve` share QR for a teammate who should answer
+   * prompts but never type into the session.
+   *
    * @param {string} sessionId - Session to bind the issued token to
+   * @param {{ scope?: 'observe'|'approve'|'full' }} [opts]
    * @returns {{ pairingId: string, pairingUrl: string|null }}
-   * @throws {Error} If sessionId is empty / non-string
+   * @throws {Error} If sessionId is empty / non-string, or scope is unknown
    */
-  generateBoundPairing(sessionId) {
+  generateBoundPairing(sessionId, { scope } = {}) {
     if (typeof sessionId !== 'string' || sessionId.length === 0) {
       throw new Error('generateBoundPairing requires a non-empty sessionId')
     }
+    const tokenScope = resolveMintScope(scope)
     if (this._destroyed) {
       throw new Error('PairingManager is destroyed')
     }
@@ -250,7 +273,7 @@ export class PairingManager extends EventEmitter {
 
     const id = generateTypeableCode()
     const expiresAt = Date.now() + this._ttlMs
-    this._activePairings.set(id, { expiresAt, used: false, boundSessionId: sessionId })
+    this._activePairings.set(id, { expiresAt, used: false, boundSessionId: sessionId, scope: tokenScope })
 
     const pairingUrl = this._wsUrl
       ? appendIdentityKey(`chroxy://${this._wsUrl.replace(/^wss?:\/\//, '')}?pair=${id}`, this._identityPublicKey)
@@ -321,7 +344,8 @@ export class PairingManager extends EventEmitter {
    * @param {string} pairingId
    * @param {string|null} [sessionId] - Session ID to bind to the issued token
    *   (only honored when the entry has no boundSessionId of its own).
-   * @returns {{ valid: boolean, sessionToken?: string, reason?: string }}
+   * @returns {{ valid: boolean, sessionToken?: string, scope?: string, reason?: string }}
+   *   `scope` is the issued token's scope — the entry's own, else `full`.
    */
   validatePairing(pairingId, sessionId = null) {
     // Normalize typed/scanned input so a code read off the host screen validates
@@ -358,8 +382,9 @@ export class PairingManager extends EventEmitter {
     // (#3070) take precedence — the param is only honored for linking-mode
     // pairings that didn't fix a binding at creation time.
     const effectiveSessionId = entry.boundSessionId || sessionId || null
+    const scope = normalizeTokenScope(entry.scope)
     const sessionToken = randomBytes(SESSION_TOKEN_BYTES).toString('base64url')
-    this._storeSessionToken(sessionToken, { createdAt: Date.now(), sessionId: effectiveSessionId })
+    this._storeSessionToken(sessionToken, { createdAt: Date.now(), sessionId: effectiveSessionId, scope })
 
     // Auto-regenerate so the dashboard always shows a fresh QR (#2916), but
     // only when the just-consumed ID was the linking-mode `_current`. Bound
@@ -381,7 +406,7 @@ export class PairingManager extends EventEmitter {
       }
     }
 
-    return { valid: true, sessionToken }
+    return { valid: true, sessionToken, scope }
   }
 
   /**
@@ -412,6 +437,30 @@ export class PairingManager extends EventEmitter {
     return meta ? (meta.sessionId || null) : null
   }
 
+  /**
+   * Return the scope (token-scopes.js) a session token carries, or null if the
+   * token is invalid / expired. Like getSessionIdForToken this is a plain
+   * lookup — it does not slide the token's expiry.
+   * @param {string} token
+   * @returns {'observe'|'approve'|'full'|null}
+   */
+  getScopeForToken(token) {
+    const meta = this._lookupToken(token)
+    return meta ? normalizeTokenScope(meta.scope) : null
+  }
+
+  /**
+   * The wire id (see _deviceIdForToken) of a live session token, or null. Lets
+   * the WS layer tag a connection with the device it authenticated as, so a
+   * later scope change from the Paired Devices panel can reach the live
+   * connection without the token itself ever being compared again.
+   * @param {string} token
+   * @returns {string|null}
+   */
+  getDeviceIdForToken(token) {
+    return this._lookupToken(token) ? this._deviceIdForToken(token) : null
+  }
+
   /**
    * A stable, non-reversible identifier for a session token, safe to put on the
    * wire — the operator UI needs a handle to name a device for revoke, but the
@@ -433,8 +482,9 @@ export class PairingManager extends EventEmitter {
    * a stable non-reversible id (NEVER the token itself), its bound sessionId
    * (null = unbound / full-access, like a linking-mode QR pairing), when it was
    * minted or last refreshed (createdAt slides on each connect), the derived age,
-   * and an optional device label (not captured yet — the deviceName follow-up).
-   * @returns {Array<{ id: string, sessionId: string|null, createdAt: number|null, ageMs: number|null, deviceName: string|null }>}
+   * its scope (token-scopes.js), and an optional device label (not captured yet —
+   * the deviceName follow-up).
+   * @returns {Array<{ id: string, sessionId: string|null, scope: string, createdAt: number|null, ageMs: number|null, deviceName: string|null }>}
    */
   listSessionTokens() {
     this._sweepSessionTokens()
@@ -445,6 +495,7 @@ export class PairingManager extends EventEmitter {
       out.push({
         id: this._deviceIdForToken(token),
         sessionId: (typeof meta.sessionId === 'string' && meta.sessionId) || null,
+        scope: normalizeTokenScope(meta.scope),
         createdAt,
         ageMs: createdAt !== null ? now - createdAt : null,
         deviceName: typeof meta.deviceName === 'string' ? meta.deviceName : null,
@@ -489,6 +540,37 @@ export class PairingManager extends EventEmitter {
     return { revoked: 0 }
   }
 
+  /**
+   * Change a paired device's scope live, by its wire id (from listSessionTokens)
+   * — the Paired Devices panel's scope picker. Same durability contract as
+   * revokeSessionTokenById (#6902): the updated snapshot is persisted BEFORE the
+   * in-memory entry changes, so a crash can never leave disk and memory
+   * disagreeing about what a device may do. On success emits
+   * `session_token_scope_changed { id, scope }` so WsServer can re-scope the
+   * device's open connections without waiting for a reconnect.
+   *
+   * @param {string} id
+   * @param {'observe'|'approve'|'full'} scope
+   * @returns {{ updated: number, scope?: string, persistFailed?: boolean }}
+   *   `updated` is 1 on success (including a no-op to the same scope), 0 if no
+   *   device matched OR the durable write failed.
+   * @throws {Error} If scope is not a known scope
+   */
+  setSessionTokenScopeById(id, scope) {
+    if (!isTokenScope(scope)) throw new Error(`Unknown token scope: ${String(scope)}`)
+    if (this._destroyed || typeof id !== 'string' || id.length === 0) return { updated: 0 }
+    for (const [token, meta] of this._sessionTokens) {
+      if (this._deviceIdForToken(token) !== id) continue
+      if (normalizeTokenScope(meta.scope) === scope) return { updated: 1, scope }
+      const next = [...this._sessionTokens.entries()].map(([t, m]) => (t === token ? [t, { ...m, scope }] : [t, m]))
+      if (!this._persistSessionTokensSnapshot(next)) return { updated: 0, persistFailed: true }
+      meta.scope = scope
+      this.emit('session_token_scope_changed', { id, scope })
+      return { updated: 1, scope }
+    }
+    return { updated: 0 }
+  }
+
   /**
    * Live-revoke EVERY paired device — the operator panic button (#6678). Clears
    * the in-memory map and persists, so all paired devices must re-pair; effective
@@ -647,7 +729,7 @@ export class PairingManager extends EventEmitter {
    * reaped. Only after the sweep, if still at cap, do we evict the oldest
    * remaining (now guaranteed all-valid) token.
    * @param {string} token
-   * @param {object} meta - token metadata ({ createdAt, sessionId })
+   * @param {object} meta - token metadata ({ createdAt, sessionId, scope })
    */
   _storeSessionToken(token, meta) {
     if (this._sessionTokens.size >= MAX_SESSION_TOKENS) {
@@ -817,14 +899,19 @@ export class PairingManager extends EventEmitter {
    * The issued token is an unbound (host-authority) session token — same class
    * and TTL as a linking-mode QR pairing. The verify code is never consulted
    * here: the approver confirmed the requestId out-of-band by eyeballing the
-   * code on both screens.
+   * code on both screens. The approver may narrow the new device with `scope`
+   * (token-scopes.js); omitted means `full`.
    *
    * @param {string} requestId
-   * @returns {{ ok: true, token: string }
-   *           | { ok: false, reason: 'not_found'|'expired'|'already_resolved' }}
+   * @param {{ scope?: 'observe'|'approve'|'full' }} [opts]
+   * @returns {{ ok: true, token: string, scope: string, deviceName: string }
+   *           | { ok: false, reason: 'not_found'|'expired'|'already_resolved'|'invalid_scope' }}
    */
-  approvePendingRequest(requestId) {
+  approvePendingRequest(requestId, { scope } = {}) {
     if (this._destroyed) return { ok: false, reason: 'not_found' }
+    // Checked before the entry is consumed so a bad scope can be retried.
+    if (scope != null && !isTokenScope(scope)) return { ok: false, reason: 'invalid_scope' }
+    const tokenScope = resolveMintScope(scope)
     const entry = this._pendingRequests.get(requestId)
     if (!entry) return { ok: false, reason: 'not_found' }
     if (entry.resolved) return { ok: false, reason: 'already_resolved' }
@@ -841,8 +928,10 @@ export class PairingManager extends EventEmitter {
 
     const token = randomBytes(SESSION_TOKEN_BYTES).toString('base64url')
     // Unbound (host-authority) token — sessionId: null, like linking-mode QR.
-    this._storeSessionToken(token, { createdAt: Date.now(), sessionId: null })
-    return { ok: true, token }
+    this._storeSessionToken(token, { createdAt: Date.now(), sessionId: null, scope: tokenScope })
+    // deviceName is the requester's self-reported label — for the audit record
+    // of who was let in, never for an authorization decision.
+    return { ok: true, token, scope: tokenScope, deviceName: entry.deviceName }
   }
 
   /**
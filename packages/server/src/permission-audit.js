@@ -3,13 +3,30 @@
  *
  * Stores recent permission mode changes and permission decisions
  * in a bounded in-memory ring buffer, queryable via WebSocket.
+ *
+ * Every appended entry is also written to the durable audit journal
+ * (audit-journal.js) when the daemon registered one, and {@link query} reads
+ * from the journal then — the ring alone forgets everything on restart.
  */
+import { getAuditJournal, recordAuditEvent } from './audit-journal.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('permission-audit')
 
 const DEFAULT_MAX_ENTRIES = 500
 
 export class PermissionAuditLog {
-  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxEntries]
+   * @param {(clientId: string|null) => { tokenClass: string|null, device: string|null }} [opts.resolveActor]
+   *   Maps an entry's clientId to the token class and device name of that
+   *   connection (WsServer looks it up among its clients). Unset, or for
+   *   'http' / null responders, entries carry nulls.
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, resolveActor = null } = {}) {
     this._maxEntries = maxEntries
+    this._resolveActor = resolveActor
     this._entries = []
   }
 
@@ -116,6 +133,11 @@ export class PermissionAuditLog {
    * There is deliberately no `requestId` and no `clientId` responder: no
    * prompt was ever minted and no human answered — the rule did.
    *
+   * The journal gets the run's FIRST approval only (the new-entry branch);
+   * repeats just bump the live count, which {@link query} overlays onto the
+   * journaled entry. The auditable act is the grant that created the rule
+   * (an `allowAlways` decision or a `whitelist_change`), already journaled.
+   *
    * @param {object} params
    * @param {string|null} params.sessionId - Session whose tool call was auto-approved
    * @param {string} params.tool - The auto-approved tool
@@ -139,6 +161,7 @@ export class PermissionAuditLog {
       this._entries.push(existing)
       return
     }
+    const now = Date.now()
     this._append({
       type: 'decision',
       clientId: null,
@@ -149,26 +172,39 @@ export class PermissionAuditLog {
       persist: 'project',
       projectKey,
       count: 1,
-      firstAt: Date.now(),
-      timestamp: Date.now(),
+      firstAt: now,
+      timestamp: now,
     })
   }
 
   /**
-   * Query the audit log.
+   * Query the audit log — the durable journal when one is registered (so the
+   * answer survives restarts and covers every journaled control event), else
+   * the in-memory ring.
    * @param {object} [filters]
    * @param {string} [filters.sessionId] - Filter by session
    * @param {string} [filters.type] - Filter by entry type
    * @param {number} [filters.since] - Only entries after this timestamp
+   * @param {string} [filters.device] - Filter by the actor's device name
    * @param {number} [filters.limit] - Max entries to return (default 100)
    * @returns {object[]}
    */
-  query({ sessionId, type, since, limit = 100 } = {}) {
+  query({ sessionId, type, since, device, limit = 100 } = {}) {
+    const journal = getAuditJournal()
+    if (journal) {
+      try {
+        return journal.query({ sessionId, type, since, device, limit }).map((e) => this._withLiveCount(e))
+      } catch (err) {
+        log.warn(`Audit journal query failed, answering from memory: ${err.message}`)
+      }
+    }
+
     let results = this._entries
 
     if (sessionId) results = results.filter(e => e.sessionId === sessionId)
     if (type) results = results.filter(e => e.type === type)
     if (since) results = results.filter(e => e.timestamp >= since)
+    if (device) results = results.filter(e => e.device === device)
 
     // Return most recent entries (tail of array)
     return results.slice(-limit)
@@ -185,7 +221,30 @@ export class PermissionAuditLog {
     return this._entries.length
   }
 
+  /**
+   * A journaled persisted-rule entry with the live ring entry's running count
+   * and latest timestamp, when the ring still holds the same coalesced run
+   * (matched on its `firstAt`, which is the journaled entry's timestamp).
+   */
+  _withLiveCount(entry) {
+    if (entry.type !== 'decision' || entry.reason !== 'persisted_rule') return entry
+    const live = this._entries.find((e) =>
+      e.reason === 'persisted_rule'
+      && e.firstAt === entry.timestamp
+      && e.sessionId === entry.sessionId
+      && e.tool === entry.tool
+      && e.projectKey === entry.projectKey,
+    )
+    return live ? { ...entry, count: live.count, firstAt: live.firstAt, timestamp: live.timestamp } : entry
+  }
+
   _append(entry) {
+    if (this._resolveActor && entry.clientId && entry.clientId !== 'http') {
+      const actor = this._resolveActor(entry.clientId)
+      entry.tokenClass = actor?.tokenClass ?? null
+      entry.device = actor?.device ?? null
+    }
+    recordAuditEvent(entry.type, entry)
     this._entries.push(entry)
     if (this._entries.length > this._maxEntries) {
       // Drop oldest 10% to avoid frequent shifts
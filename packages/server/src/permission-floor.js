@@ -64,6 +64,21 @@ const SECRET_FILE_EXACT = new Set([
 ])
 const SECRET_FILE_EXTENSIONS = ['.pem', '.key', '.p12', '.pfx']
 
+// The credential-dir DENY-LIST: home-relative credential stores that the bwrap
+// session sandbox (bwrap-sandbox.js) masks at the MOUNT layer, so a sandboxed
+// CLI can't read them through Bash or any other route the path floor above
+// can't see. Unlike the floor this is a hard deny, so it names only whole
+// stores no agent needs: key dirs, cloud/cluster CLI credentials, and the
+// home-level copies of the SECRET_FILE_EXACT credential dotfiles and the git
+// credential store. The provider's own state dir (`~/.claude`, …) is NOT
+// listed — the CLI authenticates from it.
+export const HOME_CREDENTIAL_PATHS = Object.freeze([
+  '.ssh', '.gnupg', '.aws', '.azure', '.kube', '.docker',
+  '.config/gcloud', '.config/gh',
+  '.git-credentials', '.config/git/credentials',
+  ...[...SECRET_FILE_EXACT].filter((name) => name.startsWith('.')),
+])
+
 // Tool-input fields that name a filesystem target. Presence of one is what
 // makes a tool "path-carrying" for the floor (Write/Edit → file_path,
 // NotebookEdit → notebook_path, Read/Glob/Grep → file_path/path). A tool with
@@ -28,6 +28,7 @@
 // permission-rules.json even when the session was started with a relative or
 // `..`-laden cwd. Reused, not duplicated.
 import { normalizeProjectKey } from './permission-rule-store.js'
+import { HookPermissionRelay } from './hook-permission-relay.js'
 
 /**
  * #6030: the single source of truth for the permission "dispatch origin"
@@ -127,10 +128,14 @@ export function createPermissionResolver({
     // store. Uses respondToPermission's RETURN VALUE as the resolved-vs-expired
     // signal (the method's contract) — see the #5373 PR note on the WS
     // _pendingPermissions pre-check this reconciles.
+    // A hook-routed session's respondToPermission is only the in-process mirror
+    // of a prompt the permission hook is holding (hook-permission-relay.js), so
+    // a client answer for it keeps the legacy path below — with its inline
+    // broadcast and tool-enriched audit — exactly as before it grew one.
     const sm = getSessionManager?.()
     if (originSessionId && sm) {
       const entry = sm.getSession(originSessionId)
-      if (entry && typeof entry.session.respondToPermission === 'function') {
+      if (entry && typeof entry.session.respondToPermission === 'function' && !(entry.session.hookPermissions instanceof HookPermissionRelay)) {
         // #6830 — read the tool name BEFORE respondToPermission runs: it deletes
         // the _lastPermissionData entry as part of resolving (permission-manager.js
         // stashes it there precisely so the editedInput whitelist can read it
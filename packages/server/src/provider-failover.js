@@ -0,0 +1,335 @@
+/**
+ * Automatic provider/model failover for turns that fail on a rate limit, an
+ * overload or a credit cap.
+ *
+ * Without it such a turn just errors and the session waits for the user. With
+ * a failover chain configured (config `failover.chain`, or per session via
+ * `create_session.failoverChain`), a classified error
+ * (`classifyProviderError` from @chroxy/protocol) is handled in two stages:
+ *
+ *   1. Retry. A rate limit or an overload is transient: the failed prompt is
+ *      re-sent to the same provider after an exponential backoff, up to
+ *      `maxRetries` times. A credit cap won't lift by waiting and skips this.
+ *   2. Hop. The session moves in place to the next usable provider in the
+ *      chain (SessionManager.replaceSessionProvider) — same id, cwd, worktree
+ *      and history — with the conversation before the failed prompt carried
+ *      over the way a manual switch carries it (provider-switch.js), and the
+ *      prompt re-sent. A chain entry on the same provider with another model
+ *      just switches the model. Each hop starts a fresh retry budget.
+ *
+ * Every retry, hop and the final "chain exhausted" is emitted as a
+ * `provider_failover` session event for clients to show in the chat. A hop
+ * carries the billing class the session moves to; the session's usage and
+ * cost from then on are tracked under the new provider's class.
+ *
+ * A session without a chain (the default) is left alone: no retries, no hops.
+ */
+import { classifyProviderError, USER_SHELL_PROVIDER } from '@chroxy/protocol'
+import { getProvider, getProviderAuthInfo } from './providers.js'
+import { billingClassForProvider } from './billing-class.js'
+import { createFlagSet, normalizeConversation } from './conversation-carry.js'
+import { carryConversation } from './provider-switch.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('provider-failover')
+
+export const DEFAULT_FAILOVER_RETRIES = 2
+export const DEFAULT_FAILOVER_BACKOFF_MS = 2000
+const MAX_FAILOVER_RETRIES = 5
+const MAX_BACKOFF_MS = 60_000
+// A provider emits the turn error before its own cleanup clears the busy
+// flag; a hop waits for the session to go idle, polling this often, this
+// many times.
+const IDLE_POLL_MS = 250
+const MAX_IDLE_POLLS = 40
+const TRANSIENT_CATEGORIES = new Set(['rate_limit', 'overloaded'])
+
+/**
+ * Normalize a failover chain from config or the wire: each entry a provider
+ * id or `{ provider, model? }`. Malformed entries are dropped.
+ *
+ * @param {unknown} value
+ * @returns {Array<{ provider: string, model: string|null }>}
+ */
+export function normalizeFailoverChain(value) {
+  if (!Array.isArray(value)) return []
+  const chain = []
+  for (const item of value) {
+    if (typeof item === 'string' && item) {
+      chain.push({ provider: item, model: null })
+    } else if (item && typeof item === 'object' && typeof item.provider === 'string' && item.provider) {
+      chain.push({ provider: item.provider, model: typeof item.model === 'string' && item.model ? item.model : null })
+    }
+  }
+  return chain
+}
+
+/**
+ * The failover settings from the config's `failover` block, with defaults
+ * and bounds applied.
+ *
+ * @param {object} config
+ * @returns {{ chain: Array<{ provider: string, model: string|null }>, maxRetries: number, backoffMs: number }}
+ */
+export function resolveFailoverConfig(config) {
+  const block = config?.failover
+  const maxRetries = Number.isInteger(block?.maxRetries) && block.maxRetries >= 0
+    ? Math.min(block.maxRetries, MAX_FAILOVER_RETRIES)
+    : DEFAULT_FAILOVER_RETRIES
+  const backoffMs = Number.isInteger(block?.backoffMs) && block.backoffMs >= 0
+    ? Math.min(block.backoffMs, MAX_BACKOFF_MS)
+    : DEFAULT_FAILOVER_BACKOFF_MS
+  return { chain: normalizeFailoverChain(block?.chain), maxRetries, backoffMs }
+}
+
+function targetKey({ provider, model }) {
+  return `${provider}\u0000${model || ''}`
+}
+
+// The last prompt in a session history — the one a failed turn was answering.
+function lastPrompt(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const item = history[i]
+    if (item?.type === 'message' && item.messageType === 'user_input' && typeof item.content === 'string') {
+      return { index: i, text: item.content, id: item.messageId || `seq-${item._seq}` }
+    }
+  }
+  return null
+}
+
+function billingClassFor(provider) {
+  try {
+    const billingClass = getProviderAuthInfo(provider, getProvider(provider))?.billingClass
+    if (billingClass) return billingClass
+  } catch {
+    // fall through to the static classification
+  }
+  return billingClassForProvider(provider, Date.now())
+}
+
+/**
+ * Watches a SessionManager's turn errors and retries or moves failed turns
+ * along the failover chain. One per daemon; {@link ProviderFailover#attach}
+ * starts it.
+ */
+export class ProviderFailover {
+  /**
+   * @param {object} opts
+   * @param {import('./session-manager.js').SessionManager} opts.sessionManager
+   * @param {Array} [opts.chain] - the config-level chain, used by sessions without their own
+   * @param {number} [opts.maxRetries]
+   * @param {number} [opts.backoffMs] - first retry delay; doubles per attempt
+   * @param {Function} [opts.setTimer] - test seam
+   * @param {Function} [opts.clearTimer] - test seam
+   */
+  constructor({
+    sessionManager,
+    chain = [],
+    maxRetries = DEFAULT_FAILOVER_RETRIES,
+    backoffMs = DEFAULT_FAILOVER_BACKOFF_MS,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+  }) {
+    this._sessionManager = sessionManager
+    this._chain = normalizeFailoverChain(chain)
+    this._maxRetries = maxRetries
+    this._backoffMs = backoffMs
+    this._setTimer = setTimer
+    this._clearTimer = clearTimer
+    // sessionId -> { promptId, attempts, visited: Set, timer }
+    this._states = new Map()
+    this._onSessionEvent = ({ sessionId, event, data }) => {
+      if (event === 'error') this._handleError(sessionId, data)
+      else if (event === 'result') this._forget(sessionId)
+    }
+    this._onSessionDestroyed = ({ sessionId }) => this._forget(sessionId)
+  }
+
+  attach() {
+    this._sessionManager.on('session_event', this._onSessionEvent)
+    this._sessionManager.on('session_destroyed', this._onSessionDestroyed)
+  }
+
+  detach() {
+    this._sessionManager.off('session_event', this._onSessionEvent)
+    this._sessionManager.off('session_destroyed', this._onSessionDestroyed)
+    for (const sessionId of [...this._states.keys()]) this._forget(sessionId)
+  }
+
+  /**
+   * The chain a session fails over along: its own when set (an empty one
+   * turns failover off), else the config-level chain.
+   * @param {object} entry - a SessionManager entry
+   */
+  chainFor(entry) {
+    return Array.isArray(entry?.failoverChain) ? normalizeFailoverChain(entry.failoverChain) : this._chain
+  }
+
+  _handleError(sessionId, data) {
+    const category = classifyProviderError(data)
+    if (!category) return
+    const entry = this._sessionManager.getSession(sessionId)
+    if (!entry || entry.provider === USER_SHELL_PROVIDER) return
+    const chain = this.chainFor(entry)
+    if (chain.length === 0) return
+    const prompt = lastPrompt(this._sessionManager.getHistory(sessionId))
+    if (!prompt) return
+
+    let state = this._states.get(sessionId)
+    if (state?.timer) return // this turn is already being retried or moved
+    if (!state || state.promptId !== prompt.id) {
+      state = { promptId: prompt.id, attempts: 0, visited: new Set(), timer: null }
+      this._states.set(sessionId, state)
+    }
+    const current = { provider: entry.provider, model: entry.session.model || null }
+    state.visited.add(targetKey(current))
+
+    if (TRANSIENT_CATEGORIES.has(category) && state.attempts < this._maxRetries) {
+      state.attempts++
+      const delayMs = Math.min(this._backoffMs * 2 ** (state.attempts - 1), MAX_BACKOFF_MS)
+      log.info(`Session ${sessionId}: ${category} on ${current.provider}, retrying in ${delayMs}ms (attempt ${state.attempts}/${this._maxRetries})`)
+      this._emit(sessionId, { action: 'retry', category, ...current, attempt: state.attempts, delayMs })
+      this._schedule(sessionId, state, delayMs, () => this._retry(sessionId, prompt.id))
+      return
+    }
+
+    const target = this._nextTarget(current, chain, state.visited)
+    if (!target) {
+      log.warn(`Session ${sessionId}: ${category} on ${current.provider} and no provider left in the failover chain`)
+      this._emit(sessionId, { action: 'exhausted', category, ...current })
+      this._forget(sessionId)
+      return
+    }
+    this._schedule(sessionId, state, 0, () => this._hop(sessionId, prompt.id, target, category))
+  }
+
+  // The next chain entry after the current provider that is registered,
+  // authenticated and not yet tried for this prompt.
+  _nextTarget(current, chain, visited) {
+    const at = chain.findIndex((t) => t.provider === current.provider && (!t.model || t.model === current.model))
+    for (const target of chain.slice(at + 1)) {
+      if (target.provider === USER_SHELL_PROVIDER || visited.has(targetKey(target))) continue
+      let ProviderClass
+      try {
+        ProviderClass = getProvider(target.provider)
+      } catch {
+        log.warn(`Failover chain names unknown provider "${target.provider}" — skipping`)
+        continue
+      }
+      let ready = true
+      try {
+        ready = getProviderAuthInfo(target.provider, ProviderClass)?.ready !== false
+      } catch {
+        ready = false
+      }
+      if (!ready) {
+        log.info(`Failover skips ${target.provider}: no credentials`)
+        continue
+      }
+      return target
+    }
+    return null
+  }
+
+  // Run `fn` once the session is idle, after `delayMs`. Gives up if the
+  // session goes away or the user moves on to another prompt meanwhile.
+  _schedule(sessionId, state, delayMs, fn, polls = 0) {
+    const timer = this._setTimer(() => {
+      state.timer = null
+      if (this._states.get(sessionId) !== state) return
+      const entry = this._sessionManager.getSession(sessionId)
+      const prompt = entry && lastPrompt(this._sessionManager.getHistory(sessionId))
+      if (!prompt || prompt.id !== state.promptId) {
+        this._forget(sessionId)
+        return
+      }
+      if (entry.session.isRunning) {
+        if (polls >= MAX_IDLE_POLLS) {
+          log.warn(`Session ${sessionId} stayed busy; dropping the pending failover`)
+          this._forget(sessionId)
+          return
+        }
+        this._schedule(sessionId, state, IDLE_POLL_MS, fn, polls + 1)
+        return
+      }
+      fn()
+    }, delayMs)
+    if (typeof timer?.unref === 'function') timer.unref()
+    state.timer = timer
+  }
+
+  _retry(sessionId, promptId) {
+    const prompt = lastPrompt(this._sessionManager.getHistory(sessionId))
+    if (prompt?.id === promptId) this._send(sessionId, prompt.text)
+  }
+
+  _hop(sessionId, promptId, target, category) {
+    const sm = this._sessionManager
+    const entry = sm.getSession(sessionId)
+    const state = this._states.get(sessionId)
+    const history = sm.getHistory(sessionId)
+    const prompt = lastPrompt(history)
+    if (!entry || !state || prompt?.id !== promptId) return
+    const from = { provider: entry.provider, model: entry.session.model || null }
+
+    const event = { action: 'hop', category, ...from, to: target }
+    try {
+      if (target.provider === from.provider) {
+        // Same provider, another model: the conversation stays where it is.
+        entry.session.setModel(target.model)
+      } else {
+        // Carry everything before the failed prompt; the prompt itself is
+        // re-sent below rather than carried as unanswered.
+        const { turns, todos, flags: normalizeFlags } = normalizeConversation(history.slice(0, prompt.index))
+        const flags = createFlagSet()
+        if (sm.isHistoryTruncated(sessionId)) flags.add('history_truncated')
+        flags.merge(normalizeFlags)
+        sm.replaceSessionProvider(sessionId, target)
+        const carried = carryConversation({
+          sessionManager: sm,
+          sessionId,
+          turns,
+          todos,
+          sourceName: entry.name,
+          sourceProvider: from.provider,
+        })
+        flags.merge(carried.flags)
+        event.carry = carried.carry
+        event.flags = flags.list()
+      }
+    } catch (err) {
+      log.error(`Session ${sessionId}: failover to ${target.provider} failed: ${err?.message || err}`)
+      this._emit(sessionId, { action: 'exhausted', category, ...from })
+      this._forget(sessionId)
+      return
+    }
+    event.billingClass = billingClassFor(target.provider)
+    state.attempts = 0
+    state.visited.add(targetKey(target))
+    log.info(`Session ${sessionId}: ${category} on ${from.provider}, moved to ${target.provider}${target.model ? ` (${target.model})` : ''}`)
+    this._emit(sessionId, event)
+    this._send(sessionId, prompt.text)
+  }
+
+  _send(sessionId, text) {
+    const sm = this._sessionManager
+    const entry = sm.getSession(sessionId)
+    if (!entry) return
+    const carried = sm.takePendingCarry(sessionId)
+    const result = entry.session.sendMessage(carried ? `${carried}\n\n${text}` : text)
+    if (result && typeof result.catch === 'function') {
+      result.catch((err) => log.error(`Failover re-send rejected for session ${sessionId}: ${err?.message || err}`))
+    }
+  }
+
+  _emit(sessionId, data) {
+    this._sessionManager.emit('session_event', { sessionId, event: 'provider_failover', data })
+  }
+
+  _forget(sessionId) {
+    const state = this._states.get(sessionId)
+    if (!state) return
+    if (state.timer) this._clearTimer(state.timer)
+    this._states.delete(sessionId)
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Switch a session's conversation to a different provider.
+ *
+ * When a provider stops being usable mid-task (a Claude credit cap, an
+ * outage), summarize-then-new-session loses the tool history and the todo
+ * list. A switch instead continues the SAME conversation on another provider
+ * in a new session that takes over the source's working directory:
+ *
+ *   - The source history is normalized into provider-neutral turns
+ *     (conversation-carry.js). A provider that can be seeded
+ *     (`seedConversation`, the BYOK family) gets the turns rebuilt natively —
+ *     tool calls and results included — and the todo list restored. Any other
+ *     provider gets a transcript with tool calls previewed inline and the open
+ *     todos, prepended once to its first message.
+ *   - The new session runs in the source's cwd. A source worktree moves to the
+ *     new session, so closing the old session no longer removes it.
+ *   - Whatever the new provider won't see is returned as flags for the client
+ *     to show (unanswered prompt, tools carried as text, cut tool results, ...).
+ *
+ * The source session is left as it was — its provider transcript stays
+ * resumable — and the new session's history is seeded with the source's, so
+ * clients show the conversation it continues.
+ */
+import { USER_SHELL_PROVIDER } from '@chroxy/protocol'
+import { buildSwitchTranscript, createFlagSet, normalizeConversation } from './conversation-carry.js'
+import { SessionError } from './session-manager.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('provider-switch')
+
+/**
+ * Continue `sourceSessionId`'s conversation on `provider` in a new session.
+ *
+ * @param {object} params
+ * @param {import('./session-manager.js').SessionManager} params.sessionManager
+ * @param {string} params.sourceSessionId
+ * @param {string} params.provider - the provider to continue on
+ * @param {string} [params.model] - defaults to the provider's default
+ * @param {string} [params.name] - defaults to the source's name
+ * @returns {{ sessionId: string, carry: 'conversation'|'transcript'|'none', carriedTurns: number, todos: number, worktree: boolean, flags: Array<{ kind: string, count: number, detail?: string }>, truncated: boolean }}
+ * @throws {SessionError} SWITCH_SOURCE_NOT_FOUND, SWITCH_UNSUPPORTED,
+ *   SWITCH_SAME_PROVIDER, SWITCH_SOURCE_BUSY; or a createSession error
+ */
+export function switchSessionProvider({ sessionManager, sourceSessionId, provider, model, name }) {
+  const source = sessionManager.getSession(sourceSessionId)
+  if (!source) throw new SessionError(`Session not found: ${sourceSessionId}`, 'SWITCH_SOURCE_NOT_FOUND')
+  if (source.provider === USER_SHELL_PROVIDER || provider === USER_SHELL_PROVIDER) {
+    throw new SessionError('Terminal sessions have no conversation to carry.', 'SWITCH_UNSUPPORTED')
+  }
+  if (provider === source.provider) {
+    throw new SessionError(`The session already runs on ${provider}.`, 'SWITCH_SAME_PROVIDER')
+  }
+  if (source.session.isRunning) {
+    throw new SessionError('Cannot switch provider while the session is busy. Wait for the current task to finish or interrupt first.', 'SWITCH_SOURCE_BUSY')
+  }
+
+  const history = sessionManager.getHistory(sourceSessionId)
+  const { turns, todos, flags: normalizeFlags } = normalizeConversation(history)
+  const flags = createFlagSet()
+  if (sessionManager.isHistoryTruncated(sourceSessionId)) flags.add('history_truncated')
+  flags.merge(normalizeFlags)
+
+  const sessionId = sessionManager.createSession({
+    name: name || source.name,
+    cwd: source.cwd,
+    provider,
+    model: model || undefined,
+  })
+  const worktree = sessionManager.transferWorktree(sourceSessionId, sessionId)
+
+  const { carry, truncated, flags: carryFlags } = carryConversation({
+    sessionManager,
+    sessionId,
+    turns,
+    todos,
+    sourceName: source.name,
+    sourceProvider: source.provider,
+  })
+  flags.merge(carryFlags)
+  sessionManager.seedHistory(sessionId, history)
+  log.info(`Switched session ${sourceSessionId} (${source.provider}) to ${provider} as ${sessionId} (${carry} carry, ${turns.length} turns, ${todos.length} todos${worktree ? ', worktree moved' : ''})`)
+
+  return {
+    sessionId,
+    carry,
+    carriedTurns: turns.length,
+    todos: todos.length,
+    worktree,
+    flags: flags.list(),
+    truncated,
+  }
+}
+
+/**
+ * Hand normalized turns and todos to the provider now running `sessionId`:
+ * seeded natively when it supports `seedConversation`, otherwise parked as a
+ * transcript for its next message. Shared with provider-failover.js, which
+ * swaps the provider in place.
+ *
+ * @param {object} params
+ * @param {import('./session-manager.js').SessionManager} params.sessionManager
+ * @param {string} params.sessionId
+ * @param {Array<object>} params.turns - from normalizeConversation()
+ * @param {Array<object>} params.todos
+ * @param {string} params.sourceName - named in the transcript header
+ * @param {string} params.sourceProvider
+ * @returns {{ carry: 'conversation'|'transcript'|'none', truncated: boolean, flags: Array<{ kind: string, count: number, detail?: string }> }}
+ */
+export function carryConversation({ sessionManager, sessionId, turns, todos, sourceName, sourceProvider }) {
+  const session = sessionManager.getSession(sessionId).session
+  if (turns.length > 0 && typeof session.seedConversation === 'function') {
+    const seeded = session.seedConversation({ turns, todos })
+    return { carry: seeded.messages > 0 ? 'conversation' : 'none', truncated: false, flags: seeded.flags }
+  }
+  const transcript = buildSwitchTranscript(turns, todos, { sourceName, sourceProvider })
+  if (!transcript) return { carry: 'none', truncated: false, flags: [] }
+  sessionManager.setPendingCarry(sessionId, transcript.text)
+  return { carry: 'transcript', truncated: transcript.truncated, flags: [] }
+}
@@ -43,11 +43,9 @@ const PROVIDERS = {
   'claude-cli': CliSession,
   'claude-sdk': SdkSession,
   'claude-tui': ClaudeTuiSession,
-  // #3953 — research-preview `claude --channels` MCP transport. Scaffold
-  // only: ClaudeChannelSession.start() throws until the bridge lands in
-  // #3954. Registered so the dashboard can list it + `chroxy doctor` runs
-  // its preflight; gated as a preview option (never default — see
-  // DEFAULT_PROVIDER below).
+  // #3953 — research-preview `claude --channels` MCP transport: spawns
+  // `claude` with channels/chroxy-channel-server.js bridged back over a Unix
+  // socket. A preview option, never the default (see DEFAULT_PROVIDER below).
   'claude-channel': ClaudeChannelSession,
   'claude-byok': ClaudeByokSession,
   'deepseek': DeepSeekSession,
@@ -38,6 +38,10 @@ import {
 } from './notifications/expo-push-sink.js'
 import { DiscordWebhookSink } from './notifications/discord-webhook-sink.js'
 import { DiscordBillingSink } from './notifications/discord-billing-sink.js'
+import { SlackWebhookSink } from './notifications/slack-webhook-sink.js'
+import { NtfySink } from './notifications/ntfy-sink.js'
+import { GotifySink } from './notifications/gotify-sink.js'
+import { PermissionActionTokens } from './notifications/permission-action-tokens.js'
 
 const log = createLogger('push')
 
@@ -90,6 +94,10 @@ const RATE_LIMITS = {
   // Mailbox live-interrupt: a "new mail" ping for an agent (POST /api/mailbox,
   // mailbox-route.js). Rare and meaningful → immediate.
   mailbox: 0,
+  // Scheduled-task run outcomes (scheduler.js). Gated per task by its `notify`
+  // policy, which is the real dedupe — a throttle here would swallow the
+  // outcome of a second task finishing in the same window.
+  scheduled_run: 0,
 }
 
 // Re-exported for existing importers/tests — the implementation moved to
@@ -110,12 +118,23 @@ export class PushManager {
    *   #5828: also feeds DiscordBillingSink — `billingStatePath` (its own state
    *   file, kept separate from the status store) and `billingAlerts` (kill-switch,
    *   default on when a webhook resolves).
+   * @param {object} [opts.slack] - SlackWebhookSink options: `statePath`, the
+   *   `notifications.slack` config knobs (botName, dashboardUrl, throttle,
+   *   retention, billingAlerts) and `resolveDashboardUrl` for session deep
+   *   links. Always registered, off until a bot token + channel or an
+   *   incoming-webhook URL resolves (CHROXY_SLACK_* env or credentials.json).
+   * @param {object} [opts.ntfy] - NtfySink options: the `notifications.ntfy`
+   *   config block (url, topic, priority/tag overrides, actions, actionUrl) plus
+   *   `resolveActionUrl` / `resolveDashboardUrl`. Off until url + topic are set.
+   * @param {object} [opts.gotify] - GotifySink options: the
+   *   `notifications.gotify` block (url, priorities) plus `resolveDashboardUrl`.
+   *   Off until a url is set and an application token resolves.
    * @param {() => number} [opts.now] - #6146 injectable clock (epoch ms),
    *   defaults to `Date.now`. send()'s rate-limit AND the #4544 quiet-hours gate
    *   evaluate against "now"; tests pin it to a deterministic instant so the
    *   quiet-hours classification can't flip on a CI run near a window boundary.
    */
-  constructor({ storagePath, prefsPath, discord = {}, now = Date.now } = {}) {
+  constructor({ storagePath, prefsPath, discord = {}, slack = {}, ntfy = {}, gotify = {}, now = Date.now } = {}) {
     // #6146: injectable clock (default Date.now). Assigned directly — an invalid
     // value fails fast on use rather than silently reverting, matching the
     // codebase's clock-seam convention (utils/respawn-rate-limiter.js,
@@ -156,6 +175,19 @@ export class PushManager {
       resolveWebhookUrl: discord.resolveWebhookUrl,
     })
     this._sinks.register(this._discordBillingSink)
+    // Slack: one sink covers both status messages and billing alerts (the
+    // billing slot lives in the same state file, keyed apart from projects).
+    this._slackSink = new SlackWebhookSink(slack)
+    this._sinks.register(this._slackSink)
+    // Self-hosted push (ntfy / Gotify). The ntfy sink's Approve/Deny buttons
+    // carry single-use capabilities from this store, which POST
+    // /permission-action (ws-permissions.js) redeems — so the store lives here,
+    // next to the only sink that mints and the pushManager the handler sees.
+    this.permissionActionTokens = new PermissionActionTokens()
+    this._ntfySink = new NtfySink({ ...ntfy, actionTokens: this.permissionActionTokens })
+    this._sinks.register(this._ntfySink)
+    this._gotifySink = new GotifySink(gotify)
+    this._sinks.register(this._gotifySink)
   }
 
   /**
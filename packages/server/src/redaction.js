@@ -54,6 +54,14 @@ const API_KEY_PATTERNS = [
   // placeholders like .../webhooks/123/abc readable while catching any
   // plausible real token.
   /\bhttps:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/[A-Za-z0-9_-]{20,}/g,
+  // Slack incoming-webhook URLs: the trailing segment after the team/bot ids is
+  // the secret (post capability on the channel). Real secrets are 24 chars.
+  /\bhttps:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{16,}/g,
+  // Slack API tokens (bot xoxb-, user xoxp-, app-level xoxa-/xoxe-, legacy
+  // xoxo-/xoxs-/xoxr-). The 10-char floor keeps prose like "xoxb-…" readable.
+  /\bxox[abeoprs]-[A-Za-z0-9-]{10,}/g,
+  // ntfy access tokens: `tk_` + 29 lowercase alphanumerics.
+  /\btk_[a-z0-9]{29}\b/g,
 ]
 
 /**
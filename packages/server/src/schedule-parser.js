@@ -4,10 +4,13 @@
 // engine that actually spawns sessions is a sibling slice (#6865); it will import
 // computeNextRun to advance a task's schedule after a run.
 //
-// Three cadence kinds are supported, all without any npm dependency:
+// Three TIMED cadence kinds are supported, all without any npm dependency:
 //   - once:     { kind: 'once', at }                     — a single future timestamp
 //   - interval: { kind: 'interval', everyMs[, anchor] }  — every N ms from an anchor
-//   - cron:     { kind: 'cron', expression }             — a 5-field crontab expression
+//   - cron:     { kind: 'cron', expression[, timezone] } — a 5-field crontab expression,
+//               evaluated in the daemon's local zone or an explicit IANA zone
+// A fourth, `event` (scheduled-event-cadence.js), has no fire TIME at all — it is
+// driven by webhook deliveries — so computeNextRun returns null for it.
 //
 // Deliberately distinct from `ScheduleWakeup` (transcript-tasks.js), which is an
 // intra-session, single-shot, transcript-derived self-resume ({delaySeconds,
@@ -195,9 +198,170 @@ function dayMatches(c, d) {
   return domOk || dowOk
 }
 
+// Longest IANA zone name we accept. The longest real identifier is ~32 chars
+// (`America/Argentina/ComodRivadavia`); 64 is headroom, and it is the wire cap
+// on `cadence.timezone` in @chroxy/protocol.
+export const MAX_TIMEZONE_LENGTH = 64
+
+// One formatter per zone — constructing an Intl.DateTimeFormat is far more
+// expensive than calling it, and the cron walk below calls it per step.
+const zoneFormatters = new Map()
+
+function zoneFormatter(timeZone) {
+  let fmt = zoneFormatters.get(timeZone)
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    })
+    zoneFormatters.set(timeZone, fmt)
+  }
+  return fmt
+}
+
+/**
+ * Whether `timeZone` is an IANA zone this runtime's Intl knows (aliases such as
+ * `UTC` / `Etc/UTC` included). Validation is delegated to Intl rather than a
+ * hard-coded list so tzdata updates shipped with Node are picked up for free.
+ * @param {unknown} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > MAX_TIMEZONE_LENGTH) return false
+  try {
+    zoneFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Wall-clock fields of the instant `ms` in `timeZone`. Day-of-week is derived
+ * from the calendar date (not formatted), so it cannot disagree with it.
+ * @returns {{ year:number, month:number, day:number, hour:number, minute:number, dow:number }}
+ */
+function wallFields(ms, timeZone) {
+  const parts = {}
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value)
+  }
+  const dow = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, dow }
+}
+
+/** UTC offset (ms) of `timeZone` at instant `ms`, whole minutes. */
+function zoneOffsetMs(ms, timeZone) {
+  const f = wallFields(ms, timeZone)
+  const asUtc = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute)
+  return asUtc - (ms - (((ms % 60000) + 60000) % 60000))
+}
+
+/**
+ * Every instant whose wall clock in `timeZone` reads the given local time:
+ *   - [] in a spring-forward GAP (the wall time does not exist),
+ *   - [t] normally,
+ *   - [first, second] in a fall-back OVERLAP (the wall time happens twice).
+ * Offsets are probed a day either side of the naive guess, which brackets any
+ * real transition (no zone shifts twice within 48 hours).
+ */
+function instantsForWall(year, month, day, hour, minute, timeZone) {
+  const naive = Date.UTC(year, month - 1, day, hour, minute)
+  const offsets = new Set([
+    zoneOffsetMs(naive - 86_400_000, timeZone),
+    zoneOffsetMs(naive, timeZone),
+    zoneOffsetMs(naive + 86_400_000, timeZone),
+  ])
+  const out = []
+  for (const offset of offsets) {
+    const candidate = naive - offset
+    const f = wallFields(candidate, timeZone)
+    if (f.year === year && f.month === month && f.day === day && f.hour === hour && f.minute === minute) {
+      if (!out.includes(candidate)) out.push(candidate)
+    }
+  }
+  return out.sort((a, b) => a - b)
+}
+
+/**
+ * The earliest instant at or after the given wall time in `timeZone`. For a wall
+ * time inside a spring-forward gap that is the first instant after the gap, so a
+ * "jump to the start of the next day/hour" never lands before where it meant to.
+ */
+function firstInstantAtOrAfterWall(year, month, day, hour, minute, timeZone) {
+  const exact = instantsForWall(year, month, day, hour, minute, timeZone)
+  if (exact.length > 0) return exact[0]
+  // Gap: the wall time was skipped. Reading the naive time with the PRE-gap
+  // offset lands past the gap by its width, i.e. on the first post-gap instant
+  // of the same wall-clock hour boundary.
+  const naive = Date.UTC(year, month - 1, day, hour, minute)
+  return naive - zoneOffsetMs(naive - 86_400_000, timeZone)
+}
+
+/**
+ * Zone-aware cron walk. The cursor is a real INSTANT (not a wall time), so every
+ * instant is visited at most once and DST transitions fall out explicitly:
+ *
+ *   - Skipped hour (spring-forward gap): wall times inside the gap have no
+ *     instant, so the walk never sees them and the slot is SKIPPED for that day
+ *     — the same product choice as the local-time path (#6879). Nothing fires
+ *     late at the shifted time.
+ *   - Repeated hour (fall-back overlap): the walk sees both passes. A task whose
+ *     HOUR field is restricted (`30 1 * * *`) fires ONCE, on the first pass — a
+ *     daily job must not run twice. A task whose hour field is `*` (`*\/15 * * * *`)
+ *     fires on BOTH passes, because it is an elapsed-time cadence and a
+ *     one-hour silence would be a missed hour of real time.
+ */
+function computeZonedCronNextRun(c, fromMs, timeZone) {
+  const horizon = fromMs + CRON_HORIZON_MS
+  const hourStar = c.hour.size === 24
+  // Next whole minute strictly after fromMs.
+  let t = Math.floor(fromMs / 60000) * 60000 + 60000
+
+  while (t <= horizon) {
+    const w = wallFields(t, timeZone)
+    if (!c.month.has(w.month)) {
+      const nextMonth = w.month === 12 ? { y: w.year + 1, m: 1 } : { y: w.year, m: w.month + 1 }
+      t = firstInstantAtOrAfterWall(nextMonth.y, nextMonth.m, 1, 0, 0, timeZone)
+      continue
+    }
+    if (!dayMatches(c, { getDate: () => w.day, getDay: () => w.dow })) {
+      const next = new Date(Date.UTC(w.year, w.month - 1, w.day + 1))
+      t = firstInstantAtOrAfterWall(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone)
+      continue
+    }
+    if (!c.hour.has(w.hour)) {
+      // Advance by REAL time to the next wall-hour boundary rather than
+      // resolving wall hour+1: in an overlap, wall hour+1 would jump over the
+      // second pass, and in a gap it does not exist.
+      t += (60 - w.minute) * 60000
+      continue
+    }
+    if (!c.minute.has(w.minute)) {
+      t += 60000
+      continue
+    }
+    if (!hourStar) {
+      const passes = instantsForWall(w.year, w.month, w.day, w.hour, w.minute, timeZone)
+      if (passes.length > 1 && t !== passes[0]) {
+        t += 60000
+        continue
+      }
+    }
+    return t
+  }
+  return null
+}
+
 /**
  * Compute the next time a parsed cron fires strictly AFTER `fromMs`, in the
- * daemon's LOCAL time zone. Returns an epoch-ms timestamp, or null if no match
+ * daemon's LOCAL time zone — or, when `opts.timeZone` names an IANA zone, in
+ * that zone (see computeZonedCronNextRun for its DST rules). Returns an epoch-ms timestamp, or null if no match
  * falls within the search horizon (an impossible expression).
  *
  * Local time is deliberate: `0 9 * * *` should mean 9am wall-clock.
@@ -210,13 +374,23 @@ function dayMatches(c, d) {
  * This falls out of reading getHours()/getMinutes() back off a local Date after
  * each step: the Date never reports the non-existent 02:xx (setHours(2) on that
  * day normalizes to 03:00), so the 02:xx minute is never matched. On a fall-back
- * day the duplicated hour fires once. Explicit per-task time zones are a future
- * concern.
+ * day the duplicated hour fires once.
+ *
+ * Local time follows the HOST: a daemon that moves zones (a laptop that
+ * travels, a container whose TZ changes) silently shifts every local-time
+ * task. A cadence that must mean a specific wall clock carries an explicit
+ * `timezone` instead, which routes through the zoned walk.
  * @param {ReturnType<typeof parseCron>} c
  * @param {number} fromMs
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone] - IANA zone (e.g. 'Europe/Berlin'); absent = host local
  * @returns {number|null}
  */
-export function computeCronNextRun(c, fromMs) {
+export function computeCronNextRun(c, fromMs, { timeZone } = {}) {
+  if (timeZone !== undefined && timeZone !== null) {
+    if (!isValidTimeZone(timeZone)) return null
+    return computeZonedCronNextRun(c, fromMs, timeZone)
+  }
   const horizon = fromMs + CRON_HORIZON_MS
   const d = new Date(fromMs)
   // Advance to the next whole minute strictly after fromMs.
@@ -303,8 +477,11 @@ export function computeNextRun(task, { from = Date.now() } = {}) {
       } catch {
         return null
       }
-      return computeCronNextRun(parsed, from)
+      return computeCronNextRun(parsed, from, { timeZone: cadence.timezone })
     }
+    case 'event':
+      // Fired by SchedulerEngine.handleRepoEvent, never by the timer.
+      return null
     default:
       return null
   }
@@ -0,0 +1,107 @@
+// Event cadences for the scheduled-task registry: fire a task when a matching
+// repo-event arrives instead of at a time. The only source today is the GitHub
+// webhook receiver (github-webhook.js), whose normalizeGithubEvent() output is
+// what `matchesEventCadence` and `renderEventPrompt` read — so a task matches the
+// same compact shape the Control Room repo-events feed renders, never the raw
+// webhook body.
+//
+//   { kind: 'event', event: 'pull_request', repo?: 'owner/name', action?: 'opened' }
+//   { kind: 'event', event: 'push', repo?: 'owner/name', branch?: 'main' }
+//
+// Pure: no I/O, no clock. The store validates the shape with EVENT_CADENCE_TYPES
+// and the per-field caps below; the engine (scheduler.js handleRepoEvent) does
+// the matching and firing, through the same preflight/clamp path as a timed run.
+//
+// ── The payload is UNTRUSTED prompt input ────────────────────────────────────
+// The HMAC proves a delivery came from GitHub, not that its CONTENT is benign:
+// anyone who can open a PR or an issue on a watched repo writes the title that
+// gets templated into an unattended agent's prompt. Substituted values are
+// flattened to one line and length-capped so a payload cannot restructure the
+// prompt wholesale, but that is damage limitation, not a defense — the real
+// bound is the engine's unattended permission floor (nothing gated runs without
+// an explicit rule). Operators should write event prompts that treat
+// `{{event.title}}` as data to look at, not instructions to follow.
+
+/** Normalized repo-event kinds an event cadence may subscribe to. */
+export const EVENT_CADENCE_TYPES = Object.freeze(['push', 'pull_request', 'issues'])
+
+/** Event kinds that carry an `action` (opened / closed / …) to filter on. */
+const ACTION_EVENT_TYPES = new Set(['pull_request', 'issues'])
+
+/** Event kinds that carry a `branch` to filter on. */
+const BRANCH_EVENT_TYPES = new Set(['push'])
+
+/**
+ * Wire caps for the event cadence's filter fields, mirroring
+ * `ScheduledTaskCadenceEventSchema` in @chroxy/protocol. Rejected at the store,
+ * not clamped — a truncated repo or branch filter silently matches a different
+ * (or no) stream of events, the same reasoning as the cron-expression cap.
+ */
+export const EVENT_CADENCE_FIELD_CAPS = Object.freeze({
+  event: 64,
+  repo: 256,
+  action: 64,
+  branch: 256,
+})
+
+/** Fields of a normalized repo-event a prompt may reference as `{{event.<field>}}`. */
+export const EVENT_TEMPLATE_FIELDS = Object.freeze([
+  'kind', 'repo', 'actor', 'action', 'number', 'branch', 'title', 'url', 'summary', 'at',
+])
+
+/** Longest single substituted value, after flattening to one line. */
+export const MAX_TEMPLATE_VALUE_LENGTH = 500
+
+/** Whether `action` is a meaningful filter for this event type. */
+export function eventTypeHasAction(type) {
+  return ACTION_EVENT_TYPES.has(type)
+}
+
+/** Whether `branch` is a meaningful filter for this event type. */
+export function eventTypeHasBranch(type) {
+  return BRANCH_EVENT_TYPES.has(type)
+}
+
+/**
+ * Whether a normalized repo-event satisfies an event cadence. Every filter the
+ * cadence sets must match; an absent filter matches anything. `repo` compares
+ * case-insensitively (GitHub owner/name lookups are case-insensitive), `action`
+ * and `branch` exactly.
+ *
+ * @param {object} cadence - a stored `{ kind: 'event', ... }` cadence
+ * @param {object} event   - normalizeGithubEvent() output
+ * @returns {boolean}
+ */
+export function matchesEventCadence(cadence, event) {
+  if (!cadence || cadence.kind !== 'event' || !event || typeof event !== 'object') return false
+  if (event.kind !== cadence.event) return false
+  if (cadence.repo !== undefined) {
+    if (typeof event.repo !== 'string' || event.repo.toLowerCase() !== cadence.repo.toLowerCase()) return false
+  }
+  if (cadence.action !== undefined && event.action !== cadence.action) return false
+  if (cadence.branch !== undefined && event.branch !== cadence.branch) return false
+  return true
+}
+
+function templateValue(value) {
+  if (value === null || value === undefined) return ''
+  const flat = String(value).replace(/[\r\n\t]+/g, ' ').trim()
+  return flat.length > MAX_TEMPLATE_VALUE_LENGTH ? `${flat.slice(0, MAX_TEMPLATE_VALUE_LENGTH - 1)}…` : flat
+}
+
+/**
+ * Substitute `{{event.<field>}}` placeholders in a task prompt. A known field
+ * with no value renders empty; an unknown field is left verbatim so a typo is
+ * visible in the run's transcript rather than silently vanishing. Single pass —
+ * a value containing `{{event.…}}` text is never expanded again.
+ *
+ * @param {string} template
+ * @param {object} event - normalizeGithubEvent() output
+ * @returns {string}
+ */
+export function renderEventPrompt(template, event) {
+  if (typeof template !== 'string') return ''
+  return template.replace(/\{\{\s*event\.([a-zA-Z_]+)\s*\}\}/g, (whole, field) => (
+    EVENT_TEMPLATE_FIELDS.includes(field) ? templateValue(event?.[field]) : whole
+  ))
+}
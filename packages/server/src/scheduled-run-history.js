@@ -0,0 +1,364 @@
+import fs from 'fs'
+import { randomUUID } from 'crypto'
+import { dirname, join, resolve } from 'path'
+import { writeFileRestricted } from './platform.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('scheduled-run-history')
+
+// On-disk index version. Same gate as scheduled-task-store.js: an unknown
+// version is ignored whole rather than read against the wrong shape.
+const INDEX_VERSION = 1
+
+/** Runs kept per task; the oldest beyond this are pruned on every record. */
+export const DEFAULT_MAX_RUNS_PER_TASK = 50
+
+/** How long a run is kept at all, regardless of the per-task count. */
+export const DEFAULT_RUN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000
+
+// Hard cap on index entries across every task, so a registry of many chatty
+// tasks cannot grow the index without bound inside the retention window.
+const MAX_INDEX_ENTRIES = 5000
+
+// The index carries a preview; the full final message lives in the run file.
+const FINAL_MESSAGE_PREVIEW_CHARS = 500
+// Per transcript-entry cap on string payloads — the same 50 KB ceiling
+// session-message-history.js applies when it persists history.
+const MAX_TRANSCRIPT_STRING_CHARS = 50 * 1024
+const MAX_TRANSCRIPT_ENTRIES = 2000
+const MAX_FILES_CHANGED = 200
+
+// Run files are named by the uuid this module mints, never by a caller-supplied
+// string, so a lookup id that is not one cannot name a path outside the dir.
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/** Tools whose input names the single file they write. */
+const FILE_WRITE_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'NotebookEdit'])
+
+/**
+ * How a run ended, one notch finer than `lastRun.status`: a permission-blocked
+ * run is `status: 'error'` (scheduler.js never lets it read as success) but is
+ * not a crash, and the history should say which it was.
+ */
+export const RUN_EXIT_CLASSES = Object.freeze([
+  'completed', 'permission-blocked', 'timeout', 'interrupted', 'refused', 'skipped', 'error',
+])
+
+const EXIT_BY_STATUS = {
+  success: 'completed',
+  timeout: 'timeout',
+  interrupted: 'interrupted',
+  refused: 'refused',
+  skipped: 'skipped',
+}
+
+/**
+ * The exit class for a recorded run: the executor's own classification when it
+ * gave a known one, else the one its status implies. Anything unrecognized is
+ * `error` — never `completed`.
+ * @param {string} status - the recorded `lastRun.status`
+ * @param {string} [exit] - the executor's classification, if any
+ * @returns {string}
+ */
+export function classifyRunExit(status, exit) {
+  if (RUN_EXIT_CLASSES.includes(exit)) return exit
+  return EXIT_BY_STATUS[status] ?? 'error'
+}
+
+/** Clamp a string to `max` chars, marking the cut. */
+function clampString(value, max) {
+  return value.length > max ? `${value.slice(0, max)}[truncated]` : value
+}
+
+/** A session-history entry as a transcript line: no `_seq`, bounded payloads. */
+function transcriptEntry(entry) {
+  const { _seq: _ignored, ...out } = entry
+  for (const key of ['content', 'result']) {
+    if (typeof out[key] === 'string') out[key] = clampString(out[key], MAX_TRANSCRIPT_STRING_CHARS)
+  }
+  if (out.input !== undefined) {
+    let size = 0
+    try {
+      size = JSON.stringify(out.input)?.length ?? 0
+    } catch {
+      size = Infinity
+    }
+    if (size > MAX_TRANSCRIPT_STRING_CHARS) out.input = { truncated: true }
+  }
+  return out
+}
+
+/** Paths a `tool_start` entry says it writes, across the providers' tool shapes. */
+function changedPaths(entry) {
+  const input = entry.input
+  if (!input || typeof input !== 'object') return []
+  if (FILE_WRITE_TOOLS.has(entry.tool)) {
+    const path = input.file_path ?? input.notebook_path
+    return typeof path === 'string' && path.length > 0 ? [path] : []
+  }
+  if (entry.tool === 'apply_patch') {
+    // codex app-server: `changes` is FileUpdateChange[] ({ path, kind, diff }),
+    // or a path-keyed map on older drivers.
+    const changes = input.changes
+    if (Array.isArray(changes)) return changes.map((c) => c?.path).filter((p) => typeof p === 'string' && p.length > 0)
+    if (changes && typeof changes === 'object') return Object.keys(changes)
+  }
+  return []
+}
+
+/**
+ * Derive a run's artifacts from the session-history entries it produced
+ * (session-message-history.js shapes). Pure.
+ *
+ * `filesChanged` lists the files the run's write/edit tool calls targeted — it
+ * is read off the transcript, not off the working tree, so it is exact for this
+ * run even in a dirty checkout, and a call the permission floor denied still
+ * shows up as attempted.
+ *
+ * @param {object[]} entries - history entries, oldest first
+ * @returns {{ transcript: object[], transcriptTruncated: boolean, finalMessage: string|null, cost: number|null, filesChanged: string[] }}
+ */
+export function collectRunArtifacts(entries) {
+  const list = Array.isArray(entries) ? entries.filter((e) => e && typeof e === 'object') : []
+  let finalMessage = null
+  let cost = null
+  const files = new Set()
+  for (const entry of list) {
+    if (entry.type === 'message' && entry.messageType === 'response' && typeof entry.content === 'string') {
+      finalMessage = entry.content
+    } else if (entry.type === 'result' && Number.isFinite(entry.cost)) {
+      cost = (cost ?? 0) + entry.cost
+    } else if (entry.type === 'tool_start') {
+      for (const path of changedPaths(entry)) files.add(path)
+    }
+  }
+  const kept = list.slice(-MAX_TRANSCRIPT_ENTRIES)
+  return {
+    transcript: kept.map(transcriptEntry),
+    transcriptTruncated: kept.length < list.length,
+    finalMessage,
+    cost,
+    filesChanged: [...files].slice(0, MAX_FILES_CHANGED),
+  }
+}
+
+/**
+ * Persisted history of scheduled runs (scheduler.js records one entry per fire
+ * attempt it persists — runs, refusals, and skips that advanced the schedule).
+ *
+ * Layout, under `dir` (a sibling of scheduled-tasks.json):
+ *   index.json       — `{ version, runs: RunSummary[] }`, oldest first
+ *   runs/<id>.json   — one file per run: the summary plus `finalMessage` and
+ *                      `transcript`, written only when the run produced either
+ *
+ * RunSummary:
+ *   { id, taskId, taskName, trigger: 'schedule'|'catch-up'|'event',
+ *     scheduledFor, startedAt, finishedAt, status, exit, sessionId?, error?,
+ *     cost, filesChanged, finalMessagePreview, hasTranscript, missedSlots? }
+ *
+ * Every operation re-reads the index from disk rather than caching it: the
+ * daemon records while `chroxy schedule` reads and deletes from another
+ * process, and a cached copy would write a CLI delete straight back. Writes are
+ * atomic (writeFileRestricted, 0600). A missing, corrupt, or unknown-version
+ * index reads as empty — history is a record, never something a run depends on.
+ *
+ * Retention is applied on every record: runs older than `retentionMs` go, then
+ * each task keeps its newest `maxRunsPerTask`. A pruned run's file goes with it.
+ */
+export class ScheduledRunHistory {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding index.json and runs/.
+   * @param {object} [options.logger]
+   * @param {() => number} [options.now] - Test seam for the clock.
+   * @param {number} [options.maxRunsPerTask]
+   * @param {number} [options.retentionMs]
+   */
+  constructor({ dir, logger, now, maxRunsPerTask = DEFAULT_MAX_RUNS_PER_TASK, retentionMs = DEFAULT_RUN_RETENTION_MS } = {}) {
+    if (!dir) throw new Error('ScheduledRunHistory requires a dir')
+    this._dir = dir
+    this._indexPath = join(dir, 'index.json')
+    this._runsDir = join(dir, 'runs')
+    this._log = logger || log
+    this._now = typeof now === 'function' ? now : Date.now
+    this._maxRunsPerTask = Math.max(1, Math.floor(maxRunsPerTask) || DEFAULT_MAX_RUNS_PER_TASK)
+    this._retentionMs = retentionMs
+  }
+
+  /**
+   * Record one run and prune. Returns the stored summary (a copy).
+   * @param {object} run - the summary fields (minus `id`), plus optional
+   *   `artifacts` from {@link collectRunArtifacts}
+   * @returns {object}
+   */
+  record(run) {
+    const artifacts = run?.artifacts ?? null
+    const finalMessage = typeof artifacts?.finalMessage === 'string' ? artifacts.finalMessage : null
+    const transcript = Array.isArray(artifacts?.transcript) ? artifacts.transcript : []
+    const summary = {
+      id: randomUUID(),
+      taskId: String(run.taskId),
+      taskName: run.taskName ?? null,
+      trigger: run.trigger ?? 'schedule',
+      scheduledFor: Number.isFinite(run.scheduledFor) ? run.scheduledFor : null,
+      startedAt: run.startedAt,
+      finishedAt: Number.isFinite(run.finishedAt) ? run.finishedAt : this._now(),
+      status: run.status,
+      exit: classifyRunExit(run.status, run.exit),
+      ...(run.sessionId ? { sessionId: run.sessionId } : {}),
+      ...(run.error ? { error: String(run.error) } : {}),
+      ...(Number.isInteger(run.missedSlots) ? { missedSlots: run.missedSlots } : {}),
+      cost: Number.isFinite(artifacts?.cost) ? artifacts.cost : null,
+      filesChanged: Array.isArray(artifacts?.filesChanged) ? artifacts.filesChanged.slice(0, MAX_FILES_CHANGED) : [],
+      finalMessagePreview: finalMessage === null ? null : clampString(finalMessage, FINAL_MESSAGE_PREVIEW_CHARS),
+      hasTranscript: transcript.length > 0,
+    }
+
+    // Run file first: an index entry must never point at a file that was not
+    // written. A file with no index entry is merely unreachable.
+    if (finalMessage !== null || transcript.length > 0) {
+      this._write(join(this._runsDir, `${summary.id}.json`), {
+        version: INDEX_VERSION,
+        ...summary,
+        finalMessage,
+        transcript,
+        transcriptTruncated: artifacts?.transcriptTruncated === true,
+      })
+    }
+    const runs = this._readIndex()
+    runs.push(summary)
+    this._writeIndex(this._prune(runs))
+    return { ...summary, filesChanged: [...summary.filesChanged] }
+  }
+
+  /**
+   * A task's runs, newest first.
+   * @param {string} taskId
+   * @param {{ limit?: number }} [opts]
+   * @returns {object[]}
+   */
+  list(taskId, { limit } = {}) {
+    const runs = this._readIndex().filter((r) => r.taskId === taskId).reverse()
+    return Number.isInteger(limit) && limit > 0 ? runs.slice(0, limit) : runs
+  }
+
+  /**
+   * One run with its final message and transcript, or null when unknown.
+   * @param {string} runId
+   * @returns {object|null}
+   */
+  get(runId) {
+    if (typeof runId !== 'string' || !RUN_ID_PATTERN.test(runId)) return null
+    const summary = this._readIndex().find((r) => r.id === runId)
+    if (!summary) return null
+    const detail = summary.hasTranscript || summary.finalMessagePreview !== null
+      ? this._read(join(this._runsDir, `${runId}.json`))
+      : null
+    return {
+      ...summary,
+      finalMessage: typeof detail?.finalMessage === 'string' ? detail.finalMessage : summary.finalMessagePreview,
+      transcript: Array.isArray(detail?.transcript) ? detail.transcript : [],
+      transcriptTruncated: detail?.transcriptTruncated === true,
+    }
+  }
+
+  /**
+   * Drop every run of a task (its definition was deleted).
+   * @param {string} taskId
+   * @returns {number} runs removed
+   */
+  removeTask(taskId) {
+    const runs = this._readIndex()
+    const kept = runs.filter((r) => r.taskId !== taskId)
+    if (kept.length === runs.length) return 0
+    this._writeIndex(kept)
+    for (const r of runs) if (r.taskId === taskId) this._unlinkRun(r.id)
+    return runs.length - kept.length
+  }
+
+  /** @private — apply retention, deleting the run files of what it drops. */
+  _prune(runs) {
+    const cutoff = Number.isFinite(this._retentionMs) && this._retentionMs > 0 ? this._now() - this._retentionMs : -Infinity
+    const perTask = new Map()
+    const kept = []
+    // Walk newest-first so each task keeps its NEWEST runs.
+    for (let i = runs.length - 1; i >= 0; i--) {
+      const r = runs[i]
+      const count = perTask.get(r.taskId) ?? 0
+      if (r.finishedAt < cutoff || count >= this._maxRunsPerTask || kept.length >= MAX_INDEX_ENTRIES) {
+        this._unlinkRun(r.id)
+        continue
+      }
+      perTask.set(r.taskId, count + 1)
+      kept.push(r)
+    }
+    return kept.reverse()
+  }
+
+  /** @private */
+  _readIndex() {
+    const parsed = this._read(this._indexPath)
+    if (!parsed) return []
+    if (parsed.version !== INDEX_VERSION) {
+      this._log.warn(`Unsupported scheduled-run index version ${JSON.stringify(parsed.version)} at ${this._indexPath} (expected ${INDEX_VERSION}) — ignoring`)
+      return []
+    }
+    return Array.isArray(parsed.runs)
+      ? parsed.runs.filter((r) => r && typeof r.id === 'string' && typeof r.taskId === 'string' && Number.isFinite(r.finishedAt))
+      : []
+  }
+
+  /** @private */
+  _writeIndex(runs) {
+    this._write(this._indexPath, { version: INDEX_VERSION, runs })
+  }
+
+  /** @private — parse a JSON file; null when missing or unreadable (logged). */
+  _read(filePath) {
+    let raw
+    try {
+      raw = fs.readFileSync(filePath, 'utf-8')
+    } catch (err) {
+      if (err && err.code !== 'ENOENT') this._log.warn(`Failed to read ${filePath}: ${err.message}`)
+      return null
+    }
+    try {
+      const parsed = JSON.parse(raw)
+      return parsed && typeof parsed === 'object' ? parsed : null
+    } catch (err) {
+      this._log.warn(`Failed to parse ${filePath}: ${err.message} — ignoring`)
+      return null
+    }
+  }
+
+  /** @private — atomic 0600 write; a failure is logged, never thrown. */
+  _write(filePath, value) {
+    try {
+      const dir = dirname(filePath)
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
+      writeFileRestricted(filePath, JSON.stringify(value, null, 2), { tmpSuffix: `.tmp-${process.pid}` })
+    } catch (err) {
+      this._log.error(`Failed to write scheduled-run history ${filePath}: ${err?.stack || err}`)
+    }
+  }
+
+  /** @private */
+  _unlinkRun(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) return
+    try {
+      fs.unlinkSync(join(this._runsDir, `${runId}.json`))
+    } catch (err) {
+      if (err && err.code !== 'ENOENT') this._log.warn(`Failed to remove scheduled-run file ${runId}: ${err.message}`)
+    }
+  }
+}
+
+/**
+ * Default history directory given the session-state file — a sibling of
+ * scheduled-tasks.json, so the daemon and `chroxy schedule` resolve the same one.
+ * @param {string} stateFilePath
+ * @returns {string}
+ */
+export function defaultScheduledRunsDir(stateFilePath) {
+  return resolve(dirname(stateFilePath), 'scheduled-runs')
+}
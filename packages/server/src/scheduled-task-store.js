@@ -3,8 +3,14 @@ import { randomUUID } from 'crypto'
 import { dirname, resolve } from 'path'
 import { writeFileRestricted } from './platform.js'
 import { createLogger } from './logger.js'
-import { computeNextRun, parseCron, MIN_INTERVAL_MS } from './schedule-parser.js'
+import { computeNextRun, parseCron, isValidTimeZone, MIN_INTERVAL_MS, MAX_TIMEZONE_LENGTH } from './schedule-parser.js'
 import { ALLOWED_PERMISSION_MODE_IDS } from './handler-utils.js'
+import {
+  EVENT_CADENCE_TYPES,
+  EVENT_CADENCE_FIELD_CAPS,
+  eventTypeHasAction,
+  eventTypeHasBranch,
+} from './scheduled-event-cadence.js'
 
 const log = createLogger('scheduled-task-store')
 
@@ -18,7 +24,7 @@ const STORE_VERSION = 1
 // the cap are dropped on load (oldest kept) and refused on add.
 const MAX_TASKS = 500
 
-const CADENCE_KINDS = new Set(['once', 'interval', 'cron'])
+const CADENCE_KINDS = new Set(['once', 'interval', 'cron', 'event'])
 
 /**
  * #7051 — the wire cap on `cadence.cron.expression`, mirroring
@@ -108,7 +114,7 @@ function requireIdWithinWireCap(id) {
  */
 const MAX_EPOCH_MS = 8.64e15
 // `refused` (#6997 review) = the engine declined to start the run at all — an
-// unsupported hook-routed provider, a cwd outside the allowlist, or a permission
+// unsupported provider, a cwd outside the allowlist, or a permission
 // mode it could not verify. Distinct from `error` (the run happened and failed)
 // and `skipped` (the slot passed) so a reader can tell an operator that NOTHING
 // ran and that the task definition needs fixing.
@@ -124,6 +130,32 @@ const MAX_EPOCH_MS = 8.64e15
 // the task firing for the rest of the process.
 const LAST_RUN_STATUSES = new Set(['success', 'error', 'skipped', 'timeout', 'refused', 'interrupted'])
 
+/**
+ * What the engine does with cadence slots that passed while nothing was firing
+ * them (the daemon was down, or the host slept through them):
+ *   - `skip` — the default and the pre-existing behaviour: arm the next slot,
+ *     record nothing.
+ *   - `once` — fire ONE run on return, standing in for every missed slot.
+ *   - `all`  — fire one run per missed slot, oldest first, capped at `maxRuns`
+ *     (the newest slots win; the rest are recorded as skipped).
+ */
+export const CATCH_UP_POLICIES = Object.freeze(['skip', 'once', 'all'])
+export const DEFAULT_CATCH_UP_MAX_RUNS = 5
+// A backfill is a burst of unattended sessions; past this it stops being a
+// catch-up and becomes a replay nobody asked for.
+export const MAX_CATCH_UP_MAX_RUNS = 50
+
+/**
+ * When a finished run pushes a notification (scheduler.js → PushManager,
+ * category `scheduled_run`):
+ *   - `never`      — the default.
+ *   - `on-failure` — the run ended `error`, `timeout` or `refused`.
+ *   - `on-change`  — the run's status differs from the previous run's (a task's
+ *     first recorded run counts as a change).
+ *   - `always`     — every recorded run, skips included.
+ */
+export const NOTIFY_POLICIES = Object.freeze(['never', 'on-failure', 'on-change', 'always'])
+
 /**
  * Error thrown when a task submitted to add()/update() is malformed. Carries the
  * offending field name so a caller (CLI #6868 / dashboard #6871) can surface a
@@ -192,7 +224,7 @@ function normalizeTarget(target) {
 /**
  * Normalize + validate a cadence into its canonical stored form. Throws
  * {@link ScheduledTaskValidationError} on anything malformed.
- * @returns {{kind:'once',at:number} | {kind:'interval',everyMs:number,anchor?:number} | {kind:'cron',expression:string}}
+ * @returns {{kind:'once',at:number} | {kind:'interval',everyMs:number,anchor?:number} | {kind:'cron',expression:string,timezone?:string} | {kind:'event',event:string,repo?:string,action?:string,branch?:string}}
  */
 function normalizeCadence(cadence) {
   if (!cadence || typeof cadence !== 'object') {
@@ -259,14 +291,183 @@ function normalizeCadence(cadence) {
       } catch (err) {
         throw new ScheduledTaskValidationError(`invalid cron expression: ${err.message}`, 'cadence.expression')
       }
-      return { kind: 'cron', expression }
+      const out = { kind: 'cron', expression }
+      // Optional IANA zone. Absent / empty = the daemon's local time (the
+      // pre-timezone behavior, so every existing record reads unchanged).
+      // Rejected, not dropped: silently falling back to local time would fire
+      // the task at a wall clock the operator explicitly did not ask for.
+      if (cadence.timezone !== undefined && cadence.timezone !== null) {
+        if (typeof cadence.timezone !== 'string') {
+          throw new ScheduledTaskValidationError('cron cadence timezone must be a string', 'cadence.timezone')
+        }
+        const timezone = cadence.timezone.trim()
+        if (timezone.length > 0) {
+          if (timezone.length > MAX_TIMEZONE_LENGTH || !isValidTimeZone(timezone)) {
+            throw new ScheduledTaskValidationError(
+              `cron cadence timezone '${timezone.slice(0, MAX_TIMEZONE_LENGTH)}' is not a known IANA time zone (e.g. Europe/Berlin, America/New_York, UTC)`,
+              'cadence.timezone',
+            )
+          }
+          out.timezone = timezone
+        }
+      }
+      return out
     }
+    case 'event':
+      return normalizeEventCadence(cadence)
     default:
       // Unreachable — CADENCE_KINDS gates kind above.
       throw new ScheduledTaskValidationError('unsupported cadence', 'cadence.kind')
   }
 }
 
+/**
+ * The `event` branch of normalizeCadence (scheduled-event-cadence.js). Filters
+ * are optional, but a filter the event type cannot carry (`branch` on a PR,
+ * `action` on a push) is rejected rather than stored: it could never match, so
+ * the task would sit armed and silent forever.
+ */
+function normalizeEventCadence(cadence) {
+  const field = (name) => {
+    const value = optionalString(cadence[name], `cadence.${name}`)
+    if (value !== undefined && value.length > EVENT_CADENCE_FIELD_CAPS[name]) {
+      throw new ScheduledTaskValidationError(
+        `event cadence ${name} must be <= ${EVENT_CADENCE_FIELD_CAPS[name]} characters (got ${value.length})`,
+        `cadence.${name}`,
+      )
+    }
+    return value
+  }
+  const event = field('event')
+  if (!EVENT_CADENCE_TYPES.includes(event)) {
+    throw new ScheduledTaskValidationError(
+      `event cadence requires \`event\` to be one of ${EVENT_CADENCE_TYPES.join(', ')}`,
+      'cadence.event',
+    )
+  }
+  const out = { kind: 'event', event }
+  const repo = field('repo')
+  if (repo !== undefined) {
+    if (!/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+      throw new ScheduledTaskValidationError(`event cadence repo must be "owner/name" (got '${repo}')`, 'cadence.repo')
+    }
+    out.repo = repo
+  }
+  const action = field('action')
+  if (action !== undefined) {
+    if (!eventTypeHasAction(event)) {
+      throw new ScheduledTaskValidationError(`a ${event} event carries no action to filter on`, 'cadence.action')
+    }
+    out.action = action
+  }
+  const branch = field('branch')
+  if (branch !== undefined) {
+    if (!eventTypeHasBranch(event)) {
+      throw new ScheduledTaskValidationError(`a ${event} event carries no branch to filter on`, 'cadence.branch')
+    }
+    out.branch = branch
+  }
+  return out
+}
+
+/**
+ * Normalize + validate a catch-up policy against the task's cadence. Absent =
+ * `{ policy: 'skip' }`. An `event` cadence has no slots to miss (a delivery is
+ * never re-offered), so any other policy on one is rejected rather than stored
+ * as a setting that can never apply.
+ * @returns {{policy:'skip'|'once'} | {policy:'all', maxRuns:number}}
+ */
+function normalizeCatchUp(catchUp, cadence) {
+  if (catchUp === undefined || catchUp === null) return { policy: 'skip' }
+  if (!isPlainObject(catchUp)) throw new ScheduledTaskValidationError('catchUp must be a plain object', 'catchUp')
+  const policy = catchUp.policy ?? 'skip'
+  if (!CATCH_UP_POLICIES.includes(policy)) {
+    throw new ScheduledTaskValidationError(`catchUp.policy must be one of ${CATCH_UP_POLICIES.join(', ')}`, 'catchUp.policy')
+  }
+  if (policy !== 'skip' && cadence?.kind === 'event') {
+    throw new ScheduledTaskValidationError('an event cadence has no missed slots to catch up — use catchUp.policy skip', 'catchUp.policy')
+  }
+  if (policy !== 'all') {
+    if (catchUp.maxRuns !== undefined && catchUp.maxRuns !== null) {
+      throw new ScheduledTaskValidationError("catchUp.maxRuns only applies to the 'all' policy", 'catchUp.maxRuns')
+    }
+    return { policy }
+  }
+  const maxRuns = catchUp.maxRuns ?? DEFAULT_CATCH_UP_MAX_RUNS
+  if (!Number.isInteger(maxRuns) || maxRuns < 1 || maxRuns > MAX_CATCH_UP_MAX_RUNS) {
+    throw new ScheduledTaskValidationError(`catchUp.maxRuns must be an integer from 1 to ${MAX_CATCH_UP_MAX_RUNS}`, 'catchUp.maxRuns')
+  }
+  return { policy, maxRuns }
+}
+
+// A workflow reference's name follows workflow-definition.js's file-stem rule;
+// the workflow itself is only loaded (and its inputs checked) when the task fires,
+// since the file lives in the target repo and may change between fires.
+const WORKFLOW_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/
+const WORKFLOW_INPUT_KEY_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/
+const MAX_WORKFLOW_INPUTS = 32
+const MAX_WORKFLOW_INPUT_LENGTH = 8 * 1024
+
+/**
+ * Normalize + validate the workflow a task runs instead of a prompt
+ * (`.chroxy/workflows/<name>.yml` under `target.cwd`): `{ name, inputs }`, or
+ * null for a plain prompt task.
+ */
+function normalizeWorkflowRef(workflow) {
+  if (workflow === undefined || workflow === null) return null
+  if (!isPlainObject(workflow)) throw new ScheduledTaskValidationError('workflow must be a plain object', 'workflow')
+  if (typeof workflow.name !== 'string' || !WORKFLOW_NAME_RE.test(workflow.name)) {
+    throw new ScheduledTaskValidationError('workflow.name must be a workflow file stem (letters, digits, . _ -)', 'workflow.name')
+  }
+  const inputs = workflow.inputs ?? {}
+  if (!isPlainObject(inputs)) throw new ScheduledTaskValidationError('workflow.inputs must be a plain object', 'workflow.inputs')
+  const entries = Object.entries(inputs)
+  if (entries.length > MAX_WORKFLOW_INPUTS) {
+    throw new ScheduledTaskValidationError(`workflow.inputs takes at most ${MAX_WORKFLOW_INPUTS} entries`, 'workflow.inputs')
+  }
+  const out = {}
+  for (const [key, value] of entries) {
+    if (!WORKFLOW_INPUT_KEY_RE.test(key)) {
+      throw new ScheduledTaskValidationError(`workflow input name "${key}" must be letters, digits, _ and -`, 'workflow.inputs')
+    }
+    if (typeof value !== 'string' || value.length > MAX_WORKFLOW_INPUT_LENGTH) {
+      throw new ScheduledTaskValidationError(`workflow.inputs.${key} must be a string of at most ${MAX_WORKFLOW_INPUT_LENGTH} characters`, `workflow.inputs.${key}`)
+    }
+    out[key] = value
+  }
+  return { name: workflow.name, inputs: out }
+}
+
+/**
+ * A task runs exactly one of: its prompt, or a workflow. A workflow task stores
+ * an empty prompt, so a task carrying both is refused rather than one of them
+ * being silently ignored.
+ */
+function requireRunnable(record) {
+  if (record.workflow) {
+    if (record.prompt.trim().length > 0) {
+      throw new ScheduledTaskValidationError('a workflow task has no prompt — the workflow supplies every step\'s prompt', 'prompt')
+    }
+    if (!record.target.cwd) {
+      throw new ScheduledTaskValidationError('a workflow task needs target.cwd — the repo its workflow file lives in', 'target.cwd')
+    }
+    return record
+  }
+  if (record.prompt.trim().length === 0) {
+    throw new ScheduledTaskValidationError('prompt is required (non-empty string)', 'prompt')
+  }
+  return record
+}
+
+/** Normalize + validate a notification policy. Absent = `never`. */
+function normalizeNotify(notify) {
+  if (notify === undefined || notify === null) return 'never'
+  if (!NOTIFY_POLICIES.includes(notify)) {
+    throw new ScheduledTaskValidationError(`notify must be one of ${NOTIFY_POLICIES.join(', ')}`, 'notify')
+  }
+  return notify
+}
+
 /**
  * Normalize + validate a `lastRun` result stub. Optional; when present must be
  * `{ at, status[, sessionId, error] }`. The engine (#6865) fills this after a
@@ -298,15 +499,19 @@ function normalizeLastRun(lastRun) {
  *     id: string,                    // stable uuid
  *     name: string | null,           // optional human label
  *     enabled: boolean,              // paused === !enabled
- *     prompt: string,                // instructions the run executes
+ *     prompt: string,                // instructions the run executes ('' for a workflow task)
+ *     workflow: { name, inputs } | null,  // run this .chroxy/workflows/ pipeline instead
  *     target: {                      // session config the run is created with
  *       provider?, model?, cwd?, permissionMode?
  *     },
- *     cadence:                       // one-time vs recurring
+ *     cadence:                       // one-time vs recurring vs repo-event
  *       | { kind: 'once', at }
  *       | { kind: 'interval', everyMs, anchor? }
- *       | { kind: 'cron', expression },
- *     nextRun: number | null,        // COMPUTED (never fired here), for display
+ *       | { kind: 'cron', expression, timezone? }  // IANA zone; absent = daemon local
+ *       | { kind: 'event', event, repo?, action?, branch? },  // fires on a webhook delivery
+ *     catchUp: { policy: 'skip'|'once' } | { policy: 'all', maxRuns },  // missed slots
+ *     notify: 'never' | 'on-failure' | 'on-change' | 'always',          // push policy
+ *     nextRun: number | null,        // COMPUTED (never fired here), for display; always null for `event`
  *     lastRun: { at, status, sessionId?, error? } | null,  // engine fills this
  *     createdAt: number,
  *     updatedAt: number,
@@ -422,7 +627,7 @@ export class ScheduledTaskStore {
    * Add a new task. Assigns a fresh id (or accepts a caller-supplied id that
    * does not collide), timestamps it, and computes `nextRun`. Persists. Throws
    * {@link ScheduledTaskValidationError} on invalid input.
-   * @param {object} input - `{ prompt, cadence, target?, enabled?, name?, id?, lastRun? }`
+   * @param {object} input - `{ prompt, cadence, target?, workflow?, enabled?, name?, id?, lastRun?, catchUp?, notify? }`
    * @returns {object} the stored task (a copy)
    */
   add(input) {
@@ -455,12 +660,17 @@ export class ScheduledTaskStore {
       enabled: input.enabled === undefined ? true : Boolean(input.enabled),
       prompt: this._requirePrompt(input.prompt),
       target: normalizeTarget(input.target),
+      workflow: normalizeWorkflowRef(input.workflow),
       cadence: normalizeCadence(input.cadence),
+      catchUp: null,
+      notify: normalizeNotify(input.notify),
       nextRun: null,
       lastRun: normalizeLastRun(input.lastRun),
       createdAt: now,
       updatedAt: now,
     }
+    requireRunnable(record)
+    record.catchUp = normalizeCatchUp(input.catchUp, record.cadence)
     record.nextRun = computeNextRun(record, { from: now })
     this._tasks.set(id, record)
     this._persist()
@@ -492,7 +702,7 @@ export class ScheduledTaskStore {
    * when the id is unknown. Throws {@link ScheduledTaskValidationError} on an
    * invalid patch value.
    * @param {string} id
-   * @param {object} patch - any subset of `{ prompt, cadence, target, enabled, name, lastRun }`
+   * @param {object} patch - any subset of `{ prompt, cadence, target, workflow, enabled, name, lastRun, catchUp, notify }`
    * @returns {object|null}
    */
   update(id, patch) {
@@ -505,9 +715,15 @@ export class ScheduledTaskStore {
     if ('prompt' in patch) next.prompt = this._requirePrompt(patch.prompt)
     if ('cadence' in patch) next.cadence = normalizeCadence(patch.cadence)
     if ('target' in patch) next.target = normalizeTarget(patch.target)
+    if ('workflow' in patch) next.workflow = normalizeWorkflowRef(patch.workflow)
     if ('enabled' in patch) next.enabled = Boolean(patch.enabled)
     if ('name' in patch) next.name = optionalString(patch.name, 'name') ?? null
     if ('lastRun' in patch) next.lastRun = normalizeLastRun(patch.lastRun)
+    if ('notify' in patch) next.notify = normalizeNotify(patch.notify)
+    // Re-checked on a cadence change too: switching a catching-up task to an
+    // `event` cadence must not keep a policy that can no longer apply.
+    next.catchUp = normalizeCatchUp('catchUp' in patch ? patch.catchUp : next.catchUp, next.cadence)
+    requireRunnable(next)
     next.updatedAt = this._now()
     next.nextRun = computeNextRun(next, { from: next.updatedAt })
     this._tasks.set(id, next)
@@ -567,10 +783,14 @@ export class ScheduledTaskStore {
     this._unreadable.push({ raw, id, reason: String(reason) })
   }
 
-  /** @private — require a non-empty string prompt. */
+  /**
+   * @private — require a string prompt. Absent is an empty prompt, which only a
+   * workflow task may have — requireRunnable() checks the pair.
+   */
   _requirePrompt(prompt) {
-    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
-      throw new ScheduledTaskValidationError('prompt is required (non-empty string)', 'prompt')
+    if (prompt === undefined || prompt === null) return ''
+    if (typeof prompt !== 'string') {
+      throw new ScheduledTaskValidationError('prompt must be a string', 'prompt')
     }
     return prompt
   }
@@ -596,12 +816,17 @@ export class ScheduledTaskStore {
       enabled: entry.enabled === undefined ? true : Boolean(entry.enabled),
       prompt: this._requirePrompt(entry.prompt),
       target: normalizeTarget(entry.target),
+      workflow: normalizeWorkflowRef(entry.workflow),
       cadence: normalizeCadence(entry.cadence),
+      catchUp: null,
+      notify: normalizeNotify(entry.notify),
       nextRun: null,
       lastRun: normalizeLastRun(entry.lastRun),
       createdAt,
       updatedAt,
     }
+    requireRunnable(record)
+    record.catchUp = normalizeCatchUp(entry.catchUp, record.cadence)
     // Recompute nextRun from the cadence rather than trusting the stored value,
     // so a stale/hand-edited nextRun can never diverge from the schedule.
     record.nextRun = computeNextRun(record, { from: this._now() })
@@ -613,7 +838,9 @@ export class ScheduledTaskStore {
     return {
       ...record,
       target: { ...record.target },
+      workflow: record.workflow ? { name: record.workflow.name, inputs: { ...record.workflow.inputs } } : null,
       cadence: { ...record.cadence },
+      catchUp: { ...record.catchUp },
       lastRun: record.lastRun ? { ...record.lastRun } : null,
     }
   }
@@ -5,6 +5,7 @@
 // Split of responsibility across the epic:
 //   - schedule-parser.js       — pure cadence parsing + next-run computation
 //   - scheduled-task-store.js  — persistence/CRUD of the standing registry
+//   - scheduled-event-cadence.js — `event` cadence matching + prompt templating
 //   - scheduler.js (this file) — arms timers, fires due tasks, records outcomes
 //   - #6868 CLI / #6871 panel  — read the registry + this engine's gate state
 //
@@ -52,19 +53,20 @@
 //    deny mechanism in (3) rides `session_event: permission_request` +
 //    `session.respondToPermission`, which exist ONLY on providers whose
 //    `capabilities.inProcessPermissions === true` (today: claude-sdk, claude-byok,
-//    codex via its app-server driver, deepseek, ollama — the live list is
-//    listSchedulableProviders(), read off the registry rather than hardcoded).
-//    Hook-routed providers — INCLUDING the daemon default `claude-tui`, plus
-//    claude-cli, claude-channel, gemini, and codex when CHROXY_CODEX_APPSERVER=0
-//    downgrades it to the exec driver — route prompts through
-//    hooks/permission-hook.sh → POST /permission → ws-permissions.js, which emits
-//    NO events this engine can observe and auto-denies after a 300s wait. On such
-//    a provider an unattended run would stall five minutes per gated tool call
-//    and then report SUCCESS for a turn whose every tool call was silently
-//    refused. Rather than pretend to govern it, a task resolving to a hook-routed
-//    provider is refused BEFORE any session is created and recorded `refused`
-//    with the provider named. Widening this to hook-routed providers needs a
-//    programmatic permission-answering surface — tracked in #7003.
+//    claude-channel, codex via its app-server driver, deepseek, ollama, and the
+//    hook-routed claude-tui — the daemon default — and claude-cli; the live list
+//    is listSchedulableProviders(), read off the registry rather than
+//    hardcoded). The hook-routed pair still prompt through
+//    hooks/permission-hook.sh → POST /permission → ws-permissions.js, which
+//    mirrors each held prompt onto the owning session (hook-permission-relay.js)
+//    so this engine denies it at once instead of it sitting out the 300s
+//    auto-deny. Chroxy's permission-rule store does not apply on that path, and
+//    its hook gates EVERY tool in `approve`, so on those two any tool call fails
+//    the run. Providers with no answerable prompt at all — gemini (runs `-y`),
+//    codex when CHROXY_CODEX_APPSERVER=0 downgrades it to the exec driver — are
+//    refused BEFORE any session is created and recorded `refused` with the
+//    provider named: there is nothing for (3) to deny, so a run there could not
+//    be held to the floor in (2).
 // 5. CWD CONFINEMENT is enforced HERE, on this path. It is NOT inherited: the
 //    store only trims the cwd string and SessionManager.createSession only
 //    `statSync`s it, so the real check (`validateCwdAllowed` — credential-dir
@@ -98,6 +100,17 @@
 // event loop alive or wedge a coverage run. destroy() clears everything and is
 // idempotent. Overlapping fires of one task are refused; a burst of
 // simultaneously-due tasks is serialized under a concurrency cap.
+//
+// ── Missed slots and run records ──────────────────────────────────────────────
+// A slot that passes while nothing fires it (daemon down, host asleep) is
+// handled by the task's `catchUp` policy (scheduled-task-store.js): `skip` arms
+// the next slot as before, `once` fires one stand-in run, `all` replays up to
+// `maxRuns` of the newest missed slots. Catch-up runs go through the same
+// `_fire` chokepoint — same preflight, same clamp, same cap — one at a time.
+// Every persisted outcome is also written to the run history
+// (scheduled-run-history.js) with the run's transcript, final message, cost and
+// files changed, and pushed as `scheduled_run` when the task's `notify` policy
+// asks for it.
 
 import { EventEmitter } from 'events'
 import { createLogger } from './logger.js'
@@ -105,6 +118,10 @@ import { isSchedulerEnabled } from './config.js'
 import { getProvider, listProviders, DEFAULT_PROVIDER } from './providers.js'
 import { validateCwdAllowed } from './handler-utils.js'
 import { TurnDriver, TurnError } from './orchestration/turn-driver.js'
+import { matchesEventCadence, renderEventPrompt } from './scheduled-event-cadence.js'
+import { computeNextRun } from './schedule-parser.js'
+import { collectRunArtifacts } from './scheduled-run-history.js'
+import { settlePush } from './push.js'
 
 const log = createLogger('scheduler')
 
@@ -130,8 +147,10 @@ export const DEFAULT_RUN_TIMEOUT_MS = 15 * 60 * 1000
  * them at once is a surprise burst of unattended agent sessions, so anything
  * staler than this grace window is recorded `skipped` instead of run. Recurring
  * cadences rarely reach it — the store recomputes nextRun FORWARD on load, so a
- * missed slot is simply skipped and there is no backfill — it mainly bounds a
- * one-time task whose `at` passed while the daemon was down.
+ * missed slot is simply skipped unless the task's `catchUp` policy asks for a
+ * backfill — it mainly bounds a one-time task whose `at` passed while the daemon
+ * was down. A task with a `once`/`all` catch-up policy is never skipped for
+ * lateness; its missed slots are queued instead.
  */
 export const DEFAULT_OVERDUE_GRACE_MS = 60 * 60 * 1000
 
@@ -143,6 +162,17 @@ export const DEFAULT_OVERDUE_GRACE_MS = 60 * 60 * 1000
  */
 export const DEFAULT_MAX_CONCURRENT_RUNS = 1
 
+/**
+ * Cadence slots enumerated one by one when counting a task's missed runs. A
+ * minutely cron across a month-long outage is ~43k slots; past this the scan
+ * jumps to just before the newest slots and the count is reported as a floor.
+ * Only the newest `maxRuns` are ever fired.
+ */
+const MAX_MISSED_SLOT_SCAN = 10_000
+
+/** Statuses the `on-failure` notify policy reports. */
+const NOTIFY_FAILURE_STATUSES = new Set(['error', 'timeout', 'refused'])
+
 /**
  * The permission mode an unattended run is pinned to. Chroxy's mode ids are
  * `approve` | `acceptEdits` | `auto` | `plan` (handler-utils.js
@@ -179,7 +209,7 @@ const SCHEDULED_ALLOWED_PERMISSION_MODES = new Set([SCHEDULED_PERMISSION_MODE, '
 
 /**
  * The `lastRun.status` recorded when the engine REFUSED to start a run at all:
- * an unsupported (hook-routed) provider, a disallowed cwd, or a permission mode
+ * an unsupported (unpromptable) provider, a disallowed cwd, or a permission mode
  * it could not verify. Deliberately its OWN status rather than `error` (which
  * means "the run happened and went wrong") or `skipped` (which means "the slot
  * passed"), so #6868/#6871 can tell an operator that nothing ran AND why — a
@@ -256,12 +286,11 @@ export function listSchedulableProviders(list = listProviders) {
  * The engine's whole permission story (deny-the-prompt, fail visibly) depends on
  * observing `session_event: permission_request` and answering via
  * `session.respondToPermission`. Both exist only where
- * `capabilities.inProcessPermissions === true`. A hook-routed provider instead
- * shells out to hooks/permission-hook.sh → POST /permission → ws-permissions.js,
- * which emits nothing observable and auto-denies after 300s — so an unattended
- * run there would stall five minutes per gated tool call and then look
- * successful. Refusing is the honest outcome; #7003 tracks giving hook-routed
- * providers a programmatic answering surface so support can widen.
+ * `capabilities.inProcessPermissions === true` — including the hook-routed
+ * providers, whose held prompts ws-permissions.js mirrors onto the session. A
+ * provider without them either runs tools unprompted (gemini) or has no
+ * approval channel at all (codex exec), so an unattended run there could not
+ * be held to the scheduled permission floor. Refusing is the honest outcome.
  *
  * @param {string} providerName - the provider the run would actually use
  * @param {(name: string) => Function} [getProviderClass=getProvider] - registry seam
@@ -278,11 +307,11 @@ export function scheduledProviderRefusalReason(providerName, getProviderClass =
     return `unknown provider '${providerName}': ${err?.message || err}`
   }
   if (ProviderClass?.capabilities?.inProcessPermissions === true) return null
-  // Kept under the 500-char cap _recordRefusal applies, so the #7003 pointer and
-  // the supported-provider list survive into the registry rather than being cut.
+  // Kept under the 500-char cap _recordRefusal applies, so the supported-provider
+  // list survives into the registry rather than being cut.
   const supported = listSchedulableProviders()
   const isDefault = providerName === DEFAULT_PROVIDER
-  return `provider '${providerName}' routes permission prompts through the permission hook (POST /permission), which the scheduler cannot answer — an unattended run would stall on every gated tool call until the 300s auto-deny, then report a turn whose tool calls were all silently refused.${isDefault ? ` It is also the daemon DEFAULT, so a task with no target.provider lands here.` : ''} Set target.provider to one of: ${supported.length ? supported.join(', ') : '(none)'}. Hook-routed support: #7003.`
+  return `provider '${providerName}' raises no permission prompt the scheduler can answer (it emits no permission_request and has no respondToPermission), so an unattended run could not be held to the scheduled permission floor — its tool calls would run or fail with nobody deciding.${isDefault ? ` It is also the daemon DEFAULT, so a task with no target.provider lands here.` : ''} Set target.provider to one of: ${supported.length ? supported.join(', ') : '(none)'}.`
 }
 
 /** setTimeout that never keeps the event loop alive (self-exit safety, #6933). */
@@ -306,6 +335,76 @@ export function resolveScheduledPermissionMode(requested) {
   return SCHEDULED_PERMISSION_MODE
 }
 
+/** A task's catch-up policy (records that predate the field skip). */
+function catchUpPolicy(task) {
+  return task?.catchUp?.policy ?? 'skip'
+}
+
+/** How many of a task's newest missed slots its policy replays. */
+function catchUpKeep(task) {
+  return catchUpPolicy(task) === 'all' ? task.catchUp.maxRuns : 1
+}
+
+/**
+ * The cadence slots of a recurring task in `(since, until]`, oldest first: the
+ * newest `keep` of them plus how many there were in total.
+ *
+ * @param {object} task - a stored task (cron or interval cadence)
+ * @param {number} since - exclusive lower bound (epoch ms)
+ * @param {number} until - inclusive upper bound (epoch ms)
+ * @param {number} keep - how many of the newest slots to return
+ * @returns {{ slots: number[], missed: number }}
+ */
+export function listMissedSlots(task, since, until, keep) {
+  // Enumerate the cadence as if the task were enabled and had never run, so
+  // computeNextRun answers purely from the schedule.
+  const probe = { ...task, enabled: true, lastRun: null }
+  const slots = []
+  let missed = 0
+  let from = since
+  for (;;) {
+    const next = computeNextRun(probe, { from })
+    if (!Number.isFinite(next) || next > until || next <= from) break
+    missed++
+    slots.push(next)
+    if (slots.length > keep) slots.shift()
+    if (missed === MAX_MISSED_SLOT_SCAN) {
+      // Too many to walk: skip to a window that still holds the newest `keep`
+      // slots (twice the last gap per slot, for cron's uneven spacing).
+      const gap = next - from
+      const jump = until - gap * 2 * (keep + 1)
+      if (jump > next) {
+        slots.length = 0
+        from = jump
+        continue
+      }
+    }
+    from = next
+  }
+  return { slots, missed }
+}
+
+/**
+ * Whether a recorded run should be pushed under a task's `notify` policy.
+ *
+ * @param {string} policy - task.notify
+ * @param {string} status - this run's status
+ * @param {string} [previousStatus] - the task's lastRun status before this run
+ * @returns {boolean}
+ */
+export function scheduledRunNotifies(policy, status, previousStatus) {
+  switch (policy) {
+    case 'always':
+      return true
+    case 'on-failure':
+      return NOTIFY_FAILURE_STATUSES.has(status)
+    case 'on-change':
+      return status !== previousStatus
+    default:
+      return false
+  }
+}
+
 /**
  * Fires due scheduled tasks into headless sessions and records each outcome back
  * into the registry.
@@ -316,6 +415,7 @@ export function resolveScheduledPermissionMode(requested) {
  *   - 'run-end'   { taskId, at, status, sessionId?, error? }
  *   - 'run-skip'  { taskId, at, reason }
  *   - 'task-quarantined' { taskId, at, reason }
+ *   - 'catch-up-queued' { taskId, at, slots, missed }
  *
  * A REFUSED task (unsupported provider / disallowed cwd) emits `run-end` with
  * status `refused` and NO `run-start`: nothing was started, so nothing started.
@@ -334,6 +434,11 @@ export class SchedulerEngine extends EventEmitter {
    *   defaults to the SAME `validateCwdAllowed` the WS handlers use, wired the way
    *   orchestration/build-manager.js:38 wires it. Returns an error STRING (falsy = allowed).
    * @param {(name: string) => Function} [options.getProviderClass=getProvider] - provider-registry seam
+   * @param {import('./scheduled-run-history.js').ScheduledRunHistory} [options.runHistory] - run history
+   *   (defaults to sessionManager.scheduledRunHistory; null records no history)
+   * @param {{ send: Function }} [options.pushManager] - where `notify` policies deliver (null sends nothing)
+   * @param {import('./workflows/workflow-runner.js').WorkflowRunner} [options.workflowRunner] - runs
+   *   tasks that name a `workflow` (null refuses them)
    * @param {Function} [options.setTimer] - injectable setTimeout (unref'd by default)
    * @param {Function} [options.clearTimer=clearTimeout] - injectable clearTimeout
    * @param {number} [options.maxConcurrentRuns]
@@ -350,6 +455,9 @@ export class SchedulerEngine extends EventEmitter {
     now = Date.now,
     validateCwd = null,
     getProviderClass = getProvider,
+    runHistory = null,
+    pushManager = null,
+    workflowRunner = null,
     setTimer = unrefTimer,
     clearTimer = clearTimeout,
     maxConcurrentRuns = DEFAULT_MAX_CONCURRENT_RUNS,
@@ -373,6 +481,9 @@ export class SchedulerEngine extends EventEmitter {
       ? validateCwd
       : (cwd) => validateCwdAllowed(cwd, this._config)
     this._getProviderClass = typeof getProviderClass === 'function' ? getProviderClass : getProvider
+    this._runHistory = runHistory || sessionManager?.scheduledRunHistory || null
+    this._pushManager = pushManager
+    this._workflowRunner = workflowRunner
     this._setTimer = setTimer
     this._clearTimer = clearTimer
     this._maxConcurrentRuns = Math.max(1, Math.floor(maxConcurrentRuns) || 1)
@@ -398,6 +509,12 @@ export class SchedulerEngine extends EventEmitter {
     this._quarantined = new Set()
     /** @type {Map<string,{taskId:string,blocked:null|{toolName:string}}>} sessionId -> live run, for the permission answerer. */
     this._ownedRuns = new Map()
+    /**
+     * @type {Map<string,{slots:number[],missed:number,policy:string}>} taskId ->
+     * missed slots still to replay, oldest first. In memory only: a restart
+     * re-derives them from the registry.
+     */
+    this._catchUp = new Map()
 
     // Lazily built on first real run so a disabled daemon (and every unit test
     // using the runTask seam) never constructs a TurnDriver or attaches its
@@ -427,6 +544,11 @@ export class SchedulerEngine extends EventEmitter {
     return new Set(this._quarantined)
   }
 
+  /** Task ids with missed slots still queued for catch-up (test/observability aid). */
+  get catchUpTaskIds() {
+    return new Set(this._catchUp.keys())
+  }
+
   /** Whether a timer is currently armed (test/observability aid). */
   get armed() {
     return this._timer !== null
@@ -446,6 +568,7 @@ export class SchedulerEngine extends EventEmitter {
     }
     this._started = true
     this._log.info('Scheduled execution ENABLED — arming headless scheduler')
+    this._planCatchUp(this._now())
     this._armNextTick()
     return true
   }
@@ -459,6 +582,57 @@ export class SchedulerEngine extends EventEmitter {
     this._armNextTick()
   }
 
+  /**
+   * Fire every enabled `event`-cadence task that matches a normalized repo-event
+   * (github-webhook.js calls this after a verified delivery is stored). The
+   * task's prompt is rendered against the event (`{{event.title}}` …) and the
+   * run goes through the SAME `_fire` path a timed run does — so the preflight
+   * refusals (unsupported provider, cwd outside the allowlist), the permission
+   * clamp and the deny-every-prompt answerer all apply unchanged.
+   *
+   * Unlike a timed slot, a delivery is never re-offered, so a matching task that
+   * cannot start now (its previous run is still in flight, or the concurrency
+   * cap is full) gets a PERSISTED `skipped` rather than a silent shed — the
+   * operator must be able to see that an event went unhandled.
+   *
+   * A no-op when the engine is not started (gate closed, destroyed). Never
+   * throws; returns the ids of the tasks it fired.
+   *
+   * @param {object} event - normalizeGithubEvent() output
+   * @returns {string[]}
+   */
+  handleRepoEvent(event) {
+    if (!this._started || this._destroyed) return []
+    const now = this._now()
+    const fired = []
+    try {
+      for (const task of this._store.list()) {
+        if (!task.enabled || task.cadence?.kind !== 'event') continue
+        if (this._quarantined.has(task.id) || !matchesEventCadence(task.cadence, event)) continue
+        const label = `${event.kind} event${event.repo ? ` on ${event.repo}` : ''}`
+        if (this._running.has(task.id)) {
+          this._recordSkip(task, now, `${label} arrived while the previous run was still in flight`, { persist: true })
+          continue
+        }
+        if (this._running.size >= this._maxConcurrentRuns) {
+          this._recordSkip(task, now, `${label} arrived with the concurrency cap reached (${this._maxConcurrentRuns})`, { persist: true })
+          continue
+        }
+        // The rendered prompt rides a per-fire copy; the stored template is
+        // never rewritten.
+        const run = { ...task, prompt: renderEventPrompt(task.prompt, event) }
+        void this._fire(run, now, { trigger: 'event' }).catch((err) => {
+          this._running.delete(task.id)
+          this._log.error(`Scheduled task ${task.id} fire failed unexpectedly: ${err?.stack || err}`)
+        })
+        fired.push(task.id)
+      }
+    } catch (err) {
+      this._log.error(`Scheduler repo-event dispatch failed: ${err?.stack || err}`)
+    }
+    return fired
+  }
+
   /**
    * Clear every timer, detach listeners, and stop firing. Idempotent — the
    * daemon's shutdown path may call it more than once. In-flight runs are left to
@@ -480,6 +654,7 @@ export class SchedulerEngine extends EventEmitter {
     this._ownedRuns.clear()
     this._sessionByTask.clear()
     this._quarantined.clear()
+    this._catchUp.clear()
     this.removeAllListeners()
   }
 
@@ -505,6 +680,10 @@ export class SchedulerEngine extends EventEmitter {
     // 0ms delay off it would spin the CPU until the in-flight run finished. Sleep
     // the full cadence instead; _fire() re-arms the moment a slot frees.
     if (this._running.size < this._maxConcurrentRuns) {
+      // A queued catch-up whose task is idle is due now.
+      for (const taskId of this._catchUp.keys()) {
+        if (!this._running.has(taskId)) { earliest = now; break }
+      }
       for (const task of this._store.list()) {
         if (!task.enabled || !Number.isFinite(task.nextRun)) continue
         if (this._running.has(task.id) || this._quarantined.has(task.id)) continue
@@ -529,8 +708,16 @@ export class SchedulerEngine extends EventEmitter {
     this._timer = null
     const now = this._now()
     try {
+      this._fireCatchUps(now)
       for (const task of this._dueTasks(now)) {
         if (this._isTooOverdue(task, now)) {
+          if (catchUpPolicy(task) !== 'skip') {
+            // The host slept through the slot with the daemon up, so the load-
+            // time plan never saw it: queue it (and any slots after it) now.
+            // The first catch-up run's record advances nextRun.
+            this._queueOverdue(task, now)
+            continue
+          }
           // Persist a `skipped` result so the schedule ADVANCES (and a one-time
           // task retires) instead of re-evaluating as overdue forever.
           this._recordSkip(task, now, `overdue by ${now - task.nextRun}ms (grace ${this._overdueGraceMs}ms)`, { persist: true })
@@ -563,7 +750,7 @@ export class SchedulerEngine extends EventEmitter {
     return this._store
       .list()
       .filter((t) => t.enabled && Number.isFinite(t.nextRun) && t.nextRun <= now
-        && !this._running.has(t.id) && !this._quarantined.has(t.id))
+        && !this._running.has(t.id) && !this._quarantined.has(t.id) && !this._catchUp.has(t.id))
       .sort((a, b) => a.nextRun - b.nextRun)
   }
 
@@ -576,15 +763,101 @@ export class SchedulerEngine extends EventEmitter {
   /** @private — record a non-run (shed / too-overdue). */
   _recordSkip(task, at, reason, { persist = false } = {}) {
     this._log.warn(`Scheduled task ${task.id} not fired: ${reason}`)
-    if (persist) this._recordRun(task, { at, status: 'skipped', error: reason })
+    if (persist) {
+      const result = { at, status: 'skipped', error: reason }
+      this._recordRun(task, result)
+      this._recordOutcome(task, result)
+    }
     this.emit('run-skip', { taskId: task.id, at, reason })
   }
 
+  /**
+   * @private — queue the slots each catching-up task missed while the daemon
+   * was down. Runs once, at start(): the missed slots are the ones between the
+   * task's last write (`updatedAt` — its last recorded run, or the edit that
+   * last changed it) and now. A slot that fell due between the store's load
+   * and this call is one of them: a catch-up run re-arms the task from the time
+   * it finishes, so leaving that slot to the due path would drop it.
+   */
+  _planCatchUp(now) {
+    for (const task of this._store.list()) {
+      if (!task.enabled || catchUpPolicy(task) === 'skip') continue
+      if (task.cadence?.kind !== 'cron' && task.cadence?.kind !== 'interval') continue
+      if (!Number.isFinite(task.updatedAt)) continue
+      const { slots, missed } = listMissedSlots(task, task.updatedAt, now, catchUpKeep(task))
+      if (missed > 0) this._queueCatchUp(task, slots, missed, now)
+    }
+  }
+
+  /** @private — queue an overdue task's slot (and any after it) for catch-up. */
+  _queueOverdue(task, now) {
+    if (task.cadence?.kind === 'once') {
+      this._queueCatchUp(task, [task.nextRun], 1, now)
+      return
+    }
+    const { slots, missed } = listMissedSlots(task, task.nextRun - 1, now, catchUpKeep(task))
+    this._queueCatchUp(task, slots, missed, now)
+  }
+
+  /**
+   * @private — record the plan for a task's missed slots. `once` replays the
+   * newest slot, standing in for all of them; `all` replays the newest
+   * `maxRuns`, and the slots past the cap get one `skipped` history entry so
+   * the gap is on record.
+   */
+  _queueCatchUp(task, slots, missed, at) {
+    if (slots.length === 0) return
+    const policy = catchUpPolicy(task)
+    this._catchUp.set(task.id, { slots: [...slots], missed, policy })
+    this._log.info(`Scheduled task ${task.id} missed ${missed}${missed >= MAX_MISSED_SLOT_SCAN ? '+' : ''} slot(s) — catching up with ${slots.length} run(s) (policy ${policy})`)
+    const dropped = missed - slots.length
+    if (policy === 'all' && dropped > 0) {
+      this._recordOutcome(task, {
+        at,
+        status: 'skipped',
+        error: `${dropped}${missed >= MAX_MISSED_SLOT_SCAN ? '+' : ''} missed slot(s) beyond the catch-up cap (${slots.length}) were not run`,
+      }, { trigger: 'catch-up', scheduledFor: slots[0], missedSlots: dropped, notify: false })
+    }
+    this.emit('catch-up-queued', { taskId: task.id, at, slots: [...slots], missed })
+  }
+
+  /**
+   * @private — start the next queued catch-up run for each idle task, under the
+   * concurrency cap. A task's replays run one at a time, oldest slot first.
+   */
+  _fireCatchUps(now) {
+    for (const [taskId, pending] of this._catchUp) {
+      if (this._running.size >= this._maxConcurrentRuns) return
+      if (this._running.has(taskId)) continue
+      const task = this._store.get(taskId)
+      if (!task || !task.enabled || this._quarantined.has(taskId)) {
+        this._catchUp.delete(taskId)
+        continue
+      }
+      const scheduledFor = pending.slots.shift()
+      if (pending.slots.length === 0) this._catchUp.delete(taskId)
+      void this._fire(task, now, {
+        trigger: 'catch-up',
+        scheduledFor,
+        ...(pending.policy === 'once' ? { missedSlots: pending.missed } : {}),
+      }).catch((err) => {
+        this._running.delete(taskId)
+        this._log.error(`Scheduled task ${taskId} catch-up fire failed unexpectedly: ${err?.stack || err}`)
+      })
+    }
+  }
+
   /**
    * @private — execute one task end-to-end: mark it in-flight (overlap guard),
    * run it, then record the outcome and re-arm. Never rejects.
+   *
+   * @param {object} task
+   * @param {number} at
+   * @param {{ trigger?: 'schedule'|'catch-up'|'event', scheduledFor?: number, missedSlots?: number }} [meta]
+   *   what caused the fire, for the run history
    */
-  async _fire(task, at) {
+  async _fire(task, at, meta = {}) {
+    const record = { trigger: 'schedule', scheduledFor: task.nextRun, ...meta }
     const ctx = {
       at,
       permissionMode: resolveScheduledPermissionMode(task.target?.permissionMode),
@@ -600,7 +873,9 @@ export class SchedulerEngine extends EventEmitter {
     // the class of bug this fixes (validateCwdAllowed was handler-only).
     const refusal = this._preflightRefusal(task)
     if (refusal) {
-      this._recordRefusal(task, at, refusal)
+      // Replaying the rest of a backlog would only record the same refusal again.
+      this._catchUp.delete(task.id)
+      this._recordRefusal(task, at, refusal, record)
       return
     }
 
@@ -610,7 +885,8 @@ export class SchedulerEngine extends EventEmitter {
 
     let outcome
     try {
-      const exec = this._injectedRunTask || ((t, c) => this._runViaSessionManager(t, c))
+      const exec = this._injectedRunTask ||
+        ((t, c) => (t.workflow ? this._runViaWorkflow(t, c) : this._runViaSessionManager(t, c)))
       outcome = await exec(task, ctx)
     } catch (err) {
       outcome = { status: 'error', error: err?.message || String(err) }
@@ -626,6 +902,7 @@ export class SchedulerEngine extends EventEmitter {
       ...(outcome?.error ? { error: String(outcome.error).slice(0, 500) } : {}),
     }
     this._recordRun(task, result)
+    this._recordOutcome(task, result, { ...record, exit: outcome?.exit, artifacts: outcome?.artifacts })
     this.emit('run-end', { taskId: task.id, ...result })
     if (result.status === 'success') {
       this._log.info(`Scheduled task ${task.id} completed`)
@@ -643,9 +920,13 @@ export class SchedulerEngine extends EventEmitter {
    * they are misconfigurations in the stored task definition.
    */
   _preflightRefusal(task) {
-    // (a) Can we actually govern this provider's permission prompts? (#7003)
-    const providerRefusal = scheduledProviderRefusalReason(this._resolveProviderName(task), this._getProviderClass)
-    if (providerRefusal) return providerRefusal
+    // (a) Can we actually govern this provider's permission prompts? A workflow
+    // task names no provider of its own — the runner applies this same check to
+    // every step's provider when it starts the run.
+    if (!task.workflow) {
+      const providerRefusal = scheduledProviderRefusalReason(this._resolveProviderName(task), this._getProviderClass)
+      if (providerRefusal) return providerRefusal
+    }
 
     // (b) Is the cwd one a session may be created in at all? The registry is a
     // user-writable JSON file, so `target.cwd` is untrusted input — and neither
@@ -701,13 +982,64 @@ export class SchedulerEngine extends EventEmitter {
    * (the run happened and failed) and `skipped` (the slot passed) by its own
    * status, so #6868/#6871 can tell the operator nothing ran and why.
    */
-  _recordRefusal(task, at, reason) {
+  _recordRefusal(task, at, reason, meta = {}) {
     this._log.error(`Scheduled task ${task.id} REFUSED — nothing was run: ${reason}`)
     const result = { at, status: REFUSED_STATUS, error: String(reason).slice(0, 500) }
     this._recordRun(task, result)
+    this._recordOutcome(task, result, meta)
     this.emit('run-end', { taskId: task.id, ...result })
   }
 
+  /**
+   * @private — the run's permanent record and its notification. Both are
+   * best-effort: a history write or a push that fails is logged and never
+   * touches the schedule (`_recordRun` alone decides whether a task advances).
+   *
+   * `task` is the snapshot taken before this run, so `task.lastRun` is the
+   * previous outcome the `on-change` policy compares against.
+   */
+  _recordOutcome(task, result, { trigger = 'schedule', scheduledFor, missedSlots, exit, artifacts, notify = true } = {}) {
+    let entry = null
+    if (this._runHistory) {
+      try {
+        entry = this._runHistory.record({
+          taskId: task.id,
+          taskName: task.name ?? null,
+          trigger,
+          scheduledFor,
+          startedAt: result.at,
+          finishedAt: this._now(),
+          status: result.status,
+          exit,
+          sessionId: result.sessionId,
+          error: result.error,
+          missedSlots,
+          artifacts,
+        })
+      } catch (err) {
+        this._log.warn(`Scheduled task ${task.id} run history write failed: ${err?.message || err}`)
+      }
+    }
+    if (!notify || !this._pushManager || !scheduledRunNotifies(task.notify, result.status, task.lastRun?.status)) return
+    const label = task.name || task.id.slice(0, 8)
+    const detail = result.error || artifacts?.finalMessage || (result.status === 'success' ? 'Completed.' : result.status)
+    try {
+      settlePush(this._pushManager.send(
+        'scheduled_run',
+        `Scheduled task ${label}: ${result.status}${trigger === 'catch-up' ? ' (catch-up)' : ''}`,
+        detail.length > 200 ? `${detail.slice(0, 199)}…` : detail,
+        {
+          taskId: task.id,
+          status: result.status,
+          ...(entry?.id ? { runId: entry.id } : {}),
+          ...(result.sessionId ? { sessionId: result.sessionId } : {}),
+        },
+      ), 'scheduled-run', this._log)
+    } catch (err) {
+      this._log.warn(`Scheduled task ${task.id} notification failed: ${err?.message || err}`)
+    }
+  }
+
   /**
    * @private — persist a lastRun result. The store recomputes nextRun off the
    * cadence on update(), which is what retires a one-time task (computeNextRun
@@ -784,6 +1116,65 @@ export class SchedulerEngine extends EventEmitter {
     }
     if (!sessionId) return { status: 'error', error: 'session create failed (no sessionId)' }
 
+    // Whatever way the turn ends, the history entries it appended are the run's
+    // record: mark where it starts, then collect everything after it.
+    const fromSeq = this._latestHistorySeq(sessionId)
+    const outcome = await this._driveOwnedTurn(task, ctx, sessionId)
+    return { ...outcome, artifacts: this._collectArtifacts(sessionId, fromSeq) }
+  }
+
+  /**
+   * @private — a workflow task: start an UNATTENDED run of `.chroxy/workflows/
+   * <name>` from the task's cwd (workflows/workflow-runner.js) and wait for it.
+   * The runner holds the same posture as a prompt run — clamped permission modes,
+   * refused providers, every permission prompt denied — so nothing here repeats
+   * it. The run timeout bounds the whole run, not each step; a run still going
+   * when it expires is cancelled.
+   */
+  async _runViaWorkflow(task, ctx) {
+    if (!this._workflowRunner) {
+      return { status: REFUSED_STATUS, error: `task runs workflow "${task.workflow.name}" but workflows are not enabled on this daemon (features.workflows)` }
+    }
+    let run
+    try {
+      run = this._workflowRunner.startRun({
+        cwd: task.target.cwd,
+        name: task.workflow.name,
+        inputs: task.workflow.inputs,
+        trigger: 'schedule',
+        unattended: true,
+      })
+    } catch (err) {
+      // A missing, invalid or unrunnable-unattended workflow is a task
+      // definition problem, like a refused provider; a busy runner is not.
+      const status = err?.code === 'BUSY' ? 'error' : REFUSED_STATUS
+      return { status, error: `workflow "${task.workflow.name}": ${err?.message || err}` }
+    }
+    const finished = await this._workflowRunner.waitForRun(run.runId, { timeoutMs: ctx.runTimeoutMs })
+    const last = finished?.steps?.at(-1) ?? null
+    const lastOutput = last ? finished.outputs?.[last.stepId]?.output : ''
+    const base = {
+      ...(last?.sessionId ? { sessionId: last.sessionId } : {}),
+      // The run id leads the final message so the history points at
+      // `chroxy workflow status <id>` for the per-step record.
+      artifacts: {
+        cost: finished?.costUsd ?? null,
+        finalMessage: `[workflow run ${run.runId}] ${lastOutput || ''}`.trim(),
+        filesChanged: [],
+        transcript: [],
+      },
+    }
+    if (!finished?.terminal) {
+      try { this._workflowRunner.cancelRun(run.runId, { reason: `scheduled run exceeded ${ctx.runTimeoutMs}ms` }) } catch { /* already settled */ }
+      return { status: 'timeout', ...base, error: `workflow run ${run.runId} exceeded ${ctx.runTimeoutMs}ms` }
+    }
+    if (finished.status === 'completed') return { status: 'success', ...base }
+    if (finished.status === 'cancelled') return { status: INTERRUPTED_STATUS, ...base, error: finished.statusReason || 'workflow run cancelled' }
+    return { status: 'error', ...base, error: finished.statusReason || `workflow run ${finished.status}` }
+  }
+
+  /** @private — drive one turn as an owned run (permission answerer armed). */
+  async _driveOwnedTurn(task, ctx, sessionId) {
     // Register as an OWNED run before the turn starts, so the permission answerer
     // is armed for the very first tool call.
     const runState = { taskId: task.id, blocked: null }
@@ -832,10 +1223,33 @@ export class SchedulerEngine extends EventEmitter {
     }
   }
 
+  /** @private — the session's newest history `_seq` (0 when it has none). */
+  _latestHistorySeq(sessionId) {
+    try {
+      const seq = this._sm.getLatestHistorySeq?.(sessionId)
+      return Number.isFinite(seq) ? seq : 0
+    } catch {
+      return 0
+    }
+  }
+
+  /** @private — the run's transcript, final message, cost and files changed. */
+  _collectArtifacts(sessionId, fromSeq) {
+    let entries = []
+    try {
+      const history = this._sm.getHistory?.(sessionId)
+      if (Array.isArray(history)) entries = history.filter((e) => !(Number.isFinite(e?._seq) && e._seq <= fromSeq))
+    } catch (err) {
+      this._log.warn(`Could not read history of scheduled session ${sessionId}: ${err?.message || err}`)
+    }
+    return collectRunArtifacts(entries)
+  }
+
   /** @private — the permission-blocked outcome (a visible failure, never silent). */
   _blockedOutcome(runState, sessionId) {
     return {
       status: 'error',
+      exit: 'permission-blocked',
       sessionId,
       error: `permission required for ${runState.blocked.toolName || 'a tool'} but no client is connected to approve it — scheduled run denied. Author an explicit permission rule if this task should be allowed to do this.`,
     }
@@ -1008,9 +1422,11 @@ export class SchedulerEngine extends EventEmitter {
  * @param {object} opts.sessionManager
  * @param {object} [opts.config]
  * @param {object} [opts.logger]
+ * @param {object} [opts.pushManager] - delivers the tasks' `notify` policies
+ * @param {object} [opts.workflowRunner] - runs workflow tasks (null refuses them)
  * @returns {SchedulerEngine|null}
  */
-export function buildSchedulerEngine({ sessionManager, config = null, logger = log } = {}) {
+export function buildSchedulerEngine({ sessionManager, config = null, logger = log, pushManager = null, workflowRunner = null } = {}) {
   if (!isSchedulerEnabled(config)) return null
   if (!sessionManager?.scheduledTaskStore) {
     logger.warn('Scheduled execution enabled but no scheduled-task store is available — scheduler not started')
@@ -1019,7 +1435,7 @@ export function buildSchedulerEngine({ sessionManager, config = null, logger = l
   // Never throw out of here: a scheduler that fails to build must not break daemon
   // boot (same contract as buildOrchestrationManager).
   try {
-    const engine = new SchedulerEngine({ sessionManager, config, logger })
+    const engine = new SchedulerEngine({ sessionManager, config, logger, pushManager, workflowRunner })
     engine.start()
     return engine
   } catch (err) {
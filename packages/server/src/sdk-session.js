@@ -54,6 +54,10 @@ const log = createLogger('sdk')
 
 // Default max accumulated size for tool_use input (~256KB)
 const DEFAULT_MAX_TOOL_INPUT_LENGTH = 262144
+
+// How many per-turn fork boundaries (`_turnBoundaries`) to keep. Covers far
+// more turns than the history ring buffer retains.
+const MAX_TURN_BOUNDARIES = 1000
 // #5936 (epic #5935): the mid-turn follow-up queue moved to BaseSession's shared
 // `_outgoingQueue` (capped at OUTGOING_QUEUE_MAX), so both SDK and CLI now QUEUE
 // send-while-busy follow-ups and flush them FIFO on `result` — replacing the
@@ -381,6 +385,13 @@ export class SdkSession extends BaseSession {
     // checkpoint instead of resuming the full latest transcript. Only the SDK
     // provider tracks this; subprocess providers leave `lastMessageUuid` null.
     this._lastMessageUuid = null
+    // Per-turn fork boundaries: the chroxy turn messageId (`msg-<prefix>-<n>`,
+    // the id clients see on that turn's response/tool entries) → the last
+    // transcript UUID of that turn. Lets session-fork.js branch the
+    // conversation at ANY completed turn, not just at checkpoints. Bounded
+    // (oldest evicted) and in-memory only — turns from before a restart fall
+    // back to a transcript carry.
+    this._turnBoundaries = new Map()
     // #6766: injectable handle for the SDK's standalone `forkSession` so tests
     // can stub the on-disk transcript fork without a live session (mirrors the
     // instance-level `_query` injection the rest of the suite uses).
@@ -497,13 +508,36 @@ export class SdkSession extends BaseSession {
    * message without a string `uuid` leaves the previous boundary intact.
    * Extracted from the query loop so it can be unit-tested directly.
    * @param {object} msg - An SDK stream message (expects a `uuid` field).
+   * @param {string} [turnMessageId] - The chroxy turn messageId the message
+   *   belongs to; recorded as that turn's boundary.
    */
-  _captureBoundaryMessage(msg) {
+  _captureBoundaryMessage(msg, turnMessageId) {
     if (msg && typeof msg.uuid === 'string' && msg.uuid) {
       this._lastMessageUuid = msg.uuid
+      if (typeof turnMessageId === 'string' && turnMessageId) {
+        // Re-insert so a turn's latest assistant message wins and the map
+        // stays in recency order for eviction.
+        this._turnBoundaries.delete(turnMessageId)
+        this._turnBoundaries.set(turnMessageId, msg.uuid)
+        if (this._turnBoundaries.size > MAX_TURN_BOUNDARIES) {
+          this._turnBoundaries.delete(this._turnBoundaries.keys().next().value)
+        }
+      }
     }
   }
 
+  /**
+   * The fork boundary (last transcript UUID) of a completed turn, by the
+   * chroxy messageId its history entries carry. Null when the turn is unknown
+   * — evicted, from before a daemon restart, or carried in by a fork (the
+   * SDK remaps UUIDs on fork).
+   * @param {string} messageId
+   * @returns {string|null}
+   */
+  conversationBoundaryFor(messageId) {
+    return this._turnBoundaries.get(messageId) || null
+  }
+
   /**
    * #6766: fork a conversation into a new, independent SDK session truncated to
    * a message boundary. Wraps the Agent SDK's standalone `forkSession`, which
@@ -1055,7 +1089,7 @@ export class SdkSession extends BaseSession {
             // boundary. A checkpoint auto-created at the start of the NEXT turn
             // captures this as its boundary, so restoring that checkpoint can
             // fork the conversation truncated to exactly this point.
-            this._captureBoundaryMessage(msg)
+            this._captureBoundaryMessage(msg, messageId)
             // Full assistant message — process content blocks for tool detection
             const content = msg.message?.content
             if (!Array.isArray(content)) break
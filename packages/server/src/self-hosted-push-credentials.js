@@ -0,0 +1,93 @@
+/**
+ * Credential sourcing for the self-hosted push sinks (ntfy-sink.js).
+ *
+ * Both sinks publish to a server the operator runs themselves, so the server
+ * URL and (for ntfy) the topic are plain `notifications.ntfy` /
+ * `notifications.gotify` config. The access tokens are SECRETS and never live in
+ * config.json:
+ *
+ *   - ntfy  — an optional access token (`tk_…`) for a server with
+ *             access control. Without one the sink publishes anonymously,
+ *             which is the common LAN setup.
+ *   - Gotify — the application token Gotify issues per app. Required: Gotify
+ *             rejects unauthenticated messages.
+ *
+ * Priority order, per token (mirrors slack-credentials.js):
+ *   1. process.env — CHROXY_NTFY_TOKEN / CHROXY_GOTIFY_TOKEN
+ *   2. ~/.chroxy/credentials.json — ntfyToken / gotifyToken (mode 0600,
+ *      encrypted envelope when the keychain is up), read through
+ *      credential-store's cipher-aware `readStoredField`
+ *
+ * Never logged. redaction.js scrubs ntfy `tk_` tokens as a second layer.
+ */
+import { statSync } from 'node:fs'
+import { readStoredField } from './credential-store.js'
+import { configPath } from './config-dir.js'
+
+/** credentials.json field names, keyed by sink kind. */
+export const SELF_HOSTED_PUSH_CREDENTIAL_FIELDS = Object.freeze({
+  ntfy: 'ntfyToken',
+  gotify: 'gotifyToken',
+})
+
+const ENV_VARS = Object.freeze({
+  ntfy: 'CHROXY_NTFY_TOKEN',
+  gotify: 'CHROXY_GOTIFY_TOKEN',
+})
+
+/**
+ * Resolve the access token for one sink kind.
+ *
+ * @param {'ntfy'|'gotify'} kind
+ * @returns {{ value: string|null, source: 'env'|'store'|'none', error: string|null }}
+ */
+export function resolveSelfHostedPushToken(kind) {
+  const envName = ENV_VARS[kind]
+  const field = SELF_HOSTED_PUSH_CREDENTIAL_FIELDS[kind]
+  if (!envName || !field) throw new TypeError(`unknown self-hosted push sink: ${kind}`)
+  const envValue = process.env[envName]
+  if (typeof envValue === 'string' && envValue.trim().length > 0) {
+    return { value: envValue.trim(), source: 'env', error: null }
+  }
+  let read
+  try {
+    read = readStoredField(field)
+  } catch (err) {
+    // Defensive: readStoredField is non-throwing by contract.
+    return { value: null, source: 'none', error: `unable to read credentials: ${err.message}` }
+  }
+  if (read.error) return { value: null, source: 'none', error: read.error }
+  if (read.value !== null) return { value: read.value.trim(), source: 'store', error: null }
+  return { value: null, source: 'none', error: null }
+}
+
+const _cache = new Map()
+
+/**
+ * Cached resolver — re-resolves only when the env var or the credentials file
+ * (mtime + size + mode) changes, so isConfigured() probes on every
+ * notification don't decrypt the store each time.
+ *
+ * @param {'ntfy'|'gotify'} kind
+ */
+export function cachedResolveSelfHostedPushToken(kind) {
+  const env = process.env[ENV_VARS[kind]] ?? ''
+  const path = configPath('credentials.json')
+  let stamp = 'missing'
+  try {
+    const st = statSync(path)
+    stamp = `${st.mtimeMs}:${st.size}:${st.mode & 0o777}`
+  } catch {
+    // ENOENT (or unreadable) — resolveSelfHostedPushToken reports the detail.
+  }
+  const cached = _cache.get(kind)
+  if (cached && cached.env === env && cached.path === path && cached.stamp === stamp) return cached.result
+  const result = resolveSelfHostedPushToken(kind)
+  _cache.set(kind, { env, path, stamp, result })
+  return result
+}
+
+/** Drop the cached resolutions (tests). */
+export function resetSelfHostedPushCredentialsCache() {
+  _cache.clear()
+}
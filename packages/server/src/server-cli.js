@@ -41,7 +41,7 @@ import { maybeEncryptCredentialsAtRest } from './credential-store.js'
 import { registerDockerProvider, resolveProviderLabel, DEFAULT_PROVIDER } from './providers.js'
 import { registerAnthropicCompatibleProviders } from './anthropic-compatible-session.js'
 import { registerOpenAiCompatibleProviders } from './openai-compatible-session.js'
-import { getSharedPool, isPoolEnabled } from './docker-byok-pool.js'
+import { getSharedPool, isPoolEnabled, isPrewarmEnabled } from './docker-byok-pool.js'
 import { getSharedPoolStats } from './docker-byok-pool-stats.js'
 import { getRegistryForProvider, watchModelsOverlay } from './models.js'
 // Imported from a dedicated constants module rather than environment-manager.js
@@ -49,12 +49,16 @@ import { getRegistryForProvider, watchModelsOverlay } from './models.js'
 // environment-manager.js itself remains behind the dynamic import below
 // (`if (config?.environments?.enabled)`).
 import { UNREACHABLE_STATUSES } from './environment-statuses.js'
-import { resolveSkipPermissions, buildEnvironmentBackend, isUserShellEnabled, getAllowAnyModelProviders, isSemanticTitlesEnabled, resolveSemanticTitleModel, resolveSemanticTitleTimeoutMs, resolveBinaryProvenanceMode, isBinarySignatureGateEnabled } from './config.js'
+import { egressBlockedMessage } from './egress/egress-policy.js'
+import { resolveSkipPermissions, buildEnvironmentBackend, isUserShellEnabled, getAllowAnyModelProviders, isSemanticTitlesEnabled, resolveSemanticTitleModel, resolveSemanticTitleTimeoutMs, resolveBinaryProvenanceMode, isBinarySignatureGateEnabled, resolveEgressConfig } from './config.js'
 import { buildOrchestrationManager } from './orchestration/build-manager.js'
 import { buildSchedulerEngine } from './scheduler.js'
+import { buildWorkflowRunner } from './workflows/build-runner.js'
 import { parseDuration } from './duration.js'
 import { createSessionTokenStore } from './session-token-store.js'
 import { StatusLineManager } from './statusline.js'
+import { AuditJournal, auditJournalDir, resolveAuditRetentionDays, setAuditJournal } from './audit-journal.js'
+import { ProviderFailover, resolveFailoverConfig } from './provider-failover.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -718,6 +722,14 @@ export async function startCliServer(config) {
     log.warn(`[security] dangerouslySkipPermissions=true (source: config.${skipPerms.source}) — claude-tui sessions will spawn with --dangerously-skip-permissions and chroxy's permission gate is BYPASSED for those sessions`)
   }
 
+  // Default network egress policy for Docker-isolated sessions and
+  // environments. Already validated by validateConfig (a malformed block is a
+  // fatal startup error), so this can't throw here.
+  const egressConfig = resolveEgressConfig(config)
+  if (egressConfig.defaultEgress && egressConfig.defaultEgress.policy !== 'open') {
+    log.info(`Network egress: Docker-isolated sessions default to the "${egressConfig.defaultEgress.policy}" policy`)
+  }
+
   // Create environment manager for persistent container environments (optional)
   let environmentManager = null
   if (config?.environments?.enabled) {
@@ -739,9 +751,10 @@ export async function startCliServer(config) {
       log.info(`EnvironmentManager: K8s workspace PVC configured (claim: ${workspacePVCDefault.claimName}, mount: ${mountPath})${readOnlyTag} — active only on K8sBackend; ignored by Docker and other backends`)
     }
     // #5144: config-driven backend selection. `environments.backend` picks
-    // docker (default) | k8s | rancher; the selected backend's options come
-    // from `environments.k8s` / `environments.rancher` (Rancher token resolved
-    // from a secret-friendly source and never logged). The factory imports the
+    // docker (default) | k8s | rancher | podman; the selected backend's options
+    // come from `environments.k8s` / `environments.rancher` /
+    // `environments.podman` (Rancher token resolved from a secret-friendly
+    // source and never logged). The factory imports the
     // backend module lazily so a Docker deployment never pulls in the kube SDK,
     // and throws on a malformed k8s/rancher block — surfaced here as a fatal
     // startup error rather than a silent fall-through to Docker.
@@ -756,7 +769,12 @@ export async function startCliServer(config) {
       log.error(`EnvironmentManager: failed to construct '${config?.environments?.backend || 'docker'}' backend — ${err.message}`)
       throw err
     }
-    environmentManager = new EnvironmentManager({ backend, workspacePVCDefault })
+    environmentManager = new EnvironmentManager({
+      backend,
+      workspacePVCDefault,
+      egressDefault: egressConfig.defaultEgress,
+      egressProxyImage: egressConfig.proxyImage,
+    })
     await logEnvironmentManagerReconnectResult(environmentManager, log)
   }
 
@@ -823,6 +841,8 @@ export async function startCliServer(config) {
     transforms: config.transforms || [],
     sessionTimeout: config.sessionTimeout || null,
     sandbox: config.sandbox || null,
+    defaultEgress: egressConfig.defaultEgress,
+    egressProxyImage: egressConfig.proxyImage,
     costBudget: config.costBudget || null,
     // #5665: monthly programmatic-credit budget meter config.
     billing: config.billing || null,
@@ -916,6 +936,22 @@ export async function startCliServer(config) {
     // PushNotificationHandler (its own session_destroyed listener).
   })
 
+  // An environment's egress gateway reports blocked attempts per environment;
+  // surface each one in the chat of every session running in it.
+  if (environmentManager) {
+    environmentManager.on('egress_blocked', ({ envId, ...blocked }) => {
+      const env = environmentManager.get(envId)
+      for (const sessionId of env?.sessions || []) {
+        sessionManager.getSession(sessionId)?.session?.emit('message', egressBlockedMessage(blocked))
+      }
+    })
+    sessionManager.on('session_destroyed', ({ sessionId }) => {
+      for (const env of environmentManager.list()) {
+        if (env.sessions?.includes(sessionId)) environmentManager.removeSession(env.id, sessionId)
+      }
+    })
+  }
+
   sessionManager.on('session_warning', ({ sessionId, name, reason, message, remainingMs }) => {
     log.warn(`Session warning: ${message}`)
     if (wsServer) {
@@ -1001,6 +1037,28 @@ export async function startCliServer(config) {
       billingStatePath: configPath('discord-billing-state.json'),
       ...(config.notifications?.discord || {}),
     },
+    // Slack sink (status messages + billing alerts). Off until a bot token +
+    // channel or an incoming-webhook URL resolves from CHROXY_SLACK_* or the
+    // credentials store (set from the dashboard). Deep links resolve lazily:
+    // wsServer is created below and owns the tunnel / LAN origin.
+    slack: {
+      statePath: configPath('slack-notifications-state.json'),
+      resolveDashboardUrl: () => wsServer?.getDashboardUrl?.() ?? null,
+      ...(config.notifications?.slack || {}),
+    },
+    // Self-hosted push: ntfy (with Approve/Deny buttons calling back into
+    // POST /permission-action) and Gotify. Off until `notifications.ntfy` /
+    // `notifications.gotify` name a server. Callback + deep-link URLs resolve
+    // lazily from wsServer, like Slack's.
+    ntfy: {
+      resolveActionUrl: () => wsServer?.getPermissionActionUrl?.() ?? null,
+      resolveDashboardUrl: () => wsServer?.getDashboardUrl?.() ?? null,
+      ...(config.notifications?.ntfy || {}),
+    },
+    gotify: {
+      resolveDashboardUrl: () => wsServer?.getDashboardUrl?.() ?? null,
+      ...(config.notifications?.gotify || {}),
+    },
   })
 
   // #5413 Phase 3: provision the daemon-level ingest secret for
@@ -1129,6 +1187,18 @@ export async function startCliServer(config) {
   // that tells them WHICH root the daemon actually opened. Logged
   // unconditionally: knowing it is `~/.chroxy` is exactly as useful.
   log.info(`Config/state root: ${chroxyDir}${process.env.CHROXY_CONFIG_DIR ? ' (from CHROXY_CONFIG_DIR)' : ''}`)
+  // Durable, hash-chained audit journal (permission decisions and control
+  // events). Registered process-wide: its writers (permission audit, shell
+  // audit, credential / pairing handlers, HTTP token routes) have no shared
+  // handle. Prunes segments past `audit.retentionDays` on boot and at each day
+  // rollover.
+  const auditJournal = new AuditJournal({ dir: auditJournalDir(), retentionDays: resolveAuditRetentionDays(config) })
+  try {
+    auditJournal.prune()
+  } catch (err) {
+    log.warn(`Audit journal retention prune failed: ${err.message}`)
+  }
+  setAuditJournal(auditJournal)
   const pairingManager = NO_AUTH ? null : new PairingManager({
     ttlMs: 60_000,
     autoRefresh: true,
@@ -1145,7 +1215,12 @@ export async function startCliServer(config) {
   // into a session with no client connected. null unless the operator opted in
   // (`features.scheduler` / CHROXY_ENABLE_SCHEDULER=1), so a default daemon arms
   // no timers and spawns nothing.
-  const schedulerEngine = buildSchedulerEngine({ sessionManager, config, logger: log })
+  // Declarative workflows (`.chroxy/workflows/*.yml`). Built before the
+  // scheduler, which can fire a workflow as a task. null unless
+  // `features.workflows` / CHROXY_ENABLE_WORKFLOWS=1.
+  const workflowRunner = buildWorkflowRunner({ sessionManager, config, chroxyDir, log })
+
+  const schedulerEngine = buildSchedulerEngine({ sessionManager, config, logger: log, pushManager, workflowRunner })
 
   wsServer = new WsServer({
     port: PORT,
@@ -1155,6 +1230,7 @@ export async function startCliServer(config) {
     // #6871: nullable — null whenever the scheduled-execution gate is closed (the
     // default). The scheduled-tasks handlers report that as "not armed".
     schedulerEngine,
+    workflowRunner,
     defaultSessionId,
     authRequired: !NO_AUTH,
     pushManager,
@@ -1193,6 +1269,11 @@ export async function startCliServer(config) {
       try { wsServer._broadcastOrchestrationDelta(delta) } catch (err) { log.warn(`orchestration delta broadcast failed: ${err?.message || err}`) }
     })
   }
+  if (workflowRunner) {
+    workflowRunner.on('run_update', (run) => {
+      try { wsServer._broadcastWorkflowRunUpdate(run) } catch (err) { log.warn(`workflow run broadcast failed: ${err?.message || err}`) }
+    })
+  }
 
   const bindHost = resolveBindHost({ noAuth: NO_AUTH, host: config.host })
   // #5356 (visibility layer): one warning when binding non-loopback (the
@@ -1202,6 +1283,17 @@ export async function startCliServer(config) {
   maybeWarnNonLoopbackBind({ bindHost, log })
   wsServer.start(bindHost)
 
+  // Automatic provider failover on rate-limit / overload / credit-cap turn
+  // errors. Inert for sessions with no chain (config `failover.chain` or a
+  // per-session `failoverChain`). Attached after wsServer.start() wires the
+  // event forwarding, so a turn's error reaches clients before the
+  // provider_failover note that annotates it.
+  const failoverConfig = resolveFailoverConfig(config)
+  new ProviderFailover({ sessionManager, ...failoverConfig }).attach()
+  if (failoverConfig.chain.length > 0) {
+    log.info(`Provider failover chain: ${failoverConfig.chain.map((t) => t.model ? `${t.provider} (${t.model})` : t.provider).join(' → ')}`)
+  }
+
   // #5932: hot-reload the ~/.chroxy/models.json overlay on edit — surfacing a
   // new model id (or a label/contextWindow/pricing override) is "a config entry,
   // not a code change", so it must not require a daemon restart. On a successful
@@ -1277,7 +1369,19 @@ export async function startCliServer(config) {
   // no-op otherwise. attach() is idempotent (won't double-subscribe).
   if (isPoolEnabled(process.env)) {
     const statsPool = getSharedPool(process.env)
-    if (statsPool) getSharedPoolStats().attach(statsPool)
+    if (statsPool) {
+      getSharedPoolStats().attach(statsPool)
+      // The autoscaler tick evicts parked containers under host pressure;
+      // with CHROXY_DOCKER_BYOK_POOL_PREWARM it also prewarms from the
+      // learned demand. Stopped by pool.shutdown() on the way out. The
+      // session module is loaded lazily, as registerDockerProvider does.
+      let launch = null
+      if (isPrewarmEnabled(process.env)) {
+        const { launchPrewarmContainer } = await import('./docker-byok-session.js')
+        launch = (spec) => launchPrewarmContainer(spec)
+      }
+      statsPool.startAutoscaler({ launch })
+    }
   }
 
   // Wire session timeout to WsServer viewer checks
@@ -1458,6 +1562,7 @@ export async function startCliServer(config) {
     billingCanaryMonitor,
     orchestrationManager,
     schedulerEngine,
+    workflowRunner,
     modelsOverlayWatcher,
     getWorktreeReapTimer: () => worktreeReapTimer,
     emergencyCleanupSync,
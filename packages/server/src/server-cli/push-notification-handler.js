@@ -206,12 +206,20 @@ export class PushNotificationHandler {
           log.debug(`Idle push suppressed for ${sessionId}: wsServer not yet initialized`)
         }
       } else if (event === 'permission_request') {
+        // A hook-routed prompt's in-process mirror (hook-permission-relay.js):
+        // ws-permissions.js already pushed it when POST /permission arrived.
+        // A second push would mint a second action token and revoke the
+        // first notification's Approve/Deny buttons.
+        if (data?.via === 'hook') return
         const sessionName = sessionManager.getSession(sessionId)?.name
         pushManager.send('activity_waiting', 'Waiting for approval', `Permission needed: ${data.tool}`, {
           sessionId,
           sessionName,
           state: 'waiting',
           detail: data.tool,
+          // Lets a sink with in-notification actions (ntfy) answer this exact
+          // prompt via POST /permission-action.
+          requestId: data.requestId,
         })
       } else if (event === 'user_question') {
         const sessionName = sessionManager.getSession(sessionId)?.name
@@ -35,6 +35,7 @@ export class ServerOrchestrator {
     billingCanaryMonitor = null,
     orchestrationManager = null,
     schedulerEngine = null,
+    workflowRunner = null,
     modelsOverlayWatcher = null,
     getWorktreeReapTimer,
     emergencyCleanupSync,
@@ -59,6 +60,7 @@ export class ServerOrchestrator {
     // gate + turn driver) and flushes the run ledger's pending snapshot writes.
     this._orchestrationManager = orchestrationManager
     this._schedulerEngine = schedulerEngine
+    this._workflowRunner = workflowRunner
     // #5932: the models.json overlay fs-watcher handle (or null when watching
     // couldn't be established). Closed on shutdown so the watch doesn't outlive
     // the daemon.
@@ -132,6 +134,13 @@ export class ServerOrchestrator {
         log.warn(`Scheduler engine destroy failed: ${err?.message || err}`)
       }
     }
+    // After the scheduler (which may be waiting on a workflow run): records every
+    // run in flight as failed, detaches its listeners and flushes its ledger.
+    if (this._workflowRunner) {
+      try { this._workflowRunner.dispose() } catch (err) {
+        log.warn(`Workflow runner dispose failed: ${err?.message || err}`)
+      }
+    }
     // Persist sessions before destroying (enables restore on restart)
     try { this._sessionManager.serializeState() } catch (err) {
       log.error(`Failed to serialize session state: ${err?.message || err}`)
@@ -0,0 +1,533 @@
+/**
+ * Session transcript export — render a session's `SessionMessageHistory` into
+ * a clean, shareable artifact.
+ *
+ * `summarize-session.js` produces a model-written brief and
+ * `request_conversation_transcript` replays raw provider entries; neither is
+ * something you can hand to a teammate or attach to a PR. This module is the
+ * deterministic alternative: no model call, the persisted history is the only
+ * input.
+ *
+ *   markdown — readable transcript; each tool call is a `<details>` block with
+ *              its input and result, Edit/Write calls render as diffs and
+ *              TodoWrite as a checklist.
+ *   html     — the same structure as one self-contained page: inline CSS, no
+ *              scripts, no external fetches (collapsing is native `<details>`),
+ *              so it passes the Chroxy Pages CSP unchanged and can be published
+ *              in one step (`publishSessionExport`).
+ *   jsonl    — one normalized record per line (`kind: 'meta' | 'message' |
+ *              'tool_call' | 'tool_result' | 'turn_end' | 'question'`), for
+ *              tooling that should not depend on the internal history shape.
+ *
+ * Redaction happens ONCE, in `normalizeHistory`, before any renderer sees the
+ * data: every message/result string goes through `redactValue` and every tool
+ * input through `sanitizeToolInput` (key-name + value-shape passes). The
+ * renderers only ever consume normalized records, so no format can skip it.
+ */
+import { SESSION_EXPORT_FORMATS as PROTOCOL_EXPORT_FORMATS } from '@chroxy/protocol'
+import { redactValue, sanitizeToolInput, PULL_MAX_INPUT_CHARS } from './redaction.js'
+
+/** Export formats, single-sourced from @chroxy/protocol. */
+export const SESSION_EXPORT_FORMATS = Object.freeze([...PROTOCOL_EXPORT_FORMATS])
+
+const FORMAT_INFO = {
+  markdown: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', mimeType: 'text/html; charset=utf-8' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' },
+}
+
+/** History `messageType` → transcript role. Anything unlisted is `system`. */
+const ROLE_BY_MESSAGE_TYPE = {
+  user_input: 'user',
+  response: 'assistant',
+  thinking: 'thinking',
+  error: 'error',
+}
+
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+  thinking: 'Thinking',
+  error: 'Error',
+  system: 'System',
+}
+
+/** Input fields that best summarize a tool call in its one-line header. */
+const TOOL_SUMMARY_FIELDS = ['command', 'file_path', 'path', 'pattern', 'url', 'query', 'description', 'prompt']
+
+/** True when `format` is one of SESSION_EXPORT_FORMATS. */
+export function isSessionExportFormat(format) {
+  return typeof format === 'string' && SESSION_EXPORT_FORMATS.includes(format)
+}
+
+function redactText(value) {
+  return typeof value === 'string' ? redactValue(value) : ''
+}
+
+function isoOrNull(ts) {
+  return typeof ts === 'number' && Number.isFinite(ts) ? new Date(ts).toISOString() : null
+}
+
+/**
+ * Flatten a tool result to text. Results are usually strings; providers that
+ * pass content blocks through keep their text blocks and summarize the rest.
+ */
+function resultText(result) {
+  if (typeof result === 'string') return result
+  if (Array.isArray(result)) {
+    return result
+      .map((block) => (block && typeof block.text === 'string' ? block.text : `[${block?.type || 'content'}]`))
+      .join('\n')
+  }
+  if (result === undefined || result === null) return ''
+  return JSON.stringify(result, null, 2)
+}
+
+/**
+ * Convert raw history entries into redacted, provider-agnostic records — the
+ * single input every renderer consumes. Unknown entry types are dropped.
+ *
+ * @param {Array<object>} history - `SessionMessageHistory.getHistory()` output
+ * @returns {Array<object>}
+ */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return []
+  const records = []
+  for (const entry of history) {
+    if (!entry || typeof entry !== 'object') continue
+    const timestamp = isoOrNull(entry.timestamp)
+    switch (entry.type) {
+      case 'message': {
+        const text = redactText(entry.content)
+        if (!text) break
+        const role = ROLE_BY_MESSAGE_TYPE[entry.messageType] || 'system'
+        records.push({ kind: 'message', role, text, timestamp })
+        break
+      }
+      case 'user_input': {
+        const text = redactText(entry.content)
+        if (text) records.push({ kind: 'message', role: 'user', text, timestamp })
+        break
+      }
+      case 'tool_start':
+        records.push({
+          kind: 'tool_call',
+          toolUseId: typeof entry.toolUseId === 'string' ? entry.toolUseId : null,
+          tool: typeof entry.tool === 'string' ? entry.tool : 'tool',
+          input: entry.input && typeof entry.input === 'object'
+            ? sanitizeToolInput(entry.input, { maxChars: PULL_MAX_INPUT_CHARS })
+            : {},
+          timestamp,
+        })
+        break
+      case 'tool_result':
+        records.push({
+          kind: 'tool_result',
+          toolUseId: typeof entry.toolUseId === 'string' ? entry.toolUseId : null,
+          output: redactValue(resultText(entry.result)),
+          isError: entry.isError === true,
+          truncated: entry.truncated === true,
+          timestamp,
+        })
+        break
+      case 'result':
+        records.push({
+          kind: 'turn_end',
+          cost: typeof entry.cost === 'number' ? entry.cost : null,
+          durationMs: typeof entry.duration === 'number' ? entry.duration : null,
+          usage: entry.usage && typeof entry.usage === 'object' ? entry.usage : null,
+          timestamp,
+        })
+        break
+      case 'user_question':
+        records.push({
+          kind: 'question',
+          toolUseId: typeof entry.toolUseId === 'string' ? entry.toolUseId : null,
+          questions: Array.isArray(entry.questions) ? sanitizeToolInput({ q: entry.questions }).q : [],
+          timestamp,
+        })
+        break
+    }
+  }
+  return records
+}
+
+/**
+ * Pair each tool call with its result so renderers can nest them. Results
+ * whose call was trimmed off the ring buffer stay as standalone items.
+ */
+function groupRecords(records) {
+  const items = []
+  const callsById = new Map()
+  for (const record of records) {
+    if (record.kind === 'tool_call') {
+      const item = { kind: 'tool', call: record, result: null }
+      if (record.toolUseId) callsById.set(record.toolUseId, item)
+      items.push(item)
+    } else if (record.kind === 'tool_result' && record.toolUseId && callsById.has(record.toolUseId)) {
+      const item = callsById.get(record.toolUseId)
+      if (!item.result) item.result = record
+    } else {
+      items.push(record)
+    }
+  }
+  return items
+}
+
+function toolSummary(call) {
+  for (const field of TOOL_SUMMARY_FIELDS) {
+    const value = call.input?.[field]
+    if (typeof value === 'string' && value.trim()) {
+      const line = value.trim().split('\n')[0]
+      return line.length > 120 ? `${line.slice(0, 117)}...` : line
+    }
+  }
+  return ''
+}
+
+/** Diff lines for Edit / MultiEdit / Write inputs, or null for other tools. */
+function toolDiff(call) {
+  const input = call.input || {}
+  const edits = Array.isArray(input.edits)
+    ? input.edits
+    : (typeof input.old_string === 'string' || typeof input.new_string === 'string')
+      ? [input]
+      : null
+  if (edits) {
+    const lines = []
+    for (const edit of edits) {
+      if (!edit || typeof edit !== 'object') continue
+      if (lines.length) lines.push({ op: ' ', text: '...' })
+      for (const l of String(edit.old_string ?? '').split('\n')) lines.push({ op: '-', text: l })
+      for (const l of String(edit.new_string ?? '').split('\n')) lines.push({ op: '+', text: l })
+    }
+    return lines
+  }
+  if (call.tool === 'Write' && typeof input.content === 'string') {
+    return input.content.split('\n').map((text) => ({ op: '+', text }))
+  }
+  return null
+}
+
+/** TodoWrite items, or null for other tools. */
+function toolTodos(call) {
+  if (!Array.isArray(call.input?.todos)) return null
+  return call.input.todos
+    .filter((t) => t && typeof t.content === 'string')
+    .map((t) => ({ text: t.content, status: typeof t.status === 'string' ? t.status : 'pending' }))
+}
+
+function formatCost(cost) {
+  return typeof cost === 'number' ? `$${cost.toFixed(4)}` : null
+}
+
+function turnEndText(record) {
+  const parts = []
+  const cost = formatCost(record.cost)
+  if (cost) parts.push(cost)
+  if (typeof record.durationMs === 'number') parts.push(`${(record.durationMs / 1000).toFixed(1)}s`)
+  return parts.length ? `Turn complete (${parts.join(', ')})` : 'Turn complete'
+}
+
+function questionText(record) {
+  return record.questions
+    .map((q) => (q && typeof q.question === 'string' ? q.question : ''))
+    .filter(Boolean)
+    .join('\n')
+}
+
+// -- Markdown --
+
+/** A code fence longer than any backtick run in `text`, so content can't close it. */
+function fenceFor(text) {
+  const runs = String(text).match(/`+/g) || []
+  const longest = runs.reduce((max, r) => Math.max(max, r.length), 0)
+  return '`'.repeat(Math.max(3, longest + 1))
+}
+
+function codeBlock(text, lang = '') {
+  const fence = fenceFor(text)
+  return `${fence}${lang}\n${text}\n${fence}`
+}
+
+function inlineCode(text) {
+  const fence = fenceFor(text).slice(2) || '`'
+  return `${fence}${text.replace(/\n/g, ' ')}${fence}`
+}
+
+function markdownHeader(meta, entryCount) {
+  const lines = [`# ${meta.name || meta.sessionId || 'Session'}`, '']
+  if (meta.sessionId) lines.push(`- **Session:** ${inlineCode(meta.sessionId)}`)
+  if (meta.cwd) lines.push(`- **Directory:** ${inlineCode(meta.cwd)}`)
+  if (meta.provider) lines.push(`- **Provider:** ${meta.provider}`)
+  if (meta.model) lines.push(`- **Model:** ${meta.model}`)
+  lines.push(`- **Exported:** ${meta.exportedAt}`)
+  lines.push(`- **Entries:** ${entryCount}${meta.truncated ? ' (older history was trimmed)' : ''}`)
+  return lines.join('\n')
+}
+
+function markdownTool(item) {
+  const { call, result } = item
+  const summary = toolSummary(call)
+  const parts = [
+    '<details>',
+    `<summary>${escapeHtml(call.tool)}${summary ? ` — ${escapeHtml(summary)}` : ''}${result?.isError ? ' (failed)' : ''}</summary>`,
+    '',
+  ]
+  const diff = toolDiff(call)
+  const todos = toolTodos(call)
+  if (todos) {
+    for (const todo of todos) {
+      const mark = todo.status === 'completed' ? 'x' : ' '
+      const suffix = todo.status === 'in_progress' ? ' _(in progress)_' : ''
+      parts.push(`- [${mark}] ${todo.text}${suffix}`)
+    }
+  } else if (diff) {
+    if (typeof call.input.file_path === 'string') parts.push(`${inlineCode(call.input.file_path)}`, '')
+    parts.push(codeBlock(diff.map((l) => `${l.op}${l.text}`).join('\n'), 'diff'))
+  } else {
+    parts.push(codeBlock(JSON.stringify(call.input, null, 2), 'json'))
+  }
+  if (result) {
+    parts.push('', result.isError ? '**Error**' : '**Result**', '')
+    parts.push(codeBlock(result.output || '(no output)'))
+    if (result.truncated) parts.push('', '_Output truncated._')
+  }
+  parts.push('', '</details>')
+  return parts.join('\n')
+}
+
+function renderMarkdown(items, meta, entryCount) {
+  const blocks = [markdownHeader(meta, entryCount)]
+  for (const item of items) {
+    if (item.kind === 'message') {
+      blocks.push(`## ${ROLE_LABELS[item.role]}${item.timestamp ? ` · ${item.timestamp}` : ''}\n\n${
+        item.role === 'thinking' ? item.text.split('\n').map((l) => `> ${l}`).join('\n') : item.text}`)
+    } else if (item.kind === 'tool') {
+      blocks.push(markdownTool(item))
+    } else if (item.kind === 'tool_result') {
+      blocks.push(`**${item.isError ? 'Error' : 'Result'}**\n\n${codeBlock(item.output || '(no output)')}`)
+    } else if (item.kind === 'turn_end') {
+      blocks.push(`_${turnEndText(item)}_`)
+    } else if (item.kind === 'question') {
+      blocks.push(`**Question**\n\n${questionText(item)}`)
+    }
+  }
+  return `${blocks.join('\n\n')}\n`
+}
+
+// -- HTML --
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+const HTML_STYLE = `
+:root { color-scheme: light dark; --bg: #fff; --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --code: #f6f8fa; --add: #dafbe1; --del: #ffebe9; --user: #ddf4ff; --err: #cf222e; }
+@media (prefers-color-scheme: dark) { :root { --bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --border: #30363d; --code: #161b22; --add: #033a16; --del: #67060c; --user: #0c2d6b; --err: #ff7b72; } }
+* { box-sizing: border-box; }
+body { margin: 0 auto; max-width: 960px; padding: 24px 16px; background: var(--bg); color: var(--fg); font: 15px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+h1 { font-size: 1.5em; margin: 0 0 8px; }
+dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; color: var(--muted); font-size: 0.9em; margin: 0 0 24px; }
+dl.meta dt { font-weight: 600; }
+dl.meta dd { margin: 0; overflow-wrap: anywhere; }
+.msg { border: 1px solid var(--border); border-radius: 8px; padding: 10px 14px; margin: 12px 0; }
+.msg.user { background: var(--user); }
+.msg.error { border-color: var(--err); }
+.msg.thinking { color: var(--muted); font-style: italic; }
+.role { font-size: 0.8em; font-weight: 600; color: var(--muted); margin-bottom: 4px; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; }
+details.tool { border: 1px solid var(--border); border-radius: 8px; margin: 8px 0; }
+details.tool > summary { cursor: pointer; padding: 6px 12px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.85em; }
+details.tool[open] > summary { border-bottom: 1px solid var(--border); }
+details.tool.failed > summary { color: var(--err); }
+.tool-body { padding: 8px 12px; }
+pre { margin: 6px 0; padding: 8px 10px; background: var(--code); border-radius: 6px; overflow-x: auto; font: 12.5px/1.45 ui-monospace, SFMono-Regular, Menlo, monospace; }
+pre .add { display: block; background: var(--add); }
+pre .del { display: block; background: var(--del); }
+pre .ctx { display: block; color: var(--muted); }
+.label { font-size: 0.8em; font-weight: 600; color: var(--muted); margin-top: 8px; }
+ul.todos { list-style: none; padding-left: 4px; margin: 4px 0; }
+ul.todos .completed { text-decoration: line-through; color: var(--muted); }
+.turn-end { color: var(--muted); font-size: 0.8em; text-align: right; margin: 4px 0 16px; }
+`
+
+function htmlTool(item) {
+  const { call, result } = item
+  const summary = toolSummary(call)
+  const failed = result?.isError ? ' failed' : ''
+  const parts = [
+    `<details class="tool${failed}"><summary>${escapeHtml(call.tool)}${summary ? ` — ${escapeHtml(summary)}` : ''}</summary><div class="tool-body">`,
+  ]
+  const diff = toolDiff(call)
+  const todos = toolTodos(call)
+  if (todos) {
+    parts.push('<ul class="todos">')
+    for (const todo of todos) {
+      const box = todo.status === 'completed' ? '☑' : todo.status === 'in_progress' ? '◐' : '☐'
+      parts.push(`<li class="${escapeHtml(todo.status)}">${box} ${escapeHtml(todo.text)}</li>`)
+    }
+    parts.push('</ul>')
+  } else if (diff) {
+    if (typeof call.input.file_path === 'string') parts.push(`<div class="label">${escapeHtml(call.input.file_path)}</div>`)
+    const lines = diff.map((l) => {
+      const cls = l.op === '+' ? 'add' : l.op === '-' ? 'del' : 'ctx'
+      return `<span class="${cls}">${escapeHtml(`${l.op}${l.text}`)}</span>`
+    })
+    parts.push(`<pre class="diff">${lines.join('')}</pre>`)
+  } else {
+    parts.push(`<pre>${escapeHtml(JSON.stringify(call.input, null, 2))}</pre>`)
+  }
+  if (result) {
+    parts.push(`<div class="label">${result.isError ? 'Error' : 'Result'}${result.truncated ? ' (truncated)' : ''}</div>`)
+    parts.push(`<pre>${escapeHtml(result.output || '(no output)')}</pre>`)
+  }
+  parts.push('</div></details>')
+  return parts.join('')
+}
+
+function renderHtml(items, meta, entryCount) {
+  const title = meta.name || meta.sessionId || 'Session'
+  const metaRows = [
+    ['Session', meta.sessionId],
+    ['Directory', meta.cwd],
+    ['Provider', meta.provider],
+    ['Model', meta.model],
+    ['Exported', meta.exportedAt],
+    ['Entries', `${entryCount}${meta.truncated ? ' (older history was trimmed)' : ''}`],
+  ].filter(([, v]) => v)
+  const body = []
+  for (const item of items) {
+    if (item.kind === 'message') {
+      const time = item.timestamp ? ` · <time datetime="${escapeHtml(item.timestamp)}">${escapeHtml(item.timestamp)}</time>` : ''
+      body.push(`<section class="msg ${item.role}"><div class="role">${ROLE_LABELS[item.role]}${time}</div><div class="text">${escapeHtml(item.text)}</div></section>`)
+    } else if (item.kind === 'tool') {
+      body.push(htmlTool(item))
+    } else if (item.kind === 'tool_result') {
+      body.push(`<div class="label">${item.isError ? 'Error' : 'Result'}</div><pre>${escapeHtml(item.output || '(no output)')}</pre>`)
+    } else if (item.kind === 'turn_end') {
+      body.push(`<div class="turn-end">${escapeHtml(turnEndText(item))}</div>`)
+    } else if (item.kind === 'question') {
+      body.push(`<section class="msg"><div class="role">Question</div><div class="text">${escapeHtml(questionText(item))}</div></section>`)
+    }
+  }
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<dl class="meta">${metaRows.map(([k, v]) => `<dt>${k}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>`,
+    ...body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n')
+}
+
+// -- JSONL --
+
+function renderJsonl(records, meta) {
+  const header = { kind: 'meta', ...meta, entryCount: records.length }
+  return [header, ...records].map((r) => JSON.stringify(r)).join('\n') + '\n'
+}
+
+/**
+ * Suggested download name: the session name slugged, plus the format's
+ * extension. Falls back to the session id.
+ */
+export function exportFileName(meta, format) {
+  const base = String(meta?.name || meta?.sessionId || 'session')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'session'
+  return `${base}.${FORMAT_INFO[format].extension}`
+}
+
+/**
+ * Render a session's history in one of SESSION_EXPORT_FORMATS.
+ *
+ * @param {object} opts
+ * @param {Array<object>} opts.history - raw `SessionMessageHistory` entries
+ * @param {string} opts.format - one of SESSION_EXPORT_FORMATS
+ * @param {object} [opts.meta] - `{ sessionId, name, cwd, provider, model, truncated }`
+ * @param {() => number} [opts.now] - clock (tests)
+ * @returns {{ content: string, format: string, mimeType: string, fileName: string, entryCount: number }}
+ */
+export function renderSessionExport({ history, format, meta = {}, now = Date.now } = {}) {
+  if (!isSessionExportFormat(format)) {
+    throw new Error(`Unknown export format: ${format} (expected one of ${SESSION_EXPORT_FORMATS.join(', ')})`)
+  }
+  const records = normalizeHistory(history)
+  const fullMeta = {
+    sessionId: meta.sessionId ?? null,
+    name: typeof meta.name === 'string' ? redactValue(meta.name) : null,
+    cwd: meta.cwd ?? null,
+    provider: meta.provider ?? null,
+    model: meta.model ?? null,
+    truncated: meta.truncated === true,
+    exportedAt: new Date(now()).toISOString(),
+  }
+  let content
+  if (format === 'jsonl') {
+    content = renderJsonl(records, fullMeta)
+  } else {
+    const items = groupRecords(records)
+    content = format === 'html'
+      ? renderHtml(items, fullMeta, records.length)
+      : renderMarkdown(items, fullMeta, records.length)
+  }
+  return {
+    content,
+    format,
+    mimeType: FORMAT_INFO[format].mimeType,
+    fileName: exportFileName(fullMeta, format),
+    entryCount: records.length,
+  }
+}
+
+/**
+ * Render the HTML export and store it as a Chroxy Page in one step. Throws
+ * whatever `PagesStore.publish` throws (size caps, I/O faults) — callers map
+ * that onto their own error surface.
+ *
+ * @param {import('./pages-store.js').PagesStore} pagesStore
+ * @param {object} opts - as `renderSessionExport`, minus `format`, plus an optional `title`
+ * @returns {{ slug: string, title: string, path: string, bytes: number, entryCount: number }}
+ */
+export function publishSessionExport(pagesStore, { history, meta = {}, title, now } = {}) {
+  const rendered = renderSessionExport({ history, format: 'html', meta, now })
+  const pageTitle = typeof title === 'string' && title.trim()
+    ? title.trim()
+    : `${meta.name || meta.sessionId || 'Session'} — transcript`
+  const page = pagesStore.publishHtml({ title: pageTitle, html: rendered.content })
+  return { slug: page.slug, title: page.title, path: `/p/${page.slug}/`, bytes: page.bytes, entryCount: rendered.entryCount }
+}
+
+/**
+ * Export metadata for a SessionManager entry — the fields the header shows.
+ * @param {string} sessionId
+ * @param {object} entry - `sessionManager.getSession(id)`
+ * @param {object} [sessionManager] - for the history-truncated flag
+ */
+export function exportMetaForSession(sessionId, entry, sessionManager) {
+  return {
+    sessionId,
+    name: entry?.name ?? null,
+    cwd: entry?.cwd ?? null,
+    provider: entry?.provider ?? null,
+    model: entry?.session && typeof entry.session.model === 'string' ? entry.session.model : null,
+    truncated: sessionManager?.isHistoryTruncated?.(sessionId) === true,
+  }
+}
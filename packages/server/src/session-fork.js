@@ -0,0 +1,273 @@
+/**
+ * Fork a session from any message into a new, independent session.
+ *
+ * Checkpoint restore (#6766) can branch an SDK conversation at a checkpoint's
+ * `boundaryMessageId`, but only where a checkpoint was created. A fork starts
+ * from ANY message still in the source session's history:
+ *
+ *   - Conversation. The fork carries every turn up to and including the turn
+ *     that holds the chosen message (turn granularity: forking from a prompt
+ *     keeps that prompt's reply). When the new session stays on the source's
+ *     fork-capable provider and the SDK knows that turn's transcript boundary
+ *     (`SdkSession#conversationBoundaryFor`), the provider's own transcript is
+ *     branched with `forkConversation`, exactly as a checkpoint rewind does.
+ *     Otherwise — another provider, a provider that can't fork, or a turn from
+ *     before a daemon restart — the carried turns are flattened into a
+ *     transcript that is prepended once to the new session's first message.
+ *   - Files. The source working tree, uncommitted and untracked changes
+ *     included (gitignored files are not), is snapshotted into a dangling
+ *     commit without touching the source's index, then laid over a fresh
+ *     detached worktree at the source's HEAD. Both sessions can then proceed
+ *     independently and be compared side by side. A source outside a git
+ *     repository forks into the same directory (no isolation).
+ *
+ * Either way the new session's history is seeded with the carried entries, so
+ * clients show the conversation the fork continues from.
+ */
+import { execFile as execFileCb } from 'child_process'
+import { copyFileSync, existsSync, mkdirSync, mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join, resolve } from 'path'
+import { promisify } from 'util'
+import { USER_SHELL_PROVIDER } from '@chroxy/protocol'
+import { GIT } from './git.js'
+import { resolveJsonlPath } from './jsonl-reader.js'
+import { SessionError } from './session-manager.js'
+import { flattenHistory, windowTranscript } from './summarize-session.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('fork')
+
+const execFileAsync = promisify(execFileCb)
+
+// The snapshot commit is never put on a branch — it only feeds the new
+// worktree — so it gets a fixed identity instead of failing on a machine with
+// no git user configured.
+const SNAPSHOT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'chroxy',
+  GIT_AUTHOR_EMAIL: 'chroxy@localhost',
+  GIT_COMMITTER_NAME: 'chroxy',
+  GIT_COMMITTER_EMAIL: 'chroxy@localhost',
+}
+
+function isUserTurnStart(entry) {
+  return entry?.type === 'message' && entry.messageType === 'user_input'
+}
+
+/**
+ * Locate the fork point in a session history.
+ *
+ * Matches the entry whose `messageId` (responses, prompts, tool starts) or
+ * `toolUseId` equals `messageId`; failing that, an entry whose messageId the
+ * client extended (`<messageId>-thinking-0`). The carried range runs to the
+ * end of that entry's turn — up to, not including, the next prompt.
+ *
+ * @param {Array<object>} history
+ * @param {string} messageId
+ * @returns {{ index: number, end: number, entries: Array<object> } | null}
+ */
+export function findForkPoint(history, messageId) {
+  if (!Array.isArray(history) || typeof messageId !== 'string' || !messageId) return null
+  let index = history.findIndex((e) => e && (e.messageId === messageId || e.toolUseId === messageId))
+  if (index === -1) {
+    index = history.findIndex((e) => e && typeof e.messageId === 'string' && e.messageId && messageId.startsWith(`${e.messageId}-`))
+  }
+  if (index === -1) return null
+  let end = index + 1
+  while (end < history.length && !isUserTurnStart(history[end])) end++
+  return { index, end, entries: history.slice(0, end) }
+}
+
+/**
+ * The transcript boundary of the LAST turn in `entries`, as known to the
+ * session's provider. Only that turn counts: an earlier turn's boundary would
+ * silently fork a shorter conversation than the one the user picked.
+ *
+ * @param {object} session - provider session (feature-detected)
+ * @param {Array<object>} entries
+ * @returns {string|null}
+ */
+export function lastTurnBoundary(session, entries) {
+  if (typeof session?.conversationBoundaryFor !== 'function') return null
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i]
+    if (isUserTurnStart(entry)) break
+    if (typeof entry?.messageId !== 'string' || !entry.messageId) continue
+    const boundary = session.conversationBoundaryFor(entry.messageId)
+    if (boundary) return boundary
+  }
+  return null
+}
+
+/**
+ * Snapshot a working tree — tracked changes plus untracked, non-ignored files —
+ * into a dangling commit whose parent is HEAD. Uses a throwaway index
+ * (`GIT_INDEX_FILE`), so the source's staging area and stash are never
+ * touched and a concurrently running session sees nothing.
+ *
+ * @param {string} cwd
+ * @returns {Promise<{ head: string, commit: string } | null>} null when `cwd`
+ *   is not in a git repository or the repository has no commit yet
+ */
+export async function snapshotWorkingTree(cwd) {
+  let head
+  try {
+    const { stdout } = await execFileAsync(GIT, ['-C', cwd, 'rev-parse', '--verify', 'HEAD'])
+    head = stdout.trim()
+  } catch {
+    return null
+  }
+  const indexDir = mkdtempSync(join(tmpdir(), 'chroxy-fork-index-'))
+  const env = { ...process.env, ...SNAPSHOT_IDENTITY, GIT_INDEX_FILE: join(indexDir, 'index') }
+  try {
+    await execFileAsync(GIT, ['-C', cwd, 'read-tree', head], { env })
+    await execFileAsync(GIT, ['-C', cwd, 'add', '-A'], { env })
+    const { stdout: tree } = await execFileAsync(GIT, ['-C', cwd, 'write-tree'], { env })
+    const { stdout: commit } = await execFileAsync(
+      GIT, ['-C', cwd, 'commit-tree', tree.trim(), '-p', head, '-m', 'chroxy: session fork snapshot'],
+      { env },
+    )
+    return { head, commit: commit.trim() }
+  } finally {
+    rmSync(indexDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Map a history entry onto the turn shape the summarizer's flattener labels
+ * (User / Assistant / Tool). Thinking, system notices and results are dropped:
+ * the carried transcript is the exchange, not the session's chrome.
+ */
+function toTranscriptEntry(entry) {
+  if (entry?.type === 'message' && (entry.messageType === 'user_input' || entry.messageType === 'response')) {
+    return { type: entry.messageType, content: entry.content }
+  }
+  if (entry?.type === 'tool_start' && typeof entry.tool === 'string') {
+    return { type: 'tool_use', tool: entry.tool }
+  }
+  return null
+}
+
+/**
+ * The text a transcript carry prepends to the new session's first message.
+ * Reuses the summarizer's flattener and window (#5547), so a very long source
+ * keeps its opening and most-recent turns.
+ *
+ * @param {Array<object>} entries
+ * @param {{ sourceName?: string, sourceProvider?: string }} [opts]
+ * @returns {{ text: string, truncated: boolean } | null} null when nothing
+ *   in the carried range has text
+ */
+export function buildCarryText(entries, { sourceName, sourceProvider } = {}) {
+  const transcript = flattenHistory(entries.map(toTranscriptEntry).filter(Boolean))
+  if (!transcript) return null
+  const { text, truncated } = windowTranscript(transcript)
+  const from = [sourceName ? `"${sourceName}"` : null, sourceProvider ? `(${sourceProvider})` : null].filter(Boolean).join(' ')
+  return {
+    text: [
+      `[Earlier conversation, carried over from session ${from || 'being forked'}. It is context only — continue from it. The user's new message follows the marker below.]`,
+      text,
+      '[End of carried conversation]',
+    ].join('\n\n'),
+    truncated,
+  }
+}
+
+/**
+ * Copy a forked SDK transcript into the project directory of the new session's
+ * cwd. `forkSession` writes the fork next to the source transcript (keyed by
+ * the source cwd); the new session resumes from its own worktree.
+ */
+function copyTranscript(fromCwd, toCwd, conversationId) {
+  const from = resolveJsonlPath(fromCwd, conversationId)
+  const to = resolveJsonlPath(toCwd, conversationId)
+  if (resolve(from) === resolve(to)) return
+  if (!existsSync(from)) throw new Error(`forked transcript not found at ${from}`)
+  mkdirSync(dirname(to), { recursive: true })
+  copyFileSync(from, to)
+}
+
+/**
+ * Fork `sourceSessionId` at `messageId` into a new session.
+ *
+ * @param {object} params
+ * @param {import('./session-manager.js').SessionManager} params.sessionManager
+ * @param {string} params.sourceSessionId
+ * @param {string} params.messageId - any message id the client rendered
+ * @param {string} [params.provider] - defaults to the source's provider
+ * @param {string} [params.model] - defaults to the source's model when the
+ *   provider is unchanged, else the provider's default
+ * @param {string} [params.name] - defaults to `Fork: <source name>`
+ * @returns {Promise<{ sessionId: string, carry: 'conversation'|'transcript'|'none', worktree: boolean, carriedMessages: number, truncated: boolean }>}
+ * @throws {SessionError} FORK_SOURCE_NOT_FOUND, FORK_UNSUPPORTED,
+ *   FORK_SOURCE_BUSY, FORK_MESSAGE_NOT_FOUND; or a createSession error
+ */
+export async function forkSession({ sessionManager, sourceSessionId, messageId, provider, model, name }) {
+  const source = sessionManager.getSession(sourceSessionId)
+  if (!source) throw new SessionError(`Session not found: ${sourceSessionId}`, 'FORK_SOURCE_NOT_FOUND')
+  const sourceProvider = source.provider
+  const targetProvider = provider || sourceProvider
+  if (sourceProvider === USER_SHELL_PROVIDER || targetProvider === USER_SHELL_PROVIDER) {
+    throw new SessionError('Terminal sessions have no conversation to fork.', 'FORK_UNSUPPORTED')
+  }
+  if (source.session.isRunning) {
+    throw new SessionError('Cannot fork while the session is busy. Wait for the current task to finish or interrupt first.', 'FORK_SOURCE_BUSY')
+  }
+  const point = findForkPoint(sessionManager.getHistory(sourceSessionId), messageId)
+  if (!point) {
+    throw new SessionError("That message is no longer in the session's history, so it can't be forked from.", 'FORK_MESSAGE_NOT_FOUND')
+  }
+
+  // Branch the provider's own transcript when the new session can resume it.
+  let resumeSessionId = null
+  const sameProvider = targetProvider === sourceProvider
+  if (sameProvider && source.session.supportsConversationFork === true &&
+      typeof source.session.forkConversation === 'function' && source.session.resumeSessionId) {
+    const boundary = lastTurnBoundary(source.session, point.entries)
+    if (boundary) {
+      try {
+        resumeSessionId = await source.session.forkConversation({
+          sessionId: source.session.resumeSessionId,
+          upToMessageId: boundary,
+        })
+      } catch (err) {
+        log.warn(`Conversation fork of ${sourceSessionId} failed, carrying a transcript instead: ${err.message}`)
+      }
+    }
+  }
+  const carry = resumeSessionId ? null : buildCarryText(point.entries, { sourceName: source.name, sourceProvider })
+
+  const snapshot = await snapshotWorkingTree(source.cwd)
+  const sessionId = sessionManager.createSession({
+    name: name || `Fork: ${source.name}`,
+    // A worktree session forks from its repo, not from inside its worktree.
+    cwd: snapshot ? (source.worktreeRepoDir || source.cwd) : source.cwd,
+    provider: targetProvider,
+    model: model || (sameProvider ? source.session.model || undefined : undefined),
+    permissionMode: sameProvider ? source.session.permissionMode : undefined,
+    resumeSessionId: resumeSessionId || undefined,
+    worktreeSnapshot: snapshot || undefined,
+  })
+  const entry = sessionManager.getSession(sessionId)
+
+  if (resumeSessionId) {
+    try {
+      copyTranscript(source.cwd, entry.cwd, resumeSessionId)
+    } catch (err) {
+      await sessionManager.destroySession(sessionId)
+      throw new SessionError(`Failed to copy the forked conversation into the new session: ${err.message}`, 'FORK_FAILED')
+    }
+  } else if (carry) {
+    sessionManager.setPendingCarry(sessionId, carry.text)
+  }
+  sessionManager.seedHistory(sessionId, point.entries)
+  log.info(`Forked session ${sourceSessionId} at ${messageId} into ${sessionId} (${resumeSessionId ? 'conversation' : carry ? 'transcript' : 'no'} carry, ${snapshot ? 'worktree' : 'shared cwd'})`)
+
+  return {
+    sessionId,
+    carry: resumeSessionId ? 'conversation' : carry ? 'transcript' : 'none',
+    worktree: entry.worktreePath != null,
+    carriedMessages: point.entries.length,
+    truncated: carry?.truncated === true,
+  }
+}
@@ -1,7 +1,7 @@
 import { EventEmitter } from 'events'
 import { randomBytes } from 'crypto'
 import { statSync, mkdirSync, rmSync } from 'fs'
-import { join, resolve, dirname } from 'path'
+import { join, resolve, dirname, isAbsolute } from 'path'
 import { execFileSync } from 'child_process'
 import { getProvider, getProviderAuthInfo, DEFAULT_PROVIDER } from './providers.js'
 import { isClaudeProvider } from './models.js'
@@ -30,14 +30,18 @@ import { SessionPresetTrustStore } from './session-preset-trust.js'
 import { BinaryProvenanceLedger } from './binary-provenance-trust.js'
 import { PermissionRuleStore } from './permission-rule-store.js'
 import { ScheduledTaskStore, defaultScheduledTasksPath } from './scheduled-task-store.js'
+import { ScheduledRunHistory, defaultScheduledRunsDir } from './scheduled-run-history.js'
 import { createLogger } from './logger.js'
 import { ExternalSessionRegistry } from './external-session-registry.js'
 import { metrics } from './metrics.js'
+import { SessionLatencyRecorder } from './latency-recorder.js'
 import { auditShellDestroy } from './shell-audit.js'
 import { recordShell, forgetShell, reapOrphanShells } from './user-shell-registry.js'
 import { getErrorMessage } from './utils/error-message.js'
 import { toWireCount } from './utils/wire-counters.js'
 import { configPath } from './config-dir.js'
+import { normalizeEgressPolicy, isRestrictedEgress } from './egress/egress-policy.js'
+import { normalizeBwrapSandbox, bwrapUnsupportedReason, resolveBwrapBinary, describeBwrapSandbox } from './bwrap-sandbox.js'
 import {
   forwardPerSessionSettingsToProviderOpts,
   serializePerSessionSettings,
@@ -61,6 +65,35 @@ export function defaultStateFile() {
 // viewer sees the "[shell exited]" marker before the session vanishes.
 const AUTO_REMOVE_ON_EXIT_DELAY_MS = 1500
 
+/**
+ * Re-validate a persisted per-session egress policy. The state file is
+ * hand-editable, so anything that no longer normalizes is dropped (with a
+ * warning) and the session falls back to the provider default.
+ */
+function restoreEgressPolicy(saved) {
+  if (!saved) return undefined
+  try {
+    return normalizeEgressPolicy(saved, 'session-state egress') || undefined
+  } catch (err) {
+    log.warn(`Ignoring persisted egress policy: ${err.message}`)
+    return undefined
+  }
+}
+
+/**
+ * Re-validate a persisted bwrap sandbox spec, like restoreEgressPolicy. A
+ * spec that no longer normalizes is dropped with a warning.
+ */
+function restoreBwrapSandbox(saved) {
+  if (!saved) return undefined
+  try {
+    return normalizeBwrapSandbox(saved, 'session-state bwrapSandbox') || undefined
+  } catch (err) {
+    log.warn(`Ignoring persisted bwrap sandbox: ${err.message}`)
+    return undefined
+  }
+}
+
 /**
  * Zero-initialized cumulative usage record (#4072). Lives on the session
  * entry; increments on every priced `result` event. Field names are
@@ -221,6 +254,9 @@ export { ProviderBinaryNotFoundError, ProviderBinaryQuarantinedError, ProviderBi
  * @property {number}  [maxToolInput]            - Max characters for tool input display
  * @property {Array}   [transforms=[]]           - Message transform functions
  * @property {object}  [sandbox]                 - SDK sandbox settings for lightweight isolation
+ * @property {object}  [defaultEgress]           - Normalized `egress` config policy for containerized
+ *                                                  providers ({ policy, domains }); null = open
+ * @property {string}  [egressProxyImage]        - Image for the egress filtering proxy (config `egress.proxyImage`)
  * @property {number}  [costBudget]              - Per-session cost budget in dollars (e.g. 5.00).
  *                                                  Applied independently to each session; not a shared/global pool.
  *
@@ -301,6 +337,11 @@ export class SessionManager extends EventEmitter {
     maxToolInput,
     transforms,
     sandbox,
+    // Network egress: the config-level default policy (already normalized by
+    // server-cli) and the proxy image override. Forwarded only to
+    // containerized providers, which resolve it against a per-session policy.
+    defaultEgress = null,
+    egressProxyImage = null,
     costBudget,
     // #4075: per-session "you've spent $X" soft warning. Distinct from
     // `costBudget` (which hard-blocks at the cap). Fires once per session
@@ -395,6 +436,9 @@ export class SessionManager extends EventEmitter {
     // the session-state file so a temp stateFilePath keeps it out of the real
     // ~/.chroxy. No firing here — the engine is a sibling slice (#6865).
     scheduledTaskStore,
+    // The scheduled tasks' run history (scheduled-run-history.js) — same
+    // temp-redirect contract as the registry above.
+    scheduledRunHistory,
 
     // Message history
     maxMessages,
@@ -529,6 +573,8 @@ export class SessionManager extends EventEmitter {
     this._maxToolInput = maxToolInput || null
     this._transforms = transforms || []
     this._sandbox = sandbox || null
+    this._defaultEgress = defaultEgress || null
+    this._egressProxyImage = egressProxyImage || null
     // #3749: per-server inactivity timeout (ms) forwarded to providers
     // via providerOpts. null = use BaseSession's DEFAULT_RESULT_TIMEOUT_MS.
     //
@@ -699,6 +745,8 @@ export class SessionManager extends EventEmitter {
       this.scheduledTaskStore = new ScheduledTaskStore({ filePath: defaultScheduledTasksPath(this._stateFilePath) })
       this.scheduledTaskStore.load()
     }
+    this.scheduledRunHistory = scheduledRunHistory
+      || new ScheduledRunHistory({ dir: defaultScheduledRunsDir(this._stateFilePath) })
     Object.defineProperty(this, '_persistTimer', {
       get: () => this._persistence._persistTimer,
       set: (v) => { this._persistence._persistTimer = v },
@@ -745,6 +793,9 @@ export class SessionManager extends EventEmitter {
 
     // Internal state
     this._sessions = new Map() // sessionId -> { session, name, cwd, createdAt, agentCommId? }
+    // Input → first-token / input → result timing for the /metrics latency
+    // histograms. Fed by recordUserInput and the proxied-event loop.
+    this._latency = new SessionLatencyRecorder()
     this._agentCommIds = new Map() // agentCommId -> sessionId (mailbox live-interrupt routing)
     this._mailboxEvents = [] // bounded ring buffer of recent mailbox deliveries (Control Room observability)
     this._externalSessions = new ExternalSessionRegistry() // #5969 — live external (/api/events) sessions for mission control
@@ -821,6 +872,7 @@ export class SessionManager extends EventEmitter {
     this._timeoutManager.removeSession(sessionId)
     this._history.cleanupSession(sessionId)
     this._costBudget.removeSession(sessionId)
+    this._latency.forget(sessionId)
   }
 
   /**
@@ -1006,7 +1058,7 @@ export class SessionManager extends EventEmitter {
    *   effectiveSessionPreamble: (string|undefined),
    * }} the validated create plan.
    */
-  _resolveCreateSessionPlan({ name, cwd, model, permissionMode, provider, worktree, restoreWorktreePath, restoreWorktreeRepoDir, sessionPreamble, preserveId, isRestore = false } = {}) {
+  _resolveCreateSessionPlan({ name, cwd, model, permissionMode, provider, worktree, worktreeSnapshot, restoreWorktreePath, restoreWorktreeRepoDir, sessionPreamble, preserveId, egress, bwrapSandbox, isRestore = false } = {}) {
     if (this._sessions.size >= this.maxSessions) {
       log.error(`Cannot create session: limit reached (${this._sessions.size}/${this.maxSessions})`)
       throw new SessionLimitError(this.maxSessions)
@@ -1076,6 +1128,17 @@ export class SessionManager extends EventEmitter {
     if (PreflightProviderClass?.isUserShell === true && !this._userShellEnabled) {
       throw new UserShellDisabledError()
     }
+    // Only containerized providers enforce an egress policy; on a host provider
+    // a restricted one would be a silent no-op, so refuse it before any spawn.
+    if (isRestrictedEgress(egress) && !PreflightProviderClass?.capabilities?.containerized) {
+      throw new Error(`Egress policies need a containerized provider; "${resolvedProviderType}" runs on the host`)
+    }
+    // Likewise a bwrap sandbox the provider wouldn't apply: refuse rather than
+    // run the CLI unconfined.
+    if (bwrapSandbox) {
+      const reason = bwrapUnsupportedReason(PreflightProviderClass, resolvedProviderType)
+      if (reason) throw new Error(reason)
+    }
     if (!this._skipPreflight) {
       // #6858: opt-in provenance gate. Only build the provenance bag when the
       // operator opted in (mode warn/block or the signature gate); otherwise pass
@@ -1088,6 +1151,9 @@ export class SessionManager extends EventEmitter {
         }
         : null
       runProviderPreflight(PreflightProviderClass, { provenance })
+      if (bwrapSandbox && !isAbsolute(resolveBwrapBinary())) {
+        throw new Error('sandbox "bwrap" needs bubblewrap installed (bwrap not found on PATH)')
+      }
     }
     // #6378: a provider opted into `config.providers.allowAnyModel` skips static
     // allowlist validation entirely — the model id passes through verbatim and
@@ -1163,7 +1229,7 @@ export class SessionManager extends EventEmitter {
       } else {
         log.warn(`Restored worktreePath "${restoreWorktreePath}" for session ${sessionId} does not match the expected per-session worktree dir "${expectedWorktreeDir}" — ignoring the rebind (treating as non-worktree) so a corrupted state file can't make destroySession() delete an arbitrary path`)
       }
-    } else if (worktree) {
+    } else if (worktree || worktreeSnapshot) {
       // Verify cwd is inside a git repository
       try {
         execFileSync(GIT, ['-C', baseCwd, 'rev-parse', '--git-dir'], {
@@ -1179,8 +1245,12 @@ export class SessionManager extends EventEmitter {
       const worktreeDir = join(worktreeBase, sessionId)
       mkdirSync(worktreeBase, { recursive: true })
 
+      // A fork (session-fork.js) checks the worktree out at the SOURCE
+      // session's HEAD rather than the repo's, so a fork of a worktree session
+      // starts from that worktree's commit.
+      const baseRef = worktreeSnapshot?.head || 'HEAD'
       try {
-        execFileSync(GIT, ['-C', baseCwd, 'worktree', 'add', '--detach', worktreeDir, 'HEAD'], {
+        execFileSync(GIT, ['-C', baseCwd, 'worktree', 'add', '--detach', worktreeDir, baseRef], {
           stdio: ['pipe', 'pipe', 'pipe'],
           encoding: 'utf-8',
         })
@@ -1189,6 +1259,26 @@ export class SessionManager extends EventEmitter {
         throw new WorktreeError(`Failed to create worktree: ${msg}`)
       }
 
+      // Fork: lay the source's uncommitted + untracked changes over the fresh
+      // checkout. `read-tree -u --reset` moves index AND files to the snapshot
+      // tree (deleting what the source deleted); the mixed `reset` then puts the
+      // index back on HEAD so the changes show as uncommitted, exactly as they
+      // do in the source. A failure rolls the half-built worktree back.
+      if (worktreeSnapshot?.commit) {
+        try {
+          for (const args of [['read-tree', '-u', '--reset', worktreeSnapshot.commit], ['reset', '-q']]) {
+            execFileSync(GIT, ['-C', worktreeDir, ...args], {
+              stdio: ['pipe', 'pipe', 'pipe'],
+              encoding: 'utf-8',
+            })
+          }
+        } catch (err) {
+          this._removeWorktree(worktreeDir, baseCwd, sessionId)
+          const msg = err?.stderr?.trim() || err?.message || String(err)
+          throw new WorktreeError(`Failed to copy the source files into the worktree: ${msg}`)
+        }
+      }
+
       resolvedCwd = worktreeDir
       worktreePath = worktreeDir
       worktreeRepoDir = baseCwd
@@ -1276,7 +1366,17 @@ export class SessionManager extends EventEmitter {
    * @param {string} [options.resumeSessionId]
    * @param {string} [options.provider]
    * @param {boolean} [options.worktree] - When true, creates a git worktree for isolation
-   * @param {object} [options.sandbox] - SDK sandbox settings for lightweight isolation
+   * @param {{ head: string, commit: string|null }} [options.worktreeSnapshot] - Fork only
+   *   (session-fork.js): create the worktree at `head` and overlay the working-tree
+   *   snapshot `commit` as uncommitted changes. Implies `worktree`.
+   * @param {object|string} [options.sandbox] - SDK sandbox settings for lightweight isolation,
+   *   or `'bwrap'` / `{ mode: 'bwrap', network?, home? }` to run a local CLI provider under
+   *   bubblewrap (bwrap-sandbox.js). The bwrap form throws on a non-Linux host or a provider
+   *   without the `bwrapSandbox` capability, and BwrapSandboxError on an unknown option.
+   * @param {{policy: string, domains: string[]}} [options.egress] - Normalized per-session
+   *   network egress policy (egress/egress-policy.js). Containerized providers only: a
+   *   restricted policy on any other provider throws, since nothing would enforce it.
+   *   When omitted the provider falls back to devcontainer.json, then the config default.
    * @param {boolean} [options.promptEvaluator] - Per-session toggle for the auto-evaluator
    *   chain (#3185). Default false — the manual `evaluate_draft` flow remains unaffected.
    * @param {boolean} [options.chroxyContextHint] - Per-session opt-in toggle for
@@ -1339,7 +1439,7 @@ export class SessionManager extends EventEmitter {
    *   it (#6743).
    * @returns {string} sessionId
    */
-  createSession({ name, cwd, model, permissionMode, resumeSessionId, provider, worktree, restoreWorktreePath, restoreWorktreeRepoDir, sandbox, codexSandbox, containerId, containerUser, containerCliPath, promptEvaluator, promptEvaluatorSkipPattern, chroxyContextHint, sessionPreamble, stdinForwardingDisabled, disabledMcpServers, bootedModel, messageCounter, skipPermissions, agentCommId, metadata = null, skipPersist = false, preserveId, isRestore = false } = {}) {
+  createSession({ name, cwd, model, permissionMode, resumeSessionId, provider, worktree, worktreeSnapshot, restoreWorktreePath, restoreWorktreeRepoDir, sandbox, codexSandbox, containerId, containerUser, containerCliPath, promptEvaluator, promptEvaluatorSkipPattern, chroxyContextHint, sessionPreamble, stdinForwardingDisabled, disabledMcpServers, bootedModel, messageCounter, skipPermissions, agentCommId, failoverChain, egress, metadata = null, skipPersist = false, preserveId, isRestore = false } = {}) {
     // #6036 — front-half SRP extraction: preflight + isolation + provider/preset
     // resolution (incl. the limit guard, cwd check, id/name, #2962 preflight,
     // #5985 user-shell gate, #3403 model fallback, worktree create/restore, and
@@ -1348,6 +1448,9 @@ export class SessionManager extends EventEmitter {
     // consumes the validated plan to build providerOpts, construct, register,
     // and start. Both halves stay in the same file so the BaseSession opt
     // forwarding stays readable next to the construction it feeds.
+    // `sandbox: 'bwrap'` (or `{ mode: 'bwrap', … }`) selects the bubblewrap
+    // sandbox; any other object is SDK sandbox settings, passed through as-is.
+    const bwrapSandbox = normalizeBwrapSandbox(sandbox)
     const plan = this._resolveCreateSessionPlan({
       name,
       cwd,
@@ -1355,10 +1458,13 @@ export class SessionManager extends EventEmitter {
       permissionMode,
       provider,
       worktree,
+      worktreeSnapshot,
       restoreWorktreePath,
       restoreWorktreeRepoDir,
       sessionPreamble,
       preserveId,
+      egress,
+      bwrapSandbox,
       isRestore,
     })
     const {
@@ -1409,12 +1515,7 @@ export class SessionManager extends EventEmitter {
     // When the entry is absent we fall back to the global
     // `_streamStallTimeoutMs` (or omit the key entirely so BaseSession's
     // 5min default applies).
-    const perProviderStall = this._providerStreamStallTimeoutMs
-    if (perProviderStall && Object.prototype.hasOwnProperty.call(perProviderStall, resolvedProvider)) {
-      providerOpts.streamStallTimeoutMs = perProviderStall[resolvedProvider]
-    } else if (this._streamStallTimeoutMs != null) {
-      providerOpts.streamStallTimeoutMs = this._streamStallTimeoutMs
-    }
+    this._applyStreamStallTimeout(providerOpts, resolvedProvider)
     if (this._mcpToolCallTimeoutMs != null) providerOpts.mcpToolCallTimeoutMs = this._mcpToolCallTimeoutMs
     if (this._mcpStartCapMs != null) providerOpts.mcpStartCapMs = this._mcpStartCapMs
     // Skills size budgets — pass through if configured. BaseSession forwards
@@ -1488,9 +1589,21 @@ export class SessionManager extends EventEmitter {
       ? skipPermissions
       : this._defaultSkipPermissions
     if (resolvedSkipPermissions) providerOpts.skipPermissions = true
-    // Sandbox: per-session overrides server-level default
-    const resolvedSandbox = sandbox || this._sandbox
-    if (resolvedSandbox) providerOpts.sandbox = resolvedSandbox
+    // Sandbox: per-session overrides server-level default. A bwrap sandbox
+    // replaces the SDK settings rather than riding alongside them (the
+    // providers that take one spawn a CLI and ignore `sandbox`).
+    const resolvedSandbox = bwrapSandbox || sandbox || this._sandbox
+    if (bwrapSandbox) providerOpts.bwrapSandbox = bwrapSandbox
+    else if (resolvedSandbox) providerOpts.sandbox = resolvedSandbox
+    // Network egress: containerized providers enforce it (egress-gateway.js),
+    // so hand them the per-session policy plus the config default and let them
+    // resolve precedence — docker-byok slots devcontainer.json in between.
+    // (A restricted policy on a host provider was refused in the plan above.)
+    if (ProviderClass.capabilities?.containerized) {
+      if (egress) providerOpts.egress = egress
+      if (this._defaultEgress) providerOpts.defaultEgress = this._defaultEgress
+      if (this._egressProxyImage) providerOpts.egressProxyImage = this._egressProxyImage
+    }
     // External container support (EnvironmentManager integration)
     if (containerId) providerOpts.containerId = containerId
     if (containerUser) providerOpts.containerUser = containerUser
@@ -1560,6 +1673,18 @@ export class SessionManager extends EventEmitter {
       // orchestrationRole } for the session-list badges). In-memory only in v1 —
       // not persisted; a restart-reconcile re-establishes it (E-3 part 3).
       metadata: metadata || null,
+      // Per-session failover chain (provider-failover.js); null follows the
+      // config-level chain, [] turns failover off for this session.
+      failoverChain: Array.isArray(failoverChain) ? failoverChain : null,
+      // The per-session egress policy as requested (null = the provider's
+      // fallback chain), persisted so a restored session keeps its sandbox.
+      egress: egress || null,
+      // The normalized bwrap sandbox spec (null = unconfined), persisted like
+      // `egress` so a restored session comes back confined.
+      bwrapSandbox: bwrapSandbox || null,
+      // The construction options, kept so replaceSessionProvider() can build
+      // a different provider with the same server-side settings.
+      providerOpts: { ...providerOpts },
     }
 
     this._sessions.set(sessionId, entry)
@@ -1569,7 +1694,7 @@ export class SessionManager extends EventEmitter {
     // (drops control chars / over-length to a no-op) and must run AFTER the entry
     // is in _sessions. Cleared on removal by _cleanupSessionMaps.
     if (agentCommId) this.registerAgentCommId(sessionId, agentCommId)
-    metrics.inc('sessions.created')
+    metrics.inc('sessions.created', 1, { provider: entry.provider, session_class: session.constructor?.name })
     this.touchActivity(sessionId)
     this._wireSessionEvents(sessionId, session)
 
@@ -1607,7 +1732,7 @@ export class SessionManager extends EventEmitter {
       throw err
     }
 
-    log.info(`Created session ${sessionId} "${sessionName}" (${this._sessions.size}/${this.maxSessions})`)
+    log.info(`Created session ${sessionId} "${sessionName}" (${this._sessions.size}/${this.maxSessions})${bwrapSandbox ? ` under ${describeBwrapSandbox(bwrapSandbox)}` : ''}`)
     this.emit('session_created', { sessionId, name: sessionName, cwd: resolvedCwd })
 
     // #5554 Phase 2: record the skills that ACTIVATED for this fresh session.
@@ -1637,6 +1762,100 @@ export class SessionManager extends EventEmitter {
     return sessionId
   }
 
+  /**
+   * Set `providerOpts.streamStallTimeoutMs` for `provider` (#4601): its
+   * per-provider override when one is configured, else the global value, else
+   * leave it unset for BaseSession's default.
+   * @private
+   */
+  _applyStreamStallTimeout(providerOpts, provider) {
+    const perProviderStall = this._providerStreamStallTimeoutMs
+    if (perProviderStall && Object.prototype.hasOwnProperty.call(perProviderStall, provider)) {
+      providerOpts.streamStallTimeoutMs = perProviderStall[provider]
+    } else if (this._streamStallTimeoutMs != null) {
+      providerOpts.streamStallTimeoutMs = this._streamStallTimeoutMs
+    } else {
+      delete providerOpts.streamStallTimeoutMs
+    }
+  }
+
+  /**
+   * Swap the provider behind an idle session in place: the session keeps its
+   * id, name, cwd, worktree, history and subscribers, while a new `provider`
+   * instance (built from the same server-side options) replaces the old one,
+   * which is torn down. The new provider starts with an empty conversation —
+   * the caller carries it over (provider-failover.js). Per-session settings
+   * and the permission mode follow the old instance; container bindings and
+   * the resume id don't, as they belong to the old provider.
+   *
+   * @param {string} sessionId
+   * @param {{ provider: string, model?: string|null }} target
+   * @returns {object} the new provider session
+   * @throws {SessionError} SESSION_NOT_FOUND, SESSION_BUSY, EGRESS_UNSUPPORTED or
+   *   SANDBOX_UNSUPPORTED; or getProvider's unknown-provider error
+   */
+  replaceSessionProvider(sessionId, { provider, model = null }) {
+    const entry = this._sessions.get(sessionId)
+    if (!entry || entry._destroying) throw new SessionError(`Session not found: ${sessionId}`, 'SESSION_NOT_FOUND')
+    const old = entry.session
+    if (old.isRunning) throw new SessionError('Cannot replace the provider while the session is busy.', 'SESSION_BUSY')
+    const ProviderClass = getProvider(provider)
+    // A session sandboxed by an egress policy must not move onto a host
+    // provider, where nothing would enforce it.
+    if (isRestrictedEgress(old.egressPolicy) && !ProviderClass.capabilities?.containerized) {
+      throw new SessionError(`Cannot move an egress-restricted session to "${provider}", which runs on the host.`, 'EGRESS_UNSUPPORTED')
+    }
+    // Nor may a bwrap-sandboxed one move to a provider that wouldn't apply it.
+    if (entry.bwrapSandbox) {
+      const reason = bwrapUnsupportedReason(ProviderClass, provider)
+      if (reason) throw new SessionError(`Cannot move a sandboxed session to "${provider}": ${reason}.`, 'SANDBOX_UNSUPPORTED')
+    }
+
+    const providerOpts = {
+      ...entry.providerOpts,
+      model: model || null,
+      permissionMode: old.permissionMode || entry.providerOpts?.permissionMode,
+      provider,
+      resumeSessionId: null,
+    }
+    forwardPerSessionSettingsToProviderOpts(providerOpts, serializePerSessionSettings(old))
+    delete providerOpts.codexSandbox
+    delete providerOpts.containerId
+    delete providerOpts.containerUser
+    delete providerOpts.containerCliPath
+    this._applyStreamStallTimeout(providerOpts, provider)
+    const session = new ProviderClass(providerOpts)
+    // Keep message ids climbing so the new provider's `msg-N` never reuses an
+    // id clients already hold for this session (#3700).
+    session._messageCounter = old._messageCounter || 0
+
+    old.removeAllListeners()
+    old.on('error', () => {})
+    try {
+      old.destroy()
+    } catch (err) {
+      log.error(`Error destroying replaced provider for session ${sessionId}: ${err?.stack || err}`)
+    }
+
+    entry.session = session
+    entry.provider = provider
+    entry.providerOpts = { ...providerOpts }
+    entry.pendingCarry = null
+    if (!entry.worktreePath) {
+      entry.isolation = ProviderClass.capabilities?.containerized
+        ? 'container'
+        : ((providerOpts.sandbox || providerOpts.bwrapSandbox) ? 'sandbox' : 'none')
+    }
+    this._wireSessionEvents(sessionId, session)
+    const result = session.start()
+    if (result && typeof result.catch === 'function') {
+      result.catch((err) => this._handleAsyncStartFailure(sessionId, err))
+    }
+    log.info(`Replaced provider of session ${sessionId}: ${old.constructor?.name} → ${provider}${model ? ` (${model})` : ''}`)
+    this._flushPersistOrWarn(sessionId)
+    return session
+  }
+
   /**
    * Handle a provider start() that rejects ASYNCHRONOUSLY (#1141 guard path).
    * claude-tui spawns its PTY in an async start() that, as of #5316 (WP-2.2),
@@ -2199,7 +2418,7 @@ export class SessionManager extends EventEmitter {
     }
     // Mark as destroying immediately — getSession() will return null from here on
     entry._destroying = true
-    metrics.inc('sessions.destroyed')
+    metrics.inc('sessions.destroyed', 1, { provider: entry.provider, session_class: entry.session.constructor?.name })
     // Detach listeners BEFORE destroy to prevent orphaned events (FM-04)
     entry.session.removeAllListeners()
     // Prevent unhandled 'error' throw if session emits error during destroy
@@ -2466,6 +2685,11 @@ export class SessionManager extends EventEmitter {
         // via createSession on restore below). Null when the session never
         // registered one; older state files (no field) restore as null.
         agentCommId: entry.agentCommId || null,
+        // Per-session failover chain (provider-failover.js); null = follow the
+        // config-level chain.
+        failoverChain: entry.failoverChain || null,
+        egress: entry.egress || null,
+        bwrapSandbox: entry.bwrapSandbox || null,
         lastActivityAt: this._sessionLastActivityAt.get(id) || entry.createdAt,
         history,
         // #4664: persist per-session toggle/string settings via the
@@ -2638,6 +2862,15 @@ export class SessionManager extends EventEmitter {
           agentCommId: typeof saved.agentCommId === 'string' && saved.agentCommId.length > 0
             ? saved.agentCommId
             : undefined,
+          // Per-session failover chain; older state files (no field) follow
+          // the config-level chain.
+          failoverChain: Array.isArray(saved.failoverChain) ? saved.failoverChain : undefined,
+          // Per-session egress policy, re-validated since the state file is
+          // hand-editable; an invalid one falls back to the provider default.
+          egress: restoreEgressPolicy(saved.egress),
+          // A bwrap-sandboxed session comes back confined; createSession
+          // refuses it (restore fails) if bwrap no longer applies here.
+          sandbox: restoreBwrapSandbox(saved.bwrapSandbox),
           skipPersist: true,
           // #5316 (WP-2.2) — mark this as a restore so an ASYNC provider
           // start() rejection (claude-tui PTY warmup death) preserves the
@@ -2987,6 +3220,76 @@ export class SessionManager extends EventEmitter {
   recordUserInput(sessionId, text, messageId) {
     const entry = this._sessions.get(sessionId)
     this._history.recordUserInput(sessionId, text, entry || undefined, messageId)
+    if (entry) this._latency.markInput(sessionId)
+  }
+
+  /**
+   * Seed a freshly created session's history with entries carried over from
+   * another session (a fork — see session-fork.js), so clients replaying the
+   * new session show the conversation it continues from. Entries are copied;
+   * the source history is never shared or mutated.
+   *
+   * @param {string} sessionId
+   * @param {Array<object>} entries
+   */
+  seedHistory(sessionId, entries) {
+    if (!this._sessions.has(sessionId) || !Array.isArray(entries)) return
+    const copies = entries.map((entry) => {
+      const { _seq, ...rest } = structuredClone(entry)
+      return rest
+    })
+    this._history.setHistory(sessionId, copies)
+    this._schedulePersist()
+  }
+
+  /**
+   * Park text to prepend, once, to the next message sent to a session. A fork
+   * that can't branch the provider's own transcript carries the conversation
+   * this way (session-fork.js). In-memory only: a daemon restart before the
+   * first message drops it (the seeded history still shows what was carried).
+   *
+   * @param {string} sessionId
+   * @param {string} text
+   */
+  setPendingCarry(sessionId, text) {
+    const entry = this._sessions.get(sessionId)
+    if (entry && typeof text === 'string' && text) entry.pendingCarry = text
+  }
+
+  /**
+   * Take (and clear) the text parked by {@link SessionManager#setPendingCarry}.
+   * @param {string} sessionId
+   * @returns {string|null}
+   */
+  takePendingCarry(sessionId) {
+    const entry = this._sessions.get(sessionId)
+    if (!entry?.pendingCarry) return null
+    const text = entry.pendingCarry
+    entry.pendingCarry = null
+    return text
+  }
+
+  /**
+   * Hand a session's git worktree to another session that runs in it, so the
+   * worktree is removed with the new owner rather than with the original
+   * (provider-switch.js). No-op when `fromId` owns no worktree.
+   *
+   * @param {string} fromId
+   * @param {string} toId
+   * @returns {boolean} true when ownership moved
+   */
+  transferWorktree(fromId, toId) {
+    const from = this._sessions.get(fromId)
+    const to = this._sessions.get(toId)
+    if (!from?.worktreePath || !to || to.worktreePath) return false
+    to.worktreePath = from.worktreePath
+    to.worktreeRepoDir = from.worktreeRepoDir
+    to.isolation = 'worktree'
+    from.worktreePath = null
+    from.worktreeRepoDir = null
+    from.isolation = 'none'
+    this._flushPersistOrWarn(toId)
+    return true
   }
 
   /**
@@ -3144,6 +3447,7 @@ export class SessionManager extends EventEmitter {
     for (const event of PROXIED_EVENTS) {
       session.on(event, (data) => {
         if (ACTIVITY_EVENTS.has(event)) this.touchActivity(sessionId)
+        this._latency.onEvent(sessionId, event, this._sessions.get(sessionId)?.provider, data)
         this._recordHistory(sessionId, event, data)
         this.emit('session_event', { sessionId, event, data })
         if (LOGGED_EVENTS.has(event)) {
@@ -3287,6 +3591,7 @@ export class SessionManager extends EventEmitter {
     const TRANSIENT_EVENTS = [...new Set([...builtinTransient, ...customEvents])]
     for (const event of TRANSIENT_EVENTS) {
       session.on(event, (data) => {
+        this._latency.onEvent(sessionId, event, this._sessions.get(sessionId)?.provider, data)
         this.emit('session_event', { sessionId, event, data })
       })
     }
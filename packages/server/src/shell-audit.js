@@ -17,8 +17,13 @@
  * trail survives a quiet `LOG_LEVEL` (warn/error) — a security record for a
  * host-RCE capability must not vanish just because the operator turned down
  * ordinary logging. Lines are tagged `[AUDIT] [shell-audit]`.
+ *
+ * Both events are also appended to the durable, hash-chained audit journal
+ * (audit-journal.js) as `shell_create` / `shell_destroy`, so the trail is
+ * queryable (`chroxy audit tail --type shell_create`) and tamper-evident.
  */
 import { createLogger } from './logger.js'
+import { recordAuditEvent } from './audit-journal.js'
 
 const log = createLogger('shell-audit')
 
@@ -50,6 +55,7 @@ export function formatShellAuditLine(event, fields = {}) {
  */
 export function auditShellCreate({ sessionId, clientId, tokenClass, cwd, shell, deviceName } = {}) {
   log.audit(formatShellAuditLine('user_shell_create', { sessionId, clientId, tokenClass, cwd, shell, deviceName }))
+  recordAuditEvent('shell_create', { clientId, tokenClass, device: deviceName || null, sessionId, cwd: cwd ?? null, shell: shell ?? null })
 }
 
 /**
@@ -60,4 +66,5 @@ export function auditShellCreate({ sessionId, clientId, tokenClass, cwd, shell,
  */
 export function auditShellDestroy({ sessionId, exitCode, reason } = {}) {
   log.audit(formatShellAuditLine('user_shell_destroy', { sessionId, exitCode, reason }))
+  recordAuditEvent('shell_destroy', { sessionId, exitCode: exitCode ?? null, reason: reason ?? null })
 }
@@ -0,0 +1,170 @@
+/**
+ * Credential sourcing for the Slack notification sink.
+ *
+ * Two independent Slack channels feed SlackWebhookSink
+ * (notifications/slack-webhook-sink.js), and both are SECRETS:
+ *
+ *   - an incoming-webhook URL (`https://hooks.slack.com/services/T…/B…/…`) —
+ *     anyone holding it can post to the target channel. Incoming webhooks are
+ *     post-only: Slack gives them no way to edit or delete a message.
+ *   - a bot token (`xoxb-…`) plus the channel to post into. The token unlocks
+ *     chat.update / chat.delete, which is what lets the sink keep ONE live
+ *     status message per project (the Discord sink's model). The channel id is
+ *     not secret, but it travels with the token so the dashboard configures the
+ *     pair in one place.
+ *
+ * Sourced like discord-credentials.js: env first, then the encrypted-at-rest
+ * credentials store (read through credential-store's cipher-aware
+ * `readStoredField`, written by the dashboard via `setStoredField`). None of
+ * these are config.json keys — validateConfig warns if someone puts one in the
+ * `notifications.slack` block.
+ *
+ * Priority order, per field:
+ *   1. process.env — CHROXY_SLACK_WEBHOOK_URL / CHROXY_SLACK_BOT_TOKEN /
+ *      CHROXY_SLACK_CHANNEL
+ *   2. ~/.chroxy/credentials.json — slackWebhookUrl / slackBotToken /
+ *      slackChannel (mode 0600, encrypted envelope when the keychain is up)
+ *
+ * Never logged. redaction.js scrubs hooks.slack.com URLs and xox* tokens as a
+ * second layer; masking at the use site is the first.
+ */
+import { statSync } from 'node:fs'
+import { readStoredField } from './credential-store.js'
+import { configPath } from './config-dir.js'
+
+/** credentials.json field names the dashboard writes (slack-notifications-handlers.js). */
+export const SLACK_CREDENTIAL_FIELDS = Object.freeze({
+  webhookUrl: 'slackWebhookUrl',
+  botToken: 'slackBotToken',
+  channel: 'slackChannel',
+})
+
+const SLACK_ENV_VARS = Object.freeze({
+  webhookUrl: 'CHROXY_SLACK_WEBHOOK_URL',
+  botToken: 'CHROXY_SLACK_BOT_TOKEN',
+  channel: 'CHROXY_SLACK_CHANNEL',
+})
+
+// `https://hooks.slack.com/services/<team>/<bot>/<secret>`. The team and bot ids
+// are identifiers (kept by the mask); the trailing segment is the secret.
+const WEBHOOK_URL_RE = /^https:\/\/hooks\.slack\.com\/services\/(T[A-Z0-9]+)\/(B[A-Z0-9]+)\/([A-Za-z0-9]+)\/?$/
+
+// Bot tokens only: a user token (xoxp-) would post AS the operator, and the
+// sink's chat.update/chat.delete must only ever touch its own messages.
+const BOT_TOKEN_RE = /^xoxb-[A-Za-z0-9-]{10,}$/
+
+// A channel id (C…/G…) or a channel name, with or without the leading `#`.
+const CHANNEL_RE = /^#?[A-Za-z0-9][A-Za-z0-9._-]{0,79}$/
+
+/** Whether a string looks like a real Slack incoming-webhook URL. */
+export function isValidSlackWebhookUrl(url) {
+  return typeof url === 'string' && WEBHOOK_URL_RE.test(url)
+}
+
+/** Whether a string looks like a Slack bot token. */
+export function isValidSlackBotToken(token) {
+  return typeof token === 'string' && BOT_TOKEN_RE.test(token)
+}
+
+/** Whether a string looks like a Slack channel id or name. */
+export function isValidSlackChannel(channel) {
+  return typeof channel === 'string' && CHANNEL_RE.test(channel)
+}
+
+/**
+ * Mask a webhook URL for display in logs / UI / errors. The team and bot ids
+ * are kept (they identify the workspace + app); the secret segment never is,
+ * and a malformed input is replaced wholesale rather than echoed.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function maskSlackWebhookUrl(url) {
+  const m = typeof url === 'string' ? WEBHOOK_URL_RE.exec(url) : null
+  if (!m) return '<invalid webhook url>'
+  return `https://hooks.slack.com/services/${m[1]}/${m[2]}/[REDACTED]`
+}
+
+function resolveField(key) {
+  const envValue = process.env[SLACK_ENV_VARS[key]]
+  if (typeof envValue === 'string' && envValue.trim().length > 0) {
+    return { field: { value: envValue.trim(), source: 'env' }, error: null }
+  }
+  let read
+  try {
+    read = readStoredField(SLACK_CREDENTIAL_FIELDS[key])
+  } catch (err) {
+    // Defensive: readStoredField is non-throwing by contract.
+    return { field: { value: null, source: 'none' }, error: `unable to read credentials: ${err.message}` }
+  }
+  if (read.error) return { field: { value: null, source: 'none' }, error: read.error }
+  if (read.value !== null) return { field: { value: read.value, source: 'store' }, error: null }
+  return { field: { value: null, source: 'none' }, error: null }
+}
+
+/**
+ * Resolve every Slack credential field. `error` carries a value-free reason
+ * when the credentials file exists but could not be read (bad mode, corrupt or
+ * locked envelope); env-sourced fields still resolve in that case.
+ *
+ * @returns {{
+ *   webhookUrl: { value: string|null, source: 'env'|'store'|'none' },
+ *   botToken: { value: string|null, source: 'env'|'store'|'none' },
+ *   channel: { value: string|null, source: 'env'|'store'|'none' },
+ *   error: string|null,
+ * }}
+ */
+export function resolveSlackCredentials() {
+  const out = { error: null }
+  for (const key of Object.keys(SLACK_CREDENTIAL_FIELDS)) {
+    const { field, error } = resolveField(key)
+    out[key] = field
+    if (error && !out.error) out.error = error
+  }
+  return out
+}
+
+/**
+ * Which delivery mode the resolved credentials support:
+ *   - 'live'    — a valid bot token AND channel: one updating message per project
+ *   - 'webhook' — only a valid incoming-webhook URL: one new message per ping
+ *   - 'none'    — nothing usable; the sink stays unconfigured
+ *
+ * @param {ReturnType<typeof resolveSlackCredentials>} creds
+ * @returns {'live'|'webhook'|'none'}
+ */
+export function slackDeliveryMode(creds) {
+  if (isValidSlackBotToken(creds?.botToken?.value) && isValidSlackChannel(creds?.channel?.value)) return 'live'
+  if (isValidSlackWebhookUrl(creds?.webhookUrl?.value)) return 'webhook'
+  return 'none'
+}
+
+let _cache = null
+
+/**
+ * Cached resolver — same result as resolveSlackCredentials, repeated until one
+ * of the env vars or the credentials file (mtime + size + mode) changes. The
+ * sink's isConfigured() is probed on every notification, and the raw resolver
+ * decrypts the store each time (the #5427 review concern for the Discord sink).
+ * A dashboard write replaces the file atomically, so it always busts the cache.
+ */
+export function cachedResolveSlackCredentials() {
+  const env = Object.values(SLACK_ENV_VARS).map((name) => process.env[name] ?? '').join('\n')
+  const path = configPath('credentials.json')
+  let stamp = 'missing'
+  try {
+    const st = statSync(path)
+    stamp = `${st.mtimeMs}:${st.size}:${st.mode & 0o777}`
+  } catch {
+    // ENOENT (or unreadable) — resolveSlackCredentials reports the detail.
+  }
+  if (_cache && _cache.env === env && _cache.path === path && _cache.stamp === stamp) return _cache.result
+  const result = resolveSlackCredentials()
+  _cache = { env, path, stamp, result }
+  return result
+}
+
+/** Drop the cached resolution (tests, and the dashboard write handlers). */
+export function resetSlackCredentialsCache() {
+  _cache = null
+}
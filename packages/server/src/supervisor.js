@@ -212,6 +212,16 @@ export class Supervisor extends EventEmitter {
         statePath: configPath('discord-webhook-state.json'),
         ...(this.config.notifications?.discord || {}),
       },
+      // No dashboard resolver here — the supervisor has no WsServer; deep links
+      // come from `notifications.slack.dashboardUrl` when set.
+      slack: {
+        statePath: configPath('slack-notifications-state.json'),
+        ...(this.config.notifications?.slack || {}),
+      },
+      // Supervisor notifications are never permission prompts, so the ntfy
+      // sink needs no action-callback resolver here.
+      ntfy: { ...(this.config.notifications?.ntfy || {}) },
+      gotify: { ...(this.config.notifications?.gotify || {}) },
     })
     try {
       await push.send(category, title, body)
@@ -113,6 +113,16 @@ export class TokenManager extends EventEmitter {
     return safeTokenCompare(token, this._currentToken)
   }
 
+  /**
+   * Scope (token-scopes.js) carried by `token`, or null when it is not this
+   * manager's token. The primary API token — current or grace — is never
+   * narrowed: it is the host-authority class, so it is always `full`. Narrower
+   * scopes exist only on PairingManager-issued device tokens.
+   */
+  scopeForToken(token) {
+    return this.validate(token) ? 'full' : null
+  }
+
   /**
    * Start the rotation schedule. Call after server startup.
    * No-op if tokenExpiry is not configured.
@@ -0,0 +1,100 @@
+/**
+ * Device-token scopes — how much session authority a paired device carries.
+ *
+ * Every paired device used to hold full session authority; the only carve-outs
+ * were the user-shell gates (primary token only) and the ingest secret. A scope
+ * narrows what an authenticated connection may SEND, per message type:
+ *
+ *   observe — watch only: session list/switch/subscribe, history replay and the
+ *             read-only views of a session's stream. Cannot type, answer prompts
+ *             or change anything.
+ *   approve — observe + answer permission and question prompts. The teammate's
+ *             phone: it can approve a tool call without being able to type
+ *             into the session.
+ *   full    — everything the token class otherwise allows (the default, and
+ *             what every token minted before scopes existed restores as).
+ *
+ * Scopes are orthogonal to the session binding (`boundSessionId`) and to the
+ * primary-token gates: an `observe` token bound to one session sees only that
+ * session, and a `full` pairing token is still not the primary token. The
+ * primary API token (TokenManager) is always `full`.
+ *
+ * The allowlists are deliberately closed: a message type added later is denied
+ * to `observe`/`approve` until someone decides it belongs here.
+ */
+
+import { TOKEN_SCOPES as PROTOCOL_TOKEN_SCOPES } from '@chroxy/protocol'
+
+/** The scopes, single-sourced from @chroxy/protocol (the wire enum). */
+export const TOKEN_SCOPES = Object.freeze([...PROTOCOL_TOKEN_SCOPES])
+
+/** Scope for the primary token and for any pairing token minted without one. */
+export const DEFAULT_TOKEN_SCOPE = 'full'
+
+/**
+ * Message types an `observe` token may send: pure reads of session state and
+ * the per-connection view plumbing (which session is shown, whether the tab is
+ * visible, where to deliver push). Nothing here reaches a provider or mutates
+ * a session.
+ */
+const OBSERVE_MESSAGE_TYPES = new Set([
+  'list_sessions',
+  'switch_session',
+  'subscribe_sessions',
+  'unsubscribe_sessions',
+  'client_visible',
+  'register_push_token',
+  'request_full_history',
+  'request_session_context',
+  'request_cost_summary',
+  'request_conversation_transcript',
+  // Rendering a transcript is a read; publishing it is primary-token only,
+  // which no pairing token ever is.
+  'export_session',
+  // The pre-write diff of a pending prompt is part of what the stream shows.
+  'get_permission_input',
+  // The catalogues every client requests right after auth_ok (when the server
+  // has no auth_bootstrap burst) to label providers, commands and agents.
+  'list_providers',
+  'list_slash_commands',
+  'list_agents',
+])
+
+/** Prompt answers — what `approve` adds on top of `observe`. */
+const APPROVE_MESSAGE_TYPES = new Set([
+  'permission_response',
+  'user_question_response',
+])
+
+/** True when `scope` is one of TOKEN_SCOPES. */
+export function isTokenScope(scope) {
+  return typeof scope === 'string' && TOKEN_SCOPES.includes(scope)
+}
+
+/**
+ * Coerce a stored/requested scope to a valid one. A missing scope (a token
+ * minted before scopes existed) is `full`, preserving its prior authority; an
+ * unrecognised string fails CLOSED to `observe` so a corrupt store can never
+ * widen a device.
+ * @param {unknown} scope
+ * @returns {'observe'|'approve'|'full'}
+ */
+export function normalizeTokenScope(scope) {
+  if (scope === undefined || scope === null) return DEFAULT_TOKEN_SCOPE
+  return isTokenScope(scope) ? scope : 'observe'
+}
+
+/**
+ * Whether a connection holding `scope` may send a message of `type`. An unset
+ * scope (a connection that never went through scoped auth, e.g. --no-auth or a
+ * test harness) is treated as `full`.
+ * @param {string|undefined} scope
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isMessageAllowedForScope(scope, type) {
+  const effective = normalizeTokenScope(scope)
+  if (effective === 'full') return true
+  if (OBSERVE_MESSAGE_TYPES.has(type)) return true
+  return effective === 'approve' && APPROVE_MESSAGE_TYPES.has(type)
+}
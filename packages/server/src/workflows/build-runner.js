@@ -0,0 +1,51 @@
+/**
+ * Boot-time factory for the WorkflowRunner. Mirrors buildOrchestrationManager
+ * (orchestration/build-manager.js): a fully-wired runner when the feature is on,
+ * null when it's off, and null (never a throw) when construction fails, so the
+ * workflows feature can never break daemon boot.
+ */
+
+import { join } from 'node:path'
+import { isWorkflowsEnabled } from '../config.js'
+import { validateCwdAllowed } from '../handler-utils.js'
+import { isTerminalStatus } from '../orchestration/run-record.js'
+import { RunLedger } from '../orchestration/run-ledger.js'
+import { TurnDriver } from '../orchestration/turn-driver.js'
+import { WorkflowRunner } from './workflow-runner.js'
+
+export function buildWorkflowRunner({ sessionManager, config, chroxyDir, log = null } = {}) {
+  if (!isWorkflowsEnabled(config)) return null
+  try {
+    // Its own ledger directory: workflow runs never show up in the
+    // orchestration Runs list, and vice versa.
+    const ledger = new RunLedger({ baseDir: join(chroxyDir, 'workflows') })
+    const recovered = ledger.recoverRuns()
+    // A run in flight when the daemon stopped cannot continue — the sessions it
+    // was driving are gone — so record it as failed rather than leave it
+    // looking alive forever.
+    for (const record of recovered) {
+      if (!isTerminalStatus(record.status)) ledger.setStatus(record.runId, 'failed', 'interrupted by a daemon restart')
+    }
+    if (recovered.length) log?.info?.(`Workflows: recovered ${recovered.length} run record(s) from disk`)
+    const turnDriver = new TurnDriver({ sessionManager, log })
+    const runner = new WorkflowRunner({
+      sessionManager,
+      ledger,
+      turnDriver,
+      validateCwd: (cwd) => validateCwdAllowed(cwd, config),
+      log,
+    })
+    // The factory owns construction, so it owns teardown (see build-manager.js).
+    const runnerDispose = runner.dispose.bind(runner)
+    runner.dispose = () => {
+      runnerDispose()
+      try { turnDriver.dispose() } catch { /* idempotent best-effort */ }
+      try { ledger.dispose() } catch { /* flushes pending snapshot writes */ }
+    }
+    log?.info?.('Workflow runner enabled (features.workflows)')
+    return runner
+  } catch (err) {
+    log?.warn?.(`Workflow runner failed to initialize — feature disabled for this boot: ${err?.message || err}`)
+    return null
+  }
+}
@@ -0,0 +1,526 @@
+/**
+ * Workflow definitions — declarative multi-step pipelines that chain agent
+ * sessions ("implement → run tests → review with another model → open a PR").
+ *
+ * A workflow lives in a repo at `.chroxy/workflows/<name>.yml` (or `.yaml` /
+ * `.json`), next to the repo's `.chroxy/skills/` and `.chroxy/session.json`.
+ * The file's stem is the workflow's name. YAML files are read with the subset
+ * parser in workflow-yaml.js.
+ *
+ *   title: Ship a feature
+ *   inputs:
+ *     feature:            # no default → required when the run starts
+ *     base: main
+ *   budget: { maxUsd: 5 }
+ *   defaults: { provider: claude-sdk, model: sonnet, timeout: 30m }
+ *   steps:
+ *     - id: implement
+ *       permissionMode: acceptEdits
+ *       prompt: Implement {{inputs.feature}} on top of {{inputs.base}}.
+ *     - id: test
+ *       session: implement          # continue in implement's session
+ *       prompt: Run the test suite. End your reply with PASS or FAIL.
+ *       exit: { contains: PASS }
+ *       onFailure: implement
+ *     - id: review
+ *       provider: codex
+ *       approval: Review with a second model?
+ *       prompt: "Review the change: {{steps.implement.output}}"
+ *
+ * Steps run in file order unless a step routes elsewhere: `onSuccess` (alias
+ * `next`), `onFailure` and `onReject` name another step, or `end` / `fail`.
+ * A step SUCCEEDS when its turn completes and its `exit` criteria all hold;
+ * `approval` holds the run for a human before the step starts.
+ *
+ * Validation is strict — unknown keys, dangling step references and template
+ * references to undeclared inputs or unknown steps are refused with a
+ * {@link WorkflowDefinitionError} naming the field. A typo that silently fell
+ * back to a default would run a different pipeline from the one written down.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs'
+import { basename, dirname, extname, join, resolve } from 'path'
+import { parseWorkflowYaml, WorkflowYamlError } from './workflow-yaml.js'
+import { parseDuration } from '../duration.js'
+
+/** Where workflows live, relative to a repo root. */
+export const WORKFLOWS_DIR = join('.chroxy', 'workflows')
+export const WORKFLOW_EXTENSIONS = Object.freeze(['.yml', '.yaml', '.json'])
+
+/** Branch targets that are not step ids. */
+export const WORKFLOW_END = 'end'
+export const WORKFLOW_FAIL = 'fail'
+
+/**
+ * The permission modes a step may ask for. `auto` (Chroxy's bypass) is refused
+ * outright: a workflow is a file checked into a repo, and a cloned repo must not
+ * be able to grant its own steps blanket approval.
+ */
+export const WORKFLOW_PERMISSION_MODES = Object.freeze(['approve', 'acceptEdits', 'plan'])
+
+export const MAX_WORKFLOW_FILE_BYTES = 256 * 1024
+export const MAX_WORKFLOW_STEPS = 50
+export const MAX_PROMPT_LENGTH = 32 * 1024
+export const DEFAULT_MAX_VISITS = 3
+export const MAX_MAX_VISITS = 20
+export const DEFAULT_STEP_TIMEOUT_MS = 30 * 60 * 1000
+const MIN_STEP_TIMEOUT_MS = 10 * 1000
+const MAX_STEP_TIMEOUT_MS = 24 * 60 * 60 * 1000
+const MAX_FIND_DEPTH = 100
+
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/
+const STEP_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/
+const TEMPLATE_RE = /\{\{\s*([^{}]*?)\s*\}\}/g
+const STEP_FIELDS = new Set(['output', 'status', 'error'])
+
+const WORKFLOW_KEYS = new Set(['title', 'description', 'inputs', 'budget', 'defaults', 'steps'])
+const DEFAULT_KEYS = new Set(['provider', 'model', 'cwd', 'permissionMode', 'timeout'])
+const STEP_KEYS = new Set([
+  'id', 'title', 'prompt', 'provider', 'model', 'cwd', 'permissionMode', 'session', 'timeout',
+  'approval', 'exit', 'next', 'onSuccess', 'onFailure', 'onReject', 'maxVisits',
+])
+const EXIT_KEYS = new Set(['contains', 'notContains', 'matches'])
+const BUDGET_KEYS = new Set(['maxUsd', 'warnPercent'])
+
+/**
+ * A workflow file that cannot be run as written. `field` is the dotted path of
+ * the offending value (`steps[2].onFailure`) when there is one.
+ */
+export class WorkflowDefinitionError extends Error {
+  constructor(message, field = null) {
+    super(field ? `${field}: ${message}` : message)
+    this.name = 'WorkflowDefinitionError'
+    this.field = field
+  }
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+function rejectUnknownKeys(obj, allowed, field) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.has(key)) {
+      throw new WorkflowDefinitionError(`unknown key "${key}" (expected one of ${[...allowed].join(', ')})`, field)
+    }
+  }
+}
+
+function optionalText(value, field, { max = 512 } = {}) {
+  if (value === undefined || value === null) return null
+  if (typeof value !== 'string') throw new WorkflowDefinitionError('must be a string', field)
+  const trimmed = value.trim()
+  if (trimmed.length > max) throw new WorkflowDefinitionError(`must be at most ${max} characters`, field)
+  return trimmed.length > 0 ? trimmed : null
+}
+
+function normalizeTimeout(value, field) {
+  if (value === undefined || value === null) return null
+  // A bare number is seconds, as everywhere parseDuration reads a duration.
+  const ms = parseDuration(String(value))
+  if (!Number.isFinite(ms) || ms < MIN_STEP_TIMEOUT_MS || ms > MAX_STEP_TIMEOUT_MS) {
+    throw new WorkflowDefinitionError('must be a duration from 10s to 24h (e.g. 45m, 1h30m) or a number of seconds', field)
+  }
+  return Math.floor(ms)
+}
+
+function normalizePermissionMode(value, field) {
+  const mode = optionalText(value, field)
+  if (mode !== null && !WORKFLOW_PERMISSION_MODES.includes(mode)) {
+    throw new WorkflowDefinitionError(`must be one of ${WORKFLOW_PERMISSION_MODES.join(', ')}`, field)
+  }
+  return mode
+}
+
+/**
+ * `inputs:` maps a name to its default. A null default makes the input
+ * required; scalars are kept as strings because they only ever land in a prompt.
+ */
+function normalizeInputs(inputs) {
+  if (inputs === undefined || inputs === null) return {}
+  if (!isPlainObject(inputs)) throw new WorkflowDefinitionError('must be a mapping of input name to default', 'inputs')
+  const out = {}
+  for (const [name, value] of Object.entries(inputs)) {
+    const field = `inputs.${name}`
+    if (!STEP_ID_RE.test(name)) throw new WorkflowDefinitionError('input names are letters, digits, _ and -', field)
+    if (value === null) out[name] = { required: true, default: null }
+    else if (['string', 'number', 'boolean'].includes(typeof value)) out[name] = { required: false, default: String(value) }
+    else throw new WorkflowDefinitionError('an input default must be a scalar (or empty for a required input)', field)
+  }
+  return out
+}
+
+function normalizeBudget(budget) {
+  if (budget === undefined || budget === null) return { maxUsd: null }
+  if (!isPlainObject(budget)) throw new WorkflowDefinitionError('must be a mapping like { maxUsd: 5 }', 'budget')
+  rejectUnknownKeys(budget, BUDGET_KEYS, 'budget')
+  const out = { maxUsd: null }
+  if (budget.maxUsd !== undefined && budget.maxUsd !== null) {
+    if (!Number.isFinite(budget.maxUsd) || budget.maxUsd <= 0) throw new WorkflowDefinitionError('must be a positive number of US dollars', 'budget.maxUsd')
+    out.maxUsd = budget.maxUsd
+  }
+  if (budget.warnPercent !== undefined && budget.warnPercent !== null) {
+    if (!Number.isFinite(budget.warnPercent) || budget.warnPercent <= 0 || budget.warnPercent > 100) {
+      throw new WorkflowDefinitionError('must be a percentage from 1 to 100', 'budget.warnPercent')
+    }
+    out.warnPercent = budget.warnPercent
+  }
+  return out
+}
+
+function normalizeDefaults(defaults) {
+  if (defaults === undefined || defaults === null) return {}
+  if (!isPlainObject(defaults)) throw new WorkflowDefinitionError('must be a mapping', 'defaults')
+  rejectUnknownKeys(defaults, DEFAULT_KEYS, 'defaults')
+  return {
+    provider: optionalText(defaults.provider, 'defaults.provider', { max: 64 }),
+    model: optionalText(defaults.model, 'defaults.model', { max: 128 }),
+    cwd: optionalText(defaults.cwd, 'defaults.cwd', { max: 4096 }),
+    permissionMode: normalizePermissionMode(defaults.permissionMode, 'defaults.permissionMode'),
+    timeoutMs: normalizeTimeout(defaults.timeout, 'defaults.timeout'),
+  }
+}
+
+/** `approval: true` or `approval: "message"` or `approval: { message }`. */
+function normalizeApproval(approval, field) {
+  if (approval === undefined || approval === null || approval === false) return null
+  if (approval === true) return { message: null }
+  if (typeof approval === 'string') return { message: optionalText(approval, field) }
+  if (isPlainObject(approval)) {
+    rejectUnknownKeys(approval, new Set(['message']), field)
+    return { message: optionalText(approval.message, `${field}.message`) }
+  }
+  throw new WorkflowDefinitionError('must be true, a message, or { message }', field)
+}
+
+function normalizeExit(exit, field) {
+  if (exit === undefined || exit === null) return null
+  if (!isPlainObject(exit)) throw new WorkflowDefinitionError('must be a mapping like { contains: PASS }', field)
+  rejectUnknownKeys(exit, EXIT_KEYS, field)
+  const out = {}
+  for (const key of ['contains', 'notContains', 'matches']) {
+    if (exit[key] === undefined || exit[key] === null) continue
+    if (typeof exit[key] !== 'string' || exit[key].length === 0) throw new WorkflowDefinitionError('must be a non-empty string', `${field}.${key}`)
+    out[key] = exit[key]
+  }
+  if (out.matches !== undefined) {
+    try { new RegExp(out.matches) } catch (err) {
+      throw new WorkflowDefinitionError(`is not a valid regular expression (${err.message})`, `${field}.matches`)
+    }
+  }
+  if (Object.keys(out).length === 0) throw new WorkflowDefinitionError('names no criterion', field)
+  return out
+}
+
+function normalizeStep(raw, index, defaults) {
+  const field = `steps[${index}]`
+  if (!isPlainObject(raw)) throw new WorkflowDefinitionError('must be a mapping', field)
+  rejectUnknownKeys(raw, STEP_KEYS, field)
+  if (typeof raw.id !== 'string' || !STEP_ID_RE.test(raw.id)) {
+    throw new WorkflowDefinitionError('is required: letters, digits, _ and - (at most 64)', `${field}.id`)
+  }
+  if (raw.id === WORKFLOW_END || raw.id === WORKFLOW_FAIL) {
+    throw new WorkflowDefinitionError(`"${raw.id}" is reserved as a branch target`, `${field}.id`)
+  }
+  if (typeof raw.prompt !== 'string' || raw.prompt.trim().length === 0) {
+    throw new WorkflowDefinitionError('is required (a non-empty string)', `${field}.prompt`)
+  }
+  if (raw.prompt.length > MAX_PROMPT_LENGTH) {
+    throw new WorkflowDefinitionError(`must be at most ${MAX_PROMPT_LENGTH} characters`, `${field}.prompt`)
+  }
+  if (raw.next !== undefined && raw.onSuccess !== undefined) {
+    throw new WorkflowDefinitionError('set next or onSuccess, not both (next is an alias)', `${field}.next`)
+  }
+  const session = optionalText(raw.session, `${field}.session`, { max: 64 })
+  if (session !== null) {
+    // A continued session keeps the provider, model, cwd and mode it was made with.
+    for (const key of ['provider', 'model', 'cwd', 'permissionMode']) {
+      if (raw[key] !== undefined) {
+        throw new WorkflowDefinitionError(`cannot be set on a step that continues another step's session`, `${field}.${key}`)
+      }
+    }
+  }
+  let maxVisits = DEFAULT_MAX_VISITS
+  if (raw.maxVisits !== undefined && raw.maxVisits !== null) {
+    if (!Number.isInteger(raw.maxVisits) || raw.maxVisits < 1 || raw.maxVisits > MAX_MAX_VISITS) {
+      throw new WorkflowDefinitionError(`must be an integer from 1 to ${MAX_MAX_VISITS}`, `${field}.maxVisits`)
+    }
+    maxVisits = raw.maxVisits
+  }
+  return {
+    id: raw.id,
+    title: optionalText(raw.title, `${field}.title`),
+    prompt: raw.prompt,
+    provider: session ? null : (optionalText(raw.provider, `${field}.provider`, { max: 64 }) ?? defaults.provider ?? null),
+    model: session ? null : (optionalText(raw.model, `${field}.model`, { max: 128 }) ?? defaults.model ?? null),
+    cwd: session ? null : (optionalText(raw.cwd, `${field}.cwd`, { max: 4096 }) ?? defaults.cwd ?? null),
+    permissionMode: session ? null : (normalizePermissionMode(raw.permissionMode, `${field}.permissionMode`) ?? defaults.permissionMode ?? 'approve'),
+    session,
+    timeoutMs: normalizeTimeout(raw.timeout, `${field}.timeout`) ?? defaults.timeoutMs ?? DEFAULT_STEP_TIMEOUT_MS,
+    approval: normalizeApproval(raw.approval, `${field}.approval`),
+    exit: normalizeExit(raw.exit, `${field}.exit`),
+    onSuccess: optionalText(raw.onSuccess ?? raw.next, `${field}.${raw.next !== undefined ? 'next' : 'onSuccess'}`, { max: 64 }),
+    onFailure: optionalText(raw.onFailure, `${field}.onFailure`, { max: 64 }),
+    onReject: optionalText(raw.onReject, `${field}.onReject`, { max: 64 }),
+    maxVisits,
+  }
+}
+
+/** Every `{{ expression }}` in a template. */
+function templateExpressions(template) {
+  return [...template.matchAll(TEMPLATE_RE)].map((m) => m[1])
+}
+
+function checkTemplate(template, field, { inputs, stepIds }) {
+  for (const expr of templateExpressions(template)) {
+    const parts = expr.split('.')
+    if (parts[0] === 'inputs' && parts.length === 2) {
+      if (!(parts[1] in inputs)) throw new WorkflowDefinitionError(`references undeclared input "${parts[1]}" — add it under inputs:`, field)
+      continue
+    }
+    if (parts[0] === 'steps' && parts.length === 3) {
+      if (!stepIds.has(parts[1])) throw new WorkflowDefinitionError(`references unknown step "${parts[1]}"`, field)
+      if (!STEP_FIELDS.has(parts[2])) throw new WorkflowDefinitionError(`steps.${parts[1]}.${parts[2]}: a step exposes ${[...STEP_FIELDS].join(', ')}`, field)
+      continue
+    }
+    if (expr === 'workflow.name' || expr === 'run.id') continue
+    throw new WorkflowDefinitionError(`unknown template reference "{{${expr}}}"`, field)
+  }
+}
+
+/**
+ * Validate a parsed workflow document and return its canonical form, with
+ * `defaults` folded into every step and each step's routing resolved.
+ *
+ * @param {any} raw - the parsed YAML / JSON document
+ * @param {string} name - the workflow's name (its file stem)
+ * @returns {object}
+ * @throws {WorkflowDefinitionError}
+ */
+export function normalizeWorkflow(raw, name) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) {
+    throw new WorkflowDefinitionError(`workflow name "${name}" must be letters, digits, ., _ and - (at most 64)`)
+  }
+  if (!isPlainObject(raw)) throw new WorkflowDefinitionError('a workflow file must be a mapping with a steps: list')
+  rejectUnknownKeys(raw, WORKFLOW_KEYS, null)
+  const inputs = normalizeInputs(raw.inputs)
+  const budget = normalizeBudget(raw.budget)
+  const defaults = normalizeDefaults(raw.defaults)
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) throw new WorkflowDefinitionError('must list at least one step', 'steps')
+  if (raw.steps.length > MAX_WORKFLOW_STEPS) throw new WorkflowDefinitionError(`at most ${MAX_WORKFLOW_STEPS} steps`, 'steps')
+
+  const steps = raw.steps.map((step, i) => normalizeStep(step, i, defaults))
+  const stepIds = new Set()
+  for (const [i, step] of steps.entries()) {
+    if (stepIds.has(step.id)) throw new WorkflowDefinitionError(`duplicate step id "${step.id}"`, `steps[${i}].id`)
+    stepIds.add(step.id)
+  }
+  const byId = new Map(steps.map((s) => [s.id, s]))
+  const isTarget = (t) => t === WORKFLOW_END || t === WORKFLOW_FAIL || stepIds.has(t)
+  for (const [i, step] of steps.entries()) {
+    const field = `steps[${i}]`
+    for (const key of ['onSuccess', 'onFailure', 'onReject']) {
+      if (step[key] !== null && !isTarget(step[key])) {
+        throw new WorkflowDefinitionError(`"${step[key]}" is not a step id, ${WORKFLOW_END} or ${WORKFLOW_FAIL}`, `${field}.${key}`)
+      }
+    }
+    if (step.onReject !== null && !step.approval) {
+      throw new WorkflowDefinitionError('only applies to a step with an approval gate', `${field}.onReject`)
+    }
+    if (step.session !== null) {
+      const owner = byId.get(step.session)
+      if (!owner || owner.id === step.id) throw new WorkflowDefinitionError(`"${step.session}" is not another step of this workflow`, `${field}.session`)
+      if (owner.session !== null) {
+        throw new WorkflowDefinitionError(`"${step.session}" itself continues "${owner.session}" — name the step that opens the session`, `${field}.session`)
+      }
+    }
+    // Defaults: fall through to the next step (the last one ends the run);
+    // a failed step fails the run; a rejected approval cancels it.
+    step.onSuccess ??= i + 1 < steps.length ? steps[i + 1].id : WORKFLOW_END
+    step.onFailure ??= WORKFLOW_FAIL
+    checkTemplate(step.prompt, `${field}.prompt`, { inputs, stepIds })
+    if (step.approval?.message) checkTemplate(step.approval.message, `${field}.approval`, { inputs, stepIds })
+  }
+  return {
+    name,
+    title: optionalText(raw.title, 'title') ?? name,
+    description: optionalText(raw.description, 'description', { max: 4096 }),
+    inputs,
+    budget,
+    steps,
+  }
+}
+
+/**
+ * Parse one workflow file's text.
+ * @param {string} text
+ * @param {{ name: string, format: 'yaml'|'json' }} opts
+ * @returns {object} the normalized workflow
+ * @throws {WorkflowDefinitionError}
+ */
+export function parseWorkflowDefinition(text, { name, format }) {
+  let raw
+  try {
+    raw = format === 'json' ? JSON.parse(text) : parseWorkflowYaml(text)
+  } catch (err) {
+    if (err instanceof WorkflowYamlError || err instanceof SyntaxError) {
+      throw new WorkflowDefinitionError(`not valid ${format === 'json' ? 'JSON' : 'YAML'}: ${err.message}`)
+    }
+    throw err
+  }
+  return normalizeWorkflow(raw, name)
+}
+
+/**
+ * The nearest directory at or above `startDir` holding `.chroxy/workflows/`, so
+ * a run started from a subdirectory (or a worktree of the repo) finds the
+ * repo's workflows. Null when there is none.
+ * @param {string} startDir
+ * @returns {string|null}
+ */
+export function findWorkflowRoot(startDir) {
+  if (typeof startDir !== 'string' || startDir.length === 0) return null
+  let dir = resolve(startDir)
+  for (let depth = 0; depth < MAX_FIND_DEPTH; depth++) {
+    if (isDirectory(join(dir, WORKFLOWS_DIR))) return dir
+    const parent = dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+  return null
+}
+
+function isDirectory(path) {
+  try { return statSync(path).isDirectory() } catch { return false }
+}
+
+/** `[{ name, file, format }]` for every workflow file under `root`, sorted by name. */
+function listWorkflowFiles(root) {
+  const dir = join(root, WORKFLOWS_DIR)
+  let entries = []
+  try { entries = readdirSync(dir, { withFileTypes: true }) } catch { return [] }
+  return entries
+    .filter((e) => e.isFile() && WORKFLOW_EXTENSIONS.includes(extname(e.name).toLowerCase()))
+    .map((e) => ({
+      name: basename(e.name, extname(e.name)),
+      file: join(dir, e.name),
+      format: extname(e.name).toLowerCase() === '.json' ? 'json' : 'yaml',
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.file.localeCompare(b.file))
+}
+
+function readWorkflowFile({ name, file, format }) {
+  const size = statSync(file).size
+  if (size > MAX_WORKFLOW_FILE_BYTES) {
+    throw new WorkflowDefinitionError(`file is ${size} bytes; the limit is ${MAX_WORKFLOW_FILE_BYTES}`)
+  }
+  return parseWorkflowDefinition(readFileSync(file, 'utf-8'), { name, format })
+}
+
+/**
+ * Every workflow under `root`. One bad file never hides the others: it is
+ * reported in `errors` with its message, and the valid ones still load. Two
+ * files with the same stem (`ci.yml` and `ci.json`) are BOTH reported, because
+ * picking one silently would run a definition the author may not be looking at.
+ *
+ * @param {string} root - a repo root (see {@link findWorkflowRoot})
+ * @returns {{ workflows: object[], errors: { name: string, file: string, error: string }[] }}
+ */
+export function loadWorkflows(root) {
+  const files = listWorkflowFiles(root)
+  const counts = new Map()
+  for (const f of files) counts.set(f.name, (counts.get(f.name) || 0) + 1)
+  const workflows = []
+  const errors = []
+  for (const f of files) {
+    if (counts.get(f.name) > 1) {
+      errors.push({ name: f.name, file: f.file, error: `more than one file defines workflow "${f.name}" — keep one` })
+      continue
+    }
+    try {
+      workflows.push({ ...readWorkflowFile(f), file: f.file })
+    } catch (err) {
+      errors.push({ name: f.name, file: f.file, error: err?.message || String(err) })
+    }
+  }
+  return { workflows, errors }
+}
+
+/**
+ * Load one workflow by name from `root`. Throws a {@link WorkflowDefinitionError}
+ * when it does not exist, is ambiguous, or is invalid.
+ * @param {string} root
+ * @param {string} name
+ * @returns {object} the normalized workflow, plus its `file`
+ */
+export function loadWorkflow(root, name) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) {
+    throw new WorkflowDefinitionError(`"${name}" is not a valid workflow name`)
+  }
+  const matches = listWorkflowFiles(root).filter((f) => f.name === name)
+  if (matches.length === 0) throw new WorkflowDefinitionError(`no workflow named "${name}" in ${join(root, WORKFLOWS_DIR)}`)
+  if (matches.length > 1) throw new WorkflowDefinitionError(`more than one file defines workflow "${name}" — keep one`)
+  if (!existsSync(matches[0].file)) throw new WorkflowDefinitionError(`no workflow named "${name}"`)
+  return { ...readWorkflowFile(matches[0]), file: matches[0].file }
+}
+
+/**
+ * Resolve the values a run's inputs take: the caller's, else the declared
+ * defaults. Refuses an undeclared input (a typo would otherwise be silently
+ * dropped) and a required one left unset.
+ * @param {object} workflow - normalized
+ * @param {Record<string, unknown>} [given]
+ * @returns {Record<string, string>}
+ */
+export function resolveInputs(workflow, given = {}) {
+  const out = {}
+  for (const key of Object.keys(given || {})) {
+    if (!(key in workflow.inputs)) throw new WorkflowDefinitionError(`workflow "${workflow.name}" has no input "${key}"`, `inputs.${key}`)
+  }
+  for (const [key, spec] of Object.entries(workflow.inputs)) {
+    const value = given?.[key]
+    if (value !== undefined && value !== null) out[key] = String(value)
+    else if (!spec.required) out[key] = spec.default
+    else throw new WorkflowDefinitionError(`input "${key}" is required`, `inputs.${key}`)
+  }
+  return out
+}
+
+/**
+ * Render a step prompt (or approval message). Single pass — an output that
+ * itself contains `{{…}}` text is never expanded again, so one step's output
+ * cannot inject template references into the next step's prompt. A step that
+ * has not run yet renders as empty.
+ *
+ * @param {string} template
+ * @param {{ inputs: object, steps: Record<string, { output?: string, status?: string, error?: string }>, workflow: { name: string }, run: { id: string } }} ctx
+ * @returns {string}
+ */
+export function renderTemplate(template, ctx) {
+  return template.replace(TEMPLATE_RE, (whole, expr) => {
+    const parts = expr.split('.')
+    if (parts[0] === 'inputs' && parts.length === 2) return ctx.inputs?.[parts[1]] ?? ''
+    if (parts[0] === 'steps' && parts.length === 3) return ctx.steps?.[parts[1]]?.[parts[2]] ?? ''
+    if (expr === 'workflow.name') return ctx.workflow?.name ?? ''
+    if (expr === 'run.id') return ctx.run?.id ?? ''
+    return whole
+  })
+}
+
+/**
+ * Whether a completed step's final text meets its `exit` criteria. Every named
+ * criterion must hold; a step with no criteria succeeds by completing.
+ * @param {{ contains?: string, notContains?: string, matches?: string }|null} exit
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function exitCriteriaMet(exit, text) {
+  if (!exit) return true
+  const body = typeof text === 'string' ? text : ''
+  if (exit.contains !== undefined && !body.includes(exit.contains)) return false
+  if (exit.notContains !== undefined && body.includes(exit.notContains)) return false
+  if (exit.matches !== undefined && !new RegExp(exit.matches, 'm').test(body)) return false
+  return true
+}
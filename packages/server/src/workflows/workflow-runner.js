@@ -0,0 +1,641 @@
+/**
+ * WorkflowRunner — executes declarative workflows (workflow-definition.js): a
+ * fixed pipeline of steps, each one turn of an agent session, with outputs
+ * passed forward, branching on exit criteria, human approval gates and a run
+ * budget. It sits between the architect-driven orchestration engine and the
+ * scheduler's single prompt, and is built from the same parts as the former:
+ *
+ *  - every turn goes through TurnDriver (orchestration/turn-driver.js);
+ *  - every run is a RunLedger record (orchestration/run-ledger.js) — one subtask
+ *    per step VISIT (`<stepId>.<visit>`, role = step id), usage folded per turn,
+ *    the run budget evaluated by the ledger, and the workflow_* events carrying
+ *    step outcomes and approvals so a run's record survives a restart.
+ *
+ * Runs are not resumed across a restart: build-runner.js fails any run it finds
+ * in flight at boot, because the sessions it was driving are gone.
+ *
+ * Step semantics:
+ *  - A step with `approval` holds the run (`paused`) until resolveApproval().
+ *    Approve runs the step; reject routes to `onReject`, or cancels the run.
+ *  - The run budget is checked before each step. At the cap the run holds
+ *    (`budget_paused`) for an approval that raises the budget; an unattended run
+ *    fails instead, since nobody is there to raise it.
+ *  - A step succeeds when its turn completes and its `exit` criteria hold; it
+ *    then routes to `onSuccess`, otherwise to `onFailure`. A turn that times out
+ *    or errors is a step failure too. Losing the session, or an unattended run
+ *    hitting a permission prompt, fails the RUN — retrying cannot fix either.
+ *  - A step entered more than `maxVisits` times fails the run (a loop guard).
+ *  - `session: <step>` continues that step's session; otherwise a step revisited
+ *    by a loop continues its own session from the last visit.
+ *
+ * Unattended runs (started by the scheduler) hold the scheduler's posture
+ * (scheduler.js): permission modes are clamped with resolveScheduledPermissionMode,
+ * providers whose prompts cannot be answered in-process are refused up front,
+ * any permission prompt is denied and the turn interrupted, and a workflow with
+ * an approval step is refused — nobody is there to approve it.
+ */
+
+import { EventEmitter } from 'node:events'
+import { isAbsolute, resolve } from 'node:path'
+import { getProvider, DEFAULT_PROVIDER } from '../providers.js'
+import { TurnError } from '../orchestration/turn-driver.js'
+import { isTerminalStatus } from '../orchestration/run-record.js'
+import { resolveScheduledPermissionMode, scheduledProviderRefusalReason } from '../scheduler.js'
+import {
+  WORKFLOW_END,
+  WORKFLOW_FAIL,
+  WorkflowDefinitionError,
+  exitCriteriaMet,
+  findWorkflowRoot,
+  loadWorkflow,
+  loadWorkflows,
+  renderTemplate,
+  resolveInputs,
+} from './workflow-definition.js'
+
+export const DEFAULT_MAX_CONCURRENT_WORKFLOW_RUNS = 4
+const MAX_LISTED_RUNS = 100
+
+/**
+ * A request the runner refused. `code` is one of NOT_FOUND, INVALID, BUSY or
+ * CONFLICT (the HTTP and WS surfaces map it to a status).
+ */
+export class WorkflowRunError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'WorkflowRunError'
+    this.code = code
+  }
+}
+
+// A run ended from inside the step loop (cancel, a failed run, a lost session).
+class RunStop extends Error {
+  constructor(status, reason) {
+    super(reason)
+    this.status = status
+  }
+}
+
+export class WorkflowRunner extends EventEmitter {
+  /**
+   * @param {{
+   *   sessionManager: object,
+   *   ledger: import('../orchestration/run-ledger.js').RunLedger,
+   *   turnDriver: import('../orchestration/turn-driver.js').TurnDriver,
+   *   validateCwd?: (cwd: string) => (string|null),
+   *   getProviderClass?: (name: string) => Function,
+   *   maxConcurrentRuns?: number,
+   *   log?: object,
+   * }} opts
+   */
+  constructor({
+    sessionManager,
+    ledger,
+    turnDriver,
+    validateCwd = () => null,
+    getProviderClass = getProvider,
+    maxConcurrentRuns = DEFAULT_MAX_CONCURRENT_WORKFLOW_RUNS,
+    log = null,
+  } = {}) {
+    super()
+    if (!sessionManager || !ledger || !turnDriver) {
+      throw new Error('WorkflowRunner requires a sessionManager, ledger and turnDriver')
+    }
+    this._sm = sessionManager
+    this._ledger = ledger
+    this._turns = turnDriver
+    this._validateCwd = validateCwd
+    this._getProviderClass = getProviderClass
+    this._maxConcurrentRuns = Number.isInteger(maxConcurrentRuns) && maxConcurrentRuns > 0
+      ? maxConcurrentRuns
+      : DEFAULT_MAX_CONCURRENT_WORKFLOW_RUNS
+    this._log = log
+    this._live = new Map() // runId -> live run state (see startRun)
+    this._unattendedSessions = new Map() // sessionId -> live run
+    this._onSessionEvent = (payload) => this._handleSessionEvent(payload)
+    this._sm.on?.('session_event', this._onSessionEvent)
+    this._disposed = false
+  }
+
+  /**
+   * The workflows a directory can run: those of the nearest repo root at or
+   * above `cwd` holding `.chroxy/workflows/`.
+   * @param {string} cwd
+   * @returns {{ root: string|null, workflows: object[], errors: object[] }}
+   */
+  listWorkflows(cwd) {
+    this._checkCwd(cwd)
+    const root = findWorkflowRoot(cwd)
+    if (!root) return { root: null, workflows: [], errors: [] }
+    return { root, ...loadWorkflows(root) }
+  }
+
+  /**
+   * Start a run of workflow `name` found from `cwd`. The definition is read from
+   * disk now, so an edit takes effect on the next run. Resolves once the run is
+   * recorded; the steps run in the background (see waitForRun).
+   *
+   * @param {{
+   *   cwd: string, name: string, inputs?: object, budgetUsd?: number|null,
+   *   trigger?: string, unattended?: boolean,
+   * }} opts
+   * @returns {object} the run (see getRun)
+   * @throws {WorkflowRunError}
+   */
+  startRun({ cwd, name, inputs = {}, budgetUsd = null, trigger = 'manual', unattended = false } = {}) {
+    if (this._disposed) throw new WorkflowRunError('CONFLICT', 'the workflow runner is shutting down')
+    if (this._live.size >= this._maxConcurrentRuns) {
+      throw new WorkflowRunError('BUSY', `${this._live.size} workflow run(s) already in flight (limit ${this._maxConcurrentRuns}) — wait for one to finish`)
+    }
+    if (budgetUsd != null && (!Number.isFinite(budgetUsd) || budgetUsd <= 0)) {
+      throw new WorkflowRunError('INVALID', 'budgetUsd must be a positive number')
+    }
+    this._checkCwd(cwd)
+    const root = findWorkflowRoot(cwd)
+    if (!root) throw new WorkflowRunError('NOT_FOUND', `no .chroxy/workflows directory at or above ${cwd}`)
+
+    let workflow
+    let resolvedInputs
+    try {
+      workflow = loadWorkflow(root, name)
+      resolvedInputs = resolveInputs(workflow, inputs)
+    } catch (err) {
+      if (err instanceof WorkflowDefinitionError) {
+        throw new WorkflowRunError(/^no workflow named/.test(err.message) ? 'NOT_FOUND' : 'INVALID', err.message)
+      }
+      throw err
+    }
+    const plan = this._planSteps(workflow, root, unattended)
+
+    const maxUsd = budgetUsd ?? workflow.budget.maxUsd
+    const budget = maxUsd != null
+      ? { maxUsd, ...(workflow.budget.warnPercent != null ? { warnPercent: workflow.budget.warnPercent } : {}) }
+      : null
+    const created = this._ledger.createRun({
+      title: workflow.title,
+      preset: `workflow:${workflow.name}`,
+      configSnapshot: { budget },
+    })
+    const runId = created.runId
+    this._ledger.startWorkflow(runId, {
+      name: workflow.name, file: workflow.file, root, inputs: resolvedInputs, trigger, unattended,
+    })
+    const live = {
+      runId,
+      workflow,
+      plan,
+      inputs: resolvedInputs,
+      unattended,
+      outputs: {}, // stepId -> { output, status, error }, as templates read them
+      visits: new Map(),
+      sessions: new Map(), // stepId that opened it -> sessionId
+      currentStep: null,
+      currentSessionId: null,
+      approval: null, // { kind, resolve } while a gate is open
+      blocked: null, // { toolName } once an unattended run hit a permission prompt
+      stop: null, // { status, reason } once cancelRun/dispose asked the run to end
+      waiters: new Set(),
+    }
+    this._live.set(runId, live)
+    this._log?.info?.(`Workflow ${workflow.name}: run ${runId} started (${trigger})`)
+    this._drive(live).catch((err) => {
+      // _drive settles every run itself; this only guards the daemon.
+      this._log?.error?.(`Workflow run ${runId} crashed: ${err?.stack || err}`)
+    })
+    return this.getRun(runId)
+  }
+
+  /** One run's wire projection, or null. */
+  getRun(runId) {
+    const record = this._ledger.getRun(runId)
+    if (!record?.workflow) return null
+    return projectRun(record, this._live.get(runId) || null)
+  }
+
+  /** Every workflow run the ledger holds, newest first (summaries — no step detail). */
+  listRuns({ limit = MAX_LISTED_RUNS } = {}) {
+    return this._ledger.listRuns()
+      .map((r) => this._ledger.getRun(r.runId))
+      .filter((record) => record?.workflow)
+      .slice(0, limit)
+      .map((record) => {
+        const { steps: _steps, outputs: _outputs, ...summary } = projectRun(record, this._live.get(record.runId) || null)
+        return summary
+      })
+  }
+
+  /**
+   * Answer a run's open approval gate. `decision` is `approve` or `reject`. A
+   * budget gate is only approved with a `budgetUsd` above what the run has spent.
+   * @returns {object} the run
+   * @throws {WorkflowRunError}
+   */
+  resolveApproval(runId, { decision, note = null, budgetUsd = null } = {}) {
+    const live = this._live.get(runId)
+    if (!live) throw new WorkflowRunError(this.getRun(runId) ? 'CONFLICT' : 'NOT_FOUND', `workflow run ${runId} is not in flight`)
+    if (!live.approval) throw new WorkflowRunError('CONFLICT', `workflow run ${runId} is not waiting for an approval`)
+    if (decision !== 'approve' && decision !== 'reject') throw new WorkflowRunError('INVALID', 'decision must be approve or reject')
+    if (note != null && typeof note !== 'string') throw new WorkflowRunError('INVALID', 'note must be a string')
+    if (budgetUsd != null && (!Number.isFinite(budgetUsd) || budgetUsd <= 0)) {
+      throw new WorkflowRunError('INVALID', 'budgetUsd must be a positive number')
+    }
+    if (decision === 'approve' && live.approval.kind === 'budget') {
+      const spent = this._ledger.getRun(runId)?.usageTotals.overall.effectiveUsd ?? 0
+      if (budgetUsd == null || budgetUsd <= spent) {
+        throw new WorkflowRunError('INVALID', `the run has spent $${spent.toFixed(2)} — approve with a budgetUsd above that to continue`)
+      }
+    }
+    if (budgetUsd != null) this._ledger.setBudget(runId, { maxUsd: budgetUsd })
+    const { resolve: settle } = live.approval
+    live.approval = null
+    settle({ decision, note: note ? note.slice(0, 2000) : null })
+    return this.getRun(runId)
+  }
+
+  /**
+   * Cancel a run in flight: an open gate is closed and the running turn
+   * interrupted. The run records `cancelled` once its loop unwinds.
+   * @returns {object} the run
+   * @throws {WorkflowRunError}
+   */
+  cancelRun(runId, { reason = 'cancelled by the user' } = {}) {
+    const live = this._live.get(runId)
+    if (!live) throw new WorkflowRunError(this.getRun(runId) ? 'CONFLICT' : 'NOT_FOUND', `workflow run ${runId} is not in flight`)
+    this._stopRun(live, 'cancelled', reason)
+    return this.getRun(runId)
+  }
+
+  /**
+   * Resolve with the run once it reaches a terminal status, or with its current
+   * state after `timeoutMs` (the caller checks `status`). Null for an unknown run.
+   */
+  waitForRun(runId, { timeoutMs = null } = {}) {
+    const live = this._live.get(runId)
+    if (!live) return Promise.resolve(this.getRun(runId))
+    return new Promise((resolvePromise) => {
+      let timer = null
+      const waiter = () => {
+        if (timer) clearTimeout(timer)
+        resolvePromise(this.getRun(runId))
+      }
+      live.waiters.add(waiter)
+      if (Number.isFinite(timeoutMs) && timeoutMs > 0) {
+        timer = setTimeout(() => {
+          live.waiters.delete(waiter)
+          resolvePromise(this.getRun(runId))
+        }, timeoutMs)
+        timer.unref?.()
+      }
+    })
+  }
+
+  /**
+   * Stop every run in flight and detach from the session manager. The runs are
+   * recorded `failed` here, synchronously — their loops unwind after the ledger
+   * has been flushed for shutdown.
+   */
+  dispose() {
+    if (this._disposed) return
+    this._disposed = true
+    for (const live of [...this._live.values()]) {
+      this._stopRun(live, 'failed', 'interrupted by daemon shutdown')
+      this._finish(live, live.stop)
+    }
+    this._sm.off?.('session_event', this._onSessionEvent)
+  }
+
+  // -- the step loop ----------------------------------------------------------
+
+  async _drive(live) {
+    const { runId, workflow } = live
+    const byId = new Map(workflow.steps.map((s) => [s.id, s]))
+    let stepId = workflow.steps[0].id
+    let ending = null
+    this._setStatus(live, 'executing')
+    try {
+      while (stepId !== WORKFLOW_END && stepId !== WORKFLOW_FAIL) {
+        this._checkStop(live)
+        const step = byId.get(stepId)
+        const visit = (live.visits.get(step.id) || 0) + 1
+        if (visit > step.maxVisits) {
+          throw new RunStop('failed', `step "${step.id}" was entered ${visit} times (maxVisits ${step.maxVisits}) — stopping the loop`)
+        }
+        live.visits.set(step.id, visit)
+        live.currentStep = step.id
+        const subtaskId = `${step.id}.${visit}`
+        this._ledger.createSubtask(runId, { subtaskId, role: step.id, title: step.title ?? step.id })
+        this._publish(live)
+
+        await this._budgetGate(live, step)
+        if (step.approval) {
+          const { decision } = await this._gate(live, {
+            stepId: step.id,
+            kind: 'step',
+            status: 'paused',
+            message: step.approval.message ? renderTemplate(step.approval.message, this._templateContext(live)) : null,
+          })
+          if (decision !== 'approve') {
+            this._ledger.updateSubtask(runId, subtaskId, { status: 'skipped' })
+            live.outputs[step.id] = { output: '', status: 'rejected', error: null }
+            this._ledger.recordStepFinished(runId, { subtaskId, stepId: step.id, outcome: 'rejected', next: step.onReject })
+            if (!step.onReject) throw new RunStop('cancelled', `approval rejected at step "${step.id}"`)
+            stepId = step.onReject
+            continue
+          }
+        }
+
+        const { outcome, output, error } = await this._runStep(live, step, subtaskId)
+        const next = outcome === 'succeeded' ? step.onSuccess : step.onFailure
+        live.outputs[step.id] = { output, status: outcome, error: error ?? '' }
+        this._ledger.recordStepFinished(runId, { subtaskId, stepId: step.id, outcome, output, error, next })
+        if (next === WORKFLOW_FAIL) ending = { status: 'failed', reason: `step "${step.id}" failed${error ? `: ${error}` : ''}` }
+        stepId = next
+      }
+      ending ??= { status: 'completed', reason: null }
+    } catch (err) {
+      if (err instanceof RunStop) ending = { status: err.status, reason: err.message }
+      else {
+        this._log?.error?.(`Workflow run ${runId} failed unexpectedly: ${err?.stack || err}`)
+        ending = { status: 'failed', reason: err?.message || String(err) }
+      }
+    }
+    // dispose() already settled this run.
+    if (this._live.get(runId) !== live) return
+    // A stop requested while the last step was finishing still wins.
+    if (live.stop) ending = live.stop
+    this._finish(live, ending)
+  }
+
+  /** Run one step's turn. Resolves its outcome; throws RunStop to end the run. */
+  async _runStep(live, step, subtaskId) {
+    const { runId } = live
+    const sessionId = this._sessionFor(live, step)
+    const owner = step.session ?? step.id
+    const spec = live.plan.get(owner)
+    this._ledger.attachSession(runId, subtaskId, { sessionId, provider: spec.providerName, model: spec.model })
+    this._ledger.updateSubtask(runId, subtaskId, { status: 'briefing' })
+    const prompt = renderTemplate(step.prompt, this._templateContext(live))
+    live.currentSessionId = sessionId
+    this._ledger.updateSubtask(runId, subtaskId, { status: 'executing' })
+    this._publish(live)
+    try {
+      const { text, result } = await this._turns.driveTurn(sessionId, prompt, {
+        label: `workflow:${runId}:${subtaskId}`,
+        timeoutMs: step.timeoutMs,
+      })
+      this._ledger.recordTurnUsage(runId, { subtaskId, sessionId, role: step.id, turnLabel: subtaskId, terminalEvent: 'result', data: result || {} })
+      this._checkBlocked(live, step, subtaskId)
+      const met = exitCriteriaMet(step.exit, text)
+      this._ledger.updateSubtask(runId, subtaskId, { status: met ? 'done' : 'failed' })
+      return { outcome: met ? 'succeeded' : 'failed', output: text, error: met ? null : 'exit criteria not met' }
+    } catch (err) {
+      if (err instanceof RunStop) throw err
+      this._checkBlocked(live, step, subtaskId)
+      if (live.stop) {
+        this._ledger.updateSubtask(runId, subtaskId, { status: 'interrupted' })
+        throw new RunStop(live.stop.status, live.stop.reason)
+      }
+      const code = err instanceof TurnError ? err.code : null
+      if (code === 'SESSION_GONE' || code === 'SEND_FAILED' || code === 'TURN_STOPPED') {
+        this._ledger.updateSubtask(runId, subtaskId, { status: 'interrupted' })
+        throw new RunStop('failed', `step "${step.id}": ${err.message}`)
+      }
+      this._ledger.updateSubtask(runId, subtaskId, { status: 'failed' })
+      const error = code === 'TURN_TIMEOUT' ? `timed out after ${Math.round(step.timeoutMs / 1000)}s` : (err?.message || String(err))
+      return { outcome: 'failed', output: err?.partialText || '', error }
+    } finally {
+      live.currentSessionId = null
+    }
+  }
+
+  /** An unattended run that raised a permission prompt fails, whatever the turn did. */
+  _checkBlocked(live, step, subtaskId) {
+    if (!live.blocked) return
+    this._ledger.updateSubtask(live.runId, subtaskId, { status: 'failed' })
+    throw new RunStop('failed', `step "${step.id}" needed permission for ${live.blocked.toolName || 'a tool'} but the run is unattended — denied. Author an explicit permission rule if this workflow should be allowed to do this.`)
+  }
+
+  /** The session a step's turn runs in, creating it on first use. */
+  _sessionFor(live, step) {
+    const owner = step.session ?? step.id
+    const existing = live.sessions.get(owner)
+    if (existing) return existing
+    if (step.session) {
+      throw new RunStop('failed', `step "${step.id}" continues the session of "${step.session}", which has not run yet`)
+    }
+    const spec = live.plan.get(step.id)
+    let sessionId
+    try {
+      sessionId = this._sm.createSession({
+        name: `wf:${live.workflow.name}:${step.id}`,
+        cwd: spec.cwd,
+        ...(spec.provider ? { provider: spec.provider } : {}),
+        ...(step.model ? { model: step.model } : {}),
+        permissionMode: spec.permissionMode,
+        // Explicit false so a workflow session never inherits the server-wide
+        // `dangerouslySkipPermissions` default.
+        skipPermissions: false,
+        metadata: { workflowRunId: live.runId, workflowStep: step.id },
+      })
+    } catch (err) {
+      throw new RunStop('failed', `step "${step.id}": session create failed: ${err?.message || err}`)
+    }
+    if (!sessionId) throw new RunStop('failed', `step "${step.id}": session create failed (no sessionId)`)
+    live.sessions.set(step.id, sessionId)
+    if (live.unattended) this._unattendedSessions.set(sessionId, live)
+    return sessionId
+  }
+
+  /** Hold the run at the budget cap until someone raises it (attended runs only). */
+  async _budgetGate(live, step) {
+    const budget = this._ledger.evaluateBudget(live.runId)
+    if (!budget || budget.ok) return
+    const spent = `$${budget.effectiveUsd.toFixed(2)}`
+    if (live.unattended) throw new RunStop('failed', `budget cap reached before step "${step.id}" (${spent} spent)`)
+    const { decision } = await this._gate(live, {
+      stepId: step.id,
+      kind: 'budget',
+      status: 'budget_paused',
+      message: `The run has spent ${spent} and reached its budget. Raise the budget to run step "${step.id}".`,
+    })
+    if (decision !== 'approve') throw new RunStop('cancelled', `budget cap reached before step "${step.id}" and the raise was declined`)
+  }
+
+  /** Open an approval gate and wait for resolveApproval (or a stop). */
+  async _gate(live, { stepId, kind, status, message }) {
+    this._ledger.openApproval(live.runId, { stepId, kind, message })
+    const answer = new Promise((resolvePromise) => { live.approval = { kind, resolve: resolvePromise } })
+    this._setStatus(live, status)
+    const result = await answer
+    this._ledger.resolveApproval(live.runId, { stepId, kind, decision: result.decision, note: result.note })
+    this._checkStop(live)
+    this._setStatus(live, 'executing')
+    return result
+  }
+
+  _checkStop(live) {
+    if (live.stop) throw new RunStop(live.stop.status, live.stop.reason)
+  }
+
+  _stopRun(live, status, reason) {
+    if (live.stop) return
+    live.stop = { status, reason }
+    if (live.approval) {
+      const { resolve: settle } = live.approval
+      live.approval = null
+      settle({ decision: 'cancel', note: null })
+    }
+    if (live.currentSessionId) this._interrupt(live.currentSessionId)
+  }
+
+  _interrupt(sessionId) {
+    const session = this._sm.getSession?.(sessionId)?.session
+    if (typeof session?.interrupt !== 'function') return
+    try {
+      const maybe = session.interrupt()
+      if (maybe && typeof maybe.catch === 'function') maybe.catch(() => {})
+    } catch { /* best effort */ }
+  }
+
+  _finish(live, { status, reason }) {
+    const { runId } = live
+    this._ledger.setStatus(runId, status, reason)
+    for (const sessionId of live.sessions.values()) {
+      this._unattendedSessions.delete(sessionId)
+      try { this._sm.destroySession?.(sessionId) } catch { /* best-effort */ }
+    }
+    live.sessions.clear()
+    live.currentStep = null
+    this._live.delete(runId)
+    const level = status === 'completed' ? 'info' : 'warn'
+    this._log?.[level]?.(`Workflow ${live.workflow.name}: run ${runId} ${status}${reason ? ` — ${reason}` : ''}`)
+    this._publish(live)
+    for (const waiter of live.waiters) waiter()
+    live.waiters.clear()
+  }
+
+  _setStatus(live, status) {
+    this._ledger.setStatus(live.runId, status)
+    this._publish(live)
+  }
+
+  _publish(live) {
+    const run = this.getRun(live.runId)
+    if (run) this.emit('run_update', run)
+  }
+
+  _templateContext(live) {
+    return { inputs: live.inputs, steps: live.outputs, workflow: { name: live.workflow.name }, run: { id: live.runId } }
+  }
+
+  // -- preflight ------------------------------------------------------------
+
+  _checkCwd(cwd) {
+    if (typeof cwd !== 'string' || !isAbsolute(cwd)) throw new WorkflowRunError('INVALID', 'cwd must be an absolute path')
+    let error
+    try {
+      error = this._validateCwd(cwd)
+    } catch (err) {
+      // A throwing validator fails CLOSED.
+      error = `could not be validated: ${err?.message || err}`
+    }
+    if (error) throw new WorkflowRunError('INVALID', `working directory ${cwd} is not allowed: ${error}`)
+  }
+
+  /**
+   * Resolve and check every session-opening step BEFORE the run starts, so a
+   * bad cwd or provider is refused at start rather than halfway through.
+   * @returns {Map<string, { cwd: string, provider: string|null, providerName: string, model: string|null, permissionMode: string }>}
+   */
+  _planSteps(workflow, root, unattended) {
+    const plan = new Map()
+    for (const step of workflow.steps) {
+      if (unattended && step.approval) {
+        throw new WorkflowRunError('INVALID', `step "${step.id}" waits for an approval, which an unattended run has nobody to give — start this workflow by hand`)
+      }
+      if (step.session) continue
+      const cwd = step.cwd ? resolve(root, step.cwd) : root
+      this._checkCwd(cwd)
+      const providerName = step.provider || this._sm.providerType || DEFAULT_PROVIDER
+      try {
+        this._getProviderClass(providerName)
+      } catch (err) {
+        throw new WorkflowRunError('INVALID', `step "${step.id}": unknown provider '${providerName}': ${err?.message || err}`)
+      }
+      if (unattended) {
+        const refusal = scheduledProviderRefusalReason(providerName, this._getProviderClass)
+        if (refusal) throw new WorkflowRunError('INVALID', `step "${step.id}": ${refusal}`)
+      }
+      plan.set(step.id, {
+        cwd,
+        provider: step.provider,
+        providerName,
+        model: step.model,
+        permissionMode: unattended ? resolveScheduledPermissionMode(step.permissionMode) : step.permissionMode,
+      })
+    }
+    return plan
+  }
+
+  /** Deny every permission prompt on an unattended run's sessions (see scheduler.js). */
+  _handleSessionEvent({ sessionId, event, data } = {}) {
+    if (event !== 'permission_request') return
+    const live = this._unattendedSessions.get(sessionId)
+    if (!live) return
+    const toolName = data?.toolName ?? data?.tool ?? ''
+    // Mark the run blocked FIRST — a prompt on an unattended run fails it whether
+    // or not the answer below lands.
+    live.blocked ??= { toolName }
+    this._log?.warn?.(`Workflow run ${live.runId} requested permission for ${toolName || 'a tool'} while unattended — denying`)
+    const requestId = data?.requestId ?? data?.id ?? null
+    const session = this._sm.getSession?.(sessionId)?.session
+    if (requestId != null && typeof session?.respondToPermission === 'function') {
+      try { session.respondToPermission(requestId, 'deny') } catch (err) {
+        this._log?.warn?.(`Workflow permission deny failed for ${sessionId}: ${err?.message || err}`)
+      }
+    }
+    this._interrupt(sessionId)
+  }
+}
+
+/**
+ * The wire shape of a workflow run (HTTP, WS and CLI all serve this).
+ * @param {object} record - a RunLedger record with `workflow` set
+ * @param {object|null} live - the runner's in-flight state, when running
+ */
+export function projectRun(record, live = null) {
+  const wf = record.workflow
+  const maxUsd = record.configSnapshot?.budget?.maxUsd
+  return {
+    runId: record.runId,
+    workflow: wf.name,
+    title: record.title,
+    status: record.status,
+    statusReason: record.statusReason ?? null,
+    trigger: wf.trigger,
+    unattended: wf.unattended,
+    root: wf.root,
+    inputs: wf.inputs,
+    createdAt: record.createdAt,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    terminal: isTerminalStatus(record.status),
+    currentStep: live?.currentStep ?? null,
+    pendingApproval: wf.pendingApproval,
+    costUsd: record.usageTotals.overall.effectiveUsd,
+    budgetUsd: Number.isFinite(maxUsd) ? maxUsd : null,
+    steps: record.subtasks.map((st) => ({
+      subtaskId: st.subtaskId,
+      stepId: st.role,
+      title: st.title,
+      status: st.status,
+      sessionId: st.sessionId,
+      provider: st.provider,
+      model: st.model,
+      startedAt: st.startedAt,
+      endedAt: st.endedAt,
+      costUsd: st.usage.effectiveUsd,
+    })),
+    outputs: wf.steps,
+  }
+}
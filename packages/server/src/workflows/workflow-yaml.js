@@ -0,0 +1,422 @@
+/**
+ * The YAML subset workflow definitions are written in (workflow-definition.js).
+ *
+ * Hand-rolled for the same reason as the skills frontmatter parser
+ * (skills-frontmatter.js): the server takes no YAML dependency, and a workflow
+ * file only needs a small, predictable slice of the language. Supported:
+ *
+ *   - block mappings and block sequences, nested by indentation (spaces only),
+ *     including `- key: value` items that open a mapping and a sequence written
+ *     at its parent key's indent (`steps:\n- id: a`);
+ *   - literal (`|`) and folded (`>`) block scalars with the `-` / `+` chomping
+ *     indicators;
+ *   - flow sequences and mappings (`[a, b]`, `{ contains: PASS }`);
+ *   - single- and double-quoted scalars (double quotes take `\n \t \" \\`
+ *     escapes), and plain scalars resolved to null / booleans / numbers the way
+ *     YAML 1.2's core schema does;
+ *   - `#` comments and a leading `---` document marker.
+ *
+ * Anything outside that — anchors, aliases, tags, multiple documents, tabs in
+ * indentation, duplicate keys — is REFUSED with a {@link WorkflowYamlError}
+ * naming the line, never guessed at: a workflow that parses differently from
+ * what its author meant would run the wrong prompt with a real agent.
+ */
+
+export class WorkflowYamlError extends Error {
+  constructor(message, line = null) {
+    super(line ? `line ${line}: ${message}` : message)
+    this.name = 'WorkflowYamlError'
+    this.line = line
+  }
+}
+
+const BLANK_OR_COMMENT = /^\s*(#.*)?$/
+const NULL_RE = /^(?:~|null|Null|NULL)$/
+const TRUE_RE = /^(?:true|True|TRUE)$/
+const FALSE_RE = /^(?:false|False|FALSE)$/
+const INT_RE = /^[-+]?\d+$/
+const FLOAT_RE = /^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/
+
+/**
+ * Parse a YAML-subset document into plain JS values.
+ * @param {string} text
+ * @returns {any} the document's root value (null for an empty document)
+ * @throws {WorkflowYamlError}
+ */
+export function parseWorkflowYaml(text) {
+  if (typeof text !== 'string') throw new WorkflowYamlError('document must be a string')
+  return new Parser(text).parseDocument()
+}
+
+class Parser {
+  constructor(text) {
+    this.lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n')
+    this.i = 0
+    // A `- key: value` item re-reads the rest of its line as the first line of
+    // a mapping indented to where `key` starts. `pending` holds that virtual line.
+    this.pending = null
+  }
+
+  parseDocument() {
+    const first = this.peek()
+    if (first && first.content === '---') this.i++
+    const root = this.peek()
+    if (!root) return null
+    const value = this.parseNode(root.indent)
+    const extra = this.peek()
+    if (extra) {
+      if (isDocumentMarker(extra.content)) {
+        throw new WorkflowYamlError('multiple documents are not supported', extra.line)
+      }
+      throw new WorkflowYamlError('unexpected content (check the indentation)', extra.line)
+    }
+    return value
+  }
+
+  /** The next meaningful line, skipping blanks and comments. Null at EOF. */
+  peek() {
+    if (this.pending) return this.pending
+    while (this.i < this.lines.length) {
+      const raw = this.lines[this.i]
+      if (BLANK_OR_COMMENT.test(raw)) { this.i++; continue }
+      const indentMatch = raw.match(/^[ \t]*/)[0]
+      if (indentMatch.includes('\t')) throw new WorkflowYamlError('tabs are not allowed in indentation', this.i + 1)
+      return { indent: indentMatch.length, content: raw.slice(indentMatch.length).trimEnd(), line: this.i + 1 }
+    }
+    return null
+  }
+
+  /** Consume the line peek() returned. */
+  advance() {
+    if (this.pending) this.pending = null
+    else this.i++
+  }
+
+  parseNode(indent) {
+    const line = this.peek()
+    if (isSequenceItem(line.content)) return this.parseSequence(indent)
+    if (findMappingColon(line.content) === -1 && !isDocumentMarker(line.content)) {
+      // A lone scalar or flow collection on its own line (`[a, b]`).
+      this.advance()
+      return this.parseValue(line.content, indent - 1, line.line)
+    }
+    return this.parseMapping(indent)
+  }
+
+  parseSequence(indent) {
+    const items = []
+    for (;;) {
+      const line = this.peek()
+      if (!line || line.indent < indent) break
+      if (isDocumentMarker(line.content)) break
+      if (line.indent > indent) throw new WorkflowYamlError('bad indentation of a sequence item', line.line)
+      if (!isSequenceItem(line.content)) break
+      const rest = line.content.slice(1).trimStart()
+      const restIndent = indent + (line.content.length - rest.length)
+      this.advance()
+      if (rest === '' || rest.startsWith('#')) {
+        const next = this.peek()
+        items.push(next && next.indent > indent ? this.parseNode(next.indent) : null)
+      } else if (isSequenceItem(rest) || findMappingColon(rest) !== -1) {
+        this.pending = { indent: restIndent, content: rest, line: line.line }
+        items.push(this.parseNode(restIndent))
+      } else {
+        items.push(this.parseValue(rest, indent, line.line))
+      }
+    }
+    return items
+  }
+
+  parseMapping(indent) {
+    const out = {}
+    for (;;) {
+      const line = this.peek()
+      if (!line || line.indent < indent) break
+      if (isDocumentMarker(line.content)) break
+      if (line.indent > indent) throw new WorkflowYamlError('bad indentation of a mapping entry', line.line)
+      if (isSequenceItem(line.content)) break
+      const colon = findMappingColon(line.content)
+      if (colon === -1) throw new WorkflowYamlError(`expected "key: value", got "${clip(line.content)}"`, line.line)
+      const key = parseKey(line.content.slice(0, colon).trim(), line.line)
+      if (Object.prototype.hasOwnProperty.call(out, key)) throw new WorkflowYamlError(`duplicate key "${key}"`, line.line)
+      const rest = line.content.slice(colon + 1).trim()
+      this.advance()
+      let value
+      if (rest === '' || rest.startsWith('#')) {
+        const next = this.peek()
+        if (next && next.indent > indent) value = this.parseNode(next.indent)
+        else if (next && next.indent === indent && isSequenceItem(next.content)) value = this.parseSequence(indent)
+        else value = null
+      } else {
+        value = this.parseValue(rest, indent, line.line)
+      }
+      defineKey(out, key, value)
+    }
+    return out
+  }
+
+  /** A value written on the same line as its key or dash. */
+  parseValue(text, parentIndent, lineNo) {
+    if (text[0] === '|' || text[0] === '>') return this.parseBlockScalar(text, parentIndent, lineNo)
+    return parseInline(stripComment(text), lineNo)
+  }
+
+  parseBlockScalar(header, parentIndent, lineNo) {
+    const m = stripComment(header).match(/^([|>])([-+]?)$/)
+    if (!m) throw new WorkflowYamlError(`unsupported block scalar header "${clip(header)}"`, lineNo)
+    const [, style, chomp] = m
+    const raw = []
+    let blockIndent = null
+    while (this.i < this.lines.length) {
+      const text = this.lines[this.i]
+      if (text.trim() === '') { raw.push(''); this.i++; continue }
+      const indent = text.match(/^ */)[0].length
+      if (indent <= parentIndent) break
+      if (blockIndent === null) blockIndent = indent
+      if (indent < blockIndent) throw new WorkflowYamlError('block scalar line is less indented than its first line', this.i + 1)
+      raw.push(text.slice(blockIndent))
+      this.i++
+    }
+    // Trailing blank lines belong to the chomping decision, not the content.
+    let trailing = 0
+    while (raw.length && raw[raw.length - 1] === '') { raw.pop(); trailing++ }
+    if (raw.length === 0) return ''
+    const body = style === '|' ? raw.join('\n') : foldLines(raw)
+    if (chomp === '-') return body
+    if (chomp === '+') return body + '\n'.repeat(trailing + 1)
+    return body + '\n'
+  }
+}
+
+/**
+ * Folded-scalar line joining: a single break between two lines becomes a space,
+ * each blank line stays a break, and more-indented (preformatted) lines keep
+ * their breaks — YAML's folding rules, minus the corner cases no prompt needs.
+ */
+function foldLines(lines) {
+  let out = ''
+  let started = false
+  let blanks = 0
+  let prev = ''
+  for (const line of lines) {
+    if (line === '') { blanks++; continue }
+    if (!started) out = '\n'.repeat(blanks) + line
+    else if (blanks > 0) out += '\n'.repeat(blanks) + line
+    else if (line.startsWith(' ') || prev.startsWith(' ')) out += '\n' + line
+    else out += ' ' + line
+    started = true
+    blanks = 0
+    prev = line
+  }
+  return out
+}
+
+function isDocumentMarker(content) {
+  return content === '---' || content === '...'
+}
+
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ')
+}
+
+/**
+ * Index of the `:` that separates a mapping key from its value, or -1. The
+ * colon must be followed by whitespace or end the line, and must sit outside
+ * quotes and flow brackets — `url: http://x` splits at the first colon only.
+ */
+function findMappingColon(content) {
+  if (content[0] === '[' || content[0] === '{') return -1
+  let quote = null
+  for (let n = 0; n < content.length; n++) {
+    const ch = content[n]
+    if (quote) {
+      if (ch === '\\' && quote === '"') { n++; continue }
+      if (ch === quote) quote = null
+      continue
+    }
+    if ((ch === '"' || ch === "'") && n === 0) { quote = ch; continue }
+    if (ch === '#' && n > 0 && /\s/.test(content[n - 1])) return -1
+    if (ch === ':' && (n + 1 === content.length || /\s/.test(content[n + 1]))) return n
+  }
+  return -1
+}
+
+function parseKey(raw, lineNo) {
+  if (raw === '') throw new WorkflowYamlError('empty mapping key', lineNo)
+  if (raw[0] === '"' || raw[0] === "'") {
+    const value = parseInline(raw, lineNo)
+    if (typeof value !== 'string') throw new WorkflowYamlError('mapping keys must be strings', lineNo)
+    return value
+  }
+  rejectUnsupported(raw, lineNo)
+  return raw
+}
+
+/** Assign without letting a `__proto__` key reach the prototype chain. */
+function defineKey(obj, key, value) {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true })
+}
+
+function stripComment(text) {
+  let quote = null
+  for (let n = 0; n < text.length; n++) {
+    const ch = text[n]
+    if (quote) {
+      if (ch === '\\' && quote === '"') { n++; continue }
+      if (ch === quote) quote = null
+      continue
+    }
+    if (ch === '"' || ch === "'") {
+      // A quote opens a quoted scalar only at a token start; `it's` is plain.
+      if (n === 0 || /[\s[{,:]/.test(text[n - 1])) quote = ch
+      continue
+    }
+    if (ch === '#' && (n === 0 || /\s/.test(text[n - 1]))) return text.slice(0, n).trimEnd()
+  }
+  return text.trimEnd()
+}
+
+function rejectUnsupported(text, lineNo) {
+  if (/^[&*!]/.test(text)) throw new WorkflowYamlError('anchors, aliases and tags are not supported', lineNo)
+  if (/^[@`]/.test(text)) throw new WorkflowYamlError(`a plain value cannot start with "${text[0]}" — quote it`, lineNo)
+}
+
+/** A single-line value: quoted, flow collection, or plain scalar. */
+function parseInline(text, lineNo) {
+  const cursor = { text, pos: 0, lineNo }
+  const value = readFlowValue(cursor, false)
+  skipSpaces(cursor)
+  if (cursor.pos !== text.length) {
+    throw new WorkflowYamlError(`unexpected "${clip(text.slice(cursor.pos))}" after value`, lineNo)
+  }
+  return value
+}
+
+function skipSpaces(cursor) {
+  while (cursor.pos < cursor.text.length && /\s/.test(cursor.text[cursor.pos])) cursor.pos++
+}
+
+function readFlowValue(cursor, inFlow) {
+  skipSpaces(cursor)
+  const ch = cursor.text[cursor.pos]
+  if (ch === '[') return readFlowSequence(cursor)
+  if (ch === '{') return readFlowMapping(cursor)
+  if (ch === '"') return readDoubleQuoted(cursor)
+  if (ch === "'") return readSingleQuoted(cursor)
+  return readPlain(cursor, inFlow)
+}
+
+function readFlowSequence(cursor) {
+  cursor.pos++ // [
+  const items = []
+  for (;;) {
+    skipSpaces(cursor)
+    if (cursor.text[cursor.pos] === ']') { cursor.pos++; return items }
+    items.push(readFlowValue(cursor, true))
+    skipSpaces(cursor)
+    const ch = cursor.text[cursor.pos]
+    if (ch === ',') { cursor.pos++; continue }
+    if (ch === ']') { cursor.pos++; return items }
+    throw new WorkflowYamlError('unterminated flow sequence (expected "," or "]")', cursor.lineNo)
+  }
+}
+
+function readFlowMapping(cursor) {
+  cursor.pos++ // {
+  const out = {}
+  for (;;) {
+    skipSpaces(cursor)
+    if (cursor.text[cursor.pos] === '}') { cursor.pos++; return out }
+    const key = readFlowValue(cursor, true)
+    if (typeof key !== 'string' || key === '') throw new WorkflowYamlError('flow mapping keys must be non-empty strings', cursor.lineNo)
+    skipSpaces(cursor)
+    if (cursor.text[cursor.pos] !== ':') throw new WorkflowYamlError(`expected ":" after "${clip(key)}" in flow mapping`, cursor.lineNo)
+    cursor.pos++
+    if (Object.prototype.hasOwnProperty.call(out, key)) throw new WorkflowYamlError(`duplicate key "${key}"`, cursor.lineNo)
+    defineKey(out, key, readFlowValue(cursor, true))
+    skipSpaces(cursor)
+    const ch = cursor.text[cursor.pos]
+    if (ch === ',') { cursor.pos++; continue }
+    if (ch === '}') { cursor.pos++; return out }
+    throw new WorkflowYamlError('unterminated flow mapping (expected "," or "}")', cursor.lineNo)
+  }
+}
+
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', 0: '\0', ' ': ' ' }
+
+function readDoubleQuoted(cursor) {
+  let out = ''
+  let n = cursor.pos + 1
+  const text = cursor.text
+  while (n < text.length) {
+    const ch = text[n]
+    if (ch === '"') { cursor.pos = n + 1; return out }
+    if (ch === '\\') {
+      const esc = text[n + 1]
+      if (esc === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(n + 2, n + 6))) {
+        out += String.fromCharCode(parseInt(text.slice(n + 2, n + 6), 16))
+        n += 6
+        continue
+      }
+      if (!(esc in DOUBLE_QUOTE_ESCAPES)) throw new WorkflowYamlError(`unsupported escape "\\${esc ?? ''}"`, cursor.lineNo)
+      out += DOUBLE_QUOTE_ESCAPES[esc]
+      n += 2
+      continue
+    }
+    out += ch
+    n++
+  }
+  throw new WorkflowYamlError('unterminated double-quoted string', cursor.lineNo)
+}
+
+function readSingleQuoted(cursor) {
+  let out = ''
+  let n = cursor.pos + 1
+  const text = cursor.text
+  while (n < text.length) {
+    const ch = text[n]
+    if (ch === "'") {
+      if (text[n + 1] === "'") { out += "'"; n += 2; continue }
+      cursor.pos = n + 1
+      return out
+    }
+    out += ch
+    n++
+  }
+  throw new WorkflowYamlError('unterminated single-quoted string', cursor.lineNo)
+}
+
+function readPlain(cursor, inFlow) {
+  const text = cursor.text
+  let end = cursor.pos
+  while (end < text.length) {
+    const ch = text[end]
+    if (inFlow && (ch === ',' || ch === ']' || ch === '}')) break
+    if (inFlow && ch === ':' && (end + 1 === text.length || /[\s,\]}]/.test(text[end + 1]))) break
+    end++
+  }
+  const raw = text.slice(cursor.pos, end).trim()
+  cursor.pos = end
+  if (raw === '') {
+    if (inFlow) throw new WorkflowYamlError('empty value in flow collection', cursor.lineNo)
+    return null
+  }
+  rejectUnsupported(raw, cursor.lineNo)
+  return resolvePlain(raw)
+}
+
+/** YAML 1.2 core-schema resolution for a plain scalar. */
+function resolvePlain(raw) {
+  if (NULL_RE.test(raw)) return null
+  if (TRUE_RE.test(raw)) return true
+  if (FALSE_RE.test(raw)) return false
+  if (INT_RE.test(raw) || FLOAT_RE.test(raw)) {
+    const n = Number(raw)
+    if (Number.isFinite(n)) return n
+  }
+  return raw
+}
+
+function clip(s) {
+  return s.length > 40 ? `${s.slice(0, 40)}…` : s
+}
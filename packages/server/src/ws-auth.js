@@ -8,6 +8,7 @@ import { createKeyPair, deriveSharedKey, deriveConnectionKey, signExchangeKey }
 import { AuthSchema, KeyExchangeSchema, PairSchema, PairRequestSchema } from './ws-schemas.js'
 import { createLogger } from './logger.js'
 import { metrics } from './metrics.js'
+import { describeActor, recordAuditEvent } from './audit-journal.js'
 
 const log = createLogger('ws')
 
@@ -103,7 +104,7 @@ export function handleAuthMessage(ctx, ws, msg) {
     clients, authRequired, isTokenValid,
     authFailures, send, onAuthSuccess,
     minProtocolVersion, serverProtocolVersion,
-    pairingManager,
+    pairingManager, resolveTokenScope,
   } = ctx
   const client = clients.get(ws)
   if (!client || client.authenticated) return false
@@ -196,6 +197,22 @@ export function handleAuthMessage(ctx, ws, msg) {
     // `=== true`. Consumed by the user-shell create + terminal_* gates.
     client.isPrimaryToken = !authRequired || !pairingManager?.isSessionTokenValid(msg.token)
 
+    // Device-token scope (token-scopes.js): what this connection may SEND,
+    // enforced per message type in the handler layer. A pairing token carries
+    // its own scope; the primary token (and every --no-auth client) is `full`.
+    // `pairedDeviceId` tags the connection with the device's wire id so a live
+    // scope change from the Paired Devices panel re-scopes it in place.
+    // A pairing manager without scope support (a partial/legacy one) mints only
+    // what were full tokens, so `full` preserves its behaviour.
+    if (authRequired && pairingManager && msg.token && !client.isPrimaryToken) {
+      client.tokenScope = typeof pairingManager.getScopeForToken === 'function'
+        ? (pairingManager.getScopeForToken(msg.token) ?? 'observe')
+        : 'full'
+      client.pairedDeviceId = pairingManager.getDeviceIdForToken?.(msg.token) ?? undefined
+    } else {
+      client.tokenScope = resolveTokenScope?.(msg.token) ?? 'full'
+    }
+
     client.clientCapabilities = new Set(authData.capabilities ?? [])
 
     // #5555 (eager key exchange) — stash the client's ephemeral public key +
@@ -359,6 +376,16 @@ export function handlePairMessage(ctx, ws, msg) {
     // Attach sessionToken so onAuthSuccess can include it in the auth_ok payload
     // (client stores this for future reconnections)
     client._sessionToken = result.sessionToken
+    // Scope of the freshly minted token (see handleAuthMessage).
+    client.tokenScope = result.scope ?? 'full'
+    client.pairedDeviceId = pairingManager.getDeviceIdForToken?.(result.sessionToken) ?? undefined
+    // The redeeming device is both the actor and the token's holder.
+    recordAuditEvent('token_issue', {
+      ...describeActor(client),
+      via: 'pairing_code',
+      pairedDeviceId: client.pairedDeviceId ?? null,
+      scope: client.tokenScope,
+    })
     onAuthSuccess(ws, client)
     log.info(`Client ${client.id} paired via pairing ID`)
     return true
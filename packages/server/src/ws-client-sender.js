@@ -1,3 +1,4 @@
+import { performance } from 'node:perf_hooks'
 import { encrypt, DIRECTION_SERVER } from '@chroxy/store-core/crypto'
 import { metrics } from './metrics.js'
 
@@ -68,6 +69,7 @@ export function createClientSender(log, opts = {}) {
       message = { ...message, seq: client._seq }
     }
     try {
+      const sendStartedAt = performance.now()
       // Encrypt if encryption is active for this client
       if (client?.encryptionState) {
         const envelope = encrypt(JSON.stringify(message), client.encryptionState.sharedKey, client.encryptionState.sendNonce, DIRECTION_SERVER)
@@ -76,6 +78,11 @@ export function createClientSender(log, opts = {}) {
       } else {
         ws.send(JSON.stringify(message))
       }
+      // Serialize + encrypt + socket handoff, i.e. the daemon-side cost of
+      // one frame. Kernel/network time after the handoff is not ours to see.
+      metrics.observe('ws.send.latency_seconds', (performance.now() - sendStartedAt) / 1000, {
+        encrypted: client?.encryptionState ? 'true' : 'false',
+      })
 
       // Post-send backpressure monitoring
       const buffered = ws.bufferedAmount
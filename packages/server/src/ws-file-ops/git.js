@@ -1,11 +1,14 @@
 import { normalize, resolve, join, relative, sep } from 'path'
 import { execFile as execFileCb } from 'child_process'
 import { promisify } from 'util'
-import { writeFile, unlink } from 'fs/promises'
+import { constants as fsConstants } from 'fs'
+import { writeFile, unlink, readFile, open, access } from 'fs/promises'
 import { tmpdir } from 'os'
-import { randomBytes } from 'crypto'
+import { randomBytes, createHash } from 'crypto'
 import { GIT } from '../git.js'
 import { validateGitPath } from './common.js'
+import { parseDiff, parseConflictMarkers, applyConflictResolutions } from '../diff-parser.js'
+import { isSafeArgvValue } from '../utils/argv-safety.js'
 import { isPathWithin } from '../utils/path-containment.js'
 
 const execFileAsync = promisify(execFileCb)
@@ -207,8 +210,182 @@ function toLiteralPathspec(cwdReal, absPath, realPath) {
   return sep === '\\' ? rel.split(sep).join('/') : rel
 }
 
+// `git log` row format: unit separator between fields, record separator after
+// each commit. Neither byte can occur in a hash, ISO date or parent list, and
+// git strips control bytes from names, so splitting on them is unambiguous.
+const LOG_FIELDS = '%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%P%x1f%s'
+const LOG_FORMAT = `${LOG_FIELDS}%x1e`
+const SHOW_FORMAT = `${LOG_FIELDS}%x1f%b`
+
+const DEFAULT_LOG_LIMIT = 50
+const MAX_LOG_LIMIT = 200
+// Blame is asked for one line past the cap so `truncated` is exact, not a guess.
+const MAX_BLAME_LINES = 5000
+const MAX_SHOW_BYTES = 2 * 1024 * 1024
+
+// Revisions reach these ops only as the hex hashes the log handed out; anything
+// else (ref expressions, `HEAD:path`, leading dashes) is refused before argv.
+const REV_HASH_RE = /^[0-9a-fA-F]{4,64}$/
+
+/** Parse `git log --format=LOG_FORMAT` output into commit rows. */
+function parseLogRecords(stdout) {
+  const commits = []
+  for (const record of String(stdout || '').split('\x1e')) {
+    const trimmed = record.replace(/^\n+/, '')
+    if (!trimmed) continue
+    const [hash, shortHash, author, email, date, parents, subject] = trimmed.split('\x1f')
+    if (!hash) continue
+    commits.push({
+      hash,
+      shortHash: shortHash || hash.slice(0, 7),
+      author: author || '',
+      email: email || '',
+      date: date || '',
+      parents: parents ? parents.split(' ').filter(Boolean) : [],
+      subject: (subject || '').trimEnd(),
+    })
+  }
+  return commits
+}
+
+/**
+ * Parse `git blame --porcelain` output, folding consecutive lines from the same
+ * commit into one hunk. Porcelain prints a commit's author/summary headers only
+ * the first time the commit appears, so they are remembered by hash.
+ */
+function parseBlamePorcelain(stdout) {
+  const meta = new Map()
+  const hunks = []
+  let current = null
+  let pending = null
+  for (const line of String(stdout || '').split('\n')) {
+    if (line.startsWith('\t')) {
+      if (!pending) continue
+      const info = meta.get(pending.hash) || {}
+      const last = hunks[hunks.length - 1]
+      if (last && last.hash === pending.hash && last.startLine + last.lines.length === pending.finalLine) {
+        last.lines.push(line.slice(1))
+      } else {
+        hunks.push({
+          hash: pending.hash,
+          shortHash: pending.hash.slice(0, 7),
+          author: info.author || '',
+          date: info.time ? new Date(info.time * 1000).toISOString() : '',
+          summary: info.summary || '',
+          startLine: pending.finalLine,
+          lines: [line.slice(1)],
+        })
+      }
+      pending = null
+      continue
+    }
+    const header = line.match(/^([0-9a-f]{40,64}) \d+ (\d+)(?: \d+)?$/)
+    if (header) {
+      pending = { hash: header[1], finalLine: Number(header[2]) }
+      if (!meta.has(header[1])) meta.set(header[1], {})
+      current = meta.get(header[1])
+      continue
+    }
+    if (!current) continue
+    if (line.startsWith('author ')) current.author = line.slice('author '.length)
+    else if (line.startsWith('author-time ')) current.time = Number(line.slice('author-time '.length)) || 0
+    else if (line.startsWith('summary ')) current.summary = line.slice('summary '.length)
+  }
+  return hunks
+}
+
+/** Operator-facing message for a failed git invocation: git's own `fatal:` line when it has one. */
+function gitErrorMessage(err, fallback) {
+  if (err && err.code === 'ENOENT') return 'git is not available on the daemon host'
+  return firstLine(err && err.stderr) || (err && err.message) || fallback
+}
+
+// Conflict listing caps. A file over the per-file cap, or reached after the
+// total budget is spent, is listed without hunks; it can still be resolved
+// whole-file (take ours / theirs) or handed to the agent.
+const MAX_CONFLICT_FILES = 200
+const MAX_CONFLICT_FILE_BYTES = 512 * 1024
+const MAX_CONFLICT_TOTAL_BYTES = 4 * 1024 * 1024
+const CONFLICT_CONTEXT_LINES = 3
+
+// `git ls-files -u` stage set → conflict kind (1 = base, 2 = ours, 3 = theirs).
+const CONFLICT_KINDS = {
+  '123': 'both_modified',
+  '23': 'both_added',
+  '12': 'deleted_by_them',
+  '13': 'deleted_by_us',
+  '2': 'added_by_us',
+  '3': 'added_by_them',
+  '1': 'both_deleted',
+}
+
+// Kinds whose working-tree file carries conflict markers to resolve per hunk.
+const MARKER_CONFLICT_KINDS = new Set(['both_modified', 'both_added'])
+
+// Symlinks and submodules conflict too, but have no text to split into hunks.
+const NON_TEXT_MODES = new Set(['120000', '160000'])
+
 /**
- * Git operations: status, branches, stage, unstage, commit, create PR.
+ * Parse `git ls-files -u -z` into one entry per path, in git's order:
+ * `{ path, stages: '123', nonText }`.
+ */
+function parseUnmergedEntries(stdout) {
+  const byPath = new Map()
+  for (const record of String(stdout || '').split('\0')) {
+    const tab = record.indexOf('\t')
+    if (tab === -1) continue
+    const [mode, , stage] = record.slice(0, tab).split(' ')
+    const path = record.slice(tab + 1)
+    const entry = byPath.get(path) || { path, stages: '', nonText: false }
+    if (!entry.stages.includes(stage)) entry.stages = [...entry.stages, stage].sort().join('')
+    if (NON_TEXT_MODES.has(mode)) entry.nonText = true
+    byPath.set(path, entry)
+  }
+  return [...byPath.values()]
+}
+
+/** Conflict regions in their `git_conflicts_result` wire shape, with a few lines of context. */
+function conflictHunksForWire(parsed) {
+  const hunks = []
+  const { segments } = parsed
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i]
+    if (seg.type !== 'conflict') continue
+    const prev = segments[i - 1]
+    const next = segments[i + 1]
+    hunks.push({
+      index: seg.index,
+      startLine: seg.startLine,
+      oursLabel: seg.oursLabel,
+      theirsLabel: seg.theirsLabel,
+      baseLabel: seg.baseLabel,
+      ours: seg.ours,
+      base: seg.base,
+      theirs: seg.theirs,
+      before: prev?.type === 'text' ? prev.lines.slice(-CONFLICT_CONTEXT_LINES) : [],
+      after: next?.type === 'text' ? next.lines.slice(0, CONFLICT_CONTEXT_LINES) : [],
+    })
+  }
+  return hunks
+}
+
+function sha256Hex(buf) {
+  return createHash('sha256').update(buf).digest('hex')
+}
+
+async function pathExists(p) {
+  try {
+    await access(p)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Git operations: status, branches, stage, unstage, commit, create PR, plus
+ * history (log / show / blame), branch create / checkout / delete, and the
+ * merge-conflict workflow (list, resolve, continue, abort).
  *
  * @param {Function} sendFn - (ws, message) => void
  * @param {Function} resolveSessionCwd - shared CWD resolver
@@ -616,6 +793,735 @@ export function createGitOps(sendFn, resolveSessionCwd, validatePathWithinCwd, w
     }
   }
 
+  /**
+   * Resolve a client-supplied file path to the literal pathspec git receives —
+   * the same confinement gitStage applies (#7281). Returns null when the path
+   * is empty, not a string, or leaves the session cwd.
+   */
+  async function pathspecFor(cwdReal, sessionCwd, file) {
+    if (typeof file !== 'string' || file === '') return null
+    const absPath = normalize(resolve(cwdReal, file))
+    const { valid, realPath } = await validatePathWithinCwd(absPath, sessionCwd)
+    return valid ? toLiteralPathspec(cwdReal, absPath, realPath) : null
+  }
+
+  /** Current branch name, or null in detached HEAD / on any failure. */
+  async function readCurrentBranch(cwdReal) {
+    try {
+      const { stdout } = await execImpl(GIT, ['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: cwdReal, timeout: 5000 })
+      const ref = (stdout || '').trim()
+      return ref && ref !== 'HEAD' ? ref : null
+    } catch {
+      return null
+    }
+  }
+
+  /** True when `ref` (a full refname) exists. */
+  async function refExists(cwdReal, ref) {
+    try {
+      await execImpl(GIT, ['show-ref', '--verify', '--quiet', ref], { cwd: cwdReal, timeout: 5000 })
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * A branch name from the wire is usable only when it cannot be option-parsed
+   * (#7290) and git itself accepts it as a branch refname. `check-ref-format`
+   * is given the full `refs/heads/` form rather than `--branch`, which would
+   * expand `@{-1}` shorthands into some other branch.
+   */
+  async function isValidBranchName(cwdReal, name) {
+    if (!isSafeArgvValue(name)) return false
+    try {
+      await execImpl(GIT, ['check-ref-format', `refs/heads/${name}`], { cwd: cwdReal, timeout: 5000 })
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * Paginated commit log for the session's repo, or the history of one file
+   * (`--follow`, so renames are traced) when `opts.path` is set. Over-fetches a
+   * single row to report `hasMore` without a separate count.
+   *
+   * @param {WebSocket} ws
+   * @param {{ skip?: number, limit?: number, path?: string, requestId?: string }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitLog(ws, opts, sessionCwd) {
+    const skip = Number.isInteger(opts?.skip) && opts.skip > 0 ? opts.skip : 0
+    const limit = Number.isInteger(opts?.limit) && opts.limit > 0 ? Math.min(opts.limit, MAX_LOG_LIMIT) : DEFAULT_LOG_LIMIT
+    const path = typeof opts?.path === 'string' && opts.path ? opts.path : null
+    const requestId = typeof opts?.requestId === 'string' ? opts.requestId : undefined
+    const reply = (fields) => sendFn(ws, {
+      type: 'git_log_result', commits: [], skip, hasMore: false, path, error: null, ...fields,
+      ...(requestId !== undefined ? { requestId } : {}),
+    })
+
+    if (!sessionCwd) {
+      reply({ error: 'Git history is not available in this mode' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const args = ['--literal-pathspecs', 'log', `--format=${LOG_FORMAT}`, `--skip=${skip}`, '-n', String(limit + 1)]
+      if (path !== null) {
+        const pathspec = await pathspecFor(cwdReal, sessionCwd, path)
+        if (pathspec === null) {
+          reply({ error: `Access denied: path outside project directory — ${path}` })
+          return
+        }
+        // --follow takes exactly one FILE; for the cwd itself fall back to a
+        // plain pathspec-limited log.
+        if (pathspec !== '.') args.push('--follow')
+        args.push('--', pathspec)
+      }
+      let stdout = ''
+      try {
+        ({ stdout } = await execImpl(GIT, args, {
+          cwd: cwdReal,
+          maxBuffer: 2 * 1024 * 1024,
+          timeout: 10000,
+          env: gitEnvWithoutPathspecModes(),
+        }))
+      } catch (err) {
+        // A freshly initialised repo has no history yet — that is an empty
+        // log, not a failure.
+        if (/does not have any commits yet/.test(String(err?.stderr || err?.message || ''))) {
+          reply({})
+          return
+        }
+        throw err
+      }
+      const commits = parseLogRecords(stdout)
+      reply({ commits: commits.slice(0, limit), hasMore: commits.length > limit })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to read git history') })
+    }
+  }
+
+  /**
+   * One commit's header and its patch against its first parent, in the
+   * `diff_result` DiffFile shape. A root commit is diffed against the empty
+   * tree; a merge shows what it brought into the first-parent line.
+   *
+   * @param {WebSocket} ws
+   * @param {string} hash
+   * @param {string|null} sessionCwd
+   * @param {string} [requestId]
+   */
+  async function gitShow(ws, hash, sessionCwd, requestId) {
+    const reply = (fields) => sendFn(ws, {
+      type: 'git_show_result',
+      hash: typeof hash === 'string' ? hash : '',
+      commit: null,
+      files: [],
+      truncated: false,
+      error: null,
+      ...fields,
+      ...(typeof requestId === 'string' ? { requestId } : {}),
+    })
+
+    if (!sessionCwd) {
+      reply({ error: 'Git history is not available in this mode' })
+      return
+    }
+    if (typeof hash !== 'string' || !REV_HASH_RE.test(hash)) {
+      reply({ error: 'Invalid commit hash' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      let header
+      try {
+        const { stdout } = await execImpl(GIT, ['show', '-s', `--format=${SHOW_FORMAT}`, `${hash}^{commit}`, '--'], {
+          cwd: cwdReal,
+          maxBuffer: 256 * 1024,
+          timeout: 5000,
+        })
+        header = stdout
+      } catch {
+        reply({ error: `Unknown commit: ${hash}` })
+        return
+      }
+      const fields = header.split('\x1f')
+      const [commit] = parseLogRecords(fields.slice(0, 7).join('\x1f'))
+      if (!commit) {
+        reply({ error: `Unknown commit: ${hash}` })
+        return
+      }
+      const body = fields.slice(7).join('\x1f').trim()
+
+      const diffArgs = commit.parents.length > 0
+        ? ['diff', '--no-color', '--no-ext-diff', '-M', commit.parents[0], commit.hash, '--']
+        : ['diff-tree', '-p', '--root', '--no-commit-id', '--no-color', '--no-ext-diff', '-M', commit.hash, '--']
+      let patch = ''
+      let truncated = false
+      try {
+        ({ stdout: patch } = await execImpl(GIT, diffArgs, {
+          cwd: cwdReal,
+          maxBuffer: MAX_SHOW_BYTES,
+          timeout: 10000,
+        }))
+      } catch (err) {
+        // Over the cap: keep what was read so far. The last file in a cut-off
+        // prefix may be missing hunks, which `truncated` tells the panel.
+        if (err?.code !== 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') throw err
+        patch = String(err.stdout || '')
+        truncated = true
+      }
+      reply({ commit: { ...commit, body }, files: patch.trim() ? parseDiff(patch) : [], truncated })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to show commit') })
+    }
+  }
+
+  /**
+   * Line-by-line authorship for one file, at `rev` when given (a hash from the
+   * log) or the working tree otherwise. Capped at MAX_BLAME_LINES.
+   *
+   * @param {WebSocket} ws
+   * @param {{ path?: string, rev?: string, requestId?: string }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitBlame(ws, opts, sessionCwd) {
+    const path = typeof opts?.path === 'string' && opts.path ? opts.path : null
+    const rev = typeof opts?.rev === 'string' && opts.rev ? opts.rev : null
+    const requestId = typeof opts?.requestId === 'string' ? opts.requestId : undefined
+    const reply = (fields) => sendFn(ws, {
+      type: 'git_blame_result', path, rev, hunks: [], truncated: false, error: null, ...fields,
+      ...(requestId !== undefined ? { requestId } : {}),
+    })
+
+    if (!sessionCwd) {
+      reply({ error: 'Git blame is not available in this mode' })
+      return
+    }
+    if (path === null) {
+      reply({ error: 'No file specified to blame' })
+      return
+    }
+    if (rev !== null && !REV_HASH_RE.test(rev)) {
+      reply({ error: 'Invalid commit hash' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const pathspec = await pathspecFor(cwdReal, sessionCwd, path)
+      if (pathspec === null || pathspec === '.') {
+        reply({ error: `Access denied: path outside project directory — ${path}` })
+        return
+      }
+      const args = ['--literal-pathspecs', 'blame', '--porcelain', '-L', `1,${MAX_BLAME_LINES + 1}`]
+      if (rev !== null) args.push(rev)
+      args.push('--', pathspec)
+      let stdout = ''
+      try {
+        ({ stdout } = await execImpl(GIT, args, {
+          cwd: cwdReal,
+          maxBuffer: 8 * 1024 * 1024,
+          timeout: 15000,
+          env: gitEnvWithoutPathspecModes(),
+        }))
+      } catch (err) {
+        // `-L` on an empty file fails rather than returning nothing.
+        if (/has only 0 lines/.test(String(err?.stderr || err?.message || ''))) {
+          reply({})
+          return
+        }
+        throw err
+      }
+      const hunks = parseBlamePorcelain(stdout)
+      const last = hunks[hunks.length - 1]
+      const truncated = !!last && last.startLine + last.lines.length - 1 > MAX_BLAME_LINES
+      if (truncated) {
+        last.lines.pop()
+        if (last.lines.length === 0) hunks.pop()
+      }
+      reply({ hunks, truncated })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to blame file') })
+    }
+  }
+
+  /** Result sender for the three branch mutations (ServerGitBranchResultSchema). */
+  function branchResult(action, { branch = null, currentBranch = null, error = null } = {}) {
+    return { type: 'git_branch_result', action, branch, currentBranch, error }
+  }
+
+  /**
+   * Create a local branch at `startPoint` (default HEAD), optionally switching
+   * to it. `git switch` refuses when the switch would overwrite local changes,
+   * and that refusal is reported as-is — the working tree is never forced.
+   *
+   * @param {WebSocket} ws
+   * @param {{ name?: string, startPoint?: string, checkout?: boolean }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitBranchCreate(ws, opts, sessionCwd) {
+    const name = typeof opts?.name === 'string' ? opts.name.trim() : ''
+    const startPoint = typeof opts?.startPoint === 'string' && opts.startPoint.trim() ? opts.startPoint.trim() : null
+    const checkout = opts?.checkout === true
+
+    if (!sessionCwd) {
+      sendFn(ws, branchResult('create', { error: 'Branch management is not available in this mode' }))
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      if (!(await isValidBranchName(cwdReal, name))) {
+        sendFn(ws, branchResult('create', { branch: name || null, currentBranch: await readCurrentBranch(cwdReal), error: `Invalid branch name: ${name || '(empty)'}` }))
+        return
+      }
+      if (startPoint !== null) {
+        let known = false
+        if (isSafeArgvValue(startPoint)) {
+          try {
+            await execImpl(GIT, ['rev-parse', '--verify', '--quiet', `${startPoint}^{commit}`], { cwd: cwdReal, timeout: 5000 })
+            known = true
+          } catch {
+            // Falls through to the error below.
+          }
+        }
+        if (!known) {
+          sendFn(ws, branchResult('create', { branch: name, currentBranch: await readCurrentBranch(cwdReal), error: `Unknown start point: ${startPoint}` }))
+          return
+        }
+      }
+      const args = checkout ? ['switch', '-c', name] : ['branch', name]
+      if (startPoint !== null) args.push(startPoint)
+      await execImpl(GIT, args, { cwd: cwdReal, timeout: 10000 })
+      sendFn(ws, branchResult('create', { branch: name, currentBranch: await readCurrentBranch(cwdReal) }))
+    } catch (err) {
+      sendFn(ws, branchResult('create', { branch: name || null, error: gitErrorMessage(err, 'Failed to create branch') }))
+    }
+  }
+
+  /**
+   * Switch the working tree to `branch`. A name that only exists as a
+   * remote-tracking ref (`origin/feature`, as git_branches lists it) is checked
+   * out as a new local branch tracking it.
+   *
+   * @param {WebSocket} ws
+   * @param {string} branch
+   * @param {string|null} sessionCwd
+   */
+  async function gitCheckout(ws, branch, sessionCwd) {
+    const name = typeof branch === 'string' ? branch.trim() : ''
+
+    if (!sessionCwd) {
+      sendFn(ws, branchResult('checkout', { error: 'Branch management is not available in this mode' }))
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      if (!(await isValidBranchName(cwdReal, name))) {
+        sendFn(ws, branchResult('checkout', { branch: name || null, currentBranch: await readCurrentBranch(cwdReal), error: `Invalid branch name: ${name || '(empty)'}` }))
+        return
+      }
+      const isLocal = await refExists(cwdReal, `refs/heads/${name}`)
+      const args = !isLocal && (await refExists(cwdReal, `refs/remotes/${name}`))
+        ? ['switch', '--track', name]
+        : ['switch', name]
+      await execImpl(GIT, args, { cwd: cwdReal, timeout: 30000 })
+      sendFn(ws, branchResult('checkout', { branch: name, currentBranch: await readCurrentBranch(cwdReal) }))
+    } catch (err) {
+      sendFn(ws, branchResult('checkout', { branch: name || null, error: gitErrorMessage(err, 'Failed to switch branch') }))
+    }
+  }
+
+  /**
+   * Delete a local branch. `force` maps to `git branch -D`; without it git
+   * refuses to drop unmerged work, and that refusal is the reply.
+   *
+   * @param {WebSocket} ws
+   * @param {{ name?: string, force?: boolean }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitBranchDelete(ws, opts, sessionCwd) {
+    const name = typeof opts?.name === 'string' ? opts.name.trim() : ''
+    const force = opts?.force === true
+
+    if (!sessionCwd) {
+      sendFn(ws, branchResult('delete', { error: 'Branch management is not available in this mode' }))
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const currentBranch = await readCurrentBranch(cwdReal)
+      if (!(await isValidBranchName(cwdReal, name))) {
+        sendFn(ws, branchResult('delete', { branch: name || null, currentBranch, error: `Invalid branch name: ${name || '(empty)'}` }))
+        return
+      }
+      if (name === currentBranch) {
+        sendFn(ws, branchResult('delete', { branch: name, currentBranch, error: `Cannot delete the checked-out branch (${name}) — switch to another branch first` }))
+        return
+      }
+      await execImpl(GIT, ['branch', force ? '-D' : '-d', name], { cwd: cwdReal, timeout: 10000 })
+      sendFn(ws, branchResult('delete', { branch: name, currentBranch }))
+    } catch (err) {
+      sendFn(ws, branchResult('delete', { branch: name || null, error: gitErrorMessage(err, 'Failed to delete branch') }))
+    }
+  }
+
+  /**
+   * The merge-like operation the repo is stopped in, or null. A rebase is
+   * checked first: it may leave other sequencer heads behind while it runs.
+   * `--git-path` resolves each name for linked worktrees, whose state lives
+   * under the main repo's `.git/worktrees/<name>/`.
+   *
+   * @returns {Promise<{ operation: 'merge'|'rebase'|'cherry-pick'|'revert'|null, rebaseDir: string|null }>}
+   */
+  async function readConflictOperation(cwdReal) {
+    const names = ['rebase-merge', 'rebase-apply', 'MERGE_HEAD', 'CHERRY_PICK_HEAD', 'REVERT_HEAD']
+    const { stdout } = await execImpl(GIT, ['rev-parse', ...names.flatMap(n => ['--git-path', n])], {
+      cwd: cwdReal,
+      timeout: 5000,
+    })
+    const paths = String(stdout || '').split('\n').filter(Boolean).map(p => resolve(cwdReal, p))
+    const [rebaseMerge, rebaseApply, mergeHead, cherryPickHead, revertHead] = paths
+    if (rebaseMerge && (await pathExists(rebaseMerge))) return { operation: 'rebase', rebaseDir: rebaseMerge }
+    if (rebaseApply && (await pathExists(rebaseApply))) return { operation: 'rebase', rebaseDir: rebaseApply }
+    if (mergeHead && (await pathExists(mergeHead))) return { operation: 'merge', rebaseDir: null }
+    if (cherryPickHead && (await pathExists(cherryPickHead))) return { operation: 'cherry-pick', rebaseDir: null }
+    if (revertHead && (await pathExists(revertHead))) return { operation: 'revert', rebaseDir: null }
+    return { operation: null, rebaseDir: null }
+  }
+
+  /** Unmerged index entries, optionally limited to one literal pathspec. */
+  async function readUnmerged(cwdReal, pathspec) {
+    const args = ['--literal-pathspecs', 'ls-files', '-u', '-z']
+    if (pathspec) args.push('--', pathspec)
+    const { stdout } = await execImpl(GIT, args, {
+      cwd: cwdReal,
+      maxBuffer: 4 * 1024 * 1024,
+      timeout: 10000,
+      env: gitEnvWithoutPathspecModes(),
+    })
+    return parseUnmergedEntries(stdout)
+  }
+
+  /**
+   * A conflicted path from the wire, confined like gitStage's paths: the
+   * literal pathspec git receives and the validated real path to read/write.
+   * Null when the path is empty, leaves the session cwd, or names the cwd.
+   */
+  async function conflictTarget(cwdReal, sessionCwd, file) {
+    if (typeof file !== 'string' || file === '') return null
+    const absPath = normalize(resolve(cwdReal, file))
+    const { valid, realPath } = await validatePathWithinCwd(absPath, sessionCwd)
+    const pathspec = valid ? toLiteralPathspec(cwdReal, absPath, realPath) : null
+    if (pathspec === null || pathspec === '.') return null
+    return { pathspec, realPath }
+  }
+
+  /** Result sender for resolve / continue / abort (ServerGitConflictResultSchema). */
+  function conflictResult(action, { path = null, remaining = 0, staged = false, operation = null, error = null } = {}, requestId) {
+    return {
+      type: 'git_conflict_result', action, path, remaining, staged, operation, error,
+      ...(typeof requestId === 'string' ? { requestId } : {}),
+    }
+  }
+
+  /**
+   * The repo's in-progress merge / rebase / cherry-pick / revert (if any) and
+   * every conflicted file, with the ours / base / theirs regions of each text
+   * conflict. `hash` is the sha256 of the file as read; gitConflictResolve
+   * refuses to write over a file that has changed since.
+   *
+   * During a rebase git's "ours" is the branch being rebased ONTO and "theirs"
+   * the commit being replayed — the labels are reported as git wrote them.
+   *
+   * @param {WebSocket} ws
+   * @param {{ requestId?: string }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitConflicts(ws, opts, sessionCwd) {
+    const requestId = typeof opts?.requestId === 'string' ? opts.requestId : undefined
+    const reply = (fields) => sendFn(ws, {
+      type: 'git_conflicts_result', operation: null, branch: null, files: [], truncated: false, error: null, ...fields,
+      ...(requestId !== undefined ? { requestId } : {}),
+    })
+
+    if (!sessionCwd) {
+      reply({ error: 'Conflict resolution is not available in this mode' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const { operation, rebaseDir } = await readConflictOperation(cwdReal)
+      let branch = null
+      if (rebaseDir) {
+        // Mid-rebase HEAD is detached; the branch being rebased is recorded here.
+        try {
+          const headName = (await readFile(join(rebaseDir, 'head-name'), 'utf8')).trim()
+          branch = headName.startsWith('refs/heads/') ? headName.slice('refs/heads/'.length) : null
+        } catch {
+          // A rebase of a detached HEAD has no head-name.
+        }
+      } else {
+        branch = await readCurrentBranch(cwdReal)
+      }
+
+      const unmerged = await readUnmerged(cwdReal, null)
+      const files = []
+      let budget = MAX_CONFLICT_TOTAL_BYTES
+      for (const entry of unmerged.slice(0, MAX_CONFLICT_FILES)) {
+        const kind = CONFLICT_KINDS[entry.stages] || 'both_modified'
+        const file = { path: entry.path, kind, hash: null, binary: entry.nonText, tooLarge: false, hunks: [] }
+        files.push(file)
+        if (entry.nonText || !MARKER_CONFLICT_KINDS.has(kind)) continue
+        const target = await conflictTarget(cwdReal, sessionCwd, entry.path)
+        if (!target) continue
+        let buf
+        try {
+          buf = await readFile(target.realPath)
+        } catch {
+          continue // removed from the working tree by hand; whole-file resolution still works
+        }
+        file.hash = sha256Hex(buf)
+        if (buf.subarray(0, 8000).includes(0)) {
+          file.binary = true
+          continue
+        }
+        if (buf.length > MAX_CONFLICT_FILE_BYTES || buf.length > budget) {
+          file.tooLarge = true
+          continue
+        }
+        budget -= buf.length
+        file.hunks = conflictHunksForWire(parseConflictMarkers(buf.toString('utf8')))
+      }
+      reply({ operation, branch, files, truncated: unmerged.length > MAX_CONFLICT_FILES })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to read merge conflicts') })
+    }
+  }
+
+  /**
+   * Resolve one conflicted file, either per hunk or whole-file:
+   *
+   *  - `resolutions` (with the `hash` gitConflicts reported): each listed hunk
+   *    is replaced by ours / theirs / both / base / custom lines and the file is
+   *    rewritten. Once no conflict markers remain the file is staged, which is
+   *    what marks it resolved; an empty list just stages a file the user fixed
+   *    by hand. A file that still has markers is never staged.
+   *  - `take: 'ours' | 'theirs'`: check out that side and stage it — or, when
+   *    that side deleted the file, stage the deletion.
+   *
+   * @param {WebSocket} ws
+   * @param {{ path?: string, hash?: string, resolutions?: Array<{ index: number, choice: string, lines?: string[] }>, take?: 'ours'|'theirs', requestId?: string }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitConflictResolve(ws, opts, sessionCwd) {
+    const path = typeof opts?.path === 'string' && opts.path ? opts.path : null
+    const requestId = opts?.requestId
+    const take = opts?.take === 'ours' || opts?.take === 'theirs' ? opts.take : null
+    const resolutions = Array.isArray(opts?.resolutions) ? opts.resolutions : null
+    const reply = (fields) => sendFn(ws, conflictResult('resolve', { path, ...fields }, requestId))
+
+    if (!sessionCwd) {
+      reply({ error: 'Conflict resolution is not available in this mode' })
+      return
+    }
+    if (path === null) {
+      reply({ error: 'No file specified to resolve' })
+      return
+    }
+    if (take === null && resolutions === null) {
+      reply({ error: 'Nothing to resolve — send per-hunk resolutions or take a side' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const target = await conflictTarget(cwdReal, sessionCwd, path)
+      if (!target) {
+        reply({ error: `Access denied: path outside project directory — ${path}` })
+        return
+      }
+      const { operation } = await readConflictOperation(cwdReal)
+      // Exact match only: a directory pathspec would match every conflict under it.
+      const entry = (await readUnmerged(cwdReal, target.pathspec)).find(e => e.path === target.pathspec)
+      if (!entry) {
+        reply({ operation, error: `${path} has no unresolved conflict` })
+        return
+      }
+      const gitOpts = { cwd: cwdReal, timeout: 10000, env: gitEnvWithoutPathspecModes() }
+
+      if (take !== null) {
+        const stage = take === 'ours' ? '2' : '3'
+        if (entry.stages.includes(stage)) {
+          await execImpl(GIT, ['--literal-pathspecs', 'checkout', `--${take}`, '--', target.pathspec], gitOpts)
+          await execImpl(GIT, ['--literal-pathspecs', 'add', '--', target.pathspec], gitOpts)
+        } else {
+          await execImpl(GIT, ['--literal-pathspecs', 'rm', '--quiet', '--', target.pathspec], gitOpts)
+        }
+        reply({ operation, remaining: 0, staged: true })
+        return
+      }
+
+      const kind = CONFLICT_KINDS[entry.stages] || 'both_modified'
+      if (entry.nonText || !MARKER_CONFLICT_KINDS.has(kind)) {
+        reply({ operation, error: `${path} has no conflict hunks — take ours or theirs instead` })
+        return
+      }
+      if (typeof opts?.hash !== 'string' || !opts.hash) {
+        reply({ operation, error: 'Missing file hash — reload the conflicts and try again' })
+        return
+      }
+      const buf = await readFile(target.realPath)
+      if (sha256Hex(buf) !== opts.hash) {
+        reply({ operation, error: `${path} changed on disk since the conflicts were loaded — reload and try again` })
+        return
+      }
+      if (buf.length > MAX_CONFLICT_FILE_BYTES || buf.subarray(0, 8000).includes(0)) {
+        reply({ operation, error: `${path} cannot be resolved per hunk — take ours or theirs instead` })
+        return
+      }
+
+      let applied
+      try {
+        applied = applyConflictResolutions(parseConflictMarkers(buf.toString('utf8')), resolutions)
+      } catch (err) {
+        reply({ operation, error: err.message })
+        return
+      }
+
+      // O_NOFOLLOW closes the swap-in-a-symlink window between validation and
+      // the write, as writeFileContent does.
+      const fh = await open(target.realPath, fsConstants.O_WRONLY | fsConstants.O_NOFOLLOW | fsConstants.O_TRUNC)
+      try {
+        await fh.writeFile(applied.text, 'utf8')
+      } finally {
+        await fh.close()
+      }
+
+      if (applied.remaining > 0) {
+        reply({ operation, remaining: applied.remaining, staged: false })
+        return
+      }
+      await execImpl(GIT, ['--literal-pathspecs', 'add', '--', target.pathspec], gitOpts)
+      reply({ operation, remaining: 0, staged: true })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to resolve conflict') })
+    }
+  }
+
+  /**
+   * Finish the in-progress operation (`git <op> --continue`, accepting git's
+   * prepared commit message). Refused while any file is still conflicted. A
+   * rebase or multi-commit cherry-pick that stops on the NEXT commit's
+   * conflicts is not an error: the reply's `operation` is still set and
+   * `remaining` counts the new conflicts.
+   *
+   * @param {WebSocket} ws
+   * @param {{ requestId?: string }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitConflictContinue(ws, opts, sessionCwd) {
+    const reply = (fields) => sendFn(ws, conflictResult('continue', fields, opts?.requestId))
+
+    if (!sessionCwd) {
+      reply({ error: 'Conflict resolution is not available in this mode' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const { operation } = await readConflictOperation(cwdReal)
+      if (!operation) {
+        reply({ error: 'No merge, rebase, cherry-pick or revert is in progress' })
+        return
+      }
+      const unmerged = await readUnmerged(cwdReal, null)
+      if (unmerged.length > 0) {
+        reply({
+          operation,
+          remaining: unmerged.length,
+          error: `Resolve all conflicts first — ${unmerged.length} file${unmerged.length === 1 ? ' is' : 's are'} still conflicted`,
+        })
+        return
+      }
+      let failure = null
+      try {
+        await execImpl(GIT, [operation, '--continue'], {
+          cwd: cwdReal,
+          timeout: 120000,
+          // No terminal to open an editor in: keep the message git prepared.
+          env: { ...process.env, GIT_EDITOR: 'true' },
+        })
+      } catch (err) {
+        failure = err
+      }
+      const after = (await readConflictOperation(cwdReal)).operation
+      const remaining = (await readUnmerged(cwdReal, null)).length
+      const stoppedOnNextConflict = failure && after && remaining > 0
+      reply({
+        operation: after,
+        remaining,
+        error: failure && !stoppedOnNextConflict ? gitErrorMessage(failure, `Failed to continue the ${operation}`) : null,
+      })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to continue') })
+    }
+  }
+
+  /**
+   * Abandon the in-progress operation (`git <op> --abort`), restoring the
+   * pre-operation state.
+   *
+   * @param {WebSocket} ws
+   * @param {{ requestId?: string }} opts
+   * @param {string|null} sessionCwd
+   */
+  async function gitConflictAbort(ws, opts, sessionCwd) {
+    const reply = (fields) => sendFn(ws, conflictResult('abort', fields, opts?.requestId))
+
+    if (!sessionCwd) {
+      reply({ error: 'Conflict resolution is not available in this mode' })
+      return
+    }
+
+    try {
+      await validateGitPath(sessionCwd, workspaceRoot)
+      const cwdReal = await resolveSessionCwd(sessionCwd)
+      const { operation } = await readConflictOperation(cwdReal)
+      if (!operation) {
+        reply({ error: 'No merge, rebase, cherry-pick or revert is in progress' })
+        return
+      }
+      try {
+        await execImpl(GIT, [operation, '--abort'], { cwd: cwdReal, timeout: 60000 })
+      } catch (err) {
+        reply({ operation, error: gitErrorMessage(err, `Failed to abort the ${operation}`) })
+        return
+      }
+      const after = (await readConflictOperation(cwdReal)).operation
+      reply({ operation: after, remaining: (await readUnmerged(cwdReal, null)).length })
+    } catch (err) {
+      reply({ error: gitErrorMessage(err, 'Failed to abort') })
+    }
+  }
+
   return {
     gitStatus,
     gitBranches,
@@ -623,5 +1529,15 @@ export function createGitOps(sendFn, resolveSessionCwd, validatePathWithinCwd, w
     gitUnstage,
     gitCommit,
     gitCreatePR,
+    gitLog,
+    gitShow,
+    gitBlame,
+    gitBranchCreate,
+    gitCheckout,
+    gitBranchDelete,
+    gitConflicts,
+    gitConflictResolve,
+    gitConflictContinue,
+    gitConflictAbort,
   }
 }
@@ -53,5 +53,15 @@ export function createFileOps(sendFn, workspaceRoot) {
     gitUnstage: git.gitUnstage,
     gitCommit: git.gitCommit,
     gitCreatePR: git.gitCreatePR,
+    gitLog: git.gitLog,
+    gitShow: git.gitShow,
+    gitBlame: git.gitBlame,
+    gitBranchCreate: git.gitBranchCreate,
+    gitCheckout: git.gitCheckout,
+    gitBranchDelete: git.gitBranchDelete,
+    gitConflicts: git.gitConflicts,
+    gitConflictResolve: git.gitConflictResolve,
+    gitConflictContinue: git.gitConflictContinue,
+    gitConflictAbort: git.gitConflictAbort,
   }
 }
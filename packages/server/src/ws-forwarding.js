@@ -206,6 +206,14 @@ function setupSessionForwarding(normalizer, ctx) {
       return
     }
 
+    // A hook-routed prompt's in-process mirror (hook-permission-relay.js). Its
+    // wire side already went out from ws-permissions.js — the request broadcast
+    // + push when POST /permission arrived, and the resolution broadcast — so
+    // normalizing it again would prompt every client twice.
+    if ((event === 'permission_request' || event === 'permission_resolved') && data?.via === 'hook') {
+      return
+    }
+
     // Sidebar activity feed: lightweight status broadcast to ALL authenticated clients
     if (event === 'stream_start') {
       broadcast({ type: 'session_activity', sessionId, isBusy: true, lastCost: null })
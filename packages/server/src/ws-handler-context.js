@@ -150,6 +150,8 @@ export const CTX_NAMESPACES = {
     'webhookPayloadUrl',
     'repoWebhookDeliveries',
     'setWebhookSecretCache',
+    // Slack notification config surface: the dashboard URL deep links target.
+    'dashboardUrl',
     // #6691: the OrchestrationManager (delegation harness). Present only when
     // the orchestration feature is enabled and the engine is wired (E-4); the
     // handlers (S-2) treat an absent manager as "engine not running".
@@ -161,6 +163,20 @@ export const CTX_NAMESPACES = {
     // SessionManager and exists either way, so tasks are still readable and
     // editable with no engine present.
     'schedulerEngine',
+    // The WorkflowRunner (workflows/workflow-runner.js). Null whenever
+    // `features.workflows` is off; the workflow handlers reply unavailable.
+    'workflowRunner',
+    // The persistent conversation search index (conversation-index.js). The
+    // search handler queries it; the list handler's scans keep it fresh.
+    'conversationIndex',
+    // Session transcript export: the Chroxy Pages store (publish in one step)
+    // and the public-origin resolver its share link is built from.
+    'pagesStore',
+    'publicUrlFor',
+    // #6479: the LanguageServerPool behind the IDE handlers. It returns null
+    // for every operation until `languageServers` is configured, and the
+    // handlers then fall back to the regex index.
+    'languageServers',
   ],
   runtime: [
     'draining',
@@ -510,6 +510,9 @@ export function sendPostAuthInfo(ctx, ws, extra = {}) {
     // `available_permission_modes` burst frame. The discrete frame is still
     // sent below for older clients that read the enum only from it.
     availablePermissionModes: getPermissionModes(authOkProvider),
+    // Device-token scope (token-scopes.js) — only narrowed scopes ride the
+    // wire; absent means full, which is what older clients assume anyway.
+    ...(client.tokenScope && client.tokenScope !== 'full' ? { tokenScope: client.tokenScope } : {}),
     resultTimeoutMs: effectiveResultTimeoutMs,
     hardTimeoutMs: effectiveHardTimeoutMs,
     streamStallTimeoutMs: effectiveStreamStallTimeoutMs,
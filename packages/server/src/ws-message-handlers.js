@@ -8,6 +8,9 @@
  * (or create a new one) and add the import here.
  */
 import { createLogger } from './logger.js'
+import { metrics } from './metrics.js'
+import { sendError } from './handler-utils.js'
+import { isMessageAllowedForScope } from './token-scopes.js'
 import { inputHandlers } from './handlers/input-handlers.js'
 import { sessionHandlers } from './handlers/session-handlers.js'
 import { settingsHandlers } from './handlers/settings-handlers.js'
@@ -20,11 +23,14 @@ import { featureHandlers } from './handlers/feature-handlers.js'
 import { evaluatorHandlers } from './handlers/evaluator-handlers.js'
 import { controlRoomHandlers } from './handlers/control-room-handlers.js'
 import { githubWebhookHandlers } from './handlers/github-webhook-handlers.js'
+import { slackNotificationsHandlers } from './handlers/slack-notifications-handlers.js'
 import { summarizeHandlers } from './handlers/summarize-handlers.js'
+import { exportHandlers } from './handlers/export-handlers.js'
 import { pairingHandlers } from './handlers/pairing-handlers.js'
 import { tokenHandlers } from './handlers/token-handlers.js'
 import { orchestrationHandlers } from './handlers/orchestration-handlers.js'
 import { schedulerHandlers } from './handlers/scheduler-handlers.js'
+import { workflowHandlers } from './handlers/workflow-handlers.js'
 
 const log = createLogger('ws')
 
@@ -42,11 +48,14 @@ const handlerRegistry = new Map([
   ...Object.entries(evaluatorHandlers),
   ...Object.entries(controlRoomHandlers),
   ...Object.entries(githubWebhookHandlers),
+  ...Object.entries(slackNotificationsHandlers),
   ...Object.entries(summarizeHandlers),
+  ...Object.entries(exportHandlers),
   ...Object.entries(pairingHandlers),
   ...Object.entries(tokenHandlers),
   ...Object.entries(orchestrationHandlers),
   ...Object.entries(schedulerHandlers),
+  ...Object.entries(workflowHandlers),
 ])
 
 /**
@@ -90,6 +99,10 @@ export function registerMessageHandler(type, handlerFn) {
  * `CTX_NAMESPACES` + `assertCtxShape`) so this doc can't drift from the real
  * object; see that module for the per-field breakdown.
  *
+ * Device-token scopes (token-scopes.js) are enforced here, ahead of every
+ * handler — built-in and runtime-registered alike — so no handler has to
+ * re-check them. A refused message never reaches its handler.
+ *
  * @param {WebSocket} ws
  * @param {object} client
  * @param {object} msg
@@ -97,7 +110,17 @@ export function registerMessageHandler(type, handlerFn) {
  */
 export async function handleSessionMessage(ws, client, msg, ctx) {
   const handler = handlerRegistry.get(msg.type)
+  if (handler && !isMessageAllowedForScope(client?.tokenScope, msg.type)) {
+    log.warn(`Denied ${msg.type} from client ${client.id}: '${client.tokenScope}' token scope (TOKEN_SCOPE_FORBIDDEN)`)
+    sendError(ws, msg.requestId ?? null, 'TOKEN_SCOPE_FORBIDDEN',
+      `This device's '${client.tokenScope}' access does not allow ${msg.type}`,
+      { scope: client.tokenScope, messageType: msg.type }, ctx)
+    return
+  }
   if (handler) {
+    // Labeled by the registered type only — unknown types never reach here,
+    // so the label space is bounded by the registry.
+    metrics.inc('ws.messages.handled', 1, { handler: msg.type })
     // Errors propagate to _handleMessage in ws-server.js, which emits a
     // server_error with correlationId. Do NOT add an inner try/catch here.
     await handler(ws, client, msg, ctx)
@@ -4,8 +4,11 @@ import { RateLimiter, getRateLimitKey } from './rate-limiter.js'
 import { buildSessionTokenMismatchPayload } from './handler-utils.js'
 import { settlePush } from './push.js'
 import { createPermissionResolver } from './permission-resolver.js'
+import { HookPermissionRelay } from './hook-permission-relay.js'
 import { sendOversizeResponse } from './http-oversize.js'
 import { redactValue, sanitizeToolInput } from './redaction.js'
+import { metrics } from './metrics.js'
+import { isMessageAllowedForScope } from './token-scopes.js'
 // #7004: the protected-path / secret-read FLOOR. Imported from permission-floor.js
 // — the leaf module that is the SINGLE source of the floor — so the hook-routed
 // path applies the byte-identical predicate the in-process path
@@ -151,7 +154,7 @@ function sendJson(res, status, body, extraHeaders) {
  * @param {Function} [opts.unregisterPermissionRoute] - (requestId) => void. Optional WsServer-provided teardown counterpart to registerPermissionRoute (#5704): on resolve/expire it deletes the permissionSessionMap entry AND decrements the permission-induced subscription refcount, removing the auto-subscription once no permission still holds it (and the client is neither active on nor explicitly subscribed to the session). Omitted in unit-test fixtures (which use bare permissionSessionMap semantics).
  * @param {Function} opts.getSessionManager - () => sessionManager (late-bound for test compat)
  * @param {Object|null} opts.pairingManager - PairingManager instance used to look up token→sessionId bindings for the HTTP permission-response fallback. Optional — when null, HTTP responses skip the binding check (single-token mode).
- * @param {Function} [opts.findSessionByHookSecret] - (hookSecret) => session|null. Optional session lookup used during /permission handling to resolve the session associated with a per-session hook secret (#2831 — pause that session's inactivity timer while a hook permission is outstanding).
+ * @param {Function} [opts.findSessionByHookSecret] - (hookSecret) => { session, sessionId, provider }|null. Optional session lookup used during /permission handling to resolve the session associated with a per-session hook secret (#2831 — pause that session's inactivity timer while a hook permission is outstanding). `provider` labels the permission-wait histogram.
  * @param {Function} [opts.getPermissionAudit] - () => PermissionAuditLog or null (late-bound). When present, HTTP user-initiated permission responses are audited with `clientId: 'http'` and `reason: 'user'` (#3059). Optional for backwards compat with existing test fixtures.
  * @param {Object} [opts.rateLimit] - Override RateLimiter config for POST /permission. Mainly for tests; production uses the 30+10 default below.
  * @returns {Object} Permission handler methods
@@ -179,6 +182,12 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
   // Overridable via `rateLimit.floor` for tests.
   const _httpFloorLimiter = new RateLimiter({ ...(rateLimit?.floor || { windowMs: 60_000, maxMessages: 600, burst: 200 }), name: 'http-permission-floor' })
 
+  // POST /permission-action is unauthenticated apart from its capability token,
+  // so it gets its own budget: one request per button press is the real load,
+  // and a guessing caller is bounded well before 256 bits of token could matter.
+  // Overridable via `rateLimit.action` for tests.
+  const _httpActionLimiter = new RateLimiter({ ...(rateLimit?.action || { windowMs: 60_000, maxMessages: 30, burst: 10 }), name: 'http-permission-action' })
+
   // Fall back to validateBearerAuth if validateHookAuth is not provided (backwards compat for tests)
   const _validateHookAuth = validateHookAuth || validateBearerAuth
 
@@ -330,6 +339,9 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
       if (ownerSession && typeof ownerSession.notifyPermissionPending === 'function') {
         ownerSession.notifyPermissionPending(requestId)
       }
+      const ownerRelay = ownerSession?.hookPermissions instanceof HookPermissionRelay
+        ? ownerSession.hookPermissions
+        : null
       if (ownerSessionId) {
         // #4798: prefer the WsServer-provided helper so dispatch also auto-
         // subscribes eligible clients to the permission's session — keeps the
@@ -387,7 +399,7 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
 
       let closed = false
 
-      const cleanup = () => {
+      const cleanup = (decision, reason) => {
         if (timer) clearTimeout(timer)
         pendingPermissions.delete(requestId)
         // #5704: tear down the map entry + permission-induced subscription
@@ -400,36 +412,71 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
         if (ownerSession && typeof ownerSession.notifyPermissionResolved === 'function') {
           ownerSession.notifyPermissionResolved(requestId)
         }
+        // Settle the in-process mirror (see hookPermissions below) on every path.
+        ownerRelay?.close(requestId, { decision, reason })
       }
 
       const onClose = () => {
         if (closed) return
         closed = true
         log.info(`Permission ${requestId} connection closed by client`)
-        cleanup()
+        cleanup('deny', 'aborted')
       }
 
       req.on('aborted', onClose)
       res.on('close', onClose)
 
+      const requestedAt = Date.now()
+      // Labeled like the in-process waits (latency-recorder.js): `provider` is
+      // the owning session's, `path` says the prompt came over the hook route.
+      const waitProvider = ownerLookup?.provider || 'unknown'
+      const observeWait = (decision) => {
+        metrics.observe('permission.wait_seconds', (Date.now() - requestedAt) / 1000, { provider: waitProvider, path: 'hook', decision })
+      }
+
       const timer = setTimeout(() => {
         if (closed) return
         closed = true
         log.info(`Permission ${requestId} timed out, auto-denying`)
-        cleanup()
+        cleanup('deny', 'timeout')
+        observeWait('deny')
         sendJson(res, 200, { decision: 'deny' })
       }, 300_000)
 
+      const data = { requestId, tool, description, input: sanitizedInput, remainingMs: 300_000, createdAt: requestedAt }
       pendingPermissions.set(requestId, {
-        resolve: (decision) => {
+        // `reason` feeds only the in-process mirror's permission_resolved —
+        // drainSessionPermissions / destroy pass 'cleared'.
+        resolve: (decision, reason = 'user') => {
           if (closed) return
           closed = true
-          cleanup()
+          cleanup(decision, reason)
           log.info(`Permission ${requestId} resolved: ${decision}`)
+          observeWait(decision)
           sendJson(res, 200, { decision })
         },
         timer,
-        data: { requestId, tool, description, input: sanitizedInput, remainingMs: 300_000, createdAt: Date.now() },
+        data,
+      })
+
+      // Hook-routed providers mirror the held prompt as session events with an
+      // in-process answer (hook-permission-relay.js), so the scheduler and the
+      // orchestration permission gate can answer it the way they answer an SDK
+      // prompt — at once — instead of it sitting out the timer above. The
+      // clients already got the request from the broadcast above; an answer
+      // from here is broadcast the way the HTTP response route broadcasts a
+      // legacy one, so their prompt cards clear.
+      ownerRelay?.open(data, (decision) => {
+        const pending = pendingPermissions.get(requestId)
+        if (!pending) return false
+        pending.resolve(decision)
+        broadcastFn({
+          type: 'permission_resolved',
+          requestId,
+          decision,
+          ...(ownerSessionId ? { sessionId: ownerSessionId } : {}),
+        })
+        return true
       })
       } catch (err) {
         // #5313 (WP-1.3): see the try at the top of this end callback.
@@ -622,6 +669,14 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
       sendJson(res, 403, { error: 'unbound token cannot answer cross-session permissions' })
       return
     }
+    // Device-token scope (token-scopes.js): an `observe` device may watch but
+    // never answer. Same rule the WS handler layer applies to permission_response.
+    if (tokenIsPairingToken && typeof pairingManager.getScopeForToken === 'function' &&
+        !isMessageAllowedForScope(pairingManager.getScopeForToken(presentedToken), 'permission_response')) {
+      log.warn('Rejected HTTP /permission-response: token scope does not allow answering prompts')
+      sendJson(res, 403, { error: 'token scope does not allow answering permissions' })
+      return
+    }
 
     const MAX_BODY = 4096
     // utf8 decoding + byte-accurate cap, checked BEFORE append — see
@@ -761,6 +816,124 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
     })
   }
 
+  /**
+   * Handle POST /permission-action — the Approve/Deny buttons on an ntfy
+   * notification (notifications/ntfy-sink.js). The ntfy app POSTs
+   * `{ token, decision }` directly; `token` is a single-use capability from
+   * pushManager.permissionActionTokens, minted for exactly one requestId, and is
+   * the request's ONLY authority — there is no bearer token on this route.
+   *
+   * The decision is validated before the token is consumed (a malformed body
+   * must not burn a live capability), then redeemed and resolved through the
+   * shared resolver. The token's session, when the request was mapped to one,
+   * is passed as the binding, so a capability can never answer a prompt the
+   * resolver would not route back to that session. allowAlways is deliberately
+   * not offered: a durable project rule is not something to grant from a
+   * notification shade.
+   */
+  function handlePermissionActionHttp(req, res) {
+    const socketIp = req.socket?.remoteAddress || ''
+    const clientIp = getRateLimitKey(socketIp, req)
+    const { allowed, retryAfterMs } = _httpActionLimiter.check(clientIp)
+    if (!allowed) {
+      log.warn(`Rate limited POST /permission-action from ${clientIp}`)
+      sendJson(res, 429, { error: 'rate limited', retryAfterMs }, { 'Retry-After': Math.ceil(retryAfterMs / 1000) })
+      return
+    }
+
+    const MAX_BODY = 1024
+    req.setEncoding('utf8')
+    let body = ''
+    let bodyBytes = 0
+    let oversized = false
+    let streamFailed = false
+    req.on('data', (chunk) => {
+      if (oversized || streamFailed) return
+      bodyBytes += Buffer.byteLength(chunk, 'utf8')
+      if (bodyBytes > MAX_BODY) {
+        oversized = true
+        sendOversizeResponse(req, res, { error: 'body too large' })
+        return
+      }
+      body += chunk
+    })
+    req.on('error', (err) => {
+      streamFailed = true
+      log.warn(`POST /permission-action request stream error: ${err?.message || err}`)
+      try {
+        if (!res.headersSent) sendJson(res, 400, { error: 'request stream error' })
+        else res.end()
+      } catch { /* socket already torn down */ }
+    })
+    req.on('end', () => {
+      // #5313 (WP-1.3): same later-tick crash shape as the other capped readers.
+      try {
+      if (oversized || streamFailed) return
+
+      let parsed
+      try {
+        parsed = JSON.parse(body)
+      } catch {
+        sendJson(res, 400, { error: 'invalid JSON' })
+        return
+      }
+
+      const validDecisions = ['allow', 'deny']
+      if (!validDecisions.includes(parsed?.decision)) {
+        sendJson(res, 400, { error: `invalid decision, must be one of: ${validDecisions.join(', ')}` })
+        return
+      }
+
+      const grant = pushManager?.permissionActionTokens?.consume(parsed.token) ?? null
+      if (!grant) {
+        log.warn(`Rejected POST /permission-action from ${clientIp}: unknown, used or expired token`)
+        sendJson(res, 403, { error: 'invalid or expired action token' })
+        return
+      }
+
+      const { requestId, sessionId } = grant
+      const decision = parsed.decision
+      const result = permissionResolver.resolve(requestId, decision, sessionId, { clientId: 'push-action' })
+      switch (result.kind) {
+        case 'resolved':
+          // The legacy (hook) branch has no PermissionManager to broadcast for
+          // it — same as handlePermissionResponseHttp.
+          if (result.via === 'legacy') {
+            broadcastFn({
+              type: 'permission_resolved',
+              requestId,
+              decision,
+              ...(result.sessionId ? { sessionId: result.sessionId } : {}),
+            })
+          }
+          log.info(`Permission ${requestId} resolved via notification action: ${decision} (${result.via})`)
+          sendJson(res, 200, { ok: true })
+          return
+        case 'binding_mismatch':
+          // The token's session no longer owns the route — the prompt was
+          // answered elsewhere and its mapping torn down.
+        case 'expired':
+          sendJson(res, 410, { error: 'expired', message: 'This permission request has already expired or been resolved' })
+          return
+        case 'not_found':
+        default:
+          sendJson(res, 404, { error: 'unknown or expired requestId' })
+          return
+      }
+      } catch (err) {
+        const message = err?.message || String(err)
+        log.error(`POST /permission-action end handler threw: ${message}${err?.stack ? '\n' + err.stack : ''}`)
+        try {
+          if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' })
+          } else {
+            res.end()
+          }
+        } catch { /* socket already torn down */ }
+      }
+    })
+  }
+
   /**
    * Re-send any pending permission requests to a newly connected/reconnected client.
    * @param {WebSocket} ws
@@ -906,7 +1079,7 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
       // be in the map for us to fetch.
       drained++
       try {
-        pending.resolve('deny')
+        pending.resolve('deny', 'cleared')
       } catch (err) {
         log.debug(`Pending permission ${requestId} drained for destroyed session ${sessionId}, but the deny response write failed (socket likely gone): ${err?.message || err}`)
       }
@@ -921,7 +1094,7 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
   function destroy() {
     for (const [, pending] of pendingPermissions) {
       clearTimeout(pending.timer)
-      try { pending.resolve('deny') } catch {}
+      try { pending.resolve('deny', 'cleared') } catch {}
     }
     pendingPermissions.clear()
     // #5704: each resolve('deny') above ran cleanup()→tearDownRoute(), so most
@@ -940,6 +1113,7 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
     // acceptEdits short-circuit (wired at POST /permission-floor).
     handlePermissionFloorCheck,
     handlePermissionResponseHttp,
+    handlePermissionActionHttp,
     resendPendingPermissions,
     resolvePermission,
     drainSessionPermissions,
@@ -950,6 +1124,8 @@ export function createPermissionHandler({ sendFn, broadcastFn, validateBearerAut
     _httpPermissionLimiter,
     // #7004 — same, for the /permission-floor limiter.
     _httpFloorLimiter,
+    // Same, for the /permission-action limiter.
+    _httpActionLimiter,
   }
 }
 
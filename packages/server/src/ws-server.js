@@ -6,6 +6,8 @@ import { readFileSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { PagesStore } from './pages-store.js'
+import { ConversationIndex } from './conversation-index.js'
+import { LanguageServerPool } from './ide/language-servers.js'
 import { ShellApprovalStore } from './shell-approval-store.js'
 import { finalizeShellCreate } from './handlers/session-handlers.js'
 import { decrypt, DIRECTION_CLIENT } from '@chroxy/store-core/crypto'
@@ -32,6 +34,7 @@ import { isUserShellApprovalRequired } from './config.js'
 import { writeShellApprovalInfo, removeShellApprovalInfo } from './shell-approval-info.js'
 import { createLogger, addLogListener, removeLogListener } from './logger.js'
 import { PermissionAuditLog } from './permission-audit.js'
+import { describeActor } from './audit-journal.js'
 import { WsBroadcaster } from './ws-broadcaster.js'
 import { WsClientManager } from './ws-client-manager.js'
 import { terminalMirrorRecipient } from './handler-utils.js'
@@ -39,7 +42,7 @@ import { getProviderDataDirs } from './providers.js'
 import { assertCtxShape } from './ws-handler-context.js'
 import { isLoopbackHost } from './bind-host.js'
 import { getLanIp } from './lan-ip.js'
-import { deriveWebhookPayloadUrl } from './github-webhook.js'
+import { deriveWebhookPayloadUrl, LAN_IP_PLACEHOLDER } from './github-webhook.js'
 import { isLocalOrLanPeer } from './connection-locality.js'
 import { configPath } from './config-dir.js'
 
@@ -269,7 +272,9 @@ function _isSecureRequest(req) {
  *   { type: 'permission_response', requestId, decision } — respond to permission prompt
  *   { type: 'list_sessions' }                         — request session list
  *   { type: 'switch_session', sessionId }             — switch to a different session
- *   { type: 'create_session', name?, cwd?, provider?, agentCommId? } — create a new session
+ *   { type: 'create_session', name?, cwd?, provider?, agentCommId?, failoverChain? } — create a new session (failoverChain overrides config failover.chain)
+ *   { type: 'fork_session', messageId, sessionId?, provider?, model?, name? } — fork a session at a message into a new session + worktree
+ *   { type: 'switch_provider', provider, sessionId?, model?, name? } — continue a session's conversation on another provider in a new session
  *   { type: 'destroy_session', sessionId }            — destroy a session
  *   { type: 'rename_session', sessionId, name }       — rename a session
  *   { type: 'register_push_token', token }             — register push token for notifications
@@ -295,9 +300,19 @@ function _isSecureRequest(req) {
  *   { type: 'add_repo', path }                          — add a repository path to workspace
  *   { type: 'cli', command }                            — send raw CLI command to active session
  *   { type: 'get_diff', path? }                         — request git diff for working directory
+ *   { type: 'git_blame', path, rev?, requestId? }      — per-line authorship for one file
+ *   { type: 'git_branch_create', name, startPoint?, checkout? } — create (and optionally switch to) a branch
+ *   { type: 'git_branch_delete', name, force? }         — delete a local branch
  *   { type: 'git_branches' }                            — request git branch list
+ *   { type: 'git_checkout', branch }                    — switch the working tree to a branch
  *   { type: 'git_commit', message, files? }             — commit staged/specified files
+ *   { type: 'git_conflict_abort', requestId? }          — abort the in-progress merge/rebase/cherry-pick/revert
+ *   { type: 'git_conflict_continue', requestId? }       — continue it once every conflict is resolved
+ *   { type: 'git_conflict_resolve', path, hash?, resolutions?, take?, requestId? } — resolve one conflicted file per hunk or whole-file
+ *   { type: 'git_conflicts', requestId? }               — in-progress operation + conflicted files with their hunks
  *   { type: 'git_create_pr', title, body?, base?, draft? } — push current branch + open a PR via gh (#6876)
+ *   { type: 'git_log', skip?, limit?, path?, requestId? } — paginated commit log (per-file with path)
+ *   { type: 'git_show', hash, requestId? }              — one commit's header + diff
  *   { type: 'git_stage', files }                        — stage files for commit
  *   { type: 'git_status' }                              — request git status
  *   { type: 'git_unstage', files }                      — unstage files
@@ -305,9 +320,10 @@ function _isSecureRequest(req) {
  *   { type: 'request_conversation_transcript', conversationId, cwd? } — read-only replay of a CLOSED conversation from disk (no provider spawn; #6860)
  *   { type: 'list_files', path? }                       — request file listing for a path
  *   { type: 'list_symbols', path? }                     — request workspace symbol table (#6471, opt-in IDE — features.ide)
- *   { type: 'resolve_symbol', symbol, file? }           — resolve a symbol name to its definition (#6475, opt-in IDE — features.ide)
+ *   { type: 'resolve_symbol', symbol, file?, line?, column? } — resolve a symbol name to its definition (#6475; language server at the position when configured, #6479; opt-in IDE — features.ide)
  *   { type: 'search_content', query, path? }            — find-in-project content grep (#6474, opt-in IDE — features.ide)
- *   { type: 'find_references', symbol, file? }           — find-all-references word-boundary grep (#6477, opt-in IDE — features.ide)
+ *   { type: 'find_references', symbol, file?, line?, column? } — find-all-references (#6477; language server at the position when configured, #6479; opt-in IDE — features.ide)
+ *   { type: 'hover_symbol', file, line, column }        — hover text + file diagnostics from the language server (#6479, opt-in IDE — features.ide)
  *   { type: 'list_providers' }                          — request available provider list
  *   { type: 'list_repos' }                              — request workspace repository list
  *   { type: 'list_skills' }                             — request active skills list
@@ -334,6 +350,11 @@ function _isSecureRequest(req) {
  *   { type: 'scheduled_tasks_request', requestId? }     — #6871 read the standing scheduled-task registry + the scheduler gate state (host-level: a pairing-BOUND client is rejected)
  *   { type: 'scheduled_task_action', action, taskId?, task?, requestId? } — #6871 create/update/pause/resume/delete a scheduled task (UNBOUND-STRICT-PRIMARY gate — a scheduled task makes this machine run an agent session unattended; a pairing-BOUND client is rejected even if it is primary, #7025)
  *   { type: 'set_scheduler_enabled', enabled, requestId? } — #6871 flip the PERSISTED global scheduled-execution gate (features.scheduler); same unbound-strict-primary gate, and a daemon restart is required for it to take effect (reported as scheduler.restartRequired)
+ *   { type: 'workflows_request', cwd?, requestId? }     — list the workflow definitions under `cwd`'s .chroxy/workflows/ plus every workflow run (features.workflows; host-level)
+ *   { type: 'workflow_run_request', runId, requestId? } — one workflow run with its step outputs (host-level)
+ *   { type: 'workflow_run_start', cwd, name, inputs?, budgetUsd?, requestId? } — start a workflow run (host-level, STRICT-PRIMARY: it spawns agent sessions and spends budget)
+ *   { type: 'workflow_approval_response', runId, decision, note?, budgetUsd?, requestId? } — answer a run's open approval gate; `approve` is strict-primary, `reject` is host-level
+ *   { type: 'workflow_run_cancel', runId, requestId? }  — cancel a workflow run (host-level)
  *   { type: 'set_prompt_evaluator', value: boolean, sessionId? } — toggle the per-session promptEvaluator (#3185)
  *   { type: 'set_prompt_evaluator_skip_pattern', value: string|null, sessionId? } — set the per-session evaluator skip-pattern source (#3639)
  *   { type: 'set_chroxy_context_hint', value: boolean, sessionId? } — toggle the per-session Chroxy context hint (#3805)
@@ -350,7 +371,7 @@ function _isSecureRequest(req) {
  *
  * Server -> Client:
  *   All session-scoped messages include a `sessionId` field for background sync.
- *   { type: 'auth_ok', clientId, serverMode, serverVersion, latestVersion, serverCommit, cwd, defaultCwd, connectedClients, encryption, resultTimeoutMs, hardTimeoutMs, streamStallTimeoutMs } — auth succeeded (encryption: 'required'|'disabled'; resultTimeoutMs = soft-warning window in ms, hardTimeoutMs = hard-kill window in ms, streamStallTimeoutMs = stream-stall recovery window in ms (0 = disabled) — #3760, #3905, #4477)
+ *   { type: 'auth_ok', clientId, serverMode, serverVersion, latestVersion, serverCommit, cwd, defaultCwd, connectedClients, encryption, resultTimeoutMs, hardTimeoutMs, streamStallTimeoutMs, tokenScope? } — auth succeeded (encryption: 'required'|'disabled'; resultTimeoutMs = soft-warning window in ms, hardTimeoutMs = hard-kill window in ms, streamStallTimeoutMs = stream-stall recovery window in ms (0 = disabled) — #3760, #3905, #4477)
  *   { type: 'key_exchange_ok', publicKey }               — server's ephemeral X25519 public key (E2E encryption)
  *   { type: 'auth_bootstrap', providers, slashCommands, agents, sessionId?, tunnelUrl? } — #5555: connect-time burst folding the provider/slash-command/agent lists so a new client skips its 3-request list_* round trip; tunnelUrl re-advertises the live public URL (sub-item 7)
  *   { type: 'tunnel_url_changed', url, previousUrl? } — #5555 (sub-item 7): quick-tunnel recovery rotated the public URL; clients repoint their stored endpoint. Best-effort for tunnel-connected clients (their socket rode the now-dead old tunnel); durable recovery is auth_bootstrap.tunnelUrl on reconnect
@@ -387,6 +408,8 @@ function _isSecureRequest(req) {
  *   { type: 'session_persist_failed', sessionId, name|null }
  *     — a session-list mutation (create/rename/destroy) could not be flushed to disk and will be lost on restart (#5714).
  *       `name` is null on the destroy path where the entry was already removed before the flush.
+ *   { type: 'session_forked', sourceSessionId, messageId, sessionId, name, provider, carry, worktree, carriedMessages, truncated } — fork result, sent to the requester before its session_switched
+ *   { type: 'provider_switched', sourceSessionId, sessionId, name, provider, carry, carriedTurns, todos, worktree, flags, truncated } — provider switch result (flags = what the new provider won't see), sent before session_switched
  *   { type: 'session_error', message, category?, sessionId?, recoverable? } — session operation error
  *   { type: 'history_replay_start', sessionId, fullHistory?, truncated? } — beginning of history replay
  *   { type: 'history_replay_end', sessionId }         — end of history replay
@@ -404,10 +427,11 @@ function _isSecureRequest(req) {
  *   { type: 'directory_listing', path, parentPath, entries, error } — directory listing response for file browser
  *   { type: 'file_listing', path, parentPath, entries, error } — file browser listing response
  *   { type: 'file_content', path, content, language, size, truncated, error } — file content response
- *   { type: 'symbols_snapshot', path, symbols: [{ name, kind, file, line, exported }], truncated, error } — #6471 workspace symbol table (opt-in IDE, features.ide; dashboard-only v1)
- *   { type: 'symbol_location', symbol, file, line, error } — #6475 go-to-definition result (opt-in IDE, features.ide; dashboard-only v1)
+ *   { type: 'symbols_snapshot', path, symbols: [{ name, kind, file, line, exported }], truncated, error, source } — #6471 workspace symbol table (opt-in IDE, features.ide; dashboard-only v1)
+ *   { type: 'symbol_location', symbol, file, line, error, source } — #6475 go-to-definition result (opt-in IDE, features.ide; dashboard-only v1)
  *   { type: 'code_search_results', query, results: [{ file, line, column, text }], truncated, error } — #6474 find-in-project results (opt-in IDE, features.ide; dashboard-only v1)
- *   { type: 'references_result', symbol, results: [{ file, line, column, text }], truncated, error } — #6477 find-all-references results (opt-in IDE, features.ide; dashboard-only v1)
+ *   { type: 'references_result', symbol, results: [{ file, line, column, text }], truncated, error, source } — #6477 find-all-references results (opt-in IDE, features.ide; dashboard-only v1)
+ *   { type: 'symbol_hover', file, line, column, contents, diagnostics: [{ line, column, endLine, endColumn, severity, message, source, code }], error } — #6479 hover + diagnostics (opt-in IDE, features.ide; dashboard-only v1)
  *   { type: 'slash_commands', commands: [{ name, description, source }] } — available slash commands
  *   { type: 'agent_list', agents: [{ name, description, source }] } — available custom agents
  *   { type: 'client_joined', client: { clientId, deviceName, deviceType, platform } } — new client connected
@@ -437,9 +461,15 @@ function _isSecureRequest(req) {
  *   { type: 'diff_result', diff, error? }              — git diff result
  *   { type: 'error', message }                          — general error message
  *   { type: 'file_list', path, files, error? }          — file listing response
+ *   { type: 'git_blame_result', path, rev, hunks, truncated, error } — git blame result (dashboard-only v1)
+ *   { type: 'git_branch_result', action, branch, currentBranch, error } — branch create/checkout/delete result (dashboard-only v1)
  *   { type: 'git_branches_result', branches, current, error? } — git branches result
  *   { type: 'git_commit_result', hash, message, error }  — git commit result
+ *   { type: 'git_conflict_result', action, path, remaining, staged, operation, error } — conflict resolve/continue/abort result
+ *   { type: 'git_conflicts_result', operation, branch, files, truncated, error } — in-progress merge/rebase and its conflicts
  *   { type: 'git_create_pr_result', url, number, branch, base, error } — in-app PR creation result (#6876; dashboard-only v1)
+ *   { type: 'git_log_result', commits, skip, hasMore, path, error } — git log page (dashboard-only v1)
+ *   { type: 'git_show_result', hash, commit, files, truncated, error } — commit diff (dashboard-only v1)
  *   { type: 'git_stage_result', error }                  — git stage result
  *   { type: 'git_status_result', status, error? }       — git status result
  *   { type: 'git_unstage_result', error }                — git unstage result
@@ -490,7 +520,9 @@ function _isSecureRequest(req) {
  *   { type: 'repo_events_delta', generatedAt, event } — Control Room repo-events LIVE delta (#6536, PR-2 of #5966); server-INITIATED (no request) push of a single newly-buffered repo-event when a GitHub webhook delivery lands, so the pane updates without a Refresh. Host-level: broadcast ONLY to unbound (host-authority) clients — a session-bound (share-a-session) token never receives host repo activity. A client that hasn't run the survey ignores it; a client with a snapshot appends the event (bounded). No `error`/`requestId` — degraded surveys still flow through the pull `repo_events_snapshot`.
  *   { type: 'repo_events_snapshot', requestId?, generatedAt, events, error? } — Control Room repo-events survey reply (#5966, epic #5422 phase 5); reply to a `repo_events_request`. `events` is the tail (most-recent-last) of the daemon's bounded RepoEventStore — GitHub-webhook activity (push/pull_request/issues/ping) ingested HMAC-verified over `POST /api/github/webhook` (#6468) — each carrying kind/repo/actor/at plus kind-specific branch/action/number/title/url and a pre-rendered `summary`. Read-only; no delta stream (a full snapshot per pull, like the host/mailbox/external surveys). Host-level: a session-bound token is refused with an additive `error: { code, message }` on an otherwise-empty (schema-valid) snapshot. `requestId` echoes the request when provided.
  *   { type: 'github_webhook_config', requestId?, generatedAt, configured, source, payloadUrl, lanOnly, note?, recommendedEvents, deliveries, error? } — Control Room repo-events webhook-secret config reply (#6540, item 3 of #6536); reply to a `github_webhook_config_request` and to a `github_webhook_set_secret` / `github_webhook_clear_secret` write. Reports whether an HMAC secret is configured and its `source` ('store'|'env'|'none') — never the value — plus the `payloadUrl` to paste into GitHub (derived from the live tunnel URL, else the LAN address, `lanOnly` + `note` when GitHub can't reach it), the `recommendedEvents`, and the recent-`deliveries` readout (count / last / verify result). Writes are host-authority gated (a session-bound token is rejected with a generic `error`); the read is open to any authenticated client. `requestId` echoes the request when provided.
+ *   { type: 'slack_notifications_config', requestId?, generatedAt, mode, webhookUrl: { configured, source, masked }, botToken: { configured, source }, channel: { value, source }, dashboardUrl, error? } — Slack notification credential config reply; reply to a `slack_notifications_config_request` and to a `slack_notifications_set_credentials` / `slack_notifications_clear_credentials` write. `mode` is the delivery the resolved credentials allow ('live' = bot token + channel, 'webhook' = incoming webhook, 'none'); secrets are reported as `configured` + `source` only (the webhook URL masked to its workspace/app ids). `dashboardUrl` is the base of the sink's session deep links. Writes are host-authority gated (a session-bound token is rejected).
  *   { type: 'summarize_session_result', sessionId, summary, truncated?, requestId? } — reply to a `summarize_session` (#5547); the model-written continuation brief built from the session's persisted history, seeded editable into the dashboard's create-session composer. `truncated` flags a windowed history. Failures surface as a SUMMARIZE_FAILED `session_error` echoing `sessionId`/`requestId` (curated message — no token/key material).
+ *   { type: 'export_session_result', sessionId, format, fileName, mimeType, content?, page?: { slug, path, url, title }, entryCount, requestId? } — reply to an `export_session`; the session's history rendered as markdown / html / jsonl (secrets redacted first), or with `publish` the Chroxy Page the html export was stored as (`content` omitted). Failures surface as an EXPORT_FAILED `session_error` echoing `sessionId`/`requestId`.
  *   { type: 'session_preset_snapshot', cwd, preset: { source, active, trustState, enabled, preamble, seed, preambleLength, seedLength, capped, repoPath } | null, requestId? } — Control Room per-repo session-preset reply (#5553, epic #5159); reply to a host-authority `session_preset_get` / `session_preset_set` / `session_preset_approve` / `session_preset_revoke`. `preset` is null when the repo has no preset. Full preamble + seed text reaches HOST-level clients only (the four requests are rejected for session-bound pairing clients). `requestId` echoes the request when provided.
  *   { type: 'provider_list', providers }                — available providers
  *   { type: 'byok_credentials_status', requestId?, status, source, masked?, reason? } — BYOK credentials state for the dashboard (#4052)
@@ -509,6 +541,7 @@ function _isSecureRequest(req) {
  *   { type: 'cost_update', sessionId, sessionCost, totalCost, budget } — session cost update (budget-oriented; sessionId injected by _broadcastToSession)
  *   { type: 'session_usage', sessionId, cumulativeUsage } — per-session cumulative tokens + cost; cumulativeUsage = { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens, costUsd, turnsBilled } (#4072)
  *   { type: 'session_cost_threshold_crossed', sessionId, costUsd, thresholdUsd } — soft "you've spent $X" warning; fires ONCE per session when cumulativeUsage.costUsd >= threshold (#4075)
+ *   { type: 'provider_failover', sessionId, action, category, provider, model, attempt?, delayMs?, to?, billingClass?, carry?, flags? } — automatic failover on a rate limit / overload / credit cap: retry, hop to the next provider in the chain, or exhausted
  *   { type: 'budget_warning', sessionId, message, ... } — budget approaching limit
  *   { type: 'budget_exceeded', sessionId, message, ... } — budget exceeded
  *   { type: 'monthly_budget', month, spentUsd, budgetUsd, percent, warning, exceeded, ... } — machine-wide monthly programmatic-credit meter (#5665); broadcast to ALL clients after each programmatic-credit turn + sent once on connect
@@ -533,6 +566,10 @@ function _isSecureRequest(req) {
  *   { type: 'orchestration_run_delta', runId, seq, generatedAt, run?, node?, gate?, timeline? } — live run update pushed to host-level clients; client applies iff seq===held+1 (#6691)
  *   { type: 'scheduled_tasks', generatedAt, scheduler: { enabled, engineArmed, restartRequired, source }, schedulableProviders, defaultProvider, defaultProviderRefusal, tasks[], requestId?, error? } — #6871 scheduled-task registry snapshot for the dashboard panel; sent to the REQUESTING client only, and re-emitted as the ack for every accepted mutation. Each task carries the engine's own verdicts (providerRefusal / effectivePermissionMode / permissionModeClamped / quarantined) so a client never re-derives a safety decision
  *   { type: 'orchestration_action_ack', requestId?, action, runId, gateId? } — terminal success echo for a mutating orchestration action (#6691)
+ *   { type: 'workflows_snapshot', requestId?, generatedAt, root, workflows[], errors[], runs[], error? } — reply to workflows_request (definitions without prompt bodies + run summaries)
+ *   { type: 'workflow_run_snapshot', requestId?, generatedAt, run: WorkflowRun|null, error? } — reply to workflow_run_request (run:null = degraded reply)
+ *   { type: 'workflow_run_update', run } — a workflow run changed state; pushed to host-level clients, without step outputs
+ *   { type: 'workflow_action_ack', requestId?, action, runId } — success echo for workflow_run_start / workflow_approval_response / workflow_run_cancel
  *
  * Encrypted envelope (bidirectional, wraps any message above after key exchange):
  *   { type: 'encrypted', d: '<base64 ciphertext>', n: <nonce counter> }
@@ -574,7 +611,7 @@ function _isSecureRequest(req) {
  *   - A session operation failed in an expected, user-facing way → `session_error`
  */
 export class WsServer {
-  constructor({ port, apiToken, cliSession, sessionManager, defaultSessionId, authRequired = true, pushManager = null, maxPayload, noEncrypt, keyExchangeTimeoutMs, localhostBypass, tokenManager, pairingManager, serverIdentity = null, maxPendingConnections, backpressureThreshold, environmentManager, orchestrationManager = null, schedulerEngine = null, config = null, diagnosticsRateLimit = null, devicePreferences = null, pagesStore = null, pagesRateLimiter } = {}) {
+  constructor({ port, apiToken, cliSession, sessionManager, defaultSessionId, authRequired = true, pushManager = null, maxPayload, noEncrypt, keyExchangeTimeoutMs, localhostBypass, tokenManager, pairingManager, serverIdentity = null, maxPendingConnections, backpressureThreshold, environmentManager, orchestrationManager = null, schedulerEngine = null, workflowRunner = null, config = null, diagnosticsRateLimit = null, devicePreferences = null, pagesStore = null, pagesRateLimiter, conversationIndex } = {}) {
     this.port = port
     this.apiToken = apiToken
     this._tokenManager = tokenManager || null
@@ -645,6 +682,16 @@ export class WsServer {
     this.pagesStore = pagesStore || new PagesStore({
       pagesDir: configPath('pages'),
     })
+    // Persistent conversation search index. Construction does no I/O — the
+    // file is loaded on the first search/list refresh. Injectable for tests;
+    // an explicit null disables it (searches then build a per-call index).
+    this._conversationIndex = conversationIndex !== undefined
+      ? conversationIndex
+      : new ConversationIndex({ indexPath: configPath('conversation-index.json') })
+    // #6479: language servers backing the IDE handlers. Spawns nothing until
+    // `languageServers` is configured AND an IDE request needs one; the config
+    // is read live so a config reload applies to the next request.
+    this._languageServers = new LanguageServerPool({ getConfig: () => this.config })
     // #6277: host-local user-shell approval store. The create gate holds a spawn
     // here when userShell.requireApproval is on; the host operator approves it
     // out-of-band via the loopback /api/shell routes (or `chroxy shell approve`).
@@ -926,6 +973,9 @@ export class WsServer {
         // a keychain re-read (and a rotate never serves a stale cached value).
         get webhookPayloadUrl() { return self.getWebhookPayloadUrl() },
         get repoWebhookDeliveries() { return self._repoWebhookDeliveries ?? null },
+        // Slack notification config surface: the derived dashboard URL the
+        // sink's deep links use, echoed so the operator can sanity-check it.
+        get dashboardUrl() { return self.getDashboardUrl() },
         setWebhookSecretCache: (value) => {
           self._githubWebhookSecret = (typeof value === 'string' && value.length > 0) ? value : null
         },
@@ -938,6 +988,15 @@ export class WsServer {
         // default) — the handlers report that as "not armed" rather than hiding
         // it. Late-bound so it tracks the server instance.
         get schedulerEngine() { return self._schedulerEngine ?? null },
+        // The WorkflowRunner — null whenever workflows are disabled (the
+        // default); the workflow handlers reply with an unavailable error.
+        get workflowRunner() { return self._workflowRunner ?? null },
+        get conversationIndex() { return self._conversationIndex ?? null },
+        // Chroxy Pages store + the public-origin resolver, so `export_session`
+        // can publish an html transcript and hand back its share link.
+        get pagesStore() { return self.pagesStore ?? null },
+        get languageServers() { return self._languageServers ?? null },
+        publicUrlFor: (path) => self._derivePublicUrl(path),
       },
       runtime: {
         get draining() { return self._draining },
@@ -1062,6 +1121,9 @@ export class WsServer {
       get clients() { return self.clients },
       get authRequired() { return self.authRequired },
       isTokenValid: (token) => self._isTokenValid(token),
+      // Scope of a non-pairing (primary) token — TokenManager's when rotation is
+      // wired, else the static apiToken, which is always `full`.
+      resolveTokenScope: (token) => self._tokenManager?.scopeForToken(token) ?? 'full',
       get authFailures() { return self._authFailures },
       get benignPairAttempts() { return self._benignPairAttempts },
       get pairingManager() { return self._pairingManager },
@@ -1103,8 +1165,16 @@ export class WsServer {
 
     this.pushManager = pushManager
 
-    // Permission audit trail
-    this._permissionAudit = new PermissionAuditLog()
+    // Permission audit trail. Entries name the responder by clientId; the
+    // journaled copy also records that connection's token class and device.
+    this._permissionAudit = new PermissionAuditLog({
+      resolveActor: (clientId) => {
+        for (const client of this.clients.values()) {
+          if (client.id === clientId) return describeActor(client)
+        }
+        return null
+      },
+    })
 
     // Auth rate limiting: track failed attempts per IP
     this._authFailures = new Map() // ip -> { count, firstFailure, blockedUntil }
@@ -1124,6 +1194,9 @@ export class WsServer {
     this._orchestrationManager = orchestrationManager || null
     // #6871: nullable by design — null whenever scheduled execution is disabled.
     this._schedulerEngine = schedulerEngine || null
+    // Declarative workflows: null whenever `features.workflows` is off. Its
+    // run_update events reach host-level clients via _broadcastWorkflowRunUpdate.
+    this._workflowRunner = workflowRunner || null
     this.defaultSessionId = defaultSessionId || null
     this._checkpointManager = new CheckpointManager()
 
@@ -1289,6 +1362,7 @@ export class WsServer {
     // authenticated dashboard clients so they can auto-refresh the QR code (#2916).
     this._pairingRefreshedHandler = null
     this._pendingRequestExpiredHandler = null
+    this._tokenScopeChangedHandler = null
     if (this._pairingManager) {
       this._pairingRefreshedHandler = () => {
         this._broadcast({ type: 'pairing_refreshed' })
@@ -1304,6 +1378,16 @@ export class WsServer {
         this._broadcastPairResolved(requestId, 'expired')
       }
       this._pairingManager.on('pending_request_expired', this._pendingRequestExpiredHandler)
+
+      // A device's scope was changed from the Paired Devices panel. Re-scope its
+      // open connections in place so a downgrade bites on the very next message
+      // instead of at the device's next reconnect.
+      this._tokenScopeChangedHandler = ({ id, scope }) => {
+        for (const client of this.clients.values()) {
+          if (client.pairedDeviceId === id) client.tokenScope = scope
+        }
+      }
+      this._pairingManager.on('session_token_scope_changed', this._tokenScopeChangedHandler)
     }
 
     // Wire TokenManager rotation events — broadcast new token to all clients
@@ -1860,13 +1944,13 @@ export class WsServer {
     for (const [sessionId, storedSecret] of this._sessionHookSecrets) {
       if (storedSecret === secret) {
         const entry = this.sessionManager?.getSession(sessionId)
-        return entry?.session ? { session: entry.session, sessionId } : null
+        return entry?.session ? { session: entry.session, sessionId, provider: entry.provider ?? null } : null
       }
     }
     // Legacy single-session mode — no chroxy sessionId surface, so
     // callers can still notify the session but must skip mapping.
     if (this.cliSession && this.cliSession._hookSecret === secret) {
-      return { session: this.cliSession, sessionId: null }
+      return { session: this.cliSession, sessionId: null, provider: 'claude-cli' }
     }
     return null
   }
@@ -1972,6 +2056,50 @@ export class WsServer {
     })
   }
 
+  /**
+   * The dashboard URL notification deep links point at (the Slack sink's
+   * "Open in dashboard" button appends `?session=<id>`). An explicit
+   * `notifications.slack.dashboardUrl` wins — e.g. a stable domain fronting the
+   * daemon; otherwise the same tunnel → external URL → LAN precedence as the
+   * GitHub payload URL, at `/dashboard`. Null when only a placeholder host is
+   * available (a link to YOUR_LAN_IP would be worse than no button).
+   *
+   * @returns {string|null}
+   */
+  getDashboardUrl() {
+    const configured = this.config?.notifications?.slack?.dashboardUrl
+    if (typeof configured === 'string' && /^https?:\/\//i.test(configured)) return configured
+    return this._derivePublicUrl('/dashboard')
+  }
+
+  /**
+   * The POST /permission-action URL the ntfy sink's Approve/Deny buttons call.
+   * The ntfy app on the phone makes that request itself, so it must be an
+   * origin the phone can reach: same tunnel → external URL → LAN precedence as
+   * getDashboardUrl (an explicit `notifications.ntfy.actionUrl` is applied by
+   * the sink). Null when only a placeholder host is available — the prompt is
+   * then delivered without buttons.
+   *
+   * @returns {string|null}
+   */
+  getPermissionActionUrl() {
+    return this._derivePublicUrl('/permission-action')
+  }
+
+  _derivePublicUrl(path) {
+    const { url } = deriveWebhookPayloadUrl({
+      tunnelUrl: this._tunnelUrl,
+      externalUrl: this.config?.externalUrl,
+      boundHost: this._boundHost,
+      port: this.port,
+      lanIp: getLanIp(),
+      isLoopbackHost,
+      path,
+    })
+    if (!url || url.includes(LAN_IP_PLACEHOLDER)) return null
+    return url
+  }
+
   start(host) {
     // #5356: remember what we bound. `undefined` means the default
     // all-interfaces bind — record it as 0.0.0.0 so exposure reads true.
@@ -2575,6 +2703,18 @@ export class WsServer {
     this._broadcast(delta, (client) => !client.boundSessionId)
   }
 
+  /**
+   * Relay a workflow run's new state to host-level (unbound) dashboard clients.
+   * Step outputs stay off the broadcast (they can be tens of KB per step and the
+   * run updates on every step transition); a client fetches them with
+   * `workflow_run_request`.
+   */
+  _broadcastWorkflowRunUpdate(run) {
+    if (!run) return
+    const { outputs: _outputs, ...summary } = run
+    this._broadcast({ type: 'workflow_run_update', run: summary }, (client) => !client.boundSessionId)
+  }
+
   /**
    * #5510: deliver a terminal `pair_result` to the requester's still-open
    * connection (if present) and drop the tracking entry. On approve the result
@@ -3078,6 +3218,10 @@ export class WsServer {
       this._pairingManager.off('pending_request_expired', this._pendingRequestExpiredHandler)
       this._pendingRequestExpiredHandler = null
     }
+    if (this._pairingManager && this._tokenScopeChangedHandler) {
+      this._pairingManager.off('session_token_scope_changed', this._tokenScopeChangedHandler)
+      this._tokenScopeChangedHandler = null
+    }
     this._pairRequesters.clear()
 
     // Remove TokenManager listener to prevent post-shutdown broadcasts
@@ -3129,6 +3273,9 @@ export class WsServer {
     // Clean up web task manager
     this._webTaskManager.destroy()
 
+    // Stop any language servers (#6479) — fire-and-forget like the tunnels above.
+    void this._languageServers.closeAll()
+
     // Remove this instance's log listener to prevent post-shutdown broadcasts and GC leak
     if (this._logListener) {
       removeLogListener(this._logListener)
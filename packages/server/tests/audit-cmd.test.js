@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { runAuditVerify, runAuditTail, parseSince, formatAuditEntry } from '../src/cli/audit-cmd.js'
+import { AuditJournal } from '../src/audit-journal.js'
+
+const T0 = Date.UTC(2026, 9, 1, 12, 0, 0)
+const HOUR = 60 * 60 * 1000
+
+function cap() {
+  const lines = []
+  return { write: (s) => lines.push(String(s)), lines, text: () => lines.join('\n') }
+}
+
+describe('chroxy audit', () => {
+  let dir
+  let journal
+  let clock
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chroxy-audit-cmd-'))
+    clock = { now: T0 }
+    journal = new AuditJournal({ dir, now: () => clock.now })
+    journal.append({ type: 'decision', clientId: 'c1', tokenClass: 'pairing', device: 'phone', sessionId: 's1', decision: 'allow', tool: 'Bash' })
+    clock.now += HOUR
+    journal.append({ type: 'shell_create', clientId: 'c2', tokenClass: 'primary', device: 'laptop', sessionId: 's2', cwd: '/work' })
+    clock.now += HOUR
+    journal.append({ type: 'token_revoke', clientId: 'cli', tokenClass: 'local', target: 'all_paired', revoked: 2 })
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('verify reports an intact chain with its head hash', () => {
+    const w = cap()
+    const res = runAuditVerify({}, { journal, write: w.write })
+    assert.equal(res.ok, true)
+    assert.match(w.text(), /intact: 3 entries across 1 segment/)
+    assert.ok(w.text().includes(res.head))
+  })
+
+  it('verify reports where the chain breaks', () => {
+    const file = join(dir, 'audit-2026-10-01.jsonl')
+    writeFileSync(file, readFileSync(file, 'utf8').replace('"tool":"Bash"', '"tool":"Read"'))
+    const w = cap()
+    const res = runAuditVerify({}, { journal, write: w.write })
+    assert.equal(res.ok, false)
+    assert.match(w.text(), /FAILED in audit-2026-10-01\.jsonl line 1 \(seq 1\): entry hash mismatch/)
+  })
+
+  it('tail prints the most recent entries with actor and details', () => {
+    const w = cap()
+    const { entries } = runAuditTail({ limit: '2' }, { journal, write: w.write })
+    assert.deepEqual(entries.map((e) => e.seq), [2, 3])
+    assert.equal(w.lines.length, 2)
+    assert.match(w.lines[0], /^#2 2026-10-01T13:00:00\.000Z shell_create by c2\/primary \("laptop"\) session=s2 cwd="\/work"$/)
+    assert.match(w.lines[1], /token_revoke by cli\/local target="all_paired" revoked=2/)
+  })
+
+  it('tail filters by session, type, device and since', () => {
+    const run = (opts) => runAuditTail(opts, { journal, write: () => {}, now: T0 + 2 * HOUR }).entries.map((e) => e.seq)
+    assert.deepEqual(run({ session: 's1' }), [1])
+    assert.deepEqual(run({ type: 'shell_create' }), [2])
+    assert.deepEqual(run({ device: 'phone' }), [1])
+    assert.deepEqual(run({ since: '90m' }), [2, 3])
+    assert.deepEqual(run({ since: '2026-10-01T13:30:00Z' }), [3])
+  })
+
+  it('tail rejects an unknown type, an unparseable since and a bad limit', () => {
+    assert.equal(runAuditTail({ type: 'nope' }, { journal, write: () => {} }).error, 'bad-type')
+    assert.equal(runAuditTail({ since: 'last tuesday' }, { journal, write: () => {} }).error, 'bad-since')
+    assert.equal(runAuditTail({ limit: '0' }, { journal, write: () => {} }).error, 'bad-limit')
+  })
+
+  it('parses --since durations and dates', () => {
+    assert.equal(parseSince('24h', T0), T0 - 24 * HOUR)
+    assert.equal(parseSince('2026-10-01', T0), Date.UTC(2026, 9, 1))
+    assert.equal(parseSince('', T0), null)
+  })
+
+  it('formats an entry with no human actor as system', () => {
+    assert.match(formatAuditEntry({ seq: 9, timestamp: T0, type: 'retention_prune', clientId: null, removedSegments: ['a'] }), /retention_prune by system removedSegments=\["a"\]/)
+  })
+})
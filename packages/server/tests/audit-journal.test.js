@@ -0,0 +1,269 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, writeFileSync, readdirSync, rmSync, statSync, unlinkSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  AuditJournal,
+  GENESIS_HASH,
+  describeActor,
+  recordAuditEvent,
+  resolveAuditRetentionDays,
+  setAuditJournal,
+} from '../src/audit-journal.js'
+import { PermissionAuditLog } from '../src/permission-audit.js'
+import { validateConfig } from '../src/config.js'
+
+const DAY = 24 * 60 * 60 * 1000
+const T0 = Date.UTC(2026, 9, 1, 12, 0, 0)
+
+/** A journal in `dir` whose clock the test moves. */
+function clockedJournal(dir, opts = {}) {
+  const clock = { now: T0 }
+  const journal = new AuditJournal({ dir, now: () => clock.now, ...opts })
+  return { journal, clock }
+}
+
+function segmentLines(dir, name) {
+  return readFileSync(join(dir, name), 'utf8').trim().split('\n')
+}
+
+describe('AuditJournal', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chroxy-audit-'))
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('chains entries from genesis with sequential numbers and actor fields first', () => {
+    const { journal } = clockedJournal(dir)
+    const a = journal.append({ type: 'decision', clientId: 'c1', tokenClass: 'pairing', device: 'phone', sessionId: 's1', decision: 'allow', tool: 'Bash' })
+    const b = journal.append({ type: 'mode_change', clientId: 'c2', tokenClass: 'primary', sessionId: 's1', previousMode: 'approve', newMode: 'auto' })
+    assert.equal(a.seq, 1)
+    assert.equal(a.prev, GENESIS_HASH)
+    assert.equal(b.seq, 2)
+    assert.equal(b.prev, a.hash)
+    assert.match(a.hash, /^[0-9a-f]{64}$/)
+    assert.deepEqual(Object.keys(a).slice(0, 7), ['seq', 'timestamp', 'type', 'clientId', 'tokenClass', 'device', 'sessionId'])
+    assert.equal(b.device, null, 'missing actor fields are recorded as null')
+    assert.deepEqual(readdirSync(dir), ['audit-2026-10-01.jsonl'])
+    assert.equal(statSync(join(dir, 'audit-2026-10-01.jsonl')).mode & 0o777, 0o600)
+    assert.deepEqual(journal.verify(), { ok: true, entries: 2, segments: 1, head: b.hash })
+  })
+
+  it('ignores caller-supplied chain fields', () => {
+    const { journal } = clockedJournal(dir)
+    const e = journal.append({ type: 'decision', seq: 99, prev: 'x', hash: 'y' })
+    assert.equal(e.seq, 1)
+    assert.equal(e.prev, GENESIS_HASH)
+    assert.notEqual(e.hash, 'y')
+  })
+
+  it('detects a modified entry', () => {
+    const { journal } = clockedJournal(dir)
+    journal.append({ type: 'decision', clientId: 'c1', decision: 'deny' })
+    journal.append({ type: 'decision', clientId: 'c1', decision: 'allow' })
+    const file = join(dir, 'audit-2026-10-01.jsonl')
+    writeFileSync(file, readFileSync(file, 'utf8').replace('"decision":"deny"', '"decision":"allow"'))
+    const result = journal.verify()
+    assert.equal(result.ok, false)
+    assert.equal(result.line, 1)
+    assert.match(result.error, /hash mismatch/)
+  })
+
+  it('detects a removed or reordered entry', () => {
+    const { journal } = clockedJournal(dir)
+    for (let i = 0; i < 3; i++) journal.append({ type: 'decision', requestId: `r${i}` })
+    const file = join(dir, 'audit-2026-10-01.jsonl')
+    const [first, second, third] = segmentLines(dir, 'audit-2026-10-01.jsonl')
+
+    writeFileSync(file, [first, third].join('\n') + '\n')
+    assert.match(journal.verify().error, /chain broken/)
+
+    writeFileSync(file, [first, third, second].join('\n') + '\n')
+    assert.match(journal.verify().error, /chain broken/)
+
+    writeFileSync(file, [second, third].join('\n') + '\n')
+    assert.match(journal.verify().error, /does not chain from genesis/)
+  })
+
+  it('continues the chain across instances and processes', () => {
+    const { journal: daemon } = clockedJournal(dir)
+    daemon.append({ type: 'decision' })
+    // A second writer (the CLI) appends behind the daemon's back.
+    const { journal: cli } = clockedJournal(dir)
+    cli.append({ type: 'token_revoke', clientId: 'cli', tokenClass: 'local' })
+    const next = daemon.append({ type: 'decision' })
+    assert.equal(next.seq, 3)
+    assert.equal(daemon.verify().ok, true)
+  })
+
+  it('writes one segment per UTC day and chains across them', () => {
+    const { journal, clock } = clockedJournal(dir)
+    journal.append({ type: 'decision' })
+    clock.now += DAY
+    journal.append({ type: 'decision' })
+    assert.deepEqual(readdirSync(dir).sort(), ['audit-2026-10-01.jsonl', 'audit-2026-10-02.jsonl'])
+    assert.deepEqual(journal.verify(), { ok: true, entries: 2, segments: 2, head: journal.query({ limit: 1 })[0].hash })
+
+    // Deleting a whole day without a recorded prune is caught.
+    unlinkSync(join(dir, 'audit-2026-10-01.jsonl'))
+    assert.match(journal.verify().error, /does not chain from genesis/)
+  })
+
+  it('prunes segments past the retention window and still verifies', () => {
+    const { journal, clock } = clockedJournal(dir, { retentionDays: 7 })
+    journal.append({ type: 'decision', requestId: 'old' })
+    clock.now += 3 * DAY
+    journal.append({ type: 'decision', requestId: 'kept' })
+    clock.now += 6 * DAY
+    journal.append({ type: 'decision', requestId: 'new' })
+
+    const files = readdirSync(dir).sort()
+    assert.deepEqual(files, ['audit-2026-10-04.jsonl', 'audit-2026-10-10.jsonl'])
+    const entries = journal.query({ limit: 10 })
+    assert.deepEqual(entries.map((e) => e.requestId ?? e.type), ['kept', 'retention_prune', 'new'])
+    const prune = entries[1]
+    assert.deepEqual(prune.removedSegments, ['audit-2026-10-01.jsonl'])
+    assert.equal(prune.anchor, entries[0].prev, 'the anchor is what the first kept entry chains from')
+    assert.equal(journal.verify().ok, true)
+  })
+
+  it('never prunes the segment holding the chain head, and never prunes without a window', () => {
+    const { journal, clock } = clockedJournal(dir, { retentionDays: 1 })
+    journal.append({ type: 'decision' })
+    clock.now += 30 * DAY
+    assert.deepEqual(journal.prune(), { removed: [] })
+
+    const { journal: forever, clock: c2 } = clockedJournal(dir)
+    c2.now += 365 * DAY
+    assert.deepEqual(forever.prune(), { removed: [] })
+  })
+
+  it('queries newest-last with session, type, since, device and limit filters', () => {
+    const { journal, clock } = clockedJournal(dir)
+    journal.append({ type: 'decision', sessionId: 's1', device: 'phone' })
+    clock.now += DAY
+    journal.append({ type: 'mode_change', sessionId: 's1', device: 'laptop' })
+    journal.append({ type: 'decision', sessionId: 's2', device: 'phone' })
+    journal.append({ type: 'decision', sessionId: 's1', device: 'phone' })
+
+    assert.deepEqual(journal.query({ sessionId: 's1' }).map((e) => e.seq), [1, 2, 4])
+    assert.deepEqual(journal.query({ type: 'decision', limit: 2 }).map((e) => e.seq), [3, 4])
+    assert.deepEqual(journal.query({ device: 'phone', since: T0 + DAY }).map((e) => e.seq), [3, 4])
+    assert.deepEqual(journal.query({ limit: 1 }).map((e) => e.seq), [4])
+  })
+
+  it('reads the head past a torn final line', () => {
+    const { journal } = clockedJournal(dir)
+    journal.append({ type: 'decision' })
+    const file = join(dir, 'audit-2026-10-01.jsonl')
+    writeFileSync(file, readFileSync(file, 'utf8') + '{"seq":2,"trunc')
+    const { journal: reopened } = clockedJournal(dir)
+    assert.equal(reopened.append({ type: 'decision' }).seq, 2)
+  })
+})
+
+describe('recordAuditEvent / describeActor', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chroxy-audit-'))
+  })
+
+  afterEach(() => {
+    setAuditJournal(null)
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('is a no-op with no journal registered', () => {
+    assert.equal(recordAuditEvent('decision', { clientId: 'c1' }), null)
+  })
+
+  it('never throws when the journal cannot write', () => {
+    setAuditJournal({ append: () => { throw new Error('EACCES') } })
+    assert.equal(recordAuditEvent('decision', {}), null)
+  })
+
+  it('appends to the registered journal', () => {
+    setAuditJournal(new AuditJournal({ dir }))
+    const e = recordAuditEvent('credential_change', { ...describeActor({ id: 'c1', isPrimaryToken: true }), key: 'OPENAI_API_KEY', action: 'set' })
+    assert.equal(e.type, 'credential_change')
+    assert.equal(e.tokenClass, 'primary')
+    assert.equal(e.key, 'OPENAI_API_KEY')
+  })
+
+  it('describes an actor by token class and device name', () => {
+    assert.deepEqual(describeActor(null), { clientId: null, tokenClass: null, device: null })
+    assert.deepEqual(describeActor({ id: 'c1', isPrimaryToken: true }), { clientId: 'c1', tokenClass: 'primary', device: null })
+    assert.deepEqual(
+      describeActor({ id: 'c2', deviceInfo: { deviceName: 'Pixel 9' } }),
+      { clientId: 'c2', tokenClass: 'pairing', device: 'Pixel 9' },
+    )
+  })
+})
+
+describe('PermissionAuditLog with a journal', () => {
+  let dir
+  let journal
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chroxy-audit-'))
+    journal = new AuditJournal({ dir })
+    setAuditJournal(journal)
+  })
+
+  afterEach(() => {
+    setAuditJournal(null)
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('journals entries with the responder\'s token class and device, and queries the journal', () => {
+    const log = new PermissionAuditLog({
+      resolveActor: (id) => (id === 'c1' ? { tokenClass: 'pairing', device: 'phone' } : null),
+    })
+    log.logDecision({ clientId: 'c1', sessionId: 's1', requestId: 'r1', decision: 'allow', tool: 'Bash' })
+    log.logDecision({ clientId: 'http', sessionId: 's1', requestId: 'r2', decision: 'deny' })
+    log.logModeChange({ clientId: 'gone', sessionId: 's1', previousMode: 'approve', newMode: 'auto' })
+
+    const entries = new PermissionAuditLog().query({ sessionId: 's1' })
+    assert.equal(entries.length, 3, 'a fresh ring (a restart) still answers from the journal')
+    assert.equal(entries[0].device, 'phone')
+    assert.equal(entries[0].tokenClass, 'pairing')
+    assert.equal(entries[0].tool, 'Bash')
+    assert.equal(entries[1].tokenClass, null)
+    assert.equal(entries[2].device, null)
+    assert.equal(journal.verify().ok, true)
+  })
+
+  it('journals a persisted-rule run once and overlays the live count', () => {
+    const log = new PermissionAuditLog()
+    for (let i = 0; i < 5; i++) log.logPersistedRuleApproval({ sessionId: 's1', tool: 'Read', projectKey: '/p' })
+    assert.equal(journal.query({ limit: 100 }).length, 1)
+    const [entry] = log.query({ sessionId: 's1' })
+    assert.equal(entry.reason, 'persisted_rule')
+    assert.equal(entry.count, 5)
+    assert.equal(typeof entry.hash, 'string')
+  })
+})
+
+describe('audit config', () => {
+  it('resolves retentionDays with a 90-day default', () => {
+    assert.equal(resolveAuditRetentionDays({}), 90)
+    assert.equal(resolveAuditRetentionDays({ audit: { retentionDays: 30 } }), 30)
+    assert.equal(resolveAuditRetentionDays({ audit: { retentionDays: 0 } }), 0)
+    assert.equal(resolveAuditRetentionDays({ audit: { retentionDays: -1 } }), 90)
+  })
+
+  it('warns about a malformed audit block', () => {
+    const { warnings } = validateConfig({ audit: { retentionDays: '30d', keep: true } })
+    assert.ok(warnings.some((w) => w.includes("'audit.retentionDays'")))
+    assert.ok(warnings.some((w) => w.includes('audit') && w.includes('keep')))
+    assert.ok(!warnings.some((w) => w.includes('Invalid type')))
+    assert.deepEqual(validateConfig({ audit: { retentionDays: 365 } }).warnings.filter((w) => w.includes('audit')), [])
+  })
+})
@@ -1,8 +1,8 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test'
 import assert from 'node:assert/strict'
 import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, utimesSync } from 'fs'
-import { tmpdir } from 'os'
-import { join } from 'path'
+import { homedir, tmpdir } from 'os'
+import { join, relative } from 'path'
 import {
   BaseSession,
   DEFAULT_RESULT_TIMEOUT_MS,
@@ -1912,6 +1912,35 @@ describe('BaseSession operator-timeout MAX_SANE_DURATION_MS ceiling (#4509)', ()
 
 // #5367: the canonical opt picker that every session subclass now uses to
 // forward BaseSession opts via `super(buildBaseSessionOpts(opts, overrides))`.
+describe('BaseSession _bwrapSpawnSpec', () => {
+  const spawnSpec = { command: '/usr/bin/claude', args: ['-p'], options: {} }
+
+  it('returns the spawn spec unchanged without a bwrap sandbox', () => {
+    const session = new BaseSession({ cwd: tmpdir() })
+    assert.equal(session._bwrapSpawnSpec(spawnSpec), spawnSpec)
+  })
+
+  it('wraps the command under bwrap, keeping the class state paths writable', () => {
+    const stateDir = mkdtempSync(join(tmpdir(), 'bwrap-state-'))
+    try {
+      class StatefulSession extends BaseSession {
+        // Home-relative, like '.claude'; `..` steps let a temp dir stand in.
+        static get bwrapStatePaths() { return [relative(homedir(), stateDir)] }
+      }
+      const session = new StatefulSession({ cwd: tmpdir(), bwrapSandbox: { mode: 'bwrap', network: false, home: 'read-only' } })
+      const wrapped = session._bwrapSpawnSpec(spawnSpec, { tty: true })
+      assert.match(wrapped.command, /bwrap$/)
+      assert.deepEqual(wrapped.args.slice(-2), ['/usr/bin/claude', '-p'])
+      assert.ok(wrapped.args.includes('--unshare-net'))
+      assert.ok(!wrapped.args.includes('--new-session'), 'a tty child keeps its terminal')
+      const i = wrapped.args.indexOf(stateDir)
+      assert.deepEqual(wrapped.args.slice(i - 1, i + 2), ['--bind', stateDir, stateDir])
+    } finally {
+      rmSync(stateDir, { recursive: true, force: true })
+    }
+  })
+})
+
 describe('buildBaseSessionOpts (#5367)', () => {
   it('copies only BaseSession opts, omitting absent keys and subclass-local opts', () => {
     const out = buildBaseSessionOpts({
@@ -1965,6 +1994,7 @@ describe('subclass opt forwarding — no opt dropped (#5367)', () => {
   let trustStore
   // #6771 — an opaque runtime handle checked by identity (no file I/O needed).
   const sentinelRuleStore = { addRule() { return false }, getRules() { return [] } }
+  const sentinelBwrapSandbox = { mode: 'bwrap', network: false, home: 'hidden' }
   beforeEach(() => {
     tmpDir = mkdtempSync(join(tmpdir(), 'chroxy-opt-fwd-'))
     trustStore = new SkillsTrustStore({ filePath: join(tmpDir, 'trust.json'), mode: 'warn' })
@@ -2004,6 +2034,7 @@ describe('subclass opt forwarding — no opt dropped (#5367)', () => {
       // #6771 — durable per-project rule store (runtime handle). A truthy
       // sentinel object survives BaseSession's `|| null`, so it lands verbatim.
       permissionRuleStore: sentinelRuleStore,
+      bwrapSandbox: sentinelBwrapSandbox,
     }
   }
 
@@ -2038,6 +2069,7 @@ describe('subclass opt forwarding — no opt dropped (#5367)', () => {
     backgroundShellHardQuiesceMs: (s) => assert.equal(s._backgroundShellHardQuiesceMs, 0),
     // #6771 — the durable rule store handle lands on _permissionRuleStore.
     permissionRuleStore: (s) => assert.equal(s._permissionRuleStore, sentinelRuleStore),
+    bwrapSandbox: (s) => assert.equal(s._bwrapSandbox, sentinelBwrapSandbox),
   }
 
   // Guard: the assertion table must cover exactly the canonical opt set, so a
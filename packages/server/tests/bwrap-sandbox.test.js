@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  normalizeBwrapSandbox,
+  isBwrapSandbox,
+  buildBwrapArgs,
+  wrapSpawnSpec,
+  bwrapUnsupportedReason,
+  describeBwrapSandbox,
+  BwrapSandboxError,
+} from '../src/bwrap-sandbox.js'
+import { HOME_CREDENTIAL_PATHS } from '../src/permission-floor.js'
+
+const HOME = '/home/dev'
+const PROJECT = '/home/dev/src/app'
+
+// A fake filesystem: `present` maps path → 'dir' | 'file'. realpath is the
+// identity unless a path is listed in `links`.
+function fakeFs(present = {}, links = {}) {
+  return {
+    home: HOME,
+    exists: (p) => p in present,
+    isDirectory: (p) => present[p] === 'dir',
+    realpath: (p) => links[p] || p,
+  }
+}
+
+// Index of `flag path` in an argv, or -1.
+function indexOfPair(args, flag, path) {
+  for (let i = 0; i < args.length - 1; i++) {
+    if (args[i] === flag && args[i + 1] === path) return i
+  }
+  return -1
+}
+
+describe('normalizeBwrapSandbox', () => {
+  it('expands the string shorthand to the defaults', () => {
+    assert.deepEqual(normalizeBwrapSandbox('bwrap'), { mode: 'bwrap', network: true, home: 'read-only' })
+  })
+
+  it('keeps network and home from the object form', () => {
+    assert.deepEqual(
+      normalizeBwrapSandbox({ mode: 'bwrap', network: false, home: 'hidden' }),
+      { mode: 'bwrap', network: false, home: 'hidden' },
+    )
+  })
+
+  it('returns null for absent values and SDK sandbox settings', () => {
+    assert.equal(normalizeBwrapSandbox(undefined), null)
+    assert.equal(normalizeBwrapSandbox({ network: { allowedDomains: ['x.com'] } }), null)
+    assert.equal(isBwrapSandbox({ autoAllowBashIfSandboxed: true }), false)
+    assert.equal(isBwrapSandbox(['bwrap']), false)
+  })
+
+  it('refuses unknown options and bad values, naming the field', () => {
+    assert.throws(() => normalizeBwrapSandbox({ mode: 'bwrap', writable: ['/'] }), /sandbox: unknown bwrap option "writable"/)
+    assert.throws(() => normalizeBwrapSandbox({ mode: 'bwrap', network: 'off' }), BwrapSandboxError)
+    assert.throws(() => normalizeBwrapSandbox({ mode: 'bwrap', home: 'rw' }, 'state'), /state\.home must be one of read-only, hidden/)
+  })
+})
+
+describe('buildBwrapArgs', () => {
+  const spec = { mode: 'bwrap', network: true, home: 'read-only' }
+
+  it('binds root read-only, the project read-write and runs in a private /tmp', () => {
+    const args = buildBwrapArgs(spec, { cwd: PROJECT, ...fakeFs() })
+    assert.ok(indexOfPair(args, '--ro-bind', '/') >= 0)
+    assert.ok(indexOfPair(args, '--tmpfs', '/tmp') >= 0)
+    assert.ok(indexOfPair(args, '--bind', PROJECT) >= 0)
+    assert.deepEqual(args.slice(-6), ['--setenv', 'TMPDIR', '/tmp', '--chdir', PROJECT, '--'])
+    assert.ok(args.includes('--unshare-user'))
+    assert.ok(args.includes('--die-with-parent'))
+  })
+
+  it('binds the project by its real path', () => {
+    const args = buildBwrapArgs(spec, { cwd: '/home/dev/app-link', ...fakeFs({}, { '/home/dev/app-link': PROJECT }) })
+    assert.ok(indexOfPair(args, '--bind', PROJECT) >= 0)
+    assert.ok(indexOfPair(args, '--chdir', PROJECT) >= 0)
+  })
+
+  it('shares the network unless network is false', () => {
+    assert.ok(!buildBwrapArgs(spec, { cwd: PROJECT, ...fakeFs() }).includes('--unshare-net'))
+    assert.ok(buildBwrapArgs({ ...spec, network: false }, { cwd: PROJECT, ...fakeFs() }).includes('--unshare-net'))
+  })
+
+  it('detaches the terminal except for a tty child', () => {
+    assert.ok(buildBwrapArgs(spec, { cwd: PROJECT, ...fakeFs() }).includes('--new-session'))
+    assert.ok(!buildBwrapArgs(spec, { cwd: PROJECT, tty: true, ...fakeFs() }).includes('--new-session'))
+  })
+
+  it('binds existing provider state and writable paths read-write', () => {
+    const fs = fakeFs({ [`${HOME}/.claude`]: 'dir', '/tmp/sink': 'dir' })
+    const args = buildBwrapArgs(spec, {
+      cwd: PROJECT,
+      statePaths: ['.claude', '.claude.json'],
+      writablePaths: ['/tmp/sink', '/tmp/gone'],
+      ...fs,
+    })
+    assert.ok(indexOfPair(args, '--bind', `${HOME}/.claude`) >= 0)
+    assert.ok(indexOfPair(args, '--bind', '/tmp/sink') >= 0)
+    assert.equal(indexOfPair(args, '--bind', `${HOME}/.claude.json`), -1, 'absent state file is not bound')
+    assert.equal(indexOfPair(args, '--bind', '/tmp/gone'), -1)
+  })
+
+  it('masks credential stores after every bind, whatever home is', () => {
+    const fs = fakeFs({ [`${HOME}/.ssh`]: 'dir', [`${HOME}/.git-credentials`]: 'file', [`${HOME}/.netrc`]: 'file' })
+    for (const home of ['read-only', 'hidden']) {
+      const args = buildBwrapArgs({ ...spec, home }, { cwd: HOME, ...fs })
+      const ssh = indexOfPair(args, '--tmpfs', `${HOME}/.ssh`)
+      const gitCreds = args.indexOf(`${HOME}/.git-credentials`)
+      assert.ok(ssh > indexOfPair(args, '--bind', HOME), `${home}: mask lands after the project bind`)
+      assert.deepEqual(args.slice(gitCreds - 2, gitCreds + 1), ['--ro-bind', '/dev/null', `${HOME}/.git-credentials`])
+      assert.ok(args.includes(`${HOME}/.netrc`))
+      assert.equal(indexOfPair(args, '--tmpfs', `${HOME}/.aws`), -1, 'absent stores are not mounted')
+    }
+  })
+
+  it('hides the chroxy config dir whatever home is, wherever it lives', () => {
+    for (const chroxyDir of [`${HOME}/.chroxy`, '/srv/chroxy-state']) {
+      const fs = fakeFs({ [chroxyDir]: 'dir' })
+      for (const home of ['read-only', 'hidden']) {
+        const args = buildBwrapArgs({ ...spec, home }, { cwd: HOME, chroxyDir, ...fs })
+        const mask = indexOfPair(args, '--tmpfs', chroxyDir)
+        assert.ok(mask > indexOfPair(args, '--bind', HOME), `${home}: mask lands after the project bind`)
+        assert.equal(indexOfPair(args, '--bind', chroxyDir), -1)
+      }
+    }
+  })
+
+  it('binds a project worktree inside the config dir back over the mask', () => {
+    const chroxyDir = `${HOME}/.chroxy`
+    const worktree = `${chroxyDir}/worktrees/fork-1`
+    const args = buildBwrapArgs(spec, { cwd: worktree, chroxyDir, ...fakeFs({ [chroxyDir]: 'dir' }) })
+    const mask = indexOfPair(args, '--tmpfs', chroxyDir)
+    assert.ok(mask >= 0)
+    assert.ok(indexOfPair(args.slice(mask), '--bind', worktree) >= 0, 'the worktree is re-bound after the mask')
+  })
+
+  it('skips the config-dir mask when the dir does not exist', () => {
+    const args = buildBwrapArgs(spec, { cwd: PROJECT, chroxyDir: `${HOME}/.chroxy`, ...fakeFs() })
+    assert.equal(indexOfPair(args, '--tmpfs', `${HOME}/.chroxy`), -1)
+  })
+
+  it('takes the deny-list from the permission floor', () => {
+    assert.ok(HOME_CREDENTIAL_PATHS.includes('.ssh'))
+    assert.ok(HOME_CREDENTIAL_PATHS.includes('.aws'))
+    assert.ok(HOME_CREDENTIAL_PATHS.includes('.netrc'))
+    assert.ok(!HOME_CREDENTIAL_PATHS.includes('.claude'), 'provider state stays reachable')
+  })
+
+  it('hides home behind a tmpfs and re-exposes only paths inside it', () => {
+    const fs = fakeFs({ [`${HOME}/.local/bin`]: 'dir', '/usr/lib/node': 'dir' })
+    const args = buildBwrapArgs({ ...spec, home: 'hidden' }, {
+      cwd: PROJECT,
+      exposePaths: [`${HOME}/.local/bin`, '/usr/lib/node', HOME],
+      ...fs,
+    })
+    const tmpfsHome = indexOfPair(args, '--tmpfs', HOME)
+    assert.ok(tmpfsHome >= 0)
+    assert.ok(indexOfPair(args, '--ro-bind', `${HOME}/.local/bin`) > tmpfsHome)
+    assert.equal(indexOfPair(args, '--ro-bind', '/usr/lib/node'), -1, 'outside home it is already visible')
+    assert.equal(indexOfPair(args, '--ro-bind', HOME), -1, 'home itself is never re-exposed')
+    assert.ok(indexOfPair(args, '--bind', PROJECT) > tmpfsHome)
+  })
+
+  it('leaves home alone in read-only mode', () => {
+    const args = buildBwrapArgs(spec, { cwd: PROJECT, exposePaths: [`${HOME}/.local/bin`], ...fakeFs({ [`${HOME}/.local/bin`]: 'dir' }) })
+    assert.equal(indexOfPair(args, '--tmpfs', HOME), -1)
+    assert.equal(indexOfPair(args, '--ro-bind', `${HOME}/.local/bin`), -1)
+  })
+})
+
+describe('wrapSpawnSpec', () => {
+  it('runs the prepared command after the bwrap argv, keeping its options', () => {
+    const wrapped = wrapSpawnSpec(
+      { command: '/usr/bin/claude', args: ['-p', '--verbose'], options: { windowsHide: true } },
+      { mode: 'bwrap', network: true, home: 'read-only' },
+      { cwd: PROJECT, bwrapBinary: '/usr/bin/bwrap', ...fakeFs() },
+    )
+    assert.equal(wrapped.command, '/usr/bin/bwrap')
+    assert.deepEqual(wrapped.args.slice(wrapped.args.indexOf('--') + 1), ['/usr/bin/claude', '-p', '--verbose'])
+    assert.deepEqual(wrapped.options, { windowsHide: true })
+  })
+
+  it('spawns the real binary and keeps its dir visible under a hidden home', () => {
+    const real = `${HOME}/.local/share/claude/versions/2.1.0`
+    const fs = fakeFs({ [`${HOME}/.local/share/claude/versions`]: 'dir' }, { [`${HOME}/.local/bin/claude`]: real })
+    const wrapped = wrapSpawnSpec(
+      { command: `${HOME}/.local/bin/claude`, args: [] },
+      { mode: 'bwrap', network: true, home: 'hidden' },
+      { cwd: PROJECT, ...fs },
+    )
+    assert.equal(wrapped.command, 'bwrap')
+    assert.equal(wrapped.args.at(-1), real)
+    assert.ok(indexOfPair(wrapped.args, '--ro-bind', `${HOME}/.local/share/claude/versions`) >= 0)
+  })
+})
+
+describe('bwrapUnsupportedReason', () => {
+  const Cli = { capabilities: { bwrapSandbox: true } }
+  const Sdk = { capabilities: {} }
+
+  it('accepts a local CLI provider on Linux', () => {
+    assert.equal(bwrapUnsupportedReason(Cli, 'claude-cli', 'linux'), null)
+  })
+
+  it('refuses other hosts and providers', () => {
+    assert.match(bwrapUnsupportedReason(Cli, 'claude-cli', 'darwin'), /needs a Linux host \(this one is darwin\)/)
+    assert.match(bwrapUnsupportedReason(Sdk, 'claude-sdk', 'linux'), /"claude-sdk" doesn't/)
+    assert.match(bwrapUnsupportedReason(undefined, 'nope', 'linux'), /"nope" doesn't/)
+  })
+})
+
+describe('describeBwrapSandbox', () => {
+  it('summarises the spec for logs', () => {
+    assert.equal(describeBwrapSandbox({ mode: 'bwrap', network: false, home: 'hidden' }), 'bwrap (home hidden, network off)')
+  })
+})
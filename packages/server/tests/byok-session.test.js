@@ -5091,3 +5091,56 @@ describe('per-model usage on result (#6692)', () => {
     await session.destroy()
   })
 })
+
+describe('seedConversation (provider switch)', () => {
+  const turns = [
+    { role: 'user', text: 'fix the test' },
+    {
+      role: 'assistant',
+      parts: [
+        { type: 'text', text: 'Running it.' },
+        { type: 'tool', id: 'toolu_1', name: 'Bash', input: { command: 'npm test' }, result: '1 failing', isError: false, truncated: false },
+        { type: 'tool', id: 'toolu_2', name: 'mcp__jira__comment', input: { id: 'X-1' }, result: 'ok', isError: false, truncated: false },
+        { type: 'text', text: 'One test fails.' },
+      ],
+    },
+  ]
+
+  it('replaces the history with native tool rounds and restores the todo list', async () => {
+    const session = new ClaudeByokSession({ cwd: '/tmp', model: 'claude-opus-4-8' })
+    const todos = [{ id: 'a', content: 'Fix test', status: 'in_progress' }]
+    const seeded = session.seedConversation({ turns, todos })
+    assert.equal(seeded.messages, 4)
+    assert.deepEqual(seeded.flags, [{ kind: 'tool_as_text', count: 1, detail: 'mcp__jira__comment' }])
+    assert.deepEqual(session._history[1].content[1], { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: 'npm test' } })
+    assert.deepEqual(session._history[2].content, [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '1 failing' }])
+    assert.deepEqual([...session._todos.values()], todos)
+
+    let sent = null
+    session._client = {
+      messages: {
+        stream: ({ messages }) => {
+          sent = structuredClone(messages)
+          return fakeStream([], { stop_reason: 'end_turn', content: [{ type: 'text', text: 'ok' }], usage: { input_tokens: 1, output_tokens: 1 } })
+        },
+      },
+    }
+    await session.start()
+    await session.sendMessage('carry on')
+    assert.equal(sent.length, 5, 'the seeded conversation precedes the new prompt')
+    assert.deepEqual(sent[4], { role: 'user', content: 'carry on' })
+    await session.destroy()
+  })
+
+  it('trims a long conversation under the history cap at a clean user turn', () => {
+    const session = new ClaudeByokSession({ cwd: '/tmp' })
+    const long = []
+    for (let i = 0; i < 60; i++) {
+      long.push({ role: 'user', text: `q${i}` }, { role: 'assistant', parts: [{ type: 'text', text: `a${i}` }] })
+    }
+    const seeded = session.seedConversation({ turns: long })
+    assert.ok(seeded.messages < 100)
+    assert.equal(session._history[0].role, 'user')
+    assert.deepEqual(seeded.flags, [{ kind: 'turns_trimmed', count: 1 }])
+  })
+})
@@ -6,6 +6,8 @@ import {
   SERVER_NAME,
   DEFAULT_PORT,
   CHANNEL_NOTIFICATION_METHOD,
+  PERMISSION_REQUEST_METHOD,
+  PERMISSION_VERDICT_METHOD,
   INSTRUCTIONS,
   REPLY_TOOL,
   sanitizeMeta,
@@ -14,18 +16,23 @@ import {
   startHttpControlSurface
 } from '../src/channels/chroxy-channel-server.js'
 
-// Unit tests for the standalone chroxy-channel MCP prototype (#3952). These
-// exercise the protocol surface against injectable seams without spawning a
-// live `claude` session — they assert the capability advertisement, reply-tool
-// shape, notification envelope, meta sanitization, and the HTTP control surface
-// forwarding behaviour. The live `claude --channels` round-trip is documented
-// in the README and is not exercisable headlessly here.
+// Unit tests for the chroxy-channel MCP server (#3952). These exercise the
+// protocol surface against injectable seams without spawning a live `claude`
+// session — they assert the capability advertisement, reply-tool shape,
+// notification envelope, meta sanitization, and the HTTP control surface
+// forwarding behaviour. Bridge mode (the Unix socket to ClaudeChannelSession)
+// is driven end-to-end by tests/claude-channel-bridge.test.js.
 
 describe('chroxy-channel: protocol constants', () => {
   it('uses the verified channel notification method verbatim', () => {
     assert.equal(CHANNEL_NOTIFICATION_METHOD, 'notifications/claude/channel')
   })
 
+  it('uses the verified permission relay methods verbatim', () => {
+    assert.equal(PERMISSION_REQUEST_METHOD, 'notifications/claude/channel/permission_request')
+    assert.equal(PERMISSION_VERDICT_METHOD, 'notifications/claude/channel/permission')
+  })
+
   it('exposes the prototype server name and default port', () => {
     assert.equal(SERVER_NAME, 'chroxy-channel')
     assert.equal(DEFAULT_PORT, 8788)
@@ -105,7 +112,7 @@ describe('chroxy-channel: createChannelServer capabilities', () => {
     assert.ok(caps.tools, 'tools capability present for the reply tool')
   })
 
-  it('does NOT declare the permission relay capability (out of scope, sub 4)', () => {
+  it('does NOT declare the permission relay capability without a permission handler', () => {
     const { mcp } = createChannelServer({ log: () => {} })
     const caps = mcp.getCapabilities ? mcp.getCapabilities() : mcp._capabilities
     assert.ok(
@@ -113,6 +120,18 @@ describe('chroxy-channel: createChannelServer capabilities', () => {
       'permission relay must not be declared in the prototype'
     )
   })
+
+  it('declares the relay and routes permission requests when given a handler', async () => {
+    const requests = []
+    const { mcp } = createChannelServer({ log: () => {}, onPermissionRequest: r => requests.push(r) })
+    const caps = mcp.getCapabilities ? mcp.getCapabilities() : mcp._capabilities
+    assert.deepEqual(caps.experimental['claude/channel/permission'], {})
+    await mcp._notificationHandlers.get(PERMISSION_REQUEST_METHOD)({
+      method: PERMISSION_REQUEST_METHOD,
+      params: { request_id: 'abcde', tool_name: 'Bash', input_preview: '{"command":"ls"}' }
+    })
+    assert.deepEqual(requests, [{ request_id: 'abcde', tool_name: 'Bash', description: '', input_preview: '{"command":"ls"}' }])
+  })
 })
 
 describe('chroxy-channel: reply tool handlers', () => {
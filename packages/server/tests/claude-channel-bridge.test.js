@@ -0,0 +1,171 @@
+/**
+ * ClaudeChannelSession against a fake `claude` (tests/fixtures/fake-claude-channel.mjs)
+ * found on PATH. The fake loads the real channel server from the MCP config
+ * the session writes, so every turn crosses the same socket + MCP hops a live
+ * session does. node-pty is swapped for a child_process stand-in through the
+ * `_ptyModOverride` seam.
+ */
+import { describe, it, before, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import { once } from 'node:events'
+import { chmodSync, existsSync, mkdirSync, mkdtempSync, readFileSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { ClaudeChannelSession } from '../src/claude-channel-session.js'
+import { rmDirRobust } from './test-helpers.js'
+
+const FAKE_CLAUDE = fileURLToPath(new URL('./fixtures/fake-claude-channel.mjs', import.meta.url))
+
+const ptyStandIn = {
+  spawn(file, args, { cwd, env }) {
+    const child = spawn(file, args, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'] })
+    return {
+      pid: child.pid,
+      onData(cb) {
+        child.stdout.on('data', (d) => cb(d.toString()))
+        child.stderr.on('data', (d) => cb(d.toString()))
+      },
+      onExit(cb) { child.on('exit', (exitCode, signal) => cb({ exitCode, signal })) },
+      write(data) { if (!child.stdin.destroyed) child.stdin.write(data) },
+      kill(signal) { child.kill(signal) },
+      child,
+    }
+  },
+}
+
+describe('ClaudeChannelSession bridge (fake claude)', () => {
+  let root
+  const saved = {}
+  let session
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-channel-bridge-'))
+    const bin = join(root, 'bin')
+    mkdirSync(bin)
+    writeFileSync(join(bin, 'claude'), `#!/bin/sh\nexec "${process.execPath}" "${FAKE_CLAUDE}" "$@"\n`)
+    chmodSync(join(bin, 'claude'), 0o755)
+    for (const key of ['PATH', 'HOME', 'ANTHROPIC_API_KEY', 'FAKE_CLAUDE_ARGS_FILE', 'FAKE_CLAUDE_EXIT_ON_START']) saved[key] = process.env[key]
+    process.env.PATH = `${bin}:${process.env.PATH}`
+    // ensureCwdTrusted writes $HOME/.claude.json — keep it off the real one.
+    process.env.HOME = root
+    process.env.ANTHROPIC_API_KEY = 'sk-should-not-reach-claude'
+    process.env.FAKE_CLAUDE_ARGS_FILE = join(root, 'argv.json')
+  })
+
+  after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+    rmDirRobust(root)
+  })
+
+  afterEach(() => {
+    session?.destroy()
+    session = null
+    delete process.env.FAKE_CLAUDE_EXIT_ON_START
+  })
+
+  async function startSession(opts = {}) {
+    session = new ClaudeChannelSession({ cwd: root, readyTimeoutMs: 15_000, ...opts })
+    session._ptyModOverride = ptyStandIn
+    await session.start()
+    return session
+  }
+
+  function collectTurn(s) {
+    const events = []
+    for (const name of ['stream_start', 'stream_delta', 'stream_end', 'result', 'error']) {
+      s.on(name, (data) => events.push([name, data]))
+    }
+    return events
+  }
+
+  it('spawns claude with the channel loaded and becomes ready once it connects', async () => {
+    await startSession({ model: 'claude-sonnet-4-5-20250929' })
+    assert.equal(session.isReady, true)
+    const argv = JSON.parse(readFileSync(process.env.FAKE_CLAUDE_ARGS_FILE, 'utf8'))
+    const flag = (name) => argv[argv.indexOf(name) + 1]
+    assert.equal(flag('--dangerously-load-development-channels'), 'server:chroxy-channel')
+    assert.equal(flag('--model'), 'claude-sonnet-4-5-20250929')
+    assert.ok(argv.includes('--session-id'))
+    const config = JSON.parse(readFileSync(flag('--mcp-config'), 'utf8'))
+    assert.match(config.mcpServers['chroxy-channel'].args[0], /chroxy-channel-server\.js$/)
+    // The subscription path never sees the API key.
+    assert.equal(session._buildPtyEnv().ANTHROPIC_API_KEY, undefined)
+  })
+
+  it('sends a message over the channel and turns the reply into one response', async () => {
+    await startSession()
+    const events = collectTurn(session)
+    await session.sendMessage('hello there')
+    assert.equal(session.isRunning, true)
+    await once(session, 'result')
+    assert.deepEqual(events.map(([name]) => name), ['stream_start', 'stream_delta', 'stream_end', 'result'])
+    assert.equal(events[1][1].delta, 'echo: hello there')
+    assert.equal(events[3][1].cost, null)
+    assert.equal(session.isRunning, false)
+  })
+
+  it('relays tool approvals through the permission pipeline and sends the verdict back', async () => {
+    await startSession()
+    const replies = collectTurn(session)
+    session.once('permission_request', (req) => {
+      assert.equal(req.tool, 'Bash')
+      assert.equal(req.input.command, 'ls -la')
+      session.respondToPermission(req.requestId, 'allow')
+    })
+    await session.sendMessage('run: ls -la')
+    await once(session, 'result')
+    assert.equal(replies.find(([name]) => name === 'stream_delta')[1].delta, 'ls -la: allow')
+  })
+
+  it('answers relayed approvals from the permission mode without prompting', async () => {
+    await startSession({ permissionMode: 'auto' })
+    const events = collectTurn(session)
+    let prompted = false
+    session.on('permission_request', () => { prompted = true })
+    await session.sendMessage('run: git status')
+    await once(session, 'result')
+    assert.equal(prompted, false)
+    assert.equal(events.find(([name]) => name === 'stream_delta')[1].delta, 'git status: allow')
+  })
+
+  it('interrupt() ends the turn without waiting for a reply', async () => {
+    await startSession()
+    const events = collectTurn(session)
+    await session.sendMessage('silent')
+    session.interrupt()
+    assert.deepEqual(events.map(([name]) => name), ['stream_start', 'stream_end', 'result'])
+    assert.equal(session.isRunning, false)
+  })
+
+  it('surfaces a reply that arrives outside its turn as a standalone response', async () => {
+    await startSession()
+    const messages = []
+    session.on('message', (m) => messages.push(m))
+    session._onReply('99', 'late answer')
+    assert.equal(messages[0].type, 'response')
+    assert.equal(messages[0].content, 'late answer')
+  })
+
+  it('rejects start() with claude output when claude exits before the channel connects, and cleans up', async () => {
+    process.env.FAKE_CLAUDE_EXIT_ON_START = '1'
+    session = new ClaudeChannelSession({ cwd: root, readyTimeoutMs: 15_000 })
+    session._ptyModOverride = ptyStandIn
+    await assert.rejects(() => session.start(), /claude exited \(code=3\)[\s\S]*not logged in/)
+    assert.equal(session.isReady, false)
+    assert.equal(session._bridgeDir, null)
+  })
+
+  it('destroy() stops claude and removes the bridge directory', async () => {
+    await startSession()
+    const dir = session._bridgeDir
+    const { child } = session._term
+    session.destroy()
+    if (child.exitCode === null && child.signalCode === null) await once(child, 'exit')
+    assert.equal(existsSync(dir), false)
+  })
+})
@@ -6,41 +6,23 @@ import { ClaudeChannelSession, CLAUDE_CHANNEL_MIN_VERSION } from '../src/claude-
 import { BaseSession } from '../src/base-session.js'
 import { ClaudeTuiSession } from '../src/claude-tui-session.js'
 
-// #3953 — provider scaffold for the `claude --channels` MCP transport.
-// The session is intentionally a no-op (start() throws); these tests pin
-// the static surface the dashboard + `chroxy doctor` rely on, and confirm
-// start() fails fast without spawning anything.
-describe('ClaudeChannelSession scaffold (#3953)', () => {
+// Static surface the dashboard + `chroxy doctor` rely on; the live bridge is
+// exercised in tests/claude-channel-bridge.test.js against a fake `claude`.
+describe('ClaudeChannelSession', () => {
   it('extends BaseSession', () => {
     assert.ok(ClaudeChannelSession.prototype instanceof BaseSession)
   })
 
-  it('start() rejects with the not-implemented error and spawns nothing', async () => {
+  it('sendMessage() before start() reports an error instead of throwing', async () => {
     const session = new ClaudeChannelSession({ cwd: process.cwd() })
-    await assert.rejects(
-      () => session.start(),
-      /not yet implemented/i,
-    )
-    // No PTY / MCP child was created — the scaffold has no process handles.
-    assert.equal(session._processReady, false)
-  })
-
-  it('start() error references the bridge sub-issue (#3954)', async () => {
-    const session = new ClaudeChannelSession({ cwd: process.cwd() })
-    await assert.rejects(() => session.start(), /#3954/)
-  })
-
-  it('sendMessage() rejects with the not-implemented error', async () => {
-    const session = new ClaudeChannelSession({ cwd: process.cwd() })
-    await assert.rejects(() => session.sendMessage('hello'), /not yet implemented/i)
+    const errors = []
+    session.on('error', (e) => errors.push(e.message))
+    await session.sendMessage('hello')
+    assert.match(errors[0], /not started/)
+    assert.equal(session.isRunning, false)
   })
 
-  it('interrupt() throws the not-implemented error', () => {
-    const session = new ClaudeChannelSession({ cwd: process.cwd() })
-    assert.throws(() => session.interrupt(), /not yet implemented/i)
-  })
-
-  it('destroy() is a safe no-op (does not throw)', () => {
+  it('destroy() before start() is a safe no-op (does not throw)', () => {
     const session = new ClaudeChannelSession({ cwd: process.cwd() })
     assert.doesNotThrow(() => session.destroy())
     assert.equal(session._destroying, true)
@@ -58,29 +40,25 @@ describe('ClaudeChannelSession scaffold (#3953)', () => {
     assert.equal(ClaudeChannelSession.dataDir, join(homedir(), '.claude'))
   })
 
-  describe('capabilities matrix (from the spike)', () => {
+  describe('capabilities matrix', () => {
     const caps = ClaudeChannelSession.capabilities
 
-    it('declares permissions true (channel/permission relay — sub 4)', () => {
+    it('answers relayed permissions in-process, so the mode can switch live', () => {
       assert.equal(caps.permissions, true)
+      assert.equal(caps.inProcessPermissions, true)
+      assert.equal(caps.permissionModeSwitch, true)
+      assert.equal(typeof ClaudeChannelSession.prototype.respondToPermission, 'function')
+      assert.equal(typeof ClaudeChannelSession.prototype.respondToQuestion, 'function')
     })
 
-    it('verdicts round-trip over IPC, not in-process', () => {
-      assert.equal(caps.inProcessPermissions, false)
-    })
-
-    it('streams (the headline win over claude-tui)', () => {
-      assert.equal(caps.streaming, true)
-    })
-
-    it('renders tool calls', () => {
-      assert.equal(caps.tools, true)
+    it('delivers whole replies and never sees tool calls', () => {
+      assert.equal(caps.streaming, false)
+      assert.equal(caps.tools, false)
     })
 
     // The deliberately-honest cells: channels do NOT solve these.
-    it('does not claim model switch / permission-mode switch / plan / resume / terminal / thinking', () => {
+    it('does not claim model switch / plan / resume / terminal / thinking', () => {
       assert.equal(caps.modelSwitch, false)
-      assert.equal(caps.permissionModeSwitch, false)
       assert.equal(caps.planMode, false)
       assert.equal(caps.resume, false)
       assert.equal(caps.terminal, false)
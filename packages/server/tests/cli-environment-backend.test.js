@@ -9,7 +9,7 @@ import { addServerOptions, loadAndMergeConfig } from '../src/cli/shared.js'
 /**
  * #5144 — `--environment-backend` CLI flag wiring on `chroxy start` / `dev`.
  *
- * The flag selects the environment backend (docker | k8s | rancher) and must
+ * The flag selects the environment backend (docker | k8s | rancher | podman) and must
  * compose with — not clobber — a file-configured `environments` block
  * (k8s/rancher sub-blocks normally live in config.json).
  */
@@ -50,7 +50,7 @@ describe('chroxy schedule — CLI wiring (#6868)', () => {
     const { home, cleanup } = makeTempHome()
     after(cleanup)
 
-    it('create persists a task and reports the default-off scheduler + provider-refusal warnings', async () => {
+    it('create persists a task and reports the default-off scheduler, with no refusal for claude-tui', async () => {
       const r = await runCli(
         ['schedule', 'create', '--prompt', 'say hi', '--cron', '0 9 * * *', '--name', 'Morning'],
         { home },
@@ -60,8 +60,9 @@ describe('chroxy schedule — CLI wiring (#6868)', () => {
       // No config.json / CHROXY_ENABLE_SCHEDULER in this temp HOME -> gate closed.
       assert.match(r.stdout, /WARNING:.*DISABLED/)
       // No target.provider given -> falls back to the daemon default
-      // (claude-tui), which the engine refuses (no in-process permissions).
-      assert.match(r.stdout, /WARNING:.*will be REFUSED/)
+      // (claude-tui), whose hook-routed prompts the scheduler now answers
+      // in-process through the relay — so it's schedulable and not refused.
+      assert.doesNotMatch(r.stdout, /will be REFUSED/)
     })
 
     it('list shows the task as [NEVER RUN], never healthy-looking', async () => {
@@ -114,9 +115,9 @@ describe('chroxy schedule — CLI wiring (#6868)', () => {
   // DEFAULT_PROVIDER, mirroring server-cli.js), not a hardcoded
   // DEFAULT_PROVIDER constant. These two cases prove the warning tracks
   // config.json rather than the constant: a configured provider that IS
-  // schedulable (in-process permissions) must NOT warn even though
-  // DEFAULT_PROVIDER (claude-tui) would; a configured provider that is
-  // hook-routed must warn even without any --provider flag.
+  // schedulable (in-process permissions) must NOT warn; a configured provider
+  // that is hook-only without the relay (gemini) must warn even though
+  // DEFAULT_PROVIDER (claude-tui) wouldn't, and without any --provider flag.
   describe('provider-refusal warning follows config.provider, not the DEFAULT_PROVIDER constant (#7014)', () => {
     it('does not warn when config.provider is a schedulable (in-process-permissions) provider', async () => {
       const { home, cleanup } = makeTempHome()
@@ -133,10 +134,10 @@ describe('chroxy schedule — CLI wiring (#6868)', () => {
       }
     })
 
-    it('warns when config.provider is a hook-routed provider, with no --provider flag given', async () => {
+    it('warns when config.provider is an unpromptable provider, with no --provider flag given', async () => {
       const { home, cleanup } = makeTempHome()
       try {
-        writeConfig(home, { provider: 'claude-tui' })
+        writeConfig(home, { provider: 'gemini' })
         const r = await runCli(
           ['schedule', 'create', '--prompt', 'x', '--cron', '0 9 * * *'],
           { home },
@@ -30,11 +30,15 @@ class FakeK8sBackend {
 class FakeRancherBackend {
   constructor(opts = {}) { this.kind = 'rancher'; this.opts = opts }
 }
+class FakePodmanBackend {
+  constructor(opts = {}) { this.kind = 'podman'; this.opts = opts }
+}
 
 const fakeLoader = async () => ({
   DockerBackend: FakeDockerBackend,
   K8sBackend: FakeK8sBackend,
   RancherBackend: FakeRancherBackend,
+  PodmanBackend: FakePodmanBackend,
 })
 
 describe('resolveEnvironmentBackend (#5144)', () => {
@@ -52,6 +56,7 @@ describe('resolveEnvironmentBackend (#5144)', () => {
     assert.equal(resolveEnvironmentBackend({ environments: { backend: 'docker' } }), 'docker')
     assert.equal(resolveEnvironmentBackend({ environments: { backend: 'k8s' } }), 'k8s')
     assert.equal(resolveEnvironmentBackend({ environments: { backend: 'rancher' } }), 'rancher')
+    assert.equal(resolveEnvironmentBackend({ environments: { backend: 'podman' } }), 'podman')
   })
 
   it('falls back to docker on an unrecognised value (warning surfaced by validateConfig)', () => {
@@ -90,6 +95,25 @@ describe('buildEnvironmentBackend (#5144)', () => {
     assert.ok(backend instanceof FakeDockerBackend)
   })
 
+  it('constructs PodmanBackend and forwards _execFile and userns', async () => {
+    const execFile = () => {}
+    const { backend, type } = await buildEnvironmentBackend(
+      { environments: { backend: 'podman', podman: { userns: 'auto' } } },
+      { _execFile: execFile, _loadBackends: fakeLoader },
+    )
+    assert.equal(type, 'podman')
+    assert.ok(backend instanceof FakePodmanBackend)
+    assert.deepEqual(backend.opts, { _execFile: execFile, userns: 'auto' })
+  })
+
+  it('constructs PodmanBackend with no userns when no podman block is configured', async () => {
+    const { backend } = await buildEnvironmentBackend(
+      { environments: { backend: 'podman' } },
+      { _loadBackends: fakeLoader },
+    )
+    assert.equal(backend.opts.userns, undefined)
+  })
+
   it('constructs K8sBackend and forwards the k8s connection options', async () => {
     const config = {
       environments: {
@@ -284,3 +308,23 @@ describe('validateRancherBlock via validateConfig (#5380)', () => {
     assert.ok(r.warnings.some((w) => /caData/.test(w)), `expected caData warning, got: ${JSON.stringify(r.warnings)}`)
   })
 })
+
+describe('validatePodmanBlock via validateConfig', () => {
+  const podmanWarnings = (podman) => validateConfig({ environments: { backend: 'podman', podman } })
+    .warnings.filter((w) => /podman/.test(w))
+
+  it('accepts each userns mode', () => {
+    for (const userns of ['keep-id', 'auto', 'host']) {
+      assert.deepEqual(podmanWarnings({ userns }), [])
+    }
+  })
+
+  it('warns on an unknown userns mode', () => {
+    assert.ok(podmanWarnings({ userns: 'nomap' }).some((w) => /environments\.podman\.userns/.test(w)))
+  })
+
+  it('warns on unknown keys and a non-object block', () => {
+    assert.ok(podmanWarnings({ usernz: 'keep-id' }).some((w) => /usernz/.test(w)))
+    assert.ok(podmanWarnings(['keep-id']).some((w) => /expected object, got array/.test(w)))
+  })
+})
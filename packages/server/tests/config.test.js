@@ -3,7 +3,7 @@ import assert from 'node:assert/strict'
 import { writeFileSync, mkdtempSync, rmSync, readFileSync } from 'fs'
 import { join } from 'path'
 import { tmpdir } from 'os'
-import { validateConfig, mergeConfig, readReposFromConfig, writeReposToConfig, sanitizeConfig, isFatalConfigWarning, resolveSemanticTitleTimeoutMs } from '../src/config.js'
+import { validateConfig, mergeConfig, readReposFromConfig, writeReposToConfig, sanitizeConfig, isFatalConfigWarning, resolveSemanticTitleTimeoutMs, resolveEgressConfig } from '../src/config.js'
 import { DEFAULT_SEMANTIC_TITLE_TIMEOUT_MS } from '../src/session-title.js'
 
 // audit P1-9: fatality must come from the single isFatalConfigWarning policy,
@@ -841,3 +841,33 @@ describe('resolveSemanticTitleTimeoutMs', () => {
     assert.equal(resolveSemanticTitleTimeoutMs({}), DEFAULT_SEMANTIC_TITLE_TIMEOUT_MS)
   })
 })
+
+describe('resolveEgressConfig', () => {
+  it('returns no default when egress is unset', () => {
+    assert.deepEqual(resolveEgressConfig({}), { defaultEgress: null, proxyImage: null })
+  })
+
+  it('splits the policy from the proxy image', () => {
+    assert.deepEqual(
+      resolveEgressConfig({ egress: { policy: 'registries', domains: ['GitHub.com'], proxyImage: ' mirror/node:22 ' } }),
+      { defaultEgress: { policy: 'registries', domains: ['github.com'] }, proxyImage: 'mirror/node:22' },
+    )
+  })
+
+  it('throws on a malformed policy', () => {
+    assert.throws(() => resolveEgressConfig({ egress: { policy: 'allowlist' } }), /needs at least one domain/)
+    assert.throws(() => resolveEgressConfig({ egress: { policy: 'none', proxyImage: '' } }), /proxyImage/)
+  })
+
+  it('is a fatal validateConfig warning when malformed', () => {
+    const { warnings } = validateConfig({ egress: { policy: 'nope' } })
+    const egressWarnings = warnings.filter(w => w.includes("'egress'"))
+    assert.equal(egressWarnings.length, 1)
+    assert.ok(isFatalConfigWarning(egressWarnings[0]))
+  })
+
+  it('reports a non-object egress once', () => {
+    const { warnings } = validateConfig({ egress: 'none' })
+    assert.deepEqual(warnings.filter(w => w.includes("'egress'")), ["Invalid type for 'egress': expected object, got string"])
+  })
+})
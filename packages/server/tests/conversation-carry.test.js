@@ -0,0 +1,161 @@
+/**
+ * Tests for conversation-carry.js — normalizing session history into
+ * provider-neutral turns and rendering them for the provider that continues
+ * the conversation.
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  normalizeConversation,
+  toAnthropicMessages,
+  trimAnthropicMessages,
+  buildSwitchTranscript,
+  MAX_CARRIED_RESULT_CHARS,
+} from '../src/conversation-carry.js'
+import { anthropicRequestToOpenAi } from '../src/anthropic-openai-translate.js'
+
+const prompt = (content, messageId) => ({ type: 'message', messageType: 'user_input', content, messageId })
+const reply = (content, messageId) => ({ type: 'message', messageType: 'response', content, messageId })
+const toolStart = (toolUseId, tool, input) => ({ type: 'tool_start', messageId: 'm', toolUseId, tool, input })
+const toolResult = (toolUseId, result, extra = {}) => ({ type: 'tool_result', toolUseId, result, ...extra })
+
+const HISTORY = [
+  prompt('fix the failing test', 'u1'),
+  { type: 'message', messageType: 'thinking', content: 'hmm' },
+  reply('Looking.', 'r1'),
+  toolStart('toolu_1', 'Bash', { command: 'npm test' }),
+  toolResult('toolu_1', '1 failing'),
+  toolStart('toolu_2', 'TodoWrite', { todos: [{ content: 'Fix test', status: 'in_progress', activeForm: 'Fixing test' }, { content: 'Push', status: 'pending' }] }),
+  toolResult('toolu_2', 'ok'),
+  reply('Found it.', 'r2'),
+  { type: 'result', cost: 0.01 },
+  prompt('go on', 'u2'),
+]
+
+describe('normalizeConversation', () => {
+  it('folds history into user and assistant turns with paired tool calls', () => {
+    const { turns, flags } = normalizeConversation(HISTORY)
+    assert.equal(turns.length, 3)
+    assert.deepEqual(turns[0], { role: 'user', text: 'fix the failing test' })
+    assert.deepEqual(turns[1].parts.map((p) => p.type), ['text', 'tool', 'tool', 'text'])
+    assert.deepEqual(turns[1].parts[1], {
+      type: 'tool', id: 'toolu_1', name: 'Bash', input: { command: 'npm test' }, result: '1 failing', isError: false, truncated: false,
+    })
+    assert.deepEqual(turns[2], { role: 'user', text: 'go on' })
+    assert.deepEqual(flags, [])
+  })
+
+  it('keeps the latest todo list, replacing id-less lists and merging by id', () => {
+    const { todos } = normalizeConversation(HISTORY)
+    assert.deepEqual(todos, [
+      { id: 'todo-1', content: 'Fix test', status: 'in_progress', activeForm: 'Fixing test' },
+      { id: 'todo-2', content: 'Push', status: 'pending' },
+    ])
+    const merged = normalizeConversation([
+      toolStart('t1', 'TodoWrite', { todos: [{ id: 'a', content: 'A', status: 'pending' }, { id: 'b', content: 'B', status: 'pending' }] }),
+      toolStart('t2', 'TodoWrite', { todos: [{ id: 'a', content: 'A', status: 'completed' }] }),
+    ])
+    assert.deepEqual(merged.todos.map((t) => `${t.id}:${t.status}`), ['a:completed', 'b:pending'])
+  })
+
+  it('flags answered questions, whose answers are not in the history', () => {
+    const { flags } = normalizeConversation([prompt('q', 'u1'), { type: 'user_question', toolUseId: 'x', questions: [] }])
+    assert.deepEqual(flags, [{ kind: 'question', count: 1 }])
+  })
+})
+
+describe('toAnthropicMessages', () => {
+  it('rebuilds tool rounds natively and drops a trailing unanswered prompt', () => {
+    const { turns } = normalizeConversation(HISTORY)
+    const { messages, flags } = toAnthropicMessages(turns, { toolNames: ['Bash', 'TodoWrite'] })
+    assert.deepEqual(messages.map((m) => m.role), ['user', 'assistant', 'user', 'assistant'])
+    assert.deepEqual(messages[1].content.map((b) => b.type), ['text', 'tool_use', 'tool_use'])
+    assert.deepEqual(messages[2].content, [
+      { type: 'tool_result', tool_use_id: 'toolu_1', content: '1 failing' },
+      { type: 'tool_result', tool_use_id: 'toolu_2', content: 'ok' },
+    ])
+    assert.deepEqual(flags, [{ kind: 'unanswered_prompt', count: 1 }])
+  })
+
+  it('carries calls to unavailable tools as text', () => {
+    const { turns } = normalizeConversation(HISTORY.slice(0, -1))
+    const { messages, flags } = toAnthropicMessages(turns, { toolNames: ['TodoWrite'] })
+    assert.deepEqual(messages.map((m) => m.role), ['user', 'assistant', 'user', 'assistant'])
+    assert.equal(messages[1].content[1].type, 'text')
+    assert.match(messages[1].content[1].text, /Earlier Bash tool call[\s\S]*npm test[\s\S]*1 failing/)
+    assert.equal(messages[1].content[2].name, 'TodoWrite')
+    assert.deepEqual(flags, [{ kind: 'tool_as_text', count: 1, detail: 'Bash' }])
+  })
+
+  it('closes a turn cut off mid-tool and marks the missing result as an error', () => {
+    const { turns } = normalizeConversation([prompt('run it', 'u1'), toolStart('toolu_9', 'Bash', { command: 'make' })])
+    const { messages, flags } = toAnthropicMessages(turns, { toolNames: ['Bash'] })
+    assert.deepEqual(messages.map((m) => m.role), ['user', 'assistant', 'user', 'assistant'])
+    assert.equal(messages[2].content[0].is_error, true)
+    assert.match(messages[3].content[0].text, /cut off/)
+    assert.deepEqual(flags, [{ kind: 'tool_without_result', count: 1, detail: 'Bash' }])
+  })
+
+  it('caps long tool results and sanitizes tool ids', () => {
+    const { turns } = normalizeConversation([
+      prompt('read', 'u1'),
+      toolStart('call:1', 'Read', { file_path: 'a' }),
+      toolResult('call:1', 'x'.repeat(MAX_CARRIED_RESULT_CHARS + 10)),
+      reply('done', 'r1'),
+    ])
+    const { messages, flags } = toAnthropicMessages(turns, { toolNames: ['Read'] })
+    assert.equal(messages[1].content[0].id, 'call_1')
+    assert.ok(messages[2].content[0].content.length < MAX_CARRIED_RESULT_CHARS + 50)
+    assert.deepEqual(flags, [{ kind: 'tool_result_truncated', count: 1, detail: 'Read' }])
+  })
+
+  it('opens with a placeholder prompt when the history starts mid-turn', () => {
+    const { turns } = normalizeConversation([reply('earlier answer', 'r0'), prompt('next', 'u1'), reply('ok', 'r1')])
+    const { messages } = toAnthropicMessages(turns)
+    assert.equal(messages[0].role, 'user')
+    assert.match(messages[0].content[0].text, /earlier turns are not available/)
+  })
+
+  it('translates into a well-formed OpenAI conversation', () => {
+    const { turns } = normalizeConversation(HISTORY)
+    const { messages } = toAnthropicMessages(turns, { toolNames: ['Bash', 'TodoWrite'] })
+    const out = anthropicRequestToOpenAi({ model: 'm', max_tokens: 10, messages })
+    const assistant = out.messages.find((m) => m.role === 'assistant' && m.tool_calls)
+    assert.deepEqual(assistant.tool_calls.map((c) => c.id), ['toolu_1', 'toolu_2'])
+    assert.deepEqual(out.messages.filter((m) => m.role === 'tool').map((m) => m.tool_call_id), ['toolu_1', 'toolu_2'])
+  })
+})
+
+describe('trimAnthropicMessages', () => {
+  it('cuts at a user message that carries no tool results', () => {
+    const messages = [
+      { role: 'user', content: [{ type: 'text', text: 'a' }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 't', name: 'Bash', input: {} }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't', content: 'x' }] },
+      { role: 'assistant', content: [{ type: 'text', text: 'b' }] },
+      { role: 'user', content: [{ type: 'text', text: 'c' }] },
+      { role: 'assistant', content: [{ type: 'text', text: 'd' }] },
+    ]
+    const { messages: kept, dropped } = trimAnthropicMessages(messages, 4)
+    assert.equal(dropped, 4)
+    assert.equal(kept[0].content[0].text, 'c')
+    assert.equal(trimAnthropicMessages(messages, 10).dropped, 0)
+  })
+})
+
+describe('buildSwitchTranscript', () => {
+  it('previews tool calls inline and appends the open todo list', () => {
+    const { turns, todos } = normalizeConversation(HISTORY)
+    const { text, truncated } = buildSwitchTranscript(turns, todos, { sourceName: 'api', sourceProvider: 'claude-sdk' })
+    assert.equal(truncated, false)
+    assert.match(text, /carried over from session "api" \(claude-sdk\)/)
+    assert.match(text, /User: fix the failing test/)
+    assert.match(text, /\[Bash\] \{"command":"npm test"\} → 1 failing/)
+    assert.match(text, /Open todo list:\n- \[in_progress\] Fix test\n- \[pending\] Push/)
+    assert.match(text, /\[End of carried conversation\]$/)
+  })
+
+  it('returns null when there is nothing to carry', () => {
+    assert.equal(buildSwitchTranscript([], []), null)
+  })
+})
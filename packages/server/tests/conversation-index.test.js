@@ -0,0 +1,331 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFile, mkdir, rm, readFile, utimes } from 'fs/promises'
+import { mkdtempSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import {
+  ConversationIndex,
+  INDEX_VERSION,
+  extractSegments,
+  parseSearchQuery,
+  providerForProjectsDir,
+  tokenize,
+} from '../src/conversation-index.js'
+
+function line(type, content, extra = {}) {
+  return JSON.stringify({ type, message: { content }, ...extra })
+}
+
+function text(value) {
+  return [{ type: 'text', text: value }]
+}
+
+async function writeConversation(projectsDir, project, id, lines) {
+  const dir = join(projectsDir, project)
+  await mkdir(dir, { recursive: true })
+  const filePath = join(dir, `${id}.jsonl`)
+  await writeFile(filePath, lines.join('\n') + '\n')
+  return filePath
+}
+
+describe('conversation-index', () => {
+  let root
+  let claudeProjects
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-conv-index-'))
+    claudeProjects = join(root, '.claude', 'projects')
+  })
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true })
+  })
+
+  describe('tokenize / parseSearchQuery', () => {
+    it('lowercases tokens and keeps source offsets', () => {
+      const tokens = tokenize('Fix the WebSocket_handler, now!')
+      assert.deepEqual(tokens.map((t) => t.token), ['fix', 'the', 'websocket_handler', 'now'])
+      assert.equal(tokens[2].start, 8)
+    })
+
+    it('parses terms, quoted phrases and prefixes', () => {
+      assert.deepEqual(parseSearchQuery('auth* "race condition" Bug'), [
+        { kind: 'prefix', prefix: 'auth' },
+        { kind: 'phrase', terms: ['race', 'condition'] },
+        { kind: 'term', term: 'bug' },
+      ])
+    })
+
+    it('treats a bare word the tokenizer splits as a phrase', () => {
+      assert.deepEqual(parseSearchQuery('login.ts'), [{ kind: 'phrase', terms: ['login', 'ts'] }])
+    })
+
+    it('drops units with no tokens', () => {
+      assert.deepEqual(parseSearchQuery('"" !!! --'), [])
+    })
+  })
+
+  describe('extractSegments', () => {
+    it('tags user, assistant and tool content by role', () => {
+      assert.deepEqual(extractSegments({ type: 'user', message: { content: 'hello' } }), [{ role: 'user', text: 'hello' }])
+      const assistant = extractSegments({
+        type: 'assistant',
+        message: { content: [{ type: 'text', text: 'reading it' }, { type: 'tool_use', name: 'Read', input: { path: 'a.js' } }] },
+      })
+      assert.deepEqual(assistant.map((s) => s.role), ['assistant', 'tool'])
+      assert.match(assistant[1].text, /Read/)
+      const result = extractSegments({
+        type: 'user',
+        message: { content: [{ type: 'tool_result', content: [{ type: 'text', text: 'file body' }] }] },
+      })
+      assert.deepEqual(result, [{ role: 'tool', text: 'file body' }])
+    })
+
+    it('ignores non-message entries', () => {
+      assert.deepEqual(extractSegments({ type: 'result' }), [])
+      assert.deepEqual(extractSegments(null), [])
+    })
+  })
+
+  it('derives the provider family from the data dir', () => {
+    assert.equal(providerForProjectsDir('/home/u/.claude/projects'), 'claude')
+    assert.equal(providerForProjectsDir('/home/u/.gemini/projects'), 'gemini')
+  })
+
+  describe('search', () => {
+    it('matches all terms and ranks the denser conversation first', async () => {
+      await writeConversation(claudeProjects, '-repo', 'sparse', [
+        line('user', text('the websocket reconnect loop is flaky'), { cwd: '/repo' }),
+        line('assistant', text('I will look at the reconnect code and the padding between words here')),
+      ])
+      await writeConversation(claudeProjects, '-repo', 'dense', [
+        line('user', text('websocket reconnect, websocket reconnect again'), { cwd: '/repo' }),
+      ])
+      await writeConversation(claudeProjects, '-repo', 'other', [
+        line('user', text('only about the websocket transport, padded out to clear the size floor'), { cwd: '/repo' }),
+      ])
+
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      const results = await index.search('websocket reconnect')
+      assert.deepEqual(results.map((r) => r.conversationId), ['dense', 'sparse'])
+      assert.equal(results[0].matchCount, 4)
+      assert.ok(results[0].score > results[1].score)
+      assert.equal(results[0].provider, 'claude')
+      assert.match(results[0].snippet, /websocket reconnect/)
+    })
+
+    it('requires phrase words to be adjacent and in order', async () => {
+      await writeConversation(claudeProjects, '-repo', 'adjacent', [
+        line('user', text('we hit a race condition in the pool manager today'), { cwd: '/repo' }),
+      ])
+      await writeConversation(claudeProjects, '-repo', 'apart', [
+        line('user', text('the condition of the race track was fine, nothing odd'), { cwd: '/repo' }),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      assert.deepEqual((await index.search('"race condition"')).map((r) => r.conversationId), ['adjacent'])
+      assert.equal((await index.search('race condition')).length, 2)
+    })
+
+    it('supports prefix terms', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('please fix the authentication middleware for the api'), { cwd: '/repo' }),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      assert.equal((await index.search('auth')).length, 0)
+      assert.equal((await index.search('auth*')).length, 1)
+    })
+
+    it('filters by role, matching only within that role\'s messages', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('can you check the migration script for me'), { cwd: '/repo' }),
+        line('assistant', [{ type: 'tool_use', name: 'Bash', input: { command: 'npm run migrate' } }]),
+        line('user', [{ type: 'tool_result', content: 'migrate: 3 pending' }]),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      assert.equal((await index.search('migration', { role: 'user' })).length, 1)
+      assert.equal((await index.search('migration', { role: 'assistant' })).length, 0)
+      const tool = await index.search('migrate', { role: 'tool' })
+      assert.equal(tool.length, 1)
+      assert.equal(tool[0].role, 'tool')
+    })
+
+    it('redacts secrets in tool output before indexing and in snippets', async () => {
+      const secret = 'sk-ant-REDACTED'
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('print the environment for me please'), { cwd: '/repo' }),
+        line('user', [{ type: 'tool_result', content: `HOME=/home/dev\nANTHROPIC_API_KEY=${secret}\nSHELL=/bin/bash` }]),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      assert.equal((await index.search('Zq7Kx9Lm2Np4Rs6Tv8Wy0Ab1Cd3Ef5Gh7Ij9Kl')).length, 0, 'the secret is not searchable')
+      const [hit] = await index.search('anthropic_api_key', { role: 'tool' })
+      assert.match(hit.snippet, /\[REDACTED\]/)
+      assert.ok(!hit.snippet.includes(secret))
+    })
+
+    it('filters by message date range', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('deploy the staging cluster now please'), { cwd: '/repo', timestamp: '2026-01-10T12:00:00Z' }),
+        line('user', text('deploy production after lunch, thanks'), { cwd: '/repo', timestamp: '2026-03-10T12:00:00Z' }),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      const feb = Date.parse('2026-02-01T00:00:00Z')
+      const early = await index.search('deploy', { until: feb })
+      assert.equal(early.length, 1)
+      assert.equal(early[0].matchCount, 1)
+      assert.equal(early[0].matchAt, Date.parse('2026-01-10T12:00:00Z'))
+      assert.match((await index.search('deploy', { since: feb }))[0].snippet, /production/)
+      assert.equal((await index.search('staging', { since: feb })).length, 0)
+    })
+
+    it('filters by repo (path or beneath) and provider', async () => {
+      const geminiProjects = join(root, '.gemini', 'projects')
+      await writeConversation(claudeProjects, '-a', 'in-repo', [
+        line('user', text('refactor the parser module carefully'), { cwd: '/work/chroxy/packages/server' }),
+      ])
+      await writeConversation(claudeProjects, '-b', 'sibling', [
+        line('user', text('refactor the parser module in the sibling'), { cwd: '/work/chroxy-old' }),
+      ])
+      await writeConversation(geminiProjects, '-a', 'gemini-conv', [
+        line('user', text('refactor the parser module from gemini'), { cwd: '/work/chroxy' }),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects, geminiProjects])
+      const byRepo = (await index.search('parser', { repo: '/work/chroxy' })).map((r) => r.conversationId).sort()
+      assert.deepEqual(byRepo, ['gemini-conv', 'in-repo'])
+      const byProvider = await index.search('parser', { provider: 'gemini' })
+      assert.deepEqual(byProvider.map((r) => r.conversationId), ['gemini-conv'])
+      assert.equal(byProvider[0].provider, 'gemini')
+    })
+
+    it('only answers from the requested projects dirs', async () => {
+      const geminiProjects = join(root, '.gemini', 'projects')
+      await writeConversation(geminiProjects, '-a', 'g1', [
+        line('user', text('a conversation about the scheduler engine'), { cwd: '/w' }),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([geminiProjects])
+      assert.equal((await index.search('scheduler', { projectsDirs: [claudeProjects] })).length, 0)
+      assert.equal((await index.search('scheduler', { projectsDirs: [geminiProjects] })).length, 1)
+    })
+  })
+
+  describe('incremental refresh', () => {
+    it('re-reads only changed files and drops deleted ones', async () => {
+      const keep = await writeConversation(claudeProjects, '-repo', 'keep', [
+        line('user', text('the first conversation about caching layers'), { cwd: '/repo' }),
+      ])
+      const gone = await writeConversation(claudeProjects, '-repo', 'gone', [
+        line('user', text('a second conversation about caching layers'), { cwd: '/repo' }),
+      ])
+      const index = new ConversationIndex()
+      assert.deepEqual(await index.refresh([claudeProjects]), { indexed: 2, removed: 0, total: 2 })
+      assert.deepEqual(await index.refresh([claudeProjects]), { indexed: 0, removed: 0, total: 2 })
+
+      await writeFile(keep, [
+        line('user', text('the first conversation about caching layers'), { cwd: '/repo' }),
+        line('assistant', text('now it also mentions eviction policies')),
+      ].join('\n'))
+      await utimes(keep, new Date(), new Date(Date.now() + 5000))
+      await rm(gone)
+
+      assert.deepEqual(await index.refresh([claudeProjects]), { indexed: 1, removed: 1, total: 1 })
+      assert.equal((await index.search('eviction')).length, 1)
+      assert.equal((await index.search('second')).length, 0)
+    })
+
+    it('persists to disk and reloads without re-reading unchanged files', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('persisted conversation about the tunnel supervisor'), { cwd: '/repo' }),
+      ])
+      const indexPath = join(root, 'state', 'conversation-index.json')
+      const first = new ConversationIndex({ indexPath })
+      await first.refresh([claudeProjects])
+      await first.flush()
+      const saved = JSON.parse(await readFile(indexPath, 'utf-8'))
+      assert.equal(saved.version, INDEX_VERSION)
+      assert.equal(saved.docs.length, 1)
+
+      const second = new ConversationIndex({ indexPath })
+      assert.deepEqual(await second.refresh([claudeProjects]), { indexed: 0, removed: 0, total: 1 })
+      const [hit] = await second.search('tunnel supervisor')
+      assert.match(hit.snippet, /persisted conversation about the tunnel supervisor/)
+    })
+
+    it('persists postings and metadata but no message text', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('kickoff message that becomes the preview'), { cwd: '/repo' }),
+        line('assistant', text('a reply whose wording only the transcript should hold')),
+      ])
+      const indexPath = join(root, 'conversation-index.json')
+      const index = new ConversationIndex({ indexPath })
+      await index.refresh([claudeProjects])
+      await index.flush()
+      const raw = await readFile(indexPath, 'utf-8')
+      assert.ok(!raw.includes('only the transcript should hold'))
+      const [doc] = JSON.parse(raw).docs
+      assert.deepEqual(doc.segments.map((s) => Object.keys(s).sort()), [['at', 'role'], ['at', 'role']])
+      assert.ok(doc.postings.wording)
+    })
+
+    it('coalesces writes while one is in flight', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('a conversation about the write coalescing path'), { cwd: '/repo' }),
+      ])
+      const indexPath = join(root, 'conversation-index.json')
+      const index = new ConversationIndex({ indexPath })
+      let writes = 0
+      const write = index._writeIndex.bind(index)
+      index._writeIndex = async () => {
+        writes++
+        await write()
+      }
+      await index.refresh([claudeProjects])
+      index._persist()
+      index._persist()
+      await index.flush()
+      assert.equal(writes, 2, 'the first write, then one more for the calls made meanwhile')
+    })
+
+    it('falls back to the preview when a transcript vanished since the refresh', async () => {
+      const filePath = await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('the opening question about heap snapshots'), { cwd: '/repo' }),
+      ])
+      const index = new ConversationIndex()
+      await index.refresh([claudeProjects])
+      await rm(filePath)
+      const [hit] = await index.search('heap')
+      assert.equal(hit.snippet, hit.preview)
+    })
+
+    it('rebuilds from transcripts when the persisted file is corrupt or outdated', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('conversation that survives a corrupt index file'), { cwd: '/repo' }),
+      ])
+      const indexPath = join(root, 'conversation-index.json')
+      await writeFile(indexPath, '{not json')
+      const corrupt = new ConversationIndex({ indexPath })
+      assert.equal((await corrupt.refresh([claudeProjects])).indexed, 1)
+
+      await writeFile(indexPath, JSON.stringify({ version: INDEX_VERSION + 1, docs: [] }))
+      const outdated = new ConversationIndex({ indexPath })
+      assert.equal((await outdated.refresh([claudeProjects])).indexed, 1)
+      assert.equal((await outdated.search('corrupt')).length, 1)
+    })
+
+    it('serializes overlapping refreshes', async () => {
+      await writeConversation(claudeProjects, '-repo', 'c1', [
+        line('user', text('one conversation indexed exactly once, not twice'), { cwd: '/repo' }),
+      ])
+      const index = new ConversationIndex()
+      const [a, b] = await Promise.all([index.refresh([claudeProjects]), index.refresh([claudeProjects])])
+      assert.equal(a.indexed + b.indexed, 1)
+    })
+  })
+})
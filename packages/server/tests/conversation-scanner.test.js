@@ -3,7 +3,7 @@ import assert from 'node:assert/strict'
 import { writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'fs'
 import { join } from 'path'
 import { tmpdir } from 'os'
-import { scanConversations, clearScanCache, groupConversationsByRepo } from '../src/conversation-scanner.js'
+import { scanConversations, clearScanCache, groupConversationsByRepo, listConversationFiles } from '../src/conversation-scanner.js'
 
 describe('scanConversations', () => {
   let tempDir
@@ -418,6 +418,47 @@ describe('scanConversations', () => {
     const result = await scanConversations({ projectsDir: tempDir })
     assert.equal(result.length, 20)
   })
+
+  it('refreshes a supplied search index after a fresh scan, not on a cache hit', async () => {
+    makeProject('test-project', {
+      'conv.jsonl': jsonlLines(userEntry('Index me please, this is long enough')),
+    })
+    const refreshed = []
+    const index = { refresh: async (dirs) => { refreshed.push(dirs) } }
+
+    await scanConversations({ projectsDir: tempDir, index })
+    await scanConversations({ projectsDir: tempDir, index })
+
+    assert.deepEqual(refreshed, [[tempDir]])
+  })
+
+  it('a failing index refresh does not fail the scan', async () => {
+    makeProject('test-project', {
+      'conv.jsonl': jsonlLines(userEntry('Still listed when indexing breaks')),
+    })
+    const index = { refresh: async () => { throw new Error('disk full') } }
+
+    const result = await scanConversations({ projectsDir: tempDir, index })
+    assert.equal(result.length, 1)
+  })
+})
+
+describe('listConversationFiles', () => {
+  it('lists .jsonl transcripts per project without reading them', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'chroxy-scanner-list-'))
+    try {
+      mkdirSync(join(tempDir, '-home-dev-app'), { recursive: true })
+      writeFileSync(join(tempDir, '-home-dev-app', 'abc.jsonl'), '')
+      writeFileSync(join(tempDir, '-home-dev-app', 'notes.txt'), 'x')
+      const files = await listConversationFiles(tempDir)
+      assert.equal(files.length, 1)
+      assert.equal(files[0].conversationId, 'abc')
+      assert.equal(files[0].projectsDir, tempDir)
+      assert.equal(files[0].filePath, join(tempDir, '-home-dev-app', 'abc.jsonl'))
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true })
+    }
+  })
 })
 
 describe('groupConversationsByRepo', () => {
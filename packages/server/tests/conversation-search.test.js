@@ -4,6 +4,7 @@ import { writeFile, mkdir, rm } from 'fs/promises'
 import { join } from 'path'
 import { tmpdir } from 'os'
 import { searchConversations, extractSearchableText } from '../src/conversation-search.js'
+import { ConversationIndex } from '../src/conversation-index.js'
 
 // Helper to create a fake JSONL conversation file
 function makeEntry(type, text, cwd) {
@@ -151,5 +152,35 @@ describe('conversation-search', () => {
       const results = await searchConversations('   ', { projectsDir: tmpDir })
       assert.equal(results.length, 0)
     })
+
+    it('ranks by relevance and applies role filters through the index', async () => {
+      const lines = [
+        makeEntry('user', 'the flaky reconnect test again, reconnect reconnect', '/test'),
+        makeEntry('assistant', 'I traced the reconnect to a timer'),
+      ]
+      await writeFile(join(projectDir, 'conv-rank.jsonl'), lines.join('\n'))
+
+      const results = await searchConversations('reconnect', { projectsDir: tmpDir })
+      assert.equal(results[0].conversationId, 'conv-rank')
+      assert.equal(results[0].matchCount, 4)
+      assert.equal(typeof results[0].score, 'number')
+
+      const assistantOnly = await searchConversations('reconnect', { projectsDir: tmpDir, role: 'assistant' })
+      assert.equal(assistantOnly[0].matchCount, 1)
+      assert.equal(assistantOnly[0].role, 'assistant')
+    })
+
+    it('reuses a supplied index across queries', async () => {
+      const lines = [makeEntry('user', 'index reuse across two separate queries', '/test')]
+      await writeFile(join(projectDir, 'conv-reuse.jsonl'), lines.join('\n'))
+      const index = new ConversationIndex()
+
+      await searchConversations('reuse', { projectsDir: tmpDir, index })
+      const size = index.size
+      assert.ok(size > 0)
+      const again = await searchConversations('separate', { projectsDir: tmpDir, index })
+      assert.equal(again[0].conversationId, 'conv-reuse')
+      assert.equal(index.size, size)
+    })
   })
 })
@@ -6,6 +6,7 @@ import { join } from 'node:path'
 import { settingsHandlers } from '../src/handlers/settings-handlers.js'
 import { getStoredCredential, setStoredCredential } from '../src/credential-store.js'
 import { nsCtx } from './test-helpers.js'
+import { AuditJournal, setAuditJournal } from '../src/audit-journal.js'
 
 // #7052 — the sandbox config dir this process started with. Tests below
 // relocate it alongside HOME and restore it here on teardown.
@@ -169,6 +170,27 @@ describe('credential WS handlers (#3855)', () => {
     })
   })
 
+  describe('audit journal', () => {
+    afterEach(() => setAuditJournal(null))
+
+    it('journals set and delete with the actor and key name, never the value', () => {
+      const journal = new AuditJournal({ dir: join(tmpHome, 'audit') })
+      setAuditJournal(journal)
+      const client = { id: 'c1', isPrimaryToken: true, deviceInfo: { deviceName: 'laptop' } }
+      settingsHandlers.set_credential(makeWs(), client, { type: 'set_credential', key: 'OPENAI_API_KEY', value: 'sk-openai-secret', requestId: 'r1' }, makeCtx())
+      settingsHandlers.delete_credential(makeWs(), client, { type: 'delete_credential', key: 'OPENAI_API_KEY', requestId: 'r2' }, makeCtx())
+      // A rejected write is not a change.
+      settingsHandlers.set_credential(makeWs(), client, { type: 'set_credential', key: 'NOPE', value: 'x', requestId: 'r3' }, makeCtx())
+
+      const entries = journal.query({ type: 'credential_change' })
+      assert.deepEqual(entries.map((e) => [e.key, e.action, e.tokenClass, e.device]), [
+        ['OPENAI_API_KEY', 'set', 'primary', 'laptop'],
+        ['OPENAI_API_KEY', 'delete', 'primary', 'laptop'],
+      ])
+      assert.equal(JSON.stringify(entries).includes('sk-openai-secret'), false)
+    })
+  })
+
   describe('test_credential', () => {
     it('returns a credential_test_result keyed by the credential', async () => {
       // No credential set + no fetch override → resolves to "not configured".
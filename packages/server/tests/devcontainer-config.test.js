@@ -9,6 +9,9 @@ import {
   validateMounts,
   sanitizeContainerEnv,
   extractMountSource,
+  substituteVariables,
+  validateRunArgs,
+  validateCapAdd,
 } from '../src/devcontainer-config.js'
 
 let tmpDir
@@ -69,8 +72,8 @@ describe('parseDevContainer()', () => {
       forwardPorts: [3000, '8080:80'],
       mounts: ['source=/proj,target=/workspace,type=bind'],
       containerEnv: { LANG: 'en_US.UTF-8' },
-      runArgs: ['--rm'],
-      features: { 'ghcr.io/devcontainers/features/python': {} },
+      hostRequirements: { cpus: 4 },
+      shutdownAction: 'none',
     }))
     const config = parseDevContainer(tmpDir, { logger: captureLogger })
     assert.equal(config.image, 'node:20')
@@ -79,11 +82,83 @@ describe('parseDevContainer()', () => {
     assert.deepEqual(config.forwardPorts, [3000, '8080:80'])
     assert.deepEqual(config.mounts, ['source=/proj,target=/workspace,type=bind'])
     assert.deepEqual(config.containerEnv, { LANG: 'en_US.UTF-8' })
-    assert.equal(config.runArgs, undefined)
-    assert.equal(config.features, undefined)
+    assert.equal(config.hostRequirements, undefined)
+    assert.equal(config.shutdownAction, undefined)
     assert.equal(warnings.filter(m => m.includes('unsupported field')).length, 2)
   })
 
+  it('keeps runArgs, capAdd and features', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      image: 'node:20',
+      runArgs: ['--init', 42],
+      capAdd: ['SYS_PTRACE'],
+      features: {
+        'ghcr.io/devcontainers/features/python:1': { version: '3.12' },
+        'ghcr.io/devcontainers/features/git:1': 'latest',
+        './local-feature': true,
+        'ghcr.io/bad/feature:1': 7,
+      },
+    }))
+    const config = parseDevContainer(tmpDir, { logger: captureLogger })
+    assert.deepEqual(config.runArgs, ['--init'])
+    assert.deepEqual(config.capAdd, ['SYS_PTRACE'])
+    assert.deepEqual(config.features, {
+      'ghcr.io/devcontainers/features/python:1': { version: '3.12' },
+      'ghcr.io/devcontainers/features/git:1': { version: 'latest' },
+      './local-feature': {},
+    })
+    assert.ok(warnings.some(m => m.includes('ghcr.io/bad/feature:1')))
+  })
+
+  it('normalises every lifecycle command form to a shell string', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      image: 'node:20',
+      initializeCommand: '  ./scripts/gen-env.sh  ',
+      onCreateCommand: ['echo', "it's here"],
+      postStartCommand: { server: 'npm run db', watch: ['npm', 'run', 'watch'] },
+      postAttachCommand: 42,
+    }))
+    const config = parseDevContainer(tmpDir, { logger: captureLogger })
+    assert.equal(config.initializeCommand, './scripts/gen-env.sh')
+    assert.equal(config.onCreateCommand, `'echo' 'it'\\''s here'`)
+    assert.equal(config.postStartCommand, `npm run db && 'npm' 'run' 'watch'`)
+    assert.equal(config.postAttachCommand, undefined)
+    assert.ok(warnings.some(m => m.includes('postAttachCommand')))
+  })
+
+  it('substitutes ${localEnv:...} and workspace variables before parsing', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      image: '${localEnv:BASE_IMAGE:node:20}',
+      containerEnv: {
+        TOKEN: '${localEnv:MY_TOKEN}',
+        MISSING: 'x${localEnv:NOT_SET}y',
+        WS: '${containerWorkspaceFolder}',
+        OTHER: '${devcontainerId}',
+      },
+      mounts: ['source=${localWorkspaceFolder}/cache,target=/cache,type=bind'],
+    }))
+    const config = parseDevContainer(tmpDir, { logger: captureLogger, env: { MY_TOKEN: 'abc' } })
+    assert.equal(config.image, 'node:20')
+    assert.deepEqual(config.containerEnv, { TOKEN: 'abc', MISSING: 'xy', WS: '/workspace', OTHER: '${devcontainerId}' })
+    assert.deepEqual(config.mounts, [`source=${tmpDir}/cache,target=/cache,type=bind`])
+  })
+
+  it('never resolves ${localEnv:...} to a daemon secret', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      containerEnv: { STOLEN: '${localEnv:API_TOKEN}', FALLBACK: '${localEnv:API_TOKEN:none}', OK: '${localEnv:MY_TOKEN}' },
+      postCreateCommand: 'echo ${localEnv:API_TOKEN}',
+    }))
+    const env = { API_TOKEN: 'primary-secret', MY_TOKEN: 'abc' }
+    const config = parseDevContainer(tmpDir, { logger: captureLogger, env })
+    assert.deepEqual(config.containerEnv, { STOLEN: '', FALLBACK: 'none', OK: 'abc' })
+    assert.ok(!JSON.stringify(config).includes('primary-secret'))
+    assert.equal(env.API_TOKEN, 'primary-secret', 'the caller\'s env is left alone')
+  })
+
   it('drops empty-string fields and non-array mounts/forwardPorts', () => {
     mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
     writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
@@ -206,6 +281,36 @@ describe('parseDevContainer()', () => {
     const config = parseDevContainer(tmpDir, { logger: captureLogger })
     assert.equal(config.dockerComposeFile, undefined)
   })
+
+  it('reads customizations.chroxy.egress as a normalized policy', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      image: 'node:22',
+      customizations: { chroxy: { egress: { policy: 'allowlist', domains: ['GitHub.com'] } }, vscode: {} },
+    }))
+    const config = parseDevContainer(tmpDir, { logger: captureLogger })
+    assert.deepEqual(config.egress, { policy: 'allowlist', domains: ['github.com'] })
+    assert.ok(!warnings.some(m => m.includes('customizations')))
+  })
+
+  it('fails an invalid egress policy closed to none', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      customizations: { chroxy: { egress: { policy: 'allowlist', domains: ['10.0.0.1'] } } },
+    }))
+    const config = parseDevContainer(tmpDir, { logger: captureLogger })
+    assert.deepEqual(config.egress, { policy: 'none', domains: [] })
+    assert.ok(warnings.some(m => m.includes('egress')))
+  })
+
+  it('leaves egress unset when the file has no chroxy customization', () => {
+    mkdirSync(join(tmpDir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(tmpDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      customizations: { vscode: { extensions: [] } },
+    }))
+    const config = parseDevContainer(tmpDir, { logger: captureLogger })
+    assert.equal(config.egress, undefined)
+  })
 })
 
 describe('validateMounts()', () => {
@@ -335,3 +440,58 @@ describe('sanitizeContainerEnv()', () => {
     assert.deepEqual({ ...result }, { VALID_KEY: 'yes' })
   })
 })
+
+describe('substituteVariables()', () => {
+  it('leaves object keys untouched and recurses into arrays', () => {
+    const out = substituteVariables(
+      { '${localEnv:K}': ['${localEnv:K}', 1, true, null] },
+      { localEnv: { K: 'v' }, localWorkspaceFolder: '/proj/app' },
+    )
+    assert.deepEqual(out, { '${localEnv:K}': ['v', 1, true, null] })
+  })
+
+  it('resolves the workspace basename variables', () => {
+    const opts = { localEnv: {}, localWorkspaceFolder: '/proj/app' }
+    assert.equal(substituteVariables('${localWorkspaceFolderBasename}', opts), 'app')
+    assert.equal(substituteVariables('${containerWorkspaceFolderBasename}', opts), 'workspace')
+  })
+})
+
+describe('validateRunArgs()', () => {
+  it('returns undefined for null/empty input', () => {
+    assert.equal(validateRunArgs(undefined), undefined)
+    assert.equal(validateRunArgs([]), undefined)
+  })
+
+  it('keeps allowlisted flags with their values in both forms', () => {
+    assert.deepEqual(
+      validateRunArgs(['--init', '--shm-size=1g', '--add-host', 'db:10.0.0.5', '-e', 'FOO=bar', '--cap-add=sys_ptrace']),
+      ['--init', '--shm-size', '1g', '--add-host', 'db:10.0.0.5', '-e', 'FOO=bar', '--cap-add', 'SYS_PTRACE'],
+    )
+  })
+
+  it('drops flags that would widen the sandbox, along with their values', () => {
+    const out = validateRunArgs(
+      ['--privileged', '--network', 'host', '-v', '/:/host', '--volume=/etc:/etc', '--init'],
+      { logger: captureLogger },
+    )
+    assert.deepEqual(out, ['--init'])
+    assert.equal(warnings.filter(m => m.includes('runArgs')).length, 4)
+  })
+
+  it('drops a disallowed --cap-add and an --env without KEY=VALUE', () => {
+    const out = validateRunArgs(['--cap-add', 'SYS_ADMIN', '--env', 'NOPE', '--init'], { logger: captureLogger })
+    assert.deepEqual(out, ['--init'])
+  })
+})
+
+describe('validateCapAdd()', () => {
+  it('normalises case and the CAP_ prefix and de-duplicates', () => {
+    assert.deepEqual(validateCapAdd(['sys_ptrace', 'CAP_SYS_PTRACE', 'NET_RAW']), ['SYS_PTRACE', 'NET_RAW'])
+  })
+
+  it('drops capabilities outside the allowlist', () => {
+    assert.equal(validateCapAdd(['SYS_ADMIN', 'ALL', 'NET_ADMIN'], { logger: captureLogger }), undefined)
+    assert.equal(warnings.length, 3)
+  })
+})
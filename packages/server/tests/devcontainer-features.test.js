@@ -0,0 +1,258 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHash } from 'node:crypto'
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+  resolveFeatures,
+  featureImageTag,
+  buildFeatureImage,
+  DevcontainerFeatureError,
+} from '../src/devcontainer-features.js'
+
+let tmpDir
+let cacheDir
+let projectDir
+let warnings
+
+const captureLogger = {
+  info: () => {},
+  warn: (m) => warnings.push(m),
+  error: () => {},
+}
+
+beforeEach(() => {
+  tmpDir = mkdtempSync(join(tmpdir(), 'chroxy-dc-features-'))
+  cacheDir = join(tmpDir, 'cache')
+  projectDir = join(tmpDir, 'project')
+  mkdirSync(join(projectDir, '.devcontainer'), { recursive: true })
+  warnings = []
+})
+
+afterEach(() => {
+  rmSync(tmpDir, { recursive: true, force: true })
+})
+
+/** Minimal ustar archive of regular files — the feature layer format. */
+function tar(files) {
+  const blocks = []
+  for (const [name, content] of Object.entries(files)) {
+    const body = Buffer.from(content)
+    const header = Buffer.alloc(512)
+    header.write(name, 0)
+    header.write('0000644\0', 100)
+    header.write('0000000\0', 108)
+    header.write('0000000\0', 116)
+    header.write(body.length.toString(8).padStart(11, '0') + '\0', 124)
+    header.write('00000000000\0', 136)
+    header.write('0', 156)
+    header.write('ustar\0', 257)
+    header.write('00', 263)
+    header.fill(' ', 148, 156)
+    let sum = 0
+    for (const b of header) sum += b
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148)
+    blocks.push(header, body, Buffer.alloc((512 - (body.length % 512)) % 512))
+  }
+  blocks.push(Buffer.alloc(1024))
+  return Buffer.concat(blocks)
+}
+
+function writeBlob(layout, data) {
+  const hex = createHash('sha256').update(data).digest('hex')
+  mkdirSync(join(layout, 'blobs', 'sha256'), { recursive: true })
+  writeFileSync(join(layout, 'blobs', 'sha256', hex), data)
+  return `sha256:${hex}`
+}
+
+/** Lay a feature out in the cache the way `oras copy --to-oci-layout` does. */
+function cacheFeature(repository, tag, metadata) {
+  const layout = join(cacheDir, ...repository.split('/'))
+  const layerDigest = writeBlob(layout, tar({
+    './devcontainer-feature.json': JSON.stringify(metadata),
+    './install.sh': '#!/bin/sh\necho installed\n',
+  }))
+  const manifest = Buffer.from(JSON.stringify({
+    schemaVersion: 2,
+    layers: [{ mediaType: 'application/vnd.devcontainers.layer.v1+tar', digest: layerDigest }],
+  }))
+  const manifestDigest = writeBlob(layout, manifest)
+  writeFileSync(join(layout, 'index.json'), JSON.stringify({
+    schemaVersion: 2,
+    manifests: [{ digest: manifestDigest, annotations: { 'org.opencontainers.image.ref.name': tag } }],
+  }))
+  return { layout, layerDigest, manifestDigest }
+}
+
+function localFeature(name, metadata) {
+  const dir = join(projectDir, '.devcontainer', name)
+  mkdirSync(dir, { recursive: true })
+  writeFileSync(join(dir, 'devcontainer-feature.json'), JSON.stringify(metadata))
+  writeFileSync(join(dir, 'install.sh'), '#!/bin/sh\necho local\n')
+  return dir
+}
+
+function resolve(features) {
+  return resolveFeatures(features, {
+    cacheDir,
+    devcontainerDir: join(projectDir, '.devcontainer'),
+    cwd: projectDir,
+    logger: captureLogger,
+  })
+}
+
+describe('resolveFeatures()', () => {
+  it('resolves an OCI feature from the local layout cache by tag', () => {
+    const { layerDigest } = cacheFeature('ghcr.io/devcontainers/features/python', '1', {
+      id: 'python',
+      options: { version: { type: 'string', default: 'os-provided' }, installTools: { type: 'boolean', default: true } },
+    })
+    const [feature] = resolve({ 'ghcr.io/devcontainers/features/python:1': { version: '3.12' } })
+    assert.equal(feature.id, 'ghcr.io/devcontainers/features/python')
+    assert.equal(feature.digest, layerDigest)
+    assert.equal(feature.source.kind, 'oci')
+    assert.equal(feature.metadata.id, 'python')
+    assert.deepEqual(feature.env, { VERSION: '3.12', INSTALLTOOLS: 'true' })
+  })
+
+  it('resolves a pinned digest', () => {
+    const { manifestDigest } = cacheFeature('ghcr.io/devcontainers/features/git', '1', { id: 'git' })
+    const [feature] = resolve({ [`ghcr.io/devcontainers/features/git@${manifestDigest}`]: {} })
+    assert.equal(feature.metadata.id, 'git')
+  })
+
+  it('names the oras command when a feature is not cached', () => {
+    assert.throws(
+      () => resolve({ 'ghcr.io/devcontainers/features/node:1': {} }),
+      (err) => err instanceof DevcontainerFeatureError
+        && err.code === 'devcontainer_feature_failed'
+        && err.message.includes('oras copy ghcr.io/devcontainers/features/node:1 --to-oci-layout'),
+    )
+  })
+
+  it('refuses a blob that does not match its digest', () => {
+    const { layout, layerDigest } = cacheFeature('ghcr.io/devcontainers/features/git', '1', { id: 'git' })
+    writeFileSync(join(layout, 'blobs', 'sha256', layerDigest.slice(7)), 'tampered')
+    assert.throws(() => resolve({ 'ghcr.io/devcontainers/features/git:1': {} }), /does not match its digest/)
+  })
+
+  it('resolves a local feature relative to the devcontainer.json dir', () => {
+    localFeature('my-tool', { id: 'my-tool', options: { flavour: { default: 'plain' } } })
+    const [feature] = resolve({ './my-tool': { flavour: 'spicy' } })
+    assert.equal(feature.source.kind, 'local')
+    assert.deepEqual(feature.env, { FLAVOUR: 'spicy' })
+    assert.match(feature.digest, /^sha256:[a-f0-9]{64}$/)
+  })
+
+  it('refuses a local feature outside the project dir', () => {
+    assert.throws(() => resolve({ '../../../outside': {} }), /outside the project dir/)
+  })
+
+  it('orders by dependsOn and installsAfter, otherwise by declaration', () => {
+    cacheFeature('ghcr.io/devcontainers/features/common-utils', '2', { id: 'common-utils' })
+    cacheFeature('ghcr.io/devcontainers/features/node', '1', {
+      id: 'node',
+      installsAfter: ['ghcr.io/devcontainers/features/common-utils'],
+    })
+    localFeature('app', { id: 'app', dependsOn: { 'ghcr.io/devcontainers/features/node:1': {} } })
+    const order = resolve({
+      './app': {},
+      'ghcr.io/devcontainers/features/node:1': {},
+      'ghcr.io/devcontainers/features/common-utils:2': {},
+    }).map(f => f.ref)
+    assert.deepEqual(order, [
+      'ghcr.io/devcontainers/features/common-utils:2',
+      'ghcr.io/devcontainers/features/node:1',
+      './app',
+    ])
+  })
+
+  it('requires a dependsOn feature to be declared', () => {
+    localFeature('app', { id: 'app', dependsOn: { 'ghcr.io/devcontainers/features/node:1': {} } })
+    assert.throws(() => resolve({ './app': {} }), /add it to features/)
+  })
+
+  it('rejects a dependency cycle', () => {
+    localFeature('a', { id: 'a', dependsOn: { './b': {} } })
+    localFeature('b', { id: 'b', dependsOn: { './a': {} } })
+    assert.throws(() => resolve({ './a': {}, './b': {} }), /dependency cycle/)
+  })
+
+  it('warns on feature fields it cannot honour', () => {
+    localFeature('priv', { id: 'priv', privileged: true, mounts: [] })
+    resolve({ './priv': {} })
+    assert.equal(warnings.length, 2)
+  })
+})
+
+describe('featureImageTag()', () => {
+  it('is stable for the same inputs and changes with options or base image', () => {
+    localFeature('my-tool', { id: 'my-tool' })
+    const a = resolve({ './my-tool': { x: '1' } })
+    const b = resolve({ './my-tool': { x: '2' } })
+    assert.match(featureImageTag('node:20', a), /^chroxy-features:[a-f0-9]{16}$/)
+    assert.equal(featureImageTag('node:20', a), featureImageTag('node:20', resolve({ './my-tool': { x: '1' } })))
+    assert.notEqual(featureImageTag('node:20', a), featureImageTag('node:20', b))
+    assert.notEqual(featureImageTag('node:20', a), featureImageTag('node:22', a))
+  })
+})
+
+describe('buildFeatureImage()', () => {
+  function mockExecFile({ imageExists = false, buildError = null } = {}) {
+    const calls = []
+    const execFile = (cmd, args, _opts, cb) => {
+      calls.push({ cmd, args })
+      if (args[0] === 'image') {
+        cb(imageExists ? null : new Error('No such image'), '', '')
+        return
+      }
+      // Capture the Dockerfile before buildFeatureImage removes the context.
+      calls.at(-1).dockerfile = readFileSync(join(args.at(-1), 'Dockerfile'), 'utf-8')
+      cb(buildError, '', buildError ? 'install.sh: exit 1' : '')
+    }
+    return { execFile, calls }
+  }
+
+  it('builds a derived image with each feature installed in order', async () => {
+    cacheFeature('ghcr.io/devcontainers/features/node', '1', { id: 'node', containerEnv: { NVM_DIR: '/usr/local/nvm', 'BAD KEY': 'x' } })
+    localFeature('my-tool', { id: 'my-tool' })
+    const features = resolve({ 'ghcr.io/devcontainers/features/node:1': {}, './my-tool': {} })
+    const { execFile, calls } = mockExecFile()
+    const tag = await buildFeatureImage({ baseImage: 'node:20', features, execFile, logger: captureLogger })
+
+    assert.equal(tag, featureImageTag('node:20', features))
+    const build = calls.find(c => c.args[0] === 'build')
+    assert.deepEqual(build.args.slice(0, 3), ['build', '-t', tag])
+    assert.match(build.dockerfile, /^FROM node:20\nUSER root\n/)
+    assert.ok(build.dockerfile.indexOf('ADD feature-0.tar') < build.dockerfile.indexOf('COPY feature-1/'))
+    assert.match(build.dockerfile, /ENV NVM_DIR="\/usr\/local\/nvm"/)
+    assert.ok(warnings.some(m => m.includes('BAD KEY')))
+  })
+
+  it('reuses an existing image without building', async () => {
+    localFeature('my-tool', { id: 'my-tool' })
+    const features = resolve({ './my-tool': {} })
+    const { execFile, calls } = mockExecFile({ imageExists: true })
+    await buildFeatureImage({ baseImage: 'node:20', features, execFile })
+    assert.equal(calls.filter(c => c.args[0] === 'build').length, 0)
+  })
+
+  it('surfaces a failed build with the stderr tail', async () => {
+    localFeature('my-tool', { id: 'my-tool' })
+    const features = resolve({ './my-tool': {} })
+    const { execFile } = mockExecFile({ buildError: new Error('exit 1') })
+    await assert.rejects(
+      buildFeatureImage({ baseImage: 'node:20', features, execFile }),
+      (err) => err instanceof DevcontainerFeatureError && err.message.includes('install.sh: exit 1'),
+    )
+  })
+
+  it('refuses a base image with whitespace', async () => {
+    await assert.rejects(
+      buildFeatureImage({ baseImage: 'node:20\nRUN evil', features: [], execFile: () => {} }),
+      DevcontainerFeatureError,
+    )
+  })
+})
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { parseDiff } from '../src/diff-parser.js'
+import { parseDiff, parseConflictMarkers, applyConflictResolutions } from '../src/diff-parser.js'
 
 describe('parseDiff', () => {
   it('returns empty array for null/undefined/empty input', () => {
@@ -182,3 +182,100 @@ describe('parseDiff', () => {
     assert.deepEqual(parseDiff(false), [])
   })
 })
+
+describe('parseConflictMarkers', () => {
+  const merge = [
+    'top',
+    '<<<<<<< HEAD',
+    'ours 1',
+    'ours 2',
+    '=======',
+    'theirs 1',
+    '>>>>>>> feature',
+    'middle',
+    '<<<<<<< HEAD',
+    '||||||| base',
+    'base line',
+    '=======',
+    'theirs only',
+    '>>>>>>> feature',
+    'bottom',
+    '',
+  ].join('\n')
+
+  it('splits text and conflict regions with labels and line numbers', () => {
+    const parsed = parseConflictMarkers(merge)
+    assert.equal(parsed.conflictCount, 2)
+    assert.equal(parsed.eol, '\n')
+    assert.equal(parsed.finalNewline, true)
+    const conflicts = parsed.segments.filter(s => s.type === 'conflict')
+    assert.deepEqual(conflicts[0].ours, ['ours 1', 'ours 2'])
+    assert.deepEqual(conflicts[0].theirs, ['theirs 1'])
+    assert.equal(conflicts[0].base, null)
+    assert.equal(conflicts[0].oursLabel, 'HEAD')
+    assert.equal(conflicts[0].theirsLabel, 'feature')
+    assert.equal(conflicts[0].startLine, 2)
+    assert.deepEqual(conflicts[1].ours, [])
+    assert.deepEqual(conflicts[1].base, ['base line'])
+    assert.equal(conflicts[1].baseLabel, 'base')
+  })
+
+  it('treats an unterminated region as plain text', () => {
+    const parsed = parseConflictMarkers('a\n<<<<<<< HEAD\nb\n=======\nc\n')
+    assert.equal(parsed.conflictCount, 0)
+    assert.ok(parsed.segments.every(s => s.type === 'text'))
+  })
+
+  it('preserves CRLF line endings', () => {
+    const parsed = parseConflictMarkers('<<<<<<< HEAD\r\na\r\n=======\r\nb\r\n>>>>>>> x\r\n')
+    assert.equal(parsed.eol, '\r\n')
+    const { text } = applyConflictResolutions(parsed, [{ index: 0, choice: 'theirs' }])
+    assert.equal(text, 'b\r\n')
+  })
+})
+
+describe('applyConflictResolutions', () => {
+  const text = [
+    '<<<<<<< HEAD',
+    'ours',
+    '||||||| base',
+    'base',
+    '=======',
+    'theirs',
+    '>>>>>>> feature',
+    'mid',
+    '<<<<<<< HEAD',
+    'ours 2',
+    '=======',
+    'theirs 2',
+    '>>>>>>> feature',
+  ].join('\n')
+
+  it('applies every choice and reports nothing remaining', () => {
+    const parsed = parseConflictMarkers(text)
+    assert.deepEqual(
+      applyConflictResolutions(parsed, [{ index: 0, choice: 'base' }, { index: 1, choice: 'both' }]),
+      { text: 'base\nmid\nours 2\ntheirs 2', remaining: 0 },
+    )
+    assert.equal(
+      applyConflictResolutions(parsed, [{ index: 0, choice: 'custom', lines: ['x', 'y'] }, { index: 1, choice: 'ours' }]).text,
+      'x\ny\nmid\nours 2',
+    )
+  })
+
+  it('writes unresolved regions back verbatim', () => {
+    const parsed = parseConflictMarkers(text)
+    const result = applyConflictResolutions(parsed, [{ index: 0, choice: 'theirs' }])
+    assert.equal(result.remaining, 1)
+    assert.ok(result.text.startsWith('theirs\nmid\n<<<<<<< HEAD\nours 2\n'))
+  })
+
+  it('rejects unknown, duplicate and impossible resolutions', () => {
+    const parsed = parseConflictMarkers(text)
+    assert.throws(() => applyConflictResolutions(parsed, [{ index: 5, choice: 'ours' }]), /Unknown conflict hunk/)
+    assert.throws(() => applyConflictResolutions(parsed, [{ index: 0, choice: 'nope' }]), /Unknown resolution/)
+    assert.throws(() => applyConflictResolutions(parsed, [{ index: 0, choice: 'ours' }, { index: 0, choice: 'theirs' }]), /resolved twice/)
+    assert.throws(() => applyConflictResolutions(parsed, [{ index: 1, choice: 'base' }]), /no base version/)
+    assert.throws(() => applyConflictResolutions(parsed, [{ index: 0, choice: 'custom', lines: ['a\nb'] }]))
+  })
+})
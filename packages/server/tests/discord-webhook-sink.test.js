@@ -1096,7 +1096,7 @@ describe('PushManager integration (#5413 Phase 2)', () => {
     const pm = new PushManager({
       discord: { resolveWebhookUrl: () => ({ url: null, source: 'none' }) },
     })
-    assert.deepEqual(pm._sinks.sinks.map((s) => s.name), ['expo-push', 'discord-webhook', 'discord-billing'])
+    assert.deepEqual(pm._sinks.sinks.map((s) => s.name), ['expo-push', 'discord-webhook', 'discord-billing', 'slack-webhook', 'ntfy', 'gotify'])
     assert.equal(pm.hasConfiguredSinks(), false)
     pm.destroy()
   })
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import { PoolDemandModel, DEFAULT_DEMAND_HALF_LIFE_DAYS } from '../src/docker-byok-pool-demand.js'
+
+/**
+ * Tests for the pool's session-start history. Times are built with the
+ * local-time Date constructor so hour-of-day bucketing holds in any TZ.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).getTime()
+const KEY = 'node:22-slim|/work/app|2g|2|chroxy'
+
+describe('PoolDemandModel', () => {
+  it('buckets session starts by local hour of day', () => {
+    const model = new PoolDemandModel({ statePath: null })
+    model.record(KEY, at(5, 9, 10))
+    model.record(KEY, at(5, 9, 40))
+    model.record(KEY, at(5, 14))
+    const now = at(5, 15)
+    assert.ok(model.expected(KEY, 9, now) > model.expected(KEY, 14, now))
+    assert.ok(model.expected(KEY, 14, now) > 0)
+    assert.equal(model.expected(KEY, 8, now), 0)
+    assert.equal(model.expected('unknown', 9, now), 0)
+  })
+
+  it('converges on the daily rate for a steady habit', () => {
+    const model = new PoolDemandModel({ statePath: null })
+    for (let day = 1; day <= 30; day++) model.record(KEY, at(day, 9))
+    const expected = model.expected(KEY, 9, at(30, 9))
+    assert.ok(Math.abs(expected - 1) < 0.01, `expected ≈ 1/day, got ${expected}`)
+  })
+
+  it('reaches half a session a day after one half-life of a daily habit', () => {
+    const model = new PoolDemandModel({ statePath: null })
+    for (let day = 1; day <= 3; day++) model.record(KEY, at(day, 9))
+    assert.ok(Math.abs(model.expected(KEY, 9, at(3, 9)) - 0.5) < 1e-9)
+    model.record(KEY, at(4, 9))
+    assert.ok(model.expected(KEY, 9, at(4, 9)) > 0.5)
+  })
+
+  it('decays by the half-life when a key goes quiet', () => {
+    const model = new PoolDemandModel({ statePath: null })
+    model.record(KEY, at(1, 9))
+    const fresh = model.expected(KEY, 9, at(1, 9))
+    const later = model.expected(KEY, 9, at(1, 9) + DEFAULT_DEMAND_HALF_LIFE_DAYS * DAY_MS)
+    assert.ok(Math.abs(later - fresh / 2) < 1e-9)
+  })
+
+  it('forecasts the hour containing the given time, highest demand first', () => {
+    const model = new PoolDemandModel({ statePath: null })
+    const other = 'python:3.12|/work/ml|4g|2|chroxy'
+    model.record(KEY, at(5, 9))
+    model.record(other, at(5, 9, 5))
+    model.record(other, at(5, 9, 30))
+    model.record(KEY, at(5, 11))
+    const forecast = model.forecast(at(5, 9, 45))
+    assert.deepEqual(forecast.map((f) => f.key), [other, KEY])
+    assert.ok(forecast.every((f) => f.hour === 9))
+    assert.deepEqual(model.forecast(at(5, 3)), [])
+  })
+
+  it('drops the least recently used key past maxKeys', () => {
+    const model = new PoolDemandModel({ statePath: null, maxKeys: 2 })
+    model.record('a|/a|1g|1|u', at(5, 9))
+    model.record('b|/b|1g|1|u', at(5, 10))
+    model.record('a|/a|1g|1|u', at(5, 11))
+    model.record('c|/c|1g|1|u', at(5, 12))
+    assert.equal(model.size(), 2)
+    assert.equal(model.expected('b|/b|1g|1|u', 10, at(5, 12)), 0)
+    assert.ok(model.expected('a|/a|1g|1|u', 9, at(5, 12)) > 0)
+  })
+
+  describe('persistence', () => {
+    let dir
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'pool-demand-')) })
+    afterEach(() => rmSync(dir, { recursive: true, force: true }))
+
+    it('round-trips history through the state file, mode 0600', () => {
+      const statePath = join(dir, 'demand.json')
+      const model = new PoolDemandModel({ statePath })
+      model.record(KEY, at(5, 9))
+      model.record(KEY, at(6, 9))
+
+      const saved = JSON.parse(readFileSync(statePath, 'utf-8'))
+      assert.equal(saved.version, 1)
+      assert.equal(saved.keys[0].key, KEY)
+      assert.equal(saved.keys[0].hours.length, 24)
+      if (process.platform !== 'win32') assert.equal(statSync(statePath).mode & 0o777, 0o600)
+
+      const reloaded = new PoolDemandModel({ statePath })
+      assert.equal(reloaded.expected(KEY, 9, at(6, 10)), model.expected(KEY, 9, at(6, 10)))
+    })
+
+    it('starts empty on a corrupt or foreign state file and skips bad entries', () => {
+      const statePath = join(dir, 'demand.json')
+      writeFileSync(statePath, '{not json')
+      assert.equal(new PoolDemandModel({ statePath }).size(), 0)
+
+      writeFileSync(statePath, JSON.stringify({
+        version: 1,
+        keys: [
+          { key: KEY, hours: new Array(24).fill(1), updatedAt: at(5, 9) },
+          { key: 'short', hours: [1, 2], updatedAt: at(5, 9) },
+          { key: 'neg', hours: new Array(24).fill(-1), updatedAt: at(5, 9) },
+        ],
+      }))
+      assert.equal(new PoolDemandModel({ statePath }).size(), 1)
+    })
+  })
+})
@@ -162,6 +162,52 @@ describe('PoolStatsAggregator', () => {
     })
   })
 
+  describe('prewarm', () => {
+    it('counts prewarms, prewarmed hits, waste and failed launches', () => {
+      const pool = makeFakePool()
+      const agg = new PoolStatsAggregator().attach(pool)
+      pool.emit(POOL_EVENTS.PREWARMED, { key: 'k', containerId: 'a' })
+      pool.emit(POOL_EVENTS.PREWARMED, { key: 'k', containerId: 'b' })
+      pool.emit(POOL_EVENTS.PREWARMED, { key: 'k', containerId: 'c' })
+      pool.emit(POOL_EVENTS.PREWARM_FAILED, { key: 'k', error: 'boom' })
+      pool.emit(POOL_EVENTS.HIT, { key: 'k', containerId: 'a', prewarmed: true })
+      pool.emit(POOL_EVENTS.HIT, { key: 'k', containerId: 'r' })
+      pool.emit(POOL_EVENTS.EVICTED, { key: 'k', containerId: 'b', reason: 'idle', prewarmed: true })
+      pool.emit(POOL_EVENTS.EVICTED, { key: 'k', containerId: 'x', reason: 'idle' })
+      const snap = agg.snapshot()
+      assert.equal(snap.prewarms, 3)
+      assert.equal(snap.prewarmHits, 1)
+      assert.equal(snap.prewarmWaste, 1)
+      assert.equal(snap.prewarmFailures, 1)
+      assert.equal(snap.hits, 2)
+      assert.equal(snap.evictionsByReason.idle, 2)
+    })
+
+    it('computes waste / (prewarmed hits + waste), 0 before any outcome', () => {
+      const pool = makeFakePool()
+      const agg = new PoolStatsAggregator().attach(pool)
+      assert.equal(agg.prewarmWasteRate(), 0)
+      pool.emit(POOL_EVENTS.HIT, { prewarmed: true })
+      pool.emit(POOL_EVENTS.EVICTED, { reason: 'idle', prewarmed: true })
+      pool.emit(POOL_EVENTS.EVICTED, { reason: 'pressure', prewarmed: true })
+      pool.emit(POOL_EVENTS.EVICTED, { reason: 'idle', prewarmed: true })
+      assert.equal(agg.snapshot().prewarmWasteRate, 0.75)
+    })
+
+    it('reads resources and the forecast live from the pool', () => {
+      const pool = makeFakePool()
+      pool.resources = () => ({ memoryBytes: 1024, cpus: 1, maxMemoryBytes: null, maxCpus: 4 })
+      pool.forecast = () => [{ key: 'k', image: 'img', hour: 9, expected: 1.2, parked: 1, prewarmable: true }]
+      const snap = new PoolStatsAggregator().attach(pool).snapshot()
+      assert.equal(snap.resources.maxCpus, 4)
+      assert.equal(snap.forecast[0].expected, 1.2)
+
+      const bare = new PoolStatsAggregator().attach(makeFakePool()).snapshot()
+      assert.equal(bare.resources, null)
+      assert.deepEqual(bare.forecast, [])
+    })
+  })
+
   describe('snapshot', () => {
     it('reads per-key buckets live from pool.inspect()', () => {
       const buckets = [
@@ -11,7 +11,13 @@ import {
   DEFAULT_MAX_PER_KEY,
   DEFAULT_MAX_TOTAL,
   DEFAULT_MAX_AGE_MS,
+  POOL_EVENTS,
+  parsePoolKey,
+  parseMemoryLimit,
+  parseCpuLimit,
+  isPrewarmEnabled,
 } from '../src/docker-byok-pool.js'
+import { PoolDemandModel } from '../src/docker-byok-pool-demand.js'
 
 /**
  * Tests for the docker-byok idle container pool (#5022).
@@ -1222,3 +1228,288 @@ describe('DockerContainerPool — mutating actions (#6135 slice 2)', () => {
     })
   })
 })
+
+describe('parsePoolKey() / parseMemoryLimit() / parseCpuLimit()', () => {
+  it('splits a five-segment key back into its spec', () => {
+    assert.deepEqual(parsePoolKey('node:22-slim|/host/cwd|2g|2|chroxy'), {
+      image: 'node:22-slim',
+      cwd: '/host/cwd',
+      memoryLimit: '2g',
+      cpuLimit: '2',
+      containerUser: 'chroxy',
+      devcontainerFingerprint: null,
+    })
+  })
+
+  it('keeps the devcontainer fingerprint of a six-segment key', () => {
+    assert.equal(parsePoolKey('img|/w|1g|1|u|abc123').devcontainerFingerprint, 'abc123')
+  })
+
+  it('returns null for anything else', () => {
+    assert.equal(parsePoolKey('a|b|c'), null)
+    assert.equal(parsePoolKey('a||1g|1|u'), null)
+    assert.equal(parsePoolKey(null), null)
+  })
+
+  it('parses docker memory and cpu limits', () => {
+    assert.equal(parseMemoryLimit('2g'), 2 * 1024 ** 3)
+    assert.equal(parseMemoryLimit('512M'), 512 * 1024 ** 2)
+    assert.equal(parseMemoryLimit('1024'), 1024)
+    assert.equal(parseMemoryLimit('lots'), null)
+    assert.equal(parseCpuLimit('1.5'), 1.5)
+    assert.equal(parseCpuLimit('0'), null)
+    assert.equal(parseCpuLimit('x'), null)
+  })
+})
+
+describe('isPrewarmEnabled()', () => {
+  it('needs both the pool and the prewarm flag', () => {
+    assert.equal(isPrewarmEnabled({}), false)
+    assert.equal(isPrewarmEnabled({ CHROXY_DOCKER_BYOK_POOL_PREWARM: '1' }), false)
+    assert.equal(isPrewarmEnabled({ CHROXY_DOCKER_BYOK_POOL: '1', CHROXY_DOCKER_BYOK_POOL_PREWARM: 'true' }), true)
+    assert.equal(isPrewarmEnabled({ CHROXY_DOCKER_BYOK_POOL: '1', CHROXY_DOCKER_BYOK_POOL_PREWARM: '0' }), false)
+  })
+})
+
+describe('DockerContainerPool — predictive prewarm and host pressure', () => {
+  const KEY = 'node:22-slim|/host/cwd|1g|1|chroxy'
+  const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).getTime()
+
+  let timers
+  let execFile
+  let now
+  let demand
+  let freeMem
+  let load
+  let launched
+  let seen
+
+  function makePool(opts = {}) {
+    const pool = new DockerContainerPool({
+      maxPerKey: 3,
+      maxTotal: 6,
+      demand,
+      _execFile: execFile,
+      _setTimeout: timers.setT,
+      _clearTimeout: timers.clearT,
+      _now: () => now,
+      _host: { freemem: () => freeMem, totalmem: () => 100, loadavg: () => [load, load, load], cpuCount: () => 4 },
+      ...opts,
+    })
+    for (const name of Object.values(POOL_EVENTS)) {
+      pool.on(name, (payload) => seen.push({ name, payload }))
+    }
+    return pool
+  }
+
+  function launch(spec) {
+    launched.push(spec)
+    return Promise.resolve(`CW${launched.length}`)
+  }
+
+  // A daily 9am habit, `perDay` sessions a day for five days — enough for
+  // one a day to clear the default threshold ahead of the sixth morning.
+  function learnHabit(key = KEY, perDay = 1) {
+    for (let day = 1; day <= 5; day++) {
+      for (let i = 0; i < perDay; i++) demand.record(key, at(day, 9, i))
+    }
+  }
+
+  function rmIds() {
+    return execFile.calls.filter((c) => c.args[0] === 'rm').flatMap((c) => c.args.filter((a) => a.startsWith('C')))
+  }
+
+  beforeEach(() => {
+    timers = timerStubs()
+    execFile = execFileStub()
+    now = at(6, 8, 50)
+    demand = new PoolDemandModel({ statePath: null, _now: () => now })
+    freeMem = 50
+    load = 0
+    launched = []
+    seen = []
+  })
+
+  it('records every acquire as demand, hit or miss', async () => {
+    const pool = makePool()
+    now = at(6, 9)
+    pool.acquire(KEY)
+    await pool.release(KEY, 'C1')
+    pool.acquire(KEY)
+    assert.ok(demand.expected(KEY, 9, now) > 0)
+    assert.equal(demand.expected(KEY, 10, now), 0)
+  })
+
+  it('prewarms ahead of the hour a key is expected in', async () => {
+    learnHabit(KEY, 2)
+    const pool = makePool()
+    pool._launch = launch
+
+    const result = await pool.autoscale()
+    assert.equal(result.prewarmed, 2)
+    assert.equal(pool.sizeOf(KEY), 2)
+    assert.deepEqual(launched[0], parsePoolKey(KEY))
+    assert.deepEqual(pool.inspect().map((b) => b.prewarmed), [2])
+    assert.equal(seen.filter((e) => e.name === POOL_EVENTS.PREWARMED).length, 2)
+
+    // Already topped up: the next tick launches nothing.
+    assert.equal((await pool.autoscale()).prewarmed, 0)
+  })
+
+  it('does not prewarm below the threshold, far from the hour, or without a launcher', async () => {
+    demand.record(KEY, at(5, 9))
+    const pool = makePool()
+    pool._launch = launch
+    assert.equal((await pool.autoscale()).prewarmed, 0, 'one session is below the threshold')
+
+    learnHabit()
+    now = at(6, 6)
+    assert.equal((await pool.autoscale()).prewarmed, 0, 'too early for the 9am forecast')
+
+    now = at(6, 8, 50)
+    pool._launch = null
+    assert.equal((await pool.autoscale()).prewarmed, 0)
+    assert.equal(launched.length, 0)
+  })
+
+  it('never prewarms a devcontainer key', async () => {
+    const devKey = `${KEY}|fingerprint`
+    learnHabit(devKey)
+    const pool = makePool()
+    pool._launch = launch
+    assert.equal((await pool.autoscale()).prewarmed, 0)
+    assert.deepEqual(pool.forecast().map((f) => [f.key, f.prewarmable]), [[devKey, false]])
+  })
+
+  it('marks a hit on a prewarmed container', async () => {
+    learnHabit()
+    const pool = makePool()
+    pool._launch = launch
+    await pool.autoscale()
+
+    assert.equal(pool.acquire(KEY), 'CW1')
+    const hit = seen.find((e) => e.name === POOL_EVENTS.HIT)
+    assert.equal(hit.payload.prewarmed, true)
+  })
+
+  it('flags an unused prewarmed container that idles out as prewarmed', async () => {
+    learnHabit()
+    const pool = makePool()
+    pool._launch = launch
+    await pool.autoscale()
+
+    timers.runTimer(timers.pending()[0])
+    const evicted = seen.find((e) => e.name === POOL_EVENTS.EVICTED)
+    assert.equal(evicted.payload.reason, 'idle')
+    assert.equal(evicted.payload.prewarmed, true)
+    assert.equal(pool.size(), 0)
+  })
+
+  it('re-arms the idle timer of prewarmed containers still in demand', async () => {
+    learnHabit()
+    const pool = makePool()
+    pool._launch = launch
+    await pool.autoscale()
+    const [first] = timers.pending()
+
+    await pool.autoscale()
+    assert.throws(() => timers.runTimer(first), /cleared/)
+    assert.equal(timers.pending().length, 1)
+  })
+
+  it('reports a failed launch and leaves nothing reserved', async () => {
+    learnHabit()
+    const pool = makePool()
+    pool._launch = () => Promise.reject(new Error('pull access denied'))
+
+    assert.equal((await pool.autoscale()).prewarmed, 0)
+    const failed = seen.find((e) => e.name === POOL_EVENTS.PREWARM_FAILED)
+    assert.deepEqual([failed.payload.key, failed.payload.error], [KEY, 'pull access denied'])
+    assert.equal(pool.resources().memoryBytes, 0)
+  })
+
+  it('evicts a container that finishes launching after shutdown', async () => {
+    learnHabit()
+    const pool = makePool()
+    let finish
+    pool._launch = () => new Promise((resolve) => { finish = resolve })
+
+    const tick = pool.autoscale()
+    await new Promise((resolve) => setImmediate(resolve))
+    await pool.shutdown()
+    finish('CLATE')
+    await tick
+
+    assert.equal(pool.size(), 0)
+    assert.ok(rmIds().includes('CLATE'))
+    const evicted = seen.find((e) => e.name === POOL_EVENTS.EVICTED)
+    assert.deepEqual([evicted.payload.reason, evicted.payload.prewarmed], ['shutdown', true])
+  })
+
+  it('reports reserved resources against the ceiling', async () => {
+    const pool = makePool({ maxMemoryBytes: 4 * 1024 ** 3 })
+    await pool.release(KEY, 'C1')
+    assert.deepEqual(pool.resources(), { memoryBytes: 1024 ** 3, cpus: 1, maxMemoryBytes: 4 * 1024 ** 3, maxCpus: null })
+  })
+
+  it('evicts a release that would cross the memory/CPU ceiling', async () => {
+    const pool = makePool({ maxCpus: 2 })
+    assert.equal(await pool.release(KEY, 'C1'), true)
+    assert.equal(await pool.release(KEY, 'C2'), true)
+    assert.equal(await pool.release(KEY, 'C3'), false)
+    assert.equal(seen.find((e) => e.name === POOL_EVENTS.EVICTED).payload.reason, 'over_ceiling')
+    assert.deepEqual(rmIds(), ['C3'])
+  })
+
+  it('stops prewarming at the ceiling', async () => {
+    learnHabit(KEY, 4)
+    const pool = makePool({ maxMemoryBytes: 2 * 1024 ** 3 })
+    pool._launch = launch
+    assert.equal((await pool.autoscale()).prewarmed, 2)
+    assert.equal(launched.length, 2)
+  })
+
+  it('evicts every parked container under host memory pressure', async () => {
+    const pool = makePool({ minFreeMemoryRatio: 0.1 })
+    await pool.release(KEY, 'C1')
+    await pool.release('other|/w|1g|1|u', 'C2')
+    assert.equal(pool.hostPressure(), null)
+
+    freeMem = 5
+    const result = await pool.autoscale()
+    assert.deepEqual(result, { pressure: 'memory', evicted: 2, prewarmed: 0 })
+    assert.equal(pool.size(), 0)
+    assert.deepEqual(rmIds().sort(), ['C1', 'C2'])
+    assert.ok(seen.filter((e) => e.name === POOL_EVENTS.EVICTED).every((e) => e.payload.reason === 'pressure'))
+  })
+
+  it('refuses releases and prewarms while the host is loaded', async () => {
+    learnHabit()
+    load = 10
+    const pool = makePool({ maxLoadPerCpu: 1.5 })
+    pool._launch = launch
+
+    assert.equal(pool.hostPressure().reason, 'load')
+    assert.equal(await pool.release(KEY, 'C1'), false)
+    assert.equal(seen.find((e) => e.name === POOL_EVENTS.EVICTED).payload.reason, 'pressure')
+    assert.equal((await pool.autoscale()).prewarmed, 0)
+    assert.equal(launched.length, 0)
+  })
+
+  it('starts and stops the autoscaler tick', async () => {
+    const intervals = []
+    const cleared = []
+    const pool = makePool({
+      autoscaleIntervalMs: 1234,
+      _setInterval: (cb, ms) => { intervals.push({ cb, ms }); return intervals.length },
+      _clearInterval: (id) => cleared.push(id),
+    })
+    pool.startAutoscaler({ launch })
+    pool.startAutoscaler({ launch })
+    assert.equal(intervals.length, 1, 'idempotent')
+    assert.equal(intervals[0].ms, 1234)
+
+    await pool.shutdown()
+    assert.deepEqual(cleared, [1])
+  })
+})
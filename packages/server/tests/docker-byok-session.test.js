@@ -5,7 +5,7 @@ import { tmpdir } from 'node:os'
 import { join } from 'node:path'
 import { EventEmitter } from 'node:events'
 
-import { DockerByokSession, remapToContainerPath, CONTAINER_WORKSPACE } from '../src/docker-byok-session.js'
+import { DockerByokSession, remapToContainerPath, CONTAINER_WORKSPACE, launchPrewarmContainer } from '../src/docker-byok-session.js'
 import { ClaudeByokSession } from '../src/byok-session.js'
 import { registerDockerProvider, getProvider } from '../src/providers.js'
 
@@ -3047,6 +3047,160 @@ describe('DockerByokSession — devcontainer.json overlay (#5024)', () => {
   })
 })
 
+describe('DockerByokSession — devcontainer features, hooks, runArgs and capAdd', () => {
+  function makeDevcontainerCwd(content) {
+    const dir = mkdtempSync(join(tmpdir(), 'chroxy-dc-test-'))
+    mkdirSync(join(dir, '.devcontainer'), { recursive: true })
+    writeFileSync(join(dir, '.devcontainer', 'devcontainer.json'), JSON.stringify(content))
+    return dir
+  }
+
+  function stubs() {
+    return execFileStub({
+      info: { stdout: 'ok' },
+      run: { stdout: 'CONTAINER_dc_hooks\n' },
+      exec: { stdout: '' },
+      rm: { stdout: '' },
+    })
+  }
+
+  async function startSession(cwd, _execFile, extra = {}) {
+    const session = new DockerByokSession({
+      cwd,
+      useDevcontainer: true,
+      _execFile,
+      _dockerBackend: backendStub(),
+      ...extra,
+    })
+    session._client = { messages: { stream: () => ({ async *[Symbol.asyncIterator]() {} }) } }
+    await session.start()
+    return session
+  }
+
+  it('forwards allowlisted runArgs and capAdd to docker run', async () => {
+    const cwd = makeDevcontainerCwd({
+      image: 'node:22-slim',
+      runArgs: ['--init', '--privileged', '--shm-size=1g'],
+      capAdd: ['SYS_PTRACE', 'SYS_ADMIN'],
+    })
+    try {
+      const _execFile = stubs()
+      const session = await startSession(cwd, _execFile)
+      const runArgs = _execFile.calls.find((c) => c.args[0] === 'run').args
+      assert.ok(runArgs.includes('--init'))
+      assert.ok(!runArgs.includes('--privileged'), '--privileged leaked through')
+      assert.equal(runArgs[runArgs.indexOf('--shm-size') + 1], '1g')
+      const caps = runArgs.flatMap((a, i) => (a === '--cap-add' ? [runArgs[i + 1]] : []))
+      assert.deepEqual(caps, ['SYS_PTRACE'])
+      await session.destroy()
+    } finally {
+      rmSync(cwd, { recursive: true, force: true })
+    }
+  })
+
+  it('runs initializeCommand on the host, then the container hooks in spec order', async () => {
+    const cwd = makeDevcontainerCwd({
+      image: 'node:22-slim',
+      initializeCommand: 'touch .env',
+      onCreateCommand: 'echo on-create',
+      postCreateCommand: 'echo post-create',
+      postStartCommand: 'echo post-start',
+      postAttachCommand: 'echo post-attach',
+    })
+    try {
+      const _execFile = stubs()
+      const session = await startSession(cwd, _execFile)
+      const init = _execFile.calls.find((c) => c.cmd === '/bin/sh')
+      assert.ok(init, 'initializeCommand was not run on the host')
+      assert.deepEqual(init.args, ['-c', 'touch .env'])
+      assert.equal(init.opts.cwd, cwd)
+      assert.ok(_execFile.calls.indexOf(init) < _execFile.calls.findIndex((c) => c.args[0] === 'run'))
+
+      const hooks = _execFile.calls
+        .filter((c) => c.args[0] === 'exec' && /^echo /.test(c.args.at(-1)))
+        .map((c) => c.args.at(-1))
+      assert.deepEqual(hooks, ['echo on-create', 'echo post-create', 'echo post-start', 'echo post-attach'])
+      await session.destroy()
+    } finally {
+      rmSync(cwd, { recursive: true, force: true })
+    }
+  })
+
+  it('a failed hook is non-fatal but stops the hooks after it', async () => {
+    const cwd = makeDevcontainerCwd({
+      image: 'node:22-slim',
+      onCreateCommand: 'exit 1',
+      postCreateCommand: 'echo post-create',
+    })
+    try {
+      const calls = []
+      const _execFile = (cmd, args, opts, cb) => {
+        calls.push(args)
+        const failed = args[0] === 'exec' && args.at(-1) === 'exit 1'
+        cb(failed ? new Error('exit 1') : null, args[0] === 'run' ? 'CONTAINER_fail\n' : '', '')
+      }
+      const session = await startSession(cwd, _execFile)
+      assert.ok(calls.some((a) => a.at(-1) === 'exit 1'))
+      assert.ok(!calls.some((a) => a.at(-1) === 'echo post-create'), 'postCreateCommand ran after a failed onCreateCommand')
+      await session.destroy()
+    } finally {
+      rmSync(cwd, { recursive: true, force: true })
+    }
+  })
+
+  it('a failed initializeCommand aborts the start', async () => {
+    const cwd = makeDevcontainerCwd({ image: 'node:22-slim', initializeCommand: 'false' })
+    try {
+      const _execFile = execFileStub({ '-c': { error: 'exit 1', stderr: 'boom' } })
+      const session = new DockerByokSession({
+        cwd,
+        useDevcontainer: true,
+        _execFile,
+        _dockerBackend: backendStub(),
+      })
+      const events = []
+      session.on('error', (e) => events.push(e))
+      await session.start()
+      assert.equal(events[0]?.code, 'initialize_command_failed')
+      assert.match(events[0].message, /boom/)
+      assert.ok(!_execFile.calls.some((c) => c.args[0] === 'run'), 'container started despite initializeCommand failure')
+    } finally {
+      rmSync(cwd, { recursive: true, force: true })
+    }
+  })
+
+  it('layers features into a derived image used for docker run', async () => {
+    const cwd = makeDevcontainerCwd({ image: 'node:22-slim', features: { './tool': {} } })
+    mkdirSync(join(cwd, '.devcontainer', 'tool'))
+    writeFileSync(join(cwd, '.devcontainer', 'tool', 'devcontainer-feature.json'), JSON.stringify({ id: 'tool', capAdd: ['SYS_PTRACE'] }))
+    writeFileSync(join(cwd, '.devcontainer', 'tool', 'install.sh'), '#!/bin/sh\n')
+    try {
+      // `docker image inspect` succeeds, so the derived image is reused.
+      const _execFile = stubs()
+      const session = await startSession(cwd, _execFile)
+      const runArgs = _execFile.calls.find((c) => c.args[0] === 'run').args
+      assert.match(runArgs[runArgs.indexOf('sleep') - 1], /^chroxy-features:[a-f0-9]{16}$/)
+      assert.equal(runArgs[runArgs.indexOf('--cap-add') + 1], 'SYS_PTRACE')
+      await session.destroy()
+    } finally {
+      rmSync(cwd, { recursive: true, force: true })
+    }
+  })
+
+  it('an explicit image skips features', async () => {
+    const cwd = makeDevcontainerCwd({ features: { 'ghcr.io/devcontainers/features/node:1': {} } })
+    try {
+      const _execFile = stubs()
+      const session = await startSession(cwd, _execFile, { image: 'node:22-bookworm' })
+      const runArgs = _execFile.calls.find((c) => c.args[0] === 'run').args
+      assert.equal(runArgs[runArgs.indexOf('sleep') - 1], 'node:22-bookworm')
+      await session.destroy()
+    } finally {
+      rmSync(cwd, { recursive: true, force: true })
+    }
+  })
+})
+
 describe('DockerByokSession — devcontainer fingerprint in pool key (#5080)', () => {
   /**
    * The stale-config hazard fixed by #5080:
@@ -4138,6 +4292,54 @@ afterEach(async () => {
   await new Promise((r) => setImmediate(r))
 })
 
+describe('launchPrewarmContainer()', () => {
+  const spec = { image: 'node:22-slim', cwd: '/host/app', memoryLimit: '2g', cpuLimit: '2', containerUser: 'chroxy' }
+
+  it('runs the session\'s docker run shape idling on sleep, then creates the user', async () => {
+    const execFile = execFileStub({ run: { stdout: 'CPRE0123456789ab\n' } })
+    const id = await launchPrewarmContainer(spec, { execFile, env: { ANTHROPIC_API_KEY: 'sk-test' }, platform: 'linux' })
+    assert.equal(id, 'CPRE0123456789ab')
+
+    const [run, setup] = execFile.calls
+    assert.deepEqual(run.args.slice(0, 4), ['run', '-d', '--init', '--rm'])
+    assert.ok(run.args.includes('--cap-drop'))
+    assert.ok(run.args.includes(`/host/app:${CONTAINER_WORKSPACE}`))
+    assert.ok(run.args.includes('ANTHROPIC_API_KEY=sk-test'))
+    assert.ok(run.args.includes('host.docker.internal:host-gateway'))
+    assert.deepEqual(run.args.slice(-3), ['node:22-slim', 'sleep', 'infinity'])
+    assert.deepEqual(setup.args.slice(0, 2), ['exec', 'CPRE0123456789ab'])
+    assert.match(setup.args.at(-1), /useradd -m -s \/bin\/bash chroxy/)
+  })
+
+  it('leaves out the API key and host alias when not applicable', async () => {
+    const execFile = execFileStub({ run: { stdout: 'CPRE\n' } })
+    await launchPrewarmContainer(spec, { execFile, env: {}, platform: 'darwin' })
+    const run = execFile.calls[0].args
+    assert.ok(!run.includes('--env'))
+    assert.ok(!run.includes('--add-host'))
+  })
+
+  it('removes the container when user setup fails', async () => {
+    const execFile = execFileStub({ run: { stdout: 'CPRE\n' }, exec: { error: 'useradd: failure' } })
+    await assert.rejects(launchPrewarmContainer(spec, { execFile, env: {} }), /Failed to create container user/)
+    assert.deepEqual(execFile.calls.at(-1).args, ['rm', '-f', 'CPRE'])
+  })
+
+  it('surfaces a classified docker run failure', async () => {
+    const execFile = execFileStub({ run: { error: 'exit 125', stderr: 'Unable to find image' } })
+    await assert.rejects(launchPrewarmContainer(spec, { execFile, env: {} }), (err) => typeof err.code === 'string')
+  })
+
+  it('refuses a spec that could smuggle flags or a bad user into docker', async () => {
+    const execFile = execFileStub()
+    await assert.rejects(launchPrewarmContainer({ ...spec, image: '--privileged' }, { execFile }), /invalid prewarm spec/)
+    await assert.rejects(launchPrewarmContainer({ ...spec, cwd: 'relative' }, { execFile }), /invalid prewarm spec/)
+    await assert.rejects(launchPrewarmContainer({ ...spec, containerUser: 'x; rm -rf /' }, { execFile }), /invalid container user/)
+    await assert.rejects(launchPrewarmContainer(null, { execFile }), /invalid prewarm spec/)
+    assert.equal(execFile.calls.length, 0)
+  })
+})
+
 // Suppress an unused-import lint by referencing EventEmitter (kept
 // for forward-compat: future tests may need to assert event shape
 // without going through the full session).
@@ -27,7 +27,7 @@ class FakeDockerSession extends EventEmitter {
   static get capabilities() {
     return {
       permissions: true,
-      inProcessPermissions: false,
+      inProcessPermissions: true,
       modelSwitch: true,
       permissionModeSwitch: true,
       planMode: true,
@@ -210,7 +210,7 @@ describe('DockerSession capabilities', () => {
   it('inherits all CliSession capability fields', () => {
     const caps = FakeDockerSession.capabilities
     assert.equal(caps.permissions, true)
-    assert.equal(caps.inProcessPermissions, false)
+    assert.equal(caps.inProcessPermissions, true)
     assert.equal(caps.modelSwitch, true)
     assert.equal(caps.permissionModeSwitch, true)
     assert.equal(caps.planMode, true)
@@ -579,8 +579,11 @@ describe('DockerSession real import (capabilities only)', () => {
     const dockerCaps = DockerSession.capabilities
     const cliCaps = CliSession.capabilities
     for (const [key, value] of Object.entries(cliCaps)) {
+      // The container already confines the CLI; bwrap isn't nested inside it.
+      if (key === 'bwrapSandbox') continue
       assert.equal(dockerCaps[key], value, `capability ${key} should match CliSession`)
     }
+    assert.equal(dockerCaps.bwrapSandbox, false)
   })
 })
 
@@ -3,7 +3,7 @@ import assert from 'node:assert/strict'
 import { mkdtempSync, rmSync } from 'node:fs'
 import { tmpdir } from 'node:os'
 import { join, parse as parsePath, relative } from 'node:path'
-import { runDoctorChecks, checkBinary, isBundledOrSupervisedContext, parseLeadingSemver, compareSemver, checkClaudeTuiCliVersion, checkTunnelRoutability } from '../src/doctor.js'
+import { runDoctorChecks, checkBinary, isBundledOrSupervisedContext, parseLeadingSemver, compareSemver, checkClaudeTuiCliVersion, checkTunnelRoutability, checkPodmanBackend, checkBwrapSandbox } from '../src/doctor.js'
 import { TESTED_CLAUDE_TUI_CLI_VERSION } from '../src/claude-tui/tested-cli-version.js'
 
 /**
@@ -742,6 +742,87 @@ describe('checkClaudeTuiCliVersion', () => {
   })
 })
 
+describe('checkPodmanBackend', () => {
+  const info = (overrides = {}) => JSON.stringify({
+    version: { Version: '5.2.1' },
+    host: {
+      security: { rootless: true },
+      idMappings: { uidmap: [{ container_id: 0, host_id: 1000, size: 1 }, { container_id: 1, host_id: 100000, size: 65536 }] },
+    },
+    ...overrides,
+  })
+  const execWith = (outputs) => (bin) => {
+    const out = outputs[bin]
+    if (out instanceof Error) throw out
+    return out
+  }
+
+  it('passes for rootless podman with subordinate ids and podman-compose installed', () => {
+    const checks = checkPodmanBackend({
+      exec: execWith({ podman: info(), 'podman-compose': 'podman-compose version 1.0.6\npodman version 5.2.1\n' }),
+    })
+    assert.deepEqual(checks.map(c => [c.name, c.status]), [['Podman', 'pass'], ['podman-compose', 'pass']])
+    assert.equal(checks[0].message, 'podman 5.2.1, rootless')
+    assert.equal(checks[1].message, 'podman-compose 1.0.6')
+  })
+
+  it('fails when podman info cannot run', () => {
+    const checks = checkPodmanBackend({ exec: execWith({ podman: new Error('spawnSync podman ENOENT') }) })
+    assert.equal(checks.length, 1)
+    assert.equal(checks[0].status, 'fail')
+    assert.match(checks[0].message, /podman info' failed \(spawnSync podman ENOENT\)/)
+  })
+
+  it('warns when rootless podman has no subordinate uid range', () => {
+    const checks = checkPodmanBackend({
+      exec: execWith({
+        podman: info({ host: { security: { rootless: true }, idMappings: { uidmap: [{ container_id: 0, host_id: 1000, size: 1 }] } } }),
+        'podman-compose': 'podman-compose version 1.0.6',
+      }),
+    })
+    assert.equal(checks[0].status, 'warn')
+    assert.match(checks[0].message, /\/etc\/subuid/)
+  })
+
+  it('warns (not fails) when podman-compose is missing', () => {
+    const checks = checkPodmanBackend({ exec: execWith({ podman: info(), 'podman-compose': new Error('ENOENT') }) })
+    assert.equal(checks[1].status, 'warn')
+    assert.match(checks[1].message, /only needed for compose-style environments/)
+  })
+})
+
+describe('checkBwrapSandbox', () => {
+  // Answers `bwrap --version` with `version` and the smoke run with `smoke`.
+  const execWith = ({ version, smoke = '' }) => (_bin, args) => {
+    const out = args[0] === '--version' ? version : smoke
+    if (out instanceof Error) throw out
+    return out
+  }
+
+  it('is skipped off Linux', () => {
+    assert.equal(checkBwrapSandbox({ platform: 'darwin', exec: () => { throw new Error('not called') } }), null)
+  })
+
+  it('passes when bwrap can create a sandbox', () => {
+    const check = checkBwrapSandbox({ platform: 'linux', exec: execWith({ version: 'bubblewrap 0.9.0\n' }) })
+    assert.deepEqual(check, { name: 'bwrap sandbox', status: 'pass', message: 'bwrap 0.9.0' })
+  })
+
+  it('warns when bwrap is not installed', () => {
+    const check = checkBwrapSandbox({ platform: 'linux', exec: execWith({ version: new Error('spawnSync bwrap ENOENT') }) })
+    assert.equal(check.status, 'warn')
+    assert.match(check.message, /install the bubblewrap package/)
+  })
+
+  it('warns with the stderr when user namespaces are blocked', () => {
+    const err = Object.assign(new Error('Command failed'), { stderr: 'bwrap: setting up uid map: Permission denied\n' })
+    const check = checkBwrapSandbox({ platform: 'linux', exec: execWith({ version: 'bubblewrap 0.9.0', smoke: err }) })
+    assert.equal(check.status, 'warn')
+    assert.match(check.message, /bwrap 0\.9\.0 can't create a sandbox \(bwrap: setting up uid map: Permission denied\)/)
+    assert.match(check.message, /user namespaces/)
+  })
+})
+
 describe('checkTunnelRoutability (#5328 WP-5.6)', () => {
   it('returns null when no named tunnel is configured (quick / none / no hostname)', async () => {
     assert.equal(await checkTunnelRoutability({ mode: 'quick', hostname: 'x.example.com' }), null)
@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import net from 'node:net'
+
+import { parseRules, hostAllowed, createFilterProxy } from '../src/egress/filter-proxy.js'
+
+describe('hostAllowed', () => {
+  const matchers = parseRules(['api.anthropic.com', '*.example.com', 'git.corp.example:22', 'host.docker.internal:8765'])
+
+  it('allows the web ports for a rule without a port', () => {
+    assert.equal(hostAllowed(matchers, 'api.anthropic.com', 443), true)
+    assert.equal(hostAllowed(matchers, 'api.anthropic.com', 80), true)
+    assert.equal(hostAllowed(matchers, 'api.anthropic.com', 22), false)
+  })
+
+  it('allows only the given port for a host:port rule', () => {
+    assert.equal(hostAllowed(matchers, 'git.corp.example', 22), true)
+    assert.equal(hostAllowed(matchers, 'git.corp.example', 443), false)
+    assert.equal(hostAllowed(matchers, 'host.docker.internal', 8765), true)
+  })
+
+  it('matches subdomains for a wildcard but not the apex or a lookalike', () => {
+    assert.equal(hostAllowed(matchers, 'cdn.example.com', 443), true)
+    assert.equal(hostAllowed(matchers, 'a.b.example.com', 443), true)
+    assert.equal(hostAllowed(matchers, 'example.com', 443), false)
+    assert.equal(hostAllowed(matchers, 'badexample.com', 443), false)
+  })
+
+  it('is case-insensitive and ignores a trailing dot', () => {
+    assert.equal(hostAllowed(matchers, 'API.Anthropic.com.', 443), true)
+  })
+
+  it('refuses a suffix match on an exact rule', () => {
+    assert.equal(hostAllowed(matchers, 'evil-api.anthropic.com', 443), false)
+    assert.equal(hostAllowed(matchers, 'api.anthropic.com.evil.net', 443), false)
+  })
+})
+
+describe('createFilterProxy', () => {
+  let upstream, proxy, proxyPort, upstreamPort
+  const blocked = []
+
+  before(async () => {
+    upstream = http.createServer((req, res) => res.end(`upstream ${req.url}`))
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve))
+    upstreamPort = upstream.address().port
+    // The proxy matches on the name the client asked for, so a `localhost`
+    // rule is enough to reach the loopback upstream.
+    proxy = createFilterProxy({
+      rules: [`localhost:${upstreamPort}`],
+      onBlocked: (b) => blocked.push(b),
+    })
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve))
+    proxyPort = proxy.address().port
+  })
+
+  after(async () => {
+    await new Promise(resolve => proxy.close(resolve))
+    await new Promise(resolve => upstream.close(resolve))
+  })
+
+  function proxyGet(url) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: proxyPort, path: url, method: 'GET' }, (res) => {
+        let body = ''
+        res.on('data', (c) => { body += c })
+        res.on('end', () => resolve({ status: res.statusCode, body }))
+      })
+      req.on('error', reject)
+      req.end()
+    })
+  }
+
+  function proxyConnect(authority) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(proxyPort, '127.0.0.1', () => {
+        socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n\r\n`)
+      })
+      let data = ''
+      socket.on('data', (c) => {
+        data += c
+        if (data.includes('\r\n\r\n')) {
+          socket.destroy()
+          resolve(data.split('\r\n')[0])
+        }
+      })
+      socket.on('error', reject)
+    })
+  }
+
+  it('forwards plain HTTP to an allowed host', async () => {
+    const res = await proxyGet(`http://localhost:${upstreamPort}/hello`)
+    assert.equal(res.status, 200)
+    assert.equal(res.body, 'upstream /hello')
+  })
+
+  it('answers 403 and reports a blocked HTTP request', async () => {
+    blocked.length = 0
+    const res = await proxyGet('http://blocked.example.com/x')
+    assert.equal(res.status, 403)
+    assert.deepEqual(blocked, [{ host: 'blocked.example.com', port: 80 }])
+  })
+
+  it('answers 403 and reports a blocked CONNECT', async () => {
+    blocked.length = 0
+    const status = await proxyConnect('blocked.example.com:443')
+    assert.equal(status, 'HTTP/1.1 403 Forbidden')
+    assert.deepEqual(blocked, [{ host: 'blocked.example.com', port: 443 }])
+  })
+
+  it('tunnels an allowed CONNECT', async () => {
+    const status = await proxyConnect(`localhost:${upstreamPort}`)
+    assert.equal(status, 'HTTP/1.1 200 Connection Established')
+  })
+
+  it('refuses a non-absolute request URL', async () => {
+    const res = await proxyGet('/relative')
+    assert.equal(res.status, 400)
+  })
+})
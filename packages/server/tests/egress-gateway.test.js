@@ -0,0 +1,162 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+
+import { EgressGateway, startSessionEgressGateway, EGRESS_PROXY_ALIAS } from '../src/egress/egress-gateway.js'
+
+function createMockExecFile({ errors = {}, results = {} } = {}) {
+  const calls = []
+  function mockExecFile(cmd, args, opts, callback) {
+    calls.push([...args])
+    const key = args[0] === 'network' ? `network ${args[1]}` : args[0]
+    if (errors[key]) {
+      callback(new Error(errors[key]), '', errors[key])
+      return
+    }
+    callback(null, results[key] ?? '', '')
+  }
+  mockExecFile.calls = calls
+  return mockExecFile
+}
+
+function createMockSpawn() {
+  const children = []
+  function mockSpawn(cmd, args) {
+    const child = new EventEmitter()
+    child.args = args
+    child.stdout = new PassThrough()
+    child.kill = () => { child.killed = true }
+    children.push(child)
+    return child
+  }
+  mockSpawn.children = children
+  return mockSpawn
+}
+
+const NONE = { policy: 'none', domains: [] }
+
+describe('EgressGateway.start()', () => {
+  it('creates an internal network, starts the proxy on it and follows its log', async () => {
+    const execFile = createMockExecFile()
+    const spawn = createMockSpawn()
+    const gateway = new EgressGateway({ id: 'abc', policy: NONE, essential: ['api.anthropic.com'], _execFile: execFile, _spawn: spawn })
+    await gateway.start()
+
+    const [create, run, connect] = execFile.calls
+    assert.deepEqual(create.slice(0, 3), ['network', 'create', '--internal'])
+    assert.equal(create.at(-1), 'chroxy-egress-abc')
+    assert.equal(run[0], 'run')
+    assert.ok(run.includes('chroxy-egress-proxy-abc'))
+    assert.ok(run.includes('CHROXY_EGRESS_RULES=["api.anthropic.com"]'))
+    assert.ok(run.includes('ALL'), 'drops every capability')
+    assert.deepEqual(connect, ['network', 'connect', '--alias', EGRESS_PROXY_ALIAS, 'chroxy-egress-abc', 'chroxy-egress-proxy-abc'])
+    assert.deepEqual(spawn.children[0].args, ['logs', '-f', '--tail', '0', 'chroxy-egress-proxy-abc'])
+  })
+
+  it('cleans up and rethrows when the proxy fails to start', async () => {
+    const execFile = createMockExecFile({ errors: { run: 'pull access denied' } })
+    const gateway = new EgressGateway({ id: 'bad', policy: NONE, _execFile: execFile, _spawn: createMockSpawn() })
+    await assert.rejects(gateway.start(), /Failed to start egress gateway: pull access denied/)
+    const tail = execFile.calls.slice(-2)
+    assert.deepEqual(tail[0], ['rm', '-f', 'chroxy-egress-proxy-bad'])
+    assert.deepEqual(tail[1], ['network', 'rm', 'chroxy-egress-bad'])
+  })
+})
+
+describe('EgressGateway.resume()', () => {
+  it('only re-follows a proxy that is still running', async () => {
+    const execFile = createMockExecFile({ results: { inspect: 'true\n' } })
+    const spawn = createMockSpawn()
+    const gateway = new EgressGateway({ id: 'r1', policy: NONE, _execFile: execFile, _spawn: spawn })
+    await gateway.resume()
+    assert.deepEqual(execFile.calls.map(c => c[0]), ['inspect'])
+    assert.equal(spawn.children.length, 1)
+  })
+
+  it('recreates a missing proxy on the existing network', async () => {
+    const execFile = createMockExecFile({ errors: { inspect: 'No such object' } })
+    const gateway = new EgressGateway({ id: 'r2', policy: NONE, _execFile: execFile, _spawn: createMockSpawn() })
+    await gateway.resume()
+    assert.deepEqual(execFile.calls.map(c => c[0] === 'network' ? `network ${c[1]}` : c[0]), ['inspect', 'rm', 'run', 'network connect'])
+  })
+})
+
+describe('EgressGateway.workloadRunArgs()', () => {
+  it('joins the internal network and points both proxy spellings at the gateway', () => {
+    const gateway = new EgressGateway({ id: 'w', policy: NONE, _execFile: createMockExecFile(), _spawn: createMockSpawn() })
+    const args = gateway.workloadRunArgs()
+    assert.deepEqual(args.slice(0, 2), ['--network', 'chroxy-egress-w'])
+    assert.ok(args.includes('HTTPS_PROXY=http://egress-proxy:3128'))
+    assert.ok(args.includes('https_proxy=http://egress-proxy:3128'))
+    assert.ok(args.includes('NO_PROXY=localhost,127.0.0.1'))
+  })
+})
+
+describe('EgressGateway blocked events', () => {
+  it('coalesces repeats of one host:port into a single event with a count', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    const spawn = createMockSpawn()
+    const gateway = new EgressGateway({ id: 'b', policy: NONE, _execFile: createMockExecFile(), _spawn: spawn })
+    await gateway.start()
+    const events = []
+    gateway.on('blocked', (e) => events.push(e))
+
+    gateway._onProxyLine('{"event":"blocked","host":"evil.example","port":443}')
+    gateway._onProxyLine('{"event":"blocked","host":"evil.example","port":443}')
+    gateway._onProxyLine('{"event":"blocked","host":"other.example","port":80}')
+    gateway._onProxyLine('{"event":"listening","port":3128}')
+    gateway._onProxyLine('not json')
+    assert.equal(events.length, 0)
+
+    t.mock.timers.tick(2_000)
+    assert.deepEqual(events, [
+      { host: 'evil.example', port: 443, policy: 'none', count: 2 },
+      { host: 'other.example', port: 80, policy: 'none', count: 1 },
+    ])
+  })
+
+  it('drops pending events on stop()', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    const spawn = createMockSpawn()
+    const execFile = createMockExecFile()
+    const gateway = new EgressGateway({ id: 's', policy: NONE, _execFile: execFile, _spawn: spawn })
+    await gateway.start()
+    const events = []
+    gateway.on('blocked', (e) => events.push(e))
+    gateway._onProxyLine('{"event":"blocked","host":"evil.example","port":443}')
+
+    await gateway.stop()
+    t.mock.timers.tick(2_000)
+    assert.equal(events.length, 0)
+    assert.equal(spawn.children[0].killed, true)
+    assert.deepEqual(execFile.calls.slice(-2), [
+      ['rm', '-f', 'chroxy-egress-proxy-s'],
+      ['network', 'rm', 'chroxy-egress-s'],
+    ])
+  })
+})
+
+describe('startSessionEgressGateway', () => {
+  it('returns null without touching Docker for an open policy', async () => {
+    const session = new EventEmitter()
+    assert.equal(await startSessionEgressGateway(session, { policy: { policy: 'open', domains: [] } }), null)
+  })
+
+  it('relays blocked attempts into the session as egress_blocked messages', async () => {
+    const start = mock.method(EgressGateway.prototype, 'start', async () => {})
+    try {
+      const session = new EventEmitter()
+      const messages = []
+      session.on('message', (m) => messages.push(m))
+      const gateway = await startSessionEgressGateway(session, { policy: NONE })
+      gateway.emit('blocked', { host: 'evil.example', port: 443, policy: 'none', count: 3 })
+      assert.equal(start.mock.callCount(), 1)
+      assert.equal(messages.length, 1)
+      assert.equal(messages[0].subtype, 'egress_blocked')
+      assert.deepEqual(messages[0].egressBlocked, { host: 'evil.example', port: 443, policy: 'none', count: 3 })
+    } finally {
+      start.mock.restore()
+    }
+  })
+})
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  normalizeEgressPolicy,
+  normalizeEgressDomain,
+  resolveEgressPolicy,
+  isRestrictedEgress,
+  essentialEgressHosts,
+  egressAllowRules,
+  egressBlockedMessage,
+  EgressPolicyError,
+  PACKAGE_REGISTRY_DOMAINS,
+  EGRESS_MAX_DOMAINS,
+} from '../src/egress/egress-policy.js'
+
+describe('normalizeEgressDomain', () => {
+  it('lower-cases hosts and keeps wildcards and ports', () => {
+    assert.equal(normalizeEgressDomain(' GitHub.com ', 'f'), 'github.com')
+    assert.equal(normalizeEgressDomain('*.example.com', 'f'), '*.example.com')
+    assert.equal(normalizeEgressDomain('git.example.com:22', 'f'), 'git.example.com:22')
+  })
+
+  it('refuses IP literals, single labels, bad ports and junk', () => {
+    for (const bad of ['10.0.0.1', 'localhost', 'example.com:0', 'example.com:99999', 'exa mple.com', '-bad.com', '', 42]) {
+      assert.throws(() => normalizeEgressDomain(bad, 'egress.domains[0]'), EgressPolicyError, String(bad))
+    }
+  })
+
+  it('names the offending field in the error', () => {
+    assert.throws(() => normalizeEgressDomain('localhost', 'egress.domains[3]'), /^EgressPolicyError: egress\.domains\[3\]/)
+  })
+})
+
+describe('normalizeEgressPolicy', () => {
+  it('returns null when nothing is set', () => {
+    assert.equal(normalizeEgressPolicy(undefined), null)
+    assert.equal(normalizeEgressPolicy(null), null)
+  })
+
+  it('accepts a bare policy name', () => {
+    assert.deepEqual(normalizeEgressPolicy('none'), { policy: 'none', domains: [] })
+  })
+
+  it('dedupes and sorts domains', () => {
+    const p = normalizeEgressPolicy({ policy: 'allowlist', domains: ['b.example.com', 'A.example.com', 'b.example.com'] })
+    assert.deepEqual(p, { policy: 'allowlist', domains: ['a.example.com', 'b.example.com'] })
+  })
+
+  it('lets registries take extra domains', () => {
+    assert.deepEqual(
+      normalizeEgressPolicy({ policy: 'registries', domains: ['github.com'] }),
+      { policy: 'registries', domains: ['github.com'] },
+    )
+  })
+
+  it('refuses an unknown policy or key', () => {
+    assert.throws(() => normalizeEgressPolicy('firewalled'), /egress\.policy: must be one of/)
+    assert.throws(() => normalizeEgressPolicy({ policy: 'none', allow: [] }), /unknown key "allow"/)
+    assert.throws(() => normalizeEgressPolicy(['none']), EgressPolicyError)
+  })
+
+  it('refuses domains with open or none, and an empty allowlist', () => {
+    assert.throws(() => normalizeEgressPolicy({ policy: 'open', domains: ['a.com'] }), /not allowed with the "open" policy/)
+    assert.throws(() => normalizeEgressPolicy({ policy: 'none', domains: ['a.com'] }), /not allowed with the "none" policy/)
+    assert.throws(() => normalizeEgressPolicy({ policy: 'allowlist' }), /needs at least one domain/)
+  })
+
+  it('caps the domain list', () => {
+    const domains = Array.from({ length: EGRESS_MAX_DOMAINS + 1 }, (_, i) => `h${i}.example.com`)
+    assert.throws(() => normalizeEgressPolicy({ policy: 'allowlist', domains }), /at most/)
+  })
+
+  it('uses the given field name in errors', () => {
+    assert.throws(() => normalizeEgressPolicy('bogus', 'customizations.chroxy.egress'), /^EgressPolicyError: customizations\.chroxy\.egress\.policy/)
+  })
+})
+
+describe('resolveEgressPolicy', () => {
+  const none = { policy: 'none', domains: [] }
+  const registries = { policy: 'registries', domains: [] }
+  const open = { policy: 'open', domains: [] }
+
+  it('defaults to open', () => {
+    assert.deepEqual(resolveEgressPolicy(), open)
+  })
+
+  it('prefers the explicit policy over everything else', () => {
+    assert.equal(resolveEgressPolicy({ explicit: open, devcontainer: none, configDefault: registries }), open)
+  })
+
+  it('lets devcontainer.json restrict an open default', () => {
+    assert.equal(resolveEgressPolicy({ devcontainer: none }), none)
+    assert.equal(resolveEgressPolicy({ devcontainer: none, configDefault: open }), none)
+  })
+
+  it('never lets devcontainer.json replace a restricted default', () => {
+    assert.equal(resolveEgressPolicy({ devcontainer: open, configDefault: registries }), registries)
+    assert.equal(resolveEgressPolicy({ devcontainer: none, configDefault: registries }), registries)
+  })
+})
+
+describe('isRestrictedEgress', () => {
+  it('is true for anything but open', () => {
+    assert.equal(isRestrictedEgress(null), false)
+    assert.equal(isRestrictedEgress({ policy: 'open', domains: [] }), false)
+    assert.equal(isRestrictedEgress({ policy: 'none', domains: [] }), true)
+    assert.equal(isRestrictedEgress({ policy: 'registries', domains: [] }), true)
+  })
+})
+
+describe('essentialEgressHosts', () => {
+  it('always includes the Anthropic API', () => {
+    assert.deepEqual(essentialEgressHosts({ env: {} }), ['api.anthropic.com'])
+  })
+
+  it('follows ANTHROPIC_BASE_URL, keeping an explicit port', () => {
+    assert.deepEqual(essentialEgressHosts({ env: { ANTHROPIC_BASE_URL: 'https://llm.corp.example:8443/v1' } }), ['llm.corp.example:8443'])
+    assert.deepEqual(essentialEgressHosts({ env: { ANTHROPIC_BASE_URL: 'not a url' } }), ['api.anthropic.com'])
+  })
+
+  it('adds npm for an in-container CLI install and the hook port', () => {
+    assert.deepEqual(
+      essentialEgressHosts({ installsCli: true, hookPort: 8765, env: {} }),
+      ['api.anthropic.com', 'registry.npmjs.org', 'host.docker.internal:8765'],
+    )
+  })
+})
+
+describe('egressAllowRules', () => {
+  it('is only the essential hosts under none', () => {
+    assert.deepEqual(egressAllowRules({ policy: 'none', domains: [] }, ['api.anthropic.com']), ['api.anthropic.com'])
+  })
+
+  it('adds the registries and extra domains under registries, without duplicates', () => {
+    const rules = egressAllowRules({ policy: 'registries', domains: ['github.com'] }, ['registry.npmjs.org'])
+    for (const d of PACKAGE_REGISTRY_DOMAINS) assert.ok(rules.includes(d), d)
+    assert.ok(rules.includes('github.com'))
+    assert.equal(rules.filter(r => r === 'registry.npmjs.org').length, 1)
+  })
+
+  it('is the essential hosts plus the list under allowlist', () => {
+    assert.deepEqual(
+      egressAllowRules({ policy: 'allowlist', domains: ['*.example.com'] }, ['api.anthropic.com']),
+      ['api.anthropic.com', '*.example.com'],
+    )
+  })
+})
+
+describe('egressBlockedMessage', () => {
+  it('builds an egress_blocked system message', () => {
+    const msg = egressBlockedMessage({ host: 'evil.example', port: 443, policy: 'none' })
+    assert.equal(msg.type, 'system')
+    assert.equal(msg.subtype, 'egress_blocked')
+    assert.deepEqual(msg.egressBlocked, { host: 'evil.example', port: 443, policy: 'none', count: 1 })
+    assert.match(msg.content, /evil\.example:443 is not allowed by the "none" policy$/)
+    assert.equal(typeof msg.timestamp, 'number')
+  })
+
+  it('mentions repeated attempts', () => {
+    const msg = egressBlockedMessage({ host: 'a.example', port: 80, policy: 'allowlist', count: 4 })
+    assert.match(msg.content, /\(4 attempts\)$/)
+  })
+})
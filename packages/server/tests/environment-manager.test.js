@@ -4,8 +4,11 @@ import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync, readFileSync
 import { dirname, join, resolve } from 'path'
 import { tmpdir, homedir } from 'os'
 import { fileURLToPath } from 'url'
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
 
 import { EnvironmentManager, UNREACHABLE_STATUSES } from '../src/environment-manager.js'
+import { DockerBackend } from '../src/environments/backends/docker.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -1672,6 +1675,137 @@ describe('EnvironmentManager.create() with devcontainer', () => {
   })
 })
 
+describe('EnvironmentManager.create() — devcontainer features and lifecycle hooks', () => {
+  let tmpDir, statePath, projectDir
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'chroxy-env-test-'))
+    statePath = join(tmpDir, 'environments.json')
+    projectDir = join(tmpDir, 'project')
+    mkdirSync(join(projectDir, '.devcontainer'), { recursive: true })
+  })
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  function writeDevcontainer(content) {
+    writeFileSync(join(projectDir, '.devcontainer', 'devcontainer.json'), JSON.stringify(content))
+  }
+
+  function writeLocalFeature(name, metadata) {
+    const dir = join(projectDir, '.devcontainer', name)
+    mkdirSync(dir)
+    writeFileSync(join(dir, 'devcontainer-feature.json'), JSON.stringify(metadata))
+    writeFileSync(join(dir, 'install.sh'), '#!/bin/sh\n')
+  }
+
+  function hookBackend({ withFeatures = true } = {}) {
+    const calls = []
+    const backend = {
+      calls,
+      async createEnvironment(opts) {
+        calls.push({ method: 'create', opts })
+        return { containerId: 'hook-ctr', containerCliPath: '/cli.js' }
+      },
+      async restartEnvironment(containerId) { calls.push({ method: 'restart', containerId }) },
+      async execInEnvironment(containerId, opts) {
+        calls.push({ method: 'exec', containerId, cmd: opts.cmd })
+        return { stdout: '', stderr: '' }
+      },
+    }
+    if (withFeatures) {
+      backend.buildFeatureImage = async ({ baseImage, features }) => {
+        calls.push({ method: 'buildFeatureImage', baseImage, features })
+        return 'chroxy-features:0123456789abcdef'
+      }
+    }
+    return backend
+  }
+
+  it('runs initializeCommand on the host and hands the rest to the backend', async () => {
+    writeDevcontainer({
+      image: 'node:22-slim',
+      initializeCommand: 'touch .env',
+      onCreateCommand: 'echo on-create',
+      postStartCommand: 'echo post-start',
+      runArgs: ['--init', '--network', 'host'],
+      capAdd: ['SYS_PTRACE', 'SYS_ADMIN'],
+    })
+    const mockExec = createMockExecFile()
+    const backend = hookBackend()
+    const manager = new EnvironmentManager({ statePath, backend, _execFile: mockExec })
+    await manager.create({ name: 'dc-hooks', cwd: projectDir, devcontainer: true })
+
+    const init = mockExec.calls.find(c => c.cmd === '/bin/sh')
+    assert.deepEqual(init.args, ['-c', 'touch .env'])
+    assert.equal(init.opts.cwd, projectDir)
+
+    const { opts } = backend.calls.find(c => c.method === 'create')
+    assert.equal(opts.onCreateCommand, 'echo on-create')
+    assert.equal(opts.postStartCommand, 'echo post-start')
+    assert.deepEqual(opts.runArgs, ['--init'])
+    assert.deepEqual(opts.capAdd, ['SYS_PTRACE'])
+  })
+
+  it('does not create the environment when initializeCommand fails', async () => {
+    writeDevcontainer({ initializeCommand: 'false' })
+    const mockExec = createMockExecFile({ errors: { '-c': new Error('exit 1') } })
+    const backend = hookBackend()
+    const manager = new EnvironmentManager({ statePath, backend, _execFile: mockExec })
+    await assert.rejects(
+      () => manager.create({ name: 'dc-init-fail', cwd: projectDir, devcontainer: true }),
+      (err) => err.code === 'initialize_command_failed',
+    )
+    assert.ok(!backend.calls.some(c => c.method === 'create'))
+  })
+
+  it('builds features onto the devcontainer image and runs the derived tag', async () => {
+    writeLocalFeature('tool', { id: 'tool', capAdd: ['NET_RAW'] })
+    writeDevcontainer({ image: 'python:3.12-slim', features: { './tool': { flavour: 'spicy' } } })
+    const backend = hookBackend()
+    const manager = new EnvironmentManager({ statePath, backend })
+    const env = await manager.create({ name: 'dc-features', cwd: projectDir, devcontainer: true })
+
+    const build = backend.calls.find(c => c.method === 'buildFeatureImage')
+    assert.equal(build.baseImage, 'python:3.12-slim')
+    assert.deepEqual(build.features.map(f => f.ref), ['./tool'])
+    assert.deepEqual(build.features[0].env, { FLAVOUR: 'spicy' })
+    assert.equal(env.image, 'chroxy-features:0123456789abcdef')
+    assert.deepEqual(backend.calls.find(c => c.method === 'create').opts.capAdd, ['NET_RAW'])
+  })
+
+  it('refuses features on a backend that cannot build them', async () => {
+    writeLocalFeature('tool', { id: 'tool' })
+    writeDevcontainer({ features: { './tool': {} } })
+    const manager = new EnvironmentManager({ statePath, backend: hookBackend({ withFeatures: false }) })
+    await assert.rejects(
+      () => manager.create({ name: 'dc-no-features', cwd: projectDir, devcontainer: true }),
+      /features are not supported on this environment backend/,
+    )
+  })
+
+  it('runs postStartCommand on restart and postAttachCommand when a session attaches', async () => {
+    writeDevcontainer({ postStartCommand: 'echo post-start', postAttachCommand: 'echo post-attach' })
+    const backend = hookBackend()
+    const manager = new EnvironmentManager({ statePath, backend })
+    const env = await manager.create({ name: 'dc-restart', cwd: projectDir, devcontainer: true })
+    assert.deepEqual(env.lifecycle, { postStartCommand: 'echo post-start', postAttachCommand: 'echo post-attach' })
+
+    await manager.restart(env.id)
+    assert.deepEqual(backend.calls.filter(c => c.method === 'exec').map(c => c.cmd), ['echo post-start'])
+
+    manager.addSession(env.id, 'sess-1')
+    manager.addSession(env.id, 'sess-1')
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepEqual(
+      backend.calls.filter(c => c.method === 'exec').map(c => c.cmd),
+      ['echo post-start', 'echo post-attach'],
+      'postAttachCommand runs once per newly attached session',
+    )
+  })
+})
+
 // ──────────────────────────────────────────────────────────────────────────────
 // DevContainer mount and env validation (#2512)
 // ──────────────────────────────────────────────────────────────────────────────
@@ -2836,3 +2970,117 @@ describe('EnvironmentManager.reconnect() invariant guard (#3492, #3545)', () =>
     )
   })
 })
+
+describe('EnvironmentManager network egress', () => {
+  let tmpDir, statePath
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'chroxy-env-test-'))
+    statePath = join(tmpDir, 'environments.json')
+  })
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  function createMockSpawn() {
+    const children = []
+    function mockSpawn(_cmd, args) {
+      const child = new EventEmitter()
+      child.args = args
+      child.stdout = new PassThrough()
+      child.kill = () => { child.killed = true }
+      children.push(child)
+      return child
+    }
+    mockSpawn.children = children
+    return mockSpawn
+  }
+
+  function createManager(opts = {}) {
+    const mockExec = createMockExecFile({ results: { run: 'egress-ctr\n', exec: '/usr/local\n' } })
+    const mockSpawn = createMockSpawn()
+    const backend = new DockerBackend({ _execFile: mockExec, _spawn: mockSpawn })
+    const manager = new EnvironmentManager({ statePath, backend, ...opts })
+    return { manager, mockExec, mockSpawn }
+  }
+
+  it('runs an open environment with no gateway', async () => {
+    const { manager, mockExec } = createManager()
+    const env = await manager.create({ name: 'open', cwd: '/tmp' })
+    assert.deepEqual(env.egress, { policy: 'open', domains: [] })
+    assert.ok(!mockExec.calls.some(c => c.args[0] === 'network'))
+    const runCall = mockExec.calls.find(c => c.args[0] === 'run')
+    assert.ok(!runCall.args.includes('--network'))
+  })
+
+  it('starts a gateway before the container and puts the container behind it', async () => {
+    const { manager, mockExec } = createManager()
+    const env = await manager.create({ name: 'locked', cwd: '/tmp', egress: { policy: 'none', domains: [] } })
+    assert.deepEqual(env.egress, { policy: 'none', domains: [] })
+
+    const order = mockExec.calls.map(c => c.args[0])
+    assert.equal(order[0], 'network', 'network created first')
+    const runs = mockExec.calls.filter(c => c.args[0] === 'run')
+    assert.equal(runs.length, 2)
+    assert.ok(runs[0].args.includes(`chroxy-egress-proxy-${env.id}`))
+    const workload = runs[1].args
+    assert.equal(workload[workload.indexOf('--network') + 1], `chroxy-egress-${env.id}`)
+    assert.ok(!workload.includes('--add-host'), 'only the proxy reaches the host')
+  })
+
+  it('uses the config default when the request sets no policy', async () => {
+    const { manager } = createManager({ egressDefault: { policy: 'registries', domains: [] } })
+    const env = await manager.create({ name: 'defaulted', cwd: '/tmp' })
+    assert.equal(env.egress.policy, 'registries')
+  })
+
+  it('refuses a restricted policy for compose environments', async () => {
+    const { manager } = createManager()
+    await assert.rejects(
+      manager.create({ name: 'c', cwd: '/tmp', compose: 'docker-compose.yml', egress: { policy: 'none', domains: [] } }),
+      /not supported for compose environments/,
+    )
+  })
+
+  it('refuses a restricted policy on a backend without gateways', async () => {
+    const manager = new EnvironmentManager({ statePath, backend: { createEnvironment: async () => ({}) } })
+    await assert.rejects(
+      manager.create({ name: 'k', cwd: '/tmp', egress: { policy: 'none', domains: [] } }),
+      /not supported on this environment backend/,
+    )
+  })
+
+  it('re-emits blocked attempts with the environment id', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    const { manager } = createManager()
+    const env = await manager.create({ name: 'b', cwd: '/tmp', egress: { policy: 'none', domains: [] } })
+    const events = []
+    manager.on('egress_blocked', (e) => events.push(e))
+    manager._egressGateways.get(env.id)._onProxyLine('{"event":"blocked","host":"evil.example","port":443}')
+    t.mock.timers.tick(2_000)
+    assert.deepEqual(events, [{ envId: env.id, host: 'evil.example', port: 443, policy: 'none', count: 1 }])
+  })
+
+  it('removes the gateway on destroy', async () => {
+    const { manager, mockExec } = createManager()
+    const env = await manager.create({ name: 'd', cwd: '/tmp', egress: { policy: 'none', domains: [] } })
+    await manager.destroy(env.id)
+    assert.ok(mockExec.calls.some(c => c.args[0] === 'network' && c.args[1] === 'rm' && c.args[2] === `chroxy-egress-${env.id}`))
+    assert.equal(manager._egressGateways.size, 0)
+  })
+
+  it('stops the gateway when the container fails to start', async () => {
+    const mockExec = createMockExecFile({ results: { exec: '/usr/local\n' } })
+    let runs = 0
+    const failingExec = (cmd, args, opts, cb) => {
+      if (args[0] === 'run' && ++runs === 2) return cb(new Error('no space left'), '', 'no space left')
+      return mockExec(cmd, args, opts, cb)
+    }
+    const backend = new DockerBackend({ _execFile: failingExec, _spawn: createMockSpawn() })
+    const manager = new EnvironmentManager({ statePath, backend })
+    await assert.rejects(manager.create({ name: 'f', cwd: '/tmp', egress: { policy: 'none', domains: [] } }))
+    assert.ok(mockExec.calls.some(c => c.args[0] === 'network' && c.args[1] === 'rm'))
+    assert.equal(manager._egressGateways.size, 0)
+  })
+})
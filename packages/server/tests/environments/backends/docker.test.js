@@ -151,6 +151,37 @@ describe('DockerBackend.createEnvironment()', () => {
     assert.ok(postCreateCalled, 'postCreateCommand should be run')
   })
 
+  it('runs the devcontainer hooks in spec order and passes capAdd / runArgs to docker run', async () => {
+    const mockExec = createMockExecFile({
+      results: { run: 'hooks-ctr\n', exec: '/usr/local\n' },
+    })
+    const backend = new DockerBackend({ _execFile: mockExec })
+    await backend.createEnvironment({
+      envId: 'env-hooks',
+      cwd: '/tmp',
+      image: 'node:22-slim',
+      memoryLimit: '2g',
+      cpuLimit: '2',
+      containerUser: 'chroxy',
+      capAdd: ['SYS_PTRACE'],
+      runArgs: ['--init', '--shm-size', '1g'],
+      onCreateCommand: 'echo on-create',
+      postCreateCommand: 'echo post-create',
+      postStartCommand: 'echo post-start',
+    })
+
+    const runCall = mockExec.calls.find(c => c.args[0] === 'run')
+    assert.equal(runCall.args[runCall.args.indexOf('--cap-add') + 1], 'SYS_PTRACE')
+    assert.ok(runCall.args.includes('--init'))
+    assert.equal(runCall.args[runCall.args.indexOf('--shm-size') + 1], '1g')
+    assert.ok(runCall.args.indexOf('--shm-size') < runCall.args.indexOf('node:22-slim'))
+
+    const hooks = mockExec.calls
+      .filter(c => c.args[0] === 'exec' && /^echo /.test(c.args.at(-1)))
+      .map(c => c.args.at(-1))
+    assert.deepEqual(hooks, ['echo on-create', 'echo post-create', 'echo post-start'])
+  })
+
   it('removes container and re-throws when setup fails after docker run', async () => {
     let rmCalled = false
     let execCallCount = 0
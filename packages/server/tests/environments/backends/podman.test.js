@@ -0,0 +1,336 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+import { PodmanBackend, PODMAN_USERNS_MODES } from '../../../src/environments/backends/podman.js'
+
+/**
+ * Creates a mock execFile that records calls and returns configured results.
+ * Keyed by subcommand (args[0]): 'info', 'run', 'exec', 'commit', 'ps', … —
+ * podman-compose calls are keyed by their verb ('up' / 'down').
+ */
+function createMockExecFile({ rootless = true, results = {}, errors = {} } = {}) {
+  const calls = []
+
+  function mockExecFile(cmd, args, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = {}
+    }
+    calls.push({ cmd, args: [...args], opts })
+    const key = cmd === 'podman-compose' ? args.find(a => a === 'up' || a === 'down') : args[0]
+
+    const err = errors[key]
+    if (err) {
+      callback(err, '', err.message)
+      return
+    }
+    if (key === 'info' && !(key in results)) {
+      callback(null, `${rootless}\n`, '')
+      return
+    }
+    callback(null, results[key] ?? '', '')
+  }
+
+  mockExecFile.calls = calls
+  return mockExecFile
+}
+
+const ENV_OPTS = {
+  envId: 'env-pod',
+  cwd: '/home/user/project',
+  image: 'node:22-slim',
+  memoryLimit: '2g',
+  cpuLimit: '2',
+  containerUser: 'chroxy',
+}
+
+function backendFor(mockExec, opts = {}) {
+  return new PodmanBackend({ _execFile: mockExec, _hostUid: 1000, _platform: 'linux', ...opts })
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Construction
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('PodmanBackend constructor', () => {
+  it('accepts every documented userns mode', () => {
+    for (const userns of PODMAN_USERNS_MODES) {
+      assert.equal(new PodmanBackend({ userns })._userns, userns)
+    }
+  })
+
+  it('rejects an unknown userns mode', () => {
+    assert.throws(() => new PodmanBackend({ userns: 'nomap' }), /userns must be one of keep-id, auto, host/)
+  })
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createEnvironment — the DockerBackend contract over the podman CLI
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('PodmanBackend.createEnvironment()', () => {
+  it('shells out to podman, never docker', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    const result = await backendFor(mockExec).createEnvironment(ENV_OPTS)
+
+    assert.equal(result.containerId, 'pod-ctr')
+    assert.ok(mockExec.calls.length > 0)
+    assert.ok(mockExec.calls.every(c => c.cmd === 'podman'), `unexpected commands: ${mockExec.calls.map(c => c.cmd)}`)
+  })
+
+  it('keeps the Docker security flags and ownership labels', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec).createEnvironment(ENV_OPTS)
+
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(run.includes('--cap-drop') && run.includes('ALL'))
+    assert.ok(run.includes('no-new-privileges'))
+    assert.ok(run.includes('com.chroxy.managed=true'))
+    assert.ok(run.includes('chroxy-env-env-pod'))
+  })
+
+  it('rootless: runs with --userns=keep-id as root and creates the session user with the host uid', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec).createEnvironment(ENV_OPTS)
+
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.deepEqual(run.slice(run.indexOf('--userns=keep-id'), run.indexOf('--userns=keep-id') + 3), ['--userns=keep-id', '--user', 'root'])
+    const setup = mockExec.calls.find(c => c.args[0] === 'exec' && c.args.includes('bash')).args.at(-1)
+    assert.equal(setup, 'useradd -m -o -u 1000 -s /bin/bash chroxy')
+  })
+
+  it('rootful: passes no userns flag and chowns /workspace like Docker', async () => {
+    const mockExec = createMockExecFile({ rootless: false, results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec).createEnvironment(ENV_OPTS)
+
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(!run.some(a => a.startsWith('--userns')))
+    assert.ok(!run.includes('--user'))
+    const setup = mockExec.calls.find(c => c.args[0] === 'exec' && c.args.includes('bash')).args.at(-1)
+    assert.equal(setup, 'useradd -m -s /bin/bash chroxy && chown chroxy:chroxy /workspace')
+  })
+
+  it('an explicit userns overrides detection and skips the rootless probe', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec, { userns: 'auto' }).createEnvironment(ENV_OPTS)
+
+    assert.ok(!mockExec.calls.some(c => c.args[0] === 'info'))
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(run.includes('--userns=auto'))
+    assert.ok(!run.includes('--user'))
+    const setup = mockExec.calls.find(c => c.args[0] === 'exec' && c.args.includes('bash')).args.at(-1)
+    assert.match(setup, /chown chroxy:chroxy \/workspace/)
+  })
+
+  it('passes no userns flag off Linux', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec, { _platform: 'darwin' }).createEnvironment(ENV_OPTS)
+
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(!run.some(a => a.startsWith('--userns')))
+  })
+
+  it('does not add the Docker host-gateway route', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec).createEnvironment(ENV_OPTS)
+
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(!run.includes('--add-host'))
+  })
+
+  it('puts the userns args ahead of devcontainer runArgs', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'pod-ctr\n', exec: '/usr/local\n' } })
+    await backendFor(mockExec).createEnvironment({ ...ENV_OPTS, runArgs: ['--shm-size=1g'] })
+
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(run.indexOf('--userns=keep-id') < run.indexOf('--shm-size=1g'))
+  })
+})
+
+describe('PodmanBackend.isRootless()', () => {
+  it('probes podman info once', async () => {
+    const mockExec = createMockExecFile()
+    const backend = backendFor(mockExec)
+    assert.equal(await backend.isRootless(), true)
+    assert.equal(await backend.isRootless(), true)
+    const infos = mockExec.calls.filter(c => c.args[0] === 'info')
+    assert.equal(infos.length, 1)
+    assert.deepEqual(infos[0].args, ['info', '--format', '{{.Host.Security.Rootless}}'])
+  })
+
+  it('does not cache a failed probe', async () => {
+    let fail = true
+    const mockExec = (cmd, args, opts, cb) => {
+      if (fail) cb(new Error('exit 125'), '', 'cannot connect to Podman')
+      else cb(null, 'false\n', '')
+    }
+    const backend = backendFor(mockExec)
+    await assert.rejects(backend.isRootless(), /podman info failed: cannot connect to Podman/)
+    fail = false
+    assert.equal(await backend.isRootless(), false)
+  })
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// restore / snapshot / destroy — inherited, over podman
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('PodmanBackend snapshot and restore', () => {
+  it('commits with podman commit', async () => {
+    const mockExec = createMockExecFile({ results: { commit: 'sha256:abc\n' } })
+    await backendFor(mockExec).commitEnvironment('pod-ctr', 'chroxy-env-snap:1')
+
+    const commit = mockExec.calls.find(c => c.args[0] === 'commit')
+    assert.equal(commit.cmd, 'podman')
+    assert.deepEqual(commit.args.slice(-2), ['pod-ctr', 'chroxy-env-snap:1'])
+  })
+
+  it('restores a snapshot under the same user namespace', async () => {
+    const mockExec = createMockExecFile({ results: { run: 'restored\n' } })
+    const id = await backendFor(mockExec).restoreEnvironment({ ...ENV_OPTS, image: 'chroxy-env-snap:1' })
+
+    assert.equal(id, 'restored')
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(run.includes('--userns=keep-id'))
+    assert.ok(run.includes('chroxy-env-snap:1'))
+  })
+
+  it('destroys with podman rm -f', async () => {
+    const mockExec = createMockExecFile()
+    await backendFor(mockExec).destroyEnvironment('pod-ctr')
+
+    const rm = mockExec.calls.find(c => c.args[0] === 'rm')
+    assert.equal(rm.cmd, 'podman')
+    assert.deepEqual(rm.args, ['rm', '-f', 'pod-ctr'])
+  })
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Compose — podman-compose in a pod
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PS_JSON = JSON.stringify([
+  { Id: 'app-ctr', Names: ['proj_app_1'], State: 'running', Labels: { 'com.docker.compose.service': 'app' } },
+  { Id: 'db-ctr', Names: ['proj_db_1'], State: 'running', Labels: { 'com.docker.compose.service': 'db' } },
+])
+
+const COMPOSE_OPTS = {
+  envId: 'env-compose',
+  cwd: '/home/user/project',
+  composeFile: ['/home/user/project/compose.yml', '/home/user/project/compose.override.yml'],
+  composeProject: 'chroxy-env-compose',
+  containerUser: 'chroxy',
+}
+
+describe('PodmanBackend.createComposeEnvironment()', () => {
+  it('brings the stack up in a pod with podman-compose', async () => {
+    const mockExec = createMockExecFile({ results: { ps: PS_JSON, exec: '/usr/local\n' } })
+    await backendFor(mockExec).createComposeEnvironment({ ...COMPOSE_OPTS, envFile: '/tmp/env-123' })
+
+    const up = mockExec.calls.find(c => c.cmd === 'podman-compose')
+    assert.deepEqual(up.args, [
+      '--in-pod', '1',
+      '--env-file', '/tmp/env-123',
+      '-f', '/home/user/project/compose.yml',
+      '-f', '/home/user/project/compose.override.yml',
+      '-p', 'chroxy-env-compose', 'up', '-d',
+    ])
+    assert.equal(up.opts.cwd, '/home/user/project')
+  })
+
+  it('finds the primary container and services by compose label', async () => {
+    const mockExec = createMockExecFile({ results: { ps: PS_JSON, exec: '/usr/local\n' } })
+    const result = await backendFor(mockExec).createComposeEnvironment({ ...COMPOSE_OPTS, primaryService: 'app' })
+
+    assert.equal(result.containerId, 'app-ctr')
+    assert.deepEqual(result.services.map(s => s.name), ['app', 'db'])
+    const primaryPs = mockExec.calls.find(c => c.args[0] === 'ps').args
+    assert.deepEqual(primaryPs, [
+      'ps',
+      '--filter', 'label=com.docker.compose.project=chroxy-env-compose',
+      '--filter', 'label=com.docker.compose.service=app',
+      '--format', 'json',
+    ])
+  })
+
+  it('never passes userns args to a compose stack', async () => {
+    const mockExec = createMockExecFile({ results: { ps: PS_JSON, exec: '/usr/local\n' } })
+    await backendFor(mockExec).createComposeEnvironment(COMPOSE_OPTS)
+
+    const setup = mockExec.calls.find(c => c.args[0] === 'exec' && c.args.includes('bash')).args.at(-1)
+    assert.equal(setup, 'useradd -m -s /bin/bash chroxy && chown chroxy:chroxy /workspace')
+  })
+
+  it('tears the pod down and rethrows when no container is running', async () => {
+    const mockExec = createMockExecFile({ results: { ps: '[]' } })
+    await assert.rejects(
+      backendFor(mockExec).createComposeEnvironment(COMPOSE_OPTS),
+      /No running containers found in compose project/,
+    )
+    const down = mockExec.calls.find(c => c.cmd === 'podman-compose' && c.args.includes('down'))
+    assert.deepEqual(down.args.slice(-3), ['-p', 'chroxy-env-compose', 'down'])
+  })
+
+  it('rejects with the podman-compose stderr when up fails', async () => {
+    const mockExec = createMockExecFile({ errors: { up: new Error('no such image') } })
+    await assert.rejects(backendFor(mockExec).createComposeEnvironment(COMPOSE_OPTS), /no such image/)
+  })
+})
+
+describe('PodmanBackend.destroyComposeEnvironment()', () => {
+  it('runs podman-compose down with the same file set and resolves on failure', async () => {
+    const mockExec = createMockExecFile({ errors: { down: new Error('pod not found') } })
+    await backendFor(mockExec).destroyComposeEnvironment(COMPOSE_OPTS)
+
+    const down = mockExec.calls.find(c => c.cmd === 'podman-compose')
+    assert.deepEqual(down.args, [
+      '-f', '/home/user/project/compose.yml',
+      '-f', '/home/user/project/compose.override.yml',
+      '-p', 'chroxy-env-compose', 'down',
+    ])
+  })
+})
+
+describe('PodmanBackend._composeServices()', () => {
+  it('returns an empty array when podman ps output is not JSON', async () => {
+    const mockExec = createMockExecFile({ results: { ps: 'not json' } })
+    assert.deepEqual(await backendFor(mockExec)._composeServices('proj'), [])
+  })
+})
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Egress gateway and feature images go through podman too
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('PodmanBackend helpers built on the container CLI', () => {
+  it('builds an egress gateway that drives podman', async () => {
+    const mockExec = createMockExecFile()
+    const spawned = []
+    const mockSpawn = (cmd, args) => {
+      spawned.push({ cmd, args })
+      const child = new EventEmitter()
+      child.stdout = new PassThrough()
+      child.kill = () => {}
+      return child
+    }
+    const backend = new PodmanBackend({ _execFile: mockExec, _spawn: mockSpawn, _platform: 'linux' })
+    const gateway = backend.createEgressGateway({ id: 'abc', policy: { policy: 'none', domains: [] } })
+    await gateway.start()
+
+    assert.ok(mockExec.calls.every(c => c.cmd === 'podman'))
+    const run = mockExec.calls.find(c => c.args[0] === 'run').args
+    assert.ok(!run.includes('--add-host'))
+    assert.equal(spawned[0].cmd, 'podman')
+    await gateway.stop()
+  })
+
+  it('builds devcontainer feature images with podman build', async () => {
+    const mockExec = createMockExecFile({ errors: { image: new Error('No such image') } })
+    const tag = await backendFor(mockExec).buildFeatureImage({ baseImage: 'node:22', features: [] })
+
+    const build = mockExec.calls.find(c => c.args[0] === 'build')
+    assert.equal(build.cmd, 'podman')
+    assert.deepEqual(build.args.slice(0, 3), ['build', '-t', tag])
+  })
+})
@@ -33,6 +33,7 @@ import {
   ServerCostUpdateSchema,
   ServerSessionUsageSchema,
   ServerSessionCostThresholdCrossedSchema,
+  ServerProviderFailoverSchema,
   ServerBudgetWarningSchema,
   ServerBudgetExceededSchema,
   ServerUserQuestionSchema,
@@ -102,6 +103,7 @@ const SCHEMA_BY_TYPE = {
   cost_update: ServerCostUpdateSchema,
   session_usage: ServerSessionUsageSchema,
   session_cost_threshold_crossed: ServerSessionCostThresholdCrossedSchema,
+  provider_failover: ServerProviderFailoverSchema,
   budget_warning: ServerBudgetWarningSchema,
   budget_exceeded: ServerBudgetExceededSchema,
   user_question: ServerUserQuestionSchema,
@@ -194,6 +196,21 @@ const FIXTURES = [
   ['cost_update', { sessionCost: 0.1, totalCost: 0.5, budget: 10 }, makeCtx()],
   ['session_usage', { cumulativeUsage: { inputTokens: 17, outputTokens: 23, cacheReadTokens: 5, cacheCreationTokens: 2, costUsd: 0.00198, turnsBilled: 2 } }, makeCtx()],
   ['session_cost_threshold_crossed', { costUsd: 5.01, thresholdUsd: 5 }, makeCtx()],
+  // A cross-provider hop — the richest shape (target, billing class, carry + flags).
+  [
+    'provider_failover',
+    {
+      action: 'hop',
+      category: 'rate_limit',
+      provider: 'claude-sdk',
+      model: 'claude-sonnet-4-6',
+      to: { provider: 'codex', model: null },
+      billingClass: 'api-key',
+      carry: 'transcript',
+      flags: [{ kind: 'history_truncated', count: 1 }],
+    },
+    makeCtx(),
+  ],
   ['budget_warning', { sessionCost: 8, budget: 10, percent: 80, message: '80% of budget used' }, makeCtx()],
   ['budget_exceeded', { sessionCost: 11, budget: 10, percent: 110, message: 'Budget exceeded' }, makeCtx()],
   ['user_question', { toolUseId: 'toolu_q', questions: [{ question: 'Pick one', options: [] }] }, makeCtx()],
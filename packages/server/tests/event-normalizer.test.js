@@ -358,6 +358,48 @@ describe('EventNormalizer', () => {
     })
   })
 
+  // ---- egress_blocked marker bounding ----
+  //
+  // A request the egress proxy refused. The host comes from inside the
+  // container, so it is bounded at the wire like the markers above.
+  describe('egress_blocked marker', () => {
+    function blockedEvent(egressBlocked) {
+      return {
+        type: 'system',
+        subtype: 'egress_blocked',
+        content: 'Network egress blocked: evil.example:443 is not allowed by the "none" policy',
+        timestamp: Date.now(),
+        egressBlocked,
+      }
+    }
+
+    it('forwards a well-formed block with its subtype', () => {
+      const result = normalizer.normalize('message', blockedEvent({ host: 'evil.example', port: 443, policy: 'none', count: 3 }), makeCtx())
+      const msg = result.messages[0].msg
+      assert.equal(msg.subtype, 'egress_blocked')
+      assert.deepEqual(msg.egressBlocked, { host: 'evil.example', port: 443, policy: 'none', count: 3 })
+    })
+
+    it('caps the host and floors a bad count at 1', () => {
+      const result = normalizer.normalize('message', blockedEvent({ host: 'h'.repeat(1000), port: 80, policy: 'allowlist', count: -2 }), makeCtx())
+      const meta = result.messages[0].msg.egressBlocked
+      assert.equal(meta.host.length, 260)
+      assert.equal(meta.count, 1)
+    })
+
+    it('drops the marker for an unknown policy or an invalid port', () => {
+      for (const bad of [
+        { host: 'a.example', port: 443, policy: 'firewalled' },
+        { host: 'a.example', port: 70000, policy: 'none' },
+        { host: '', port: 443, policy: 'none' },
+      ]) {
+        const msg = normalizer.normalize('message', blockedEvent(bad), makeCtx()).messages[0].msg
+        assert.equal(msg.subtype, undefined)
+        assert.equal(msg.egressBlocked, undefined)
+      }
+    })
+  })
+
   // ---- EVENT_MAP: session_usage (#4072) ----
 
   describe('session_usage event', () => {
@@ -370,6 +412,35 @@ describe('EventNormalizer', () => {
     })
   })
 
+  // ---- EVENT_MAP: provider_failover ----
+
+  describe('provider_failover event', () => {
+    it('forwards a retry without hop fields and without a session-list refresh', () => {
+      const result = normalizer.normalize('provider_failover', {
+        action: 'retry', category: 'rate_limit', provider: 'claude-sdk', model: null, attempt: 1, delayMs: 2000,
+      }, makeCtx())
+      assert.deepEqual(result.messages[0].msg, {
+        type: 'provider_failover', action: 'retry', category: 'rate_limit', provider: 'claude-sdk', model: null, attempt: 1, delayMs: 2000,
+      })
+      assert.deepEqual(result.sideEffects, [])
+    })
+
+    it('forwards a hop with its target, billing class and carry, and refreshes the session list', () => {
+      const flags = [{ kind: 'tool_as_text', count: 1, detail: 'Grep' }]
+      const result = normalizer.normalize('provider_failover', {
+        action: 'hop', category: 'credit_cap', provider: 'claude-sdk', model: 'opus',
+        to: { provider: 'claude-byok', model: null }, billingClass: 'api-key', carry: 'conversation', flags,
+      }, makeCtx())
+      const msg = result.messages[0].msg
+      assert.deepEqual(msg.to, { provider: 'claude-byok', model: null })
+      assert.equal(msg.billingClass, 'api-key')
+      assert.equal(msg.carry, 'conversation')
+      assert.deepEqual(msg.flags, flags)
+      assert.equal(msg.attempt, undefined)
+      assert.deepEqual(result.sideEffects, [{ type: 'session_list' }])
+    })
+  })
+
   // ---- EVENT_MAP: result contextUsage passthrough (#6769) ----
 
   describe('result event occupancy snapshot (#6769)', () => {
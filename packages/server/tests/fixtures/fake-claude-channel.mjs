@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Fake `claude` for the claude-channel provider tests. Behaves like the real
+ * CLI as far as the channel contract goes: it prints the dev-channels warning
+ * and waits for Enter, reads `--mcp-config`, spawns the named channel server
+ * over stdio as an MCP client, and answers every channel notification by
+ * calling the `reply` tool.
+ *
+ *   - content starting with `run:` first sends a relayed permission request
+ *     for that Bash command and replies with the verdict it gets back.
+ *   - content `silent` gets no reply (for interrupt tests).
+ *   - FAKE_CLAUDE_ARGS_FILE, when set, receives the argv as JSON.
+ *   - FAKE_CLAUDE_EXIT_ON_START=1 exits before loading the channel.
+ */
+import { readFileSync, writeFileSync } from 'node:fs'
+import { z } from 'zod'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js'
+
+const argv = process.argv.slice(2)
+if (process.env.FAKE_CLAUDE_ARGS_FILE) writeFileSync(process.env.FAKE_CLAUDE_ARGS_FILE, JSON.stringify(argv))
+
+if (process.env.FAKE_CLAUDE_EXIT_ON_START === '1') {
+  process.stdout.write('Error: not logged in\n')
+  process.exit(3)
+}
+
+const tag = argv[argv.indexOf('--dangerously-load-development-channels') + 1] || ''
+const config = JSON.parse(readFileSync(argv[argv.indexOf('--mcp-config') + 1], 'utf8'))
+const server = config.mcpServers[tag.replace(/^server:/, '')]
+
+process.stdout.write('\x1b[33m--dangerously-load-development-channels is for local channel development only.\x1b[0m\n❯ 1. I am using this for local development\n')
+await new Promise((resolve) => {
+  process.stdin.on('data', (d) => { if (String(d).includes('\r')) resolve() })
+})
+
+const client = new Client({ name: 'fake-claude', version: '0.0.0' })
+const verdicts = new Map()
+
+client.setNotificationHandler(z.object({
+  method: z.literal('notifications/claude/channel/permission'),
+  params: z.object({ request_id: z.string(), behavior: z.string() }),
+}), ({ params }) => {
+  verdicts.get(params.request_id)?.(params.behavior)
+})
+
+client.setNotificationHandler(z.object({
+  method: z.literal('notifications/claude/channel'),
+  params: z.object({ content: z.string(), meta: z.record(z.string(), z.string()) }),
+}), async ({ params }) => {
+  const chatId = params.meta.chat_id
+  const content = params.content
+  if (content === 'silent') return
+  let text = `echo: ${content}`
+  if (content.startsWith('run:')) {
+    const command = content.slice(4).trim()
+    const requestId = `req${chatId}`
+    const behavior = new Promise((resolve) => verdicts.set(requestId, resolve))
+    await client.notification({
+      method: 'notifications/claude/channel/permission_request',
+      params: {
+        request_id: requestId,
+        tool_name: 'Bash',
+        description: `Run ${command}`,
+        input_preview: JSON.stringify({ command }),
+      },
+    })
+    text = `${command}: ${await behavior}`
+  }
+  await client.callTool({ name: 'reply', arguments: { chat_id: chatId, text } })
+})
+
+await client.connect(new StdioClientTransport({
+  command: server.command,
+  args: server.args,
+  env: { ...process.env, ...server.env },
+  stderr: 'ignore',
+}))
+process.stdout.write('Listening for channel messages from: server:chroxy-channel\n')
+
+process.on('SIGTERM', async () => {
+  await client.close().catch(() => {})
+  process.exit(0)
+})
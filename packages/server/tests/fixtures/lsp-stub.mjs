@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Scripted stub language server for the LSP bridge tests (#6479). Speaks
+// Content-Length-framed JSON-RPC on stdio like a real server. The script is a
+// JSON object passed as the first argument (so it travels through the
+// `languageServers` config `args` without touching the test's env):
+//
+//   responses    map of method → result returned verbatim; unlisted requests get `null`.
+//   diagnostics  Diagnostic[] published for every didOpen/didChange.
+//   record       file path; every message received is appended as a JSON line,
+//                so tests can assert what the client sent.
+//   crashOn      method name that makes the stub exit(1) instead of replying.
+//
+// After `initialized` the stub sends a `workspace/configuration` request and
+// records the client's answer, exercising the server → client request path.
+import { appendFileSync } from 'node:fs'
+
+const script = JSON.parse(process.argv[2] || '{}')
+const responses = script.responses || {}
+const diagnostics = script.diagnostics || null
+const recordPath = script.record || null
+const crashOn = script.crashOn || null
+
+function send(message) {
+  const body = Buffer.from(JSON.stringify({ jsonrpc: '2.0', ...message }), 'utf8')
+  process.stdout.write(`Content-Length: ${body.length}\r\n\r\n`)
+  process.stdout.write(body)
+}
+
+function record(message) {
+  if (recordPath) appendFileSync(recordPath, JSON.stringify(message) + '\n')
+}
+
+function handle(msg) {
+  record(msg)
+  if (msg.method === crashOn) process.exit(1)
+  if (msg.method === 'initialized') {
+    send({ id: 'cfg-1', method: 'workspace/configuration', params: { items: [{ section: 'stub' }, { section: 'other' }] } })
+    return
+  }
+  if (msg.method === 'exit') process.exit(0)
+  if ((msg.method === 'textDocument/didOpen' || msg.method === 'textDocument/didChange') && diagnostics) {
+    send({ method: 'textDocument/publishDiagnostics', params: { uri: msg.params.textDocument.uri, diagnostics } })
+    return
+  }
+  if (msg.id == null || !msg.method) return
+  if (msg.method === 'initialize') {
+    send({ id: msg.id, result: { capabilities: { definitionProvider: true, referencesProvider: true, hoverProvider: true, documentSymbolProvider: true } } })
+    return
+  }
+  send({ id: msg.id, result: Object.prototype.hasOwnProperty.call(responses, msg.method) ? responses[msg.method] : null })
+}
+
+let buf = Buffer.alloc(0)
+process.stdin.on('data', (chunk) => {
+  buf = Buffer.concat([buf, chunk])
+  for (;;) {
+    const headerEnd = buf.indexOf('\r\n\r\n')
+    if (headerEnd === -1) return
+    const length = Number(buf.subarray(0, headerEnd).toString('ascii').match(/Content-Length:\s*(\d+)/i)[1])
+    const start = headerEnd + 4
+    if (buf.length < start + length) return
+    const msg = JSON.parse(buf.subarray(start, start + length).toString('utf8'))
+    buf = buf.subarray(start + length)
+    handle(msg)
+  }
+})
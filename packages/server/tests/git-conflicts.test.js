@@ -0,0 +1,269 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile, readFile, mkdir } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { execFileSync } from 'node:child_process'
+import {
+  ServerGitConflictsResultSchema,
+  ServerGitConflictResultSchema,
+} from '@chroxy/protocol'
+import { createFileOps } from '../src/ws-file-ops/index.js'
+import { GIT } from '../src/git.js'
+import { disableRepoAutoGc, rmDirRobustAsync } from './test-helpers.js'
+
+/**
+ * git_conflicts / git_conflict_resolve / _continue / _abort against REAL
+ * merges, rebases and cherry-picks, so the unmerged-index parsing and the
+ * operation detection see git's actual state. Every reply is also parsed
+ * against its protocol schema.
+ */
+
+const SCHEMAS = {
+  git_conflicts_result: ServerGitConflictsResultSchema,
+  git_conflict_result: ServerGitConflictResultSchema,
+}
+
+function git(cwd, ...args) {
+  return execFileSync(GIT, args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim()
+}
+
+/**
+ * a.txt with its second and ninth lines replaced — far enough apart that git
+ * keeps two conflict hunks rather than coalescing them into one.
+ */
+function lines(second, ninth) {
+  return ['one', second, 'three', 'four', 'five', 'six', 'seven', 'eight', ninth, 'ten'].join('\n') + '\n'
+}
+
+/** Run git expecting it to stop on conflicts (non-zero exit). */
+function gitConflicting(cwd, ...args) {
+  try {
+    git(cwd, ...args)
+  } catch {
+    return
+  }
+  assert.fail(`git ${args.join(' ')} was expected to conflict`)
+}
+
+describe('git conflict ops', () => {
+  let rootDir
+  let fileOps
+  let repoSeq = 0
+  const responses = []
+  const ws = {}
+
+  async function call(op, ...args) {
+    responses.length = 0
+    await fileOps[op](ws, ...args)
+    assert.equal(responses.length, 1, `${op} must send exactly one reply`)
+    const reply = responses[0]
+    const parsed = SCHEMAS[reply.type].safeParse(reply)
+    assert.ok(parsed.success, `${reply.type} failed its schema: ${JSON.stringify(parsed.error?.issues)}`)
+    return reply
+  }
+
+  /**
+   * A fresh repo whose `main` and `feature` branches both edit a.txt in two
+   * places, and where `feature` deletes b.txt that `main` modifies.
+   */
+  async function conflictRepo({ diff3 = false } = {}) {
+    const dir = join(rootDir, `repo-${++repoSeq}`)
+    await mkdir(dir)
+    git(dir, 'init', '-q', '-b', 'main')
+    disableRepoAutoGc(dir) // #6098: stop background gc racing the teardown rm
+    git(dir, 'config', 'user.email', 'test@test.com')
+    git(dir, 'config', 'user.name', 'Test')
+    if (diff3) git(dir, 'config', 'merge.conflictStyle', 'diff3')
+    await writeFile(join(dir, 'a.txt'), lines('two', 'nine'))
+    await writeFile(join(dir, 'b.txt'), 'b\n')
+    git(dir, 'add', '.')
+    git(dir, 'commit', '-q', '-m', 'base')
+    git(dir, 'checkout', '-q', '-b', 'feature')
+    await writeFile(join(dir, 'a.txt'), lines('TWO-feature', 'NINE-feature'))
+    git(dir, 'rm', '-q', 'b.txt')
+    git(dir, 'commit', '-q', '-am', 'feature edits')
+    git(dir, 'checkout', '-q', 'main')
+    await writeFile(join(dir, 'a.txt'), lines('TWO-main', 'NINE-main'))
+    await writeFile(join(dir, 'b.txt'), 'b changed\n')
+    git(dir, 'commit', '-q', '-am', 'main edits')
+    return dir
+  }
+
+  before(async () => {
+    rootDir = await mkdtemp(join(tmpdir(), 'chroxy-git-conflicts-'))
+    fileOps = createFileOps((_ws, msg) => responses.push(msg), rootDir)
+  })
+
+  after(async () => {
+    if (rootDir) await rmDirRobustAsync(rootDir)
+  })
+
+  it('reports no operation and no files on a clean repo', async () => {
+    const dir = await conflictRepo()
+    const res = await call('gitConflicts', { requestId: 'c1' }, dir)
+    assert.equal(res.error, null)
+    assert.equal(res.operation, null)
+    assert.equal(res.branch, 'main')
+    assert.deepEqual(res.files, [])
+    assert.equal(res.requestId, 'c1')
+  })
+
+  it('lists a merge\'s conflicted files with their hunks and kinds', async () => {
+    const dir = await conflictRepo({ diff3: true })
+    gitConflicting(dir, 'merge', 'feature')
+    const res = await call('gitConflicts', {}, dir)
+    assert.equal(res.operation, 'merge')
+    assert.equal(res.branch, 'main')
+    const byPath = Object.fromEntries(res.files.map(f => [f.path, f]))
+    assert.equal(byPath['a.txt'].kind, 'both_modified')
+    assert.equal(byPath['a.txt'].hunks.length, 2)
+    const [first] = byPath['a.txt'].hunks
+    assert.deepEqual(first.ours, ['TWO-main'])
+    assert.deepEqual(first.base, ['two'])
+    assert.deepEqual(first.theirs, ['TWO-feature'])
+    assert.deepEqual(first.before, ['one'])
+    assert.match(byPath['a.txt'].hash, /^[0-9a-f]{64}$/)
+    assert.equal(byPath['b.txt'].kind, 'deleted_by_them')
+    assert.deepEqual(byPath['b.txt'].hunks, [])
+  })
+
+  it('resolves hunk by hunk and stages the file once no markers remain', async () => {
+    const dir = await conflictRepo()
+    gitConflicting(dir, 'merge', 'feature')
+    const { files } = await call('gitConflicts', {}, dir)
+    const a = files.find(f => f.path === 'a.txt')
+
+    let res = await call('gitConflictResolve', { path: 'a.txt', hash: a.hash, resolutions: [{ index: 0, choice: 'theirs' }], requestId: 'r1' }, dir)
+    assert.equal(res.error, null)
+    assert.equal(res.remaining, 1)
+    assert.equal(res.staged, false)
+    assert.equal(res.requestId, 'r1')
+    assert.match(git(dir, 'ls-files', '-u', '--', 'a.txt'), /a\.txt/)
+
+    // The file changed, so the old hash is now stale.
+    res = await call('gitConflictResolve', { path: 'a.txt', hash: a.hash, resolutions: [{ index: 0, choice: 'ours' }] }, dir)
+    assert.match(res.error, /changed on disk/)
+
+    const { files: again } = await call('gitConflicts', {}, dir)
+    const a2 = again.find(f => f.path === 'a.txt')
+    assert.equal(a2.hunks.length, 1)
+    res = await call('gitConflictResolve', { path: 'a.txt', hash: a2.hash, resolutions: [{ index: 0, choice: 'both' }] }, dir)
+    assert.equal(res.remaining, 0)
+    assert.equal(res.staged, true)
+    assert.equal(await readFile(join(dir, 'a.txt'), 'utf8'), lines('TWO-feature', 'NINE-main\nNINE-feature'))
+    assert.equal(git(dir, 'ls-files', '-u', '--', 'a.txt'), '')
+  })
+
+  it('takes a whole side, staging the deletion when that side deleted the file', async () => {
+    const dir = await conflictRepo()
+    gitConflicting(dir, 'merge', 'feature')
+    let res = await call('gitConflictResolve', { path: 'a.txt', take: 'ours' }, dir)
+    assert.equal(res.staged, true)
+    assert.match(await readFile(join(dir, 'a.txt'), 'utf8'), /TWO-main/)
+    res = await call('gitConflictResolve', { path: 'b.txt', take: 'theirs' }, dir)
+    assert.equal(res.error, null)
+    assert.equal(res.staged, true)
+    assert.equal(git(dir, 'ls-files', '--', 'b.txt'), '')
+  })
+
+  it('refuses per-hunk resolution of a modify/delete conflict', async () => {
+    const dir = await conflictRepo()
+    gitConflicting(dir, 'merge', 'feature')
+    const res = await call('gitConflictResolve', { path: 'b.txt', hash: 'x', resolutions: [] }, dir)
+    assert.match(res.error, /take ours or theirs/)
+  })
+
+  it('refuses a path with no conflict and a path outside the session cwd', async () => {
+    const dir = await conflictRepo()
+    gitConflicting(dir, 'merge', 'feature')
+    let res = await call('gitConflictResolve', { path: 'nope.txt', take: 'ours' }, dir)
+    assert.match(res.error, /no unresolved conflict/)
+    res = await call('gitConflictResolve', { path: '../outside.txt', take: 'ours' }, dir)
+    assert.match(res.error, /Access denied/)
+  })
+
+  it('refuses to continue while files are conflicted, then commits the merge', async () => {
+    const dir = await conflictRepo()
+    gitConflicting(dir, 'merge', 'feature')
+    let res = await call('gitConflictContinue', {}, dir)
+    assert.match(res.error, /2 files are still conflicted/)
+    assert.equal(res.remaining, 2)
+
+    await call('gitConflictResolve', { path: 'a.txt', take: 'theirs' }, dir)
+    await call('gitConflictResolve', { path: 'b.txt', take: 'ours' }, dir)
+    res = await call('gitConflictContinue', { requestId: 'k1' }, dir)
+    assert.equal(res.error, null)
+    assert.equal(res.operation, null)
+    assert.equal(res.requestId, 'k1')
+    assert.equal(git(dir, 'rev-list', '--count', 'HEAD^@'), '3')
+  })
+
+  it('aborts a merge back to the pre-merge state', async () => {
+    const dir = await conflictRepo()
+    const head = git(dir, 'rev-parse', 'HEAD')
+    gitConflicting(dir, 'merge', 'feature')
+    const res = await call('gitConflictAbort', {}, dir)
+    assert.equal(res.error, null)
+    assert.equal(res.operation, null)
+    assert.equal(res.remaining, 0)
+    assert.equal(git(dir, 'rev-parse', 'HEAD'), head)
+    assert.equal(git(dir, 'status', '--porcelain'), '')
+  })
+
+  it('reports nothing to continue or abort outside an operation', async () => {
+    const dir = await conflictRepo()
+    assert.match((await call('gitConflictContinue', {}, dir)).error, /No merge, rebase/)
+    assert.match((await call('gitConflictAbort', {}, dir)).error, /No merge, rebase/)
+  })
+
+  it('detects a rebase, names the rebased branch, and continues it', async () => {
+    const dir = await conflictRepo()
+    git(dir, 'checkout', '-q', 'feature')
+    gitConflicting(dir, 'rebase', 'main')
+    const res = await call('gitConflicts', {}, dir)
+    assert.equal(res.operation, 'rebase')
+    assert.equal(res.branch, 'feature')
+
+    for (const f of res.files) await call('gitConflictResolve', { path: f.path, take: 'theirs' }, dir)
+    const done = await call('gitConflictContinue', {}, dir)
+    assert.equal(done.error, null)
+    assert.equal(done.operation, null)
+    assert.equal(git(dir, 'rev-parse', '--abbrev-ref', 'HEAD'), 'feature')
+  })
+
+  it('stopping on the next commit\'s conflicts is not an error', async () => {
+    const dir = await conflictRepo()
+    git(dir, 'checkout', '-q', 'feature')
+    await writeFile(join(dir, 'a.txt'), lines('TWO-feature-2', 'NINE-feature'))
+    git(dir, 'commit', '-q', '-am', 'feature edits again')
+    gitConflicting(dir, 'rebase', 'main')
+
+    // Keeping main's side of the first commit makes the second one conflict too.
+    const { files } = await call('gitConflicts', {}, dir)
+    for (const f of files) await call('gitConflictResolve', { path: f.path, take: 'ours' }, dir)
+    const res = await call('gitConflictContinue', {}, dir)
+    assert.equal(res.error, null)
+    assert.equal(res.operation, 'rebase')
+    assert.equal(res.remaining, 1)
+
+    const aborted = await call('gitConflictAbort', {}, dir)
+    assert.equal(aborted.operation, null)
+  })
+
+  it('detects a cherry-pick', async () => {
+    const dir = await conflictRepo()
+    gitConflicting(dir, 'cherry-pick', 'feature')
+    const res = await call('gitConflicts', {}, dir)
+    assert.equal(res.operation, 'cherry-pick')
+    assert.ok(res.files.some(f => f.path === 'a.txt'))
+  })
+
+  it('reports no session cwd', async () => {
+    const res = await call('gitConflicts', {}, null)
+    assert.match(res.error, /not available/)
+    const resolve = await call('gitConflictResolve', { path: 'a.txt', take: 'ours' }, null)
+    assert.equal(resolve.action, 'resolve')
+    assert.match(resolve.error, /not available/)
+  })
+})
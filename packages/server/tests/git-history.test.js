@@ -0,0 +1,312 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile, mkdir } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { execFileSync } from 'node:child_process'
+import {
+  ServerGitLogResultSchema,
+  ServerGitShowResultSchema,
+  ServerGitBlameResultSchema,
+  ServerGitBranchResultSchema,
+} from '@chroxy/protocol'
+import { createFileOps } from '../src/ws-file-ops/index.js'
+import { GIT } from '../src/git.js'
+import { disableRepoAutoGc, rmDirRobustAsync } from './test-helpers.js'
+
+/**
+ * git_log / git_show / git_blame and the branch create / checkout / delete
+ * ops, driven against a REAL repository (the git-stage-commit fixture pattern)
+ * so the parsers are exercised on git's actual output. Every reply is also
+ * parsed against its protocol schema.
+ */
+
+const SCHEMAS = {
+  git_log_result: ServerGitLogResultSchema,
+  git_show_result: ServerGitShowResultSchema,
+  git_blame_result: ServerGitBlameResultSchema,
+  git_branch_result: ServerGitBranchResultSchema,
+}
+
+function git(cwd, ...args) {
+  return execFileSync(GIT, args, { cwd, encoding: 'utf8' }).trim()
+}
+
+describe('git history, blame and branch ops', () => {
+  // The workspace root holds the fixture repo and a sibling commit-less repo.
+  let rootDir
+  let tmpDir
+  let fileOps
+  const responses = []
+  const ws = {}
+
+  /** Run one op and return the single reply it sent, schema-checked. */
+  async function call(op, ...args) {
+    responses.length = 0
+    await fileOps[op](ws, ...args)
+    assert.equal(responses.length, 1, `${op} must send exactly one reply`)
+    const reply = responses[0]
+    const parsed = SCHEMAS[reply.type].safeParse(reply)
+    assert.ok(parsed.success, `${reply.type} failed its schema: ${JSON.stringify(parsed.error?.issues)}`)
+    return reply
+  }
+
+  before(async () => {
+    rootDir = await mkdtemp(join(tmpdir(), 'chroxy-git-history-'))
+    tmpDir = join(rootDir, 'repo')
+    await mkdir(tmpDir)
+    fileOps = createFileOps((_ws, msg) => responses.push(msg), rootDir)
+    git(tmpDir, 'init', '-q', '-b', 'main')
+    disableRepoAutoGc(tmpDir) // #6098: stop background gc racing the teardown rm
+    git(tmpDir, 'config', 'user.email', 'test@test.com')
+    git(tmpDir, 'config', 'user.name', 'Test')
+    await writeFile(join(tmpDir, 'a.txt'), 'one\ntwo\n')
+    git(tmpDir, 'add', '.')
+    git(tmpDir, 'commit', '-q', '-m', 'first')
+    await writeFile(join(tmpDir, 'a.txt'), 'one\nTWO\nthree\n')
+    git(tmpDir, 'commit', '-q', '-am', 'second', '-m', 'with a body')
+    git(tmpDir, 'mv', 'a.txt', 'b.txt')
+    git(tmpDir, 'commit', '-q', '-m', 'rename a to b')
+    await mkdir(join(tmpDir, 'sub'))
+    await writeFile(join(tmpDir, 'sub', 'c.txt'), 'c\n')
+    git(tmpDir, 'add', '.')
+    git(tmpDir, 'commit', '-q', '-m', 'add c')
+  })
+
+  after(async () => {
+    if (rootDir) await rmDirRobustAsync(rootDir)
+  })
+
+  describe('gitLog', () => {
+    it('returns newest-first commits with parsed fields', async () => {
+      const res = await call('gitLog', {}, tmpDir)
+      assert.equal(res.error, null)
+      assert.deepEqual(res.commits.map(c => c.subject), ['add c', 'rename a to b', 'second', 'first'])
+      assert.equal(res.hasMore, false)
+      const [head] = res.commits
+      assert.equal(head.hash, git(tmpDir, 'rev-parse', 'HEAD'))
+      assert.equal(head.author, 'Test')
+      assert.equal(head.email, 'test@test.com')
+      assert.ok(!Number.isNaN(Date.parse(head.date)))
+      assert.deepEqual(head.parents, [git(tmpDir, 'rev-parse', 'HEAD~1')])
+      assert.deepEqual(res.commits[3].parents, [], 'the root commit has no parents')
+    })
+
+    it('pages with skip/limit and reports hasMore', async () => {
+      const first = await call('gitLog', { limit: 3 }, tmpDir)
+      assert.equal(first.commits.length, 3)
+      assert.equal(first.hasMore, true)
+      const second = await call('gitLog', { skip: 3, limit: 3, requestId: 'page-2' }, tmpDir)
+      assert.deepEqual(second.commits.map(c => c.subject), ['first'])
+      assert.equal(second.skip, 3)
+      assert.equal(second.hasMore, false)
+      assert.equal(second.requestId, 'page-2')
+    })
+
+    it('follows a file across its rename', async () => {
+      const res = await call('gitLog', { path: 'b.txt' }, tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.path, 'b.txt')
+      assert.deepEqual(res.commits.map(c => c.subject), ['rename a to b', 'second', 'first'])
+    })
+
+    it('takes the path literally — pathspec magic does not widen it', async () => {
+      const res = await call('gitLog', { path: ':/sub' }, tmpDir)
+      assert.equal(res.error, null)
+      assert.deepEqual(res.commits, [], "':/sub' names a file literally called that, which never existed")
+    })
+
+    it('rejects a path outside the session cwd', async () => {
+      const res = await call('gitLog', { path: '../elsewhere.txt' }, tmpDir)
+      assert.match(res.error, /Access denied/)
+      assert.deepEqual(res.commits, [])
+    })
+
+    it('treats a repository with no commits as an empty log', async () => {
+      const empty = join(rootDir, 'empty')
+      await mkdir(empty)
+      git(empty, 'init', '-q')
+      const res = await call('gitLog', {}, empty)
+      assert.equal(res.error, null)
+      assert.deepEqual(res.commits, [])
+    })
+
+    it('reports no session cwd', async () => {
+      const res = await call('gitLog', {}, null)
+      assert.match(res.error, /not available/)
+    })
+  })
+
+  describe('gitShow', () => {
+    it('returns the commit header, body and its diff against the first parent', async () => {
+      const hash = git(tmpDir, 'rev-parse', 'HEAD~2')
+      const res = await call('gitShow', hash, tmpDir, 'r1')
+      assert.equal(res.error, null)
+      assert.equal(res.requestId, 'r1')
+      assert.equal(res.commit.subject, 'second')
+      assert.equal(res.commit.body, 'with a body')
+      assert.equal(res.files.length, 1)
+      assert.equal(res.files[0].path, 'a.txt')
+      assert.equal(res.files[0].additions, 2)
+      assert.equal(res.files[0].deletions, 1)
+      assert.equal(res.truncated, false)
+    })
+
+    it('diffs a root commit against the empty tree', async () => {
+      const root = git(tmpDir, 'rev-list', '--max-parents=0', 'HEAD')
+      const res = await call('gitShow', root.slice(0, 10), tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.commit.hash, root)
+      assert.equal(res.files[0].status, 'added')
+    })
+
+    it('rejects anything that is not a hex hash before it reaches git', async () => {
+      for (const bad of ['HEAD', '--output=/tmp/x', 'HEAD:a.txt', 'abc']) {
+        const res = await call('gitShow', bad, tmpDir)
+        assert.equal(res.error, 'Invalid commit hash', bad)
+      }
+    })
+
+    it('reports an unknown commit', async () => {
+      const res = await call('gitShow', 'deadbeefdeadbeef', tmpDir)
+      assert.match(res.error, /Unknown commit/)
+      assert.equal(res.commit, null)
+    })
+  })
+
+  describe('gitBlame', () => {
+    it('folds consecutive lines from the same commit into hunks', async () => {
+      const res = await call('gitBlame', { path: 'b.txt', requestId: 'b1' }, tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.requestId, 'b1')
+      assert.deepEqual(res.hunks.map(h => [h.summary, h.startLine, h.lines]), [
+        ['first', 1, ['one']],
+        ['second', 2, ['TWO', 'three']],
+      ])
+      assert.equal(res.hunks[0].author, 'Test')
+      assert.equal(res.truncated, false)
+    })
+
+    it('blames as of a given commit', async () => {
+      const first = git(tmpDir, 'rev-list', '--max-parents=0', 'HEAD')
+      const res = await call('gitBlame', { path: 'a.txt', rev: first }, tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.rev, first)
+      assert.deepEqual(res.hunks.map(h => h.lines), [['one', 'two']])
+    })
+
+    it('attributes uncommitted lines to the all-zero hash', async () => {
+      await writeFile(join(tmpDir, 'sub', 'c.txt'), 'c\nlocal\n')
+      try {
+        const res = await call('gitBlame', { path: 'sub/c.txt' }, tmpDir)
+        assert.match(res.hunks[1].hash, /^0+$/)
+      } finally {
+        git(tmpDir, 'checkout', '--', 'sub/c.txt')
+      }
+    })
+
+    it('returns no hunks for an empty file', async () => {
+      await writeFile(join(tmpDir, 'empty.txt'), '')
+      git(tmpDir, 'add', 'empty.txt')
+      git(tmpDir, 'commit', '-q', '-m', 'empty file')
+      const res = await call('gitBlame', { path: 'empty.txt' }, tmpDir)
+      assert.equal(res.error, null)
+      assert.deepEqual(res.hunks, [])
+      git(tmpDir, 'reset', '-q', '--hard', 'HEAD~1')
+    })
+
+    it('rejects a path outside the cwd, the cwd itself, and a non-hash rev', async () => {
+      assert.match((await call('gitBlame', { path: '../x.txt' }, tmpDir)).error, /Access denied/)
+      assert.match((await call('gitBlame', { path: '.' }, tmpDir)).error, /Access denied/)
+      assert.equal((await call('gitBlame', { path: 'b.txt', rev: 'HEAD~1' }, tmpDir)).error, 'Invalid commit hash')
+      assert.match((await call('gitBlame', {}, tmpDir)).error, /No file/)
+    })
+  })
+
+  describe('branch management', () => {
+    it('creates a branch without switching to it', async () => {
+      const res = await call('gitBranchCreate', { name: 'feat/one' }, tmpDir)
+      assert.deepEqual(
+        { action: res.action, branch: res.branch, currentBranch: res.currentBranch, error: res.error },
+        { action: 'create', branch: 'feat/one', currentBranch: 'main', error: null },
+      )
+      assert.equal(git(tmpDir, 'rev-parse', 'feat/one'), git(tmpDir, 'rev-parse', 'HEAD'))
+    })
+
+    it('creates and switches to a branch at a start point', async () => {
+      const res = await call('gitBranchCreate', { name: 'feat/two', startPoint: 'HEAD~1', checkout: true }, tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.currentBranch, 'feat/two')
+      assert.equal(git(tmpDir, 'rev-parse', 'HEAD'), git(tmpDir, 'rev-parse', 'main~1'))
+    })
+
+    it('switches between branches and refuses to delete the checked-out one', async () => {
+      const res = await call('gitCheckout', 'main', tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.currentBranch, 'main')
+      const del = await call('gitBranchDelete', { name: 'main' }, tmpDir)
+      assert.match(del.error, /checked-out branch/)
+    })
+
+    it('refuses to drop unmerged work unless forced', async () => {
+      git(tmpDir, 'switch', '-q', '-c', 'wip')
+      await writeFile(join(tmpDir, 'wip.txt'), 'wip\n')
+      git(tmpDir, 'add', '.')
+      git(tmpDir, 'commit', '-q', '-m', 'wip')
+      git(tmpDir, 'switch', '-q', 'main')
+
+      const soft = await call('gitBranchDelete', { name: 'wip' }, tmpDir)
+      assert.match(soft.error, /not fully merged/)
+      assert.equal(git(tmpDir, 'branch', '--list', 'wip'), 'wip')
+
+      const forced = await call('gitBranchDelete', { name: 'wip', force: true }, tmpDir)
+      assert.equal(forced.error, null)
+      assert.equal(forced.currentBranch, 'main')
+      assert.equal(git(tmpDir, 'branch', '--list', 'wip'), '')
+    })
+
+    it('checks out a remote-tracking branch as a new local tracking branch', async () => {
+      git(tmpDir, 'remote', 'add', 'origin', 'https://example.invalid/repo.git')
+      git(tmpDir, 'update-ref', 'refs/remotes/origin/topic', 'HEAD~1')
+      const res = await call('gitCheckout', 'origin/topic', tmpDir)
+      assert.equal(res.error, null)
+      assert.equal(res.currentBranch, 'topic')
+      git(tmpDir, 'switch', '-q', 'main')
+    })
+
+    it('rejects option-shaped and malformed branch names before running git', async () => {
+      for (const bad of ['-D', '--force', 'a..b', 'x@{-1}', 'has space', '']) {
+        const res = await call('gitBranchCreate', { name: bad }, tmpDir)
+        assert.match(res.error, /Invalid branch name/, JSON.stringify(bad))
+      }
+      assert.match((await call('gitCheckout', '--orphan', tmpDir)).error, /Invalid branch name/)
+      assert.match((await call('gitBranchDelete', { name: '-r' }, tmpDir)).error, /Invalid branch name/)
+      assert.equal(git(tmpDir, 'rev-parse', '--abbrev-ref', 'HEAD'), 'main')
+    })
+
+    it('rejects an unknown or option-shaped start point', async () => {
+      for (const startPoint of ['no-such-ref', '--orphan']) {
+        const res = await call('gitBranchCreate', { name: 'feat/three', startPoint }, tmpDir)
+        assert.match(res.error, /Unknown start point/)
+      }
+      assert.equal(git(tmpDir, 'branch', '--list', 'feat/three'), '')
+    })
+
+    it('reports a switch git refuses because of local changes, leaving them intact', async () => {
+      // b.txt must differ between the branches, or git carries the edit over.
+      git(tmpDir, 'switch', '-q', '-c', 'diverged')
+      await writeFile(join(tmpDir, 'b.txt'), 'diverged\n')
+      git(tmpDir, 'commit', '-q', '-am', 'diverge b')
+      git(tmpDir, 'switch', '-q', 'main')
+      await writeFile(join(tmpDir, 'b.txt'), 'dirty\n')
+      try {
+        const res = await call('gitCheckout', 'diverged', tmpDir)
+        assert.ok(res.error, 'git refuses the switch')
+        assert.equal(res.action, 'checkout')
+        assert.equal(git(tmpDir, 'rev-parse', '--abbrev-ref', 'HEAD'), 'main')
+      } finally {
+        git(tmpDir, 'checkout', '--', 'b.txt')
+      }
+    })
+  })
+})
@@ -274,6 +274,23 @@ describe('handleGithubWebhook()', () => {
     assert.equal(server._repoEventStore.size, 1)
   })
 
+  it('hands a surfaced event to the scheduler engine when one is armed', () => {
+    const handed = []
+    const server = { _githubWebhookSecret: SECRET, _schedulerEngine: { handleRepoEvent: (e) => handed.push(e) } }
+    const body = JSON.stringify({ ref: 'refs/heads/main', commits: [{}], repository: { full_name: 'o/r' }, sender: { login: 'bob' } })
+    deliver(server, { headers: { 'x-github-event': 'push', 'x-hub-signature-256': sign(body) }, body })
+    assert.equal(handed.length, 1)
+    assert.equal(handed[0], server._repoEventStore.list()[0])
+  })
+
+  it('a throwing scheduler does not turn an accepted delivery into a 500', () => {
+    const server = { _githubWebhookSecret: SECRET, _schedulerEngine: { handleRepoEvent: () => { throw new Error('boom') } } }
+    const body = JSON.stringify({ ref: 'refs/heads/main', commits: [{}], repository: { full_name: 'o/r' }, sender: { login: 'bob' } })
+    const res = deliver(server, { headers: { 'x-github-event': 'push', 'x-hub-signature-256': sign(body) }, body })
+    assert.equal(res.statusCode, 202)
+    assert.equal(server._repoEventStore.size, 1)
+  })
+
   it('400 on a valid signature over invalid JSON', () => {
     const body = 'not json'
     const res = deliver({ _githubWebhookSecret: SECRET }, {
@@ -152,6 +152,24 @@ describe('conversation-handlers', () => {
       assert.equal(ctx.searchConversations.lastCall[0], 'hello')
     })
 
+    it('passes index filters, provider dirs and the daemon index through to the searcher', async () => {
+      const index = { refresh: async () => {}, search: () => [] }
+      const ctx = makeCtx(new Map(), { projectsDirs: ['/h/.claude/projects', '/h/.gemini/projects'], conversationIndex: index })
+
+      await conversationHandlers.search_conversations(makeWs(), makeClient(), {
+        query: 'deploy', repo: '/w/app', provider: 'gemini', role: 'tool', since: 10, until: 20,
+      }, ctx)
+
+      const opts = ctx.searchConversations.lastCall[1]
+      assert.equal(opts.repo, '/w/app')
+      assert.equal(opts.provider, 'gemini')
+      assert.equal(opts.role, 'tool')
+      assert.equal(opts.since, 10)
+      assert.equal(opts.until, 20)
+      assert.deepEqual(opts.projectsDirs, ['/h/.claude/projects', '/h/.gemini/projects'])
+      assert.equal(opts.index, index)
+    })
+
     it('sends empty search_results when the searcher throws', async () => {
       const ctx = makeCtx()
       ctx.searchConversations = createSpy(async () => { throw new Error('index missing') })
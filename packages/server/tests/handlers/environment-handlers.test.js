@@ -1,4 +1,5 @@
 import { describe, it } from 'node:test'
+import { homedir } from 'os'
 import assert from 'node:assert/strict'
 import { featureHandlers as environmentHandlers } from '../../src/handlers/feature-handlers.js'
 import { createSpy, nsCtx } from '../test-helpers.js'
@@ -55,6 +56,21 @@ describe('environment-handlers', () => {
       environmentHandlers.create_environment(makeWs(), makeClient(), { name: 'dev', cwd: '/etc' }, ctx)
       assert.equal(ctx._sent[0].type, 'environment_error')
     })
+    it('passes a normalized egress policy to the manager', () => {
+      const create = createSpy(async () => ({ id: 'env-1', name: 'dev', status: 'running' }))
+      const ctx = makeCtx({ environmentManager: { create, list: () => [] } })
+      environmentHandlers.create_environment(makeWs(), makeClient(), { name: 'dev', cwd: homedir(), egress: 'registries' }, ctx)
+      assert.deepEqual(create.lastCall[0].egress, { policy: 'registries', domains: [] })
+    })
+
+    it('sends environment_error for a malformed egress policy', () => {
+      const create = createSpy(async () => ({}))
+      const ctx = makeCtx({ environmentManager: { create } })
+      environmentHandlers.create_environment(makeWs(), makeClient(), { name: 'dev', cwd: homedir(), egress: { policy: 'none', domains: ['a.example'] } }, ctx)
+      assert.equal(ctx._sent[0].type, 'environment_error')
+      assert.match(ctx._sent[0].error, /not allowed with the "none" policy/)
+      assert.equal(create.callCount, 0)
+    })
   })
 
   describe('list_environments', () => {
@@ -18,6 +18,16 @@ function makeFileOps(overrides = {}) {
     gitUnstage: createSpy(),
     gitCommit: createSpy(),
     gitCreatePR: createSpy(),
+    gitLog: createSpy(),
+    gitShow: createSpy(),
+    gitBlame: createSpy(),
+    gitBranchCreate: createSpy(),
+    gitCheckout: createSpy(),
+    gitBranchDelete: createSpy(),
+    gitConflicts: createSpy(),
+    gitConflictResolve: createSpy(),
+    gitConflictContinue: createSpy(),
+    gitConflictAbort: createSpy(),
     listSlashCommands: createSpy(),
     listAgents: createSpy(),
     ...overrides,
@@ -234,6 +244,145 @@ describe('file-handlers', () => {
     })
   })
 
+  describe('git history + branch management', () => {
+    function repoCtx({ running = false, others = [] } = {}, overrides = {}) {
+      const sessions = new Map()
+      const session = createMockSession()
+      session.isRunning = running
+      sessions.set('s1', { session, name: 'S', cwd: '/repo' })
+      const send = createSpy()
+      const ctx = makeCtx(sessions, {
+        send,
+        sessionManager: {
+          getSession: createSpy((id) => sessions.get(id)),
+          listSessions: createSpy(() => [
+            { sessionId: 's1', name: 'S', cwd: '/repo', isBusy: running },
+            ...others,
+          ]),
+        },
+        ...overrides,
+      })
+      return { ctx, send, client: makeClient({ activeSessionId: 's1' }) }
+    }
+
+    it('git_log forwards paging, path and requestId with the session cwd', () => {
+      const { ctx, client } = repoCtx()
+      fileHandlers.git_log(makeWs(), client, { skip: 50, limit: 25, path: 'src/a.js', requestId: 'r1' }, ctx)
+      const [, opts, cwd] = ctx.services.fileOps.gitLog.lastCall
+      assert.deepEqual(opts, { skip: 50, limit: 25, path: 'src/a.js', requestId: 'r1' })
+      assert.equal(cwd, '/repo')
+    })
+
+    it('git_show and git_blame forward their targets', () => {
+      const { ctx, client } = repoCtx()
+      fileHandlers.git_show(makeWs(), client, { hash: 'abc1234', requestId: 'r2' }, ctx)
+      fileHandlers.git_blame(makeWs(), client, { path: 'a.js', rev: 'abc1234', requestId: 'r3' }, ctx)
+      assert.deepEqual(ctx.services.fileOps.gitShow.lastCall.slice(1), ['abc1234', '/repo', 'r2'])
+      assert.deepEqual(ctx.services.fileOps.gitBlame.lastCall.slice(1), [{ path: 'a.js', rev: 'abc1234', requestId: 'r3' }, '/repo'])
+    })
+
+    it('reads stay open while the session is busy and for bound tokens', () => {
+      const { ctx } = repoCtx({ running: true })
+      const bound = makeClient({ activeSessionId: 's1', boundSessionId: 's1' })
+      fileHandlers.git_log(makeWs(), bound, {}, ctx)
+      fileHandlers.git_show(makeWs(), bound, { hash: 'abcd' }, ctx)
+      fileHandlers.git_blame(makeWs(), bound, { path: 'a.js' }, ctx)
+      assert.equal(ctx.services.fileOps.gitLog.callCount, 1)
+      assert.equal(ctx.services.fileOps.gitShow.callCount, 1)
+      assert.equal(ctx.services.fileOps.gitBlame.callCount, 1)
+    })
+
+    it('git_branch_create / git_checkout / git_branch_delete forward their options', () => {
+      const { ctx, client } = repoCtx()
+      fileHandlers.git_branch_create(makeWs(), client, { name: 'feat/x', startPoint: 'main', checkout: true }, ctx)
+      fileHandlers.git_checkout(makeWs(), client, { branch: 'main' }, ctx)
+      fileHandlers.git_branch_delete(makeWs(), client, { name: 'old', force: true }, ctx)
+      assert.deepEqual(ctx.services.fileOps.gitBranchCreate.lastCall.slice(1), [{ name: 'feat/x', startPoint: 'main', checkout: true }, '/repo'])
+      assert.deepEqual(ctx.services.fileOps.gitCheckout.lastCall.slice(1), ['main', '/repo'])
+      assert.deepEqual(ctx.services.fileOps.gitBranchDelete.lastCall.slice(1), [{ name: 'old', force: true }, '/repo'])
+    })
+
+    const BRANCH_MUTATIONS = [
+      ['git_branch_create', 'gitBranchCreate', 'create', { name: 'feat/x' }],
+      ['git_checkout', 'gitCheckout', 'checkout', { branch: 'main' }],
+      ['git_branch_delete', 'gitBranchDelete', 'delete', { name: 'old' }],
+    ]
+
+    for (const [type, method, action, msg] of BRANCH_MUTATIONS) {
+      it(`${type}: refused while this session's turn is in flight`, () => {
+        const { ctx, send, client } = repoCtx({ running: true })
+        fileHandlers[type](makeWs(), client, msg, ctx)
+        assert.equal(ctx.services.fileOps[method].callCount, 0)
+        assert.equal(send.callCount, 1)
+        const reply = send.lastCall[1]
+        assert.equal(reply.type, 'git_branch_result')
+        assert.equal(reply.action, action)
+        assert.match(reply.error, /this session is busy/)
+      })
+
+      it(`${type}: refused while another session on the same cwd is busy`, () => {
+        const { ctx, send, client } = repoCtx({
+          others: [{ sessionId: 's2', name: 'Other', cwd: '/repo/', isBusy: true }],
+        })
+        fileHandlers[type](makeWs(), client, msg, ctx)
+        assert.equal(ctx.services.fileOps[method].callCount, 0)
+        assert.match(send.lastCall[1].error, /another session \("Other"\) is busy/)
+      })
+    }
+
+    it('a busy session in a DIFFERENT cwd does not block a branch switch', () => {
+      const { ctx, client } = repoCtx({
+        others: [{ sessionId: 's2', name: 'Other', cwd: '/elsewhere', isBusy: true }],
+      })
+      fileHandlers.git_checkout(makeWs(), client, { branch: 'main' }, ctx)
+      assert.equal(ctx.services.fileOps.gitCheckout.callCount, 1)
+    })
+
+    it('the shared-cwd scan fails open when listSessions throws', () => {
+      const { ctx, client } = repoCtx()
+      ctx.sessions.sessionManager.listSessions = () => { throw new Error('boom') }
+      fileHandlers.git_checkout(makeWs(), client, { branch: 'main' }, ctx)
+      assert.equal(ctx.services.fileOps.gitCheckout.callCount, 1)
+    })
+
+    it('git_conflicts forwards the requestId and stays open while busy', () => {
+      const { ctx, client } = repoCtx({ running: true })
+      fileHandlers.git_conflicts(makeWs(), client, { requestId: 'c1' }, ctx)
+      assert.deepEqual(ctx.services.fileOps.gitConflicts.lastCall.slice(1), [{ requestId: 'c1' }, '/repo'])
+    })
+
+    it('git_conflict_resolve forwards the file, hash and resolutions', () => {
+      const { ctx, client } = repoCtx()
+      const resolutions = [{ index: 0, choice: 'theirs' }]
+      fileHandlers.git_conflict_resolve(makeWs(), client, { path: 'a.txt', hash: 'h', resolutions, requestId: 'r1' }, ctx)
+      assert.deepEqual(ctx.services.fileOps.gitConflictResolve.lastCall.slice(1), [
+        { path: 'a.txt', hash: 'h', resolutions, take: undefined, requestId: 'r1' },
+        '/repo',
+      ])
+    })
+
+    const CONFLICT_MUTATIONS = [
+      ['git_conflict_resolve', 'gitConflictResolve', 'resolve', { path: 'a.txt', take: 'ours' }],
+      ['git_conflict_continue', 'gitConflictContinue', 'continue', {}],
+      ['git_conflict_abort', 'gitConflictAbort', 'abort', {}],
+    ]
+
+    for (const [type, method, action, msg] of CONFLICT_MUTATIONS) {
+      it(`${type}: refused with a git_conflict_result while the cwd is busy`, () => {
+        const { ctx, send, client } = repoCtx({
+          others: [{ sessionId: 's2', name: 'Other', cwd: '/repo', isBusy: true }],
+        })
+        fileHandlers[type](makeWs(), client, { ...msg, requestId: 'r9' }, ctx)
+        assert.equal(ctx.services.fileOps[method].callCount, 0)
+        const reply = send.lastCall[1]
+        assert.equal(reply.type, 'git_conflict_result')
+        assert.equal(reply.action, action)
+        assert.equal(reply.requestId, 'r9')
+        assert.match(reply.error, /Cannot change the merge while another session \("Other"\) is busy/)
+      })
+    }
+  })
+
   describe('list_slash_commands / list_agents', () => {
     it('list_slash_commands passes cwd and session id', () => {
       const sessions = new Map()
@@ -327,6 +476,12 @@ describe('file-handlers', () => {
       ['git_unstage', 'gitUnstage', { files: ['x.js'] }],
       ['git_commit', 'gitCommit', { message: 'm' }],
       ['git_create_pr', 'gitCreatePR', { title: 'feat: x' }],
+      ['git_branch_create', 'gitBranchCreate', { name: 'feat/x' }],
+      ['git_checkout', 'gitCheckout', { branch: 'main' }],
+      ['git_branch_delete', 'gitBranchDelete', { name: 'old' }],
+      ['git_conflict_resolve', 'gitConflictResolve', { path: 'a.txt', take: 'ours' }],
+      ['git_conflict_continue', 'gitConflictContinue', {}],
+      ['git_conflict_abort', 'gitConflictAbort', {}],
     ]
 
     for (const [type, method, msg] of MUTATIONS) {
@@ -174,6 +174,24 @@ describe('input-handlers', () => {
       assert.equal(session.sendMessage.lastCall[0], 'hello world')
     })
 
+    it("prepends a fork's carried conversation to the first message only", () => {
+      const sessions = new Map()
+      const session = createMockSession()
+      sessions.set('s1', { session, name: 'S', cwd: '/tmp' })
+      const ctx = makeCtx(sessions)
+      let carry = '[carried]'
+      ctx.sessions.sessionManager.takePendingCarry = createSpy(() => { const c = carry; carry = null; return c })
+      const client = makeClient({ activeSessionId: 's1' })
+
+      inputHandlers.input(makeWs(), client, { data: 'next step' }, ctx)
+      assert.equal(session.sendMessage.lastCall[0], '[carried]\n\nnext step')
+      // History records only what the user typed.
+      assert.equal(ctx.sessions.sessionManager.recordUserInput.lastCall[1], 'next step')
+
+      inputHandlers.input(makeWs(), client, { data: 'and again' }, ctx)
+      assert.equal(session.sendMessage.lastCall[0], 'and again')
+    })
+
     it('sends session_error when budget is paused', () => {
       const sessions = new Map()
       const session = createMockSession()
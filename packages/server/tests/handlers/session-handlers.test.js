@@ -1,5 +1,8 @@
 import { describe, it, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
 import { sessionHandlers } from '../../src/handlers/session-handlers.js'
 import { createSpy, createMockSession, waitFor, makeSessionIndexCtx, nsCtx } from '../test-helpers.js'
 
@@ -270,6 +273,67 @@ describe('session-handlers', () => {
       assert.equal(spy.lastCall[0].codexSandbox, undefined, 'an invalid codexSandbox is dropped (→ env/default)')
     })
 
+    it('threads a normalized egress policy to createSession', () => {
+      const ctx = makeCtx()
+      const session = createMockSession()
+      const spy = createSpy(() => 'new-id')
+      ctx.sessions.sessionManager.createSession = spy
+      ctx._sessions.set('new-id', { session, name: 'New', cwd: '/tmp' })
+
+      sessionHandlers.create_session(makeWs(), makeClient(), { name: 'A', egress: { policy: 'allowlist', domains: ['GitHub.com'] } }, ctx)
+      assert.deepEqual(spy.lastCall[0].egress, { policy: 'allowlist', domains: ['github.com'] })
+
+      sessionHandlers.create_session(makeWs(), makeClient(), { name: 'B' }, ctx)
+      assert.equal(spy.lastCall[0].egress, undefined, 'no policy → config / devcontainer default')
+    })
+
+    it('refuses a malformed egress policy instead of dropping it', () => {
+      const ctx = makeCtx()
+      const spy = createSpy(() => 'new-id')
+      ctx.sessions.sessionManager.createSession = spy
+      sessionHandlers.create_session(makeWs(), makeClient(), { egress: { policy: 'allowlist', domains: ['10.0.0.1'] } }, ctx)
+
+      const [, sent] = ctx.transport.send.lastCall
+      assert.equal(sent.type, 'session_error')
+      assert.match(sent.message, /IP address/)
+      assert.equal(spy.callCount, 0)
+    })
+
+    it('threads a bwrap sandbox request to createSession as sent', () => {
+      const ctx = makeCtx()
+      const session = createMockSession()
+      const spy = createSpy(() => 'new-id')
+      ctx.sessions.sessionManager.createSession = spy
+      ctx._sessions.set('new-id', { session, name: 'New', cwd: '/tmp' })
+
+      sessionHandlers.create_session(makeWs(), makeClient(), { name: 'A', sandbox: 'bwrap' }, ctx)
+      assert.equal(spy.lastCall[0].sandbox, 'bwrap')
+
+      sessionHandlers.create_session(makeWs(), makeClient(), { name: 'B', sandbox: { mode: 'bwrap', home: 'hidden' } }, ctx)
+      assert.deepEqual(spy.lastCall[0].sandbox, { mode: 'bwrap', home: 'hidden' })
+    })
+
+    it('refuses an unknown bwrap sandbox option instead of dropping it', () => {
+      const ctx = makeCtx()
+      const spy = createSpy(() => 'new-id')
+      ctx.sessions.sessionManager.createSession = spy
+      sessionHandlers.create_session(makeWs(), makeClient(), { sandbox: { mode: 'bwrap', network: 'off' } }, ctx)
+
+      const [, sent] = ctx.transport.send.lastCall
+      assert.equal(sent.type, 'session_error')
+      assert.match(sent.message, /sandbox\.network must be a boolean/)
+      assert.equal(spy.callCount, 0)
+    })
+
+    it('refuses egress on an environment session', () => {
+      const ctx = makeCtx()
+      sessionHandlers.create_session(makeWs(), makeClient(), { environmentId: 'env-1', egress: 'none' }, ctx)
+
+      const [, sent] = ctx.transport.send.lastCall
+      assert.equal(sent.type, 'session_error')
+      assert.match(sent.message, /set egress on the environment/)
+    })
+
     it('sends session_error when worktree requested without cwd', () => {
       const ctx = makeCtx()
       sessionHandlers.create_session(makeWs(), makeClient(), { worktree: true }, ctx)
@@ -1105,4 +1169,153 @@ describe('session-handlers', () => {
         sessionHandlers.terminal_resize(makeWs(), client, { type: 'terminal_resize', sessionId: 'sess-1', cols: 80, rows: 24 }, ctx))
     })
   })
+
+  describe('fork_session', () => {
+    const HISTORY = [
+      { type: 'message', messageType: 'user_input', content: 'try it', messageId: 'u1' },
+      { type: 'message', messageType: 'response', content: 'done', messageId: 'msg-a-1' },
+      { type: 'message', messageType: 'user_input', content: 'again', messageId: 'u2' },
+    ]
+    let dir
+
+    // A source outside any git repository: the fork shares its directory, so
+    // no worktree is involved and the mock manager needs no git support.
+    function forkCtx() {
+      dir = mkdtempSync(join(tmpdir(), 'chroxy-fork-handler-'))
+      const ctx = makeCtx()
+      const mgr = ctx.sessions.sessionManager
+      ctx._sessions.set('src', { session: createMockSession(), name: 'Refactor', cwd: dir, provider: 'claude-sdk' })
+      mgr.getHistory = createSpy(() => HISTORY)
+      mgr.createSession = createSpy((opts) => {
+        ctx._sessions.set('fork-1', { session: createMockSession(), name: opts.name, cwd: opts.cwd, provider: opts.provider, worktreePath: null })
+        return 'fork-1'
+      })
+      mgr.seedHistory = createSpy()
+      mgr.setPendingCarry = createSpy()
+      return ctx
+    }
+
+    it('forks the active session and re-homes the client', async () => {
+      const ctx = forkCtx()
+      const client = makeClient({ activeSessionId: 'src' })
+      try {
+        await sessionHandlers.fork_session(makeWs(), client, { type: 'fork_session', messageId: 'msg-a-1', provider: ' codex ' }, ctx)
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+
+      const [opts] = ctx.sessions.sessionManager.createSession.lastCall
+      assert.equal(opts.provider, 'codex')
+      assert.equal(opts.name, 'Fork: Refactor')
+      assert.equal(opts.cwd, dir)
+      const [seededId, seeded] = ctx.sessions.sessionManager.seedHistory.lastCall
+      assert.equal(seededId, 'fork-1')
+      assert.equal(seeded.length, 2, 'carries the turn, not the next prompt')
+      assert.equal(ctx.sessions.sessionManager.setPendingCarry.callCount, 1)
+
+      assert.equal(client.activeSessionId, 'fork-1')
+      const forked = ctx._sent.find(m => m.type === 'session_forked')
+      assert.deepEqual(forked, {
+        type: 'session_forked',
+        sourceSessionId: 'src',
+        messageId: 'msg-a-1',
+        sessionId: 'fork-1',
+        name: 'Fork: Refactor',
+        provider: 'codex',
+        carry: 'transcript',
+        worktree: false,
+        carriedMessages: 2,
+        truncated: false,
+      })
+      assert.ok(ctx._sent.find(m => m.type === 'session_switched' && m.sessionId === 'fork-1'))
+      assert.equal(ctx.transport.replayHistory.callCount, 1)
+    })
+
+    it('surfaces a fork failure as a session_error with its code', async () => {
+      const ctx = forkCtx()
+      try {
+        await sessionHandlers.fork_session(makeWs(), makeClient({ activeSessionId: 'src' }), { type: 'fork_session', messageId: 'gone' }, ctx)
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+      const err = ctx._sent.find(m => m.type === 'session_error')
+      assert.equal(err.code, 'FORK_MESSAGE_NOT_FOUND')
+      assert.match(err.message, /^Failed to fork session:/)
+      assert.equal(ctx.sessions.sessionManager.createSession.callCount, 0)
+    })
+
+    it('refuses a session-bound client', async () => {
+      const ctx = makeCtx()
+      await sessionHandlers.fork_session(makeWs(), makeClient({ boundSessionId: 'src', activeSessionId: 'src' }), { type: 'fork_session', messageId: 'u1' }, ctx)
+      assert.equal(ctx._sent[0].type, 'session_error')
+      assert.equal(ctx.sessions.sessionManager.createSession.callCount, 0)
+    })
+  })
+
+  describe('switch_provider', () => {
+    const HISTORY = [
+      { type: 'message', messageType: 'user_input', content: 'try it', messageId: 'u1' },
+      { type: 'message', messageType: 'response', content: 'done', messageId: 'msg-a-1' },
+    ]
+
+    function switchCtx() {
+      const ctx = makeCtx()
+      const mgr = ctx.sessions.sessionManager
+      ctx._sessions.set('src', { session: createMockSession(), name: 'Refactor', cwd: '/tmp', provider: 'claude-sdk' })
+      mgr.getHistory = createSpy(() => HISTORY)
+      mgr.isHistoryTruncated = createSpy(() => false)
+      mgr.createSession = createSpy((opts) => {
+        ctx._sessions.set('next-1', { session: createMockSession(), name: opts.name, cwd: opts.cwd, provider: opts.provider, worktreePath: null })
+        return 'next-1'
+      })
+      mgr.transferWorktree = createSpy(() => false)
+      mgr.seedHistory = createSpy()
+      mgr.setPendingCarry = createSpy()
+      return ctx
+    }
+
+    it('continues the active session on the new provider and re-homes the client', async () => {
+      const ctx = switchCtx()
+      const client = makeClient({ activeSessionId: 'src' })
+      await sessionHandlers.switch_provider(makeWs(), client, { type: 'switch_provider', provider: ' codex ' }, ctx)
+
+      const [opts] = ctx.sessions.sessionManager.createSession.lastCall
+      assert.equal(opts.provider, 'codex')
+      assert.equal(opts.name, 'Refactor')
+      assert.equal(opts.cwd, '/tmp')
+      assert.equal(ctx.sessions.sessionManager.setPendingCarry.callCount, 1)
+      assert.equal(client.activeSessionId, 'next-1')
+      assert.deepEqual(ctx._sent.find(m => m.type === 'provider_switched'), {
+        type: 'provider_switched',
+        sourceSessionId: 'src',
+        sessionId: 'next-1',
+        name: 'Refactor',
+        provider: 'codex',
+        carry: 'transcript',
+        carriedTurns: 2,
+        todos: 0,
+        worktree: false,
+        flags: [],
+        truncated: false,
+      })
+      assert.ok(ctx._sent.find(m => m.type === 'session_switched' && m.sessionId === 'next-1'))
+      assert.equal(ctx.transport.replayHistory.callCount, 1)
+    })
+
+    it('surfaces a switch failure as a session_error with its code', async () => {
+      const ctx = switchCtx()
+      await sessionHandlers.switch_provider(makeWs(), makeClient({ activeSessionId: 'src' }), { type: 'switch_provider', provider: 'claude-sdk' }, ctx)
+      const err = ctx._sent.find(m => m.type === 'session_error')
+      assert.equal(err.code, 'SWITCH_SAME_PROVIDER')
+      assert.match(err.message, /^Failed to switch provider:/)
+      assert.equal(ctx.sessions.sessionManager.createSession.callCount, 0)
+    })
+
+    it('refuses a session-bound client', async () => {
+      const ctx = makeCtx()
+      await sessionHandlers.switch_provider(makeWs(), makeClient({ boundSessionId: 'src', activeSessionId: 'src' }), { type: 'switch_provider', provider: 'codex' }, ctx)
+      assert.equal(ctx._sent[0].type, 'session_error')
+      assert.equal(ctx.sessions.sessionManager.createSession.callCount, 0)
+    })
+  })
 })
@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+
+import { createPermissionHandler } from '../src/ws-permissions.js'
+import { createPermissionResolver } from '../src/permission-resolver.js'
+import { setupForwarding } from '../src/ws-forwarding.js'
+import { EventNormalizer } from '../src/event-normalizer.js'
+import { CliSession } from '../src/cli-session.js'
+import { ClaudeTuiSession } from '../src/claude-tui-session.js'
+import { HookPermissionRelay } from '../src/hook-permission-relay.js'
+
+/**
+ * Hook-routed permission prompts mirrored onto the owning session
+ * (hook-permission-relay.js). Crosses ws-permissions.js + a real CliSession:
+ * POST /permission must surface as `permission_request` on the session, and
+ * `session.respondToPermission` must answer the held HTTP request — the surface
+ * the scheduler and orchestration gate drive.
+ */
+
+function makeReq(body, headers = {}) {
+  const emitter = new EventEmitter()
+  emitter.method = 'POST'
+  emitter.headers = headers
+  emitter.socket = { remoteAddress: '127.0.0.1' }
+  process.nextTick(() => {
+    emitter.emit('data', Buffer.from(body))
+    emitter.emit('end')
+  })
+  emitter.destroy = mock.fn()
+  emitter.setEncoding = mock.fn()
+  emitter.pause = mock.fn()
+  return emitter
+}
+
+function makeRes() {
+  const listeners = {}
+  return {
+    statusCode: null,
+    body: null,
+    writeHead(code) { this.statusCode = code },
+    end(b) { this.body = b },
+    on(event, cb) { listeners[event] = cb; return this },
+    emit(event, ...args) { if (listeners[event]) listeners[event](...args) },
+  }
+}
+
+describe('hook permission relay (ws-permissions → session)', () => {
+  let session
+  let handler
+  let opts
+  let events
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] })
+    // No `port`: no hook manager touches ~/.claude/settings.json, and
+    // `_hookSecret` is minted regardless.
+    session = new CliSession({ cwd: '/tmp' })
+    events = []
+    for (const name of ['permission_request', 'permission_resolved']) {
+      session.on(name, (data) => events.push([name, data]))
+    }
+    opts = {
+      sendFn: mock.fn(),
+      broadcastFn: mock.fn(),
+      validateBearerAuth: mock.fn(() => true),
+      validateHookAuth: mock.fn(() => true),
+      pushManager: null,
+      pendingPermissions: new Map(),
+      permissionSessionMap: new Map(),
+      getSessionManager: () => null,
+      findSessionByHookSecret: (secret) => (secret === session._hookSecret ? { session, sessionId: 'sess-1' } : null),
+    }
+    handler = createPermissionHandler(opts)
+  })
+
+  afterEach(() => {
+    handler?.destroy()
+    session?.destroy()
+    mock.timers.reset()
+  })
+
+  async function postPermission(toolInput = { command: 'rm -rf build' }) {
+    const res = makeRes()
+    handler.handlePermissionRequest(
+      makeReq(JSON.stringify({ tool_name: 'Bash', tool_input: toolInput }), { authorization: `Bearer ${session._hookSecret}` }),
+      res,
+    )
+    await new Promise((r) => setImmediate(r))
+    return res
+  }
+
+  it('hook-routed providers carry the relay and the in-process respond method', () => {
+    for (const Cls of [CliSession, ClaudeTuiSession]) {
+      assert.equal(Cls.capabilities.inProcessPermissions, true)
+      assert.equal(typeof Cls.prototype.respondToPermission, 'function')
+    }
+    assert.ok(session.hookPermissions instanceof HookPermissionRelay)
+  })
+
+  it('emits permission_request on the owning session with the broadcast requestId', async () => {
+    await postPermission()
+    const broadcast = opts.broadcastFn.mock.calls[0].arguments[0]
+    assert.equal(events.length, 1)
+    const [name, data] = events[0]
+    assert.equal(name, 'permission_request')
+    assert.equal(data.requestId, broadcast.requestId)
+    assert.equal(data.tool, 'Bash')
+    assert.equal(data.input.command, 'rm -rf build')
+    assert.equal(data.via, 'hook')
+  })
+
+  it('respondToPermission answers the held hook request at once and clears client prompts', async () => {
+    const res = await postPermission()
+    const { requestId } = events[0][1]
+
+    assert.equal(session.respondToPermission(requestId, 'deny'), true)
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(JSON.parse(res.body), { decision: 'deny' })
+    assert.equal(opts.pendingPermissions.has(requestId), false)
+    assert.equal(opts.permissionSessionMap.has(requestId), false)
+
+    const resolvedBroadcast = opts.broadcastFn.mock.calls[1].arguments[0]
+    assert.deepEqual(resolvedBroadcast, { type: 'permission_resolved', requestId, decision: 'deny', sessionId: 'sess-1' })
+    assert.deepEqual(events[1], ['permission_resolved', { requestId, decision: 'deny', reason: 'user', via: 'hook' }])
+
+    // Already settled: a second answer is a no-op, not a second response.
+    assert.equal(session.respondToPermission(requestId, 'allow'), false)
+    assert.equal(opts.broadcastFn.mock.calls.length, 2)
+  })
+
+  it('a client answer settles the mirror without a second resolved broadcast', async () => {
+    await postPermission()
+    const { requestId } = events[0][1]
+    handler.resolvePermission(requestId, 'allow')
+    assert.deepEqual(events[1], ['permission_resolved', { requestId, decision: 'allow', reason: 'user', via: 'hook' }])
+    assert.equal(opts.broadcastFn.mock.calls.length, 1, 'only the request broadcast — the response route owns the resolved one')
+    assert.equal(session.respondToPermission(requestId, 'deny'), false)
+  })
+
+  it('reports timeout, hook disconnect and drain with the matching reason', async () => {
+    await postPermission()
+    mock.timers.tick(300_000)
+    assert.equal(events[1][1].reason, 'timeout')
+
+    const res = await postPermission()
+    res.emit('close')
+    assert.equal(events[3][1].reason, 'aborted')
+
+    await postPermission()
+    handler.drainSessionPermissions('sess-1')
+    assert.deepEqual(events[5][1], { requestId: events[4][1].requestId, decision: 'deny', reason: 'cleared', via: 'hook' })
+  })
+
+  it('a client answer for a hook-routed session stays on the legacy resolver path', async () => {
+    await postPermission()
+    const { requestId } = events[0][1]
+    const audited = []
+    const resolver = createPermissionResolver({
+      permissionSessionMap: opts.permissionSessionMap,
+      pendingPermissions: opts.pendingPermissions,
+      getSessionManager: () => ({ getSession: (id) => (id === 'sess-1' ? { session } : null) }),
+      resolveLegacyPermission: (id, decision) => handler.resolvePermission(id, decision),
+      getPermissionAudit: () => ({ logDecision: (e) => audited.push(e) }),
+    })
+    const result = resolver.resolve(requestId, 'allow', null, { clientId: 'c1' })
+    assert.equal(result.kind, 'resolved')
+    assert.equal(result.via, 'legacy')
+    assert.equal(audited[0].tool, 'Bash')
+  })
+})
+
+describe('hook relay events stay off the wire (ws-forwarding)', () => {
+  it('does not re-broadcast a mirrored hook prompt or its resolution', () => {
+    const sm = new EventEmitter()
+    sm.getSession = mock.fn(() => null)
+    sm.listSessions = mock.fn(() => [])
+    sm.getSessionContext = mock.fn(() => Promise.resolve(null))
+    const devPreview = new EventEmitter()
+    devPreview.handleToolResult = mock.fn()
+    devPreview.closeSession = mock.fn()
+    const pushManager = { send: mock.fn(() => Promise.resolve()) }
+    const ctx = {
+      normalizer: new EventNormalizer(),
+      sessionManager: sm,
+      cliSession: null,
+      devPreview,
+      pushManager,
+      permissionSessionMap: new Map(),
+      questionSessionMap: new Map(),
+      broadcast: mock.fn(),
+      broadcastToSession: mock.fn(),
+    }
+    setupForwarding(ctx)
+
+    const request = { requestId: 'perm-1', tool: 'Bash', description: 'ls', input: {}, remainingMs: 300_000, via: 'hook' }
+    sm.emit('session_event', { sessionId: 'sess-1', event: 'permission_request', data: request })
+    sm.emit('session_event', { sessionId: 'sess-1', event: 'permission_resolved', data: { requestId: 'perm-1', decision: 'deny', reason: 'user', via: 'hook' } })
+    assert.equal(ctx.broadcastToSession.mock.calls.length, 0)
+    assert.equal(pushManager.send.mock.calls.length, 0)
+    assert.equal(ctx.permissionSessionMap.size, 0)
+
+    // The same events without the marker still go out.
+    sm.emit('session_event', { sessionId: 'sess-1', event: 'permission_request', data: { ...request, via: undefined } })
+    assert.equal(ctx.broadcastToSession.mock.calls[0].arguments[1].type, 'permission_request')
+  })
+})
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict'
 import { createServer } from 'node:http'
 import { once } from 'node:events'
 import { createHttpHandler } from '../src/http-routes.js'
+import { metrics } from '../src/metrics.js'
 
 function createMockServer(overrides = {}) {
   return {
@@ -167,4 +168,64 @@ describe('GET /metrics', () => {
     const body = await res.json()
     assert.equal(body.sessions.active, 0)
   })
+
+  it('serves OpenMetrics text to a scraper Accept header', async () => {
+    metrics.reset()
+    metrics.inc('sessions.created', 1, { provider: 'claude-sdk' })
+    const mock = createMockServer({
+      sessionManager: {
+        listSessions() { return [{ sessionId: 's1', provider: 'claude-sdk' }] },
+      },
+    })
+    await startWith(mock)
+    const res = await globalThis.fetch(`http://127.0.0.1:${port}/metrics`, {
+      headers: {
+        'Authorization': 'Bearer test-token',
+        'Accept': 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5,*/*;q=0.1',
+      },
+    })
+    assert.equal(res.status, 200)
+    assert.equal(res.headers.get('content-type'), 'application/openmetrics-text; version=1.0.0; charset=utf-8')
+    const text = await res.text()
+    assert.match(text, /^chroxy_sessions_active\{provider="claude-sdk"\} 1$/m)
+    assert.match(text, /^chroxy_sessions_created_total\{provider="claude-sdk"\} 1$/m)
+    assert.ok(text.endsWith('# EOF\n'))
+  })
+
+  it('serves Prometheus text for ?format=prometheus', async () => {
+    const mock = createMockServer()
+    await startWith(mock)
+    const res = await globalThis.fetch(`http://127.0.0.1:${port}/metrics?format=prometheus`, {
+      headers: { 'Authorization': 'Bearer test-token' },
+    })
+    assert.equal(res.status, 200)
+    assert.equal(res.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8')
+    const text = await res.text()
+    assert.match(text, /^# TYPE chroxy_uptime_seconds gauge$/m)
+    assert.ok(!text.includes('# EOF'))
+  })
+
+  it('still requires auth for the text formats', async () => {
+    const mock = createMockServer()
+    await startWith(mock)
+    const res = await globalThis.fetch(`http://127.0.0.1:${port}/metrics?format=openmetrics`)
+    assert.equal(res.status, 403)
+  })
+
+  it('keeps unlabeled totals in the JSON payload, histograms included', async () => {
+    metrics.reset()
+    metrics.inc('sessions.created', 1, { provider: 'claude-sdk', session_class: 'SdkSession' })
+    metrics.inc('sessions.destroyed', 1, { provider: 'codex', session_class: 'CodexSession' })
+    metrics.observe('turn.latency_seconds', 7, { provider: 'codex' })
+    const mock = createMockServer()
+    await startWith(mock)
+    const res = await globalThis.fetch(`http://127.0.0.1:${port}/metrics`, {
+      headers: { 'Authorization': 'Bearer test-token' },
+    })
+    const body = await res.json()
+    assert.equal(body.counters['sessions.created'], 1)
+    assert.equal(body.counters['sessions.destroyed'], 1)
+    assert.equal(body.histograms['turn.latency_seconds'].count, 1)
+    assert.ok(!('turn.latency_seconds{provider="codex"}' in body.histograms))
+  })
 })
@@ -938,6 +938,51 @@ describe('http-routes', () => {
       assert.equal(pm.isSessionTokenValid(t2), true, 'the sibling survives')
     })
 
+    it('PATCH /api/paired-devices/:id changes ONE device scope live', async () => {
+      pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+      const t1 = mintDevice()
+      const id = pm._deviceIdForToken(t1)
+      const mock = createMockServer({ _pairingManager: pm })
+      await startWith(mock)
+      const res = await globalThis.fetch(`http://127.0.0.1:${port}/api/paired-devices/${id}`, {
+        method: 'PATCH',
+        headers: { 'Authorization': 'Bearer test-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scope: 'approve' }),
+      })
+      assert.equal(res.status, 200)
+      assert.deepEqual(await res.json(), { ok: true, id, scope: 'approve' })
+      assert.equal(pm.getScopeForToken(t1), 'approve')
+    })
+
+    it('PATCH /api/paired-devices/:id rejects an unknown scope and an unknown id', async () => {
+      pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+      const t1 = mintDevice()
+      const mock = createMockServer({ _pairingManager: pm })
+      await startWith(mock)
+      const patch = (id, body) => globalThis.fetch(`http://127.0.0.1:${port}/api/paired-devices/${id}`, {
+        method: 'PATCH',
+        headers: { 'Authorization': 'Bearer test-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      assert.equal((await patch(pm._deviceIdForToken(t1), { scope: 'admin' })).status, 400)
+      assert.equal(pm.getScopeForToken(t1), 'full', 'a rejected scope leaves the device untouched')
+      assert.equal((await patch('deadbeefdeadbeef', { scope: 'observe' })).status, 404)
+    })
+
+    it('PATCH /api/paired-devices/:id rejects a bound (pairing) token', async () => {
+      pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+      const t1 = mintDevice()
+      const mock = createMockServer({ _pairingManager: pm })
+      await startWith(mock)
+      const res = await globalThis.fetch(`http://127.0.0.1:${port}/api/paired-devices/${pm._deviceIdForToken(t1)}`, {
+        method: 'PATCH',
+        headers: { 'Authorization': 'Bearer pairing-bound', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scope: 'full' }),
+      })
+      assert.equal(res.status, 403)
+      assert.equal((await res.json()).error, 'primary_token_required')
+    })
+
     it('DELETE /api/paired-devices/:id returns 404 for an unknown id', async () => {
       pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
       mintDevice()
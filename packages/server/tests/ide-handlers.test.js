@@ -4,7 +4,7 @@ import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs'
 import { tmpdir } from 'node:os'
 import { join } from 'node:path'
 import { ideHandlers } from '../src/handlers/ide-handlers.js'
-import { ServerSymbolsSnapshotSchema, ServerSymbolLocationSchema, ServerSearchResultsSchema, ServerReferencesResultSchema } from '@chroxy/protocol'
+import { ServerSymbolsSnapshotSchema, ServerSymbolLocationSchema, ServerSearchResultsSchema, ServerReferencesResultSchema, ServerSymbolHoverSchema } from '@chroxy/protocol'
 import { nsCtx } from './test-helpers.js'
 
 /**
@@ -17,15 +17,17 @@ const handleListSymbols = ideHandlers.list_symbols
 const handleResolveSymbol = ideHandlers.resolve_symbol
 const handleSearchContent = ideHandlers.search_content
 const handleFindReferences = ideHandlers.find_references
+const handleHoverSymbol = ideHandlers.hover_symbol
 
 /** Build a handler ctx with a send-capturing transport, a config (for the flag
  *  gate), and a sessionManager resolving the given cwd. */
-function makeCtx({ ideEnabled = true, cwd = null } = {}) {
+function makeCtx({ ideEnabled = true, cwd = null, languageServers = null } = {}) {
   const sent = []
   const ctx = nsCtx({
     send: (_ws, msg) => sent.push(msg),
     config: ideEnabled ? { features: { ide: true } } : { features: {} },
     sessionManager: { getSession: () => (cwd ? { cwd } : null) },
+    languageServers,
   })
   return { ctx, sent }
 }
@@ -310,3 +312,130 @@ describe('find_references handler — emission', () => {
     assert.match(sent[0].error, /No workspace/)
   })
 })
+
+/**
+ * A LanguageServerPool stand-in (#6479): each method returns the canned answer
+ * (a function is called, so it can throw) and records its arguments.
+ */
+function fakePool(answers = {}) {
+  const calls = []
+  const pool = {}
+  for (const method of ['definition', 'references', 'documentSymbols', 'hover']) {
+    pool[method] = async (...args) => {
+      calls.push({ method, args })
+      const answer = answers[method]
+      return typeof answer === 'function' ? answer(...args) : (answer ?? null)
+    }
+  }
+  return { pool, calls }
+}
+
+describe('IDE handlers — language-server routing (#6479)', () => {
+  let root
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-ide-lsp-h-'))
+    writeFileSync(join(root, 'mod.ts'), 'export function exported() {}\nconst y = exported()\n')
+  })
+  after(() => rmSync(root, { recursive: true, force: true }))
+
+  it('answers resolve_symbol from the language server when a position is given', async () => {
+    const { pool, calls } = fakePool({ definition: { file: 'lib/impl.ts', line: 12 } })
+    const { ctx, sent } = makeCtx({ cwd: root, languageServers: pool })
+    await handleResolveSymbol({}, client, { type: 'resolve_symbol', symbol: 'exported', file: 'mod.ts', line: 2, column: 11 }, ctx)
+    assert.ok(ServerSymbolLocationSchema.safeParse(sent[0]).success)
+    assert.deepEqual(calls[0].args, [root, { file: 'mod.ts', line: 2, column: 11 }])
+    assert.equal(sent[0].file, 'lib/impl.ts')
+    assert.equal(sent[0].line, 12)
+    assert.equal(sent[0].source, 'lsp')
+  })
+
+  it('treats a language-server miss as final (no regex second guess)', async () => {
+    const { pool } = fakePool({ definition: { file: null, line: null } })
+    const { ctx, sent } = makeCtx({ cwd: root, languageServers: pool })
+    await handleResolveSymbol({}, client, { type: 'resolve_symbol', symbol: 'exported', file: 'mod.ts', line: 2, column: 11 }, ctx)
+    assert.equal(sent[0].file, null)
+    assert.equal(sent[0].error, 'Definition not found')
+    assert.equal(sent[0].source, 'lsp')
+  })
+
+  it('falls back to the regex index when no server serves the file or it throws', async () => {
+    for (const definition of [null, () => { throw new Error('server crashed') }]) {
+      const { pool } = fakePool({ definition })
+      const { ctx, sent } = makeCtx({ cwd: root, languageServers: pool })
+      await handleResolveSymbol({}, client, { type: 'resolve_symbol', symbol: 'exported', file: 'mod.ts', line: 2, column: 11 }, ctx)
+      assert.equal(sent[0].file, 'mod.ts')
+      assert.equal(sent[0].line, 1)
+      assert.equal(sent[0].source, 'regex')
+    }
+  })
+
+  it('skips the language server without a full position', async () => {
+    const { pool, calls } = fakePool({ definition: { file: 'x.ts', line: 1 }, references: { results: [], truncated: false } })
+    const { ctx, sent } = makeCtx({ cwd: root, languageServers: pool })
+    await handleResolveSymbol({}, client, { type: 'resolve_symbol', symbol: 'exported', file: 'mod.ts' }, ctx)
+    await handleFindReferences({}, client, { type: 'find_references', symbol: 'exported', line: 2, column: 11 }, ctx)
+    assert.equal(calls.length, 0)
+    assert.deepEqual(sent.map((m) => m.source), ['regex', 'regex'])
+  })
+
+  it('answers find_references and a file-scoped list_symbols from the language server', async () => {
+    const refs = { results: [{ file: 'mod.ts', line: 2, column: 11, text: 'const y = exported()' }], truncated: false }
+    const symbols = { symbols: [{ name: 'exported', kind: 'function', file: 'mod.ts', line: 1, exported: true }], truncated: false }
+    const { pool, calls } = fakePool({ references: refs, documentSymbols: symbols })
+    const { ctx, sent } = makeCtx({ cwd: root, languageServers: pool })
+    await handleFindReferences({}, client, { type: 'find_references', symbol: 'exported', file: 'mod.ts', line: 1, column: 17 }, ctx)
+    await handleListSymbols({}, client, { type: 'list_symbols', path: 'mod.ts' }, ctx)
+    await handleListSymbols({}, client, { type: 'list_symbols' }, ctx)
+    assert.ok(ServerReferencesResultSchema.safeParse(sent[0]).success)
+    assert.deepEqual(sent[0].results, refs.results)
+    assert.equal(sent[0].source, 'lsp')
+    assert.ok(ServerSymbolsSnapshotSchema.safeParse(sent[1]).success)
+    assert.deepEqual(sent[1].symbols, symbols.symbols)
+    assert.equal(sent[1].source, 'lsp')
+    // A whole-workspace scan has no bounded LSP call — it stays on the regex index.
+    assert.equal(sent[2].source, 'regex')
+    assert.deepEqual(calls.map((c) => c.method), ['references', 'documentSymbols'])
+  })
+})
+
+describe('hover_symbol handler (#6479)', () => {
+  const msg = { type: 'hover_symbol', file: 'mod.ts', line: 1, column: 17 }
+
+  it('is a no-op (no send) when features.ide is off', async () => {
+    const { pool } = fakePool({ hover: { contents: 'x', diagnostics: [] } })
+    const { ctx, sent } = makeCtx({ ideEnabled: false, cwd: '/tmp', languageServers: pool })
+    await handleHoverSymbol({}, client, msg, ctx)
+    assert.equal(sent.length, 0)
+  })
+
+  it('emits a schema-valid symbol_hover with contents and diagnostics', async () => {
+    const diagnostics = [{ line: 1, column: 1, endLine: 1, endColumn: 7, severity: 'error', message: 'boom', source: 'ts', code: '2304' }]
+    const { pool } = fakePool({ hover: { contents: 'function exported(): void', diagnostics } })
+    const { ctx, sent } = makeCtx({ cwd: '/tmp', languageServers: pool })
+    await handleHoverSymbol({}, client, msg, ctx)
+    assert.ok(ServerSymbolHoverSchema.safeParse(sent[0]).success, 'emitted message must satisfy ServerSymbolHoverSchema')
+    assert.deepEqual(sent[0], {
+      type: 'symbol_hover', file: 'mod.ts', line: 1, column: 17, contents: 'function exported(): void', diagnostics, error: null,
+    })
+  })
+
+  it('errors when no language server can answer', async () => {
+    for (const languageServers of [null, fakePool().pool, fakePool({ hover: () => { throw new Error('dead') } }).pool]) {
+      const { ctx, sent } = makeCtx({ cwd: '/tmp', languageServers })
+      await handleHoverSymbol({}, client, msg, ctx)
+      assert.ok(ServerSymbolHoverSchema.safeParse(sent[0]).success)
+      assert.equal(sent[0].error, 'No language server is available for this file')
+    }
+  })
+
+  it('errors without a full position or a workspace', async () => {
+    const { pool, calls } = fakePool({ hover: { contents: 'x', diagnostics: [] } })
+    const noPos = makeCtx({ cwd: '/tmp', languageServers: pool })
+    await handleHoverSymbol({}, client, { type: 'hover_symbol', file: 'mod.ts', line: 0, column: 3 }, noPos.ctx)
+    assert.equal(noPos.sent[0].error, 'No position to hover')
+    const noCwd = makeCtx({ cwd: null, languageServers: pool })
+    await handleHoverSymbol({}, client, msg, noCwd.ctx)
+    assert.match(noCwd.sent[0].error, /No workspace/)
+    assert.equal(calls.length, 0)
+  })
+})
@@ -0,0 +1,274 @@
+import { describe, it, before, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync, realpathSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join, dirname } from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { LanguageServerPool, resolveLanguageServers } from '../src/ide/language-servers.js'
+import { LspClient, LSP_STATES } from '../src/ide/lsp-client.js'
+import { validateConfig } from '../src/config.js'
+
+/**
+ * LSP bridge (#6479): the LanguageServerPool against a scripted stub server
+ * (fixtures/lsp-stub.mjs) — position conversion, workspace confinement of the
+ * locations a server returns, document sync, diagnostics, start-failure
+ * backoff, crash handling and idle shutdown — plus the `languageServers`
+ * config normalization and validation.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const STUB = join(__dirname, 'fixtures', 'lsp-stub.mjs')
+
+const range = (line, character, endCharacter = character + 6) => ({
+  start: { line, character },
+  end: { line, character: endCharacter },
+})
+
+/** A pool whose `typescript` server is the stub running `script`. */
+function stubPool(script, opts = {}) {
+  const config = {
+    languageServers: {
+      typescript: { command: process.execPath, args: [STUB, JSON.stringify(script)] },
+    },
+  }
+  return new LanguageServerPool({ getConfig: () => config, ...opts })
+}
+
+/** Messages the stub received, in order. */
+function recorded(path) {
+  if (!existsSync(path)) return []
+  return readFileSync(path, 'utf8').trim().split('\n').filter(Boolean).map((l) => JSON.parse(l))
+}
+
+describe('resolveLanguageServers', () => {
+  it('applies default extensions to the well-known languages', () => {
+    const [ts] = resolveLanguageServers({ languageServers: { typescript: { command: 'tls', args: ['--stdio'] } } })
+    assert.equal(ts.command, 'tls')
+    assert.deepEqual(ts.args, ['--stdio'])
+    assert.ok(ts.extensions.includes('.tsx') && ts.extensions.includes('.js'))
+  })
+
+  it('needs explicit extensions for any other language and skips malformed entries', () => {
+    const specs = resolveLanguageServers({
+      languageServers: {
+        elixir: { command: 'elixir-ls' },
+        zig: { command: 'zls', extensions: ['.ZIG'] },
+        go: { command: '' },
+        rust: 'rust-analyzer',
+      },
+    })
+    assert.deepEqual(specs.map((s) => s.language), ['zig'])
+    assert.deepEqual(specs[0].extensions, ['.zig'])
+  })
+
+  it('is empty when nothing is configured', () => {
+    assert.deepEqual(resolveLanguageServers({}), [])
+    assert.deepEqual(resolveLanguageServers(null), [])
+  })
+})
+
+describe('languageServers config validation', () => {
+  it('warns (never fatally) about malformed entries', () => {
+    const { warnings } = validateConfig({
+      languageServers: {
+        typescript: { command: 'tls', args: '--stdio' },
+        elixir: { command: 'elixir-ls' },
+        go: { command: 'gopls', env: {} },
+      },
+    })
+    assert.ok(warnings.some((w) => w.includes("'languageServers.typescript.args'")))
+    assert.ok(warnings.some((w) => w.includes("'languageServers.elixir'") && w.includes('extensions')))
+    assert.ok(warnings.some((w) => w.includes("'languageServers.go.env'") && w.includes('unknown key')))
+    assert.ok(!warnings.some((w) => w.includes('Invalid type')))
+  })
+
+  it('accepts a well-formed block', () => {
+    const { warnings } = validateConfig({
+      languageServers: { python: { command: 'pyright-langserver', args: ['--stdio'] }, zig: { command: 'zls', extensions: ['.zig'] } },
+    })
+    assert.deepEqual(warnings.filter((w) => w.includes('languageServers')), [])
+  })
+})
+
+describe('LanguageServerPool against the stub server', () => {
+  let root
+  let outside
+  let pool = null
+
+  before(() => {
+    root = realpathSync(mkdtempSync(join(tmpdir(), 'chroxy-lsp-')))
+    outside = realpathSync(mkdtempSync(join(tmpdir(), 'chroxy-lsp-outside-')))
+    mkdirSync(join(root, 'src'))
+    writeFileSync(join(root, 'src', 'a.ts'), "import { widget } from './b'\nwidget()\n")
+    writeFileSync(join(root, 'src', 'b.ts'), '// widget lives here\n\n\n\nexport function widget() {}\n')
+    writeFileSync(join(root, 'src', 'c.py'), 'def widget():\n  pass\n')
+    writeFileSync(join(outside, 'lib.d.ts'), 'declare function widget(): void\n')
+  })
+
+  afterEach(async () => {
+    if (pool) await pool.closeAll()
+    pool = null
+  })
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true })
+    rmSync(outside, { recursive: true, force: true })
+  })
+
+  const uri = (...parts) => pathToFileURL(join(root, ...parts)).href
+
+  it('resolves a definition, skipping locations outside the workspace', async () => {
+    const record = join(root, 'definition.jsonl')
+    pool = stubPool({
+      record,
+      responses: {
+        'textDocument/definition': [
+          { targetUri: pathToFileURL(join(outside, 'lib.d.ts')).href, targetRange: range(0, 17), targetSelectionRange: range(0, 17) },
+          { targetUri: uri('src', 'b.ts'), targetRange: range(4, 0, 27), targetSelectionRange: range(4, 16) },
+        ],
+      },
+    })
+    const loc = await pool.definition(root, { file: 'src/a.ts', line: 2, column: 1 })
+    assert.deepEqual(loc, { file: 'src/b.ts', line: 5 })
+    await pool.closeAll()
+
+    const messages = recorded(record)
+    const init = messages.find((m) => m.method === 'initialize')
+    assert.equal(init.params.rootUri, pathToFileURL(root).href)
+    const open = messages.find((m) => m.method === 'textDocument/didOpen')
+    assert.equal(open.params.textDocument.uri, uri('src', 'a.ts'))
+    assert.equal(open.params.textDocument.languageId, 'typescript')
+    // 1-indexed line/column → LSP's 0-based position.
+    const def = messages.find((m) => m.method === 'textDocument/definition')
+    assert.deepEqual(def.params.position, { line: 1, character: 0 })
+    // workspace/configuration from the server was answered, one null per item.
+    const cfgReply = messages.find((m) => m.id === 'cfg-1' && !m.method)
+    assert.deepEqual(cfgReply.result, [null, null])
+    assert.ok(messages.some((m) => m.method === 'shutdown'))
+  })
+
+  it('reports a server-side miss as an empty location, not a fallback', async () => {
+    pool = stubPool({ responses: { 'textDocument/definition': [] } })
+    assert.deepEqual(await pool.definition(root, { file: 'src/a.ts', line: 1, column: 10 }), { file: null, line: null })
+  })
+
+  it('lists references with line previews, origin file first, outside ones dropped', async () => {
+    pool = stubPool({
+      responses: {
+        'textDocument/references': [
+          { uri: uri('src', 'b.ts'), range: range(4, 16) },
+          { uri: pathToFileURL(join(outside, 'lib.d.ts')).href, range: range(0, 17) },
+          { uri: uri('src', 'a.ts'), range: range(1, 0) },
+        ],
+      },
+    })
+    const { results, truncated } = await pool.references(root, { file: 'src/a.ts', line: 2, column: 1 })
+    assert.equal(truncated, false)
+    assert.deepEqual(results, [
+      { file: 'src/a.ts', line: 2, column: 1, text: 'widget()' },
+      { file: 'src/b.ts', line: 5, column: 17, text: 'export function widget() {}' },
+    ])
+  })
+
+  it('flattens document symbols and infers exported from the declaration', async () => {
+    pool = stubPool({
+      responses: {
+        'textDocument/documentSymbol': [
+          {
+            name: 'widget', kind: 12, range: range(4, 0, 27), selectionRange: range(4, 16),
+            children: [{ name: 'inner', kind: 13, range: range(4, 20), selectionRange: range(4, 20) }],
+          },
+          { name: 'helper', kind: 12, range: range(0, 0), selectionRange: range(0, 3) },
+        ],
+      },
+    })
+    const { symbols } = await pool.documentSymbols(root, 'src/b.ts')
+    assert.deepEqual(symbols, [
+      { name: 'helper', kind: 'function', file: 'src/b.ts', line: 1, exported: false },
+      { name: 'widget', kind: 'function', file: 'src/b.ts', line: 5, exported: true },
+      { name: 'inner', kind: 'variable', file: 'src/b.ts', line: 5, exported: false, container: 'widget' },
+    ])
+  })
+
+  it('returns hover text and the published diagnostics', async () => {
+    pool = stubPool({
+      responses: { 'textDocument/hover': { contents: { kind: 'markdown', value: '```ts\nfunction widget(): void\n```' } } },
+      diagnostics: [{ range: range(1, 0), severity: 2, message: 'Unused result', source: 'ts', code: 6133 }],
+    })
+    const hover = await pool.hover(root, { file: 'src/a.ts', line: 2, column: 1 })
+    assert.equal(hover.contents, '```ts\nfunction widget(): void\n```')
+    assert.deepEqual(hover.diagnostics, [
+      { line: 2, column: 1, endLine: 2, endColumn: 7, severity: 'warning', message: 'Unused result', source: 'ts', code: '6133' },
+    ])
+  })
+
+  it('syncs an edited file with didChange and reuses one server per workspace', async () => {
+    const record = join(root, 'sync.jsonl')
+    const file = join(root, 'src', 'edited.ts')
+    writeFileSync(file, 'export const a = 1\n')
+    pool = stubPool({ record })
+    await pool.hover(root, { file: 'src/edited.ts', line: 1, column: 14 })
+    writeFileSync(file, 'export const a = 2\n')
+    await pool.hover(root, { file: 'src/edited.ts', line: 1, column: 14 })
+    await pool.hover(root, { file: 'src/edited.ts', line: 1, column: 14 })
+    assert.equal(pool.size, 1)
+    await pool.closeAll()
+
+    const messages = recorded(record)
+    assert.equal(messages.filter((m) => m.method === 'initialize').length, 1)
+    assert.equal(messages.filter((m) => m.method === 'textDocument/didOpen').length, 1)
+    const changes = messages.filter((m) => m.method === 'textDocument/didChange')
+    assert.equal(changes.length, 1)
+    assert.equal(changes[0].params.textDocument.version, 2)
+    assert.equal(changes[0].params.contentChanges[0].text, 'export const a = 2\n')
+  })
+
+  it('returns null for an unconfigured language or a file outside the workspace', async () => {
+    pool = stubPool({})
+    assert.equal(await pool.definition(root, { file: 'src/c.py', line: 1, column: 5 }), null)
+    assert.equal(await pool.definition(root, { file: '../' + outside.split(/[\\/]/).pop() + '/lib.d.ts', line: 1, column: 1 }), null)
+    assert.equal(await pool.definition(root, { file: 'src/missing.ts', line: 1, column: 1 }), null)
+    assert.equal(pool.size, 0, 'no server is started for a request it cannot serve')
+  })
+
+  it('backs off after a server fails to start', async () => {
+    const config = { languageServers: { typescript: { command: join(root, 'no-such-language-server') } } }
+    pool = new LanguageServerPool({ getConfig: () => config })
+    await assert.rejects(pool.definition(root, { file: 'src/a.ts', line: 1, column: 1 }), /Failed to start typescript language server/)
+    // Within the backoff window the pool answers "no server" instead of respawning.
+    assert.equal(await pool.definition(root, { file: 'src/a.ts', line: 1, column: 1 }), null)
+    assert.equal(pool.size, 0)
+  })
+
+  it('drops a server that crashes mid-request', async () => {
+    pool = stubPool({ crashOn: 'textDocument/definition' })
+    await assert.rejects(pool.definition(root, { file: 'src/a.ts', line: 1, column: 1 }), /exited/)
+    assert.equal(pool.size, 0)
+  })
+
+  it('absorbs stdin EPIPE and repeated process errors instead of throwing', async () => {
+    const client = new LspClient({ language: 'typescript', command: process.execPath, args: [STUB, '{}'], rootDir: root })
+    await client.start()
+    const child = client._child
+    try {
+      // With no listener attached, either emit would throw — the daemon's
+      // uncaughtException handler exits on that.
+      child.stdin.emit('error', Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }))
+      child.emit('error', new Error('kill failed'))
+      child.emit('error', new Error('kill failed again'))
+      assert.equal(client.state, LSP_STATES.DEAD)
+    } finally {
+      child.kill('SIGKILL')
+    }
+  })
+
+  it('stops a server after the idle timeout', async () => {
+    const record = join(root, 'idle.jsonl')
+    pool = stubPool({ record }, { idleMs: 250 })
+    await pool.definition(root, { file: 'src/a.ts', line: 1, column: 1 })
+    assert.equal(pool.size, 1)
+    await new Promise((r) => setTimeout(r, 1000))
+    assert.equal(pool.size, 0)
+    assert.ok(recorded(record).some((m) => m.method === 'shutdown'))
+  })
+})
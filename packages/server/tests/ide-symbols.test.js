@@ -116,12 +116,312 @@ describe('parseSymbols — Python', () => {
     assert.deepEqual(syms, [
       { name: 'top', kind: 'function', file: 'f.py', line: 1, exported: true },
       { name: 'Widget', kind: 'class', file: 'f.py', line: 2, exported: true },
-      { name: 'method', kind: 'method', file: 'f.py', line: 3, exported: false },
+      { name: 'method', kind: 'method', file: 'f.py', line: 3, exported: false, container: 'Widget' },
       { name: '_private', kind: 'function', file: 'f.py', line: 4, exported: false },
     ])
   })
 })
 
+/** [name, kind, container] triples — the member tests' comparison shape. */
+function pick(syms) {
+  return syms.map((s) => [s.name, s.kind, s.container ?? null])
+}
+
+describe('parseSymbols — class members', () => {
+  it('extracts TS methods and fields under their class, skipping method bodies', () => {
+    const src = [
+      'export class Widget extends Base {',  // 1
+      '  private count = 0',                 // 2
+      '  #secret?: string',                  // 3
+      '  onClick = () => { this.count++ }',  // 4
+      '  constructor(x) {',                  // 5
+      '    const local = 1',                 // 6 body — not a member
+      '    if (x) {',                        // 7
+      '      return',                        // 8
+      '    }',                               // 9
+      '  }',                                 // 10
+      '  async render(): Promise<void> {}',  // 11
+      '}',                                   // 12
+      'export const after = 1',              // 13 back at top level
+    ].join('\n')
+    const syms = parseSymbols(src, 'w.ts')
+    assert.deepEqual(pick(syms), [
+      ['Widget', 'class', null],
+      ['count', 'field', 'Widget'],
+      ['#secret', 'field', 'Widget'],
+      ['onClick', 'method', 'Widget'],
+      ['constructor', 'method', 'Widget'],
+      ['render', 'method', 'Widget'],
+      ['after', 'const', null],
+    ])
+    assert.equal(syms.find((s) => s.name === 'render').line, 11)
+    assert.ok(syms.filter((s) => s.container).every((s) => s.exported === false))
+  })
+
+  it('lists interface properties and method signatures', () => {
+    const src = 'export interface Props {\n  name: string\n  onChange(v: string): void\n}\n'
+    assert.deepEqual(pick(parseSymbols(src, 'p.ts')), [
+      ['Props', 'interface', null], ['name', 'field', 'Props'], ['onChange', 'method', 'Props'],
+    ])
+  })
+
+  it('dots the container path for nested Python classes and keeps class attributes', () => {
+    const src = [
+      'class Outer:',
+      '    LIMIT = 3',
+      '    name: str',
+      '    def method(self):',
+      '        x = 1',
+      '    class Inner:',
+      '        def deep(self):',
+      '            pass',
+      'def top():',
+    ].join('\n')
+    assert.deepEqual(pick(parseSymbols(src, 'a.py')), [
+      ['Outer', 'class', null],
+      ['LIMIT', 'field', 'Outer'],
+      ['name', 'field', 'Outer'],
+      ['method', 'method', 'Outer'],
+      ['Inner', 'class', 'Outer'],
+      ['deep', 'method', 'Outer.Inner'],
+      ['top', 'function', null],
+    ])
+  })
+
+  it('ignores an Allman-style opening brace and a wrapped class declaration', () => {
+    const src = [
+      'public class Service',
+      '{',
+      '    public void run() {}',
+      '}',
+      'class Wrapped',
+      '        extends Base {',
+      '    void go() {}',
+      '}',
+    ].join('\n')
+    assert.deepEqual(pick(parseSymbols(src, 'S.java')), [
+      ['Service', 'class', null], ['run', 'method', 'Service'],
+      ['Wrapped', 'class', null], ['go', 'method', 'Wrapped'],
+    ])
+  })
+})
+
+describe('parseSymbols — Go', () => {
+  it('captures types, struct fields, interface methods and receiver methods', () => {
+    const src = [
+      'package main',
+      '',
+      'type Server struct {',
+      '\tAddr    string',
+      '\thandler http.Handler',
+      '\tsync.Mutex',
+      '}',
+      '',
+      'type Store interface {',
+      '\tGet(key string) (string, error)',
+      '}',
+      '',
+      'func (s *Server) Start() error {',
+      '\tx := 1',
+      '}',
+      'func newServer() *Server { return nil }',
+      'const Version = "1"',
+      'type ID = string',
+    ].join('\n')
+    const syms = parseSymbols(src, 'server.go')
+    assert.deepEqual(syms.map((s) => [s.name, s.kind, s.container ?? null, s.exported]), [
+      ['Server', 'struct', null, true],
+      ['Addr', 'field', 'Server', false],
+      ['handler', 'field', 'Server', false],
+      ['Store', 'interface', null, true],
+      ['Get', 'method', 'Store', false],
+      // A receiver method is a top-level declaration grouped under its type;
+      // Go's capitalization rule decides its visibility.
+      ['Start', 'method', 'Server', true],
+      ['newServer', 'function', null, false],
+      ['Version', 'const', null, true],
+      ['ID', 'type', null, true],
+    ])
+  })
+})
+
+describe('parseSymbols — Rust', () => {
+  it('groups impl and trait methods under their type, with pub as exported', () => {
+    const src = [
+      'pub struct Config {',
+      '    pub name: String,',
+      '    retries: u32,',
+      '}',
+      '',
+      'impl Config {',
+      '    pub fn new() -> Self {',
+      '        let x = 1;',
+      '    }',
+      '}',
+      '',
+      'impl<T> Display for Wrapper<T> {',
+      '    fn fmt(&self, f: &mut Formatter) -> Result {}',
+      '}',
+      '',
+      '#[derive(Debug)]',
+      'pub trait Shape {',
+      '    fn area(&self) -> f64;',
+      '}',
+      'mod inner {',
+      '    pub fn util() {}',
+      '}',
+      'pub(crate) const MAX: usize = 3;',
+      'pub async fn serve() {}',
+    ].join('\n')
+    const syms = parseSymbols(src, 'lib.rs')
+    assert.deepEqual(syms.map((s) => [s.name, s.kind, s.container ?? null, s.exported]), [
+      ['Config', 'struct', null, true],
+      ['name', 'field', 'Config', false],
+      ['retries', 'field', 'Config', false],
+      ['new', 'method', 'Config', false],
+      ['fmt', 'method', 'Wrapper', false],
+      ['Shape', 'trait', null, true],
+      ['area', 'method', 'Shape', false],
+      ['inner', 'module', null, false],
+      ['util', 'function', 'inner', false],
+      ['MAX', 'const', null, false],
+      ['serve', 'function', null, true],
+    ])
+  })
+})
+
+describe('parseSymbols — Java / Kotlin', () => {
+  it('captures Java types, constructors, methods, fields and enum constants', () => {
+    const src = [
+      'package x;',
+      '',
+      'public class Service {',
+      '    private static final int LIMIT = 3;',
+      '    private final Map<String, Integer> cache = new HashMap<>();',
+      '',
+      '    public Service(int x) {',
+      '        this.x = x;',
+      '    }',
+      '',
+      '    @Override',
+      '    public String toString() {',
+      '        return "s";',
+      '    }',
+      '',
+      '    public enum Mode {',
+      '        ON("on"),',
+      '        OFF("off");',
+      '    }',
+      '}',
+      'interface Hidden {}',
+      'record Pair(int a, int b) {}',
+    ].join('\n')
+    const syms = parseSymbols(src, 'Service.java')
+    assert.deepEqual(syms.map((s) => [s.name, s.kind, s.container ?? null, s.exported]), [
+      ['Service', 'class', null, true],
+      ['LIMIT', 'field', 'Service', false],
+      ['cache', 'field', 'Service', false],
+      ['Service', 'method', 'Service', false],
+      ['toString', 'method', 'Service', false],
+      ['Mode', 'enum', 'Service', false],
+      ['ON', 'field', 'Service.Mode', false],
+      ['OFF', 'field', 'Service.Mode', false],
+      ['Hidden', 'interface', null, false],
+      ['Pair', 'class', null, false],
+    ])
+  })
+
+  it('captures Kotlin classes, objects, functions and properties (public by default)', () => {
+    const src = [
+      'data class User(val id: Int) {',
+      '    val display: String get() = "x"',
+      '    fun greet(): String = "hi"',
+      '}',
+      'private fun helper() {}',
+      'fun String.shout() = uppercase()',
+      'enum class Color { RED }',
+      'object Registry {',
+      '    var count = 0',
+      '}',
+      'internal val cache = 1',
+      'typealias Id = Int',
+    ].join('\n')
+    const syms = parseSymbols(src, 'User.kt')
+    assert.deepEqual(syms.map((s) => [s.name, s.kind, s.container ?? null, s.exported]), [
+      ['User', 'class', null, true],
+      ['display', 'field', 'User', false],
+      ['greet', 'method', 'User', false],
+      ['helper', 'function', null, false],
+      ['shout', 'function', null, true],
+      ['Color', 'enum', null, true],
+      ['Registry', 'class', null, true],
+      ['count', 'field', 'Registry', false],
+      ['cache', 'const', null, false],
+      ['Id', 'type', null, true],
+    ])
+  })
+})
+
+describe('parseSymbols — Ruby / Swift', () => {
+  it('nests Ruby classes in modules and closes scopes at `end`', () => {
+    const src = [
+      'module Billing',
+      '  class Invoice < Base',
+      '    attr_reader :total',
+      '    TAX = 0.2',
+      '    def pay!',
+      '      x = 1',
+      '    end',
+      '    def self.build',
+      '    end',
+      '  end',
+      'end',
+      'def top_level; end',
+    ].join('\n')
+    assert.deepEqual(pick(parseSymbols(src, 'billing.rb')), [
+      ['Billing', 'module', null],
+      ['Invoice', 'class', 'Billing'],
+      ['total', 'field', 'Billing.Invoice'],
+      ['TAX', 'const', 'Billing.Invoice'],
+      ['pay!', 'method', 'Billing.Invoice'],
+      ['build', 'method', 'Billing.Invoice'],
+      ['top_level', 'function', null],
+    ])
+  })
+
+  it('captures Swift types, init, and groups extension methods under the extended type', () => {
+    const src = [
+      'public struct Point {',
+      '    public var x: Double',
+      '    init(x: Double) {',
+      '        self.x = x',
+      '    }',
+      '    func distance() -> Double { 0 }',
+      '}',
+      'extension Point {',
+      '    static func zero() -> Point { Point(x: 0) }',
+      '}',
+      'public protocol Drawable {',
+      '    func draw()',
+      '}',
+      'class func notAType() {}',
+      'private let secret = 1',
+    ].join('\n')
+    const syms = parseSymbols(src, 'Point.swift')
+    assert.deepEqual(syms.map((s) => [s.name, s.kind, s.container ?? null, s.exported]), [
+      ['Point', 'struct', null, true],
+      ['x', 'field', 'Point', false],
+      ['init', 'method', 'Point', false],
+      ['distance', 'method', 'Point', false],
+      ['zero', 'method', 'Point', false],
+      ['Drawable', 'interface', null, true],
+      ['draw', 'method', 'Drawable', false],
+      ['notAType', 'function', null, false],
+      ['secret', 'const', null, false],
+    ])
+  })
+})
+
 describe('parseSymbols — guards', () => {
   it('returns [] for unknown extensions and empty/non-string input', () => {
     assert.deepEqual(parseSymbols('export function x() {}', 'readme.md'), [])
@@ -0,0 +1,97 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { SessionLatencyRecorder, MAX_OPEN_TURNS } from '../src/latency-recorder.js'
+
+function makeSink() {
+  const observed = []
+  return { observed, observe: (name, value, labels) => observed.push({ name, value, labels }) }
+}
+
+describe('SessionLatencyRecorder', () => {
+  let clock
+  let sink
+  let recorder
+
+  beforeEach(() => {
+    clock = 1_000
+    sink = makeSink()
+    recorder = new SessionLatencyRecorder({ now: () => clock, metrics: sink })
+  })
+
+  it('observes ttft on the first stream_delta and latency on result', () => {
+    recorder.markInput('s1')
+    clock += 800
+    recorder.onEvent('s1', 'stream_delta', 'claude-sdk')
+    clock += 200
+    recorder.onEvent('s1', 'stream_delta', 'claude-sdk')
+    clock += 4000
+    recorder.onEvent('s1', 'result', 'claude-sdk')
+    assert.deepEqual(sink.observed, [
+      { name: 'turn.ttft_seconds', value: 0.8, labels: { provider: 'claude-sdk' } },
+      { name: 'turn.latency_seconds', value: 5, labels: { provider: 'claude-sdk' } },
+    ])
+    assert.equal(recorder.openTurns('s1'), 0)
+  })
+
+  it('closes an errored turn too', () => {
+    recorder.markInput('s1')
+    clock += 1500
+    recorder.onEvent('s1', 'error', 'codex')
+    assert.equal(sink.observed.length, 1)
+    assert.equal(sink.observed[0].name, 'turn.latency_seconds')
+    assert.equal(sink.observed[0].value, 1.5)
+  })
+
+  it('times queued inputs FIFO', () => {
+    recorder.markInput('s1')
+    clock += 1000
+    recorder.markInput('s1')
+    clock += 1000
+    recorder.onEvent('s1', 'result', 'p')
+    clock += 3000
+    recorder.onEvent('s1', 'result', 'p')
+    assert.deepEqual(sink.observed.map((o) => o.value), [2, 4])
+  })
+
+  it('ignores events with no recorded input', () => {
+    recorder.onEvent('s1', 'stream_delta', 'p')
+    recorder.onEvent('s1', 'result', 'p')
+    assert.equal(sink.observed.length, 0)
+  })
+
+  it('bounds the open-turn queue', () => {
+    for (let i = 0; i < MAX_OPEN_TURNS + 3; i++) recorder.markInput('s1')
+    assert.equal(recorder.openTurns('s1'), MAX_OPEN_TURNS)
+  })
+
+  it('observes permission wait with the decision label', () => {
+    recorder.onEvent('s1', 'permission_request', 'claude-sdk', { requestId: 'r1' })
+    clock += 12_000
+    recorder.onEvent('s1', 'permission_resolved', 'claude-sdk', { requestId: 'r1', decision: 'allow' })
+    assert.deepEqual(sink.observed, [
+      { name: 'permission.wait_seconds', value: 12, labels: { provider: 'claude-sdk', path: 'in_process', decision: 'allow' } },
+    ])
+  })
+
+  it('ignores hook-routed prompts, which ws-permissions observes itself', () => {
+    recorder.onEvent('s1', 'permission_request', 'claude-tui', { requestId: 'r1', via: 'hook' })
+    clock += 5_000
+    recorder.onEvent('s1', 'permission_resolved', 'claude-tui', { requestId: 'r1', decision: 'allow', via: 'hook' })
+    assert.equal(sink.observed.length, 0)
+  })
+
+  it('ignores a resolution for an unknown request and question resolutions', () => {
+    recorder.onEvent('s1', 'permission_resolved', 'p', { requestId: 'nope', decision: 'deny' })
+    recorder.onEvent('s1', 'permission_resolved', 'p', { toolUseId: 'ask-1', reason: 'answered' })
+    assert.equal(sink.observed.length, 0)
+  })
+
+  it('forget drops open turns and permissions', () => {
+    recorder.markInput('s1')
+    recorder.onEvent('s1', 'permission_request', 'p', { requestId: 'r1' })
+    recorder.forget('s1')
+    recorder.onEvent('s1', 'result', 'p')
+    recorder.onEvent('s1', 'permission_resolved', 'p', { requestId: 'r1', decision: 'allow' })
+    assert.equal(sink.observed.length, 0)
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { metrics, COUNTER_HELP, HISTOGRAM_DEFINITIONS } from '../src/metrics.js'
+import { negotiateMetricsFormat, renderMetricsText, exposedName } from '../src/metrics-exposition.js'
+
+describe('negotiateMetricsFormat', () => {
+  it('defaults to json with no or wildcard Accept', () => {
+    assert.equal(negotiateMetricsFormat(undefined), 'json')
+    assert.equal(negotiateMetricsFormat('*/*'), 'json')
+    assert.equal(negotiateMetricsFormat('application/json'), 'json')
+  })
+
+  it('picks openmetrics for the Prometheus scraper Accept header', () => {
+    const accept = 'application/openmetrics-text;version=1.0.0,application/openmetrics-text;version=0.0.1;q=0.75,text/plain;version=0.0.4;q=0.5,*/*;q=0.1'
+    assert.equal(negotiateMetricsFormat(accept), 'openmetrics')
+  })
+
+  it('picks prometheus text for text/plain', () => {
+    assert.equal(negotiateMetricsFormat('text/plain;version=0.0.4'), 'prometheus')
+  })
+
+  it('honors q-values', () => {
+    assert.equal(negotiateMetricsFormat('text/plain;q=0.2, application/json'), 'json')
+    assert.equal(negotiateMetricsFormat('application/openmetrics-text;q=0, text/plain'), 'prometheus')
+  })
+
+  it('lets an explicit ?format= override Accept', () => {
+    assert.equal(negotiateMetricsFormat('application/json', 'prometheus'), 'prometheus')
+    assert.equal(negotiateMetricsFormat('text/plain', 'json'), 'json')
+    assert.equal(negotiateMetricsFormat('text/plain', 'bogus'), 'prometheus')
+  })
+})
+
+describe('renderMetricsText', () => {
+  beforeEach(() => {
+    metrics.reset()
+  })
+
+  it('maps dotted names to chroxy_ prefixed names', () => {
+    assert.equal(exposedName('push.failures'), 'chroxy_push_failures')
+    assert.equal(exposedName('ws.send.latency_seconds'), 'chroxy_ws_send_latency_seconds')
+  })
+
+  it('renders counters with _total samples and an EOF in openmetrics', () => {
+    metrics.inc('sessions.created', 2, { provider: 'claude-sdk' })
+    const text = renderMetricsText(metrics, { format: 'openmetrics', counterHelp: COUNTER_HELP })
+    assert.match(text, /^# TYPE chroxy_sessions_created counter$/m)
+    assert.match(text, /^# HELP chroxy_sessions_created Sessions created\.$/m)
+    assert.match(text, /^chroxy_sessions_created_total\{provider="claude-sdk"\} 2$/m)
+    assert.ok(text.endsWith('# EOF\n'))
+  })
+
+  it('puts _total on the TYPE line in the prometheus format and omits EOF', () => {
+    metrics.inc('push.sent')
+    const text = renderMetricsText(metrics, { format: 'prometheus' })
+    assert.match(text, /^# TYPE chroxy_push_sent_total counter$/m)
+    assert.match(text, /^chroxy_push_sent_total 1$/m)
+    assert.ok(!text.includes('# EOF'))
+  })
+
+  it('renders histograms with cumulative buckets, +Inf, _count and _sum', () => {
+    metrics.observe('turn.ttft_seconds', 0.3, { provider: 'codex' })
+    metrics.observe('turn.ttft_seconds', 3, { provider: 'codex' })
+    const text = renderMetricsText(metrics, { format: 'openmetrics', histogramDefinitions: HISTOGRAM_DEFINITIONS })
+    assert.match(text, /^# TYPE chroxy_turn_ttft_seconds histogram$/m)
+    assert.match(text, /^chroxy_turn_ttft_seconds_bucket\{provider="codex",le="0.25"\} 0$/m)
+    assert.match(text, /^chroxy_turn_ttft_seconds_bucket\{provider="codex",le="0.5"\} 1$/m)
+    assert.match(text, /^chroxy_turn_ttft_seconds_bucket\{provider="codex",le="4"\} 2$/m)
+    assert.match(text, /^chroxy_turn_ttft_seconds_bucket\{provider="codex",le="\+Inf"\} 2$/m)
+    assert.match(text, /^chroxy_turn_ttft_seconds_count\{provider="codex"\} 2$/m)
+    assert.match(text, /^chroxy_turn_ttft_seconds_sum\{provider="codex"\} 3.3$/m)
+  })
+
+  it('renders gauges and escapes label values', () => {
+    const text = renderMetricsText(metrics, {
+      format: 'prometheus',
+      gauges: [{ name: 'sessions_active', help: 'Live sessions.', series: [{ labels: { provider: 'a"b\\c' }, value: 4 }] }],
+    })
+    assert.match(text, /^# TYPE chroxy_sessions_active gauge$/m)
+    assert.ok(text.includes('chroxy_sessions_active{provider="a\\"b\\\\c"} 4'))
+  })
+})
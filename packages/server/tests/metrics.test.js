@@ -1,6 +1,6 @@
 import { describe, it, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
-import { metrics } from '../src/metrics.js'
+import { metrics, MAX_SERIES_PER_METRIC, HISTOGRAM_DEFINITIONS, DEFAULT_BUCKETS } from '../src/metrics.js'
 
 describe('MetricsStore', () => {
   beforeEach(() => {
@@ -42,3 +42,96 @@ describe('MetricsStore', () => {
     assert.ok(!('push.sent' in snap))
   })
 })
+
+describe('MetricsStore labels', () => {
+  beforeEach(() => {
+    metrics.reset()
+  })
+
+  it('keeps labeled series separate and sums them on an unlabeled read', () => {
+    metrics.inc('sessions.created', 1, { provider: 'claude-sdk' })
+    metrics.inc('sessions.created', 2, { provider: 'codex' })
+    assert.equal(metrics.get('sessions.created', { provider: 'claude-sdk' }), 1)
+    assert.equal(metrics.get('sessions.created', { provider: 'codex' }), 2)
+    assert.equal(metrics.get('sessions.created'), 3)
+  })
+
+  it('addresses the same series regardless of label key order', () => {
+    metrics.inc('x', 1, { a: '1', b: '2' })
+    metrics.inc('x', 1, { b: '2', a: '1' })
+    assert.equal(metrics.get('x', { a: '1', b: '2' }), 2)
+  })
+
+  it('drops null/undefined label values', () => {
+    metrics.inc('x', 1, { provider: undefined })
+    assert.equal(metrics.get('x', {}), 1)
+    assert.equal(metrics.snapshot().x, 1)
+  })
+
+  it('keys each counter by its bare name with the total across labels in the snapshot', () => {
+    metrics.inc('sessions.created', 1, { provider: 'codex', session_class: 'CodexSession' })
+    metrics.inc('sessions.created', 2, { provider: 'claude-sdk', session_class: 'SdkSession' })
+    const snap = metrics.snapshot()
+    assert.equal(snap['sessions.created'], 3)
+    assert.deepEqual(Object.keys(snap).filter((k) => k.includes('{')), [])
+  })
+
+  it('caps distinct series per metric and counts the drops', () => {
+    for (let i = 0; i < MAX_SERIES_PER_METRIC + 5; i++) {
+      metrics.inc('wide', 1, { id: String(i) })
+    }
+    assert.equal(metrics.get('wide'), MAX_SERIES_PER_METRIC)
+    assert.equal(metrics.get('metrics.series_dropped', { metric: 'wide' }), 5)
+  })
+})
+
+describe('MetricsStore histograms', () => {
+  beforeEach(() => {
+    metrics.reset()
+  })
+
+  it('uses the declared buckets and records cumulative counts', () => {
+    metrics.observe('permission.wait_seconds', 3)
+    metrics.observe('permission.wait_seconds', 45)
+    const h = metrics.histogramSnapshot()['permission.wait_seconds']
+    assert.equal(h.count, 2)
+    assert.equal(h.sum, 48)
+    const at = (le) => h.buckets.find((b) => b.le === le).count
+    assert.equal(at(1), 0)
+    assert.equal(at(5), 1)
+    assert.equal(at(60), 2)
+    assert.equal(at(300), 2)
+    assert.deepEqual(h.buckets.map((b) => b.le), HISTOGRAM_DEFINITIONS['permission.wait_seconds'].buckets)
+  })
+
+  it('merges a histogram\'s label sets in the JSON snapshot', () => {
+    metrics.observe('turn.latency_seconds', 3, { provider: 'codex' })
+    metrics.observe('turn.latency_seconds', 40, { provider: 'claude-sdk' })
+    const snap = metrics.histogramSnapshot()
+    assert.deepEqual(Object.keys(snap), ['turn.latency_seconds'])
+    const h = snap['turn.latency_seconds']
+    assert.equal(h.count, 2)
+    assert.equal(h.sum, 43)
+    assert.equal(h.buckets.find((b) => b.le === 5).count, 1)
+    assert.equal(h.buckets.find((b) => b.le === 60).count, 2)
+  })
+
+  it('falls back to DEFAULT_BUCKETS for an undeclared histogram', () => {
+    metrics.observe('custom.seconds', 0.02)
+    const h = metrics.histogramSnapshot()['custom.seconds']
+    assert.deepEqual(h.buckets.map((b) => b.le), [...DEFAULT_BUCKETS])
+  })
+
+  it('ignores negative and non-finite observations', () => {
+    metrics.observe('turn.latency_seconds', -1)
+    metrics.observe('turn.latency_seconds', NaN)
+    metrics.observe('turn.latency_seconds', Infinity)
+    assert.deepEqual(metrics.histogramSnapshot(), {})
+  })
+
+  it('reset clears histograms', () => {
+    metrics.observe('turn.latency_seconds', 5)
+    metrics.reset()
+    assert.deepEqual(metrics.histogramSnapshot(), {})
+  })
+})
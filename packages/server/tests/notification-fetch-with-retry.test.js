@@ -0,0 +1,47 @@
+// notifications/fetch-with-retry — the delivery policy the Slack, ntfy and
+// Gotify sinks share. Their own suites exercise it through the sinks; this pins
+// the retry ladder directly.
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { fetchWithRetry, retryAfterMs, MAX_RETRIES, MAX_RETRY_AFTER_MS } from '../src/notifications/fetch-with-retry.js'
+
+const reply = (status, retryAfter = null) => ({ ok: status < 300, status, headers: { get: () => retryAfter } })
+
+test('retryAfterMs reads Retry-After seconds, defaults to 1s and clamps', () => {
+  assert.equal(retryAfterMs(reply(429, '2')), 2000)
+  assert.equal(retryAfterMs(reply(429)), 1000)
+  assert.equal(retryAfterMs(reply(429, 'soon')), 1000)
+  assert.equal(retryAfterMs(reply(429, '3600')), MAX_RETRY_AFTER_MS)
+})
+
+test('a 429 waits Retry-After and then succeeds', async () => {
+  const sleeps = []
+  const responses = [reply(429, '0.5'), reply(200)]
+  const fetchImpl = mock.fn(async () => responses.shift())
+  const res = await fetchWithRetry('https://x', { method: 'POST' }, { sleepImpl: async (ms) => { sleeps.push(ms) }, fetchImpl })
+  assert.equal(res.status, 200)
+  assert.deepEqual(sleeps, [500])
+})
+
+test('a 5xx backs off up to MAX_RETRIES attempts and returns the last response', async () => {
+  const fetchImpl = mock.fn(async () => reply(503))
+  const res = await fetchWithRetry('https://x', {}, { sleepImpl: async () => {}, fetchImpl })
+  assert.equal(res.status, 503)
+  assert.equal(fetchImpl.mock.callCount(), MAX_RETRIES)
+})
+
+test('any other 4xx returns at once', async () => {
+  const fetchImpl = mock.fn(async () => reply(401))
+  const res = await fetchWithRetry('https://x', {}, { sleepImpl: async () => {}, fetchImpl })
+  assert.equal(res.status, 401)
+  assert.equal(fetchImpl.mock.callCount(), 1)
+})
+
+test('a network error is retried, and rethrown only from the last attempt', async () => {
+  const fetchImpl = mock.fn(async () => { throw new Error('ECONNRESET') })
+  await assert.rejects(
+    fetchWithRetry('https://x', {}, { sleepImpl: async () => {}, fetchImpl, retries: 2 }),
+    /ECONNRESET/,
+  )
+  assert.equal(fetchImpl.mock.callCount(), 2)
+})
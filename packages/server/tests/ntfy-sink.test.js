@@ -0,0 +1,184 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { NtfySink, CATEGORY_STYLES, styleFor } from '../src/notifications/ntfy-sink.js'
+import { GotifySink, toGotifyPriority } from '../src/notifications/gotify-sink.js'
+import { PermissionActionTokens } from '../src/notifications/permission-action-tokens.js'
+import { SELF_HOSTED_PUSH_CATEGORIES, validateConfig } from '../src/config.js'
+
+/**
+ * Self-hosted push sinks: category → priority/tag mapping, the Approve/Deny
+ * `http` actions (single-use capability per request), and the Gotify variant's
+ * rescaled priorities + click-through link.
+ */
+
+function okFetch(status = 200) {
+  return mock.fn(async () => ({ ok: status >= 200 && status < 300, status, headers: { get: () => null } }))
+}
+
+function makeNtfy(overrides = {}) {
+  const actionTokens = new PermissionActionTokens()
+  const fetchImpl = okFetch()
+  const sink = new NtfySink({
+    url: 'http://ntfy.lan/',
+    topic: 'chroxy',
+    resolveActionUrl: () => 'http://192.168.1.5:8765/permission-action',
+    resolveDashboardUrl: () => 'http://192.168.1.5:8765/dashboard',
+    actionTokens,
+    resolveToken: () => ({ value: null }),
+    fetchImpl,
+    sleepImpl: async () => {},
+    ...overrides,
+  })
+  return { sink, actionTokens, fetchImpl }
+}
+
+const PERMISSION = {
+  category: 'activity_waiting',
+  title: 'Waiting for approval',
+  body: 'Permission needed: Bash',
+  data: { sessionId: 'sess-A', detail: 'Bash', requestId: 'perm-1' },
+}
+
+describe('NtfySink', () => {
+  it('is configured only with a server URL and a valid topic', () => {
+    assert.equal(new NtfySink({ url: 'http://ntfy.lan', topic: 'chroxy' }).isConfigured(), true)
+    assert.equal(new NtfySink({ url: 'http://ntfy.lan' }).isConfigured(), false)
+    assert.equal(new NtfySink({ url: 'ftp://ntfy.lan', topic: 'chroxy' }).isConfigured(), false)
+    assert.equal(new NtfySink({ url: 'http://ntfy.lan', topic: 'bad topic!' }).isConfigured(), false)
+  })
+
+  it('maps categories to priorities and tags, with overrides', () => {
+    assert.deepEqual(styleFor({ category: 'permission' }), { priority: 5, tags: ['lock'] })
+    assert.deepEqual(styleFor({ category: 'activity_waiting', data: {} }), { priority: 4, tags: ['question'] })
+    assert.deepEqual(styleFor({ category: 'billing_warning', data: { resolved: true } }), { priority: 2, tags: ['white_check_mark'] })
+    assert.equal(styleFor({ category: 'live_activity' }), null)
+    assert.deepEqual(
+      styleFor({ category: 'result' }, { priorities: { result: 1, permission: 9 }, tags: { result: ['tada'] } }),
+      { priority: 1, tags: ['tada'] },
+    )
+    assert.equal(styleFor({ category: 'permission' }, { priorities: { permission: 9 } }).priority, 5, 'out-of-range override ignored')
+  })
+
+  it('attaches Approve/Deny actions carrying a single-use token', () => {
+    const { sink, actionTokens } = makeNtfy()
+    const msg = sink.buildMessage(PERMISSION)
+    assert.equal(msg.topic, 'chroxy')
+    assert.equal(msg.priority, 4)
+    assert.equal(msg.click, 'http://192.168.1.5:8765/dashboard?session=sess-A')
+    assert.deepEqual(msg.actions.map((a) => [a.action, a.label, a.method, a.url]), [
+      ['http', 'Approve', 'POST', 'http://192.168.1.5:8765/permission-action'],
+      ['http', 'Deny', 'POST', 'http://192.168.1.5:8765/permission-action'],
+    ])
+    const approve = JSON.parse(msg.actions[0].body)
+    const deny = JSON.parse(msg.actions[1].body)
+    assert.equal(approve.decision, 'allow')
+    assert.equal(deny.decision, 'deny')
+    assert.equal(approve.token, deny.token, 'one capability per request')
+    assert.deepEqual(actionTokens.consume(approve.token), { requestId: 'perm-1', sessionId: 'sess-A' })
+    assert.equal(actionTokens.consume(deny.token), null)
+  })
+
+  it('omits actions when they are disabled, unroutable or not a prompt', () => {
+    assert.equal(makeNtfy({ actions: false }).sink.buildMessage(PERMISSION).actions, undefined)
+    assert.equal(makeNtfy({ resolveActionUrl: () => null }).sink.buildMessage(PERMISSION).actions, undefined)
+    assert.equal(makeNtfy({ actionTokens: null }).sink.buildMessage(PERMISSION).actions, undefined)
+    const question = { ...PERMISSION, data: { sessionId: 'sess-A' } }
+    assert.equal(makeNtfy().sink.buildMessage(question).actions, undefined)
+  })
+
+  it('prefers a configured actionUrl over the derived one', () => {
+    const { sink } = makeNtfy({ actionUrl: 'https://chroxy.example.com/permission-action' })
+    assert.equal(sink.buildMessage(PERMISSION).actions[0].url, 'https://chroxy.example.com/permission-action')
+  })
+
+  it('publishes JSON to the server root with the access token', async () => {
+    const { sink, fetchImpl } = makeNtfy({ resolveToken: () => ({ value: 'tk_abc' }) })
+    assert.equal(await sink.send({ category: 'result', title: 'Done', body: 'Task finished' }), true)
+    const [url, init] = fetchImpl.mock.calls[0].arguments
+    assert.equal(url, 'http://ntfy.lan')
+    assert.equal(init.headers.Authorization, 'Bearer tk_abc')
+    const body = JSON.parse(init.body)
+    assert.equal(body.message, 'Task finished')
+    assert.deepEqual(body.tags, ['white_check_mark'])
+  })
+
+  it('skips categories it does not deliver', async () => {
+    const { sink, fetchImpl } = makeNtfy()
+    assert.equal(await sink.send({ category: 'live_activity', title: 't', body: 'b' }), true)
+    assert.equal(fetchImpl.mock.callCount(), 0)
+  })
+
+  it('revokes the minted token when the publish fails', async () => {
+    const actionTokens = new PermissionActionTokens()
+    const { sink } = makeNtfy({ actionTokens, fetchImpl: okFetch(403) })
+    assert.equal(await sink.send(PERMISSION), false)
+    assert.equal(actionTokens.size, 0)
+  })
+})
+
+describe('GotifySink', () => {
+  function makeGotify(overrides = {}) {
+    const fetchImpl = okFetch()
+    const sink = new GotifySink({
+      url: 'http://gotify.lan/',
+      resolveToken: () => ({ value: 'AppToken123' }),
+      resolveDashboardUrl: () => 'http://192.168.1.5:8765/dashboard',
+      fetchImpl,
+      sleepImpl: async () => {},
+      ...overrides,
+    })
+    return { sink, fetchImpl }
+  }
+
+  it('needs both a URL and an application token', () => {
+    assert.equal(makeGotify().sink.isConfigured(), true)
+    assert.equal(makeGotify({ resolveToken: () => ({ value: null }) }).sink.isConfigured(), false)
+    assert.equal(makeGotify({ url: null }).sink.isConfigured(), false)
+  })
+
+  it('rescales priorities onto 0-10 and links to the session', async () => {
+    assert.equal(toGotifyPriority(5), 10)
+    assert.equal(toGotifyPriority(1), 1)
+    const { sink, fetchImpl } = makeGotify()
+    assert.equal(await sink.send(PERMISSION), true)
+    const [url, init] = fetchImpl.mock.calls[0].arguments
+    assert.equal(url, 'http://gotify.lan/message')
+    assert.equal(init.headers['X-Gotify-Key'], 'AppToken123')
+    const body = JSON.parse(init.body)
+    assert.equal(body.priority, 7)
+    assert.equal(body.extras['client::notification'].click.url, 'http://192.168.1.5:8765/dashboard?session=sess-A')
+    assert.equal(body.actions, undefined)
+  })
+
+  it('applies native-scale priority overrides', () => {
+    const { sink } = makeGotify({ priorities: { activity_waiting: 9 } })
+    assert.equal(sink.buildMessage(PERMISSION).priority, 9)
+  })
+
+  it('reports a hard failure on non-2xx', async () => {
+    const { sink } = makeGotify({ fetchImpl: okFetch(401) })
+    assert.equal(await sink.send(PERMISSION), false)
+  })
+})
+
+describe('self-hosted push config', () => {
+  it('keeps the config category list in sync with the sink table', () => {
+    assert.deepEqual([...SELF_HOSTED_PUSH_CATEGORIES].sort(), Object.keys(CATEGORY_STYLES).sort())
+  })
+
+  it('warns on secrets, bad topics and out-of-range priorities', () => {
+    const { warnings } = validateConfig({
+      notifications: {
+        ntfy: { url: 'http://ntfy.lan', topic: 'has space', token: 'tk_x', priorities: { permission: 7, nope: 1 } },
+        gotify: { url: 'http://gotify.lan', appToken: 'x', priorities: { permission: 10 } },
+      },
+    })
+    const joined = warnings.join('\n')
+    assert.match(joined, /notifications\.ntfy\.token' is not supported/)
+    assert.match(joined, /notifications\.ntfy\.topic/)
+    assert.match(joined, /notifications\.ntfy\.priorities\.permission': expected an integer 1-5/)
+    assert.match(joined, /notifications\.ntfy\.priorities\.nope': unknown category/)
+    assert.match(joined, /notifications\.gotify\.appToken' is not supported/)
+    assert.doesNotMatch(joined, /gotify\.priorities/)
+  })
+})
@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+
+import { createPermissionHandler } from '../src/ws-permissions.js'
+import { PermissionActionTokens } from '../src/notifications/permission-action-tokens.js'
+
+/**
+ * POST /permission-action — the ntfy Approve/Deny callback. No bearer auth: the
+ * single-use capability token in the body is the only authority, and it
+ * answers exactly the request it was minted for.
+ */
+
+function makeReq(body) {
+  const emitter = new EventEmitter()
+  emitter.method = 'POST'
+  emitter.headers = {}
+  emitter.socket = { remoteAddress: '127.0.0.1' }
+  process.nextTick(() => {
+    emitter.emit('data', Buffer.from(body))
+    emitter.emit('end')
+  })
+  emitter.destroy = mock.fn()
+  emitter.setEncoding = mock.fn()
+  emitter.pause = mock.fn()
+  return emitter
+}
+
+function makeRes() {
+  return {
+    statusCode: null,
+    body: null,
+    writeHead(code) { this.statusCode = code },
+    end(b) { this.body = b },
+    on() { return this },
+  }
+}
+
+describe('POST /permission-action', () => {
+  let handler
+  let tokens
+  let pendingPermissions
+  let permissionSessionMap
+  let broadcastFn
+  let sessions
+
+  beforeEach(() => {
+    tokens = new PermissionActionTokens()
+    pendingPermissions = new Map()
+    permissionSessionMap = new Map()
+    broadcastFn = mock.fn()
+    sessions = new Map()
+    handler = createPermissionHandler({
+      sendFn: mock.fn(),
+      broadcastFn,
+      validateBearerAuth: mock.fn(() => false),
+      pushManager: { permissionActionTokens: tokens },
+      pendingPermissions,
+      permissionSessionMap,
+      getSessionManager: () => ({ getSession: (id) => sessions.get(id) ?? null }),
+    })
+  })
+
+  afterEach(() => {
+    handler?.destroy()
+  })
+
+  async function act(payload) {
+    const res = makeRes()
+    handler.handlePermissionActionHttp(makeReq(typeof payload === 'string' ? payload : JSON.stringify(payload)), res)
+    await new Promise((r) => setImmediate(r))
+    return res
+  }
+
+  function pendingLegacy(requestId) {
+    const resolve = mock.fn()
+    pendingPermissions.set(requestId, { resolve, timer: null, data: { tool: 'Bash' } })
+    return resolve
+  }
+
+  it('resolves a hook permission and broadcasts the outcome', async () => {
+    const resolve = pendingLegacy('perm-1')
+    const token = tokens.mint('perm-1')
+    const res = await act({ token, decision: 'allow' })
+    assert.equal(res.statusCode, 200)
+    assert.deepEqual(resolve.mock.calls[0].arguments, ['allow'])
+    assert.equal(broadcastFn.mock.calls[0].arguments[0].type, 'permission_resolved')
+  })
+
+  it('is single-use: the second button press is rejected', async () => {
+    pendingLegacy('perm-1')
+    const token = tokens.mint('perm-1')
+    assert.equal((await act({ token, decision: 'deny' })).statusCode, 200)
+    const again = await act({ token, decision: 'allow' })
+    assert.equal(again.statusCode, 403)
+  })
+
+  it('rejects an unknown token without touching the prompt', async () => {
+    const resolve = pendingLegacy('perm-1')
+    tokens.mint('perm-1')
+    const res = await act({ token: 'forged', decision: 'allow' })
+    assert.equal(res.statusCode, 403)
+    assert.equal(resolve.mock.callCount(), 0)
+  })
+
+  it('does not burn the token on an invalid decision', async () => {
+    pendingLegacy('perm-1')
+    const token = tokens.mint('perm-1')
+    assert.equal((await act({ token, decision: 'allowAlways' })).statusCode, 400)
+    assert.equal((await act('{not json')).statusCode, 400)
+    assert.equal((await act({ token, decision: 'allow' })).statusCode, 200)
+  })
+
+  it('routes an SDK permission to its session', async () => {
+    const respondToPermission = mock.fn(() => true)
+    sessions.set('sess-A', { session: { respondToPermission } })
+    permissionSessionMap.set('perm-2', 'sess-A')
+    const token = tokens.mint('perm-2', { sessionId: 'sess-A' })
+    const res = await act({ token, decision: 'deny' })
+    assert.equal(res.statusCode, 200)
+    assert.equal(respondToPermission.mock.calls[0].arguments[1], 'deny')
+  })
+
+  it('reports 410 once the prompt was answered elsewhere', async () => {
+    const token = tokens.mint('perm-3', { sessionId: 'sess-A' })
+    const res = await act({ token, decision: 'allow' })
+    assert.equal(res.statusCode, 410)
+  })
+
+  it('rejects everything when no token store is wired', async () => {
+    const bare = createPermissionHandler({
+      sendFn: mock.fn(),
+      broadcastFn: mock.fn(),
+      validateBearerAuth: mock.fn(() => false),
+      pendingPermissions: new Map(),
+      permissionSessionMap: new Map(),
+      getSessionManager: () => null,
+    })
+    try {
+      const res = makeRes()
+      bare.handlePermissionActionHttp(makeReq(JSON.stringify({ token: 'x', decision: 'allow' })), res)
+      await new Promise((r) => setImmediate(r))
+      assert.equal(res.statusCode, 403)
+    } finally {
+      bare.destroy()
+    }
+  })
+})
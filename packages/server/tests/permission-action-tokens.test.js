@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PermissionActionTokens } from '../src/notifications/permission-action-tokens.js'
+
+describe('PermissionActionTokens', () => {
+  it('redeems a token once for the request it was minted for', () => {
+    const store = new PermissionActionTokens()
+    const token = store.mint('perm-1', { sessionId: 'sess-A' })
+    assert.match(token, /^[A-Za-z0-9_-]{43}$/)
+    assert.deepEqual(store.consume(token), { requestId: 'perm-1', sessionId: 'sess-A' })
+    assert.equal(store.consume(token), null, 'second redemption must fail')
+  })
+
+  it('normalizes a missing session to null', () => {
+    const store = new PermissionActionTokens()
+    const token = store.mint('perm-1', { sessionId: '' })
+    assert.deepEqual(store.consume(token), { requestId: 'perm-1', sessionId: null })
+  })
+
+  it('rejects unknown, empty and oversized tokens', () => {
+    const store = new PermissionActionTokens()
+    store.mint('perm-1')
+    assert.equal(store.consume('nope'), null)
+    assert.equal(store.consume(''), null)
+    assert.equal(store.consume(undefined), null)
+    assert.equal(store.consume('x'.repeat(500)), null)
+    assert.equal(store.size, 1)
+  })
+
+  it('expires tokens after the TTL', () => {
+    let now = 1_000
+    const store = new PermissionActionTokens({ ttlMs: 100, now: () => now })
+    const token = store.mint('perm-1')
+    now += 100
+    assert.equal(store.consume(token), null)
+    const fresh = store.mint('perm-2')
+    now += 50
+    assert.equal(store.size, 1)
+    assert.equal(store.consume(fresh)?.requestId, 'perm-2')
+  })
+
+  it('re-minting for the same request revokes the earlier token', () => {
+    const store = new PermissionActionTokens()
+    const first = store.mint('perm-1')
+    const second = store.mint('perm-1')
+    assert.equal(store.consume(first), null)
+    assert.equal(store.consume(second)?.requestId, 'perm-1')
+  })
+
+  it('evicts the oldest token past the cap', () => {
+    const store = new PermissionActionTokens({ maxTokens: 2 })
+    const a = store.mint('perm-a')
+    const b = store.mint('perm-b')
+    const c = store.mint('perm-c')
+    assert.equal(store.size, 2)
+    assert.equal(store.consume(a), null)
+    assert.equal(store.consume(b)?.requestId, 'perm-b')
+    assert.equal(store.consume(c)?.requestId, 'perm-c')
+  })
+
+  it('revoke() drops the live token for a request', () => {
+    const store = new PermissionActionTokens()
+    const token = store.mint('perm-1')
+    assert.equal(store.revoke('perm-1'), true)
+    assert.equal(store.revoke('perm-1'), false)
+    assert.equal(store.consume(token), null)
+  })
+
+  it('refuses to mint without a requestId', () => {
+    const store = new PermissionActionTokens()
+    assert.throws(() => store.mint(''), TypeError)
+  })
+})
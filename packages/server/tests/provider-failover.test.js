@@ -0,0 +1,277 @@
+/**
+ * Tests for provider-failover.js — retrying and moving turns that fail on a
+ * rate limit, an overload or a credit cap. The SessionManager runs stub
+ * providers (one seedable, one not, one without credentials) and the
+ * failover's timers are captured so each step runs on demand.
+ */
+import { describe, it, before, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { EventEmitter } from 'events'
+import { SessionManager } from '../src/session-manager.js'
+import { ProviderFailover, normalizeFailoverChain, resolveFailoverConfig } from '../src/provider-failover.js'
+import { rmDirRobust } from './test-helpers.js'
+
+before(async () => {
+  const { registerProvider } = await import('../src/providers.js')
+
+  class StubSession extends EventEmitter {
+    constructor({ cwd, model, permissionMode }) {
+      super()
+      this.cwd = cwd
+      this.model = model || null
+      this.permissionMode = permissionMode || 'approve'
+      this.isRunning = false
+      this.resumeSessionId = null
+      this.sent = []
+      this.destroyed = false
+    }
+
+    static get capabilities() {
+      return {
+        permissions: false,
+        inProcessPermissions: false,
+        modelSwitch: true,
+        permissionModeSwitch: false,
+        planMode: false,
+        resume: false,
+        terminal: false,
+        thinkingLevel: false,
+      }
+    }
+
+    start() {}
+    destroy() { this.destroyed = true }
+    sendMessage(text) { this.sent.push(text) }
+    interrupt() {}
+    setModel(m) { this.model = m }
+    setPermissionMode(m) { this.permissionMode = m }
+  }
+  registerProvider('stub-failover', StubSession)
+
+  class SeedableSession extends StubSession {
+    seedConversation(carry) {
+      this.seeded = carry
+      return { messages: carry.turns.length, flags: [] }
+    }
+  }
+  registerProvider('stub-failover-seedable', SeedableSession)
+
+  class KeylessSession extends StubSession {
+    static preflight = { credentials: { envVars: ['CHROXY_TEST_FAILOVER_KEY_NEVER_SET'] } }
+  }
+  registerProvider('stub-failover-keyless', KeylessSession)
+})
+
+const HISTORY = [
+  { type: 'message', messageType: 'user_input', content: 'list the files', messageId: 'u1' },
+  { type: 'tool_start', messageId: 'm1', toolUseId: 'tu-1', tool: 'Bash', input: { command: 'ls' } },
+  { type: 'tool_result', toolUseId: 'tu-1', result: 'a.txt' },
+  { type: 'message', messageType: 'response', content: 'One file.', messageId: 'm1' },
+  { type: 'message', messageType: 'user_input', content: 'now delete it', messageId: 'u2' },
+]
+
+describe('ProviderFailover', () => {
+  let root
+  let mgr
+  let timers
+  let events
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-failover-test-'))
+    mgr = new SessionManager({
+      skipPreflight: true,
+      maxSessions: 5,
+      stateFilePath: join(root, 'session-state.json'),
+      providerType: 'stub-failover',
+      defaultCwd: root,
+    })
+    timers = []
+    events = []
+    mgr.on('session_event', ({ event, data }) => {
+      if (event === 'provider_failover') events.push(data)
+    })
+  })
+
+  afterEach(async () => {
+    for (const { sessionId } of mgr.listSessions()) await mgr.destroySession(sessionId)
+    rmDirRobust(root)
+  })
+
+  function attachFailover(opts = {}) {
+    const failover = new ProviderFailover({
+      sessionManager: mgr,
+      backoffMs: 1000,
+      setTimer: (fn, ms) => {
+        const timer = { fn, ms, cleared: false }
+        timers.push(timer)
+        return timer
+      },
+      clearTimer: (timer) => { timer.cleared = true },
+      ...opts,
+    })
+    failover.attach()
+    return failover
+  }
+
+  function runNextTimer() {
+    const timer = timers.shift()
+    assert.ok(timer, 'a timer is pending')
+    if (!timer.cleared) timer.fn()
+    return timer
+  }
+
+  function failTurn(sessionId, data) {
+    mgr.getSession(sessionId).session.emit('error', data)
+  }
+
+  it('leaves sessions without a chain alone', () => {
+    attachFailover()
+    const id = mgr.createSession({ name: 'A', cwd: root })
+    mgr.seedHistory(id, HISTORY)
+    failTurn(id, { message: 'rate limited', code: 'HTTP_429' })
+    assert.equal(timers.length, 0)
+    assert.deepEqual(events, [])
+  })
+
+  it('retries a rate limit with doubling backoff, then moves the turn to the next provider', () => {
+    attachFailover({ chain: ['stub-failover', 'stub-failover-seedable'] })
+    const id = mgr.createSession({ name: 'A', cwd: root })
+    mgr.seedHistory(id, HISTORY)
+    const original = mgr.getSession(id).session
+
+    failTurn(id, { message: '429 Too Many Requests', code: 'HTTP_429' })
+    assert.equal(runNextTimer().ms, 1000)
+    assert.deepEqual(original.sent, ['now delete it'])
+    failTurn(id, { message: '429 Too Many Requests', code: 'HTTP_429' })
+    assert.equal(runNextTimer().ms, 2000)
+    assert.deepEqual(events.map((e) => [e.action, e.attempt]), [['retry', 1], ['retry', 2]])
+
+    failTurn(id, { message: '429 Too Many Requests', code: 'HTTP_429' })
+    runNextTimer()
+    const entry = mgr.getSession(id)
+    assert.equal(entry.provider, 'stub-failover-seedable')
+    assert.notEqual(entry.session, original)
+    assert.equal(original.destroyed, true)
+    // Everything before the failed prompt is carried; the prompt is re-sent.
+    assert.deepEqual(entry.session.seeded.turns.map((t) => t.role), ['user', 'assistant'])
+    assert.deepEqual(entry.session.sent, ['now delete it'])
+    assert.equal(mgr.getHistory(id).length, HISTORY.length)
+
+    const hop = events.at(-1)
+    assert.equal(hop.action, 'hop')
+    assert.equal(hop.category, 'rate_limit')
+    assert.equal(hop.provider, 'stub-failover')
+    assert.deepEqual(hop.to, { provider: 'stub-failover-seedable', model: null })
+    assert.equal(hop.billingClass, 'api-key')
+    assert.equal(hop.carry, 'conversation')
+  })
+
+  it('moves a credit cap straight on, carrying a transcript to a provider that cannot be seeded', () => {
+    attachFailover({ chain: ['stub-failover-seedable', 'stub-failover'] })
+    const id = mgr.createSession({ name: 'A', cwd: root, provider: 'stub-failover-seedable' })
+    mgr.seedHistory(id, HISTORY)
+
+    failTurn(id, { message: 'Your credit balance is too low to access the Anthropic API.' })
+    assert.deepEqual(events, [])
+    runNextTimer()
+    const session = mgr.getSession(id).session
+    assert.equal(mgr.getSession(id).provider, 'stub-failover')
+    assert.equal(session.sent.length, 1)
+    assert.match(session.sent[0], /carried over from session "A" \(stub-failover-seedable\)/)
+    assert.match(session.sent[0], /\[Bash\] \{"command":"ls"\} → a\.txt/)
+    assert.doesNotMatch(session.sent[0], /\[End of carried conversation\][\s\S]*now delete it[\s\S]*now delete it/)
+    assert.match(session.sent[0], /\n\nnow delete it$/)
+    assert.equal(events[0].action, 'hop')
+    assert.equal(events[0].carry, 'transcript')
+  })
+
+  it('switches the model when the next chain entry is the same provider', () => {
+    attachFailover({ chain: [{ provider: 'stub-failover', model: 'big' }, { provider: 'stub-failover', model: 'small' }] })
+    const id = mgr.createSession({ name: 'A', cwd: root, model: 'big' })
+    mgr.seedHistory(id, HISTORY)
+    const session = mgr.getSession(id).session
+
+    failTurn(id, { message: 'usage limit reached' })
+    runNextTimer()
+    assert.equal(mgr.getSession(id).session, session)
+    assert.equal(session.model, 'small')
+    assert.deepEqual(session.sent, ['now delete it'])
+    assert.deepEqual(events[0].to, { provider: 'stub-failover', model: 'small' })
+    assert.equal(events[0].carry, undefined)
+  })
+
+  it('skips providers without credentials and reports an exhausted chain', () => {
+    attachFailover({ chain: ['stub-failover', 'stub-failover-keyless', 'not-a-provider'] })
+    const id = mgr.createSession({ name: 'A', cwd: root })
+    mgr.seedHistory(id, HISTORY)
+    failTurn(id, { message: 'credit balance is too low' })
+    assert.equal(timers.length, 0)
+    assert.deepEqual(events, [{ action: 'exhausted', category: 'credit_cap', provider: 'stub-failover', model: null }])
+  })
+
+  it('follows a per-session chain, where an empty one turns failover off', () => {
+    attachFailover({ chain: ['stub-failover', 'stub-failover-seedable'] })
+    const off = mgr.createSession({ name: 'Off', cwd: root, failoverChain: [] })
+    mgr.seedHistory(off, HISTORY)
+    failTurn(off, { message: 'Overloaded', code: 'HTTP_529' })
+    assert.equal(timers.length, 0)
+
+    const own = mgr.createSession({ name: 'Own', cwd: root, failoverChain: ['stub-failover-seedable'] })
+    mgr.seedHistory(own, HISTORY)
+    failTurn(own, { message: 'credit balance is too low' })
+    runNextTimer()
+    assert.equal(mgr.getSession(own).provider, 'stub-failover-seedable')
+  })
+
+  it('drops a pending retry when the user sends another prompt, and ignores other errors', () => {
+    attachFailover({ chain: ['stub-failover', 'stub-failover-seedable'] })
+    const id = mgr.createSession({ name: 'A', cwd: root })
+    mgr.seedHistory(id, HISTORY)
+    const session = mgr.getSession(id).session
+
+    failTurn(id, { message: 'Interrupted by user', code: 'ABORT' })
+    failTurn(id, { message: 'ENOENT' })
+    assert.equal(timers.length, 0)
+
+    failTurn(id, { message: 'Overloaded', code: 'HTTP_529' })
+    mgr.recordUserInput(id, 'never mind', 'u3')
+    runNextTimer()
+    assert.deepEqual(session.sent, [])
+  })
+
+  it('waits for the failed turn to unwind before moving it', () => {
+    attachFailover({ chain: ['stub-failover', 'stub-failover-seedable'] })
+    const id = mgr.createSession({ name: 'A', cwd: root })
+    mgr.seedHistory(id, HISTORY)
+    const session = mgr.getSession(id).session
+    session.isRunning = true
+
+    failTurn(id, { message: 'credit balance is too low' })
+    runNextTimer()
+    assert.equal(mgr.getSession(id).provider, 'stub-failover')
+    session.isRunning = false
+    runNextTimer()
+    assert.equal(mgr.getSession(id).provider, 'stub-failover-seedable')
+  })
+})
+
+describe('failover config', () => {
+  it('normalizes chain entries and drops malformed ones', () => {
+    assert.deepEqual(normalizeFailoverChain(['a', { provider: 'b', model: 'm' }, { model: 'x' }, 7, '']), [
+      { provider: 'a', model: null },
+      { provider: 'b', model: 'm' },
+    ])
+    assert.deepEqual(normalizeFailoverChain(undefined), [])
+  })
+
+  it('applies defaults and bounds', () => {
+    assert.deepEqual(resolveFailoverConfig({}), { chain: [], maxRetries: 2, backoffMs: 2000 })
+    assert.deepEqual(
+      resolveFailoverConfig({ failover: { chain: ['claude-byok'], maxRetries: 99, backoffMs: -1 } }),
+      { chain: [{ provider: 'claude-byok', model: null }], maxRetries: 5, backoffMs: 2000 },
+    )
+  })
+})
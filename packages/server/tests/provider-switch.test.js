@@ -0,0 +1,200 @@
+/**
+ * Tests for provider-switch.js — continuing a session's conversation on
+ * another provider. The SessionManager is given stub providers (one that can
+ * be seeded, one that can't) so no real agent process is spawned; the
+ * worktree hand-over runs against a real temp git repository.
+ */
+import { describe, it, before, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, existsSync, writeFileSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { execFileSync } from 'child_process'
+import { EventEmitter } from 'events'
+import { SessionManager } from '../src/session-manager.js'
+import { GIT } from '../src/git.js'
+import { switchSessionProvider } from '../src/provider-switch.js'
+import { disableRepoAutoGc, rmDirRobust } from './test-helpers.js'
+
+before(async () => {
+  const { registerProvider } = await import('../src/providers.js')
+
+  class StubSession extends EventEmitter {
+    constructor({ cwd, model, permissionMode }) {
+      super()
+      this.cwd = cwd
+      this.model = model || 'stub'
+      this.permissionMode = permissionMode || 'approve'
+      this.isRunning = false
+      this.resumeSessionId = null
+    }
+
+    static get capabilities() {
+      return {
+        permissions: false,
+        inProcessPermissions: false,
+        modelSwitch: false,
+        permissionModeSwitch: false,
+        planMode: false,
+        resume: false,
+        terminal: false,
+        thinkingLevel: false,
+      }
+    }
+
+    start() {}
+    destroy() {}
+    sendMessage() {}
+    interrupt() {}
+    setModel(m) { this.model = m }
+    setPermissionMode(m) { this.permissionMode = m }
+  }
+  registerProvider('stub-switch', StubSession)
+
+  // A provider whose conversation can be seeded, like the BYOK family.
+  class SeedableSession extends StubSession {
+    seedConversation(carry) {
+      this.seeded = carry
+      return { messages: 4, flags: [{ kind: 'tool_as_text', count: 1, detail: 'Grep' }] }
+    }
+  }
+  registerProvider('stub-seedable', SeedableSession)
+})
+
+function git(dir, ...args) {
+  return execFileSync(GIT, ['-C', dir, ...args], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trimEnd()
+}
+
+function makeGitRepo(root) {
+  const dir = join(root, 'repo')
+  mkdirSync(dir)
+  execFileSync(GIT, ['init', '--initial-branch=main', dir], { stdio: 'pipe' })
+  disableRepoAutoGc(dir)
+  git(dir, 'config', 'user.email', 'test@chroxy.test')
+  git(dir, 'config', 'user.name', 'Test')
+  writeFileSync(join(dir, 'tracked.txt'), 'original\n')
+  git(dir, 'add', '-A')
+  git(dir, 'commit', '-m', 'init')
+  return dir
+}
+
+function makeManager(root, repo) {
+  const mgr = new SessionManager({
+    skipPreflight: true,
+    maxSessions: 5,
+    stateFilePath: join(root, 'session-state.json'),
+    providerType: 'stub-switch',
+    defaultCwd: repo,
+  })
+  mgr._worktreeBase = join(root, 'worktrees')
+  return mgr
+}
+
+const HISTORY = [
+  { type: 'message', messageType: 'user_input', content: 'make the build pass', messageId: 'u1' },
+  { type: 'tool_start', messageId: 'msg-a-1', toolUseId: 'tu-1', tool: 'Bash', input: { command: 'npm run build' } },
+  { type: 'tool_result', toolUseId: 'tu-1', result: 'error TS2322' },
+  { type: 'tool_start', messageId: 'msg-a-1', toolUseId: 'tu-2', tool: 'TodoWrite', input: { todos: [{ content: 'Fix types', status: 'in_progress' }] } },
+  { type: 'tool_result', toolUseId: 'tu-2', result: 'ok' },
+  { type: 'message', messageType: 'response', content: 'A type error.', messageId: 'msg-a-1' },
+  { type: 'message', messageType: 'user_input', content: 'fix it', messageId: 'u2' },
+]
+
+describe('switchSessionProvider', () => {
+  let root
+  let repo
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-switch-test-'))
+    repo = makeGitRepo(root)
+  })
+
+  afterEach(() => rmDirRobust(root))
+
+  it('carries a transcript with tool calls and todos to a provider that cannot be seeded', async () => {
+    const mgr = makeManager(root, repo)
+    const source = mgr.createSession({ name: 'Build', cwd: repo, provider: 'stub-seedable' })
+    mgr.seedHistory(source, HISTORY)
+
+    const result = switchSessionProvider({ sessionManager: mgr, sourceSessionId: source, provider: 'stub-switch' })
+    assert.equal(result.carry, 'transcript')
+    assert.equal(result.carriedTurns, 3)
+    assert.equal(result.todos, 1)
+    assert.equal(result.worktree, false)
+    assert.deepEqual(result.flags, [])
+
+    const entry = mgr.getSession(result.sessionId)
+    assert.equal(entry.name, 'Build')
+    assert.equal(entry.provider, 'stub-switch')
+    assert.equal(entry.cwd, repo)
+    assert.equal(mgr.getHistory(result.sessionId).length, HISTORY.length)
+    const carry = mgr.takePendingCarry(result.sessionId)
+    assert.match(carry, /carried over from session "Build" \(stub-seedable\)/)
+    assert.match(carry, /\[Bash\] \{"command":"npm run build"\} → error TS2322/)
+    assert.match(carry, /Open todo list:\n- \[in_progress\] Fix types/)
+    // The source is left as it was.
+    assert.equal(mgr.getHistory(source).length, HISTORY.length)
+    await mgr.destroySession(result.sessionId)
+    await mgr.destroySession(source)
+  })
+
+  it('seeds a provider that accepts a conversation and merges its flags', async () => {
+    const mgr = makeManager(root, repo)
+    const source = mgr.createSession({ name: 'Build', cwd: repo })
+    mgr.seedHistory(source, [...HISTORY, { type: 'user_question', toolUseId: 'q', questions: [] }])
+
+    const result = switchSessionProvider({ sessionManager: mgr, sourceSessionId: source, provider: 'stub-seedable', name: 'Build (seedable)' })
+    assert.equal(result.carry, 'conversation')
+    assert.deepEqual(result.flags, [
+      { kind: 'tool_as_text', count: 1, detail: 'Grep' },
+      { kind: 'question', count: 1 },
+    ])
+    const entry = mgr.getSession(result.sessionId)
+    assert.equal(entry.name, 'Build (seedable)')
+    assert.equal(entry.session.seeded.turns.length, 3)
+    assert.deepEqual(entry.session.seeded.todos, [{ id: 'todo-1', content: 'Fix types', status: 'in_progress' }])
+    assert.equal(mgr.takePendingCarry(result.sessionId), null)
+    await mgr.destroySession(result.sessionId)
+    await mgr.destroySession(source)
+  })
+
+  it("hands the source's worktree to the new session", async () => {
+    const mgr = makeManager(root, repo)
+    const source = mgr.createSession({ name: 'Build', cwd: repo, worktree: true })
+    const worktreePath = mgr.getSession(source).worktreePath
+    assert.ok(worktreePath)
+
+    const result = switchSessionProvider({ sessionManager: mgr, sourceSessionId: source, provider: 'stub-seedable' })
+    assert.equal(result.worktree, true)
+    assert.equal(result.carry, 'none')
+    const entry = mgr.getSession(result.sessionId)
+    assert.equal(entry.cwd, worktreePath)
+    assert.equal(entry.worktreePath, worktreePath)
+    assert.equal(entry.isolation, 'worktree')
+    assert.equal(mgr.getSession(source).worktreePath, null)
+
+    // Closing the old session no longer removes the worktree.
+    await mgr.destroySession(source)
+    assert.ok(existsSync(worktreePath))
+    await mgr.destroySession(result.sessionId)
+  })
+
+  it('rejects a missing source, the same provider, a busy source and terminals', () => {
+    const mgr = makeManager(root, repo)
+    const source = mgr.createSession({ name: 'Build', cwd: repo })
+    const attempt = (opts) => {
+      try {
+        switchSessionProvider({ sessionManager: mgr, sourceSessionId: source, provider: 'stub-seedable', ...opts })
+        return null
+      } catch (err) {
+        return err.code
+      }
+    }
+    assert.equal(attempt({ sourceSessionId: 'nope' }), 'SWITCH_SOURCE_NOT_FOUND')
+    assert.equal(attempt({ provider: 'stub-switch' }), 'SWITCH_SAME_PROVIDER')
+    assert.equal(attempt({ provider: 'user-shell' }), 'SWITCH_UNSUPPORTED')
+    mgr.getSession(source).session.isRunning = true
+    assert.equal(attempt({}), 'SWITCH_SOURCE_BUSY')
+    assert.equal(mgr.listSessions().length, 1, 'no session is created on failure')
+  })
+})
@@ -124,7 +124,7 @@ describe('Provider Registry', () => {
     const cliEntry = list.find(p => p.name === 'claude-cli')
     assert.ok(cliEntry)
     assert.equal(cliEntry.capabilities.permissions, true)
-    assert.equal(cliEntry.capabilities.inProcessPermissions, false)
+    assert.equal(cliEntry.capabilities.inProcessPermissions, true)
     // #4887 — claude CLI supports `--resume <id>`; CliSession now wires
     // `_sessionId` into the spawn argv on respawn / restore so the model
     // retains conversation context. Persistence layer round-trips the id.
@@ -817,10 +817,9 @@ describe('Provider Registry', () => {
   })
 })
 
-// #3953 — claude-channel provider scaffold. Registered in providers.js so
-// the dashboard can list it + `chroxy doctor` runs its preflight; the
-// session itself is a no-op until the bridge lands in #3954.
-describe('claude-channel provider scaffold (#3953)', () => {
+// #3953 — claude-channel provider. Registered in providers.js so the
+// dashboard can list it + `chroxy doctor` runs its preflight.
+describe('claude-channel provider (#3953)', () => {
   it('is registered and resolvable via getProvider', async () => {
     const { ClaudeChannelSession } = await import('../src/claude-channel-session.js')
     assert.equal(getProvider('claude-channel'), ClaudeChannelSession)
@@ -831,16 +830,16 @@ describe('claude-channel provider scaffold (#3953)', () => {
     const entry = list.find(p => p.name === 'claude-channel')
     assert.ok(entry, 'claude-channel must appear in listProviders()')
     assert.equal(entry.capabilities.permissions, true)
-    assert.equal(entry.capabilities.inProcessPermissions, false)
+    assert.equal(entry.capabilities.inProcessPermissions, true)
     assert.equal(entry.capabilities.modelSwitch, false)
-    assert.equal(entry.capabilities.permissionModeSwitch, false)
+    assert.equal(entry.capabilities.permissionModeSwitch, true)
     assert.equal(entry.capabilities.planMode, false)
     assert.equal(entry.capabilities.resume, false)
     assert.equal(entry.capabilities.terminal, false)
     assert.equal(entry.capabilities.thinkingLevel, false)
-    assert.equal(entry.capabilities.streaming, true)
-    assert.equal(entry.capabilities.tools, true)
-    // Derived: scaffold does not implement setPermissionRules.
+    assert.equal(entry.capabilities.streaming, false)
+    assert.equal(entry.capabilities.tools, false)
+    // Derived: the session does not implement setPermissionRules.
     assert.equal(entry.capabilities.sessionRules, false)
   })
 
@@ -854,11 +853,11 @@ describe('claude-channel provider scaffold (#3953)', () => {
     assert.match(entry.auth.detail, /channel/i)
   })
 
-  it('passes validateProviderClass (no inProcessPermissions methods required)', async () => {
+  it('passes validateProviderClass (including the inProcessPermissions methods)', async () => {
     const { validateProviderClass } = await import('../src/providers.js')
     const { ClaudeChannelSession } = await import('../src/claude-channel-session.js')
-    // Should not throw — start/destroy/sendMessage/interrupt/setModel/
-    // setPermissionMode all inherited from BaseSession.
+    // Should not throw — respondToPermission/respondToQuestion back the
+    // inProcessPermissions capability.
     validateProviderClass(ClaudeChannelSession, 'claude-channel')
   })
 
@@ -1095,7 +1094,7 @@ describe('Provider Capabilities', () => {
   it('CliSession has static capabilities', () => {
     const caps = CliSession.capabilities
     assert.equal(caps.permissions, true)
-    assert.equal(caps.inProcessPermissions, false)
+    assert.equal(caps.inProcessPermissions, true)
     assert.equal(caps.modelSwitch, true)
     assert.equal(caps.permissionModeSwitch, true)
     assert.equal(caps.planMode, true)
@@ -207,6 +207,12 @@ describe('PushNotificationHandler — per-event push fan-out', () => {
     assert.equal(sends[0].data.detail, 'Bash')
   })
 
+  it('skips the in-process mirror of a hook-routed permission_request (already pushed by ws-permissions)', () => {
+    const { sessionManager, sends } = makeFakes({ wsServer: fakeWsServer() })
+    sessionManager.emit('session_event', { sessionId: 's1', event: 'permission_request', data: { tool: 'Bash', requestId: 'r1', via: 'hook' } })
+    assert.equal(sends.length, 0)
+  })
+
   it('user_question sends an activity_waiting push', () => {
     const { sessionManager, sends } = makeFakes({ wsServer: fakeWsServer() })
     sessionManager.emit('session_event', { sessionId: 's1', event: 'user_question', data: {} })
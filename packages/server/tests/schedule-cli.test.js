@@ -12,6 +12,7 @@ import { join } from 'path'
 import { fileURLToPath } from 'url'
 import { tmpdir, homedir } from 'os'
 import { ScheduledTaskStore, defaultScheduledTasksPath } from '../src/scheduled-task-store.js'
+import { ScheduledRunHistory, collectRunArtifacts } from '../src/scheduled-run-history.js'
 import { defaultStateFile } from '../src/session-manager.js'
 import {
   runScheduleCreate,
@@ -21,6 +22,8 @@ import {
   runScheduleResume,
   runScheduleDelete,
   runScheduleLastRun,
+  runScheduleRuns,
+  runScheduleRun,
   defaultScheduleRegistryPath,
 } from '../src/cli/schedule-cmd.js'
 
@@ -33,6 +36,10 @@ function makeStore(now = NOW) {
   return store
 }
 
+function makeHistory() {
+  return new ScheduledRunHistory({ dir: mkdtempSync(join(tmpdir(), 'schedule-cli-runs-')), now: () => NOW })
+}
+
 function cap() {
   const lines = []
   return { write: (s) => lines.push(String(s)), lines, text: () => lines.join('\n') }
@@ -215,6 +222,40 @@ describe('chroxy schedule create (#6868)', () => {
     assert.equal(res.error, 'validation')
     assert.equal(res.field, 'target.permissionMode')
   })
+
+  it('--workflow creates a workflow task pinned to the current directory', () => {
+    const store = makeStore()
+    const w = cap()
+    const res = runScheduleCreate(
+      { workflow: 'nightly', input: ['branch=main'], cron: '0 9 * * *' },
+      baseDeps(store, w.write, { checkWorkflowsEnabled: () => true, checkProviderRefusal: () => 'never consulted' }),
+    )
+    assert.equal(res.created, true)
+    assert.deepEqual(res.task.workflow, { name: 'nightly', inputs: { branch: 'main' } })
+    assert.equal(res.task.target.cwd, process.cwd())
+    assert.deepEqual(res.warnings, [], 'a workflow task names no provider of its own to warn about')
+    assert.match(w.text(), /workflow: nightly in /)
+  })
+
+  it('refuses --workflow combined with a prompt or session options, and --input without it', () => {
+    const store = makeStore()
+    const deps = baseDeps(store, cap().write, { checkWorkflowsEnabled: () => true })
+    for (const extra of [{ prompt: 'x' }, { provider: 'codex' }, { model: 'opus' }, { permissionMode: 'plan' }, { input: ['nokey'] }]) {
+      assert.equal(runScheduleCreate({ workflow: 'nightly', cron: '0 9 * * *', ...extra }, deps).error, 'invalid-workflow', JSON.stringify(extra))
+    }
+    assert.equal(runScheduleCreate({ prompt: 'x', input: ['a=1'], cron: '0 9 * * *' }, deps).error, 'invalid-workflow')
+    assert.equal(store.list().length, 0)
+  })
+
+  it('warns when workflows are disabled on the daemon', () => {
+    const store = makeStore()
+    const res = runScheduleCreate(
+      { workflow: 'nightly', cron: '0 9 * * *' },
+      baseDeps(store, cap().write, { checkWorkflowsEnabled: () => false }),
+    )
+    assert.equal(res.created, true)
+    assert.ok(res.warnings.some((msg) => /features\.workflows/.test(msg)))
+  })
 })
 
 describe('chroxy schedule list (#6868)', () => {
@@ -395,6 +436,107 @@ describe('chroxy schedule edit (#6868)', () => {
   })
 })
 
+describe('chroxy schedule --timezone', () => {
+  it('create stores the zone and names it in the output', () => {
+    const store = makeStore()
+    const w = cap()
+    const res = runScheduleCreate({ prompt: 'x', cron: '0 9 * * 1-5', timezone: 'Europe/Berlin' }, baseDeps(store, w.write))
+    assert.equal(res.created, true)
+    assert.deepEqual(res.task.cadence, { kind: 'cron', expression: '0 9 * * 1-5', timezone: 'Europe/Berlin' })
+    assert.match(w.text(), /cron "0 9 \* \* 1-5" \(Europe\/Berlin\)/)
+  })
+
+  it('a zone-less cron is labelled as daemon local time', () => {
+    const store = makeStore()
+    const w = cap()
+    runScheduleCreate({ prompt: 'x', cron: '0 9 * * *' }, baseDeps(store, w.write))
+    assert.match(w.text(), /\(daemon local time\)/)
+  })
+
+  it('rejects an unknown zone via the store and persists nothing', () => {
+    const store = makeStore()
+    const res = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', timezone: 'Mars/Base' }, baseDeps(store, cap().write))
+    assert.equal(res.created, false)
+    assert.equal(res.error, 'validation')
+    assert.equal(res.field, 'cadence.timezone')
+    assert.equal(store.list().length, 0)
+  })
+
+  it('rejects --timezone with --at', () => {
+    const store = makeStore()
+    const res = runScheduleCreate({ prompt: 'x', at: '2099-01-01T00:00:00Z', timezone: 'UTC' }, baseDeps(store, cap().write))
+    assert.equal(res.created, false)
+    assert.equal(res.error, 'invalid-cadence')
+  })
+
+  it('edit --timezone alone re-zones the existing expression', () => {
+    const store = makeStore()
+    const created = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *' }, baseDeps(store, cap().write))
+    const res = runScheduleEdit(created.task.id, { timezone: 'America/New_York' }, baseDeps(store, cap().write))
+    assert.equal(res.updated, true)
+    assert.deepEqual(res.task.cadence, { kind: 'cron', expression: '0 9 * * *', timezone: 'America/New_York' })
+  })
+
+  it('edit --timezone alone is refused on a non-cron task', () => {
+    const store = makeStore()
+    const created = runScheduleCreate({ prompt: 'x', at: '2099-01-01T00:00:00Z' }, baseDeps(store, cap().write))
+    const res = runScheduleEdit(created.task.id, { timezone: 'UTC' }, baseDeps(store, cap().write))
+    assert.equal(res.updated, false)
+    assert.equal(res.error, 'invalid-cadence')
+  })
+
+  it('edit --cron keeps the existing zone; an empty --timezone clears it', () => {
+    const store = makeStore()
+    const created = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', timezone: 'Asia/Tokyo' }, baseDeps(store, cap().write))
+    const kept = runScheduleEdit(created.task.id, { cron: '0 10 * * *' }, baseDeps(store, cap().write))
+    assert.deepEqual(kept.task.cadence, { kind: 'cron', expression: '0 10 * * *', timezone: 'Asia/Tokyo' })
+    const cleared = runScheduleEdit(created.task.id, { timezone: '' }, baseDeps(store, cap().write))
+    assert.deepEqual(cleared.task.cadence, { kind: 'cron', expression: '0 10 * * *' })
+  })
+})
+
+describe('chroxy schedule --event', () => {
+  it('creates an event-triggered task and describes it', () => {
+    const store = makeStore()
+    const w = cap()
+    const res = runScheduleCreate(
+      { prompt: 'review {{event.url}}', event: 'pull_request', eventRepo: 'octo/repo', eventAction: 'opened' },
+      baseDeps(store, w.write),
+    )
+    assert.equal(res.created, true)
+    assert.deepEqual(res.task.cadence, { kind: 'event', event: 'pull_request', repo: 'octo/repo', action: 'opened' })
+    assert.match(w.text(), /on GitHub pull_request event \(repo octo\/repo, action opened\)/)
+  })
+
+  it('rejects --event together with another cadence, and a filter without --event', () => {
+    const store = makeStore()
+    const both = runScheduleCreate({ prompt: 'x', event: 'push', cron: '0 9 * * *' }, baseDeps(store, cap().write))
+    assert.equal(both.error, 'invalid-cadence')
+    const stray = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', eventBranch: 'main' }, baseDeps(store, cap().write))
+    assert.equal(stray.error, 'invalid-cadence')
+    assert.match(stray.message, /--event-branch only applies/)
+    assert.equal(store.list().length, 0)
+  })
+
+  it('surfaces the store\'s filter validation', () => {
+    const store = makeStore()
+    const res = runScheduleCreate({ prompt: 'x', event: 'push', eventAction: 'opened' }, baseDeps(store, cap().write))
+    assert.equal(res.error, 'validation')
+    assert.equal(res.field, 'cadence.action')
+  })
+
+  it('edit --event replaces the cadence; filters alone are refused', () => {
+    const store = makeStore()
+    const created = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *' }, baseDeps(store, cap().write))
+    const alone = runScheduleEdit(created.task.id, { eventBranch: 'main' }, baseDeps(store, cap().write))
+    assert.equal(alone.error, 'invalid-cadence')
+    const res = runScheduleEdit(created.task.id, { event: 'push', eventBranch: 'main' }, baseDeps(store, cap().write))
+    assert.equal(res.updated, true)
+    assert.deepEqual(res.task.cadence, { kind: 'event', event: 'push', branch: 'main' })
+    assert.equal(res.task.nextRun, null)
+  })
+})
+
 describe('chroxy schedule pause / resume (#6868)', () => {
   it('pause sets enabled=false and clears nextRun', () => {
     const store = makeStore()
@@ -511,6 +653,112 @@ describe('chroxy schedule last-run (#6868)', () => {
   })
 })
 
+describe('chroxy schedule — catch-up and notify policies', () => {
+  it('create stores the policies and shows them', () => {
+    const store = makeStore()
+    const w = cap()
+    const res = runScheduleCreate(
+      { prompt: 'x', cron: '0 9 * * *', catchUp: 'all', catchUpMax: '3', notify: 'on-failure' },
+      baseDeps(store, w.write),
+    )
+    assert.equal(res.created, true)
+    assert.deepEqual(res.task.catchUp, { policy: 'all', maxRuns: 3 })
+    assert.equal(res.task.notify, 'on-failure')
+    assert.match(w.text(), /runs: {5}catch up every missed run \(newest 3\); notify on-failure/)
+  })
+
+  it('the defaults print no policy line at all', () => {
+    const store = makeStore()
+    const w = cap()
+    runScheduleCreate({ prompt: 'x', cron: '0 9 * * *' }, baseDeps(store, w.write))
+    assert.doesNotMatch(w.text(), /runs:/)
+  })
+
+  it('rejects a cap without `all`, a non-numeric cap, and an unknown policy (the store\'s field error)', () => {
+    const store = makeStore()
+    assert.equal(runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', catchUp: 'once', catchUpMax: '2' }, baseDeps(store, cap().write)).error, 'invalid-catch-up')
+    assert.equal(runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', catchUp: 'all', catchUpMax: 'lots' }, baseDeps(store, cap().write)).error, 'invalid-catch-up')
+    const bad = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', notify: 'sometimes' }, baseDeps(store, cap().write))
+    assert.equal(bad.error, 'validation')
+    assert.equal(bad.field, 'notify')
+    assert.equal(store.list().length, 0)
+  })
+
+  it('edit --catch-up-max alone re-caps an existing `all` policy', () => {
+    const store = makeStore()
+    const created = runScheduleCreate({ prompt: 'x', cron: '0 9 * * *', catchUp: 'all' }, baseDeps(store, cap().write))
+    const res = runScheduleEdit(created.task.id, { catchUpMax: '8', notify: 'always' }, baseDeps(store, cap().write))
+    assert.equal(res.updated, true)
+    assert.deepEqual(res.task.catchUp, { policy: 'all', maxRuns: 8 })
+    assert.equal(res.task.notify, 'always')
+  })
+})
+
+describe('chroxy schedule runs / run', () => {
+  const entries = [
+    { type: 'message', messageType: 'user_input', content: 'tidy up', _seq: 1 },
+    { type: 'tool_start', tool: 'Edit', input: { file_path: '/repo/NOTES.md' }, _seq: 2 },
+    { type: 'message', messageType: 'response', content: 'Tidied NOTES.md.', _seq: 3 },
+    { type: 'result', cost: 0.0125, _seq: 4 },
+  ]
+  const seed = () => {
+    const store = makeStore()
+    const history = makeHistory()
+    const { task } = runScheduleCreate({ prompt: 'tidy up', cron: '0 9 * * *', name: 'Tidy' }, baseDeps(store, cap().write))
+    const older = history.record({ taskId: task.id, taskName: 'Tidy', trigger: 'schedule', startedAt: NOW - 1000, finishedAt: NOW - 900, status: 'refused', error: 'provider refused' })
+    const newer = history.record({ taskId: task.id, taskName: 'Tidy', trigger: 'catch-up', startedAt: NOW, finishedAt: NOW + 100, status: 'success', sessionId: 'sess-1', missedSlots: 2, artifacts: collectRunArtifacts(entries) })
+    return { store, history, task, older, newer }
+  }
+
+  it('runs lists a task\'s runs newest first with exit class, cost and files', () => {
+    const { store, history, task, older, newer } = seed()
+    const w = cap()
+    const res = runScheduleRuns(task.id.slice(0, 8), {}, baseDeps(store, w.write, { history }))
+    assert.equal(res.found, true)
+    assert.deepEqual(res.runs.map((r) => r.id), [newer.id, older.id])
+    assert.match(w.text(), /\[completed\] {2}catch-up {2}\$0\.0125 {2}1 file\(s\) changed {2}2 missed slot\(s\)/)
+    assert.match(w.text(), /Tidied NOTES\.md\./)
+    assert.match(w.text(), /\[refused\] {2}schedule/)
+    assert.match(w.text(), /provider refused/)
+    assert.equal(runScheduleRuns(task.id, { limit: '1' }, baseDeps(store, cap().write, { history })).runs.length, 1)
+    assert.equal(runScheduleRuns(task.id, { limit: 'zero' }, baseDeps(store, cap().write, { history })).error, 'invalid-limit')
+  })
+
+  it('run shows the final message and files, and the transcript only when asked', () => {
+    const { store, history, newer } = seed()
+    const w = cap()
+    const res = runScheduleRun(newer.id, {}, baseDeps(store, w.write, { history }))
+    assert.equal(res.found, true)
+    assert.match(w.text(), /exit: {6}\[completed\] success/)
+    assert.match(w.text(), /\/repo\/NOTES\.md/)
+    assert.match(w.text(), /Final message:\nTidied NOTES\.md\./)
+    assert.match(w.text(), /--transcript/)
+    assert.doesNotMatch(w.text(), /user_input: tidy up/)
+
+    const t = cap()
+    runScheduleRun(newer.id, { transcript: true }, baseDeps(store, t.write, { history }))
+    assert.match(t.text(), /Transcript \(4 entries\)/)
+    assert.match(t.text(), /user_input: tidy up/)
+    assert.match(t.text(), /tool Edit \/repo\/NOTES\.md/)
+  })
+
+  it('an unknown run id fails clearly', () => {
+    const { store, history } = seed()
+    const res = runScheduleRun('not-a-run', {}, baseDeps(store, cap().write, { history }))
+    assert.equal(res.found, false)
+    assert.equal(res.error, 'not-found')
+  })
+
+  it('delete --yes removes the task\'s run history with it', () => {
+    const { store, history, task } = seed()
+    const w = cap()
+    const res = runScheduleDelete(task.id, { yes: true }, baseDeps(store, w.write, { history }))
+    assert.equal(res.runsRemoved, 2)
+    assert.deepEqual(history.list(task.id), [])
+    assert.match(w.text(), /and 2 recorded run\(s\)/)
+  })
+})
+
 describe('chroxy schedule — id / id-prefix resolution (#6868)', () => {
   // #7015 — the old version of this test derived its ambiguous prefix from
   // two random UUIDs' *actual* shared leading characters, which only exist
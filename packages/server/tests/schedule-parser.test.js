@@ -7,6 +7,7 @@ import {
   computeNextRun,
   CronParseError,
   MIN_INTERVAL_MS,
+  isValidTimeZone,
 } from '../src/schedule-parser.js'
 
 /**
@@ -180,6 +181,84 @@ describe('#6879 cron DST spring-forward skip (intended)', () => {
   })
 })
 
+describe('cron with an explicit IANA timezone', () => {
+  // These are absolute-instant assertions: a zoned cadence must not depend on
+  // the host zone, which the file pins to America/New_York — so a Berlin
+  // expectation passing here proves the HOST zone is ignored.
+  const utc = (iso) => Date.parse(iso)
+  const berlin = { timeZone: 'Europe/Berlin' }
+
+  it('validates zones through Intl', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true)
+    assert.equal(isValidTimeZone('UTC'), true)
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false)
+    assert.equal(isValidTimeZone(''), false)
+    assert.equal(isValidTimeZone(42), false)
+    assert.equal(isValidTimeZone('A'.repeat(65)), false)
+  })
+
+  it('fires weekdays 09:00 Berlin regardless of the host zone (winter, UTC+1)', () => {
+    const c = parseCron('0 9 * * 1-5')
+    // Saturday 2026-01-10 noon UTC -> Monday 2026-01-12 09:00 CET = 08:00Z
+    assert.equal(computeCronNextRun(c, utc('2026-01-10T12:00:00Z'), berlin), utc('2026-01-12T08:00:00Z'))
+  })
+
+  it('follows the zone across its own DST change (summer, UTC+2)', () => {
+    const c = parseCron('0 9 * * 1-5')
+    // Berlin switches on 2026-03-29; the following Monday 09:00 is CEST = 07:00Z.
+    assert.equal(computeCronNextRun(c, utc('2026-03-28T12:00:00Z'), berlin), utc('2026-03-30T07:00:00Z'))
+  })
+
+  it('skips a wall time inside the spring-forward gap for that day', () => {
+    // 2026-03-29 Berlin: 02:00 -> 03:00, so 02:30 does not exist.
+    const c = parseCron('30 2 * * *')
+    assert.equal(computeCronNextRun(c, utc('2026-03-28T12:00:00Z'), berlin), utc('2026-03-30T00:30:00Z'))
+  })
+
+  it('fires a fixed-hour task once, on the first pass, in the fall-back overlap', () => {
+    // 2026-10-25 Berlin: 03:00 CEST -> 02:00 CET, so 02:30 happens twice
+    // (00:30Z and 01:30Z). Only the first counts.
+    const c = parseCron('30 2 * * *')
+    const first = computeCronNextRun(c, utc('2026-10-24T12:00:00Z'), berlin)
+    assert.equal(first, utc('2026-10-25T00:30:00Z'))
+    assert.equal(computeCronNextRun(c, first, berlin), utc('2026-10-26T01:30:00Z'))
+  })
+
+  it('keeps an every-hour cadence firing through both passes of the overlap', () => {
+    const c = parseCron('*/30 * * * *')
+    const seen = []
+    let t = utc('2026-10-24T23:50:00Z')
+    for (let i = 0; i < 6; i++) {
+      t = computeCronNextRun(c, t, berlin)
+      seen.push(new Date(t).toISOString())
+    }
+    assert.deepEqual(seen, [
+      '2026-10-25T00:00:00.000Z',
+      '2026-10-25T00:30:00.000Z',
+      '2026-10-25T01:00:00.000Z',
+      '2026-10-25T01:30:00.000Z',
+      '2026-10-25T02:00:00.000Z',
+      '2026-10-25T02:30:00.000Z',
+    ])
+  })
+
+  it('handles a half-hour-offset zone', () => {
+    // Asia/Kolkata is UTC+5:30 year-round.
+    const c = parseCron('0 9 * * *')
+    assert.equal(computeCronNextRun(c, utc('2026-06-01T00:00:00Z'), { timeZone: 'Asia/Kolkata' }), utc('2026-06-01T03:30:00Z'))
+  })
+
+  it('returns null for an unknown zone and for an impossible expression', () => {
+    assert.equal(computeCronNextRun(parseCron('0 9 * * *'), utc('2026-06-01T00:00:00Z'), { timeZone: 'Nope/Nowhere' }), null)
+    assert.equal(computeCronNextRun(parseCron('0 0 31 2 *'), utc('2026-06-01T00:00:00Z'), berlin), null)
+  })
+
+  it('computeNextRun routes cadence.timezone through the zoned walk', () => {
+    const task = { enabled: true, cadence: { kind: 'cron', expression: '0 9 * * *', timezone: 'UTC' } }
+    assert.equal(computeNextRun(task, { from: utc('2026-06-01T10:00:00Z') }), utc('2026-06-02T09:00:00Z'))
+  })
+})
+
 describe('#6862 computeIntervalNextRun', () => {
   const HOUR = 60 * 60 * 1000
   it('returns the next phase-aligned boundary strictly after `from`', () => {
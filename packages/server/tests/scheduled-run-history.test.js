@@ -0,0 +1,222 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, existsSync, readdirSync, readFileSync, writeFileSync, statSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import {
+  ScheduledRunHistory,
+  classifyRunExit,
+  collectRunArtifacts,
+  defaultScheduledRunsDir,
+} from '../src/scheduled-run-history.js'
+
+/**
+ * Persisted scheduled-run history. Covers artifact extraction from session
+ * history entries (final message, cost, files changed), exit classification,
+ * the index + per-run file layout, retention by age and per-task count, task
+ * removal, and that every read goes back to disk (the CLI deletes from another
+ * process). Every history writes to a temp dir, never the real ~/.chroxy.
+ */
+
+const silentLog = { info() {}, warn() {}, error() {} }
+const DAY = 24 * 60 * 60 * 1000
+
+/** Session-history entries for one run, in session-message-history.js shapes. */
+function runEntries() {
+  return [
+    { type: 'message', messageType: 'user_input', content: 'tidy the changelog', timestamp: 1, _seq: 11 },
+    { type: 'tool_start', tool: 'Edit', toolUseId: 'tu-1', input: { file_path: '/repo/CHANGELOG.md', old_string: 'a', new_string: 'b' }, _seq: 12 },
+    { type: 'tool_result', toolUseId: 'tu-1', result: 'ok', _seq: 13 },
+    { type: 'tool_start', tool: 'Read', toolUseId: 'tu-2', input: { file_path: '/repo/README.md' }, _seq: 14 },
+    { type: 'tool_start', tool: 'apply_patch', toolUseId: 'tu-3', input: { changes: [{ path: '/repo/a.js', kind: 'update' }, { path: '/repo/CHANGELOG.md' }] }, _seq: 15 },
+    { type: 'message', messageType: 'response', content: 'Working on it.', _seq: 16 },
+    { type: 'result', cost: 0.02, _seq: 17 },
+    { type: 'message', messageType: 'response', content: 'Changelog tidied.', _seq: 18 },
+    { type: 'result', cost: 0.01, _seq: 19 },
+  ]
+}
+
+describe('collectRunArtifacts', () => {
+  it('takes the LAST response as the final message and sums every result cost', () => {
+    const artifacts = collectRunArtifacts(runEntries())
+    assert.equal(artifacts.finalMessage, 'Changelog tidied.')
+    assert.ok(Math.abs(artifacts.cost - 0.03) < 1e-9)
+  })
+
+  it('lists each written file once, across write tools and apply_patch, and skips reads', () => {
+    const { filesChanged } = collectRunArtifacts(runEntries())
+    assert.deepEqual(filesChanged, ['/repo/CHANGELOG.md', '/repo/a.js'])
+  })
+
+  it('strips the history sequence numbers from the transcript', () => {
+    const { transcript, transcriptTruncated } = collectRunArtifacts(runEntries())
+    assert.equal(transcript.length, runEntries().length)
+    assert.equal(transcript.some((e) => '_seq' in e), false)
+    assert.equal(transcriptTruncated, false)
+  })
+
+  it('a run that produced nothing has no message, no cost and no files', () => {
+    assert.deepEqual(collectRunArtifacts([]), { transcript: [], transcriptTruncated: false, finalMessage: null, cost: null, filesChanged: [] })
+    assert.deepEqual(collectRunArtifacts(undefined).transcript, [])
+  })
+
+  it('clamps an oversized entry rather than storing it whole', () => {
+    const { transcript } = collectRunArtifacts([
+      { type: 'tool_result', result: 'x'.repeat(60 * 1024) },
+      { type: 'tool_start', tool: 'Write', input: { file_path: '/f', content: 'y'.repeat(60 * 1024) } },
+    ])
+    assert.ok(transcript[0].result.length < 60 * 1024)
+    assert.match(transcript[0].result, /\[truncated\]$/)
+    assert.deepEqual(transcript[1].input, { truncated: true })
+  })
+})
+
+describe('classifyRunExit', () => {
+  it('maps each status to its exit class and never reads an unknown one as completed', () => {
+    assert.equal(classifyRunExit('success'), 'completed')
+    assert.equal(classifyRunExit('timeout'), 'timeout')
+    assert.equal(classifyRunExit('interrupted'), 'interrupted')
+    assert.equal(classifyRunExit('refused'), 'refused')
+    assert.equal(classifyRunExit('skipped'), 'skipped')
+    assert.equal(classifyRunExit('error'), 'error')
+    assert.equal(classifyRunExit('something-new'), 'error')
+  })
+
+  it('prefers the executor\'s own classification when it is a known one', () => {
+    assert.equal(classifyRunExit('error', 'permission-blocked'), 'permission-blocked')
+    assert.equal(classifyRunExit('error', 'made-up'), 'error')
+  })
+})
+
+describe('ScheduledRunHistory', () => {
+  let dir
+  let clock
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'chroxy-run-history-'))
+    clock = 10 * DAY
+  })
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  const newHistory = (opts = {}) => new ScheduledRunHistory({ dir, logger: silentLog, now: () => clock, ...opts })
+  const recordRun = (history, over = {}) => history.record({
+    taskId: 't1',
+    taskName: 'nightly',
+    trigger: 'schedule',
+    scheduledFor: clock,
+    startedAt: clock,
+    finishedAt: clock,
+    status: 'success',
+    ...over,
+  })
+
+  it('requires a dir', () => {
+    assert.throws(() => new ScheduledRunHistory({}), /requires a dir/)
+  })
+
+  it('defaultScheduledRunsDir sits next to the state file', () => {
+    assert.equal(defaultScheduledRunsDir('/x/.chroxy/session-state.json'), '/x/.chroxy/scheduled-runs')
+  })
+
+  it('records a summary in the index and the full artifacts in a run file (0600)', () => {
+    const history = newHistory()
+    const summary = recordRun(history, { sessionId: 'sess-1', artifacts: collectRunArtifacts(runEntries()) })
+    assert.equal(summary.exit, 'completed')
+    assert.equal(summary.finalMessagePreview, 'Changelog tidied.')
+    assert.deepEqual(summary.filesChanged, ['/repo/CHANGELOG.md', '/repo/a.js'])
+    assert.equal(summary.hasTranscript, true)
+    assert.equal(summary.sessionId, 'sess-1')
+
+    const runFile = join(dir, 'runs', `${summary.id}.json`)
+    assert.ok(existsSync(runFile))
+    if (process.platform !== 'win32') {
+      assert.equal(statSync(runFile).mode & 0o777, 0o600)
+      assert.equal(statSync(join(dir, 'index.json')).mode & 0o777, 0o600)
+    }
+
+    const detail = newHistory().get(summary.id)
+    assert.equal(detail.finalMessage, 'Changelog tidied.')
+    assert.equal(detail.transcript.length, runEntries().length)
+  })
+
+  it('a run with no artifacts (a refusal, a skip) gets an index entry and no run file', () => {
+    const history = newHistory()
+    const summary = recordRun(history, { status: 'refused', error: 'provider cannot answer prompts' })
+    assert.equal(summary.exit, 'refused')
+    assert.equal(summary.hasTranscript, false)
+    assert.equal(existsSync(join(dir, 'runs')), false)
+    assert.equal(history.get(summary.id).error, 'provider cannot answer prompts')
+  })
+
+  it('lists a task\'s runs newest first, honouring a limit', () => {
+    const history = newHistory()
+    const first = recordRun(history)
+    clock += 1000
+    const second = recordRun(history, { status: 'error' })
+    recordRun(history, { taskId: 't2' })
+    assert.deepEqual(history.list('t1').map((r) => r.id), [second.id, first.id])
+    assert.deepEqual(history.list('t1', { limit: 1 }).map((r) => r.id), [second.id])
+  })
+
+  it('keeps only the newest runs per task and deletes the pruned run files', () => {
+    const history = newHistory({ maxRunsPerTask: 2 })
+    const ids = []
+    for (let i = 0; i < 3; i++) {
+      clock += 1000
+      ids.push(recordRun(history, { artifacts: collectRunArtifacts(runEntries()) }).id)
+    }
+    assert.deepEqual(history.list('t1').map((r) => r.id), [ids[2], ids[1]])
+    assert.deepEqual(readdirSync(join(dir, 'runs')).sort(), [`${ids[1]}.json`, `${ids[2]}.json`].sort())
+  })
+
+  it('drops runs older than the retention window', () => {
+    const history = newHistory({ retentionMs: DAY })
+    const old = recordRun(history)
+    clock += 2 * DAY
+    const fresh = recordRun(history)
+    assert.deepEqual(history.list('t1').map((r) => r.id), [fresh.id])
+    assert.equal(history.get(old.id), null)
+  })
+
+  it('removeTask drops every run of that task and only that task', () => {
+    const history = newHistory()
+    const gone = recordRun(history, { artifacts: collectRunArtifacts(runEntries()) })
+    const kept = recordRun(history, { taskId: 't2' })
+    assert.equal(history.removeTask('t1'), 1)
+    assert.equal(history.get(gone.id), null)
+    assert.equal(existsSync(join(dir, 'runs', `${gone.id}.json`)), false)
+    assert.deepEqual(history.list('t2').map((r) => r.id), [kept.id])
+    assert.equal(history.removeTask('t1'), 0)
+  })
+
+  it('re-reads the index every time, so a delete from another process is not written back', () => {
+    const daemon = newHistory()
+    const cli = newHistory()
+    recordRun(daemon)
+    cli.removeTask('t1')
+    recordRun(daemon, { taskId: 't2' })
+    assert.deepEqual(daemon.list('t1'), [])
+  })
+
+  it('get() refuses an id that is not one this module minted (no path escape)', () => {
+    const history = newHistory()
+    recordRun(history)
+    assert.equal(history.get('../index'), null)
+    assert.equal(history.get(null), null)
+  })
+
+  it('a corrupt or unknown-version index reads as empty instead of throwing', () => {
+    const history = newHistory()
+    recordRun(history)
+    writeFileSync(join(dir, 'index.json'), '{ not json')
+    assert.deepEqual(history.list('t1'), [])
+    writeFileSync(join(dir, 'index.json'), JSON.stringify({ version: 99, runs: [] }))
+    assert.deepEqual(history.list('t1'), [])
+    // …and the next record starts a fresh, valid index.
+    recordRun(history)
+    assert.equal(JSON.parse(readFileSync(join(dir, 'index.json'), 'utf-8')).version, 1)
+  })
+})
@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert/strict'
-import { ScheduledTaskCadenceCronSchema, ScheduledTaskSchema } from '@chroxy/protocol'
+import { ScheduledTaskCadenceCronSchema, ScheduledTaskCadenceEventSchema, ScheduledTaskSchema } from '@chroxy/protocol'
 import { mkdtempSync, rmSync, existsSync, readFileSync, writeFileSync, statSync, readdirSync } from 'fs'
 import { tmpdir } from 'os'
 import { parseCron } from '../src/schedule-parser.js'
@@ -9,6 +9,8 @@ import {
   ScheduledTaskStore,
   ScheduledTaskValidationError,
   defaultScheduledTasksPath,
+  DEFAULT_CATCH_UP_MAX_RUNS,
+  MAX_CATCH_UP_MAX_RUNS,
 } from '../src/scheduled-task-store.js'
 
 /**
@@ -269,6 +271,200 @@ describe('#6862 ScheduledTaskStore', () => {
   // REJECT rather than clamp, unlike the string fields projectTask truncates:
   // truncating a cron silently CHANGES THE SCHEDULE, which is worse than
   // refusing it.
+  describe('cron cadence timezone', () => {
+    it('stores a valid IANA zone and computes nextRun in it', () => {
+      const now = Date.parse('2026-06-01T10:00:00Z')
+      const store = newStore(() => now).load()
+      const task = store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '0 9 * * *', timezone: ' UTC ' } })
+      assert.deepEqual(task.cadence, { kind: 'cron', expression: '0 9 * * *', timezone: 'UTC' })
+      assert.equal(task.nextRun, Date.parse('2026-06-02T09:00:00Z'))
+    })
+
+    it('treats an empty zone as daemon local time (no timezone key stored)', () => {
+      const store = newStore().load()
+      const task = store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '0 9 * * *', timezone: '' } })
+      assert.equal('timezone' in task.cadence, false)
+    })
+
+    it('rejects an unknown zone rather than falling back to local time', () => {
+      const store = newStore().load()
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '0 9 * * *', timezone: 'Europe/Atlantis' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.timezone',
+      )
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '0 9 * * *', timezone: 7 } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.timezone',
+      )
+    })
+
+    it('round-trips through the wire schema', () => {
+      const store = newStore().load()
+      const task = store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '0 9 * * 1-5', timezone: 'Europe/Berlin' } })
+      assert.equal(ScheduledTaskCadenceCronSchema.safeParse(task.cadence).success, true)
+    })
+  })
+
+  describe('event cadence', () => {
+    it('stores a trimmed event cadence with no nextRun', () => {
+      const store = newStore().load()
+      const task = store.add({
+        prompt: 'review {{event.url}}',
+        cadence: { kind: 'event', event: ' pull_request ', repo: 'octo/repo', action: 'opened', branch: '' },
+      })
+      assert.deepEqual(task.cadence, { kind: 'event', event: 'pull_request', repo: 'octo/repo', action: 'opened' })
+      assert.equal(task.nextRun, null)
+      assert.equal(ScheduledTaskCadenceEventSchema.safeParse(task.cadence).success, true)
+      assert.equal(ScheduledTaskSchema.shape.cadence.safeParse(task.cadence).success, true)
+    })
+
+    it('rejects an unknown event type', () => {
+      const store = newStore().load()
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'event', event: 'star' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.event',
+      )
+    })
+
+    it('rejects a filter the event type cannot carry (it would never match)', () => {
+      const store = newStore().load()
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'event', event: 'push', action: 'opened' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.action',
+      )
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'event', event: 'issues', branch: 'main' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.branch',
+      )
+    })
+
+    it('rejects a repo that is not owner/name, and an over-cap filter', () => {
+      const store = newStore().load()
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'event', event: 'push', repo: 'just-a-name' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.repo',
+      )
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'event', event: 'push', branch: 'b'.repeat(257) } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'cadence.branch',
+      )
+    })
+  })
+
+  describe('catch-up and notify policies', () => {
+    const interval = { kind: 'interval', everyMs: HOUR }
+
+    it('defaults to skipping missed slots and never notifying', () => {
+      const store = newStore().load()
+      const task = store.add({ prompt: 'p', cadence: interval })
+      assert.deepEqual(task.catchUp, { policy: 'skip' })
+      assert.equal(task.notify, 'never')
+      assert.equal(ScheduledTaskSchema.safeParse({
+        ...task, providerRefusal: null, effectiveProvider: null,
+        effectivePermissionMode: 'approve', permissionModeClamped: false, quarantined: false,
+      }).success, true)
+    })
+
+    it('gives `all` a default cap and rejects one outside 1..MAX_CATCH_UP_MAX_RUNS', () => {
+      const store = newStore().load()
+      assert.deepEqual(store.add({ prompt: 'p', cadence: interval, catchUp: { policy: 'all' } }).catchUp, { policy: 'all', maxRuns: DEFAULT_CATCH_UP_MAX_RUNS })
+      assert.deepEqual(store.add({ prompt: 'p', cadence: interval, catchUp: { policy: 'all', maxRuns: MAX_CATCH_UP_MAX_RUNS } }).catchUp.maxRuns, MAX_CATCH_UP_MAX_RUNS)
+      for (const maxRuns of [0, MAX_CATCH_UP_MAX_RUNS + 1, 2.5, '3']) {
+        assert.throws(
+          () => store.add({ prompt: 'p', cadence: interval, catchUp: { policy: 'all', maxRuns } }),
+          (err) => err instanceof ScheduledTaskValidationError && err.field === 'catchUp.maxRuns',
+        )
+      }
+    })
+
+    it('rejects an unknown policy, and a cap on a policy that has none', () => {
+      const store = newStore().load()
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: interval, catchUp: { policy: 'backfill' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'catchUp.policy',
+      )
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: interval, catchUp: { policy: 'once', maxRuns: 2 } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'catchUp.maxRuns',
+      )
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: interval, notify: 'sometimes' }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'notify',
+      )
+    })
+
+    it('an event cadence cannot catch up — there are no slots to miss', () => {
+      const store = newStore().load()
+      assert.throws(
+        () => store.add({ prompt: 'p', cadence: { kind: 'event', event: 'push' }, catchUp: { policy: 'once' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'catchUp.policy',
+      )
+      const task = store.add({ prompt: 'p', cadence: interval, catchUp: { policy: 'once' } })
+      assert.throws(
+        () => store.update(task.id, { cadence: { kind: 'event', event: 'push' } }),
+        (err) => err instanceof ScheduledTaskValidationError && err.field === 'catchUp.policy',
+        'switching the cadence re-validates the stored policy against it',
+      )
+    })
+
+    it('update() patches both policies and they survive a restart', () => {
+      const store = newStore().load()
+      const task = store.add({ prompt: 'p', cadence: interval })
+      store.update(task.id, { catchUp: { policy: 'all', maxRuns: 3 }, notify: 'on-change' })
+      const reloaded = newStore().load().get(task.id)
+      assert.deepEqual(reloaded.catchUp, { policy: 'all', maxRuns: 3 })
+      assert.equal(reloaded.notify, 'on-change')
+    })
+
+    it('a record written before the policies existed loads with the defaults', () => {
+      const store = newStore().load()
+      const task = store.add({ prompt: 'p', cadence: interval })
+      const file = JSON.parse(readFileSync(filePath, 'utf-8'))
+      for (const t of file.tasks) { delete t.catchUp; delete t.notify }
+      writeFileSync(filePath, JSON.stringify(file))
+      const reloaded = newStore().load().get(task.id)
+      assert.deepEqual(reloaded.catchUp, { policy: 'skip' })
+      assert.equal(reloaded.notify, 'never')
+    })
+  })
+
+  describe('workflow tasks', () => {
+    const interval = { kind: 'interval', everyMs: HOUR }
+    const invalid = (field) => (err) => err instanceof ScheduledTaskValidationError && err.field === field
+
+    it('stores a workflow reference with no prompt, and round-trips it', () => {
+      const store = newStore().load()
+      const task = store.add({ cadence: interval, target: { cwd: '/repo' }, workflow: { name: 'nightly', inputs: { branch: 'main' } } })
+      assert.equal(task.prompt, '')
+      assert.deepEqual(task.workflow, { name: 'nightly', inputs: { branch: 'main' } })
+      assert.deepEqual(newStore().load().get(task.id).workflow, { name: 'nightly', inputs: { branch: 'main' } })
+      assert.equal(store.add({ prompt: 'p', cadence: interval }).workflow, null)
+    })
+
+    it('requires a cwd, and refuses a prompt alongside the workflow', () => {
+      const store = newStore().load()
+      assert.throws(() => store.add({ cadence: interval, workflow: { name: 'nightly' } }), invalid('target.cwd'))
+      assert.throws(() => store.add({ prompt: 'p', cadence: interval, target: { cwd: '/repo' }, workflow: { name: 'nightly' } }), invalid('prompt'))
+      assert.throws(() => store.add({ cadence: interval }), /prompt is required/)
+    })
+
+    it('rejects a bad workflow name or inputs', () => {
+      const store = newStore().load()
+      const add = (workflow) => () => store.add({ cadence: interval, target: { cwd: '/repo' }, workflow })
+      assert.throws(add({ name: '../etc' }), invalid('workflow.name'))
+      assert.throws(add({ name: 'ok', inputs: ['a'] }), invalid('workflow.inputs'))
+      assert.throws(add({ name: 'ok', inputs: { a: 1 } }), invalid('workflow.inputs.a'))
+    })
+
+    it('update() can turn a prompt task into a workflow task only by clearing the prompt', () => {
+      const store = newStore().load()
+      const task = store.add({ prompt: 'p', cadence: interval, target: { cwd: '/repo' } })
+      assert.throws(() => store.update(task.id, { workflow: { name: 'nightly' } }), invalid('prompt'))
+      const updated = store.update(task.id, { prompt: '', workflow: { name: 'nightly' } })
+      assert.deepEqual(updated.workflow, { name: 'nightly', inputs: {} })
+    })
+  })
+
   describe('#7051 cron expression wire cap', () => {
     // Fully enumerated minute/hour/day-of-month lists — 319 chars, and every
     // field is legal, so LENGTH is the only thing that can reject it. The
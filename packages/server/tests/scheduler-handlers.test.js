@@ -290,40 +290,49 @@ describe('scheduler handlers — a store-legal task is always WIRE-legal', () =>
 describe('scheduler handlers — engine verdicts are passed through, not re-derived', () => {
   it('flags a task whose provider the engine REFUSES, naming the provider', () => {
     const { ctx, sent, store } = mkCtx()
-    store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '* * * * *' }, target: { provider: 'claude-tui' } })
+    store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '* * * * *' }, target: { provider: 'gemini' } })
     schedulerHandlers.scheduled_tasks_request(WS, primaryClient, req(), ctx)
     const task = sent[0].tasks[0]
-    assert.equal(task.effectiveProvider, 'claude-tui')
-    assert.ok(task.providerRefusal, 'a hook-routed provider must carry a refusal reason')
-    assert.match(task.providerRefusal, /claude-tui/)
-    assert.match(task.providerRefusal, /permission hook/)
+    assert.equal(task.effectiveProvider, 'gemini')
+    assert.ok(task.providerRefusal, 'an unpromptable provider must carry a refusal reason')
+    assert.match(task.providerRefusal, /gemini/)
+    assert.match(task.providerRefusal, /no permission prompt/)
   })
 
   it('carries NO refusal for a provider the engine accepts', () => {
     const { ctx, sent, store } = mkCtx()
     store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '* * * * *' }, target: { provider: SCHEDULABLE } })
+    store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '* * * * *' }, target: { provider: 'claude-tui' } })
     schedulerHandlers.scheduled_tasks_request(WS, primaryClient, req(), ctx)
     assert.equal(sent[0].tasks[0].providerRefusal, null)
+    assert.equal(sent[0].tasks[1].providerRefusal, null, 'hook-routed prompts are answered in-process')
   })
 
   it('resolves a task with NO target.provider against the daemon default', () => {
-    const { ctx, sent, store } = mkCtx({ providerType: 'claude-tui' })
+    const { ctx, sent, store } = mkCtx({ providerType: 'gemini' })
     store.add({ prompt: 'p', cadence: { kind: 'cron', expression: '* * * * *' } })
     schedulerHandlers.scheduled_tasks_request(WS, primaryClient, req(), ctx)
     const task = sent[0].tasks[0]
-    assert.equal(task.effectiveProvider, 'claude-tui', 'must judge the provider the run would ACTUALLY use')
+    assert.equal(task.effectiveProvider, 'gemini', 'must judge the provider the run would ACTUALLY use')
     assert.ok(task.providerRefusal, 'a task inheriting a refused default must be flagged')
   })
 
   it('surfaces the DEFAULT provider refusal on the snapshot so the create form can warn up front', () => {
-    const { ctx, sent } = mkCtx({ providerType: 'claude-tui' })
+    const { ctx, sent } = mkCtx({ providerType: 'gemini' })
     schedulerHandlers.scheduled_tasks_request(WS, primaryClient, req(), ctx)
-    assert.equal(sent[0].defaultProvider, 'claude-tui')
+    assert.equal(sent[0].defaultProvider, 'gemini')
     assert.ok(sent[0].defaultProviderRefusal, 'a refused default must be advertised before a task is saved')
     assert.ok(Array.isArray(sent[0].schedulableProviders))
     assert.deepEqual(sent[0].schedulableProviders, listSchedulableProviders())
   })
 
+  it('carries NO default refusal when the default is claude-tui', () => {
+    const { ctx, sent } = mkCtx({ providerType: 'claude-tui' })
+    schedulerHandlers.scheduled_tasks_request(WS, primaryClient, req(), ctx)
+    assert.equal(sent[0].defaultProvider, 'claude-tui')
+    assert.equal(sent[0].defaultProviderRefusal, null)
+  })
+
   it('reports the CLAMPED permission mode and flags that it was clamped', () => {
     const { ctx, sent, store } = mkCtx()
     store.add({
@@ -414,6 +423,32 @@ describe('scheduler handlers — mutations', () => {
     assert.equal(store.list().length, 0)
   })
 
+  it('delete also drops the task\'s run history', () => {
+    const { ctx, store } = mkCtx()
+    const removed = []
+    ctx.sessions.sessionManager.scheduledRunHistory = { removeTask: (id) => removed.push(id) }
+    const t = store.add(goodTask())
+    schedulerHandlers.scheduled_task_action(WS, primaryClient, action({ action: 'delete', taskId: t.id }), ctx)
+    assert.deepEqual(removed, [t.id])
+  })
+
+  it('create and update carry the catch-up and notify policies through to the snapshot', () => {
+    const { ctx, sent, store } = mkCtx()
+    schedulerHandlers.scheduled_task_action(
+      WS, primaryClient, action({ action: 'create', task: { ...goodTask(), catchUp: { policy: 'all', maxRuns: 3 }, notify: 'on-failure' } }), ctx,
+    )
+    const [t] = store.list()
+    assert.deepEqual(sent[0].tasks[0].catchUp, { policy: 'all', maxRuns: 3 })
+    assert.equal(sent[0].tasks[0].notify, 'on-failure')
+    assert.equal(ServerScheduledTasksSchema.safeParse(sent[0]).success, true)
+
+    schedulerHandlers.scheduled_task_action(
+      WS, primaryClient, action({ action: 'update', taskId: t.id, task: { catchUp: { policy: 'once' }, notify: 'always' } }), ctx,
+    )
+    assert.deepEqual(store.get(t.id).catchUp, { policy: 'once' })
+    assert.equal(store.get(t.id).notify, 'always')
+  })
+
   it('surfaces the store\'s field-precise validation error rather than a generic failure', () => {
     const { ctx, sent, store } = mkCtx()
     schedulerHandlers.scheduled_task_action(
@@ -6,8 +6,11 @@ import { tmpdir } from 'os'
 import { join } from 'path'
 import { mkdirSync } from 'fs'
 import { ScheduledTaskStore } from '../src/scheduled-task-store.js'
+import { ScheduledRunHistory } from '../src/scheduled-run-history.js'
 import {
   SchedulerEngine,
+  listMissedSlots,
+  scheduledRunNotifies,
   buildSchedulerEngine,
   resolveScheduledPermissionMode,
   scheduledProviderRefusalReason,
@@ -40,12 +43,14 @@ const MINUTE = 60 * 1000
 /**
  * A provider the engine will agree to fire at: one whose
  * `capabilities.inProcessPermissions` is true, so the engine can actually observe
- * and answer its permission prompts. The daemon DEFAULT (claude-tui) is NOT one —
- * see the 'unsupported provider' block below — so every task that is expected to
- * RUN has to name one explicitly.
+ * and answer its permission prompts. Tasks name it explicitly so a test never
+ * depends on which provider happens to be the daemon default.
  */
 const SCHEDULABLE_PROVIDER = 'claude-sdk'
 
+/** A registered provider with no answerable prompt (gemini runs `-y`). */
+const UNPROMPTABLE_PROVIDER = 'gemini'
+
 /** A deterministic timer seam: nothing runs until the test fires it. */
 function makeTimers() {
   let seq = 0
@@ -134,9 +139,9 @@ describe('#6865 SchedulerEngine', () => {
 
   /**
    * Add a task the engine is willing to fire. The provider gate refuses any task
-   * whose RESOLVED provider cannot answer permissions in-process, and the daemon
-   * default is such a provider — so a task that is meant to run must name a
-   * supported one. Tests of the refusal itself call `store.add` directly.
+   * whose RESOLVED provider cannot answer permissions in-process, so a task that
+   * is meant to run names a supported one. Tests of the refusal itself call
+   * `store.add` directly.
    */
   const addTask = (input = {}) => store.add({
     ...input,
@@ -497,6 +502,275 @@ describe('#6865 SchedulerEngine', () => {
     })
   })
 
+  // ── missed slots ───────────────────────────────────────────────────────────
+
+  describe('missed-run catch-up', () => {
+    /**
+     * Add a task, then "restart the daemon" `downFor` ms later: a fresh store
+     * loads the file (recomputing nextRun forward, as at boot) and a fresh
+     * engine starts on it with a real run history.
+     */
+    const restartAfter = (downFor, input) => {
+      const task = addTask({ prompt: 'sweep', cadence: { kind: 'interval', everyMs: MINUTE }, ...input })
+      clock += downFor
+      const reloaded = new ScheduledTaskStore({ filePath, logger: silentLog, now: () => clock }).load()
+      const runHistory = new ScheduledRunHistory({ dir: join(dir, 'runs'), logger: silentLog, now: () => clock })
+      const runTask = mockRunner()
+      const engine = newEngine({ store: reloaded, runHistory, runTask: runTask.fn })
+      return { task, reloaded, runHistory, runTask, engine }
+    }
+
+    it('`skip` (the default) fires nothing for the slots the daemon was down for', async () => {
+      const { runTask, engine, runHistory, task } = restartAfter(5.5 * MINUTE)
+      engine.start()
+      assert.equal(engine.catchUpTaskIds.size, 0)
+      assert.ok(timers.armedDelay > 0, 'nothing is due until the next slot')
+      await timers.tick()
+      assert.equal(runTask.calls.length, 0)
+      assert.deepEqual(runHistory.list(task.id), [])
+    })
+
+    it('`once` fires a single run standing in for every missed slot', async () => {
+      const { runTask, engine, runHistory, task, reloaded } = restartAfter(5.5 * MINUTE, { catchUp: { policy: 'once' } })
+      engine.start()
+      assert.equal(timers.armedDelay, 0, 'a queued catch-up is due immediately')
+      await timers.tick()
+      await timers.tick()
+
+      assert.equal(runTask.calls.length, 1)
+      const [run] = runHistory.list(task.id)
+      assert.equal(run.trigger, 'catch-up')
+      assert.equal(run.missedSlots, 5)
+      assert.equal(run.scheduledFor, 1000 + 5 * MINUTE, 'it stands in for the newest missed slot')
+      assert.ok(reloaded.get(task.id).nextRun > clock, 'the schedule carries on from now')
+    })
+
+    it('`all` replays the newest `maxRuns` slots oldest first and records the rest as skipped', async () => {
+      const { runTask, engine, runHistory, task } = restartAfter(5.5 * MINUTE, { catchUp: { policy: 'all', maxRuns: 2 } })
+      const queued = []
+      engine.on('catch-up-queued', (e) => queued.push(e))
+      engine.start()
+      assert.deepEqual(queued[0].slots, [1000 + 4 * MINUTE, 1000 + 5 * MINUTE])
+      assert.equal(queued[0].missed, 5)
+
+      await timers.tick()
+      await timers.tick()
+      await timers.tick()
+
+      assert.equal(runTask.calls.length, 2, 'one run per kept slot, never more')
+      const runs = runHistory.list(task.id).reverse()
+      assert.deepEqual(runs.map((r) => [r.trigger, r.status, r.scheduledFor]), [
+        ['catch-up', 'skipped', 1000 + 4 * MINUTE],
+        ['catch-up', 'success', 1000 + 4 * MINUTE],
+        ['catch-up', 'success', 1000 + 5 * MINUTE],
+      ])
+      assert.equal(runs[0].missedSlots, 3)
+      assert.equal(engine.catchUpTaskIds.size, 0)
+    })
+
+    it('folds a slot that fell due during startup into the replay, firing it once', async () => {
+      // The store loads just before a slot and the engine starts just after it.
+      // A catch-up run re-arms the task from when it finishes, so the due path
+      // would never see that slot: it has to be replayed with the rest.
+      const task = addTask({ prompt: 'p', cadence: { kind: 'interval', everyMs: MINUTE }, catchUp: { policy: 'all', maxRuns: 10 } })
+      clock = 1000 + 5 * MINUTE - 10
+      const reloaded = new ScheduledTaskStore({ filePath, logger: silentLog, now: () => clock }).load()
+      assert.equal(reloaded.get(task.id).nextRun, 1000 + 5 * MINUTE)
+      clock += 20
+      const runTask = mockRunner()
+      const engine = newEngine({ store: reloaded, runTask: runTask.fn })
+      const queued = []
+      engine.on('catch-up-queued', (e) => queued.push(e))
+      engine.start()
+      assert.deepEqual(queued[0].slots, [1, 2, 3, 4, 5].map((k) => 1000 + k * MINUTE))
+
+      for (let i = 0; i < 7; i++) await timers.tick()
+      assert.equal(runTask.calls.length, 5, 'each slot exactly once')
+      assert.equal(reloaded.get(task.id).nextRun, 1000 + 6 * MINUTE)
+    })
+
+    it('a refused task records one refusal and abandons the rest of its backlog', async () => {
+      store.add({
+        prompt: 'p',
+        cadence: { kind: 'interval', everyMs: MINUTE },
+        target: { provider: UNPROMPTABLE_PROVIDER },
+        catchUp: { policy: 'all', maxRuns: 3 },
+      })
+      clock += 5.5 * MINUTE
+      const reloaded = new ScheduledTaskStore({ filePath, logger: silentLog, now: () => clock }).load()
+      const runHistory = new ScheduledRunHistory({ dir: join(dir, 'runs'), logger: silentLog, now: () => clock })
+      const runTask = mockRunner()
+      const engine = newEngine({ store: reloaded, runHistory, runTask: runTask.fn })
+      engine.start()
+      await timers.tick()
+      await timers.tick()
+
+      const [task] = reloaded.list()
+      assert.equal(runTask.calls.length, 0)
+      assert.deepEqual(runHistory.list(task.id).map((r) => r.status), ['refused', 'skipped'])
+      assert.equal(engine.catchUpTaskIds.size, 0)
+    })
+
+    it('a host that slept past the grace window catches up instead of skipping', async () => {
+      const task = addTask({ prompt: 'p', cadence: { kind: 'interval', everyMs: MINUTE }, catchUp: { policy: 'once' } })
+      const runTask = mockRunner()
+      const engine = newEngine({ runTask: runTask.fn, overdueGraceMs: MINUTE })
+      const skips = []
+      engine.on('run-skip', (e) => skips.push(e))
+      engine.start()
+
+      clock = 1000 + 10.5 * MINUTE
+      await timers.tick()
+      await timers.tick()
+
+      assert.deepEqual(skips, [])
+      assert.equal(runTask.calls.length, 1)
+      assert.equal(store.get(task.id).lastRun.status, 'success')
+    })
+
+    it('a one-time task with a catch-up policy still fires after the grace window', async () => {
+      const task = addTask({ prompt: 'late', cadence: { kind: 'once', at: 2000 }, catchUp: { policy: 'once' } })
+      const runTask = mockRunner()
+      const engine = newEngine({ runTask: runTask.fn, overdueGraceMs: MINUTE })
+      engine.start()
+      clock = 2000 + 61 * MINUTE
+      await timers.tick()
+      await timers.tick()
+      assert.equal(runTask.calls.length, 1)
+      assert.equal(store.get(task.id).nextRun, null, 'and then retires')
+    })
+
+    it('listMissedSlots keeps the newest slots but counts them all', () => {
+      const task = { cadence: { kind: 'interval', everyMs: MINUTE, anchor: 0 }, createdAt: 0 }
+      assert.deepEqual(listMissedSlots(task, 0, 5 * MINUTE, 2), { slots: [4 * MINUTE, 5 * MINUTE], missed: 5 })
+      assert.deepEqual(listMissedSlots(task, 0, MINUTE - 1, 2), { slots: [], missed: 0 })
+    })
+
+    it('listMissedSlots still returns the NEWEST slots when there are too many to walk', () => {
+      const task = { cadence: { kind: 'interval', everyMs: MINUTE, anchor: 0 }, createdAt: 0 }
+      const until = 60 * 24 * 60 * MINUTE // sixty days of minutely slots
+      const { slots, missed } = listMissedSlots(task, 0, until, 3)
+      assert.deepEqual(slots, [until - 2 * MINUTE, until - MINUTE, until])
+      assert.ok(missed >= 10_000, 'the count is a floor once the scan jumps')
+    })
+  })
+
+  // ── run history + notifications ────────────────────────────────────────────
+
+  describe('run history and notifications', () => {
+    const newHistory = () => new ScheduledRunHistory({ dir: join(dir, 'runs'), logger: silentLog, now: () => clock })
+    const fakePush = () => {
+      const sent = []
+      return { sent, send: async (category, title, body, data) => { sent.push({ category, title, body, data }) } }
+    }
+
+    it('records the run\'s transcript, final message, cost and files changed', async () => {
+      const sm = new FakeSessionManager()
+      const runHistory = newHistory()
+      const task = addTask({ prompt: 'write notes', cadence: { kind: 'interval', everyMs: MINUTE } })
+      const engine = newEngine({ sessionManager: sm, runHistory })
+      engine.start()
+
+      clock = 1000 + MINUTE
+      await timers.tick()
+      clock = 1000 + 2 * MINUTE
+      await timers.tick()
+
+      const [second, first] = runHistory.list(task.id)
+      assert.equal(first.exit, 'completed')
+      assert.equal(first.finalMessagePreview, 'done: write notes')
+      assert.equal(first.cost, 0.01)
+      assert.deepEqual(first.filesChanged, ['/repo/sess-1.md'])
+      assert.equal(first.sessionId, 'sess-1')
+      // The reused session holds both runs; each record carries only its own.
+      assert.equal(second.sessionId, 'sess-1')
+      assert.equal(runHistory.get(second.id).transcript.length, 4)
+      assert.equal(runHistory.get(second.id).transcript[0].messageType, 'user_input')
+    })
+
+    it('classifies a permission-blocked run apart from a crash', async () => {
+      const sm = new FakeSessionManager({ permissionRequest: { requestId: 'req-1', toolName: 'Bash' } })
+      const runHistory = newHistory()
+      const task = addTask({ prompt: 'rm things', cadence: { kind: 'once', at: 2000 } })
+      const engine = newEngine({ sessionManager: sm, runHistory })
+      engine.start()
+      clock = 2000
+      await timers.tick()
+
+      const [run] = runHistory.list(task.id)
+      assert.equal(run.status, 'error')
+      assert.equal(run.exit, 'permission-blocked')
+    })
+
+    it('a history that throws never stops the run from being recorded on the task', async () => {
+      const task = addTask({ prompt: 'p', cadence: { kind: 'once', at: 2000 } })
+      const engine = newEngine({ runTask: mockRunner().fn, runHistory: { record() { throw new Error('disk full') } } })
+      engine.start()
+      clock = 2000
+      await timers.tick()
+      assert.equal(store.get(task.id).lastRun.status, 'success')
+      assert.equal(engine.quarantinedTaskIds.size, 0)
+    })
+
+    it('`notify` decides which runs are pushed', () => {
+      assert.equal(scheduledRunNotifies('never', 'error', 'success'), false)
+      assert.equal(scheduledRunNotifies('always', 'success', 'success'), true)
+      for (const status of ['error', 'timeout', REFUSED_STATUS]) assert.equal(scheduledRunNotifies('on-failure', status), true, status)
+      for (const status of ['success', 'skipped', INTERRUPTED_STATUS]) assert.equal(scheduledRunNotifies('on-failure', status), false, status)
+      assert.equal(scheduledRunNotifies('on-change', 'success', 'success'), false)
+      assert.equal(scheduledRunNotifies('on-change', 'error', 'success'), true)
+      assert.equal(scheduledRunNotifies('on-change', 'success', undefined), true, 'a first run is a change')
+    })
+
+    it('pushes a `scheduled_run` notification naming the task, outcome and run', async () => {
+      const push = fakePush()
+      const runHistory = newHistory()
+      const task = addTask({ name: 'nightly', prompt: 'p', cadence: { kind: 'once', at: 2000 }, notify: 'on-failure' })
+      const engine = newEngine({ runTask: async () => ({ status: 'error', sessionId: 'sess-9', error: 'provider crashed' }), runHistory, pushManager: push })
+      engine.start()
+      clock = 2000
+      await timers.tick()
+
+      assert.equal(push.sent.length, 1)
+      const [n] = push.sent
+      assert.equal(n.category, 'scheduled_run')
+      assert.equal(n.title, 'Scheduled task nightly: error')
+      assert.equal(n.body, 'provider crashed')
+      assert.deepEqual(n.data, { taskId: task.id, status: 'error', runId: runHistory.list(task.id)[0].id, sessionId: 'sess-9' })
+    })
+
+    it('`on-change` pushes only when the outcome differs from the previous run', async () => {
+      const push = fakePush()
+      const outcomes = [{ status: 'success' }, { status: 'success' }, { status: 'error' }]
+      addTask({ prompt: 'p', cadence: { kind: 'interval', everyMs: MINUTE }, notify: 'on-change' })
+      const engine = newEngine({ runTask: async () => outcomes.shift(), pushManager: push })
+      engine.start()
+      for (let i = 1; i <= 3; i++) {
+        clock = 1000 + i * MINUTE
+        await timers.tick()
+      }
+      assert.deepEqual(push.sent.map((n) => n.data.status), ['success', 'error'])
+    })
+
+    it('the default `never` sends nothing, and a failing push never breaks the engine', async () => {
+      const quiet = fakePush()
+      addTask({ prompt: 'p', cadence: { kind: 'once', at: 2000 } })
+      const engine = newEngine({ runTask: async () => ({ status: 'error' }), pushManager: quiet })
+      engine.start()
+      clock = 2000
+      await timers.tick()
+      assert.equal(quiet.sent.length, 0)
+      engine.destroy()
+
+      const task = addTask({ prompt: 'p', cadence: { kind: 'once', at: 3000 }, notify: 'always' })
+      const broken = newEngine({ runTask: mockRunner().fn, pushManager: { send() { throw new Error('no tokens') } } })
+      broken.start()
+      clock = 3000
+      await timers.tick()
+      assert.equal(store.get(task.id).lastRun.status, 'success')
+    })
+  })
+
   // ── shutdown ───────────────────────────────────────────────────────────────
 
   describe('shutdown', () => {
@@ -665,13 +939,12 @@ describe('#6865 SchedulerEngine', () => {
   //
   // The deny mechanism above rides `session_event: permission_request` +
   // `session.respondToPermission`, which exist ONLY where
-  // capabilities.inProcessPermissions is true. A hook-routed provider (incl. the
-  // daemon DEFAULT) instead goes through hooks/permission-hook.sh → POST
-  // /permission → ws-permissions.js, which emits nothing observable and
-  // auto-denies after 300s. Firing there would stall five minutes per gated tool
-  // call and then record SUCCESS for a turn whose every tool call was refused.
+  // capabilities.inProcessPermissions is true. The hook-routed providers (incl.
+  // the daemon DEFAULT) qualify because ws-permissions.js mirrors their held
+  // prompts onto the session. A provider with no answerable prompt at all
+  // (gemini runs tools unprompted) cannot be held to the permission floor.
 
-  describe('unsupported (hook-routed) provider is REFUSED', () => {
+  describe('unsupported (unpromptable) provider is REFUSED', () => {
     /** Fire one task and hand back its stored record. */
     const fireTask = async (input, smOpts = {}) => {
       const sm = new FakeSessionManager(smOpts)
@@ -686,40 +959,35 @@ describe('#6865 SchedulerEngine', () => {
       return { sm, task, record: store.get(task.id), events }
     }
 
-    it('the daemon default provider is NOT schedulable (the premise of this whole block)', () => {
+    it('the hook-routed providers, including the daemon default, are schedulable', () => {
       assert.equal(DEFAULT_PROVIDER, 'claude-tui')
-      assert.ok(scheduledProviderRefusalReason(DEFAULT_PROVIDER), 'the default provider must be refused')
       const schedulable = listSchedulableProviders()
-      assert.ok(!schedulable.includes(DEFAULT_PROVIDER))
+      for (const hookRouted of [DEFAULT_PROVIDER, 'claude-cli']) {
+        assert.equal(scheduledProviderRefusalReason(hookRouted), null, `${hookRouted} must be accepted`)
+        assert.ok(schedulable.includes(hookRouted))
+      }
       assert.ok(schedulable.includes(SCHEDULABLE_PROVIDER), 'the fixture provider must be schedulable')
+      assert.ok(!schedulable.includes(UNPROMPTABLE_PROVIDER))
     })
 
-    it('refuses an explicitly hook-routed provider and creates NO session', async () => {
-      const { sm, record, events } = await fireTask({ target: { provider: 'claude-tui' } })
+    it('refuses an explicitly unpromptable provider and creates NO session', async () => {
+      const { sm, record, events } = await fireTask({ target: { provider: UNPROMPTABLE_PROVIDER } })
 
       assert.equal(sm.created.length, 0, 'a refused task must never create a session')
       assert.equal(sm.sends.length, 0, 'and must never drive a turn')
       assert.equal(record.lastRun.status, REFUSED_STATUS)
       assert.notEqual(record.lastRun.status, 'success')
-      assert.match(record.lastRun.error, /claude-tui/)
-      assert.match(record.lastRun.error, /permission hook/)
-      assert.match(record.lastRun.error, /#7003/, 'the operator needs the pointer to the widening issue')
+      assert.match(record.lastRun.error, /gemini/)
+      assert.match(record.lastRun.error, /no permission prompt the scheduler can answer/)
+      assert.match(record.lastRun.error, /claude-tui/, 'the operator needs the supported list')
       // Nothing started, so no run-start — only a refused run-end.
       assert.deepEqual(events, [['end', REFUSED_STATUS]])
     })
 
-    it('refuses a task with NO explicit provider, because the default is hook-routed', async () => {
+    it('fires a task with NO explicit provider at the hook-routed default', async () => {
       const { sm, record } = await fireTask({ target: { model: 'sonnet' } })
-      assert.equal(sm.created.length, 0)
-      assert.equal(record.lastRun.status, REFUSED_STATUS)
-      assert.notEqual(record.lastRun.status, 'success')
-      assert.match(record.lastRun.error, /daemon DEFAULT/)
-    })
-
-    it('refuses a task with no target at all', async () => {
-      const { sm, record } = await fireTask({})
-      assert.equal(sm.created.length, 0)
-      assert.equal(record.lastRun.status, REFUSED_STATUS)
+      assert.equal(sm.created.length, 1)
+      assert.equal(record.lastRun.status, 'success')
     })
 
     it('refuses an unknown provider name rather than crashing', async () => {
@@ -739,8 +1007,8 @@ describe('#6865 SchedulerEngine', () => {
       assert.equal(sm.created.length, 1)
     })
 
-    it('refuses a provider-less task when the MANAGER default is hook-routed', async () => {
-      const { sm, record } = await fireTask({ target: {} }, { providerType: 'gemini' })
+    it('refuses a provider-less task when the MANAGER default is unpromptable', async () => {
+      const { sm, record } = await fireTask({ target: {} }, { providerType: UNPROMPTABLE_PROVIDER })
       assert.equal(record.lastRun.status, REFUSED_STATUS)
       assert.match(record.lastRun.error, /gemini/)
       assert.equal(sm.created.length, 0)
@@ -751,7 +1019,7 @@ describe('#6865 SchedulerEngine', () => {
       const task = store.add({
         prompt: 'hourly',
         cadence: { kind: 'interval', everyMs: MINUTE, anchor: 1000 },
-        target: { provider: 'claude-tui' },
+        target: { provider: UNPROMPTABLE_PROVIDER },
       })
       const engine = newEngine({ sessionManager: sm })
       engine.start()
@@ -765,23 +1033,25 @@ describe('#6865 SchedulerEngine', () => {
     })
 
     it('scheduledProviderRefusalReason: supported providers pass, everything else is named', () => {
-      assert.equal(scheduledProviderRefusalReason('claude-sdk'), null)
-      assert.equal(scheduledProviderRefusalReason('claude-byok'), null)
-      for (const hookRouted of ['claude-tui', 'claude-cli', 'gemini']) {
-        const reason = scheduledProviderRefusalReason(hookRouted)
-        assert.ok(reason, `${hookRouted} must be refused`)
-        assert.match(reason, new RegExp(hookRouted))
+      for (const supported of ['claude-sdk', 'claude-byok', 'claude-tui', 'claude-cli']) {
+        assert.equal(scheduledProviderRefusalReason(supported), null, `${supported} must be accepted`)
       }
+      const reason = scheduledProviderRefusalReason(UNPROMPTABLE_PROVIDER)
+      assert.ok(reason, 'gemini must be refused')
+      assert.match(reason, /gemini/)
       assert.match(scheduledProviderRefusalReason(''), /no provider could be resolved/)
       assert.match(scheduledProviderRefusalReason(null), /no provider could be resolved/)
       assert.match(scheduledProviderRefusalReason(undefined), /no provider could be resolved/)
       // Reads the capability off the registry, not a hardcoded name list.
       const fake = () => ({ capabilities: { inProcessPermissions: true } })
       assert.equal(scheduledProviderRefusalReason('anything', fake), null)
+      const unanswerable = () => ({ capabilities: { inProcessPermissions: false } })
+      assert.match(scheduledProviderRefusalReason(DEFAULT_PROVIDER, unanswerable), /daemon DEFAULT/)
     })
 
-    it('the refusal reason fits the 500-char record cap, pointer and all', () => {
-      const reason = scheduledProviderRefusalReason(DEFAULT_PROVIDER)
+    it('the refusal reason fits the 500-char record cap, supported list and all', () => {
+      const unanswerable = () => ({ capabilities: { inProcessPermissions: false } })
+      const reason = scheduledProviderRefusalReason(DEFAULT_PROVIDER, unanswerable)
       assert.ok(reason.length <= 500, `refusal reason is ${reason.length} chars — it would be truncated`)
     })
   })
@@ -1340,6 +1610,181 @@ describe('#6865 SchedulerEngine', () => {
       assert.equal(quarantines.length, 1)
     })
   })
+
+  // ── event cadence (GitHub webhook deliveries) ──────────────────────────────
+
+  describe('event cadence', () => {
+    const prOpened = {
+      kind: 'pull_request', repo: 'octo/repo', actor: 'mona', action: 'opened',
+      number: 7, title: 'Add thing', url: 'https://github.com/octo/repo/pull/7', summary: 'opened PR #7',
+    }
+    const settle = async () => {
+      await new Promise((r) => setImmediate(r))
+      await new Promise((r) => setImmediate(r))
+    }
+
+    it('is never armed by the timer — an event task has no nextRun', async () => {
+      const task = addTask({ prompt: 'p', cadence: { kind: 'event', event: 'pull_request' } })
+      assert.equal(task.nextRun, null)
+      const runTask = mockRunner()
+      const engine = newEngine({ runTask: runTask.fn })
+      engine.start()
+      assert.equal(timers.armedDelay, MINUTE)
+      clock = 10 * MINUTE
+      await timers.tick()
+      assert.equal(runTask.calls.length, 0)
+    })
+
+    it('fires only the matching tasks, with the event templated into the prompt', async () => {
+      const match = addTask({
+        prompt: 'Review {{event.url}} ("{{event.title}}") by {{ event.actor }}',
+        cadence: { kind: 'event', event: 'pull_request', repo: 'Octo/Repo', action: 'opened' },
+      })
+      addTask({ prompt: 'closed only', cadence: { kind: 'event', event: 'pull_request', action: 'closed' } })
+      addTask({ prompt: 'pushes', cadence: { kind: 'event', event: 'push' } })
+      addTask({ prompt: 'timed', cadence: { kind: 'interval', everyMs: MINUTE } })
+      const runTask = mockRunner()
+      const engine = newEngine({ runTask: runTask.fn })
+      engine.start()
+
+      assert.deepEqual(engine.handleRepoEvent(prOpened), [match.id])
+      await settle()
+      assert.equal(runTask.calls.length, 1)
+      assert.equal(runTask.calls[0].task.prompt, 'Review https://github.com/octo/repo/pull/7 ("Add thing") by mona')
+      assert.equal(runTask.calls[0].ctx.permissionMode, SCHEDULED_PERMISSION_MODE, 'the unattended clamp applies')
+      // The stored template is untouched, and the run is recorded like any other.
+      const record = store.get(match.id)
+      assert.match(record.prompt, /\{\{event\.url\}\}/)
+      assert.equal(record.lastRun.status, 'success')
+      assert.equal(record.nextRun, null)
+    })
+
+    it('applies the provider refusal and cwd confinement before anything runs', async () => {
+      const unpromptable = store.add({ prompt: 'p', cadence: { kind: 'event', event: 'pull_request' }, target: { provider: UNPROMPTABLE_PROVIDER } })
+      const badCwd = addTask({ prompt: 'p', cadence: { kind: 'event', event: 'pull_request' }, target: { cwd: '/' } })
+      const runTask = mockRunner()
+      const engine = newEngine({ runTask: runTask.fn, validateCwd: (cwd) => (cwd === '/' ? 'outside the allowlist' : null) })
+      engine.start()
+
+      engine.handleRepoEvent(prOpened)
+      await settle()
+      assert.equal(runTask.calls.length, 0)
+      assert.equal(store.get(unpromptable.id).lastRun.status, REFUSED_STATUS)
+      assert.equal(store.get(badCwd.id).lastRun.status, REFUSED_STATUS)
+    })
+
+    it('records a visible skip when a delivery arrives while the task is still running', async () => {
+      const task = addTask({ prompt: 'slow', cadence: { kind: 'event', event: 'pull_request' } })
+      let release
+      const gate = new Promise((r) => { release = r })
+      const runTask = mockRunner(() => gate)
+      const engine = newEngine({ runTask: runTask.fn })
+      const skips = []
+      engine.on('run-skip', (e) => skips.push(e))
+      engine.start()
+
+      engine.handleRepoEvent(prOpened)
+      assert.deepEqual(engine.handleRepoEvent(prOpened), [])
+      assert.equal(runTask.calls.length, 1)
+      assert.equal(skips.length, 1)
+      assert.match(skips[0].reason, /still in flight/)
+      assert.equal(store.get(task.id).lastRun.status, 'skipped', 'a dropped delivery is persisted — it will not be re-offered')
+
+      release({ status: 'success' })
+      await settle()
+      assert.equal(store.get(task.id).lastRun.status, 'success')
+    })
+
+    it('ignores paused tasks, and does nothing when the engine is not started', async () => {
+      addTask({ prompt: 'p', cadence: { kind: 'event', event: 'pull_request' }, enabled: false })
+      const live = addTask({ prompt: 'p', cadence: { kind: 'event', event: 'pull_request' } })
+      const runTask = mockRunner()
+      const engine = newEngine({ runTask: runTask.fn })
+      assert.deepEqual(engine.handleRepoEvent(prOpened), [], 'not started')
+      engine.start()
+      assert.deepEqual(engine.handleRepoEvent(prOpened), [live.id])
+      engine.destroy()
+      assert.deepEqual(engine.handleRepoEvent(prOpened), [], 'destroyed')
+    })
+  })
+
+  describe('workflow tasks', () => {
+    /** A stand-in WorkflowRunner: `finish` is what waitForRun resolves with. */
+    const fakeWorkflowRunner = (finish, { startError = null } = {}) => {
+      const calls = { start: [], cancel: [] }
+      return {
+        calls,
+        startRun: (opts) => {
+          calls.start.push(opts)
+          if (startError) throw startError
+          return { runId: 'wf-run-1' }
+        },
+        waitForRun: async (runId, opts) => ({ runId, ...finish(opts) }),
+        cancelRun: (runId, opts) => { calls.cancel.push([runId, opts]) },
+      }
+    }
+    const lastStep = {
+      steps: [{ stepId: 'review', sessionId: 'sess-wf' }],
+      outputs: { review: { output: 'LGTM' } },
+      costUsd: 0.42,
+    }
+    const fireWorkflowTask = async (workflowRunner) => {
+      const task = store.add({
+        cadence: { kind: 'once', at: 2000 },
+        target: { cwd: allowedCwd },
+        workflow: { name: 'nightly', inputs: { branch: 'main' } },
+      })
+      const runHistory = new ScheduledRunHistory({ dir: join(dir, 'runs'), logger: silentLog, now: () => clock })
+      const engine = newEngine({ sessionManager: new FakeSessionManager(), workflowRunner, runHistory, runTimeoutMs: 5_000 })
+      engine.start()
+      clock = 2000
+      await timers.tick()
+      return { record: store.get(task.id), run: runHistory.list(task.id)[0] }
+    }
+
+    it('starts an unattended run and records its outcome', async () => {
+      const runner = fakeWorkflowRunner(() => ({ terminal: true, status: 'completed', ...lastStep }))
+      const { record, run } = await fireWorkflowTask(runner)
+      assert.deepEqual(runner.calls.start, [{ cwd: allowedCwd, name: 'nightly', inputs: { branch: 'main' }, trigger: 'schedule', unattended: true }])
+      assert.equal(record.lastRun.status, 'success')
+      assert.equal(record.lastRun.sessionId, 'sess-wf')
+      assert.equal(run.cost, 0.42)
+      assert.equal(run.finalMessagePreview, '[workflow run wf-run-1] LGTM')
+    })
+
+    it('refuses the task when workflows are off on this daemon', async () => {
+      const off = await fireWorkflowTask(null)
+      assert.equal(off.record.lastRun.status, REFUSED_STATUS)
+      assert.match(off.record.lastRun.error, /workflows are not enabled/)
+    })
+
+    it('refuses the task when the workflow cannot start', async () => {
+      const invalid = Object.assign(new Error('step "ship" waits for an approval'), { code: 'INVALID' })
+      const refused = await fireWorkflowTask(fakeWorkflowRunner(null, { startError: invalid }))
+      assert.equal(refused.record.lastRun.status, REFUSED_STATUS)
+      assert.match(refused.record.lastRun.error, /workflow "nightly": step "ship" waits for an approval/)
+    })
+
+    it('records a full runner as an error, not a refusal', async () => {
+      const busy = Object.assign(new Error('4 workflow run(s) already in flight'), { code: 'BUSY' })
+      const full = await fireWorkflowTask(fakeWorkflowRunner(null, { startError: busy }))
+      assert.equal(full.record.lastRun.status, 'error')
+    })
+
+    it('cancels a run that outlives runTimeoutMs and records a timeout', async () => {
+      const runner = fakeWorkflowRunner(({ timeoutMs }) => ({ terminal: false, status: 'executing', steps: [], outputs: {}, timeoutMs }))
+      const { record } = await fireWorkflowTask(runner)
+      assert.equal(record.lastRun.status, 'timeout')
+      assert.deepEqual(runner.calls.cancel, [['wf-run-1', { reason: 'scheduled run exceeded 5000ms' }]])
+    })
+
+    it('records a failed run as an error carrying its reason', async () => {
+      const runner = fakeWorkflowRunner(() => ({ terminal: true, status: 'failed', statusReason: 'step "test" failed', ...lastStep }))
+      const { record } = await fireWorkflowTask(runner)
+      assert.equal(record.lastRun.status, 'error')
+      assert.equal(record.lastRun.error, 'step "test" failed')
+    })
+  })
 })
 
 /** Records each call; optional impl supplies the outcome. */
@@ -1391,6 +1836,9 @@ class FakeSessionManager extends EventEmitter {
     this._interruptEmitsStopped = interruptEmitsStopped
     this._stopAfterSend = stopAfterSend
     this._seq = 0
+    /** sessionId -> history entries, stamped with a `_seq` like SessionManager's. */
+    this.histories = new Map()
+    this._historySeq = 0
     if (providerType !== undefined) this.providerType = providerType
     if (defaultCwd !== undefined) this.defaultCwd = defaultCwd
   }
@@ -1432,6 +1880,12 @@ class FakeSessionManager extends EventEmitter {
         // already aborted.
         if (this._stopAfterSend) { await session.interrupt(); return }
         if (this._interruptEmitsStopped) return
+        this._appendHistory(id, [
+          { type: 'message', messageType: 'user_input', content: prompt },
+          { type: 'tool_start', tool: 'Write', toolUseId: `tu-${this._historySeq}`, input: { file_path: `/repo/${id}.md` } },
+          { type: 'message', messageType: 'response', content: `done: ${prompt}` },
+          { type: 'result', cost: 0.01 },
+        ])
         this.emit('session_event', { sessionId: id, event: 'result', data: { cost: 0, duration: 1 } })
       },
     }
@@ -1442,4 +1896,19 @@ class FakeSessionManager extends EventEmitter {
   getSession(id) {
     return this.sessions.get(id) || null
   }
+
+  _appendHistory(id, entries) {
+    const list = this.histories.get(id) || []
+    for (const e of entries) list.push({ ...e, _seq: ++this._historySeq })
+    this.histories.set(id, list)
+  }
+
+  getHistory(id) {
+    return [...(this.histories.get(id) || [])]
+  }
+
+  getLatestHistorySeq(id) {
+    const list = this.histories.get(id) || []
+    return list.length ? list[list.length - 1]._seq : 0
+  }
 }
@@ -3229,6 +3229,22 @@ describe('SdkSession conversation fork (#6766)', () => {
     s.destroy()
   })
 
+  it('records each turn boundary by its chroxy messageId for forks', async () => {
+    const s = createSession()
+    s._processReady = true
+    s._callQuery = () => (async function* () {
+      yield { type: 'assistant', uuid: 'asst-1', message: { content: [{ type: 'text', text: 'hi' }] } }
+      yield { type: 'assistant', uuid: 'asst-2', message: { content: [{ type: 'text', text: 'more' }] } }
+      yield { type: 'result', session_id: 'conv-x', total_cost_usd: 0, duration_ms: 1, usage: {} }
+    })()
+    await s.sendMessage('hello')
+    // The turn's messageId, as stamped on its history entries.
+    const turnId = `msg-${s._messageIdPrefix}-${s._messageCounter}`
+    assert.equal(s.conversationBoundaryFor(turnId), 'asst-2', "the turn's latest assistant message")
+    assert.equal(s.conversationBoundaryFor('unknown-turn'), null)
+    s.destroy()
+  })
+
   it('_captureBoundaryMessage ignores messages without a string uuid', () => {
     const s = createSession()
     s._captureBoundaryMessage({ uuid: 'm-1' })
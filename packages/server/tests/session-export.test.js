@@ -0,0 +1,243 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+import { once } from 'node:events'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { ClientMessageSchema, ServerExportSessionResultSchema } from '@chroxy/protocol'
+import { normalizeHistory, renderSessionExport, publishSessionExport } from '../src/session-export.js'
+import { exportHandlers } from '../src/handlers/export-handlers.js'
+import { registeredMessageTypes } from '../src/ws-message-handlers.js'
+import { createHttpHandler } from '../src/http-routes.js'
+import { PagesStore } from '../src/pages-store.js'
+import { runSessionExportCmd } from '../src/cli/session-cmd.js'
+import { createSpy, createMockSessionManager, nsCtx } from './test-helpers.js'
+
+/**
+ * Session transcript export: normalization + redaction, the three renderers,
+ * the export_session WS op (authority + publish), the HTTP backend and the
+ * `chroxy sessions export` CLI.
+ */
+
+const SECRET = 'sk-ant-api03-' + 'a'.repeat(48)
+const NOW = () => Date.UTC(2026, 9, 19, 12, 0, 0)
+const META = { sessionId: 'sess-1', name: 'Widget work', cwd: '/home/user/proj', model: 'claude-x' }
+
+const HISTORY = [
+  { type: 'message', messageType: 'user_input', content: `use key ${SECRET}`, timestamp: NOW() },
+  { type: 'message', messageType: 'response', content: 'Editing the <widget> now.' },
+  { type: 'tool_start', toolUseId: 't1', tool: 'Edit', input: { file_path: 'src/a.js', old_string: 'let a = 1', new_string: 'const a = 1' } },
+  { type: 'tool_result', toolUseId: 't1', result: 'ok' },
+  { type: 'tool_start', toolUseId: 't2', tool: 'TodoWrite', input: { todos: [{ content: 'Write tests', status: 'completed' }, { content: 'Ship', status: 'in_progress' }] } },
+  { type: 'tool_start', toolUseId: 't3', tool: 'Bash', input: { command: 'echo ```', env: { token: 'hunter2hunter2' } } },
+  { type: 'tool_result', toolUseId: 't3', result: `Authorization: Bearer ${'b'.repeat(24)}`, isError: true },
+  { type: 'result', cost: 0.0123, duration: 4200 },
+  { type: 'stream_start', messageId: 'ignored' },
+]
+
+describe('normalizeHistory', () => {
+  it('redacts every string before a renderer sees it', () => {
+    const records = normalizeHistory(HISTORY)
+    const serialized = JSON.stringify(records)
+    assert.doesNotMatch(serialized, /sk-ant-api03/)
+    assert.doesNotMatch(serialized, /hunter2/)
+    assert.doesNotMatch(serialized, /b{24}/)
+    assert.deepEqual(records.map((r) => r.kind), ['message', 'message', 'tool_call', 'tool_result', 'tool_call', 'tool_call', 'tool_result', 'turn_end'])
+    assert.equal(records[0].role, 'user')
+    assert.equal(records[6].isError, true)
+  })
+})
+
+describe('renderSessionExport', () => {
+  it('renders markdown with collapsible tools, diffs and todo checklists', () => {
+    const { content, fileName, entryCount } = renderSessionExport({ history: HISTORY, format: 'markdown', meta: META, now: NOW })
+    assert.equal(fileName, 'widget-work.md')
+    assert.equal(entryCount, 8)
+    assert.match(content, /^# Widget work\n/)
+    assert.match(content, /## User · 2026-10-19T12:00:00.000Z\n\nuse key \[REDACTED\]/)
+    assert.match(content, /<summary>Edit — src\/a\.js<\/summary>/)
+    assert.match(content, /```diff\n-let a = 1\n\+const a = 1\n```/)
+    assert.match(content, /- \[x\] Write tests\n- \[ \] Ship _\(in progress\)_/)
+    assert.match(content, /<summary>Bash — echo ``` \(failed\)<\/summary>/)
+    assert.match(content, /````json\n/, 'fence outgrows the backticks inside')
+    assert.match(content, /_Turn complete \(\$0\.0123, 4\.2s\)_/)
+  })
+
+  it('renders a self-contained html page with no scripts', () => {
+    const { content, mimeType } = renderSessionExport({ history: HISTORY, format: 'html', meta: META, now: NOW })
+    assert.match(mimeType, /^text\/html/)
+    assert.match(content, /^<!DOCTYPE html>/)
+    assert.doesNotMatch(content, /<script|<link|src="http/)
+    assert.match(content, /Editing the &lt;widget&gt; now\./)
+    assert.match(content, /<details class="tool"><summary>Edit — src\/a\.js<\/summary>/)
+    assert.match(content, /<span class="del">-let a = 1<\/span><span class="add">\+const a = 1<\/span>/)
+    assert.match(content, /<li class="completed">☑ Write tests<\/li>/)
+    assert.match(content, /<details class="tool failed">/)
+    assert.doesNotMatch(content, /sk-ant-api03/)
+  })
+
+  it('renders jsonl as a meta header plus one record per line', () => {
+    const { content } = renderSessionExport({ history: HISTORY, format: 'jsonl', meta: META, now: NOW })
+    const lines = content.trimEnd().split('\n').map((l) => JSON.parse(l))
+    assert.equal(lines[0].kind, 'meta')
+    assert.equal(lines[0].sessionId, 'sess-1')
+    assert.equal(lines[0].entryCount, 8)
+    assert.equal(lines[0].exportedAt, '2026-10-19T12:00:00.000Z')
+    assert.equal(lines[3].kind, 'tool_call')
+    assert.equal(lines[3].input.old_string, 'let a = 1')
+  })
+
+  it('rejects an unknown format', () => {
+    assert.throws(() => renderSessionExport({ history: [], format: 'pdf' }), /Unknown export format/)
+  })
+})
+
+describe('export_session handler', () => {
+  function makeCtx(overrides = {}) {
+    const sendSpy = createSpy()
+    const { manager } = createMockSessionManager([{ id: 'sess-1', name: 'Widget work', cwd: '/home/user/proj' }])
+    manager.getHistory = (id) => (id === 'sess-1' ? HISTORY : [])
+    return nsCtx({ send: sendSpy, sessionManager: manager, pagesStore: null, publicUrlFor: (p) => `https://box.example${p}`, ...overrides })
+  }
+  const lastSent = (ctx) => ctx.transport.send.calls.at(-1)[1]
+
+  it('is registered and schema-valid on both directions', () => {
+    assert.ok(registeredMessageTypes.includes('export_session'))
+    assert.equal(ClientMessageSchema.safeParse({ type: 'export_session', sessionId: 'sess-1', format: 'html', publish: true }).success, true)
+    assert.equal(ClientMessageSchema.safeParse({ type: 'export_session', sessionId: 'sess-1', format: 'pdf' }).success, false)
+  })
+
+  it('replies with the rendered transcript', () => {
+    const ctx = makeCtx()
+    exportHandlers.export_session({}, { id: 'c1' }, { type: 'export_session', sessionId: 'sess-1', format: 'jsonl', requestId: 'r1' }, ctx)
+    const reply = lastSent(ctx)
+    assert.equal(ServerExportSessionResultSchema.safeParse(reply).success, true)
+    assert.equal(reply.requestId, 'r1')
+    assert.equal(reply.fileName, 'widget-work.jsonl')
+    assert.match(reply.content, /"kind":"meta"/)
+  })
+
+  it('refuses a client bound to another session, and publishing without the primary token', () => {
+    const ctx = makeCtx()
+    exportHandlers.export_session({}, { id: 'c1', boundSessionId: 'sess-2' }, { sessionId: 'sess-1', format: 'markdown' }, ctx)
+    assert.equal(lastSent(ctx).code, 'EXPORT_FAILED')
+    assert.equal(lastSent(ctx).reason, 'forbidden')
+    exportHandlers.export_session({}, { id: 'c1', isPrimaryToken: false }, { sessionId: 'sess-1', format: 'html', publish: true }, ctx)
+    assert.equal(lastSent(ctx).reason, 'forbidden')
+    exportHandlers.export_session({}, { id: 'c1', isPrimaryToken: true }, { sessionId: 'sess-1', format: 'markdown', publish: true }, ctx)
+    assert.equal(lastSent(ctx).reason, 'invalid-format')
+  })
+
+  it('publishes the html export as a page and returns its share link', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'chroxy-export-'))
+    try {
+      const pagesStore = new PagesStore({ pagesDir: dir })
+      const ctx = makeCtx({ pagesStore })
+      exportHandlers.export_session({}, { id: 'c1', isPrimaryToken: true }, { sessionId: 'sess-1', format: 'html', publish: true }, ctx)
+      const reply = lastSent(ctx)
+      assert.equal(ServerExportSessionResultSchema.safeParse(reply).success, true)
+      assert.equal(reply.content, undefined)
+      assert.equal(reply.page.url, `https://box.example/p/${reply.page.slug}/`)
+      assert.equal(reply.page.title, 'Widget work — transcript')
+      assert.ok(pagesStore.get(reply.page.slug))
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('POST /api/sessions/:id/export', () => {
+  let dir, httpServer, base
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'chroxy-export-api-'))
+    const { manager } = createMockSessionManager([{ id: 'sess-1', name: 'Widget work', cwd: '/home/user/proj' }])
+    manager.getHistory = () => HISTORY
+    httpServer = createServer(createHttpHandler({
+      apiToken: 'tok',
+      serverMode: 'multi',
+      sessionManager: manager,
+      pagesStore: new PagesStore({ pagesDir: dir }),
+      _validateBearerAuth() { return false },
+      _validatePrimaryBearerAuth(req, res) {
+        if (req.headers.authorization === 'Bearer tok') return true
+        res.writeHead(403, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'primary_token_required' }))
+        return false
+      },
+    }))
+    httpServer.listen(0, '127.0.0.1')
+    await once(httpServer, 'listening')
+    base = `http://127.0.0.1:${httpServer.address().port}`
+  })
+
+  after(() => {
+    httpServer?.close()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  const post = (id, body, token = 'tok') => fetch(`${base}/api/sessions/${id}/export`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+
+  it('requires the primary token', async () => {
+    assert.equal((await post('sess-1', { format: 'markdown' }, 'bound')).status, 403)
+  })
+
+  it('returns the rendered content, or the published page', async () => {
+    const md = await post('sess-1', { format: 'markdown' })
+    assert.equal(md.status, 200)
+    assert.match((await md.json()).content, /^# Widget work/)
+    const pub = await post('sess-1', { format: 'html', publish: true, title: 'Review' })
+    const body = await pub.json()
+    assert.equal(body.page.title, 'Review')
+    const page = await fetch(`${base}${body.page.path}`)
+    assert.match(await page.text(), /<h1>Widget work<\/h1>/)
+  })
+
+  it('validates the format and the session', async () => {
+    assert.equal((await post('sess-1', { format: 'pdf' })).status, 400)
+    assert.equal((await post('sess-1', { format: 'jsonl', publish: true })).status, 400)
+    assert.equal((await post('nope', { format: 'jsonl' })).status, 404)
+  })
+})
+
+describe('chroxy sessions export', () => {
+  const CONN = { apiToken: 'primary-tok', httpUrl: 'https://abc.trycloudflare.com', port: 9123 }
+  function deps(response) {
+    const calls = []
+    const out = []
+    const err = []
+    return {
+      calls, out, err,
+      readConnectionInfo: () => CONN,
+      fetchFn: async (url, opts) => {
+        calls.push({ url, body: JSON.parse(opts.body) })
+        return { ok: true, status: 200, json: async () => response }
+      },
+      write: (s) => out.push(s),
+      writeErr: (s) => err.push(s),
+    }
+  }
+
+  it('prints the transcript, accepting md as shorthand', async () => {
+    const d = deps({ format: 'markdown', content: '# Widget work\n', entryCount: 3 })
+    const result = await runSessionExportCmd('sess-1', { format: 'md' }, d)
+    assert.equal(result.ok, true)
+    assert.equal(d.calls[0].url, 'http://127.0.0.1:9123/api/sessions/sess-1/export')
+    assert.deepEqual(d.calls[0].body, { format: 'markdown' })
+    assert.deepEqual(d.out, ['# Widget work\n'])
+  })
+
+  it('publishes as html by default and prints the public URL', async () => {
+    const d = deps({ page: { slug: 'S', path: '/p/S/', title: 'Widget work — transcript' } })
+    const result = await runSessionExportCmd('sess-1', { publish: true }, d)
+    assert.equal(result.url, 'https://abc.trycloudflare.com/p/S/')
+    assert.deepEqual(d.calls[0].body, { format: 'html', publish: true })
+    const refused = await runSessionExportCmd('sess-1', { publish: true, format: 'jsonl' }, deps({}))
+    assert.equal(refused.reason, 'invalid_format')
+  })
+})
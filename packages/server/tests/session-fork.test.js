@@ -0,0 +1,375 @@
+/**
+ * Tests for session-fork.js — forking a session from any message.
+ *
+ * The working-tree snapshot and the worktree overlay run against real temp git
+ * repositories (git init); the SessionManager is given stub providers so no
+ * real agent process is spawned. Worktrees and the state file live OUTSIDE the
+ * source repo, so the snapshot's `add -A` never picks them up.
+ */
+import { describe, it, before, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, existsSync, readFileSync, writeFileSync } from 'fs'
+import { dirname, join } from 'path'
+import { tmpdir } from 'os'
+import { execFileSync } from 'child_process'
+import { EventEmitter } from 'events'
+import { SessionManager } from '../src/session-manager.js'
+import { GIT } from '../src/git.js'
+import { resolveJsonlPath } from '../src/jsonl-reader.js'
+import {
+  findForkPoint,
+  lastTurnBoundary,
+  snapshotWorkingTree,
+  buildCarryText,
+  forkSession,
+} from '../src/session-fork.js'
+import { disableRepoAutoGc, rmDirRobust, withEnv } from './test-helpers.js'
+
+// ---------------------------------------------------------------------------
+// Stub providers
+// ---------------------------------------------------------------------------
+
+before(async () => {
+  const { registerProvider } = await import('../src/providers.js')
+
+  class StubSession extends EventEmitter {
+    constructor({ cwd, model, permissionMode, resumeSessionId }) {
+      super()
+      this.cwd = cwd
+      this.model = model || 'stub'
+      this.permissionMode = permissionMode || 'approve'
+      this.isRunning = false
+      this.resumeSessionId = resumeSessionId || null
+    }
+
+    static get capabilities() {
+      return {
+        permissions: false,
+        inProcessPermissions: false,
+        modelSwitch: false,
+        permissionModeSwitch: false,
+        planMode: false,
+        resume: true,
+        terminal: false,
+        thinkingLevel: false,
+      }
+    }
+
+    start() {}
+    destroy() {}
+    sendMessage() {}
+    interrupt() {}
+    setModel(m) { this.model = m }
+    setPermissionMode(m) { this.permissionMode = m }
+  }
+  registerProvider('stub-fork', StubSession)
+
+  // A provider that can branch its own transcript, like SdkSession.
+  class ForkableSession extends StubSession {
+    constructor(opts) {
+      super(opts)
+      this.boundaries = new Map()
+      this.forkCalls = []
+    }
+    get supportsConversationFork() { return true }
+    conversationBoundaryFor(messageId) { return this.boundaries.get(messageId) || null }
+    async forkConversation(opts) {
+      this.forkCalls.push(opts)
+      // The SDK writes the fork next to the source transcript.
+      const path = resolveJsonlPath(this.cwd, 'forked-conv')
+      mkdirSync(dirname(path), { recursive: true })
+      writeFileSync(path, '{"type":"user"}\n')
+      return 'forked-conv'
+    }
+  }
+  registerProvider('stub-forkable', ForkableSession)
+})
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function git(dir, ...args) {
+  return execFileSync(GIT, ['-C', dir, ...args], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trimEnd()
+}
+
+function makeGitRepo(root) {
+  const dir = join(root, 'repo')
+  mkdirSync(dir)
+  execFileSync(GIT, ['init', '--initial-branch=main', dir], { stdio: 'pipe' })
+  disableRepoAutoGc(dir)
+  git(dir, 'config', 'user.email', 'test@chroxy.test')
+  git(dir, 'config', 'user.name', 'Test')
+  writeFileSync(join(dir, 'tracked.txt'), 'original\n')
+  writeFileSync(join(dir, '.gitignore'), 'ignored.txt\n')
+  git(dir, 'add', '-A')
+  git(dir, 'commit', '-m', 'init')
+  return dir
+}
+
+function makeManager(root, repo, providerType = 'stub-fork') {
+  const mgr = new SessionManager({
+    skipPreflight: true,
+    maxSessions: 5,
+    stateFilePath: join(root, 'session-state.json'),
+    providerType,
+    defaultCwd: repo,
+  })
+  mgr._worktreeBase = join(root, 'worktrees')
+  return mgr
+}
+
+const HISTORY = [
+  { type: 'message', messageType: 'user_input', content: 'first question', messageId: 'u1' },
+  { type: 'tool_start', messageId: 'msg-a-1', toolUseId: 'tu-1', tool: 'Bash', input: { command: 'ls' } },
+  { type: 'tool_result', toolUseId: 'tu-1', result: 'a.txt' },
+  { type: 'message', messageType: 'response', content: 'first answer', messageId: 'msg-a-1' },
+  { type: 'result', cost: 0.01 },
+  { type: 'message', messageType: 'user_input', content: 'second question', messageId: 'u2' },
+  { type: 'message', messageType: 'response', content: 'second answer', messageId: 'msg-a-2' },
+]
+
+// ---------------------------------------------------------------------------
+// findForkPoint / lastTurnBoundary / buildCarryText
+// ---------------------------------------------------------------------------
+
+describe('findForkPoint', () => {
+  it('carries the whole turn that holds a response', () => {
+    const point = findForkPoint(HISTORY, 'msg-a-1')
+    assert.equal(point.index, 1, 'the first entry with that messageId (its tool start)')
+    assert.equal(point.end, 5)
+    assert.deepEqual(point.entries.map((e) => e.messageId || e.type), ['u1', 'msg-a-1', 'tool_result', 'msg-a-1', 'result'])
+  })
+
+  it("forking from a prompt keeps that prompt's reply", () => {
+    assert.equal(findForkPoint(HISTORY, 'u2').end, HISTORY.length)
+    assert.equal(findForkPoint(HISTORY, 'u1').end, 5)
+  })
+
+  it('matches tool use ids and client-extended thinking ids', () => {
+    assert.equal(findForkPoint(HISTORY, 'tu-1').end, 5)
+    assert.equal(findForkPoint(HISTORY, 'msg-a-2-thinking-0').end, HISTORY.length)
+  })
+
+  it('returns null for an unknown or missing id', () => {
+    assert.equal(findForkPoint(HISTORY, 'nope'), null)
+    assert.equal(findForkPoint(HISTORY, ''), null)
+    assert.equal(findForkPoint(null, 'u1'), null)
+  })
+})
+
+describe('lastTurnBoundary', () => {
+  it("uses only the last turn's boundary", () => {
+    const session = { conversationBoundaryFor: (id) => ({ 'msg-a-1': 'uuid-1', 'msg-a-2': 'uuid-2' })[id] || null }
+    assert.equal(lastTurnBoundary(session, HISTORY.slice(0, 5)), 'uuid-1')
+    assert.equal(lastTurnBoundary(session, HISTORY), 'uuid-2')
+    // The last turn's boundary is unknown (e.g. recorded before a restart):
+    // never fall back to an earlier, shorter conversation.
+    const partial = { conversationBoundaryFor: (id) => (id === 'msg-a-1' ? 'uuid-1' : null) }
+    assert.equal(lastTurnBoundary(partial, HISTORY), null)
+  })
+
+  it('returns null for a provider without boundaries', () => {
+    assert.equal(lastTurnBoundary({}, HISTORY), null)
+  })
+})
+
+describe('buildCarryText', () => {
+  it('labels the exchange and drops tool results and result entries', () => {
+    const carry = buildCarryText(HISTORY.slice(0, 5), { sourceName: 'Refactor', sourceProvider: 'claude-sdk' })
+    assert.equal(carry.truncated, false)
+    assert.match(carry.text, /carried over from session "Refactor" \(claude-sdk\)/)
+    assert.match(carry.text, /User: first question\nTool: \[Bash\]\nAssistant: first answer/)
+    assert.ok(!carry.text.includes('a.txt'))
+    assert.ok(carry.text.endsWith('[End of carried conversation]'))
+  })
+
+  it('returns null when nothing carried has text', () => {
+    assert.equal(buildCarryText([{ type: 'result', cost: 0 }]), null)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Working-tree snapshot + worktree overlay (real git)
+// ---------------------------------------------------------------------------
+
+describe('snapshotWorkingTree', () => {
+  let root
+  let repo
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-fork-test-'))
+    repo = makeGitRepo(root)
+  })
+
+  afterEach(() => rmDirRobust(root))
+
+  it('captures tracked and untracked changes without touching the index', async () => {
+    writeFileSync(join(repo, 'tracked.txt'), 'edited\n')
+    writeFileSync(join(repo, 'new.txt'), 'untracked\n')
+    writeFileSync(join(repo, 'ignored.txt'), 'secret\n')
+    const head = git(repo, 'rev-parse', 'HEAD')
+
+    const snap = await snapshotWorkingTree(repo)
+    assert.equal(snap.head, head)
+    assert.equal(git(repo, 'rev-parse', `${snap.commit}^`), head)
+    assert.equal(git(repo, 'show', `${snap.commit}:tracked.txt`), 'edited')
+    assert.equal(git(repo, 'show', `${snap.commit}:new.txt`), 'untracked')
+    assert.ok(!git(repo, 'ls-tree', '--name-only', snap.commit).split('\n').includes('ignored.txt'))
+    // The source's staging area and HEAD are untouched.
+    assert.equal(git(repo, 'diff', '--cached', '--name-only'), '')
+    assert.equal(git(repo, 'rev-parse', 'HEAD'), head)
+    assert.match(git(repo, 'status', '--porcelain'), /\?\? new\.txt/)
+  })
+
+  it('returns null outside a git repository', async () => {
+    const plain = join(root, 'plain')
+    mkdirSync(plain)
+    assert.equal(await snapshotWorkingTree(plain), null)
+  })
+})
+
+describe('createSession({ worktreeSnapshot })', () => {
+  let root
+  let repo
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-fork-test-'))
+    repo = makeGitRepo(root)
+  })
+
+  afterEach(() => rmDirRobust(root))
+
+  it('lays the snapshot over a worktree at HEAD as uncommitted changes', async () => {
+    writeFileSync(join(repo, 'tracked.txt'), 'edited\n')
+    writeFileSync(join(repo, 'new.txt'), 'untracked\n')
+    const snap = await snapshotWorkingTree(repo)
+
+    const mgr = makeManager(root, repo)
+    const id = mgr.createSession({ name: 'fork', cwd: repo, worktreeSnapshot: snap })
+    const entry = mgr.getSession(id)
+    assert.ok(entry.worktreePath && existsSync(entry.worktreePath))
+    assert.equal(entry.cwd, entry.worktreePath)
+    assert.equal(readFileSync(join(entry.cwd, 'tracked.txt'), 'utf-8'), 'edited\n')
+    assert.equal(readFileSync(join(entry.cwd, 'new.txt'), 'utf-8'), 'untracked\n')
+    assert.equal(git(entry.cwd, 'rev-parse', 'HEAD'), snap.head)
+    const status = git(entry.cwd, 'status', '--porcelain')
+    assert.match(status, / M tracked\.txt/)
+    assert.match(status, /\?\? new\.txt/)
+    await mgr.destroySession(id)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// forkSession
+// ---------------------------------------------------------------------------
+
+describe('forkSession', () => {
+  let root
+  let repo
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'chroxy-fork-test-'))
+    repo = makeGitRepo(root)
+  })
+
+  afterEach(() => rmDirRobust(root))
+
+  it('carries a transcript into a new worktree session', async () => {
+    writeFileSync(join(repo, 'tracked.txt'), 'edited\n')
+    const mgr = makeManager(root, repo)
+    const source = mgr.createSession({ name: 'Refactor', cwd: repo })
+    mgr.seedHistory(source, HISTORY)
+
+    const result = await forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'msg-a-1' })
+    assert.equal(result.carry, 'transcript')
+    assert.equal(result.worktree, true)
+    assert.equal(result.carriedMessages, 5)
+
+    const fork = mgr.getSession(result.sessionId)
+    assert.equal(fork.name, 'Fork: Refactor')
+    assert.equal(readFileSync(join(fork.cwd, 'tracked.txt'), 'utf-8'), 'edited\n')
+    assert.deepEqual(mgr.getHistory(result.sessionId).map((e) => e.messageId || e.type), ['u1', 'msg-a-1', 'tool_result', 'msg-a-1', 'result'])
+    // The source keeps its full history and its own files.
+    assert.equal(mgr.getHistory(source).length, HISTORY.length)
+
+    const carry = mgr.takePendingCarry(result.sessionId)
+    assert.match(carry, /User: first question/)
+    assert.ok(!carry.includes('second question'))
+    assert.equal(mgr.takePendingCarry(result.sessionId), null, 'the carry is sent once')
+
+    await mgr.destroySession(result.sessionId)
+  })
+
+  it("branches the provider's own conversation when it can", async () => {
+    const home = join(root, 'home')
+    await withEnv({ HOME: home }, async () => {
+      const mgr = makeManager(root, repo, 'stub-forkable')
+      const source = mgr.createSession({ name: 'Refactor', cwd: repo, resumeSessionId: 'conv-1' })
+      mgr.seedHistory(source, HISTORY)
+      mgr.getSession(source).session.boundaries.set('msg-a-1', 'uuid-1')
+
+      const result = await forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'u1' })
+      assert.equal(result.carry, 'conversation')
+      assert.deepEqual(mgr.getSession(source).session.forkCalls, [{ sessionId: 'conv-1', upToMessageId: 'uuid-1' }])
+
+      const fork = mgr.getSession(result.sessionId)
+      assert.equal(fork.session.resumeSessionId, 'forked-conv')
+      assert.equal(mgr.takePendingCarry(result.sessionId), null)
+      // The forked transcript is resumable from the fork's own worktree.
+      assert.ok(existsSync(resolveJsonlPath(fork.cwd, 'forked-conv')))
+      await mgr.destroySession(result.sessionId)
+    })
+  })
+
+  it('falls back to a transcript when the last turn has no boundary', async () => {
+    const mgr = makeManager(root, repo, 'stub-forkable')
+    const source = mgr.createSession({ name: 'Refactor', cwd: repo, resumeSessionId: 'conv-1' })
+    mgr.seedHistory(source, HISTORY)
+    mgr.getSession(source).session.boundaries.set('msg-a-1', 'uuid-1')
+
+    const result = await forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'msg-a-2' })
+    assert.equal(result.carry, 'transcript')
+    assert.deepEqual(mgr.getSession(source).session.forkCalls, [])
+    await mgr.destroySession(result.sessionId)
+  })
+
+  it('forks into the same directory outside a git repository', async () => {
+    const plain = join(root, 'plain')
+    mkdirSync(plain)
+    const mgr = makeManager(root, plain)
+    const source = mgr.createSession({ name: 'Notes', cwd: plain })
+    mgr.seedHistory(source, HISTORY)
+
+    const result = await forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'u2', name: 'Other take' })
+    assert.equal(result.worktree, false)
+    const fork = mgr.getSession(result.sessionId)
+    assert.equal(fork.cwd, plain)
+    assert.equal(fork.name, 'Other take')
+  })
+
+  it('rejects a busy source, an unknown message and an unknown session', async () => {
+    const mgr = makeManager(root, repo)
+    const source = mgr.createSession({ name: 'Refactor', cwd: repo })
+    mgr.seedHistory(source, HISTORY)
+
+    await assert.rejects(
+      forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'gone' }),
+      { code: 'FORK_MESSAGE_NOT_FOUND' },
+    )
+    await assert.rejects(
+      forkSession({ sessionManager: mgr, sourceSessionId: 'missing', messageId: 'u1' }),
+      { code: 'FORK_SOURCE_NOT_FOUND' },
+    )
+    await assert.rejects(
+      forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'u1', provider: 'user-shell' }),
+      { code: 'FORK_UNSUPPORTED' },
+    )
+    mgr.getSession(source).session.isRunning = true
+    await assert.rejects(
+      forkSession({ sessionManager: mgr, sourceSessionId: source, messageId: 'u1' }),
+      { code: 'FORK_SOURCE_BUSY' },
+    )
+    assert.equal(mgr.listSessions().length, 1, 'no session is created on rejection')
+  })
+})
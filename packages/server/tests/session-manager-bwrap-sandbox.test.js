@@ -0,0 +1,145 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { EventEmitter } from 'events'
+import { SessionManager } from '../src/session-manager.js'
+import { BwrapSandboxError } from '../src/bwrap-sandbox.js'
+
+// `sandbox: 'bwrap'` is normalized by SessionManager and forwarded as the
+// `bwrapSandbox` opt to providers that spawn a local CLI; anywhere it wouldn't
+// be applied (a provider without the capability, a non-Linux host) it's refused
+// rather than silently dropped. bwrap itself isn't needed: preflight is skipped
+// and the fake providers never spawn.
+
+let registerProvider
+
+function fakeProvider({ bwrapSandbox }) {
+  return class extends EventEmitter {
+    constructor(opts) {
+      super()
+      this.opts = opts
+      this.cwd = opts.cwd
+      this.model = opts.model || null
+      this.permissionMode = opts.permissionMode || 'approve'
+      this.isRunning = false
+      this.resumeSessionId = null
+    }
+    static get capabilities() { return { bwrapSandbox } }
+    start() {}
+    destroy() {}
+    sendMessage() {}
+    interrupt() {}
+    setModel() {}
+    setPermissionMode() {}
+  }
+}
+
+before(async () => {
+  ({ registerProvider } = await import('../src/providers.js'))
+  registerProvider('test-bwrap-cli', fakeProvider({ bwrapSandbox: true }))
+  registerProvider('test-bwrap-sdk', fakeProvider({ bwrapSandbox: false }))
+})
+
+const linuxOnly = { skip: process.platform !== 'linux' && 'bwrap sandbox is Linux-only' }
+
+function makeMgr(opts = {}) {
+  const tmpDir = mkdtempSync(join(tmpdir(), 'sm-bwrap-'))
+  const mgr = new SessionManager({ skipPreflight: true, maxSessions: 10, defaultCwd: '/tmp', stateFilePath: join(tmpDir, 'state.json'), ...opts })
+  mgr._tmpDir = tmpDir
+  return mgr
+}
+function cleanup(mgr) { mgr.destroyAll(); rmSync(mgr._tmpDir, { recursive: true, force: true }) }
+
+describe('SessionManager bwrap sandbox', () => {
+  it('forwards the normalized spec as bwrapSandbox, not as SDK sandbox settings', linuxOnly, () => {
+    const mgr = makeMgr({ sandbox: { autoAllowBashIfSandboxed: true } })
+    try {
+      const id = mgr.createSession({ cwd: '/tmp', provider: 'test-bwrap-cli', sandbox: { mode: 'bwrap', network: false } })
+      const entry = mgr.getSession(id)
+      assert.deepEqual(entry.session.opts.bwrapSandbox, { mode: 'bwrap', network: false, home: 'read-only' })
+      assert.equal(entry.session.opts.sandbox, undefined, 'the server-level SDK default does not ride along')
+      assert.equal(entry.isolation, 'sandbox')
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('still passes SDK sandbox settings through unchanged', () => {
+    const mgr = makeMgr()
+    try {
+      const settings = { network: { allowedDomains: ['example.com'] } }
+      const id = mgr.createSession({ cwd: '/tmp', provider: 'test-bwrap-sdk', sandbox: settings })
+      const { opts } = mgr.getSession(id).session
+      assert.deepEqual(opts.sandbox, settings)
+      assert.equal(opts.bwrapSandbox, undefined)
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('refuses a provider that does not spawn a local CLI', linuxOnly, () => {
+    const mgr = makeMgr()
+    try {
+      assert.throws(
+        () => mgr.createSession({ cwd: '/tmp', provider: 'test-bwrap-sdk', sandbox: 'bwrap' }),
+        /sandbox "bwrap" needs a provider that spawns a local CLI; "test-bwrap-sdk" doesn't/,
+      )
+      assert.equal(mgr.listSessions().length, 0)
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('refuses an unknown bwrap option', () => {
+    const mgr = makeMgr()
+    try {
+      assert.throws(
+        () => mgr.createSession({ cwd: '/tmp', provider: 'test-bwrap-cli', sandbox: { mode: 'bwrap', bind: ['/'] } }),
+        BwrapSandboxError,
+      )
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('persists the spec and restores the session confined', linuxOnly, () => {
+    const mgr = makeMgr()
+    const stateFile = join(mgr._tmpDir, 'state.json')
+    try {
+      mgr.createSession({ cwd: '/tmp', provider: 'test-bwrap-cli', sandbox: { mode: 'bwrap', home: 'hidden' } })
+      mgr.serializeState()
+      const saved = JSON.parse(readFileSync(stateFile, 'utf8')).sessions[0]
+      assert.deepEqual(saved.bwrapSandbox, { mode: 'bwrap', network: true, home: 'hidden' })
+
+      const mgr2 = makeMgr({ stateFilePath: stateFile })
+      try {
+        mgr2.restoreState()
+        const [restored] = mgr2.listSessions()
+        const entry = mgr2.getSession(restored.sessionId)
+        assert.deepEqual(entry.session.opts.bwrapSandbox, { mode: 'bwrap', network: true, home: 'hidden' })
+        assert.deepEqual(entry.bwrapSandbox, { mode: 'bwrap', network: true, home: 'hidden' })
+      } finally {
+        cleanup(mgr2)
+      }
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('refuses to move a sandboxed session onto a provider that cannot apply it', linuxOnly, () => {
+    const mgr = makeMgr()
+    try {
+      const id = mgr.createSession({ cwd: '/tmp', provider: 'test-bwrap-cli', sandbox: 'bwrap' })
+      assert.throws(
+        () => mgr.replaceSessionProvider(id, { provider: 'test-bwrap-sdk' }),
+        (err) => err.code === 'SANDBOX_UNSUPPORTED',
+      )
+      const session = mgr.replaceSessionProvider(id, { provider: 'test-bwrap-cli' })
+      assert.deepEqual(session.opts.bwrapSandbox, { mode: 'bwrap', network: true, home: 'read-only' })
+    } finally {
+      cleanup(mgr)
+    }
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { EventEmitter } from 'events'
+import { SessionManager } from '../src/session-manager.js'
+
+// Network egress policies are enforced by containerized providers only. The
+// SessionManager refuses a restricted policy anywhere it would be a silent
+// no-op (a host provider, or a failover hop onto one) and hands the policy and
+// the config default to containerized providers.
+
+let registerProvider
+
+function fakeProvider({ containerized }) {
+  return class extends EventEmitter {
+    constructor(opts) {
+      super()
+      this.opts = opts
+      this.cwd = opts.cwd
+      this.model = opts.model || null
+      this.permissionMode = opts.permissionMode || 'approve'
+      this.isRunning = false
+      this.resumeSessionId = null
+      this.egressPolicy = containerized ? (opts.egress || opts.defaultEgress || null) : undefined
+    }
+    static get capabilities() { return { containerized } }
+    start() {}
+    destroy() {}
+    sendMessage() {}
+    interrupt() {}
+    setModel() {}
+    setPermissionMode() {}
+  }
+}
+
+before(async () => {
+  ({ registerProvider } = await import('../src/providers.js'))
+  registerProvider('test-egress-container', fakeProvider({ containerized: true }))
+  registerProvider('test-egress-host', fakeProvider({ containerized: false }))
+})
+
+const NONE = { policy: 'none', domains: [] }
+
+function makeMgr(opts = {}) {
+  const tmpDir = mkdtempSync(join(tmpdir(), 'sm-egress-'))
+  const mgr = new SessionManager({ skipPreflight: true, maxSessions: 10, defaultCwd: '/tmp', stateFilePath: join(tmpDir, 'state.json'), ...opts })
+  mgr._tmpDir = tmpDir
+  return mgr
+}
+function cleanup(mgr) { mgr.destroyAll(); rmSync(mgr._tmpDir, { recursive: true, force: true }) }
+
+describe('SessionManager network egress', () => {
+  it('passes the policy, config default and proxy image to a containerized provider', () => {
+    const mgr = makeMgr({ defaultEgress: { policy: 'registries', domains: [] }, egressProxyImage: 'mirror/node:22' })
+    try {
+      const id = mgr.createSession({ cwd: '/tmp', provider: 'test-egress-container', egress: NONE })
+      const { opts } = mgr.getSession(id).session
+      assert.deepEqual(opts.egress, NONE)
+      assert.deepEqual(opts.defaultEgress, { policy: 'registries', domains: [] })
+      assert.equal(opts.egressProxyImage, 'mirror/node:22')
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('refuses a restricted policy on a host provider', () => {
+    const mgr = makeMgr()
+    try {
+      assert.throws(
+        () => mgr.createSession({ cwd: '/tmp', provider: 'test-egress-host', egress: NONE }),
+        /Egress policies need a containerized provider; "test-egress-host" runs on the host/,
+      )
+      assert.equal(mgr.listSessions().length, 0)
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('lets an open policy through on a host provider', () => {
+    const mgr = makeMgr()
+    try {
+      const id = mgr.createSession({ cwd: '/tmp', provider: 'test-egress-host', egress: { policy: 'open', domains: [] } })
+      assert.ok(mgr.getSession(id))
+    } finally {
+      cleanup(mgr)
+    }
+  })
+
+  it('refuses to move a restricted session onto a host provider', async () => {
+    const mgr = makeMgr()
+    try {
+      const id = mgr.createSession({ cwd: '/tmp', provider: 'test-egress-container', egress: NONE })
+      await assert.rejects(
+        async () => mgr.replaceSessionProvider(id, { provider: 'test-egress-host' }),
+        (err) => err.code === 'EGRESS_UNSUPPORTED',
+      )
+    } finally {
+      cleanup(mgr)
+    }
+  })
+})
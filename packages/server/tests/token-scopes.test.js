@@ -0,0 +1,265 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import { TOKEN_SCOPES, isMessageAllowedForScope, normalizeTokenScope } from '../src/token-scopes.js'
+import { PairingManager } from '../src/pairing.js'
+import { TokenManager } from '../src/token-manager.js'
+import { handleSessionMessage } from '../src/ws-message-handlers.js'
+import { handleAuthMessage } from '../src/ws-auth.js'
+import { createPermissionHandler } from '../src/ws-permissions.js'
+
+/**
+ * Device-token scopes: observe (watch) ⊂ approve (+ answer prompts) ⊂ full.
+ * Minted by PairingManager, restored from the persisted store, resolved on
+ * auth and enforced per message type in the handler layer.
+ */
+
+function makeMemStore(initial = []) {
+  let saved = initial.slice()
+  return { load: () => saved.slice(), save: (e) => { saved = e.slice(); return true }, _entries: () => saved }
+}
+
+describe('scope allowlists', () => {
+  it('orders authority observe ⊂ approve ⊂ full', () => {
+    assert.deepEqual(TOKEN_SCOPES, ['observe', 'approve', 'full'])
+    for (const type of ['list_sessions', 'request_full_history', 'switch_session']) {
+      for (const scope of TOKEN_SCOPES) assert.equal(isMessageAllowedForScope(scope, type), true, `${scope} ${type}`)
+    }
+    assert.equal(isMessageAllowedForScope('observe', 'permission_response'), false)
+    assert.equal(isMessageAllowedForScope('approve', 'permission_response'), true)
+    assert.equal(isMessageAllowedForScope('approve', 'user_question_response'), true)
+    for (const type of ['input', 'interrupt', 'create_session', 'write_file', 'set_permission_mode']) {
+      assert.equal(isMessageAllowedForScope('observe', type), false, `observe ${type}`)
+      assert.equal(isMessageAllowedForScope('approve', type), false, `approve ${type}`)
+      assert.equal(isMessageAllowedForScope('full', type), true, `full ${type}`)
+    }
+  })
+
+  it('treats a missing scope as full and an unknown one as observe', () => {
+    assert.equal(normalizeTokenScope(undefined), 'full')
+    assert.equal(normalizeTokenScope(null), 'full')
+    assert.equal(normalizeTokenScope('admin'), 'observe')
+    assert.equal(isMessageAllowedForScope(undefined, 'input'), true)
+    assert.equal(isMessageAllowedForScope('admin', 'input'), false)
+  })
+})
+
+describe('PairingManager scopes', () => {
+  it('mints share-QR tokens with the requested scope', () => {
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+    const { pairingId } = pm.generateBoundPairing('sess-A', { scope: 'approve' })
+    const result = pm.validatePairing(pairingId)
+    assert.equal(result.scope, 'approve')
+    assert.equal(pm.getScopeForToken(result.sessionToken), 'approve')
+    assert.equal(pm.listSessionTokens()[0].scope, 'approve')
+    assert.throws(() => pm.generateBoundPairing('sess-A', { scope: 'root' }), /Unknown token scope/)
+    pm.destroy()
+  })
+
+  it('keeps linking-mode tokens at full', () => {
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+    const { sessionToken, scope } = pm.validatePairing(pm.currentPairingId)
+    assert.equal(scope, 'full')
+    assert.equal(pm.getScopeForToken(sessionToken), 'full')
+    assert.equal(pm.getScopeForToken('not-a-token'), null)
+    pm.destroy()
+  })
+
+  it('applies the approver-chosen scope and rejects a bad one without consuming the request', () => {
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+    pm.enqueuePendingRequest({ requestId: 'req-1', source: 'ip' })
+    assert.deepEqual(pm.approvePendingRequest('req-1', { scope: 'root' }), { ok: false, reason: 'invalid_scope' })
+    const approved = pm.approvePendingRequest('req-1', { scope: 'observe' })
+    assert.equal(approved.ok, true)
+    assert.equal(approved.scope, 'observe')
+    assert.equal(pm.getScopeForToken(approved.token), 'observe')
+    pm.destroy()
+  })
+
+  it('restores pre-scope tokens as full and corrupt scopes as observe', () => {
+    const now = Date.now()
+    const store = makeMemStore([
+      ['legacy-token', { createdAt: now, sessionId: null }],
+      ['scoped-token', { createdAt: now, sessionId: 'sess-A', scope: 'approve' }],
+      ['corrupt-token', { createdAt: now, sessionId: null, scope: 'superuser' }],
+    ])
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000, sessionTokenStore: store })
+    assert.equal(pm.getScopeForToken('legacy-token'), 'full')
+    assert.equal(pm.getScopeForToken('scoped-token'), 'approve')
+    assert.equal(pm.getScopeForToken('corrupt-token'), 'observe')
+    pm.destroy()
+  })
+
+  it('changes a scope live, persisting before it applies', () => {
+    const store = makeMemStore()
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000, sessionTokenStore: store })
+    const { sessionToken } = pm.validatePairing(pm.currentPairingId)
+    const id = pm.getDeviceIdForToken(sessionToken)
+    const changed = mock.fn()
+    pm.on('session_token_scope_changed', changed)
+
+    assert.deepEqual(pm.setSessionTokenScopeById(id, 'observe'), { updated: 1, scope: 'observe' })
+    assert.equal(pm.getScopeForToken(sessionToken), 'observe')
+    assert.equal(store._entries()[0][1].scope, 'observe', 'persisted')
+    assert.deepEqual(changed.mock.calls[0].arguments[0], { id, scope: 'observe' })
+
+    assert.deepEqual(pm.setSessionTokenScopeById('nope', 'full'), { updated: 0 })
+    assert.throws(() => pm.setSessionTokenScopeById(id, 'root'), /Unknown token scope/)
+    pm.destroy()
+  })
+
+  it('leaves the old scope in place when the durable write fails', () => {
+    const store = makeMemStore()
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000, sessionTokenStore: store })
+    const { sessionToken } = pm.validatePairing(pm.currentPairingId)
+    store.save = () => false
+    const result = pm.setSessionTokenScopeById(pm.getDeviceIdForToken(sessionToken), 'observe')
+    assert.deepEqual(result, { updated: 0, persistFailed: true })
+    assert.equal(pm.getScopeForToken(sessionToken), 'full')
+    pm.destroy()
+  })
+})
+
+describe('TokenManager scope', () => {
+  it('reports the primary token as full and anything else as unknown', () => {
+    const tm = new TokenManager({ token: 'primary' })
+    assert.equal(tm.scopeForToken('primary'), 'full')
+    assert.equal(tm.scopeForToken('other'), null)
+    tm.destroy()
+  })
+})
+
+describe('scope resolution on auth', () => {
+  function authCtx(pairingManager) {
+    const client = { id: 'c1', authenticated: false, rateLimitKey: 'ip' }
+    const ws = {}
+    return {
+      ws,
+      client,
+      ctx: {
+        clients: new Map([[ws, client]]),
+        authRequired: true,
+        isTokenValid: (t) => t === 'primary' || pairingManager.isSessionTokenValid(t),
+        resolveTokenScope: () => 'full',
+        authFailures: new Map(),
+        send: mock.fn(),
+        onAuthSuccess: mock.fn(),
+        minProtocolVersion: 1,
+        serverProtocolVersion: 1,
+        pairingManager,
+      },
+    }
+  }
+
+  it('tags a paired connection with its token scope and device id', () => {
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+    const { pairingId } = pm.generateBoundPairing('sess-A', { scope: 'approve' })
+    const { sessionToken } = pm.validatePairing(pairingId)
+    const { ws, client, ctx } = authCtx(pm)
+    handleAuthMessage(ctx, ws, { type: 'auth', token: sessionToken })
+    assert.equal(client.tokenScope, 'approve')
+    assert.equal(client.pairedDeviceId, pm.listSessionTokens()[0].id)
+    pm.destroy()
+  })
+
+  it('gives the primary token full scope', () => {
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+    const { ws, client, ctx } = authCtx(pm)
+    handleAuthMessage(ctx, ws, { type: 'auth', token: 'primary' })
+    assert.equal(client.tokenScope, 'full')
+    assert.equal(client.pairedDeviceId, undefined)
+    pm.destroy()
+  })
+})
+
+describe('handler-layer enforcement', () => {
+  function run(scope, msg) {
+    const ws = { readyState: 1, send: mock.fn() }
+    const send = mock.fn()
+    const ctx = { transport: { send } }
+    return handleSessionMessage(ws, { id: 'c1', tokenScope: scope }, msg, ctx).then(() => send)
+  }
+
+  it('refuses input from observe and approve devices before the handler runs', async () => {
+    for (const scope of ['observe', 'approve']) {
+      const send = await run(scope, { type: 'input', data: 'rm -rf /', requestId: 'r1' })
+      assert.equal(send.mock.callCount(), 1)
+      const [, payload] = send.mock.calls[0].arguments
+      assert.equal(payload.code, 'TOKEN_SCOPE_FORBIDDEN')
+      assert.equal(payload.scope, scope)
+      assert.equal(payload.messageType, 'input')
+      assert.equal(payload.requestId, 'r1')
+    }
+  })
+
+  it('refuses prompt answers from an observe device', async () => {
+    const send = await run('observe', { type: 'permission_response', requestId: 'perm-1', decision: 'allow' })
+    assert.equal(send.mock.calls[0].arguments[1].code, 'TOKEN_SCOPE_FORBIDDEN')
+  })
+
+  it("lets an observe device through the app's whole post-auth bootstrap", async () => {
+    // What the app sends on auth_ok / key_exchange_ok (app store/message-handler.ts)
+    // against a server without the auth_bootstrap burst.
+    const bootstrap = [
+      { type: 'list_providers' },
+      { type: 'list_slash_commands' },
+      { type: 'list_agents' },
+      { type: 'client_visible', visible: true },
+      { type: 'register_push_token', token: 'ExponentPushToken[abc]' },
+    ]
+    for (const msg of bootstrap) {
+      const ws = { readyState: 1, send: mock.fn() }
+      const send = mock.fn()
+      // The stub ctx is too thin for some handlers to finish; reaching one at
+      // all means the scope gate let the message through.
+      await handleSessionMessage(ws, { id: 'c1', tokenScope: 'observe' }, msg, { transport: { send } }).catch(() => {})
+      const refused = send.mock.calls.some(({ arguments: [, payload] }) => payload?.code === 'TOKEN_SCOPE_FORBIDDEN')
+      assert.equal(refused, false, `observe ${msg.type}`)
+    }
+  })
+})
+
+describe('HTTP /permission-response scope gate', () => {
+  async function respondWith(pm, token) {
+    const handler = createPermissionHandler({
+      sendFn: mock.fn(),
+      broadcastFn: mock.fn(),
+      validateBearerAuth: mock.fn(() => true),
+      pendingPermissions: new Map(),
+      permissionSessionMap: new Map(),
+      getSessionManager: () => ({ getSession: () => null }),
+      pairingManager: pm,
+    })
+    const req = new EventEmitter()
+    req.method = 'POST'
+    req.headers = { authorization: `Bearer ${token}` }
+    req.socket = { remoteAddress: '127.0.0.1' }
+    req.setEncoding = mock.fn()
+    req.destroy = mock.fn()
+    req.pause = mock.fn()
+    process.nextTick(() => {
+      req.emit('data', Buffer.from(JSON.stringify({ requestId: 'perm-1', decision: 'allow' })))
+      req.emit('end')
+    })
+    const res = { statusCode: null, body: null, writeHead(c) { this.statusCode = c }, end(b) { this.body = b }, on() { return this } }
+    try {
+      handler.handlePermissionResponseHttp(req, res)
+      await new Promise((r) => setImmediate(r))
+      return res
+    } finally {
+      handler.destroy()
+    }
+  }
+
+  it('rejects an observe device and lets an approve device through to the resolver', async () => {
+    const pm = new PairingManager({ sessionTokenTtlMs: 60_000 })
+    const observe = pm.validatePairing(pm.generateBoundPairing('sess-A', { scope: 'observe' }).pairingId).sessionToken
+    const approve = pm.validatePairing(pm.generateBoundPairing('sess-A', { scope: 'approve' }).pairingId).sessionToken
+    const denied = await respondWith(pm, observe)
+    assert.equal(denied.statusCode, 403)
+    assert.match(String(denied.body), /token scope/)
+    const passed = await respondWith(pm, approve)
+    assert.doesNotMatch(String(passed.body ?? ''), /token scope/)
+    pm.destroy()
+  })
+})
@@ -1,6 +1,10 @@
 import { describe, it, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 import { runTokensList, runTokensRevoke } from '../src/cli/tokens-cmd.js'
+import { AuditJournal } from '../src/audit-journal.js'
 
 // In-memory session-token store fake matching the { load, loadResult, exists,
 // save } adapter shape. `opts.status` forces an 'unreadable' result; `opts.saveOk
@@ -261,3 +265,26 @@ describe('#6927 CLI revoke persists DURABLY', () => {
     assert.deepEqual(store._saveCalls(), [], 'the confirmation gate wrote nothing')
   })
 })
+
+describe('CLI revoke is journaled', () => {
+  const A = 'aaaa1111bbbb2222cccc'
+  const B = 'bbbb3333dddd4444eeee'
+
+  it('records each successful revoke as a local-actor token_revoke, and nothing for a failed one', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'chroxy-audit-'))
+    try {
+      const journal = new AuditJournal({ dir })
+      const store = fakeStore([[A, { createdAt: NOW }], [B, { createdAt: NOW }]])
+      runTokensRevoke('aaaa1111', {}, { store, write: cap().write, journal })
+      runTokensRevoke('zzzz', {}, { store, write: cap().write, journal })
+      runTokensRevoke(undefined, { all: true, yes: true }, { store, write: cap().write, journal })
+      const entries = journal.query({ type: 'token_revoke' })
+      assert.deepEqual(entries.map((e) => [e.clientId, e.tokenClass, e.target, e.handle ?? e.revoked]), [
+        ['cli', 'local', 'paired', 'aaaa1111bbbb'],
+        ['cli', 'local', 'all_paired', 1],
+      ])
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,260 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+import { once } from 'node:events'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import {
+  ClientMessageSchema,
+  ServerWorkflowsSnapshotSchema,
+  ServerWorkflowRunSnapshotSchema,
+  ServerWorkflowActionAckSchema,
+} from '@chroxy/protocol'
+import { workflowHandlers } from '../src/handlers/workflow-handlers.js'
+import { registeredMessageTypes } from '../src/ws-message-handlers.js'
+import { createHttpHandler } from '../src/http-routes.js'
+import { WorkflowRunError } from '../src/workflows/workflow-runner.js'
+import {
+  parseInputPairs,
+  runWorkflowList,
+  runWorkflowShow,
+  runWorkflowRun,
+  runWorkflowApprove,
+} from '../src/cli/workflow-cmd.js'
+import { createSpy, nsCtx } from './test-helpers.js'
+
+/**
+ * The three surfaces that drive a WorkflowRunner — WS handlers, the daemon's
+ * /api/workflows/runs routes and `chroxy workflow` — against a stub runner.
+ */
+
+const RUN = {
+  runId: 'run-1', workflow: 'ship', title: 'Ship', status: 'executing', statusReason: null,
+  trigger: 'dashboard', unattended: false, root: '/repo', inputs: {}, createdAt: 1, startedAt: 1,
+  endedAt: null, terminal: false, currentStep: 'a', pendingApproval: null, costUsd: 0, budgetUsd: null,
+  steps: [], outputs: {},
+}
+
+function makeRunner() {
+  const calls = []
+  return {
+    calls,
+    listWorkflows: (cwd) => ({ root: cwd, workflows: [], errors: [{ name: 'bad', file: '/x', error: 'steps: required' }] }),
+    listRuns: () => [{ ...RUN, steps: undefined, outputs: undefined }],
+    getRun: (id) => (id === 'run-1' ? RUN : null),
+    startRun: (opts) => {
+      calls.push(['start', opts])
+      if (opts.name === 'missing') throw new WorkflowRunError('NOT_FOUND', 'no workflow named "missing"')
+      return RUN
+    },
+    resolveApproval: (id, opts) => {
+      calls.push(['approval', id, opts])
+      if (id !== 'run-1') throw new WorkflowRunError('NOT_FOUND', `workflow run ${id} is not in flight`)
+      return RUN
+    },
+    cancelRun: (id, opts) => {
+      calls.push(['cancel', id, opts])
+      return RUN
+    },
+  }
+}
+
+describe('workflow WS handlers', () => {
+  function makeCtx({ enabled = true, runner = makeRunner() } = {}) {
+    return nsCtx({
+      send: createSpy(),
+      config: { features: { workflows: enabled } },
+      workflowRunner: runner,
+    })
+  }
+  const lastSent = (ctx) => ctx.transport.send.calls.at(-1)[1]
+  const primary = { id: 'c1', isPrimaryToken: true }
+
+  it('registers every client message and validates it', () => {
+    for (const type of Object.keys(workflowHandlers)) assert.ok(registeredMessageTypes.includes(type), type)
+    assert.equal(ClientMessageSchema.safeParse({ type: 'workflow_run_start', cwd: '/repo', name: 'ship', inputs: { a: 'b' } }).success, true)
+    assert.equal(ClientMessageSchema.safeParse({ type: 'workflow_approval_response', runId: 'r', decision: 'maybe' }).success, false)
+  })
+
+  it('is a silent no-op while the feature is off', async () => {
+    const ctx = makeCtx({ enabled: false })
+    await workflowHandlers.workflows_request({}, primary, { type: 'workflows_request' }, ctx)
+    workflowHandlers.workflow_run_start({}, primary, { cwd: '/repo', name: 'ship' }, ctx)
+    assert.equal(ctx.transport.send.calls.length, 0)
+  })
+
+  it('answers the list and run surveys', async () => {
+    const ctx = makeCtx()
+    await workflowHandlers.workflows_request({}, primary, { type: 'workflows_request', cwd: '/repo', requestId: 'q1' }, ctx)
+    const list = lastSent(ctx)
+    assert.equal(ServerWorkflowsSnapshotSchema.safeParse(list).success, true)
+    assert.equal(list.root, '/repo')
+    assert.deepEqual(list.errors, [{ name: 'bad', error: 'steps: required' }])
+    assert.equal(list.runs.length, 1)
+    await workflowHandlers.workflow_run_request({}, primary, { type: 'workflow_run_request', runId: 'nope' }, ctx)
+    const missing = lastSent(ctx)
+    assert.equal(ServerWorkflowRunSnapshotSchema.safeParse(missing).success, true)
+    assert.equal(missing.error.code, 'not_found')
+  })
+
+  it('starts a run for the primary token only, and maps refusals to a reason', () => {
+    const runner = makeRunner()
+    const ctx = makeCtx({ runner })
+    workflowHandlers.workflow_run_start({}, { id: 'c1', isPrimaryToken: false }, { cwd: '/repo', name: 'ship' }, ctx)
+    assert.equal(lastSent(ctx).reason, 'primary_token_required')
+    workflowHandlers.workflow_run_start({}, primary, { cwd: '/repo', name: 'ship', requestId: 'q2' }, ctx)
+    const ack = lastSent(ctx)
+    assert.equal(ServerWorkflowActionAckSchema.safeParse(ack).success, true)
+    assert.deepEqual([ack.action, ack.runId, ack.requestId], ['start', 'run-1', 'q2'])
+    assert.equal(runner.calls[0][1].trigger, 'dashboard')
+    workflowHandlers.workflow_run_start({}, primary, { cwd: '/repo', name: 'missing' }, ctx)
+    assert.equal(lastSent(ctx).code, 'WORKFLOW_ACTION_FAILED')
+    assert.equal(lastSent(ctx).reason, 'not_found')
+  })
+
+  it('lets any host client reject or cancel, but only the primary token approve', () => {
+    const runner = makeRunner()
+    const ctx = makeCtx({ runner })
+    const secondary = { id: 'c2', isPrimaryToken: false }
+    workflowHandlers.workflow_approval_response({}, secondary, { runId: 'run-1', decision: 'approve', budgetUsd: 9 }, ctx)
+    assert.equal(lastSent(ctx).reason, 'primary_token_required')
+    workflowHandlers.workflow_approval_response({}, secondary, { runId: 'run-1', decision: 'reject', budgetUsd: 9 }, ctx)
+    assert.equal(lastSent(ctx).action, 'approval_response')
+    // A budget raise never rides a reject.
+    assert.equal(runner.calls.at(-1)[2].budgetUsd, null)
+    workflowHandlers.workflow_run_cancel({}, secondary, { runId: 'run-1' }, ctx)
+    assert.equal(lastSent(ctx).action, 'cancel')
+    workflowHandlers.workflow_run_cancel({}, { id: 'c3', boundSessionId: 's1' }, { runId: 'run-1' }, ctx)
+    assert.equal(lastSent(ctx).reason, 'forbidden')
+  })
+})
+
+describe('/api/workflows/runs', () => {
+  let httpServer, base, runner
+
+  before(async () => {
+    runner = makeRunner()
+    httpServer = createServer(createHttpHandler({
+      apiToken: 'tok',
+      serverMode: 'multi',
+      _workflowRunner: runner,
+      _validateBearerAuth() { return false },
+      _validatePrimaryBearerAuth(req, res) {
+        if (req.headers.authorization === 'Bearer tok') return true
+        res.writeHead(403, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: 'primary_token_required' }))
+        return false
+      },
+    }))
+    httpServer.listen(0, '127.0.0.1')
+    await once(httpServer, 'listening')
+    base = `http://127.0.0.1:${httpServer.address().port}`
+  })
+
+  after(() => httpServer?.close())
+
+  const call = (method, path, body, token = 'tok') => fetch(`${base}/api/workflows/runs${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+  })
+
+  it('requires the primary token', async () => {
+    assert.equal((await call('GET', '', undefined, 'bound')).status, 403)
+  })
+
+  it('lists, starts and reads runs', async () => {
+    assert.equal((await (await call('GET', '')).json()).runs.length, 1)
+    const started = await call('POST', '', { cwd: '/repo', name: 'ship', inputs: { feature: 'x' } })
+    assert.equal(started.status, 201)
+    assert.deepEqual(runner.calls.at(-1)[1], { cwd: '/repo', name: 'ship', inputs: { feature: 'x' }, budgetUsd: null, trigger: 'cli' })
+    assert.equal((await (await call('GET', '/run-1')).json()).run.runId, 'run-1')
+    assert.equal((await call('GET', '/nope')).status, 404)
+  })
+
+  it('validates bodies and maps runner errors to statuses', async () => {
+    assert.equal((await call('POST', '', { name: 'ship' })).status, 400)
+    assert.equal((await call('POST', '', { cwd: '/repo', name: 'ship', inputs: { n: 1 } })).status, 400)
+    assert.equal((await call('POST', '', { cwd: '/repo', name: 'missing' })).status, 404)
+    assert.equal((await call('POST', '/run-1/approval', { decision: 'later' })).status, 400)
+    assert.equal((await call('POST', '/run-9/approval', { decision: 'reject' })).status, 404)
+    assert.equal((await call('POST', '/run-1/cancel', { reason: 'stop' })).status, 200)
+    assert.deepEqual(runner.calls.at(-1), ['cancel', 'run-1', { reason: 'stop' }])
+    assert.equal((await call('DELETE', '/run-1')).status, 404)
+  })
+})
+
+describe('chroxy workflow', () => {
+  let repo
+
+  before(() => {
+    repo = mkdtempSync(join(tmpdir(), 'chroxy-wf-cli-'))
+    mkdirSync(join(repo, '.chroxy', 'workflows'), { recursive: true })
+    writeFileSync(join(repo, '.chroxy', 'workflows', 'ship.yml'), [
+      'title: Ship it',
+      'inputs:',
+      '  feature:',
+      'steps:',
+      '  - id: build',
+      '    prompt: Build {{inputs.feature}}',
+      '  - id: release',
+      '    approval: Release?',
+      '    onReject: end',
+      '    prompt: Release it',
+    ].join('\n'))
+  })
+
+  after(() => rmSync(repo, { recursive: true, force: true }))
+
+  function deps(response, { status = 200 } = {}) {
+    const calls = []
+    const out = []
+    const err = []
+    return {
+      calls, out, err,
+      cwd: repo,
+      readConnectionInfo: () => ({ apiToken: 'primary-tok', port: 9123 }),
+      fetchFn: async (url, opts) => {
+        calls.push({ url, method: opts.method, body: opts.body ? JSON.parse(opts.body) : undefined })
+        return { ok: status < 400, status, json: async () => response }
+      },
+      write: (s) => out.push(s),
+      writeErr: (s) => err.push(s),
+    }
+  }
+
+  it('parses --input pairs, keeping = in values', () => {
+    assert.deepEqual(parseInputPairs(['a=1', 'b=x=y']), { inputs: { a: '1', b: 'x=y' }, bad: null })
+    assert.deepEqual(parseInputPairs(['=1']), { inputs: null, bad: '=1' })
+  })
+
+  it('lists and shows workflows straight from the repo', () => {
+    const d = deps()
+    assert.equal(runWorkflowList({}, d).ok, true)
+    assert.deepEqual(d.out, ['ship  Ship it  (2 steps)'])
+    const shown = deps()
+    assert.equal(runWorkflowShow('ship', {}, shown).ok, true)
+    assert.ok(shown.out.includes('  feature  (required)'))
+    assert.ok(shown.out.includes('     approval: Release?'))
+    assert.equal(runWorkflowShow('nope', {}, deps()).reason, 'not_found')
+  })
+
+  it('starts a run through the daemon', async () => {
+    const d = deps({ run: RUN })
+    const result = await runWorkflowRun('ship', { input: ['feature=dark mode'], budget: '2' }, d)
+    assert.equal(result.ok, true)
+    assert.equal(d.calls[0].url, 'http://127.0.0.1:9123/api/workflows/runs')
+    assert.deepEqual(d.calls[0].body, { cwd: repo, name: 'ship', inputs: { feature: 'dark mode' }, budgetUsd: 2 })
+    assert.match(d.out[0], /chroxy workflow status run-1/)
+    assert.equal((await runWorkflowRun('ship', { budget: '-1' }, deps())).reason, 'invalid_budget')
+  })
+
+  it('explains a 503 as the feature being off', async () => {
+    const d = deps({ error: 'workflows are not enabled' }, { status: 503 })
+    const result = await runWorkflowApprove('run-1', { reject: true }, d)
+    assert.equal(result.ok, false)
+    assert.deepEqual(d.calls[0].body, { decision: 'reject' })
+    assert.match(d.err[0], /features\.workflows/)
+  })
+})
@@ -0,0 +1,197 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import {
+  WORKFLOW_END,
+  WORKFLOW_FAIL,
+  DEFAULT_STEP_TIMEOUT_MS,
+  WorkflowDefinitionError,
+  normalizeWorkflow,
+  parseWorkflowDefinition,
+  findWorkflowRoot,
+  loadWorkflows,
+  loadWorkflow,
+  resolveInputs,
+  renderTemplate,
+  exitCriteriaMet,
+} from '../src/workflows/workflow-definition.js'
+
+/**
+ * Workflow definitions: the canonical form a file normalizes to, the strict
+ * validation that refuses a file rather than running something other than what
+ * was written, and the repo lookup the runner and `chroxy workflow` share.
+ */
+
+const SHIP = `
+title: Ship a feature
+inputs:
+  feature:
+  base: main
+budget: { maxUsd: 5 }
+defaults: { provider: claude-sdk, model: sonnet, timeout: 45m }
+steps:
+  - id: implement
+    permissionMode: acceptEdits
+    prompt: Implement {{inputs.feature}} on top of {{inputs.base}}.
+  - id: test
+    session: implement
+    prompt: Run the tests. End with PASS or FAIL.
+    exit: { contains: PASS }
+    onFailure: implement
+  - id: review
+    provider: codex
+    model: null
+    approval: Review {{inputs.feature}} with a second model?
+    onReject: end
+    timeout: 90
+    prompt: "Review: {{steps.implement.output}}"
+`
+
+function expectInvalid(raw, fieldRe) {
+  assert.throws(
+    () => normalizeWorkflow(raw, 'wf'),
+    (err) => err instanceof WorkflowDefinitionError && fieldRe.test(err.message),
+  )
+}
+
+const step = (over = {}) => ({ id: 'a', prompt: 'do it', ...over })
+
+describe('normalizeWorkflow', () => {
+  it('folds defaults into each step and resolves routing', () => {
+    const wf = parseWorkflowDefinition(SHIP, { name: 'ship', format: 'yaml' })
+    assert.equal(wf.name, 'ship')
+    assert.equal(wf.title, 'Ship a feature')
+    assert.deepEqual(wf.inputs, { feature: { required: true, default: null }, base: { required: false, default: 'main' } })
+    assert.deepEqual(wf.budget, { maxUsd: 5 })
+    const [implement, test, review] = wf.steps
+    assert.equal(implement.provider, 'claude-sdk')
+    assert.equal(implement.model, 'sonnet')
+    assert.equal(implement.permissionMode, 'acceptEdits')
+    assert.equal(implement.timeoutMs, 45 * 60 * 1000)
+    assert.equal(implement.onSuccess, 'test')
+    assert.equal(implement.onFailure, WORKFLOW_FAIL)
+    // A continued session carries none of its own session config.
+    assert.equal(test.session, 'implement')
+    assert.equal(test.provider, null)
+    assert.equal(test.permissionMode, null)
+    assert.deepEqual(test.exit, { contains: 'PASS' })
+    assert.equal(test.onFailure, 'implement')
+    // An explicit null falls back to the default; a bare number is seconds.
+    assert.equal(review.provider, 'codex')
+    assert.equal(review.model, 'sonnet')
+    assert.equal(review.timeoutMs, 90_000)
+    assert.equal(review.onSuccess, WORKFLOW_END)
+    assert.equal(review.onReject, WORKFLOW_END)
+    assert.deepEqual(review.approval, { message: 'Review {{inputs.feature}} with a second model?' })
+    assert.equal(review.maxVisits, 3)
+  })
+
+  it('reads JSON the same way, with the file stem as the title fallback', () => {
+    const wf = parseWorkflowDefinition(JSON.stringify({ steps: [step()] }), { name: 'one', format: 'json' })
+    assert.equal(wf.title, 'one')
+    assert.equal(wf.steps[0].permissionMode, 'approve')
+    assert.equal(wf.steps[0].timeoutMs, DEFAULT_STEP_TIMEOUT_MS)
+    assert.throws(() => parseWorkflowDefinition('{', { name: 'one', format: 'json' }), /not valid JSON/)
+  })
+
+  it('refuses unknown keys at every level', () => {
+    expectInvalid({ steps: [step()], retries: 2 }, /unknown key "retries"/)
+    expectInvalid({ steps: [step({ promt: 'typo' })] }, /steps\[0\]: unknown key "promt"/)
+    expectInvalid({ steps: [step()], defaults: { mode: 'plan' } }, /defaults: unknown key "mode"/)
+    expectInvalid({ steps: [step({ exit: { contain: 'x' } })] }, /steps\[0\]\.exit: unknown key/)
+  })
+
+  it('refuses dangling routes and misplaced onReject', () => {
+    expectInvalid({ steps: [step({ onFailure: 'nope' })] }, /steps\[0\]\.onFailure: "nope" is not a step id/)
+    expectInvalid({ steps: [step({ onReject: 'end' })] }, /steps\[0\]\.onReject: only applies to a step with an approval gate/)
+    expectInvalid({ steps: [step(), step()] }, /duplicate step id "a"/)
+    expectInvalid({ steps: [step({ id: 'end' })] }, /reserved/)
+  })
+
+  it('refuses template references to undeclared inputs or unknown steps', () => {
+    expectInvalid({ steps: [step({ prompt: 'x {{inputs.missing}}' })] }, /undeclared input "missing"/)
+    expectInvalid({ steps: [step({ prompt: '{{steps.ghost.output}}' })] }, /unknown step "ghost"/)
+    expectInvalid({ steps: [step({ prompt: '{{steps.a.cost}}' })] }, /a step exposes output, status, error/)
+    expectInvalid({ steps: [step({ prompt: '{{env.HOME}}' })] }, /unknown template reference/)
+  })
+
+  it('refuses a continued session that sets its own session config, or chains', () => {
+    expectInvalid({ steps: [step(), step({ id: 'b', session: 'a', model: 'x' })] }, /steps\[1\]\.model: cannot be set/)
+    expectInvalid({ steps: [step(), step({ id: 'b', session: 'a' }), step({ id: 'c', session: 'b' })] }, /itself continues "a"/)
+    expectInvalid({ steps: [step({ session: 'a' })] }, /is not another step/)
+  })
+
+  it('refuses the auto permission mode and out-of-range limits', () => {
+    expectInvalid({ steps: [step({ permissionMode: 'auto' })] }, /must be one of approve, acceptEdits, plan/)
+    expectInvalid({ steps: [step({ timeout: '2s' })] }, /from 10s to 24h/)
+    expectInvalid({ steps: [step({ maxVisits: 0 })] }, /maxVisits: must be an integer/)
+    expectInvalid({ steps: [step()], budget: { maxUsd: -1 } }, /budget\.maxUsd/)
+    expectInvalid({ steps: [] }, /must list at least one step/)
+  })
+})
+
+describe('inputs, templates and exit criteria', () => {
+  const wf = parseWorkflowDefinition(SHIP, { name: 'ship', format: 'yaml' })
+
+  it('resolveInputs applies defaults and refuses missing or unknown inputs', () => {
+    assert.deepEqual(resolveInputs(wf, { feature: 'dark mode' }), { feature: 'dark mode', base: 'main' })
+    assert.throws(() => resolveInputs(wf, {}), /input "feature" is required/)
+    assert.throws(() => resolveInputs(wf, { feature: 'x', extra: 'y' }), /has no input "extra"/)
+  })
+
+  it('renderTemplate substitutes in a single pass', () => {
+    const out = renderTemplate('{{ inputs.feature }} / {{steps.implement.output}} / {{steps.test.status}} / {{run.id}}', {
+      inputs: { feature: 'F' },
+      steps: { implement: { output: 'uses {{inputs.feature}}' } },
+      workflow: { name: 'ship' },
+      run: { id: 'r1' },
+    })
+    // The output's own {{…}} text is not expanded again; an unrun step is empty.
+    assert.equal(out, 'F / uses {{inputs.feature}} /  / r1')
+  })
+
+  it('exitCriteriaMet requires every named criterion', () => {
+    assert.equal(exitCriteriaMet(null, ''), true)
+    assert.equal(exitCriteriaMet({ contains: 'PASS' }, 'all PASS'), true)
+    assert.equal(exitCriteriaMet({ contains: 'PASS', notContains: 'FAIL' }, 'PASS then FAIL'), false)
+    assert.equal(exitCriteriaMet({ matches: '^RESULT: ok$' }, 'log\nRESULT: ok\n'), true)
+  })
+})
+
+describe('loading workflows from a repo', () => {
+  let repo
+  before(() => {
+    repo = mkdtempSync(join(tmpdir(), 'chroxy-workflows-'))
+    const dir = join(repo, '.chroxy', 'workflows')
+    mkdirSync(dir, { recursive: true })
+    mkdirSync(join(repo, 'src', 'deep'), { recursive: true })
+    writeFileSync(join(dir, 'ship.yml'), SHIP)
+    writeFileSync(join(dir, 'broken.yaml'), 'steps:\n  - id: a\n')
+    writeFileSync(join(dir, 'twice.yml'), 'steps:\n  - { id: a, prompt: x }\n')
+    writeFileSync(join(dir, 'twice.json'), '{"steps":[{"id":"a","prompt":"x"}]}')
+    writeFileSync(join(dir, 'notes.txt'), 'ignored')
+  })
+  after(() => rmSync(repo, { recursive: true, force: true }))
+
+  it('findWorkflowRoot walks up from a subdirectory', () => {
+    assert.equal(findWorkflowRoot(join(repo, 'src', 'deep')), repo)
+    assert.equal(findWorkflowRoot(tmpdir()), null)
+  })
+
+  it('loadWorkflows reports bad and ambiguous files without hiding the valid ones', () => {
+    const { workflows, errors } = loadWorkflows(repo)
+    assert.deepEqual(workflows.map((w) => w.name), ['ship'])
+    assert.equal(workflows[0].file, join(repo, '.chroxy', 'workflows', 'ship.yml'))
+    assert.deepEqual(errors.map((e) => e.name).sort(), ['broken', 'twice', 'twice'])
+    assert.match(errors.find((e) => e.name === 'broken').error, /steps\[0\]\.prompt: is required/)
+  })
+
+  it('loadWorkflow finds one by name and refuses missing, ambiguous or path-like names', () => {
+    assert.equal(loadWorkflow(repo, 'ship').steps.length, 3)
+    assert.throws(() => loadWorkflow(repo, 'nope'), /no workflow named "nope"/)
+    assert.throws(() => loadWorkflow(repo, 'twice'), /more than one file/)
+    assert.throws(() => loadWorkflow(repo, '../ship'), /not a valid workflow name/)
+  })
+})
@@ -0,0 +1,264 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { RunLedger } from '../src/orchestration/run-ledger.js'
+import { TurnError } from '../src/orchestration/turn-driver.js'
+import { WorkflowRunner, WorkflowRunError } from '../src/workflows/workflow-runner.js'
+
+/**
+ * WorkflowRunner against a stub session manager and turn driver, on a real
+ * RunLedger: step order and routing, outputs passed forward, approval and
+ * budget gates, cancel, the loop guard and the unattended posture.
+ */
+
+function makeSessionManager() {
+  const sm = new EventEmitter()
+  sm.providerType = 'claude-sdk'
+  sm.created = []
+  sm.destroyed = []
+  sm.interrupted = []
+  sm.createSession = (opts) => {
+    const id = `s${sm.created.length + 1}`
+    sm.created.push({ id, ...opts })
+    return id
+  }
+  sm.getSession = (id) => ({ session: { interrupt: () => sm.interrupted.push(id), respondToPermission: () => {} } })
+  sm.destroySession = (id) => sm.destroyed.push(id)
+  return sm
+}
+
+// Each turn answers with the next scripted reply (a string, an Error, or a
+// function of the prompt returning one — or a promise, to hold the turn).
+function makeTurnDriver(replies) {
+  const calls = []
+  return {
+    calls,
+    driveTurn: async (sessionId, prompt, opts) => {
+      calls.push({ sessionId, prompt, opts })
+      let reply = replies.shift()
+      if (typeof reply === 'function') reply = await reply(prompt, sessionId)
+      if (reply instanceof Error) throw reply
+      const { text, cost = 0.1 } = typeof reply === 'string' ? { text: reply } : reply
+      return { text, result: { cost } }
+    },
+    dispose: () => {},
+  }
+}
+
+const untilStatus = async (runner, runId, status) => {
+  for (let i = 0; i < 200; i++) {
+    if (runner.getRun(runId).status === status) return
+    await new Promise((r) => setImmediate(r))
+  }
+  assert.fail(`run never reached ${status} (is ${runner.getRun(runId).status})`)
+}
+
+describe('WorkflowRunner', () => {
+  let repo
+  let ledger
+  let sm
+  let runners
+
+  function writeWorkflow(name, text) {
+    writeFileSync(join(repo, '.chroxy', 'workflows', `${name}.yml`), text)
+  }
+
+  function makeRunner(replies, opts = {}) {
+    const turnDriver = makeTurnDriver(replies)
+    const runner = new WorkflowRunner({
+      sessionManager: sm,
+      ledger,
+      turnDriver,
+      getProviderClass: () => ({ capabilities: { inProcessPermissions: true } }),
+      ...opts,
+    })
+    runners.push(runner)
+    return { runner, turnDriver }
+  }
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), 'chroxy-wf-runner-'))
+    mkdirSync(join(repo, '.chroxy', 'workflows'), { recursive: true })
+    ledger = new RunLedger({ baseDir: join(repo, 'ledger'), saveDebounceMs: 0 })
+    sm = makeSessionManager()
+    runners = []
+    writeWorkflow('fix', [
+      'inputs:',
+      '  issue:',
+      'steps:',
+      '  - id: plan',
+      '    prompt: Plan a fix for {{inputs.issue}}.',
+      '  - id: implement',
+      '    prompt: "Implement this plan: {{steps.plan.output}}"',
+      '  - id: test',
+      '    session: implement',
+      '    prompt: Run the tests. End with PASS or FAIL.',
+      '    exit: { contains: PASS }',
+      '    onFailure: implement',
+      '    maxVisits: 2',
+    ].join('\n'))
+  })
+
+  afterEach(() => {
+    for (const r of runners) r.dispose()
+    ledger.dispose()
+    rmSync(repo, { recursive: true, force: true })
+  })
+
+  it('runs the steps in order, passing outputs forward and continuing sessions', async () => {
+    const { runner, turnDriver } = makeRunner(['the plan', 'done', 'all PASS'])
+    const started = runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'the crash' }, trigger: 'cli' })
+    assert.equal(started.workflow, 'fix')
+    const run = await runner.waitForRun(started.runId)
+    assert.equal(run.status, 'completed')
+    assert.deepEqual(turnDriver.calls.map((c) => c.prompt), [
+      'Plan a fix for the crash.',
+      'Implement this plan: the plan',
+      'Run the tests. End with PASS or FAIL.',
+    ])
+    // `session: implement` reuses that step's session; every session is torn down.
+    assert.deepEqual(turnDriver.calls.map((c) => c.sessionId), ['s1', 's2', 's2'])
+    assert.deepEqual(sm.destroyed.sort(), ['s1', 's2'])
+    assert.equal(sm.created[0].cwd, repo)
+    assert.equal(sm.created[0].skipPermissions, false)
+    assert.deepEqual(run.steps.map((s) => [s.subtaskId, s.status]), [['plan.1', 'done'], ['implement.1', 'done'], ['test.1', 'done']])
+    assert.equal(run.outputs.test.status, 'succeeded')
+    assert.equal(run.costUsd.toFixed(2), '0.30')
+    assert.equal(run.trigger, 'cli')
+  })
+
+  it('routes a step whose exit criteria fail to onFailure, and stops a loop at maxVisits', async () => {
+    const { runner } = makeRunner(['plan', 'try 1', 'FAIL', 'try 2', 'PASS'])
+    const ok = await runner.waitForRun(runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' } }).runId)
+    assert.equal(ok.status, 'completed')
+    assert.deepEqual(ok.steps.map((s) => s.subtaskId), ['plan.1', 'implement.1', 'test.1', 'implement.2', 'test.2'])
+    assert.equal(ok.steps[2].status, 'failed')
+
+    const { runner: looping } = makeRunner(['plan', 'try', 'FAIL', 'try', 'FAIL', 'try'])
+    const failed = await looping.waitForRun(looping.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' } }).runId)
+    assert.equal(failed.status, 'failed')
+    assert.match(failed.statusReason, /step "test" was entered 3 times \(maxVisits 2\)/)
+  })
+
+  it('fails the run when a step fails with nowhere to go, and on a lost session', async () => {
+    writeWorkflow('one', 'steps:\n  - id: only\n    prompt: go\n    exit: { contains: OK }\n')
+    const { runner } = makeRunner(['nope', new TurnError('SESSION_GONE', 'session went away')])
+    const failed = await runner.waitForRun(runner.startRun({ cwd: repo, name: 'one' }).runId)
+    assert.equal(failed.status, 'failed')
+    assert.match(failed.statusReason, /step "only" failed: exit criteria not met/)
+    const gone = await runner.waitForRun(runner.startRun({ cwd: repo, name: 'one' }).runId)
+    assert.equal(gone.status, 'failed')
+    assert.match(gone.statusReason, /session went away/)
+  })
+
+  it('holds at an approval gate, then runs the step on approve or routes onReject', async () => {
+    writeWorkflow('gated', [
+      'steps:',
+      '  - id: draft',
+      '    prompt: draft it',
+      '  - id: publish',
+      '    approval: "Publish {{steps.draft.output}}?"',
+      '    onReject: end',
+      '    prompt: publish it',
+    ].join('\n'))
+    const { runner, turnDriver } = makeRunner(['v1', 'published', 'v2'])
+    const a = runner.startRun({ cwd: repo, name: 'gated' })
+    await untilStatus(runner, a.runId, 'paused')
+    const held = runner.getRun(a.runId)
+    assert.deepEqual(
+      { stepId: held.pendingApproval.stepId, kind: held.pendingApproval.kind, message: held.pendingApproval.message },
+      { stepId: 'publish', kind: 'step', message: 'Publish v1?' },
+    )
+    assert.throws(() => runner.resolveApproval(a.runId, { decision: 'maybe' }), (err) => err.code === 'INVALID')
+    runner.resolveApproval(a.runId, { decision: 'approve' })
+    const approved = await runner.waitForRun(a.runId)
+    assert.equal(approved.status, 'completed')
+    assert.equal(approved.pendingApproval, null)
+    assert.equal(turnDriver.calls.length, 2)
+
+    const b = runner.startRun({ cwd: repo, name: 'gated' })
+    await untilStatus(runner, b.runId, 'paused')
+    runner.resolveApproval(b.runId, { decision: 'reject', note: 'not yet' })
+    const rejected = await runner.waitForRun(b.runId)
+    assert.equal(rejected.status, 'completed')
+    assert.equal(rejected.outputs.publish.status, 'rejected')
+    assert.equal(rejected.steps.find((s) => s.stepId === 'publish').status, 'skipped')
+    assert.equal(turnDriver.calls.length, 3)
+    assert.throws(() => runner.resolveApproval(b.runId, { decision: 'approve' }), (err) => err.code === 'CONFLICT')
+  })
+
+  it('holds at the budget cap until an approval raises it above what was spent', async () => {
+    writeWorkflow('pricey', 'budget: { maxUsd: 1 }\nsteps:\n  - id: a\n    prompt: a\n  - id: b\n    prompt: b\n')
+    const { runner } = makeRunner([{ text: 'a', cost: 1.5 }, { text: 'b', cost: 0.2 }])
+    const { runId } = runner.startRun({ cwd: repo, name: 'pricey' })
+    await untilStatus(runner, runId, 'budget_paused')
+    assert.equal(runner.getRun(runId).pendingApproval.kind, 'budget')
+    assert.throws(() => runner.resolveApproval(runId, { decision: 'approve', budgetUsd: 1.2 }), /approve with a budgetUsd above that/)
+    runner.resolveApproval(runId, { decision: 'approve', budgetUsd: 3 })
+    const run = await runner.waitForRun(runId)
+    assert.equal(run.status, 'completed')
+    assert.equal(run.budgetUsd, 3)
+  })
+
+  it('cancels a run mid-turn, interrupting the session', async () => {
+    let release
+    const { runner } = makeRunner([() => new Promise((resolve) => { release = resolve })])
+    const { runId } = runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' } })
+    await untilStatus(runner, runId, 'executing')
+    while (!release) await new Promise((r) => setImmediate(r))
+    runner.cancelRun(runId, { reason: 'changed my mind' })
+    assert.deepEqual(sm.interrupted, ['s1'])
+    release(new TurnError('TURN_STOPPED', 'interrupted'))
+    const run = await runner.waitForRun(runId)
+    assert.equal(run.status, 'cancelled')
+    assert.equal(run.statusReason, 'changed my mind')
+    assert.equal(run.steps[0].status, 'interrupted')
+    assert.throws(() => runner.cancelRun(runId), (err) => err.code === 'CONFLICT')
+  })
+
+  it('refuses bad starts before recording anything', () => {
+    writeWorkflow('gated', 'steps:\n  - id: a\n    approval: true\n    prompt: a\n')
+    const { runner } = makeRunner([], { validateCwd: (cwd) => (cwd.endsWith('blocked') ? 'outside the allowlist' : null) })
+    const code = (fn) => { try { fn(); return null } catch (err) { assert.ok(err instanceof WorkflowRunError); return err.code } }
+    assert.equal(code(() => runner.startRun({ cwd: 'relative', name: 'fix' })), 'INVALID')
+    assert.equal(code(() => runner.startRun({ cwd: join(repo, 'blocked'), name: 'fix' })), 'INVALID')
+    assert.equal(code(() => runner.startRun({ cwd: repo, name: 'missing' })), 'NOT_FOUND')
+    assert.equal(code(() => runner.startRun({ cwd: repo, name: 'fix' })), 'INVALID') // required input
+    assert.equal(code(() => runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' }, budgetUsd: -1 })), 'INVALID')
+    assert.equal(code(() => runner.startRun({ cwd: repo, name: 'gated', unattended: true })), 'INVALID')
+    assert.deepEqual(runner.listRuns(), [])
+  })
+
+  it('refuses to start past the concurrency limit', async () => {
+    const { runner } = makeRunner([() => new Promise(() => {})], { maxConcurrentRuns: 1 })
+    runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' } })
+    assert.throws(() => runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'y' } }), (err) => err.code === 'BUSY')
+  })
+
+  it('fails an unattended run that raises a permission prompt, denying it', async () => {
+    let release
+    const { runner } = makeRunner([() => new Promise((resolve) => { release = resolve })])
+    const { runId } = runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' }, trigger: 'schedule', unattended: true })
+    while (!release) await new Promise((r) => setImmediate(r))
+    assert.equal(sm.created[0].permissionMode, 'approve')
+    sm.emit('session_event', { sessionId: 's1', event: 'permission_request', data: { requestId: 'p1', toolName: 'Bash' } })
+    assert.deepEqual(sm.interrupted, ['s1'])
+    release(new TurnError('TURN_STOPPED', 'interrupted'))
+    const run = await runner.waitForRun(runId)
+    assert.equal(run.status, 'failed')
+    assert.match(run.statusReason, /needed permission for Bash but the run is unattended/)
+  })
+
+  it('dispose fails every run in flight synchronously', () => {
+    const { runner } = makeRunner([() => new Promise(() => {})])
+    const { runId } = runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' } })
+    runner.dispose()
+    const run = runner.getRun(runId)
+    assert.equal(run.status, 'failed')
+    assert.equal(run.statusReason, 'interrupted by daemon shutdown')
+    assert.throws(() => runner.startRun({ cwd: repo, name: 'fix', inputs: { issue: 'x' } }), (err) => err.code === 'CONFLICT')
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseWorkflowYaml, WorkflowYamlError } from '../src/workflows/workflow-yaml.js'
+
+/**
+ * The YAML subset workflow files are written in: what a workflow needs parses
+ * the way YAML would, and everything outside the subset is refused with the
+ * line it is on rather than guessed at.
+ */
+
+describe('parseWorkflowYaml', () => {
+  it('parses nested mappings, sequences and scalar types', () => {
+    const doc = parseWorkflowYaml([
+      '---',
+      '# a workflow',
+      'title: Ship it',
+      'budget: { maxUsd: 2.5 }',
+      'inputs:',
+      '  feature:',
+      '  base: main',
+      'steps:',
+      '  - id: a',
+      '    exit: { contains: [PASS, OK] }',
+      '    maxVisits: 3',
+      '    approval: true',
+    ].join('\n'))
+    assert.deepEqual(doc, {
+      title: 'Ship it',
+      budget: { maxUsd: 2.5 },
+      inputs: { feature: null, base: 'main' },
+      steps: [{ id: 'a', exit: { contains: ['PASS', 'OK'] }, maxVisits: 3, approval: true }],
+    })
+  })
+
+  it('accepts a sequence written at its parent key\'s indent', () => {
+    assert.deepEqual(parseWorkflowYaml('steps:\n- id: a\n- id: b\nnext: x'), {
+      steps: [{ id: 'a' }, { id: 'b' }],
+      next: 'x',
+    })
+  })
+
+  it('reads literal and folded block scalars with chomping', () => {
+    const doc = parseWorkflowYaml([
+      'literal: |',
+      '  line one',
+      '    indented',
+      '',
+      'folded: >-',
+      '  joined',
+      '  together',
+      '',
+      '  new paragraph',
+      'kept: |+',
+      '  x',
+      '',
+    ].join('\n'))
+    assert.equal(doc.literal, 'line one\n  indented\n')
+    assert.equal(doc.folded, 'joined together\nnew paragraph')
+    assert.equal(doc.kept, 'x\n\n')
+  })
+
+  it('handles quotes, escapes and comments', () => {
+    const doc = parseWorkflowYaml([
+      'a: "tab\\tquote\\" # not a comment"',
+      "b: 'it''s'",
+      'c: plain # a comment',
+      "d: it's plain",
+      'e: http://example.com/x',
+      'f: "{{steps.a.output}}"',
+    ].join('\n'))
+    assert.equal(doc.a, 'tab\tquote" # not a comment')
+    assert.equal(doc.b, "it's")
+    assert.equal(doc.c, 'plain')
+    assert.equal(doc.d, "it's plain")
+    assert.equal(doc.e, 'http://example.com/x')
+    assert.equal(doc.f, '{{steps.a.output}}')
+  })
+
+  it('returns null for an empty document', () => {
+    assert.equal(parseWorkflowYaml(''), null)
+    assert.equal(parseWorkflowYaml('# only a comment\n'), null)
+  })
+
+  it('refuses what the subset does not support, naming the line', () => {
+    const cases = [
+      ['a: 1\n\tb: 2', /line 2: tabs/],
+      ['a: &x 1', /anchors, aliases and tags/],
+      ['a: 1\na: 2', /line 2: duplicate key "a"/],
+      ['a: 1\n---\nb: 2', /multiple documents/],
+      ['a:\n  b: 1\n c: 2', /line 3/],
+      ['a: [1, 2', /unterminated flow sequence/],
+    ]
+    for (const [text, re] of cases) {
+      assert.throws(() => parseWorkflowYaml(text), (err) => err instanceof WorkflowYamlError && re.test(err.message), text)
+    }
+  })
+
+  it('never lets a __proto__ key reach the prototype chain', () => {
+    const doc = parseWorkflowYaml('__proto__:\n  polluted: true')
+    assert.equal({}.polluted, undefined)
+    assert.deepEqual(Object.keys(doc), ['__proto__'])
+  })
+})
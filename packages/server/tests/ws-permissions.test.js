@@ -3,6 +3,7 @@ import assert from 'node:assert/strict'
 import { EventEmitter } from 'node:events'
 import { createPermissionHandler, sanitizeToolInput } from '../src/ws-permissions.js'
 import { addLogListener, getLogLevel, removeLogListener, setLogLevel } from '../src/logger.js'
+import { metrics } from '../src/metrics.js'
 
 /**
  * ws-permissions.js unit tests (#1730)
@@ -493,6 +494,32 @@ describe('createPermissionHandler', () => {
         'push data must carry the owning sessionId so a notification tap can route to it (#6792)')
     })
 
+    it('labels the permission wait with the owning session\'s provider', async () => {
+      metrics.reset()
+      const ownerSession = {
+        notifyPermissionPending: mock.fn(),
+        notifyPermissionResolved: mock.fn(),
+      }
+      const findSessionByHookSecret = mock.fn(() => ({
+        session: ownerSession,
+        sessionId: 'chroxy-sess-wait',
+        provider: 'claude-tui',
+      }))
+      const opts = makeHandlerOpts({ findSessionByHookSecret })
+      const { handlePermissionRequest, destroy } = createPermissionHandler(opts)
+      destroyFn = destroy
+      const body = JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'ls' } })
+      handlePermissionRequest(makeReq(body, { authorization: 'Bearer hook-secret-wait' }), makeRes())
+      await new Promise(r => setImmediate(r))
+
+      const [pending] = opts.pendingPermissions.values()
+      pending.resolve('allow')
+      const waits = metrics.families().histograms.find((f) => f.name === 'permission.wait_seconds')
+      assert.deepEqual(waits.series.map((s) => s.labels), [
+        { decision: 'allow', path: 'hook', provider: 'claude-tui' },
+      ])
+    })
+
     it('omits sessionId from the push data when the request maps to no chroxy session (#6792)', async () => {
       // No hook secret → ownerSessionId stays null → the push must not
       // invent a sessionId, matching the broadcast's #5667 convention.
@@ -66,4 +66,22 @@ describe('Conversation schemas in ClientMessageSchema (#2154)', () => {
     })
     assert.ok(!result.success, 'Should reject empty query string')
   })
+
+  it('search_conversations accepts the index filters', () => {
+    const result = SearchConversationsSchema.safeParse({
+      type: 'search_conversations',
+      query: '"race condition" websocket',
+      repo: '/home/dev/Projects/chroxy',
+      provider: 'codex',
+      role: 'assistant',
+      since: 1_700_000_000_000,
+      until: 1_800_000_000_000,
+    })
+    assert.ok(result.success, 'Should accept repo/provider/role/since/until filters')
+  })
+
+  it('search_conversations rejects an unknown role and a negative bound', () => {
+    assert.ok(!SearchConversationsSchema.safeParse({ type: 'search_conversations', query: 'x', role: 'system' }).success)
+    assert.ok(!SearchConversationsSchema.safeParse({ type: 'search_conversations', query: 'x', since: -1 }).success)
+  })
 })
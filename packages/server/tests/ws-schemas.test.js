@@ -219,6 +219,15 @@ describe('CreateSessionSchema', () => {
     }
   })
 
+  it('accepts the bwrap sandbox forms alongside SDK sandbox settings', () => {
+    for (const sandbox of ['bwrap', { mode: 'bwrap' }, { mode: 'bwrap', network: false, home: 'hidden' }, { network: { allowedDomains: ['example.com'] } }]) {
+      const result = CreateSessionSchema.safeParse({ type: 'create_session', name: 'dev', sandbox })
+      assert.ok(result.success, `Should accept sandbox ${JSON.stringify(sandbox)}`)
+      assert.deepEqual(result.data.sandbox, sandbox)
+    }
+    assert.ok(!CreateSessionSchema.safeParse({ type: 'create_session', name: 'dev', sandbox: 'firejail' }).success)
+  })
+
   it('rejects invalid isolation values (#2475)', () => {
     const result = CreateSessionSchema.safeParse({ type: 'create_session', name: 'dev', isolation: 'docker' })
     assert.ok(!result.success)
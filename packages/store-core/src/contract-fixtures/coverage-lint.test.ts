@@ -207,6 +207,26 @@ const NO_SWITCH_CONTRACT_BY_DESIGN = new Set<string>([
   // (window.history.replaceState); the app persists via the mocked SecureStore +
   // the mocked connection-lifecycle store (setSavedConnection). No main-store set().
   'token_rotated',
+  // git_conflicts_result / git_conflict_result — the GitView Conflicts tab's
+  // one-shot replies. Both clients only validate the payload and hand it to the
+  // registered imperative callback (dashboard `_gitConflictsCallback` /
+  // `_gitConflictCallback`, app `getCallback('gitConflicts' | 'gitConflict')`);
+  // neither writes a main-store slice. The panel tests cover the effect.
+  'git_conflicts_result',
+  'git_conflict_result',
+  // git_log_result / git_show_result / git_blame_result / git_branch_result —
+  // the History tab and branch actions, same shape: validate, then hand to the
+  // registered callback (dashboard `_gitLogCallback` etc., app
+  // `getCallback('gitLog' | 'gitShow' | 'gitBlame' | 'gitBranch')`).
+  'git_log_result',
+  'git_show_result',
+  'git_blame_result',
+  'git_branch_result',
+  // session_forked — the fork_session reply only raises a one-line notice
+  // (dashboard info toast, app Alert) worded by the shared
+  // formatSessionForkedNotice; the session_switched behind it does the
+  // re-home, which has its own fixture.
+  'session_forked',
 ])
 
 // ---------------------------------------------------------------------------
@@ -248,9 +268,11 @@ describe('both-clients SWITCH_FIXTURES coverage lint (#5619)', () => {
     // the floor) lowers it — adjust both bounds in the same PR. Keep the band
     // TIGHT around the real count so the "fail loudly" intent stays sharp. Band
     // last lowered for #6449 slice 1 (raw / raw_background / terminal_output
-    // migrated out to the shared dispatch table; universe down to 37).
-    expect(both.length).toBeGreaterThanOrEqual(35)
-    expect(both.length).toBeLessThanOrEqual(45)
+    // migrated out to the shared dispatch table; universe down to 37), then
+    // raised when the app gained the git history / branch results and
+    // session_forked (universe up to 46).
+    expect(both.length).toBeGreaterThanOrEqual(42)
+    expect(both.length).toBeLessThanOrEqual(50)
   })
 
   it('every both-clients switch type has a fixture, a PENDING entry, or a by-design exemption', () => {
@@ -149,6 +149,10 @@ function clientCoverage(): { inApp: (t: string) => boolean; inDash: (t: string)
 // budget meter); mobile parity is a tracked follow-up under the cited epic.
 const DASHBOARD_ONLY = new Set<string>([
   'git_create_pr_result',       // #6876 in-app PR creation reply — GitPanel "Create PR" flow is dashboard-only for v1; mobile PR-creation UI is a tracked follow-up
+  'slack_notifications_config', // Slack sink config reply (value-free) — set from the dashboard's Settings → Notifications pane; mobile configures push, not channel sinks
+  // git_log_result / git_show_result / git_blame_result / git_branch_result
+  // removed — the app's GitView gained the same History tab and branch actions,
+  // so they are handled by both clients.
   'shell_pending_approval',     // #6277 host-local user-shell approval — "waiting for host approval" banner; dashboard-only for v1, mobile parity deferred
   // activity_snapshot / activity_delta removed — the mobile app now feeds them
   // too (#6246/#6247, the Phase-2 mobile-parity fast-follow per epic #5159), so
@@ -161,6 +165,7 @@ const DASHBOARD_ONLY = new Set<string>([
   'symbol_location',            // #6475 (epic #6469) opt-in IDE go-to-definition result — dashboard file viewer cmd/ctrl+click jump; dashboard-only for v1, mobile parity deferred
   'code_search_results',        // #6474 (epic #6469) opt-in IDE find-in-project results — dashboard Cmd+Shift+F palette; distinct from cross-session `search_results`; dashboard-only for v1
   'references_result',          // #6477 (epic #6469) opt-in IDE find-all-references — dashboard references palette (alt+click); dashboard-only for v1
+  'symbol_hover',               // #6479 (epic #6469) opt-in IDE language-server hover + diagnostics — dashboard file viewer shift+click card; dashboard-only for v1
   'terminal_size',              // authoritative PTY grid for letterboxing — app terminal parity is still partial (#5987)
   // #6332 (batch 2b of #6314): the container/worktree environment lifecycle —
   // dashboard-only by design (the app has no environment surface). Schemaing
@@ -222,6 +227,10 @@ const DASHBOARD_ONLY = new Set<string>([
   'skills_inventory_snapshot',  // Control Room Skills inventory survey (#5554) — dashboard-only
   'skills_list',                // skills list response (#3209) — dashboard-only for v1
   'summarize_session_result',   // sidebar "Summarize & start new session" reply (#5547) — dashboard-only
+  // session_forked removed — the app's chat selection bar forks too, so both
+  // clients handle the reply.
+  'provider_switched',          // switch_provider reply — the Switch provider action is dashboard-only for v1
+  'provider_failover',          // automatic failover note — the failover chip is dashboard-only for v1
   // Orchestration harness (#6691, S-3 #6702): the Control Room Runs tab —
   // dashboard-only v1 per the design's locked decisions; mobile parity is an
   // explicit fast-follow. Moved here from UNHANDLED_BY_DESIGN when the
@@ -251,6 +260,12 @@ const UNHANDLED_BY_DESIGN = new Set<string>([
   // rate_limited — now handled in both clients' switch (#6334): a system throttle
   // notice (handleRateLimited), with a both-clients SWITCH_FIXTURES entry. Removed
   // from this set (it has a real handler + contract fixture now).
+  'export_session_result',                // reply to export_session — a programmatic WS surface; the CLI uses the
+                                          //   HTTP export route and neither UI has an export control yet
+  'workflows_snapshot',                   // workflows WS surface — programmatic for now; `chroxy workflow` uses the
+  'workflow_run_snapshot',                //   daemon's HTTP routes and neither UI has a workflows panel yet
+  'workflow_run_update',
+  'workflow_action_ack',
   'extension_message',                    // routed to the extension framework, not the main switch
   'pair_request_pending',                 // pairing-approval primitive (#5510) — consumed by the requester's
                                           //   dedicated request-pairing socket, not the main dispatch
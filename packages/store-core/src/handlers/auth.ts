@@ -16,6 +16,8 @@
 import { parseEnumField, parseRawStringField, parseUnknownArrayField } from './_shared'
 import { handleAvailablePermissionModes } from './permission'
 import type { PermissionMode } from './permission'
+import { parseTokenScope } from '../token-scope'
+import type { TokenScope } from '../token-scope'
 
 /**
  * Server mode advertised by the WS protocol.
@@ -154,6 +156,11 @@ export interface AuthOkPayload {
    * (older server) — consumers then fall back to the discrete frame.
    */
   availablePermissionModes: PermissionMode[] | null
+  /**
+   * This connection's device-token scope (see ../token-scope). Never null —
+   * an absent field is `full`, an unrecognised one `observe`.
+   */
+  tokenScope: TokenScope
 }
 
 const DEFAULT_WEB_FEATURES: AuthOkWebFeatures = {
@@ -242,6 +249,7 @@ export function handleAuthOk(msg: Record<string, unknown>): AuthOkPayload {
     availablePermissionModes: Array.isArray(msg.availablePermissionModes)
       ? handleAvailablePermissionModes({ modes: msg.availablePermissionModes })
       : null,
+    tokenScope: parseTokenScope(msg.tokenScope),
   }
 }
 
@@ -1471,6 +1471,7 @@ describe('handleAuthOk', () => {
         { id: 'approve', label: 'Approve' },
         { id: 'auto', label: 'Auto' },
       ],
+      tokenScope: 'approve',
     })
     expect(result).toEqual({
       serverMode: 'cli',
@@ -1495,6 +1496,7 @@ describe('handleAuthOk', () => {
         { id: 'approve', label: 'Approve' },
         { id: 'auto', label: 'Auto' },
       ],
+      tokenScope: 'approve',
     })
   })
 
@@ -1749,6 +1751,7 @@ describe('handleAuthOk', () => {
       newIdentityKey: null,
       rotationCert: null,
       availablePermissionModes: null,
+      tokenScope: 'full',
     })
   })
 })
@@ -7096,6 +7099,59 @@ describe('handleMessage', () => {
     })
   })
 
+  // A Docker-isolated session's egress proxy refused a request; the server
+  // emits an `egress_blocked` system message carrying the host, port, policy
+  // and a repeat count.
+  describe('egressBlocked preservation', () => {
+    function blocked(egressBlocked: unknown, messageType = 'system') {
+      return handleMessage(
+        {
+          messageType,
+          subtype: 'egress_blocked',
+          content: 'Network egress blocked: evil.example:443 is not allowed by the "none" policy',
+          egressBlocked,
+          timestamp: 100,
+        },
+        'sess-active',
+        false,
+        [],
+      )
+    }
+
+    it('preserves a well-formed block', () => {
+      const out = blocked({ host: 'evil.example', port: 443, policy: 'none', count: 2 })
+      expect(out.shouldDispatch).toBe(true)
+      if (out.shouldDispatch) {
+        expect(out.chatMessage.egressBlocked).toEqual({ host: 'evil.example', port: 443, policy: 'none', count: 2 })
+      }
+    })
+
+    it('caps the host and reads a missing count as 1', () => {
+      const out = blocked({ host: 'h'.repeat(500), port: 80, policy: 'allowlist' })
+      if (out.shouldDispatch) {
+        expect(out.chatMessage.egressBlocked!.host.length).toBe(260)
+        expect(out.chatMessage.egressBlocked!.count).toBe(1)
+      }
+    })
+
+    it('drops a block with an unknown policy or a bad port', () => {
+      for (const bad of [
+        { host: 'a.example', port: 443, policy: 'firewalled' },
+        { host: 'a.example', port: 0, policy: 'none' },
+        { host: 'a.example', port: '443', policy: 'none' },
+      ]) {
+        const out = blocked(bad)
+        expect(out.shouldDispatch).toBe(true)
+        if (out.shouldDispatch) expect(out.chatMessage.egressBlocked).toBeUndefined()
+      }
+    })
+
+    it('does NOT attach egressBlocked to a non-system message', () => {
+      const out = blocked({ host: 'evil.example', port: 443, policy: 'none' }, 'response')
+      if (out.shouldDispatch) expect(out.chatMessage.egressBlocked).toBeUndefined()
+    })
+  })
+
   // #6845: server (byok-session.js) expands a `/mcp__server__prompt` slash
   // command via the MCP server's `prompts/get` and injects the returned
   // SERVER-CONTROLLED text as the user turn — but the transcript only shows the
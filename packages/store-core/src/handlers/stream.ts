@@ -14,7 +14,7 @@ import type { ActiveTool, ChatMessage, ContextOccupancy, ContextUsage, ToolResul
 import { nextMessageId } from '../utils'
 import { isReplayDuplicate } from '../replay-dedup'
 import { resolveStreamId } from '../stream-id'
-import { isRateLimitMessage, MAX_SANE_DURATION_MS } from '@chroxy/protocol'
+import { isRateLimitMessage, MAX_SANE_DURATION_MS, EGRESS_POLICIES } from '@chroxy/protocol'
 import { parseRawStringField } from './_shared'
 
 // ---------------------------------------------------------------------------
@@ -173,6 +173,24 @@ function parseMcpPromptExpansion(value: unknown): ChatMessage['mcpPromptExpansio
   }
 }
 
+/**
+ * Parse the `egressBlocked` payload of an `egress_blocked` system message.
+ * Mirrors the server normalizer's `boundedEgressBlocked`: the whole marker is
+ * dropped unless host, port and policy are usable, the host (untrusted text
+ * from inside the container) is capped at 260 characters and a missing or bad
+ * count reads as 1.
+ */
+function parseEgressBlocked(value: unknown): ChatMessage['egressBlocked'] {
+  if (!value || typeof value !== 'object') return undefined
+  const obj = value as Record<string, unknown>
+  if (typeof obj.host !== 'string' || !obj.host) return undefined
+  if (typeof obj.port !== 'number' || !Number.isInteger(obj.port) || obj.port < 1 || obj.port > 65535) return undefined
+  const policy = EGRESS_POLICIES.find((p) => p === obj.policy)
+  if (!policy) return undefined
+  const count = typeof obj.count === 'number' && Number.isInteger(obj.count) && obj.count > 1 ? obj.count : 1
+  return { host: obj.host.slice(0, 260), port: obj.port, policy, count }
+}
+
 export function handleMessage(
   msg: Record<string, unknown>,
   _activeSessionId: string | null,
@@ -294,6 +312,14 @@ export function handleMessage(
           return meta ? { mcpPromptExpansion: meta } : {}
         })()
       : {}),
+    // A request the session's network egress policy blocked. Same gate shape
+    // as the markers above.
+    ...(msgType === 'system' && msg.subtype === 'egress_blocked'
+      ? (() => {
+          const meta = parseEgressBlocked(msg.egressBlocked)
+          return meta ? { egressBlocked: meta } : {}
+        })()
+      : {}),
   }
 
   // Surface rate-limit / usage-limit / quota / overloaded errors prominently (#616).
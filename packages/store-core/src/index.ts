@@ -60,6 +60,13 @@ export {
 } from './memory'
 export type { MemoryAppendParse, AppendMemoryResultPayload } from './memory'
 
+// Fork-from-message: the `session_forked` notice both clients show.
+export { formatSessionForkedNotice } from './session-fork'
+export type { SessionForkedNoticePayload } from './session-fork'
+
+export { parseTokenScope, scopeAllowsInput, scopeAllowsPromptAnswers, tokenScopeFromError } from './token-scope'
+export type { TokenScope } from './token-scope'
+
 // #5555.3 / #5555.4 — lastSeq cursor tracking + no-blank-flash replay reconcile.
 export {
   resetReplayReconcile,
@@ -91,6 +98,11 @@ export type {
   // #6845: structured MCP-prompt expansion marker metadata attached to system
   // ChatMessages parsed from an mcp_prompt_expansion event.
   McpPromptExpansionMeta,
+  // Network egress block marker attached to system ChatMessages parsed from an
+  // egress_blocked event.
+  EgressBlockedMeta,
+  // Provider failover note attached to the error bubble of the turn it acted on.
+  ProviderFailoverMeta,
   SavedConnection,
   ContextUsage,
   // #6769: occupancy snapshot type (the context meter's only honest input).
@@ -125,6 +137,8 @@ export type {
   WebFeatureStatus,
   ConversationSummary,
   SearchResult,
+  ConversationSearchFilters,
+  ConversationSearchRole,
   SlashCommand,
   CustomAgent,
   ConnectionPhase,
@@ -143,6 +157,25 @@ export type {
   DiffHunkLine,
   DiffHunk,
   DiffFile,
+  // Merge-conflict resolution (git_conflicts_result / git_conflict_result)
+  GitConflictOperation,
+  GitConflictKind,
+  GitConflictHunk,
+  GitConflictFile,
+  GitConflictsResult,
+  GitConflictChoice,
+  GitConflictResolution,
+  GitConflictAction,
+  GitConflictResult,
+  // Commit history / blame / branch management (git_log_result / git_show_result /
+  // git_blame_result / git_branch_result)
+  GitLogCommit,
+  GitLogResult,
+  GitShowResult,
+  GitBlameHunk,
+  GitBlameResult,
+  GitBranchAction,
+  GitBranchResult,
 } from './types'
 
 export type {
@@ -490,6 +523,12 @@ export {
 
 export type { DiffLineComment } from './diff-comments'
 
+export {
+  conflictKindLabel,
+  conflictSideDescriptions,
+  composeConflictResolutionPrompt,
+} from './merge-conflicts'
+
 export {
   PROVIDER_LABELS,
   getProviderLabel,
@@ -0,0 +1,90 @@
+/**
+ * Tests for the merge-conflict helpers shared by the dashboard Conflicts view
+ * and the mobile GitView Conflicts tab — the prompt tests double as the
+ * contract that keeps both clients' "ask the agent" turns identical.
+ */
+import { describe, it, expect } from 'vitest'
+import type { GitConflictFile, GitConflictHunk } from './types/git'
+import {
+  conflictKindLabel,
+  conflictSideDescriptions,
+  composeConflictResolutionPrompt,
+} from './merge-conflicts'
+
+function hunk(over: Partial<GitConflictHunk> = {}): GitConflictHunk {
+  return {
+    index: 0,
+    startLine: 12,
+    oursLabel: 'HEAD',
+    theirsLabel: 'feature',
+    baseLabel: null,
+    ours: ['const a = 1'],
+    base: null,
+    theirs: ['const a = 2'],
+    before: [],
+    after: [],
+    ...over,
+  }
+}
+
+function file(over: Partial<GitConflictFile> = {}): GitConflictFile {
+  return {
+    path: 'src/a.ts',
+    kind: 'both_modified',
+    hash: 'h',
+    binary: false,
+    tooLarge: false,
+    hunks: [hunk()],
+    ...over,
+  }
+}
+
+describe('conflictKindLabel', () => {
+  it('labels every kind', () => {
+    expect(conflictKindLabel('both_modified')).toBe('both modified')
+    expect(conflictKindLabel('deleted_by_them')).toBe('deleted by them')
+  })
+})
+
+describe('conflictSideDescriptions', () => {
+  it('swaps the meaning of ours / theirs during a rebase', () => {
+    expect(conflictSideDescriptions('merge').ours).toBe('current branch')
+    expect(conflictSideDescriptions('rebase').ours).toMatch(/rebased onto/)
+    expect(conflictSideDescriptions('rebase').theirs).toMatch(/replayed/)
+  })
+})
+
+describe('composeConflictResolutionPrompt', () => {
+  it('lists each hunk\'s sides with their labels and line', () => {
+    const prompt = composeConflictResolutionPrompt(
+      file({ hunks: [hunk(), hunk({ index: 1, startLine: 40, base: ['const a = 0'], baseLabel: 'base' })] }),
+      'merge',
+    )
+    expect(prompt).toContain('Please resolve the merge conflict in src/a.ts during a merge (both modified).')
+    expect(prompt).toContain('It has 2 conflict hunks.')
+    expect(prompt).toContain('Hunk 1 (line 12):')
+    expect(prompt).toContain('Hunk 2 (line 40):')
+    expect(prompt).toContain('  ours (HEAD):')
+    expect(prompt).toContain('  base (base):')
+    expect(prompt).toContain('  theirs (feature):')
+    expect(prompt).toContain('  const a = 2')
+    expect(prompt.endsWith('Do not continue or abort the merge — I will do that.')).toBe(true)
+  })
+
+  it('caps very long sides', () => {
+    const ours = Array.from({ length: 45 }, (_, i) => `line ${i}`)
+    const prompt = composeConflictResolutionPrompt(file({ hunks: [hunk({ ours })] }), 'rebase')
+    expect(prompt).toContain('  line 39')
+    expect(prompt).not.toContain('  line 40')
+    expect(prompt).toContain('(5 more lines)')
+  })
+
+  it('describes conflicts without hunks', () => {
+    expect(composeConflictResolutionPrompt(file({ kind: 'deleted_by_them', hunks: [] }), 'merge'))
+      .toContain('deleted or added the file as a whole')
+    expect(composeConflictResolutionPrompt(file({ binary: true, hunks: [] }), 'merge'))
+      .toContain('binary file')
+    expect(composeConflictResolutionPrompt(file({ tooLarge: true, hunks: [] }), null))
+      .toContain('too large')
+  })
+})
@@ -0,0 +1,103 @@
+/**
+ * Merge-conflict presentation + "ask the agent" prompt composition.
+ *
+ * Pure helpers shared by the dashboard GitPanel Conflicts view and the mobile
+ * GitView Conflicts tab, over the `git_conflicts_result` shapes in
+ * ./types/git. The agent hand-off is a plain user turn sent over the normal
+ * `input` path (the same route as ./diff-comments) — the server never relays
+ * it — so both clients produce byte-identical prompts.
+ */
+import type {
+  GitConflictFile,
+  GitConflictKind,
+  GitConflictOperation,
+} from './types/git'
+
+/** Per-side line cap in the prompt; the agent reads the full file anyway. */
+const MAX_PROMPT_SIDE_LINES = 40
+
+const KIND_LABELS: Record<GitConflictKind, string> = {
+  both_modified: 'both modified',
+  both_added: 'both added',
+  deleted_by_us: 'deleted by us',
+  deleted_by_them: 'deleted by them',
+  added_by_us: 'added by us',
+  added_by_them: 'added by them',
+  both_deleted: 'both deleted',
+}
+
+/** Human label for a conflict kind, e.g. `deleted by them`. */
+export function conflictKindLabel(kind: GitConflictKind): string {
+  return KIND_LABELS[kind] ?? kind
+}
+
+/**
+ * What "ours" and "theirs" mean for the in-progress operation. During a rebase
+ * git swaps them: "ours" is the branch being rebased onto and "theirs" the
+ * commit being replayed, which is the opposite of what most people expect —
+ * so the UI labels the choice buttons with these descriptions.
+ */
+export function conflictSideDescriptions(
+  operation: GitConflictOperation,
+): { ours: string; theirs: string } {
+  switch (operation) {
+    case 'rebase':
+      return { ours: 'upstream (being rebased onto)', theirs: 'your commit being replayed' }
+    case 'cherry-pick':
+      return { ours: 'current branch', theirs: 'the picked commit' }
+    case 'revert':
+      return { ours: 'current branch', theirs: 'the revert' }
+    default:
+      return { ours: 'current branch', theirs: 'incoming branch' }
+  }
+}
+
+function sideBlock(label: string, lines: readonly string[]): string[] {
+  const shown = lines.slice(0, MAX_PROMPT_SIDE_LINES)
+  const out = [`  ${label}:`, '  ```', ...shown.map((l) => `  ${l}`), '  ```']
+  if (lines.length > shown.length) out.push(`  (${lines.length - shown.length} more lines)`)
+  return out
+}
+
+/**
+ * Compose the user turn asking the agent to resolve the conflicts in one file.
+ * Names the operation and what each side means, then lists each remaining
+ * hunk's sides so the agent can start from them. Conflicts without hunks
+ * (modify/delete, binary, too large) get a short description instead. The
+ * agent is asked to leave the operation itself alone so the user stays in
+ * charge of continuing or aborting.
+ */
+export function composeConflictResolutionPrompt(
+  file: GitConflictFile,
+  operation: GitConflictOperation,
+): string {
+  const sides = conflictSideDescriptions(operation)
+  const during = operation ? ` during a ${operation}` : ''
+  const out: string[] = [
+    `Please resolve the merge conflict in ${file.path}${during} (${conflictKindLabel(file.kind)}). "Ours" is the ${sides.ours}; "theirs" is ${sides.theirs}.`,
+  ]
+
+  if (file.hunks.length > 0) {
+    out.push('')
+    out.push(
+      `It has ${file.hunks.length} conflict hunk${file.hunks.length === 1 ? '' : 's'}. Keep the intent of both sides where they are compatible, remove every conflict marker, and make sure the result still builds.`,
+    )
+    for (const hunk of file.hunks) {
+      out.push('')
+      out.push(`Hunk ${hunk.index + 1} (line ${hunk.startLine}):`)
+      out.push(...sideBlock(`ours (${hunk.oursLabel || 'HEAD'})`, hunk.ours))
+      if (hunk.base) out.push(...sideBlock(`base (${hunk.baseLabel || 'common ancestor'})`, hunk.base))
+      out.push(...sideBlock(`theirs (${hunk.theirsLabel || 'incoming'})`, hunk.theirs))
+    }
+  } else if (file.binary) {
+    out.push('', 'It is a binary file, so pick the right version (or regenerate it) rather than editing it.')
+  } else if (file.tooLarge) {
+    out.push('', 'The file is too large to show here; open it and resolve every conflict marker.')
+  } else {
+    out.push('', 'One side deleted or added the file as a whole; decide whether it should exist and what it should contain.')
+  }
+
+  out.push('')
+  out.push(`When the file is resolved, stage it with \`git add\`. Do not continue or abort the ${operation ?? 'merge'} — I will do that.`)
+  return out.join('\n')
+}
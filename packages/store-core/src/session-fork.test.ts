@@ -0,0 +1,24 @@
+/**
+ * Tests for the shared `session_forked` notice — the wording both clients show
+ * after a fork-from-message.
+ */
+import { describe, it, expect } from 'vitest'
+import { formatSessionForkedNotice } from './session-fork'
+
+describe('formatSessionForkedNotice', () => {
+  it('describes a conversation carry into a worktree', () => {
+    expect(formatSessionForkedNotice({ name: 'Fork: Refactor', carry: 'conversation', worktree: true, truncated: false }))
+      .toBe('Forked into "Fork: Refactor" — conversation carried over; working tree copied into its own worktree.')
+  })
+
+  it('flags a shortened transcript carry', () => {
+    const text = formatSessionForkedNotice({ name: 'Try codex', carry: 'transcript', worktree: true, truncated: true })
+    expect(text).toContain('earlier conversation (shortened) will be sent with your first message')
+  })
+
+  it('says when nothing was carried and the directory is shared', () => {
+    const text = formatSessionForkedNotice({ name: 'x', carry: 'none', worktree: false, truncated: false })
+    expect(text).toContain('no earlier conversation to carry')
+    expect(text).toContain('sharing the working directory')
+  })
+})
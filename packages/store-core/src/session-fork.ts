@@ -0,0 +1,26 @@
+/**
+ * Shared wording for the `session_forked` reply to a fork_session.
+ *
+ * The `session_switched` right behind the reply re-homes the client; this only
+ * tells the user what the fork carried (the provider's own conversation vs a
+ * transcript sent with the first message) and whether it got its own worktree.
+ * Shared so the dashboard's info toast and the app's alert say the same thing.
+ */
+
+/** The `session_forked` fields the notice reads (ServerSessionForkedSchema). */
+export interface SessionForkedNoticePayload {
+  name: string
+  carry: 'conversation' | 'transcript' | 'none'
+  worktree: boolean
+  truncated: boolean
+}
+
+/** One-line summary of a completed fork. */
+export function formatSessionForkedNotice({ name, carry, worktree, truncated }: SessionForkedNoticePayload): string {
+  const carried =
+    carry === 'conversation' ? 'conversation carried over'
+      : carry === 'transcript' ? `earlier conversation${truncated ? ' (shortened)' : ''} will be sent with your first message`
+        : 'no earlier conversation to carry'
+  const files = worktree ? 'working tree copied into its own worktree' : 'sharing the working directory (not a git repository)'
+  return `Forked into "${name}" — ${carried}; ${files}.`
+}
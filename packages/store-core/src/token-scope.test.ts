@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import { parseTokenScope, scopeAllowsInput, scopeAllowsPromptAnswers, tokenScopeFromError } from './token-scope'
+
+describe('parseTokenScope', () => {
+  it('treats an absent scope as full and an unknown one as observe', () => {
+    expect(parseTokenScope(undefined)).toBe('full')
+    expect(parseTokenScope(null)).toBe('full')
+    expect(parseTokenScope('approve')).toBe('approve')
+    expect(parseTokenScope('admin')).toBe('observe')
+    expect(parseTokenScope(3)).toBe('observe')
+  })
+})
+
+describe('scope predicates', () => {
+  it('orders observe ⊂ approve ⊂ full', () => {
+    expect([scopeAllowsInput('observe'), scopeAllowsInput('approve'), scopeAllowsInput('full')]).toEqual([false, false, true])
+    expect([scopeAllowsPromptAnswers('observe'), scopeAllowsPromptAnswers('approve'), scopeAllowsPromptAnswers('full')])
+      .toEqual([false, true, true])
+  })
+})
+
+describe('tokenScopeFromError', () => {
+  it('reads the scope off a TOKEN_SCOPE_FORBIDDEN refusal only', () => {
+    expect(tokenScopeFromError({ type: 'error', code: 'TOKEN_SCOPE_FORBIDDEN', scope: 'approve', messageType: 'input' })).toBe('approve')
+    expect(tokenScopeFromError({ type: 'error', code: 'TOKEN_SCOPE_FORBIDDEN' })).toBeNull()
+    expect(tokenScopeFromError({ type: 'error', code: 'SESSION_NOT_FOUND', scope: 'observe' })).toBeNull()
+  })
+})
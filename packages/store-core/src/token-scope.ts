@@ -0,0 +1,45 @@
+/**
+ * Device-token scopes on the client side: which controls this connection's
+ * token lets it use.
+ *
+ * The server enforces the scope per message type (server token-scopes.js) and
+ * answers anything outside it with TOKEN_SCOPE_FORBIDDEN; the clients read the
+ * scope off `auth_ok` so an `observe` or `approve` device never offers the
+ * composer or prompt answers it would be refused. A scope changed from the
+ * Paired Devices panel re-scopes an open connection without a new auth_ok, so
+ * a refusal's `scope` is taken as the current one too.
+ */
+
+import { TOKEN_SCOPES } from '@chroxy/protocol'
+import type { TokenScope } from '@chroxy/protocol'
+
+export type { TokenScope }
+
+/**
+ * Decode a wire scope. Absent means `full` (older servers, and full
+ * connections, omit `auth_ok.tokenScope`); an unrecognised value fails closed
+ * to `observe`, as the server's normalizeTokenScope does.
+ */
+export function parseTokenScope(raw: unknown): TokenScope {
+  if (raw === undefined || raw === null) return 'full'
+  return (TOKEN_SCOPES as readonly unknown[]).includes(raw) ? (raw as TokenScope) : 'observe'
+}
+
+/** Typing into a session — prompts, interrupts, queue edits — needs `full`. */
+export function scopeAllowsInput(scope: TokenScope): boolean {
+  return scope === 'full'
+}
+
+/** Answering permission and question prompts needs `approve` or `full`. */
+export function scopeAllowsPromptAnswers(scope: TokenScope): boolean {
+  return scope !== 'observe'
+}
+
+/**
+ * The scope a TOKEN_SCOPE_FORBIDDEN `error` frame reports, or null for any
+ * other error (or a refusal without a recognisable scope).
+ */
+export function tokenScopeFromError(msg: Record<string, unknown>): TokenScope | null {
+  if (msg.code !== 'TOKEN_SCOPE_FORBIDDEN') return null
+  return (TOKEN_SCOPES as readonly unknown[]).includes(msg.scope) ? (msg.scope as TokenScope) : null
+}
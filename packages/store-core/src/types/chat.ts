@@ -4,6 +4,8 @@
  * Re-exported via ../types (barrel) — see ./index.ts.
  */
 
+import type { EgressPolicy } from '@chroxy/protocol'
+
 /** Attachment metadata stored on a ChatMessage (base64 data cleared after send) */
 export interface MessageAttachment {
   id: string;
@@ -79,6 +81,41 @@ export interface McpPromptExpansionMeta {
   truncated: boolean;
 }
 
+/**
+ * Structured payload for a network egress block, attached to a `type: 'system'`
+ * ChatMessage when the server parsed an `egress_blocked` event: a process in a
+ * Docker-isolated session tried to reach `host:port` and the session's egress
+ * policy refused it. `count` folds repeated attempts within a short window.
+ * Mirrors `ServerEgressBlockedSchema` on the wire (`@chroxy/protocol`).
+ */
+export interface EgressBlockedMeta {
+  host: string;
+  port: number;
+  policy: EgressPolicy;
+  count: number;
+}
+
+/**
+ * Automatic provider failover note, attached to the `type: 'error'` bubble of
+ * the turn it acted on when the server emits `provider_failover`. `retry` —
+ * the same provider is retried after `delayMs` (attempt `attempt`); `hop` —
+ * the session moved in place to `to`, now billing as `billingClass`, with the
+ * conversation carried as `carry` and the failed prompt re-sent; `exhausted` —
+ * no provider left in the chain. Mirrors `ServerProviderFailoverSchema` on the
+ * wire (`@chroxy/protocol`).
+ */
+export interface ProviderFailoverMeta {
+  action: 'retry' | 'hop' | 'exhausted';
+  category: 'rate_limit' | 'overloaded' | 'credit_cap';
+  provider: string;
+  model: string | null;
+  attempt?: number;
+  delayMs?: number;
+  to?: { provider: string; model: string | null };
+  billingClass?: string;
+  carry?: 'conversation' | 'transcript' | 'none';
+}
+
 /**
  * #4604 Chunk B — one entry per question in a multi-question
  * AskUserQuestion form. `questions[0]` always mirrors the legacy
@@ -284,6 +321,19 @@ export interface ChatMessage {
    * message and for pre-#6845 servers.
    */
   mcpPromptExpansion?: McpPromptExpansionMeta;
+  /**
+   * Set on a `type: 'system'` ChatMessage when the server reported a request
+   * the session's network egress policy blocked. Renderers show a compact
+   * "blocked host:port" marker. Undefined for every other message.
+   */
+  egressBlocked?: EgressBlockedMeta;
+  /**
+   * Set on a `type: 'error'` bubble whose failed turn the server's provider
+   * failover retried, moved to another provider, or gave up on. Renderers
+   * show a failover chip in place of the generic red bubble. Undefined for
+   * every other message.
+   */
+  failover?: ProviderFailoverMeta;
   /**
    * #5016 — Task subagent child progress, attached to the parent's
    * `tool_use` (Task) bubble. Each entry is one wire event the child
@@ -15,6 +15,23 @@ export interface ConversationSummary {
   cwd: string | null;
 }
 
+/** Message roles the conversation-search `role` filter matches within. */
+export type ConversationSearchRole = 'user' | 'assistant' | 'tool';
+
+/**
+ * Optional filters for `search_conversations`, all ANDed. `repo` matches the
+ * conversation's cwd or any path beneath it; `provider` is a provider family
+ * (`claude`, `codex`, `gemini`, …); `since`/`until` are inclusive epoch-ms
+ * bounds on the matched message.
+ */
+export interface ConversationSearchFilters {
+  repo?: string;
+  provider?: string;
+  role?: ConversationSearchRole;
+  since?: number;
+  until?: number;
+}
+
 export interface SearchResult {
   conversationId: string;
   projectName: string;
@@ -23,6 +40,15 @@ export interface SearchResult {
   preview: string | null;
   snippet: string;
   matchCount: number;
+  /** BM25 relevance from the server's search index; results arrive sorted by it. */
+  score?: number;
+  /** Provider family the transcript belongs to. */
+  provider?: string;
+  /** Role of the message the snippet was taken from. */
+  role?: ConversationSearchRole;
+  /** Epoch ms of that message, or null when the transcript line had no timestamp. */
+  matchAt?: number | null;
+  modifiedAtMs?: number;
 }
 
 export interface SlashCommand {
@@ -36,3 +36,150 @@ export interface DiffFile {
   deletions: number;
   hunks: DiffHunk[];
 }
+
+// Merge-conflict resolution. Mirrors ServerGitConflictsResultSchema /
+// ServerGitConflictResultSchema in packages/protocol/src/schemas/server/file-ops.ts;
+// shared here because both clients render the same conflict view and compose
+// the same "ask the agent" prompt from it (./merge-conflicts.ts).
+
+/** The in-progress operation that left the conflicts, or null when none is. */
+export type GitConflictOperation = 'merge' | 'rebase' | 'cherry-pick' | 'revert' | null;
+
+/** What each side did to the path — the stage set of its unmerged index entries. */
+export type GitConflictKind =
+  | 'both_modified'
+  | 'both_added'
+  | 'deleted_by_us'
+  | 'deleted_by_them'
+  | 'added_by_us'
+  | 'added_by_them'
+  | 'both_deleted';
+
+/**
+ * One `<<<<<<<` … `>>>>>>>` region. `base` is null unless the file was written
+ * with `merge.conflictStyle=diff3`/`zdiff3`. `before` / `after` are up to a few
+ * lines of the surrounding file for context.
+ */
+export interface GitConflictHunk {
+  index: number;
+  /** 1-based line of the `<<<<<<<` marker. */
+  startLine: number;
+  oursLabel: string;
+  theirsLabel: string;
+  baseLabel: string | null;
+  ours: string[];
+  base: string[] | null;
+  theirs: string[];
+  before: string[];
+  after: string[];
+}
+
+export interface GitConflictFile {
+  path: string;
+  kind: GitConflictKind;
+  /** sha256 of the file as read; echoed on a per-hunk resolve. Null when unreadable. */
+  hash: string | null;
+  binary: boolean;
+  tooLarge: boolean;
+  /** Empty for binary / too-large files and for add/delete conflicts. */
+  hunks: GitConflictHunk[];
+}
+
+export interface GitConflictsResult {
+  operation: GitConflictOperation;
+  branch: string | null;
+  files: GitConflictFile[];
+  truncated: boolean;
+  error: string | null;
+  requestId?: string;
+}
+
+export type GitConflictChoice = 'ours' | 'theirs' | 'both' | 'base' | 'custom';
+
+export interface GitConflictResolution {
+  index: number;
+  choice: GitConflictChoice;
+  /** Replacement lines for `custom`. */
+  lines?: string[];
+}
+
+export type GitConflictAction = 'resolve' | 'continue' | 'abort';
+
+export interface GitConflictResult {
+  /** Null only on the client-side timeout / disconnect result. */
+  action: GitConflictAction | null;
+  path: string | null;
+  /** Conflicted hunks left in `path` (resolve), or conflicted files left (continue / abort). */
+  remaining: number;
+  staged: boolean;
+  operation: GitConflictOperation;
+  error: string | null;
+  requestId?: string;
+}
+
+// Commit history, blame and branch management. Mirrors ServerGitLogResultSchema /
+// ServerGitShowResultSchema / ServerGitBlameResultSchema /
+// ServerGitBranchResultSchema in packages/protocol/src/schemas/server/file-ops.ts;
+// shared here because both clients' git panels render the same History tab
+// and branch actions.
+
+export interface GitLogCommit {
+  hash: string;
+  shortHash: string;
+  author: string;
+  email: string;
+  /** Author date, strict ISO 8601. */
+  date: string;
+  parents: string[];
+  subject: string;
+}
+
+export interface GitLogResult {
+  commits: GitLogCommit[];
+  skip: number;
+  hasMore: boolean;
+  /** The per-file filter the page was read for; null for the whole-repo log. */
+  path: string | null;
+  error: string | null;
+  requestId?: string;
+}
+
+export interface GitShowResult {
+  hash: string;
+  commit: (GitLogCommit & { body: string }) | null;
+  files: DiffFile[];
+  /** The patch hit the server's output cap; `files` is a prefix. */
+  truncated: boolean;
+  error: string | null;
+  requestId?: string;
+}
+
+export interface GitBlameHunk {
+  hash: string;
+  shortHash: string;
+  author: string;
+  date: string;
+  summary: string;
+  /** 1-based line number of `lines[0]`. */
+  startLine: number;
+  lines: string[];
+}
+
+export interface GitBlameResult {
+  path: string | null;
+  rev: string | null;
+  hunks: GitBlameHunk[];
+  truncated: boolean;
+  error: string | null;
+  requestId?: string;
+}
+
+export type GitBranchAction = 'create' | 'checkout' | 'delete';
+
+export interface GitBranchResult {
+  /** Null only on the client-side timeout / disconnect result. */
+  action: GitBranchAction | null;
+  branch: string | null;
+  currentBranch: string | null;
+  error: string | null;
+}